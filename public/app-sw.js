@@ -31,7 +31,8 @@ function isReserved(pathname) {
     pathname === '/apply' ||
     pathname.startsWith('/upload/') ||
     pathname.startsWith('/sign/') ||
-    pathname.startsWith('/survey/')
+    pathname.startsWith('/survey/') ||
+    pathname.startsWith('/family/')
   );
 }
 
@@ -3,7 +3,7 @@ import { Routes, Route, useLocation } from 'react-router-dom';
 import { isOfficeRoute } from './pwa/routeScope';
 
 // Everything is lazy-loaded behind the route split so the caregiver PWA
-// and public /apply, /upload, /sign, /survey pages don't ship the admin
+// and public /apply, /upload, /sign, /survey, /family pages don't ship the admin
 // bundle. Caregiver first-load on 5G was 10–30s because AdminApp pulled
 // Dashboard, Kanban, SchedulePage, AIChatbot, etc. as static imports.
 const AdminApp = lazy(() => import('./AdminApp'));
@@ -19,6 +19,9 @@ const SigningPage = lazy(() =>
 const SurveyPage = lazy(() =>
   import('./features/survey/SurveyPage').then((m) => ({ default: m.SurveyPage })),
 );
+const FamilyPage = lazy(() =>
+  import('./features/family/FamilyPage').then((m) => ({ default: m.FamilyPage })),
+);
 const CaregiverApp = lazy(() =>
   import('./features/caregiver-portal/CaregiverApp').then((m) => ({ default: m.CaregiverApp })),
 );
@@ -112,6 +115,15 @@ export default function App() {
       </Suspense>
     );
   }
+  if (location.pathname.startsWith('/family/')) {
+    return (
+      <Suspense fallback={<RouteFallback />}>
+        <Routes>
+          <Route path="/family/:token" element={<FamilyPage />} />
+        </Routes>
+      </Suspense>
+    );
+  }
   // Caregiver PWA — separate auth/shell from the admin portal.
   // Match only `/care` exactly or `/care/<subpath>`, NOT `/caregiver/:id`
   // or other `/care`-prefixed admin routes.
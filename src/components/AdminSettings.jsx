@@ -9,6 +9,8 @@ import cards from '../styles/cards.module.css';
 import layout from '../styles/layout.module.css';
 import { AutomationSettings } from './AutomationSettings';
 import { LeadNotificationSettings } from './LeadNotificationSettings';
+import { TravelBufferSettings } from './TravelBufferSettings';
+import { NoShowSettings } from './NoShowSettings';
 import { SmsOptOutList } from './SmsOptOutList';
 import { PausedCheckInsList } from './PausedCheckInsList';
 import ActionItemRuleSettings from './ActionItemRuleSettings';
@@ -2615,6 +2617,16 @@ export function AdminSettings({ showToast, currentUserEmail }) {
         <LeadNotificationSettings showToast={showToast} />
       </div>
 
+      {/* Scheduling travel buffers (distance-aware conflict detection) */}
+      <div style={{ marginBottom: 20 }}>
+        <TravelBufferSettings showToast={showToast} />
+      </div>
+
+      {/* Scheduling no-show alerts (late clock-in detection + on-call escalation) */}
+      <div style={{ marginBottom: 20 }}>
+        <NoShowSettings showToast={showToast} />
+      </div>
+
       {/* Automation Engine */}
       <div style={{ marginBottom: 20 }}>
         <AutomationSettings showToast={showToast} currentUserEmail={currentUserEmail} />
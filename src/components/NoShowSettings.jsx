@@ -0,0 +1,179 @@
+import { useEffect, useState } from 'react';
+import { supabase } from '../lib/supabase';
+import { useApp } from '../shared/context/AppContext';
+import { updateOrgSettings } from '../features/accounting/storage';
+import { resolveNoShowSettings } from '../lib/scheduling/noShowDetection';
+import { CollapsibleCard } from '../shared/components/CollapsibleCard';
+import btn from '../styles/buttons.module.css';
+import forms from '../styles/forms.module.css';
+
+// No-Show Alerts card.
+//
+// Backs the detection keys in `organizations.settings.scheduling` read
+// by the no-show-detector cron (resolveNoShowSettings in
+// src/lib/scheduling/noShowDetection.js). On-call schedulers are
+// stored as team_members emails, like lead-notification recipients, so
+// a phone change in the directory needs no settings edit. The first
+// one checked is assigned the follow-up task.
+
+function draftFrom(settings) {
+  const resolved = resolveNoShowSettings(settings);
+  return {
+    graceMinutes: String(resolved.lateGraceMinutes),
+    escalationMinutes: String(resolved.escalationMinutes),
+    onCallEmails: resolved.onCallEmails,
+  };
+}
+
+export function NoShowSettings({ showToast }) {
+  const { currentOrgSettings, refreshOrgSettings } = useApp();
+  const [draft, setDraft] = useState(() => draftFrom(currentOrgSettings));
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [loadingMembers, setLoadingMembers] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(draftFrom(currentOrgSettings));
+  }, [currentOrgSettings]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const { data, error } = await supabase
+          .from('team_members')
+          .select('email, display_name, job_title, personal_phone, is_active')
+          .order('display_name', { ascending: true });
+        if (error) throw error;
+        if (!cancelled) setTeamMembers((data || []).filter((m) => m.is_active !== false));
+      } catch (err) {
+        console.error('NoShowSettings: failed to load team_members', err);
+      } finally {
+        if (!cancelled) setLoadingMembers(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  function toggleOnCall(email) {
+    setDraft((d) => {
+      const lower = email.toLowerCase();
+      const present = d.onCallEmails.some((e) => e.toLowerCase() === lower);
+      return {
+        ...d,
+        onCallEmails: present
+          ? d.onCallEmails.filter((e) => e.toLowerCase() !== lower)
+          : [...d.onCallEmails, email],
+      };
+    });
+  }
+
+  async function save() {
+    const grace = Number(draft.graceMinutes);
+    const escalation = Number(draft.escalationMinutes);
+    if (!Number.isInteger(grace) || grace < 0 || !Number.isInteger(escalation) || escalation < 0) {
+      showToast?.('Grace period and escalation delay must be whole minutes.');
+      return;
+    }
+    if (escalation < grace) {
+      showToast?.('Escalation delay must be at least the grace period.');
+      return;
+    }
+    setSaving(true);
+    try {
+      await updateOrgSettings({
+        section: 'scheduling',
+        patch: {
+          late_grace_minutes: grace,
+          no_show_escalation_minutes: escalation,
+          on_call_emails: draft.onCallEmails,
+        },
+      });
+      await refreshOrgSettings?.();
+      showToast?.('No-show alert settings saved.');
+    } catch (err) {
+      showToast?.(`Save failed: ${err.message || err}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const field = (key, label) => (
+    <label className={forms.field}>
+      <span className={forms.fieldLabel}>{label}</span>
+      <input
+        type="number"
+        min="0"
+        step="5"
+        className={forms.fieldInput}
+        value={draft[key]}
+        onChange={(e) => setDraft((d) => ({ ...d, [key]: e.target.value }))}
+        disabled={saving}
+      />
+    </label>
+  );
+
+  return (
+    <CollapsibleCard title="No-Show Alerts" description="Late clock-ins and on-call escalation">
+      <div style={{ padding: '20px 24px' }}>
+        <p style={{ fontSize: 12, color: '#7A8BA0', marginTop: 0, marginBottom: 16, lineHeight: 1.5 }}>
+          When a caregiver hasn&rsquo;t clocked in by the grace period, they get a push and a text.
+          If they still haven&rsquo;t by the escalation delay, the shift is marked no-show, the on-call
+          schedulers below are texted, the first of them gets a follow-up task, and the rest of the
+          visit is broadcast as an open shift.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 12, marginBottom: 20 }}>
+          {field('graceMinutes', 'Grace period (min after start)')}
+          {field('escalationMinutes', 'Escalate after (min after start)')}
+        </div>
+
+        <div style={{ marginBottom: 20 }}>
+          <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 4 }}>On-call schedulers</div>
+          {loadingMembers ? (
+            <div style={{ fontSize: 13, color: '#7A8BA0' }}>Loading team members&hellip;</div>
+          ) : teamMembers.length === 0 ? (
+            <div style={{ fontSize: 13, color: '#7A8BA0', fontStyle: 'italic' }}>
+              No team members configured. Add them in Settings &rarr; Team Members.
+            </div>
+          ) : (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))', gap: 8 }}>
+              {teamMembers.map((m) => {
+                const checked = draft.onCallEmails.some((e) => e.toLowerCase() === m.email.toLowerCase());
+                const hasPhone = !!(m.personal_phone && m.personal_phone.trim());
+                return (
+                  <label key={m.email} style={{ display: 'flex', alignItems: 'flex-start', gap: 8, fontSize: 13, padding: '8px 10px', border: '1px solid #E0E4EA', borderRadius: 10, cursor: 'pointer', background: checked ? '#F0F7FF' : '#fff' }}>
+                    <input
+                      type="checkbox"
+                      checked={checked}
+                      onChange={() => toggleOnCall(m.email)}
+                      disabled={saving}
+                      style={{ marginTop: 2 }}
+                    />
+                    <span style={{ minWidth: 0 }}>
+                      <div style={{ fontWeight: 600 }}>{m.display_name || m.email}</div>
+                      <div style={{ fontSize: 11, color: '#7A8BA0' }}>{m.email}</div>
+                      {!hasPhone && (
+                        <div style={{ fontSize: 11, color: '#C0392B' }}>No phone on file — task only, no text</div>
+                      )}
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', borderTop: '1px solid #E0E4EA', paddingTop: 16 }}>
+          <button
+            type="button"
+            className={btn.primaryBtn}
+            onClick={save}
+            disabled={saving}
+          >
+            {saving ? 'Saving…' : 'Save No-Show Alert Settings'}
+          </button>
+        </div>
+      </div>
+    </CollapsibleCard>
+  );
+}
@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react';
+import { useApp } from '../shared/context/AppContext';
+import { updateOrgSettings } from '../features/accounting/storage';
+import { resolveTravelModel } from '../lib/scheduling/conflictDetection';
+import { CollapsibleCard } from '../shared/components/CollapsibleCard';
+import btn from '../styles/buttons.module.css';
+import forms from '../styles/forms.module.css';
+
+// Travel Buffer Settings card.
+//
+// Backs `organizations.settings.scheduling`. Conflict detection turns
+// the distance between two back-to-back clients into a drive time at
+// the average speed below, clamped between the minimum and maximum
+// (see resolveTravelModel / estimateTravel in
+// src/lib/scheduling/conflictDetection.js). Clients that haven't been
+// geocoded still get the flat 30-minute buffer.
+
+function draftFrom(settings) {
+  const model = resolveTravelModel(settings);
+  return {
+    speedMph: String(model.speedMph),
+    minMinutes: String(model.minMinutes),
+    maxMinutes: String(model.maxMinutes),
+  };
+}
+
+export function TravelBufferSettings({ showToast }) {
+  const { currentOrgSettings, refreshOrgSettings } = useApp();
+  const [draft, setDraft] = useState(() => draftFrom(currentOrgSettings));
+  const [saving, setSaving] = useState(false);
+
+  // Re-hydrate when settings reload (after a save, or from another tab).
+  useEffect(() => {
+    setDraft(draftFrom(currentOrgSettings));
+  }, [currentOrgSettings]);
+
+  async function save() {
+    const speed = Number(draft.speedMph);
+    const min = Number(draft.minMinutes);
+    const max = Number(draft.maxMinutes);
+    if (!(speed > 0)) {
+      showToast?.('Average speed must be greater than 0.');
+      return;
+    }
+    if (!Number.isInteger(min) || min < 0 || !Number.isInteger(max) || max <= 0) {
+      showToast?.('Minimum and maximum must be whole minutes.');
+      return;
+    }
+    if (max < min) {
+      showToast?.('Maximum travel time must be at least the minimum.');
+      return;
+    }
+    setSaving(true);
+    try {
+      await updateOrgSettings({
+        section: 'scheduling',
+        patch: {
+          travel_speed_mph: speed,
+          travel_min_minutes: min,
+          travel_max_minutes: max,
+        },
+      });
+      await refreshOrgSettings?.();
+      showToast?.('Travel buffer settings saved.');
+    } catch (err) {
+      showToast?.(`Save failed: ${err.message || err}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const field = (key, label, step) => (
+    <label className={forms.field}>
+      <span className={forms.fieldLabel}>{label}</span>
+      <input
+        type="number"
+        min="0"
+        step={step}
+        className={forms.fieldInput}
+        value={draft[key]}
+        onChange={(e) => setDraft((d) => ({ ...d, [key]: e.target.value }))}
+        disabled={saving}
+      />
+    </label>
+  );
+
+  return (
+    <CollapsibleCard title="Travel Buffers" description="Drive time between back-to-back clients">
+      <div style={{ padding: '20px 24px' }}>
+        <p style={{ fontSize: 12, color: '#7A8BA0', marginTop: 0, marginBottom: 16, lineHeight: 1.5 }}>
+          When a caregiver has shifts with two different clients, scheduling estimates the drive
+          between their addresses at this average speed and warns when the gap is too short.
+          The estimate never goes below the minimum or above the maximum.
+          Clients without a geocoded address use a flat 30 minutes.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 12, marginBottom: 20 }}>
+          {field('speedMph', 'Average speed (mph)', '1')}
+          {field('minMinutes', 'Minimum travel (min)', '5')}
+          {field('maxMinutes', 'Maximum travel (min)', '5')}
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', borderTop: '1px solid #E0E4EA', paddingTop: 16 }}>
+          <button
+            type="button"
+            className={btn.primaryBtn}
+            onClick={save}
+            disabled={saving}
+          >
+            {saving ? 'Saving…' : 'Save Travel Buffer Settings'}
+          </button>
+        </div>
+      </div>
+    </CollapsibleCard>
+  );
+}
@@ -4,12 +4,14 @@ import { useApp } from '../../shared/context/AppContext';
 import { isAdminRole } from '../../lib/auth/roles';
 import { PayrollTab } from './payroll/PayrollTab';
 import { InvoicingTab } from './invoicing/InvoicingTab';
+import { EvvTab } from './evv/EvvTab';
 import s from './AccountingPage.module.css';
 
 /**
  * Top-level Accounting page. Hosts independent sub-tabs:
  *   - Payroll (gated by features_enabled.payroll)
- *   - Invoicing (gated by features_enabled.invoicing) — Phase 1 read-only
+ *   - Invoicing (gated by features_enabled.invoicing) — drafts, runs, A/R aging
+ *   - EVV (shown with either of the above) — visit verification export
  *
  * The page is gated by AppShell's sidebar entry on staff role + at
  * least one Accounting feature flag. If a user navigates directly to
@@ -32,6 +34,7 @@ export function AccountingPage() {
     const out = [];
     if (payrollEnabled) out.push({ id: 'payroll', label: 'Payroll' });
     if (invoicingEnabled) out.push({ id: 'invoicing', label: 'Invoicing' });
+    if (payrollEnabled || invoicingEnabled) out.push({ id: 'evv', label: 'EVV' });
     return out;
   }, [payrollEnabled, invoicingEnabled]);
 
@@ -102,6 +105,7 @@ export function AccountingPage() {
 
       {effectiveActiveTab === 'payroll' && <PayrollTab />}
       {effectiveActiveTab === 'invoicing' && <InvoicingTab />}
+      {effectiveActiveTab === 'evv' && <EvvTab />}
     </div>
   );
 }
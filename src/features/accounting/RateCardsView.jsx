@@ -0,0 +1,434 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useApp } from '../../shared/context/AppContext';
+import { useClients } from '../../shared/context/ClientContext';
+import { useCaregivers } from '../../shared/context/CaregiverContext';
+import {
+  RATE_CARD_SCOPE,
+  SERVICE_TYPE_LABELS,
+  validateRateCard,
+} from '../../lib/rateCards';
+import {
+  createRateCard,
+  deleteRateCard,
+  endRateCard,
+  listRateCards,
+} from './storage';
+import s from './RateCardsView.module.css';
+
+const SCOPE_LABELS = {
+  [RATE_CARD_SCOPE.CLIENT]: 'Client',
+  [RATE_CARD_SCOPE.PAYER]: 'Payer type',
+  [RATE_CARD_SCOPE.CAREGIVER]: 'Caregiver',
+};
+
+function formatCurrency(n) {
+  const v = Number.isFinite(n) ? n : 0;
+  return v.toLocaleString('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function localTodayYmd(now = new Date()) {
+  const y = now.getFullYear();
+  const m = String(now.getMonth() + 1).padStart(2, '0');
+  const d = String(now.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function personName(p) {
+  return `${p.firstName || ''} ${p.lastName || ''}`.trim() || p.id;
+}
+
+function emptyDraft(scope) {
+  return {
+    scope,
+    targetId: '',
+    serviceType: '',
+    rate: '',
+    otRate: '',
+    effectiveFrom: '',
+    effectiveTo: '',
+    notes: '',
+  };
+}
+
+function draftToCard(draft) {
+  const target = draft.targetId.trim() || null;
+  return {
+    scope: draft.scope,
+    client_id: draft.scope === RATE_CARD_SCOPE.CLIENT ? target : null,
+    payer_type: draft.scope === RATE_CARD_SCOPE.PAYER ? target : null,
+    caregiver_id: draft.scope === RATE_CARD_SCOPE.CAREGIVER ? target : null,
+    service_type: draft.serviceType || null,
+    rate: draft.rate === '' ? null : Number(draft.rate),
+    ot_rate: draft.otRate === '' ? null : Number(draft.otRate),
+    effective_from: draft.effectiveFrom || null,
+    effective_to: draft.effectiveTo || null,
+    notes: draft.notes.trim() || null,
+  };
+}
+
+/**
+ * Accounting "Rate Cards" view.
+ *
+ * Per-service-type rates from `rate_cards`. The Invoicing tab mounts
+ * it with the bill scopes (client, payer type); the Payroll tab with
+ * the pay scope (caregiver). A card with no service type is the
+ * target's catch-all.
+ *
+ * Rates change by ending the current card and adding a new one, so
+ * past invoices and timesheets keep resolving to the rate they were
+ * drafted with. Delete is for cards entered by mistake. All writes go
+ * via the `rate-cards-update` edge function.
+ *
+ * Plan reference: docs/INVOICING.md ("Rate cards").
+ */
+export function RateCardsView({ scopes }) {
+  const { currentOrgId, showToast } = useApp();
+  const { clients } = useClients();
+  const { caregivers } = useCaregivers();
+  const [loading, setLoading] = useState(true);
+  const [cards, setCards] = useState([]);
+  const [showEnded, setShowEnded] = useState(false);
+  const [draft, setDraft] = useState(() => emptyDraft(scopes[0]));
+  const [formError, setFormError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadCounter, setReloadCounter] = useState(0);
+
+  const today = localTodayYmd();
+  const isBillScope = draft.scope !== RATE_CARD_SCOPE.CAREGIVER;
+  const showsBillCards = scopes.some((scope) => scope !== RATE_CARD_SCOPE.CAREGIVER);
+  const scopesKey = scopes.join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      const rows = await listRateCards({ orgId: currentOrgId, scopes: scopesKey.split(',') });
+      if (!cancelled) {
+        setCards(rows);
+        setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [currentOrgId, scopesKey, reloadCounter]);
+
+  function reload() {
+    setReloadCounter((n) => n + 1);
+  }
+
+  const clientsById = useMemo(
+    () => new Map((clients || []).map((c) => [c.id, c])),
+    [clients],
+  );
+  const caregiversById = useMemo(
+    () => new Map((caregivers || []).map((c) => [c.id, c])),
+    [caregivers],
+  );
+  const payerTypes = useMemo(
+    () => [...new Set((clients || []).map((c) => c.payerType).filter(Boolean))].sort(),
+    [clients],
+  );
+
+  function targetLabel(card) {
+    if (card.scope === RATE_CARD_SCOPE.CLIENT) {
+      const c = clientsById.get(card.client_id);
+      return c ? personName(c) : card.client_id;
+    }
+    if (card.scope === RATE_CARD_SCOPE.CAREGIVER) {
+      const c = caregiversById.get(card.caregiver_id);
+      return c ? personName(c) : card.caregiver_id;
+    }
+    return card.payer_type;
+  }
+
+  const visibleCards = useMemo(() => {
+    const rows = showEnded
+      ? cards
+      : cards.filter((c) => !c.effective_to || c.effective_to >= today);
+    return [...rows].sort((a, b) => {
+      const byTarget = targetLabel(a).localeCompare(targetLabel(b));
+      if (byTarget !== 0) return byTarget;
+      return (a.service_type || '').localeCompare(b.service_type || '');
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cards, showEnded, today, clientsById, caregiversById]);
+
+  const setField = (field, value) => setDraft((d) => ({ ...d, [field]: value }));
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (busy) return;
+    const card = draftToCard(draft);
+    const invalid = validateRateCard(card);
+    if (invalid) {
+      setFormError(invalid);
+      return;
+    }
+    setFormError(null);
+    setBusy(true);
+    try {
+      await createRateCard(card);
+      showToast?.('Rate card added.');
+      setDraft(emptyDraft(draft.scope));
+      reload();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleEnd(card) {
+    if (busy) return;
+    const effectiveTo = window.prompt(
+      `Last day ${formatCurrency(card.rate)}/hr applies to ${targetLabel(card)} (YYYY-MM-DD):`,
+      today,
+    );
+    if (!effectiveTo) return;
+    setBusy(true);
+    try {
+      await endRateCard({ rateCardId: card.id, effectiveTo: effectiveTo.trim() });
+      showToast?.('Rate card ended.');
+      reload();
+    } catch (err) {
+      showToast?.(`End failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleDelete(card) {
+    if (busy) return;
+    if (!window.confirm(
+      `Delete the ${formatCurrency(card.rate)}/hr card for ${targetLabel(card)}? `
+      + 'Use End instead if the rate was ever billed or paid.',
+    )) return;
+    setBusy(true);
+    try {
+      await deleteRateCard(card.id);
+      showToast?.('Rate card deleted.');
+      reload();
+    } catch (err) {
+      showToast?.(`Delete failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className={s.view}>
+      <div className={s.header}>
+        <div>
+          <div className={s.title}>
+            {showsBillCards ? 'Bill rates by service type' : 'Pay rates by service type'}
+          </div>
+          <div className={s.subtle}>
+            A card for the shift&apos;s service type beats the &ldquo;Any service&rdquo; card.
+            {scopes.includes(RATE_CARD_SCOPE.PAYER)
+              && ' Client cards beat payer-type cards.'}
+            {' '}Shifts without a matching card use the flat default rate.
+          </div>
+        </div>
+        <label className={s.toggle}>
+          <input
+            type="checkbox"
+            checked={showEnded}
+            onChange={(e) => setShowEnded(e.target.checked)}
+          />
+          Show ended cards
+        </label>
+      </div>
+
+      <form className={s.form} onSubmit={handleAdd}>
+        {scopes.length > 1 && (
+          <label className={s.field}>
+            Applies to
+            <select
+              className={s.input}
+              value={draft.scope}
+              onChange={(e) => setDraft({ ...emptyDraft(e.target.value), serviceType: draft.serviceType })}
+            >
+              {scopes.map((scope) => (
+                <option key={scope} value={scope}>{SCOPE_LABELS[scope]}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className={s.field}>
+          {SCOPE_LABELS[draft.scope]}
+          {draft.scope === RATE_CARD_SCOPE.PAYER ? (
+            <>
+              <input
+                className={s.input}
+                list="rate-card-payer-types"
+                value={draft.targetId}
+                onChange={(e) => setField('targetId', e.target.value)}
+                placeholder="medicaid"
+              />
+              <datalist id="rate-card-payer-types">
+                {payerTypes.map((p) => <option key={p} value={p} />)}
+              </datalist>
+            </>
+          ) : (
+            <select
+              className={s.input}
+              value={draft.targetId}
+              onChange={(e) => setField('targetId', e.target.value)}
+            >
+              <option value="">Select…</option>
+              {((draft.scope === RATE_CARD_SCOPE.CLIENT ? clients : caregivers) || [])
+                .filter((p) => !p.archived)
+                .map((p) => (
+                  <option key={p.id} value={p.id}>{personName(p)}</option>
+                ))}
+            </select>
+          )}
+        </label>
+        <label className={s.field}>
+          Service type
+          <select
+            className={s.input}
+            value={draft.serviceType}
+            onChange={(e) => setField('serviceType', e.target.value)}
+          >
+            <option value="">Any service</option>
+            {Object.entries(SERVICE_TYPE_LABELS).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className={s.fieldNarrow}>
+          Rate ($/hr)
+          <input
+            className={s.input}
+            type="number"
+            min="0"
+            step="0.25"
+            value={draft.rate}
+            onChange={(e) => setField('rate', e.target.value)}
+          />
+        </label>
+        {isBillScope && (
+          <label className={s.fieldNarrow}>
+            OT rate
+            <input
+              className={s.input}
+              type="number"
+              min="0"
+              step="0.25"
+              value={draft.otRate}
+              onChange={(e) => setField('otRate', e.target.value)}
+              placeholder="1.5×"
+            />
+          </label>
+        )}
+        <label className={s.fieldNarrow}>
+          From
+          <input
+            className={s.input}
+            type="date"
+            value={draft.effectiveFrom}
+            onChange={(e) => setField('effectiveFrom', e.target.value)}
+          />
+        </label>
+        <label className={s.fieldNarrow}>
+          To
+          <input
+            className={s.input}
+            type="date"
+            value={draft.effectiveTo}
+            onChange={(e) => setField('effectiveTo', e.target.value)}
+          />
+        </label>
+        <label className={s.field}>
+          Notes
+          <input
+            className={s.input}
+            value={draft.notes}
+            onChange={(e) => setField('notes', e.target.value)}
+          />
+        </label>
+        <button type="submit" className={`${s.btn} ${s.btnPrimary}`} disabled={busy}>
+          Add card
+        </button>
+      </form>
+      {formError && <div className={s.errorBanner}>{formError}</div>}
+
+      {loading ? (
+        <div className={s.empty}>Loading rate cards…</div>
+      ) : visibleCards.length === 0 ? (
+        <div className={s.empty}>
+          No rate cards yet. Every shift uses the flat default rate.
+        </div>
+      ) : (
+        <div className={s.tableWrap}>
+          <table className={s.table}>
+            <thead>
+              <tr>
+                <th className={s.thLeft}>{scopes.length > 1 ? 'Applies to' : SCOPE_LABELS[scopes[0]]}</th>
+                <th className={s.thLeft}>Service type</th>
+                <th className={s.thRight}>Rate</th>
+                {showsBillCards && <th className={s.thRight}>OT rate</th>}
+                <th className={s.thLeft}>Effective</th>
+                <th className={s.thLeft}>Notes</th>
+                <th className={s.thRight}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleCards.map((card) => {
+                const ended = card.effective_to && card.effective_to < today;
+                return (
+                  <tr key={card.id} className={ended ? s.endedRow : undefined}>
+                    <td className={s.tdLeft}>
+                      <div className={s.targetName}>{targetLabel(card)}</div>
+                      {scopes.length > 1 && (
+                        <div className={s.scopeTag}>{SCOPE_LABELS[card.scope]}</div>
+                      )}
+                    </td>
+                    <td className={s.tdLeft}>
+                      {card.service_type ? SERVICE_TYPE_LABELS[card.service_type] : 'Any service'}
+                    </td>
+                    <td className={s.numCell}>{formatCurrency(card.rate)}</td>
+                    {showsBillCards && (
+                      <td className={s.numCell}>
+                        {card.ot_rate != null ? formatCurrency(card.ot_rate) : '1.5×'}
+                      </td>
+                    )}
+                    <td className={s.tdLeft}>
+                      {card.effective_from || 'Always'} &ndash; {card.effective_to || 'open'}
+                    </td>
+                    <td className={s.tdLeft}>{card.notes || '—'}</td>
+                    <td className={s.actionsCell}>
+                      {!ended && (
+                        <button
+                          type="button"
+                          className={s.btn}
+                          onClick={() => handleEnd(card)}
+                          disabled={busy}
+                        >
+                          End
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className={s.btn}
+                        onClick={() => handleDelete(card)}
+                        disabled={busy}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
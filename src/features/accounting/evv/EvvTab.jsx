@@ -0,0 +1,359 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import {
+  EVV_EXCEPTION_LABELS,
+  EVV_FORMAT_LABELS,
+  EVV_REASON,
+  buildEvvVisits,
+  generateEvvExport,
+  resolveEvvConfig,
+} from '../../../lib/evv.js';
+import { SERVICE_TYPE, SERVICE_TYPE_LABELS } from '../../../lib/rateCards.js';
+import { priorWorkweek, updateOrgSettings } from '../storage';
+import { getEvvVisitData } from './storage.js';
+import s from './EvvTab.module.css';
+
+const REASON_LABELS = {
+  [EVV_REASON.MANUAL_ENTRY]: 'Manual entry',
+  [EVV_REASON.TIME_EDITED]: 'Time edited',
+  [EVV_REASON.GEOFENCE_OVERRIDE]: 'Geofence override',
+};
+
+const EMPTY_DATA = { shifts: [], clockEvents: [], clients: [], caregivers: [], authorizations: [] };
+
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function formatLocal(iso, timezone) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function settingsDraft(config) {
+  return {
+    format: config.format,
+    providerId: config.providerId || '',
+    serviceCodes: Object.fromEntries(
+      Object.values(SERVICE_TYPE).map((t) => [t, config.serviceCodes[t] || '']),
+    ),
+    reasonCodes: { ...config.reasonCodes },
+  };
+}
+
+/**
+ * Accounting "EVV" tab.
+ *
+ * Builds Electronic Visit Verification records for the shifts worked in
+ * a date range (see src/lib/evv.js) and downloads them in the format
+ * the org's aggregator takes. Visits missing a required element are
+ * listed as exceptions and left out of the file until they're fixed.
+ *
+ * Medicaid-funded visits only by default — those are the ones the
+ * Cures Act requires; private-pay agencies can untick it to export
+ * everything.
+ */
+export function EvvTab() {
+  const { currentOrgId, currentOrgSettings, refreshOrgSettings, showToast } = useApp();
+  const timezone = currentOrgSettings?.payroll?.timezone || 'America/Los_Angeles';
+  const config = useMemo(() => resolveEvvConfig(currentOrgSettings), [currentOrgSettings]);
+
+  const [range, setRange] = useState(() => priorWorkweek(new Date(), timezone));
+  const [medicaidOnly, setMedicaidOnly] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(EMPTY_DATA);
+  const [showSettings, setShowSettings] = useState(false);
+  const [draft, setDraft] = useState(() => settingsDraft(config));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(settingsDraft(config));
+  }, [config]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const result = await getEvvVisitData({
+          orgId: currentOrgId,
+          startDate: range.start,
+          endDate: range.end,
+        });
+        if (!cancelled) setData(result);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || String(err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [currentOrgId, range.start, range.end]);
+
+  const visits = useMemo(() => {
+    const all = buildEvvVisits({
+      ...data,
+      config,
+      timezone,
+      from: range.start,
+      to: range.end,
+    });
+    return medicaidOnly ? all.filter((v) => v.medicaidFunded) : all;
+  }, [data, config, timezone, range.start, range.end, medicaidOnly]);
+
+  const withExceptions = visits.filter((v) => v.exceptions.length > 0);
+  const readyCount = visits.length - withExceptions.length;
+
+  function handleRangeChange(field, value) {
+    if (!value) return;
+    setRange((r) => ({ ...r, [field]: value }));
+  }
+
+  function handleExport() {
+    const file = generateEvvExport(visits, config);
+    downloadFile(
+      `evv-visits-${range.start}-to-${range.end}.${file.extension}`,
+      file.content,
+      file.mimeType,
+    );
+    showToast?.(
+      file.skippedCount > 0
+        ? `Exported ${file.exportedCount} visit${file.exportedCount === 1 ? '' : 's'}; ${file.skippedCount} held back with exceptions.`
+        : `Exported ${file.exportedCount} visit${file.exportedCount === 1 ? '' : 's'}.`,
+    );
+  }
+
+  async function handleSaveSettings() {
+    if (saving) return;
+    setSaving(true);
+    try {
+      const trimOrNull = (v) => v.trim() || null;
+      await updateOrgSettings({
+        section: 'evv',
+        patch: {
+          format: draft.format,
+          provider_id: trimOrNull(draft.providerId),
+          service_codes: Object.fromEntries(
+            Object.entries(draft.serviceCodes).map(([k, v]) => [k, trimOrNull(v)]),
+          ),
+          reason_codes: Object.fromEntries(
+            Object.entries(draft.reasonCodes).map(([k, v]) => [k, trimOrNull(v)]),
+          ),
+        },
+      });
+      await refreshOrgSettings?.();
+      showToast?.('EVV settings saved.');
+      setShowSettings(false);
+    } catch (err) {
+      showToast?.(`Saving EVV settings failed: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className={s.view}>
+      <div className={s.header}>
+        <div className={s.rangeRow}>
+          <label className={s.field}>
+            From
+            <input
+              type="date"
+              className={s.input}
+              value={range.start}
+              max={range.end}
+              onChange={(e) => handleRangeChange('start', e.target.value)}
+            />
+          </label>
+          <label className={s.field}>
+            To
+            <input
+              type="date"
+              className={s.input}
+              value={range.end}
+              min={range.start}
+              onChange={(e) => handleRangeChange('end', e.target.value)}
+            />
+          </label>
+          <label className={s.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={medicaidOnly}
+              onChange={(e) => setMedicaidOnly(e.target.checked)}
+            />
+            Medicaid-funded visits only
+          </label>
+        </div>
+        <div className={s.rangeRow}>
+          <button
+            type="button"
+            className={s.btn}
+            onClick={() => setShowSettings((v) => !v)}
+            aria-expanded={showSettings}
+          >
+            Settings
+          </button>
+          <button
+            type="button"
+            className={`${s.btn} ${s.btnPrimary}`}
+            onClick={handleExport}
+            disabled={loading || readyCount === 0}
+          >
+            Export {EVV_FORMAT_LABELS[config.format]}
+          </button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <div className={s.settings}>
+          <h3 className={s.settingsTitle}>EVV settings</h3>
+          <div className={s.subtle}>
+            Codes come from your state&apos;s EVV aggregator. A procedure code on a
+            client&apos;s authorization takes precedence over the service-type default.
+          </div>
+          <div className={s.settingsGrid}>
+            <label className={s.field}>
+              Export format
+              <select
+                className={s.input}
+                value={draft.format}
+                onChange={(e) => setDraft((d) => ({ ...d, format: e.target.value }))}
+              >
+                {Object.entries(EVV_FORMAT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className={s.field}>
+              Provider ID
+              <input
+                className={s.input}
+                value={draft.providerId}
+                onChange={(e) => setDraft((d) => ({ ...d, providerId: e.target.value }))}
+              />
+            </label>
+
+            <div className={s.settingsGroupLabel}>Procedure codes by service type</div>
+            {Object.values(SERVICE_TYPE).map((type) => (
+              <label key={type} className={s.field}>
+                {SERVICE_TYPE_LABELS[type]}
+                <input
+                  className={s.input}
+                  value={draft.serviceCodes[type]}
+                  onChange={(e) => setDraft((d) => ({
+                    ...d,
+                    serviceCodes: { ...d.serviceCodes, [type]: e.target.value },
+                  }))}
+                />
+              </label>
+            ))}
+
+            <div className={s.settingsGroupLabel}>Reason codes</div>
+            {Object.values(EVV_REASON).map((reason) => (
+              <label key={reason} className={s.field}>
+                {REASON_LABELS[reason]}
+                <input
+                  className={s.input}
+                  value={draft.reasonCodes[reason]}
+                  onChange={(e) => setDraft((d) => ({
+                    ...d,
+                    reasonCodes: { ...d.reasonCodes, [reason]: e.target.value },
+                  }))}
+                />
+              </label>
+            ))}
+          </div>
+          <div className={s.settingsActions}>
+            <button
+              type="button"
+              className={`${s.btn} ${s.btnPrimary}`}
+              onClick={handleSaveSettings}
+              disabled={saving}
+            >
+              {saving ? 'Saving…' : 'Save settings'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div className={s.errorBanner}>Failed to load visits: {error}</div>}
+
+      {loading ? (
+        <div className={s.empty}>Loading visits…</div>
+      ) : visits.length === 0 ? (
+        <div className={s.empty}>No visits in this date range.</div>
+      ) : (
+        <>
+          <div className={s.summaryGrid}>
+            <div className={s.summaryCard}>
+              <div className={s.summaryLabel}>Visits</div>
+              <div className={s.summaryValue}>{visits.length}</div>
+            </div>
+            <div className={s.summaryCard}>
+              <div className={s.summaryLabel}>Ready to export</div>
+              <div className={s.summaryValue}>{readyCount}</div>
+            </div>
+            <div className={`${s.summaryCard} ${withExceptions.length > 0 ? s.summaryCardWarn : ''}`}>
+              <div className={s.summaryLabel}>With exceptions</div>
+              <div className={s.summaryValue}>{withExceptions.length}</div>
+            </div>
+          </div>
+
+          {withExceptions.length > 0 && (
+            <div className={s.tableWrap}>
+              <table className={s.table}>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Client</th>
+                    <th>Caregiver</th>
+                    <th>Clock in / out</th>
+                    <th>Exceptions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {withExceptions.map((v) => (
+                    <tr key={v.visitId}>
+                      <td>{v.serviceDate}</td>
+                      <td>{v.client.name || '—'}</td>
+                      <td>{v.caregiver?.name || '—'}</td>
+                      <td>
+                        {formatLocal(v.clockIn?.occurredAt, timezone)}
+                        {' – '}
+                        {formatLocal(v.clockOut?.occurredAt, timezone)}
+                      </td>
+                      <td>
+                        {v.exceptions.map((ex) => (
+                          <div key={`${ex.code}-${ex.message}`}>
+                            <span className={s.exceptionTag}>{EVV_EXCEPTION_LABELS[ex.code]}</span>
+                            <span className={s.exceptionMessage}>{ex.message}</span>
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
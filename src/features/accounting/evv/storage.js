@@ -0,0 +1,104 @@
+// EVV storage — query layer for the Accounting → EVV tab.
+//
+// One read path, getEvvVisitData: the shifts worked in a date range
+// plus everything src/lib/evv.js needs to turn them into visit records
+// (clock events, clients, caregivers, authorizations). Nothing is
+// written — the export is a file the office uploads to the state's
+// EVV aggregator. Settings save through `org-settings-update` (section
+// `evv`) like the payroll settings.
+//
+// Multi-tenancy: every query filters by `org_id` explicitly, same as
+// the invoicing storage.
+
+import { supabase, isSupabaseConfigured } from '../../../lib/supabase';
+import { normalizeAuthorization } from '../../../lib/authorizations.js';
+
+const EMPTY = { shifts: [], clockEvents: [], clients: [], caregivers: [], authorizations: [] };
+
+function padDay(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString();
+}
+
+/**
+ * Load the raw rows for EVV visits whose date of service falls in
+ * `startDate`..`endDate` (YYYY-MM-DD, inclusive, org timezone). The
+ * shifts window is padded a day each side in UTC; `buildEvvVisits`
+ * trims it back with `from` / `to`.
+ *
+ * Cancelled and no-show shifts are skipped — they were never visits.
+ * A failed authorizations read (e.g. before the 20260611000000
+ * migration) degrades to none: visits then take procedure codes from
+ * the EVV settings only.
+ *
+ * Throws on a failed shifts / clock events / clients / caregivers read
+ * so the tab can show the error instead of an export that silently
+ * lacks visits.
+ */
+export async function getEvvVisitData({ orgId, startDate, endDate }) {
+  if (!isSupabaseConfigured() || !orgId || !startDate || !endDate) return EMPTY;
+
+  const { data: shifts, error: shiftsError } = await supabase
+    .from('shifts')
+    .select('id, client_id, assigned_caregiver_id, service_type, start_time, end_time, status, location_address')
+    .eq('org_id', orgId)
+    .not('status', 'in', '(cancelled,no_show)')
+    .gte('start_time', padDay(startDate, -1))
+    .lt('start_time', padDay(endDate, 2))
+    .order('start_time', { ascending: true });
+  if (shiftsError) throw shiftsError;
+  if (!shifts || shifts.length === 0) return EMPTY;
+
+  const shiftIds = shifts.map((s) => s.id);
+  const { data: clockEvents, error: eventsError } = await supabase
+    .from('clock_events')
+    .select('shift_id, caregiver_id, event_type, occurred_at, latitude, longitude, geofence_passed, override_reason, source, edited_at, edit_reason')
+    .in('shift_id', shiftIds)
+    .in('event_type', ['in', 'out']);
+  if (eventsError) throw eventsError;
+
+  const clientIds = [...new Set(shifts.map((s) => s.client_id).filter(Boolean))];
+  const caregiverIds = [
+    ...new Set([
+      ...shifts.map((s) => s.assigned_caregiver_id),
+      ...(clockEvents ?? []).map((e) => e.caregiver_id),
+    ].filter(Boolean)),
+  ];
+
+  const [clientsRes, caregiversRes, authRes] = await Promise.all([
+    clientIds.length > 0
+      ? supabase
+        .from('clients')
+        .select('id, first_name, last_name, medicaid_id, payer_type, address, city, state, zip')
+        .eq('org_id', orgId)
+        .in('id', clientIds)
+      : { data: [], error: null },
+    caregiverIds.length > 0
+      ? supabase
+        .from('caregivers')
+        .select('id, first_name, last_name')
+        .eq('org_id', orgId)
+        .in('id', caregiverIds)
+      : { data: [], error: null },
+    clientIds.length > 0
+      ? supabase
+        .from('client_authorizations')
+        .select('id, client_id, payer, auth_number, service_code, service_type, unit_cap, unit_minutes, cap_period, start_date, end_date')
+        .eq('org_id', orgId)
+        .in('client_id', clientIds)
+      : { data: [], error: null },
+  ]);
+  if (clientsRes.error) throw clientsRes.error;
+  if (caregiversRes.error) throw caregiversRes.error;
+  if (authRes.error) {
+    console.error('[evv/storage] client_authorizations query failed:', authRes.error.message);
+  }
+
+  return {
+    shifts,
+    clockEvents: clockEvents ?? [],
+    clients: clientsRes.data ?? [],
+    caregivers: caregiversRes.data ?? [],
+    authorizations: (authRes.error ? [] : authRes.data ?? []).map(normalizeAuthorization),
+  };
+}
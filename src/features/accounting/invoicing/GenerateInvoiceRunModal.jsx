@@ -0,0 +1,318 @@
+import { useMemo, useState } from 'react';
+import { exportInvoiceRun, retryInvoiceRunQboPush } from './storage.js';
+import s from './GenerateInvoiceRunModal.module.css';
+
+function formatCurrency(n) {
+  const v = Number.isFinite(n) ? n : 0;
+  return v.toLocaleString('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function formatHours(n) {
+  const v = Number.isFinite(n) ? n : 0;
+  return v.toFixed(2);
+}
+
+// The biller's local calendar date — invoices are dated the day the
+// run goes out unless the back office picks another date.
+function localTodayYmd(now = new Date()) {
+  const y = now.getFullYear();
+  const m = String(now.getMonth() + 1).padStart(2, '0');
+  const d = String(now.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Same one-cent tolerance as the payroll Generate Run modal.
+const CONFIRMATION_TOLERANCE_USD = 0.01;
+
+/**
+ * Phase 3 — Generate Invoice Run modal.
+ *
+ * Exports every approved invoice for the period as one QuickBooks
+ * "Import invoices" CSV, optionally also pushing each invoice through
+ * the QuickBooks API. A push that partially fails keeps the modal open
+ * with the failures listed and a Retry button; the CSV is still
+ * downloadable from the result either way.
+ *
+ * Props:
+ *   approvedInvoices: Array<{ id, regularHours, overtimeHours,
+ *     doubleTimeHours, total }>
+ *   billingPeriodStart / billingPeriodEnd: 'YYYY-MM-DD' (display only)
+ *   onClose: () => void
+ *   onComplete: (result) => void  // called with the export result
+ */
+export function GenerateInvoiceRunModal({
+  approvedInvoices,
+  billingPeriodStart,
+  billingPeriodEnd,
+  onClose,
+  onComplete,
+}) {
+  const [confirmation, setConfirmation] = useState('');
+  const [invoiceDate, setInvoiceDate] = useState(() => localTodayYmd());
+  const [exportMode, setExportMode] = useState('csv_export');
+  const [dryRun, setDryRun] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // Set once a qbo_api run comes back with push failures.
+  const [pushResult, setPushResult] = useState(null);
+
+  const summary = useMemo(() => {
+    let count = 0;
+    let regular = 0;
+    let overtime = 0;
+    let doubleTime = 0;
+    let amount = 0;
+    for (const inv of approvedInvoices) {
+      count += 1;
+      regular += Number(inv.regularHours) || 0;
+      overtime += Number(inv.overtimeHours) || 0;
+      doubleTime += Number(inv.doubleTimeHours) || 0;
+      amount += Number(inv.total) || 0;
+    }
+    return {
+      count,
+      regular,
+      overtime,
+      doubleTime,
+      totalHours: regular + overtime + doubleTime,
+      amount: Math.round(amount * 100) / 100,
+    };
+  }, [approvedInvoices]);
+
+  const typedNumber = Number(confirmation.replace(/[^0-9.]/g, ''));
+  const typedValid = Number.isFinite(typedNumber)
+    && Math.abs(typedNumber - summary.amount) <= CONFIRMATION_TOLERANCE_USD;
+
+  async function handleGenerate() {
+    if (!typedValid || busy) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await exportInvoiceRun({
+        invoiceIds: approvedInvoices.map((inv) => inv.id),
+        invoiceDate,
+        exportMode,
+        dryRun,
+      });
+      if (result?.qbo_push?.failed?.length > 0) {
+        setPushResult(result);
+      } else {
+        onComplete?.(result);
+      }
+    } catch (err) {
+      setError(err.message || 'Export failed.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleRetryPush() {
+    if (!pushResult || busy) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const retry = await retryInvoiceRunQboPush(pushResult.invoice_run_id);
+      const merged = {
+        ...pushResult,
+        qbo_push: {
+          pushed: [...(pushResult.qbo_push?.pushed || []), ...(retry.qbo_push?.pushed || [])],
+          failed: retry.qbo_push?.failed || [],
+        },
+      };
+      if (merged.qbo_push.failed.length > 0) {
+        setPushResult(merged);
+      } else {
+        onComplete?.(merged);
+      }
+    } catch (err) {
+      setError(err.message || 'Retry failed.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (pushResult) {
+    const { failed, pushed } = pushResult.qbo_push;
+    return (
+      <div className={s.backdrop}>
+        <div className={s.modal} role="dialog" aria-modal="true">
+          <div className={s.header}>
+            <div>
+              <h2 className={s.title}>QuickBooks push incomplete</h2>
+              <div className={s.subtitle}>
+                {pushed.length} pushed, {failed.length} failed. The CSV export
+                succeeded — the failed invoices can be retried or imported
+                from the CSV.
+              </div>
+            </div>
+          </div>
+
+          <ul className={s.failureList}>
+            {failed.map((f) => (
+              <li key={f.invoice_id}>
+                <strong>{f.invoice_number || f.invoice_id}</strong>
+                {' '}&middot; {f.error}
+              </li>
+            ))}
+          </ul>
+
+          {error && (
+            <div className={s.errorBanner}>
+              {error}
+            </div>
+          )}
+
+          <div className={s.footer}>
+            <button
+              type="button"
+              className={s.btn}
+              onClick={() => onComplete?.(pushResult)}
+              disabled={busy}
+            >
+              Done + Download CSV
+            </button>
+            <button
+              type="button"
+              className={`${s.btn} ${s.btnPrimary}`}
+              onClick={handleRetryPush}
+              disabled={busy}
+            >
+              {busy ? 'Retrying…' : 'Retry QuickBooks push'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={s.backdrop} onClick={onClose}>
+      <div className={s.modal} onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true">
+        <div className={s.header}>
+          <div>
+            <h2 className={s.title}>Generate Invoice Run</h2>
+            <div className={s.subtitle}>
+              {billingPeriodStart} &rarr; {billingPeriodEnd}
+            </div>
+          </div>
+          <span className={`${s.envIndicator} ${dryRun ? s.envDryRun : s.envProd}`}>
+            {dryRun ? 'DRY-RUN' : 'PRODUCTION'}
+          </span>
+        </div>
+
+        <div className={s.summaryGrid}>
+          <div className={s.summaryItem}>
+            <div className={s.summaryLabel}>Invoices</div>
+            <div className={s.summaryValue}>{summary.count}</div>
+          </div>
+          <div className={s.summaryItem}>
+            <div className={s.summaryLabel}>Total hours</div>
+            <div className={s.summaryValue}>{formatHours(summary.totalHours)}</div>
+            <div className={s.summarySubtle}>
+              Reg {formatHours(summary.regular)} ·
+              OT {formatHours(summary.overtime)} ·
+              DT {formatHours(summary.doubleTime)}
+            </div>
+          </div>
+          <div className={`${s.summaryItem} ${s.summaryTotal}`}>
+            <div className={s.summaryLabel}>Total billed</div>
+            <div className={s.summaryValue}>{formatCurrency(summary.amount)}</div>
+          </div>
+          <label className={s.summaryItem}>
+            <div className={s.summaryLabel}>Invoice date</div>
+            <input
+              type="date"
+              className={s.dateInput}
+              value={invoiceDate}
+              onChange={(e) => setInvoiceDate(e.target.value)}
+              disabled={busy}
+            />
+          </label>
+        </div>
+
+        <fieldset className={s.modeGroup} disabled={busy}>
+          <legend className={s.summaryLabel}>Export</legend>
+          <label className={s.modeOption}>
+            <input
+              type="radio"
+              name="invoice-export-mode"
+              checked={exportMode === 'csv_export'}
+              onChange={() => setExportMode('csv_export')}
+            />
+            {' '}QuickBooks import CSV
+          </label>
+          <label className={s.modeOption}>
+            <input
+              type="radio"
+              name="invoice-export-mode"
+              checked={exportMode === 'qbo_api'}
+              onChange={() => setExportMode('qbo_api')}
+            />
+            {' '}CSV + push invoices to QuickBooks
+          </label>
+        </fieldset>
+
+        <div className={s.confirmation}>
+          <label className={s.confirmationLabel}>
+            Type the run total in dollars to confirm:
+            <input
+              type="text"
+              inputMode="decimal"
+              className={s.confirmationInput}
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              placeholder={summary.amount.toFixed(2)}
+              disabled={busy}
+              autoFocus
+            />
+          </label>
+          {confirmation.length > 0 && !typedValid && (
+            <div className={s.confirmationHint}>
+              Must match {formatCurrency(summary.amount)} (within $0.01).
+            </div>
+          )}
+        </div>
+
+        <label className={s.dryRunToggle}>
+          <input
+            type="checkbox"
+            checked={dryRun}
+            onChange={(e) => setDryRun(e.target.checked)}
+            disabled={busy}
+          />
+          {' '}Dry-run (preview CSV with placeholder numbers — no invoice_runs
+          row, no status flips, nothing pushed to QuickBooks).
+        </label>
+
+        {error && (
+          <div className={s.errorBanner}>
+            Export failed: {error}
+          </div>
+        )}
+
+        <div className={s.footer}>
+          <button type="button" className={s.btn} onClick={onClose} disabled={busy}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className={`${s.btn} ${s.btnPrimary}`}
+            onClick={handleGenerate}
+            disabled={!typedValid || busy || summary.count === 0 || !invoiceDate}
+          >
+            {busy
+              ? 'Generating…'
+              : dryRun
+                ? 'Generate dry-run CSV'
+                : 'Generate Run + Download CSV'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,383 @@
+import { useState } from 'react';
+import { ExceptionBadge } from '../payroll/ExceptionBadge';
+import { approveInvoice, unapproveInvoice, editInvoiceLine } from './storage';
+import { EDITABLE_INVOICE_STATUSES } from '../../../lib/invoicing/approvalStateMachine.js';
+import { computeLineAmount } from '../../../lib/invoicing/invoiceEdits.js';
+import { useApp } from '../../../shared/context/AppContext';
+import s from './InvoiceRow.module.css';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  pending_approval: 'Pending approval',
+  approved: 'Approved',
+  exported: 'Exported',
+  sent: 'Sent',
+  partially_paid: 'Partially paid',
+  paid: 'Paid',
+  rejected: 'Rejected',
+  blocked: 'Blocked',
+};
+
+const HOUR_CLASSIFICATION_LABELS = {
+  regular: 'Reg',
+  overtime: 'OT',
+  double_time: 'DT',
+};
+
+// Line fields the biller can correct. Mirrors EDITABLE_LINE_FIELDS in
+// src/lib/invoicing/invoiceEdits.js.
+const LINE_FIELD_LABELS = {
+  hours_worked: 'Hours',
+  billable_rate_applied: 'Rate',
+};
+
+const EDITABLE_STATUSES = new Set(EDITABLE_INVOICE_STATUSES);
+const COLUMN_COUNT = 11;
+
+function formatCurrency(n) {
+  const v = Number.isFinite(n) ? n : 0;
+  return v.toLocaleString('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function formatHours(n) {
+  const v = Number.isFinite(n) ? n : 0;
+  return v.toFixed(2);
+}
+
+function clientDisplayName(client) {
+  const first = client?.first_name?.trim() || '';
+  const last = client?.last_name?.trim() || '';
+  const full = `${first} ${last}`.trim();
+  return full || client?.id || 'Unknown client';
+}
+
+function hasBlockerExceptions(exceptions) {
+  return exceptions.some((e) => e?.severity === 'block');
+}
+
+/**
+ * One persisted invoice in the Invoicing This Week table. Mirrors the
+ * payroll TimesheetRow: Approve / Unapprove on the row, and an expand
+ * panel listing the invoice_shifts lines with inline Hours / Rate
+ * edits (reason required). Edits only change the invoice snapshot;
+ * the edge function recomputes the invoice totals.
+ */
+export function InvoiceRow({
+  invoice,
+  lines,
+  client,
+  exceptions,
+  onChanged,
+}) {
+  const { showToast } = useApp();
+  const [expanded, setExpanded] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [editingField, setEditingField] = useState(null); // { shiftId, key }
+  const [editValue, setEditValue] = useState('');
+  const [editReason, setEditReason] = useState('');
+
+  const status = invoice.status || 'draft';
+  const statusLabel = STATUS_LABELS[status] || status;
+  const isEditable = EDITABLE_STATUSES.has(status);
+  const canApprove = (status === 'draft' || status === 'pending_approval')
+    && !hasBlockerExceptions(exceptions);
+  const canUnapprove = status === 'approved';
+
+  // ─── Action handlers ──────────────────────────────────────────
+
+  function startEdit({ shiftId, key, currentValue }) {
+    setEditingField({ shiftId, key });
+    setEditValue(currentValue == null ? '' : String(currentValue));
+    setEditReason('');
+  }
+
+  function cancelEdit() {
+    setEditingField(null);
+    setEditValue('');
+    setEditReason('');
+  }
+
+  async function saveEdit() {
+    if (!editingField) return;
+    if (editReason.trim().length === 0) {
+      showToast?.('Reason is required for inline edits.');
+      return;
+    }
+    const numValue = Number(editValue);
+    if (editValue === '' || !Number.isFinite(numValue) || numValue < 0) {
+      showToast?.('Value must be a non-negative number.');
+      return;
+    }
+    setBusy(true);
+    try {
+      await editInvoiceLine({
+        invoiceId: invoice.id,
+        shiftId: editingField.shiftId,
+        edits: { [editingField.key]: numValue },
+        reason: editReason.trim(),
+      });
+      cancelEdit();
+      onChanged?.();
+    } catch (err) {
+      showToast?.(`Edit failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleApprove() {
+    if (!canApprove) return;
+    setBusy(true);
+    try {
+      await approveInvoice(invoice.id);
+      onChanged?.();
+    } catch (err) {
+      showToast?.(`Approve failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleUnapprove() {
+    if (!canUnapprove) return;
+    setBusy(true);
+    try {
+      await unapproveInvoice(invoice.id);
+      onChanged?.();
+    } catch (err) {
+      showToast?.(`Unapprove failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ─── Render ────────────────────────────────────────────────────
+
+  function renderLineCell(line, key, display) {
+    const isEditingThis = editingField?.shiftId === line.shiftId && editingField.key === key;
+    if (isEditingThis) {
+      return (
+        <td>
+          <input
+            className={s.inlineInput}
+            type="number"
+            step="0.01"
+            min="0"
+            value={editValue}
+            onChange={(e) => setEditValue(e.target.value)}
+            disabled={busy}
+            autoFocus
+          />
+        </td>
+      );
+    }
+    return <td>{display}</td>;
+  }
+
+  return (
+    <>
+      <tr className={`${s.row} ${status === 'blocked' ? s.rowBlocked : ''}`}>
+        <td className={s.expandCell}>
+          <button
+            type="button"
+            className={s.expandBtn}
+            onClick={() => setExpanded((v) => !v)}
+            aria-label={expanded ? 'Collapse invoice lines' : 'Expand invoice lines'}
+          >
+            {expanded ? '▾' : '▸'}
+          </button>
+        </td>
+        <td className={s.nameCell}>
+          <div className={s.name}>{clientDisplayName(client)}</div>
+          {client?.payer_type && <div className={s.payerTag}>{client.payer_type}</div>}
+        </td>
+        <td className={s.numCell}>{formatHours(invoice.regularHours)}</td>
+        <td className={s.numCell}>{formatHours(invoice.overtimeHours)}</td>
+        <td className={s.numCell}>{formatHours(invoice.doubleTimeHours)}</td>
+        <td className={s.numCell}>
+          {invoice.regularRate != null
+            ? formatCurrency(invoice.regularRate)
+            : <span className={s.rateMixed}>Mixed / unset</span>}
+        </td>
+        <td className={s.numCell}>
+          {invoice.otRate != null
+            ? formatCurrency(invoice.otRate)
+            : <span className={s.rateMixed}>&mdash;</span>}
+        </td>
+        <td className={s.numCell}>
+          <strong>{formatCurrency(invoice.total)}</strong>
+        </td>
+        <td className={s.statusCell}>
+          <span className={`${s.statusBadge} ${s[`status_${status}`] || ''}`}>
+            {statusLabel}
+          </span>
+        </td>
+        <td className={s.exceptionsCell}>
+          {exceptions.length === 0 ? (
+            <span className={s.subtle}>—</span>
+          ) : (
+            exceptions.map((ex, idx) => (
+              <ExceptionBadge key={`${ex.code}_${ex.shiftId || idx}`} exception={ex} />
+            ))
+          )}
+        </td>
+        <td className={s.actionsCell}>
+          {canApprove && (
+            <button
+              type="button"
+              className={`${s.actionBtn} ${s.actionPrimary}`}
+              onClick={handleApprove}
+              disabled={busy}
+            >
+              Approve
+            </button>
+          )}
+          {canUnapprove && (
+            <button
+              type="button"
+              className={s.actionBtn}
+              onClick={handleUnapprove}
+              disabled={busy}
+            >
+              Unapprove
+            </button>
+          )}
+        </td>
+      </tr>
+
+      {/* Inline-edit reason row — appears under the row being edited */}
+      {editingField && (
+        <tr className={s.editReasonRow}>
+          <td colSpan={COLUMN_COUNT} className={s.editReasonCell}>
+            <div className={s.editReasonLine}>
+              <label className={s.editReasonLabel}>
+                Reason (required)
+                <input
+                  className={s.editReasonInput}
+                  type="text"
+                  value={editReason}
+                  onChange={(e) => setEditReason(e.target.value)}
+                  placeholder="e.g. Client approved 30 min less — corrected billed hours"
+                  disabled={busy}
+                />
+              </label>
+              <button type="button" className={`${s.actionBtn} ${s.actionPrimary}`}
+                onClick={saveEdit}
+                disabled={busy || editReason.trim().length === 0}>
+                Save
+              </button>
+              <button type="button" className={s.actionBtn} onClick={cancelEdit} disabled={busy}>
+                Cancel
+              </button>
+            </div>
+          </td>
+        </tr>
+      )}
+
+      {expanded && (
+        <tr className={s.detailRow}>
+          <td colSpan={COLUMN_COUNT} className={s.detailCell}>
+            {lines.length === 0 ? (
+              <div className={s.subtle}>No shift line items recorded for this invoice.</div>
+            ) : (
+              <table className={s.detailTable}>
+                <thead>
+                  <tr>
+                    <th>Shift</th>
+                    <th>Hours</th>
+                    <th>Class</th>
+                    <th>Rate</th>
+                    <th>Amount</th>
+                    {isEditable && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map((line) => (
+                    <tr key={line.shiftId}>
+                      <td>
+                        <div className={s.mono}>{line.shiftId}</div>
+                        {line.billedCaregivers > 1 && (
+                          <div className={s.subtle}>{line.billedCaregivers} caregivers billed</div>
+                        )}
+                      </td>
+                      {renderLineCell(line, 'hours_worked', formatHours(line.hoursWorked))}
+                      <td>
+                        {line.billedDays != null
+                          ? `Live-in × ${line.billedDays} ${line.billedDays === 1 ? 'day' : 'days'}`
+                          : HOUR_CLASSIFICATION_LABELS[line.hourClassification]
+                            || line.hourClassification}
+                      </td>
+                      {renderLineCell(
+                        line,
+                        'billable_rate_applied',
+                        line.billableRateApplied != null
+                          ? `${formatCurrency(line.billableRateApplied)}${line.billedDays != null ? '/day' : ''}`
+                          : <span className={s.rateMissing}>Missing</span>,
+                      )}
+                      <td>
+                        {formatCurrency(computeLineAmount({
+                          hours_worked: line.hoursWorked,
+                          hour_classification: line.hourClassification,
+                          billable_rate_applied: line.billableRateApplied,
+                          billed_days: line.billedDays,
+                        }, invoice.otRate))}
+                      </td>
+                      {isEditable && (
+                        <td>
+                          {Object.entries(LINE_FIELD_LABELS).map(([key, label]) => (
+                            <button
+                              key={key}
+                              type="button"
+                              className={s.smallBtn}
+                              disabled={busy}
+                              onClick={() => startEdit({
+                                shiftId: line.shiftId,
+                                key,
+                                currentValue: key === 'hours_worked'
+                                  ? line.hoursWorked
+                                  : line.billableRateApplied,
+                              })}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {invoice.blockReason && (
+              <div className={s.blockReason}>
+                Block reason: <code>{invoice.blockReason}</code>
+              </div>
+            )}
+            {invoice.lastEditedBy && (
+              <div className={s.subtle} style={{ marginTop: 8 }}>
+                Last edited {invoice.lastEditedAt
+                  ? `${new Date(invoice.lastEditedAt).toLocaleString()} `
+                  : ''}
+                by {invoice.lastEditedBy}
+                {invoice.lastEditReason ? ` — "${invoice.lastEditReason}"` : ''}
+              </div>
+            )}
+            {invoice.approvedBy && (
+              <div className={s.subtle} style={{ marginTop: 8 }}>
+                Approved {invoice.approvedAt
+                  ? `${new Date(invoice.approvedAt).toLocaleString()} `
+                  : ''}
+                by {invoice.approvedBy}
+              </div>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
@@ -1,25 +1,37 @@
 import { useState } from 'react';
 import { ThisWeekView } from './ThisWeekView';
+import { ReceivablesView } from './ReceivablesView';
+import { RateCardsView } from '../RateCardsView';
+import { RATE_CARD_SCOPE } from '../../../lib/rateCards';
 import s from './InvoicingTab.module.css';
 
 const VIEWS = [
   { id: 'this_week', label: 'This Week' },
-  // Phase 2 will add 'invoices' (per-client invoice history) and Phase 3
-  // will add 'runs' (invoice run history) + 'settings' (per-client rate
-  // config). The segmented control is here so future phases only add
-  // onClick + state, not layout.
+  { id: 'receivables', label: 'A/R Aging' },
+  { id: 'rate_cards', label: 'Rate Cards' },
+  // Later: 'invoices' (per-client invoice history), 'runs' (invoice
+  // run history).
 ];
 
+const BILL_SCOPES = [RATE_CARD_SCOPE.CLIENT, RATE_CARD_SCOPE.PAYER];
+
 /**
- * Invoicing sub-tab — Phase 1 read-only preview.
+ * Invoicing sub-tab.
+ *
+ * "This Week" shows the draft invoices the Wednesday
+ * `invoicing-generate` cron persisted for the prior workweek, with
+ * inline line edits, per-row Approve / Unapprove, Approve All Clean,
+ * and Generate Invoice Run. Before the cron has run for the week it
+ * shows the live preview rollup instead.
+ *
+ * "A/R Aging" tracks what clients still owe: aging buckets per client
+ * and payer type, CSV export, Mark Sent, and payments / write-offs.
  *
- * Shows a "This Week" rollup of every completed shift in the prior
- * workweek grouped by client, with the live computation of what the
- * billable total WOULD BE if we generated invoices today. No drafts
- * are persisted; that's Phase 2.
+ * "Rate Cards" manages per-service-type bill rates for clients and
+ * payer types.
  */
 export function InvoicingTab() {
-  const [view] = useState('this_week');
+  const [view, setView] = useState('this_week');
 
   return (
     <div className={s.tab}>
@@ -29,7 +41,8 @@ export function InvoicingTab() {
             key={v.id}
             type="button"
             className={`${s.viewBtn} ${view === v.id ? s.viewBtnActive : ''}`}
-            disabled={view === v.id}
+            onClick={() => setView(v.id)}
+            aria-pressed={view === v.id}
           >
             {v.label}
           </button>
@@ -37,6 +50,8 @@ export function InvoicingTab() {
       </div>
 
       {view === 'this_week' && <ThisWeekView />}
+      {view === 'receivables' && <ReceivablesView />}
+      {view === 'rate_cards' && <RateCardsView scopes={BILL_SCOPES} />}
     </div>
   );
 }
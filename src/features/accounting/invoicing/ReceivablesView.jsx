@@ -0,0 +1,327 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import {
+  INVOICE_STATUS,
+  invoiceBalanceDue,
+} from '../../../lib/invoicing/approvalStateMachine.js';
+import {
+  AGING_BUCKETS,
+  buildArAgingReport,
+  generateArAgingCsv,
+} from '../../../lib/invoicing/arAging.js';
+import { customerDisplayName, resolveExportConfig } from '../../../lib/invoicing/qboExport.js';
+import {
+  getOpenReceivables,
+  markInvoiceSent,
+  recordInvoicePayment,
+} from './storage.js';
+import { RecordPaymentModal } from './RecordPaymentModal';
+import s from './ReceivablesView.module.css';
+
+const STATUS_LABELS = {
+  [INVOICE_STATUS.EXPORTED]: 'Exported',
+  [INVOICE_STATUS.SENT]: 'Sent',
+  [INVOICE_STATUS.PARTIALLY_PAID]: 'Partially paid',
+};
+
+const GROUPINGS = [
+  { id: 'client', label: 'By client' },
+  { id: 'payer_type', label: 'By payer type' },
+];
+
+function formatCurrency(n) {
+  const v = Number.isFinite(n) ? n : 0;
+  return v.toLocaleString('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function localTodayYmd(now = new Date()) {
+  const y = now.getFullYear();
+  const m = String(now.getMonth() + 1).padStart(2, '0');
+  const d = String(now.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function downloadCsv(filename, csv) {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Invoicing "A/R Aging" view.
+ *
+ * Every invoice that has gone out and is not yet settled (exported,
+ * sent, partially paid), bucketed Current / 1–30 / 31–60 / 61–90 / 90+
+ * days past due and rolled up per client or per payer type, with a
+ * CSV export of the rollup. Below the rollup, the open invoices
+ * themselves with Mark Sent and Record Payment (payment, partial
+ * payment, or write-off).
+ *
+ * Due dates come from the invoice (stamped at export from the org's
+ * payment terms); older invoices fall back to the same terms.
+ */
+export function ReceivablesView() {
+  const { currentOrgId, currentOrgSettings, showToast } = useApp();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState({ invoices: [], clients: [] });
+  const [grouping, setGrouping] = useState('client');
+  const [payingInvoice, setPayingInvoice] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadCounter, setReloadCounter] = useState(0);
+
+  const asOfDate = localTodayYmd();
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const result = await getOpenReceivables({ orgId: currentOrgId });
+        if (!cancelled) setData(result);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || String(err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [currentOrgId, reloadCounter]);
+
+  function reload() {
+    setReloadCounter((n) => n + 1);
+  }
+
+  const report = useMemo(() => buildArAgingReport({
+    invoices: data.invoices,
+    clients: data.clients,
+    asOfDate,
+    paymentTermsDays: resolveExportConfig(currentOrgSettings).paymentTermsDays,
+  }), [data, asOfDate, currentOrgSettings]);
+
+  const clientsById = useMemo(
+    () => new Map(data.clients.map((c) => [c.id, c])),
+    [data.clients],
+  );
+  const invoicesById = useMemo(
+    () => new Map(data.invoices.map((inv) => [inv.id, inv])),
+    [data.invoices],
+  );
+
+  const groups = grouping === 'client'
+    ? report.byClient.map((g) => ({ key: g.clientId, name: g.clientName, sub: g.payerType, ...g }))
+    : report.byPayerType.map((g) => ({ key: g.payerType, name: g.payerType, sub: null, ...g }));
+
+  function handleExportCsv() {
+    downloadCsv(`ar-aging-${asOfDate}.csv`, generateArAgingCsv(report));
+  }
+
+  async function handleMarkSent(invoice) {
+    if (busy) return;
+    if (!window.confirm(
+      `Mark invoice ${invoice.invoice_number || invoice.id} as sent to the client today (${asOfDate})?`,
+    )) return;
+    setBusy(true);
+    try {
+      await markInvoiceSent({ invoiceId: invoice.id, sentDate: asOfDate });
+      showToast?.(`Invoice ${invoice.invoice_number || ''} marked sent.`);
+      reload();
+    } catch (err) {
+      showToast?.(`Mark sent failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleRecordPayment(payload) {
+    if (!payingInvoice || busy) return;
+    setBusy(true);
+    try {
+      const result = await recordInvoicePayment({ invoiceId: payingInvoice.id, ...payload });
+      showToast?.(
+        result.status === INVOICE_STATUS.PAID
+          ? `Invoice ${payingInvoice.invoice_number || ''} paid in full.`
+          : `Recorded. ${formatCurrency(result.balance_due)} still open.`,
+      );
+      setPayingInvoice(null);
+      reload();
+    } catch (err) {
+      showToast?.(`Recording failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className={s.view}>
+      <div className={s.header}>
+        <div>
+          <div className={s.periodLine}>
+            Accounts receivable as of <strong>{asOfDate}</strong>
+          </div>
+          <div className={s.subtle}>
+            {report.totals.invoiceCount} open invoice{report.totals.invoiceCount === 1 ? '' : 's'}
+            {' '}&middot; {formatCurrency(report.totals.total)} outstanding
+          </div>
+        </div>
+        <div className={s.headerActions}>
+          {GROUPINGS.map((g) => (
+            <button
+              key={g.id}
+              type="button"
+              className={`${s.btn} ${grouping === g.id ? s.btnActive : ''}`}
+              onClick={() => setGrouping(g.id)}
+              aria-pressed={grouping === g.id}
+            >
+              {g.label}
+            </button>
+          ))}
+          <button
+            type="button"
+            className={s.btn}
+            onClick={handleExportCsv}
+            disabled={report.totals.invoiceCount === 0}
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className={s.errorBanner}>
+          Failed to load receivables: {error}
+        </div>
+      )}
+
+      <div className={s.bucketGrid}>
+        {AGING_BUCKETS.map((b) => (
+          <div
+            key={b.id}
+            className={`${s.bucketCard} ${b.id !== 'current' && report.totals.buckets[b.id] > 0 ? s.bucketPastDue : ''}`}
+          >
+            <div className={s.bucketLabel}>{b.label}</div>
+            <div className={s.bucketValue}>{formatCurrency(report.totals.buckets[b.id])}</div>
+          </div>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className={s.empty}>Loading receivables…</div>
+      ) : report.totals.invoiceCount === 0 ? (
+        <div className={s.empty}>No open receivables. Every exported invoice is paid.</div>
+      ) : (
+        <>
+          <div className={s.tableWrap}>
+            <table className={s.table}>
+              <thead>
+                <tr>
+                  <th className={s.thLeft}>{grouping === 'client' ? 'Client' : 'Payer type'}</th>
+                  {AGING_BUCKETS.map((b) => (
+                    <th key={b.id} className={s.thRight}>{b.label}</th>
+                  ))}
+                  <th className={s.thRight}>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {groups.map((g) => (
+                  <tr key={g.key}>
+                    <td className={s.tdLeft}>
+                      <div className={s.clientName}>{g.name}</div>
+                      {g.sub && <div className={s.payerTag}>{g.sub}</div>}
+                    </td>
+                    {AGING_BUCKETS.map((b) => (
+                      <td key={b.id} className={s.numCell}>
+                        {g.buckets[b.id] > 0 ? formatCurrency(g.buckets[b.id]) : '—'}
+                      </td>
+                    ))}
+                    <td className={s.numCell}><strong>{formatCurrency(g.total)}</strong></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className={s.tableWrap}>
+            <table className={s.table}>
+              <thead>
+                <tr>
+                  <th className={s.thLeft}>Invoice</th>
+                  <th className={s.thLeft}>Client</th>
+                  <th className={s.thLeft}>Status</th>
+                  <th className={s.thLeft}>Due</th>
+                  <th className={s.thRight}>Days past due</th>
+                  <th className={s.thRight}>Balance</th>
+                  <th className={s.thRight}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.invoices.map((row) => {
+                  const invoice = invoicesById.get(row.invoiceId);
+                  return (
+                    <tr key={row.invoiceId}>
+                      <td className={s.tdLeft}>{row.invoiceNumber || '—'}</td>
+                      <td className={s.tdLeft}>
+                        {customerDisplayName(clientsById.get(row.clientId) || { id: row.clientId })}
+                      </td>
+                      <td className={s.tdLeft}>{STATUS_LABELS[row.status] || row.status}</td>
+                      <td className={s.tdLeft}>{row.dueDate || '—'}</td>
+                      <td className={`${s.numCell} ${row.daysPastDue > 0 ? s.pastDue : ''}`}>
+                        {row.daysPastDue > 0 ? row.daysPastDue : '—'}
+                      </td>
+                      <td className={s.numCell}>{formatCurrency(row.balanceDue)}</td>
+                      <td className={s.actionsCell}>
+                        {row.status === INVOICE_STATUS.EXPORTED && (
+                          <button
+                            type="button"
+                            className={s.btn}
+                            onClick={() => handleMarkSent(invoice)}
+                            disabled={busy}
+                          >
+                            Mark Sent
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          className={`${s.btn} ${s.btnPrimary}`}
+                          onClick={() => setPayingInvoice(invoice)}
+                          disabled={busy}
+                        >
+                          Record Payment
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {payingInvoice && (
+        <RecordPaymentModal
+          invoice={payingInvoice}
+          clientName={customerDisplayName(
+            clientsById.get(payingInvoice.client_id) || { id: payingInvoice.client_id },
+          )}
+          balanceDue={invoiceBalanceDue(payingInvoice)}
+          busy={busy}
+          onClose={() => setPayingInvoice(null)}
+          onConfirm={handleRecordPayment}
+        />
+      )}
+    </div>
+  );
+}
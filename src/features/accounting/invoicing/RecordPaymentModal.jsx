@@ -0,0 +1,205 @@
+import { useState } from 'react';
+import {
+  evaluateRecordPaymentAction,
+  PAYMENT_KIND,
+  PAYMENT_METHOD,
+} from '../../../lib/invoicing/approvalStateMachine.js';
+import s from './RecordPaymentModal.module.css';
+
+const METHOD_LABELS = {
+  [PAYMENT_METHOD.CHECK]: 'Check',
+  [PAYMENT_METHOD.ACH]: 'ACH / bank transfer',
+  [PAYMENT_METHOD.CARD]: 'Card',
+  [PAYMENT_METHOD.CASH]: 'Cash',
+  [PAYMENT_METHOD.OTHER]: 'Other',
+};
+
+function formatCurrency(n) {
+  const v = Number.isFinite(n) ? n : 0;
+  return v.toLocaleString('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Record a payment or write-off against one open invoice.
+ *
+ * Defaults to a payment for the full balance ("Mark as Paid"); lowering
+ * the amount records a partial payment. Validation runs through the
+ * same evaluateRecordPaymentAction the edge function uses, so the
+ * submit button and the server agree on what is allowed. Calls
+ * onConfirm({ kind, method, amount, receivedDate, reference, notes });
+ * the parent does the invocation + toast + reload.
+ *
+ * Props:
+ *   invoice: { id, invoice_number, status, total, amount_paid,
+ *     amount_written_off }  (DB row)
+ *   clientName: string (display only)
+ *   balanceDue: number
+ */
+export function RecordPaymentModal({ invoice, clientName, balanceDue, onClose, onConfirm, busy }) {
+  const [kind, setKind] = useState(PAYMENT_KIND.PAYMENT);
+  const [method, setMethod] = useState(PAYMENT_METHOD.CHECK);
+  const [amount, setAmount] = useState(balanceDue.toFixed(2));
+  const [receivedDate, setReceivedDate] = useState(todayIso());
+  const [reference, setReference] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const isWriteOff = kind === PAYMENT_KIND.WRITE_OFF;
+  const decision = evaluateRecordPaymentAction({
+    invoice,
+    kind,
+    method: isWriteOff ? null : method,
+    amount: Number(amount),
+    receivedDate,
+    reason: notes,
+  });
+
+  function handleSubmit() {
+    if (!decision.ok || busy) return;
+    onConfirm({
+      kind,
+      method: isWriteOff ? null : method,
+      amount: decision.amount,
+      receivedDate,
+      reference: isWriteOff ? null : reference.trim() || null,
+      notes: notes.trim() || null,
+    });
+  }
+
+  return (
+    <div className={s.backdrop} onClick={onClose}>
+      <div className={s.modal} onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true">
+        <h2 className={s.title}>
+          {isWriteOff ? 'Write Off Balance' : 'Record Payment'}
+        </h2>
+        <p className={s.lede}>
+          Invoice <strong>{invoice.invoice_number || invoice.id}</strong> for{' '}
+          <strong>{clientName}</strong> &middot; balance due{' '}
+          <strong>{formatCurrency(balanceDue)}</strong> of {formatCurrency(Number(invoice.total))}.
+        </p>
+
+        <div className={s.kindToggle} role="radiogroup">
+          <label>
+            <input
+              type="radio"
+              name="payment-kind"
+              checked={!isWriteOff}
+              onChange={() => setKind(PAYMENT_KIND.PAYMENT)}
+              disabled={busy}
+            />
+            {' '}Payment received
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="payment-kind"
+              checked={isWriteOff}
+              onChange={() => setKind(PAYMENT_KIND.WRITE_OFF)}
+              disabled={busy}
+            />
+            {' '}Write-off
+          </label>
+        </div>
+
+        <div className={s.row}>
+          <label className={s.field}>
+            Amount
+            <input
+              type="text"
+              inputMode="decimal"
+              className={s.input}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              disabled={busy}
+            />
+          </label>
+          <label className={s.field}>
+            {isWriteOff ? 'Write-off date' : 'Received date'}
+            <input
+              type="date"
+              className={s.input}
+              value={receivedDate}
+              onChange={(e) => setReceivedDate(e.target.value)}
+              max={todayIso()}
+              disabled={busy}
+            />
+          </label>
+        </div>
+
+        {!isWriteOff && (
+          <div className={s.row}>
+            <label className={s.field}>
+              Method
+              <select
+                className={s.input}
+                value={method}
+                onChange={(e) => setMethod(e.target.value)}
+                disabled={busy}
+              >
+                {Object.values(PAYMENT_METHOD).map((m) => (
+                  <option key={m} value={m}>{METHOD_LABELS[m]}</option>
+                ))}
+              </select>
+            </label>
+            <label className={s.field}>
+              Reference (optional)
+              <input
+                type="text"
+                className={s.input}
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+                placeholder="Check #, ACH trace, card last 4"
+                disabled={busy}
+              />
+            </label>
+          </div>
+        )}
+
+        <label className={s.field}>
+          {isWriteOff ? 'Reason' : 'Notes (optional)'}
+          <input
+            type="text"
+            className={s.input}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder={isWriteOff ? 'e.g. Uncollectible after 120 days' : ''}
+            disabled={busy}
+          />
+        </label>
+
+        {!decision.ok && amount !== '' && (
+          <div className={s.hint}>{decision.message}</div>
+        )}
+        {decision.ok && (
+          <div className={s.outcome}>
+            {decision.balanceDue > 0
+              ? `Leaves ${formatCurrency(decision.balanceDue)} open — invoice moves to Partially paid.`
+              : 'Settles the invoice — it moves to Paid.'}
+          </div>
+        )}
+
+        <div className={s.footer}>
+          <button type="button" className={s.btn} onClick={onClose} disabled={busy}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className={`${s.btn} ${s.btnPrimary}`}
+            disabled={!decision.ok || busy}
+            onClick={handleSubmit}
+          >
+            {busy ? 'Saving…' : isWriteOff ? 'Write Off' : 'Record Payment'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,19 @@
 import { useEffect, useMemo, useState } from 'react';
 import { useApp } from '../../../shared/context/AppContext';
 import { buildInvoice } from '../../../lib/invoicing/invoiceBuilder.js';
-import { getPeriodPreviewData, priorWorkweek } from './storage.js';
+import {
+  INVOICE_STATUS,
+  selectApprovableIds,
+} from '../../../lib/invoicing/approvalStateMachine.js';
+import { parseExceptionsFromNotes } from '../storage';
+import {
+  approveInvoicesBulk,
+  getInvoicesForPeriod,
+  getPeriodPreviewData,
+  priorWorkweek,
+} from './storage.js';
+import { GenerateInvoiceRunModal } from './GenerateInvoiceRunModal';
+import { InvoiceRow } from './InvoiceRow';
 import s from './ThisWeekView.module.css';
 
 function formatCurrency(n) {
@@ -35,30 +47,40 @@ function rateLabel(client, regularRate) {
 }
 
 /**
- * Phase 1 read-only "This Week" view.
+ * Invoicing "This Week" view.
  *
- * Renders a per-client preview of what an invoice run for the prior
- * workweek would total. Pulls completed shifts + their payroll
+ * Once the Wednesday `invoicing-generate` cron has run, renders the
+ * persisted draft invoices for the prior workweek (one InvoiceRow per
+ * client) with per-row Approve / Unapprove, inline line edits, and a
+ * top-of-table Approve All Clean that bulk-approves every draft with
+ * no block-severity exceptions and a positive total. Generate Invoice
+ * Run (Phase 3) exports every approved invoice to QuickBooks.
+ *
+ * Before the cron has reached the week, falls back to the Phase 1
+ * live preview: pulls completed shifts + their payroll
  * hour-classification, runs the in-memory invoice builder, and
- * displays the rollup. Nothing is persisted.
+ * displays the rollup without persisting anything.
  *
  * The view is scoped by the org's payroll timezone (same as the
- * payroll This Week view) so the period header always agrees with the
- * Payroll tab. Once the Phase 2 cron lands, this view will be backed
- * by the persisted invoices table instead of an in-memory rebuild.
+ * payroll This Week view and the cron) so the period header always
+ * agrees with the Payroll tab.
  */
 export function ThisWeekView() {
-  const { currentOrgId, currentOrgSettings } = useApp();
+  const { currentOrgId, currentOrgSettings, showToast } = useApp();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [invoices, setInvoices] = useState([]);
   const [previewData, setPreviewData] = useState({ clients: [] });
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [showGenerateModal, setShowGenerateModal] = useState(false);
+  const [reloadCounter, setReloadCounter] = useState(0);
 
   // Use the same timezone setting payroll uses so the two tabs stay in
   // lockstep. If invoicing later wants its own timezone setting, this
   // is the place to swap in `currentOrgSettings?.invoicing?.timezone`.
   const period = useMemo(() => {
     const tz = currentOrgSettings?.payroll?.timezone || 'America/Los_Angeles';
-    return priorWorkweek(new Date(), tz);
+    return { ...priorWorkweek(new Date(), tz), timezone: tz };
   }, [currentOrgSettings]);
 
   useEffect(() => {
@@ -66,16 +88,30 @@ export function ThisWeekView() {
     async function load() {
       if (!currentOrgId) {
         setLoading(false);
+        setInvoices([]);
         setPreviewData({ clients: [] });
         return;
       }
       setLoading(true);
       setError(null);
       try {
+        const persisted = await getInvoicesForPeriod({
+          orgId: currentOrgId,
+          periodStart: period.start,
+        });
+        if (cancelled) return;
+        setInvoices(persisted);
+        // Only build the live preview when the cron hasn't generated
+        // this week yet.
+        if (persisted.length > 0) {
+          setPreviewData({ clients: [] });
+          return;
+        }
         const data = await getPeriodPreviewData({
           orgId: currentOrgId,
           periodStart: period.start,
           periodEnd: period.end,
+          timezone: period.timezone,
         });
         if (!cancelled) setPreviewData(data);
       } catch (err) {
@@ -86,26 +122,135 @@ export function ThisWeekView() {
     }
     load();
     return () => { cancelled = true; };
-  }, [currentOrgId, period.start, period.end]);
+  }, [currentOrgId, period.start, period.end, period.timezone, reloadCounter]);
+
+  function reload() {
+    setReloadCounter((n) => n + 1);
+  }
+
+  const isPersisted = invoices.length > 0;
+
+  // Map<invoiceId, exceptions[]> for the approval gate helpers.
+  const exceptionsByInvoiceId = useMemo(() => {
+    const m = new Map();
+    for (const { invoice } of invoices) {
+      m.set(invoice.id, parseExceptionsFromNotes(invoice.notes));
+    }
+    return m;
+  }, [invoices]);
+
+  const approvableIds = useMemo(() => selectApprovableIds({
+    invoices: invoices.map(({ invoice }) => ({
+      id: invoice.id,
+      status: invoice.status,
+      total: invoice.total,
+    })),
+    exceptionsByInvoiceId,
+  }), [invoices, exceptionsByInvoiceId]);
+
+  const persistedTotals = useMemo(() => {
+    let regular = 0;
+    let overtime = 0;
+    let doubleTime = 0;
+    let amount = 0;
+    let blocked = 0;
+    let approved = 0;
+    for (const { invoice } of invoices) {
+      regular += invoice.regularHours;
+      overtime += invoice.overtimeHours;
+      doubleTime += invoice.doubleTimeHours;
+      amount += invoice.total;
+      if (invoice.status === INVOICE_STATUS.BLOCKED) blocked += 1;
+      if (invoice.status === INVOICE_STATUS.APPROVED) approved += 1;
+    }
+    return { count: invoices.length, regular, overtime, doubleTime, amount, blocked, approved };
+  }, [invoices]);
+
+  const approvedInvoices = useMemo(
+    () => invoices
+      .map(({ invoice }) => invoice)
+      .filter((invoice) => invoice.status === INVOICE_STATUS.APPROVED),
+    [invoices],
+  );
+
+  // Blocked invoices first so the biller sees what needs fixing.
+  const sortedInvoices = useMemo(() => [...invoices].sort((a, b) => {
+    const aBlocked = a.invoice.status === INVOICE_STATUS.BLOCKED ? 0 : 1;
+    const bBlocked = b.invoice.status === INVOICE_STATUS.BLOCKED ? 0 : 1;
+    return aBlocked - bBlocked;
+  }), [invoices]);
+
+  async function handleApproveAllClean() {
+    if (approvableIds.length === 0 || bulkBusy) return;
+    if (!window.confirm(
+      `Approve ${approvableIds.length} clean invoice${approvableIds.length === 1 ? '' : 's'}? ` +
+      'Invoices with block-severity exceptions or a $0 total are excluded.',
+    )) return;
+    setBulkBusy(true);
+    try {
+      const result = await approveInvoicesBulk(approvableIds);
+      const approved = result?.approved_count ?? 0;
+      const failed = result?.failed_count ?? 0;
+      showToast?.(
+        failed > 0
+          ? `Approved ${approved}; ${failed} failed (see console for details).`
+          : `Approved ${approved} invoice${approved === 1 ? '' : 's'}.`,
+      );
+      if (failed > 0) {
+        console.warn('[invoicing/ThisWeekView] bulk approve failures:', result.results);
+      }
+      reload();
+    } catch (err) {
+      showToast?.(`Bulk approve failed: ${err.message}`);
+    } finally {
+      setBulkBusy(false);
+    }
+  }
+
+  function handleGenerateComplete(result) {
+    setShowGenerateModal(false);
+    const failed = result.qbo_push?.failed?.length ?? 0;
+    showToast?.(
+      result.dry_run
+        ? `Dry-run CSV generated (${result.invoice_count} invoice${result.invoice_count === 1 ? '' : 's'}).`
+        : failed > 0
+          ? `Invoice run created; ${failed} QuickBooks push${failed === 1 ? '' : 'es'} still failing. CSV download starting.`
+          : 'Invoice run created. CSV download starting.',
+    );
+    if (result.csv_signed_url && typeof window !== 'undefined') {
+      // Same anchor-click download as the payroll run; the signed URL
+      // carries download=<filename>.
+      const a = document.createElement('a');
+      a.href = result.csv_signed_url;
+      a.target = '_blank';
+      a.rel = 'noreferrer';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    }
+    reload();
+  }
 
   // Run the pure builder on each client's line items. Nothing is
   // persisted — this is the live preview rollup.
   const invoiceRows = useMemo(() => {
-    if (!currentOrgId) return [];
+    if (!currentOrgId || isPersisted) return [];
     const rows = [];
-    for (const { client, lineItems } of previewData.clients) {
+    for (const { client, lineItems, rateCards, authorizationUsage } of previewData.clients) {
       const built = buildInvoice({
         orgId: currentOrgId,
         client,
         billingPeriodStart: period.start,
         billingPeriodEnd: period.end,
         shiftLineItems: lineItems,
+        rateCards,
+        authorizationUsage,
       });
       if (!built) continue;
       rows.push({ client, built });
     }
     return rows;
-  }, [previewData, currentOrgId, period.start, period.end]);
+  }, [previewData, currentOrgId, isPersisted, period.start, period.end]);
 
   const totals = useMemo(() => {
     let regular = 0;
@@ -135,6 +280,113 @@ export function ThisWeekView() {
     };
   }, [invoiceRows]);
 
+  if (!loading && isPersisted) {
+    return (
+      <div className={s.view}>
+        <div className={s.header}>
+          <div>
+            <div className={s.periodLine}>
+              Billing period: <strong>{period.start}</strong> &rarr; <strong>{period.end}</strong>
+            </div>
+            <div className={s.subtle}>
+              {persistedTotals.approved > 0
+                ? `${persistedTotals.approved} approved, ${approvableIds.length} ready to approve`
+                : `${approvableIds.length} ready to approve`}
+              {persistedTotals.blocked > 0 && (
+                <span className={s.blockedText}> &middot; {persistedTotals.blocked} blocked</span>
+              )}
+            </div>
+          </div>
+          <div className={s.headerActions}>
+            <button
+              type="button"
+              className={s.btn}
+              onClick={handleApproveAllClean}
+              disabled={bulkBusy || approvableIds.length === 0}
+            >
+              {bulkBusy ? 'Approving…' : `Approve All Clean (${approvableIds.length})`}
+            </button>
+            <button
+              type="button"
+              className={`${s.btn} ${s.btnPrimary}`}
+              onClick={() => setShowGenerateModal(true)}
+              disabled={bulkBusy || approvedInvoices.length === 0}
+            >
+              Generate Invoice Run ({approvedInvoices.length})
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className={s.errorBanner}>
+            Failed to load invoices: {error}
+          </div>
+        )}
+
+        <div className={s.tableWrap}>
+          <table className={s.table}>
+            <thead>
+              <tr>
+                <th aria-label="Expand row" />
+                <th className={s.thLeft}>Client</th>
+                <th className={s.thRight}>Reg</th>
+                <th className={s.thRight}>OT</th>
+                <th className={s.thRight}>DT</th>
+                <th className={s.thRight}>Rate</th>
+                <th className={s.thRight}>OT Rate</th>
+                <th className={s.thRight}>Total</th>
+                <th className={s.thLeft}>Status</th>
+                <th className={s.thLeft}>Exceptions</th>
+                <th className={s.thRight}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedInvoices.map(({ invoice, lines, client }) => (
+                <InvoiceRow
+                  key={invoice.id}
+                  invoice={invoice}
+                  lines={lines}
+                  client={client}
+                  exceptions={exceptionsByInvoiceId.get(invoice.id) || []}
+                  onChanged={reload}
+                />
+              ))}
+            </tbody>
+            <tfoot className={s.tfoot}>
+              <tr>
+                <td />
+                <td className={s.totalLabel}>
+                  {persistedTotals.count} client{persistedTotals.count === 1 ? '' : 's'}
+                  {persistedTotals.blocked > 0 && (
+                    <span className={s.blockedCount}> &middot; {persistedTotals.blocked} blocked</span>
+                  )}
+                </td>
+                <td className={s.numCell}>{formatHours(persistedTotals.regular)}</td>
+                <td className={s.numCell}>{formatHours(persistedTotals.overtime)}</td>
+                <td className={s.numCell}>{formatHours(persistedTotals.doubleTime)}</td>
+                <td colSpan={2} />
+                <td className={s.numCell}>
+                  <strong>{formatCurrency(persistedTotals.amount)}</strong>
+                </td>
+                <td colSpan={3} />
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        {showGenerateModal && (
+          <GenerateInvoiceRunModal
+            approvedInvoices={approvedInvoices}
+            billingPeriodStart={period.start}
+            billingPeriodEnd={period.end}
+            onClose={() => setShowGenerateModal(false)}
+            onComplete={handleGenerateComplete}
+          />
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className={s.view}>
       <div className={s.header}>
@@ -143,7 +395,7 @@ export function ThisWeekView() {
             Billing period: <strong>{period.start}</strong> &rarr; <strong>{period.end}</strong>
           </div>
           <div className={s.subtle}>
-            Phase 1 preview &middot; live rollup, nothing persisted yet.
+            Preview &middot; live rollup. Draft invoices are generated Wednesday morning.
             {totals.count > 0 && ` ${totals.count} client${totals.count === 1 ? '' : 's'} would be invoiced.`}
             {totals.blocked > 0 && (
               <span className={s.blockedText}> {totals.blocked} blocked.</span>
@@ -162,7 +414,7 @@ export function ThisWeekView() {
       )}
 
       {loading ? (
-        <div className={s.empty}>Loading invoicing preview&hellip;</div>
+        <div className={s.empty}>Loading invoices&hellip;</div>
       ) : invoiceRows.length === 0 ? (
         <div className={s.empty}>
           No billable shifts for {period.start} &rarr; {period.end} yet.
@@ -1,9 +1,18 @@
 // Invoicing storage — query layer for the Invoicing sub-tab.
 //
-// Phase 1 is read-only: this layer fetches the raw inputs the
-// ThisWeekView needs to PREVIEW what an invoice run for the prior
-// workweek would look like. No persistence yet — Phase 2 will add
-// the cron + draft-invoice writes + approval helpers.
+// Three read paths:
+//   - getInvoicesForPeriod: the persisted drafts the weekly
+//     `invoicing-generate` cron wrote (Phase 2). ThisWeekView renders
+//     these once they exist.
+//   - getPeriodPreviewData: the Phase 1 live preview, still used for a
+//     week the cron hasn't reached yet (e.g. Monday / Tuesday).
+//   - getOpenReceivables: every exported / sent / partially paid
+//     invoice, for the A/R Aging view.
+//
+// Mutations (approve / unapprove / line edits / mark sent / payments)
+// go through the
+// `invoicing-invoice-actions` edge function, and Phase 3 invoice runs
+// through `invoicing-export-run` — never direct table writes.
 //
 // Multi-tenancy: every query filters by `org_id` explicitly. The
 // Phase B2b RLS policies are also in place, but the explicit filter
@@ -11,6 +20,59 @@
 // permissive policies still grant in parallel until Phase B5).
 
 import { supabase, isSupabaseConfigured } from '../../../lib/supabase';
+import { groupShiftLineItemsByClient } from '../../../lib/invoicing/shiftLineItems';
+import { RECEIVABLE_INVOICE_STATUSES } from '../../../lib/invoicing/approvalStateMachine.js';
+import { normalizeRateCard } from '../../../lib/rateCards.js';
+import {
+  authorizationUsageWindow,
+  evaluateAuthorizations,
+  normalizeAuthorization,
+} from '../../../lib/authorizations.js';
+
+// ─── Mappers (DB snake_case → app camelCase) ──────────────────────
+
+export const dbToInvoice = (row) => ({
+  id: row.id,
+  orgId: row.org_id,
+  clientId: row.client_id,
+  invoiceNumber: row.invoice_number ?? null,
+  billingPeriodStart: row.billing_period_start,
+  billingPeriodEnd: row.billing_period_end,
+  status: row.status,
+  regularHours: row.regular_hours != null ? Number(row.regular_hours) : 0,
+  overtimeHours: row.overtime_hours != null ? Number(row.overtime_hours) : 0,
+  doubleTimeHours: row.double_time_hours != null ? Number(row.double_time_hours) : 0,
+  regularRate: row.regular_rate != null ? Number(row.regular_rate) : null,
+  otRate: row.ot_rate != null ? Number(row.ot_rate) : null,
+  subtotal: row.subtotal != null ? Number(row.subtotal) : 0,
+  total: row.total != null ? Number(row.total) : 0,
+  approvedBy: row.approved_by ?? null,
+  approvedAt: row.approved_at ?? null,
+  blockReason: row.block_reason ?? null,
+  notes: row.notes ?? null,
+  lastEditedBy: row.last_edited_by ?? null,
+  lastEditedAt: row.last_edited_at ?? null,
+  lastEditReason: row.last_edit_reason ?? null,
+  invoiceRunId: row.invoice_run_id ?? null,
+  qboInvoiceId: row.qbo_invoice_id ?? null,
+  invoiceDate: row.invoice_date ?? null,
+  dueDate: row.due_date ?? null,
+  amountPaid: row.amount_paid != null ? Number(row.amount_paid) : 0,
+  amountWrittenOff: row.amount_written_off != null ? Number(row.amount_written_off) : 0,
+  createdAt: row.created_at,
+});
+
+export const dbToInvoiceShift = (row) => ({
+  invoiceId: row.invoice_id,
+  shiftId: row.shift_id,
+  hoursWorked: row.hours_worked != null ? Number(row.hours_worked) : 0,
+  hourClassification: row.hour_classification,
+  billableRateApplied: row.billable_rate_applied != null
+    ? Number(row.billable_rate_applied)
+    : null,
+  billedDays: row.billed_days != null ? Number(row.billed_days) : null,
+  billedCaregivers: row.billed_caregivers != null ? Number(row.billed_caregivers) : 1,
+});
 
 // ─── Pay period helpers ──────────────────────────────────────────
 
@@ -52,7 +114,52 @@ export function priorWorkweek(now = new Date(), timezone = 'America/Los_Angeles'
   return { start: fmtIso(monday), end: fmtIso(sunday) };
 }
 
-// ─── Read paths (Phase 1 read-only preview) ──────────────────────
+// ─── Read paths ──────────────────────────────────────────────────
+
+/**
+ * Fetch the persisted invoices for a given org + billing period start,
+ * with their line items (invoice_shifts) and client display fields
+ * joined in. Sorted by client name for stable rendering.
+ *
+ * Returns Array<{ invoice, lines, client }>. An empty array means the
+ * cron hasn't generated this week yet (the caller falls back to the
+ * live preview).
+ */
+export async function getInvoicesForPeriod({ orgId, periodStart }) {
+  if (!isSupabaseConfigured() || !orgId || !periodStart) return [];
+
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('*, invoice_shifts(*), client:clients(id, first_name, last_name, payer_type)')
+    .eq('org_id', orgId)
+    .eq('billing_period_start', periodStart);
+
+  if (error) {
+    console.error('[invoicing/storage] getInvoicesForPeriod failed:', error.message);
+    return [];
+  }
+
+  const out = (data ?? []).map((row) => ({
+    invoice: dbToInvoice(row),
+    lines: (row.invoice_shifts ?? []).map(dbToInvoiceShift),
+    client: row.client
+      ? {
+          id: row.client.id,
+          first_name: row.client.first_name,
+          last_name: row.client.last_name,
+          payer_type: row.client.payer_type,
+        }
+      : { id: row.client_id },
+  }));
+
+  out.sort((a, b) => {
+    const an = `${a.client.last_name || ''} ${a.client.first_name || ''}`.trim().toLowerCase();
+    const bn = `${b.client.last_name || ''} ${b.client.first_name || ''}`.trim().toLowerCase();
+    return an.localeCompare(bn);
+  });
+
+  return out;
+}
 
 /**
  * Fetch every completed shift in the period for the given org,
@@ -72,10 +179,17 @@ export function priorWorkweek(now = new Date(), timezone = 'America/Los_Angeles'
  *     clients: Array<{
  *       client: { id, first_name, last_name, ... rate config ... },
  *       lineItems: Array<{ shiftId, billable_rate, hours: {regular, overtime, doubleTime}, hasPayrollClassification }>,
+ *       rateCards: Array<object>,
+ *       authorizationUsage: object | null,  // evaluateAuthorizations result
  *     }>,
  *   }
  */
-export async function getPeriodPreviewData({ orgId, periodStart, periodEnd }) {
+export async function getPeriodPreviewData({
+  orgId,
+  periodStart,
+  periodEnd,
+  timezone = 'America/Los_Angeles',
+}) {
   if (!isSupabaseConfigured() || !orgId || !periodStart || !periodEnd) {
     return { periodStart, periodEnd, clients: [] };
   }
@@ -108,6 +222,8 @@ export async function getPeriodPreviewData({ orgId, periodStart, periodEnd }) {
       status,
       hourly_rate,
       billable_rate,
+      service_type,
+      daily_bill_rate,
       timesheet_shifts (
         timesheet_id,
         hours_worked,
@@ -115,8 +231,13 @@ export async function getPeriodPreviewData({ orgId, periodStart, periodEnd }) {
         timesheet:timesheets (
           id,
           org_id,
+          caregiver_id,
           pay_period_start
         )
+      ),
+      shift_slots (
+        caregiver_id,
+        billable
       )
     `)
     .eq('org_id', orgId)
@@ -134,77 +255,11 @@ export async function getPeriodPreviewData({ orgId, periodStart, periodEnd }) {
     return { periodStart, periodEnd, clients: [] };
   }
 
-  // Filter timesheet_shifts links to ones that match this billing period
-  // and same org. A caregiver shift can appear in multiple weeks'
-  // timesheet_shifts (boundary-spanning shifts) — we want the row
-  // whose timesheet is for THIS period.
-  function pickPayrollSplitForPeriod(tsShifts) {
-    if (!Array.isArray(tsShifts) || tsShifts.length === 0) return null;
-    const match = tsShifts.find(
-      (ts) => ts?.timesheet?.org_id === orgId
-        && ts?.timesheet?.pay_period_start === periodStart,
-    );
-    if (match) return match;
-    // Fall back to any timesheet_shifts row for this org if there's no
-    // exact period match — better than treating everything as regular,
-    // and the UI will flag the period mismatch in meta.
-    return tsShifts.find((ts) => ts?.timesheet?.org_id === orgId) ?? null;
-  }
-
-  // Bucket by client_id.
-  const byClientId = new Map();
-  const clientIds = new Set();
-  for (const shift of shifts) {
-    if (!shift.client_id) continue;
-    clientIds.add(shift.client_id);
-    const split = pickPayrollSplitForPeriod(shift.timesheet_shifts);
-
-    let regular = 0;
-    let overtime = 0;
-    let doubleTime = 0;
-    let hasPayrollClassification = false;
-
-    if (split) {
-      hasPayrollClassification = true;
-      const hrs = Number(split.hours_worked) || 0;
-      switch (split.hour_classification) {
-        case 'overtime':
-          overtime = hrs;
-          break;
-        case 'double_time':
-          doubleTime = hrs;
-          break;
-        case 'regular':
-        default:
-          regular = hrs;
-          break;
-      }
-    } else {
-      // No payroll split available — fall back to scheduled duration
-      // and treat as regular. The UI surfaces this so the back office
-      // knows the preview is provisional.
-      const startMs = new Date(shift.start_time).getTime();
-      const endMs = new Date(shift.end_time).getTime();
-      if (Number.isFinite(startMs) && Number.isFinite(endMs) && endMs > startMs) {
-        regular = (endMs - startMs) / 3_600_000;
-      }
-    }
-
-    if (regular + overtime + doubleTime <= 0) continue;
-
-    if (!byClientId.has(shift.client_id)) {
-      byClientId.set(shift.client_id, []);
-    }
-    byClientId.get(shift.client_id).push({
-      shiftId: shift.id,
-      billable_rate: shift.billable_rate != null ? Number(shift.billable_rate) : null,
-      hours: { regular, overtime, doubleTime },
-      hasPayrollClassification,
-      shiftStart: shift.start_time,
-      shiftEnd: shift.end_time,
-      assignedCaregiverId: shift.assigned_caregiver_id,
-    });
-  }
+  // Bucket by client_id. The payroll-split selection and the
+  // scheduled-duration fallback live in the shared helper so the
+  // preview and the weekly invoicing-generate cron bill identically.
+  const byClientId = groupShiftLineItemsByClient({ shifts, orgId, periodStart });
+  const clientIds = new Set(byClientId.keys());
 
   if (byClientId.size === 0) {
     return { periodStart, periodEnd, clients: [] };
@@ -242,11 +297,39 @@ export async function getPeriodPreviewData({ orgId, periodStart, periodEnd }) {
     });
   }
 
+  // Client + payer rate cards, so the preview prices service types the
+  // same way the cron does. A failed read degrades to the flat rates.
+  const { data: rateCardRows, error: rateCardsError } = await supabase
+    .from('rate_cards')
+    .select('id, scope, client_id, payer_type, service_type, rate, ot_rate, effective_from, effective_to')
+    .eq('org_id', orgId)
+    .in('scope', ['client', 'payer']);
+  if (rateCardsError) {
+    console.error('[invoicing/storage] getPeriodPreviewData rate_cards query failed:', rateCardsError.message);
+  }
+  const rateCards = (rateCardRows ?? []).map(normalizeRateCard);
+
+  const usageByClient = await loadAuthorizationUsage({
+    orgId,
+    clientIds: Array.from(clientIds),
+    periodStart,
+    periodEnd,
+    timezone,
+  });
+
   const out = [];
   for (const [clientId, lineItems] of byClientId) {
     const c = clientsMap.get(clientId);
     if (!c) continue; // Defensive: a shift orphaned from its client row.
-    out.push({ client: c, lineItems });
+    out.push({
+      client: c,
+      lineItems,
+      rateCards: rateCards.filter(
+        (rc) => rc.client_id === c.id
+          || (rc.payer_type != null && rc.payer_type === c.payer_type),
+      ),
+      authorizationUsage: usageByClient.get(clientId) ?? null,
+    });
   }
 
   // Stable rendering order: alphabetical by last name then first name.
@@ -258,3 +341,214 @@ export async function getPeriodPreviewData({ orgId, periodStart, periodEnd }) {
 
   return { periodStart, periodEnd, clients: out };
 }
+
+/**
+ * Count each client's shifts against its authorizations over every cap
+ * period the week touches, the same way invoicing-generate does. The
+ * shifts window is padded a day each side in UTC; the pure evaluator
+ * assigns each shift to its period in the org timezone. A failed read
+ * (e.g. before the 20260611000000 migration) degrades to no checks.
+ */
+async function loadAuthorizationUsage({ orgId, clientIds, periodStart, periodEnd, timezone }) {
+  const out = new Map();
+  if (clientIds.length === 0) return out;
+
+  const { data: authRows, error: authError } = await supabase
+    .from('client_authorizations')
+    .select('id, client_id, auth_number, service_type, unit_cap, unit_minutes, cap_period, start_date, end_date')
+    .eq('org_id', orgId)
+    .in('client_id', clientIds);
+  if (authError) {
+    console.error('[invoicing/storage] client_authorizations query failed:', authError.message);
+    return out;
+  }
+
+  const byClient = new Map();
+  for (const row of authRows ?? []) {
+    if (!byClient.has(row.client_id)) byClient.set(row.client_id, []);
+    byClient.get(row.client_id).push(normalizeAuthorization(row));
+  }
+
+  const padDay = (date, days) => {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString();
+  };
+
+  for (const [clientId, authorizations] of byClient) {
+    const window = authorizationUsageWindow(authorizations, { from: periodStart, to: periodEnd });
+    if (!window) continue;
+    const { data: shifts, error: shiftsError } = await supabase
+      .from('shifts')
+      .select('id, client_id, service_type, start_time, end_time, status')
+      .eq('org_id', orgId)
+      .eq('client_id', clientId)
+      .not('status', 'in', '(cancelled,no_show)')
+      .gte('start_time', padDay(window.start, -1))
+      .lt('start_time', padDay(window.end, 2));
+    if (shiftsError) {
+      console.error('[invoicing/storage] authorization shifts query failed:', shiftsError.message);
+      continue;
+    }
+    const shiftIds = (shifts ?? []).map((r) => r.id);
+    let clockEvents = [];
+    if (shiftIds.length > 0) {
+      const { data: events, error: eventsError } = await supabase
+        .from('clock_events')
+        .select('shift_id, event_type, occurred_at')
+        .in('shift_id', shiftIds)
+        .in('event_type', ['in', 'out']);
+      if (eventsError) {
+        console.error('[invoicing/storage] authorization clock_events query failed:', eventsError.message);
+      }
+      clockEvents = events ?? [];
+    }
+    out.set(clientId, evaluateAuthorizations({
+      authorizations,
+      shifts: shifts ?? [],
+      clockEvents,
+      timezone,
+    }));
+  }
+  return out;
+}
+
+// ─── Edge function invocations (Phase 2) ─────────────────────────
+//
+// Each helper wraps a single call to `invoicing-invoice-actions`.
+// Errors bubble up as thrown Errors with a usable message so the UI
+// can `try/catch` and toast.
+
+async function invokeOrThrow(functionName, body) {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured.');
+  }
+  const { data, error } = await supabase.functions.invoke(functionName, { body });
+  if (error) {
+    const message = error?.context?.responseJson?.error
+      || error?.message
+      || 'Unknown error';
+    throw new Error(message);
+  }
+  if (data && data.ok === false) {
+    throw new Error(data.error || 'Action failed.');
+  }
+  return data;
+}
+
+export function approveInvoice(invoiceId) {
+  return invokeOrThrow('invoicing-invoice-actions', {
+    action: 'approve',
+    invoice_id: invoiceId,
+  });
+}
+
+export function approveInvoicesBulk(invoiceIds) {
+  return invokeOrThrow('invoicing-invoice-actions', {
+    action: 'approve_bulk',
+    invoice_ids: invoiceIds,
+  });
+}
+
+export function unapproveInvoice(invoiceId) {
+  return invokeOrThrow('invoicing-invoice-actions', {
+    action: 'unapprove',
+    invoice_id: invoiceId,
+  });
+}
+
+export function editInvoiceLine({ invoiceId, shiftId, edits, reason }) {
+  return invokeOrThrow('invoicing-invoice-actions', {
+    action: 'edit_line',
+    invoice_id: invoiceId,
+    shift_id: shiftId,
+    edits,
+    reason,
+  });
+}
+
+// ─── A/R ──────────────────────────────────────────────────────────
+
+/**
+ * Open receivables for the A/R Aging view: every invoice in
+ * RECEIVABLE_INVOICE_STATUSES plus the clients they bill. Rows stay
+ * snake_case — the view feeds them straight into the pure
+ * buildArAgingReport.
+ *
+ * Returns { invoices, clients }.
+ */
+export async function getOpenReceivables({ orgId }) {
+  if (!isSupabaseConfigured() || !orgId) return { invoices: [], clients: [] };
+
+  const { data: invoices, error } = await supabase
+    .from('invoices')
+    .select(
+      'id, client_id, invoice_number, status, billing_period_start, billing_period_end, '
+        + 'invoice_date, due_date, total, amount_paid, amount_written_off',
+    )
+    .eq('org_id', orgId)
+    .in('status', RECEIVABLE_INVOICE_STATUSES)
+    .order('due_date', { ascending: true });
+  if (error) throw error;
+
+  const clientIds = [...new Set((invoices || []).map((i) => i.client_id))];
+  if (clientIds.length === 0) return { invoices: invoices || [], clients: [] };
+
+  const { data: clients, error: clientErr } = await supabase
+    .from('clients')
+    .select('id, first_name, last_name, payer_type')
+    .eq('org_id', orgId)
+    .in('id', clientIds);
+  if (clientErr) throw clientErr;
+
+  return { invoices: invoices || [], clients: clients || [] };
+}
+
+export function markInvoiceSent({ invoiceId, sentDate }) {
+  return invokeOrThrow('invoicing-invoice-actions', {
+    action: 'mark_sent',
+    invoice_id: invoiceId,
+    sent_date: sentDate,
+  });
+}
+
+export function recordInvoicePayment({
+  invoiceId,
+  kind,
+  method,
+  amount,
+  receivedDate,
+  reference,
+  notes,
+}) {
+  return invokeOrThrow('invoicing-invoice-actions', {
+    action: 'record_payment',
+    invoice_id: invoiceId,
+    kind,
+    method,
+    amount,
+    received_date: receivedDate,
+    reference,
+    notes,
+  });
+}
+
+// ─── Invoice runs (Phase 3) ───────────────────────────────────────
+
+export function exportInvoiceRun({
+  invoiceIds,
+  invoiceDate,
+  exportMode = 'csv_export',
+  dryRun = false,
+}) {
+  return invokeOrThrow('invoicing-export-run', {
+    invoice_ids: invoiceIds,
+    invoice_date: invoiceDate,
+    export_mode: exportMode,
+    dry_run: dryRun,
+  });
+}
+
+// Re-push a qbo_api run's invoices that QuickBooks hasn't accepted yet.
+export function retryInvoiceRunQboPush(invoiceRunId) {
+  return invokeOrThrow('invoicing-export-run', { retry_run_id: invoiceRunId });
+}
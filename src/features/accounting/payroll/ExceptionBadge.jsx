@@ -1,10 +1,11 @@
 import s from './ExceptionBadge.module.css';
 
-// Human labels for the exception codes the cron writes into
-// timesheets.notes. The codes are stable strings defined in
-// src/lib/payroll/constants.js. Keeping the label table here (rather
-// than re-importing the constants module) so the UI string layer is
-// editable without touching the engine.
+// Human labels for the exception codes the crons write into
+// timesheets.notes / invoices.notes. The codes are stable strings
+// defined in src/lib/payroll/constants.js and
+// src/lib/invoicing/invoiceBuilder.js. Keeping the label table here
+// (rather than re-importing the constants modules) so the UI string
+// layer is editable without touching the engine.
 const LABELS = {
   missing_clock_out: 'Missing clock-out',
   out_of_geofence: 'Geofence',
@@ -14,6 +15,23 @@ const LABELS = {
   caregiver_not_in_paychex: 'Not synced to Paychex',
   dt_pay_component_missing: 'DT pay component missing',
   caregiver_missing_paychex_employee_id: 'Missing Paychex employee ID',
+  caregiver_missing_rate: 'Missing pay rate',
+  caregiver_missing_service_rate: 'No rate card for service',
+  mixed_ot_jurisdictions: 'Multiple OT jurisdictions',
+  meal_period_violation: 'Meal period premium',
+  rest_period_violation: 'Rest period premium',
+  unpaired_break_event: 'Unpaired break tap',
+  break_premium_pay_component_missing: 'Premium pay component missing',
+  live_in_sleep_not_deducted: 'Sleep not deducted',
+  live_in_sleep_capped: 'Sleep capped at 8h',
+  // Invoicing (the Invoicing tab reuses this badge).
+  client_missing_rate: 'Missing bill rate',
+  client_missing_ot_rate: 'OT rate derived (1.5×)',
+  client_missing_service_rate: 'No rate card for service',
+  client_missing_address: 'No billing address',
+  shift_missing_hours: 'Zero-hour shift',
+  authorization_exceeded: 'Over authorization',
+  authorization_not_covered: 'No active authorization',
 };
 
 export function ExceptionBadge({ exception }) {
@@ -8,6 +8,8 @@ const PAY_COMPONENT_KEYS = [
   { key: 'overtime', label: 'Overtime hours', placeholder: 'Overtime' },
   { key: 'double_time', label: 'Double-time hours', placeholder: 'Doubletime (leave blank if not configured)' },
   { key: 'mileage', label: 'Mileage reimbursement', placeholder: 'Mileage' },
+  { key: 'meal_premium', label: 'Meal period premium', placeholder: 'Meal Premium (leave blank if not configured)' },
+  { key: 'rest_premium', label: 'Rest period premium', placeholder: 'Rest Premium (leave blank if not configured)' },
 ];
 
 /**
@@ -15,11 +17,12 @@ const PAY_COMPONENT_KEYS = [
  *
  * Read/write controls for the org's payroll-relevant
  * `organizations.settings`. v1 surfaces:
- *   - Pay Component editor (4 keys; the SPI CSV uses these as
+ *   - Pay Component editor (6 keys; the SPI CSV uses these as
  *     case-sensitive Earning names)
  *   - Default mileage rate (numeric, $/mi)
  *   - Production / Dry-run flag (org-level; the per-call modal toggle
  *     in This Week is independent)
+ *   - CA meal & rest premium switch
  *   - Connection status (read-only display of Paychex worker /
  *     payroll API entitlement state)
  *   - Pay period config (read-only — Phase 4 owner kept these
@@ -47,11 +50,14 @@ export function PayrollSettingsView() {
     overtime: payComponents.overtime ?? '',
     double_time: payComponents.double_time ?? '',
     mileage: payComponents.mileage ?? '',
+    meal_premium: payComponents.meal_premium ?? '',
+    rest_premium: payComponents.rest_premium ?? '',
   });
   const [draftMileageRate, setDraftMileageRate] = useState(
     payroll.mileage_rate != null ? String(payroll.mileage_rate) : '',
   );
   const [draftDryRun, setDraftDryRun] = useState(payroll.dry_run === true);
+  const [draftMealRest, setDraftMealRest] = useState(payroll.meal_rest_premiums === true);
 
   // Re-sync drafts when settings reload (e.g. after a successful
   // patch). Without this, the form stays at the old values until the
@@ -62,9 +68,12 @@ export function PayrollSettingsView() {
       overtime: payComponents.overtime ?? '',
       double_time: payComponents.double_time ?? '',
       mileage: payComponents.mileage ?? '',
+      meal_premium: payComponents.meal_premium ?? '',
+      rest_premium: payComponents.rest_premium ?? '',
     });
     setDraftMileageRate(payroll.mileage_rate != null ? String(payroll.mileage_rate) : '');
     setDraftDryRun(payroll.dry_run === true);
+    setDraftMealRest(payroll.meal_rest_premiums === true);
     // currentOrgSettings is the only meaningful dep — payroll/payComponents
     // are derived from it via destructuring above.
   }, [currentOrgSettings]); // eslint-disable-line react-hooks/exhaustive-deps
@@ -135,6 +144,26 @@ export function PayrollSettingsView() {
     }
   }
 
+  async function saveMealRest() {
+    setBusy(true);
+    try {
+      await updateOrgSettings({
+        section: 'payroll',
+        patch: { meal_rest_premiums: draftMealRest },
+      });
+      await refreshOrgSettings?.();
+      showToast?.(
+        draftMealRest
+          ? 'Meal & rest premiums ON. Regenerate open timesheets to apply them.'
+          : 'Meal & rest premiums OFF.',
+      );
+    } catch (err) {
+      showToast?.(`Save failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
   return (
     <div className={s.view}>
       {/* ─── Pay Components ─── */}
@@ -236,6 +265,36 @@ export function PayrollSettingsView() {
         </div>
       </section>
 
+      {/* ─── Meal & rest premiums ─── */}
+      <section className={s.section}>
+        <h3 className={s.sectionTitle}>Meal &amp; Rest Premiums (California)</h3>
+        <p className={s.sectionLede}>
+          When ON, timesheets for California work add one premium hour at the regular rate of pay for each workday with a missed, short, or late meal period, and one for missed rest periods, based on the break taps caregivers record in the app.
+          Set the meal and rest period premium pay components above before turning this on.
+        </p>
+        <label className={s.toggleField}>
+          <input
+            type="checkbox"
+            checked={draftMealRest}
+            onChange={(e) => setDraftMealRest(e.target.checked)}
+            disabled={busy}
+          />
+          <span>
+            Meal &amp; rest premiums are <strong>{draftMealRest ? 'ON' : 'OFF'}</strong>
+          </span>
+        </label>
+        <div className={s.sectionFooter}>
+          <button
+            type="button"
+            className={`${s.btn} ${s.btnPrimary}`}
+            onClick={saveMealRest}
+            disabled={busy}
+          >
+            {busy ? 'Saving…' : 'Save Premiums'}
+          </button>
+        </div>
+      </section>
+
       {/* ─── Connection Status (read-only) ─── */}
       <section className={s.section}>
         <h3 className={s.sectionTitle}>Connection Status</h3>
@@ -292,9 +351,10 @@ export function PayrollSettingsView() {
           </span>
         </div>
         <div className={s.statusRow}>
-          <span className={s.statusLabel}>OT jurisdiction</span>
+          <span className={s.statusLabel}>Default OT jurisdiction</span>
           <span className={s.statusValue}>
             <code>{payroll.ot_jurisdiction ?? 'CA'}</code>
+            {' '}&mdash; client work-location state and per-caregiver overrides take precedence
           </span>
         </div>
         <div className={s.statusRow}>
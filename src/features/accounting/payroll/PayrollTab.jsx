@@ -2,14 +2,19 @@ import { useState } from 'react';
 import { ThisWeekView } from './ThisWeekView';
 import { PayrollRunsView } from './PayrollRunsView';
 import { PayrollSettingsView } from './PayrollSettingsView';
+import { RateCardsView } from '../RateCardsView';
+import { RATE_CARD_SCOPE } from '../../../lib/rateCards';
 import s from './PayrollTab.module.css';
 
 const VIEWS = [
   { id: 'this_week', label: 'This Week' },
   { id: 'runs', label: 'Payroll Runs' },
+  { id: 'rate_cards', label: 'Pay Rates' },
   { id: 'settings', label: 'Settings' },
 ];
 
+const PAY_SCOPES = [RATE_CARD_SCOPE.CAREGIVER];
+
 /**
  * Phase 4 Payroll sub-tab. PR #1 added the segmented control + This
  * Week view. PR #2 wired the action-bearing buttons into This Week.
@@ -17,6 +22,7 @@ const VIEWS = [
  *   - Payroll Runs: historical batches + Download CSV + Mark as Paid
  *   - Settings: Pay Components, mileage rate, dry-run, connection
  *     status, pay period config (read-only in v1)
+ * Pay Rates manages per-service-type caregiver rate cards.
  */
 export function PayrollTab() {
   const [view, setView] = useState('this_week');
@@ -39,6 +45,7 @@ export function PayrollTab() {
 
       {view === 'this_week' && <ThisWeekView />}
       {view === 'runs' && <PayrollRunsView />}
+      {view === 'rate_cards' && <RateCardsView scopes={PAY_SCOPES} />}
       {view === 'settings' && <PayrollSettingsView />}
     </div>
   );
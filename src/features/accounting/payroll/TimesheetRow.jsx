@@ -39,6 +39,14 @@ const EDITABLE_TOTAL_FIELDS = [
   { key: 'gross_pay', label: 'Gross pay' },
 ];
 
+// CA meal / rest premium hours. Edited through the same whitelist, but
+// rendered in the expanded panel (only when non-zero) so the main
+// table keeps its column layout.
+const PREMIUM_TOTAL_FIELDS = [
+  { key: 'meal_premium_hours', label: 'Meal premium hrs' },
+  { key: 'rest_premium_hours', label: 'Rest premium hrs' },
+];
+
 // Statuses that allow inline edits + regenerate. Mirrors the edge
 // function gates so the UI doesn't show buttons that will fail.
 const EDITABLE_STATUSES = new Set(['draft', 'pending_approval', 'blocked']);
@@ -361,6 +369,21 @@ export function TimesheetRow({
       {expanded && (
         <tr className={s.detailRow}>
           <td colSpan={9} className={s.detailCell}>
+            {(timesheet.mealPremiumHours > 0 || timesheet.restPremiumHours > 0) && (
+              <table className={s.detailTable}>
+                <thead>
+                  <tr>
+                    {PREMIUM_TOTAL_FIELDS.map((f) => <th key={f.key}>{f.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    {renderTotalCell(PREMIUM_TOTAL_FIELDS[0], timesheet.mealPremiumHours, formatHours(timesheet.mealPremiumHours))}
+                    {renderTotalCell(PREMIUM_TOTAL_FIELDS[1], timesheet.restPremiumHours, formatHours(timesheet.restPremiumHours))}
+                  </tr>
+                </tbody>
+              </table>
+            )}
             {shifts.length === 0 ? (
               <div className={s.subtle}>No shift line items recorded for this timesheet.</div>
             ) : (
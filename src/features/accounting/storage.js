@@ -11,6 +11,7 @@
 // defense.
 
 import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import { normalizeRateCard } from '../../lib/rateCards';
 
 // ─── Mappers (DB snake_case → app camelCase) ──────────────────────
 
@@ -24,6 +25,8 @@ export const dbToTimesheet = (row) => ({
   regularHours: row.regular_hours != null ? Number(row.regular_hours) : 0,
   overtimeHours: row.overtime_hours != null ? Number(row.overtime_hours) : 0,
   doubleTimeHours: row.double_time_hours != null ? Number(row.double_time_hours) : 0,
+  mealPremiumHours: row.meal_premium_hours != null ? Number(row.meal_premium_hours) : 0,
+  restPremiumHours: row.rest_premium_hours != null ? Number(row.rest_premium_hours) : 0,
   mileageTotal: row.mileage_total != null ? Number(row.mileage_total) : 0,
   mileageReimbursement: row.mileage_reimbursement != null ? Number(row.mileage_reimbursement) : 0,
   grossPay: row.gross_pay != null ? Number(row.gross_pay) : 0,
@@ -426,3 +429,44 @@ export function markPayrollRunPaid({ payrollRunId, paidDate, notes }) {
 export function updateOrgSettings({ section, patch }) {
   return invokeOrThrow('org-settings-update', { section, patch });
 }
+
+// ─── Rate cards (shared by the Invoicing + Payroll tabs) ──────────
+//
+// Rows stay snake_case so they feed straight into the resolvers in
+// src/lib/rateCards.js. Reads are admin-only under RLS — a scheduler
+// gets an empty list, and the shift trigger still applies the cards.
+
+export async function listRateCards({ orgId, scopes = null }) {
+  if (!isSupabaseConfigured() || !orgId) return [];
+  let query = supabase
+    .from('rate_cards')
+    .select('*')
+    .eq('org_id', orgId)
+    .order('effective_from', { ascending: false, nullsFirst: false });
+  if (Array.isArray(scopes) && scopes.length > 0) query = query.in('scope', scopes);
+  const { data, error } = await query;
+  if (error) {
+    console.error('[accounting/storage] listRateCards failed:', error.message);
+    return [];
+  }
+  return (data ?? []).map(normalizeRateCard);
+}
+
+export function createRateCard(card) {
+  return invokeOrThrow('rate-cards-update', { action: 'create', card });
+}
+
+export function endRateCard({ rateCardId, effectiveTo }) {
+  return invokeOrThrow('rate-cards-update', {
+    action: 'end',
+    rate_card_id: rateCardId,
+    effective_to: effectiveTo,
+  });
+}
+
+export function deleteRateCard(rateCardId) {
+  return invokeOrThrow('rate-cards-update', {
+    action: 'delete',
+    rate_card_id: rateCardId,
+  });
+}
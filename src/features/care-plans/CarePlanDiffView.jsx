@@ -0,0 +1,122 @@
+import { diffCarePlanVersions } from './versionDiff';
+import s from './CarePlanDiffView.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// CarePlanDiffView — what changed between two care-plan versions
+//
+// Pure presentational, like ManifestDiffView: takes (before, after)
+// plus their task lists and draws the entries from versionDiff.js.
+//   - inline  → "before → after" on one line
+//   - lines   → unified diff (red/green) for free-text fields
+//   - set     → removed / added columns for multi-selects
+//   - list    → one row per added / removed / changed list item,
+//               with the changed subfields under it
+// ═══════════════════════════════════════════════════════════════
+
+export function CarePlanDiffView({ before, after, beforeTasks, afterTasks }) {
+  const sections = diffCarePlanVersions(before, after, { beforeTasks, afterTasks });
+
+  if (sections.length === 0) {
+    return <div className={s.empty}>No changes.</div>;
+  }
+
+  return (
+    <div className={s.diff}>
+      {sections.map((section) => (
+        <section key={section.sectionId} className={s.section}>
+          <h5 className={s.sectionTitle}>{section.label}</h5>
+          {section.fields.map((entry) => (
+            <DiffEntry key={entry.fieldId} entry={entry} />
+          ))}
+          {section.tasks.length > 0 && (
+            <DiffEntry entry={{ label: 'Tasks', kind: 'list', rows: section.tasks }} />
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+function DiffEntry({ entry }) {
+  return (
+    <div className={s.entry}>
+      <div className={s.entryLabel}>{entry.label}</div>
+      {entry.kind === 'inline' && <InlineDiff before={entry.before} after={entry.after} />}
+      {entry.kind === 'lines' && <LinesDiff lines={entry.lines} />}
+      {entry.kind === 'set' && <SetDiff added={entry.added} removed={entry.removed} />}
+      {entry.kind === 'list' && <ListDiff rows={entry.rows} />}
+    </div>
+  );
+}
+
+function InlineDiff({ before, after }) {
+  return (
+    <div className={s.inline}>
+      <span className={s.del}>{before || '(empty)'}</span>
+      <span className={s.arrow}>→</span>
+      <span className={s.add}>{after || '(empty)'}</span>
+    </div>
+  );
+}
+
+function LinesDiff({ lines }) {
+  return (
+    <div className={s.lines}>
+      {lines.map((line, idx) => (
+        <div
+          key={idx}
+          className={line.op === 'add' ? s.lineAdd : line.op === 'del' ? s.lineDel : s.line}
+        >
+          <span className={s.sigil}>{line.op === 'add' ? '+' : line.op === 'del' ? '−' : ' '}</span>
+          {line.text || ' '}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function SetDiff({ added, removed }) {
+  return (
+    <div className={s.columns}>
+      <div className={s.columnDel}>
+        <div className={s.columnTitle}>Removed ({removed.length})</div>
+        {removed.length === 0
+          ? <div className={s.none}>(none)</div>
+          : removed.map((v) => <div key={v}><span className={s.sigil}>−</span>{v}</div>)}
+      </div>
+      <div className={s.columnAdd}>
+        <div className={s.columnTitle}>Added ({added.length})</div>
+        {added.length === 0
+          ? <div className={s.none}>(none)</div>
+          : added.map((v) => <div key={v}><span className={s.sigil}>+</span>{v}</div>)}
+      </div>
+    </div>
+  );
+}
+
+const ROW_CLASS = { add: 'rowAdd', del: 'rowDel', change: 'rowChange' };
+const ROW_SIGIL = { add: '+', del: '−', change: '~' };
+
+function ListDiff({ rows }) {
+  return (
+    <ul className={s.rows}>
+      {rows.map((row, idx) => (
+        <li key={`${row.op}-${row.label}-${idx}`} className={s[ROW_CLASS[row.op]]}>
+          <div className={s.rowHead}>
+            <span className={s.sigil}>{ROW_SIGIL[row.op]}</span>
+            <span className={s.rowLabel}>{row.label}</span>
+            {row.op !== 'change' && row.text && row.text !== row.label && (
+              <span className={s.rowText}>{row.text}</span>
+            )}
+          </div>
+          {row.changes.map((c) => (
+            <div key={c.id} className={s.rowChangeLine}>
+              <span className={s.changeLabel}>{c.label}:</span>
+              <InlineDiff before={c.before} after={c.after} />
+            </div>
+          ))}
+        </li>
+      ))}
+    </ul>
+  );
+}
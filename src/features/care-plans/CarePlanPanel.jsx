@@ -18,12 +18,17 @@ import {
   createNewDraftVersion,
   getCarePlanForClient,
   getTasksForVersion,
+  latestPublishedVersion,
   listVersions,
 } from './storage';
 import { SectionEditor } from './SectionEditor';
 import { PublishModal } from './PublishModal';
 import { CarePlanActivity } from './CarePlanActivity';
+import { MedicationRecord } from './MedicationRecord';
+import { VitalsPanel } from './VitalsPanel';
+import { CarePlanVersionCompare } from './CarePlanVersionCompare';
 import { regenerateSnapshot } from './snapshotClient';
+import { downloadCms485Pdf } from './cms485Pdf';
 import { CollapseChevron, useCollapsed } from '../../shared/components/CollapseChevron';
 import btn from '../../styles/buttons.module.css';
 import s from './CarePlanPanel.module.css';
@@ -39,6 +44,8 @@ import s from './CarePlanPanel.module.css';
 //   - Editing a published version prompts the user to start a
 //     new draft (createNewDraftVersion) before allowing edits
 //   - Regenerate snapshot button
+//   - CMS-485 download of the latest published version (cms485Pdf.js)
+//   - Compare any two versions from the history (CarePlanVersionCompare)
 //
 // Realtime: subscribes to `care_plan_versions` for this plan so a
 // publish in another tab (or by the AI) appears here without refresh.
@@ -58,6 +65,7 @@ export function CarePlanPanel({ client, currentUser, showToast }) {
   const [startingNewDraft, setStartingNewDraft] = useState(false);
   const [open, toggleOpen] = useCollapsed('tc_collapsible_card:Care Plan');
   const [regenerating, setRegenerating] = useState(false);
+  const [downloadingCms485, setDownloadingCms485] = useState(false);
 
   // ─── Load ────────────────────────────────────────────────────
   const load = useCallback(async () => {
@@ -216,6 +224,27 @@ export function CarePlanPanel({ client, currentUser, showToast }) {
     }
   }, [currentVersion, regenerating, showToast, load]);
 
+  const publishedVersion = latestPublishedVersion(versions);
+
+  const handleDownloadCms485 = useCallback(async () => {
+    if (!publishedVersion || downloadingCms485) return;
+    setDownloadingCms485(true);
+    try {
+      const publishedTasks = publishedVersion.id === currentVersion?.id
+        ? tasks
+        : await getTasksForVersion(publishedVersion.id);
+      const form = await downloadCms485Pdf({ version: publishedVersion, client, tasks: publishedTasks });
+      showToast?.(form.missing.length > 0
+        ? `CMS-485 downloaded — ${form.missing.length} required ${form.missing.length === 1 ? 'field is' : 'fields are'} empty`
+        : 'CMS-485 downloaded');
+    } catch (e) {
+      console.error('[CarePlanPanel] CMS-485 failed:', e);
+      showToast?.(`CMS-485 failed: ${e.message}`);
+    } finally {
+      setDownloadingCms485(false);
+    }
+  }, [publishedVersion, downloadingCms485, currentVersion, tasks, client, showToast]);
+
   // ─── Group tasks by section for the section cards ────────────
   const tasksBySection = tasks.reduce((acc, task) => {
     const sectionId = sectionIdForCategory(task.category);
@@ -249,6 +278,16 @@ export function CarePlanPanel({ client, currentUser, showToast }) {
           </div>
         </button>
         <div className={s.headerActions}>
+          {plan && publishedVersion && (
+            <button
+              className={btn.secondaryBtn}
+              onClick={handleDownloadCms485}
+              disabled={downloadingCms485}
+              title={`Plan of care (CMS-485) from published v${publishedVersion.versionNumber}`}
+            >
+              {downloadingCms485 ? 'Generating…' : 'CMS-485'}
+            </button>
+          )}
           {plan && isDraft && hasAnyContent && (
             <button
               className={btn.primaryBtn}
@@ -316,6 +355,18 @@ export function CarePlanPanel({ client, currentUser, showToast }) {
               via the per-shift drawer in the schedule. */}
           <CarePlanActivity carePlanId={plan.id} />
 
+          {/* Monthly MAR — medication doses charted from the shift
+              checklist against the published medications list. */}
+          <MedicationRecord
+            carePlanId={plan.id}
+            clientId={client?.id}
+            clientName={[client?.firstName, client?.lastName].filter(Boolean).join(' ')}
+            versions={versions}
+          />
+
+          {/* Vitals trends against the plan's normal ranges. */}
+          <VitalsPanel carePlanId={plan.id} versions={versions} />
+
           {versions.length > 0 && (
             <details className={s.history}>
               <summary className={s.historySummary}>
@@ -342,6 +393,15 @@ export function CarePlanPanel({ client, currentUser, showToast }) {
               </ul>
             </details>
           )}
+
+          {versions.length > 1 && (
+            <details className={s.history}>
+              <summary className={s.historySummary}>Compare versions</summary>
+              {/* Keyed on the newest version so a new draft resets the
+                  default pair to "newest vs the one before". */}
+              <CarePlanVersionCompare key={versions[0].id} versions={versions} />
+            </details>
+          )}
         </>
       )}
       </>
@@ -364,6 +424,9 @@ export function CarePlanPanel({ client, currentUser, showToast }) {
       {publishOpen && currentVersion && (
         <PublishModal
           version={currentVersion}
+          previousVersion={publishedVersion}
+          client={client}
+          tasks={tasks}
           currentUser={currentUser}
           onClose={() => setPublishOpen(false)}
           onPublished={handlePublished}
@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react';
+import { getTasksForVersion } from './storage';
+import { CarePlanDiffView } from './CarePlanDiffView';
+import s from './CarePlanVersionCompare.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// CarePlanVersionCompare — pick two versions, see what changed
+//
+// Loads the task lists for the chosen pair and hands everything to
+// CarePlanDiffView. Used in CarePlanPanel's version history (any two
+// versions, newest vs the one before by default) and in PublishModal
+// (the draft vs the latest published version, pickers hidden).
+// ═══════════════════════════════════════════════════════════════
+
+function versionLabel(v) {
+  return `v${v.versionNumber} · ${v.status}`;
+}
+
+export function CarePlanVersionCompare({ versions, fromId, toId, showPickers = true }) {
+  const sorted = [...(versions || [])].sort((a, b) => (b.versionNumber || 0) - (a.versionNumber || 0));
+  const [selectedFrom, setSelectedFrom] = useState(fromId ?? sorted[1]?.id ?? null);
+  const [selectedTo, setSelectedTo] = useState(toId ?? sorted[0]?.id ?? null);
+  const [tasks, setTasks] = useState({});
+  const [error, setError] = useState(null);
+
+  const before = sorted.find((v) => v.id === selectedFrom) || null;
+  const after = sorted.find((v) => v.id === selectedTo) || null;
+
+  useEffect(() => {
+    let cancelled = false;
+    const missing = [selectedFrom, selectedTo].filter((id) => id && !(id in tasks));
+    if (missing.length === 0) return undefined;
+    setError(null);
+    Promise.all(missing.map((id) => getTasksForVersion(id)))
+      .then((lists) => {
+        if (cancelled) return;
+        setTasks((prev) => {
+          const next = { ...prev };
+          missing.forEach((id, i) => { next[id] = lists[i]; });
+          return next;
+        });
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e?.message || 'Could not load tasks.');
+      });
+    return () => { cancelled = true; };
+  }, [selectedFrom, selectedTo, tasks]);
+
+  if (sorted.length < 2) {
+    return <p className={s.muted}>Only one version so far — nothing to compare.</p>;
+  }
+
+  const loadingTasks = (before && !(before.id in tasks)) || (after && !(after.id in tasks));
+
+  return (
+    <div className={s.compare}>
+      {showPickers && (
+        <div className={s.pickers}>
+          <label className={s.picker}>
+            From
+            <select value={selectedFrom ?? ''} onChange={(e) => setSelectedFrom(e.target.value)}>
+              {sorted.map((v) => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+            </select>
+          </label>
+          <span className={s.arrow}>→</span>
+          <label className={s.picker}>
+            To
+            <select value={selectedTo ?? ''} onChange={(e) => setSelectedTo(e.target.value)}>
+              {sorted.map((v) => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {error && <div className={s.errorBanner}>{error}</div>}
+
+      {before && after && before.id === after.id && (
+        <p className={s.muted}>Pick two different versions.</p>
+      )}
+
+      {before && after && before.id !== after.id && (
+        loadingTasks && !error
+          ? <p className={s.muted}>Loading…</p>
+          : (
+            <CarePlanDiffView
+              before={before}
+              after={after}
+              beforeTasks={tasks[before.id] || []}
+              afterTasks={tasks[after.id] || []}
+            />
+          )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { getMedicationRecords, latestPublishedVersion } from './storage';
+import { getShifts } from '../scheduling/storage';
+import {
+  buildMarGrid,
+  marCellCode,
+  marMonthLabel,
+  marMonthRange,
+  medicationsFromVersion,
+  renderMarHtml,
+} from '../../lib/emar';
+import { DEFAULT_APP_TIMEZONE, utcMsToWallClockParts } from '../../lib/scheduling/timezone';
+import { CollapseChevron, useCollapsed } from '../../shared/components/CollapseChevron';
+import s from './MedicationRecord.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// MedicationRecord — monthly MAR
+//
+// Renders inside CarePlanPanel under "Recent activity". One row per
+// medication and administration time on the latest published plan
+// (plus rows for anything charted that has since come off the plan),
+// one column per day of the month. Cells show what the caregiver
+// charted from the shift checklist, "?" for a dose on a finished shift
+// nobody charted, and shading for days without a visit. "Print MAR"
+// opens a landscape, chrome-free copy for the chart binder.
+// Grid logic: src/lib/emar.js.
+// ═══════════════════════════════════════════════════════════════
+
+function currentMonth() {
+  const p = utcMsToWallClockParts(Date.now(), DEFAULT_APP_TIMEZONE);
+  return { year: p.year, month: p.month };
+}
+
+function shiftMonth({ year, month }, delta) {
+  const index = year * 12 + (month - 1) + delta;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+export function MedicationRecord({ carePlanId, clientId, clientName, versions }) {
+  const [period, setPeriod] = useState(currentMonth);
+  const [records, setRecords] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [open, toggleOpen] = useCollapsed('tc_collapsible_card:Medication record', false);
+
+  const version = latestPublishedVersion(versions);
+  const medications = useMemo(() => medicationsFromVersion(version?.data), [version]);
+
+  const { year, month } = period;
+  const load = useCallback(async () => {
+    if (!carePlanId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const range = marMonthRange(year, month, DEFAULT_APP_TIMEZONE);
+      const [recordRows, shiftRows] = await Promise.all([
+        getMedicationRecords(carePlanId, range),
+        getShifts({ clientId, startDate: range.startIso, endDate: range.endIso }),
+      ]);
+      setRecords(recordRows);
+      setShifts(shiftRows);
+    } catch (e) {
+      setError(e?.message || 'Could not load the medication record.');
+    } finally {
+      setLoading(false);
+    }
+  }, [carePlanId, clientId, year, month]);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const grid = useMemo(
+    () => buildMarGrid({
+      medications,
+      shifts,
+      observations: records,
+      year,
+      month,
+      timezone: DEFAULT_APP_TIMEZONE,
+    }),
+    [medications, shifts, records, year, month],
+  );
+
+  const handlePrint = () => {
+    const win = window.open('', '_blank');
+    if (!win) {
+      setError('Allow pop-ups for this site to print the MAR.');
+      return;
+    }
+    win.document.write(renderMarHtml({
+      grid,
+      clientName: clientName || 'Client',
+      generatedAt: new Date().toISOString(),
+    }));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  const heading = (
+    <button type="button" onClick={toggleOpen} aria-expanded={open} className={s.collapseToggle}>
+      <CollapseChevron open={open} />
+      <h4 className={s.title}>Medication record (MAR)</h4>
+    </button>
+  );
+
+  return (
+    <section className={s.panel}>
+      {heading}
+      {open && (
+        <>
+          <div className={s.toolbar}>
+            <button className={s.linkBtn} onClick={() => setPeriod((p) => shiftMonth(p, -1))}>‹ Prev</button>
+            <span className={s.month}>{marMonthLabel(year, month)}</span>
+            <button className={s.linkBtn} onClick={() => setPeriod((p) => shiftMonth(p, 1))}>Next ›</button>
+            <button
+              className={s.printBtn}
+              onClick={handlePrint}
+              disabled={loading || grid.rows.length === 0}
+            >
+              Print MAR
+            </button>
+          </div>
+
+          {error && <div className={s.errorBanner}>{error}</div>}
+          {loading && <div className={s.muted}>Loading…</div>}
+
+          {!loading && grid.rows.length === 0 && (
+            <p className={s.muted}>
+              No medications on the published care plan and nothing charted this month.
+              Add medications under Health Profile, then publish.
+            </p>
+          )}
+
+          {!loading && grid.rows.length > 0 && (
+            <>
+              <div className={s.gridWrap}>
+                <table className={s.grid}>
+                  <thead>
+                    <tr>
+                      <th className={s.medCol}>Medication</th>
+                      <th>Time</th>
+                      {grid.days.map((d) => <th key={d} className={s.dayCol}>{d}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {grid.rows.map((row) => (
+                      <tr key={row.id}>
+                        <td className={s.medCol}>
+                          <div className={s.medName}>{row.name}</div>
+                          <div className={s.medDetail}>
+                            {[row.dose, row.route].filter(Boolean).join(' · ')}
+                            {!row.onPlan && ' (not on current plan)'}
+                          </div>
+                        </td>
+                        <td className={s.timeCol}>{row.time ?? 'As needed'}</td>
+                        {grid.days.map((d) => {
+                          const cell = row.cells[d];
+                          // As-needed rows aren't tied to visits — no shading.
+                          const state = row.time === null
+                            ? (cell ? 'prn' : 'blank')
+                            : (cell?.state ?? 'none');
+                          return (
+                            <td
+                              key={d}
+                              className={`${s.dayCol} ${s[`cell_${state}`] || ''}`}
+                              title={cell?.record?.note || cell?.records?.map((r) => r.note).filter(Boolean).join('; ') || undefined}
+                            >
+                              {marCellCode(cell)}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className={s.legend}>
+                G given · R refused · H held · M missed · ? not documented · shaded = no visit.
+                {' '}This month: {grid.totals.given} given, {grid.totals.refused} refused,
+                {' '}{grid.totals.held} held, {grid.totals.missed} missed,
+                {' '}{grid.totals.undocumented} not documented.
+              </p>
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -1,5 +1,8 @@
-import { useState } from 'react';
+import { useMemo, useState } from 'react';
 import { publishVersion } from './storage';
+import { findMissingCms485Fields } from './cms485';
+import { downloadCms485Pdf } from './cms485Pdf';
+import { CarePlanVersionCompare } from './CarePlanVersionCompare';
 import btn from '../../styles/buttons.module.css';
 import s from './PublishModal.module.css';
 
@@ -11,6 +14,10 @@ import s from './PublishModal.module.css';
 //   - Agency signature (typed name, required)
 //   - Client signature (typed name, optional)
 //   - Client signature method (in-person / verbal / family / not collected)
+//   - What changed since the last published version, for review
+//   - Optionally, download the CMS-485 once published. Empty CMS-485
+//     fields are listed up front; they don't block publishing, since
+//     private-pay plans never need the form.
 //
 // Published versions are immutable (enforced at the storage layer).
 // If the admin later wants to change something, the panel will offer
@@ -34,16 +41,21 @@ const SIGNATURE_METHODS = [
   { key: 'not-collected', label: 'Not collected' },
 ];
 
-export function PublishModal({ version, currentUser, onClose, onPublished, showToast }) {
+export function PublishModal({
+  version, previousVersion, client, tasks, currentUser, onClose, onPublished, showToast,
+}) {
   const [reason, setReason] = useState(VERSION_REASONS[0]);
   const [otherReason, setOtherReason] = useState('');
   const defaultSig = currentUser?.displayName || currentUser?.email || '';
   const [agencySignedName, setAgencySignedName] = useState(defaultSig);
   const [clientSignedName, setClientSignedName] = useState('');
   const [clientSignedMethod, setClientSignedMethod] = useState('in-person');
+  const [downloadCms485, setDownloadCms485] = useState(false);
   const [publishing, setPublishing] = useState(false);
   const [error, setError] = useState(null);
 
+  const missingCms485 = useMemo(() => findMissingCms485Fields(version?.data), [version]);
+
   const effectiveReason = reason === 'Other' ? otherReason.trim() : reason;
   const canSubmit = agencySignedName.trim().length > 0
     && effectiveReason.length > 0
@@ -63,6 +75,14 @@ export function PublishModal({ version, currentUser, onClose, onPublished, showT
         userId,
       });
       showToast?.(`v${updated.versionNumber} published`);
+      if (downloadCms485) {
+        try {
+          await downloadCms485Pdf({ version: updated, client, tasks });
+        } catch (e) {
+          console.error('[PublishModal] CMS-485 failed:', e);
+          showToast?.(`Published, but the CMS-485 couldn't be generated: ${e.message}`);
+        }
+      }
       onPublished?.(updated);
       onClose?.();
     } catch (e) {
@@ -95,6 +115,20 @@ export function PublishModal({ version, currentUser, onClose, onPublished, showT
 
           {error && <div className={s.errorBanner}>Publish failed: {error}</div>}
 
+          {previousVersion && previousVersion.id !== version?.id && (
+            <details className={s.changes}>
+              <summary className={s.changesSummary}>
+                Review changes since v{previousVersion.versionNumber}
+              </summary>
+              <CarePlanVersionCompare
+                versions={[version, previousVersion]}
+                fromId={previousVersion.id}
+                toId={version.id}
+                showPickers={false}
+              />
+            </details>
+          )}
+
           <div className={s.field}>
             <label className={s.label}>
               Reason for this version
@@ -165,6 +199,34 @@ export function PublishModal({ version, currentUser, onClose, onPublished, showT
               ))}
             </div>
           </div>
+
+          <div className={s.field}>
+            <label className={s.label}>CMS-485 plan of care</label>
+            {missingCms485.length > 0 ? (
+              <div className={s.cmsMissing}>
+                <p className={s.cmsMissingTitle}>
+                  {missingCms485.length} CMS-485 {missingCms485.length === 1 ? 'field is' : 'fields are'} empty:
+                </p>
+                <ul className={s.cmsMissingList}>
+                  {missingCms485.map((f) => (
+                    <li key={`${f.sectionId}.${f.fieldId}`}>
+                      {f.sectionLabel} › {f.label}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <p className={s.helpText}>Every CMS-485 field is filled in.</p>
+            )}
+            <label className={s.checkOption}>
+              <input
+                type="checkbox"
+                checked={downloadCms485}
+                onChange={(e) => setDownloadCms485(e.target.checked)}
+              />
+              <span>Download the CMS-485 after publishing</span>
+            </label>
+          </div>
         </div>
 
         <footer className={s.footer}>
@@ -2,7 +2,10 @@ import { useEffect, useState, useCallback, useMemo } from 'react';
 import {
   getObservationsForShift,
   getTasksForVersion,
+  getVersion,
+  getVitalReadings,
 } from './storage';
+import { VitalsTrendChart } from './VitalsTrendChart';
 import {
   formatObservation,
   groupObservationsByTask,
@@ -10,6 +13,12 @@ import {
   pickLatestShiftNote,
 } from '../../lib/carePlanObservationFormatting';
 import { categoryLabel } from '../../lib/shiftTaskFilter';
+import {
+  VITAL_TYPE_IDS,
+  buildVitalSeries,
+  isStructuredVital,
+  vitalRangesFromVersion,
+} from '../../lib/vitals';
 import s from './ShiftCarePlanLog.module.css';
 
 // ═══════════════════════════════════════════════════════════════
@@ -20,6 +29,8 @@ import s from './ShiftCarePlanLog.module.css';
 //   - Per-task latest rating (Done / Partial / Not done)
 //   - Refusals (each is its own event)
 //   - Latest shift note (with full edit history collapsible)
+//   - Vitals taken, each charted against the client's previous 30
+//     days (this shift's readings enlarged)
 //
 // Read-only — admin doesn't edit caregiver observations from here.
 // Corrections happen via the existing care_plan_observations admin
@@ -29,9 +40,13 @@ import s from './ShiftCarePlanLog.module.css';
 // drawer doesn't show an empty section every time.
 // ═══════════════════════════════════════════════════════════════
 
+// How far back the vitals trend reaches before this shift's first reading.
+const VITALS_TREND_DAYS = 30;
+
 export function ShiftCarePlanLog({ shiftId }) {
   const [observations, setObservations] = useState([]);
   const [tasks, setTasks] = useState([]);
+  const [vitalTrend, setVitalTrend] = useState({ readings: [], version: null });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -59,6 +74,22 @@ export function ShiftCarePlanLog({ shiftId }) {
       } else {
         setTasks([]);
       }
+
+      // Vitals: pull the trend around this shift's readings, and the
+      // plan version they were checked against for the range lines.
+      const vitalObs = obs.filter(isStructuredVital);
+      if (vitalObs.length > 0) {
+        const sinceIso = new Date(
+          new Date(vitalObs[0].loggedAt).getTime() - VITALS_TREND_DAYS * 86_400_000,
+        ).toISOString();
+        const [readings, version] = await Promise.all([
+          getVitalReadings(vitalObs[0].carePlanId, { sinceIso }),
+          getVersion(vitalObs[0].versionId),
+        ]);
+        setVitalTrend({ readings, version });
+      } else {
+        setVitalTrend({ readings: [], version: null });
+      }
     } catch (e) {
       setError(e?.message || 'Could not load care plan log.');
     } finally {
@@ -83,6 +114,9 @@ export function ShiftCarePlanLog({ shiftId }) {
     [observations],
   );
   const latestShiftNote = useMemo(() => pickLatestShiftNote(observations), [observations]);
+  const vitals = useMemo(() => observations.filter(isStructuredVital), [observations]);
+  const vitalSeries = useMemo(() => buildVitalSeries(vitalTrend.readings), [vitalTrend.readings]);
+  const vitalRanges = useMemo(() => vitalRangesFromVersion(vitalTrend.version?.data), [vitalTrend.version]);
   const allShiftNotes = useMemo(
     () => observations
       .filter((o) => o.observationType === 'shift_note')
@@ -187,6 +221,42 @@ export function ShiftCarePlanLog({ shiftId }) {
         </div>
       )}
 
+      {/* ── Vitals ── */}
+      {vitals.length > 0 && (
+        <div className={s.section}>
+          <h5 className={s.sectionHeader}>Vitals ({vitals.length})</h5>
+          <ul className={s.refusalList}>
+            {vitals.map((v) => {
+              const formatted = formatObservation(v, taskMap);
+              return (
+                <li key={v.id} className={`${s.refusalItem} ${s[`tone_${formatted.tone}`] || ''}`}>
+                  <span className={s.icon}>{formatted.icon}</span>
+                  <div className={s.taskBody}>
+                    <div className={s.taskLabel}>{formatted.label}</div>
+                    {formatted.detail && (
+                      <div className={s.taskDetail}>{formatted.detail}</div>
+                    )}
+                  </div>
+                  <span className={s.timestamp}>{formatTime(v.loggedAt)}</span>
+                </li>
+              );
+            })}
+          </ul>
+          {VITAL_TYPE_IDS
+            .filter((type) => vitals.some((v) => v.vitalType === type) && vitalSeries[type])
+            .map((type) => (
+              <VitalsTrendChart
+                key={type}
+                type={type}
+                points={vitalSeries[type]}
+                ranges={vitalRanges}
+                highlightShiftId={shiftId}
+                height={150}
+              />
+            ))}
+        </div>
+      )}
+
       {/* ── Shift note ── */}
       {latestShiftNote && (
         <div className={s.section}>
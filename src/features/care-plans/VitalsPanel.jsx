@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { getVitalReadings, latestPublishedVersion } from './storage';
+import { VitalsTrendChart } from './VitalsTrendChart';
+import { VITAL_TYPE_IDS, buildVitalSeries, vitalRangesFromVersion } from '../../lib/vitals';
+import { CollapseChevron, useCollapsed } from '../../shared/components/CollapseChevron';
+import s from './VitalsPanel.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// VitalsPanel — vitals trends on the client page
+//
+// Renders inside CarePlanPanel under the MAR. One trend chart per
+// vital the caregivers have recorded in the chosen window, drawn
+// against the normal ranges on the latest published plan. Collapsed
+// by default so the client page doesn't query readings until asked.
+// ═══════════════════════════════════════════════════════════════
+
+const WINDOWS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+];
+
+export function VitalsPanel({ carePlanId, versions }) {
+  const [days, setDays] = useState(30);
+  const [readings, setReadings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [open, toggleOpen] = useCollapsed('tc_collapsible_card:Vitals', false);
+
+  const version = latestPublishedVersion(versions);
+  const ranges = useMemo(() => vitalRangesFromVersion(version?.data), [version]);
+
+  const load = useCallback(async () => {
+    if (!carePlanId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const sinceIso = new Date(Date.now() - days * 86_400_000).toISOString();
+      setReadings(await getVitalReadings(carePlanId, { sinceIso }));
+    } catch (e) {
+      setError(e?.message || 'Could not load vitals.');
+    } finally {
+      setLoading(false);
+    }
+  }, [carePlanId, days]);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const series = useMemo(() => buildVitalSeries(readings), [readings]);
+  const types = VITAL_TYPE_IDS.filter((t) => series[t]);
+  const flagged = readings.filter((r) => r.vitalFlag).length;
+
+  return (
+    <section className={s.panel}>
+      <button type="button" onClick={toggleOpen} aria-expanded={open} className={s.collapseToggle}>
+        <CollapseChevron open={open} />
+        <h4 className={s.title}>Vitals</h4>
+      </button>
+      {open && (
+        <>
+          <div className={s.toolbar}>
+            {WINDOWS.map((w) => (
+              <button
+                key={w.days}
+                type="button"
+                className={w.days === days ? s.windowBtnActive : s.windowBtn}
+                onClick={() => setDays(w.days)}
+              >
+                {w.label}
+              </button>
+            ))}
+            {!loading && readings.length > 0 && (
+              <span className={s.muted}>
+                {readings.length} {readings.length === 1 ? 'reading' : 'readings'}
+                {flagged > 0 && `, ${flagged} out of range`}
+              </span>
+            )}
+          </div>
+
+          {error && <div className={s.errorBanner}>{error}</div>}
+          {loading && <div className={s.muted}>Loading…</div>}
+
+          {!loading && types.length === 0 && (
+            <p className={s.muted}>
+              No vitals recorded in this window. Caregivers record them from the shift checklist;
+              set this client’s normal ranges under Health Profile.
+            </p>
+          )}
+
+          {!loading && types.length > 0 && (
+            <div className={s.charts}>
+              {types.map((type) => (
+                <VitalsTrendChart key={type} type={type} points={series[type]} ranges={ranges} />
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,108 @@
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { VITAL_MEASURES, VITAL_TYPES, formatVitalRange } from '../../lib/vitals';
+import s from './VitalsTrendChart.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// VitalsTrendChart — one vital over time
+//
+// Shared by VitalsPanel (client page) and ShiftCarePlanLog (shift
+// drawer). One line per measure (systolic + diastolic for blood
+// pressure), dashed lines at the client's normal-range bounds,
+// out-of-range readings drawn red. `highlightShiftId` enlarges the
+// readings taken on that shift. Series shape: buildVitalSeries in
+// src/lib/vitals.js.
+// ═══════════════════════════════════════════════════════════════
+
+const LINE_COLORS = ['#2E4E8D', '#29BEE4'];
+const FLAG_COLOR = '#C53030';
+
+const dayFormat = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' });
+const stampFormat = new Intl.DateTimeFormat('en-US', {
+  month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+});
+
+export function VitalsTrendChart({ type, points, ranges, highlightShiftId = null, height = 180 }) {
+  const spec = VITAL_TYPES[type];
+  if (!spec || !points?.length) return null;
+
+  // Recharts calls `dot` per point; a function lets flagged and
+  // highlighted readings stand out.
+  const renderDot = (color) => ({ cx, cy, payload }) => {
+    if (cx == null || cy == null) return null;
+    const highlighted = highlightShiftId && payload.shiftId === highlightShiftId;
+    return (
+      <circle
+        key={payload.id}
+        cx={cx}
+        cy={cy}
+        r={highlighted ? 5 : 3}
+        fill={payload.flag ? FLAG_COLOR : color}
+        stroke="#FFFFFF"
+        strokeWidth={1}
+      />
+    );
+  };
+
+  const rangeText = spec.measures
+    .map((m) => formatVitalRange(ranges?.[m]))
+    .filter(Boolean)
+    .join(' / ');
+
+  return (
+    <div className={s.chart}>
+      <div className={s.header}>
+        <span className={s.title}>{spec.label}</span>
+        <span className={s.meta}>
+          {spec.unit}
+          {rangeText && ` · normal ${rangeText}`}
+        </span>
+      </div>
+      <div style={{ width: '100%', height }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={points} margin={{ top: 8, right: 12, bottom: 0, left: -12 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+            <XAxis
+              dataKey="at"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(ms) => dayFormat.format(new Date(ms))}
+              tick={{ fontSize: 11 }}
+            />
+            <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+            <Tooltip
+              labelFormatter={(ms) => stampFormat.format(new Date(ms))}
+              formatter={(value, name) => [`${value} ${spec.unit}`, name]}
+            />
+            {spec.measures.flatMap((m) => [ranges?.[m]?.low, ranges?.[m]?.high]
+              .filter((y) => y != null)
+              .map((y, i) => (
+                <ReferenceLine key={`${m}-${i}`} y={y} stroke="#D69E2E" strokeDasharray="4 4" />
+              )))}
+            {spec.measures.map((m, i) => (
+              <Line
+                key={m}
+                type="monotone"
+                dataKey={m}
+                name={VITAL_MEASURES[m].short}
+                stroke={LINE_COLORS[i]}
+                strokeWidth={2}
+                dot={renderDot(LINE_COLORS[i])}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
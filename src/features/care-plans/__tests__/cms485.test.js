@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import {
+  listCms485Fields,
+  findMissingCms485Fields,
+  formatCms485Date,
+  buildCms485Form,
+  buildCms485Filename,
+} from '../cms485';
+import { buildCms485Pdf } from '../cms485Pdf';
+
+// The CMS-485 export reads the `cms485: true` tags in sections.js, so
+// the missing-field list in PublishModal and the PDF stay in step with
+// the care-plan structure.
+
+const completeData = () => ({
+  whoTheyAre: { fullName: 'Margaret Ann Doe', dateOfBirth: '1941-03-09', gender: 'Female' },
+  healthProfile: {
+    primaryDiagnoses: [
+      { condition: 'Congestive heart failure', yearDiagnosed: '2019' },
+      { condition: 'Type 2 diabetes' },
+    ],
+    medications: [
+      { name: 'Lisinopril', dose: '10 mg', route: 'PO (oral)', frequency: 'Once daily' },
+      { name: 'Tylenol', dose: '500 mg', frequency: 'Every 6 hours', prn: true, reason: 'pain' },
+    ],
+    allergies: [{ allergen: 'Penicillin', reaction: 'Hives', severity: 'Moderate' }],
+    functionalLimitations: ['Ambulation', 'Endurance'],
+  },
+  cognitionBehavior: { dementiaLevel: 'Mild', moodFlags: ['Anxiety'] },
+  dailyLiving: { nutrition_diet: ['Low sodium', 'Low sugar / diabetic'] },
+  dailyRhythm: { activitiesPermitted: ['Up as tolerated', 'Walker'] },
+  homeEnvironment: { equipmentInHome: ['Walker', 'Shower bench'] },
+  careTeam: { pcpName: 'Dr. Lee', pcpPhone: '(555) 555-0100', pcpAddress: '1 Main St' },
+  goalsOrders: {
+    careGoals: 'Remain safely at home.',
+    safetyMeasures: 'Gait belt for transfers.',
+    activityRestrictions: 'No lifting over 10 lbs.',
+    startOfCareDate: '2026-06-01',
+    certificationPeriodStart: '2026-06-01',
+    certificationPeriodEnd: '2026-07-30',
+    prognosis: 'Good',
+  },
+});
+
+const published = (data = completeData(), extra = {}) => ({
+  id: 'ver-3',
+  versionNumber: 3,
+  status: 'published',
+  agencySignedName: 'Jessica Nurse',
+  agencySignedAt: '2026-06-01',
+  data,
+  ...extra,
+});
+
+const client = {
+  firstName: 'Margaret', lastName: 'Doe', address: '12 Elm St', city: 'Irvine', state: 'CA', zip: '92618',
+};
+
+describe('CMS-485 field list', () => {
+  it('collects every tagged field in section order', () => {
+    const ids = listCms485Fields().map((f) => `${f.sectionId}.${f.fieldId}`);
+    expect(ids).toContain('whoTheyAre.dateOfBirth');
+    expect(ids).toContain('healthProfile.medications');
+    expect(ids).toContain('goalsOrders.prognosis');
+    expect(ids.indexOf('whoTheyAre.dateOfBirth')).toBeLessThan(ids.indexOf('goalsOrders.prognosis'));
+  });
+
+  it('lists the tagged fields still empty', () => {
+    expect(findMissingCms485Fields(completeData())).toEqual([]);
+    const data = completeData();
+    data.goalsOrders.prognosis = '';
+    data.healthProfile.medications = [];
+    expect(findMissingCms485Fields(data).map((f) => f.label)).toEqual(['Medications', 'Prognosis']);
+    expect(findMissingCms485Fields(null)).toHaveLength(listCms485Fields().length);
+  });
+});
+
+describe('buildCms485Form', () => {
+  it('fills the boxes from the version and client', () => {
+    const { boxes, missing, patientName } = buildCms485Form({
+      version: published(),
+      client,
+      tasks: [
+        { category: 'adl.bathing', taskName: 'Shower assist' },
+        { category: 'adl.bathing', taskName: 'Lotion' },
+        { category: 'iadl.meal_prep', taskName: 'Prepare lunch' },
+      ],
+    });
+    expect(missing).toEqual([]);
+    expect(patientName).toBe('Margaret Ann Doe');
+    expect(boxes[2].text).toBe('06/01/2026');
+    expect(boxes[3].text).toBe('From: 06/01/2026   To: 07/30/2026');
+    expect(boxes[6].text).toBe('Margaret Ann Doe\n12 Elm St\nIrvine, CA 92618');
+    expect(boxes[7].text).toBe('Tremendous Care');
+    expect(boxes[8].text).toBe('03/09/1941');
+    expect(boxes[9].text).toBe('F');
+    expect(boxes[10].text).toBe(
+      'Lisinopril 10 mg / Once daily / PO (oral)\nTylenol 500 mg / Every 6 hours PRN (pain)',
+    );
+    expect(boxes[11].text).toBe('Congestive heart failure (2019)');
+    expect(boxes[13].text).toBe('Type 2 diabetes');
+    expect(boxes[14].text).toBe('Walker, Shower bench');
+    expect(boxes[16].text).toBe('Low sodium, Low sugar / diabetic');
+    expect(boxes[17].text).toBe('Penicillin (Hives, Moderate)');
+    expect(boxes['18A'].text).toBe('Ambulation, Endurance');
+    expect(boxes['18B'].text).toBe('Up as tolerated, Walker');
+    expect(boxes[19].text).toBe('Dementia: Mild; Anxiety');
+    expect(boxes[20].text).toBe('Good');
+    expect(boxes[21].text).toBe([
+      'Home health aide / personal care:',
+      '- Bathing: Shower assist; Lotion',
+      '- Meal preparation: Prepare lunch',
+      'Activity restrictions: No lifting over 10 lbs.',
+    ].join('\n'));
+    expect(boxes[23].text).toBe('Jessica Nurse   06/01/2026');
+    expect(boxes[24].text).toBe('Dr. Lee\n1 Main St\n(555) 555-0100');
+  });
+
+  it('leaves the boxes the portal does not store blank', () => {
+    const { boxes } = buildCms485Form({ version: published(), client });
+    for (const n of [1, 4, 5, 12, 25, 27]) expect(boxes[n].text).toBe('');
+  });
+
+  it('falls back to the client record name and reports empty fields', () => {
+    const { patientName, missing, boxes } = buildCms485Form({ version: published({}), client });
+    expect(patientName).toBe('Margaret Doe');
+    expect(missing.length).toBe(listCms485Fields().length);
+    expect(boxes[17].text).toBe('');
+  });
+
+  it('refuses drafts', () => {
+    expect(() => buildCms485Form({ version: published(completeData(), { status: 'draft' }) }))
+      .toThrow(/published version/);
+  });
+});
+
+describe('formatting helpers', () => {
+  it('formats dates and filenames', () => {
+    expect(formatCms485Date('2026-06-01')).toBe('06/01/2026');
+    expect(formatCms485Date('')).toBe('');
+    expect(buildCms485Filename({ patientName: "Margaret O'Doe", versionNumber: 3 }))
+      .toBe('CMS-485_Margaret_O_Doe_v3.pdf');
+    expect(buildCms485Filename({ patientName: '', versionNumber: null })).toBe('CMS-485_Client.pdf');
+  });
+});
+
+describe('buildCms485Pdf', () => {
+  it('returns a one-page PDF when everything fits', async () => {
+    const bytes = await buildCms485Pdf(buildCms485Form({ version: published(), client }));
+    expect(bytes).toBeInstanceOf(Uint8Array);
+    const parsed = await PDFDocument.load(bytes);
+    expect(parsed.getPageCount()).toBe(1);
+  });
+
+  it('moves overflowing boxes to an addendum page', async () => {
+    const data = completeData();
+    data.healthProfile.medications = Array.from({ length: 30 }, (_, i) => ({
+      name: `Medication ${i + 1}`, dose: '5 mg', frequency: 'Twice daily — with food', route: 'PO (oral)',
+    }));
+    const bytes = await buildCms485Pdf(buildCms485Form({ version: published(data), client }));
+    const parsed = await PDFDocument.load(bytes);
+    expect(parsed.getPageCount()).toBe(2);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import {
+  diffField,
+  diffTasks,
+  diffCarePlanVersions,
+  countCarePlanChanges,
+} from '../versionDiff';
+import { getFieldById } from '../sections';
+
+// The version diff is what nurses review before publishing, so the
+// cases here are the ones that would mislead a reviewer if wrong:
+// reorder-only noise, tasks reappearing as add+remove after a draft
+// clone, and the AI snapshot showing as changed every time.
+
+const meds = getFieldById('healthProfile', 'medications');
+const allergies = getFieldById('healthProfile', 'allergies');
+const languages = getFieldById('whoTheyAre', 'languages');
+const otherConditions = getFieldById('healthProfile', 'otherConditions');
+const religion = getFieldById('whoTheyAre', 'religion');
+
+const version = (id, versionNumber, data) => ({ id, versionNumber, status: 'draft', data });
+
+const task = (id, overrides = {}) => ({
+  id,
+  category: 'adl.bathing',
+  taskName: 'Shower assist',
+  description: 'Stand-by assist in the shower',
+  shifts: ['morning'],
+  daysOfWeek: ['Mon', 'Wed', 'Fri'],
+  priority: 'standard',
+  safetyNotes: '',
+  sortOrder: 0,
+  ...overrides,
+});
+
+describe('diffField', () => {
+  it('returns null when the value is unchanged or both sides are empty', () => {
+    expect(diffField(religion, 'Catholic', 'Catholic')).toBeNull();
+    expect(diffField(religion, '', undefined)).toBeNull();
+    expect(diffField(languages, [], null)).toBeNull();
+    expect(diffField(meds, undefined, [])).toBeNull();
+  });
+
+  it('shows simple fields inline', () => {
+    expect(diffField(religion, 'Catholic', 'Lutheran')).toEqual({
+      fieldId: 'religion', label: religion.label, kind: 'inline',
+      before: 'Catholic', after: 'Lutheran',
+    });
+  });
+
+  it('shows free text as a line diff', () => {
+    const entry = diffField(otherConditions, 'Hip replacement 2015\nGout', 'Hip replacement 2015\nAsthma');
+    expect(entry.kind).toBe('lines');
+    expect(entry.lines).toEqual([
+      { op: 'context', text: 'Hip replacement 2015' },
+      { op: 'del', text: 'Gout' },
+      { op: 'add', text: 'Asthma' },
+    ]);
+  });
+
+  it('shows multiselects as added / removed', () => {
+    const entry = diffField(languages, ['English', 'Spanish'], ['English', 'Tagalog']);
+    expect(entry).toMatchObject({ kind: 'set', added: ['Tagalog'], removed: ['Spanish'] });
+  });
+
+  it('reports added, removed and changed medication rows', () => {
+    const before = [
+      { name: 'Lisinopril', dose: '10 mg', frequency: 'Once daily' },
+      { name: 'Metformin', dose: '500 mg', frequency: 'BID' },
+    ];
+    const after = [
+      { name: 'Lisinopril', dose: '20 mg', frequency: 'Once daily' },
+      { name: 'Furosemide', dose: '40 mg', frequency: 'Once daily' },
+    ];
+    const entry = diffField(meds, before, after);
+    expect(entry.kind).toBe('list');
+    expect(entry.rows.map((r) => [r.op, r.label])).toEqual([
+      ['change', 'Lisinopril'],
+      ['add', 'Furosemide'],
+      ['del', 'Metformin'],
+    ]);
+    expect(entry.rows[0].changes).toEqual([
+      { id: 'dose', label: 'Dose', before: '10 mg', after: '20 mg' },
+    ]);
+    expect(entry.rows[1].text).toContain('40 mg');
+  });
+
+  it('matches list rows case-insensitively and ignores reordering', () => {
+    const before = [
+      { allergen: 'Penicillin', severity: 'Severe' },
+      { allergen: 'Peanuts', severity: 'Moderate' },
+    ];
+    const after = [
+      { allergen: 'peanuts', severity: 'Moderate' },
+      { allergen: 'Penicillin', severity: 'Severe' },
+    ];
+    // Only the casing of "peanuts" differs, which is a real edit.
+    const entry = diffField(allergies, before, after);
+    expect(entry.rows).toHaveLength(1);
+    expect(entry.rows[0]).toMatchObject({ op: 'change', label: 'peanuts' });
+
+    expect(diffField(allergies, before, [before[1], before[0]])).toBeNull();
+  });
+});
+
+describe('diffTasks', () => {
+  it('matches tasks by category and name across fresh draft ids', () => {
+    const before = [task('t1'), task('t2', { category: 'iadl.laundry', taskName: 'Laundry' })];
+    const after = [
+      task('n1', { daysOfWeek: ['Mon', 'Wed', 'Fri', 'Sat'] }),
+      task('n2', { category: 'iadl.laundry', taskName: 'Laundry' }),
+    ];
+    const bySection = diffTasks(before, after);
+    expect(Object.keys(bySection)).toEqual(['dailyLiving']);
+    expect(bySection.dailyLiving).toHaveLength(1);
+    expect(bySection.dailyLiving[0]).toMatchObject({
+      op: 'change',
+      label: 'Bathing — Shower assist',
+    });
+    expect(bySection.dailyLiving[0].changes.map((c) => c.id)).toEqual(['daysOfWeek']);
+  });
+
+  it('files added and removed tasks under their own section', () => {
+    const bySection = diffTasks(
+      [task('t1')],
+      [task('n1'), task('n2', { category: 'iadl.meal_prep', taskName: 'Lunch', description: 'Soft diet' })],
+    );
+    expect(bySection.homeAndLife).toEqual([
+      expect.objectContaining({ op: 'add', label: 'Meal preparation — Lunch', text: 'Soft diet' }),
+    ]);
+    expect(bySection.dailyLiving).toBeUndefined();
+  });
+});
+
+describe('diffCarePlanVersions', () => {
+  it('returns only changed sections, in section order, without the snapshot', () => {
+    const before = version('v1', 1, {
+      snapshot: { narrative: 'Old summary' },
+      whoTheyAre: { religion: 'Catholic' },
+      healthProfile: { medications: [{ name: 'Lisinopril', dose: '10 mg' }] },
+    });
+    const after = version('v2', 2, {
+      snapshot: { narrative: 'New summary' },
+      whoTheyAre: { religion: 'Catholic' },
+      healthProfile: { medications: [{ name: 'Lisinopril', dose: '20 mg' }] },
+    });
+    const sections = diffCarePlanVersions(before, after, {
+      beforeTasks: [task('t1')],
+      afterTasks: [],
+    });
+    expect(sections.map((s) => s.sectionId)).toEqual(['healthProfile', 'dailyLiving']);
+    expect(sections[0].fields.map((f) => f.fieldId)).toEqual(['medications']);
+    expect(sections[1].fields).toEqual([]);
+    expect(sections[1].tasks[0].op).toBe('del');
+    expect(countCarePlanChanges(sections)).toBe(2);
+  });
+
+  it('returns nothing for identical versions or a missing side', () => {
+    const data = { whoTheyAre: { religion: 'Catholic' } };
+    expect(diffCarePlanVersions(version('a', 1, data), version('b', 2, data))).toEqual([]);
+    expect(diffCarePlanVersions(null, version('b', 2, data))).toEqual([]);
+    expect(countCarePlanChanges([])).toBe(0);
+  });
+});
@@ -0,0 +1,260 @@
+// ═══════════════════════════════════════════════════════════════
+// cms485
+//
+// Maps a published care-plan version onto the boxes of CMS form 485
+// (Home Health Certification and Plan of Care). Pure — the PDF layout
+// lives in cms485Pdf.js and the missing-field list is shown in
+// PublishModal, so both read the same mapping.
+//
+// Fields tagged `cms485: true` in sections.js are the ones the form
+// cannot be completed without; findMissingCms485Fields lists the empty
+// ones. Other boxes are filled from whatever the plan has (allergies,
+// DME, diet, mental status) and the client record (name, address).
+//
+// Left blank for the office to complete by hand, because the portal
+// doesn't store them: 1 (HI claim no.), 4 (medical record no.),
+// 5 (provider no.), 12 (surgical procedure), 25 (date the signed POT
+// was received) and 27 (physician signature). ICD codes aren't
+// captured either — diagnoses print as written on the plan.
+// ═══════════════════════════════════════════════════════════════
+
+import { CARE_PLAN_SECTIONS, TASK_CATEGORIES, getFieldById } from './sections';
+import { formatCarePlanFieldValue, isEmptyValue } from './fieldDisplay';
+
+export const CMS485_BOX_LABELS = Object.freeze({
+  1: 'Patient\'s HI claim no.',
+  2: 'Start of care date',
+  3: 'Certification period',
+  4: 'Medical record no.',
+  5: 'Provider no.',
+  6: 'Patient\'s name and address',
+  7: 'Provider\'s name, address and telephone number',
+  8: 'Date of birth',
+  9: 'Sex',
+  10: 'Medications: dose / frequency / route',
+  11: 'Principal diagnosis',
+  12: 'Surgical procedure',
+  13: 'Other pertinent diagnoses',
+  14: 'DME and supplies',
+  15: 'Safety measures',
+  16: 'Nutritional requirements',
+  17: 'Allergies',
+  '18A': 'Functional limitations',
+  '18B': 'Activities permitted',
+  19: 'Mental status',
+  20: 'Prognosis',
+  21: 'Orders for discipline and treatments',
+  22: 'Goals / rehabilitation potential / discharge plans',
+  23: 'Agency signature and date',
+  24: 'Physician\'s name and address',
+  25: 'Date HHA received signed POT',
+  26: 'Physician certification',
+  27: 'Attending physician\'s signature and date signed',
+  28: 'Penalty statement',
+});
+
+export const CMS485_CERTIFICATION_TEXT =
+  'I certify/recertify that this patient is confined to the home and needs intermittent skilled '
+  + 'nursing care, physical therapy and/or speech therapy or continues to need occupational therapy. '
+  + 'The patient is under my care, and I have authorized the services on this plan of care and will '
+  + 'periodically review the plan.';
+
+export const CMS485_PENALTY_TEXT =
+  'Anyone who misrepresents, falsifies, or conceals essential information required for payment of '
+  + 'Federal funds may be subject to fine, imprisonment, or civil penalty under applicable Federal laws.';
+
+/**
+ * Every field tagged `cms485: true`, in section order.
+ * @returns {Array<{ sectionId, sectionLabel, fieldId, label }>}
+ */
+export function listCms485Fields() {
+  const out = [];
+  for (const section of [...CARE_PLAN_SECTIONS].sort((a, b) => a.order - b.order)) {
+    for (const field of section.fields || []) {
+      if (!field.cms485) continue;
+      out.push({ sectionId: section.id, sectionLabel: section.label, fieldId: field.id, label: field.label });
+    }
+  }
+  return out;
+}
+
+/**
+ * The CMS-485 fields still empty on a version's data.
+ *
+ * @param {object} versionData  care_plan_versions.data
+ */
+export function findMissingCms485Fields(versionData) {
+  return listCms485Fields().filter(
+    (f) => isEmptyValue(versionData?.[f.sectionId]?.[f.fieldId]),
+  );
+}
+
+// 'YYYY-MM-DD' → 'MM/DD/YYYY' without a timezone round-trip; ISO
+// timestamps use the local date.
+export function formatCms485Date(value) {
+  if (!value) return '';
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (m) return `${m[2]}/${m[3]}/${m[1]}`;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  return d.toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric' });
+}
+
+function fieldText(data, sectionId, fieldId) {
+  const field = getFieldById(sectionId, fieldId);
+  return formatCarePlanFieldValue(field, data?.[sectionId]?.[fieldId]);
+}
+
+function joinNonEmpty(parts, sep) {
+  return parts.filter((p) => p != null && String(p).trim() !== '').join(sep);
+}
+
+function formatMedication(row) {
+  const name = String(row?.name || '').trim();
+  if (!name) return '';
+  const detail = joinNonEmpty([row.dose, row.frequency, row.route], ' / ');
+  const prn = row.prn ? ' PRN' : '';
+  const reason = row.reason ? ` (${row.reason})` : '';
+  return `${name}${detail ? ` ${detail}` : ''}${prn}${reason}`;
+}
+
+function formatDiagnosis(row) {
+  const condition = String(row?.condition || '').trim();
+  if (!condition) return '';
+  return row.yearDiagnosed ? `${condition} (${row.yearDiagnosed})` : condition;
+}
+
+function formatAllergy(row) {
+  const allergen = String(row?.allergen || '').trim();
+  if (!allergen) return '';
+  const detail = joinNonEmpty([row.reaction, row.severity], ', ');
+  return detail ? `${allergen} (${detail})` : allergen;
+}
+
+function formatSex(gender) {
+  if (gender === 'Female') return 'F';
+  if (gender === 'Male') return 'M';
+  return gender || '';
+}
+
+// Box 21: the aide tasks on the plan, one line per category, followed
+// by restrictions and any other clinician orders.
+function formatOrders(tasks, data) {
+  const byCategory = new Map();
+  for (const task of tasks || []) {
+    const label = TASK_CATEGORIES[task.category]?.label || task.category;
+    if (!byCategory.has(label)) byCategory.set(label, []);
+    byCategory.get(label).push(task.taskName);
+  }
+  const lines = [];
+  if (byCategory.size > 0) {
+    lines.push('Home health aide / personal care:');
+    for (const [label, names] of byCategory) {
+      lines.push(`- ${label}: ${names.filter(Boolean).join('; ')}`);
+    }
+  }
+  const restrictions = fieldText(data, 'goalsOrders', 'activityRestrictions');
+  if (restrictions) lines.push(`Activity restrictions: ${restrictions}`);
+  const notes = fieldText(data, 'goalsOrders', 'ordersNotes');
+  if (notes) lines.push(notes);
+  return lines.join('\n');
+}
+
+/**
+ * Fill the CMS-485 boxes from a published version.
+ *
+ * @param {object} args
+ * @param {object} args.version     care-plan version (camelCase), must be published
+ * @param {object} [args.client]    client record (firstName, lastName, address, city, state, zip)
+ * @param {Array}  [args.tasks]     care_plan_tasks for the version (camelCase)
+ * @param {string} [args.agencyName]
+ * @returns {{ boxes: Record<string, { label: string, text: string }>, missing: Array, patientName: string, versionNumber: number|null }}
+ */
+export function buildCms485Form({ version, client, tasks = [], agencyName = 'Tremendous Care' }) {
+  if (!version) throw new Error('buildCms485Form: version is required');
+  if (version.status !== 'published') {
+    throw new Error('CMS-485 can only be generated from a published version.');
+  }
+  const data = version.data || {};
+  const who = data.whoTheyAre || {};
+  const health = data.healthProfile || {};
+  const goals = data.goalsOrders || {};
+  const careTeam = data.careTeam || {};
+  const cognition = data.cognitionBehavior || {};
+
+  const patientName = String(who.fullName || '').trim()
+    || joinNonEmpty([client?.firstName, client?.lastName], ' ');
+  const cityLine = joinNonEmpty([client?.city, joinNonEmpty([client?.state, client?.zip], ' ')], ', ');
+
+  const diagnoses = (Array.isArray(health.primaryDiagnoses) ? health.primaryDiagnoses : [])
+    .map(formatDiagnosis)
+    .filter(Boolean);
+
+  const certStart = formatCms485Date(goals.certificationPeriodStart);
+  const certEnd = formatCms485Date(goals.certificationPeriodEnd);
+
+  const text = {
+    1: '',
+    2: formatCms485Date(goals.startOfCareDate),
+    3: certStart || certEnd ? `From: ${certStart}   To: ${certEnd}` : '',
+    4: '',
+    5: '',
+    6: joinNonEmpty([patientName, client?.address, cityLine], '\n'),
+    7: agencyName || '',
+    8: formatCms485Date(who.dateOfBirth),
+    9: formatSex(who.gender),
+    10: (Array.isArray(health.medications) ? health.medications : [])
+      .map(formatMedication)
+      .filter(Boolean)
+      .join('\n'),
+    11: diagnoses[0] || '',
+    12: '',
+    13: diagnoses.slice(1).join('\n'),
+    14: fieldText(data, 'homeEnvironment', 'equipmentInHome'),
+    15: fieldText(data, 'goalsOrders', 'safetyMeasures'),
+    16: joinNonEmpty([
+      fieldText(data, 'dailyLiving', 'nutrition_diet'),
+      fieldText(data, 'dailyLiving', 'nutrition_specialDiet'),
+    ], '\n'),
+    17: (Array.isArray(health.allergies) ? health.allergies : [])
+      .map(formatAllergy)
+      .filter(Boolean)
+      .join('; '),
+    '18A': fieldText(data, 'healthProfile', 'functionalLimitations'),
+    '18B': fieldText(data, 'dailyRhythm', 'activitiesPermitted'),
+    19: joinNonEmpty([
+      cognition.dementiaLevel ? `Dementia: ${cognition.dementiaLevel}` : '',
+      fieldText(data, 'cognitionBehavior', 'moodFlags'),
+    ], '; '),
+    20: fieldText(data, 'goalsOrders', 'prognosis'),
+    21: formatOrders(tasks, data),
+    22: fieldText(data, 'goalsOrders', 'careGoals'),
+    23: joinNonEmpty([
+      version.agencySignedName,
+      formatCms485Date(version.agencySignedAt || version.publishedAt),
+    ], '   '),
+    24: joinNonEmpty([careTeam.pcpName, careTeam.pcpAddress, careTeam.pcpPhone], '\n'),
+    25: '',
+    26: CMS485_CERTIFICATION_TEXT,
+    27: '',
+    28: CMS485_PENALTY_TEXT,
+  };
+
+  const boxes = {};
+  for (const [number, label] of Object.entries(CMS485_BOX_LABELS)) {
+    boxes[number] = { label, text: text[number] ?? '' };
+  }
+  return {
+    boxes,
+    missing: findMissingCms485Fields(data),
+    patientName,
+    versionNumber: version.versionNumber ?? null,
+  };
+}
+
+/** 'CMS-485_Jane_Doe_v3.pdf'. */
+export function buildCms485Filename({ patientName, versionNumber }) {
+  const name = String(patientName || '').trim().replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '')
+    || 'Client';
+  return `CMS-485_${name}${versionNumber != null ? `_v${versionNumber}` : ''}.pdf`;
+}
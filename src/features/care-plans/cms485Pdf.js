@@ -0,0 +1,213 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { buildCms485Form, buildCms485Filename } from './cms485';
+import { sanitizePdfText } from '../../lib/pdfText';
+
+// ═══════════════════════════════════════════════════════════════
+// cms485Pdf
+//
+// Draws the boxes from buildCms485Form (cms485.js) in the CMS-485
+// grid on one Letter page. A box whose text doesn't fit prints what
+// fits and "see addendum"; the full text follows on addendum pages,
+// as agencies do on paper.
+// ═══════════════════════════════════════════════════════════════
+
+// Layout constants — Letter portrait at 72 DPI.
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 24;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const LABEL_SIZE = 6.5;
+const TEXT_SIZE = 8;
+const TEXT_LEADING = 9.5;
+const CELL_PAD = 3;
+// The certification and penalty statements are fixed text, set in
+// fine print as on the paper form.
+const FINE_PRINT_BOXES = new Set(['26', '28']);
+const FINE_PRINT_SIZE = 6.5;
+const FINE_PRINT_LEADING = 7.5;
+
+const COLOR_TITLE = rgb(0.10, 0.18, 0.36);
+const COLOR_LABEL = rgb(0.30, 0.36, 0.46);
+const COLOR_BODY = rgb(0.10, 0.10, 0.10);
+const COLOR_RULE = rgb(0.45, 0.50, 0.58);
+
+// Form rows, top to bottom: [box, share of the row width] per cell.
+const LAYOUT = [
+  { height: 30, cells: [['1', 0.22], ['2', 0.16], ['3', 0.28], ['4', 0.17], ['5', 0.17]] },
+  { height: 48, cells: [['6', 0.5], ['7', 0.5]] },
+  { height: 30, cells: [['8', 0.3], ['9', 0.2], ['11', 0.5]] },
+  { height: 84, cells: [['10', 1]] },
+  { height: 40, cells: [['12', 0.5], ['13', 0.5]] },
+  { height: 48, cells: [['14', 0.5], ['15', 0.5]] },
+  { height: 40, cells: [['16', 0.5], ['17', 0.5]] },
+  { height: 48, cells: [['18A', 0.5], ['18B', 0.5]] },
+  { height: 30, cells: [['19', 0.6], ['20', 0.4]] },
+  { height: 90, cells: [['21', 1]] },
+  { height: 56, cells: [['22', 1]] },
+  { height: 30, cells: [['23', 0.5], ['25', 0.5]] },
+  { height: 64, cells: [['24', 0.5], ['26', 0.5]] },
+  { height: 40, cells: [['27', 0.5], ['28', 0.5]] },
+];
+
+function wrapText(text, font, fontSize, maxWidth) {
+  const safe = sanitizePdfText(text);
+  if (!safe) return [];
+  const lines = [];
+  for (const rawLine of safe.split(/\r?\n/)) {
+    if (rawLine.trim() === '') continue;
+    let current = '';
+    for (const word of rawLine.split(/\s+/)) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, fontSize) <= maxWidth || !current) {
+        current = candidate;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+      // Hard-break a single word that is wider than maxWidth.
+      while (font.widthOfTextAtSize(current, fontSize) > maxWidth) {
+        let cut = current.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(current.slice(0, cut), fontSize) > maxWidth) {
+          cut -= 1;
+        }
+        lines.push(current.slice(0, cut));
+        current = current.slice(cut);
+      }
+    }
+    if (current) lines.push(current);
+  }
+  return lines;
+}
+
+/**
+ * Build the PDF from a filled form. Returns a Uint8Array.
+ *
+ * @param {ReturnType<typeof buildCms485Form>} form
+ */
+export async function buildCms485Pdf(form) {
+  const pdfDoc = await PDFDocument.create();
+  const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let y = PAGE_HEIGHT - MARGIN;
+
+  // ── Header ─────────────────────────────────────────────────────
+  page.drawText('HOME HEALTH CERTIFICATION AND PLAN OF CARE', {
+    x: MARGIN, y: y - 11, size: 11, font: fontBold, color: COLOR_TITLE,
+  });
+  const formId = sanitizePdfText(`Form CMS-485 layout - care plan v${form.versionNumber ?? '?'}`);
+  page.drawText(formId, {
+    x: PAGE_WIDTH - MARGIN - fontRegular.widthOfTextAtSize(formId, 7),
+    y: y - 10,
+    size: 7,
+    font: fontRegular,
+    color: COLOR_LABEL,
+  });
+  y -= 18;
+
+  // ── Boxes ──────────────────────────────────────────────────────
+  const overflow = [];
+  for (const row of LAYOUT) {
+    let x = MARGIN;
+    for (const [number, share] of row.cells) {
+      const width = CONTENT_WIDTH * share;
+      const box = form.boxes[number] || { label: '', text: '' };
+      page.drawRectangle({
+        x, y: y - row.height, width, height: row.height,
+        borderColor: COLOR_RULE, borderWidth: 0.5,
+      });
+      page.drawText(sanitizePdfText(`${number}. ${box.label}`), {
+        x: x + CELL_PAD, y: y - CELL_PAD - LABEL_SIZE, size: LABEL_SIZE, font: fontRegular, color: COLOR_LABEL,
+      });
+
+      const finePrint = FINE_PRINT_BOXES.has(number);
+      const size = finePrint ? FINE_PRINT_SIZE : TEXT_SIZE;
+      const leading = finePrint ? FINE_PRINT_LEADING : TEXT_LEADING;
+      const lines = wrapText(box.text, fontRegular, size, width - CELL_PAD * 2);
+      const capacity = Math.max(
+        1,
+        Math.floor((row.height - CELL_PAD * 2 - LABEL_SIZE - 2) / leading),
+      );
+      let shown = lines;
+      if (lines.length > capacity) {
+        shown = [...lines.slice(0, capacity - 1), '(continued - see addendum)'];
+        overflow.push({ number, ...box });
+      }
+      let lineY = y - CELL_PAD - LABEL_SIZE - 2 - size;
+      for (const line of shown) {
+        page.drawText(line, { x: x + CELL_PAD, y: lineY, size, font: fontRegular, color: COLOR_BODY });
+        lineY -= leading;
+      }
+      x += width;
+    }
+    y -= row.height;
+  }
+
+  // ── Addendum ───────────────────────────────────────────────────
+  if (overflow.length > 0) {
+    let addendum = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let ay = PAGE_HEIGHT - MARGIN;
+    const ensureSpace = (needed) => {
+      if (ay - needed < MARGIN * 2) {
+        addendum = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        ay = PAGE_HEIGHT - MARGIN;
+      }
+    };
+    const drawLine = (text, font, size, leading) => {
+      ensureSpace(leading);
+      addendum.drawText(text, { x: MARGIN, y: ay - size, size, font, color: COLOR_BODY });
+      ay -= leading;
+    };
+
+    drawLine('ADDENDUM TO PLAN OF CARE', fontBold, 11, 16);
+    drawLine(sanitizePdfText(`Patient: ${form.patientName || ''}`), fontRegular, 9, 16);
+    for (const box of overflow) {
+      ay -= 4;
+      drawLine(sanitizePdfText(`${box.number}. ${box.label}`), fontBold, 9, 13);
+      for (const line of wrapText(box.text, fontRegular, TEXT_SIZE + 1, CONTENT_WIDTH)) {
+        drawLine(line, fontRegular, TEXT_SIZE + 1, TEXT_LEADING + 1.5);
+      }
+    }
+  }
+
+  // ── Page numbers ───────────────────────────────────────────────
+  const pages = pdfDoc.getPages();
+  pages.forEach((p, i) => {
+    const label = `Page ${i + 1} of ${pages.length}`;
+    p.drawText(label, {
+      x: PAGE_WIDTH - MARGIN - fontRegular.widthOfTextAtSize(label, 7),
+      y: MARGIN / 2,
+      size: 7,
+      font: fontRegular,
+      color: COLOR_LABEL,
+    });
+  });
+
+  return pdfDoc.save();
+}
+
+/**
+ * Fill, build and download the CMS-485 for a published version.
+ * Resolves with the form so callers can report missing fields.
+ *
+ * @param {Parameters<typeof buildCms485Form>[0]} args
+ */
+export async function downloadCms485Pdf(args) {
+  const form = buildCms485Form(args);
+  const bytes = await buildCms485Pdf(form);
+  const blob = new Blob([bytes], { type: 'application/pdf' });
+  const url = URL.createObjectURL(blob);
+  try {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = buildCms485Filename(form);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+  return form;
+}
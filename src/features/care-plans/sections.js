@@ -48,8 +48,8 @@
 //   - 'family'    — via AI-generated digests in Communication Hub (Phase 3)
 //
 // CMS-485 compliance:
-//   Fields marked `cms485: true` will be hydrated into CMS form 485
-//   by a future export PR. No export logic yet — just the marking.
+//   Fields marked `cms485: true` are hydrated into CMS form 485 by
+//   cms485.js (box mapping, missing-field list) and cms485Pdf.js.
 // ═══════════════════════════════════════════════════════════════
 
 
@@ -263,6 +263,23 @@ export const CARE_PLAN_SECTIONS = [
         type: FIELD_TYPES.TEXTAREA,
         placeholder: 'Who manages? Pill box used? Separate schedule sheet? Reminders needed?' },
 
+      // Vital-sign normal ranges. Readings outside these alert the
+      // office immediately (src/lib/vitals.js); vitals not listed use
+      // general adult defaults, and weight is only checked when set.
+      {
+        id: 'vitalRanges', label: 'Vital sign ranges', type: FIELD_TYPES.LIST,
+        help: 'This client\'s normal range per vital, from their clinician. Leave a bound blank for no limit on that side.',
+        subfields: [
+          { id: 'vital', label: 'Vital', type: FIELD_TYPES.SELECT, required: true,
+            options: ['Blood pressure — systolic', 'Blood pressure — diastolic', 'Pulse',
+                      'Temperature', 'SpO2', 'Weight', 'Blood glucose'] },
+          { id: 'low', label: 'Low', type: FIELD_TYPES.NUMBER },
+          { id: 'high', label: 'High', type: FIELD_TYPES.NUMBER },
+          { id: 'note', label: 'Note', type: FIELD_TYPES.TEXT,
+            placeholder: 'Per Dr. Lee, call if over 170' },
+        ],
+      },
+
       // Sensory status
       { id: 'hearing', label: 'Hearing', type: FIELD_TYPES.SELECT,
         options: ['Good', 'Impaired', 'Uses hearing aid', 'Profoundly impaired / Deaf'] },
@@ -158,6 +158,16 @@ export const listVersions = async (carePlanId) => {
   return (data || []).map(dbToCarePlanVersion);
 };
 
+/**
+ * The newest published version in a listVersions result — the one
+ * caregivers chart against (medications, vital ranges). Null when
+ * nothing has been published yet.
+ */
+export const latestPublishedVersion = (versions) =>
+  (versions || [])
+    .filter((v) => v.status === 'published')
+    .sort((a, b) => (b.versionNumber || 0) - (a.versionNumber || 0))[0] || null;
+
 
 /**
  * Fetch a single version by id. Returns null if not found so
@@ -195,6 +205,37 @@ export const getTasksForVersion = async (versionId) => {
 };
 
 
+/**
+ * The "Caregiver Match Criteria" section of a client's latest
+ * PUBLISHED version — not the current draft, so half-edited criteria
+ * don't start filtering the scheduling picker. Returns null when the
+ * client has no plan or nothing published yet.
+ */
+export const getPublishedMatchCriteria = async (clientId) => {
+  if (!isSupabaseConfigured()) return null;
+  if (!clientId) return null;
+
+  const { data: planRows, error: planErr } = await supabase
+    .from('care_plans')
+    .select('id')
+    .eq('client_id', clientId)
+    .eq('status', 'active')
+    .limit(1);
+  if (planErr) throw planErr;
+  if (!planRows || planRows.length === 0) return null;
+
+  const { data: versionRows, error: versionErr } = await supabase
+    .from('care_plan_versions')
+    .select('data')
+    .eq('care_plan_id', planRows[0].id)
+    .eq('status', 'published')
+    .order('version_number', { ascending: false })
+    .limit(1);
+  if (versionErr) throw versionErr;
+  return versionRows?.[0]?.data?.matchCriteria || null;
+};
+
+
 // ─── Mutations ──────────────────────────────────────────────────
 
 /**
@@ -703,6 +744,14 @@ export const dbToObservation = (row) => {
     observationType: row.observation_type,
     rating: row.rating ?? null,
     note: row.note ?? null,
+    medicationKey: row.medication_key ?? null,
+    medicationName: row.medication_name ?? null,
+    scheduledFor: row.scheduled_for ?? null,
+    vitalType: row.vital_type ?? null,
+    vitalValue: row.vital_value ?? null,
+    vitalValueSecondary: row.vital_value_secondary ?? null,
+    vitalUnit: row.vital_unit ?? null,
+    vitalFlag: row.vital_flag ?? null,
     loggedAt: row.logged_at,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
@@ -748,6 +797,49 @@ export const getObservationsForCarePlan = async (carePlanId, { limit = 50 } = {}
 };
 
 
+/**
+ * Medication administration records (eMAR) for one month of a care
+ * plan: scheduled doses by their slot, PRN / ad-hoc doses by when they
+ * were logged. `startIso` / `endIso` come from marMonthRange in
+ * src/lib/emar.js. Oldest-first; feeds the monthly MAR grid.
+ */
+export const getMedicationRecords = async (carePlanId, { startIso, endIso }) => {
+  if (!isSupabaseConfigured()) return [];
+  if (!carePlanId) return [];
+  const { data, error } = await supabase
+    .from('care_plan_observations')
+    .select('*')
+    .eq('care_plan_id', carePlanId)
+    .eq('observation_type', 'medication')
+    .or(
+      `and(scheduled_for.gte.${startIso},scheduled_for.lt.${endIso}),`
+      + `and(scheduled_for.is.null,logged_at.gte.${startIso},logged_at.lt.${endIso})`,
+    )
+    .order('logged_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(dbToObservation);
+};
+
+/**
+ * Structured vital readings for a care plan since `sinceIso`,
+ * oldest-first. Feeds the vitals trend charts (src/lib/vitals.js →
+ * buildVitalSeries). Legacy free-text vitals are left out.
+ */
+export const getVitalReadings = async (carePlanId, { sinceIso }) => {
+  if (!isSupabaseConfigured()) return [];
+  if (!carePlanId) return [];
+  const { data, error } = await supabase
+    .from('care_plan_observations')
+    .select('*')
+    .eq('care_plan_id', carePlanId)
+    .eq('observation_type', 'vital')
+    .not('vital_type', 'is', null)
+    .gte('logged_at', sinceIso)
+    .order('logged_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(dbToObservation);
+};
+
 // ─── Internal helpers ──────────────────────────────────────────
 
 /**
@@ -0,0 +1,234 @@
+// ═══════════════════════════════════════════════════════════════
+// versionDiff
+//
+// Pure section-by-section, field-by-field diff between two care-plan
+// versions, rendered by CarePlanDiffView. Same shape of approach as
+// the agent manifest diff (src/components/agentManifest/diff.js): the
+// functions here return plain entries and the component only draws
+// them.
+//
+// Entry kinds, by field type:
+//   - TEXTAREA            → { kind: 'lines', lines }  unified line diff
+//   - MULTISELECT         → { kind: 'set', added, removed }
+//   - LIST                → { kind: 'list', rows }    per-row add / remove /
+//                                                     change, with the
+//                                                     changed subfields
+//   - everything else     → { kind: 'inline', before, after }
+//
+// The task list is diffed the same way as a LIST and attached to the
+// section its category belongs to (sectionIdForCategory). Draft
+// versions get fresh task ids when cloned, so tasks are matched by
+// category + name rather than id.
+//
+// The AI snapshot is left out — it's regenerated on publish, so it
+// would show as changed on every version.
+// ═══════════════════════════════════════════════════════════════
+
+import { deepEqual, unifiedLineDiff } from '../../components/agentManifest/diff';
+import {
+  FIELD_TYPES,
+  TASK_CATEGORIES,
+  sectionIdForCategory,
+  sortedSections,
+} from './sections';
+import { formatCarePlanFieldValue, isEmptyValue } from './fieldDisplay';
+
+const SKIPPED_SECTIONS = new Set(['snapshot']);
+
+// Subfields compared on a task row, in display order.
+const TASK_FIELDS = [
+  { id: 'description', label: 'Description', type: FIELD_TYPES.TEXT },
+  { id: 'shifts', label: 'Shifts', type: FIELD_TYPES.MULTISELECT },
+  { id: 'daysOfWeek', label: 'Days', type: FIELD_TYPES.MULTISELECT },
+  { id: 'priority', label: 'Priority', type: FIELD_TYPES.TEXT },
+  { id: 'safetyNotes', label: 'Safety notes', type: FIELD_TYPES.TEXT },
+];
+
+function sameValue(a, b) {
+  if (isEmptyValue(a) && isEmptyValue(b)) return true;
+  return deepEqual(a ?? null, b ?? null);
+}
+
+function normalizeKey(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+// The subfield that names a LIST row (medication name, allergen,
+// condition): the first required subfield, else the first one.
+function rowKeySubfield(field) {
+  const subfields = field.subfields || [];
+  return subfields.find((sf) => sf.required) || subfields[0] || null;
+}
+
+/**
+ * Pair up two lists of rows by key, in order, so duplicate keys match
+ * first-to-first. Returns [[before|null, after|null], ...] with
+ * unmatched rows on either side.
+ */
+function pairRows(beforeRows, afterRows, keyOf) {
+  const pending = new Map();
+  for (const row of beforeRows) {
+    const key = keyOf(row);
+    if (!pending.has(key)) pending.set(key, []);
+    pending.get(key).push(row);
+  }
+  const pairs = [];
+  for (const row of afterRows) {
+    const queue = pending.get(keyOf(row));
+    pairs.push([queue?.length ? queue.shift() : null, row]);
+  }
+  for (const queue of pending.values()) {
+    for (const row of queue) pairs.push([row, null]);
+  }
+  return pairs;
+}
+
+function diffRows(beforeRows, afterRows, { keyOf, labelOf, subfields }) {
+  const rows = [];
+  for (const [a, b] of pairRows(beforeRows, afterRows, keyOf)) {
+    if (a && !b) {
+      rows.push({ op: 'del', label: labelOf(a), before: a, after: null, changes: [] });
+    } else if (!a && b) {
+      rows.push({ op: 'add', label: labelOf(b), before: null, after: b, changes: [] });
+    } else {
+      const changes = subfields
+        .filter((sf) => !sameValue(a[sf.id], b[sf.id]))
+        .map((sf) => ({
+          id: sf.id,
+          label: sf.label,
+          before: formatCarePlanFieldValue(sf, a[sf.id]),
+          after: formatCarePlanFieldValue(sf, b[sf.id]),
+        }));
+      if (changes.length > 0) {
+        rows.push({ op: 'change', label: labelOf(b), before: a, after: b, changes });
+      }
+    }
+  }
+  return rows;
+}
+
+function asRows(value) {
+  return Array.isArray(value) ? value.filter((r) => r && typeof r === 'object') : [];
+}
+
+function asList(value) {
+  if (Array.isArray(value)) return value.filter((v) => !isEmptyValue(v)).map(String);
+  return isEmptyValue(value) ? [] : [String(value)];
+}
+
+/**
+ * Diff one field's value. Returns null when unchanged.
+ */
+export function diffField(field, before, after) {
+  if (sameValue(before, after)) return null;
+  const base = { fieldId: field.id, label: field.label };
+
+  if (field.type === FIELD_TYPES.LIST) {
+    const keyField = rowKeySubfield(field);
+    const subfields = field.subfields || [];
+    const rows = diffRows(asRows(before), asRows(after), {
+      keyOf: (row) => (keyField
+        ? normalizeKey(row[keyField.id])
+        : normalizeKey(formatCarePlanFieldValue(field, [row]))),
+      labelOf: (row) => (keyField && !isEmptyValue(row[keyField.id])
+        ? String(row[keyField.id])
+        : formatCarePlanFieldValue(field, [row]) || '(blank row)'),
+      subfields,
+    });
+    // Only reordered — nothing a reviewer needs to see.
+    if (rows.length === 0) return null;
+    return {
+      ...base,
+      kind: 'list',
+      rows: rows.map((r) => ({
+        ...r,
+        text: formatCarePlanFieldValue(field, [r.after || r.before]),
+      })),
+    };
+  }
+
+  if (field.type === FIELD_TYPES.MULTISELECT) {
+    const a = new Set(asList(before));
+    const b = new Set(asList(after));
+    const added = [...b].filter((x) => !a.has(x));
+    const removed = [...a].filter((x) => !b.has(x));
+    if (added.length === 0 && removed.length === 0) return null;
+    return { ...base, kind: 'set', added, removed };
+  }
+
+  if (field.type === FIELD_TYPES.TEXTAREA) {
+    return {
+      ...base,
+      kind: 'lines',
+      lines: unifiedLineDiff(
+        formatCarePlanFieldValue(field, before),
+        formatCarePlanFieldValue(field, after),
+      ),
+    };
+  }
+
+  return {
+    ...base,
+    kind: 'inline',
+    before: formatCarePlanFieldValue(field, before),
+    after: formatCarePlanFieldValue(field, after),
+  };
+}
+
+function taskKey(task) {
+  return `${task.category}|${normalizeKey(task.taskName)}`;
+}
+
+function taskLabel(task) {
+  const category = TASK_CATEGORIES[task.category]?.label || task.category;
+  return `${category} — ${task.taskName}`;
+}
+
+/**
+ * Diff two task lists. Returns list rows (same shape as a LIST field's
+ * rows) keyed by the section each task belongs to.
+ */
+export function diffTasks(beforeTasks, afterTasks) {
+  const rows = diffRows(beforeTasks || [], afterTasks || [], {
+    keyOf: taskKey,
+    labelOf: taskLabel,
+    subfields: TASK_FIELDS,
+  });
+  const bySection = {};
+  for (const row of rows) {
+    const task = row.after || row.before;
+    const sectionId = sectionIdForCategory(task.category) || 'dailyLiving';
+    if (!bySection[sectionId]) bySection[sectionId] = [];
+    bySection[sectionId].push({ ...row, text: task.description || '' });
+  }
+  return bySection;
+}
+
+/**
+ * Section-by-section diff of two versions (camelCase, with `data`).
+ * Sections without changes are omitted.
+ *
+ * @returns {Array<{ sectionId, label, fields: Array<object>, tasks: Array<object> }>}
+ */
+export function diffCarePlanVersions(before, after, { beforeTasks = [], afterTasks = [] } = {}) {
+  if (!before || !after) return [];
+  const tasksBySection = diffTasks(beforeTasks, afterTasks);
+  const out = [];
+  for (const section of sortedSections()) {
+    if (SKIPPED_SECTIONS.has(section.id)) continue;
+    const a = before.data?.[section.id] || {};
+    const b = after.data?.[section.id] || {};
+    const fields = (section.fields || [])
+      .map((field) => diffField(field, a[field.id], b[field.id]))
+      .filter(Boolean);
+    const tasks = tasksBySection[section.id] || [];
+    if (fields.length === 0 && tasks.length === 0) continue;
+    out.push({ sectionId: section.id, label: section.label, fields, tasks });
+  }
+  return out;
+}
+
+/** Count of changed fields and tasks, for summaries ("7 changes"). */
+export function countCarePlanChanges(sections) {
+  return (sections || []).reduce((n, s) => n + s.fields.length + s.tasks.length, 0);
+}
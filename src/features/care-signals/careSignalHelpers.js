@@ -21,6 +21,7 @@ export const CATEGORY_LABELS = {
   skin_change: 'Change in skin',
   help_walking: 'Help walking / transfers',
   medication_concern: 'Medication concern',
+  vital_sign_change: 'Abnormal vital sign',
 };
 
 export function categoryLabel(id) {
@@ -144,7 +145,8 @@ export function buildTaskInputFromSignal(signal, { clientName, createdBy, now =
 // A short, human one-liner describing an evidence row.
 export function describeEvidence(ev) {
   if (!ev) return '';
-  const label = ev.task_name ? `${ev.task_name} — ${ev.type}` : ev.type;
+  const subject = ev.task_name || ev.medication_name || ev.vital_label;
+  const label = subject ? `${subject} — ${ev.type}` : ev.type;
   const rating = ev.rating ? ` [${ev.rating}]` : '';
   const note = ev.note ? ` — "${ev.note}"` : '';
   return `${label}${rating}${note}`.trim();
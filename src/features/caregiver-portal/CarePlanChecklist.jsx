@@ -11,6 +11,8 @@ import {
 } from '../../lib/carePlanShift';
 import { onObservationsChanged } from '../../lib/offline/observationSync';
 import { isSystemDefaultTask } from '../../lib/systemDefaultTasks';
+import { CarePlanMedications } from './CarePlanMedications';
+import { CarePlanVitals } from './CarePlanVitals';
 import {
   filterTasksForShift,
   groupTasksByCategory,
@@ -21,7 +23,8 @@ import s from './CarePlanChecklist.module.css';
 // ─── Care plan checklist ──────────────────────────────────────
 // Renders the active care plan's tasks for this shift, lets the
 // caregiver mark each task done / partial / not done, log a refusal
-// reason per task, and add free-form shift notes.
+// reason per task, chart medication doses (CarePlanMedications),
+// record vitals (CarePlanVitals), and add free-form shift notes.
 //
 // Three lifecycle states:
 //   - Read-only preview  (shift status: assigned | confirmed)
@@ -297,25 +300,52 @@ export function CarePlanChecklist({ shift, caregiver }) {
     );
   }
 
+  const medications = (
+    <CarePlanMedications
+      shift={shift}
+      caregiver={caregiver}
+      plan={data.plan}
+      version={data.version}
+      observations={data.observations}
+      editable={editable}
+      onLogged={refresh}
+    />
+  );
+  const vitals = (
+    <CarePlanVitals
+      shift={shift}
+      caregiver={caregiver}
+      plan={data.plan}
+      version={data.version}
+      observations={data.observations}
+      editable={editable}
+      onLogged={refresh}
+    />
+  );
+
   // Plan + version, but no tasks for this shift.
   if (groupedTasks.length === 0) {
     return (
-      <section className={s.card}>
-        <div className={s.cardTitle}>Care plan</div>
-        <div className={s.muted}>
-          No tasks scheduled for this shift period. Free-form shift notes are still available below.
-        </div>
-        <ShiftNotesSection
-          editable={editable}
-          locked={locked}
-          shiftNoteDraft={shiftNoteDraft}
-          setShiftNoteDraft={setShiftNoteDraft}
-          onSave={handleSaveShiftNote}
-          saving={shiftNoteSaving}
-          errorMsg={shiftNoteError}
-          latestNote={latestShiftNote}
-        />
-      </section>
+      <>
+        {medications}
+        {vitals}
+        <section className={s.card}>
+          <div className={s.cardTitle}>Care plan</div>
+          <div className={s.muted}>
+            No tasks scheduled for this shift period. Free-form shift notes are still available below.
+          </div>
+          <ShiftNotesSection
+            editable={editable}
+            locked={locked}
+            shiftNoteDraft={shiftNoteDraft}
+            setShiftNoteDraft={setShiftNoteDraft}
+            onSave={handleSaveShiftNote}
+            saving={shiftNoteSaving}
+            errorMsg={shiftNoteError}
+            latestNote={latestShiftNote}
+          />
+        </section>
+      </>
     );
   }
 
@@ -383,6 +413,9 @@ export function CarePlanChecklist({ shift, caregiver }) {
         ))}
       </section>
 
+      {medications}
+      {vitals}
+
       {refusals.length > 0 && (
         <section className={s.card}>
           <div className={s.cardTitle}>Refusals logged this shift</div>
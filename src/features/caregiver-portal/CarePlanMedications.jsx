@@ -0,0 +1,245 @@
+import { useMemo, useState } from 'react';
+import { logMedicationAdministration } from '../../lib/carePlanShift';
+import {
+  MAR_STATUS,
+  MAR_STATUS_LABELS,
+  medicationsFromVersion,
+  shiftMedicationSlots,
+  indexLatestMedicationRecords,
+  listAsNeededRecords,
+} from '../../lib/emar';
+import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import s from './CarePlanChecklist.module.css';
+
+// ─── Medications (eMAR) ───────────────────────────────────────
+// The medication part of the shift checklist. Each scheduled dose of
+// the published plan's medications list that falls inside this shift
+// is a slot the caregiver charts as given / refused / held / missed;
+// PRN meds (and meds whose frequency we can't read) are logged as
+// they're given, with the reason. Records are care_plan_observations
+// rows, so they queue offline with everything else. Slot expansion:
+// src/lib/emar.js.
+//
+// Same lifecycle as the checklist: preview before clock-in, charting
+// while in progress, read-only once completed.
+
+const STATUS_BUTTONS = [
+  { status: MAR_STATUS.GIVEN, symbol: '✓', variant: 'done' },
+  { status: MAR_STATUS.REFUSED, symbol: '✗', variant: 'not-done' },
+  { status: MAR_STATUS.HELD, symbol: '⏸', variant: 'partial' },
+  { status: MAR_STATUS.MISSED, symbol: '⊘', variant: 'not-done' },
+];
+
+const REASON_PLACEHOLDER = {
+  [MAR_STATUS.REFUSED]: 'What did the client say? (e.g. nauseous, will try with lunch)',
+  [MAR_STATUS.HELD]: 'Why was it held? (e.g. nurse said to hold, BP too low)',
+  [MAR_STATUS.MISSED]: 'What happened? (e.g. pharmacy refill not picked up)',
+  [MAR_STATUS.GIVEN]: 'Why was it given? (e.g. headache, pain 5/10)',
+};
+
+function formatSlotTime(iso) {
+  return new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric', minute: '2-digit', timeZone: DEFAULT_APP_TIMEZONE,
+  }).format(new Date(iso));
+}
+
+function medicationLine(med) {
+  return [med.dose, med.route].filter(Boolean).join(' · ');
+}
+
+export function CarePlanMedications({
+  shift, caregiver, plan, version, observations, editable, onLogged,
+}) {
+  const [submittingKey, setSubmittingKey] = useState(null);
+  // { key, status, medication, scheduledFor } while a reason is being typed.
+  const [reasonFor, setReasonFor] = useState(null);
+  const [reasonDraft, setReasonDraft] = useState('');
+  const [errorMsg, setErrorMsg] = useState(null);
+
+  const medications = useMemo(() => medicationsFromVersion(version?.data), [version]);
+  const slots = useMemo(
+    () => shiftMedicationSlots({ medications, shift, timezone: DEFAULT_APP_TIMEZONE }),
+    [medications, shift],
+  );
+  const latest = useMemo(() => indexLatestMedicationRecords(observations), [observations]);
+  const asNeededRecords = useMemo(() => listAsNeededRecords(observations), [observations]);
+  const asNeededMeds = medications.filter((m) => m.times.length === 0);
+
+  if (medications.length === 0) return null;
+
+  const record = async ({ key, medication, scheduledFor, status, note }) => {
+    if (!editable || submittingKey) return;
+    setSubmittingKey(key);
+    setErrorMsg(null);
+    try {
+      await logMedicationAdministration({
+        carePlanId: plan.id,
+        versionId: version.id,
+        shiftId: shift.id,
+        caregiverId: caregiver?.id,
+        medication,
+        scheduledFor,
+        status,
+        note,
+      });
+      setReasonFor(null);
+      setReasonDraft('');
+      await onLogged();
+    } catch (err) {
+      setErrorMsg(err?.message || 'Could not save. Try again.');
+    } finally {
+      setSubmittingKey(null);
+    }
+  };
+
+  const handleStatus = (slot, status) => {
+    const medication = { key: slot.medicationKey, name: slot.medicationName };
+    if (status === MAR_STATUS.GIVEN) {
+      record({ key: slot.slotKey, medication, scheduledFor: slot.scheduledFor, status });
+      return;
+    }
+    setReasonFor({ key: slot.slotKey, status, medication, scheduledFor: slot.scheduledFor });
+    setReasonDraft('');
+  };
+
+  const reasonEditor = (key) => reasonFor?.key === key && (
+    <div className={s.inlineEditor}>
+      <label className={s.refusalLabel}>
+        {reasonFor.scheduledFor ? `Reason — ${MAR_STATUS_LABELS[reasonFor.status].toLowerCase()}` : 'Reason given'}
+      </label>
+      <textarea
+        className={s.textarea}
+        rows={2}
+        maxLength={500}
+        placeholder={REASON_PLACEHOLDER[reasonFor.status]}
+        value={reasonDraft}
+        onChange={(e) => setReasonDraft(e.target.value)}
+      />
+      <div className={s.row}>
+        <button
+          className={reasonFor.status === MAR_STATUS.GIVEN ? s.secondaryBtn : s.dangerBtn}
+          onClick={() => record({ ...reasonFor, note: reasonDraft })}
+          disabled={reasonDraft.trim().length < 3 || submittingKey === key}
+        >
+          {submittingKey === key ? 'Saving…' : `Log ${MAR_STATUS_LABELS[reasonFor.status].toLowerCase()}`}
+        </button>
+        <button className={s.linkBtn} onClick={() => setReasonFor(null)}>Cancel</button>
+      </div>
+    </div>
+  );
+
+  return (
+    <section className={s.card}>
+      <div className={s.cardTitle}>Medications</div>
+      {editable && (
+        <div className={s.helper}>Chart each dose when you give it. Never give a medication that isn’t listed here.</div>
+      )}
+      {errorMsg && <div className={s.errorBanner}>{errorMsg}</div>}
+
+      {slots.length === 0 && asNeededMeds.length === 0 && (
+        <div className={s.muted}>No scheduled doses fall during this shift.</div>
+      )}
+
+      {slots.length > 0 && (
+        <ul className={s.taskList}>
+          {slots.map((slot) => {
+            const current = latest.get(slot.slotKey);
+            const med = medications.find((m) => m.key === slot.medicationKey);
+            return (
+              <li key={slot.slotKey} className={s.taskItem}>
+                <div className={s.taskHeader}>
+                  <span className={s.medTime}>{formatSlotTime(slot.scheduledFor)}</span>
+                  <span className={s.taskName}>{slot.medicationName}</span>
+                </div>
+                {med && medicationLine(med) && <div className={s.taskDescription}>{medicationLine(med)}</div>}
+                <div className={s.medStatusRow}>
+                  {STATUS_BUTTONS.map(({ status, symbol, variant }) => {
+                    const active = current?.rating === status;
+                    const cls = [
+                      s.rateBtn,
+                      active ? s[`rateBtnActive_${variant}`] : '',
+                      !editable ? s.rateBtnDisabled : '',
+                    ].filter(Boolean).join(' ');
+                    return (
+                      <button
+                        key={status}
+                        type="button"
+                        className={cls}
+                        onClick={() => handleStatus(slot, status)}
+                        disabled={!editable || submittingKey === slot.slotKey}
+                        aria-pressed={active}
+                      >
+                        <span className={s.rateSymbol}>{symbol}</span>
+                        <span className={s.rateLabel}>{MAR_STATUS_LABELS[status]}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+                {current?.note && reasonFor?.key !== slot.slotKey && (
+                  <div className={s.taskNotePreview}>{current.note}</div>
+                )}
+                {reasonEditor(slot.slotKey)}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {asNeededMeds.length > 0 && (
+        <div className={s.categoryGroup}>
+          <h3 className={s.categoryHeader}>As needed</h3>
+          <ul className={s.taskList}>
+            {asNeededMeds.map((med) => {
+              const given = asNeededRecords.filter((r) => r.medicationKey === med.key);
+              return (
+                <li key={med.key} className={s.taskItem}>
+                  <div className={s.taskHeader}>
+                    <span className={s.taskName}>{med.name}</span>
+                  </div>
+                  <div className={s.taskDescription}>
+                    {[medicationLine(med), med.frequency].filter(Boolean).join(' — ')}
+                  </div>
+                  {!med.prn && (
+                    <div className={s.safetyNote}>
+                      <span className={s.safetyIcon}>⚠</span>
+                      <span>No set schedule on the care plan — check with your coordinator before giving.</span>
+                    </div>
+                  )}
+                  {given.length > 0 && (
+                    <ul className={s.refusalList}>
+                      {given.map((r) => (
+                        <li key={r.id}>
+                          <strong>{formatSlotTime(r.loggedAt)}: </strong>
+                          <span>{r.note}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {editable && reasonFor?.key !== med.key && (
+                    <div className={s.taskActions}>
+                      <button
+                        className={s.linkBtn}
+                        onClick={() => {
+                          setReasonFor({
+                            key: med.key,
+                            status: MAR_STATUS.GIVEN,
+                            medication: { key: med.key, name: med.name },
+                            scheduledFor: null,
+                          });
+                          setReasonDraft('');
+                        }}
+                      >
+                        Log dose given
+                      </button>
+                    </div>
+                  )}
+                  {reasonEditor(med.key)}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,172 @@
+import { useMemo, useState } from 'react';
+import { logVitalReading } from '../../lib/carePlanShift';
+import {
+  VITAL_MEASURES,
+  VITAL_TYPES,
+  VITAL_TYPE_IDS,
+  describeVitalReading,
+  formatVitalRange,
+  isStructuredVital,
+  vitalRangesFromVersion,
+} from '../../lib/vitals';
+import s from './CarePlanChecklist.module.css';
+
+// ─── Vitals ───────────────────────────────────────────────────
+// The vitals part of the shift checklist: pick a vital, type the
+// reading, save. Each reading is a care_plan_observations row (queues
+// offline like everything else) checked against the client's normal
+// ranges from the care plan; an out-of-range reading is flagged on the
+// row and the office is alerted server-side. Ranges, units and
+// validation: src/lib/vitals.js.
+//
+// Shown while the shift is in progress, and afterwards only if
+// readings were taken.
+
+function formatTime(iso) {
+  return new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit' }).format(new Date(iso));
+}
+
+function rangeHint(type, ranges) {
+  const parts = VITAL_TYPES[type].measures
+    .map((measure) => formatVitalRange(ranges[measure]))
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+  return `Normal for this client: ${parts.join(' / ')} ${VITAL_TYPES[type].unit}`;
+}
+
+export function CarePlanVitals({
+  shift, caregiver, plan, version, observations, editable, onLogged,
+}) {
+  const [vitalType, setVitalType] = useState(VITAL_TYPE_IDS[0]);
+  const [values, setValues] = useState({});
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [errorMsg, setErrorMsg] = useState(null);
+  // The last reading saved from this card, when it was out of range.
+  const [alerted, setAlerted] = useState(null);
+
+  const ranges = useMemo(() => vitalRangesFromVersion(version?.data), [version]);
+  const readings = useMemo(
+    () => (observations || [])
+      .filter(isStructuredVital)
+      .sort((a, b) => new Date(b.loggedAt) - new Date(a.loggedAt)),
+    [observations],
+  );
+
+  if (!editable && readings.length === 0) return null;
+
+  const spec = VITAL_TYPES[vitalType];
+  const hint = rangeHint(vitalType, ranges);
+
+  const handleSave = async () => {
+    if (!editable || saving) return;
+    setSaving(true);
+    setErrorMsg(null);
+    setAlerted(null);
+    try {
+      const saved = await logVitalReading({
+        carePlanId: plan.id,
+        versionId: version.id,
+        shiftId: shift.id,
+        caregiverId: caregiver?.id,
+        vitalType,
+        values,
+        ranges,
+        note,
+      });
+      if (saved?.vitalFlag) setAlerted(saved);
+      setValues({});
+      setNote('');
+      await onLogged();
+    } catch (err) {
+      setErrorMsg(err?.message || 'Could not save. Try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className={s.card}>
+      <div className={s.cardTitle}>Vitals</div>
+      {errorMsg && <div className={s.errorBanner}>{errorMsg}</div>}
+      {alerted && (
+        <div className={s.safetyNote}>
+          <span className={s.safetyIcon}>⚠</span>
+          <span>
+            {describeVitalReading({
+              type: alerted.vitalType, value: alerted.vitalValue, valueSecondary: alerted.vitalValueSecondary,
+            })} is {alerted.vitalFlag === 'high' ? 'above' : 'below'} this client’s normal range.
+            {' '}The office has been alerted. Recheck the reading, and call your coordinator right away if the
+            client seems unwell.
+          </span>
+        </div>
+      )}
+
+      {editable && (
+        <div className={s.inlineEditor}>
+          <select
+            className={s.vitalSelect}
+            value={vitalType}
+            onChange={(e) => { setVitalType(e.target.value); setValues({}); }}
+            disabled={saving}
+            aria-label="Vital"
+          >
+            {VITAL_TYPE_IDS.map((id) => (
+              <option key={id} value={id}>{VITAL_TYPES[id].label}</option>
+            ))}
+          </select>
+          <div className={s.vitalInputs}>
+            {spec.measures.map((measure) => (
+              <label key={measure} className={s.vitalField}>
+                <span className={s.refusalLabel}>{VITAL_MEASURES[measure].short}</span>
+                <input
+                  type="number"
+                  inputMode="decimal"
+                  className={s.vitalInput}
+                  value={values[measure] ?? ''}
+                  onChange={(e) => setValues((v) => ({ ...v, [measure]: e.target.value }))}
+                  disabled={saving}
+                />
+              </label>
+            ))}
+            <span className={s.vitalUnit}>{spec.unit}</span>
+          </div>
+          {hint && <div className={s.helper}>{hint}</div>}
+          <textarea
+            className={s.textarea}
+            rows={2}
+            maxLength={500}
+            placeholder="Anything to add? (optional — e.g. taken after a walk, left arm)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            disabled={saving}
+          />
+          <div className={s.row}>
+            <button
+              className={s.primaryBtn}
+              onClick={handleSave}
+              disabled={saving || spec.measures.some((m) => !String(values[m] ?? '').trim())}
+            >
+              {saving ? 'Saving…' : `Save ${spec.label.toLowerCase()}`}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {readings.length > 0 && (
+        <ul className={s.refusalList}>
+          {readings.map((r) => (
+            <li key={r.id} className={r.vitalFlag ? s.vitalFlagged : undefined}>
+              <strong>{formatTime(r.loggedAt)}: </strong>
+              <span>
+                {describeVitalReading({ type: r.vitalType, value: r.vitalValue, valueSecondary: r.vitalValueSecondary })}
+                {r.vitalFlag && ` (${r.vitalFlag})`}
+                {r.note && ` — ${r.note}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
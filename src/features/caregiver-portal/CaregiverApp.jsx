@@ -6,6 +6,8 @@ import { CaregiverSetPassword } from './CaregiverSetPassword';
 import { CaregiverShifts } from './CaregiverShifts';
 import { CaregiverShiftDetail } from './CaregiverShiftDetail';
 import { CaregiverHistory } from './CaregiverHistory';
+import { CaregiverOpenShifts } from './CaregiverOpenShifts';
+import { CaregiverAvailability } from './CaregiverAvailability';
 import { CaregiverChangePassword } from './CaregiverChangePassword';
 import { PwaPrompts } from './components/PwaPrompts';
 import { useClockSync } from './hooks/useClockSync';
@@ -92,6 +94,8 @@ export function CaregiverApp() {
       <Routes>
         <Route path="/care" element={<CaregiverShifts caregiver={caregiver} />} />
         <Route path="/care/history" element={<CaregiverHistory caregiver={caregiver} />} />
+        <Route path="/care/open-shifts" element={<CaregiverOpenShifts />} />
+        <Route path="/care/availability" element={<CaregiverAvailability />} />
         <Route path="/care/password" element={<CaregiverChangePassword />} />
         <Route path="/care/shifts/:shiftId" element={<CaregiverShiftDetail caregiver={caregiver} />} />
         <Route path="/care/*" element={<Navigate to="/care" replace />} />
@@ -0,0 +1,233 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '../../lib/supabase';
+import { callCaregiverClock } from '../../lib/callCaregiverClock';
+import {
+  TIME_OFF_STATUS,
+  TIME_OFF_REASON_MAX_LENGTH,
+  formatTimeOffDates,
+  validateTimeOffRequest,
+} from '../../lib/scheduling/timeOffRequests';
+import { AvailabilityScheduleField } from '../survey/AvailabilityScheduleField';
+import s from './CaregiverPortal.module.css';
+
+// The caregiver's own weekly availability and time off. Weekly changes
+// take effect as soon as they're saved; time off waits for the office
+// to approve it. Both go through the caregiver-availability edge
+// function — availability isn't visible to caregivers under RLS. The
+// weekly editor is the same one applicants use on the availability
+// survey.
+
+const TIME_OFF_STATUS_LABELS = {
+  [TIME_OFF_STATUS.PENDING]: 'Waiting for approval',
+  [TIME_OFF_STATUS.APPROVED]: 'Approved',
+  [TIME_OFF_STATUS.DENIED]: 'Not approved',
+  [TIME_OFF_STATUS.CANCELLED]: 'Withdrawn',
+};
+
+const EMPTY_TIME_OFF = { startDate: '', endDate: '', reason: '' };
+
+function callAvailability(body, actionLabel) {
+  return callCaregiverClock({
+    supabaseClient: supabase,
+    supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+    anonKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+    functionName: 'caregiver-availability',
+    actionLabel,
+    body,
+  });
+}
+
+export function CaregiverAvailability() {
+  const [slots, setSlots] = useState(null);
+  const [savedSlots, setSavedSlots] = useState(null);
+  const [timeOff, setTimeOff] = useState([]);
+  const [form, setForm] = useState(EMPTY_TIME_OFF);
+  const [busy, setBusy] = useState(null); // null | 'weekly' | 'time_off' | request id
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    const data = await callAvailability({ action: 'get' }, 'Loading your availability');
+    setSlots(data?.slots || []);
+    setSavedSlots(data?.slots || []);
+    setTimeOff(data?.time_off || []);
+    setError(null);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    load().catch((e) => { if (!cancelled) setError(e.message); });
+    return () => { cancelled = true; };
+  }, [load]);
+
+  const weeklyDirty = slots != null && JSON.stringify(slots) !== JSON.stringify(savedSlots);
+
+  const saveWeekly = async () => {
+    if (slots.length === 0
+      && !window.confirm('Save with no available days? You won’t be offered new shifts.')) {
+      return;
+    }
+    setBusy('weekly');
+    setNotice(null);
+    setError(null);
+    try {
+      const data = await callAvailability({ action: 'save_weekly', slots }, 'Saving your availability');
+      setSlots(data?.slots || []);
+      setSavedSlots(data?.slots || []);
+      setNotice('Availability saved.');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const requestTimeOff = async (e) => {
+    e.preventDefault();
+    setNotice(null);
+    const invalid = validateTimeOffRequest(form);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    setBusy('time_off');
+    setError(null);
+    try {
+      await callAvailability({
+        action: 'request_time_off',
+        start_date: form.startDate,
+        end_date: form.endDate,
+        reason: form.reason.trim() || undefined,
+      }, 'Sending your request');
+      setForm(EMPTY_TIME_OFF);
+      setNotice('Request sent. We’ll notify you when the office decides.');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const withdraw = async (request) => {
+    setBusy(request.id);
+    setNotice(null);
+    setError(null);
+    try {
+      await callAvailability({ action: 'cancel_time_off', request_id: request.id }, 'Withdrawing your request');
+      await load();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className={s.page}>
+      <Link className={s.linkBtn} to="/care">← Back to shifts</Link>
+      <header className={s.header}>
+        <h1 className={s.pageTitle}>Availability</h1>
+      </header>
+
+      {notice && <div className={s.successBanner} role="status">{notice}</div>}
+      {error && <div className={s.errorBanner}>{error}</div>}
+
+      {slots == null && !error && <div className={s.muted}>Loading…</div>}
+
+      {slots != null && (
+        <>
+          <section className={s.card}>
+            <div className={s.muted}>Weekly availability</div>
+            <p className={s.helper}>
+              When you can usually work. New shifts are offered to you inside these hours.
+            </p>
+            <AvailabilityScheduleField
+              value={{ timezone: null, slots }}
+              onChange={(next) => setSlots(next.slots)}
+            />
+            <button
+              type="button"
+              className={s.primaryBtn}
+              onClick={saveWeekly}
+              disabled={!weeklyDirty || busy != null}
+            >
+              {busy === 'weekly' ? 'Saving…' : 'Save availability'}
+            </button>
+          </section>
+
+          <section className={s.card}>
+            <div className={s.muted}>Time off</div>
+            <form className={s.form} onSubmit={requestTimeOff}>
+              <label className={s.label} htmlFor="time-off-start">First day off</label>
+              <input
+                id="time-off-start"
+                type="date"
+                className={s.input}
+                value={form.startDate}
+                onChange={(e) => setForm((f) => ({
+                  ...f,
+                  startDate: e.target.value,
+                  endDate: f.endDate && f.endDate >= e.target.value ? f.endDate : e.target.value,
+                }))}
+              />
+              <label className={s.label} htmlFor="time-off-end">Last day off</label>
+              <input
+                id="time-off-end"
+                type="date"
+                className={s.input}
+                min={form.startDate || undefined}
+                value={form.endDate}
+                onChange={(e) => setForm((f) => ({ ...f, endDate: e.target.value }))}
+              />
+              <label className={s.label} htmlFor="time-off-reason">Reason (optional)</label>
+              <textarea
+                id="time-off-reason"
+                className={s.textarea}
+                rows={2}
+                maxLength={TIME_OFF_REASON_MAX_LENGTH}
+                value={form.reason}
+                onChange={(e) => setForm((f) => ({ ...f, reason: e.target.value }))}
+              />
+              <p className={s.helper}>
+                The office approves time off. Shifts you&rsquo;re already on stay yours
+                until they find cover.
+              </p>
+              <button
+                type="submit"
+                className={s.primaryBtn}
+                disabled={busy != null || !form.startDate || !form.endDate}
+              >
+                {busy === 'time_off' ? 'Sending…' : 'Request time off'}
+              </button>
+            </form>
+
+            {timeOff.length > 0 && (
+              <ul className={s.eventList}>
+                {timeOff.map((r) => (
+                  <li key={r.id}>
+                    <strong>{formatTimeOffDates(r)}</strong>
+                    {' · '}
+                    {TIME_OFF_STATUS_LABELS[r.status] || r.status}
+                    {r.reason && <div className={s.muted}>{r.reason}</div>}
+                    {r.status === TIME_OFF_STATUS.PENDING && (
+                      <button
+                        type="button"
+                        className={s.linkBtn}
+                        onClick={() => withdraw(r)}
+                        disabled={busy != null}
+                      >
+                        {busy === r.id ? 'Withdrawing…' : 'Withdraw'}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
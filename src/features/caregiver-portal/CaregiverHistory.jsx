@@ -4,6 +4,7 @@ import { CloudOff } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
 import { shiftCache } from '../../lib/offline/clockSyncClient';
 import { groupShiftsByDay } from '../../lib/caregiverHistory';
+import { caregiverShiftsFilter } from '../../lib/scheduling/shiftSlots';
 import s from './CaregiverPortal.module.css';
 
 const HISTORY_DAYS = 90;
@@ -34,10 +35,18 @@ export function CaregiverHistory({ caregiver }) {
     const from = new Date();
     from.setDate(from.getDate() - HISTORY_DAYS);
 
+    // Includes shifts they worked in a slot (multi-caregiver visits).
+    const { data: slotRows } = await supabase
+      .from('shift_slots')
+      .select('shift_id, shift:shifts!inner(start_time, end_time)')
+      .eq('caregiver_id', caregiver.id)
+      .lt('shift.end_time', now.toISOString())
+      .gte('shift.start_time', from.toISOString());
+
     const { data, error: err } = await supabase
       .from('shifts')
       .select('id, client_id, start_time, end_time, status')
-      .eq('assigned_caregiver_id', caregiver.id)
+      .or(caregiverShiftsFilter(caregiver.id, (slotRows || []).map((r) => r.shift_id)))
       .lt('end_time', now.toISOString())
       .gte('start_time', from.toISOString())
       .order('start_time', { ascending: false });
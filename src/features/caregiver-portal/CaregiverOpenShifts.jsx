@@ -0,0 +1,140 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { supabase } from '../../lib/supabase';
+import { callCaregiverClock } from '../../lib/callCaregiverClock';
+import { OPEN_SHIFT_BOARD_DAYS } from '../../lib/scheduling/openShiftBoard';
+import s from './CaregiverPortal.module.css';
+
+// Open shifts the caregiver can pick up instead of waiting for (and
+// replying to) a broadcast text. The caregiver-open-shifts edge
+// function does the filtering — open shifts and offers aren't visible
+// to caregivers under RLS — and records the response as a shift offer.
+// Shifts the scheduler set to "first yes wins" are claimed outright;
+// the rest register interest for the scheduler to confirm.
+
+const dayFmt = new Intl.DateTimeFormat(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric',
+});
+const timeFmt = new Intl.DateTimeFormat(undefined, {
+  hour: 'numeric', minute: '2-digit',
+});
+
+function callOpenShifts(body, actionLabel) {
+  return callCaregiverClock({
+    supabaseClient: supabase,
+    supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+    anonKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+    functionName: 'caregiver-open-shifts',
+    actionLabel,
+    body,
+  });
+}
+
+export function CaregiverOpenShifts() {
+  const [shifts, setShifts] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(async () => {
+    const data = await callOpenShifts({ action: 'list' }, 'Loading open shifts');
+    setShifts(data?.shifts || []);
+    setError(null);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    load().catch((e) => { if (!cancelled) setError(e.message); });
+    return () => { cancelled = true; };
+  }, [load]);
+
+  const respond = async (shift) => {
+    setBusyId(shift.id);
+    setNotice(null);
+    setError(null);
+    try {
+      const data = await callOpenShifts(
+        { action: 'respond', shift_id: shift.id },
+        shift.response === 'claim' ? 'Claiming the shift' : 'Sending your interest',
+      );
+      if (data?.outcome === 'assigned') {
+        setNotice('The shift is yours — it’s now on your schedule.');
+        setShifts((prev) => (prev || []).filter((sh) => sh.id !== shift.id));
+      } else {
+        setNotice('Thanks! Your coordinator will confirm if you get the shift.');
+        setShifts((prev) => (prev || []).map((sh) => (
+          sh.id === shift.id ? { ...sh, offer_status: 'accepted' } : sh
+        )));
+      }
+    } catch (e) {
+      setError(e.message);
+      // Taken or no longer a fit — refresh so the card disappears.
+      if (e.code === 'taken' || e.code === 'not_eligible') {
+        load().catch(() => {});
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className={s.page}>
+      <Link className={s.linkBtn} to="/care">← Back to shifts</Link>
+      <header className={s.header}>
+        <div>
+          <div className={s.muted}>Next {OPEN_SHIFT_BOARD_DAYS} days</div>
+          <h1 className={s.pageTitle}>Open shifts</h1>
+        </div>
+      </header>
+
+      {notice && <div className={s.successBanner} role="status">{notice}</div>}
+      {error && <div className={s.errorBanner}>{error}</div>}
+
+      {shifts == null && !error && <div className={s.muted}>Loading…</div>}
+
+      {shifts && shifts.length === 0 && (
+        <div className={s.emptyCard}>
+          <p>No open shifts that fit your availability right now.</p>
+          <p className={s.muted}>
+            Keep your availability up to date so new shifts show up here.
+          </p>
+        </div>
+      )}
+
+      {shifts && shifts.length > 0 && (
+        <ul className={s.shiftList}>
+          {shifts.map((sh) => {
+            const start = new Date(sh.start_time);
+            const clientLabel = [sh.client?.name || 'Client', sh.client?.city]
+              .filter(Boolean)
+              .join(' · ');
+            const responded = sh.offer_status === 'accepted' || sh.offer_status === 'assigned';
+            return (
+              <li key={sh.id} className={s.shiftCard}>
+                <div className={s.shiftDay}>{dayFmt.format(start)}</div>
+                <div className={s.shiftTime}>
+                  {timeFmt.format(start)} – {timeFmt.format(new Date(sh.end_time))}
+                </div>
+                <div className={s.shiftClient}>{clientLabel}</div>
+                {responded ? (
+                  <div className={s.shiftActionDone}>Interested</div>
+                ) : (
+                  <button
+                    type="button"
+                    className={`${s.primaryBtn} ${s.shiftAction}`}
+                    disabled={busyId != null}
+                    onClick={() => respond(sh)}
+                  >
+                    {busyId === sh.id
+                      ? 'Sending…'
+                      : sh.response === 'claim' ? 'Claim' : 'I’m interested'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -13,8 +13,17 @@ import {
   onOutboxChanged,
   isOnline,
 } from '../../lib/offline/clockSyncClient';
-import { effectiveShiftStatus, nextClockAction } from '../../lib/offline/pendingStatus';
+import {
+  effectiveShiftStatus,
+  nextClockAction,
+  openBreakType,
+} from '../../lib/offline/pendingStatus';
+import { canRequestShiftChange } from '../../lib/scheduling/shiftChangeRequests';
+import { canCorrectClockOut } from '../../lib/scheduling/clockOutCorrections';
+import { caregiverShiftStatus } from '../../lib/scheduling/shiftSlots';
 import { CarePlanChecklist } from './CarePlanChecklist';
+import { ShiftChangeCard } from './components/ShiftChangeCard';
+import { ClockOutCorrectionCard } from './components/ClockOutCorrectionCard';
 import s from './CaregiverPortal.module.css';
 
 const OVERRIDE_REASON_MAX_LEN = 250;
@@ -32,6 +41,17 @@ function describeWindowFailure(windowResult, action) {
   return null;
 }
 
+const BREAK_LABEL = { meal: 'meal break', rest: 'rest break' };
+
+function describeClockEvent(eventType, breakType) {
+  if (eventType === 'in') return 'Clocked in';
+  if (eventType === 'out') return 'Clocked out';
+  const label = BREAK_LABEL[breakType] || 'break';
+  if (eventType === 'break_start') return `Started ${label}`;
+  if (eventType === 'break_end') return `Ended ${label}`;
+  return eventType;
+}
+
 const dtFmt = new Intl.DateTimeFormat(undefined, {
   weekday: 'short', month: 'short', day: 'numeric',
   hour: 'numeric', minute: '2-digit',
@@ -94,8 +114,9 @@ export function CaregiverShiftDetail({ caregiver }) {
 
       const { data: events } = await supabase
         .from('clock_events')
-        .select('id, event_type, occurred_at, geofence_passed, distance_from_client_m, override_reason')
+        .select('id, event_type, break_type, occurred_at, geofence_passed, distance_from_client_m, override_reason')
         .eq('shift_id', shiftId)
+        .eq('caregiver_id', caregiver.id)
         .order('occurred_at', { ascending: true });
       setClockEvents(events || []);
       if (events) shiftCache.putClockEvents(shiftId, events);
@@ -117,7 +138,7 @@ export function CaregiverShiftDetail({ caregiver }) {
     }
 
     await refreshPending();
-  }, [shiftId, refreshPending]);
+  }, [shiftId, caregiver.id, refreshPending]);
 
   useEffect(() => { loadShift(); }, [loadShift]);
 
@@ -125,8 +146,16 @@ export function CaregiverShiftDetail({ caregiver }) {
   // recorded events replace the pending placeholders.
   useEffect(() => onOutboxChanged(() => { loadShift(); }), [loadShift]);
 
-  const effectiveStatus = shift ? effectiveShiftStatus(shift.status, pendingEntries) : null;
+  // On a multi-caregiver shift the caregiver's own punches decide their
+  // buttons, not the whole visit's status (shiftSlots.js).
+  const effectiveStatus = shift
+    ? effectiveShiftStatus(caregiverShiftStatus(shift, caregiver.id, clockEvents), pendingEntries)
+    : null;
   const action = nextClockAction(effectiveStatus);
+  // Meal / rest breaks are only recorded while on the clock. An open
+  // break hides Clock out until it's ended, so the break record the
+  // payroll premium engine reads always has both ends.
+  const openBreak = action === 'out' ? openBreakType(clockEvents, pendingEntries) : null;
 
   // The checklist is sensitive to its `shift` prop identity (it drives a
   // data fetch). Build the pending-aware shift object once per real change
@@ -237,6 +266,52 @@ export function CaregiverShiftDetail({ caregiver }) {
     }
   };
 
+  // Break taps skip the location check — a caregiver may step away for
+  // an off-duty meal. Same live-first, queue-on-network-error flow as
+  // clock in / out.
+  const submitBreak = async (eventType, breakType) => {
+    if (!shift) return;
+    setClockState('submitting');
+    setSubmitError(null);
+    setQueuedNotice(null);
+
+    const body = { shift_id: shift.id, event_type: eventType, break_type: breakType };
+
+    if (isOnline()) {
+      try {
+        await callCaregiverClock({
+          supabaseClient: supabase,
+          supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+          anonKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+          body,
+        });
+        setClockState('idle');
+        await loadShift();
+        return;
+      } catch (err) {
+        if (!err?.isNetworkError) {
+          setSubmitError(err?.message || 'Could not record the break.');
+          setClockState('idle');
+          return;
+        }
+        // network error → queue it below
+      }
+    }
+
+    try {
+      await queueClockEvent({ shiftId: shift.id, eventType, body });
+      setClockState('idle');
+      setQueuedNotice(
+        `${describeClockEvent(eventType, breakType)} — saved on your device, it will sync automatically when you reconnect.`,
+      );
+      await refreshPending();
+      flushClockNow();
+    } catch (err) {
+      setSubmitError(err?.message || 'Could not save the break on this device.');
+      setClockState('idle');
+    }
+  };
+
   if (loadErr) {
     return (
       <div className={s.page}>
@@ -307,7 +382,21 @@ export function CaregiverShiftDetail({ caregiver }) {
 
       {action && (
         <section className={s.card}>
-          {clockState === 'idle' && (
+          {clockState === 'idle' && openBreak && (
+            <>
+              <button
+                className={s.primaryBtnLarge}
+                onClick={() => submitBreak('break_end', openBreak)}
+              >
+                End {BREAK_LABEL[openBreak]}
+              </button>
+              <p className={s.helper}>
+                You&rsquo;re on a {BREAK_LABEL[openBreak]}. End it before clocking out.
+              </p>
+            </>
+          )}
+
+          {clockState === 'idle' && !openBreak && (
             <>
               <button className={s.primaryBtnLarge} onClick={getLocationAndEvaluate}>
                 {action === 'in' ? 'Clock in' : 'Clock out'}
@@ -315,6 +404,16 @@ export function CaregiverShiftDetail({ caregiver }) {
               <p className={s.helper}>
                 We&rsquo;ll check your location to confirm you&rsquo;re at the client&rsquo;s home.
               </p>
+              {action === 'out' && (
+                <div className={s.row}>
+                  <button className={s.secondaryBtn} onClick={() => submitBreak('break_start', 'meal')}>
+                    Start meal break
+                  </button>
+                  <button className={s.secondaryBtn} onClick={() => submitBreak('break_start', 'rest')}>
+                    Start rest break
+                  </button>
+                </div>
+              )}
             </>
           )}
 
@@ -397,6 +496,21 @@ export function CaregiverShiftDetail({ caregiver }) {
           clock-in unlocks the checklist offline. */}
       <CarePlanChecklist shift={checklistShift} caregiver={caregiver} />
 
+      {/* Drop / swap — only for a future shift that's still ours and not
+          clocked into (pending-aware). Needs the network; nothing queues. */}
+      {checklistShift && caregiver && isOnline()
+        && canRequestShiftChange(checklistShift, caregiver.id).ok && (
+        <ShiftChangeCard shiftId={checklistShift.id} />
+      )}
+
+      {/* Missed clock-out — still on the clock an hour past the scheduled
+          end (pending-aware, so a queued clock-out hides it). The card
+          also shows a correction already sent. Needs the network. */}
+      {checklistShift && caregiver && isOnline()
+        && canCorrectClockOut(checklistShift, caregiver.id).ok && (
+        <ClockOutCorrectionCard shift={checklistShift} />
+      )}
+
       {!action && effectiveStatus === 'completed' && (
         <section className={s.card}>
           <div className={s.successBanner}>Shift completed. Thank you!</div>
@@ -409,7 +523,7 @@ export function CaregiverShiftDetail({ caregiver }) {
           <ul className={s.eventList}>
             {clockEvents.map((ev) => (
               <li key={ev.id}>
-                <strong>{ev.event_type === 'in' ? 'Clocked in' : 'Clocked out'}</strong>{' '}
+                <strong>{describeClockEvent(ev.event_type, ev.break_type)}</strong>{' '}
                 <span className={s.muted}>at {dtFmt.format(new Date(ev.occurred_at))}</span>
                 {ev.override_reason && (
                   <div className={s.muted}>Override: {ev.override_reason}</div>
@@ -418,7 +532,7 @@ export function CaregiverShiftDetail({ caregiver }) {
             ))}
             {pendingActivity.map((e) => (
               <li key={e.id}>
-                <strong>{e.eventType === 'in' ? 'Clocked in' : 'Clocked out'}</strong>{' '}
+                <strong>{describeClockEvent(e.eventType, e.body?.break_type)}</strong>{' '}
                 <span className={s.muted}>at {dtFmt.format(new Date(e.body?.occurred_at || e.createdAt))}</span>
                 <span className={s.pendingTag}>
                   <UploadCloud size={11} aria-hidden="true" /> Waiting to sync
@@ -9,8 +9,10 @@ import {
   isOnline,
 } from '../../lib/offline/clockSyncClient';
 import { effectiveShiftStatus } from '../../lib/offline/pendingStatus';
+import { caregiverShiftsFilter } from '../../lib/scheduling/shiftSlots';
 import { usePendingClockCount } from './hooks/useClockSync';
 import { PushReminderCard } from './components/PushReminderCard';
+import { IncomingSwapRequests } from './components/IncomingSwapRequests';
 import { signOutAndReload } from '../../lib/signOut';
 import s from './CaregiverPortal.module.css';
 
@@ -79,10 +81,19 @@ export function CaregiverShifts({ caregiver }) {
     const to = new Date();
     to.setDate(to.getDate() + 14);
 
+    // Shifts they work in a slot (multi-caregiver visits) as well as
+    // the ones they lead. A failure here surfaces on the shifts query.
+    const { data: slotRows } = await supabase
+      .from('shift_slots')
+      .select('shift_id, shift:shifts!inner(start_time, end_time)')
+      .eq('caregiver_id', caregiver.id)
+      .gte('shift.end_time', from.toISOString())
+      .lte('shift.start_time', to.toISOString());
+
     const { data, error: err } = await supabase
       .from('shifts')
       .select('id, client_id, start_time, end_time, status, instructions')
-      .eq('assigned_caregiver_id', caregiver.id)
+      .or(caregiverShiftsFilter(caregiver.id, (slotRows || []).map((r) => r.shift_id)))
       .gte('end_time', from.toISOString())
       .lte('start_time', to.toISOString())
       .order('start_time', { ascending: true });
@@ -142,6 +153,8 @@ export function CaregiverShifts({ caregiver }) {
           <h1 className={s.pageTitle}>Your shifts</h1>
         </div>
         <div className={s.headerActions}>
+          <Link className={s.linkBtn} to="/care/open-shifts">Open shifts</Link>
+          <Link className={s.linkBtn} to="/care/availability">Availability</Link>
           <Link className={s.linkBtn} to="/care/history">History</Link>
           <button
             type="button"
@@ -165,6 +178,8 @@ export function CaregiverShifts({ caregiver }) {
 
       <PushReminderCard caregiver={caregiver} />
 
+      {isOnline() && <IncomingSwapRequests />}
+
       {usingCache && (
         <div className={s.cacheNotice} role="status">
           <CloudOff size={14} aria-hidden="true" />
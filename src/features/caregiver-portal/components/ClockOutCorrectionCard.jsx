@@ -0,0 +1,149 @@
+// ─── ClockOutCorrectionCard ───
+// "Forgot to clock out?" on the shift detail screen, once the normal
+// clock-out window has passed (the missed-clock-out-detector push
+// links here). Clocking out now would record the wrong time, so the
+// caregiver reports when they actually left and why; the office
+// approves it from the schedule page. Goes through the
+// caregiver-clock-corrections edge function.
+
+import { useCallback, useEffect, useState } from 'react';
+import { supabase } from '../../../lib/supabase';
+import { callCaregiverClock } from '../../../lib/callCaregiverClock';
+import {
+  CLOCK_OUT_CORRECTION_STATUS,
+  CORRECTION_REASON_MAX_LENGTH,
+  validateClockOutCorrection,
+} from '../../../lib/scheduling/clockOutCorrections';
+import s from '../CaregiverPortal.module.css';
+
+function callCorrections(body, actionLabel) {
+  return callCaregiverClock({
+    supabaseClient: supabase,
+    supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+    anonKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+    functionName: 'caregiver-clock-corrections',
+    actionLabel,
+    body,
+  });
+}
+
+// ISO → the device-local "YYYY-MM-DDTHH:mm" a datetime-local input wants.
+function toLocalInput(iso) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function ClockOutCorrectionCard({ shift }) {
+  const [context, setContext] = useState(null);
+  const [endTime, setEndTime] = useState(() => toLocalInput(shift.end_time));
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    const data = await callCorrections({ action: 'context', shift_id: shift.id }, 'Loading clock-out');
+    setContext(data);
+  }, [shift.id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    load().catch((e) => { if (!cancelled) setError(e.message); });
+    return () => { cancelled = true; };
+  }, [load]);
+
+  const submit = async () => {
+    // datetime-local is device-local; Date parses it that way.
+    const endIso = endTime ? new Date(endTime).toISOString() : '';
+    const invalid = validateClockOutCorrection({
+      clockInAt: context?.clock_in_at,
+      endTime: endIso,
+      reason,
+    });
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await callCorrections({
+        action: 'submit',
+        shift_id: shift.id,
+        end_time: endIso,
+        reason: reason.trim(),
+      }, 'Sending your end time');
+      setReason('');
+      await load();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!context) {
+    return error ? <section className={s.card}><div className={s.error}>{error}</div></section> : null;
+  }
+
+  const status = context.correction?.status;
+
+  if (status === CLOCK_OUT_CORRECTION_STATUS.PENDING) {
+    return (
+      <section className={s.card}>
+        <div className={s.muted}>Clock-out</div>
+        <p className={s.helper}>
+          You sent your end time. The office will confirm it and close out this visit.
+        </p>
+      </section>
+    );
+  }
+
+  if (status === CLOCK_OUT_CORRECTION_STATUS.DENIED) {
+    return (
+      <section className={s.card}>
+        <div className={s.muted}>Clock-out</div>
+        <p className={s.helper}>
+          The office couldn&rsquo;t confirm the end time you sent. They&rsquo;ll be in touch
+          to sort out your hours.
+        </p>
+      </section>
+    );
+  }
+
+  if (!context.can_submit) return null;
+
+  return (
+    <section className={s.card}>
+      <div className={s.muted}>Forgot to clock out?</div>
+      <p className={s.helper}>
+        Your shift ended a while ago. Tell us when you actually left and the office
+        will close out the visit.
+      </p>
+      <div className={s.form}>
+        <label className={s.label} htmlFor="correction-end">When did you leave?</label>
+        <input
+          id="correction-end"
+          type="datetime-local"
+          className={s.input}
+          value={endTime}
+          onChange={(e) => setEndTime(e.target.value)}
+        />
+        <label className={s.label} htmlFor="correction-reason">Why couldn&rsquo;t you clock out?</label>
+        <textarea
+          id="correction-reason"
+          className={s.textarea}
+          rows={2}
+          maxLength={CORRECTION_REASON_MAX_LENGTH}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <button type="button" className={s.primaryBtn} onClick={submit} disabled={busy}>
+          {busy ? 'Sending…' : 'Send end time'}
+        </button>
+      </div>
+
+      {error && <div className={s.error}>{error}</div>}
+    </section>
+  );
+}
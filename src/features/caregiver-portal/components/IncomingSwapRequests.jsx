@@ -0,0 +1,111 @@
+// ─── IncomingSwapRequests ───
+// Swap requests waiting on this caregiver, shown at the top of the
+// home screen: "Ana T. asked you to take Tue, May 5 · 9:00 AM – 1:00 PM".
+// Accepting sends the swap to the office for approval; the shift only
+// moves once they approve. Hidden when there's nothing waiting (and
+// when offline — the list comes from caregiver-shift-requests).
+
+import { useCallback, useEffect, useState } from 'react';
+import { supabase } from '../../../lib/supabase';
+import { callCaregiverClock } from '../../../lib/callCaregiverClock';
+import s from '../CaregiverPortal.module.css';
+
+const dayFmt = new Intl.DateTimeFormat(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric',
+});
+const timeFmt = new Intl.DateTimeFormat(undefined, {
+  hour: 'numeric', minute: '2-digit',
+});
+
+function callShiftRequests(body, actionLabel) {
+  return callCaregiverClock({
+    supabaseClient: supabase,
+    supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+    anonKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+    functionName: 'caregiver-shift-requests',
+    actionLabel,
+    body,
+  });
+}
+
+export function IncomingSwapRequests() {
+  const [requests, setRequests] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    const data = await callShiftRequests({ action: 'incoming' }, 'Loading swap requests');
+    setRequests(data?.requests || []);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Non-fatal: the home screen works without this list.
+    load().catch((e) => { if (!cancelled) console.warn('Swap requests unavailable:', e); });
+    return () => { cancelled = true; };
+  }, [load]);
+
+  const respond = async (request, accept) => {
+    setBusyId(request.id);
+    setError(null);
+    try {
+      await callShiftRequests(
+        { action: 'respond', request_id: request.id, accept },
+        accept ? 'Accepting the swap' : 'Declining the swap',
+      );
+      setNotice(accept
+        ? 'Thanks! The office will confirm the swap — it shows in your shifts once approved.'
+        : 'Declined. We’ve let your coworker know.');
+      setRequests((prev) => prev.filter((r) => r.id !== request.id));
+    } catch (e) {
+      setError(e.message);
+      if (e.code === 'not_open') load().catch(() => {});
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (requests.length === 0 && !notice && !error) return null;
+
+  return (
+    <>
+      {notice && <div className={s.successBanner} role="status">{notice}</div>}
+      {error && <div className={s.errorBanner}>{error}</div>}
+      {requests.map((r) => {
+        const start = new Date(r.start_time);
+        const clientLabel = [r.client?.name, r.client?.city].filter(Boolean).join(' · ');
+        return (
+          <div key={r.id} className={s.reminderCard} role="region" aria-label="Swap request">
+            <div className={s.reminderBody}>
+              <div className={s.reminderTitle}>{r.requester_name} asked you to take a shift</div>
+              <div className={s.muted}>
+                {dayFmt.format(start)} · {timeFmt.format(start)} – {timeFmt.format(new Date(r.end_time))}
+                {clientLabel && <> · {clientLabel}</>}
+              </div>
+              {r.reason && <div className={s.muted}>&ldquo;{r.reason}&rdquo;</div>}
+              <div className={s.reminderActions}>
+                <button
+                  type="button"
+                  className={s.primaryBtn}
+                  onClick={() => respond(r, true)}
+                  disabled={busyId != null}
+                >
+                  {busyId === r.id ? 'Sending…' : 'Accept'}
+                </button>
+                <button
+                  type="button"
+                  className={s.secondaryBtn}
+                  onClick={() => respond(r, false)}
+                  disabled={busyId != null}
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,201 @@
+// ─── ShiftChangeCard ───
+// "Can't make it?" on the shift detail screen. The caregiver can
+// release the shift to the pool (drop) or offer it to a named coworker
+// (swap); the office approves either from the schedule page. While a
+// request is open the card shows where it stands and lets the
+// caregiver withdraw it. Everything goes through the
+// caregiver-shift-requests edge function.
+
+import { useCallback, useEffect, useState } from 'react';
+import { supabase } from '../../../lib/supabase';
+import { callCaregiverClock } from '../../../lib/callCaregiverClock';
+import {
+  SHIFT_CHANGE_KIND,
+  SHIFT_CHANGE_STATUS,
+  CHANGE_REASON_MAX_LENGTH,
+  isOpenChangeRequest,
+} from '../../../lib/scheduling/shiftChangeRequests';
+import s from '../CaregiverPortal.module.css';
+
+function callShiftRequests(body, actionLabel) {
+  return callCaregiverClock({
+    supabaseClient: supabase,
+    supabaseUrl: import.meta.env.VITE_SUPABASE_URL,
+    anonKey: import.meta.env.VITE_SUPABASE_ANON_KEY,
+    functionName: 'caregiver-shift-requests',
+    actionLabel,
+    body,
+  });
+}
+
+function describeRequest(request) {
+  const who = request.target_name || 'your coworker';
+  switch (request.status) {
+    case SHIFT_CHANGE_STATUS.PENDING_COWORKER:
+      return `Waiting for ${who} to accept. You’re still on this shift until the office approves.`;
+    case SHIFT_CHANGE_STATUS.PENDING_APPROVAL:
+      return request.kind === SHIFT_CHANGE_KIND.SWAP
+        ? `${who} accepted. Waiting for the office to approve — you’re still on this shift until then.`
+        : 'Waiting for the office to approve. You’re still on this shift until then.';
+    case SHIFT_CHANGE_STATUS.DECLINED:
+      return `${who} couldn’t take this shift.`;
+    case SHIFT_CHANGE_STATUS.DENIED:
+      return 'The office didn’t approve your last request for this shift.';
+    default:
+      return null;
+  }
+}
+
+export function ShiftChangeCard({ shiftId }) {
+  const [context, setContext] = useState(null);
+  const [mode, setMode] = useState(null); // null | 'drop' | 'swap'
+  const [targetId, setTargetId] = useState('');
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    const data = await callShiftRequests({ action: 'context', shift_id: shiftId }, 'Loading requests');
+    setContext(data);
+  }, [shiftId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    load().catch((e) => { if (!cancelled) setError(e.message); });
+    return () => { cancelled = true; };
+  }, [load]);
+
+  const submit = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await callShiftRequests({
+        action: 'create',
+        shift_id: shiftId,
+        kind: mode,
+        target_caregiver_id: mode === SHIFT_CHANGE_KIND.SWAP ? targetId : undefined,
+        reason: reason.trim() || undefined,
+      }, 'Sending your request');
+      setMode(null);
+      setReason('');
+      setTargetId('');
+      await load();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const withdraw = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await callShiftRequests({ action: 'cancel', request_id: context.request.id }, 'Withdrawing your request');
+      await load();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!context) {
+    return error ? <section className={s.card}><div className={s.error}>{error}</div></section> : null;
+  }
+
+  const request = context.request;
+  const open = isOpenChangeRequest(request);
+  const status = request ? describeRequest(request) : null;
+
+  return (
+    <section className={s.card}>
+      <div className={s.muted}>Can&rsquo;t make it?</div>
+
+      {status && <p className={s.helper}>{status}</p>}
+
+      {open && (
+        <button type="button" className={s.secondaryBtn} onClick={withdraw} disabled={busy}>
+          {busy ? 'Withdrawing…' : 'Withdraw request'}
+        </button>
+      )}
+
+      {!open && mode == null && (
+        <div className={s.row}>
+          <button
+            type="button"
+            className={s.secondaryBtn}
+            onClick={() => setMode(SHIFT_CHANGE_KIND.SWAP)}
+            disabled={context.coworkers.length === 0}
+          >
+            Offer to a coworker
+          </button>
+          <button
+            type="button"
+            className={s.secondaryBtn}
+            onClick={() => setMode(SHIFT_CHANGE_KIND.DROP)}
+          >
+            Release shift
+          </button>
+        </div>
+      )}
+
+      {!open && mode != null && (
+        <div className={s.form}>
+          {mode === SHIFT_CHANGE_KIND.SWAP ? (
+            <>
+              <label className={s.label} htmlFor="swap-coworker">Coworker</label>
+              <select
+                id="swap-coworker"
+                className={s.input}
+                value={targetId}
+                onChange={(e) => setTargetId(e.target.value)}
+              >
+                <option value="">Choose a coworker…</option>
+                {context.coworkers.map((c) => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
+              <p className={s.helper}>
+                They&rsquo;ll get a notification to accept. The office approves the swap after that.
+              </p>
+            </>
+          ) : (
+            <p className={s.helper}>
+              The shift goes back to the office to fill. You stay on it until they approve.
+            </p>
+          )}
+          <label className={s.label} htmlFor="change-reason">Reason (optional)</label>
+          <textarea
+            id="change-reason"
+            className={s.textarea}
+            rows={2}
+            maxLength={CHANGE_REASON_MAX_LENGTH}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <div className={s.row}>
+            <button
+              type="button"
+              className={s.primaryBtn}
+              onClick={submit}
+              disabled={busy || (mode === SHIFT_CHANGE_KIND.SWAP && !targetId)}
+            >
+              {busy ? 'Sending…' : 'Send request'}
+            </button>
+            <button
+              type="button"
+              className={s.linkBtn}
+              onClick={() => { setMode(null); setError(null); }}
+              disabled={busy}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div className={s.error}>{error}</div>}
+    </section>
+  );
+}
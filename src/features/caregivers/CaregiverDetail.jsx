@@ -18,6 +18,7 @@ import { MessagingCenter } from './caregiver/MessagingCenter';
 import { useCommsTimeline } from './caregiver/useCommsTimeline';
 import { AvailabilityEditor } from '../scheduling/AvailabilityEditor';
 import { CaregiverSchedulePanel } from '../scheduling/CaregiverSchedulePanel';
+import { CalendarFeedPanel } from '../scheduling/CalendarFeedPanel';
 import { UpcomingFollowUpsPanel } from '../tasks/UpcomingFollowUpsPanel';
 
 export function CaregiverDetail({
@@ -208,10 +209,17 @@ export function CaregiverDetail({
       )}
 
       {detailTab === 'schedule' && (
-        <CaregiverSchedulePanel
-          caregiver={caregiver}
-          showToast={showToast}
-        />
+        <>
+          <CaregiverSchedulePanel
+            caregiver={caregiver}
+            showToast={showToast}
+          />
+          <CalendarFeedPanel
+            owner={{ caregiverId: caregiver.id }}
+            currentUser={currentUser}
+            showToast={showToast}
+          />
+        </>
       )}
     </div>
   );
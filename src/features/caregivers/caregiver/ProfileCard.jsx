@@ -13,6 +13,7 @@ import btn from '../../../styles/buttons.module.css';
 import { EditField } from './constants';
 import { CheckCircle2, AlertTriangle } from 'lucide-react';
 import { getPaychexSetupStatus } from '../../../lib/payroll/caregiverPayrollSetup';
+import { getOtJurisdiction, listOtJurisdictions } from '../../../lib/payroll/jurisdictions';
 
 export function ProfileCard({ caregiver, onUpdateCaregiver }) {
   const [editing, setEditing] = useState(false);
@@ -179,6 +180,7 @@ export function ProfileCard({ caregiver, onUpdateCaregiver }) {
       preferredShift: caregiver.preferredShift || '',
       allergies: caregiver.allergies || '',
       clientGenderPreference: caregiver.clientGenderPreference || '',
+      gender: caregiver.gender || '',
       initialNotes: caregiver.initialNotes || '',
       employmentStatus: caregiver.employmentStatus || '',
       availabilityType: caregiver.availabilityType || '',
@@ -187,6 +189,8 @@ export function ProfileCard({ caregiver, onUpdateCaregiver }) {
       defaultPayRate: caregiver.defaultPayRate ?? '',
       defaultPayOtRate: caregiver.defaultPayOtRate ?? '',
       paychexEmployeeId: caregiver.paychexEmployeeId || '',
+      otJurisdiction: caregiver.otJurisdiction || '',
+      mealPeriodWaiver: caregiver.mealPeriodWaiver === true,
     });
     setEditing(true);
   };
@@ -229,12 +233,19 @@ export function ProfileCard({ caregiver, onUpdateCaregiver }) {
         {paychexStatus.ready ? paychexStatus.employeeId : 'Not set — blocks payroll export'}
       </span>
     ) },
+    // Multi-state OT: explicit override of the work-location /
+    // org-default jurisdiction the payroll engine would otherwise pick.
+    { label: 'OT Jurisdiction', value: caregiver.otJurisdiction ? (getOtJurisdiction(caregiver.otJurisdiction)?.label || caregiver.otJurisdiction) : null },
+    // CA meal period waiver: relaxes the meal premium rules for short
+    // shifts (see src/lib/payroll/breakCompliance.js).
+    { label: 'Meal Period Waiver', value: caregiver.mealPeriodWaiver ? '✅ On file' : null },
     { label: 'Years of Experience', value: caregiver.yearsExperience ? ({ '0-1': 'Less than 1 year', '1-3': '1–3 years', '3-5': '3–5 years', '5-10': '5–10 years', '10+': '10+ years' }[caregiver.yearsExperience] || caregiver.yearsExperience) : null },
     { label: 'Preferred Shift', value: caregiver.preferredShift ? caregiver.preferredShift.charAt(0).toUpperCase() + caregiver.preferredShift.slice(1) : null },
     { label: 'Languages', value: caregiver.languages },
     { label: 'Specializations', value: caregiver.specializations },
     { label: 'Additional Certifications', value: caregiver.certifications },
     { label: 'Known Allergies', value: caregiver.allergies },
+    { label: 'Gender', value: caregiver.gender === 'female' ? 'Female' : caregiver.gender === 'male' ? 'Male' : null },
     { label: 'Willing to Work With', value: caregiver.clientGenderPreference === 'both' ? 'Male and female clients' : caregiver.clientGenderPreference === 'female' ? 'Female clients only' : caregiver.clientGenderPreference === 'male' ? 'Male clients only' : null },
     { label: 'Phase Override', value: caregiver.phaseOverride ? (() => {
       const sub = SUB_PHASES.find((s) => s.id === caregiver.phaseOverride);
@@ -539,6 +550,20 @@ export function ProfileCard({ caregiver, onUpdateCaregiver }) {
             <EditField label="Default Pay Rate ($/hr)" value={editForm.defaultPayRate} onChange={(v) => editField('defaultPayRate', v)} type="number" />
             <EditField label="Default OT Pay Rate ($/hr)" value={editForm.defaultPayOtRate} onChange={(v) => editField('defaultPayOtRate', v)} type="number" />
             <EditField label="Paychex Employee ID" value={editForm.paychexEmployeeId} onChange={(v) => editField('paychexEmployeeId', v)} />
+            <div className={forms.field}>
+              <label className={forms.fieldLabel}>OT Jurisdiction</label>
+              <select className={forms.fieldInput} value={editForm.otJurisdiction} onChange={(e) => editField('otJurisdiction', e.target.value)}>
+                <option value="">— From work location —</option>
+                {listOtJurisdictions().map((j) => <option key={j.code} value={j.code}>{j.label}</option>)}
+              </select>
+            </div>
+            <div className={forms.field}>
+              <label className={forms.fieldLabel}>Meal Period Waiver</label>
+              <select className={forms.fieldInput} value={editForm.mealPeriodWaiver ? 'yes' : 'no'} onChange={(e) => editField('mealPeriodWaiver', e.target.value === 'yes')}>
+                <option value="no">Not on file</option>
+                <option value="yes">Signed waiver on file</option>
+              </select>
+            </div>
             <div className={forms.field}>
               <label className={forms.fieldLabel}>Years of Experience</label>
               <select className={forms.fieldInput} value={editForm.yearsExperience} onChange={(e) => editField('yearsExperience', e.target.value)}>
@@ -566,6 +591,14 @@ export function ProfileCard({ caregiver, onUpdateCaregiver }) {
             <EditField label="Specializations" value={editForm.specializations} onChange={(v) => editField('specializations', v)} />
             <EditField label="Additional Certifications" value={editForm.certifications} onChange={(v) => editField('certifications', v)} />
             <EditField label="Known Allergies" value={editForm.allergies} onChange={(v) => editField('allergies', v)} />
+            <div className={forms.field}>
+              <label className={forms.fieldLabel}>Gender</label>
+              <select className={forms.fieldInput} value={editForm.gender} onChange={(e) => editField('gender', e.target.value)}>
+                <option value="">— Not set —</option>
+                <option value="female">Female</option>
+                <option value="male">Male</option>
+              </select>
+            </div>
             <div className={forms.field}>
               <label className={forms.fieldLabel}>Willing to Work With</label>
               <select className={forms.fieldInput} value={editForm.clientGenderPreference} onChange={(e) => editField('clientGenderPreference', e.target.value)}>
@@ -1,5 +1,6 @@
 import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
 import { formatAnswerForDisplay } from '../../../lib/surveyUtils';
+import { sanitizePdfText } from '../../../lib/pdfText';
 
 // Layout constants — Letter portrait at 72 DPI.
 const PAGE_WIDTH = 612;
@@ -14,21 +15,8 @@ const COLOR_LABEL = rgb(0.30, 0.36, 0.46);
 const COLOR_BODY = rgb(0.10, 0.10, 0.10);
 const COLOR_MUTED = rgb(0.45, 0.50, 0.58);
 
-// pdf-lib's Helvetica only supports WinAnsi. Strip anything outside that
-// (em-dashes, smart quotes, emoji) so drawText doesn't throw.
-function sanitize(text) {
-  if (text === undefined || text === null) return '';
-  return String(text)
-    .replace(/[‘’‚‛]/g, "'")
-    .replace(/[“”„‟]/g, '"')
-    .replace(/[–—]/g, '-')
-    .replace(/…/g, '...')
-    .replace(/ /g, ' ')
-    .replace(/[^\x09\x0A\x0D\x20-\x7E]/g, '');
-}
-
 function wrapText(text, font, fontSize, maxWidth) {
-  const safe = sanitize(text);
+  const safe = sanitizePdfText(text);
   if (!safe) return [''];
   const lines = [];
   for (const rawLine of safe.split(/\r?\n/)) {
@@ -131,18 +119,18 @@ export async function buildInterviewEvaluationPdf({ caregiver, template, answers
   };
 
   // ── Header ─────────────────────────────────────────────────────
-  const title = sanitize(template?.name || 'Interview Evaluation');
+  const title = sanitizePdfText(template?.name || 'Interview Evaluation');
   drawWrapped(title, { font: fontBold, size: 18, color: COLOR_TITLE, leading: 22 });
   y -= 4;
 
-  const candidateName = sanitize(`${caregiver?.firstName || ''} ${caregiver?.lastName || ''}`.trim()) || 'Caregiver';
+  const candidateName = sanitizePdfText(`${caregiver?.firstName || ''} ${caregiver?.lastName || ''}`.trim()) || 'Caregiver';
   drawWrapped(`Candidate: ${candidateName}`, { font: fontBold, size: 11, color: COLOR_BODY });
 
   if (submittedAt) {
     drawWrapped(`Submitted: ${formatSubmittedAt(submittedAt)}`, { font: fontRegular, size: 10, color: COLOR_MUTED });
   }
   if (evaluator) {
-    drawWrapped(`Evaluator: ${sanitize(evaluator)}`, { font: fontRegular, size: 10, color: COLOR_MUTED });
+    drawWrapped(`Evaluator: ${sanitizePdfText(evaluator)}`, { font: fontRegular, size: 10, color: COLOR_MUTED });
   }
 
   y -= 8;
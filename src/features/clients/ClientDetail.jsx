@@ -15,7 +15,10 @@ import { CarePlanPanel } from '../care-plans/CarePlanPanel';
 import { CareSignalsPanel } from '../care-signals/CareSignalsPanel';
 import { ClientHealthEventsPanel } from '../care-signals/ClientHealthEventsPanel';
 import { ServicePlansPanel } from '../scheduling/ServicePlansPanel';
+import { AuthorizationsPanel } from '../scheduling/AuthorizationsPanel';
 import { ClientSchedulePanel } from '../scheduling/ClientSchedulePanel';
+import { CalendarFeedPanel } from '../scheduling/CalendarFeedPanel';
+import { FamilyUpdatesPanel } from '../family/FamilyUpdatesPanel';
 import { UpcomingFollowUpsPanel } from '../tasks/UpcomingFollowUpsPanel';
 import { DetailTabBar } from '../caregivers/caregiver/DetailTabBar';
 import { MessagingCenter } from '../caregivers/caregiver/MessagingCenter';
@@ -255,12 +258,24 @@ export function ClientDetail({
                     showToast={showToast}
                   />
 
+                  <FamilyUpdatesPanel
+                    client={client}
+                    currentUser={currentUser}
+                    showToast={showToast}
+                  />
+
                   <ServicePlansPanel
                     client={client}
                     currentUser={currentUser}
                     showToast={showToast}
                   />
 
+                  <AuthorizationsPanel
+                    client={client}
+                    currentUser={currentUser}
+                    showToast={showToast}
+                  />
+
                   <ClientHealthEventsPanel client={client} currentUser={currentUser} />
                 </>
               )}
@@ -296,10 +311,17 @@ export function ClientDetail({
       )}
 
       {detailTab === 'schedule' && (
-        <ClientSchedulePanel
-          client={client}
-          showToast={showToast}
-        />
+        <>
+          <ClientSchedulePanel
+            client={client}
+            showToast={showToast}
+          />
+          <CalendarFeedPanel
+            owner={{ clientId: client.id }}
+            currentUser={currentUser}
+            showToast={showToast}
+          />
+        </>
       )}
     </div>
   );
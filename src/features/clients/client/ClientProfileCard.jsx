@@ -89,6 +89,7 @@ export function ClientProfileCard({ client, onUpdateClient }) {
       defaultBillableRate: client.defaultBillableRate ?? '',
       defaultBillableOtRate: client.defaultBillableOtRate ?? '',
       payerType: client.payerType || '',
+      medicaidId: client.medicaidId || '',
       referralSource: client.referralSource || '',
       referralDetail: client.referralDetail || '',
       assignedTo: client.assignedTo || '',
@@ -130,6 +131,7 @@ export function ClientProfileCard({ client, onUpdateClient }) {
     { label: 'Standard Billable Rate', value: formatRate(client.defaultBillableRate) },
     { label: 'Overtime Billable Rate', value: formatRate(client.defaultBillableOtRate) },
     { label: 'Payer Type', value: client.payerType },
+    { label: 'Medicaid ID', value: client.medicaidId },
     { label: 'Referral Source', value: [client.referralSource, client.referralDetail].filter(Boolean).join(' — ') || null },
     { label: 'Assigned To', value: client.assignedTo },
     { label: 'Priority', value: CLIENT_PRIORITIES.find((p) => p.id === client.priority)?.label || 'Normal' },
@@ -308,6 +310,11 @@ export function ClientProfileCard({ client, onUpdateClient }) {
                 <option value="other">Other</option>
               </select>
             </div>
+            <EditField
+              label="Medicaid ID (for EVV)"
+              value={editForm.medicaidId}
+              onChange={(v) => editField('medicaidId', v)}
+            />
           </div>
 
           <div style={{ fontSize: 13, fontWeight: 600, color: '#6B7B8F', margin: '16px 0 8px' }}>Lead Info</div>
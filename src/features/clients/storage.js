@@ -208,6 +208,7 @@ export const dbToClient = (row) => ({
     ? Number(row.default_billable_ot_rate)
     : null,
   payerType: row.payer_type ?? null,
+  medicaidId: row.medicaid_id ?? null,
   referralSource: row.referral_source,
   referralDetail: row.referral_detail,
   phase: row.phase || 'new_lead',
@@ -276,6 +277,7 @@ const clientToDb = (cl) => ({
   default_billable_rate: normalizeBillableRate(cl.defaultBillableRate),
   default_billable_ot_rate: normalizeBillableRate(cl.defaultBillableOtRate),
   payer_type: cl.payerType || null,
+  medicaid_id: cl.medicaidId?.trim() || null,
   referral_source: cl.referralSource || '',
   referral_detail: cl.referralDetail || '',
   phase: cl.phase || 'new_lead',
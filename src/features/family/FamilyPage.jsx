@@ -0,0 +1,177 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { supabase } from '../../lib/supabase';
+import { CONCERN_SEVERITY_LABELS, formatDigestPeriod } from '../../lib/familyDigests';
+import s from './FamilyPage.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// Public Family Portal
+//
+// A client's responsible party opens this from their weekly update
+// email (no login needed). The family-portal edge function checks the
+// token and returns the client's upcoming visits and the weekly
+// updates staff have approved. Read-only; a revoked link shows the
+// "no longer active" message.
+// ═══════════════════════════════════════════════════════════════
+
+function Header({ title, subtitle }) {
+  return (
+    <div className={s.header}>
+      <div className={s.logo}>
+        Tremendous <span className={s.logoAccent}>Care</span>
+      </div>
+      {title && <h1 className={s.title}>{title}</h1>}
+      {subtitle && <p className={s.subtitle}>{subtitle}</p>}
+    </div>
+  );
+}
+
+// Visits grouped by local day, in the order they come (soonest first).
+function groupVisitsByDay(visits, timezone) {
+  const groups = [];
+  for (const visit of visits) {
+    const label = new Date(visit.start).toLocaleDateString('en-US', {
+      weekday: 'long', month: 'short', day: 'numeric', timeZone: timezone,
+    });
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) last.visits.push(visit);
+    else groups.push({ label, visits: [visit] });
+  }
+  return groups;
+}
+
+export function FamilyPage() {
+  const { token } = useParams();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [portal, setPortal] = useState(null);
+
+  useEffect(() => {
+    if (!token || !supabase) {
+      setError('Invalid link.');
+      setLoading(false);
+      return;
+    }
+    supabase.functions.invoke('family-portal', {
+      body: { token },
+    }).then(({ data, error: fnErr }) => {
+      if (fnErr || data?.error) {
+        setError(data?.error || 'This link is no longer active. Please contact Tremendous Care for a new one.');
+      } else {
+        setPortal(data);
+      }
+      setLoading(false);
+    });
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className={s.page}>
+        <Header />
+        <div className={s.card}>
+          <div className={s.loading}>
+            <div className={s.spinner} />
+            <div className={s.loadingText}>Loading...</div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className={s.page}>
+        <Header />
+        <div className={s.card}>
+          <div className={s.error}>
+            <div className={s.errorIcon}>!</div>
+            <h2 className={s.errorTitle}>Link Unavailable</h2>
+            <p className={s.errorText}>{error}</p>
+          </div>
+        </div>
+        <div className={s.footer}>Tremendous Care &middot; Home Care</div>
+      </div>
+    );
+  }
+
+  const { client_first_name: clientName, recipient_name: recipientName, timezone, visits, digests } = portal;
+  const firstName = String(recipientName || '').trim().split(/\s+/)[0];
+  const formatTime = (iso) =>
+    new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timezone });
+
+  return (
+    <div className={s.page}>
+      <Header
+        title={clientName ? `${clientName}’s care` : 'Care updates'}
+        subtitle={firstName ? `Hi ${firstName} — here’s what’s coming up and how recent weeks went.` : null}
+      />
+
+      <div className={s.card}>
+        <h2 className={s.sectionTitle}>Upcoming visits</h2>
+        {visits.length === 0 ? (
+          <p className={s.empty}>No visits scheduled in the next two weeks.</p>
+        ) : (
+          groupVisitsByDay(visits, timezone).map((group) => (
+            <div key={group.label} className={s.day}>
+              <div className={s.dayLabel}>{group.label}</div>
+              {group.visits.map((v) => (
+                <div
+                  key={`${v.start}-${v.summary}`}
+                  className={`${s.visit} ${v.cancelled ? s.visitCancelled : ''} ${v.tentative ? s.visitTentative : ''}`}
+                >
+                  <span className={s.visitTime}>{formatTime(v.start)} – {formatTime(v.end)}</span>
+                  <span className={s.visitSummary}>{v.summary}</span>
+                  {v.cancelled && <span className={s.badge}>Cancelled</span>}
+                  {v.tentative && <span className={s.badge}>Caregiver to be confirmed</span>}
+                </div>
+              ))}
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className={s.card}>
+        <h2 className={s.sectionTitle}>Recent updates</h2>
+        {digests.length === 0 ? (
+          <p className={s.empty}>Weekly updates will appear here once they’re sent.</p>
+        ) : (
+          digests.map((d) => (
+            <article key={d.id} className={s.digest}>
+              <div className={s.digestPeriod}>{formatDigestPeriod(d.period_start, d.period_end, timezone)}</div>
+              <p className={s.narrative}>{d.narrative}</p>
+              {d.highlights.length > 0 && (
+                <>
+                  <div className={s.listTitle}>Highlights</div>
+                  <ul className={s.list}>
+                    {d.highlights.map((h, idx) => <li key={idx}>{h.text}</li>)}
+                  </ul>
+                </>
+              )}
+              {d.concerns.length > 0 && (
+                <>
+                  <div className={s.listTitle}>Things we are keeping an eye on</div>
+                  <ul className={s.list}>
+                    {d.concerns.map((c, idx) => (
+                      <li key={idx}>
+                        {CONCERN_SEVERITY_LABELS[c.severity] && (
+                          <span className={s.concernLabel}>{CONCERN_SEVERITY_LABELS[c.severity]}: </span>
+                        )}
+                        {c.text}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </article>
+          ))
+        )}
+      </div>
+
+      <div className={s.footer}>
+        Questions? Reply to any update email or call the office.
+        <br />
+        Tremendous Care &middot; Home Care
+      </div>
+    </div>
+  );
+}
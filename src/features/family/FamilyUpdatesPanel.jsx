@@ -0,0 +1,415 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useApp } from '../../shared/context/AppContext';
+import { loadResponsibleParties } from '../../lib/clientContacts';
+import {
+  CONCERN_SEVERITIES,
+  CONCERN_SEVERITY_LABELS,
+  DIGEST_STATUS,
+  digestRecipients,
+  familyPortalUrl,
+  formatDigestPeriod,
+  pickOrgTimezone,
+  recipientBlocker,
+} from '../../lib/familyDigests';
+import {
+  approveDigest,
+  discardDigest,
+  emailDigest,
+  getLivePortalLinks,
+  issuePortalLink,
+  listClientDigests,
+  recordDigestEmails,
+  revokePortalLink,
+} from './storage';
+import btn from '../../styles/buttons.module.css';
+import s from './FamilyUpdatesPanel.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// FamilyUpdatesPanel
+//
+// "Family updates" section on the client page. Two parts:
+//   - Responsible parties: who can receive updates (email + HIPAA
+//     authorization on file) and each one's family portal link —
+//     issue, copy, revoke, like CalendarFeedPanel.
+//   - Weekly digests: the care-plan-digests job's drafts wait here for
+//     review. Staff edit the narrative, drop or re-grade concerns, pick
+//     recipients, then approve (emailed + shown on the portal) or
+//     discard. Nothing reaches the family before that.
+// Rules: src/lib/familyDigests.js.
+// ═══════════════════════════════════════════════════════════════
+
+const RANKS = ['primary', 'secondary'];
+
+const formatDateTime = (iso) =>
+  new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/**
+ * @param {object} props
+ * @param {object} props.client
+ * @param {object} [props.currentUser]
+ * @param {(msg: string) => void} [props.showToast]
+ */
+export function FamilyUpdatesPanel({ client, currentUser, showToast }) {
+  const { currentOrgSettings } = useApp();
+  const [parties, setParties] = useState({ primary: null, secondary: null });
+  const [links, setLinks] = useState({});
+  const [digests, setDigests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const clientId = client.id;
+  const actor = currentUser?.displayName || currentUser?.email || null;
+  const recipients = digestRecipients(parties);
+  const timezone = pickOrgTimezone(currentOrgSettings);
+
+  const load = useCallback(async () => {
+    try {
+      const [p, l, d] = await Promise.all([
+        loadResponsibleParties(clientId),
+        getLivePortalLinks(clientId),
+        listClientDigests(clientId),
+      ]);
+      setParties(p);
+      setLinks(l);
+      setDigests(d);
+      setError(null);
+    } catch (e) {
+      console.error('FamilyUpdatesPanel load error:', e);
+      setError(e.message || 'Failed to load family updates.');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (fn, failMessage) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await fn();
+    } catch (e) {
+      console.error(failMessage, e);
+      setError(e.message || failMessage);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleIssue = (party) => run(async () => {
+    if (links[party.rank] && !window.confirm(`Issue a new link for ${party.name}? Their current link stops working.`)) return;
+    const link = await issuePortalLink(clientId, party, { createdBy: actor });
+    setLinks((prev) => ({ ...prev, [party.rank]: link }));
+    showToast?.('Family portal link issued');
+  }, 'Failed to issue the portal link.');
+
+  const handleRevoke = (rank, name) => run(async () => {
+    if (!window.confirm(`Revoke ${name}'s portal link? It stops working right away.`)) return;
+    await revokePortalLink(clientId, rank, { revokedBy: actor });
+    setLinks((prev) => {
+      const next = { ...prev };
+      delete next[rank];
+      return next;
+    });
+    showToast?.('Family portal link revoked');
+  }, 'Failed to revoke the portal link.');
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(familyPortalUrl(link.token));
+      showToast?.('Portal link copied');
+    } catch {
+      setError('Could not copy — select the link and copy it manually.');
+    }
+  };
+
+  const handleApprove = (digest, edits, emailTo) => run(async () => {
+    let updated = await approveDigest(digest, { ...edits, reviewedBy: actor });
+    const { sent, failed } = await emailDigest(
+      { ...digest, ...edits },
+      { recipients: emailTo, linksByRank: links, clientName: client.firstName, timezone, currentUser },
+    );
+    if (sent.length > 0) updated = await recordDigestEmails(updated, sent);
+    setDigests((prev) => prev.map((d) => (d.id === updated.id ? updated : d)));
+    if (failed.length > 0) {
+      setError(`Approved, but the email to ${failed.map((f) => f.email).join(', ')} failed: ${failed[0].error}`);
+    } else {
+      showToast?.(sent.length > 0 ? `Update sent to ${sent.length} family member${sent.length === 1 ? '' : 's'}` : 'Update approved');
+    }
+  }, 'Failed to approve the update.');
+
+  const handleDiscard = (digest) => run(async () => {
+    if (!window.confirm('Discard this update? The family will never see it.')) return;
+    await discardDigest(digest, { reviewedBy: actor });
+    setDigests((prev) => prev.filter((d) => d.id !== digest.id));
+    showToast?.('Update discarded');
+  }, 'Failed to discard the update.');
+
+  const hasParty = RANKS.some((rank) => parties[rank] || links[rank]);
+
+  return (
+    <section className={s.panel}>
+      <header className={s.header}>
+        <div>
+          <h3 className={s.title}>Family updates</h3>
+          <p className={s.subtitle}>
+            A weekly summary of caregiver notes for the family, written every Monday. Nothing is
+            sent until you review and approve it.
+          </p>
+        </div>
+      </header>
+
+      {error && <div className={s.errorBanner}>{error}</div>}
+
+      {!loading && (
+        <>
+          <h4 className={s.subheading}>Responsible parties</h4>
+          {!hasParty && (
+            <div className={s.empty}>Add a responsible party to the client profile to send family updates.</div>
+          )}
+          {RANKS.filter((rank) => parties[rank] || links[rank]).map((rank) => (
+            <PartyRow
+              key={rank}
+              rank={rank}
+              party={parties[rank]}
+              link={links[rank] || null}
+              busy={busy}
+              onIssue={handleIssue}
+              onRevoke={handleRevoke}
+              onCopy={handleCopy}
+            />
+          ))}
+
+          <h4 className={s.subheading}>Weekly updates</h4>
+          {digests.length === 0 && (
+            <div className={s.empty}>No updates yet. One is written each week the client has caregiver notes.</div>
+          )}
+          {digests.map((digest) => (digest.status === DIGEST_STATUS.PENDING_REVIEW
+            ? (
+              <PendingDigest
+                key={digest.id}
+                digest={digest}
+                recipients={recipients}
+                timezone={timezone}
+                busy={busy}
+                onApprove={handleApprove}
+                onDiscard={handleDiscard}
+              />
+            )
+            : <ApprovedDigest key={digest.id} digest={digest} timezone={timezone} />
+          ))}
+        </>
+      )}
+    </section>
+  );
+}
+
+// A party who stops qualifying (HIPAA authorization or email removed,
+// or the contact deleted) can't get a new link, but a live one can
+// still be revoked. The portal already refuses it.
+function PartyRow({ rank, party, link, busy, onIssue, onRevoke, onCopy }) {
+  const blocker = recipientBlocker(party);
+  const name = party?.name || link?.recipientName;
+  return (
+    <div className={s.party}>
+      <div className={s.partyHead}>
+        <div>
+          <div className={s.partyName}>
+            {name}
+            {party?.relationship && <span className={s.partyMeta}> · {party.relationship}</span>}
+          </div>
+          <div className={s.partyMeta}>{party ? party.email || 'No email' : 'No longer a responsible party'}</div>
+        </div>
+        {(!blocker || link) && (
+          <div className={s.actions}>
+            {!blocker && (
+              <button className={link ? btn.secondaryBtn : btn.primaryBtn} onClick={() => onIssue(party)} disabled={busy}>
+                {link ? 'Issue new link' : 'Issue portal link'}
+              </button>
+            )}
+            {link && (
+              <button className={btn.dangerBtn} onClick={() => onRevoke(rank, name)} disabled={busy}>
+                Revoke
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      {blocker && (
+        <div className={s.blocker}>
+          Can’t receive updates: {blocker}
+          {link && ' Their portal link no longer opens — revoke it.'}
+        </div>
+      )}
+      {!blocker && link && (
+        <>
+          <div className={s.urlRow}>
+            <input
+              className={s.urlInput}
+              value={familyPortalUrl(link.token)}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              aria-label={`Family portal link for ${name}`}
+            />
+            <button className={s.linkBtn} onClick={() => onCopy(link)}>Copy</button>
+          </div>
+          <p className={s.meta}>
+            Issued {formatDateTime(link.createdAt)}{link.createdBy ? ` by ${link.createdBy}` : ''}
+            {' · '}
+            {link.lastAccessedAt ? `Last opened ${formatDateTime(link.lastAccessedAt)}` : 'Not opened yet'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+function PendingDigest({ digest, recipients, timezone, busy, onApprove, onDiscard }) {
+  const [narrative, setNarrative] = useState(digest.narrative);
+  const [highlights, setHighlights] = useState(digest.highlights);
+  const [concerns, setConcerns] = useState(digest.concerns);
+  const [selected, setSelected] = useState(() => new Set(recipients.map((r) => r.email)));
+
+  const toggle = (email) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(email)) next.delete(email);
+      else next.add(email);
+      return next;
+    });
+  };
+
+  const setSeverity = (idx, severity) => {
+    setConcerns((prev) => prev.map((c, i) => (i === idx ? { ...c, severity } : c)));
+  };
+
+  const emailTo = recipients.filter((r) => selected.has(r.email));
+  const canApprove = narrative.trim().length > 0 && !busy;
+
+  return (
+    <article className={s.digestPending}>
+      <div className={s.digestHead}>
+        <span className={s.period}>{formatDigestPeriod(digest.periodStart, digest.periodEnd, timezone)}</span>
+        <span className={s.statusPending}>Waiting for review</span>
+        <span className={s.meta}>From {digest.observationCount} caregiver note{digest.observationCount === 1 ? '' : 's'}</span>
+      </div>
+
+      <label className={s.fieldLabel} htmlFor={`digest-${digest.id}`}>Summary</label>
+      <textarea
+        id={`digest-${digest.id}`}
+        className={s.textarea}
+        rows={6}
+        value={narrative}
+        onChange={(e) => setNarrative(e.target.value)}
+      />
+
+      {highlights.length > 0 && (
+        <>
+          <div className={s.fieldLabel}>Highlights</div>
+          <ul className={s.items}>
+            {highlights.map((h, idx) => (
+              <li key={idx} className={s.item}>
+                <span className={s.itemText}>{h.text}</span>
+                <button
+                  className={s.removeBtn}
+                  onClick={() => setHighlights((prev) => prev.filter((_, i) => i !== idx))}
+                  aria-label="Remove highlight"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {concerns.length > 0 && (
+        <>
+          <div className={s.fieldLabel}>Concerns</div>
+          <ul className={s.items}>
+            {concerns.map((c, idx) => (
+              <li key={idx} className={s.item}>
+                <select
+                  className={s.severity}
+                  value={c.severity}
+                  onChange={(e) => setSeverity(idx, e.target.value)}
+                  aria-label="Concern severity"
+                >
+                  {CONCERN_SEVERITIES.map((sev) => (
+                    <option key={sev} value={sev}>{CONCERN_SEVERITY_LABELS[sev]}</option>
+                  ))}
+                </select>
+                <span className={s.itemText}>{c.text}</span>
+                <button
+                  className={s.removeBtn}
+                  onClick={() => setConcerns((prev) => prev.filter((_, i) => i !== idx))}
+                  aria-label="Remove concern"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className={s.fieldLabel}>Email to</div>
+      {recipients.length === 0 ? (
+        <p className={s.meta}>No one can be emailed — approved updates still appear on issued portal links.</p>
+      ) : (
+        <div className={s.recipients}>
+          {recipients.map((r) => (
+            <label key={r.email} className={s.recipient}>
+              <input type="checkbox" checked={selected.has(r.email)} onChange={() => toggle(r.email)} />
+              {r.name} <span className={s.partyMeta}>({r.email})</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className={s.digestActions}>
+        <button className={btn.dangerBtn} onClick={() => onDiscard(digest)} disabled={busy}>
+          Discard
+        </button>
+        <button
+          className={btn.primaryBtn}
+          onClick={() => onApprove(digest, { narrative: narrative.trim(), highlights, concerns }, emailTo)}
+          disabled={!canApprove}
+        >
+          {emailTo.length > 0 ? 'Approve & send' : 'Approve'}
+        </button>
+      </div>
+    </article>
+  );
+}
+
+function ApprovedDigest({ digest, timezone }) {
+  return (
+    <article className={s.digest}>
+      <div className={s.digestHead}>
+        <span className={s.period}>{formatDigestPeriod(digest.periodStart, digest.periodEnd, timezone)}</span>
+        <span className={s.statusApproved}>Approved</span>
+        <span className={s.meta}>
+          {digest.reviewedBy ? `by ${digest.reviewedBy} ` : ''}
+          {digest.reviewedAt ? formatDateTime(digest.reviewedAt) : ''}
+          {' · '}
+          {digest.emailedTo.length > 0 ? `Emailed to ${digest.emailedTo.join(', ')}` : 'Portal only'}
+        </span>
+      </div>
+      <p className={s.narrative}>{digest.narrative}</p>
+      {digest.concerns.length > 0 && (
+        <ul className={s.items}>
+          {digest.concerns.map((c, idx) => (
+            <li key={idx} className={s.item}>
+              <span className={s.concernLabel}>{CONCERN_SEVERITY_LABELS[c.severity] || c.severity}:</span>
+              <span className={s.itemText}>{c.text}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,254 @@
+import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import {
+  DIGEST_STATUS,
+  buildDigestEmail,
+  familyPortalUrl,
+  generatePortalToken,
+} from '../../lib/familyDigests';
+
+// ═══════════════════════════════════════════════════════════════
+// Family Storage — care_plan_digests review + family_portal_links
+//
+// Staff side of family digests (rules in src/lib/familyDigests.js).
+// The weekly care-plan-digests job writes digests as pending_review;
+// staff edit and approve (emailed + shown on the portal) or discard
+// them here, and issue / revoke each responsible party's portal link.
+// Both tables are staff-only under RLS.
+//
+// Reads treat a missing table or review column as "nothing yet" so
+// Vercel previews against the production database don't break the
+// client page before the 20260623000000 migration lands. Writes still
+// throw.
+// ═══════════════════════════════════════════════════════════════
+
+const RELATION_MISSING_CODES = new Set(['42P01', '42703', 'PGRST205', 'PGRST204']);
+
+function isMissingTableError(err) {
+  if (!err) return false;
+  if (err.code && RELATION_MISSING_CODES.has(err.code)) return true;
+  const msg = String(err.message || '');
+  return msg.includes('family_portal_links" does not exist')
+    || msg.includes('column care_plan_digests.status does not exist')
+    || msg.includes('Could not find the table');
+}
+
+const DIGEST_COLUMNS =
+  'id, client_id, care_plan_id, period_type, period_start, period_end, narrative, '
+  + 'highlights, concerns, model, generated_at, status, reviewed_by, reviewed_at, '
+  + 'emailed_to, observation_count, delivered_to_family_at';
+
+export const dbToDigest = (row) => ({
+  id: row.id,
+  clientId: row.client_id,
+  carePlanId: row.care_plan_id,
+  periodType: row.period_type,
+  periodStart: row.period_start,
+  periodEnd: row.period_end,
+  narrative: row.narrative || '',
+  highlights: Array.isArray(row.highlights) ? row.highlights : [],
+  concerns: Array.isArray(row.concerns) ? row.concerns : [],
+  model: row.model ?? null,
+  generatedAt: row.generated_at,
+  status: row.status,
+  reviewedBy: row.reviewed_by ?? null,
+  reviewedAt: row.reviewed_at ?? null,
+  emailedTo: row.emailed_to || [],
+  observationCount: row.observation_count ?? 0,
+  deliveredToFamilyAt: row.delivered_to_family_at ?? null,
+});
+
+export const dbToPortalLink = (row) => ({
+  id: row.id,
+  clientId: row.client_id,
+  rank: row.responsible_party_rank,
+  recipientName: row.recipient_name,
+  recipientEmail: row.recipient_email ?? null,
+  token: row.token,
+  createdBy: row.created_by ?? null,
+  createdAt: row.created_at,
+  lastAccessedAt: row.last_accessed_at ?? null,
+});
+
+// Fire-and-forget analytics. Never blocks the review.
+async function logDigestEvent(digest, eventType, actor, extra) {
+  try {
+    await supabase.from('events').insert({
+      event_type: eventType,
+      entity_type: 'client',
+      entity_id: digest.clientId,
+      actor: actor ? `user:${actor}` : 'user:unknown',
+      payload: { care_plan_digest_id: digest.id, ...extra },
+    });
+  } catch (err) {
+    console.warn('[familyDigests] event log failed (non-blocking)', err);
+  }
+}
+
+// ─── Digests ───
+
+/** Pending and approved digests for a client, newest week first. */
+export async function listClientDigests(clientId, { limit = 12 } = {}) {
+  if (!isSupabaseConfigured()) return [];
+  const { data, error } = await supabase
+    .from('care_plan_digests')
+    .select(DIGEST_COLUMNS)
+    .eq('client_id', clientId)
+    .neq('status', DIGEST_STATUS.DISCARDED)
+    .order('period_end', { ascending: false })
+    .limit(limit);
+  if (error) {
+    if (isMissingTableError(error)) return [];
+    throw error;
+  }
+  return (data || []).map(dbToDigest);
+}
+
+/**
+ * Approve a digest with the reviewer's edits. It shows on the family
+ * portal from now on. Only a pending digest can be approved, so two
+ * reviewers can't both send it.
+ */
+export async function approveDigest(digest, { narrative, highlights, concerns, reviewedBy }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('care_plan_digests')
+    .update({
+      status: DIGEST_STATUS.APPROVED,
+      narrative,
+      highlights,
+      concerns,
+      reviewed_by: reviewedBy || null,
+      reviewed_at: now,
+      delivered_to_family_at: now,
+    })
+    .eq('id', digest.id)
+    .eq('status', DIGEST_STATUS.PENDING_REVIEW)
+    .select(DIGEST_COLUMNS)
+    .single();
+  if (error) throw error;
+  await logDigestEvent(digest, 'care_plan_digest_approved', reviewedBy, {});
+  return dbToDigest(data);
+}
+
+/** Record who an approved digest was emailed to. */
+export async function recordDigestEmails(digest, emailedTo) {
+  const { data, error } = await supabase
+    .from('care_plan_digests')
+    .update({ emailed_to: emailedTo })
+    .eq('id', digest.id)
+    .select(DIGEST_COLUMNS)
+    .single();
+  if (error) throw error;
+  return dbToDigest(data);
+}
+
+/** Discard a digest. It's never sent or shown to the family. */
+export async function discardDigest(digest, { reviewedBy }) {
+  const { error } = await supabase
+    .from('care_plan_digests')
+    .update({
+      status: DIGEST_STATUS.DISCARDED,
+      reviewed_by: reviewedBy || null,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq('id', digest.id)
+    .eq('status', DIGEST_STATUS.PENDING_REVIEW);
+  if (error) throw error;
+  await logDigestEvent(digest, 'care_plan_digest_discarded', reviewedBy, {});
+}
+
+/**
+ * Email a digest to each recipient through the sender's mailbox
+ * (outlook-integration), with their portal link when they have one.
+ * Never throws: returns who it reached and who it didn't.
+ *
+ * @param {object} digest       camelCase digest, with the reviewer's edits
+ * @param {object} args
+ * @param {Array<{rank, name, email}>} args.recipients  digestRecipients()
+ * @param {Record<string, object>} args.linksByRank     live portal links
+ * @param {string} args.clientName
+ * @param {string} args.timezone                   org timezone (pickOrgTimezone)
+ * @param {object} [args.currentUser]
+ * @returns {Promise<{ sent: string[], failed: Array<{ email: string, error: string }> }>}
+ */
+export async function emailDigest(digest, { recipients, linksByRank = {}, clientName, timezone, currentUser }) {
+  const results = await Promise.allSettled(recipients.map(async (r) => {
+    const link = linksByRank[r.rank];
+    const { subject, body } = buildDigestEmail({
+      digest,
+      clientName,
+      recipientName: r.name,
+      portalUrl: link ? familyPortalUrl(link.token) : null,
+      timezone,
+    });
+    const { data, error } = await supabase.functions.invoke('outlook-integration', {
+      body: {
+        action: 'send_email',
+        admin_email: currentUser?.mailboxEmail || currentUser?.email || null,
+        to_email: r.email,
+        to_name: r.name,
+        subject,
+        body,
+      },
+    });
+    if (error || data?.error) throw new Error(data?.error || error?.message || 'Send failed');
+    return r.email;
+  }));
+  const sent = [];
+  const failed = [];
+  results.forEach((res, i) => {
+    if (res.status === 'fulfilled') sent.push(res.value);
+    else failed.push({ email: recipients[i].email, error: res.reason?.message || 'Send failed' });
+  });
+  return { sent, failed };
+}
+
+// ─── Portal links ───
+
+/** Live portal links for a client, keyed by responsible-party rank. */
+export async function getLivePortalLinks(clientId) {
+  if (!isSupabaseConfigured()) return {};
+  const { data, error } = await supabase
+    .from('family_portal_links')
+    .select('*')
+    .eq('client_id', clientId)
+    .is('revoked_at', null);
+  if (error) {
+    if (isMissingTableError(error)) return {};
+    throw error;
+  }
+  return Object.fromEntries((data || []).map((row) => [row.responsible_party_rank, dbToPortalLink(row)]));
+}
+
+/** Revoke a responsible party's live link, if any. Its URL stops working. */
+export async function revokePortalLink(clientId, rank, { revokedBy } = {}) {
+  const { error } = await supabase
+    .from('family_portal_links')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy || null })
+    .eq('client_id', clientId)
+    .eq('responsible_party_rank', rank)
+    .is('revoked_at', null);
+  if (error) throw error;
+}
+
+/**
+ * Issue a portal link for a responsible party (a loadResponsibleParties
+ * row), revoking their current one first.
+ */
+export async function issuePortalLink(clientId, party, { createdBy } = {}) {
+  await revokePortalLink(clientId, party.rank, { revokedBy: createdBy });
+  const { data, error } = await supabase
+    .from('family_portal_links')
+    .insert({
+      client_id: clientId,
+      responsible_party_rank: party.rank,
+      recipient_name: party.name,
+      recipient_email: party.email || null,
+      token: generatePortalToken(),
+      created_by: createdBy || null,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToPortalLink(data);
+}
@@ -0,0 +1,464 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  createAuthorization,
+  deleteAuthorization,
+  getAuthorizationUsage,
+  getAuthorizationsForClient,
+  updateAuthorization,
+} from './authorizationsStorage';
+import {
+  AUTHORIZATION_PAYER_LABELS,
+  AUTHORIZATION_PERIOD,
+  AUTHORIZATION_PERIOD_LABELS,
+  validateAuthorization,
+} from '../../lib/authorizations';
+import { SERVICE_TYPE_LABELS } from '../../lib/rateCards';
+import { DEFAULT_APP_TIMEZONE, utcMsToWallClockParts } from '../../lib/scheduling/timezone';
+import btn from '../../styles/buttons.module.css';
+import s from './AuthorizationsPanel.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// AuthorizationsPanel
+//
+// Section on the client detail page listing the client's payer
+// authorizations (Medi-Cal waiver, VA, …) with how many units of the
+// current cap period are used. Scheduling and invoicing check shifts
+// against these caps — see src/lib/authorizations.js.
+// ═══════════════════════════════════════════════════════════════
+
+const EMPTY_DRAFT = {
+  payer: 'medi_cal_waiver',
+  authNumber: '',
+  serviceCode: '',
+  serviceType: '',
+  unitCap: '',
+  unitMinutes: 60,
+  capPeriod: AUTHORIZATION_PERIOD.WEEK,
+  startDate: '',
+  endDate: '',
+  notes: '',
+};
+
+const payerLabel = (payer) => AUTHORIZATION_PAYER_LABELS[payer] || payer;
+
+export function AuthorizationsPanel({ client, currentUser, showToast }) {
+  const [authorizations, setAuthorizations] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  // editing === null  -> no edit open
+  // editing === 'new' -> inline create form visible
+  // editing === id    -> that authorization's inline edit form visible
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const today = utcMsToWallClockParts(Date.now(), DEFAULT_APP_TIMEZONE).dateOnly;
+
+  // ─── Load on mount ───────────────────────────────────────────
+  const loadAuthorizations = useCallback(async () => {
+    try {
+      const rows = await getAuthorizationsForClient(client.id);
+      setAuthorizations(rows);
+      setUsage(await getAuthorizationUsage(rows, { from: today, to: today }));
+      setLoadError(null);
+    } catch (e) {
+      console.error('AuthorizationsPanel load error:', e);
+      setLoadError(e.message || 'Failed to load authorizations');
+    } finally {
+      setLoading(false);
+    }
+  }, [client.id, today]);
+
+  useEffect(() => {
+    loadAuthorizations();
+  }, [loadAuthorizations]);
+
+  const handleStartCreate = () => {
+    setDraft({ ...EMPTY_DRAFT });
+    setEditing('new');
+    setErrorMessage(null);
+  };
+
+  const handleStartEdit = (auth) => {
+    setDraft({
+      payer: auth.payer || '',
+      authNumber: auth.authNumber || '',
+      serviceCode: auth.serviceCode || '',
+      serviceType: auth.serviceType || '',
+      unitCap: auth.unitCap ?? '',
+      unitMinutes: auth.unitMinutes ?? 60,
+      capPeriod: auth.capPeriod || AUTHORIZATION_PERIOD.WEEK,
+      startDate: auth.startDate || '',
+      endDate: auth.endDate || '',
+      notes: auth.notes || '',
+    });
+    setEditing(auth.id);
+    setErrorMessage(null);
+  };
+
+  const handleCancel = () => {
+    setEditing(null);
+    setDraft(EMPTY_DRAFT);
+    setErrorMessage(null);
+  };
+
+  // ─── Save ────────────────────────────────────────────────────
+  const handleSave = async () => {
+    const payload = {
+      clientId: client.id,
+      payer: draft.payer?.trim() || '',
+      authNumber: draft.authNumber?.trim() || '',
+      serviceCode: draft.serviceCode?.trim() || null,
+      serviceType: draft.serviceType || null,
+      unitCap: draft.unitCap === '' ? null : Number(draft.unitCap),
+      unitMinutes: Number(draft.unitMinutes),
+      capPeriod: draft.capPeriod,
+      startDate: draft.startDate || null,
+      endDate: draft.endDate || null,
+      notes: draft.notes?.trim() || null,
+    };
+    const error = validateAuthorization({
+      client_id: payload.clientId,
+      payer: payload.payer,
+      auth_number: payload.authNumber,
+      service_type: payload.serviceType,
+      unit_cap: payload.unitCap,
+      unit_minutes: payload.unitMinutes,
+      cap_period: payload.capPeriod,
+      start_date: payload.startDate,
+      end_date: payload.endDate,
+    });
+    if (error) {
+      setErrorMessage(error);
+      return;
+    }
+    setSaving(true);
+    setErrorMessage(null);
+    try {
+      if (editing === 'new') {
+        await createAuthorization(payload, {
+          createdBy: currentUser?.displayName || currentUser?.email || null,
+        });
+        showToast?.('Authorization added');
+      } else {
+        await updateAuthorization(editing, payload);
+        showToast?.('Authorization saved');
+      }
+      setEditing(null);
+      setDraft(EMPTY_DRAFT);
+      await loadAuthorizations();
+    } catch (e) {
+      console.error('Save failed:', e);
+      setErrorMessage(e.message || 'Save failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (auth) => {
+    const ok =
+      typeof window === 'undefined' ||
+      window.confirm(
+        `Delete authorization ${auth.authNumber}?\n\nShifts are kept, but they stop ` +
+          'being checked against this cap.',
+      );
+    if (!ok) return;
+    try {
+      await deleteAuthorization(auth.id);
+      showToast?.('Authorization deleted');
+      await loadAuthorizations();
+    } catch (e) {
+      console.error('Delete authorization failed:', e);
+      showToast?.(`Delete failed: ${e.message || e}`);
+    }
+  };
+
+  // ─── Render ──────────────────────────────────────────────────
+  return (
+    <section className={s.panel}>
+      <header className={s.header}>
+        <div>
+          <h3 className={s.title}>Authorizations</h3>
+          <p className={s.subtitle}>
+            Payer-approved unit caps. New shifts that would go past a cap are blocked, and
+            invoices that bill past one are held for review.
+          </p>
+        </div>
+        {editing !== 'new' && (
+          <button className={btn.primaryBtn} onClick={handleStartCreate}>
+            + New Authorization
+          </button>
+        )}
+      </header>
+
+      {loading && <div className={s.loading}>Loading authorizations…</div>}
+      {loadError && (
+        <div className={s.errorBanner}>Could not load authorizations: {loadError}</div>
+      )}
+
+      {editing === 'new' && (
+        <AuthorizationForm
+          draft={draft}
+          onChange={setDraft}
+          onSave={handleSave}
+          onCancel={handleCancel}
+          saving={saving}
+          errorMessage={errorMessage}
+          mode="create"
+        />
+      )}
+
+      {!loading && authorizations.length === 0 && editing !== 'new' && (
+        <div className={s.empty}>
+          No authorizations on file. Add one if this client's care is funded by a waiver,
+          the VA, or another payer with a unit cap.
+        </div>
+      )}
+
+      <ul className={s.list}>
+        {authorizations.map((auth) => (
+          <li key={auth.id} className={s.listItem}>
+            {editing === auth.id ? (
+              <AuthorizationForm
+                draft={draft}
+                onChange={setDraft}
+                onSave={handleSave}
+                onCancel={handleCancel}
+                saving={saving}
+                errorMessage={errorMessage}
+                mode="edit"
+              />
+            ) : (
+              <AuthorizationCard
+                auth={auth}
+                period={usage?.periods.find((p) => p.authorizationId === auth.id) || null}
+                expired={auth.endDate < today}
+                onEdit={() => handleStartEdit(auth)}
+                onDelete={() => handleDelete(auth)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// ─── AuthorizationCard (read-only row) ────────────────────────────
+
+function AuthorizationCard({ auth, period, expired, onEdit, onDelete }) {
+  const serviceLabel = auth.serviceType
+    ? SERVICE_TYPE_LABELS[auth.serviceType] || auth.serviceType
+    : 'All services';
+  const unitLabel = auth.unitMinutes === 60 ? 'hour' : `${auth.unitMinutes}-min unit`;
+  return (
+    <div className={s.card}>
+      <div className={s.cardMain}>
+        <div className={s.cardHeader}>
+          <div className={s.cardTitleGroup}>
+            <span className={s.cardTitle}>
+              {payerLabel(auth.payer)} · #{auth.authNumber}
+            </span>
+            {expired && <span className={s.expiredPill}>Expired</span>}
+          </div>
+          <div className={s.cardActions}>
+            <button className={s.linkBtn} onClick={onEdit}>
+              Edit
+            </button>
+            <button className={s.linkBtn} onClick={onDelete}>
+              Delete
+            </button>
+          </div>
+        </div>
+
+        <div className={s.cardMeta}>
+          {serviceLabel}
+          {auth.serviceCode ? ` (${auth.serviceCode})` : ''} · {auth.unitCap} × {unitLabel}{' '}
+          {AUTHORIZATION_PERIOD_LABELS[auth.capPeriod] || auth.capPeriod} · {auth.startDate} →{' '}
+          {auth.endDate}
+        </div>
+
+        {!expired && <UsageSummary auth={auth} period={period} />}
+
+        {auth.notes && <div className={s.cardNotes}>{auth.notes}</div>}
+      </div>
+    </div>
+  );
+}
+
+function UsageSummary({ auth, period }) {
+  // No period means nothing has been scheduled against the
+  // authorization yet this period (or it hasn't started).
+  const used = period?.usedUnits ?? 0;
+  const cap = period?.capUnits ?? auth.unitCap;
+  const pct = cap > 0 ? Math.min(100, (used / cap) * 100) : 0;
+  const over = period?.overBy > 0;
+  const label =
+    auth.capPeriod === AUTHORIZATION_PERIOD.TOTAL ? 'Used so far' : 'Used this period';
+  return (
+    <div className={s.usage}>
+      <div className={over ? s.usageOver : s.usageText}>
+        {label}: {used} of {cap} units
+        {over ? ` — ${period.overBy} over the cap` : ` · ${Math.max(0, cap - used)} remaining`}
+        {period?.workedUnits > 0 ? ` (${period.workedUnits} worked)` : ''}
+      </div>
+      <div className={s.usageBar}>
+        <div className={over ? s.usageFillOver : s.usageFill} style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// ─── AuthorizationForm (create + edit) ────────────────────────────
+
+function AuthorizationForm({ draft, onChange, onSave, onCancel, saving, errorMessage, mode }) {
+  const set = (field, value) => onChange({ ...draft, [field]: value });
+
+  return (
+    <div className={s.form}>
+      <div className={s.formHeader}>
+        <h4 className={s.formTitle}>
+          {mode === 'create' ? 'New authorization' : 'Edit authorization'}
+        </h4>
+      </div>
+
+      <div className={s.formGrid}>
+        <label className={s.fieldLabel}>
+          Payer
+          <select
+            className={s.fieldInput}
+            value={draft.payer}
+            onChange={(e) => set('payer', e.target.value)}
+          >
+            {Object.entries(AUTHORIZATION_PAYER_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className={s.fieldLabel}>
+          Authorization number
+          <input
+            className={s.fieldInput}
+            type="text"
+            value={draft.authNumber}
+            onChange={(e) => set('authNumber', e.target.value)}
+            autoFocus
+          />
+        </label>
+
+        <label className={s.fieldLabel}>
+          Service code <span className={s.fieldHint}>(e.g. S5130)</span>
+          <input
+            className={s.fieldInput}
+            type="text"
+            value={draft.serviceCode}
+            onChange={(e) => set('serviceCode', e.target.value)}
+          />
+        </label>
+
+        <label className={s.fieldLabel}>
+          Counts shifts of
+          <select
+            className={s.fieldInput}
+            value={draft.serviceType}
+            onChange={(e) => set('serviceType', e.target.value)}
+          >
+            <option value="">All services</option>
+            {Object.entries(SERVICE_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className={s.fieldLabel}>
+          Unit cap
+          <input
+            className={s.fieldInput}
+            type="number"
+            min="0"
+            step="1"
+            placeholder="80"
+            value={draft.unitCap}
+            onChange={(e) => set('unitCap', e.target.value)}
+          />
+        </label>
+
+        <label className={s.fieldLabel}>
+          Unit length
+          <select
+            className={s.fieldInput}
+            value={draft.unitMinutes}
+            onChange={(e) => set('unitMinutes', Number(e.target.value))}
+          >
+            <option value={15}>15 minutes</option>
+            <option value={60}>1 hour</option>
+          </select>
+        </label>
+
+        <label className={s.fieldLabel}>
+          Cap period
+          <select
+            className={s.fieldInput}
+            value={draft.capPeriod}
+            onChange={(e) => set('capPeriod', e.target.value)}
+          >
+            <option value={AUTHORIZATION_PERIOD.WEEK}>Per week (Mon → Sun)</option>
+            <option value={AUTHORIZATION_PERIOD.MONTH}>Per calendar month</option>
+            <option value={AUTHORIZATION_PERIOD.TOTAL}>Total for the authorization</option>
+          </select>
+        </label>
+
+        <span />
+
+        <label className={s.fieldLabel}>
+          Start date
+          <input
+            className={s.fieldInput}
+            type="date"
+            value={draft.startDate}
+            onChange={(e) => set('startDate', e.target.value)}
+          />
+        </label>
+
+        <label className={s.fieldLabel}>
+          Expiration date
+          <input
+            className={s.fieldInput}
+            type="date"
+            value={draft.endDate}
+            onChange={(e) => set('endDate', e.target.value)}
+          />
+        </label>
+
+        <label className={s.fieldLabelWide}>
+          Notes
+          <textarea
+            className={s.fieldTextarea}
+            rows={2}
+            value={draft.notes}
+            onChange={(e) => set('notes', e.target.value)}
+          />
+        </label>
+      </div>
+
+      {errorMessage && <div className={s.formError}>{errorMessage}</div>}
+
+      <div className={s.formActions}>
+        <button className={btn.secondaryBtn} onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button className={btn.primaryBtn} onClick={onSave} disabled={saving}>
+          {saving ? 'Saving…' : mode === 'create' ? 'Add authorization' : 'Save changes'}
+        </button>
+      </div>
+    </div>
+  );
+}
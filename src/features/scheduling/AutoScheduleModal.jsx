@@ -0,0 +1,382 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  getShifts,
+  updateShift,
+  getAvailabilityForCaregivers,
+  getShiftsForCaregivers,
+  getAssignmentsForClients,
+} from './storage';
+import { weekBoundsContaining } from './eligibilityRanking';
+import {
+  proposeWeekAssignments,
+  countVisitsByCaregiver,
+  isFillableShift,
+  formatProposalReason,
+} from './autoScheduler';
+import { formatShiftTimeRange } from './shiftHelpers';
+import { getPublishedMatchCriteria } from '../care-plans/storage';
+import {
+  buildClientLocations,
+  resolveTravelModel,
+} from '../../lib/scheduling/conflictDetection';
+import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { clientDisplayName } from '../../lib/clientSort';
+import { useApp } from '../../shared/context/AppContext';
+import btn from '../../styles/buttons.module.css';
+import s from './AutoScheduleModal.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// AutoScheduleModal
+//
+// "Auto-fill open shifts" for the week on screen. Loads the week's
+// open shifts plus the roster's availability, shifts and assignments,
+// runs the auto-scheduler (autoScheduler.js) and shows the result as
+// a diff: one row per open shift, "Open → caregiver" with the reason
+// and any overtime it adds.
+//
+// Nothing is written until the scheduler accepts a row (or Accept
+// all). Accepting assigns the shift ('assigned', like a broadcast
+// pick) without texting the caregiver. Skipped rows stay open for
+// the usual pick / broadcast flow.
+//
+// Continuity counts the last HISTORY_DAYS of visits, loaded in the
+// same query as the week's shifts.
+// ═══════════════════════════════════════════════════════════════
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_DAYS = 28;
+
+export function AutoScheduleModal({
+  weekAnchor,
+  caregivers,
+  clients,
+  onClose,
+  onApplied,
+  showToast,
+}) {
+  const { currentOrgSettings } = useApp();
+  const travelModel = useMemo(
+    () => resolveTravelModel(currentOrgSettings),
+    [currentOrgSettings],
+  );
+  const otJurisdiction = currentOrgSettings?.payroll?.ot_jurisdiction;
+  const clientLocations = useMemo(() => buildClientLocations(clients), [clients]);
+  const clientsById = useMemo(() => {
+    const map = {};
+    for (const c of clients || []) map[c.id] = c;
+    return map;
+  }, [clients]);
+
+  const week = useMemo(() => weekBoundsContaining(weekAnchor || new Date()), [weekAnchor]);
+
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [allowOvertime, setAllowOvertime] = useState(true);
+  // shiftId → 'accepted' | 'skipped'
+  const [decisions, setDecisions] = useState({});
+  const [applying, setApplying] = useState(false);
+
+  const caregiverIdsKey = (caregivers || []).map((c) => c.id).sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setLoadError(null);
+      try {
+        const caregiverIds = (caregivers || []).map((c) => c.id);
+        const weekShifts = await getShifts({
+          startDate: week.start.toISOString(),
+          endDate: week.end.toISOString(),
+          status: 'open',
+        });
+        const openShifts = weekShifts.filter(
+          (sh) => isFillableShift(sh) && new Date(sh.startTime) >= week.start,
+        );
+        const clientIds = [...new Set(openShifts.map((sh) => sh.clientId))];
+
+        const [availabilityRows, caregiverShifts, assignmentRows, criteriaList] = await Promise.all([
+          getAvailabilityForCaregivers(caregiverIds),
+          getShiftsForCaregivers({
+            caregiverIds,
+            startDate: new Date(week.start.getTime() - HISTORY_DAYS * DAY_MS).toISOString(),
+            endDate: new Date(week.end.getTime() + DAY_MS).toISOString(),
+          }),
+          getAssignmentsForClients(clientIds, { activeOnly: true }),
+          // Like the picker, a care plan read failure only loses the
+          // match criteria for that client.
+          Promise.all(
+            clientIds.map((id) =>
+              getPublishedMatchCriteria(id).catch((e) => {
+                console.warn('Failed to load care plan match criteria:', e);
+                return null;
+              }),
+            ),
+          ),
+        ]);
+
+        const availabilityByCaregiverId = {};
+        for (const row of availabilityRows) {
+          if (!availabilityByCaregiverId[row.caregiverId]) availabilityByCaregiverId[row.caregiverId] = [];
+          availabilityByCaregiverId[row.caregiverId].push(row);
+        }
+        const shiftsByCaregiverId = {};
+        for (const row of caregiverShifts) {
+          if (!shiftsByCaregiverId[row.assignedCaregiverId]) shiftsByCaregiverId[row.assignedCaregiverId] = [];
+          shiftsByCaregiverId[row.assignedCaregiverId].push(row);
+        }
+        const assignmentsByCaregiverId = {};
+        for (const row of assignmentRows) {
+          if (!assignmentsByCaregiverId[row.caregiverId]) assignmentsByCaregiverId[row.caregiverId] = [];
+          assignmentsByCaregiverId[row.caregiverId].push(row);
+        }
+        const matchCriteriaByClientId = {};
+        clientIds.forEach((id, i) => {
+          matchCriteriaByClientId[id] = criteriaList[i];
+        });
+
+        if (!cancelled) {
+          setData({
+            openShifts,
+            availabilityByCaregiverId,
+            shiftsByCaregiverId,
+            assignmentsByCaregiverId,
+            matchCriteriaByClientId,
+            visitCountsByCaregiverId: countVisitsByCaregiver(
+              caregiverShifts.filter((sh) => new Date(sh.startTime) < week.start),
+            ),
+          });
+        }
+      } catch (e) {
+        console.error('Auto-fill load failed:', e);
+        if (!cancelled) setLoadError(e.message || 'Failed to load the week');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [week.start.getTime(), caregiverIdsKey]);
+
+  const plan = useMemo(() => {
+    if (!data) return null;
+    return proposeWeekAssignments({
+      ...data,
+      caregivers,
+      clientsById,
+      weekStart: week.start,
+      weekEnd: week.end,
+      otJurisdiction,
+      allowOvertime,
+      clientLocations,
+      travelModel,
+      timezone: DEFAULT_APP_TIMEZONE,
+    });
+  }, [data, caregivers, clientsById, week, otJurisdiction, allowOvertime, clientLocations, travelModel]);
+
+  const pendingItems = useMemo(
+    () => (plan?.items || []).filter((item) => item.caregiver && !decisions[item.shift.id]),
+    [plan, decisions],
+  );
+  const acceptedCount = Object.values(decisions).filter((d) => d === 'accepted').length;
+
+  const assign = async (item) => {
+    await updateShift(item.shift.id, {
+      assignedCaregiverId: item.caregiver.id,
+      status: 'assigned',
+    });
+    setDecisions((prev) => ({ ...prev, [item.shift.id]: 'accepted' }));
+  };
+
+  const handleAccept = async (item) => {
+    setApplying(true);
+    try {
+      await assign(item);
+    } catch (e) {
+      console.error('Auto-fill assign failed:', e);
+      showToast?.(`Assign failed: ${e.message || e}`);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleAcceptAll = async () => {
+    setApplying(true);
+    let assigned = 0;
+    let failed = 0;
+    for (const item of pendingItems) {
+      try {
+        await assign(item);
+        assigned += 1;
+      } catch (e) {
+        console.warn(`Auto-fill assign failed for shift ${item.shift.id}:`, e);
+        failed += 1;
+      }
+    }
+    setApplying(false);
+    showToast?.(
+      failed > 0
+        ? `Assigned ${assigned} shift${assigned === 1 ? '' : 's'} · ${failed} failed`
+        : `Assigned ${assigned} shift${assigned === 1 ? '' : 's'}`,
+    );
+  };
+
+  const handleSkip = (item) => {
+    setDecisions((prev) => ({ ...prev, [item.shift.id]: 'skipped' }));
+  };
+
+  const handleClose = () => {
+    if (acceptedCount > 0) onApplied?.(acceptedCount);
+    onClose?.();
+  };
+
+  const caregiverName = (cg) => `${cg.firstName || ''} ${cg.lastName || ''}`.trim() || cg.id;
+  const weekLabel = `${week.start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${week.end.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+
+  // Accepted proposals are fixed once written; re-solving with the OT
+  // toggle would only reshuffle the rows still pending.
+  const decided = Object.keys(decisions).length > 0;
+
+  return (
+    <div className={s.backdrop} onClick={applying ? undefined : handleClose}>
+      <div
+        className={s.dialog}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="auto-schedule-title"
+      >
+        <header className={s.header}>
+          <div>
+            <h2 id="auto-schedule-title" className={s.title}>
+              Auto-fill open shifts
+            </h2>
+            <div className={s.subtitle}>
+              Week of <strong>{weekLabel}</strong> · review each proposal before it's assigned
+            </div>
+          </div>
+          <button
+            className={s.closeBtn}
+            onClick={handleClose}
+            disabled={applying}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </header>
+
+        <div className={s.body}>
+          <label className={s.optionRow}>
+            <input
+              type="checkbox"
+              checked={allowOvertime}
+              onChange={(e) => setAllowOvertime(e.target.checked)}
+              disabled={loading || applying || decided}
+            />
+            <span>
+              <strong>Allow overtime</strong> when no one else can cover a shift
+            </span>
+          </label>
+
+          {loadError && <div className={s.error}>{loadError}</div>}
+
+          {loading ? (
+            <div className={s.loading}>Building a plan…</div>
+          ) : plan && plan.items.length === 0 ? (
+            <div className={s.empty}>No open shifts this week.</div>
+          ) : plan ? (
+            <>
+              <div className={s.summary}>
+                <strong>{plan.summary.filled}</strong> of {plan.summary.total} open shift
+                {plan.summary.total === 1 ? '' : 's'} filled
+                {plan.summary.overtimeHours > 0 && (
+                  <span className={s.summaryOt}> · {plan.summary.overtimeHours} hrs overtime</span>
+                )}
+              </div>
+              <ul className={s.list}>
+                {plan.items.map((item) => {
+                  const decision = decisions[item.shift.id];
+                  const client = clientsById[item.shift.clientId];
+                  return (
+                    <li
+                      key={item.shift.id}
+                      className={`${s.row} ${decision === 'skipped' ? s.rowSkipped : ''}`}
+                    >
+                      <div className={s.rowMain}>
+                        <div className={s.rowWhen}>
+                          {formatShiftTimeRange(item.shift, DEFAULT_APP_TIMEZONE)}
+                        </div>
+                        <div className={s.rowClient}>
+                          {client ? clientDisplayName(client) : 'Unknown client'}
+                        </div>
+                        <div className={s.diff}>
+                          <span className={s.diffFrom}>Open</span>
+                          <span className={s.diffArrow}>→</span>
+                          {item.caregiver ? (
+                            <span className={s.diffTo}>{caregiverName(item.caregiver)}</span>
+                          ) : (
+                            <span className={s.diffNone}>Stays open</span>
+                          )}
+                          {item.overtimeHours > 0 && (
+                            <span className={s.otBadge}>+{item.overtimeHours} hrs OT</span>
+                          )}
+                        </div>
+                        <div className={s.reason}>{formatProposalReason(item)}</div>
+                      </div>
+                      <div className={s.rowActions}>
+                        {decision === 'accepted' ? (
+                          <span className={s.accepted}>✓ Assigned</span>
+                        ) : decision === 'skipped' ? (
+                          <span className={s.skipped}>Skipped</span>
+                        ) : item.caregiver ? (
+                          <>
+                            <button
+                              className={btn.secondaryBtn}
+                              onClick={() => handleSkip(item)}
+                              disabled={applying}
+                            >
+                              Skip
+                            </button>
+                            <button
+                              className={btn.primaryBtn}
+                              onClick={() => handleAccept(item)}
+                              disabled={applying}
+                            >
+                              Accept
+                            </button>
+                          </>
+                        ) : null}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          ) : null}
+
+          <div className={s.note}>
+            Proposals only use caregivers the picker would list as eligible, fill the
+            hardest-to-cover shifts first, and favor no overtime, then the client's
+            primary / backup caregivers and recent visits. Accepted shifts are set to{' '}
+            <strong>Assigned</strong>; caregivers are not texted.
+          </div>
+        </div>
+
+        <footer className={s.footer}>
+          <button className={btn.secondaryBtn} onClick={handleClose} disabled={applying}>
+            {acceptedCount > 0 ? 'Done' : 'Cancel'}
+          </button>
+          <button
+            className={btn.primaryBtn}
+            onClick={handleAcceptAll}
+            disabled={applying || loading || pendingItems.length === 0}
+          >
+            {applying ? 'Assigning…' : `Accept all (${pendingItems.length})`}
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
@@ -305,6 +305,7 @@ export function AvailabilityEditor({ caregiver, currentUserName, showToast }) {
   const hourRows = HOUR_ROWS_FOR_DISPLAY; // slot pairs for hourly rows
 
   const hasSurveyRows = originalRows.some((r) => r.source === 'survey');
+  const hasAppRows = originalRows.some((r) => r.source === 'caregiver');
 
   return (
     <div className={s.editor}>
@@ -318,6 +319,15 @@ export function AvailabilityEditor({ caregiver, currentUserName, showToast }) {
           icon to keep a row across submissions.
         </div>
       )}
+      {hasAppRows && (
+        <div style={{
+          background: '#EFF6FF', border: '1px solid #BFDBFE', borderRadius: 8,
+          padding: '10px 14px', marginBottom: 12, fontSize: 12, color: '#1E40AF',
+        }}>
+          {caregiver.firstName} last set their weekly availability in the caregiver app.
+          Saving here replaces it; they can change it again from the app.
+        </div>
+      )}
       <div className={s.toolbar}>
         <div className={s.toolbarInfo}>
           <h3 className={s.sectionTitle}>Weekly availability</h3>
@@ -458,6 +468,14 @@ export function AvailabilityEditor({ caregiver, currentUserName, showToast }) {
                     Self-reported
                   </span>
                 )}
+                {row.source === 'time_off' && (
+                  <span
+                    title="Requested by the caregiver in the app and approved from the schedule page"
+                    style={badgeStyle}
+                  >
+                    Approved request
+                  </span>
+                )}
                 {!row.id && <span className={s.oneOffPending}> (unsaved)</span>}
               </div>
               <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
@@ -4,6 +4,7 @@ import {
   getAvailabilityForCaregivers,
   getShiftsForCaregivers,
   getAssignmentsForClient,
+  getAttendanceStats,
   createShiftOffers,
   updateShift,
   getSchedulingTemplate,
@@ -13,9 +14,16 @@ import {
   rankCaregiversForShift,
   splitRankedList,
   formatEligibleReason,
+  formatMatchTitle,
   weekBoundsContaining,
 } from './eligibilityRanking';
 import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { getPublishedMatchCriteria } from '../care-plans/storage';
+import {
+  buildClientLocations,
+  resolveTravelModel,
+} from '../../lib/scheduling/conflictDetection';
+import { useApp } from '../../shared/context/AppContext';
 import {
   DEFAULT_BROADCAST_TEMPLATE,
   buildMergeFields,
@@ -61,6 +69,7 @@ export function BroadcastModal({
   shift,
   caregivers,
   client,
+  clients, // optional — geocoded clients give distance-based travel buffers
   currentUserName,
   currentUserEmail,
   onClose,
@@ -71,8 +80,16 @@ export function BroadcastModal({
   const [availabilityByCaregiverId, setAvailabilityByCaregiverId] = useState({});
   const [shiftsByCaregiverId, setShiftsByCaregiverId] = useState({});
   const [assignmentsByCaregiverId, setAssignmentsByCaregiverId] = useState({});
+  const [matchCriteria, setMatchCriteria] = useState(null);
+  const [attendanceByCaregiverId, setAttendanceByCaregiverId] = useState({});
   const [loading, setLoading] = useState(true);
   const [loadError, setLoadError] = useState(null);
+  const { currentOrgSettings } = useApp();
+  const travelModel = useMemo(
+    () => resolveTravelModel(currentOrgSettings),
+    [currentOrgSettings],
+  );
+  const clientLocations = useMemo(() => buildClientLocations(clients), [clients]);
 
   // ─── Draft state ──────────────────────────────────────────────
   const [template, setTemplate] = useState(DEFAULT_BROADCAST_TEMPLATE);
@@ -125,7 +142,7 @@ export function BroadcastModal({
       const windowStart = new Date(weekBounds.start.getTime() - 24 * 60 * 60 * 1000);
       const windowEnd = new Date(weekBounds.end.getTime() + 24 * 60 * 60 * 1000);
 
-      const [availabilityRows, shiftsRows, assignmentRows] = await Promise.all([
+      const [availabilityRows, shiftsRows, assignmentRows, criteria, attendance] = await Promise.all([
         getAvailabilityForCaregivers(caregiverIds),
         getShiftsForCaregivers({
           caregiverIds,
@@ -133,6 +150,17 @@ export function BroadcastModal({
           endDate: windowEnd.toISOString(),
         }),
         getAssignmentsForClient(shift.clientId, { activeOnly: true }),
+        // Match criteria only sharpen the ranking — a care plan read
+        // failure shouldn't take the whole list down with it.
+        getPublishedMatchCriteria(shift.clientId).catch((e) => {
+          console.warn('Failed to load care plan match criteria:', e);
+          return null;
+        }),
+        // Same for the attendance record — it only reorders the list.
+        getAttendanceStats(caregiverIds).catch((e) => {
+          console.warn('Failed to load attendance stats:', e);
+          return {};
+        }),
       ]);
 
       const availByCg = {};
@@ -157,6 +185,8 @@ export function BroadcastModal({
         assignByCg[row.caregiverId].push(row);
       }
       setAssignmentsByCaregiverId(assignByCg);
+      setMatchCriteria(criteria);
+      setAttendanceByCaregiverId(attendance);
     } catch (e) {
       console.error('BroadcastModal load failed:', e);
       setLoadError(e.message || 'Failed to load caregiver data');
@@ -185,11 +215,25 @@ export function BroadcastModal({
       availabilityByCaregiverId,
       shiftsByCaregiverId,
       assignmentsByCaregiverId,
+      attendanceByCaregiverId,
+      matchCriteria,
+      clientLocations,
+      travelModel,
       weekStart: weekBounds.start,
       weekEnd: weekBounds.end,
       timezone: DEFAULT_APP_TIMEZONE,
     });
-  }, [shift, caregivers, availabilityByCaregiverId, shiftsByCaregiverId, assignmentsByCaregiverId]);
+  }, [
+    shift,
+    caregivers,
+    availabilityByCaregiverId,
+    shiftsByCaregiverId,
+    assignmentsByCaregiverId,
+    attendanceByCaregiverId,
+    matchCriteria,
+    clientLocations,
+    travelModel,
+  ]);
 
   const { eligible, filtered } = useMemo(() => splitRankedList(ranked), [ranked]);
 
@@ -557,7 +601,7 @@ function RecipientRow({ entry, selected, onToggle, filtered }) {
               </span>
             )}
           </span>
-          <span className={s.rowReason}>{reason}</span>
+          <span className={s.rowReason} title={formatMatchTitle(entry)}>{reason}</span>
         </span>
       </label>
     </li>
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  getLiveCalendarFeed,
+  issueCalendarFeed,
+  revokeCalendarFeed,
+} from './calendarFeedsStorage';
+import { calendarFeedUrls } from '../../lib/scheduling/calendarFeed';
+import btn from '../../styles/buttons.module.css';
+import s from './CalendarFeedPanel.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// CalendarFeedPanel
+//
+// "Calendar feed" section on the caregiver and client schedule tabs.
+// Staff issue a secret ICS URL to send to the caregiver or the family,
+// copy it again later, or revoke it — the calendar-feed edge function
+// answers 404 for a revoked URL. Re-issuing revokes the old URL.
+// Feed contents: src/lib/scheduling/calendarFeed.js.
+// ═══════════════════════════════════════════════════════════════
+
+const COPY = {
+  caregiver: {
+    subtitle: 'A private link that puts this caregiver’s shifts in Google, Apple or Outlook calendar. Updates and cancellations flow through automatically.',
+  },
+  client: {
+    subtitle: 'A private link the family can subscribe to in Google, Apple or Outlook calendar to see upcoming visits and who is coming.',
+  },
+};
+
+const formatDateTime = (iso) =>
+  new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/**
+ * @param {object} props
+ * @param {{ caregiverId?: string, clientId?: string }} props.owner
+ * @param {object} [props.currentUser]
+ * @param {(msg: string) => void} [props.showToast]
+ */
+export function CalendarFeedPanel({ owner, currentUser, showToast }) {
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const { caregiverId, clientId } = owner;
+  const copy = caregiverId ? COPY.caregiver : COPY.client;
+  const actor = currentUser?.displayName || currentUser?.email || null;
+
+  const load = useCallback(async () => {
+    try {
+      setFeed(await getLiveCalendarFeed({ caregiverId, clientId }));
+      setError(null);
+    } catch (e) {
+      console.error('CalendarFeedPanel load error:', e);
+      setError(e.message || 'Failed to load the calendar feed.');
+    } finally {
+      setLoading(false);
+    }
+  }, [caregiverId, clientId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const urls = feed ? calendarFeedUrls(import.meta.env.VITE_SUPABASE_URL, feed.token) : null;
+
+  const handleIssue = async () => {
+    if (feed && !window.confirm('Issue a new link? The current link stops working.')) return;
+    setBusy(true);
+    setError(null);
+    try {
+      setFeed(await issueCalendarFeed(owner, { createdBy: actor }));
+      showToast?.(feed ? 'New calendar link issued' : 'Calendar link issued');
+    } catch (e) {
+      console.error('Issue calendar feed failed:', e);
+      setError(e.message || 'Failed to issue the calendar link.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke this calendar link? Subscribed calendars stop updating.')) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await revokeCalendarFeed(owner, { revokedBy: actor });
+      setFeed(null);
+      showToast?.('Calendar link revoked');
+    } catch (e) {
+      console.error('Revoke calendar feed failed:', e);
+      setError(e.message || 'Failed to revoke the calendar link.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(urls.https);
+      showToast?.('Calendar link copied');
+    } catch {
+      setError('Could not copy — select the link and copy it manually.');
+    }
+  };
+
+  return (
+    <section className={s.panel}>
+      <header className={s.header}>
+        <div>
+          <h3 className={s.title}>Calendar feed</h3>
+          <p className={s.subtitle}>{copy.subtitle}</p>
+        </div>
+        {!loading && (
+          <div className={s.actions}>
+            <button className={feed ? btn.secondaryBtn : btn.primaryBtn} onClick={handleIssue} disabled={busy}>
+              {feed ? 'Issue new link' : 'Issue link'}
+            </button>
+            {feed && (
+              <button className={btn.dangerBtn} onClick={handleRevoke} disabled={busy}>
+                Revoke
+              </button>
+            )}
+          </div>
+        )}
+      </header>
+
+      {error && <div className={s.errorBanner}>{error}</div>}
+
+      {!loading && !feed && <div className={s.empty}>No calendar link issued.</div>}
+
+      {feed && (
+        <>
+          <div className={s.urlRow}>
+            <input
+              className={s.urlInput}
+              value={urls.https}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              aria-label="Calendar feed URL"
+            />
+            <button className={s.linkBtn} onClick={handleCopy}>Copy</button>
+            <a className={s.linkBtn} href={urls.webcal}>Open in calendar</a>
+          </div>
+          <p className={s.meta}>
+            Issued {formatDateTime(feed.createdAt)}{feed.createdBy ? ` by ${feed.createdBy}` : ''}
+            {' · '}
+            {feed.lastAccessedAt ? `Last synced ${formatDateTime(feed.lastAccessedAt)}` : 'Not synced yet'}
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
@@ -3,15 +3,23 @@ import {
   getAvailabilityForCaregivers,
   getShiftsForCaregivers,
   getAssignmentsForClient,
+  getAttendanceStats,
 } from './storage';
 import {
   rankCaregiversForShift,
   splitRankedList,
   filterRankedBySearch,
   formatEligibleReason,
+  formatMatchTitle,
   weekBoundsContaining,
 } from './eligibilityRanking';
 import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { getPublishedMatchCriteria } from '../care-plans/storage';
+import {
+  buildClientLocations,
+  resolveTravelModel,
+} from '../../lib/scheduling/conflictDetection';
+import { useApp } from '../../shared/context/AppContext';
 import { isOnboardingCaregiver } from '../../lib/rosterUtils';
 import s from './CaregiverPicker.module.css';
 
@@ -35,6 +43,7 @@ import s from './CaregiverPicker.module.css';
 
 export function CaregiverPicker({
   caregivers,
+  clients, // optional — geocoded clients give distance-based travel buffers
   clientId,
   proposedStartTime,
   proposedEndTime,
@@ -45,10 +54,18 @@ export function CaregiverPicker({
   const [availabilityByCaregiverId, setAvailabilityByCaregiverId] = useState({});
   const [shiftsByCaregiverId, setShiftsByCaregiverId] = useState({});
   const [assignmentsByCaregiverId, setAssignmentsByCaregiverId] = useState({});
+  const [matchCriteria, setMatchCriteria] = useState(null);
+  const [attendanceByCaregiverId, setAttendanceByCaregiverId] = useState({});
   const [loading, setLoading] = useState(false);
   const [loadError, setLoadError] = useState(null);
   const [showFiltered, setShowFiltered] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const { currentOrgSettings } = useApp();
+  const travelModel = useMemo(
+    () => resolveTravelModel(currentOrgSettings),
+    [currentOrgSettings],
+  );
+  const clientLocations = useMemo(() => buildClientLocations(clients), [clients]);
 
   // Stabilize the caregiver id list so effects don't loop.
   const caregiverIds = useMemo(
@@ -79,7 +96,7 @@ export function CaregiverPicker({
     setLoading(true);
     setLoadError(null);
     try {
-      const [availabilityRows, shiftsRows, assignmentRows] = await Promise.all([
+      const [availabilityRows, shiftsRows, assignmentRows, criteria, attendance] = await Promise.all([
         getAvailabilityForCaregivers(caregiverIds),
         getShiftsForCaregivers({
           caregiverIds,
@@ -87,6 +104,17 @@ export function CaregiverPicker({
           endDate: fetchWindow.end.toISOString(),
         }),
         getAssignmentsForClient(clientId, { activeOnly: true }),
+        // Match criteria only sharpen the ranking — a care plan read
+        // failure shouldn't take the whole list down with it.
+        getPublishedMatchCriteria(clientId).catch((e) => {
+          console.warn('Failed to load care plan match criteria:', e);
+          return null;
+        }),
+        // Same for the attendance record — it only reorders the list.
+        getAttendanceStats(caregiverIds).catch((e) => {
+          console.warn('Failed to load attendance stats:', e);
+          return {};
+        }),
       ]);
 
       // Group availability by caregiver
@@ -114,6 +142,8 @@ export function CaregiverPicker({
         assignByCg[row.caregiverId].push(row);
       }
       setAssignmentsByCaregiverId(assignByCg);
+      setMatchCriteria(criteria);
+      setAttendanceByCaregiverId(attendance);
     } catch (e) {
       console.error('CaregiverPicker load failed:', e);
       setLoadError(e.message || 'Failed to load caregiver data');
@@ -142,6 +172,10 @@ export function CaregiverPicker({
       availabilityByCaregiverId,
       shiftsByCaregiverId,
       assignmentsByCaregiverId,
+      attendanceByCaregiverId,
+      matchCriteria,
+      clientLocations,
+      travelModel,
       weekStart: weekBounds.start,
       weekEnd: weekBounds.end,
       timezone: DEFAULT_APP_TIMEZONE,
@@ -155,6 +189,10 @@ export function CaregiverPicker({
     availabilityByCaregiverId,
     shiftsByCaregiverId,
     assignmentsByCaregiverId,
+    attendanceByCaregiverId,
+    matchCriteria,
+    clientLocations,
+    travelModel,
   ]);
 
   // Apply free-text search across BOTH eligible and filtered groups,
@@ -315,7 +353,7 @@ function PickerRow({ entry, selected, onPick, filtered }) {
               </span>
             )}
           </span>
-          <span className={s.rowReason}>{reason}</span>
+          <span className={s.rowReason} title={formatMatchTitle(entry)}>{reason}</span>
         </span>
         {filtered && (
           <span className={s.warningBadge} title="Override warning">!</span>
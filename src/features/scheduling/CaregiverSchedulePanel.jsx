@@ -50,6 +50,7 @@ const EMPTY_DRAFT_BASE = {
   startTime: null,
   endTime: null,
   locationAddress: '',
+  serviceType: null,
   hourlyRate: null,
   billableRate: null,
   mileage: null,
@@ -6,6 +6,7 @@ import {
   updateClockEventTime,
   deleteManualClockEvent,
   updateShift,
+  cancelOpenClockOutCorrections,
 } from './storage';
 import {
   combineDateAndTimeToIso,
@@ -36,9 +37,22 @@ import s from './ClockEventsPanel.module.css';
 //
 // Auto-recorded rows (source='caregiver_app') can be edited but
 // not deleted. Manual rows can be edited or deleted.
+//
+// On a multi-caregiver shift the drawer renders one panel per person.
+// The slot caregivers' panels pass affectsShiftStatus={false}: their
+// punches don't move the shift's status, which tracks the lead.
 // ═══════════════════════════════════════════════════════════════
 
-const eventTypeLabel = (t) => (t === 'in' ? 'Clock in' : t === 'out' ? 'Clock out' : t);
+const BREAK_EVENT_LABELS = {
+  break_start: { meal: 'Meal break start', rest: 'Rest break start' },
+  break_end: { meal: 'Meal break end', rest: 'Rest break end' },
+};
+
+const eventTypeLabel = (t, breakType) => {
+  if (t === 'in') return 'Clock in';
+  if (t === 'out') return 'Clock out';
+  return BREAK_EVENT_LABELS[t]?.[breakType] || t;
+};
 
 export function ClockEventsPanel({
   shiftId,
@@ -50,6 +64,8 @@ export function ClockEventsPanel({
   timezone = DEFAULT_APP_TIMEZONE,
   disabled = false,
   onShiftUpdated,
+  title = 'Time on shift',
+  affectsShiftStatus = true,
 }) {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -84,7 +100,7 @@ export function ClockEventsPanel({
   useEffect(() => {
     if (!supabase || !shiftId) return undefined;
     const channel = supabase
-      .channel(`clock-events-${shiftId}`)
+      .channel(`clock-events-${shiftId}-${caregiverId || 'all'}`)
       .on(
         'postgres_changes',
         {
@@ -99,7 +115,7 @@ export function ClockEventsPanel({
     return () => {
       supabase.removeChannel(channel);
     };
-  }, [shiftId, load]);
+  }, [shiftId, caregiverId, load]);
 
   const actuals = useMemo(() => computeShiftActuals(events), [events]);
 
@@ -132,7 +148,7 @@ export function ClockEventsPanel({
   return (
     <section className={s.panel}>
       <div className={s.panelHeader}>
-        <strong className={s.panelTitle}>Time on shift</strong>
+        <strong className={s.panelTitle}>{title}</strong>
         {!disabled && caregiverId && !showAddForm && (
           <button
             type="button"
@@ -194,7 +210,9 @@ export function ClockEventsPanel({
             // moves the shift to in_progress, a manual 'out' to
             // completed. Without this, the calendar would still show
             // the shift as 'assigned' even though clock activity exists.
-            const nextStatus = nextStatusForManualClockEvent(shiftStatus, eventType);
+            const nextStatus = affectsShiftStatus
+              ? nextStatusForManualClockEvent(shiftStatus, eventType)
+              : null;
             if (nextStatus) {
               try {
                 const updated = await updateShift(shiftId, { status: nextStatus });
@@ -206,6 +224,15 @@ export function ClockEventsPanel({
                 console.warn('Status transition failed after manual clock event:', statusErr);
               }
             }
+            // A clock-out entered here supersedes any missed-clock-out
+            // correction still waiting on the caregiver or the office.
+            if (eventType === 'out' && affectsShiftStatus) {
+              try {
+                await cancelOpenClockOutCorrections(shiftId);
+              } catch (cancelErr) {
+                console.warn('Failed to cancel open clock-out correction:', cancelErr);
+              }
+            }
             setShowAddForm(false);
             await load();
           }}
@@ -276,7 +303,7 @@ function ClockEventRow({ event, timezone, disabled, onEdit }) {
   return (
     <div className={s.eventRowInner}>
       <div className={s.eventMain}>
-        <span className={s.eventType}>{eventTypeLabel(event.eventType)}</span>
+        <span className={s.eventType}>{eventTypeLabel(event.eventType, event.breakType)}</span>
         <span className={s.eventTime}>{formatClockEventTime(event.occurredAt, timezone)}</span>
         <div className={s.eventBadges}>
           {isManual && <span className={s.tagManual}>Manual entry</span>}
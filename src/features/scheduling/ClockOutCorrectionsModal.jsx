@@ -0,0 +1,276 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  getOpenClockOutCorrections,
+  getShiftsByIds,
+  decideClockOutCorrection,
+  regenerateTimesheetsForShift,
+} from './storage';
+import { formatShiftTimeRange } from './shiftHelpers';
+import {
+  CLOCK_OUT_CORRECTION_STATUS,
+  formatCorrectionTime,
+  describeEndVariance,
+  correctionDecisionPush,
+} from '../../lib/scheduling/clockOutCorrections';
+import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { clientDisplayName } from '../../lib/clientSort';
+import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import btn from '../../styles/buttons.module.css';
+import s from './ClockOutCorrectionsModal.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// ClockOutCorrectionsModal
+//
+// The office's queue of missed clock-outs. The
+// missed-clock-out-detector cron prompts caregivers still clocked in
+// two hours after their shift ended; they report when they actually
+// left, and why, from the PWA.
+//
+//   - Waiting for review: the reported end time against the schedule.
+//     Approving writes it as a manual clock-out and completes the
+//     shift (decideClockOutCorrection, storage.js), then rebuilds any
+//     unapproved timesheet with the shift so the missing_clock_out
+//     block clears. Either decision is pushed to the caregiver.
+//   - Waiting on caregiver: prompted, no answer yet. Listed so the
+//     office knows who to call.
+// ═══════════════════════════════════════════════════════════════
+
+// snake_case view of an app-shape correction for the shared helpers.
+const toHelperCorrection = (c) => ({
+  id: c.id,
+  shift_id: c.shiftId,
+  caregiver_id: c.caregiverId,
+  status: c.status,
+  requested_end_time: c.requestedEndTime,
+  reason: c.reason,
+});
+
+export function ClockOutCorrectionsModal({
+  caregivers,
+  clients,
+  currentUserName,
+  currentUserEmail,
+  onClose,
+  onDecided,
+  showToast,
+}) {
+  const [corrections, setCorrections] = useState(null);
+  const [shiftsById, setShiftsById] = useState({});
+  const [loadError, setLoadError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [decidedCount, setDecidedCount] = useState(0);
+
+  const caregiversById = useMemo(() => {
+    const map = {};
+    for (const c of caregivers || []) map[c.id] = c;
+    return map;
+  }, [caregivers]);
+  const clientsById = useMemo(() => {
+    const map = {};
+    for (const c of clients || []) map[c.id] = c;
+    return map;
+  }, [clients]);
+
+  const load = useCallback(async () => {
+    setLoadError(null);
+    try {
+      const rows = await getOpenClockOutCorrections();
+      const shifts = await getShiftsByIds(Array.from(new Set(rows.map((r) => r.shiftId))));
+      const byId = {};
+      for (const sh of shifts) byId[sh.id] = sh;
+      setShiftsById(byId);
+      setCorrections(rows);
+    } catch (e) {
+      console.error('Failed to load clock-out corrections:', e);
+      setLoadError(e.message || 'Failed to load corrections');
+      setCorrections([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const pending = (corrections || []).filter((c) => c.status === CLOCK_OUT_CORRECTION_STATUS.PENDING);
+  const prompted = (corrections || []).filter((c) => c.status === CLOCK_OUT_CORRECTION_STATUS.PROMPTED);
+
+  const caregiverName = (id) => {
+    const cg = caregiversById[id];
+    return cg ? `${cg.firstName || ''} ${cg.lastName || ''}`.trim() || id : 'Unknown caregiver';
+  };
+
+  const shiftLabel = (shift) => {
+    if (!shift) return 'Shift not found';
+    const client = clientsById[shift.clientId];
+    return `${formatShiftTimeRange(shift, DEFAULT_APP_TIMEZONE)} · ${client ? clientDisplayName(client) : 'Unknown client'}`;
+  };
+
+  // Best-effort: a failed push never undoes the decision.
+  const notify = async (correction, approve) => {
+    if (!isSupabaseConfigured()) return;
+    try {
+      await supabase.functions.invoke('send-push', {
+        body: {
+          ...correctionDecisionPush(approve, toHelperCorrection(correction)),
+          caregiver_ids: [correction.caregiverId],
+        },
+      });
+    } catch (e) {
+      console.warn('Clock-out correction push failed:', e);
+    }
+  };
+
+  // Best-effort too: the clock-out is saved, payroll can still be
+  // regenerated by hand.
+  const regenerate = async (correction) => {
+    try {
+      const { locked } = await regenerateTimesheetsForShift(
+        correction.shiftId,
+        `Missed clock-out corrected for ${caregiverName(correction.caregiverId)}`,
+      );
+      return locked > 0
+        ? ' — timesheet already approved, regenerate it from Payroll'
+        : '';
+    } catch (e) {
+      console.warn('Timesheet regenerate after clock-out correction failed:', e);
+      return ' — regenerate the timesheet from Payroll';
+    }
+  };
+
+  const handleDecide = async (correction, approve) => {
+    setBusyId(correction.id);
+    try {
+      await decideClockOutCorrection(correction.id, {
+        approve,
+        decidedBy: currentUserName || currentUserEmail || null,
+      });
+      await notify(correction, approve);
+      setDecidedCount((n) => n + 1);
+      const suffix = approve ? await regenerate(correction) : '';
+      showToast?.(`${approve ? 'Clock-out approved' : 'Correction denied'}${suffix}`);
+    } catch (e) {
+      console.error('Clock-out correction decision failed:', e);
+      showToast?.(`Couldn't update the correction: ${e.message || e}`);
+    } finally {
+      setBusyId(null);
+      await load();
+    }
+  };
+
+  const handleClose = () => {
+    if (decidedCount > 0) onDecided?.(decidedCount);
+    onClose?.();
+  };
+
+  return (
+    <div className={s.backdrop} onClick={busyId ? undefined : handleClose}>
+      <div
+        className={s.dialog}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="clock-out-corrections-title"
+      >
+        <header className={s.header}>
+          <div>
+            <h2 id="clock-out-corrections-title" className={s.title}>
+              Missed clock-outs
+            </h2>
+            <div className={s.subtitle}>
+              End times caregivers reported after forgetting to clock out, oldest first
+            </div>
+          </div>
+          <button
+            className={s.closeBtn}
+            onClick={handleClose}
+            disabled={!!busyId}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </header>
+
+        <div className={s.body}>
+          {loadError && <div className={s.error}>{loadError}</div>}
+
+          {corrections == null ? (
+            <div className={s.loading}>Loading corrections…</div>
+          ) : (
+            <>
+              <h3 className={s.sectionTitle}>Waiting for review</h3>
+              {pending.length === 0 ? (
+                <div className={s.empty}>No corrections to review.</div>
+              ) : (
+                <ul className={s.list}>
+                  {pending.map((c) => {
+                    const shift = shiftsById[c.shiftId];
+                    return (
+                      <li key={c.id} className={s.row}>
+                        <div className={s.rowMain}>
+                          <div className={s.rowWhen}>{shiftLabel(shift)}</div>
+                          <div className={s.rowClient}>{caregiverName(c.caregiverId)}</div>
+                          <div className={s.variance}>
+                            Left {formatCorrectionTime(c.requestedEndTime, DEFAULT_APP_TIMEZONE)}
+                            {shift && ` · ${describeEndVariance({ end_time: shift.endTime }, c.requestedEndTime)}`}
+                          </div>
+                          {c.reason && <div className={s.reason}>“{c.reason}”</div>}
+                        </div>
+                        <div className={s.rowActions}>
+                          <button
+                            className={btn.secondaryBtn}
+                            onClick={() => handleDecide(c, false)}
+                            disabled={!!busyId}
+                          >
+                            Deny
+                          </button>
+                          <button
+                            className={btn.primaryBtn}
+                            onClick={() => handleDecide(c, true)}
+                            disabled={!!busyId}
+                          >
+                            {busyId === c.id ? 'Saving…' : 'Approve'}
+                          </button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+
+              <h3 className={s.sectionTitle}>Waiting on caregiver</h3>
+              {prompted.length === 0 ? (
+                <div className={s.empty}>Every prompted caregiver has answered.</div>
+              ) : (
+                <ul className={s.list}>
+                  {prompted.map((c) => (
+                    <li key={c.id} className={s.row}>
+                      <div className={s.rowMain}>
+                        <div className={s.rowWhen}>{shiftLabel(shiftsById[c.shiftId])}</div>
+                        <div className={s.rowClient}>{caregiverName(c.caregiverId)}</div>
+                      </div>
+                      <span className={s.waiting}>
+                        Asked {c.promptedAt ? formatCorrectionTime(c.promptedAt, DEFAULT_APP_TIMEZONE) : '—'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+
+          <div className={s.note}>
+            Approving records the reported time as a manual clock-out, with the
+            caregiver&rsquo;s reason, and completes the shift. Denying leaves the
+            shift open: enter the clock-out yourself from the shift drawer once
+            you&rsquo;ve confirmed the hours.
+          </div>
+        </div>
+
+        <footer className={s.footer}>
+          <button className={btn.secondaryBtn} onClick={handleClose} disabled={!!busyId}>
+            Done
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
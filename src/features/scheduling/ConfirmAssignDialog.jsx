@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from 'react';
 import {
   getSchedulingTemplate,
+  getShiftsForCaregivers,
   setSchedulingTemplate,
 } from './storage';
 import {
@@ -9,6 +10,13 @@ import {
   renderTemplate,
 } from './broadcastHelpers';
 import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import {
+  buildClientLocations,
+  detectConflictDetails,
+  formatConflictDetail,
+  resolveTravelModel,
+} from '../../lib/scheduling/conflictDetection';
+import { useApp } from '../../shared/context/AppContext';
 import { TemplateEditor } from './TemplateEditor';
 import btn from '../../styles/buttons.module.css';
 import s from './ConfirmAssignDialog.module.css';
@@ -30,6 +38,11 @@ import s from './ConfirmAssignDialog.module.css';
 //   3. Scheduler edits AND checks "Save as new default", then sends
 //      → edited SMS goes out AND becomes the new team-wide default
 //        for future confirmations
+//
+// Before sending, the caregiver's neighbouring shifts are checked and
+// any "insufficient travel time" (distance-based estimate, see
+// conflictDetection.js) is shown as a warning. It doesn't block the
+// assignment — the scheduler may know the caregiver is fine with it.
 // ═══════════════════════════════════════════════════════════════
 
 export const CONFIRMATION_TEMPLATE_KEY = 'scheduling_confirmation_template';
@@ -38,6 +51,7 @@ export function ConfirmAssignDialog({
   shift,
   caregiver,
   client,
+  clients,
   onClose,
   onConfirm,
   sending,
@@ -45,6 +59,8 @@ export function ConfirmAssignDialog({
   const [template, setTemplate] = useState(DEFAULT_CONFIRMATION_TEMPLATE);
   const [loading, setLoading] = useState(true);
   const [saveAsDefault, setSaveAsDefault] = useState(false);
+  const [caregiverShifts, setCaregiverShifts] = useState([]);
+  const { currentOrgSettings } = useApp();
 
   // Load the current team-wide default on mount
   useEffect(() => {
@@ -67,6 +83,40 @@ export function ConfirmAssignDialog({
     };
   }, []);
 
+  // The caregiver's other shifts within a day either side, for the
+  // travel-time check. Best-effort: a failed read just skips the check.
+  useEffect(() => {
+    if (!caregiver?.id || !shift?.startTime || !shift?.endTime) return undefined;
+    let cancelled = false;
+    const dayMs = 24 * 60 * 60 * 1000;
+    getShiftsForCaregivers({
+      caregiverIds: [caregiver.id],
+      startDate: new Date(Date.parse(shift.startTime) - dayMs).toISOString(),
+      endDate: new Date(Date.parse(shift.endTime) + dayMs).toISOString(),
+    })
+      .then((rows) => { if (!cancelled) setCaregiverShifts(rows); })
+      .catch((e) => console.warn('Failed to load caregiver shifts for travel check:', e));
+    return () => {
+      cancelled = true;
+    };
+  }, [caregiver?.id, shift?.startTime, shift?.endTime]);
+
+  const conflictWarnings = useMemo(() => {
+    if (!shift?.startTime || !shift?.endTime) return [];
+    const toRow = (sh) => ({
+      id: sh.id,
+      client_id: sh.clientId,
+      start_time: sh.startTime,
+      end_time: sh.endTime,
+      status: sh.status,
+    });
+    return detectConflictDetails(toRow(shift), caregiverShifts.map(toRow), {
+      excludeShiftId: shift.id,
+      clientLocations: buildClientLocations(clients || (client ? [client] : [])),
+      travelModel: resolveTravelModel(currentOrgSettings),
+    }).map(formatConflictDetail);
+  }, [shift, caregiverShifts, clients, client, currentOrgSettings]);
+
   // Live preview rendered for this specific caregiver
   const previewText = useMemo(() => {
     if (!template) return '';
@@ -126,6 +176,13 @@ export function ConfirmAssignDialog({
         </header>
 
         <div className={s.body}>
+          {conflictWarnings.length > 0 && (
+            <div className={s.conflictWarn} role="alert">
+              {conflictWarnings.map((text, i) => (
+                <div key={i}>⚠ {text}</div>
+              ))}
+            </div>
+          )}
           {loading ? (
             <div className={s.loading}>Loading template…</div>
           ) : (
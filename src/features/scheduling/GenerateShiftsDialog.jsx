@@ -1,7 +1,9 @@
 import { useEffect, useMemo, useState } from 'react';
 import { createShifts, getShifts, updateServicePlan } from './storage';
-import { getRulesForServicePlan } from './caregiverRulesStorage';
+import { getRulesForServicePlan, ruleToPlain } from './caregiverRulesStorage';
+import { checkProposedShifts } from './authorizationsStorage';
 import { resolveAssignmentForInstance } from '../../lib/scheduling/caregiverRules';
+import { SERVICE_TYPE } from '../../lib/rateCards';
 import { expandRecurrence } from '../../lib/scheduling/recurrence';
 import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
 import {
@@ -45,6 +47,11 @@ import s from './GenerateShiftsDialog.module.css';
 // each one by hand. Days with no rule fall back to 'open' (unassigned)
 // for the broadcast / manual pick flow. The bulk insert deliberately
 // skips per-shift assignment automations — see createShifts.
+//
+// The preview is checked against the client's payer authorizations
+// (src/lib/authorizations.js). Shifts that would push a cap period
+// past its unit cap block the Create button; shifts no authorization
+// covers are a warning only.
 // ═══════════════════════════════════════════════════════════════
 
 export function GenerateShiftsDialog({
@@ -66,6 +73,8 @@ export function GenerateShiftsDialog({
   const [loadingRules, setLoadingRules] = useState(true);
   const [saving, setSaving] = useState(false);
   const [saveError, setSaveError] = useState(null);
+  const [authIssues, setAuthIssues] = useState([]);
+  const [checkingAuth, setCheckingAuth] = useState(false);
 
   // Compute the generation window. Ongoing plans always materialize
   // ONGOING_INITIAL_DAYS up front so the user sees a real preview;
@@ -133,17 +142,7 @@ export function GenerateShiftsDialog({
 
   // Rules from storage are camelCase; the pure resolver expects the
   // snake_case DB shape. Map once.
-  const rulesPlain = useMemo(
-    () =>
-      rules.map((r) => ({
-        id: r.id,
-        day_of_week: r.dayOfWeek,
-        caregiver_id: r.caregiverId,
-        effective_from: r.effectiveFrom,
-        effective_to: r.effectiveTo,
-      })),
-    [rules],
-  );
+  const rulesPlain = useMemo(() => rules.map(ruleToPlain), [rules]);
 
   // Expand the recurrence pattern into candidate instances
   const allInstances = useMemo(() => {
@@ -160,6 +159,53 @@ export function GenerateShiftsDialog({
   );
   const skippedCount = allInstances.length - newInstances.length;
 
+  // Check the new instances against the client's authorizations. The
+  // instance start_time doubles as the placeholder id so issues map
+  // back onto preview rows.
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      if (newInstances.length === 0) {
+        setAuthIssues([]);
+        return;
+      }
+      setCheckingAuth(true);
+      try {
+        const issues = await checkProposedShifts(
+          plan.clientId,
+          newInstances.map((inst) => ({
+            id: inst.start_time,
+            serviceType: plan.liveIn ? SERVICE_TYPE.LIVE_IN : null,
+            startTime: inst.start_time,
+            endTime: inst.end_time,
+          })),
+        );
+        if (!cancelled) setAuthIssues(issues);
+      } catch (e) {
+        // Non-fatal, like the rules load: without the check the
+        // dialog behaves as it did before authorizations existed.
+        console.warn('Failed to check authorizations for generation:', e);
+        if (!cancelled) setAuthIssues([]);
+      } finally {
+        if (!cancelled) setCheckingAuth(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [plan.clientId, plan.liveIn, newInstances]);
+
+  const authBlocked = authIssues.some((issue) => issue.severity === 'block');
+  const overCapStarts = useMemo(
+    () =>
+      new Set(
+        authIssues
+          .filter((issue) => issue.severity === 'block')
+          .flatMap((issue) => issue.shiftIds),
+      ),
+    [authIssues],
+  );
+
   // Caregiver name lookup for the preview chips.
   const caregiverNameById = useMemo(() => {
     const map = new Map();
@@ -204,6 +250,10 @@ export function GenerateShiftsDialog({
       setSaveError('Nothing to generate. All shifts in this window already exist.');
       return;
     }
+    if (authBlocked) {
+      setSaveError('Some shifts go past the client\'s authorization. Shorten the window or update the authorization.');
+      return;
+    }
     setSaving(true);
     setSaveError(null);
     try {
@@ -212,6 +262,16 @@ export function GenerateShiftsDialog({
       // 'confirmed'; the rest stay 'open'. createShifts skips per-shift
       // assignment automations so generating a long series doesn't text
       // the caregiver once per shift.
+      // Live-in plans stamp their settings on every generated shift.
+      const liveInFields = plan.liveIn
+        ? {
+            serviceType: SERVICE_TYPE.LIVE_IN,
+            sleepHoursPerDay: plan.sleepHoursPerDay ?? null,
+            mealHoursPerDay: plan.mealHoursPerDay ?? null,
+            dailyPayRate: plan.dailyPayRate ?? null,
+            dailyBillRate: plan.dailyBillRate ?? null,
+          }
+        : {};
       const shiftRows = newInstances.map((instance) => {
         const { caregiverId, status } =
           assignmentByStart.get(instance.start_time) || { caregiverId: null, status: 'open' };
@@ -226,6 +286,7 @@ export function GenerateShiftsDialog({
           recurrenceGroupId: plan.id, // Use plan.id as the stable group id
           recurrenceRule: plan.recurrencePattern,
           createdBy: currentUserName || null,
+          ...liveInFields,
         };
       });
       await createShifts(shiftRows);
@@ -397,7 +458,9 @@ export function GenerateShiftsDialog({
                               {formatLocalTimeShort(new Date(inst.end_time), DEFAULT_APP_TIMEZONE)}
                             </span>
                           </span>
-                          {cgName ? (
+                          {overCapStarts.has(inst.start_time) ? (
+                            <span className={s.previewOverCap}>Over authorization</span>
+                          ) : cgName ? (
                             <span className={s.previewCaregiver}>{cgName} · Confirmed</span>
                           ) : (
                             <span className={s.previewOpen}>Open</span>
@@ -435,6 +498,15 @@ export function GenerateShiftsDialog({
             )}
           </div>
 
+          {authIssues.map((issue) => (
+            <div
+              key={`${issue.code}-${issue.authorizationId || ''}-${issue.periodStart || ''}`}
+              className={issue.severity === 'block' ? s.error : s.authWarning}
+            >
+              {issue.message}
+            </div>
+          ))}
+
           {saveError && <div className={s.error}>{saveError}</div>}
         </div>
 
@@ -449,6 +521,8 @@ export function GenerateShiftsDialog({
               saving ||
               loadingExisting ||
               loadingRules ||
+              checkingAuth ||
+              authBlocked ||
               (newInstances.length === 0 && !ongoingChanged)
             }
           >
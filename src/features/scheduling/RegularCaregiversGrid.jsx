@@ -4,9 +4,17 @@ import {
   setRegularCaregiverForDay,
   clearRegularCaregiverForDay,
   activeRulesByDayOfWeek,
+  addDaysToDateString,
+  rotationForRules,
+  ruleToPlain,
+  MAX_ROTATION_WEEKS,
 } from './caregiverRulesStorage';
 import { getActiveRulesForCaregiver } from './caregiverRulesStorage';
 import { findRuleConflicts } from '../../lib/scheduling/ruleConflicts';
+import {
+  dayOfWeekFromDateString,
+  rotationPhaseForDate,
+} from '../../lib/scheduling/caregiverRules';
 import { hasRecurrencePattern } from './recurrenceHelpers';
 import { DAY_OF_WEEK_LABELS_SHORT } from './recurrenceHelpers';
 import { supabase, isSupabaseConfigured } from '../../lib/supabase';
@@ -30,12 +38,34 @@ import s from './RegularCaregiversGrid.module.css';
 // show as inline warning chips; the form still saves (the team
 // can override with their judgment).
 //
+// Rotations: "Repeats every N weeks" turns the row into N rows (Week
+// A, Week B, …). Week A starts on the chosen date and each row's cells
+// write rules anchored a week apart, so an A/B split is two caregivers
+// on the same day. The cycle shown is read back from the plan's live
+// rotating rules; picking a caregiver in "every week" mode replaces
+// the rotation on that day.
+//
 // Pre-migration safety: caregiverRulesStorage returns empty arrays
 // when the rules table doesn't exist yet, so this grid renders
 // with all "—" cells until the migration is applied. Picking a
 // caregiver in that state logs a console warning and no-ops.
 // ═══════════════════════════════════════════════════════════════
 
+const WEEK_LETTERS = ['A', 'B', 'C', 'D'];
+
+const CYCLE_OPTIONS = Array.from({ length: MAX_ROTATION_WEEKS }, (_, i) => ({
+  value: i + 1,
+  label: i === 0 ? 'Every week' : i === 1 ? 'Every 2 weeks (A/B)' : `Every ${i + 1} weeks`,
+}));
+
+function weekLabel(phase, rotationWeeks) {
+  return rotationWeeks > 1 ? `Week ${WEEK_LETTERS[phase]}` : null;
+}
+
+function cellKey(phase, dayOfWeek) {
+  return `${phase}:${dayOfWeek}`;
+}
+
 export function RegularCaregiversGrid({
   plan,
   caregivers,
@@ -51,8 +81,9 @@ export function RegularCaregiversGrid({
 
   const [rules, setRules] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [savingDow, setSavingDow] = useState(null);
-  const [conflictsByDow, setConflictsByDow] = useState({});
+  const [savingKey, setSavingKey] = useState(null);
+  const [conflictsByKey, setConflictsByKey] = useState({});
+  const [rotationOverride, setRotationOverride] = useState(null);
 
   const loadRules = useCallback(async () => {
     if (!plan?.id) {
@@ -101,22 +132,51 @@ export function RegularCaregiversGrid({
     };
   }, [plan?.id, loadRules]);
 
-  const activeByDow = useMemo(() => {
-    const today = new Date().toISOString().slice(0, 10);
-    const ruleRows = rules.map((r) => ({
-      id: r.id,
-      day_of_week: r.dayOfWeek,
-      caregiver_id: r.caregiverId,
-      effective_from: r.effectiveFrom,
-      effective_to: r.effectiveTo,
-    }));
-    return activeRulesByDayOfWeek(ruleRows, today);
-  }, [rules]);
+  const today = new Date().toISOString().slice(0, 10);
+  const ruleRows = useMemo(() => rules.map(ruleToPlain), [rules]);
+
+  // The cycle the grid edits: what the scheduler picked, else the
+  // plan's live rotation, else every week (Week A defaulting to this
+  // week's Sunday if they switch to a rotation).
+  const rotation = useMemo(() => {
+    if (rotationOverride) return rotationOverride;
+    return rotationForRules(ruleRows, today) ?? {
+      rotationWeeks: 1,
+      rotationAnchor: addDaysToDateString(today, -dayOfWeekFromDateString(today)),
+    };
+  }, [rotationOverride, ruleRows, today]);
+  const { rotationWeeks, rotationAnchor } = rotation;
+
+  const activeByPhase = useMemo(
+    () =>
+      Array.from({ length: rotationWeeks }, (_, phase) =>
+        activeRulesByDayOfWeek(
+          ruleRows,
+          today,
+          rotationWeeks > 1 ? { rotationWeeks, rotationAnchor, phase } : null,
+        ),
+      ),
+    [ruleRows, today, rotationWeeks, rotationAnchor],
+  );
+
+  // Rule cycle for a cell in row `phase`: each row's rules are
+  // anchored `phase` weeks after Week A.
+  const rotationForPhase = useCallback(
+    (phase) =>
+      rotationWeeks > 1
+        ? {
+            rotationWeeks,
+            rotationAnchor: addDaysToDateString(rotationAnchor, 7 * phase),
+          }
+        : {},
+    [rotationWeeks, rotationAnchor],
+  );
 
   const checkConflict = useCallback(
-    async (dayOfWeek, caregiverId) => {
+    async (dayOfWeek, caregiverId, phase = 0) => {
+      const key = cellKey(phase, dayOfWeek);
       if (!plan?.id || !caregiverId) {
-        setConflictsByDow((prev) => ({ ...prev, [dayOfWeek]: [] }));
+        setConflictsByKey((prev) => ({ ...prev, [key]: [] }));
         return;
       }
       try {
@@ -136,6 +196,8 @@ export function RegularCaregiversGrid({
             caregiver_id: r.caregiverId,
             effective_from: r.effectiveFrom,
             effective_to: r.effectiveTo,
+            rotation_weeks: r.rotationWeeks,
+            rotation_anchor: r.rotationAnchor,
             // Best-effort: assume the other plan's pattern overlaps.
             // The grid surfaces "covering another plan on this day"
             // as a warning regardless of clock overlap, since the
@@ -151,19 +213,25 @@ export function RegularCaregiversGrid({
             startClock: plan.recurrencePattern?.start_time,
             endClock: plan.recurrencePattern?.end_time,
             effectiveFrom: new Date().toISOString().slice(0, 10),
+            ...rotationForPhase(phase),
           },
           decorated,
         );
-        setConflictsByDow((prev) => ({ ...prev, [dayOfWeek]: conflicts }));
+        setConflictsByKey((prev) => ({ ...prev, [key]: conflicts }));
       } catch (err) {
         console.warn('checkConflict failed:', err);
-        setConflictsByDow((prev) => ({ ...prev, [dayOfWeek]: [] }));
+        setConflictsByKey((prev) => ({ ...prev, [key]: [] }));
       }
     },
-    [plan?.id, plan?.recurrencePattern?.start_time, plan?.recurrencePattern?.end_time],
+    [
+      plan?.id,
+      plan?.recurrencePattern?.start_time,
+      plan?.recurrencePattern?.end_time,
+      rotationForPhase,
+    ],
   );
 
-  const handlePick = async (dayOfWeek, caregiverId) => {
+  const handlePick = async (dayOfWeek, caregiverId, phase = 0) => {
     if (!plan?.id || !plan?.orgId) {
       // org_id is required by the rule row. ServicePlansPanel passes
       // a plan object built from dbToServicePlan which doesn't
@@ -172,16 +240,18 @@ export function RegularCaregiversGrid({
       showToast?.('Cannot save: plan organization is missing.');
       return;
     }
-    setSavingDow(dayOfWeek);
+    const slot = [weekLabel(phase, rotationWeeks), DAY_OF_WEEK_LABELS_SHORT[dayOfWeek]]
+      .filter(Boolean)
+      .join(' ');
+    setSavingKey(cellKey(phase, dayOfWeek));
     try {
       if (!caregiverId) {
         await clearRegularCaregiverForDay({
           servicePlanId: plan.id,
           dayOfWeek,
+          ...rotationForPhase(phase),
         });
-        showToast?.(
-          `Cleared regular ${DAY_OF_WEEK_LABELS_SHORT[dayOfWeek]} caregiver`,
-        );
+        showToast?.(`Cleared regular ${slot} caregiver`);
       } else {
         await setRegularCaregiverForDay({
           servicePlanId: plan.id,
@@ -189,22 +259,21 @@ export function RegularCaregiversGrid({
           dayOfWeek,
           caregiverId,
           createdBy: currentUser || null,
+          ...rotationForPhase(phase),
         });
         const cg = caregivers?.find((c) => c.id === caregiverId);
         const name = cg
           ? `${cg.firstName || ''} ${cg.lastName || ''}`.trim() || caregiverId
           : caregiverId;
-        showToast?.(
-          `${name} is now the regular ${DAY_OF_WEEK_LABELS_SHORT[dayOfWeek]} caregiver`,
-        );
-        await checkConflict(dayOfWeek, caregiverId);
+        showToast?.(`${name} is now the regular ${slot} caregiver`);
+        await checkConflict(dayOfWeek, caregiverId, phase);
       }
       await loadRules();
     } catch (err) {
       console.error('RegularCaregiversGrid save failed:', err);
       showToast?.(`Failed to save: ${err.message || err}`);
     } finally {
-      setSavingDow(null);
+      setSavingKey(null);
     }
   };
 
@@ -254,32 +323,75 @@ export function RegularCaregiversGrid({
           Optional — set who covers each day. Future shifts generated by the cron will pre-assign these caregivers.
         </div>
       </div>
-      <div className={s.grid}>
-        {DAY_OF_WEEK_LABELS_SHORT.map((label, dow) => {
-          const inPattern = patternDays.has(dow);
-          const active = activeByDow[dow];
-          const conflicts = conflictsByDow[dow] || [];
-          return (
-            <DayCell
-              key={dow}
-              label={label}
-              dayOfWeek={dow}
-              inPattern={inPattern}
-              activeRule={active}
-              caregiverOptions={caregiverOptions}
-              onPick={(id) => handlePick(dow, id)}
-              saving={savingDow === dow}
-              conflicts={conflicts}
-            />
-          );
-        })}
+      <div className={s.cycleRow}>
+        <label className={s.cycleLabel}>
+          Repeats
+          <select
+            className={s.cycleInput}
+            value={rotationWeeks}
+            onChange={(e) =>
+              setRotationOverride({ rotationWeeks: Number(e.target.value), rotationAnchor })
+            }
+          >
+            {CYCLE_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+        {rotationWeeks > 1 && (
+          <>
+            <label className={s.cycleLabel}>
+              Week A starts
+              <input
+                type="date"
+                className={s.cycleInput}
+                value={rotationAnchor}
+                onChange={(e) => {
+                  if (e.target.value) {
+                    setRotationOverride({ rotationWeeks, rotationAnchor: e.target.value });
+                  }
+                }}
+              />
+            </label>
+            <span className={s.cycleHint}>
+              This week is {weekLabel(rotationPhaseForDate(rotationWeeks, rotationAnchor, today), rotationWeeks)}.
+            </span>
+          </>
+        )}
       </div>
+      {activeByPhase.map((activeByDow, phase) => (
+        <div key={phase} className={s.week}>
+          {rotationWeeks > 1 && (
+            <div className={s.weekLabel}>{weekLabel(phase, rotationWeeks)}</div>
+          )}
+          <div className={s.grid}>
+            {DAY_OF_WEEK_LABELS_SHORT.map((label, dow) => {
+              const key = cellKey(phase, dow);
+              return (
+                <DayCell
+                  key={dow}
+                  label={label}
+                  ariaLabel={[weekLabel(phase, rotationWeeks), label].filter(Boolean).join(' ')}
+                  dayOfWeek={dow}
+                  inPattern={patternDays.has(dow)}
+                  activeRule={activeByDow[dow]}
+                  caregiverOptions={caregiverOptions}
+                  onPick={(id) => handlePick(dow, id, phase)}
+                  saving={savingKey === key}
+                  conflicts={conflictsByKey[key] || []}
+                />
+              );
+            })}
+          </div>
+        </div>
+      ))}
     </div>
   );
 }
 
 function DayCell({
   label,
+  ariaLabel,
   dayOfWeek,
   inPattern,
   activeRule,
@@ -308,7 +420,7 @@ function DayCell({
         options={caregiverOptions}
         emptyOption={{ value: '', label: '— none —' }}
         placeholder="Search caregivers…"
-        ariaLabel={`Regular caregiver for ${label}`}
+        ariaLabel={`Regular caregiver for ${ariaLabel || label}`}
         disabled={saving}
       />
       {conflicts.length > 0 && (
@@ -1,5 +1,9 @@
 import { useMemo } from 'react';
 import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import {
+  buildClientLocations,
+  formatConflictDetail,
+} from '../../lib/scheduling/conflictDetection';
 import {
   shiftStatusColors,
   shiftStatusLabel,
@@ -12,6 +16,7 @@ import {
   computeBarGeometry,
   assignLanes,
   buildHourTicks,
+  findTravelShortfalls,
 } from './resourceLaneHelpers';
 import s from './ResourceLaneView.module.css';
 
@@ -28,6 +33,11 @@ import s from './ResourceLaneView.module.css';
 // component is a thin presentational shell that wires that math to the
 // DOM and reuses the shared shift colors / time formatting so it matches
 // the rest of the calendar exactly.
+//
+// A shift the caregiver can't reach in time from their previous one
+// (distance-based travel estimate, see conflictDetection.js) gets a
+// warning outline and the estimate in its tooltip. Shifts listed in
+// `coverageShiftIds` (caregiver on approved time off) get a red one.
 // ═══════════════════════════════════════════════════════════════
 
 const BAR_HEIGHT = 34; // px — height of a single shift bar (fits two text lines: time + name)
@@ -69,6 +79,8 @@ export function ResourceLaneView({
   caregiversById = {},
   includeEmptyRows = false,
   timezone = DEFAULT_APP_TIMEZONE,
+  travelModel,
+  coverageShiftIds = null,
   onShiftClick,
 }) {
   const band = useMemo(
@@ -97,6 +109,14 @@ export function ResourceLaneView({
     [mode, shifts, caregivers, clients, includeEmptyRows],
   );
 
+  const travelShortfalls = useMemo(
+    () => findTravelShortfalls(shifts, {
+      clientLocations: buildClientLocations(Object.values(clientsById)),
+      travelModel,
+    }),
+    [shifts, clientsById, travelModel],
+  );
+
   // Lay out each row's bars into stacked sub-lanes and compute geometry.
   const laidOutRows = useMemo(() => {
     return rows.map((row) => {
@@ -182,11 +202,15 @@ export function ResourceLaneView({
                   caregiversById,
                 });
                 const timeText = `${formatLocalTimeShort(start, timezone)}–${formatLocalTimeShort(end, timezone)}`;
+                const shortfall = travelShortfalls.get(shift.id);
+                const needsCoverage = coverageShiftIds?.has(shift.id) === true;
+                let title = `${primary} · ${timeText} · ${shiftStatusLabel(shift.status)}`;
+                if (needsCoverage) title += '\n⚠ Needs coverage — caregiver is on approved time off';
                 return (
                   <button
                     key={shift.id}
                     type="button"
-                    className={s.bar}
+                    className={`${s.bar} ${shortfall ? s.barTravelWarn : ''} ${needsCoverage ? s.barNeedsCoverage : ''}`}
                     style={{
                       left: `${geom.leftPct}%`,
                       width: `${geom.widthPct}%`,
@@ -196,10 +220,15 @@ export function ResourceLaneView({
                       borderColor: colors.border,
                       color: colors.fg,
                     }}
-                    title={`${primary} · ${timeText} · ${shiftStatusLabel(shift.status)}`}
+                    title={shortfall ? `${title}\n⚠ ${formatConflictDetail(shortfall)}` : title}
                     onClick={() => onShiftClick?.(shift)}
                   >
-                    <span className={s.barTime}>{timeText}</span>
+                    <span className={s.barTime}>
+                      {(shortfall || needsCoverage) && (
+                        <span aria-label={needsCoverage ? 'Needs coverage' : 'Insufficient travel time'}>⚠ </span>
+                      )}
+                      {timeText}
+                    </span>
                     <span className={s.barName}>{primary}</span>
                   </button>
                 );
@@ -10,9 +10,13 @@ import { useCaregivers } from '../../shared/context/CaregiverContext';
 import { supabase } from '../../lib/supabase';
 import {
   getShifts,
+  getShiftsByIds,
   updateShift,
   getServicePlansForClient,
   getClockEventsSummaryForShifts,
+  getOpenShiftChangeRequests,
+  getTimeOffRequests,
+  getOpenClockOutCorrections,
 } from './storage';
 import {
   SHIFT_STATUSES,
@@ -24,9 +28,20 @@ import {
 import { ResourceLaneView } from './ResourceLaneView';
 import { computeDayWindowMs } from './resourceLaneHelpers';
 import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { resolveTravelModel } from '../../lib/scheduling/conflictDetection';
+import {
+  TIME_OFF_STATUS,
+  todayInZone,
+  shiftsNeedingCoverage,
+} from '../../lib/scheduling/timeOffRequests';
+import { CLOCK_OUT_CORRECTION_STATUS } from '../../lib/scheduling/clockOutCorrections';
 import { ShiftCreateModal } from './ShiftCreateModal';
 import { ShiftDrawer } from './ShiftDrawer';
 import { BroadcastModal } from './BroadcastModal';
+import { AutoScheduleModal } from './AutoScheduleModal';
+import { ShiftChangeRequestsModal } from './ShiftChangeRequestsModal';
+import { TimeOffRequestsModal } from './TimeOffRequestsModal';
+import { ClockOutCorrectionsModal } from './ClockOutCorrectionsModal';
 import { SearchableSelect } from '../../shared/components/SearchableSelect';
 import { sortClientsByName, clientDisplayName } from '../../lib/clientSort';
 import s from './SchedulePage.module.css';
@@ -43,6 +58,15 @@ import s from './SchedulePage.module.css';
 //   - Drag to move in time
 //   - Drag edge to resize duration
 //   - Realtime subscription so the calendar stays in sync
+//   - "Auto-fill week" → AutoScheduleModal proposes caregivers for
+//     the week's open shifts as a reviewable diff
+//   - "Requests" → ShiftChangeRequestsModal, the approval queue for
+//     caregiver drop / swap requests from the caregiver app
+//   - "Time off" → TimeOffRequestsModal, the approval queue for
+//     caregiver time-off requests. Assigned shifts inside approved
+//     time off are flagged "needs coverage" on the calendar and board
+//   - "Clock-outs" → ClockOutCorrectionsModal, the review queue for
+//     end times caregivers report after missing a clock-out
 //
 // Smart caregiver matching (availability-based eligibility and
 // conflict detection in the assignment UI) comes in Phase 4c.
@@ -55,6 +79,7 @@ const EMPTY_DRAFT_BASE = {
   startTime: null,
   endTime: null,
   locationAddress: '',
+  serviceType: null,
   hourlyRate: null,
   billableRate: null,
   mileage: null,
@@ -65,7 +90,11 @@ const EMPTY_DRAFT_BASE = {
 
 export function SchedulePage() {
   const calendarRef = useRef(null);
-  const { showToast, currentUserName, currentUserEmail } = useApp();
+  const { showToast, currentUserName, currentUserEmail, currentOrgSettings } = useApp();
+  const travelModel = useMemo(
+    () => resolveTravelModel(currentOrgSettings),
+    [currentOrgSettings],
+  );
   const { activeClients } = useClients();
   const { rosterCaregivers, onboardingCaregivers } = useCaregivers();
 
@@ -99,6 +128,13 @@ export function SchedulePage() {
   const [createDraft, setCreateDraft] = useState(null); // null = closed
   const [selectedShift, setSelectedShift] = useState(null);
   const [broadcastShift, setBroadcastShift] = useState(null);
+  const [autoFillAnchor, setAutoFillAnchor] = useState(null); // null = closed
+  const [changeRequestsOpen, setChangeRequestsOpen] = useState(false);
+  const [openChangeRequestCount, setOpenChangeRequestCount] = useState(0);
+  const [timeOffOpen, setTimeOffOpen] = useState(false);
+  const [timeOffRequests, setTimeOffRequests] = useState([]);
+  const [clockOutsOpen, setClockOutsOpen] = useState(false);
+  const [pendingClockOutCount, setPendingClockOutCount] = useState(0);
 
   // Precompute lookup maps
   const clientsById = useMemo(() => {
@@ -213,6 +249,103 @@ export function SchedulePage() {
     };
   }, [loadShifts]);
 
+  // Open drop / swap requests, for the header badge. Best-effort — the
+  // queue itself reports load errors.
+  const loadChangeRequestCount = useCallback(async () => {
+    try {
+      const rows = await getOpenShiftChangeRequests();
+      setOpenChangeRequestCount(rows.length);
+    } catch (e) {
+      console.warn('Failed to load shift change requests:', e);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadChangeRequestCount();
+    if (!supabase) return undefined;
+    const channel = supabase
+      .channel('schedule-shift-change-requests')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'shift_change_requests' },
+        () => {
+          loadChangeRequestCount();
+        },
+      )
+      .subscribe();
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [loadChangeRequestCount]);
+
+  // Pending and approved time off that hasn't ended yet — pending for
+  // the header badge, approved for the coverage flags. Best-effort.
+  const loadTimeOffRequests = useCallback(async () => {
+    try {
+      const rows = await getTimeOffRequests({
+        statuses: [TIME_OFF_STATUS.PENDING, TIME_OFF_STATUS.APPROVED],
+        fromDate: todayInZone(new Date(), DEFAULT_APP_TIMEZONE),
+      });
+      setTimeOffRequests(rows);
+    } catch (e) {
+      console.warn('Failed to load time-off requests:', e);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTimeOffRequests();
+    if (!supabase) return undefined;
+    const channel = supabase
+      .channel('schedule-time-off-requests')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'caregiver_time_off_requests' },
+        () => {
+          loadTimeOffRequests();
+        },
+      )
+      .subscribe();
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [loadTimeOffRequests]);
+
+  // Missed clock-out corrections waiting on the office, for the header
+  // badge. Best-effort.
+  const loadClockOutCorrectionCount = useCallback(async () => {
+    try {
+      const rows = await getOpenClockOutCorrections();
+      setPendingClockOutCount(
+        rows.filter((r) => r.status === CLOCK_OUT_CORRECTION_STATUS.PENDING).length,
+      );
+    } catch (e) {
+      console.warn('Failed to load clock-out corrections:', e);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadClockOutCorrectionCount();
+    if (!supabase) return undefined;
+    const channel = supabase
+      .channel('schedule-clock-out-corrections')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'clock_out_corrections' },
+        () => {
+          loadClockOutCorrectionCount();
+        },
+      )
+      .subscribe();
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [loadClockOutCorrectionCount]);
+
+  const pendingTimeOffCount = useMemo(
+    () => timeOffRequests.filter((r) => r.status === TIME_OFF_STATUS.PENDING).length,
+    [timeOffRequests],
+  );
+
   // ─── Load service plans for a client (lazy) ─────────────────────
   const ensureServicePlansForClient = useCallback(
     async (clientId) => {
@@ -237,6 +370,27 @@ export function SchedulePage() {
     [shifts, filterStatus],
   );
 
+  // Assigned shifts whose caregiver is on approved time off.
+  const coverageShiftIds = useMemo(() => {
+    const flagged = shiftsNeedingCoverage(
+      visibleShifts.map((sh) => ({
+        id: sh.id,
+        assigned_caregiver_id: sh.assignedCaregiverId,
+        status: sh.status,
+        start_time: sh.startTime,
+        end_time: sh.endTime,
+      })),
+      timeOffRequests.map((r) => ({
+        caregiver_id: r.caregiverId,
+        start_date: r.startDate,
+        end_date: r.endDate,
+        status: r.status,
+      })),
+      DEFAULT_APP_TIMEZONE,
+    );
+    return new Set(flagged.keys());
+  }, [visibleShifts, timeOffRequests]);
+
   const calendarEvents = useMemo(() => {
     return visibleShifts
       .map((shift) =>
@@ -244,10 +398,11 @@ export function SchedulePage() {
           clientsById,
           caregiversById,
           actuals: actualsByShiftId.get(shift.id) || null,
+          needsCoverage: coverageShiftIds.has(shift.id),
         }),
       )
       .filter(Boolean);
-  }, [visibleShifts, clientsById, caregiversById, actualsByShiftId]);
+  }, [visibleShifts, clientsById, caregiversById, actualsByShiftId, coverageShiftIds]);
 
   // ─── Calendar handlers ───────────────────────────────────────
   const handleDatesSet = (info) => {
@@ -363,6 +518,14 @@ export function SchedulePage() {
     openCreateWithSlot(start, computeDefaultShiftEnd(start));
   };
 
+  // ─── Auto-fill: the week on screen (the lane day's week on the board) ──
+  const handleAutoFill = () => {
+    const anchor = boardMode === 'lanes'
+      ? laneDate
+      : calendarRef.current?.getApi()?.getDate() || visibleRange?.start || new Date();
+    setAutoFillAnchor(anchor);
+  };
+
   // ─── Modal / drawer close + refresh ──────────────────────────
   const handleCreateClosed = () => setCreateDraft(null);
 
@@ -402,6 +565,27 @@ export function SchedulePage() {
           <button className={s.primaryBtn} onClick={handleNewShift}>
             + New shift
           </button>
+          <button className={s.secondaryBtn} onClick={handleAutoFill}>
+            Auto-fill week
+          </button>
+          <button className={s.secondaryBtn} onClick={() => setChangeRequestsOpen(true)}>
+            Requests
+            {openChangeRequestCount > 0 && (
+              <span className={s.countBadge}>{openChangeRequestCount}</span>
+            )}
+          </button>
+          <button className={s.secondaryBtn} onClick={() => setTimeOffOpen(true)}>
+            Time off
+            {pendingTimeOffCount > 0 && (
+              <span className={s.countBadge}>{pendingTimeOffCount}</span>
+            )}
+          </button>
+          <button className={s.secondaryBtn} onClick={() => setClockOutsOpen(true)}>
+            Clock-outs
+            {pendingClockOutCount > 0 && (
+              <span className={s.countBadge}>{pendingClockOutCount}</span>
+            )}
+          </button>
           <div className={s.viewToggle} role="tablist" aria-label="Calendar view">
             <button
               role="tab"
@@ -526,6 +710,8 @@ export function SchedulePage() {
               clients={activeClients}
               clientsById={clientsById}
               caregiversById={caregiversById}
+              travelModel={travelModel}
+              coverageShiftIds={coverageShiftIds}
               onShiftClick={(shift) => {
                 setSelectedShift(shift);
                 ensureServicePlansForClient(shift.clientId);
@@ -601,11 +787,74 @@ export function SchedulePage() {
         />
       )}
 
+      {autoFillAnchor && (
+        <AutoScheduleModal
+          weekAnchor={autoFillAnchor}
+          caregivers={schedulableCaregivers}
+          clients={activeClients}
+          onClose={() => setAutoFillAnchor(null)}
+          onApplied={() => loadShifts()}
+          showToast={showToast}
+        />
+      )}
+
+      {changeRequestsOpen && (
+        <ShiftChangeRequestsModal
+          caregivers={schedulableCaregivers}
+          clients={activeClients}
+          currentUserName={currentUserName}
+          currentUserEmail={currentUserEmail}
+          onClose={() => {
+            setChangeRequestsOpen(false);
+            loadChangeRequestCount();
+          }}
+          onDecided={() => loadShifts()}
+          showToast={showToast}
+        />
+      )}
+
+      {timeOffOpen && (
+        <TimeOffRequestsModal
+          caregivers={schedulableCaregivers}
+          clients={activeClients}
+          currentUserName={currentUserName}
+          currentUserEmail={currentUserEmail}
+          onClose={() => {
+            setTimeOffOpen(false);
+            loadTimeOffRequests();
+          }}
+          onOpenShift={async (shift) => {
+            // A slot caregiver's shift arrives as a slot view (them as
+            // assignee); the drawer needs the shift itself.
+            const [real] = shift.slotId ? await getShiftsByIds([shift.id]) : [shift];
+            setSelectedShift(real || shift);
+            ensureServicePlansForClient(shift.clientId);
+          }}
+          showToast={showToast}
+        />
+      )}
+
+      {clockOutsOpen && (
+        <ClockOutCorrectionsModal
+          caregivers={schedulableCaregivers}
+          clients={activeClients}
+          currentUserName={currentUserName}
+          currentUserEmail={currentUserEmail}
+          onClose={() => {
+            setClockOutsOpen(false);
+            loadClockOutCorrectionCount();
+          }}
+          onDecided={() => loadShifts()}
+          showToast={showToast}
+        />
+      )}
+
       {broadcastShift && (
         <BroadcastModal
           shift={broadcastShift}
           caregivers={schedulableCaregivers}
           client={clientsById[broadcastShift.clientId] || null}
+          clients={activeClients}
           currentUserName={currentUserName}
           currentUserEmail={currentUserEmail}
           onClose={() => setBroadcastShift(null)}
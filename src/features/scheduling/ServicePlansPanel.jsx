@@ -11,6 +11,7 @@ import {
   formatStatusLabel,
   statusColors,
   summarizeServicePlan,
+  describeLiveInPlan,
   sortServicePlans,
   validateServicePlanDraft,
 } from './servicePlanHelpers';
@@ -46,8 +47,15 @@ const EMPTY_DRAFT = {
   status: 'draft',
   notes: '',
   recurrencePattern: null,
+  liveIn: false,
+  sleepHoursPerDay: '',
+  mealHoursPerDay: '',
+  dailyPayRate: '',
+  dailyBillRate: '',
 };
 
+const numberOrNull = (value) => (value === '' || value == null ? null : Number(value));
+
 export function ServicePlansPanel({ client, currentUser, showToast }) {
   const { rosterCaregivers } = useCaregivers();
   const [plans, setPlans] = useState([]);
@@ -123,6 +131,11 @@ export function ServicePlansPanel({ client, currentUser, showToast }) {
       status: plan.status || 'draft',
       notes: plan.notes || '',
       recurrencePattern: plan.recurrencePattern || null,
+      liveIn: plan.liveIn === true,
+      sleepHoursPerDay: plan.sleepHoursPerDay ?? '',
+      mealHoursPerDay: plan.mealHoursPerDay ?? '',
+      dailyPayRate: plan.dailyPayRate ?? '',
+      dailyBillRate: plan.dailyBillRate ?? '',
     });
     setEditing(plan.id);
     setErrorMessage(null);
@@ -162,6 +175,11 @@ export function ServicePlansPanel({ client, currentUser, showToast }) {
         status: draft.status || 'draft',
         notes: draft.notes?.trim() || null,
         recurrencePattern: draft.recurrencePattern || null,
+        liveIn: draft.liveIn === true,
+        sleepHoursPerDay: draft.liveIn ? numberOrNull(draft.sleepHoursPerDay) : null,
+        mealHoursPerDay: draft.liveIn ? numberOrNull(draft.mealHoursPerDay) : null,
+        dailyPayRate: draft.liveIn ? numberOrNull(draft.dailyPayRate) : null,
+        dailyBillRate: draft.liveIn ? numberOrNull(draft.dailyBillRate) : null,
         createdBy: currentUser?.displayName || currentUser?.email || null,
       };
       if (editing === 'new') {
@@ -357,6 +375,10 @@ function ServicePlanCard({
           <div className={s.cardServiceType}>{plan.serviceType}</div>
         )}
 
+        {plan.liveIn && (
+          <div className={s.cardLiveIn}>{describeLiveInPlan(plan)}</div>
+        )}
+
         {hasRecurrencePattern(plan.recurrencePattern) && (
           <div className={s.cardRecurrence}>
             <span className={s.cardRecurrenceLabel}>Pattern:</span>{' '}
@@ -501,6 +523,72 @@ function ServicePlanForm({ draft, onChange, onSave, onCancel, saving, errorMessa
           />
         </label>
 
+        {/* Live-in: generated shifts are live-in and carry these
+            settings (per 24h day). See src/lib/liveIn.js. */}
+        <label className={s.checkboxLabelWide}>
+          <input
+            type="checkbox"
+            checked={draft.liveIn === true}
+            onChange={(e) => set('liveIn', e.target.checked)}
+          />
+          Live-in care <span className={s.fieldHint}>(24h shifts paid and billed by the day)</span>
+        </label>
+
+        {draft.liveIn && (
+          <>
+            <label className={s.fieldLabel}>
+              Sleep hours per day <span className={s.fieldHint}>(max 8 excluded)</span>
+              <input
+                className={s.fieldInput}
+                type="number"
+                min="0"
+                max="24"
+                step="0.5"
+                placeholder="8"
+                value={draft.sleepHoursPerDay}
+                onChange={(e) => set('sleepHoursPerDay', e.target.value)}
+              />
+            </label>
+            <label className={s.fieldLabel}>
+              Meal hours per day
+              <input
+                className={s.fieldInput}
+                type="number"
+                min="0"
+                max="24"
+                step="0.25"
+                placeholder="3"
+                value={draft.mealHoursPerDay}
+                onChange={(e) => set('mealHoursPerDay', e.target.value)}
+              />
+            </label>
+            <label className={s.fieldLabel}>
+              Daily pay rate <span className={s.fieldHint}>($/day to caregiver)</span>
+              <input
+                className={s.fieldInput}
+                type="number"
+                min="0"
+                step="1"
+                placeholder="240"
+                value={draft.dailyPayRate}
+                onChange={(e) => set('dailyPayRate', e.target.value)}
+              />
+            </label>
+            <label className={s.fieldLabel}>
+              Daily bill rate <span className={s.fieldHint}>($/day to client)</span>
+              <input
+                className={s.fieldInput}
+                type="number"
+                min="0"
+                step="1"
+                placeholder="380"
+                value={draft.dailyBillRate}
+                onChange={(e) => set('dailyBillRate', e.target.value)}
+              />
+            </label>
+          </>
+        )}
+
         <label className={s.fieldLabelWide}>
           Notes
           <textarea
@@ -0,0 +1,312 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  getOpenShiftChangeRequests,
+  getShiftsByIds,
+  getShiftsForCaregivers,
+  decideShiftChangeRequest,
+} from './storage';
+import { formatShiftTimeRange } from './shiftHelpers';
+import {
+  SHIFT_CHANGE_KIND,
+  SHIFT_CHANGE_STATUS,
+  incomingCaregiverId,
+  formatChangeShiftWhen,
+  changeRequestPush,
+} from '../../lib/scheduling/shiftChangeRequests';
+import {
+  detectConflictDetails,
+  formatConflictDetail,
+  buildClientLocations,
+  resolveTravelModel,
+} from '../../lib/scheduling/conflictDetection';
+import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { clientDisplayName } from '../../lib/clientSort';
+import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import { useApp } from '../../shared/context/AppContext';
+import btn from '../../styles/buttons.module.css';
+import s from './ShiftChangeRequestsModal.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// ShiftChangeRequestsModal
+//
+// The office's queue of caregiver drop and swap requests (made from
+// the caregiver PWA's shift detail). Swaps show up as soon as they're
+// sent but can only be decided once the named coworker has accepted.
+//
+// Before a swap can be approved the coworker's schedule is checked
+// with detectConflictDetails — an overlap or too-tight travel gap
+// blocks approval; the office can deny it or reassign by hand from
+// the shift drawer instead. Approving writes the shift through
+// decideShiftChangeRequest (storage.js); both caregivers then get a
+// push notification through send-push.
+// ═══════════════════════════════════════════════════════════════
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toConflictRow = (sh) => ({
+  id: sh.id,
+  client_id: sh.clientId,
+  start_time: sh.startTime,
+  end_time: sh.endTime,
+  status: sh.status,
+});
+
+// snake_case view of an app-shape request for the shared helpers.
+const toHelperRequest = (req) => ({
+  id: req.id,
+  shift_id: req.shiftId,
+  kind: req.kind,
+  requester_caregiver_id: req.requesterCaregiverId,
+  target_caregiver_id: req.targetCaregiverId,
+});
+
+export function ShiftChangeRequestsModal({
+  caregivers,
+  clients,
+  currentUserName,
+  currentUserEmail,
+  onClose,
+  onDecided,
+  showToast,
+}) {
+  const { currentOrgSettings } = useApp();
+  const [requests, setRequests] = useState(null);
+  const [shiftsById, setShiftsById] = useState({});
+  const [incomingShifts, setIncomingShifts] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [decidedCount, setDecidedCount] = useState(0);
+
+  const caregiversById = useMemo(() => {
+    const map = {};
+    for (const c of caregivers || []) map[c.id] = c;
+    return map;
+  }, [caregivers]);
+  const clientsById = useMemo(() => {
+    const map = {};
+    for (const c of clients || []) map[c.id] = c;
+    return map;
+  }, [clients]);
+
+  const load = useCallback(async () => {
+    setLoadError(null);
+    try {
+      const rows = await getOpenShiftChangeRequests();
+      const shifts = await getShiftsByIds(rows.map((r) => r.shiftId));
+      const byId = {};
+      for (const sh of shifts) byId[sh.id] = sh;
+
+      // The incoming caregivers' schedules around each swapped shift,
+      // for the conflict check.
+      const targetIds = Array.from(new Set(rows.map((r) => r.targetCaregiverId).filter(Boolean)));
+      let targetShifts = [];
+      if (targetIds.length > 0 && shifts.length > 0) {
+        const startMs = Math.min(...shifts.map((sh) => Date.parse(sh.startTime)));
+        const endMs = Math.max(...shifts.map((sh) => Date.parse(sh.endTime)));
+        targetShifts = await getShiftsForCaregivers({
+          caregiverIds: targetIds,
+          startDate: new Date(startMs - DAY_MS).toISOString(),
+          endDate: new Date(endMs + DAY_MS).toISOString(),
+        });
+      }
+
+      setShiftsById(byId);
+      setIncomingShifts(targetShifts);
+      setRequests(rows);
+    } catch (e) {
+      console.error('Failed to load shift change requests:', e);
+      setLoadError(e.message || 'Failed to load requests');
+      setRequests([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const conflictsByRequest = useMemo(() => {
+    const out = {};
+    const clientLocations = buildClientLocations(clients || []);
+    const travelModel = resolveTravelModel(currentOrgSettings);
+    for (const req of requests || []) {
+      const targetId = incomingCaregiverId(toHelperRequest(req));
+      const shift = shiftsById[req.shiftId];
+      if (!targetId || !shift) continue;
+      const theirs = incomingShifts.filter((sh) => sh.assignedCaregiverId === targetId);
+      out[req.id] = detectConflictDetails(toConflictRow(shift), theirs.map(toConflictRow), {
+        excludeShiftId: shift.id,
+        clientLocations,
+        travelModel,
+      }).map(formatConflictDetail);
+    }
+    return out;
+  }, [requests, shiftsById, incomingShifts, clients, currentOrgSettings]);
+
+  const caregiverName = (id) => {
+    const cg = caregiversById[id];
+    return cg ? `${cg.firstName || ''} ${cg.lastName || ''}`.trim() || id : 'Unknown caregiver';
+  };
+
+  // Best-effort: a failed push never undoes the decision.
+  const notify = async (req, approve) => {
+    if (!isSupabaseConfigured()) return;
+    const shift = shiftsById[req.shiftId];
+    if (!shift) return;
+    const helperRequest = toHelperRequest(req);
+    const base = {
+      request: helperRequest,
+      shiftWhen: formatChangeShiftWhen(shift.startTime, DEFAULT_APP_TIMEZONE),
+      requesterName: caregiversById[req.requesterCaregiverId]?.firstName || undefined,
+      targetName: caregiversById[req.targetCaregiverId]?.firstName || undefined,
+    };
+    const event = approve ? 'approved' : 'denied';
+    const sends = [{ ids: [req.requesterCaregiverId], payload: changeRequestPush(event, base) }];
+    if (req.targetCaregiverId) {
+      sends.push({
+        ids: [req.targetCaregiverId],
+        payload: changeRequestPush(event, { ...base, audience: 'target' }),
+      });
+    }
+    for (const send of sends) {
+      try {
+        await supabase.functions.invoke('send-push', {
+          body: { ...send.payload, caregiver_ids: send.ids },
+        });
+      } catch (e) {
+        console.warn('Shift change push failed:', e);
+      }
+    }
+  };
+
+  const handleDecide = async (req, approve) => {
+    setBusyId(req.id);
+    try {
+      await decideShiftChangeRequest(req.id, {
+        approve,
+        decidedBy: currentUserName || currentUserEmail || null,
+      });
+      await notify(req, approve);
+      setDecidedCount((n) => n + 1);
+      showToast?.(approve ? 'Request approved' : 'Request denied');
+    } catch (e) {
+      console.error('Shift change decision failed:', e);
+      showToast?.(`Couldn't update the request: ${e.message || e}`);
+    } finally {
+      setBusyId(null);
+      await load();
+    }
+  };
+
+  const handleClose = () => {
+    if (decidedCount > 0) onDecided?.(decidedCount);
+    onClose?.();
+  };
+
+  return (
+    <div className={s.backdrop} onClick={busyId ? undefined : handleClose}>
+      <div
+        className={s.dialog}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="shift-change-requests-title"
+      >
+        <header className={s.header}>
+          <div>
+            <h2 id="shift-change-requests-title" className={s.title}>
+              Drop &amp; swap requests
+            </h2>
+            <div className={s.subtitle}>
+              Caregiver requests from the app, oldest first
+            </div>
+          </div>
+          <button
+            className={s.closeBtn}
+            onClick={handleClose}
+            disabled={!!busyId}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </header>
+
+        <div className={s.body}>
+          {loadError && <div className={s.error}>{loadError}</div>}
+
+          {requests == null ? (
+            <div className={s.loading}>Loading requests…</div>
+          ) : requests.length === 0 ? (
+            <div className={s.empty}>No open requests.</div>
+          ) : (
+            <ul className={s.list}>
+              {requests.map((req) => {
+                const shift = shiftsById[req.shiftId];
+                const client = shift ? clientsById[shift.clientId] : null;
+                const isSwap = req.kind === SHIFT_CHANGE_KIND.SWAP;
+                const waitingOnCoworker = req.status === SHIFT_CHANGE_STATUS.PENDING_COWORKER;
+                const conflicts = conflictsByRequest[req.id] || [];
+                return (
+                  <li key={req.id} className={s.row}>
+                    <div className={s.rowMain}>
+                      <div className={s.rowWhen}>
+                        {shift ? formatShiftTimeRange(shift, DEFAULT_APP_TIMEZONE) : 'Shift not found'}
+                      </div>
+                      <div className={s.rowClient}>
+                        {client ? clientDisplayName(client) : 'Unknown client'}
+                      </div>
+                      <div className={s.diff}>
+                        <span className={s.kindBadge}>{isSwap ? 'Swap' : 'Drop'}</span>
+                        <span className={s.diffFrom}>{caregiverName(req.requesterCaregiverId)}</span>
+                        <span className={s.diffArrow}>→</span>
+                        {isSwap ? (
+                          <span className={s.diffTo}>{caregiverName(req.targetCaregiverId)}</span>
+                        ) : (
+                          <span className={s.diffNone}>Open</span>
+                        )}
+                      </div>
+                      {req.reason && <div className={s.reason}>“{req.reason}”</div>}
+                      {waitingOnCoworker && (
+                        <div className={s.reason}>Waiting for the coworker to accept</div>
+                      )}
+                      {conflicts.map((msg) => (
+                        <div key={msg} className={s.conflict}>⚠ {msg}</div>
+                      ))}
+                    </div>
+                    <div className={s.rowActions}>
+                      <button
+                        className={btn.secondaryBtn}
+                        onClick={() => handleDecide(req, false)}
+                        disabled={!!busyId || waitingOnCoworker}
+                      >
+                        Deny
+                      </button>
+                      <button
+                        className={btn.primaryBtn}
+                        onClick={() => handleDecide(req, true)}
+                        disabled={!!busyId || waitingOnCoworker || !shift || conflicts.length > 0}
+                        title={conflicts.length > 0 ? 'Resolve the conflict first' : undefined}
+                      >
+                        {busyId === req.id ? 'Saving…' : 'Approve'}
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <div className={s.note}>
+            Approving a <strong>drop</strong> unassigns the shift and sets it back to{' '}
+            <strong>Open</strong> so it can be broadcast. Approving a <strong>swap</strong>{' '}
+            assigns the coworker. Both caregivers get a push notification either way.
+          </div>
+        </div>
+
+        <footer className={s.footer}>
+          <button className={btn.secondaryBtn} onClick={handleClose} disabled={!!busyId}>
+            Done
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { createShift } from './storage';
+import { checkProposedShifts } from './authorizationsStorage';
 import { validateShiftDraft } from './shiftHelpers';
 import { ShiftForm } from './ShiftForm';
 import btn from '../../styles/buttons.module.css';
@@ -12,6 +13,10 @@ import s from './ShiftCreateModal.module.css';
 // time slot. Collects all shift fields, validates, and calls
 // createShift(). On success, fires onCreated(newShift) so the
 // parent can close the modal and refresh the calendar.
+//
+// Before saving, the shift is checked against the client's payer
+// authorizations: going past a unit cap blocks the save; a shift no
+// authorization covers (expired / not started) needs a second click.
 // ═══════════════════════════════════════════════════════════════
 
 export function ShiftCreateModal({
@@ -27,13 +32,21 @@ export function ShiftCreateModal({
   const [draft, setDraft] = useState(initialDraft);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
+  // Authorization warnings the user has seen; a second click creates anyway.
+  const [authWarnings, setAuthWarnings] = useState([]);
 
   // Re-sync when the parent passes a new initialDraft (e.g. different slot clicked)
   useEffect(() => {
     setDraft(initialDraft);
     setError(null);
+    setAuthWarnings([]);
   }, [initialDraft]);
 
+  const handleChange = (next) => {
+    setDraft(next);
+    setAuthWarnings([]);
+  };
+
   const handleSave = async () => {
     const validationError = validateShiftDraft(draft);
     if (validationError) {
@@ -43,6 +56,25 @@ export function ShiftCreateModal({
     setSaving(true);
     setError(null);
     try {
+      if (authWarnings.length === 0) {
+        const issues = await checkProposedShifts(draft.clientId, [
+          {
+            id: 'new',
+            serviceType: draft.serviceType || null,
+            startTime: draft.startTime,
+            endTime: draft.endTime,
+          },
+        ]);
+        const block = issues.find((issue) => issue.severity === 'block');
+        if (block) {
+          setError(block.message);
+          return;
+        }
+        if (issues.length > 0) {
+          setAuthWarnings(issues.map((issue) => issue.message));
+          return;
+        }
+      }
       const payload = {
         clientId: draft.clientId,
         servicePlanId: draft.servicePlanId || null,
@@ -57,8 +89,14 @@ export function ShiftCreateModal({
         // verifies.
         status: draft.assignedCaregiverId ? 'confirmed' : 'open',
         locationAddress: draft.locationAddress || null,
+        serviceType: draft.serviceType || null,
         hourlyRate: draft.hourlyRate ?? null,
         billableRate: draft.billableRate ?? null,
+        sleepHoursPerDay: draft.sleepHoursPerDay ?? null,
+        mealHoursPerDay: draft.mealHoursPerDay ?? null,
+        sleepInterrupted: draft.sleepInterrupted === true,
+        dailyPayRate: draft.dailyPayRate ?? null,
+        dailyBillRate: draft.dailyBillRate ?? null,
         mileage: draft.mileage ?? null,
         requiredSkills: draft.requiredSkills || [],
         instructions: draft.instructions || null,
@@ -101,12 +139,20 @@ export function ShiftCreateModal({
         <div className={s.body}>
           <ShiftForm
             draft={draft}
-            onChange={setDraft}
+            onChange={handleChange}
             clients={clients}
             caregivers={caregivers}
             servicePlans={servicePlans}
             errorMessage={error}
           />
+          {authWarnings.length > 0 && (
+            <div className={s.authWarning} role="alert">
+              {authWarnings.map((message) => (
+                <div key={message}>{message}</div>
+              ))}
+              <div>Click "Create anyway" to save the shift regardless.</div>
+            </div>
+          )}
         </div>
 
         <footer className={s.footer}>
@@ -122,7 +168,7 @@ export function ShiftCreateModal({
             onClick={handleSave}
             disabled={saving}
           >
-            {saving ? 'Creating…' : 'Create shift'}
+            {saving ? 'Creating…' : authWarnings.length > 0 ? 'Create anyway' : 'Create shift'}
           </button>
         </footer>
       </div>
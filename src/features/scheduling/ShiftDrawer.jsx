@@ -11,6 +11,10 @@ import {
 import {
   setRegularCaregiverForDay,
   clearRegularCaregiverForDay,
+  getRulesForServicePlan,
+  pickActiveRule,
+  ruleIsOnDate,
+  ruleToPlain,
 } from './caregiverRulesStorage';
 import { DAY_OF_WEEK_LABELS_LONG } from './recurrenceHelpers';
 import {
@@ -31,6 +35,7 @@ import { ShiftForm } from './ShiftForm';
 import { CaregiverPicker } from './CaregiverPicker';
 import { ConfirmAssignDialog } from './ConfirmAssignDialog';
 import { ClockEventsPanel } from './ClockEventsPanel';
+import { ShiftSlotsPanel } from './ShiftSlotsPanel';
 import { ShiftCarePlanLog } from '../care-plans/ShiftCarePlanLog';
 import btn from '../../styles/buttons.module.css';
 import s from './ShiftDrawer.module.css';
@@ -220,6 +225,23 @@ export function ShiftDrawer({
           // regardless of weekday, which is what users expect when
           // updating a free-text field.
           const isCaregiverChange = 'assignedCaregiverId' in patch;
+
+          // On an A/B (rotating) plan the edited shift belongs to one
+          // week of the rotation: the swap applies to that week's
+          // siblings and rewrites that week's rule, leaving the other
+          // caregiver's weeks alone.
+          let rotatingRule = null;
+          if (isCaregiverChange && shift.servicePlanId) {
+            try {
+              const planRules = (await getRulesForServicePlan(shift.servicePlanId))
+                .map(ruleToPlain);
+              const active = pickActiveRule(planRules, editedDow, editedDateOnly);
+              if (active && active.rotation_weeks > 1) rotatingRule = active;
+            } catch (rulesErr) {
+              console.warn('Failed to load caregiver rules:', rulesErr);
+            }
+          }
+
           const siblings = await getShifts({
             startDate: shift.startTime, // strictly after (inclusive) this shift's start
           });
@@ -235,6 +257,7 @@ export function ShiftDrawer({
                 DEFAULT_APP_TIMEZONE,
               );
               if (sibParts.dayOfWeek !== editedDow) return false;
+              if (rotatingRule && !ruleIsOnDate(rotatingRule, sibParts.dateOnly)) return false;
             }
             return true;
           });
@@ -271,6 +294,10 @@ export function ShiftDrawer({
                     caregiverId: patch.assignedCaregiverId,
                     effectiveFrom: editedDateOnly,
                     createdBy: currentUserName || null,
+                    ...(rotatingRule && {
+                      rotationWeeks: rotatingRule.rotation_weeks,
+                      rotationAnchor: rotatingRule.rotation_anchor,
+                    }),
                   });
                 }
               } else {
@@ -278,6 +305,10 @@ export function ShiftDrawer({
                   servicePlanId: shift.servicePlanId,
                   dayOfWeek: editedDow,
                   effectiveFrom: editedDateOnly,
+                  ...(rotatingRule && {
+                    rotationWeeks: rotatingRule.rotation_weeks,
+                    rotationAnchor: rotatingRule.rotation_anchor,
+                  }),
                 });
               }
             } catch (ruleErr) {
@@ -580,6 +611,7 @@ export function ShiftDrawer({
                 <div className={s.assignmentPicker}>
                   <CaregiverPicker
                     caregivers={caregivers}
+                    clients={clients}
                     clientId={draft.clientId}
                     proposedStartTime={draft.startTime}
                     proposedEndTime={draft.endTime}
@@ -800,6 +832,15 @@ export function ShiftDrawer({
             />
           )}
 
+          <ShiftSlotsPanel
+            shift={shift}
+            caregivers={caregivers}
+            clients={clients}
+            currentUserName={currentUserName}
+            disabled={isTerminal}
+            showToast={showToast}
+          />
+
           {/* Admin view of what the caregiver logged during this shift —
               task ratings, refusals, shift notes. Hides itself when
               there are no observations yet so empty shifts stay tidy. */}
@@ -910,6 +951,7 @@ export function ShiftDrawer({
           shift={shift}
           caregiver={caregivers?.find((c) => c.id === pendingAssignOffer.caregiverId)}
           client={clients?.find((c) => c.id === shift.clientId) || null}
+          clients={clients}
           sending={saving}
           onClose={() => {
             if (!saving) setPendingAssignOffer(null);
@@ -8,12 +8,20 @@ import {
 } from './shiftHelpers';
 import { CaregiverPicker } from './CaregiverPicker';
 import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { RATE_SOURCE, SERVICE_TYPE, SERVICE_TYPE_LABELS } from '../../lib/rateCards';
+import {
+  LIVE_IN_SLEEP_CAP_HOURS,
+  SLEEP_NOT_DEDUCTED,
+  computeLiveInDeductions,
+} from '../../lib/liveIn';
 import {
   applyCaregiverDefaultRate,
   applyClientDefaultRate,
-  matchesCaregiverDefault,
-  matchesClientDefault,
+  applyServiceTypeChange,
+  resolveCaregiverDefault,
+  resolveClientDefault,
 } from './shiftRateDefaults';
+import { getRateCards } from './storage';
 import s from './ShiftForm.module.css';
 
 // ═══════════════════════════════════════════════════════════════
@@ -28,6 +36,58 @@ import s from './ShiftForm.module.css';
 // (modal vs. drawer) without duplicating field logic.
 // ═══════════════════════════════════════════════════════════════
 
+const CARD_SOURCES = new Set([
+  RATE_SOURCE.CAREGIVER_CARD,
+  RATE_SOURCE.CLIENT_CARD,
+  RATE_SOURCE.PAYER_CARD,
+]);
+
+// "(from rate card)" / "(from default)" when the typed rate equals the
+// resolved default, so the office knows where the value came from.
+function rateHint(draftRate, resolved) {
+  if (draftRate === null || draftRate === undefined || draftRate === '') return null;
+  if (resolved.rate === null || Number(draftRate) !== Number(resolved.rate)) return null;
+  return CARD_SOURCES.has(resolved.source) ? '(from rate card)' : '(from default)';
+}
+
+// Live-in settings on the draft. Cleared when the service type moves
+// off live-in so a stale day rate can't keep pricing the shift.
+const LIVE_IN_FIELDS = [
+  'sleepHoursPerDay',
+  'mealHoursPerDay',
+  'sleepInterrupted',
+  'dailyPayRate',
+  'dailyBillRate',
+];
+
+// "Paid 13h of 24h (8h sleep, 3h meals) · 1 day" for the scheduled
+// window, using the same rules payroll applies to the worked window.
+function liveInSummary(draft) {
+  const startMs = new Date(draft.startTime).getTime();
+  const endMs = new Date(draft.endTime).getTime();
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) return null;
+  const durationHours = (endMs - startMs) / 3_600_000;
+  const d = computeLiveInDeductions({
+    durationHours,
+    sleepHoursPerDay: draft.sleepHoursPerDay,
+    mealHoursPerDay: draft.mealHoursPerDay,
+    sleepInterrupted: draft.sleepInterrupted === true,
+  });
+  const parts = [];
+  if (d.sleepHours > 0) parts.push(`${d.sleepHours}h sleep`);
+  if (d.mealHours > 0) parts.push(`${d.mealHours}h meals`);
+  let text = `Paid ${d.paidHours}h of ${Math.round(durationHours * 100) / 100}h`;
+  if (parts.length > 0) text += ` (${parts.join(', ')})`;
+  text += ` · ${d.days} ${d.days === 1 ? 'day' : 'days'}`;
+  if (d.sleepNotDeducted === SLEEP_NOT_DEDUCTED.SHORT_DUTY) text += ' · under 24h, sleep counts as work';
+  if (d.sleepCapped) text += ` · sleep capped at ${LIVE_IN_SLEEP_CAP_HOURS}h/day`;
+  return text;
+}
+
+function numberOrNull(value) {
+  return value === '' ? null : Number(value);
+}
+
 export function ShiftForm({
   draft,
   onChange,
@@ -38,6 +98,18 @@ export function ShiftForm({
   hideAssignment = false,
 }) {
   const [skillsInput, setSkillsInput] = useState(formatSkillsInput(draft.requiredSkills || []));
+  const [rateCards, setRateCards] = useState([]);
+
+  // Rate cards drive the rate prefill. Best-effort: on failure (or for
+  // non-admins, who can't read the cards) the form falls back to the
+  // flat defaults and the DB trigger applies the cards on save.
+  useEffect(() => {
+    let cancelled = false;
+    getRateCards()
+      .then((rows) => { if (!cancelled) setRateCards(rows); })
+      .catch((e) => console.warn('Rate cards unavailable:', e?.message || e));
+    return () => { cancelled = true; };
+  }, []);
 
   // Keep the skills input in sync when the parent resets the draft
   useEffect(() => {
@@ -69,6 +141,9 @@ export function ShiftForm({
     () => caregivers?.find((c) => c.id === draft.assignedCaregiverId) ?? null,
     [caregivers, draft.assignedCaregiverId],
   );
+  const payDefault = resolveCaregiverDefault(draft, assignedCaregiver, rateCards);
+  const billDefault = resolveClientDefault(draft, selectedClient, rateCards);
+  const liveInText = draft.serviceType === SERVICE_TYPE.LIVE_IN ? liveInSummary(draft) : null;
 
   const setField = (field, value) => onChange({ ...draft, [field]: value });
 
@@ -86,22 +161,51 @@ export function ShiftForm({
     // (Sprint 4 / migration 20260526000000). Never overwrites an
     // explicit value; the DB trigger is the safety net for any path
     // that bypasses this form.
-    const merged = applyClientDefaultRate({ ...draft, ...patch }, client);
+    const merged = applyClientDefaultRate({ ...draft, ...patch }, client, rateCards);
     onChange(merged);
   };
 
   const handleAssignedCaregiverChange = (id) => {
     const caregiver = caregivers?.find((c) => c.id === id);
-    const merged = applyCaregiverDefaultRate({ ...draft, assignedCaregiverId: id }, caregiver);
+    const merged = applyCaregiverDefaultRate({ ...draft, assignedCaregiverId: id }, caregiver, rateCards);
     onChange(merged);
   };
 
+  const handleServiceTypeChange = (e) => {
+    const next = applyServiceTypeChange(draft, e.target.value, {
+      client: selectedClient,
+      caregiver: assignedCaregiver,
+      rateCards,
+    });
+    if (next.serviceType !== SERVICE_TYPE.LIVE_IN) {
+      for (const field of LIVE_IN_FIELDS) {
+        if (field in next) next[field] = field === 'sleepInterrupted' ? false : null;
+      }
+    }
+    onChange(next);
+  };
+
   const handleServicePlanChange = (e) => {
     const servicePlanId = e.target.value || null;
     const plan = servicePlans?.find((p) => p.id === servicePlanId);
     const patch = { servicePlanId };
     if (plan && !draft.notes && plan.notes) patch.notes = plan.notes;
-    onChange({ ...draft, ...patch });
+    // A live-in plan makes the shift live-in and fills any live-in
+    // setting the draft doesn't already have.
+    let next = { ...draft, ...patch };
+    if (plan?.liveIn) {
+      if (next.serviceType !== SERVICE_TYPE.LIVE_IN) {
+        next = applyServiceTypeChange(next, SERVICE_TYPE.LIVE_IN, {
+          client: selectedClient,
+          caregiver: assignedCaregiver,
+          rateCards,
+        });
+      }
+      for (const field of ['sleepHoursPerDay', 'mealHoursPerDay', 'dailyPayRate', 'dailyBillRate']) {
+        if (next[field] == null && plan[field] != null) next[field] = plan[field];
+      }
+    }
+    onChange(next);
   };
 
   const handleStartDateChange = (e) => {
@@ -243,6 +347,7 @@ export function ShiftForm({
             Assigned caregiver <span className={s.hint}>(leave blank for open)</span>
             <CaregiverPicker
               caregivers={caregivers}
+              clients={clients}
               clientId={draft.clientId}
               proposedStartTime={draft.startTime}
               proposedEndTime={draft.endTime}
@@ -268,18 +373,108 @@ export function ShiftForm({
         </label>
       </div>
 
+      {/* ── Service type ── */}
+      <div className={s.row}>
+        <label className={s.field}>
+          Service type <span className={s.hint}>(picks the rate card)</span>
+          <select
+            className={s.input}
+            value={draft.serviceType || ''}
+            onChange={handleServiceTypeChange}
+          >
+            <option value="">Not set</option>
+            {Object.entries(SERVICE_TYPE_LABELS).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* ── Live-in ── */}
+      {/* Sleep / meal hours are per 24h day. Payroll excludes them from
+          hours worked (sleep capped at 8h/day and only for 24h+ of
+          duty) and turns the daily pay rate into an hourly equivalent;
+          the daily bill rate invoices per day with no OT premium. See
+          src/lib/liveIn.js. */}
+      {draft.serviceType === SERVICE_TYPE.LIVE_IN && (
+        <div className={s.liveInBox}>
+          <div className={s.row}>
+            <label className={s.field}>
+              Sleep hours per day <span className={s.hint}>(max {LIVE_IN_SLEEP_CAP_HOURS} excluded)</span>
+              <input
+                className={s.input}
+                type="number"
+                min="0"
+                max="24"
+                step="0.5"
+                value={draft.sleepHoursPerDay ?? ''}
+                onChange={(e) => setField('sleepHoursPerDay', numberOrNull(e.target.value))}
+                placeholder="8"
+              />
+            </label>
+            <label className={s.field}>
+              Meal hours per day <span className={s.hint}>(unpaid, relieved of duty)</span>
+              <input
+                className={s.input}
+                type="number"
+                min="0"
+                max="24"
+                step="0.25"
+                value={draft.mealHoursPerDay ?? ''}
+                onChange={(e) => setField('mealHoursPerDay', numberOrNull(e.target.value))}
+                placeholder="3"
+              />
+            </label>
+          </div>
+          <div className={s.row}>
+            <label className={s.field}>
+              Daily pay rate <span className={s.hint}>($/day to caregiver; replaces hourly)</span>
+              <input
+                className={s.input}
+                type="number"
+                min="0"
+                step="1"
+                value={draft.dailyPayRate ?? ''}
+                onChange={(e) => setField('dailyPayRate', numberOrNull(e.target.value))}
+                placeholder="240"
+              />
+            </label>
+            <label className={s.field}>
+              Daily bill rate <span className={s.hint}>($/day to client; replaces hourly)</span>
+              <input
+                className={s.input}
+                type="number"
+                min="0"
+                step="1"
+                value={draft.dailyBillRate ?? ''}
+                onChange={(e) => setField('dailyBillRate', numberOrNull(e.target.value))}
+                placeholder="380"
+              />
+            </label>
+          </div>
+          <label className={s.checkboxRow}>
+            <input
+              type="checkbox"
+              checked={draft.sleepInterrupted === true}
+              onChange={(e) => setField('sleepInterrupted', e.target.checked)}
+            />
+            Sleep was interrupted <span className={s.hint}>(under 5h of sleep — the night is paid)</span>
+          </label>
+          {liveInText && <div className={s.liveInSummary}>{liveInText}</div>}
+        </div>
+      )}
+
       {/* ── Rates + mileage ── */}
-      {/* Auto-fill: hourly_rate prefills from caregiver.defaultPayRate
-          when a caregiver is assigned; billable_rate prefills from
-          client.defaultBillableRate when a client is selected. The "(from
-          default)" hint appears when the input value matches the default. */}
+      {/* Auto-fill: hourly_rate prefills from the caregiver's rate card
+          for the service type, else caregiver.defaultPayRate; billable_rate
+          from the client / payer rate card, else
+          client.defaultBillableRate. The "(from rate card)" / "(from
+          default)" hint appears when the input value matches. */}
       <div className={s.row3}>
         <label className={s.field}>
           Hourly rate{' '}
           <span className={s.hint}>
-            {matchesCaregiverDefault(draft.hourlyRate, assignedCaregiver)
-              ? '(from default)'
-              : '($/hr paid to caregiver)'}
+            {rateHint(draft.hourlyRate, payDefault) || '($/hr paid to caregiver)'}
           </span>
           <input
             className={s.input}
@@ -288,15 +483,13 @@ export function ShiftForm({
             step="0.25"
             value={draft.hourlyRate ?? ''}
             onChange={(e) => setField('hourlyRate', e.target.value === '' ? null : Number(e.target.value))}
-            placeholder={assignedCaregiver?.defaultPayRate != null ? String(assignedCaregiver.defaultPayRate) : '24.50'}
+            placeholder={payDefault.rate != null ? String(payDefault.rate) : '24.50'}
           />
         </label>
         <label className={s.field}>
           Billable rate{' '}
           <span className={s.hint}>
-            {matchesClientDefault(draft.billableRate, selectedClient)
-              ? '(from default)'
-              : '($/hr to client)'}
+            {rateHint(draft.billableRate, billDefault) || '($/hr to client)'}
           </span>
           <input
             className={s.input}
@@ -305,7 +498,7 @@ export function ShiftForm({
             step="0.25"
             value={draft.billableRate ?? ''}
             onChange={(e) => setField('billableRate', e.target.value === '' ? null : Number(e.target.value))}
-            placeholder={selectedClient?.defaultBillableRate != null ? String(selectedClient.defaultBillableRate) : '35.00'}
+            placeholder={billDefault.rate != null ? String(billDefault.rate) : '35.00'}
           />
         </label>
         <label className={s.field}>
@@ -0,0 +1,291 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { supabase } from '../../lib/supabase';
+import {
+  getShiftSlots,
+  createShiftSlot,
+  updateShiftSlot,
+  deleteShiftSlot,
+} from './storage';
+import {
+  SHIFT_SLOT_ROLE,
+  MAX_SHIFT_SLOTS,
+  slotRoleLabel,
+  validateSlotAssignment,
+} from '../../lib/scheduling/shiftSlots';
+import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { CaregiverPicker } from './CaregiverPicker';
+import { ClockEventsPanel } from './ClockEventsPanel';
+import btn from '../../styles/buttons.module.css';
+import s from './ShiftSlotsPanel.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// ShiftSlotsPanel — "Care team" section of the ShiftDrawer
+//
+// Extra caregivers on a multi-caregiver visit (two-person assists,
+// a nurse alongside the caregiver, a trainee shadowing). The lead
+// stays the shift's assigned caregiver; each slot here has a role,
+// a caregiver (or is still open), and whether the client is billed
+// for them. Rules live in src/lib/scheduling/shiftSlots.js.
+//
+// The caregiver picker runs the usual conflict and availability
+// ranking for the slot; the same caregiver can't hold two places on
+// one shift. Each filled slot gets its own "Time on shift" panel —
+// slot caregivers clock in and out on their own.
+// ═══════════════════════════════════════════════════════════════
+
+const ROLE_OPTIONS = Object.values(SHIFT_SLOT_ROLE);
+
+// snake_case views for the shared helpers.
+const toHelperShift = (shift) => ({
+  id: shift.id,
+  assigned_caregiver_id: shift.assignedCaregiverId ?? null,
+});
+const toHelperSlot = (slot) => ({
+  id: slot.id,
+  shift_id: slot.shiftId,
+  role: slot.role,
+  caregiver_id: slot.caregiverId,
+  billable: slot.billable,
+});
+
+const EMPTY_FORM = { role: SHIFT_SLOT_ROLE.ASSIST, caregiverId: null, billable: false };
+
+export function ShiftSlotsPanel({
+  shift,
+  caregivers,
+  clients,
+  currentUserName,
+  disabled = false,
+  showToast,
+}) {
+  const [slots, setSlots] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  // null = closed; { slotId: null } adds, { slotId } edits that slot.
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!shift?.id) return;
+    setLoadError(null);
+    try {
+      setSlots(await getShiftSlots(shift.id));
+    } catch (e) {
+      console.error('Load shift slots failed:', e);
+      setLoadError(e.message || 'Failed to load the care team.');
+    }
+  }, [shift?.id]);
+
+  useEffect(() => {
+    load();
+    setForm(null);
+    setFormError(null);
+  }, [load]);
+
+  useEffect(() => {
+    if (!supabase || !shift?.id) return undefined;
+    const channel = supabase
+      .channel(`shift-slots-${shift.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'shift_slots',
+          filter: `shift_id=eq.${shift.id}`,
+        },
+        () => load(),
+      )
+      .subscribe();
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [shift?.id, load]);
+
+  const caregiverName = useCallback(
+    (id) => {
+      const cg = caregivers?.find((c) => c.id === id);
+      return cg ? `${cg.firstName || ''} ${cg.lastName || ''}`.trim() || 'Caregiver' : 'Unknown caregiver';
+    },
+    [caregivers],
+  );
+
+  const filledSlots = useMemo(() => slots.filter((sl) => sl.caregiverId), [slots]);
+
+  const openForm = (slot) => {
+    setFormError(null);
+    setForm(slot
+      ? { slotId: slot.id, role: slot.role, caregiverId: slot.caregiverId, billable: slot.billable }
+      : { slotId: null, ...EMPTY_FORM });
+  };
+
+  const handleSave = async () => {
+    const invalid = validateSlotAssignment({
+      shift: toHelperShift(shift),
+      slots: slots.map(toHelperSlot),
+      slotId: form.slotId,
+      role: form.role,
+      caregiverId: form.caregiverId,
+    });
+    if (invalid) {
+      setFormError(invalid);
+      return;
+    }
+    setBusy(true);
+    setFormError(null);
+    try {
+      const fields = { role: form.role, caregiverId: form.caregiverId, billable: form.billable };
+      if (form.slotId) {
+        await updateShiftSlot(form.slotId, fields);
+      } else {
+        await createShiftSlot({ shiftId: shift.id, ...fields, createdBy: currentUserName || null });
+      }
+      setForm(null);
+      showToast?.(form.slotId ? 'Care team updated' : 'Caregiver slot added');
+      await load();
+    } catch (e) {
+      console.error('Save shift slot failed:', e);
+      setFormError(e.message || 'Failed to save the slot.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (slot) => {
+    setBusy(true);
+    try {
+      await deleteShiftSlot(slot.id);
+      if (form?.slotId === slot.id) setForm(null);
+      showToast?.('Caregiver slot removed');
+      await load();
+    } catch (e) {
+      console.error('Remove shift slot failed:', e);
+      setLoadError(e.message || 'Failed to remove the slot.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Nothing to show on a finished shift that never had a care team.
+  if (disabled && slots.length === 0) return null;
+
+  return (
+    <>
+      <section className={s.panel}>
+        <div className={s.panelHeader}>
+          <strong className={s.panelTitle}>Care team</strong>
+          {!disabled && !form && slots.length < MAX_SHIFT_SLOTS && (
+            <button type="button" className={s.addBtn} onClick={() => openForm(null)} disabled={busy}>
+              Add caregiver
+            </button>
+          )}
+        </div>
+
+        <ul className={s.slotList}>
+          <li className={s.slotRow}>
+            <span className={s.roleTag}>{slotRoleLabel('lead')}</span>
+            <span className={s.slotName}>
+              {shift.assignedCaregiverId
+                ? caregiverName(shift.assignedCaregiverId)
+                : <span className={s.muted}>Not assigned</span>}
+            </span>
+            <span className={s.billableTag}>Billed</span>
+          </li>
+          {slots.map((slot) => (
+            <li key={slot.id} className={s.slotRow}>
+              <span className={s.roleTag}>{slotRoleLabel(slot.role)}</span>
+              <span className={s.slotName}>
+                {slot.caregiverId
+                  ? caregiverName(slot.caregiverId)
+                  : <span className={s.openTag}>Open</span>}
+              </span>
+              {slot.billable
+                ? <span className={s.billableTag}>Billed</span>
+                : <span className={s.muted}>Not billed</span>}
+              {!disabled && (
+                <span className={s.slotActions}>
+                  <button type="button" className={s.linkBtn} onClick={() => openForm(slot)} disabled={busy}>
+                    Edit
+                  </button>
+                  <button type="button" className={s.linkBtnDanger} onClick={() => handleRemove(slot)} disabled={busy}>
+                    Remove
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {form && (
+          <div className={s.form}>
+            <div className={s.formTitle}>{form.slotId ? 'Edit slot' : 'Add a caregiver'}</div>
+            <div className={s.fieldRow}>
+              <label className={s.field}>
+                <span className={s.fieldLabel}>Role</span>
+                <select
+                  className={s.input}
+                  value={form.role}
+                  onChange={(e) => setForm((f) => ({ ...f, role: e.target.value }))}
+                  disabled={busy}
+                >
+                  {ROLE_OPTIONS.map((role) => (
+                    <option key={role} value={role}>{slotRoleLabel(role)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={s.checkboxField}>
+                <input
+                  type="checkbox"
+                  checked={form.billable}
+                  onChange={(e) => setForm((f) => ({ ...f, billable: e.target.checked }))}
+                  disabled={busy}
+                />
+                <span>Bill the client for this caregiver</span>
+              </label>
+            </div>
+            <CaregiverPicker
+              caregivers={caregivers}
+              clients={clients}
+              clientId={shift.clientId}
+              proposedStartTime={shift.startTime}
+              proposedEndTime={shift.endTime}
+              shiftId={shift.id}
+              value={form.caregiverId}
+              onChange={(id) => setForm((f) => ({ ...f, caregiverId: id }))}
+            />
+            {!form.caregiverId && (
+              <p className={s.hint}>Leave the caregiver empty to hold the slot open.</p>
+            )}
+            {formError && <div className={s.errorBox}>{formError}</div>}
+            <div className={s.formActions}>
+              <button type="button" className={btn.secondaryBtn} onClick={() => setForm(null)} disabled={busy}>
+                Cancel
+              </button>
+              <button type="button" className={btn.primaryBtn} onClick={handleSave} disabled={busy}>
+                {busy ? 'Saving…' : 'Save slot'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {loadError && <div className={s.errorBox}>{loadError}</div>}
+      </section>
+
+      {filledSlots.map((slot) => (
+        <ClockEventsPanel
+          key={slot.id}
+          title={`Time on shift — ${caregiverName(slot.caregiverId)}`}
+          shiftId={shift.id}
+          caregiverId={slot.caregiverId}
+          shiftStatus={shift.status}
+          scheduledStart={shift.startTime}
+          scheduledEnd={shift.endTime}
+          currentUserName={currentUserName}
+          timezone={DEFAULT_APP_TIMEZONE}
+          disabled={disabled}
+          affectsShiftStatus={false}
+        />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,321 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  getTimeOffRequests,
+  getShiftsForCaregivers,
+  decideTimeOffRequest,
+} from './storage';
+import { formatShiftTimeRange } from './shiftHelpers';
+import {
+  TIME_OFF_STATUS,
+  todayInZone,
+  timeOffWindowMs,
+  timeOffConflictingShifts,
+  formatTimeOffDates,
+  timeOffDecisionPush,
+} from '../../lib/scheduling/timeOffRequests';
+import { DEFAULT_APP_TIMEZONE } from '../../lib/scheduling/timezone';
+import { clientDisplayName } from '../../lib/clientSort';
+import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import btn from '../../styles/buttons.module.css';
+import s from './TimeOffRequestsModal.module.css';
+
+// ═══════════════════════════════════════════════════════════════
+// TimeOffRequestsModal
+//
+// The office's queue of time-off requests caregivers send from the
+// PWA's Availability screen, plus the fallout of ones already
+// approved.
+//
+//   - Waiting for approval: each request lists the caregiver's
+//     assigned shifts inside the dates, so the office can see what
+//     approving would leave uncovered. Approving writes the pinned
+//     "unavailable" availability row (decideTimeOffRequest, storage.js)
+//     and pushes the decision to the caregiver through send-push.
+//   - Needs coverage: assigned shifts that fall inside approved time
+//     off. Clicking one opens it in the shift drawer to reassign,
+//     broadcast or cancel; it drops off the list once it's handled.
+// ═══════════════════════════════════════════════════════════════
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toHelperShift = (sh) => ({
+  id: sh.id,
+  assigned_caregiver_id: sh.assignedCaregiverId,
+  status: sh.status,
+  start_time: sh.startTime,
+  end_time: sh.endTime,
+});
+
+// snake_case view of an app-shape request for the shared helpers.
+const toHelperRequest = (req) => ({
+  id: req.id,
+  caregiver_id: req.caregiverId,
+  start_date: req.startDate,
+  end_date: req.endDate,
+  reason: req.reason,
+  status: req.status,
+});
+
+export function TimeOffRequestsModal({
+  caregivers,
+  clients,
+  currentUserName,
+  currentUserEmail,
+  onClose,
+  onDecided,
+  onOpenShift,
+  showToast,
+}) {
+  const [requests, setRequests] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [decidedCount, setDecidedCount] = useState(0);
+
+  const caregiversById = useMemo(() => {
+    const map = {};
+    for (const c of caregivers || []) map[c.id] = c;
+    return map;
+  }, [caregivers]);
+  const clientsById = useMemo(() => {
+    const map = {};
+    for (const c of clients || []) map[c.id] = c;
+    return map;
+  }, [clients]);
+
+  const load = useCallback(async () => {
+    setLoadError(null);
+    try {
+      const rows = await getTimeOffRequests({
+        statuses: [TIME_OFF_STATUS.PENDING, TIME_OFF_STATUS.APPROVED],
+        fromDate: todayInZone(new Date(), DEFAULT_APP_TIMEZONE),
+      });
+
+      // The requesting caregivers' shifts across every request's dates.
+      let caregiverShifts = [];
+      const windows = rows
+        .map((r) => timeOffWindowMs(toHelperRequest(r), DEFAULT_APP_TIMEZONE))
+        .filter(Boolean);
+      if (windows.length > 0) {
+        caregiverShifts = await getShiftsForCaregivers({
+          caregiverIds: Array.from(new Set(rows.map((r) => r.caregiverId))),
+          // A shift starting the evening before can run into the first day.
+          startDate: new Date(Math.min(...windows.map((w) => w.startMs)) - DAY_MS).toISOString(),
+          endDate: new Date(Math.max(...windows.map((w) => w.endMs))).toISOString(),
+        });
+      }
+
+      setShifts(caregiverShifts);
+      setRequests(rows);
+    } catch (e) {
+      console.error('Failed to load time-off requests:', e);
+      setLoadError(e.message || 'Failed to load requests');
+      setRequests([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // request id → the app-shape shifts it overlaps
+  const shiftsByRequest = useMemo(() => {
+    const out = {};
+    const byId = {};
+    for (const sh of shifts) byId[sh.id] = sh;
+    const helperShifts = shifts.map(toHelperShift);
+    for (const req of requests || []) {
+      out[req.id] = timeOffConflictingShifts(toHelperRequest(req), helperShifts, DEFAULT_APP_TIMEZONE)
+        .map((sh) => byId[sh.id]);
+    }
+    return out;
+  }, [requests, shifts]);
+
+  const pending = (requests || []).filter((r) => r.status === TIME_OFF_STATUS.PENDING);
+  const approved = (requests || []).filter((r) => r.status === TIME_OFF_STATUS.APPROVED);
+  const needsCoverage = approved.flatMap((req) =>
+    (shiftsByRequest[req.id] || []).map((shift) => ({ req, shift })),
+  );
+
+  const caregiverName = (id) => {
+    const cg = caregiversById[id];
+    return cg ? `${cg.firstName || ''} ${cg.lastName || ''}`.trim() || id : 'Unknown caregiver';
+  };
+
+  const shiftLabel = (shift) => {
+    const client = clientsById[shift.clientId];
+    return `${formatShiftTimeRange(shift, DEFAULT_APP_TIMEZONE)} · ${client ? clientDisplayName(client) : 'Unknown client'}`;
+  };
+
+  // Best-effort: a failed push never undoes the decision.
+  const notify = async (req, approve) => {
+    if (!isSupabaseConfigured()) return;
+    try {
+      await supabase.functions.invoke('send-push', {
+        body: {
+          ...timeOffDecisionPush(approve, toHelperRequest(req)),
+          caregiver_ids: [req.caregiverId],
+        },
+      });
+    } catch (e) {
+      console.warn('Time-off push failed:', e);
+    }
+  };
+
+  const handleDecide = async (req, approve) => {
+    setBusyId(req.id);
+    try {
+      await decideTimeOffRequest(req.id, {
+        approve,
+        decidedBy: currentUserName || currentUserEmail || null,
+      });
+      await notify(req, approve);
+      setDecidedCount((n) => n + 1);
+      const uncovered = (shiftsByRequest[req.id] || []).length;
+      let message = approve ? 'Time off approved' : 'Time off denied';
+      if (approve && uncovered > 0) {
+        message += ` — ${uncovered} shift${uncovered === 1 ? '' : 's'} to cover`;
+      }
+      showToast?.(message);
+    } catch (e) {
+      console.error('Time-off decision failed:', e);
+      showToast?.(`Couldn't update the request: ${e.message || e}`);
+    } finally {
+      setBusyId(null);
+      await load();
+    }
+  };
+
+  const handleClose = () => {
+    if (decidedCount > 0) onDecided?.(decidedCount);
+    onClose?.();
+  };
+
+  const handleOpenShift = (shift) => {
+    handleClose();
+    onOpenShift?.(shift);
+  };
+
+  return (
+    <div className={s.backdrop} onClick={busyId ? undefined : handleClose}>
+      <div
+        className={s.dialog}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="time-off-requests-title"
+      >
+        <header className={s.header}>
+          <div>
+            <h2 id="time-off-requests-title" className={s.title}>
+              Time off
+            </h2>
+            <div className={s.subtitle}>
+              Caregiver requests from the app, soonest first
+            </div>
+          </div>
+          <button
+            className={s.closeBtn}
+            onClick={handleClose}
+            disabled={!!busyId}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </header>
+
+        <div className={s.body}>
+          {loadError && <div className={s.error}>{loadError}</div>}
+
+          {requests == null ? (
+            <div className={s.loading}>Loading requests…</div>
+          ) : (
+            <>
+              <h3 className={s.sectionTitle}>Waiting for approval</h3>
+              {pending.length === 0 ? (
+                <div className={s.empty}>No pending requests.</div>
+              ) : (
+                <ul className={s.list}>
+                  {pending.map((req) => {
+                    const affected = shiftsByRequest[req.id] || [];
+                    return (
+                      <li key={req.id} className={s.row}>
+                        <div className={s.rowMain}>
+                          <div className={s.rowWhen}>{formatTimeOffDates(toHelperRequest(req))}</div>
+                          <div className={s.rowClient}>{caregiverName(req.caregiverId)}</div>
+                          {req.reason && <div className={s.reason}>“{req.reason}”</div>}
+                          {affected.length > 0 && (
+                            <div className={s.conflict}>
+                              ⚠ {affected.length} assigned shift{affected.length === 1 ? '' : 's'} in these dates
+                            </div>
+                          )}
+                          {affected.map((shift) => (
+                            <div key={shift.id} className={s.reason}>{shiftLabel(shift)}</div>
+                          ))}
+                        </div>
+                        <div className={s.rowActions}>
+                          <button
+                            className={btn.secondaryBtn}
+                            onClick={() => handleDecide(req, false)}
+                            disabled={!!busyId}
+                          >
+                            Deny
+                          </button>
+                          <button
+                            className={btn.primaryBtn}
+                            onClick={() => handleDecide(req, true)}
+                            disabled={!!busyId}
+                          >
+                            {busyId === req.id ? 'Saving…' : 'Approve'}
+                          </button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+
+              <h3 className={s.sectionTitle}>Needs coverage</h3>
+              {needsCoverage.length === 0 ? (
+                <div className={s.empty}>No shifts fall inside approved time off.</div>
+              ) : (
+                <ul className={s.list}>
+                  {needsCoverage.map(({ req, shift }) => (
+                    <li key={shift.id} className={s.row}>
+                      <div className={s.rowMain}>
+                        <div className={s.rowWhen}>{formatShiftTimeRange(shift, DEFAULT_APP_TIMEZONE)}</div>
+                        <div className={s.rowClient}>
+                          {clientsById[shift.clientId]
+                            ? clientDisplayName(clientsById[shift.clientId])
+                            : 'Unknown client'}
+                        </div>
+                        <div className={s.reason}>
+                          {caregiverName(req.caregiverId)} is off {formatTimeOffDates(toHelperRequest(req))}
+                        </div>
+                        <button type="button" className={s.shiftLink} onClick={() => handleOpenShift(shift)}>
+                          Open shift →
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+
+          <div className={s.note}>
+            Approving blocks the dates in the caregiver&rsquo;s availability so they
+            stop getting offers. Shifts they&rsquo;re already on stay assigned and show
+            under <strong>Needs coverage</strong> (and flagged on the calendar) until
+            you reassign or cancel them.
+          </div>
+        </div>
+
+        <footer className={s.footer}>
+          <button className={btn.secondaryBtn} onClick={handleClose} disabled={!!busyId}>
+            Done
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
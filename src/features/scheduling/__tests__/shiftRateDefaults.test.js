@@ -6,6 +6,8 @@ import {
   applyClientDefaultRate,
   matchesCaregiverDefault,
   matchesClientDefault,
+  applyServiceTypeChange,
+  resolveClientDefault,
 } from '../shiftRateDefaults';
 
 // ─── applyCaregiverDefaultRate ───────────────────────────────
@@ -145,3 +147,47 @@ describe('matchesClientDefault', () => {
     expect(matchesClientDefault(35, { defaultBillableRate: null })).toBe(false);
   });
 });
+
+// ─── Rate cards ──────────────────────────────────────────────
+
+describe('rate card prefill', () => {
+  // 10:00 PT on a Monday.
+  const startTime = '2026-06-08T17:00:00.000Z';
+  const caregiver = { id: 'cg-1', defaultPayRate: 20 };
+  const client = { id: 'cl-1', payerType: 'medicaid', defaultBillableRate: 35 };
+  const rateCards = [
+    { scope: 'caregiver', caregiver_id: 'cg-1', service_type: 'live_in', rate: 18 },
+    { scope: 'client', client_id: 'cl-1', service_type: 'personal_care', rate: 42 },
+    { scope: 'payer', payer_type: 'medicaid', service_type: 'live_in', rate: 30 },
+    {
+      scope: 'client', client_id: 'cl-1', service_type: 'companion', rate: 38,
+      effective_from: '2026-07-01',
+    },
+  ];
+
+  it('fills from the card for the draft service type', () => {
+    const draft = { startTime, serviceType: 'live_in', hourlyRate: null, billableRate: null };
+    expect(applyCaregiverDefaultRate(draft, caregiver, rateCards).hourlyRate).toBe(18);
+    expect(applyClientDefaultRate(draft, client, rateCards).billableRate).toBe(30);
+  });
+
+  it('falls back to the flat default when no card is in effect', () => {
+    const draft = { startTime, serviceType: 'companion', billableRate: null };
+    expect(resolveClientDefault(draft, client, rateCards)).toEqual({
+      rate: 35, source: 'client_default',
+    });
+  });
+
+  it('re-prices auto-filled rates when the service type changes', () => {
+    const draft = { startTime, serviceType: 'live_in', hourlyRate: 18, billableRate: 30 };
+    const out = applyServiceTypeChange(draft, 'personal_care', { client, caregiver, rateCards });
+    expect(out).toMatchObject({ serviceType: 'personal_care', hourlyRate: 20, billableRate: 42 });
+  });
+
+  it('leaves a typed rate alone when the service type changes', () => {
+    const draft = { startTime, serviceType: 'live_in', hourlyRate: 26, billableRate: 30 };
+    const out = applyServiceTypeChange(draft, 'personal_care', { client, caregiver, rateCards });
+    expect(out.hourlyRate).toBe(26);
+    expect(out.billableRate).toBe(42);
+  });
+});
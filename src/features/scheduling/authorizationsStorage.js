@@ -0,0 +1,218 @@
+import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import {
+  authorizationUsageWindow,
+  checkShiftsAgainstAuthorizations,
+  evaluateAuthorizations,
+} from '../../lib/authorizations';
+import { DEFAULT_APP_TIMEZONE, utcMsToWallClockParts } from '../../lib/scheduling/timezone';
+
+// ═══════════════════════════════════════════════════════════════
+// Scheduling Storage — client_authorizations
+//
+// Payer authorizations (Medi-Cal waiver, VA, …) that cap units of
+// service per week / month / total. The counting rules live in
+// src/lib/authorizations.js; this module loads the rows and the
+// shifts + clock events they're counted against.
+//
+// Defensive about pre-migration deploys, same as
+// caregiverRulesStorage: Vercel previews hit the production database,
+// so reads treat a missing table as "no authorizations" (and every
+// check passes) instead of breaking the client page or shift
+// creation. Writes still throw so nothing is silently dropped.
+// ═══════════════════════════════════════════════════════════════
+
+const RELATION_MISSING_CODES = new Set(['42P01', 'PGRST205']);
+
+let warnedMissingTable = false;
+
+function isMissingTableError(err) {
+  if (!err) return false;
+  if (err.code && RELATION_MISSING_CODES.has(err.code)) return true;
+  const msg = String(err.message || '');
+  return (
+    msg.includes('client_authorizations" does not exist') ||
+    msg.includes('Could not find the table')
+  );
+}
+
+function logMissingTableOnce(operation) {
+  if (warnedMissingTable) return;
+  warnedMissingTable = true;
+  console.warn(
+    `[authorizationsStorage] ${operation}: client_authorizations table not found. ` +
+      'Apply the 20260611000000 migration to enable authorization tracking.',
+  );
+}
+
+export const dbToAuthorization = (row) => ({
+  id: row.id,
+  orgId: row.org_id,
+  clientId: row.client_id,
+  payer: row.payer,
+  authNumber: row.auth_number,
+  serviceCode: row.service_code ?? null,
+  serviceType: row.service_type ?? null,
+  unitCap: row.unit_cap != null ? Number(row.unit_cap) : null,
+  unitMinutes: row.unit_minutes != null ? Number(row.unit_minutes) : 60,
+  capPeriod: row.cap_period,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  notes: row.notes ?? null,
+  createdBy: row.created_by ?? null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+export const authorizationToDb = (auth) => ({
+  client_id: auth.clientId,
+  payer: auth.payer,
+  auth_number: auth.authNumber,
+  service_code: auth.serviceCode || null,
+  service_type: auth.serviceType || null,
+  unit_cap: auth.unitCap,
+  unit_minutes: auth.unitMinutes ?? 60,
+  cap_period: auth.capPeriod,
+  start_date: auth.startDate,
+  end_date: auth.endDate,
+  notes: auth.notes || null,
+});
+
+// Shape used by the pure helpers in src/lib/authorizations.js
+// (snake_case, matching the DB row).
+export const authorizationToPlain = (auth) => ({
+  id: auth.id,
+  ...authorizationToDb(auth),
+});
+
+const shiftToPlain = (shift) => ({
+  id: shift.id,
+  client_id: shift.clientId,
+  service_type: shift.serviceType ?? null,
+  start_time: shift.startTime,
+  end_time: shift.endTime,
+  status: shift.status,
+});
+
+export async function getAuthorizationsForClient(clientId) {
+  if (!isSupabaseConfigured() || !clientId) return [];
+  const { data, error } = await supabase
+    .from('client_authorizations')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('end_date', { ascending: false });
+  if (error) {
+    if (isMissingTableError(error)) {
+      logMissingTableOnce('getAuthorizationsForClient');
+      return [];
+    }
+    throw error;
+  }
+  return (data || []).map(dbToAuthorization);
+}
+
+export async function createAuthorization(auth, { createdBy } = {}) {
+  const { data, error } = await supabase
+    .from('client_authorizations')
+    .insert({ ...authorizationToDb(auth), created_by: createdBy || null })
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToAuthorization(data);
+}
+
+export async function updateAuthorization(id, auth) {
+  const { data, error } = await supabase
+    .from('client_authorizations')
+    .update(authorizationToDb(auth))
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToAuthorization(data);
+}
+
+export async function deleteAuthorization(id) {
+  const { error } = await supabase.from('client_authorizations').delete().eq('id', id);
+  if (error) throw error;
+}
+
+/**
+ * Load a client's shifts (and their clock-in / clock-out events) for
+ * a YYYY-MM-DD window, in the snake_case shape the authorization
+ * helpers take. Cancelled / no-show shifts are left out.
+ */
+async function loadShiftsForUsage(clientId, window) {
+  // Pad a day each side in UTC; the helpers place each shift in its
+  // cap period by its start date in the app timezone.
+  const pad = (date, days) => {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString();
+  };
+  const { data: shifts, error } = await supabase
+    .from('shifts')
+    .select('id, client_id, service_type, start_time, end_time, status')
+    .eq('client_id', clientId)
+    .not('status', 'in', '(cancelled,no_show)')
+    .gte('start_time', pad(window.start, -1))
+    .lt('start_time', pad(window.end, 2));
+  if (error) throw error;
+
+  const ids = (shifts || []).map((s) => s.id);
+  if (ids.length === 0) return { shifts: [], clockEvents: [] };
+  const { data: clockEvents, error: ceError } = await supabase
+    .from('clock_events')
+    .select('shift_id, event_type, occurred_at')
+    .in('shift_id', ids)
+    .in('event_type', ['in', 'out']);
+  if (ceError) throw ceError;
+  return { shifts: shifts || [], clockEvents: clockEvents || [] };
+}
+
+/**
+ * Usage of every cap period a client's authorizations have between
+ * `from` and `to` (YYYY-MM-DD). Returns the `evaluateAuthorizations`
+ * result, or null when no authorization overlaps the range.
+ */
+export async function getAuthorizationUsage(authorizations, { from, to, timezone = DEFAULT_APP_TIMEZONE }) {
+  if (!isSupabaseConfigured() || !authorizations?.length) return null;
+  const plain = authorizations.map(authorizationToPlain);
+  const window = authorizationUsageWindow(plain, { from, to });
+  if (!window) return null;
+  const { shifts, clockEvents } = await loadShiftsForUsage(plain[0].client_id, window);
+  return evaluateAuthorizations({ authorizations: plain, shifts, clockEvents, timezone });
+}
+
+/**
+ * Check shifts about to be created for one client against its
+ * authorizations. `proposedShifts` are camelCase drafts (clientId,
+ * serviceType, startTime, endTime). Returns the issues from
+ * `checkShiftsAgainstAuthorizations` — [] when the client has no
+ * authorizations (or the table doesn't exist yet).
+ */
+export async function checkProposedShifts(clientId, proposedShifts, { timezone = DEFAULT_APP_TIMEZONE } = {}) {
+  if (!isSupabaseConfigured() || !clientId || !proposedShifts?.length) return [];
+  const authorizations = await getAuthorizationsForClient(clientId);
+  if (authorizations.length === 0) return [];
+
+  const proposed = proposedShifts.map((shift, i) => ({
+    ...shiftToPlain({ status: 'open', ...shift, clientId }),
+    id: shift.id || `proposed-${i}`,
+  }));
+  const dates = proposed
+    .map((s) => utcMsToWallClockParts(new Date(s.start_time).getTime(), timezone).dateOnly)
+    .sort();
+  const plain = authorizations.map(authorizationToPlain);
+  const window = authorizationUsageWindow(plain, { from: dates[0], to: dates[dates.length - 1] });
+  if (!window) {
+    return checkShiftsAgainstAuthorizations({ authorizations: plain, proposedShifts: proposed, timezone });
+  }
+  const { shifts, clockEvents } = await loadShiftsForUsage(clientId, window);
+  const proposedIds = new Set(proposed.map((s) => s.id));
+  return checkShiftsAgainstAuthorizations({
+    authorizations: plain,
+    existingShifts: shifts.filter((s) => !proposedIds.has(s.id)),
+    proposedShifts: proposed,
+    clockEvents,
+    timezone,
+  });
+}
@@ -0,0 +1,353 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Auto-scheduler
+//
+// Pure solver behind "Auto-fill open shifts" on the SchedulePage.
+// Given the week's open shifts and the same per-caregiver data the
+// CaregiverPicker loads, it proposes one caregiver per shift. Nothing
+// is written here — the plan is shown as a diff the scheduler accepts
+// shift by shift or all at once (AutoScheduleModal.jsx).
+//
+// Eligibility is exactly the picker's: rankCaregiversForShift decides
+// who is available, conflict-free and meets the care plan's Required
+// match criteria. The solver only chooses among eligible caregivers,
+// so a proposal never violates a rule the picker would flag.
+//
+// Shifts are filled greedily, most constrained first (fewest eligible
+// caregivers, then earliest start). Each proposal is added to the
+// caregiver's working schedule before the next shift is ranked, so
+// later shifts see its hours, conflicts and travel time.
+//
+// Among eligible caregivers the choice is, in order:
+//   1. Overtime added ASC — OT + double-time hours the shift would
+//      add to the caregiver's week under their OT jurisdiction
+//      (classifyHours in lib/payroll/overtimeRules.js, so CA daily
+//      OT counts as well as the weekly cap)
+//   2. Role tier (primary > backup > float > other)
+//   3. Continuity DESC — recent visits to this client plus shifts
+//      with them already proposed in this plan
+//   4. Match score DESC
+//   5. Hours this week ASC
+//   6. Name ASC
+//
+// With `allowOvertime: false` a shift that would put every eligible
+// caregiver into overtime is left unfilled instead.
+//
+// The OT estimate treats the scheduling week (Sunday start) as the
+// workweek, so a payroll workweek on a different anchor can classify
+// the same hours slightly differently.
+// ═══════════════════════════════════════════════════════════════
+
+import {
+  rankCaregiversForShift,
+  roleTierLabel,
+  sumHoursInWindow,
+} from './eligibilityRanking';
+import { classifyHours } from '../../lib/payroll/overtimeRules';
+import {
+  getOtJurisdiction,
+  resolveOtJurisdiction,
+} from '../../lib/payroll/jurisdictions';
+import { DEFAULT_OT_JURISDICTION } from '../../lib/payroll/constants';
+import { computeLiveInDeductions } from '../../lib/liveIn';
+import { SERVICE_TYPE } from '../../lib/rateCards';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Shift statuses that don't occupy the caregiver (mirrors
+// sumHoursInWindow and conflict detection).
+const NON_BLOCKING_STATUSES = new Set(['cancelled', 'no_show']);
+
+/**
+ * True when a shift still needs a caregiver: open and unassigned.
+ */
+export function isFillableShift(shift) {
+  return (
+    !!shift &&
+    shift.status === 'open' &&
+    !shift.assignedCaregiverId &&
+    !!shift.clientId &&
+    !!shift.startTime &&
+    !!shift.endTime
+  );
+}
+
+/**
+ * Count past visits per caregiver per client, for continuity of care.
+ * Cancelled and no-show shifts don't count.
+ *
+ * @param {object[]} shifts  app-shape shifts
+ * @returns {object} caregiverId → { clientId → count }
+ */
+export function countVisitsByCaregiver(shifts) {
+  const counts = {};
+  for (const shift of shifts || []) {
+    if (!shift?.assignedCaregiverId || !shift.clientId) continue;
+    if (NON_BLOCKING_STATUSES.has(shift.status)) continue;
+    const byClient = counts[shift.assignedCaregiverId] || (counts[shift.assignedCaregiverId] = {});
+    byClient[shift.clientId] = (byClient[shift.clientId] || 0) + 1;
+  }
+  return counts;
+}
+
+// Paid hours excluded from a live-in shift (sleep / meal), so the OT
+// estimate matches what payroll will classify.
+function excludedHoursFor(shift) {
+  if (shift.serviceType !== SERVICE_TYPE.LIVE_IN) return 0;
+  const durationHours =
+    (new Date(shift.endTime).getTime() - new Date(shift.startTime).getTime()) / HOUR_MS;
+  return computeLiveInDeductions({
+    durationHours,
+    sleepHoursPerDay: shift.sleepHoursPerDay,
+    mealHoursPerDay: shift.mealHoursPerDay,
+    sleepInterrupted: shift.sleepInterrupted,
+  }).excludedHours;
+}
+
+function jurisdictionFor(caregiver, shifts, clientsById, orgDefault) {
+  const { jurisdiction } = resolveOtJurisdiction({
+    caregiver: { ot_jurisdiction: caregiver?.otJurisdiction },
+    workStates: shifts.map((sh) => clientsById[sh.clientId]?.state),
+    orgDefault,
+  });
+  // Payroll fails loudly on an unsupported org default; a proposal is
+  // only an estimate, so fall back to the app default instead.
+  return getOtJurisdiction(jurisdiction) ? jurisdiction : DEFAULT_OT_JURISDICTION;
+}
+
+/**
+ * Overtime + double-time hours in a caregiver's week.
+ */
+function weekOvertimeHours(caregiver, shifts, { weekStart, timezone, clientsById, otJurisdiction }) {
+  const blocking = shifts.filter(
+    (sh) => sh?.id && sh.startTime && sh.endTime && !NON_BLOCKING_STATUSES.has(sh.status),
+  );
+  if (blocking.length === 0) return 0;
+  const result = classifyHours({
+    shifts: blocking.map((sh) => ({
+      id: sh.id,
+      startTime: sh.startTime,
+      endTime: sh.endTime,
+      excludedHours: excludedHoursFor(sh),
+    })),
+    weekStart,
+    jurisdiction: jurisdictionFor(caregiver, blocking, clientsById, otJurisdiction),
+    timezone,
+  });
+  return result.overtime + result.doubleTime;
+}
+
+function caregiverName(caregiver) {
+  return `${caregiver?.firstName || ''} ${caregiver?.lastName || ''}`.trim().toLowerCase();
+}
+
+function compareCandidates(a, b) {
+  if (a.overtimeHours !== b.overtimeHours) return a.overtimeHours - b.overtimeHours;
+  if (a.entry.tier !== b.entry.tier) return a.entry.tier - b.entry.tier;
+  if (a.continuity !== b.continuity) return b.continuity - a.continuity;
+  if (a.entry.matchScore !== b.entry.matchScore) return b.entry.matchScore - a.entry.matchScore;
+  if (a.entry.hoursThisWeek !== b.entry.hoursThisWeek) {
+    return a.entry.hoursThisWeek - b.entry.hoursThisWeek;
+  }
+  return caregiverName(a.entry.caregiver).localeCompare(caregiverName(b.entry.caregiver));
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Propose a caregiver for every open shift in a week.
+ *
+ * @param {object} params
+ * @param {object[]} params.openShifts  app-shape shifts; anything not
+ *   open + unassigned (isFillableShift) is ignored
+ * @param {object[]} params.caregivers
+ * @param {object} params.availabilityByCaregiverId  caregiverId → availability rows[]
+ * @param {object} params.shiftsByCaregiverId        caregiverId → shifts[] already
+ *   assigned in the week (± a day for conflicts)
+ * @param {object} params.assignmentsByCaregiverId   caregiverId → assignments[]
+ *   (any client — tiers are matched per shift)
+ * @param {object} [params.matchCriteriaByClientId]  clientId → published
+ *   care plan `matchCriteria` (or null)
+ * @param {object} [params.visitCountsByCaregiverId] countVisitsByCaregiver()
+ *   over recent history
+ * @param {object} [params.clientsById]  used for OT work-state resolution
+ * @param {Date}   params.weekStart
+ * @param {Date}   params.weekEnd
+ * @param {string} [params.otJurisdiction]  organizations.settings.payroll.ot_jurisdiction
+ * @param {boolean} [params.allowOvertime=true]
+ * @param {number} [params.travelBufferMinutes]
+ * @param {object} [params.clientLocations]
+ * @param {object} [params.travelModel]
+ * @param {string} [params.timezone]  IANA zone for availability and OT days
+ *
+ * @returns {{
+ *   items: Array<{
+ *     shift: object,
+ *     caregiver: object|null,     // null when left unfilled
+ *     entry: object|null,         // the chosen rankCaregiversForShift entry
+ *     overtimeHours: number,      // OT + DT the shift adds
+ *     hoursBefore: number,        // caregiver's week before this shift
+ *     hoursAfter: number,
+ *     continuity: number,         // visits with this client incl. earlier proposals
+ *     eligibleCount: number,
+ *     reason: null | 'no_eligible' | 'overtime',
+ *     detail: string|null,        // why it was left unfilled
+ *   }>,
+ *   summary: { total: number, filled: number, unfilled: number, overtimeHours: number },
+ * }}
+ *   `items` are in shift start order.
+ */
+export function proposeWeekAssignments(params) {
+  const {
+    openShifts,
+    caregivers,
+    availabilityByCaregiverId = {},
+    shiftsByCaregiverId = {},
+    assignmentsByCaregiverId = {},
+    matchCriteriaByClientId = {},
+    visitCountsByCaregiverId = {},
+    clientsById = {},
+    weekStart,
+    weekEnd,
+    otJurisdiction,
+    allowOvertime = true,
+    travelBufferMinutes,
+    clientLocations,
+    travelModel,
+    timezone,
+  } = params || {};
+
+  const fillable = (openShifts || []).filter(isFillableShift);
+  const empty = { items: [], summary: { total: 0, filled: 0, unfilled: 0, overtimeHours: 0 } };
+  if (fillable.length === 0 || !Array.isArray(caregivers)) return empty;
+
+  // Working copies — proposals are appended as the plan is built.
+  const working = {};
+  for (const cg of caregivers) {
+    working[cg.id] = [...(shiftsByCaregiverId[cg.id] || [])];
+  }
+  const planned = {}; // caregiverId → { clientId → proposed count }
+  const otContext = { weekStart, timezone, clientsById, otJurisdiction };
+  const baselineOt = new Map(); // caregiverId → OT hours, reset on proposal
+
+  const rank = (shift) =>
+    rankCaregiversForShift({
+      proposed: shift,
+      caregivers,
+      availabilityByCaregiverId,
+      shiftsByCaregiverId: working,
+      assignmentsByCaregiverId,
+      weekStart,
+      weekEnd,
+      matchCriteria: matchCriteriaByClientId[shift.clientId] ?? null,
+      travelBufferMinutes,
+      clientLocations,
+      travelModel,
+      timezone,
+    });
+
+  // Most constrained first: a shift only two caregivers can cover
+  // shouldn't lose them to a shift ten caregivers could take.
+  const order = fillable
+    .map((shift) => ({ shift, eligibleCount: rank(shift).filter((e) => e.eligible).length }))
+    .sort((a, b) => {
+      if (a.eligibleCount !== b.eligibleCount) return a.eligibleCount - b.eligibleCount;
+      return new Date(a.shift.startTime).getTime() - new Date(b.shift.startTime).getTime();
+    });
+
+  const items = [];
+  for (const { shift } of order) {
+    const eligible = rank(shift).filter((e) => e.eligible);
+    const candidates = eligible.map((entry) => {
+      const cgId = entry.caregiver.id;
+      const mine = working[cgId] || [];
+      if (!baselineOt.has(cgId)) {
+        baselineOt.set(cgId, weekOvertimeHours(entry.caregiver, mine, otContext));
+      }
+      const withShift = weekOvertimeHours(entry.caregiver, [...mine, shift], otContext);
+      return {
+        entry,
+        overtimeHours: round2(Math.max(0, withShift - baselineOt.get(cgId))),
+        continuity:
+          (visitCountsByCaregiverId[cgId]?.[shift.clientId] || 0) +
+          (planned[cgId]?.[shift.clientId] || 0),
+      };
+    });
+    const allowed = allowOvertime ? candidates : candidates.filter((c) => c.overtimeHours === 0);
+    allowed.sort(compareCandidates);
+    const best = allowed[0];
+
+    if (!best) {
+      items.push({
+        shift,
+        caregiver: null,
+        entry: null,
+        overtimeHours: 0,
+        hoursBefore: 0,
+        hoursAfter: 0,
+        continuity: 0,
+        eligibleCount: eligible.length,
+        reason: eligible.length === 0 ? 'no_eligible' : 'overtime',
+        detail:
+          eligible.length === 0
+            ? 'No eligible caregiver'
+            : `All ${eligible.length} eligible caregiver${eligible.length === 1 ? '' : 's'} would go into overtime`,
+      });
+      continue;
+    }
+
+    const cgId = best.entry.caregiver.id;
+    const assigned = { ...shift, assignedCaregiverId: cgId, status: 'assigned' };
+    working[cgId] = [...(working[cgId] || []), assigned];
+    baselineOt.delete(cgId);
+    const byClient = planned[cgId] || (planned[cgId] = {});
+    byClient[shift.clientId] = (byClient[shift.clientId] || 0) + 1;
+
+    items.push({
+      shift,
+      caregiver: best.entry.caregiver,
+      entry: best.entry,
+      overtimeHours: best.overtimeHours,
+      hoursBefore: best.entry.hoursThisWeek,
+      hoursAfter: sumHoursInWindow(working[cgId], weekStart, weekEnd),
+      continuity: best.continuity,
+      eligibleCount: eligible.length,
+      reason: null,
+      detail: null,
+    });
+  }
+
+  items.sort((a, b) => new Date(a.shift.startTime).getTime() - new Date(b.shift.startTime).getTime());
+  const filled = items.filter((i) => i.caregiver).length;
+  return {
+    items,
+    summary: {
+      total: items.length,
+      filled,
+      unfilled: items.length - filled,
+      overtimeHours: round2(items.reduce((sum, i) => sum + i.overtimeHours, 0)),
+    },
+  };
+}
+
+/**
+ * Short reason line for a proposal row.
+ * Example: "Primary · 4 recent visits · 2/3 preferred · 28 → 32 hrs"
+ */
+export function formatProposalReason(item) {
+  if (!item?.entry) return item?.detail || '';
+  const parts = [];
+  const role = roleTierLabel(item.entry.tier);
+  if (role) parts.push(role);
+  if (item.continuity > 0) {
+    parts.push(`${item.continuity} recent visit${item.continuity === 1 ? '' : 's'}`);
+  }
+  if (item.entry.matchPossible > 0) {
+    parts.push(`${item.entry.matchScore}/${item.entry.matchPossible} preferred`);
+  }
+  const before = Math.round(item.hoursBefore * 10) / 10;
+  const after = Math.round(item.hoursAfter * 10) / 10;
+  parts.push(`${before} → ${after} hrs`);
+  return parts.join(' · ');
+}
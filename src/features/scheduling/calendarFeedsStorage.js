@@ -0,0 +1,86 @@
+import { supabase, isSupabaseConfigured } from '../../lib/supabase';
+import { generateFeedToken } from '../../lib/scheduling/calendarFeed';
+
+// ═══════════════════════════════════════════════════════════════
+// Scheduling Storage — calendar_feeds
+//
+// Secret ICS feed URLs for a caregiver's or a client's schedule,
+// served by the calendar-feed edge function (rules in
+// src/lib/scheduling/calendarFeed.js). Staff-only under RLS.
+//
+// Reads treat a missing table as "no feed" so Vercel previews against
+// the production database don't break the detail pages before the
+// 20260620000000 migration lands. Writes still throw.
+// ═══════════════════════════════════════════════════════════════
+
+const RELATION_MISSING_CODES = new Set(['42P01', 'PGRST205']);
+
+function isMissingTableError(err) {
+  if (!err) return false;
+  if (err.code && RELATION_MISSING_CODES.has(err.code)) return true;
+  const msg = String(err.message || '');
+  return msg.includes('calendar_feeds" does not exist') || msg.includes('Could not find the table');
+}
+
+export const dbToCalendarFeed = (row) => ({
+  id: row.id,
+  orgId: row.org_id,
+  caregiverId: row.caregiver_id ?? null,
+  clientId: row.client_id ?? null,
+  token: row.token,
+  createdBy: row.created_by ?? null,
+  createdAt: row.created_at,
+  revokedAt: row.revoked_at ?? null,
+  lastAccessedAt: row.last_accessed_at ?? null,
+});
+
+// `owner` is { caregiverId } or { clientId }.
+function ownerColumn(owner) {
+  if (owner?.caregiverId) return ['caregiver_id', owner.caregiverId];
+  if (owner?.clientId) return ['client_id', owner.clientId];
+  throw new Error('A calendar feed needs a caregiver or a client.');
+}
+
+/** The owner's live (unrevoked) feed, or null. */
+export async function getLiveCalendarFeed(owner) {
+  if (!isSupabaseConfigured()) return null;
+  const [column, id] = ownerColumn(owner);
+  const { data, error } = await supabase
+    .from('calendar_feeds')
+    .select('*')
+    .eq(column, id)
+    .is('revoked_at', null)
+    .maybeSingle();
+  if (error) {
+    if (isMissingTableError(error)) return null;
+    throw error;
+  }
+  return data ? dbToCalendarFeed(data) : null;
+}
+
+/** Revoke the owner's live feed, if any. Its URL stops working. */
+export async function revokeCalendarFeed(owner, { revokedBy } = {}) {
+  const [column, id] = ownerColumn(owner);
+  const { error } = await supabase
+    .from('calendar_feeds')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy || null })
+    .eq(column, id)
+    .is('revoked_at', null);
+  if (error) throw error;
+}
+
+/**
+ * Issue a new feed URL for the owner, revoking the current one first
+ * (one live feed per caregiver / client).
+ */
+export async function issueCalendarFeed(owner, { createdBy } = {}) {
+  const [column, id] = ownerColumn(owner);
+  await revokeCalendarFeed(owner, { revokedBy: createdBy });
+  const { data, error } = await supabase
+    .from('calendar_feeds')
+    .insert({ [column]: id, token: generateFeedToken(), created_by: createdBy || null })
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToCalendarFeed(data);
+}
@@ -55,6 +55,8 @@ export const dbToRule = (row) => ({
   caregiverId: row.caregiver_id,
   effectiveFrom: row.effective_from,
   effectiveTo: row.effective_to,
+  rotationWeeks: row.rotation_weeks ?? 1,
+  rotationAnchor: row.rotation_anchor ?? null,
   notes: row.notes,
   createdBy: row.created_by,
   createdAt: row.created_at,
@@ -71,6 +73,20 @@ export const dbToRulePlain = (row) => ({
   caregiver_id: row.caregiver_id,
   effective_from: row.effective_from,
   effective_to: row.effective_to,
+  rotation_weeks: row.rotation_weeks ?? 1,
+  rotation_anchor: row.rotation_anchor ?? null,
+});
+
+// Camel-case rule (dbToRule) → the snake_case shape above.
+export const ruleToPlain = (r) => ({
+  id: r.id,
+  service_plan_id: r.servicePlanId,
+  day_of_week: r.dayOfWeek,
+  caregiver_id: r.caregiverId,
+  effective_from: r.effectiveFrom,
+  effective_to: r.effectiveTo,
+  rotation_weeks: r.rotationWeeks ?? 1,
+  rotation_anchor: r.rotationAnchor ?? null,
 });
 
 /**
@@ -211,6 +227,9 @@ async function expireRuleRow(id, effectiveTo) {
  *
  * No-op when the active rule already points to this caregiver.
  *
+ * `rotationWeeks` / `rotationAnchor` install the caregiver for one
+ * week of a rotation (see planRuleUpsert); omitted = every week.
+ *
  * Pulls the fresh rule set before computing the plan, so concurrent
  * edits on different (plan, dow) pairs don't trip each other.
  */
@@ -222,6 +241,8 @@ export async function setRegularCaregiverForDay({
   effectiveFrom,
   createdBy,
   notes,
+  rotationWeeks = 1,
+  rotationAnchor = null,
 }) {
   if (!isSupabaseConfigured()) return null;
   if (!servicePlanId || !orgId || !caregiverId) {
@@ -232,13 +253,7 @@ export async function setRegularCaregiverForDay({
   try {
     const existing = await getRulesForServicePlan(servicePlanId);
     const plan = planRuleUpsert({
-      rules: existing.map((r) => ({
-        id: r.id,
-        day_of_week: r.dayOfWeek,
-        caregiver_id: r.caregiverId,
-        effective_from: r.effectiveFrom,
-        effective_to: r.effectiveTo,
-      })),
+      rules: existing.map(ruleToPlain),
       servicePlanId,
       orgId,
       dayOfWeek,
@@ -246,6 +261,8 @@ export async function setRegularCaregiverForDay({
       effectiveFrom: today,
       createdBy,
       notes,
+      rotationWeeks,
+      rotationAnchor,
     });
 
     if (plan.noop) {
@@ -253,6 +270,7 @@ export async function setRegularCaregiverForDay({
         (r) =>
           r.dayOfWeek === dayOfWeek &&
           r.caregiverId === caregiverId &&
+          r.rotationWeeks === rotationWeeks &&
           r.effectiveFrom <= today &&
           (!r.effectiveTo || r.effectiveTo >= today),
       );
@@ -280,12 +298,15 @@ export async function setRegularCaregiverForDay({
 /**
  * High-level write: remove the regular caregiver for (plan, dayOfWeek)
  * starting `effectiveFrom`. Expires every currently-active rule for
- * that pair. No-op when there's nothing active.
+ * that pair — or, with `rotationWeeks` / `rotationAnchor`, for that
+ * week of the rotation. No-op when there's nothing active.
  */
 export async function clearRegularCaregiverForDay({
   servicePlanId,
   dayOfWeek,
   effectiveFrom,
+  rotationWeeks = 1,
+  rotationAnchor = null,
 }) {
   if (!isSupabaseConfigured()) return { expired: 0 };
   if (!servicePlanId) throw new Error('clearRegularCaregiverForDay: servicePlanId required');
@@ -294,14 +315,11 @@ export async function clearRegularCaregiverForDay({
   try {
     const existing = await getRulesForServicePlan(servicePlanId);
     const plan = planRuleClear({
-      rules: existing.map((r) => ({
-        id: r.id,
-        day_of_week: r.dayOfWeek,
-        effective_from: r.effectiveFrom,
-        effective_to: r.effectiveTo,
-      })),
+      rules: existing.map(ruleToPlain),
       dayOfWeek,
       effectiveFrom: today,
+      rotationWeeks,
+      rotationAnchor,
     });
     for (const exp of plan.toExpire) {
       await expireRuleRow(exp.id, exp.effective_to);
@@ -367,4 +385,9 @@ export {
   planRuleUpsert,
   planRuleClear,
   previousDayString,
+  ruleIsOnDate,
+  rotationSlotDate,
+  rotationForRules,
+  addDaysToDateString,
+  MAX_ROTATION_WEEKS,
 } from '../../lib/scheduling/caregiverRules';
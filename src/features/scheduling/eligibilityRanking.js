@@ -12,15 +12,37 @@
 // decides who to offer a shift to. Keeping it pure means the AI's
 // decisions are traceable and testable exactly like the UI's.
 //
+// When the client's published care plan has match criteria, unmet
+// "Required" items filter a caregiver out and met "Preferred" items
+// make up a match score (see lib/scheduling/matchCriteria.js).
+//
+// Recent late clock-ins and no-shows (recorded by the no-show-detector
+// cron, see lib/scheduling/noShowDetection.js) never filter anyone
+// out, but push caregivers with a worse record down the list.
+//
 // Sort order:
 //   1. Eligible first (not filtered out)
 //   2. Role tier (primary > backup > float > other)
-//   3. Hours scheduled this week ASC (fewer first — load balance)
-//   4. Name ASC (deterministic tiebreaker)
+//   3. Match score DESC (more preferences met first)
+//   4. Attendance penalty ASC (fewer recent no-shows / late arrivals)
+//   5. Hours scheduled this week ASC (fewer first — load balance)
+//   6. Name ASC (deterministic tiebreaker)
 // ═══════════════════════════════════════════════════════════════
 
 import { isAvailable } from '../../lib/scheduling/availabilityMatching';
-import { detectConflicts } from '../../lib/scheduling/conflictDetection';
+import {
+  detectConflictDetails,
+  formatConflictDetail,
+} from '../../lib/scheduling/conflictDetection';
+import {
+  criteriaChecks,
+  scoreAgainstChecks,
+  formatUnmetRequirements,
+} from '../../lib/scheduling/matchCriteria';
+import {
+  attendancePenalty,
+  formatAttendance,
+} from '../../lib/scheduling/noShowDetection';
 
 // Role tier constants — lower is better
 export const ROLE_TIER_PRIMARY = 0;
@@ -159,9 +181,17 @@ function toHelperShiftRow(shift) {
  * @param {object} params.availabilityByCaregiverId  map of caregiverId → availability rows[]
  * @param {object} params.shiftsByCaregiverId        map of caregiverId → shifts[]
  * @param {object} params.assignmentsByCaregiverId   map of caregiverId → assignments[]
+ * @param {object} [params.attendanceByCaregiverId]  map of caregiverId →
+ *   attendance stats (getAttendanceStats); omitted caregivers count as clean
  * @param {Date}   params.weekStart      start of "this week" window
  * @param {Date}   params.weekEnd        end of "this week" window
- * @param {number} [params.travelBufferMinutes=30]
+ * @param {object|null} [params.matchCriteria]  the client's published
+ *   care plan `matchCriteria` section; null/omitted skips matching
+ * @param {number} [params.travelBufferMinutes=30]  flat buffer for
+ *   clients that haven't been geocoded
+ * @param {object} [params.clientLocations]  clientId → { lat, lng }
+ *   (buildClientLocations) for distance-based travel buffers
+ * @param {object} [params.travelModel]  resolveTravelModel(orgSettings)
  * @param {string} [params.timezone]     IANA zone used to interpret
  *   availability rows against shift ISO timestamps. Production callers
  *   should pass DEFAULT_APP_TIMEZONE from `../../lib/scheduling/timezone`;
@@ -174,9 +204,16 @@ function toHelperShiftRow(shift) {
  *     tier,                   // role tier (ROLE_TIER_*)
  *     roleLabel,              // 'Primary' / 'Backup' / 'Float' / ''
  *     hoursThisWeek,          // number — sum of blocking hours in [weekStart, weekEnd]
- *     filterReason,           // null (eligible) or 'unavailable' / 'conflict' / 'no_availability_data'
+ *     attendance,             // { lateCount, noShowCount, lastIncidentAt } or null
+ *     attendancePenalty,      // number — higher is a worse recent record
+ *     matchScore,             // number of Preferred criteria met
+ *     matchPossible,          // number of Preferred criteria (0 = no score to show)
+ *     matchedPreferences,     // labels of the Preferred criteria met
+ *     unmetRequirements,      // labels of the Required criteria not met
+ *     filterReason,           // null (eligible) or 'match_required' / 'unavailable' / 'conflict' / 'no_availability_data'
  *     filterDetail,           // human-readable reason
  *     conflictingShifts,      // array of shifts causing conflicts (empty if eligible)
+ *     conflictDetails,        // detectConflictDetails entries for those shifts
  *   }
  */
 export function rankCaregiversForShift(params) {
@@ -186,9 +223,13 @@ export function rankCaregiversForShift(params) {
     availabilityByCaregiverId = {},
     shiftsByCaregiverId = {},
     assignmentsByCaregiverId = {},
+    attendanceByCaregiverId = {},
     weekStart,
     weekEnd,
+    matchCriteria = null,
     travelBufferMinutes = 30,
+    clientLocations = null,
+    travelModel,
     timezone,
   } = params || {};
 
@@ -200,6 +241,7 @@ export function rankCaregiversForShift(params) {
     end_time: proposed.endTime,
     client_id: proposed.clientId,
   };
+  const checks = criteriaChecks(matchCriteria);
 
   const results = caregivers.map((caregiver) => {
     const tier = bestTierForCaregiver(
@@ -212,6 +254,9 @@ export function rankCaregiversForShift(params) {
     const myShifts = shiftsByCaregiverId[caregiver.id] || [];
     const hoursThisWeek = sumHoursInWindow(myShifts, weekStart, weekEnd);
 
+    const match = scoreAgainstChecks(checks, caregiver);
+    const attendance = attendanceByCaregiverId[caregiver.id] || null;
+
     // Availability check
     const myAvailabilityRows = (availabilityByCaregiverId[caregiver.id] || []).map(
       toHelperAvailabilityRow,
@@ -224,17 +269,24 @@ export function rankCaregiversForShift(params) {
 
     // Conflict check (only against this caregiver's other shifts)
     const myHelperShifts = myShifts.map(toHelperShiftRow);
-    const conflicts = detectConflicts(proposedHelper, myHelperShifts, {
+    const conflictDetails = detectConflictDetails(proposedHelper, myHelperShifts, {
       travelBufferMinutes,
       excludeShiftId: proposed.id || null,
+      clientLocations,
+      travelModel,
     });
+    const conflicts = conflictDetails.map((c) => c.shift);
 
     // Determine eligibility and reason
     let eligible = true;
     let filterReason = null;
     let filterDetail = null;
 
-    if (!availabilityResult.available) {
+    if (match.unmetRequirements.length > 0) {
+      eligible = false;
+      filterReason = 'match_required';
+      filterDetail = formatUnmetRequirements(match.unmetRequirements);
+    } else if (!availabilityResult.available) {
       eligible = false;
       if (availabilityResult.reason === 'no_data') {
         filterReason = 'no_availability_data';
@@ -250,7 +302,7 @@ export function rankCaregiversForShift(params) {
       eligible = false;
       filterReason = 'conflict';
       filterDetail = conflicts.length === 1
-        ? 'Conflicts with another shift (travel buffer)'
+        ? formatConflictDetail(conflictDetails[0])
         : `Conflicts with ${conflicts.length} other shifts`;
     }
 
@@ -260,16 +312,26 @@ export function rankCaregiversForShift(params) {
       tier,
       roleLabel: roleTierLabel(tier),
       hoursThisWeek,
+      attendance,
+      attendancePenalty: attendancePenalty(attendance),
+      matchScore: match.score,
+      matchPossible: match.possible,
+      matchedPreferences: match.matchedPreferences,
+      unmetRequirements: match.unmetRequirements,
       filterReason,
       filterDetail,
       conflictingShifts: conflicts,
+      conflictDetails,
     };
   });
 
-  // Sort: eligible first, then tier asc, then hours asc, then name asc
+  // Sort: eligible first, then tier asc, then match score desc, then
+  // attendance penalty asc, then hours asc, then name asc
   results.sort((a, b) => {
     if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
     if (a.tier !== b.tier) return a.tier - b.tier;
+    if (a.matchScore !== b.matchScore) return b.matchScore - a.matchScore;
+    if (a.attendancePenalty !== b.attendancePenalty) return a.attendancePenalty - b.attendancePenalty;
     if (a.hoursThisWeek !== b.hoursThisWeek) return a.hoursThisWeek - b.hoursThisWeek;
     const nameA = `${a.caregiver.firstName || ''} ${a.caregiver.lastName || ''}`.trim().toLowerCase();
     const nameB = `${b.caregiver.firstName || ''} ${b.caregiver.lastName || ''}`.trim().toLowerCase();
@@ -320,15 +382,37 @@ export function filterRankedBySearch(ranked, query) {
 
 /**
  * Generate a short human-readable reason string for an eligible
- * caregiver, shown in the picker row under their name.
- * Example: "Primary · 12 hrs this week"
+ * caregiver, shown in the picker row under their name. The match
+ * score only appears when the client has Preferred criteria, and the
+ * attendance note only for caregivers with a recent late or no-show.
+ * Example: "Primary · 2/3 preferred · 12 hrs this week · 1 no-show"
  */
 export function formatEligibleReason(entry) {
   if (!entry) return '';
   const parts = [];
   if (entry.roleLabel) parts.push(entry.roleLabel);
   else parts.push('Available');
+  if (entry.matchPossible > 0) parts.push(`${entry.matchScore}/${entry.matchPossible} preferred`);
   const hours = Math.round(entry.hoursThisWeek * 10) / 10;
   parts.push(`${hours} ${hours === 1 ? 'hr' : 'hrs'} this week`);
+  const attendance = formatAttendance(entry.attendance);
+  if (attendance) parts.push(attendance);
   return parts.join(' · ');
 }
+
+/**
+ * Tooltip for a picker row's reason line: which Preferred criteria
+ * the caregiver met, or which Required ones they're missing. Returns
+ * undefined when the client has no match criteria so no empty
+ * tooltip renders.
+ */
+export function formatMatchTitle(entry) {
+  if (!entry) return undefined;
+  if (entry.unmetRequirements?.length > 0) {
+    return formatUnmetRequirements(entry.unmetRequirements);
+  }
+  if (!(entry.matchPossible > 0)) return undefined;
+  return entry.matchedPreferences?.length > 0
+    ? `Preferred met: ${entry.matchedPreferences.join(', ')}`
+    : 'No preferred criteria met';
+}
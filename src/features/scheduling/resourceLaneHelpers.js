@@ -20,6 +20,10 @@ import {
   wallClockToUtcMs,
 } from '../../lib/scheduling/timezone';
 import { isShiftHiddenFromCalendar } from './shiftHelpers';
+import {
+  detectConflictDetails,
+  isBlockingShiftStatus,
+} from '../../lib/scheduling/conflictDetection';
 
 // Which entities can sit in the rows of the lane view.
 export const RESOURCE_MODES = Object.freeze(['caregiver', 'client']);
@@ -335,4 +339,49 @@ export function buildHourTicks(startHour, endHour) {
   return ticks;
 }
 
+/**
+ * Flag back-to-back shifts a caregiver can't realistically drive
+ * between. For each caregiver, every blocking shift is checked against
+ * the one before it; when the gap is shorter than the estimated travel
+ * time (see detectConflictDetails), the LATER shift is flagged.
+ * Overlaps are left to the lane stacking, which already shows them.
+ *
+ * @param {Array} shifts  app-shape shifts (camelCase)
+ * @param {object} [options]
+ * @param {Object<string, {lat, lng}>} [options.clientLocations]
+ * @param {object} [options.travelModel]
+ * @returns {Map<string, object>}  shift id → conflict detail
+ */
+export function findTravelShortfalls(shifts, { clientLocations = null, travelModel } = {}) {
+  const byCaregiver = new Map();
+  for (const shift of shifts || []) {
+    if (!shift?.assignedCaregiverId || !isBlockingShiftStatus(shift.status)) continue;
+    if (!byCaregiver.has(shift.assignedCaregiverId)) byCaregiver.set(shift.assignedCaregiverId, []);
+    byCaregiver.get(shift.assignedCaregiverId).push(shift);
+  }
+
+  const out = new Map();
+  for (const list of byCaregiver.values()) {
+    list.sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+    for (let i = 1; i < list.length; i += 1) {
+      const [detail] = detectConflictDetails(toConflictRow(list[i]), [toConflictRow(list[i - 1])], {
+        clientLocations,
+        travelModel,
+      });
+      if (detail?.type === 'travel') out.set(list[i].id, detail);
+    }
+  }
+  return out;
+}
+
+function toConflictRow(shift) {
+  return {
+    id: shift.id,
+    client_id: shift.clientId,
+    start_time: shift.startTime,
+    end_time: shift.endTime,
+    status: shift.status,
+  };
+}
+
 export const __test = { HOUR_MS };
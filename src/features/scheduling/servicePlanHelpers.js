@@ -5,6 +5,8 @@
 // can be unit-tested without rendering React components.
 // ═══════════════════════════════════════════════════════════════
 
+import { validateLiveInFields } from '../../lib/liveIn';
+
 /**
  * Human-readable label for a service plan status value.
  */
@@ -95,6 +97,8 @@ export function sortServicePlans(plans) {
  *   - title must be non-empty
  *   - if both dates are set, end_date must not be before start_date
  *   - hours_per_week, if set, must be a positive number
+ *   - live-in plans: sleep / meal hours and daily rates must pass
+ *     validateLiveInFields (src/lib/liveIn.js)
  */
 export function validateServicePlanDraft(draft) {
   if (!draft) return 'Missing service plan data.';
@@ -113,5 +117,31 @@ export function validateServicePlanDraft(draft) {
       return 'Hours per week cannot exceed 168.';
     }
   }
+  if (draft.liveIn) {
+    const liveInError = validateLiveInFields({
+      sleep_hours_per_day: draft.sleepHoursPerDay,
+      meal_hours_per_day: draft.mealHoursPerDay,
+      daily_pay_rate: draft.dailyPayRate,
+      daily_bill_rate: draft.dailyBillRate,
+    });
+    if (liveInError) return liveInError;
+  }
   return null;
 }
+
+/**
+ * One-line summary of a live-in plan's settings for the plan card,
+ * or null for plans that aren't live-in.
+ * Example: "Live-in · 8h sleep + 3h meals/day · $240/day pay · $380/day bill"
+ */
+export function describeLiveInPlan(plan) {
+  if (!plan?.liveIn) return null;
+  const parts = ['Live-in'];
+  const deductions = [];
+  if (plan.sleepHoursPerDay > 0) deductions.push(`${plan.sleepHoursPerDay}h sleep`);
+  if (plan.mealHoursPerDay > 0) deductions.push(`${plan.mealHoursPerDay}h meals`);
+  if (deductions.length > 0) parts.push(`${deductions.join(' + ')}/day`);
+  if (plan.dailyPayRate > 0) parts.push(`$${plan.dailyPayRate}/day pay`);
+  if (plan.dailyBillRate > 0) parts.push(`$${plan.dailyBillRate}/day bill`);
+  return parts.join(' · ');
+}
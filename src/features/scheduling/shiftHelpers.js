@@ -21,6 +21,8 @@ import {
   wallClockToUtcMs,
   utcMsToWallClockParts,
 } from '../../lib/scheduling/timezone';
+import { SERVICE_TYPE } from '../../lib/rateCards';
+import { validateLiveInFields } from '../../lib/liveIn';
 
 // Default shift duration for click-to-create on an empty slot.
 export const DEFAULT_SHIFT_DURATION_HOURS = 4;
@@ -279,11 +281,12 @@ export function isShiftHiddenFromCalendar(shift, visibleStatuses = null) {
 /**
  * Convert a shift row (from storage) into a FullCalendar event object.
  * The full shift is stashed on `extendedProps.shift` so the click
- * handler has access to it.
+ * handler has access to it. `needsCoverage` marks a shift whose
+ * caregiver has approved time off over it (see timeOffRequests.js).
  */
 export function shiftToCalendarEvent(
   shift,
-  { clientsById = {}, caregiversById = {}, actuals = null } = {},
+  { clientsById = {}, caregiversById = {}, actuals = null, needsCoverage = false } = {},
 ) {
   if (!shift || !shift.startTime || !shift.endTime) return null;
   const colors = shiftStatusColors(shift.status);
@@ -304,10 +307,12 @@ export function shiftToCalendarEvent(
     ? computeShiftVariance(shift, actuals)
     : { hasVariance: false, primaryFlag: null, primaryLabel: null };
 
-  const title = variance.hasVariance ? `${baseTitle} · ${variance.primaryLabel}` : baseTitle;
+  let title = variance.hasVariance ? `${baseTitle} · ${variance.primaryLabel}` : baseTitle;
+  if (needsCoverage) title = `⚠ ${title} · Needs coverage`;
 
   const classNames = [`shift-status-${shift.status}`];
   if (variance.hasVariance) classNames.push(`shift-variance-${variance.primaryFlag}`);
+  if (needsCoverage) classNames.push('shift-needs-coverage');
 
   return {
     id: shift.id,
@@ -323,6 +328,7 @@ export function shiftToCalendarEvent(
       caregiverName,
       status: shift.status,
       variance,
+      needsCoverage,
     },
     classNames,
   };
@@ -340,6 +346,8 @@ export function shiftToCalendarEvent(
  * Rules:
  *   - endTime must be strictly after startTime
  *   - hourlyRate / billableRate / mileage, if present, must be >= 0
+ *   - live-in shifts: sleep / meal hours and daily rates must pass
+ *     validateLiveInFields (src/lib/liveIn.js)
  */
 export function validateShiftDraft(draft) {
   if (!draft) return 'Missing shift data.';
@@ -358,6 +366,15 @@ export function validateShiftDraft(draft) {
       }
     }
   }
+  if (draft.serviceType === SERVICE_TYPE.LIVE_IN) {
+    const liveInError = validateLiveInFields({
+      sleep_hours_per_day: draft.sleepHoursPerDay,
+      meal_hours_per_day: draft.mealHoursPerDay,
+      daily_pay_rate: draft.dailyPayRate,
+      daily_bill_rate: draft.dailyBillRate,
+    });
+    if (liveInError) return liveInError;
+  }
   return null;
 }
 
@@ -422,8 +439,14 @@ export function buildShiftUpdatePatch(original, draft) {
     endTime: 'endTime',
     status: 'status',
     locationAddress: 'locationAddress',
+    serviceType: 'serviceType',
     hourlyRate: 'hourlyRate',
     billableRate: 'billableRate',
+    sleepHoursPerDay: 'sleepHoursPerDay',
+    mealHoursPerDay: 'mealHoursPerDay',
+    sleepInterrupted: 'sleepInterrupted',
+    dailyPayRate: 'dailyPayRate',
+    dailyBillRate: 'dailyBillRate',
     mileage: 'mileage',
     requiredSkills: 'requiredSkills',
     instructions: 'instructions',
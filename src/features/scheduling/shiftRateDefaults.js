@@ -2,9 +2,12 @@
 // defaults. Extracted from ShiftForm so the rules can be unit-tested
 // independently of React state.
 //
-// Mirrors the DB trigger in migration 20260526000000:
+// Mirrors the DB trigger in migrations 20260526000000 and
+// 20260609000000:
 //   - Only fills when the existing value is null/empty.
 //   - Never overwrites an explicitly-typed value.
+//   - Consults the rate cards (src/lib/rateCards.js) for the draft's
+//     service type and start date before the flat defaults.
 //   - Returns a NEW draft object so React state updates trigger
 //     re-render (no in-place mutation).
 //
@@ -13,42 +16,116 @@
 // before they submit. If the helper is bypassed (bulk import,
 // automation, edge function), the trigger still does the right thing.
 
+import { RATE_SOURCE, resolveBillRate, resolvePayRate } from '../../lib/rateCards';
+import { DEFAULT_APP_TIMEZONE, utcMsToWallClockParts } from '../../lib/scheduling/timezone';
+
 function isEmptyRate(v) {
   return v === null || v === undefined || v === '';
 }
 
+// The rate cards key on the shift's local start date (same as the
+// trigger, which reads the org's payroll timezone).
+function draftDate(draft) {
+  if (!draft?.startTime) return null;
+  const ms = Date.parse(draft.startTime);
+  if (Number.isNaN(ms)) return null;
+  return utcMsToWallClockParts(ms, DEFAULT_APP_TIMEZONE).dateOnly;
+}
+
+// The resolvers skip a 0 default; the form keeps it (an org may set 0
+// to force per-shift entry).
+function flatDefault(rate, source) {
+  if (rate === null || rate === undefined) return { rate: null, source: null };
+  return { rate, source };
+}
+
+/**
+ * The pay rate a new shift would get for this caregiver: their rate
+ * card for the draft's service type, else their defaultPayRate.
+ *
+ * @returns {{ rate: number|null, source: string|null }}
+ */
+export function resolveCaregiverDefault(draft, caregiver, rateCards = []) {
+  if (!caregiver) return { rate: null, source: null };
+  const { rate, source } = resolvePayRate({
+    rateCards,
+    caregiver: { id: caregiver.id, default_pay_rate: caregiver.defaultPayRate },
+    serviceType: draft?.serviceType ?? null,
+    date: draftDate(draft),
+  });
+  if (source) return { rate, source };
+  return flatDefault(caregiver.defaultPayRate, RATE_SOURCE.CAREGIVER_DEFAULT);
+}
+
+/**
+ * The bill rate a new shift would get for this client: client card,
+ * then payer card, then the client's defaultBillableRate.
+ *
+ * @returns {{ rate: number|null, source: string|null }}
+ */
+export function resolveClientDefault(draft, client, rateCards = []) {
+  if (!client) return { rate: null, source: null };
+  const { rate, source } = resolveBillRate({
+    rateCards,
+    client: {
+      id: client.id,
+      payer_type: client.payerType ?? null,
+      default_billable_rate: client.defaultBillableRate,
+    },
+    serviceType: draft?.serviceType ?? null,
+    date: draftDate(draft),
+  });
+  if (source) return { rate, source };
+  return flatDefault(client.defaultBillableRate, RATE_SOURCE.CLIENT_DEFAULT);
+}
+
 /**
  * Auto-fill the caregiver-pay rate (`hourlyRate`) on a shift draft
- * from the caregiver's `defaultPayRate`. No-op when the draft already
- * has a rate or the caregiver has no default.
+ * from the caregiver's rate card or `defaultPayRate`. No-op when the
+ * draft already has a rate or the caregiver has neither.
  *
  * @param {object} draft  - The shift form draft (with hourlyRate, etc.)
  * @param {object} caregiver - The full caregiver object with defaultPayRate
+ * @param {Array<object>} [rateCards] - `rate_cards` rows (any scope)
  * @returns {object} - New draft, possibly with hourlyRate filled in.
  */
-export function applyCaregiverDefaultRate(draft, caregiver) {
+export function applyCaregiverDefaultRate(draft, caregiver, rateCards = []) {
   if (!draft) return draft;
   if (!isEmptyRate(draft.hourlyRate)) return draft;
-  if (!caregiver) return draft;
-  const rate = caregiver.defaultPayRate;
-  if (rate === null || rate === undefined) return draft;
+  const { rate } = resolveCaregiverDefault(draft, caregiver, rateCards);
+  if (rate === null) return draft;
   return { ...draft, hourlyRate: rate };
 }
 
 /**
  * Auto-fill the client-bill rate (`billableRate`) on a shift draft
- * from the client's `defaultBillableRate`. No-op when the draft
- * already has a rate or the client has no default.
+ * from the client / payer rate card or the client's
+ * `defaultBillableRate`. No-op when the draft already has a rate or
+ * nothing matches.
  */
-export function applyClientDefaultRate(draft, client) {
+export function applyClientDefaultRate(draft, client, rateCards = []) {
   if (!draft) return draft;
   if (!isEmptyRate(draft.billableRate)) return draft;
-  if (!client) return draft;
-  const rate = client.defaultBillableRate;
-  if (rate === null || rate === undefined) return draft;
+  const { rate } = resolveClientDefault(draft, client, rateCards);
+  if (rate === null) return draft;
   return { ...draft, billableRate: rate };
 }
 
+/**
+ * Change the draft's service type and re-price any rate that was
+ * auto-filled for the OLD service type. A rate that doesn't match the
+ * old resolution was typed by the office and is left alone.
+ */
+export function applyServiceTypeChange(draft, serviceType, { client, caregiver, rateCards = [] } = {}) {
+  if (!draft) return draft;
+  const next = { ...draft, serviceType: serviceType || null };
+  const prevPay = resolveCaregiverDefault(draft, caregiver, rateCards).rate;
+  if (prevPay !== null && Number(draft.hourlyRate) === prevPay) next.hourlyRate = null;
+  const prevBill = resolveClientDefault(draft, client, rateCards).rate;
+  if (prevBill !== null && Number(draft.billableRate) === prevBill) next.billableRate = null;
+  return applyClientDefaultRate(applyCaregiverDefaultRate(next, caregiver, rateCards), client, rateCards);
+}
+
 /**
  * Returns true when the given draft rate exactly matches the
  * caregiver/client default. Used by the UI to show a "(from default)"
@@ -1,5 +1,20 @@
 import { supabase, isSupabaseConfigured } from '../../lib/supabase';
 import { dispatchShiftAutomations } from '../../lib/shiftAutomations';
+import { normalizeRateCard } from '../../lib/rateCards';
+import {
+  SHIFT_CHANGE_STATUS,
+  OPEN_CHANGE_STATUSES,
+  isChangeRequestCurrent,
+  approvalShiftPatch,
+} from '../../lib/scheduling/shiftChangeRequests';
+import { TIME_OFF_STATUS, timeOffAvailabilityRow } from '../../lib/scheduling/timeOffRequests';
+import { ATTENDANCE_LOOKBACK_DAYS, summarizeAttendance } from '../../lib/scheduling/noShowDetection';
+import {
+  CLOCK_OUT_CORRECTION_STATUS,
+  OPEN_CORRECTION_STATUSES,
+  correctedClockOutEvent,
+} from '../../lib/scheduling/clockOutCorrections';
+import { slotShiftView } from '../../lib/scheduling/shiftSlots';
 
 // ═══════════════════════════════════════════════════════════════
 // Scheduling Storage Layer
@@ -16,7 +31,9 @@ import { dispatchShiftAutomations } from '../../lib/shiftAutomations';
 //
 // Tables:
 //   service_plans, shifts, caregiver_availability,
-//   caregiver_assignments, shift_offers
+//   caregiver_assignments, shift_offers, shift_change_requests,
+//   caregiver_time_off_requests, shift_attendance_incidents,
+//   clock_out_corrections, shift_slots
 // ═══════════════════════════════════════════════════════════════
 
 
@@ -37,6 +54,11 @@ export const dbToServicePlan = (row) => ({
   notes: row.notes,
   isOngoing: row.is_ongoing === true,
   lastGeneratedThrough: row.last_generated_through ?? null,
+  liveIn: row.live_in === true,
+  sleepHoursPerDay: row.sleep_hours_per_day != null ? Number(row.sleep_hours_per_day) : null,
+  mealHoursPerDay: row.meal_hours_per_day != null ? Number(row.meal_hours_per_day) : null,
+  dailyPayRate: row.daily_pay_rate != null ? Number(row.daily_pay_rate) : null,
+  dailyBillRate: row.daily_bill_rate != null ? Number(row.daily_bill_rate) : null,
   createdBy: row.created_by,
   createdAt: row.created_at,
   updatedAt: row.updated_at,
@@ -66,6 +88,15 @@ export const servicePlanToDb = (plan) => {
   // (`false` and `NULL`) cover the omitted case.
   if (plan.isOngoing === true) row.is_ongoing = true;
   if (plan.lastGeneratedThrough != null) row.last_generated_through = plan.lastGeneratedThrough;
+  // Same for the live-in settings (20260610000000): only live-in plans
+  // write them.
+  if (plan.liveIn === true) {
+    row.live_in = true;
+    row.sleep_hours_per_day = plan.sleepHoursPerDay ?? null;
+    row.meal_hours_per_day = plan.mealHoursPerDay ?? null;
+    row.daily_pay_rate = plan.dailyPayRate ?? null;
+    row.daily_bill_rate = plan.dailyBillRate ?? null;
+  }
   return row;
 };
 
@@ -106,6 +137,11 @@ export const buildServicePlanPatchRow = (patch) => {
   if ('notes' in patch) row.notes = patch.notes;
   if ('isOngoing' in patch) row.is_ongoing = patch.isOngoing === true;
   if ('lastGeneratedThrough' in patch) row.last_generated_through = patch.lastGeneratedThrough;
+  if ('liveIn' in patch) row.live_in = patch.liveIn === true;
+  if ('sleepHoursPerDay' in patch) row.sleep_hours_per_day = patch.sleepHoursPerDay;
+  if ('mealHoursPerDay' in patch) row.meal_hours_per_day = patch.mealHoursPerDay;
+  if ('dailyPayRate' in patch) row.daily_pay_rate = patch.dailyPayRate;
+  if ('dailyBillRate' in patch) row.daily_bill_rate = patch.dailyBillRate;
   if ('createdBy' in patch) row.created_by = patch.createdBy;
   row.updated_at = new Date().toISOString();
   return row;
@@ -150,8 +186,14 @@ export const dbToShift = (row) => ({
   recurrenceGroupId: row.recurrence_group_id,
   recurrenceRule: row.recurrence_rule,
   locationAddress: row.location_address,
+  serviceType: row.service_type ?? null,
   hourlyRate: row.hourly_rate != null ? Number(row.hourly_rate) : null,
   billableRate: row.billable_rate != null ? Number(row.billable_rate) : null,
+  sleepHoursPerDay: row.sleep_hours_per_day != null ? Number(row.sleep_hours_per_day) : null,
+  mealHoursPerDay: row.meal_hours_per_day != null ? Number(row.meal_hours_per_day) : null,
+  sleepInterrupted: row.sleep_interrupted === true,
+  dailyPayRate: row.daily_pay_rate != null ? Number(row.daily_pay_rate) : null,
+  dailyBillRate: row.daily_bill_rate != null ? Number(row.daily_bill_rate) : null,
   mileage: row.mileage != null ? Number(row.mileage) : null,
   requiredSkills: row.required_skills || [],
   instructions: row.instructions,
@@ -179,8 +221,14 @@ export const shiftToDb = (shift) => ({
   recurrence_group_id: shift.recurrenceGroupId ?? null,
   recurrence_rule: shift.recurrenceRule ?? null,
   location_address: shift.locationAddress ?? null,
+  service_type: shift.serviceType ?? null,
   hourly_rate: shift.hourlyRate ?? null,
   billable_rate: shift.billableRate ?? null,
+  sleep_hours_per_day: shift.sleepHoursPerDay ?? null,
+  meal_hours_per_day: shift.mealHoursPerDay ?? null,
+  sleep_interrupted: shift.sleepInterrupted === true,
+  daily_pay_rate: shift.dailyPayRate ?? null,
+  daily_bill_rate: shift.dailyBillRate ?? null,
   mileage: shift.mileage ?? null,
   required_skills: shift.requiredSkills ?? [],
   instructions: shift.instructions ?? null,
@@ -298,8 +346,14 @@ export const updateShift = async (id, patch) => {
   if ('endTime' in patch) row.end_time = patch.endTime;
   if ('status' in patch) row.status = patch.status;
   if ('locationAddress' in patch) row.location_address = patch.locationAddress;
+  if ('serviceType' in patch) row.service_type = patch.serviceType;
   if ('hourlyRate' in patch) row.hourly_rate = patch.hourlyRate;
   if ('billableRate' in patch) row.billable_rate = patch.billableRate;
+  if ('sleepHoursPerDay' in patch) row.sleep_hours_per_day = patch.sleepHoursPerDay;
+  if ('mealHoursPerDay' in patch) row.meal_hours_per_day = patch.mealHoursPerDay;
+  if ('sleepInterrupted' in patch) row.sleep_interrupted = patch.sleepInterrupted === true;
+  if ('dailyPayRate' in patch) row.daily_pay_rate = patch.dailyPayRate;
+  if ('dailyBillRate' in patch) row.daily_bill_rate = patch.dailyBillRate;
   if ('mileage' in patch) row.mileage = patch.mileage;
   if ('requiredSkills' in patch) row.required_skills = patch.requiredSkills;
   if ('instructions' in patch) row.instructions = patch.instructions;
@@ -402,6 +456,112 @@ export const getShifts = async (filters = {}) => {
   return (data || []).map(dbToShift);
 };
 
+/**
+ * Fetch specific shifts by id, in start order. Used by queues that
+ * reference shifts outside the calendar's visible range.
+ */
+export const getShiftsByIds = async (ids) => {
+  if (!isSupabaseConfigured()) return [];
+  if (!Array.isArray(ids) || ids.length === 0) return [];
+  const { data, error } = await supabase
+    .from('shifts')
+    .select('*')
+    .in('id', ids)
+    .order('start_time', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(dbToShift);
+};
+
+
+// ─── shift_slots ───────────────────────────────────────────────
+// Extra caregivers on multi-caregiver shifts (two-person assists, a
+// nurse alongside the caregiver). The lead stays on the shift row.
+// Rules live in src/lib/scheduling/shiftSlots.js; callers validate
+// with validateSlotAssignment before writing.
+
+export const dbToShiftSlot = (row) => ({
+  id: row.id,
+  shiftId: row.shift_id,
+  role: row.role,
+  caregiverId: row.caregiver_id ?? null,
+  billable: row.billable === true,
+  hourlyRate: row.hourly_rate != null ? Number(row.hourly_rate) : null,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+export const getShiftSlots = async (shiftId) => {
+  if (!isSupabaseConfigured()) return [];
+  if (!shiftId) return [];
+  const { data, error } = await supabase
+    .from('shift_slots')
+    .select('*')
+    .eq('shift_id', shiftId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(dbToShiftSlot);
+};
+
+export const createShiftSlot = async ({ shiftId, role, caregiverId, billable, hourlyRate, createdBy }) => {
+  if (!isSupabaseConfigured()) return null;
+  const { data, error } = await supabase
+    .from('shift_slots')
+    .insert({
+      shift_id: shiftId,
+      role,
+      caregiver_id: caregiverId ?? null,
+      billable: billable === true,
+      hourly_rate: hourlyRate ?? null,
+      created_by: createdBy ?? null,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToShiftSlot(data);
+};
+
+export const updateShiftSlot = async (id, patch) => {
+  if (!isSupabaseConfigured()) return null;
+  const row = {};
+  if ('role' in patch) row.role = patch.role;
+  if ('caregiverId' in patch) row.caregiver_id = patch.caregiverId ?? null;
+  if ('billable' in patch) row.billable = patch.billable === true;
+  if ('hourlyRate' in patch) row.hourly_rate = patch.hourlyRate ?? null;
+  const { data, error } = await supabase
+    .from('shift_slots')
+    .update(row)
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToShiftSlot(data);
+};
+
+export const deleteShiftSlot = async (id) => {
+  if (!isSupabaseConfigured()) return false;
+  const { error } = await supabase
+    .from('shift_slots')
+    .delete()
+    .eq('id', id);
+  if (error) throw error;
+  return true;
+};
+
+
+// ─── rate_cards ───────────────────────────────────────────────────
+// Read-only here: the shift form prefills rates from the cards
+// (src/lib/rateCards.js). Cards are admin-only under RLS, so other
+// roles get [] and rely on the shift trigger to apply them on save.
+// Managed from Accounting → Rate Cards.
+
+export const getRateCards = async () => {
+  if (!isSupabaseConfigured()) return [];
+  const { data, error } = await supabase.from('rate_cards').select('*');
+  if (error) throw error;
+  return (data || []).map(normalizeRateCard);
+};
+
 
 // ─── caregiver_availability ────────────────────────────────────
 
@@ -529,6 +689,10 @@ export const getAvailabilityForCaregivers = async (caregiverIds) => {
  * Bulk-fetch shifts assigned to any of the given caregivers within a
  * date window. Used by the caregiver picker to check conflicts and
  * compute hours-this-week without N+1 queries.
+ *
+ * Shifts a caregiver works in a slot (multi-caregiver shifts) come
+ * back too, as `slotShiftView`s: the caregiver in assignedCaregiverId,
+ * plus slotId / slotRole. Their id is the real shift's.
  */
 export const getShiftsForCaregivers = async ({ caregiverIds, startDate, endDate }) => {
   if (!isSupabaseConfigured()) return [];
@@ -539,9 +703,27 @@ export const getShiftsForCaregivers = async ({ caregiverIds, startDate, endDate
     .in('assigned_caregiver_id', caregiverIds);
   if (startDate) query = query.gte('start_time', startDate);
   if (endDate) query = query.lte('start_time', endDate);
-  const { data, error } = await query.order('start_time', { ascending: true });
-  if (error) throw error;
-  return (data || []).map(dbToShift);
+  let slotQuery = supabase
+    .from('shift_slots')
+    .select('id, shift_id, caregiver_id, role, hourly_rate, shift:shifts!inner(*)')
+    .in('caregiver_id', caregiverIds);
+  if (startDate) slotQuery = slotQuery.gte('shift.start_time', startDate);
+  if (endDate) slotQuery = slotQuery.lte('shift.start_time', endDate);
+  const [leadRes, slotRes] = await Promise.all([
+    query.order('start_time', { ascending: true }),
+    slotQuery,
+  ]);
+  if (leadRes.error) throw leadRes.error;
+  if (slotRes.error) throw slotRes.error;
+  const slotShifts = (slotRes.data || [])
+    .filter((sl) => sl.shift)
+    .map((sl) => ({
+      ...dbToShift(slotShiftView(sl.shift, sl)),
+      slotId: sl.id,
+      slotRole: sl.role,
+    }));
+  return [...(leadRes.data || []).map(dbToShift), ...slotShifts]
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
 };
 
 
@@ -632,6 +814,24 @@ export const getAssignmentsForClient = async (clientId, { activeOnly = true } =
   return (data || []).map(dbToAssignment);
 };
 
+/**
+ * Bulk-fetch assignments for many clients in a single query. Used by
+ * the auto-scheduler, which ranks a whole week of open shifts across
+ * clients at once.
+ */
+export const getAssignmentsForClients = async (clientIds, { activeOnly = true } = {}) => {
+  if (!isSupabaseConfigured()) return [];
+  if (!Array.isArray(clientIds) || clientIds.length === 0) return [];
+  let query = supabase
+    .from('caregiver_assignments')
+    .select('*')
+    .in('client_id', clientIds);
+  if (activeOnly) query = query.eq('status', 'active');
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(dbToAssignment);
+};
+
 
 // ─── shift_offers ──────────────────────────────────────────────
 // Tracks every broadcast SMS sent to a caregiver about an open shift.
@@ -733,6 +933,436 @@ export const updateShiftOffer = async (id, patch) => {
 };
 
 
+// ─── shift_change_requests ─────────────────────────────────────
+// Caregiver-initiated drops and swaps. Caregivers create and answer
+// them through the caregiver-shift-requests edge function; the office
+// reads and decides them here. Lifecycle rules live in
+// src/lib/scheduling/shiftChangeRequests.js.
+
+export const dbToShiftChangeRequest = (row) => ({
+  id: row.id,
+  shiftId: row.shift_id,
+  requesterCaregiverId: row.requester_caregiver_id,
+  kind: row.kind,
+  targetCaregiverId: row.target_caregiver_id,
+  status: row.status,
+  reason: row.reason,
+  coworkerRespondedAt: row.coworker_responded_at,
+  decidedAt: row.decided_at,
+  decidedBy: row.decided_by,
+  decisionNote: row.decision_note,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Every request still in flight (waiting on a coworker or the office),
+ * oldest first. Feeds the approval queue on the schedule page.
+ */
+export const getOpenShiftChangeRequests = async () => {
+  if (!isSupabaseConfigured()) return [];
+  const { data, error } = await supabase
+    .from('shift_change_requests')
+    .select('*')
+    .in('status', OPEN_CHANGE_STATUSES)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(dbToShiftChangeRequest);
+};
+
+/**
+ * Approve or deny a request waiting on the office.
+ *
+ * Approving re-checks that the shift still belongs to the requester
+ * and hasn't started; if not, the request is cancelled and this
+ * throws. The decision is then claimed with a pending_approval →
+ * decided update, so a request the caregiver withdrew or another
+ * scheduler decided in the meantime throws before the shift is
+ * touched. Approving then reassigns (swap) or reopens (drop) the shift
+ * through updateShift so the usual shift automations fire; if that
+ * fails the request goes back to pending_approval. Conflict checks for
+ * the incoming caregiver are the caller's job — see
+ * ShiftChangeRequestsModal.
+ *
+ * @returns {Promise<object>} the updated request (app shape)
+ */
+export const decideShiftChangeRequest = async (id, { approve, decidedBy, decisionNote } = {}) => {
+  if (!isSupabaseConfigured()) return null;
+
+  const { data: request, error: reqErr } = await supabase
+    .from('shift_change_requests')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (reqErr) throw reqErr;
+  if (!request || request.status !== SHIFT_CHANGE_STATUS.PENDING_APPROVAL) {
+    throw new Error('This request is no longer waiting for approval.');
+  }
+
+  if (approve) {
+    const { data: shiftRow, error: shiftErr } = await supabase
+      .from('shifts')
+      .select('*')
+      .eq('id', request.shift_id)
+      .maybeSingle();
+    if (shiftErr) throw shiftErr;
+    if (!isChangeRequestCurrent(request, shiftRow)) {
+      await supabase
+        .from('shift_change_requests')
+        .update({ status: SHIFT_CHANGE_STATUS.CANCELLED })
+        .eq('id', id)
+        .eq('status', SHIFT_CHANGE_STATUS.PENDING_APPROVAL);
+      throw new Error('The shift changed after this request was made, so the request was withdrawn.');
+    }
+  }
+
+  const decidedStatus = approve ? SHIFT_CHANGE_STATUS.APPROVED : SHIFT_CHANGE_STATUS.DENIED;
+  const { data: claimed, error: claimErr } = await supabase
+    .from('shift_change_requests')
+    .update({
+      status: decidedStatus,
+      decided_at: new Date().toISOString(),
+      decided_by: decidedBy ?? null,
+      decision_note: decisionNote ?? null,
+    })
+    .eq('id', id)
+    .eq('status', SHIFT_CHANGE_STATUS.PENDING_APPROVAL)
+    .select()
+    .maybeSingle();
+  if (claimErr) throw claimErr;
+  if (!claimed) throw new Error('This request is no longer waiting for approval.');
+  if (!approve) return dbToShiftChangeRequest(claimed);
+
+  try {
+    const patch = approvalShiftPatch(request);
+    await updateShift(request.shift_id, {
+      assignedCaregiverId: patch.assigned_caregiver_id,
+      status: patch.status,
+    });
+  } catch (err) {
+    // Hand it back to the queue for another try.
+    await supabase
+      .from('shift_change_requests')
+      .update({
+        status: SHIFT_CHANGE_STATUS.PENDING_APPROVAL,
+        decided_at: null,
+        decided_by: null,
+        decision_note: null,
+      })
+      .eq('id', id)
+      .eq('status', decidedStatus);
+    throw err;
+  }
+  return dbToShiftChangeRequest(claimed);
+};
+
+
+// ─── caregiver_time_off_requests ───────────────────────────────
+// Time off caregivers ask for from the PWA (through the caregiver-
+// availability edge function). The office approves or denies it here.
+// Rules live in src/lib/scheduling/timeOffRequests.js.
+
+export const dbToTimeOffRequest = (row) => ({
+  id: row.id,
+  caregiverId: row.caregiver_id,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  reason: row.reason,
+  status: row.status,
+  availabilityId: row.availability_id ?? null,
+  decidedAt: row.decided_at,
+  decidedBy: row.decided_by,
+  decisionNote: row.decision_note,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Time-off requests in the given statuses, optionally only those still
+ * running on or after `fromDate` (YYYY-MM-DD). Soonest first.
+ */
+export const getTimeOffRequests = async ({ statuses, fromDate } = {}) => {
+  if (!isSupabaseConfigured()) return [];
+  let query = supabase.from('caregiver_time_off_requests').select('*');
+  if (Array.isArray(statuses) && statuses.length > 0) query = query.in('status', statuses);
+  if (fromDate) query = query.gte('end_date', fromDate);
+  const { data, error } = await query.order('start_date', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(dbToTimeOffRequest);
+};
+
+/**
+ * Approve or deny a pending request.
+ *
+ * The decision is claimed first with a pending → decided update, so a
+ * request the caregiver withdrew or another approver decided in the
+ * meantime throws without writing anything. Approving then writes the
+ * pinned "unavailable" caregiver_availability row for the dates and
+ * links it from the request; if the insert fails the request goes back
+ * to pending. Shifts already assigned in that window are not touched —
+ * the schedule page flags them as needing coverage.
+ *
+ * @returns {Promise<object>} the updated request (app shape)
+ */
+export const decideTimeOffRequest = async (id, { approve, decidedBy, decisionNote } = {}) => {
+  if (!isSupabaseConfigured()) return null;
+
+  const { data: request, error: reqErr } = await supabase
+    .from('caregiver_time_off_requests')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (reqErr) throw reqErr;
+  if (!request || request.status !== TIME_OFF_STATUS.PENDING) {
+    throw new Error('This request is no longer waiting for approval.');
+  }
+
+  const decidedStatus = approve ? TIME_OFF_STATUS.APPROVED : TIME_OFF_STATUS.DENIED;
+  const { data: claimed, error: claimErr } = await supabase
+    .from('caregiver_time_off_requests')
+    .update({
+      status: decidedStatus,
+      decided_at: new Date().toISOString(),
+      decided_by: decidedBy ?? null,
+      decision_note: decisionNote ?? null,
+    })
+    .eq('id', id)
+    .eq('status', TIME_OFF_STATUS.PENDING)
+    .select()
+    .maybeSingle();
+  if (claimErr) throw claimErr;
+  if (!claimed) throw new Error('This request is no longer waiting for approval.');
+  if (!approve) return dbToTimeOffRequest(claimed);
+
+  const { data: availability, error: availErr } = await supabase
+    .from('caregiver_availability')
+    .insert(timeOffAvailabilityRow(request, { createdBy: decidedBy ?? null }))
+    .select('id')
+    .single();
+  if (availErr) {
+    await supabase
+      .from('caregiver_time_off_requests')
+      .update({ status: TIME_OFF_STATUS.PENDING, decided_at: null, decided_by: null, decision_note: null })
+      .eq('id', id)
+      .eq('status', decidedStatus);
+    throw availErr;
+  }
+
+  const { data, error } = await supabase
+    .from('caregiver_time_off_requests')
+    .update({ availability_id: availability.id })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToTimeOffRequest(data);
+};
+
+// ─── clock_out_corrections ─────────────────────────────────────
+// End times caregivers report for shifts they forgot to clock out of,
+// through the caregiver-clock-corrections edge function (prompted by
+// the missed-clock-out-detector cron). The office reviews them here.
+// Rules live in src/lib/scheduling/clockOutCorrections.js.
+
+export const dbToClockOutCorrection = (row) => ({
+  id: row.id,
+  shiftId: row.shift_id,
+  caregiverId: row.caregiver_id,
+  status: row.status,
+  requestedEndTime: row.requested_end_time,
+  reason: row.reason,
+  promptedAt: row.prompted_at,
+  submittedAt: row.submitted_at,
+  decidedAt: row.decided_at,
+  decidedBy: row.decided_by,
+  decisionNote: row.decision_note,
+  clockEventId: row.clock_event_id ?? null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Corrections still open — waiting on the caregiver ('prompted') or
+ * the office ('pending') — oldest first. Feeds the review queue.
+ */
+export const getOpenClockOutCorrections = async () => {
+  if (!isSupabaseConfigured()) return [];
+  const { data, error } = await supabase
+    .from('clock_out_corrections')
+    .select('*')
+    .in('status', OPEN_CORRECTION_STATUSES)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(dbToClockOutCorrection);
+};
+
+/**
+ * Cancel any open correction for a shift. Called when the office
+ * enters the clock-out by hand instead.
+ */
+export const cancelOpenClockOutCorrections = async (shiftId) => {
+  if (!isSupabaseConfigured() || !shiftId) return;
+  const { error } = await supabase
+    .from('clock_out_corrections')
+    .update({ status: CLOCK_OUT_CORRECTION_STATUS.CANCELLED })
+    .eq('shift_id', shiftId)
+    .in('status', OPEN_CORRECTION_STATUSES);
+  if (error) throw error;
+};
+
+/**
+ * Approve or deny a correction waiting on the office.
+ *
+ * Approving re-checks that the shift is still in progress for the same
+ * caregiver with no clock-out; if not, the correction is cancelled and
+ * this throws. The decision is then claimed with a pending → decided
+ * update, so of two reviewers deciding at once only one goes on; the
+ * other throws before touching the shift. Approving then writes the
+ * reported end time as a manual-entry clock-out (insertManualClockEvent
+ * — the approver is edited_by and the caregiver's reason the
+ * edit_reason), completes the shift through updateShift, and links the
+ * event. If that fails the correction goes back to pending.
+ * Regenerating the affected timesheet is the caller's job.
+ *
+ * @returns {Promise<object>} the updated correction (app shape)
+ */
+export const decideClockOutCorrection = async (id, { approve, decidedBy, decisionNote } = {}) => {
+  if (!isSupabaseConfigured()) return null;
+
+  const { data: correction, error: readErr } = await supabase
+    .from('clock_out_corrections')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (readErr) throw readErr;
+  if (!correction || correction.status !== CLOCK_OUT_CORRECTION_STATUS.PENDING) {
+    throw new Error('This correction is no longer waiting for review.');
+  }
+
+  if (approve) {
+    const [{ data: shiftRow, error: shiftErr }, { data: outs, error: outErr }] = await Promise.all([
+      supabase.from('shifts').select('status, assigned_caregiver_id').eq('id', correction.shift_id).maybeSingle(),
+      supabase.from('clock_events').select('id').eq('shift_id', correction.shift_id).eq('event_type', 'out'),
+    ]);
+    if (shiftErr) throw shiftErr;
+    if (outErr) throw outErr;
+    const stillOpen = shiftRow
+      && shiftRow.status === 'in_progress'
+      && shiftRow.assigned_caregiver_id === correction.caregiver_id
+      && (outs || []).length === 0;
+    if (!stillOpen) {
+      await cancelOpenClockOutCorrections(correction.shift_id);
+      throw new Error('This shift already has a clock-out or has changed, so the correction was withdrawn.');
+    }
+  }
+
+  const decidedStatus = approve ? CLOCK_OUT_CORRECTION_STATUS.APPROVED : CLOCK_OUT_CORRECTION_STATUS.DENIED;
+  const { data: claimed, error: claimErr } = await supabase
+    .from('clock_out_corrections')
+    .update({
+      status: decidedStatus,
+      decided_at: new Date().toISOString(),
+      decided_by: decidedBy ?? null,
+      decision_note: decisionNote ?? null,
+    })
+    .eq('id', id)
+    .eq('status', CLOCK_OUT_CORRECTION_STATUS.PENDING)
+    .select();
+  if (claimErr) throw claimErr;
+  if (!claimed || claimed.length === 0) {
+    throw new Error('This correction is no longer waiting for review.');
+  }
+  if (!approve) return dbToClockOutCorrection(claimed[0]);
+
+  let clockEventId = null;
+  try {
+    const row = correctedClockOutEvent(correction, { decidedBy: decidedBy ?? null });
+    const event = await insertManualClockEvent({
+      shiftId: row.shift_id,
+      caregiverId: row.caregiver_id,
+      eventType: row.event_type,
+      occurredAt: row.occurred_at,
+      editedBy: row.edited_by,
+      editReason: row.edit_reason,
+    });
+    clockEventId = event?.id ?? null;
+    await updateShift(correction.shift_id, { status: 'completed' });
+  } catch (err) {
+    // Hand it back to the queue; a clock-out that did land makes the
+    // next approval attempt withdraw it instead.
+    await supabase
+      .from('clock_out_corrections')
+      .update({ status: CLOCK_OUT_CORRECTION_STATUS.PENDING, decided_at: null, decided_by: null, decision_note: null })
+      .eq('id', id)
+      .eq('status', decidedStatus);
+    throw err;
+  }
+
+  const { data, error } = await supabase
+    .from('clock_out_corrections')
+    .update({ clock_event_id: clockEventId })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return dbToClockOutCorrection(data);
+};
+
+// Timesheet statuses rebuilt automatically after a correction.
+const REGENERATE_TIMESHEET_STATUSES = ['draft', 'pending_approval', 'blocked', 'rejected'];
+
+/**
+ * Rebuild the payroll timesheets that include a shift after its clock
+ * events change, through payroll-regenerate-timesheet. Approved and
+ * exported timesheets are left alone — staff regenerate those from
+ * Payroll on purpose.
+ *
+ * @returns {Promise<{ regenerated: number, locked: number }>}
+ */
+export const regenerateTimesheetsForShift = async (shiftId, reason) => {
+  if (!isSupabaseConfigured() || !shiftId) return { regenerated: 0, locked: 0 };
+  const { data, error } = await supabase
+    .from('timesheet_shifts')
+    .select('timesheet_id, timesheets(id, status)')
+    .eq('shift_id', shiftId);
+  if (error) throw error;
+  const timesheets = (data || []).map((r) => r.timesheets).filter(Boolean);
+  const open = timesheets.filter((t) => REGENERATE_TIMESHEET_STATUSES.includes(t.status));
+  for (const ts of open) {
+    const { data: res, error: fnErr } = await supabase.functions.invoke('payroll-regenerate-timesheet', {
+      body: { timesheet_id: ts.id, reason: reason || '' },
+    });
+    if (fnErr || res?.ok === false) {
+      throw new Error(fnErr?.context?.responseJson?.error || res?.error || fnErr?.message || 'Regenerate failed.');
+    }
+  }
+  return { regenerated: open.length, locked: timesheets.length - open.length };
+};
+
+// ─── shift_attendance_incidents ────────────────────────────────
+// Late clock-ins and no-shows recorded by the no-show-detector cron.
+// Read-only here; rules live in src/lib/scheduling/noShowDetection.js.
+
+/**
+ * Each caregiver's attendance record over the trailing window, keyed
+ * by caregiver id. Caregivers with a clean record are absent.
+ *
+ * @returns {Promise<Object<string, { lateCount, noShowCount, lastIncidentAt }>>}
+ */
+export const getAttendanceStats = async (caregiverIds) => {
+  if (!isSupabaseConfigured() || !caregiverIds?.length) return {};
+  const now = new Date();
+  const since = new Date(now.getTime() - ATTENDANCE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const { data, error } = await supabase
+    .from('shift_attendance_incidents')
+    .select('caregiver_id, kind, detected_at')
+    .in('caregiver_id', caregiverIds)
+    .gte('detected_at', since.toISOString());
+  if (error) throw error;
+  return summarizeAttendance(data || [], { now });
+};
+
+
 // ─── scheduling templates (Phase 5c) ───────────────────────────
 // Team-wide SMS templates stored in app_data so the admin can tweak
 // the wording once and have every scheduler see the new default.
@@ -802,6 +1432,8 @@ export const dbToClockEvent = (row) => ({
   shiftId: row.shift_id,
   caregiverId: row.caregiver_id,
   eventType: row.event_type,
+  // 'meal' | 'rest' on break_start / break_end rows, else null.
+  breakType: row.break_type ?? null,
   occurredAt: row.occurred_at,
   latitude: row.latitude != null ? Number(row.latitude) : null,
   longitude: row.longitude != null ? Number(row.longitude) : null,
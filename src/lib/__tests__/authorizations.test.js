@@ -0,0 +1,310 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AUTHORIZATION_ISSUE,
+  authorizationPeriodFor,
+  authorizationUsageWindow,
+  checkShiftsAgainstAuthorizations,
+  evaluateAuthorizations,
+  hoursToUnits,
+  matchAuthorization,
+  normalizeAuthorization,
+  validateAuthorization,
+} from '../authorizations.js';
+import { SERVICE_TYPE } from '../rateCards.js';
+
+const TZ = 'America/Los_Angeles';
+
+function auth(overrides = {}) {
+  return {
+    id: 'auth_1',
+    client_id: 'client_1',
+    payer: 'medi_cal_waiver',
+    auth_number: 'MCW-123',
+    service_type: null,
+    unit_cap: 40,
+    unit_minutes: 60,
+    cap_period: 'week',
+    start_date: '2026-04-01',
+    end_date: '2026-06-30',
+    ...overrides,
+  };
+}
+
+// 2026-04-20 is a Monday. Times are PDT (UTC-7).
+function shift(id, date, startHour, hours, overrides = {}) {
+  const start = new Date(`${date}T${String(startHour).padStart(2, '0')}:00:00-07:00`);
+  return {
+    id,
+    client_id: 'client_1',
+    service_type: null,
+    start_time: start.toISOString(),
+    end_time: new Date(start.getTime() + hours * 3_600_000).toISOString(),
+    status: 'confirmed',
+    ...overrides,
+  };
+}
+
+describe('normalizeAuthorization / hoursToUnits', () => {
+  it('converts numeric columns and defaults the unit length', () => {
+    const row = normalizeAuthorization(auth({ unit_cap: '160.00', unit_minutes: null }));
+    expect(row.unit_cap).toBe(160);
+    expect(row.unit_minutes).toBe(60);
+  });
+
+  it('counts units of the authorization length', () => {
+    expect(hoursToUnits(8)).toBe(8);
+    expect(hoursToUnits(8, 15)).toBe(32);
+    expect(hoursToUnits(1.5, 15)).toBe(6);
+    expect(hoursToUnits(0)).toBe(0);
+    expect(hoursToUnits(-2)).toBe(0);
+  });
+});
+
+describe('authorizationPeriodFor', () => {
+  it('uses Monday → Sunday weeks', () => {
+    expect(authorizationPeriodFor(auth(), '2026-04-22')).toEqual({
+      start: '2026-04-20',
+      end: '2026-04-26',
+    });
+  });
+
+  it('uses calendar months', () => {
+    expect(authorizationPeriodFor(auth({ cap_period: 'month' }), '2026-05-15')).toEqual({
+      start: '2026-05-01',
+      end: '2026-05-31',
+    });
+  });
+
+  it('uses the whole authorization for total caps', () => {
+    expect(authorizationPeriodFor(auth({ cap_period: 'total' }), '2026-05-15')).toEqual({
+      start: '2026-04-01',
+      end: '2026-06-30',
+    });
+  });
+
+  it('clips periods to the authorization dates', () => {
+    expect(authorizationPeriodFor(auth({ start_date: '2026-04-22' }), '2026-04-23')).toEqual({
+      start: '2026-04-22',
+      end: '2026-04-26',
+    });
+  });
+
+  it('returns null outside the authorization', () => {
+    expect(authorizationPeriodFor(auth(), '2026-07-01')).toBeNull();
+    expect(authorizationPeriodFor(auth(), '2026-03-31')).toBeNull();
+  });
+});
+
+describe('matchAuthorization', () => {
+  const s = shift('s1', '2026-04-21', 9, 8, { service_type: SERVICE_TYPE.PERSONAL_CARE });
+
+  it('prefers an exact service type over the catch-all', () => {
+    const exact = auth({ id: 'exact', service_type: SERVICE_TYPE.PERSONAL_CARE });
+    expect(matchAuthorization([auth(), exact], s, '2026-04-21').id).toBe('exact');
+  });
+
+  it('ignores other clients, other service types, and inactive authorizations', () => {
+    const auths = [
+      auth({ id: 'other_client', client_id: 'client_2' }),
+      auth({ id: 'companion', service_type: SERVICE_TYPE.COMPANION }),
+      auth({ id: 'expired', end_date: '2026-04-10' }),
+    ];
+    expect(matchAuthorization(auths, s, '2026-04-21')).toBeNull();
+  });
+
+  it('breaks ties with the authorization expiring first', () => {
+    const auths = [auth({ id: 'late' }), auth({ id: 'early', end_date: '2026-05-31' })];
+    expect(matchAuthorization(auths, s, '2026-04-21').id).toBe('early');
+  });
+});
+
+describe('evaluateAuthorizations', () => {
+  it('accumulates units per period in start order and flags the shift that crosses the cap', () => {
+    const result = evaluateAuthorizations({
+      authorizations: [auth({ unit_cap: 20 })],
+      shifts: [
+        shift('wed', '2026-04-22', 9, 8),
+        shift('mon', '2026-04-20', 9, 8),
+        shift('fri', '2026-04-24', 9, 8),
+        shift('next_mon', '2026-04-27', 9, 8),
+      ],
+      timezone: TZ,
+    });
+    expect(result.byShiftId.mon.overCap).toBe(false);
+    expect(result.byShiftId.wed.overCap).toBe(false);
+    expect(result.byShiftId.fri.overCap).toBe(true);
+    expect(result.byShiftId.next_mon.overCap).toBe(false);
+
+    const week = result.periods.find((p) => p.periodStart === '2026-04-20');
+    expect(week).toMatchObject({
+      capUnits: 20,
+      scheduledUnits: 24,
+      usedUnits: 24,
+      remainingUnits: 0,
+      overBy: 4,
+      shiftIds: ['mon', 'wed', 'fri'],
+    });
+  });
+
+  it('counts worked units from clock events, scheduled otherwise', () => {
+    const mon = shift('mon', '2026-04-20', 9, 8);
+    const inAt = new Date(mon.start_time);
+    const result = evaluateAuthorizations({
+      authorizations: [auth({ unit_minutes: 15 })],
+      shifts: [mon, shift('tue', '2026-04-21', 9, 4)],
+      clockEvents: [
+        { shift_id: 'mon', event_type: 'in', occurred_at: inAt.toISOString() },
+        {
+          shift_id: 'mon',
+          event_type: 'out',
+          occurred_at: new Date(inAt.getTime() + 6.5 * 3_600_000).toISOString(),
+        },
+      ],
+      timezone: TZ,
+    });
+    expect(result.byShiftId.mon).toMatchObject({ units: 26, worked: true });
+    expect(result.byShiftId.tue).toMatchObject({ units: 16, worked: false });
+    expect(result.periods[0]).toMatchObject({
+      scheduledUnits: 48,
+      workedUnits: 26,
+      usedUnits: 42,
+    });
+  });
+
+  it('ignores cancelled and no-show shifts', () => {
+    const result = evaluateAuthorizations({
+      authorizations: [auth({ unit_cap: 8 })],
+      shifts: [
+        shift('cancelled', '2026-04-20', 9, 8, { status: 'cancelled' }),
+        shift('no_show', '2026-04-20', 9, 8, { status: 'no_show' }),
+        shift('ok', '2026-04-21', 9, 8),
+      ],
+      timezone: TZ,
+    });
+    expect(result.byShiftId.ok.overCap).toBe(false);
+    expect(result.byShiftId.cancelled).toBeUndefined();
+  });
+
+  it('places a shift by its start date in the org timezone', () => {
+    // Sunday 8pm PDT is Monday 03:00 UTC — still the week of the 20th.
+    const result = evaluateAuthorizations({
+      authorizations: [auth()],
+      shifts: [shift('sun', '2026-04-26', 20, 4)],
+      timezone: TZ,
+    });
+    expect(result.byShiftId.sun.periodStart).toBe('2026-04-20');
+  });
+
+  it('reports shifts outside every authorization for their service type', () => {
+    const result = evaluateAuthorizations({
+      authorizations: [auth({ end_date: '2026-04-21' })],
+      shifts: [
+        shift('covered', '2026-04-20', 9, 8),
+        shift('expired', '2026-04-22', 9, 8),
+        shift('other_client', '2026-04-22', 9, 8, { client_id: 'client_2' }),
+      ],
+      timezone: TZ,
+    });
+    expect(result.notCoveredShiftIds).toEqual(['expired']);
+  });
+});
+
+describe('checkShiftsAgainstAuthorizations', () => {
+  it('blocks proposed shifts that push a period past the cap', () => {
+    const issues = checkShiftsAgainstAuthorizations({
+      authorizations: [auth({ unit_cap: 20 })],
+      existingShifts: [shift('mon', '2026-04-20', 9, 8), shift('tue', '2026-04-21', 9, 8)],
+      proposedShifts: [shift('new', '2026-04-22', 9, 8)],
+      timezone: TZ,
+    });
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      code: AUTHORIZATION_ISSUE.EXCEEDED,
+      severity: 'block',
+      authorizationId: 'auth_1',
+      periodStart: '2026-04-20',
+      shiftIds: ['new'],
+    });
+    expect(issues[0].message).toMatch(/MCW-123 allows 20 units for the week of 2026-04-20/);
+    expect(issues[0].message).toMatch(/24 \(4 over\)/);
+  });
+
+  it('does not blame a proposed shift for a period already over', () => {
+    const issues = checkShiftsAgainstAuthorizations({
+      authorizations: [auth({ unit_cap: 8 })],
+      existingShifts: [shift('mon', '2026-04-20', 9, 8), shift('tue', '2026-04-21', 9, 8)],
+      proposedShifts: [shift('new', '2026-04-27', 9, 8)],
+      timezone: TZ,
+    });
+    expect(issues).toEqual([]);
+  });
+
+  it('warns once for proposed shifts no authorization covers', () => {
+    const issues = checkShiftsAgainstAuthorizations({
+      authorizations: [auth({ end_date: '2026-04-21' })],
+      proposedShifts: [shift('a', '2026-04-22', 9, 8), shift('b', '2026-04-23', 9, 8)],
+      timezone: TZ,
+    });
+    expect(issues).toEqual([
+      expect.objectContaining({
+        code: AUTHORIZATION_ISSUE.NOT_COVERED,
+        severity: 'warn',
+        shiftIds: ['a', 'b'],
+      }),
+    ]);
+  });
+
+  it('passes clients without authorizations', () => {
+    expect(
+      checkShiftsAgainstAuthorizations({
+        authorizations: [],
+        proposedShifts: [shift('a', '2026-04-22', 9, 8)],
+        timezone: TZ,
+      }),
+    ).toEqual([]);
+  });
+});
+
+describe('authorizationUsageWindow', () => {
+  it('widens the range to whole cap periods', () => {
+    const window = authorizationUsageWindow([auth({ cap_period: 'month' })], {
+      from: '2026-04-27',
+      to: '2026-05-03',
+    });
+    expect(window).toEqual({ start: '2026-04-01', end: '2026-05-31' });
+  });
+
+  it('spans every overlapping authorization', () => {
+    const window = authorizationUsageWindow(
+      [auth(), auth({ id: 'total', cap_period: 'total', start_date: '2026-03-01' })],
+      { from: '2026-04-22', to: '2026-04-22' },
+    );
+    expect(window).toEqual({ start: '2026-03-01', end: '2026-06-30' });
+  });
+
+  it('returns null when no authorization overlaps', () => {
+    expect(authorizationUsageWindow([auth()], { from: '2026-07-06', to: '2026-07-12' })).toBeNull();
+  });
+});
+
+describe('validateAuthorization', () => {
+  it('accepts a complete authorization', () => {
+    expect(validateAuthorization(auth())).toBeNull();
+  });
+
+  it.each([
+    [{ client_id: null }, /client/],
+    [{ payer: ' ' }, /Payer/],
+    [{ auth_number: '' }, /Authorization number/],
+    [{ service_type: 'skilled_nursing' }, /service type/],
+    [{ unit_cap: 0 }, /Unit cap/],
+    [{ unit_cap: '' }, /Unit cap/],
+    [{ unit_minutes: 7.5 }, /Unit length/],
+    [{ cap_period: 'year' }, /cap period/],
+    [{ start_date: null }, /Start date/],
+    [{ end_date: '06/30/2026' }, /Expiration date is required/],
+    [{ end_date: '2026-03-01' }, /before the start date/],
+  ])('rejects %o', (overrides, message) => {
+    expect(validateAuthorization(auth(overrides))).toMatch(message);
+  });
+});
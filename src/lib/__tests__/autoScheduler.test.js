@@ -0,0 +1,267 @@
+import { describe, it, expect } from 'vitest';
+import {
+  proposeWeekAssignments,
+  countVisitsByCaregiver,
+  isFillableShift,
+  formatProposalReason,
+} from '../../features/scheduling/autoScheduler';
+import { wallClockToUtcMs } from '../scheduling/timezone';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+const TZ = 'America/Los_Angeles';
+
+// Week of Sun 2026-05-03 → Sat 2026-05-09 in the agency zone.
+const WEEK_START = new Date(wallClockToUtcMs({ year: 2026, month: 5, day: 3 }, TZ));
+const WEEK_END = new Date(wallClockToUtcMs({ year: 2026, month: 5, day: 10 }, TZ) - 1);
+
+function isoAt(day, hour) {
+  return new Date(wallClockToUtcMs({ year: 2026, month: 5, day, hour }, TZ)).toISOString();
+}
+
+function caregiver(id, firstName, extra = {}) {
+  return { id, firstName, lastName: 'Test', ...extra };
+}
+
+function openShift(id, day, startHour, endHour, clientId = 'client-1') {
+  return {
+    id,
+    clientId,
+    assignedCaregiverId: null,
+    status: 'open',
+    startTime: isoAt(day, startHour),
+    endTime: isoAt(day, endHour),
+  };
+}
+
+function workedShift(id, caregiverId, day, startHour, endHour, clientId = 'client-other') {
+  return {
+    id,
+    clientId,
+    assignedCaregiverId: caregiverId,
+    status: 'confirmed',
+    startTime: isoAt(day, startHour),
+    endTime: isoAt(day, endHour),
+  };
+}
+
+// Monday 8a–6p for every listed caregiver.
+function mondayAvailability(...ids) {
+  const map = {};
+  for (const id of ids) {
+    map[id] = [{ type: 'available', dayOfWeek: 1, startTime: '08:00', endTime: '18:00' }];
+  }
+  return map;
+}
+
+function primaryFor(caregiverId, clientId = 'client-1') {
+  return { [caregiverId]: [{ caregiverId, clientId, role: 'primary', status: 'active' }] };
+}
+
+function solve(overrides) {
+  return proposeWeekAssignments({
+    weekStart: WEEK_START,
+    weekEnd: WEEK_END,
+    timezone: TZ,
+    otJurisdiction: 'FED',
+    ...overrides,
+  });
+}
+
+// ─── isFillableShift ──────────────────────────────────────────
+
+describe('isFillableShift', () => {
+  it('accepts open, unassigned shifts only', () => {
+    expect(isFillableShift(openShift('s1', 4, 9, 13))).toBe(true);
+    expect(isFillableShift({ ...openShift('s1', 4, 9, 13), status: 'offered' })).toBe(false);
+    expect(isFillableShift({ ...openShift('s1', 4, 9, 13), assignedCaregiverId: 'cg' })).toBe(false);
+    expect(isFillableShift(null)).toBe(false);
+  });
+});
+
+// ─── countVisitsByCaregiver ───────────────────────────────────
+
+describe('countVisitsByCaregiver', () => {
+  it('counts visits per caregiver and client, skipping cancelled and no-shows', () => {
+    const counts = countVisitsByCaregiver([
+      workedShift('a', 'cg-1', 4, 9, 13, 'client-1'),
+      workedShift('b', 'cg-1', 5, 9, 13, 'client-1'),
+      { ...workedShift('c', 'cg-1', 6, 9, 13, 'client-1'), status: 'cancelled' },
+      { ...workedShift('d', 'cg-2', 6, 9, 13, 'client-1'), status: 'no_show' },
+      openShift('e', 7, 9, 13),
+    ]);
+    expect(counts).toEqual({ 'cg-1': { 'client-1': 2 } });
+  });
+});
+
+// ─── proposeWeekAssignments ───────────────────────────────────
+
+describe('proposeWeekAssignments', () => {
+  it('returns an empty plan when nothing is open', () => {
+    const plan = solve({
+      openShifts: [{ ...openShift('s1', 4, 9, 13), status: 'confirmed' }],
+      caregivers: [caregiver('cg-1', 'Ana')],
+    });
+    expect(plan.items).toEqual([]);
+    expect(plan.summary).toEqual({ total: 0, filled: 0, unfilled: 0, overtimeHours: 0 });
+  });
+
+  it('proposes the primary caregiver when nobody goes into overtime', () => {
+    const plan = solve({
+      openShifts: [openShift('s1', 4, 9, 13)],
+      caregivers: [caregiver('cg-1', 'Ana'), caregiver('cg-2', 'Bea')],
+      availabilityByCaregiverId: mondayAvailability('cg-1', 'cg-2'),
+      assignmentsByCaregiverId: primaryFor('cg-2'),
+    });
+    expect(plan.items).toHaveLength(1);
+    expect(plan.items[0].caregiver.id).toBe('cg-2');
+    expect(plan.items[0].overtimeHours).toBe(0);
+    expect(plan.items[0].hoursAfter).toBe(4);
+    expect(plan.summary).toEqual({ total: 1, filled: 1, unfilled: 0, overtimeHours: 0 });
+  });
+
+  it('prefers a caregiver who stays under the weekly cap over the primary', () => {
+    // cg-1 already has 38 hours this week; another 4 puts 2 into OT.
+    const plan = solve({
+      openShifts: [openShift('s1', 4, 9, 13)],
+      caregivers: [caregiver('cg-1', 'Ana'), caregiver('cg-2', 'Bea')],
+      availabilityByCaregiverId: mondayAvailability('cg-1', 'cg-2'),
+      assignmentsByCaregiverId: primaryFor('cg-1'),
+      shiftsByCaregiverId: {
+        'cg-1': [
+          workedShift('w1', 'cg-1', 3, 8, 16),
+          workedShift('w2', 'cg-1', 5, 8, 18),
+          workedShift('w3', 'cg-1', 6, 8, 18),
+          workedShift('w4', 'cg-1', 7, 8, 18),
+        ],
+      },
+    });
+    expect(plan.items[0].caregiver.id).toBe('cg-2');
+    expect(plan.items[0].overtimeHours).toBe(0);
+  });
+
+  it('assigns overtime when nobody else can cover, and reports it', () => {
+    const plan = solve({
+      openShifts: [openShift('s1', 4, 9, 13)],
+      caregivers: [caregiver('cg-1', 'Ana')],
+      availabilityByCaregiverId: mondayAvailability('cg-1'),
+      shiftsByCaregiverId: {
+        'cg-1': [
+          workedShift('w1', 'cg-1', 3, 8, 16),
+          workedShift('w2', 'cg-1', 5, 8, 18),
+          workedShift('w3', 'cg-1', 6, 8, 18),
+          workedShift('w4', 'cg-1', 7, 8, 18),
+        ],
+      },
+    });
+    expect(plan.items[0].caregiver.id).toBe('cg-1');
+    expect(plan.items[0].overtimeHours).toBe(2);
+    expect(plan.summary.overtimeHours).toBe(2);
+  });
+
+  it('leaves the shift unfilled when overtime is not allowed', () => {
+    const plan = solve({
+      allowOvertime: false,
+      openShifts: [openShift('s1', 4, 9, 13)],
+      caregivers: [caregiver('cg-1', 'Ana')],
+      availabilityByCaregiverId: mondayAvailability('cg-1'),
+      shiftsByCaregiverId: {
+        'cg-1': [
+          workedShift('w1', 'cg-1', 3, 8, 16),
+          workedShift('w2', 'cg-1', 5, 8, 18),
+          workedShift('w3', 'cg-1', 6, 8, 18),
+          workedShift('w4', 'cg-1', 7, 8, 18),
+        ],
+      },
+    });
+    expect(plan.items[0].caregiver).toBeNull();
+    expect(plan.items[0].reason).toBe('overtime');
+    expect(plan.items[0].detail).toBe('All 1 eligible caregiver would go into overtime');
+    expect(plan.summary.unfilled).toBe(1);
+  });
+
+  it('counts daily overtime under the caregiver\'s jurisdiction', () => {
+    // Same day already has 6 hours; a 4-hour shift is 2h daily OT in CA
+    // and none under the federal weekly-only rule.
+    const base = {
+      openShifts: [openShift('s1', 4, 13, 17)],
+      availabilityByCaregiverId: mondayAvailability('cg-1'),
+      shiftsByCaregiverId: { 'cg-1': [workedShift('w1', 'cg-1', 4, 6, 12)] },
+    };
+    const ca = solve({ ...base, caregivers: [caregiver('cg-1', 'Ana', { otJurisdiction: 'CA' })] });
+    expect(ca.items[0].overtimeHours).toBe(2);
+    const fed = solve({ ...base, caregivers: [caregiver('cg-1', 'Ana')] });
+    expect(fed.items[0].overtimeHours).toBe(0);
+  });
+
+  it('keeps continuity with a caregiver who already sees the client', () => {
+    const plan = solve({
+      openShifts: [openShift('s1', 4, 9, 13)],
+      caregivers: [caregiver('cg-1', 'Ana'), caregiver('cg-2', 'Bea')],
+      availabilityByCaregiverId: mondayAvailability('cg-1', 'cg-2'),
+      visitCountsByCaregiverId: { 'cg-2': { 'client-1': 3 } },
+    });
+    expect(plan.items[0].caregiver.id).toBe('cg-2');
+    expect(plan.items[0].continuity).toBe(3);
+  });
+
+  it('sees its own proposals when ranking later shifts', () => {
+    const plan = solve({
+      openShifts: [openShift('s1', 4, 9, 13), openShift('s2', 4, 10, 14, 'client-2')],
+      caregivers: [caregiver('cg-1', 'Ana')],
+      availabilityByCaregiverId: mondayAvailability('cg-1'),
+    });
+    expect(plan.items.map((i) => i.caregiver?.id ?? null)).toEqual(['cg-1', null]);
+    expect(plan.items[1].reason).toBe('no_eligible');
+    expect(plan.items[1].detail).toBe('No eligible caregiver');
+  });
+
+  it('fills the most constrained shift first', () => {
+    // s1 (9–1) could go to either caregiver and cg-1 is its primary;
+    // s2 (10–2) only fits cg-1. Filling in start order would strand s2.
+    const plan = solve({
+      openShifts: [openShift('s1', 4, 9, 13), openShift('s2', 4, 10, 14, 'client-2')],
+      caregivers: [caregiver('cg-1', 'Ana'), caregiver('cg-2', 'Bea')],
+      availabilityByCaregiverId: {
+        ...mondayAvailability('cg-1'),
+        'cg-2': [{ type: 'available', dayOfWeek: 1, startTime: '08:00', endTime: '13:00' }],
+      },
+      assignmentsByCaregiverId: primaryFor('cg-1'),
+    });
+    expect(plan.items.map((i) => [i.shift.id, i.caregiver?.id])).toEqual([
+      ['s1', 'cg-2'],
+      ['s2', 'cg-1'],
+    ]);
+  });
+
+  it('never proposes a caregiver missing a Required match criterion', () => {
+    const plan = solve({
+      openShifts: [openShift('s1', 4, 9, 13)],
+      caregivers: [caregiver('cg-1', 'Ana'), caregiver('cg-2', 'Bea', { certifications: 'CNA' })],
+      availabilityByCaregiverId: mondayAvailability('cg-1', 'cg-2'),
+      assignmentsByCaregiverId: primaryFor('cg-1'),
+      matchCriteriaByClientId: { 'client-1': { match_cert_cna: { flag: 'R' } } },
+    });
+    expect(plan.items[0].caregiver.id).toBe('cg-2');
+  });
+});
+
+// ─── formatProposalReason ─────────────────────────────────────
+
+describe('formatProposalReason', () => {
+  it('summarizes role, continuity, match score and hours', () => {
+    expect(
+      formatProposalReason({
+        entry: { tier: 0, matchScore: 2, matchPossible: 3 },
+        continuity: 4,
+        hoursBefore: 28,
+        hoursAfter: 32,
+      }),
+    ).toBe('Primary · 4 recent visits · 2/3 preferred · 28 → 32 hrs');
+  });
+
+  it('falls back to the unfilled detail', () => {
+    expect(formatProposalReason({ entry: null, detail: 'No eligible caregiver' }))
+      .toBe('No eligible caregiver');
+  });
+});
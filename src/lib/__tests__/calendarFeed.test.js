@@ -0,0 +1,306 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FEED_PAST_DAYS,
+  FEED_FUTURE_DAYS,
+  generateFeedToken,
+  isFeedToken,
+  calendarFeedUrls,
+  feedWindow,
+  shiftUid,
+  feedPersonName,
+  caregiverFeedEvent,
+  clientFeedEvent,
+  plannedVisitEvents,
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsUtc,
+  formatIcsLocal,
+  timezoneTransitions,
+  buildVTimezone,
+  buildIcsCalendar,
+} from '../scheduling/calendarFeed';
+import { slotShiftView } from '../scheduling/shiftSlots';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+const TZ = 'America/Los_Angeles';
+const DAY_MS = 86_400_000;
+
+function shift(extra = {}) {
+  return {
+    id: 'shift-1',
+    client_id: 'client-1',
+    assigned_caregiver_id: 'cg-ana',
+    service_plan_id: null,
+    status: 'confirmed',
+    // 09:00–13:00 PDT
+    start_time: '2026-06-22T16:00:00.000Z',
+    end_time: '2026-06-22T20:00:00.000Z',
+    updated_at: '2026-06-20T18:30:00.000Z',
+    ...extra,
+  };
+}
+
+const client = { first_name: 'Helen', last_name: 'Sheldon', city: 'San Diego' };
+const caregiver = { first_name: 'Ana', last_name: 'Lopez' };
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const lines = (ics) => unfold(ics).split('\r\n');
+
+// ─── Tokens & URLs ────────────────────────────────────────────
+
+describe('feed tokens', () => {
+  it('generates 64 hex chars, different every time', () => {
+    const a = generateFeedToken();
+    const b = generateFeedToken();
+    expect(isFeedToken(a)).toBe(true);
+    expect(a).not.toBe(b);
+  });
+
+  it('rejects anything else', () => {
+    expect(isFeedToken(null)).toBe(false);
+    expect(isFeedToken('abc')).toBe(false);
+    expect(isFeedToken('G'.repeat(64))).toBe(false);
+  });
+});
+
+describe('calendarFeedUrls', () => {
+  it('builds https and webcal URLs for the edge function', () => {
+    const urls = calendarFeedUrls('https://x.supabase.co/', 'a'.repeat(64));
+    expect(urls.https).toBe(`https://x.supabase.co/functions/v1/calendar-feed?token=${'a'.repeat(64)}`);
+    expect(urls.webcal).toBe(`webcal://x.supabase.co/functions/v1/calendar-feed?token=${'a'.repeat(64)}`);
+  });
+});
+
+describe('feedWindow', () => {
+  it('spans the past and future days around now', () => {
+    const now = Date.UTC(2026, 5, 1);
+    expect(feedWindow(now)).toEqual({
+      startMs: now - FEED_PAST_DAYS * DAY_MS,
+      endMs: now + FEED_FUTURE_DAYS * DAY_MS,
+    });
+  });
+});
+
+// ─── Shift → event ────────────────────────────────────────────
+
+describe('feedPersonName', () => {
+  it('uses first name and last initial', () => {
+    expect(feedPersonName(client)).toBe('Helen S.');
+    expect(feedPersonName({ first_name: 'Helen', last_name: '' })).toBe('Helen');
+    expect(feedPersonName(null)).toBe('');
+  });
+});
+
+describe('caregiverFeedEvent', () => {
+  it('names the client and city, nothing more', () => {
+    const e = caregiverFeedEvent(shift({ location_address: '12 Elm St', notes: 'Door code 1234' }), client);
+    expect(e).toMatchObject({
+      uid: shiftUid('shift-1'),
+      summary: 'Shift: Helen S.',
+      location: 'San Diego',
+      status: 'CONFIRMED',
+      lastModified: '2026-06-20T18:30:00.000Z',
+    });
+    expect(JSON.stringify(e)).not.toMatch(/Elm|1234|Sheldon/);
+  });
+
+  it('labels the caregiver\'s slot role', () => {
+    const view = slotShiftView(shift(), { id: 'slot-1', caregiver_id: 'cg-ben', role: 'nurse', hourly_rate: null });
+    expect(caregiverFeedEvent(view, client).summary).toBe('Shift: Helen S. (Nurse)');
+    expect(caregiverFeedEvent(view, client).uid).toBe(shiftUid('shift-1'));
+  });
+
+  it('keeps a cancelled shift, marked cancelled', () => {
+    const e = caregiverFeedEvent(shift({ status: 'cancelled' }), client);
+    expect(e.status).toBe('CANCELLED');
+    expect(e.summary).toBe('Cancelled: Shift: Helen S.');
+  });
+});
+
+describe('clientFeedEvent', () => {
+  it('names the lead caregiver', () => {
+    expect(clientFeedEvent(shift(), caregiver)).toMatchObject({
+      summary: 'Care visit with Ana L.',
+      location: null,
+      status: 'CONFIRMED',
+    });
+  });
+
+  it('marks an unstaffed visit tentative', () => {
+    const e = clientFeedEvent(shift({ status: 'open', assigned_caregiver_id: null }), null);
+    expect(e.summary).toBe('Care visit (caregiver to be confirmed)');
+    expect(e.status).toBe('TENTATIVE');
+  });
+});
+
+describe('plannedVisitEvents', () => {
+  const plan = {
+    id: 'plan-1',
+    is_ongoing: true,
+    status: 'active',
+    last_generated_through: '2026-06-23T07:00:00.000Z', // end of Jun 22 PT
+    recurrence_pattern: {
+      frequency: 'weekly',
+      days_of_week: [1], // Mondays
+      start_time: '09:00',
+      end_time: '13:00',
+      start_date: '2026-01-05',
+    },
+  };
+  const window = { startMs: Date.UTC(2026, 5, 15), endMs: Date.UTC(2026, 6, 14) };
+
+  it('projects visits after the generated shifts only', () => {
+    const events = plannedVisitEvents({ plans: [plan], shifts: [], ...window, timezone: TZ });
+    expect(events.map((e) => e.uid)).toEqual([
+      'plan-plan-1-2026-06-29@tremendouscareca.com',
+      'plan-plan-1-2026-07-06@tremendouscareca.com',
+      'plan-plan-1-2026-07-13@tremendouscareca.com',
+    ]);
+    expect(events[0]).toMatchObject({
+      startMs: Date.parse('2026-06-29T16:00:00.000Z'),
+      endMs: Date.parse('2026-06-29T20:00:00.000Z'),
+      status: 'TENTATIVE',
+      summary: 'Planned care visit',
+    });
+  });
+
+  it('skips instances a shift of the plan already covers', () => {
+    const existing = shift({ service_plan_id: 'plan-1', start_time: '2026-06-29T16:00:00.000Z' });
+    const events = plannedVisitEvents({ plans: [plan], shifts: [existing], ...window, timezone: TZ });
+    expect(events.map((e) => e.uid)).not.toContain('plan-plan-1-2026-06-29@tremendouscareca.com');
+  });
+
+  it('ignores plans that are not active and ongoing', () => {
+    const plans = [{ ...plan, is_ongoing: false }, { ...plan, status: 'paused' }, { ...plan, recurrence_pattern: null }];
+    expect(plannedVisitEvents({ plans, shifts: [], ...window, timezone: TZ })).toEqual([]);
+  });
+});
+
+// ─── Serialization ────────────────────────────────────────────
+
+describe('escapeIcsText', () => {
+  it('escapes the RFC 5545 specials', () => {
+    expect(escapeIcsText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+    expect(escapeIcsText(null)).toBe('');
+  });
+});
+
+describe('foldIcsLine', () => {
+  it('leaves short lines alone', () => {
+    expect(foldIcsLine('SUMMARY:short')).toBe('SUMMARY:short');
+  });
+
+  it('folds at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldIcsLine(line);
+    const encoder = new TextEncoder();
+    for (const part of folded.split('\r\n')) {
+      expect(encoder.encode(part).length).toBeLessThanOrEqual(75);
+    }
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+});
+
+describe('date formatting', () => {
+  it('writes UTC and zone-local stamps', () => {
+    const ms = Date.parse('2026-06-22T16:00:00.000Z');
+    expect(formatIcsUtc(ms)).toBe('20260622T160000Z');
+    expect(formatIcsLocal(ms, TZ)).toBe('20260622T090000');
+    expect(formatIcsLocal(Date.parse('2026-01-05T17:00:00.000Z'), TZ)).toBe('20260105T090000');
+  });
+});
+
+describe('timezoneTransitions', () => {
+  it('finds both DST changes in a Pacific year', () => {
+    const out = timezoneTransitions(TZ, Date.UTC(2026, 0, 1, 0, 0, 30), Date.UTC(2027, 0, 1));
+    expect(out).toEqual([
+      { atMs: Date.parse('2026-03-08T10:00:00.000Z'), fromOffset: -480, toOffset: -420 },
+      { atMs: Date.parse('2026-11-01T09:00:00.000Z'), fromOffset: -420, toOffset: -480 },
+    ]);
+  });
+
+  it('finds none in a zone without DST', () => {
+    expect(timezoneTransitions('UTC', Date.UTC(2026, 0, 1), Date.UTC(2027, 0, 1))).toEqual([]);
+  });
+});
+
+describe('buildVTimezone', () => {
+  it('starts with the offset in force, then one observance per change', () => {
+    const out = buildVTimezone(TZ, Date.UTC(2026, 9, 1), Date.UTC(2026, 11, 1));
+    expect(out).toEqual([
+      'BEGIN:VTIMEZONE',
+      `TZID:${TZ}`,
+      'BEGIN:DAYLIGHT',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:-0700',
+      'TZOFFSETTO:-0700',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20261101T020000',
+      'TZOFFSETFROM:-0700',
+      'TZOFFSETTO:-0800',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ]);
+  });
+});
+
+describe('buildIcsCalendar', () => {
+  const nowMs = Date.parse('2026-06-21T00:00:00.000Z');
+
+  it('writes a valid calendar with CRLF line endings', () => {
+    const ics = buildIcsCalendar({
+      name: 'Tremendous Care — My shifts',
+      timezone: TZ,
+      events: [caregiverFeedEvent(shift(), client)],
+      nowMs,
+    });
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+    const l = lines(ics);
+    expect(l).toContain('METHOD:PUBLISH');
+    expect(l).toContain(`X-WR-TIMEZONE:${TZ}`);
+    expect(l).toContain('BEGIN:VTIMEZONE');
+    expect(l).toContain('UID:shift-shift-1@tremendouscareca.com');
+    expect(l).toContain('DTSTAMP:20260621T000000Z');
+    expect(l).toContain(`DTSTART;TZID=${TZ}:20260622T090000`);
+    expect(l).toContain(`DTEND;TZID=${TZ}:20260622T130000`);
+    expect(l).toContain('LAST-MODIFIED:20260620T183000Z');
+    expect(l).toContain('STATUS:CONFIRMED');
+  });
+
+  it('keeps wall-clock times right across a DST change', () => {
+    const events = [
+      clientFeedEvent(shift({ id: 'before', start_time: '2026-10-26T16:00:00.000Z', end_time: '2026-10-26T20:00:00.000Z' }), caregiver),
+      clientFeedEvent(shift({ id: 'after', start_time: '2026-11-02T17:00:00.000Z', end_time: '2026-11-02T21:00:00.000Z' }), caregiver),
+    ];
+    const l = lines(buildIcsCalendar({ name: 'Visits', timezone: TZ, events, nowMs }));
+    expect(l).toContain(`DTSTART;TZID=${TZ}:20261026T090000`);
+    expect(l).toContain(`DTSTART;TZID=${TZ}:20261102T090000`);
+    expect(l).toContain('DTSTART:20261101T020000');
+  });
+
+  it('sorts events, drops malformed ones and marks cancellations free time', () => {
+    const events = [
+      caregiverFeedEvent(shift({ id: 'late', start_time: '2026-06-24T16:00:00.000Z', end_time: '2026-06-24T20:00:00.000Z', status: 'cancelled' }), client),
+      caregiverFeedEvent(shift({ id: 'early' }), client),
+      caregiverFeedEvent(shift({ id: 'broken', end_time: '2026-06-22T15:00:00.000Z' }), client),
+    ];
+    const l = lines(buildIcsCalendar({ name: 'Shifts', timezone: TZ, events, nowMs }));
+    const uids = l.filter((x) => x.startsWith('UID:'));
+    expect(uids).toEqual([
+      'UID:shift-early@tremendouscareca.com',
+      'UID:shift-late@tremendouscareca.com',
+    ]);
+    expect(l).toContain('STATUS:CANCELLED');
+    expect(l).toContain('TRANSP:TRANSPARENT');
+  });
+
+  it('writes an empty calendar without a VTIMEZONE', () => {
+    const ics = buildIcsCalendar({ name: 'Empty', timezone: TZ, events: [], nowMs });
+    expect(ics).not.toContain('BEGIN:VTIMEZONE');
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+});
@@ -0,0 +1,73 @@
+// Structural assertions on migration 20260620000000_calendar_feeds.
+//
+// Locks in: the token format isFeedToken expects, one owner per feed,
+// one live feed per caregiver / client (issueCalendarFeed revokes
+// before inserting), tenant isolation plus the staff-only restrictive
+// policy, and the rollback.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { generateFeedToken } from '../scheduling/calendarFeed.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260620000000_calendar_feeds.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260620000000_calendar_feeds_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('calendar_feeds migration', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.calendar_feeds/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/caregiver_id\s+text REFERENCES caregivers\(id\) ON DELETE CASCADE/);
+    expect(sql).toMatch(/client_id\s+text REFERENCES clients\(id\) ON DELETE CASCADE/);
+  });
+
+  it('checks tokens against the generator\'s format', () => {
+    const m = /token\s+text NOT NULL UNIQUE CHECK \(token ~ '([^']+)'\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(new RegExp(m[1]).test(generateFeedToken())).toBe(true);
+    expect(new RegExp(m[1]).test('ABC')).toBe(false);
+  });
+
+  it('belongs to exactly one caregiver or client', () => {
+    expect(sql).toMatch(/CONSTRAINT calendar_feeds_one_owner CHECK \(num_nonnulls\(caregiver_id, client_id\) = 1\)/);
+  });
+
+  it('allows one live feed per caregiver and per client', () => {
+    expect(sql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS uq_calendar_feeds_live_caregiver\s+ON public\.calendar_feeds \(caregiver_id\)\s+WHERE revoked_at IS NULL/,
+    );
+    expect(sql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS uq_calendar_feeds_live_client\s+ON public\.calendar_feeds \(client_id\)\s+WHERE revoked_at IS NULL/,
+    );
+  });
+
+  it('enables RLS with tenant, service-role and staff-only policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.calendar_feeds ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_calendar_feeds_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_calendar_feeds');
+    expect(sql).toMatch(
+      /CREATE POLICY restrict_calendar_feeds_to_staff ON public\.calendar_feeds\s+AS RESTRICTIVE\s+FOR ALL\s+TO authenticated\s+USING \(public\.is_staff\(\)\)\s+WITH CHECK \(public\.is_staff\(\)\)/,
+    );
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX|UNIQUE INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+  });
+
+  it('rollback drops the table', () => {
+    expect(rollbackSql).toMatch(/⚠️\s+Drops data/);
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.calendar_feeds;/);
+  });
+});
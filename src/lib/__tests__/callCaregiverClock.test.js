@@ -182,4 +182,26 @@ describe('callCaregiverClock', () => {
 
     expect(fetchImpl.mock.calls[0][0]).toBe('https://project.supabase.co/functions/v1/caregiver-clock');
   });
+
+  it('calls another caregiver function and names it in errors', async () => {
+    const supabaseClient = makeSupabaseClient(goodSession);
+    const fetchImpl = vi.fn(async () => ({
+      ok: false,
+      status: 500,
+      json: async () => ({}),
+    }));
+
+    await expect(
+      callCaregiverClock({
+        supabaseClient,
+        supabaseUrl: 'https://project.supabase.co',
+        anonKey: 'anon',
+        body: { action: 'list' },
+        functionName: 'caregiver-open-shifts',
+        actionLabel: 'Loading open shifts',
+        fetchImpl,
+      }),
+    ).rejects.toThrow('Loading open shifts failed with status 500.');
+    expect(fetchImpl.mock.calls[0][0]).toBe('https://project.supabase.co/functions/v1/caregiver-open-shifts');
+  });
 });
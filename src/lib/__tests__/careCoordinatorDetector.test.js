@@ -8,6 +8,7 @@ import {
 import {
   summarizeObservations,
   normalizeDetectorOutput,
+  observationFromRow,
 } from '../../../supabase/functions/care-coordinator-sweep/analysis.ts';
 import { decideDisposition } from '../../../supabase/functions/care-coordinator-sweep/dedup.ts';
 import {
@@ -156,6 +157,117 @@ describe('summarizeObservations (baseline-relative)', () => {
   });
 });
 
+describe('summarizeObservations (medication records)', () => {
+  const acuteWindowStart = '2026-05-30T00:00:00Z';
+  const med = (id, rating, loggedAt, note = null) => ({
+    id,
+    observationType: 'medication',
+    rating,
+    note,
+    taskId: null,
+    shiftId: 's1',
+    loggedAt,
+    medicationName: 'Metformin',
+    scheduledFor: loggedAt,
+  });
+  const observations = [
+    med('m1', 'given', '2026-05-20T16:00:00Z'),
+    med('m2', 'given', '2026-05-21T16:00:00Z'),
+    med('m3', 'refused', '2026-05-30T16:00:00Z', 'says it upsets her stomach'),
+    med('m4', 'missed', '2026-05-31T16:00:00Z'),
+    med('m5', 'held', '2026-05-31T04:00:00Z', 'nurse said hold'),
+  ];
+
+  it('tallies doses per medication, baseline vs acute', () => {
+    const s = summarizeObservations(observations, [], { acuteWindowStart });
+    expect(s.medicationTrends).toEqual([{
+      medicationName: 'Metformin',
+      baseline: { given: 2, refused: 0, held: 0, missed: 0 },
+      acute: { given: 0, refused: 1, held: 1, missed: 1 },
+      exceptions: 2,
+    }]);
+    expect(s.acuteMissedDoses).toBe(1);
+    expect(s.acuteRefusedDoses).toBe(1);
+  });
+
+  it('carries the medication name on acute entries and into the prompt', () => {
+    const s = summarizeObservations(observations, [], { acuteWindowStart });
+    expect(s.acute.find((o) => o.id === 'm3').medicationName).toBe('Metformin');
+    const user = buildUserPrompt({ preferredName: 'Blerta' }, s);
+    expect(user).toContain('MEDICATION ADMINISTRATION');
+    expect(user).toMatch(/Metformin: baseline given\/refused\/held\/missed = 2\/0\/0\/0; acute = 0\/1\/1\/1  <-- MISSED\/REFUSED/);
+    expect(user).toContain('Metformin — medication');
+  });
+
+  it('leaves the medication section out when nothing was charted', () => {
+    const s = summarizeObservations([], [], { acuteWindowStart });
+    expect(s.medicationTrends).toEqual([]);
+    expect(buildUserPrompt({ preferredName: 'Blerta' }, s)).not.toContain('MEDICATION ADMINISTRATION');
+  });
+});
+
+describe('summarizeObservations (structured vitals)', () => {
+  const acuteWindowStart = '2026-05-30T00:00:00Z';
+  const vital = (id, rating, vitalFlag, loggedAt) => ({
+    id,
+    observationType: 'vital',
+    rating,
+    note: null,
+    taskId: null,
+    shiftId: 's1',
+    loggedAt,
+    vitalLabel: 'Blood pressure (mmHg)',
+    vitalFlag,
+  });
+
+  it('counts out-of-range readings and marks them in the prompt', () => {
+    const s = summarizeObservations([
+      vital('v1', '182/95', 'high', '2026-05-20T16:00:00Z'),
+      vital('v2', '128/82', null, '2026-05-30T16:00:00Z'),
+      vital('v3', '182/95', 'high', '2026-05-31T16:00:00Z'),
+    ], [], { acuteWindowStart });
+    expect(s.acuteOutOfRangeVitals).toBe(1);
+    const user = buildUserPrompt({ preferredName: 'Blerta' }, s);
+    expect(user).toContain('id=v3 (2026-05-31T16:00:00Z) Blood pressure (mmHg) — vital [182/95, HIGH vs. care-plan range]');
+    expect(user).toContain('id=v2 (2026-05-30T16:00:00Z) Blood pressure (mmHg) — vital [128/82]');
+  });
+});
+
+describe('observationFromRow', () => {
+  it('maps a care_plan_observations row, labelling structured vitals', () => {
+    expect(observationFromRow({
+      id: 'o1',
+      observation_type: 'vital',
+      rating: '182/95',
+      note: null,
+      task_id: null,
+      shift_id: 's1',
+      logged_at: '2026-05-31T16:00:00Z',
+      medication_name: null,
+      scheduled_for: null,
+      vital_type: 'blood_pressure',
+      vital_flag: 'high',
+    })).toEqual({
+      id: 'o1',
+      observationType: 'vital',
+      rating: '182/95',
+      note: null,
+      taskId: null,
+      shiftId: 's1',
+      loggedAt: '2026-05-31T16:00:00Z',
+      medicationName: null,
+      scheduledFor: null,
+      vitalLabel: 'Blood pressure (mmHg)',
+      vitalFlag: 'high',
+    });
+  });
+
+  it('leaves vitalLabel null for non-vital rows and unknown vital types', () => {
+    expect(observationFromRow({ id: 'o2', observation_type: 'mood', logged_at: 'x' }).vitalLabel).toBeNull();
+    expect(observationFromRow({ id: 'o3', observation_type: 'vital', vital_type: 'nope', logged_at: 'x' }).vitalLabel).toBeNull();
+  });
+});
+
 describe('decideDisposition (dedup)', () => {
   it('inserts when nothing open overlaps', () => {
     expect(decideDisposition([], { severity: 'watch', evidenceObservationIds: ['o1'] })).toEqual({ action: 'insert' });
@@ -184,6 +296,8 @@ describe('prompt construction', () => {
     expect(sys).toMatch(/Clusters, not points/i);
     expect(sys).toMatch(/Default to silence/i);
     expect(sys).toMatch(/decision support/i);
+    expect(sys).toMatch(/missed or refused doses map to medication_concern/);
+    expect(sys).toMatch(/HIGH or LOW .* map to vital_sign_change/);
     expect(sys).toContain('"signal": boolean');
     // every taxonomy id should appear in the rubric
     for (const id of STOP_AND_WATCH_IDS) expect(sys).toContain(id);
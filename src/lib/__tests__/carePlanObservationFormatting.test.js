@@ -93,6 +93,33 @@ describe('formatObservation — shift_note', () => {
   });
 });
 
+describe('formatObservation — medication', () => {
+  it('labels a scheduled dose with the medication and status', () => {
+    const out = formatObservation({
+      observationType: 'medication', rating: 'given',
+      medicationName: 'Lisinopril', scheduledFor: '2026-06-01T16:00:00Z',
+    });
+    expect(out.label).toBe('Lisinopril — Given');
+    expect(out.tone).toBe('success');
+  });
+
+  it('flags refused / missed doses as danger and held as warning', () => {
+    const med = { observationType: 'medication', medicationName: 'Metformin', scheduledFor: 'x' };
+    expect(formatObservation({ ...med, rating: 'refused', note: 'Nauseous' })).toMatchObject({
+      label: 'Metformin — Refused', detail: 'Nauseous', tone: 'danger',
+    });
+    expect(formatObservation({ ...med, rating: 'missed' }).tone).toBe('danger');
+    expect(formatObservation({ ...med, rating: 'held' }).tone).toBe('warning');
+  });
+
+  it('marks a dose with no slot as as-needed', () => {
+    const out = formatObservation({
+      observationType: 'medication', rating: 'given', medicationName: 'Tylenol', scheduledFor: null,
+    });
+    expect(out.label).toBe('Tylenol — Given (as needed)');
+  });
+});
+
 describe('formatObservation — other types', () => {
   it('formats mood with the rating string', () => {
     const out = formatObservation(
@@ -129,6 +156,22 @@ describe('formatObservation — other types', () => {
     expect(out.label).toBe('Vitals: 128/82');
   });
 
+  it('names a structured vital with its unit and flag', () => {
+    const normal = formatObservation(
+      { observationType: 'vital', rating: '98.6', vitalType: 'temperature', vitalFlag: null },
+      taskMap,
+    );
+    expect(normal.label).toBe('Temperature: 98.6 °F');
+    expect(normal.tone).toBe('neutral');
+    const high = formatObservation(
+      { observationType: 'vital', rating: '182/95', vitalType: 'blood_pressure', vitalFlag: 'high', note: 'dizzy' },
+      taskMap,
+    );
+    expect(high.label).toBe('Blood pressure: 182/95 mmHg — above normal range');
+    expect(high.tone).toBe('danger');
+    expect(high.detail).toBe('dizzy');
+  });
+
   it('formats general / unknown types defensively', () => {
     const out = formatObservation(
       { observationType: 'general', note: 'misc' },
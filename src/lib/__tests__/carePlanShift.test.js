@@ -71,6 +71,8 @@ const {
   logTaskObservation,
   logShiftNote,
   logRefusal,
+  logMedicationAdministration,
+  logVitalReading,
   indexLatestTaskCompletions,
   pickLatestShiftNote,
   listRefusals,
@@ -447,6 +449,134 @@ describe('logRefusal', () => {
   });
 });
 
+describe('logMedicationAdministration', () => {
+  const medication = { key: 'lisinopril|10 mg|po (oral)', name: 'Lisinopril' };
+
+  it('inserts a medication row for a scheduled dose', async () => {
+    mock.enqueue('care_plan_observations', 'insert', 'single', {
+      data: { id: 'obs-med', observation_type: 'medication', rating: 'given' },
+      error: null,
+    });
+
+    const out = await logMedicationAdministration({
+      carePlanId: 'plan-1', versionId: 'ver-1',
+      shiftId: 's1', caregiverId: 'cg-1',
+      medication, scheduledFor: '2026-06-01T16:00:00Z', status: 'given',
+    });
+
+    expect(out.observationType).toBe('medication');
+    const insertCall = mock.calls.find((c) => c.action === 'insert');
+    expect(insertCall.payload).toMatchObject({
+      observation_type: 'medication',
+      task_id: null,
+      system_default_task_id: null,
+      medication_key: 'lisinopril|10 mg|po (oral)',
+      medication_name: 'Lisinopril',
+      scheduled_for: '2026-06-01T16:00:00.000Z',
+      rating: 'given',
+      note: null,
+    });
+    expect(insertCall.payload.client_obs_id).toBeTruthy();
+  });
+
+  it('records a PRN dose with no slot', async () => {
+    mock.enqueue('care_plan_observations', 'insert', 'single', {
+      data: { id: 'obs-prn', observation_type: 'medication' },
+      error: null,
+    });
+
+    await logMedicationAdministration({
+      carePlanId: 'plan-1', versionId: 'ver-1', shiftId: 's1', caregiverId: 'cg-1',
+      medication, status: 'given', note: '  Headache, pain 5/10  ',
+    });
+
+    const insertCall = mock.calls.find((c) => c.action === 'insert');
+    expect(insertCall.payload.scheduled_for).toBeNull();
+    expect(insertCall.payload.note).toBe('Headache, pain 5/10');
+  });
+
+  it('requires a reason for anything but a scheduled dose given', async () => {
+    const base = {
+      carePlanId: 'plan-1', versionId: 'ver-1', shiftId: 's1', caregiverId: 'cg-1', medication,
+    };
+    await expect(logMedicationAdministration({
+      ...base, scheduledFor: '2026-06-01T16:00:00Z', status: 'refused',
+    })).rejects.toThrow(/note/);
+    await expect(logMedicationAdministration({ ...base, status: 'given', note: ' ' }))
+      .rejects.toThrow(/note/);
+  });
+
+  it('rejects an unknown status or a missing medication', async () => {
+    await expect(logMedicationAdministration({
+      carePlanId: 'plan-1', versionId: 'ver-1', medication, status: 'done',
+    })).rejects.toThrow(/invalid status/);
+    await expect(logMedicationAdministration({
+      carePlanId: 'plan-1', versionId: 'ver-1', medication: { name: 'X' }, status: 'given',
+    })).rejects.toThrow(/medication key/);
+  });
+});
+
+describe('logVitalReading', () => {
+  const ranges = {
+    systolic: { low: 90, high: 160 },
+    diastolic: { low: 50, high: 100 },
+  };
+  const base = {
+    carePlanId: 'plan-1', versionId: 'ver-1', shiftId: 's1', caregiverId: 'cg-1', ranges,
+  };
+
+  it('inserts a structured reading with its unit and text rating', async () => {
+    mock.enqueue('care_plan_observations', 'insert', 'single', {
+      data: { id: 'obs-bp', observation_type: 'vital', rating: '128/82' },
+      error: null,
+    });
+
+    const out = await logVitalReading({
+      ...base, vitalType: 'blood_pressure', values: { systolic: '128', diastolic: '82' },
+    });
+
+    expect(out.observationType).toBe('vital');
+    const insertCall = mock.calls.find((c) => c.action === 'insert');
+    expect(insertCall.payload).toMatchObject({
+      observation_type: 'vital',
+      task_id: null,
+      system_default_task_id: null,
+      vital_type: 'blood_pressure',
+      vital_value: 128,
+      vital_value_secondary: 82,
+      vital_unit: 'mmHg',
+      vital_flag: null,
+      rating: '128/82',
+      note: null,
+    });
+    expect(insertCall.payload.client_obs_id).toBeTruthy();
+  });
+
+  it('flags a reading outside the client\'s range', async () => {
+    mock.enqueue('care_plan_observations', 'insert', 'single', {
+      data: { id: 'obs-bp', observation_type: 'vital' },
+      error: null,
+    });
+
+    await logVitalReading({
+      ...base, vitalType: 'blood_pressure', values: { systolic: '182', diastolic: '95' },
+      note: '  Dizzy after lunch ',
+    });
+
+    const insertCall = mock.calls.find((c) => c.action === 'insert');
+    expect(insertCall.payload.vital_flag).toBe('high');
+    expect(insertCall.payload.note).toBe('Dizzy after lunch');
+  });
+
+  it('rejects an invalid reading before writing', async () => {
+    await expect(logVitalReading({ ...base, vitalType: 'pulse', values: { pulse: '720' } }))
+      .rejects.toThrow(/doesn't look right/);
+    await expect(logVitalReading({ vitalType: 'pulse', values: { pulse: '72' } }))
+      .rejects.toThrow(/carePlanId and versionId/);
+    expect(mock.calls.find((c) => c.action === 'insert')).toBeUndefined();
+  });
+});
+
 // ─── Pure digest helpers ────────────────────────────────────
 
 describe('indexLatestTaskCompletions', () => {
@@ -566,11 +696,27 @@ describe('dbToObservation', () => {
       id: 'x', clientObsId: null, carePlanId: 'p', versionId: 'v', taskId: 't',
       systemDefaultTaskId: null,
       shiftId: 's', caregiverId: 'c', observationType: 'task_completion',
-      rating: 'done', note: 'ok', loggedAt: 'now',
+      rating: 'done', note: 'ok',
+      medicationKey: null, medicationName: null, scheduledFor: null,
+      vitalType: null, vitalValue: null, vitalValueSecondary: null, vitalUnit: null, vitalFlag: null,
+      loggedAt: 'now',
       createdAt: 'c1', updatedAt: 'c2',
     });
   });
 
+  it('maps the medication columns on an eMAR record', () => {
+    const out = dbToObservation({
+      id: 'x', care_plan_id: 'p', version_id: 'v',
+      observation_type: 'medication', rating: 'given',
+      medication_key: 'lisinopril|10 mg|po (oral)', medication_name: 'Lisinopril',
+      scheduled_for: '2026-06-01T16:00:00Z',
+      logged_at: 'now', created_at: 'c1', updated_at: 'c2',
+    });
+    expect(out.medicationKey).toBe('lisinopril|10 mg|po (oral)');
+    expect(out.medicationName).toBe('Lisinopril');
+    expect(out.scheduledFor).toBe('2026-06-01T16:00:00Z');
+  });
+
   it('maps system_default_task_id when set (system-default completion)', () => {
     const out = dbToObservation({
       id: 'x', care_plan_id: 'p', version_id: 'v',
@@ -29,6 +29,7 @@ const DETECTOR_CATEGORY_IDS = [
   'skin_change',
   'help_walking',
   'medication_concern',
+  'vital_sign_change',
 ];
 
 describe('category labels stay in sync with the detector taxonomy', () => {
@@ -172,4 +173,16 @@ describe('describeEvidence', () => {
       'shift_note — "stomach hurts"',
     );
   });
+
+  it('names the medication on eMAR records', () => {
+    expect(
+      describeEvidence({ medication_name: 'Metformin', type: 'medication', rating: 'refused', note: 'nauseous' }),
+    ).toBe('Metformin — medication [refused] — "nauseous"');
+  });
+
+  it('names the vital on threshold readings', () => {
+    expect(
+      describeEvidence({ vital_label: 'Blood pressure (mmHg)', type: 'vital', rating: '182/95' }),
+    ).toBe('Blood pressure (mmHg) — vital [182/95]');
+  });
 });
@@ -0,0 +1,46 @@
+// Structural assertions on migration 20260614000000_caregiver_gender.
+//
+// Locks in: the column is added idempotently and stays nullable (an
+// unrecorded gender is a ranking reason, not a save error), the value
+// CHECK is guarded so re-running is safe, and the rollback drops both.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260614000000_caregiver_gender.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260614000000_caregiver_gender_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('caregiver gender migration', () => {
+  it('adds gender idempotently and nullable', () => {
+    expect(sql).toMatch(
+      /ALTER TABLE public\.caregivers\s*\n\s*ADD COLUMN IF NOT EXISTS gender text;/,
+    );
+    expect(sql).not.toMatch(/gender text NOT NULL/);
+  });
+
+  it('guards the value CHECK behind a pg_constraint lookup', () => {
+    expect(sql).toMatch(/conname = 'caregivers_gender_check'/);
+    expect(sql).toMatch(/CHECK \(gender IS NULL OR gender IN \('female', 'male'\)\)/);
+  });
+
+  it('documents the column', () => {
+    expect(sql).toMatch(/COMMENT ON COLUMN public\.caregivers\.gender IS/);
+  });
+
+  it('rollback drops the constraint and column and warns about data loss', () => {
+    expect(rollbackSql).toMatch(/DROP CONSTRAINT IF EXISTS caregivers_gender_check/);
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS gender/);
+    expect(rollbackSql).toMatch(/Drops data/);
+  });
+});
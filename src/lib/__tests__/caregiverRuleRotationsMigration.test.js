@@ -0,0 +1,49 @@
+// Structural assertions on migration 20260613000000_caregiver_rule_rotations.
+//
+// Locks in: both columns added idempotently with a weekly default so
+// existing rules keep resolving every week, the cycle bound matching
+// MAX_ROTATION_WEEKS, the anchor required on rotating rules, and a
+// rollback that drops both columns.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { MAX_ROTATION_WEEKS } from '../scheduling/caregiverRules';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260613000000_caregiver_rule_rotations.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260613000000_caregiver_rule_rotations_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('caregiver rule rotations migration', () => {
+  it('adds rotation_weeks with a weekly default and the helper bound', () => {
+    expect(sql).toMatch(
+      /ADD COLUMN IF NOT EXISTS rotation_weeks smallint NOT NULL DEFAULT 1\s+CHECK \(rotation_weeks BETWEEN 1 AND (\d)\)/,
+    );
+    const [, max] = /rotation_weeks BETWEEN 1 AND (\d)/.exec(sql);
+    expect(Number(max)).toBe(MAX_ROTATION_WEEKS);
+  });
+
+  it('adds a nullable rotation_anchor', () => {
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS rotation_anchor date;/);
+  });
+
+  it('requires an anchor on rotating rules, idempotently', () => {
+    expect(sql).toMatch(/WHERE conname = 'scpr_rotation_anchor_required'/);
+    expect(sql).toMatch(/rotation_weeks = 1 OR rotation_anchor IS NOT NULL/);
+  });
+
+  it('rollback drops the constraint and both columns', () => {
+    expect(rollbackSql).toMatch(/DROP CONSTRAINT IF EXISTS scpr_rotation_anchor_required/);
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS rotation_anchor/);
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS rotation_weeks/);
+  });
+});
@@ -9,6 +9,12 @@ import {
   planRuleUpsert,
   planRuleClear,
   previousDayString,
+  addDaysToDateString,
+  rotationPhaseForDate,
+  ruleIsOnDate,
+  rulesCoincide,
+  rotationSlotDate,
+  rotationForRules,
 } from '../scheduling/caregiverRules';
 
 // Small builder so each test reads as data, not setup. The defaults
@@ -22,9 +28,20 @@ function rule(overrides = {}) {
     caregiver_id: overrides.caregiver_id ?? 'cg-ciara',
     effective_from: overrides.effective_from ?? '2026-01-01',
     effective_to: overrides.effective_to ?? null,
+    rotation_weeks: overrides.rotation_weeks ?? 1,
+    rotation_anchor: overrides.rotation_anchor ?? null,
   };
 }
 
+// An A/B Thursday rotation: Ciara the week of Sun 2026-05-10, Maria
+// the week after, alternating. 2026-05-14 is a Thursday.
+function abRules() {
+  return [
+    rule({ id: 'week-a', caregiver_id: 'cg-ciara', rotation_weeks: 2, rotation_anchor: '2026-05-10' }),
+    rule({ id: 'week-b', caregiver_id: 'cg-maria', rotation_weeks: 2, rotation_anchor: '2026-05-17' }),
+  ];
+}
+
 describe('pickActiveRule', () => {
   it('returns null for empty rules', () => {
     expect(pickActiveRule([], 4, '2026-05-14')).toBeNull();
@@ -332,3 +349,184 @@ describe('resolveAssignmentForInstance', () => {
     expect(got).toEqual({ caregiverId: null, status: 'open' });
   });
 });
+
+describe('rotations', () => {
+  it('counts cycle weeks in 7-day blocks from the anchor, both directions', () => {
+    expect(rotationPhaseForDate(2, '2026-05-10', '2026-05-10')).toBe(0);
+    expect(rotationPhaseForDate(2, '2026-05-10', '2026-05-16')).toBe(0);
+    expect(rotationPhaseForDate(2, '2026-05-10', '2026-05-17')).toBe(1);
+    expect(rotationPhaseForDate(2, '2026-05-10', '2026-05-24')).toBe(0);
+    expect(rotationPhaseForDate(3, '2026-05-10', '2026-05-09')).toBe(2);
+    expect(rotationPhaseForDate(1, '2026-05-10', '2026-05-17')).toBe(0);
+  });
+
+  it('treats rules without a cycle as weekly', () => {
+    expect(ruleIsOnDate(rule(), '2026-05-21')).toBe(true);
+    expect(ruleIsOnDate(rule({ rotation_weeks: null }), '2026-05-21')).toBe(true);
+  });
+
+  it('resolves alternating caregivers on A/B weeks', () => {
+    const rules = abRules();
+    expect(resolveCaregiverForDate(rules, 4, '2026-05-14')).toBe('cg-ciara');
+    expect(resolveCaregiverForDate(rules, 4, '2026-05-21')).toBe('cg-maria');
+    expect(resolveCaregiverForDate(rules, 4, '2026-05-28')).toBe('cg-ciara');
+  });
+
+  it('leaves off weeks open when only one side of the rotation is set', () => {
+    const [weekA] = abRules();
+    expect(resolveAssignmentForInstance({ date: '2026-05-21' }, [weekA])).toEqual({
+      caregiverId: null,
+      status: 'open',
+    });
+  });
+
+  it('lets a later weekly rule override the rotation', () => {
+    const rules = [...abRules(), rule({ id: 'weekly', caregiver_id: 'cg-bob', effective_from: '2026-06-01' })];
+    expect(resolveCaregiverForDate(rules, 4, '2026-05-21')).toBe('cg-maria');
+    expect(resolveCaregiverForDate(rules, 4, '2026-06-04')).toBe('cg-bob');
+    expect(resolveCaregiverForDate(rules, 4, '2026-06-11')).toBe('cg-bob');
+  });
+
+  it('knows which rules can share a date', () => {
+    const [weekA, weekB] = abRules();
+    expect(rulesCoincide(weekA, weekB, 4)).toBe(false);
+    expect(rulesCoincide(weekA, rule(), 4)).toBe(true);
+    expect(rulesCoincide(weekA, { ...weekB, rotation_anchor: '2026-05-24' }, 4)).toBe(true);
+    // A 2-week and a 3-week cycle always meet eventually.
+    expect(rulesCoincide(weekB, rule({ rotation_weeks: 3, rotation_anchor: '2026-05-10' }), 4)).toBe(true);
+  });
+
+  it('anchors on a mid-week changeover day', () => {
+    // Week-on/week-off live-in changing over on Wednesday 2026-05-13.
+    const r = rule({ day_of_week: 1, rotation_weeks: 2, rotation_anchor: '2026-05-13' });
+    expect(ruleIsOnDate(r, '2026-05-18')).toBe(true); // Mon, first week
+    expect(ruleIsOnDate(r, '2026-05-25')).toBe(false);
+    expect(ruleIsOnDate(r, '2026-06-01')).toBe(true);
+  });
+
+  it('finds the next date for a week of the cycle', () => {
+    const rotation = { rotationWeeks: 2, rotationAnchor: '2026-05-10' };
+    expect(rotationSlotDate({ ...rotation, phase: 0, dayOfWeek: 4, onOrAfter: '2026-05-15' }))
+      .toBe('2026-05-28');
+    expect(rotationSlotDate({ ...rotation, phase: 1, dayOfWeek: 4, onOrAfter: '2026-05-15' }))
+      .toBe('2026-05-21');
+    expect(rotationSlotDate({ ...rotation, dayOfWeek: 9, onOrAfter: '2026-05-15' })).toBeNull();
+  });
+
+  it('groups active rules per week of the cycle', () => {
+    const rotation = { rotationWeeks: 2, rotationAnchor: '2026-05-10' };
+    const a = activeRulesByDayOfWeek(abRules(), '2026-05-14', { ...rotation, phase: 0 });
+    const b = activeRulesByDayOfWeek(abRules(), '2026-05-14', { ...rotation, phase: 1 });
+    expect(a[4].caregiver_id).toBe('cg-ciara');
+    expect(b[4].caregiver_id).toBe('cg-maria');
+  });
+
+  it('reads the plan rotation back from live rules', () => {
+    expect(rotationForRules(abRules(), '2026-05-14')).toEqual({
+      rotationWeeks: 2,
+      rotationAnchor: '2026-05-10',
+    });
+    expect(rotationForRules([rule()], '2026-05-14')).toBeNull();
+    expect(
+      rotationForRules(
+        abRules().map((r) => ({ ...r, effective_to: '2026-05-01' })),
+        '2026-05-14',
+      ),
+    ).toBeNull();
+  });
+
+  it('adds days across month boundaries', () => {
+    expect(addDaysToDateString('2026-05-31', 1)).toBe('2026-06-01');
+    expect(addDaysToDateString('2026-05-10', -7)).toBe('2026-05-03');
+  });
+});
+
+describe('planRuleUpsert — rotations', () => {
+  const base = { servicePlanId: 'plan-1', orgId: 'org-1', dayOfWeek: 4 };
+
+  it('sets Week B without touching Week A', () => {
+    const [weekA] = abRules();
+    const plan = planRuleUpsert({
+      ...base,
+      rules: [weekA],
+      caregiverId: 'cg-maria',
+      effectiveFrom: '2026-05-14',
+      rotationWeeks: 2,
+      rotationAnchor: '2026-05-17',
+    });
+    expect(plan.toExpire).toEqual([]);
+    expect(plan.toInsert).toMatchObject({
+      caregiver_id: 'cg-maria',
+      rotation_weeks: 2,
+      rotation_anchor: '2026-05-17',
+    });
+  });
+
+  it('replaces the same week of the rotation', () => {
+    const plan = planRuleUpsert({
+      ...base,
+      rules: abRules(),
+      caregiverId: 'cg-bob',
+      effectiveFrom: '2026-05-14',
+      rotationWeeks: 2,
+      rotationAnchor: '2026-05-31',
+    });
+    expect(plan.toExpire).toEqual([{ id: 'week-b', effective_to: '2026-05-13' }]);
+  });
+
+  it('is a noop when the same caregiver already has that week', () => {
+    const plan = planRuleUpsert({
+      ...base,
+      rules: abRules(),
+      caregiverId: 'cg-ciara',
+      effectiveFrom: '2026-05-14',
+      rotationWeeks: 2,
+      rotationAnchor: '2026-05-10',
+    });
+    expect(plan.noop).toBe(true);
+  });
+
+  it('a weekly rule replaces the whole rotation', () => {
+    const plan = planRuleUpsert({
+      ...base,
+      rules: abRules(),
+      caregiverId: 'cg-ciara',
+      effectiveFrom: '2026-05-14',
+    });
+    expect(plan.noop).toBe(false);
+    expect(plan.toExpire.map((e) => e.id).sort()).toEqual(['week-a', 'week-b']);
+    expect(plan.toInsert).toMatchObject({ rotation_weeks: 1, rotation_anchor: null });
+  });
+
+  it('a rotation replaces a weekly rule', () => {
+    const plan = planRuleUpsert({
+      ...base,
+      rules: [rule({ id: 'weekly' })],
+      caregiverId: 'cg-maria',
+      effectiveFrom: '2026-05-14',
+      rotationWeeks: 2,
+      rotationAnchor: '2026-05-17',
+    });
+    expect(plan.toExpire).toEqual([{ id: 'weekly', effective_to: '2026-05-13' }]);
+  });
+
+  it('rejects a bad cycle', () => {
+    expect(() => planRuleUpsert({
+      ...base, rules: [], caregiverId: 'cg-1', effectiveFrom: '2026-05-14', rotationWeeks: 5, rotationAnchor: '2026-05-10',
+    })).toThrow();
+    expect(() => planRuleUpsert({
+      ...base, rules: [], caregiverId: 'cg-1', effectiveFrom: '2026-05-14', rotationWeeks: 2,
+    })).toThrow();
+  });
+
+  it('clears one week of the rotation', () => {
+    const plan = planRuleClear({
+      rules: abRules(),
+      dayOfWeek: 4,
+      effectiveFrom: '2026-05-14',
+      rotationWeeks: 2,
+      rotationAnchor: '2026-05-10',
+    });
+    expect(plan.toExpire).toEqual([{ id: 'week-a', effective_to: '2026-05-13' }]);
+  });
+});
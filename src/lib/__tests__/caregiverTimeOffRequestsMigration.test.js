@@ -0,0 +1,71 @@
+// Structural assertions on migration 20260616000000_caregiver_time_off_requests.
+//
+// Locks in: the status CHECK matching TIME_OFF_STATUS in
+// src/lib/scheduling/timeOffRequests.js, the date-order constraint, the
+// link to the approval's availability row, the tenant-isolation prime
+// directives, idempotency, and a rollback that drops the table and its
+// trigger function.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { TIME_OFF_STATUS } from '../scheduling/timeOffRequests.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260616000000_caregiver_time_off_requests.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260616000000_caregiver_time_off_requests_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('caregiver_time_off_requests migration', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.caregiver_time_off_requests/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/caregiver_id\s+text NOT NULL REFERENCES caregivers\(id\) ON DELETE CASCADE/);
+  });
+
+  it('limits status to the values the helpers know, defaulting to pending', () => {
+    const m = /status\s+text NOT NULL DEFAULT 'pending'\s+CHECK \(status IN \(([^)]*)\)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(m[1].match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort()).toEqual(
+      Object.values(TIME_OFF_STATUS).sort(),
+    );
+  });
+
+  it('keeps dates in order and links the approval’s availability row', () => {
+    expect(sql).toMatch(/start_date\s+date NOT NULL/);
+    expect(sql).toMatch(/end_date\s+date NOT NULL/);
+    expect(sql).toMatch(/CHECK \(end_date >= start_date\)/);
+    expect(sql).toMatch(
+      /availability_id\s+uuid REFERENCES caregiver_availability\(id\) ON DELETE SET NULL/,
+    );
+  });
+
+  it('enables RLS with tenant and service-role policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.caregiver_time_off_requests ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_caregiver_time_off_requests_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_caregiver_time_off_requests');
+    expect(sql).toMatch(/org_id = nullif\(\(SELECT auth\.jwt\(\)\) ->> 'org_id', ''\)::uuid/);
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+    expect(sql).toMatch(/DROP TRIGGER IF EXISTS trg_caregiver_time_off_requests_updated_at/);
+  });
+
+  it('rollback drops the table and its trigger function', () => {
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.caregiver_time_off_requests;/);
+    expect(rollbackSql).toMatch(
+      /DROP FUNCTION IF EXISTS public\.set_caregiver_time_off_requests_updated_at\(\);/,
+    );
+  });
+});
@@ -0,0 +1,61 @@
+// Structural assertions on migration 20260604000000_caregivers_ot_jurisdiction.
+//
+// Locks in: the column is additive + nullable, the CHECK list matches
+// SUPPORTED_OT_JURISDICTIONS in the payroll constants, and the rollback
+// drops the constraint before the column.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { SUPPORTED_OT_JURISDICTIONS } from '../payroll/constants.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260604000000_caregivers_ot_jurisdiction.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260604000000_caregivers_ot_jurisdiction_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('caregivers ot_jurisdiction migration', () => {
+  it('adds ot_jurisdiction idempotently as nullable text', () => {
+    expect(sql).toMatch(
+      /ALTER TABLE public\.caregivers\s*\n\s*ADD COLUMN IF NOT EXISTS ot_jurisdiction text;/,
+    );
+    expect(sql).not.toMatch(/ot_jurisdiction text\s+NOT NULL/);
+  });
+
+  it('drops the CHECK constraint before re-adding it', () => {
+    const dropIdx = sql.indexOf('DROP CONSTRAINT IF EXISTS caregivers_ot_jurisdiction_check');
+    const addIdx = sql.indexOf('ADD CONSTRAINT caregivers_ot_jurisdiction_check');
+    expect(dropIdx).toBeGreaterThan(-1);
+    expect(addIdx).toBeGreaterThan(dropIdx);
+  });
+
+  it('CHECK list matches SUPPORTED_OT_JURISDICTIONS exactly', () => {
+    const match = sql.match(/ot_jurisdiction IN \(([^)]*)\)/);
+    expect(match).not.toBeNull();
+    const codes = match[1].split(',').map((c) => c.trim().replace(/'/g, '')).filter(Boolean);
+    expect(codes).toEqual([...SUPPORTED_OT_JURISDICTIONS]);
+  });
+
+  it('allows NULL (resolve from work location)', () => {
+    expect(sql).toMatch(/ot_jurisdiction IS NULL OR/);
+  });
+
+  it('does not backfill existing caregivers', () => {
+    expect(sql).not.toMatch(/UPDATE public\.caregivers/);
+  });
+
+  it('rollback drops the constraint, then the column', () => {
+    const dropConstraint = rollbackSql.indexOf('DROP CONSTRAINT IF EXISTS caregivers_ot_jurisdiction_check');
+    const dropColumn = rollbackSql.indexOf('DROP COLUMN IF EXISTS ot_jurisdiction');
+    expect(dropConstraint).toBeGreaterThan(-1);
+    expect(dropColumn).toBeGreaterThan(dropConstraint);
+  });
+});
@@ -0,0 +1,77 @@
+// Structural assertions on migration 20260611000000_client_authorizations.
+//
+// Locks in: the table's CHECKs matching validateAuthorization and the
+// values src/lib/authorizations.js knows, the tenant-isolation prime
+// directives, idempotency, and a rollback that drops the table and its
+// trigger function.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { AUTHORIZATION_PERIOD } from '../authorizations.js';
+import { SERVICE_TYPE } from '../rateCards.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260611000000_client_authorizations.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260611000000_client_authorizations_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+function listedValues(re) {
+  const m = re.exec(sql);
+  expect(m).not.toBeNull();
+  return m[1].match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort();
+}
+
+describe('client_authorizations migration', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.client_authorizations/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/client_id\s+text NOT NULL REFERENCES clients\(id\) ON DELETE CASCADE/);
+  });
+
+  it('limits service_type and cap_period to the values the helpers know', () => {
+    expect(listedValues(/service_type\s+text CHECK \(service_type IN \(([^)]*)\)\)/)).toEqual(
+      Object.values(SERVICE_TYPE).sort(),
+    );
+    expect(listedValues(/cap_period\s+text NOT NULL CHECK \(cap_period IN \(([^)]*)\)\)/)).toEqual(
+      Object.values(AUTHORIZATION_PERIOD).sort(),
+    );
+  });
+
+  it('bounds the cap, unit length, and dates like validateAuthorization', () => {
+    expect(sql).toMatch(/unit_cap\s+numeric\(10,2\) NOT NULL CHECK \(unit_cap > 0\)/);
+    expect(sql).toMatch(/CHECK \(unit_minutes > 0 AND unit_minutes <= 1440\)/);
+    expect(sql).toMatch(/start_date\s+date NOT NULL/);
+    expect(sql).toMatch(/end_date\s+date NOT NULL/);
+    expect(sql).toMatch(/CHECK \(end_date >= start_date\)/);
+  });
+
+  it('enables RLS with tenant and service-role policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.client_authorizations ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_client_authorizations_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_client_authorizations');
+    expect(sql).toMatch(/org_id = nullif\(\(SELECT auth\.jwt\(\)\) ->> 'org_id', ''\)::uuid/);
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+    expect(sql).toMatch(/DROP TRIGGER IF EXISTS trg_client_authorizations_updated_at/);
+  });
+
+  it('rollback drops the table and its trigger function', () => {
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.client_authorizations;/);
+    expect(rollbackSql).toMatch(
+      /DROP FUNCTION IF EXISTS public\.set_client_authorizations_updated_at\(\);/,
+    );
+  });
+});
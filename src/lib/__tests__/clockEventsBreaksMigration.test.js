@@ -0,0 +1,86 @@
+// Structural assertions on migration 20260605000000_clock_events_breaks_and_premiums.
+//
+// Locks in: the event_type CHECK widens in place, break_type values
+// match BREAK_TYPE in the payroll constants, the one-in / one-out
+// unique index survives as a partial index, the new columns are
+// additive with safe defaults, and the rollback removes break rows
+// before narrowing the CHECK.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { BREAK_TYPE } from '../payroll/constants.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260605000000_clock_events_breaks_and_premiums.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260605000000_clock_events_breaks_and_premiums_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('clock_events breaks + premiums migration', () => {
+  it('drops the event_type CHECK before re-adding it with break events', () => {
+    const dropIdx = sql.indexOf('DROP CONSTRAINT IF EXISTS clock_events_event_type_check');
+    const addIdx = sql.indexOf('ADD CONSTRAINT clock_events_event_type_check');
+    expect(dropIdx).toBeGreaterThan(-1);
+    expect(addIdx).toBeGreaterThan(dropIdx);
+    expect(sql).toMatch(/event_type IN \('in', 'out', 'break_start', 'break_end'\)/);
+  });
+
+  it('adds break_type idempotently, constrained to BREAK_TYPE values', () => {
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS break_type text;/);
+    const match = sql.match(/break_type IN \(([^)]*)\)/);
+    expect(match).not.toBeNull();
+    const values = match[1].split(',').map((v) => v.trim().replace(/'/g, ''));
+    expect(values.sort()).toEqual(Object.values(BREAK_TYPE).sort());
+  });
+
+  it('requires break_type NULL on clock-in / clock-out rows', () => {
+    expect(sql).toMatch(/event_type IN \('in', 'out'\) AND break_type IS NULL/);
+  });
+
+  it('keeps one clock-in / one clock-out per shift via a partial unique index', () => {
+    const dropIdx = sql.indexOf('DROP INDEX IF EXISTS idx_clock_events_shift_event_unique');
+    const createIdx = sql.indexOf('CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique');
+    expect(dropIdx).toBeGreaterThan(-1);
+    expect(createIdx).toBeGreaterThan(dropIdx);
+    expect(sql).toMatch(/ON clock_events \(shift_id, event_type\)\s*\n\s*WHERE event_type IN \('in', 'out'\);/);
+  });
+
+  it('adds premium hour columns defaulting to 0', () => {
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS meal_premium_hours numeric\(6,2\) NOT NULL DEFAULT 0;/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS rest_premium_hours numeric\(6,2\) NOT NULL DEFAULT 0;/);
+  });
+
+  it('adds meal_period_waiver defaulting to false (no waiver on file)', () => {
+    expect(sql).toMatch(
+      /ADD COLUMN IF NOT EXISTS meal_period_waiver boolean NOT NULL DEFAULT false;/,
+    );
+  });
+
+  it('does not backfill existing rows', () => {
+    expect(sql).not.toMatch(/UPDATE /);
+  });
+
+  it('rollback deletes break rows before narrowing the event_type CHECK', () => {
+    const deleteIdx = rollbackSql.indexOf("DELETE FROM clock_events WHERE event_type IN ('break_start', 'break_end')");
+    const narrowIdx = rollbackSql.indexOf("CHECK (event_type IN ('in', 'out'))");
+    expect(deleteIdx).toBeGreaterThan(-1);
+    expect(narrowIdx).toBeGreaterThan(deleteIdx);
+  });
+
+  it('rollback restores the full unique index and drops the new columns', () => {
+    expect(rollbackSql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique\s*\n\s*ON clock_events \(shift_id, event_type\);/,
+    );
+    for (const col of ['break_type', 'meal_premium_hours', 'rest_premium_hours', 'meal_period_waiver']) {
+      expect(rollbackSql).toContain(`DROP COLUMN IF EXISTS ${col}`);
+    }
+  });
+});
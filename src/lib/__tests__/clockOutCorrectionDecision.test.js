@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// ═══════════════════════════════════════════════════════════════
+// Tests for decideClockOutCorrection's pending → decided claim.
+//
+// Two reviewers deciding the same correction at once must not both
+// write a clock-out and complete the shift: the status change is a
+// conditional update, and whoever loses it stops before touching the
+// shift. A failed approval hands the correction back to pending.
+// ═══════════════════════════════════════════════════════════════
+
+function createSupabaseMock() {
+  const queue = [];
+  const calls = [];
+
+  function enqueue(table, action, terminal, result) {
+    queue.push({ table, action, terminal, result });
+  }
+
+  function dequeue(table, action, terminal) {
+    const idx = queue.findIndex(
+      (q) => q.table === table && q.action === action && q.terminal === terminal,
+    );
+    if (idx === -1) {
+      throw new Error(`Unexpected call: ${table}.${action}().${terminal || 'noTerminal'}`);
+    }
+    return queue.splice(idx, 1)[0].result;
+  }
+
+  function makeBuilder(table, action, payload) {
+    const filters = [];
+    const builder = {
+      select() { return builder; },
+      eq(col, val) { filters.push({ col, val, op: 'eq' }); return builder; },
+      in(col, vals) { filters.push({ col, val: vals, op: 'in' }); return builder; },
+      order() { return builder; },
+      single() {
+        calls.push({ table, action, terminal: 'single', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'single'));
+      },
+      maybeSingle() {
+        calls.push({ table, action, terminal: 'maybeSingle', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'maybeSingle'));
+      },
+      then(onFulfilled, onRejected) {
+        calls.push({ table, action, terminal: 'noTerminal', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'noTerminal'))
+          .then(onFulfilled, onRejected);
+      },
+    };
+    return builder;
+  }
+
+  const supabase = {
+    from: vi.fn((table) => ({
+      select: () => makeBuilder(table, 'select', null),
+      insert: (payload) => makeBuilder(table, 'insert', payload),
+      update: (payload) => makeBuilder(table, 'update', payload),
+      delete: () => makeBuilder(table, 'delete', null),
+    })),
+  };
+
+  return { supabase, enqueue, calls };
+}
+
+let mock;
+
+vi.mock('../supabase', () => ({
+  supabase: new Proxy({}, { get: (_, prop) => mock.supabase[prop] }),
+  isSupabaseConfigured: () => true,
+}));
+
+const { decideClockOutCorrection } = await import('../../features/scheduling/storage.js');
+
+const PENDING_ROW = {
+  id: 'corr-1',
+  shift_id: 'shift-A',
+  caregiver_id: 'cg-9',
+  status: 'pending',
+  requested_end_time: '2026-05-04T21:00:00.000Z',
+  reason: 'Phone died',
+};
+
+function enqueueOpenShift() {
+  mock.enqueue('clock_out_corrections', 'select', 'maybeSingle', { data: PENDING_ROW, error: null });
+  mock.enqueue('shifts', 'select', 'maybeSingle', {
+    data: { status: 'in_progress', assigned_caregiver_id: 'cg-9' },
+    error: null,
+  });
+  mock.enqueue('clock_events', 'select', 'noTerminal', { data: [], error: null });
+}
+
+const claimCall = () => mock.calls.find(
+  (c) => c.table === 'clock_out_corrections' && c.action === 'update' && c.payload.status !== 'pending',
+);
+
+beforeEach(() => {
+  mock = createSupabaseMock();
+});
+
+describe('decideClockOutCorrection', () => {
+  it('claims the decision only while the correction is still pending', async () => {
+    mock.enqueue('clock_out_corrections', 'select', 'maybeSingle', { data: PENDING_ROW, error: null });
+    mock.enqueue('clock_out_corrections', 'update', 'noTerminal', {
+      data: [{ ...PENDING_ROW, status: 'denied', decided_by: 'Jessica' }],
+      error: null,
+    });
+
+    const out = await decideClockOutCorrection('corr-1', { approve: false, decidedBy: 'Jessica' });
+
+    expect(out.status).toBe('denied');
+    expect(claimCall().payload).toMatchObject({ status: 'denied', decided_by: 'Jessica' });
+    expect(claimCall().filters).toContainEqual({ col: 'status', val: 'pending', op: 'eq' });
+  });
+
+  it('stops before touching the shift when another reviewer decided first', async () => {
+    enqueueOpenShift();
+    mock.enqueue('clock_out_corrections', 'update', 'noTerminal', { data: [], error: null });
+
+    await expect(decideClockOutCorrection('corr-1', { approve: true, decidedBy: 'Jessica' }))
+      .rejects.toThrow('no longer waiting for review');
+
+    expect(mock.calls.some((c) => c.table === 'clock_events' && c.action === 'insert')).toBe(false);
+    expect(mock.calls.some((c) => c.table === 'shifts' && c.action === 'update')).toBe(false);
+  });
+
+  it('hands the correction back to pending when the clock-out write fails', async () => {
+    enqueueOpenShift();
+    mock.enqueue('clock_out_corrections', 'update', 'noTerminal', {
+      data: [{ ...PENDING_ROW, status: 'approved' }],
+      error: null,
+    });
+    mock.enqueue('clock_events', 'insert', 'single', { data: null, error: new Error('insert failed') });
+    mock.enqueue('clock_out_corrections', 'update', 'noTerminal', { data: null, error: null });
+
+    await expect(decideClockOutCorrection('corr-1', { approve: true, decidedBy: 'Jessica' }))
+      .rejects.toThrow('insert failed');
+
+    const revert = mock.calls.filter((c) => c.table === 'clock_out_corrections' && c.action === 'update').at(-1);
+    expect(revert.payload).toMatchObject({ status: 'pending', decided_at: null, decided_by: null });
+    expect(revert.filters).toContainEqual({ col: 'status', val: 'approved', op: 'eq' });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CLOCK_OUT_CORRECTION_STATUS,
+  MISSED_CLOCK_OUT_AFTER_MINUTES,
+  MISSED_CLOCK_OUT_LOOKBACK_DAYS,
+  CORRECTION_REASON_MAX_LENGTH,
+  isOpenCorrection,
+  isMissedClockOut,
+  canCorrectClockOut,
+  validateClockOutCorrection,
+  correctedClockOutEvent,
+  formatCorrectionTime,
+  describeEndVariance,
+  missedClockOutPush,
+  correctionDecisionPush,
+} from '../scheduling/clockOutCorrections';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+// Mrs. Lee's Monday 9 AM–1 PM visit, still clocked in. May is PDT, so
+// wall-clock times are written with a fixed -07:00 offset.
+const TZ = 'America/Los_Angeles';
+
+const local = (hhmm, date = '2026-05-04') => new Date(`${date}T${hhmm}:00-07:00`).toISOString();
+
+function visit(extra = {}) {
+  return {
+    id: 'visit-42',
+    client_id: 'client-lee',
+    assigned_caregiver_id: 'cg-rosa',
+    status: 'in_progress',
+    start_time: local('09:00'),
+    end_time: local('13:00'),
+    ...extra,
+  };
+}
+
+const pastEnd = (minutes) => new Date(Date.parse(local('13:00')) + minutes * 60000);
+
+// ─── isOpenCorrection ─────────────────────────────────────────
+
+describe('isOpenCorrection', () => {
+  it('is true only while waiting on the caregiver or the office', () => {
+    expect(isOpenCorrection({ status: 'prompted' })).toBe(true);
+    expect(isOpenCorrection({ status: 'pending' })).toBe(true);
+    expect(isOpenCorrection({ status: 'approved' })).toBe(false);
+    expect(isOpenCorrection({ status: 'cancelled' })).toBe(false);
+    expect(isOpenCorrection(null)).toBe(false);
+  });
+});
+
+// ─── isMissedClockOut ─────────────────────────────────────────
+
+describe('isMissedClockOut', () => {
+  it('fires once the threshold past the scheduled end is reached', () => {
+    expect(isMissedClockOut(visit(), { now: pastEnd(MISSED_CLOCK_OUT_AFTER_MINUTES - 1) })).toBe(false);
+    expect(isMissedClockOut(visit(), { now: pastEnd(MISSED_CLOCK_OUT_AFTER_MINUTES) })).toBe(true);
+  });
+
+  it('honours a custom threshold', () => {
+    expect(isMissedClockOut(visit(), { afterMinutes: 30, now: pastEnd(30) })).toBe(true);
+  });
+
+  it('skips shifts with a clock-out, not in progress, or unassigned', () => {
+    const now = pastEnd(180);
+    expect(isMissedClockOut(visit(), { clockedOut: true, now })).toBe(false);
+    expect(isMissedClockOut(visit({ status: 'completed' }), { now })).toBe(false);
+    expect(isMissedClockOut(visit({ assigned_caregiver_id: null }), { now })).toBe(false);
+  });
+
+  it('leaves visits past the lookback to the office', () => {
+    const now = pastEnd(MISSED_CLOCK_OUT_LOOKBACK_DAYS * 24 * 60 + 1);
+    expect(isMissedClockOut(visit(), { now })).toBe(false);
+  });
+});
+
+// ─── canCorrectClockOut ───────────────────────────────────────
+
+describe('canCorrectClockOut', () => {
+  it('allows the assigned caregiver once the clock-out window has passed', () => {
+    expect(canCorrectClockOut(visit(), 'cg-rosa', pastEnd(61))).toEqual({ ok: true, reason: null });
+  });
+
+  it('sends them to the normal clock-out inside the window', () => {
+    expect(canCorrectClockOut(visit(), 'cg-rosa', pastEnd(30))).toEqual({ ok: false, reason: 'too_soon' });
+  });
+
+  it('rejects other caregivers and shifts not in progress', () => {
+    expect(canCorrectClockOut(visit(), 'cg-ben', pastEnd(90)).reason).toBe('not_assigned');
+    expect(canCorrectClockOut(visit({ status: 'completed' }), 'cg-rosa', pastEnd(90)).reason).toBe('bad_status');
+  });
+});
+
+// ─── validateClockOutCorrection ───────────────────────────────
+
+describe('validateClockOutCorrection', () => {
+  const base = {
+    clockInAt: local('09:02'),
+    endTime: local('13:20'),
+    reason: 'Phone died at the end of the visit',
+    now: pastEnd(150),
+  };
+
+  it('accepts a plausible end time and reason', () => {
+    expect(validateClockOutCorrection(base)).toBeNull();
+  });
+
+  it('requires a valid end time that is not in the future', () => {
+    expect(validateClockOutCorrection({ ...base, endTime: '' })).toMatch(/actually left/);
+    expect(validateClockOutCorrection({ ...base, endTime: 'nope' })).toMatch(/actually left/);
+    expect(validateClockOutCorrection({ ...base, endTime: pastEnd(200).toISOString() })).toMatch(/future/);
+  });
+
+  it('keeps the end after the clock-in and the visit under the cap', () => {
+    expect(validateClockOutCorrection({ ...base, endTime: local('09:00') })).toMatch(/after you clocked in/);
+    expect(validateClockOutCorrection({
+      ...base,
+      clockInAt: local('09:00', '2026-05-03'),
+      endTime: local('13:00'),
+    })).toMatch(/longer than 24 hours/);
+  });
+
+  it('requires a reason within the length bounds', () => {
+    expect(validateClockOutCorrection({ ...base, reason: '  ok  ' })).toMatch(/why/);
+    expect(validateClockOutCorrection({ ...base, reason: 'x'.repeat(CORRECTION_REASON_MAX_LENGTH + 1) }))
+      .toMatch(/too long/);
+  });
+});
+
+// ─── correctedClockOutEvent ───────────────────────────────────
+
+describe('correctedClockOutEvent', () => {
+  it('builds a manual-entry clock-out carrying the caregiver reason', () => {
+    const row = correctedClockOutEvent({
+      shift_id: 'visit-42',
+      caregiver_id: 'cg-rosa',
+      status: CLOCK_OUT_CORRECTION_STATUS.PENDING,
+      requested_end_time: local('13:20'),
+      reason: '  Phone died  ',
+    }, { decidedBy: 'Dana' });
+    expect(row).toEqual({
+      shift_id: 'visit-42',
+      caregiver_id: 'cg-rosa',
+      event_type: 'out',
+      occurred_at: local('13:20'),
+      source: 'manual_entry',
+      edited_by: 'Dana',
+      edit_reason: 'Missed clock-out, reported by caregiver: Phone died',
+    });
+  });
+});
+
+// ─── Formatting & pushes ──────────────────────────────────────
+
+describe('formatting', () => {
+  it('formats times in the agency zone', () => {
+    expect(formatCorrectionTime(local('13:15'), TZ)).toBe('Mon, May 4, 1:15 PM');
+  });
+
+  it('describes the reported end against the schedule', () => {
+    expect(describeEndVariance(visit(), local('13:00'))).toBe('at the scheduled end');
+    expect(describeEndVariance(visit(), local('13:45'))).toBe('45 min after scheduled end');
+    expect(describeEndVariance(visit(), local('11:45'))).toBe('1 h 15 min before scheduled end');
+    expect(describeEndVariance(visit(), local('15:00'))).toBe('2 h after scheduled end');
+  });
+});
+
+describe('pushes', () => {
+  it('links the missed clock-out prompt to the shift', () => {
+    const push = missedClockOutPush(visit(), { clientName: 'Mrs. Lee', timezone: TZ });
+    expect(push.title).toBe('Did you forget to clock out?');
+    expect(push.body).toContain('Mrs. Lee');
+    expect(push.body).toContain('Mon, May 4, 1:00 PM');
+    expect(push.url).toBe('/care/shifts/visit-42');
+    expect(push.tag).toBe('clock-out-visit-42');
+  });
+
+  it('reports the office decision', () => {
+    const correction = { shift_id: 'visit-42' };
+    expect(correctionDecisionPush(true, correction).title).toBe('Clock-out confirmed');
+    expect(correctionDecisionPush(false, correction).title).toBe('Clock-out correction not approved');
+    expect(correctionDecisionPush(false, correction).tag).toBe('clock-out-visit-42');
+  });
+});
@@ -0,0 +1,88 @@
+// Structural assertions on migration 20260618000000_clock_out_corrections.
+//
+// Locks in: the status CHECK matching CLOCK_OUT_CORRECTION_STATUS in
+// src/lib/scheduling/clockOutCorrections.js, the one-open-correction
+// guard the cron and edge function rely on, the submitted-row shape,
+// tenant isolation, the 15-minute cron, and the rollback.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import {
+  CLOCK_OUT_CORRECTION_STATUS,
+  OPEN_CORRECTION_STATUSES,
+  CORRECTION_REASON_MAX_LENGTH,
+} from '../scheduling/clockOutCorrections.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260618000000_clock_out_corrections.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260618000000_clock_out_corrections_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+const quoted = (list) => list.match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort();
+
+describe('clock_out_corrections migration', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.clock_out_corrections/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/shift_id\s+uuid NOT NULL REFERENCES shifts\(id\) ON DELETE CASCADE/);
+    expect(sql).toMatch(/caregiver_id\s+text NOT NULL REFERENCES caregivers\(id\) ON DELETE CASCADE/);
+    expect(sql).toMatch(/clock_event_id\s+uuid REFERENCES clock_events\(id\) ON DELETE SET NULL/);
+  });
+
+  it('limits status to the values the helpers know', () => {
+    const m = /status\s+text NOT NULL DEFAULT 'prompted' CHECK \(status IN \(([^)]*)\)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(quoted(m[1])).toEqual(Object.values(CLOCK_OUT_CORRECTION_STATUS).sort());
+  });
+
+  it('caps the reason at the helper limit', () => {
+    expect(sql).toContain(`char_length(reason) <= ${CORRECTION_REASON_MAX_LENGTH}`);
+  });
+
+  it('requires an end time and reason once submitted', () => {
+    expect(sql).toMatch(/CONSTRAINT clock_out_corrections_submitted CHECK/);
+    expect(sql).toMatch(/requested_end_time IS NOT NULL AND reason IS NOT NULL/);
+  });
+
+  it('allows one open correction per shift', () => {
+    const m = /CREATE UNIQUE INDEX IF NOT EXISTS uq_clock_out_corrections_open_shift\s+ON public\.clock_out_corrections \(shift_id\)\s+WHERE status IN \(([^)]*)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(quoted(m[1])).toEqual([...OPEN_CORRECTION_STATUSES].sort());
+  });
+
+  it('enables RLS with tenant and service-role policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.clock_out_corrections ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_clock_out_corrections_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_clock_out_corrections');
+    expect(sql).toMatch(/org_id = nullif\(\(SELECT auth\.jwt\(\)\) ->> 'org_id', ''\)::uuid/);
+  });
+
+  it('schedules the detector every 15 minutes from vault secrets', () => {
+    expect(sql).toMatch(/cron\.schedule\(\s*'missed-clock-out-detector',\s*'\*\/15 \* \* \* \*'/);
+    expect(sql).toContain('/functions/v1/missed-clock-out-detector');
+    expect(sql).toMatch(/WHERE jobname = 'missed-clock-out-detector'/);
+    expect(sql).toMatch(/vault secrets missing/);
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX|UNIQUE INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+  });
+
+  it('rollback unschedules and drops the table and trigger function', () => {
+    expect(rollbackSql).toMatch(/⚠️\s+Drops data/);
+    expect(rollbackSql).toMatch(/cron\.unschedule\('missed-clock-out-detector'\)/);
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.clock_out_corrections;/);
+    expect(rollbackSql).toMatch(/DROP FUNCTION IF EXISTS public\.set_clock_out_corrections_updated_at\(\);/);
+  });
+});
@@ -0,0 +1,417 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAR_STATUS,
+  STANDARD_ADMIN_TIMES,
+  medicationKey,
+  isPrnMedication,
+  parseMedicationFrequency,
+  medicationsFromVersion,
+  marSlotKey,
+  shiftMedicationSlots,
+  indexLatestMedicationRecords,
+  listAsNeededRecords,
+  marMonthRange,
+  buildMarGrid,
+  marCellCode,
+  marMonthLabel,
+  renderMarHtml,
+} from '../emar';
+
+const TZ = 'America/Los_Angeles';
+
+const freq = (frequency, extra = {}) => parseMedicationFrequency({ frequency, ...extra });
+
+const versionData = (medications) => ({ healthProfile: { medications } });
+
+const record = (overrides = {}) => ({
+  id: overrides.id ?? `obs-${Math.random()}`,
+  observationType: 'medication',
+  medicationKey: 'metformin|500 mg|oral',
+  medicationName: 'Metformin',
+  scheduledFor: null,
+  rating: 'given',
+  note: null,
+  loggedAt: '2026-06-10T16:05:00Z',
+  ...overrides,
+});
+
+describe('medicationKey', () => {
+  it('normalizes name, dose and route', () => {
+    expect(medicationKey({ name: '  Metformin ', dose: '500  MG', route: 'Oral' }))
+      .toBe('metformin|500 mg|oral');
+  });
+
+  it('keeps empty dose/route positions', () => {
+    expect(medicationKey({ name: 'Tylenol' })).toBe('tylenol||');
+  });
+
+  it('is null without a name', () => {
+    expect(medicationKey({ name: '   ', dose: '5 mg' })).toBeNull();
+    expect(medicationKey(null)).toBeNull();
+  });
+});
+
+describe('isPrnMedication', () => {
+  it('honors the PRN flag and PRN wording', () => {
+    expect(isPrnMedication({ prn: true, frequency: 'BID' })).toBe(true);
+    expect(isPrnMedication({ frequency: 'q4h PRN pain' })).toBe(true);
+    expect(isPrnMedication({ frequency: 'as needed for sleep' })).toBe(true);
+    expect(isPrnMedication({ frequency: 'twice daily' })).toBe(false);
+  });
+});
+
+describe('parseMedicationFrequency', () => {
+  it('maps dose counts to standard administration times', () => {
+    expect(freq('once daily').times).toEqual(STANDARD_ADMIN_TIMES[1]);
+    expect(freq('BID').times).toEqual(['09:00', '21:00']);
+    expect(freq('t.i.d.').times).toEqual(['09:00', '14:00', '21:00']);
+    expect(freq('four times a day').times).toEqual(['09:00', '13:00', '17:00', '21:00']);
+  });
+
+  it('reads explicit clock times, 12h and 24h', () => {
+    expect(freq('8am and 8pm').times).toEqual(['08:00', '20:00']);
+    expect(freq('at 7:30 AM').times).toEqual(['07:30']);
+    expect(freq('06:00, 18:00').times).toEqual(['06:00', '18:00']);
+    expect(freq('12pm').times).toEqual(['12:00']);
+    expect(freq('12am').times).toEqual(['00:00']);
+  });
+
+  it('reads time-of-day keywords', () => {
+    expect(freq('every morning').times).toEqual(['08:00']);
+    expect(freq('at bedtime').times).toEqual(['21:00']);
+    expect(freq('QHS').times).toEqual(['21:00']);
+    expect(freq('morning and evening').times).toEqual(['08:00', '18:00']);
+  });
+
+  it('fills the stated dose count when named times cover fewer doses', () => {
+    expect(freq('BID with breakfast').times).toEqual(['08:00', '21:00']);
+    expect(freq('TID, one at bedtime').times).toEqual(['09:00', '14:00', '21:00']);
+    expect(freq('twice daily, 7am').times).toEqual(['07:00', '21:00']);
+    expect(freq('once daily in the morning').times).toEqual(['08:00']);
+    expect(freq('BID morning and evening').times).toEqual(['08:00', '18:00']);
+  });
+
+  it('expands every-N-hours from 06:00', () => {
+    expect(freq('q6h').times).toEqual(['00:00', '06:00', '12:00', '18:00']);
+    expect(freq('every 8 hours').times).toEqual(['06:00', '14:00', '22:00']);
+  });
+
+  it('returns PRN with no times', () => {
+    expect(freq('PRN')).toEqual({ prn: true, times: [], recognized: true });
+  });
+
+  it('leaves unreadable and non-daily schedules unrecognized', () => {
+    expect(freq('weekly on Mondays')).toEqual({ prn: false, times: [], recognized: false });
+    expect(freq('every other day')).toEqual({ prn: false, times: [], recognized: false });
+    expect(freq('with food')).toEqual({ prn: false, times: [], recognized: false });
+    expect(freq('')).toEqual({ prn: false, times: [], recognized: false });
+  });
+});
+
+describe('medicationsFromVersion', () => {
+  it('maps rows with keys and parsed schedules', () => {
+    const meds = medicationsFromVersion(versionData([
+      { name: 'Metformin', dose: '500 mg', route: 'oral', frequency: 'BID', reason: ' diabetes ' },
+      { name: 'Tylenol', dose: '650 mg', frequency: 'q6h', prn: true },
+    ]));
+    expect(meds).toEqual([
+      {
+        key: 'metformin|500 mg|oral',
+        name: 'Metformin',
+        dose: '500 mg',
+        route: 'oral',
+        frequency: 'BID',
+        reason: 'diabetes',
+        prn: false,
+        times: ['09:00', '21:00'],
+        recognized: true,
+      },
+      {
+        key: 'tylenol|650 mg|',
+        name: 'Tylenol',
+        dose: '650 mg',
+        route: null,
+        frequency: 'q6h',
+        reason: null,
+        prn: true,
+        times: [],
+        recognized: true,
+      },
+    ]);
+  });
+
+  it('skips unnamed rows and duplicate keys', () => {
+    const meds = medicationsFromVersion(versionData([
+      { name: '', dose: '5 mg' },
+      { name: 'Lisinopril', dose: '10 mg', frequency: 'daily' },
+      { name: 'lisinopril', dose: '10 MG', frequency: 'BID' },
+    ]));
+    expect(meds).toHaveLength(1);
+    expect(meds[0].times).toEqual(['09:00']);
+  });
+
+  it('returns [] without a medications list', () => {
+    expect(medicationsFromVersion(null)).toEqual([]);
+    expect(medicationsFromVersion({ healthProfile: {} })).toEqual([]);
+  });
+});
+
+describe('shiftMedicationSlots', () => {
+  const meds = medicationsFromVersion(versionData([
+    { name: 'Metformin', dose: '500 mg', route: 'oral', frequency: 'BID' },
+    { name: 'Lisinopril', dose: '10 mg', frequency: 'daily' },
+    { name: 'Tylenol', frequency: 'PRN' },
+  ]));
+
+  it('keeps the times inside [start, end)', () => {
+    // 08:00–14:00 PDT on June 10.
+    const slots = shiftMedicationSlots({
+      medications: meds,
+      shift: { start_time: '2026-06-10T15:00:00Z', end_time: '2026-06-10T21:00:00Z' },
+      timezone: TZ,
+    });
+    expect(slots.map((sl) => [sl.medicationName, sl.time, sl.scheduledFor])).toEqual([
+      ['Lisinopril', '09:00', '2026-06-10T16:00:00.000Z'],
+      ['Metformin', '09:00', '2026-06-10T16:00:00.000Z'],
+    ]);
+    expect(slots[1].slotKey).toBe('metformin|500 mg|oral@2026-06-10T16:00:00.000Z');
+  });
+
+  it('excludes a time equal to the shift end', () => {
+    const slots = shiftMedicationSlots({
+      medications: meds,
+      shift: { startTime: '2026-06-10T14:00:00Z', endTime: '2026-06-10T16:00:00Z' },
+      timezone: TZ,
+    });
+    expect(slots).toEqual([]);
+  });
+
+  it('spans midnight on overnight shifts', () => {
+    // 20:00 June 10 → 10:00 June 11 PDT.
+    const slots = shiftMedicationSlots({
+      medications: meds,
+      shift: { start_time: '2026-06-11T03:00:00Z', end_time: '2026-06-11T17:00:00Z' },
+      timezone: TZ,
+    });
+    expect(slots.map((sl) => `${sl.medicationName} ${sl.scheduledFor}`)).toEqual([
+      'Metformin 2026-06-11T04:00:00.000Z',
+      'Lisinopril 2026-06-11T16:00:00.000Z',
+      'Metformin 2026-06-11T16:00:00.000Z',
+    ]);
+  });
+
+  it('follows wall-clock time across a DST change', () => {
+    // March 7 (PST) and March 8 (PDT) 2026, 09:00 local each day.
+    const before = shiftMedicationSlots({
+      medications: meds,
+      shift: { start_time: '2026-03-07T16:00:00Z', end_time: '2026-03-07T18:00:00Z' },
+      timezone: TZ,
+    });
+    const after = shiftMedicationSlots({
+      medications: meds,
+      shift: { start_time: '2026-03-08T15:00:00Z', end_time: '2026-03-08T17:00:00Z' },
+      timezone: TZ,
+    });
+    expect(before[0].scheduledFor).toBe('2026-03-07T17:00:00.000Z');
+    expect(after[0].scheduledFor).toBe('2026-03-08T16:00:00.000Z');
+  });
+
+  it('returns [] for an invalid shift', () => {
+    expect(shiftMedicationSlots({ medications: meds, shift: {} })).toEqual([]);
+    expect(shiftMedicationSlots({
+      medications: meds,
+      shift: { start_time: '2026-06-10T21:00:00Z', end_time: '2026-06-10T15:00:00Z' },
+    })).toEqual([]);
+  });
+});
+
+describe('indexLatestMedicationRecords / listAsNeededRecords', () => {
+  const slot = '2026-06-10T16:00:00Z';
+
+  it('keeps the latest record per slot', () => {
+    const first = record({ id: 'a', scheduledFor: slot, rating: 'missed', loggedAt: '2026-06-10T16:10:00Z' });
+    const fix = record({ id: 'b', scheduledFor: slot, rating: 'given', loggedAt: '2026-06-10T16:20:00Z' });
+    const index = indexLatestMedicationRecords([fix, first]);
+    expect(index.size).toBe(1);
+    expect(index.get(marSlotKey('metformin|500 mg|oral', slot)).id).toBe('b');
+  });
+
+  it('ignores other observation types and as-needed records', () => {
+    const index = indexLatestMedicationRecords([
+      { observationType: 'task_completion', taskId: 't1', loggedAt: slot },
+      record({ scheduledFor: null }),
+    ]);
+    expect(index.size).toBe(0);
+  });
+
+  it('lists as-needed records oldest first', () => {
+    const late = record({ id: 'late', loggedAt: '2026-06-10T20:00:00Z' });
+    const early = record({ id: 'early', loggedAt: '2026-06-10T12:00:00Z' });
+    const scheduled = record({ id: 'sched', scheduledFor: slot });
+    expect(listAsNeededRecords([late, scheduled, early]).map((r) => r.id)).toEqual(['early', 'late']);
+    expect(listAsNeededRecords(null)).toEqual([]);
+  });
+});
+
+describe('marMonthRange', () => {
+  it('returns the month bounds in the org timezone', () => {
+    expect(marMonthRange(2026, 6, TZ)).toEqual({
+      startIso: '2026-06-01T07:00:00.000Z',
+      endIso: '2026-07-01T07:00:00.000Z',
+    });
+    expect(marMonthRange(2026, 12, TZ).endIso).toBe('2027-01-01T08:00:00.000Z');
+  });
+});
+
+describe('buildMarGrid', () => {
+  const meds = medicationsFromVersion(versionData([
+    { name: 'Metformin', dose: '500 mg', route: 'oral', frequency: 'BID' },
+    { name: 'Tylenol', dose: '650 mg', frequency: 'PRN' },
+  ]));
+  const metKey = 'metformin|500 mg|oral';
+  const tylKey = 'tylenol|650 mg|';
+  // 08:00–22:00 PDT on June 10, 11 and 12.
+  const shift = (day, extra = {}) => ({
+    id: `s${day}`,
+    start_time: `2026-06-${day}T15:00:00Z`,
+    end_time: `2026-06-${day + 1}T05:00:00Z`,
+    status: 'completed',
+    ...extra,
+  });
+  const nowMs = Date.parse('2026-06-12T18:00:00Z');
+
+  const grid = buildMarGrid({
+    medications: meds,
+    shifts: [shift(10), shift(11), shift(12, { status: 'scheduled' }), shift(13, { status: 'cancelled' })],
+    observations: [
+      record({ scheduledFor: '2026-06-10T16:00:00Z', rating: 'given' }),
+      record({ scheduledFor: '2026-06-11T04:00:00Z', rating: 'refused', note: 'Nauseous' }),
+      record({ scheduledFor: '2026-06-11T16:00:00Z', rating: 'missed', loggedAt: '2026-06-11T16:05:00Z' }),
+      record({ scheduledFor: '2026-06-11T16:00:00Z', rating: 'given', loggedAt: '2026-06-11T16:30:00Z' }),
+      record({
+        medicationKey: tylKey, medicationName: 'Tylenol', loggedAt: '2026-06-11T19:00:00Z', note: 'Headache',
+      }),
+      record({
+        medicationKey: tylKey, medicationName: 'Tylenol', loggedAt: '2026-06-11T23:00:00Z', note: 'Headache again',
+      }),
+    ],
+    year: 2026,
+    month: 6,
+    timezone: TZ,
+    nowMs,
+  });
+  const row = (id) => grid.rows.find((r) => r.id === id);
+
+  it('has a column per day and a row per medication time', () => {
+    expect(grid.days).toHaveLength(30);
+    expect(grid.rows.map((r) => r.id)).toEqual([`${metKey}#09:00`, `${metKey}#21:00`, `${tylKey}#prn`]);
+  });
+
+  it('fills cells from the latest record, else by whether the shift ended', () => {
+    const morning = row(`${metKey}#09:00`);
+    const evening = row(`${metKey}#21:00`);
+    expect(morning.cells[10].state).toBe('given');
+    expect(morning.cells[11].state).toBe('given');
+    expect(morning.cells[12].state).toBe('due');
+    expect(evening.cells[10].state).toBe('refused');
+    expect(evening.cells[11].state).toBe('undocumented');
+    expect(morning.cells[13]).toBeUndefined();
+    expect(morning.cells[1]).toBeUndefined();
+  });
+
+  it('groups as-needed records by day', () => {
+    const prn = row(`${tylKey}#prn`);
+    expect(prn.time).toBeNull();
+    expect(prn.cells[11].records.map((r) => r.note)).toEqual(['Headache', 'Headache again']);
+  });
+
+  it('totals the month and lists exceptions', () => {
+    expect(grid.totals).toEqual({ given: 4, refused: 1, held: 0, missed: 0, undocumented: 1 });
+    expect(grid.exceptions).toEqual([
+      { day: 10, time: '21:00', medicationName: 'Metformin', status: 'refused', note: 'Nauseous' },
+      { day: 11, time: '12:00', medicationName: 'Tylenol', status: 'given', note: 'Headache' },
+      { day: 11, time: '16:00', medicationName: 'Tylenol', status: 'given', note: 'Headache again' },
+    ]);
+  });
+
+  it('keeps a row for a medication charted but no longer on the plan', () => {
+    const g = buildMarGrid({
+      medications: [],
+      observations: [record({
+        medicationKey: 'warfarin|5 mg|', medicationName: 'Warfarin', scheduledFor: '2026-06-03T01:00:00Z',
+      })],
+      year: 2026,
+      month: 6,
+      timezone: TZ,
+      nowMs,
+    });
+    expect(g.rows).toHaveLength(1);
+    expect(g.rows[0]).toMatchObject({ name: 'Warfarin', onPlan: false, time: '18:00' });
+    expect(g.rows[0].cells[2].state).toBe('given');
+  });
+
+  it('ignores records outside the month', () => {
+    const g = buildMarGrid({
+      medications: meds,
+      observations: [record({ scheduledFor: '2026-07-01T16:00:00Z' })],
+      year: 2026,
+      month: 6,
+      timezone: TZ,
+      nowMs,
+    });
+    expect(g.totals.given).toBe(0);
+  });
+});
+
+describe('marCellCode', () => {
+  it('codes scheduled cells by state', () => {
+    expect(marCellCode({ state: MAR_STATUS.GIVEN })).toBe('G');
+    expect(marCellCode({ state: MAR_STATUS.HELD })).toBe('H');
+    expect(marCellCode({ state: 'undocumented' })).toBe('?');
+    expect(marCellCode({ state: 'due' })).toBe('');
+    expect(marCellCode(undefined)).toBe('');
+  });
+
+  it('counts as-needed doses', () => {
+    expect(marCellCode({ records: [record()] })).toBe('G');
+    expect(marCellCode({ records: [record(), record(), record({ rating: 'refused' })] })).toBe('G×2 R');
+  });
+});
+
+describe('renderMarHtml', () => {
+  const grid = buildMarGrid({
+    medications: medicationsFromVersion(versionData([
+      { name: 'Metformin <XR>', dose: '500 mg', frequency: 'daily' },
+    ])),
+    observations: [record({
+      medicationKey: 'metformin <xr>|500 mg|',
+      medicationName: 'Metformin <XR>',
+      scheduledFor: '2026-06-10T16:00:00Z',
+      rating: 'held',
+      note: 'BP "low" & dizzy',
+    })],
+    year: 2026,
+    month: 6,
+    timezone: TZ,
+  });
+  const html = renderMarHtml({ grid, clientName: 'Ana <b>', generatedAt: '2026-06-30T18:00:00Z' });
+
+  it('is a landscape document titled with the client and month', () => {
+    expect(html.startsWith('<!doctype html>')).toBe(true);
+    expect(html).toContain('@page { size: landscape');
+    expect(html).toContain(`Medication administration record — Ana &lt;b&gt; — ${marMonthLabel(2026, 6)}`);
+    expect(html).toContain('June 2026');
+  });
+
+  it('escapes names and notes', () => {
+    expect(html).toContain('Metformin &lt;XR&gt;');
+    expect(html).toContain('BP &quot;low&quot; &amp; dizzy');
+    expect(html).not.toContain('<XR>');
+  });
+
+  it('prints the held dose, the totals and the exception', () => {
+    expect(html).toContain('<td class="day held">H</td>');
+    expect(html).toContain('held 1');
+    expect(html).toMatch(/<td>6\/10<\/td><td>09:00<\/td><td>Metformin &lt;XR&gt;<\/td><td>Held<\/td>/);
+  });
+});
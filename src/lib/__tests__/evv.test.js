@@ -0,0 +1,350 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_EVV_REASON_CODES,
+  EVV_EXCEPTION_CODE,
+  EVV_FORMAT,
+  EVV_GENERIC_CSV_HEADER,
+  EVV_REASON,
+  EVV_SANDATA_CSV_HEADER,
+  buildEvvVisits,
+  generateEvvExport,
+  resolveEvvConfig,
+  validateEvvVisit,
+} from '../evv.js';
+
+const TZ = 'America/Los_Angeles';
+
+const SETTINGS = {
+  evv: {
+    format: 'sandata_csv',
+    provider_id: 'PRV-1',
+    service_codes: { personal_care: 'T1019', companion: 'S5130' },
+  },
+};
+
+// 2026-04-20 is a Monday. Times are PDT (UTC-7).
+function at(date, hour, minute = 0) {
+  return new Date(
+    `${date}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00-07:00`,
+  ).toISOString();
+}
+
+function shift(overrides = {}) {
+  return {
+    id: 'shift_1',
+    client_id: 'client_1',
+    assigned_caregiver_id: 'cg_1',
+    service_type: 'personal_care',
+    start_time: at('2026-04-20', 9),
+    end_time: at('2026-04-20', 13),
+    status: 'completed',
+    location_address: null,
+    ...overrides,
+  };
+}
+
+function event(eventType, occurredAt, overrides = {}) {
+  return {
+    shift_id: 'shift_1',
+    caregiver_id: 'cg_1',
+    event_type: eventType,
+    occurred_at: occurredAt,
+    latitude: 33.68,
+    longitude: -117.82,
+    geofence_passed: true,
+    override_reason: null,
+    source: 'caregiver_app',
+    edited_at: null,
+    edit_reason: null,
+    ...overrides,
+  };
+}
+
+const CLIENTS = [{
+  id: 'client_1',
+  first_name: 'Ada',
+  last_name: 'Lovelace',
+  medicaid_id: '91234567A',
+  payer_type: 'medicaid',
+  address: '1 Main St',
+  city: 'Irvine',
+  state: 'CA',
+  zip: '92618',
+}];
+
+const CAREGIVERS = [{ id: 'cg_1', first_name: 'Grace', last_name: 'Hopper' }];
+
+function build(overrides = {}) {
+  return buildEvvVisits({
+    shifts: [shift()],
+    clockEvents: [
+      event('in', at('2026-04-20', 9, 2)),
+      event('out', at('2026-04-20', 13, 1)),
+    ],
+    clients: CLIENTS,
+    caregivers: CAREGIVERS,
+    config: resolveEvvConfig(SETTINGS),
+    timezone: TZ,
+    ...overrides,
+  });
+}
+
+function codes(visit) {
+  return visit.exceptions.map((e) => e.code);
+}
+
+describe('resolveEvvConfig', () => {
+  it('defaults everything when nothing is saved', () => {
+    const config = resolveEvvConfig(null);
+    expect(config.format).toBe(EVV_FORMAT.SANDATA_CSV);
+    expect(config.providerId).toBeNull();
+    expect(config.serviceCodes).toEqual({ personal_care: null, companion: null, live_in: null });
+    expect(config.reasonCodes).toEqual(DEFAULT_EVV_REASON_CODES);
+  });
+
+  it('reads saved values and ignores an unknown format', () => {
+    const config = resolveEvvConfig({
+      evv: {
+        format: 'xml',
+        provider_id: '  PRV-1 ',
+        service_codes: { live_in: 'S5136' },
+        reason_codes: { manual_entry: '11', time_edited: '  ' },
+      },
+    });
+    expect(config.format).toBe(EVV_FORMAT.SANDATA_CSV);
+    expect(config.providerId).toBe('PRV-1');
+    expect(config.serviceCodes.live_in).toBe('S5136');
+    expect(config.reasonCodes[EVV_REASON.MANUAL_ENTRY]).toBe('11');
+    expect(config.reasonCodes[EVV_REASON.TIME_EDITED]).toBe('TIME_EDITED');
+  });
+});
+
+describe('buildEvvVisits', () => {
+  it('builds a clean visit from the clock events', () => {
+    const [visit] = build();
+    expect(visit.visitId).toBe('shift_1');
+    expect(visit.serviceDate).toBe('2026-04-20');
+    expect(visit.procedureCode).toBe('T1019');
+    expect(visit.medicaidFunded).toBe(true);
+    expect(visit.client).toMatchObject({ name: 'Ada Lovelace', medicaidId: '91234567A' });
+    expect(visit.caregiver).toMatchObject({ id: 'cg_1', name: 'Grace Hopper' });
+    expect(visit.clockIn).toMatchObject({ callType: 'mobile', latitude: 33.68, longitude: -117.82 });
+    expect(visit.clockOut.occurredAt).toBe(at('2026-04-20', 13, 1));
+    expect(visit.serviceAddress).toBe('1 Main St, Irvine, CA, 92618');
+    expect(visit.reasons).toEqual([]);
+    expect(visit.exceptions).toEqual([]);
+  });
+
+  it('skips shifts that were never worked', () => {
+    const visits = build({
+      shifts: [shift(), shift({ id: 'shift_2', status: 'assigned' })],
+    });
+    expect(visits.map((v) => v.visitId)).toEqual(['shift_1']);
+  });
+
+  it('keeps a completed shift without events and flags the missing calls', () => {
+    const [visit] = build({ clockEvents: [] });
+    expect(codes(visit)).toEqual(expect.arrayContaining([
+      EVV_EXCEPTION_CODE.MISSING_CLOCK_IN,
+      EVV_EXCEPTION_CODE.MISSING_CLOCK_OUT,
+    ]));
+  });
+
+  it('dates the visit by clock-in in the org timezone and trims to the range', () => {
+    // 23:30 PDT on Apr 19 is Apr 20 in UTC.
+    const late = shift({ id: 'shift_2', start_time: at('2026-04-19', 23, 30) });
+    const visits = build({
+      shifts: [shift(), late],
+      clockEvents: [event('in', at('2026-04-19', 23, 30), { shift_id: 'shift_2' })],
+      from: '2026-04-20',
+      to: '2026-04-26',
+    });
+    expect(visits.map((v) => v.visitId)).toEqual(['shift_1']);
+  });
+
+  it('prefers the caregiver on the clock-in over the assigned one', () => {
+    const [visit] = build({
+      clockEvents: [event('in', at('2026-04-20', 9), { caregiver_id: 'cg_2' })],
+      caregivers: [...CAREGIVERS, { id: 'cg_2', first_name: 'Alan', last_name: 'Turing' }],
+    });
+    expect(visit.caregiver.name).toBe('Alan Turing');
+  });
+
+  it('takes payer, auth number and procedure code from a matching authorization', () => {
+    const [visit] = build({
+      authorizations: [{
+        id: 'auth_1',
+        client_id: 'client_1',
+        payer: 'medi_cal_waiver',
+        auth_number: 'MCW-9',
+        service_code: 'G0156',
+        service_type: null,
+        unit_cap: 40,
+        unit_minutes: 60,
+        cap_period: 'week',
+        start_date: '2026-04-01',
+        end_date: '2026-06-30',
+      }],
+    });
+    expect(visit.payer).toBe('medi_cal_waiver');
+    expect(visit.authorizationNumber).toBe('MCW-9');
+    expect(visit.procedureCode).toBe('G0156');
+  });
+
+  it('uses the shift address over the client address', () => {
+    const [visit] = build({ shifts: [shift({ location_address: '9 Side St' })] });
+    expect(visit.serviceAddress).toBe('9 Side St');
+  });
+
+  it('adds reason codes for manual entries, edits and geofence overrides', () => {
+    const [visit] = build({
+      clockEvents: [
+        event('in', at('2026-04-20', 9), {
+          source: 'manual_entry',
+          edit_reason: 'Phone died',
+        }),
+        event('out', at('2026-04-20', 13), {
+          edited_at: at('2026-04-21', 8),
+          edit_reason: 'Forgot to clock out',
+          geofence_passed: false,
+          override_reason: 'Walked client to park',
+        }),
+      ],
+    });
+    expect(visit.reasons.map((r) => [r.reason, r.eventType, r.memo])).toEqual([
+      [EVV_REASON.MANUAL_ENTRY, 'in', 'Phone died'],
+      [EVV_REASON.TIME_EDITED, 'out', 'Forgot to clock out'],
+      [EVV_REASON.GEOFENCE_OVERRIDE, 'out', 'Walked client to park'],
+    ]);
+    expect(visit.clockIn.callType).toBe('manual');
+    expect(visit.clockOut.callType).toBe('manual');
+    expect(visit.exceptions).toEqual([]);
+  });
+
+  it('sorts visits by clock-in', () => {
+    const visits = build({
+      shifts: [shift(), shift({ id: 'shift_0', start_time: at('2026-04-20', 7) })],
+      clockEvents: [
+        event('in', at('2026-04-20', 9)),
+        event('in', at('2026-04-20', 7), { shift_id: 'shift_0' }),
+      ],
+    });
+    expect(visits.map((v) => v.visitId)).toEqual(['shift_0', 'shift_1']);
+  });
+});
+
+describe('validateEvvVisit', () => {
+  it('flags a Medicaid visit without a Medicaid ID', () => {
+    const [visit] = build({ clients: [{ ...CLIENTS[0], medicaid_id: null }] });
+    expect(codes(visit)).toEqual([EVV_EXCEPTION_CODE.MISSING_RECIPIENT_ID]);
+  });
+
+  it('does not require a Medicaid ID on private-pay visits', () => {
+    const [visit] = build({
+      clients: [{ ...CLIENTS[0], medicaid_id: null, payer_type: 'private_pay' }],
+    });
+    expect(visit.medicaidFunded).toBe(false);
+    expect(visit.exceptions).toEqual([]);
+  });
+
+  it('requires procedure code and provider id only for the Sandata layout', () => {
+    const [visit] = build({ shifts: [shift({ service_type: 'live_in' })] });
+    expect(codes(visit)).toEqual([EVV_EXCEPTION_CODE.MISSING_SERVICE_CODE]);
+
+    const generic = resolveEvvConfig({ evv: { format: 'generic_csv' } });
+    expect(validateEvvVisit(visit, generic)).toEqual([]);
+    const unconfigured = resolveEvvConfig(null);
+    expect(validateEvvVisit({ ...visit, providerId: null }, unconfigured).map((e) => e.code))
+      .toEqual([
+        EVV_EXCEPTION_CODE.MISSING_SERVICE_CODE,
+        EVV_EXCEPTION_CODE.MISSING_PROVIDER_ID,
+      ]);
+  });
+
+  it('flags a visit with no GPS and no address', () => {
+    const [visit] = build({
+      clients: [{ ...CLIENTS[0], address: null, city: null, state: null, zip: null }],
+      clockEvents: [
+        event('in', at('2026-04-20', 9), { latitude: null, longitude: null }),
+        event('out', at('2026-04-20', 13)),
+      ],
+    });
+    expect(codes(visit)).toEqual([EVV_EXCEPTION_CODE.MISSING_LOCATION]);
+  });
+
+  it('flags missing service type and caregiver', () => {
+    const [visit] = build({
+      shifts: [shift({ service_type: null, assigned_caregiver_id: null })],
+      clockEvents: [],
+    });
+    expect(codes(visit)).toEqual(expect.arrayContaining([
+      EVV_EXCEPTION_CODE.MISSING_SERVICE_TYPE,
+      EVV_EXCEPTION_CODE.MISSING_CAREGIVER,
+    ]));
+  });
+
+  it('flags a change with no memo', () => {
+    const [visit] = build({
+      clockEvents: [
+        event('in', at('2026-04-20', 9), { geofence_passed: false }),
+        event('out', at('2026-04-20', 13)),
+      ],
+    });
+    expect(codes(visit)).toEqual([EVV_EXCEPTION_CODE.MISSING_REASON_MEMO]);
+  });
+});
+
+describe('generateEvvExport', () => {
+  const twoVisits = () => build({
+    shifts: [shift(), shift({ id: 'shift_2', client_id: 'client_2' })],
+    clockEvents: [
+      event('in', at('2026-04-20', 9)),
+      event('out', at('2026-04-20', 13)),
+    ],
+  });
+
+  it('writes Sandata-style rows for clean visits only', () => {
+    const file = generateEvvExport(twoVisits(), resolveEvvConfig(SETTINGS));
+    expect(file).toMatchObject({ extension: 'csv', exportedCount: 1, skippedCount: 1 });
+    const lines = file.content.split('\r\n');
+    expect(lines[0]).toBe(EVV_SANDATA_CSV_HEADER.join(','));
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toBe('');
+    const row = lines[1].split(',');
+    expect(row[0]).toBe('PRV-1');
+    expect(row[1]).toBe('shift_1');
+    expect(row[3]).toBe('91234567A');
+    expect(row[10]).toBe('T1019');
+    expect(row[15]).toBe(at('2026-04-20', 9));
+    expect(row[16]).toBe('mobile');
+  });
+
+  it('writes the generic layout with local times', () => {
+    const config = resolveEvvConfig({ evv: { format: 'generic_csv' } });
+    const [visit] = build({ config });
+    const file = generateEvvExport([visit], config);
+    const [header, row] = file.content.split('\r\n');
+    expect(header).toBe(EVV_GENERIC_CSV_HEADER.join(','));
+    expect(row).toContain('2026-04-20 09:02');
+    expect(row).toContain('"1 Main St, Irvine, CA, 92618"');
+    expect(row).toContain(',mobile,');
+  });
+
+  it('writes JSON with snake_case visits', () => {
+    const config = resolveEvvConfig({ evv: { format: 'json', provider_id: 'PRV-1' } });
+    const file = generateEvvExport(build({ config }), config, {
+      generatedAt: '2026-04-27T16:00:00.000Z',
+    });
+    expect(file).toMatchObject({ extension: 'json', mimeType: 'application/json' });
+    const body = JSON.parse(file.content);
+    expect(body.provider_id).toBe('PRV-1');
+    expect(body.generated_at).toBe('2026-04-27T16:00:00.000Z');
+    expect(body.visits).toHaveLength(1);
+    expect(body.visits[0]).toMatchObject({
+      visit_id: 'shift_1',
+      service_date: '2026-04-20',
+      client: { medicaid_id: '91234567A' },
+      clock_in: { call_type: 'mobile' },
+    });
+  });
+});
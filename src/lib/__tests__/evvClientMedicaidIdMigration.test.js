@@ -0,0 +1,44 @@
+// Structural assertions on migration 20260612000000_evv_client_medicaid_id.
+//
+// Locks in: the column is added idempotently and stays nullable (EVV
+// reports a missing ID as an exception instead of blocking client
+// saves), no format CHECK, and a rollback that drops the column.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260612000000_evv_client_medicaid_id.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260612000000_evv_client_medicaid_id_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('EVV client medicaid_id migration', () => {
+  it('adds medicaid_id idempotently', () => {
+    expect(sql).toMatch(
+      /ALTER TABLE public\.clients\s*\n\s*ADD COLUMN IF NOT EXISTS medicaid_id text;/,
+    );
+  });
+
+  it('leaves the column nullable and unconstrained', () => {
+    expect(sql).not.toMatch(/medicaid_id text NOT NULL/);
+    expect(sql).not.toMatch(/CHECK \(/);
+  });
+
+  it('documents the column', () => {
+    expect(sql).toMatch(/COMMENT ON COLUMN public\.clients\.medicaid_id IS/);
+  });
+
+  it('rollback drops the column and warns about data loss', () => {
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS medicaid_id/);
+    expect(rollbackSql).toMatch(/Drops data/);
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CONCERN_SEVERITIES,
+  CONCERN_SEVERITY_LABELS,
+  PORTAL_VISIT_DAYS,
+  generatePortalToken,
+  isPortalToken,
+  familyPortalUrl,
+  weeklyDigestPeriod,
+  formatDigestPeriod,
+  pickOrgTimezone,
+  digestRecipients,
+  recipientBlocker,
+  buildDigestEmail,
+  upcomingVisits,
+} from '../familyDigests';
+import {
+  buildDigestSystemPrompt,
+  buildDigestUserPrompt,
+  normalizeDigestOutput,
+} from '../../../supabase/functions/care-plan-digests/prompt.ts';
+import { summarizeObservations } from '../../../supabase/functions/care-coordinator-sweep/analysis.ts';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+const TZ = 'America/Los_Angeles';
+const DAY_MS = 86_400_000;
+
+function party(extra = {}) {
+  return {
+    rank: 'primary',
+    name: 'Maria Sheldon',
+    relationship: 'Daughter',
+    email: 'maria@example.com',
+    hipaa_on_file: true,
+    ...extra,
+  };
+}
+
+function digest(extra = {}) {
+  return {
+    periodStart: '2026-10-12T07:00:00.000Z',
+    periodEnd: '2026-10-19T07:00:00.000Z',
+    narrative: 'Helen had a lovely week.',
+    highlights: [{ text: 'Walked to the park on Tuesday', observation_ids: ['o1'] }],
+    concerns: [{ text: 'Ate less at dinner twice', severity: 'watch', observation_ids: ['o2'] }],
+    ...extra,
+  };
+}
+
+// ─── Tokens & URLs ────────────────────────────────────────────
+
+describe('portal tokens', () => {
+  it('generates 64-char lowercase hex tokens', () => {
+    const token = generatePortalToken();
+    expect(isPortalToken(token)).toBe(true);
+    expect(generatePortalToken()).not.toBe(token);
+  });
+
+  it('rejects anything else', () => {
+    expect(isPortalToken('abc')).toBe(false);
+    expect(isPortalToken('A'.repeat(64))).toBe(false);
+    expect(isPortalToken(null)).toBe(false);
+  });
+
+  it('builds the /family/:token URL', () => {
+    expect(familyPortalUrl('tok')).toBe('https://portal.tremendouscareca.com/family/tok');
+    expect(familyPortalUrl('tok', 'http://localhost:5173/')).toBe('http://localhost:5173/family/tok');
+  });
+});
+
+// ─── Period ───────────────────────────────────────────────────
+
+describe('weeklyDigestPeriod', () => {
+  it('covers the seven local days ending at the latest local midnight', () => {
+    // Monday 2026-10-19 08:00 PDT
+    const { startMs, endMs } = weeklyDigestPeriod(Date.parse('2026-10-19T15:00:00Z'), TZ);
+    expect(new Date(startMs).toISOString()).toBe('2026-10-12T07:00:00.000Z');
+    expect(new Date(endMs).toISOString()).toBe('2026-10-19T07:00:00.000Z');
+  });
+
+  it('is stable across re-runs on the same local day', () => {
+    const a = weeklyDigestPeriod(Date.parse('2026-10-19T07:30:00Z'), TZ);
+    const b = weeklyDigestPeriod(Date.parse('2026-10-20T06:30:00Z'), TZ);
+    expect(b).toEqual(a);
+  });
+
+  it('spans the DST change at its true length', () => {
+    // Week containing 2026-11-01 (PDT → PST) is 7 days + 1 hour.
+    const { startMs, endMs } = weeklyDigestPeriod(Date.parse('2026-11-02T16:00:00Z'), TZ);
+    expect(endMs - startMs).toBe(7 * DAY_MS + 3_600_000);
+  });
+});
+
+describe('formatDigestPeriod', () => {
+  it('labels the period with an inclusive last day', () => {
+    expect(formatDigestPeriod('2026-10-12T07:00:00.000Z', '2026-10-19T07:00:00.000Z', TZ)).toBe('Oct 12 – Oct 18');
+  });
+});
+
+describe('pickOrgTimezone', () => {
+  it('prefers the scheduling timezone, then payroll, then the app default', () => {
+    expect(pickOrgTimezone({ scheduling: { timezone: 'America/Denver' }, payroll: { timezone: 'America/Chicago' } }))
+      .toBe('America/Denver');
+    expect(pickOrgTimezone({ scheduling: { timezone: '' }, payroll: { timezone: 'America/Chicago' } }))
+      .toBe('America/Chicago');
+    expect(pickOrgTimezone(null)).toBe(TZ);
+  });
+});
+
+// ─── Recipients ───────────────────────────────────────────────
+
+describe('digestRecipients', () => {
+  it('includes parties with an email and a HIPAA authorization on file', () => {
+    expect(digestRecipients({ primary: party({ email: ' maria@example.com ' }), secondary: null })).toEqual([
+      { rank: 'primary', name: 'Maria Sheldon', email: 'maria@example.com', relationship: 'Daughter' },
+    ]);
+  });
+
+  it('skips parties without HIPAA or email', () => {
+    expect(digestRecipients({
+      primary: party({ hipaa_on_file: false }),
+      secondary: party({ rank: 'secondary', email: '' }),
+    })).toEqual([]);
+    expect(digestRecipients(null)).toEqual([]);
+  });
+
+  it('lists primary before secondary', () => {
+    const out = digestRecipients({
+      secondary: party({ rank: 'secondary', name: 'Tom', email: 'tom@example.com' }),
+      primary: party(),
+    });
+    expect(out.map((r) => r.rank)).toEqual(['primary', 'secondary']);
+  });
+});
+
+describe('recipientBlocker', () => {
+  it('explains why a party cannot receive updates', () => {
+    expect(recipientBlocker(null)).toBe('No responsible party on file.');
+    expect(recipientBlocker(party({ hipaa_on_file: false }))).toBe('No HIPAA authorization on file.');
+    expect(recipientBlocker(party({ email: '  ' }))).toBe('No email address on file.');
+    expect(recipientBlocker(party())).toBeNull();
+  });
+});
+
+// ─── Email ────────────────────────────────────────────────────
+
+describe('buildDigestEmail', () => {
+  it('writes a plain-text update with highlights, concerns and the portal link', () => {
+    const { subject, body } = buildDigestEmail({
+      digest: digest(),
+      clientName: 'Helen',
+      recipientName: 'Maria Sheldon',
+      portalUrl: 'https://portal.tremendouscareca.com/family/tok',
+      timezone: TZ,
+    });
+    expect(subject).toBe('Weekly update for Helen — Oct 12 – Oct 18');
+    expect(body.startsWith('Hi Maria,\n')).toBe(true);
+    expect(body).toContain('Helen had a lovely week.');
+    expect(body).toContain('Highlights:\n  - Walked to the park on Tuesday');
+    expect(body).toContain('Things we are keeping an eye on:\n  - Keeping an eye on: Ate less at dinner twice');
+    expect(body).toContain('Upcoming visits and past updates: https://portal.tremendouscareca.com/family/tok');
+    expect(body.endsWith('Warmly,\nTremendous Care')).toBe(true);
+  });
+
+  it('omits empty sections and the link when there is none', () => {
+    const { body } = buildDigestEmail({
+      digest: digest({ highlights: [], concerns: [] }),
+      clientName: 'Helen',
+      timezone: TZ,
+    });
+    expect(body.startsWith('Hello,\n')).toBe(true);
+    expect(body).not.toContain('Highlights:');
+    expect(body).not.toContain('keeping an eye on:');
+    expect(body).not.toContain('/family/');
+  });
+});
+
+// ─── Portal visits ────────────────────────────────────────────
+
+describe('upcomingVisits', () => {
+  const now = Date.parse('2026-10-19T15:00:00Z');
+  const event = (startOffsetH, status = 'CONFIRMED', summary = 'Care visit — Ana L.') => ({
+    uid: `e${startOffsetH}`,
+    startMs: now + startOffsetH * 3_600_000,
+    endMs: now + (startOffsetH + 4) * 3_600_000,
+    summary,
+    status,
+  });
+
+  it('keeps visits that have not ended within the window, soonest first', () => {
+    const out = upcomingVisits([
+      event(48),
+      event(-2, 'CONFIRMED', 'in progress'),
+      event(-10),
+      event(PORTAL_VISIT_DAYS * 24 + 1),
+      event(24, 'TENTATIVE', 'Care visit (caregiver to be confirmed)'),
+    ], now);
+    expect(out.map((v) => v.summary)).toEqual([
+      'in progress',
+      'Care visit (caregiver to be confirmed)',
+      'Care visit — Ana L.',
+    ]);
+    expect(out[1]).toMatchObject({ tentative: true, cancelled: false });
+    expect(out[0].start).toBe(new Date(now - 2 * 3_600_000).toISOString());
+  });
+
+  it('marks cancelled visits', () => {
+    expect(upcomingVisits([event(5, 'CANCELLED')], now)[0].cancelled).toBe(true);
+  });
+});
+
+// ─── Generator prompt + output gate ───────────────────────────
+
+describe('care-plan-digests prompt', () => {
+  const observations = [
+    { id: 'b1', observationType: 'mood', rating: 'good', note: null, taskId: null, shiftId: 's1', loggedAt: '2026-10-01T16:00:00Z' },
+    { id: 'a1', observationType: 'shift_note', rating: null, note: 'We walked to the park', taskId: null, shiftId: 's2', loggedAt: '2026-10-13T16:00:00Z' },
+    {
+      id: 'a2',
+      observationType: 'medication',
+      rating: 'refused',
+      note: null,
+      taskId: null,
+      shiftId: 's3',
+      loggedAt: '2026-10-14T16:00:00Z',
+      medicationName: 'Metformin',
+      scheduledFor: '2026-10-14T16:00:00Z',
+    },
+  ];
+  const summary = summarizeObservations(observations, [], { acuteWindowStart: '2026-10-12T07:00:00.000Z' });
+
+  it('asks for every concern severity in the schema', () => {
+    const system = buildDigestSystemPrompt();
+    for (const severity of CONCERN_SEVERITIES) expect(system).toContain(`"${severity}"`);
+    expect(system).toContain('Never diagnose');
+  });
+
+  it('lists only the week\'s observations, with medication exceptions', () => {
+    const user = buildDigestUserPrompt(
+      { preferredName: 'Helen', periodLabel: 'Oct 12 – Oct 18', aboutNarrative: 'Retired teacher.' },
+      summary,
+    );
+    expect(user).toContain('CLIENT: Helen');
+    expect(user).toContain('WEEK: Oct 12 – Oct 18');
+    expect(user).toContain('MEDICATIONS THIS WEEK: 0 missed and 1 refused doses.');
+    expect(user).toContain("THIS WEEK'S OBSERVATIONS (2 entries, oldest first):");
+    expect(user).toContain('id=a1 (2026-10-13T16:00:00Z) shift_note — "We walked to the park"');
+    expect(user).toContain('id=a2 (2026-10-14T16:00:00Z) Metformin — medication [refused]');
+    expect(user).not.toContain('id=b1');
+  });
+
+  it('falls back when there is no published plan', () => {
+    const user = buildDigestUserPrompt({ preferredName: null, periodLabel: 'x', aboutNarrative: '' }, summary);
+    expect(user).toContain('CLIENT: the client');
+    expect(user).toContain('(no published care plan available)');
+  });
+});
+
+describe('normalizeDigestOutput', () => {
+  const valid = new Set(['o1', 'o2']);
+
+  it('returns null without a narrative', () => {
+    expect(normalizeDigestOutput(null)).toBeNull();
+    expect(normalizeDigestOutput('text')).toBeNull();
+    expect(normalizeDigestOutput({ narrative: '   ', concerns: [] })).toBeNull();
+  });
+
+  it('trims text, drops empty items and unknown ids', () => {
+    const out = normalizeDigestOutput({
+      narrative: '  A good week.  ',
+      highlights: [{ text: ' Walked ', observation_ids: ['o1', 'ghost', 'o1', 7] }, { text: '' }, 'junk'],
+      concerns: [{ text: 'Refused a dose', severity: 'urgent', observation_ids: ['o2'] }],
+    }, { validObservationIds: valid });
+    expect(out).toEqual({
+      narrative: 'A good week.',
+      highlights: [{ text: 'Walked', observation_ids: ['o1'] }],
+      concerns: [{ text: 'Refused a dose', severity: 'urgent', observation_ids: ['o2'] }],
+    });
+  });
+
+  it('keeps a concern with an unknown severity as "watch"', () => {
+    const out = normalizeDigestOutput({ narrative: 'x', concerns: [{ text: 'Fell', severity: 'critical' }] });
+    expect(out.concerns[0].severity).toBe('watch');
+    expect(CONCERN_SEVERITY_LABELS[out.concerns[0].severity]).toBe('Keeping an eye on');
+  });
+
+  it('caps highlights and concerns at five each', () => {
+    const many = Array.from({ length: 8 }, (_, i) => ({ text: `item ${i}`, severity: 'info' }));
+    const out = normalizeDigestOutput({ narrative: 'x', highlights: many, concerns: many });
+    expect(out.highlights).toHaveLength(5);
+    expect(out.concerns).toHaveLength(5);
+  });
+});
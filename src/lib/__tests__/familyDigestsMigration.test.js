@@ -0,0 +1,116 @@
+// Structural assertions on migrations 20260623000000_family_digests and
+// 20260623000100_care_plan_digests_cron.
+//
+// Locks in: the digest review status and its allowed values, one
+// digest per plan per week (the generator's re-run guard), the portal
+// token format isPortalToken expects, one live link per responsible
+// party, tenant isolation plus the staff-only restrictive policy, the
+// weekly cron schedule, and both rollbacks.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { DIGEST_STATUS, generatePortalToken } from '../familyDigests.js';
+
+const here = dirname(fileURLToPath(import.meta.url));
+const read = (rel) => readFileSync(join(here, '../../../supabase/migrations', rel), 'utf-8');
+
+const sql = read('20260623000000_family_digests.sql');
+const rollbackSql = read('_rollback/20260623000000_family_digests_down.sql');
+const cronSql = read('20260623000100_care_plan_digests_cron.sql');
+const cronRollbackSql = read('_rollback/20260623000100_care_plan_digests_cron_down.sql');
+
+describe('family_digests migration — care_plan_digests review', () => {
+  it('adds the review columns idempotently', () => {
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'pending_review'/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS reviewed_by text/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS reviewed_at timestamptz/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS emailed_to text\[\] NOT NULL DEFAULT '\{\}'::text\[\]/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS observation_count integer NOT NULL DEFAULT 0/);
+  });
+
+  it('checks status against DIGEST_STATUS', () => {
+    const m = /CHECK \(status IN \(([^)]+)\)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    const values = m[1].split(',').map((v) => v.trim().replace(/'/g, ''));
+    expect(values.sort()).toEqual(Object.values(DIGEST_STATUS).sort());
+    expect(sql).toMatch(/IF NOT EXISTS \(SELECT 1 FROM pg_constraint WHERE conname = 'care_plan_digests_status_check'\)/);
+  });
+
+  it('allows one digest per plan per period', () => {
+    expect(sql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS uq_care_plan_digests_period\s+ON public\.care_plan_digests \(care_plan_id, period_type, period_start\)/,
+    );
+  });
+});
+
+describe('family_digests migration — family_portal_links', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.family_portal_links/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/client_id\s+text NOT NULL REFERENCES clients\(id\) ON DELETE CASCADE/);
+    expect(sql).toMatch(/responsible_party_rank\s+text NOT NULL CHECK \(responsible_party_rank IN \('primary', 'secondary'\)\)/);
+  });
+
+  it('checks tokens against the generator\'s format', () => {
+    const m = /token\s+text NOT NULL UNIQUE CHECK \(token ~ '([^']+)'\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(new RegExp(m[1]).test(generatePortalToken())).toBe(true);
+    expect(new RegExp(m[1]).test('ABC')).toBe(false);
+  });
+
+  it('allows one live link per responsible party', () => {
+    expect(sql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS uq_family_portal_links_live_party\s+ON public\.family_portal_links \(client_id, responsible_party_rank\)\s+WHERE revoked_at IS NULL/,
+    );
+  });
+
+  it('enables RLS with tenant, service-role and staff-only policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.family_portal_links ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_family_portal_links_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_family_portal_links');
+    expect(sql).toMatch(
+      /CREATE POLICY restrict_family_portal_links_to_staff ON public\.family_portal_links\s+AS RESTRICTIVE\s+FOR ALL\s+TO authenticated\s+USING \(public\.is_staff\(\)\)\s+WITH CHECK \(public\.is_staff\(\)\)/,
+    );
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX|UNIQUE INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+  });
+
+  it('rollback drops the links and the review columns', () => {
+    expect(rollbackSql).toMatch(/⚠️\s+Drops data/);
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.family_portal_links;/);
+    expect(rollbackSql).toMatch(/DROP INDEX IF EXISTS public\.uq_care_plan_digests_period;/);
+    expect(rollbackSql).toMatch(/DROP CONSTRAINT IF EXISTS care_plan_digests_status_check/);
+    for (const col of ['status', 'reviewed_by', 'reviewed_at', 'emailed_to', 'observation_count']) {
+      expect(rollbackSql).toContain(`DROP COLUMN IF EXISTS ${col}`);
+    }
+  });
+});
+
+describe('care_plan_digests_cron migration', () => {
+  it("schedules a job named 'care-plan-digests' on Monday mornings", () => {
+    expect(cronSql).toMatch(/cron\.schedule\(\s*'care-plan-digests',\s*'0 15 \* \* 1'/);
+  });
+
+  it('posts to the care-plan-digests edge function', () => {
+    expect(cronSql).toMatch(/\/functions\/v1\/care-plan-digests/);
+  });
+
+  it('reads project_url and publishable_key from the vault', () => {
+    expect(cronSql).toMatch(/vault\.decrypted_secrets where name = 'project_url'/);
+    expect(cronSql).toMatch(/vault\.decrypted_secrets where name = 'publishable_key'/);
+  });
+
+  it('unschedules any prior job before rescheduling', () => {
+    expect(cronSql).toMatch(/cron\.unschedule\(jobid\)\s+from cron\.job\s+where jobname = 'care-plan-digests'/);
+  });
+
+  it('rollback unschedules the job', () => {
+    expect(cronRollbackSql).toMatch(/cron\.unschedule\('care-plan-digests'\)/);
+  });
+});
@@ -0,0 +1,91 @@
+// Structural assertions on migration 20260608000000_invoicing_ar_payments.
+//
+// Locks in: the widened invoices.status CHECK, the A/R columns and
+// backfill, the invoice_payments ledger satisfying the tenant-isolation
+// prime directives plus the admin/owner gate, and a rollback that
+// undoes all of it.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { INVOICE_STATUS } from '../invoicing/approvalStateMachine.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260608000000_invoicing_ar_payments.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260608000000_invoicing_ar_payments_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('invoicing_ar_payments migration', () => {
+  describe('invoices.status', () => {
+    it('re-adds invoices_status_check with every status the state machine knows', () => {
+      expect(sql).toMatch(/DROP CONSTRAINT IF EXISTS invoices_status_check/);
+      const check = /ADD CONSTRAINT invoices_status_check\s+CHECK \(status IN \(([^)]*)\)\)/.exec(sql);
+      expect(check).not.toBeNull();
+      const listed = check[1].match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort();
+      expect(listed).toEqual(Object.values(INVOICE_STATUS).sort());
+    });
+  });
+
+  describe('invoice columns', () => {
+    it('adds invoice_date / due_date and backfills them from the run', () => {
+      expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS invoice_date date/);
+      expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS due_date date/);
+      expect(sql).toMatch(/UPDATE invoices i\s+SET invoice_date = r\.invoice_date/);
+      expect(sql).toMatch(/'payment_terms_days'\)::int, 30\)/);
+    });
+
+    it('adds non-negative running totals', () => {
+      expect(sql).toMatch(/amount_paid numeric\(12,2\) NOT NULL DEFAULT 0\s+CHECK \(amount_paid >= 0\)/);
+      expect(sql).toMatch(/amount_written_off numeric\(12,2\) NOT NULL DEFAULT 0\s+CHECK \(amount_written_off >= 0\)/);
+    });
+
+    it('indexes open receivables by due date', () => {
+      expect(sql).toMatch(/idx_invoices_open_receivables\s+ON invoices \(org_id, due_date\)\s+WHERE status IN \('exported', 'sent', 'partially_paid'\)/);
+    });
+  });
+
+  describe('invoice_payments', () => {
+    it('has a defaulted org_id and a restricted invoice FK', () => {
+      expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS invoice_payments/);
+      expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+      expect(sql).toMatch(/invoice_id\s+uuid NOT NULL REFERENCES invoices\(id\) ON DELETE RESTRICT/);
+      expect(sql).toMatch(/idx_invoice_payments_org_id/);
+    });
+
+    it('requires a method on payments and a note on write-offs', () => {
+      expect(sql).toMatch(/kind = 'payment' AND method IS NOT NULL/);
+      expect(sql).toMatch(/kind = 'write_off' AND method IS NULL AND notes IS NOT NULL/);
+      expect(sql).toMatch(/CHECK \(amount > 0\)/);
+    });
+
+    it('enables RLS with tenant, service-role, and admin-only policies', () => {
+      expect(sql).toMatch(/ALTER TABLE invoice_payments ENABLE ROW LEVEL SECURITY/);
+      for (const cmd of ['select', 'insert', 'update', 'delete']) {
+        expect(sql).toContain(`tenant_isolation_invoice_payments_${cmd}`);
+      }
+      expect(sql).toContain('service_role_full_access_invoice_payments');
+      expect(sql).toMatch(/CREATE POLICY restrict_invoice_payments_to_admins[\s\S]*AS RESTRICTIVE[\s\S]*USING \(public\.is_admin\(\)\)/);
+      // Never the literal role check that locked owners out.
+      expect(sql).not.toMatch(/role = 'admin'/);
+    });
+  });
+
+  it('rollback restores the narrow CHECK after moving partially_paid rows', () => {
+    const moveIdx = rollbackSql.indexOf("SET status = 'sent' WHERE status = 'partially_paid'");
+    const checkIdx = rollbackSql.indexOf('ADD CONSTRAINT invoices_status_check');
+    expect(moveIdx).toBeGreaterThan(-1);
+    expect(checkIdx).toBeGreaterThan(moveIdx);
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS invoice_payments/);
+    for (const col of ['amount_paid', 'amount_written_off', 'invoice_date', 'due_date']) {
+      expect(rollbackSql).toContain(`DROP COLUMN IF EXISTS ${col}`);
+    }
+  });
+});
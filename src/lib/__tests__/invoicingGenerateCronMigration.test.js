@@ -0,0 +1,54 @@
+// Structural assertions on migration 20260606000000_invoicing_generate_cron.
+//
+// Locks in: the Wednesday schedule (after the Monday payroll cron),
+// edge function url shape, the registration sanity check, and a
+// rollback that unschedules cleanly.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260606000000_invoicing_generate_cron.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260606000000_invoicing_generate_cron_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('invoicing_generate_cron migration', () => {
+  it("schedules a job named 'invoicing-generate'", () => {
+    expect(sql).toMatch(/cron\.schedule\(\s*'invoicing-generate'/);
+  });
+
+  it('runs weekly on Wednesday at 13:00 UTC', () => {
+    expect(sql).toMatch(/'invoicing-generate',\s*'0 13 \* \* 3'/);
+  });
+
+  it('posts to the invoicing-generate edge function', () => {
+    expect(sql).toMatch(/\/functions\/v1\/invoicing-generate/);
+  });
+
+  it('reads project_url and publishable_key from the vault', () => {
+    expect(sql).toMatch(/vault\.decrypted_secrets WHERE name = 'project_url'/);
+    expect(sql).toMatch(/vault\.decrypted_secrets WHERE name = 'publishable_key'/);
+  });
+
+  it('sets a 5-minute timeout (300000ms)', () => {
+    expect(sql).toMatch(/timeout_milliseconds := 300000/);
+  });
+
+  it('includes a sanity check that fails the deploy if the job is missing', () => {
+    expect(sql).toMatch(/cron\.job WHERE jobname = 'invoicing-generate'/);
+    expect(sql).toMatch(/RAISE EXCEPTION/);
+  });
+
+  it('rollback unschedules the job', () => {
+    expect(rollbackSql).toMatch(/cron\.unschedule\('invoicing-generate'\)/);
+  });
+});
@@ -0,0 +1,93 @@
+// Structural assertions on migration 20260607000000_invoicing_phase3_export.
+//
+// Locks in: the private invoice-exports bucket with org-prefixed reads,
+// the org_invoice_sequences table satisfying the tenant-isolation prime
+// directives, an atomic service-role-only numbering RPC, the new
+// invoice / client columns, and a rollback that undoes all of it.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260607000000_invoicing_phase3_export.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260607000000_invoicing_phase3_export_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('invoicing_phase3_export migration', () => {
+  describe('invoice-exports bucket', () => {
+    it('creates a private bucket', () => {
+      expect(sql).toMatch(/VALUES \('invoice-exports', 'invoice-exports', false\)/);
+    });
+
+    it('gates authenticated reads on the org_id path prefix', () => {
+      expect(sql).toMatch(/tenant_isolation_invoice_exports_read/);
+      expect(sql).toMatch(/split_part\(name, '\/', 1\)/);
+    });
+  });
+
+  describe('org_invoice_sequences', () => {
+    it('is keyed by (org_id, sequence_year) with a defaulted org_id', () => {
+      expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS org_invoice_sequences/);
+      expect(sql).toMatch(/PRIMARY KEY \(org_id, sequence_year\)/);
+      expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    });
+
+    it('enables RLS with four tenant policies and a service-role policy', () => {
+      expect(sql).toMatch(/ALTER TABLE org_invoice_sequences ENABLE ROW LEVEL SECURITY/);
+      for (const cmd of ['select', 'insert', 'update', 'delete']) {
+        expect(sql).toContain(`tenant_isolation_org_invoice_sequences_${cmd}`);
+      }
+      expect(sql).toContain('service_role_full_access_org_invoice_sequences');
+      expect(sql).toMatch(/nullif\(\(SELECT auth\.jwt\(\)\) ->> 'org_id', ''\)::uuid/);
+    });
+  });
+
+  describe('next_invoice_numbers', () => {
+    it('reserves a block atomically via INSERT … ON CONFLICT DO UPDATE', () => {
+      expect(sql).toMatch(/CREATE OR REPLACE FUNCTION public\.next_invoice_numbers/);
+      expect(sql).toMatch(/ON CONFLICT \(org_id, sequence_year\)\s+DO UPDATE SET last_value = s\.last_value \+ EXCLUDED\.last_value/);
+      expect(sql).toMatch(/RETURN v_last - p_count \+ 1/);
+    });
+
+    it('is executable by service_role only', () => {
+      expect(sql).toMatch(/REVOKE EXECUTE ON FUNCTION public\.next_invoice_numbers\(uuid, int, int\) FROM authenticated/);
+      expect(sql).toMatch(/REVOKE EXECUTE ON FUNCTION public\.next_invoice_numbers\(uuid, int, int\) FROM anon/);
+      expect(sql).toMatch(/GRANT\s+EXECUTE ON FUNCTION public\.next_invoice_numbers\(uuid, int, int\) TO service_role/);
+    });
+  });
+
+  describe('columns', () => {
+    it('links invoices to their run and keeps invoice numbers unique per org', () => {
+      expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS invoice_run_id uuid\s+REFERENCES invoice_runs\(id\) ON DELETE SET NULL/);
+      expect(sql).toMatch(/CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_org_invoice_number_unique\s+ON invoices \(org_id, invoice_number\)\s+WHERE invoice_number IS NOT NULL/);
+    });
+
+    it('adds the QuickBooks id columns', () => {
+      expect(sql).toMatch(/ALTER TABLE invoices\s+ADD COLUMN IF NOT EXISTS qbo_invoice_id text/);
+      expect(sql).toMatch(/ALTER TABLE clients\s+ADD COLUMN IF NOT EXISTS qbo_customer_id text/);
+    });
+  });
+
+  it('is additive — no DROP or DELETE in the up migration', () => {
+    expect(sql).not.toMatch(/\bDROP\s+(TABLE|COLUMN|INDEX|FUNCTION)\b/i);
+    expect(sql).not.toMatch(/\bDELETE\s+FROM\b/i);
+  });
+
+  it('rollback drops everything the up migration added', () => {
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS org_invoice_sequences/);
+    expect(rollbackSql).toMatch(/DROP FUNCTION IF EXISTS public\.next_invoice_numbers\(uuid, int, int\)/);
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS invoice_run_id/);
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS qbo_invoice_id/);
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS qbo_customer_id/);
+    expect(rollbackSql).toMatch(/DROP POLICY IF EXISTS "tenant_isolation_invoice_exports_read"/);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LIVE_IN_SLEEP_CAP_HOURS,
+  SLEEP_NOT_DEDUCTED,
+  computeLiveInDeductions,
+  dailyRateHourlyEquivalent,
+  isLiveInShift,
+  liveInDays,
+  liveInShiftFieldsFromPlan,
+  validateLiveInFields,
+} from '../liveIn.js';
+import { SERVICE_TYPE } from '../rateCards.js';
+
+describe('isLiveInShift', () => {
+  it('keys off service_type', () => {
+    expect(isLiveInShift({ service_type: SERVICE_TYPE.LIVE_IN })).toBe(true);
+    expect(isLiveInShift({ service_type: SERVICE_TYPE.PERSONAL_CARE })).toBe(false);
+    expect(isLiveInShift({})).toBe(false);
+    expect(isLiveInShift(null)).toBe(false);
+  });
+});
+
+describe('liveInDays', () => {
+  it('rounds to whole 24h days with a floor of one', () => {
+    expect(liveInDays(24)).toBe(1);
+    expect(liveInDays(23.5)).toBe(1);
+    expect(liveInDays(10)).toBe(1);
+    expect(liveInDays(48)).toBe(2);
+    expect(liveInDays(71)).toBe(3);
+  });
+
+  it('is 0 for empty durations', () => {
+    expect(liveInDays(0)).toBe(0);
+    expect(liveInDays(-3)).toBe(0);
+    expect(liveInDays(NaN)).toBe(0);
+  });
+});
+
+describe('computeLiveInDeductions', () => {
+  it('excludes 8h sleep and meals from a 24h shift', () => {
+    expect(
+      computeLiveInDeductions({ durationHours: 24, sleepHoursPerDay: 8, mealHoursPerDay: 3 }),
+    ).toEqual({
+      days: 1,
+      sleepHours: 8,
+      mealHours: 3,
+      excludedHours: 11,
+      paidHours: 13,
+      sleepCapped: false,
+      sleepNotDeducted: null,
+    });
+  });
+
+  it('scales the per-day settings with the day count', () => {
+    const r = computeLiveInDeductions({ durationHours: 72, sleepHoursPerDay: 8, mealHoursPerDay: 2 });
+    expect(r.days).toBe(3);
+    expect(r.excludedHours).toBe(30);
+    expect(r.paidHours).toBe(42);
+  });
+
+  it('caps sleep at 8h per day and flags it', () => {
+    const r = computeLiveInDeductions({ durationHours: 24, sleepHoursPerDay: 10 });
+    expect(r.sleepHours).toBe(LIVE_IN_SLEEP_CAP_HOURS);
+    expect(r.sleepCapped).toBe(true);
+    expect(r.paidHours).toBe(16);
+  });
+
+  it('pays sleep under 24h of duty but still deducts meals', () => {
+    const r = computeLiveInDeductions({ durationHours: 20, sleepHoursPerDay: 8, mealHoursPerDay: 1 });
+    expect(r.sleepHours).toBe(0);
+    expect(r.mealHours).toBe(1);
+    expect(r.sleepNotDeducted).toBe(SLEEP_NOT_DEDUCTED.SHORT_DUTY);
+    expect(r.paidHours).toBe(19);
+  });
+
+  it('pays sleep when the night was interrupted', () => {
+    const r = computeLiveInDeductions({
+      durationHours: 24,
+      sleepHoursPerDay: 10,
+      mealHoursPerDay: 3,
+      sleepInterrupted: true,
+    });
+    expect(r.sleepHours).toBe(0);
+    expect(r.sleepNotDeducted).toBe(SLEEP_NOT_DEDUCTED.INTERRUPTED);
+    expect(r.sleepCapped).toBe(false);
+    expect(r.paidHours).toBe(21);
+  });
+
+  it('excludes nothing without settings', () => {
+    const r = computeLiveInDeductions({ durationHours: 24 });
+    expect(r.excludedHours).toBe(0);
+    expect(r.paidHours).toBe(24);
+    expect(r.sleepNotDeducted).toBeNull();
+  });
+
+  it('never excludes more than the duration', () => {
+    const r = computeLiveInDeductions({ durationHours: 4, mealHoursPerDay: 6 });
+    expect(r.mealHours).toBe(4);
+    expect(r.paidHours).toBe(0);
+  });
+});
+
+describe('dailyRateHourlyEquivalent', () => {
+  it('spreads the day rate over the paid hours', () => {
+    expect(dailyRateHourlyEquivalent({ dailyRate: 260, days: 1, paidHours: 13 })).toBe(20);
+    expect(dailyRateHourlyEquivalent({ dailyRate: 250, days: 2, paidHours: 26 })).toBe(19.2308);
+  });
+
+  it('is null without a rate or paid hours', () => {
+    expect(dailyRateHourlyEquivalent({ dailyRate: null, days: 1, paidHours: 13 })).toBeNull();
+    expect(dailyRateHourlyEquivalent({ dailyRate: 0, days: 1, paidHours: 13 })).toBeNull();
+    expect(dailyRateHourlyEquivalent({ dailyRate: 260, days: 1, paidHours: 0 })).toBeNull();
+    expect(dailyRateHourlyEquivalent({ dailyRate: 260, days: 0, paidHours: 13 })).toBeNull();
+  });
+});
+
+describe('liveInShiftFieldsFromPlan', () => {
+  it('copies the live-in settings from a live-in plan', () => {
+    expect(
+      liveInShiftFieldsFromPlan({
+        live_in: true,
+        sleep_hours_per_day: 8,
+        meal_hours_per_day: 3,
+        daily_pay_rate: 240,
+        daily_bill_rate: null,
+      }),
+    ).toEqual({
+      service_type: SERVICE_TYPE.LIVE_IN,
+      sleep_hours_per_day: 8,
+      meal_hours_per_day: 3,
+      daily_pay_rate: 240,
+      daily_bill_rate: null,
+    });
+  });
+
+  it('returns nothing for other plans', () => {
+    expect(liveInShiftFieldsFromPlan({ live_in: false, daily_pay_rate: 240 })).toEqual({});
+    expect(liveInShiftFieldsFromPlan(null)).toEqual({});
+  });
+});
+
+describe('validateLiveInFields', () => {
+  it('accepts empty and typical settings', () => {
+    expect(validateLiveInFields({})).toBeNull();
+    expect(validateLiveInFields(null)).toBeNull();
+    expect(
+      validateLiveInFields({
+        sleep_hours_per_day: '8',
+        meal_hours_per_day: 3,
+        daily_pay_rate: 240,
+        daily_bill_rate: '',
+      }),
+    ).toBeNull();
+  });
+
+  it('rejects hours outside 0–24', () => {
+    expect(validateLiveInFields({ sleep_hours_per_day: -1 })).toMatch(/Sleep hours/);
+    expect(validateLiveInFields({ meal_hours_per_day: 25 })).toMatch(/Meal hours/);
+    expect(validateLiveInFields({ meal_hours_per_day: 'abc' })).toMatch(/Meal hours/);
+  });
+
+  it('rejects settings that leave no paid hours', () => {
+    expect(validateLiveInFields({ sleep_hours_per_day: 16, meal_hours_per_day: 8 })).toMatch(
+      /paid hours/,
+    );
+  });
+
+  it('rejects non-positive daily rates', () => {
+    expect(validateLiveInFields({ daily_pay_rate: 0 })).toMatch(/Daily pay rate/);
+    expect(validateLiveInFields({ daily_bill_rate: -5 })).toMatch(/Daily bill rate/);
+  });
+});
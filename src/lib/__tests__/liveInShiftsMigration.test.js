@@ -0,0 +1,85 @@
+// Structural assertions on migration 20260610000000_live_in_shifts.
+//
+// Locks in: the shift and service-plan live-in columns with CHECKs that
+// match validateLiveInFields, invoice_shifts.billed_days, everything
+// idempotent, and a rollback that drops exactly what was added.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260610000000_live_in_shifts.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260610000000_live_in_shifts_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+function alterBlock(source, table) {
+  const re = new RegExp(`ALTER TABLE public\\.${table}\\b([\\s\\S]*?);`);
+  const m = re.exec(source);
+  expect(m).not.toBeNull();
+  return m[1];
+}
+
+const SETTINGS = ['sleep_hours_per_day', 'meal_hours_per_day', 'daily_pay_rate', 'daily_bill_rate'];
+
+describe('live_in_shifts migration', () => {
+  it('adds the live-in settings to shifts', () => {
+    const block = alterBlock(sql, 'shifts');
+    for (const col of SETTINGS) {
+      expect(block).toMatch(new RegExp(`ADD COLUMN IF NOT EXISTS ${col} numeric`));
+    }
+    expect(block).toMatch(/ADD COLUMN IF NOT EXISTS sleep_interrupted boolean NOT NULL DEFAULT false/);
+  });
+
+  it('adds live_in plus the same settings to service_plans', () => {
+    const block = alterBlock(sql, 'service_plans');
+    expect(block).toMatch(/ADD COLUMN IF NOT EXISTS live_in boolean NOT NULL DEFAULT false/);
+    for (const col of SETTINGS) {
+      expect(block).toMatch(new RegExp(`ADD COLUMN IF NOT EXISTS ${col} numeric`));
+    }
+  });
+
+  it('bounds hours to a day and rates to positive amounts', () => {
+    expect(sql).toMatch(/CHECK \(sleep_hours_per_day >= 0 AND sleep_hours_per_day <= 24\)/);
+    expect(sql).toMatch(/CHECK \(meal_hours_per_day >= 0 AND meal_hours_per_day <= 24\)/);
+    expect(sql).toMatch(/CHECK \(daily_pay_rate > 0\)/);
+    expect(sql).toMatch(/CHECK \(daily_bill_rate > 0\)/);
+  });
+
+  it('adds a nullable positive invoice_shifts.billed_days', () => {
+    const block = alterBlock(sql, 'invoice_shifts');
+    expect(block).toMatch(/ADD COLUMN IF NOT EXISTS billed_days numeric\(5,2\)\s+CHECK \(billed_days > 0\)/);
+    expect(block).not.toMatch(/NOT NULL/);
+  });
+
+  it('only uses idempotent column adds', () => {
+    const adds = sql.match(/ADD COLUMN(?! IF NOT EXISTS)/g) || [];
+    expect(adds).toEqual([]);
+  });
+
+  describe('rollback', () => {
+    it('drops every added column', () => {
+      expect(alterBlock(rollbackSql, 'invoice_shifts')).toMatch(/DROP COLUMN IF EXISTS billed_days/);
+      const plans = alterBlock(rollbackSql, 'service_plans');
+      for (const col of ['live_in', ...SETTINGS]) {
+        expect(plans).toMatch(new RegExp(`DROP COLUMN IF EXISTS ${col}\\b`));
+      }
+      const shifts = alterBlock(rollbackSql, 'shifts');
+      for (const col of ['sleep_interrupted', ...SETTINGS]) {
+        expect(shifts).toMatch(new RegExp(`DROP COLUMN IF EXISTS ${col}\\b`));
+      }
+    });
+
+    it('leaves service_type to the rate-cards rollback', () => {
+      expect(rollbackSql).not.toMatch(/service_type/);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MATCH_FLAG,
+  criteriaChecks,
+  scoreCaregiverMatch,
+  formatUnmetRequirements,
+} from '../scheduling/matchCriteria';
+
+const P = { flag: MATCH_FLAG.PREFERRED };
+const R = { flag: MATCH_FLAG.REQUIRED };
+const N = { flag: MATCH_FLAG.NOT_NEEDED };
+
+describe('criteriaChecks', () => {
+  it('returns nothing for missing or empty criteria', () => {
+    expect(criteriaChecks(null)).toEqual([]);
+    expect(criteriaChecks(undefined)).toEqual([]);
+    expect(criteriaChecks({})).toEqual([]);
+  });
+
+  it('drops Not needed and unset PRN items', () => {
+    const checks = criteriaChecks({
+      match_exp_dementia: N,
+      match_exp_hospice: null,
+      match_cert_cna: P,
+    });
+    expect(checks.map((c) => c.fieldId)).toEqual(['match_cert_cna']);
+  });
+
+  it('ignores a gender flag with "No preference" or no option picked', () => {
+    expect(criteriaChecks({ match_gender: { flag: 'R', option: 'No preference' } })).toEqual([]);
+    expect(criteriaChecks({ match_gender: { flag: 'P' } })).toEqual([]);
+  });
+
+  it('treats each required language as its own requirement, skipping "Other"', () => {
+    const checks = criteriaChecks({ match_languageRequired: ['Spanish', 'Tagalog', 'Other'] });
+    expect(checks.map((c) => c.label)).toEqual(['Speaks Spanish', 'Speaks Tagalog']);
+    expect(checks.every((c) => c.flag === MATCH_FLAG.REQUIRED)).toBe(true);
+  });
+
+  it('only checks smoking when the client smokes', () => {
+    expect(criteriaChecks({ match_okWithClientSmoking: true })).toEqual([]);
+    expect(
+      criteriaChecks({ match_clientSmokes: true, match_okWithClientSmoking: true })
+        .map((c) => c.fieldId),
+    ).toEqual(['match_okWithClientSmoking']);
+  });
+
+  it('ignores logistics answered No', () => {
+    expect(criteriaChecks({ match_vehicleRequired: false, match_liveInShiftsOK: false })).toEqual([]);
+  });
+});
+
+describe('scoreCaregiverMatch', () => {
+  it('counts Preferred matches toward the score', () => {
+    const result = scoreCaregiverMatch(
+      { match_exp_dementia: P, match_exp_hoyer: P, match_cert_hha: P },
+      { specializations: "Alzheimer's, Hoyer lift", certifications: '' },
+    );
+    expect(result.matchedPreferences).toEqual(['Dementia experience', 'Hoyer lift experience']);
+    expect(result.score).toBe(2);
+    expect(result.possible).toBe(3);
+    expect(result.unmetRequirements).toEqual([]);
+  });
+
+  it('lists unmet Required items and does not count them in the score', () => {
+    const result = scoreCaregiverMatch(
+      { match_cert_cna: R, match_exp_hospice: R },
+      { certifications: 'CNA' },
+    );
+    expect(result.unmetRequirements).toEqual(['Hospice experience']);
+    expect(result.score).toBe(0);
+    expect(result.possible).toBe(0);
+  });
+
+  it('matches certifications on whole words only', () => {
+    const criteria = { match_cert_rn: R };
+    expect(scoreCaregiverMatch(criteria, { certifications: 'RN, BLS' }).unmetRequirements).toEqual([]);
+    expect(scoreCaregiverMatch(criteria, { specializations: 'Learning disabilities' }).unmetRequirements)
+      .toEqual(['Registered nurse']);
+  });
+
+  it('accepts LPN for the LVN / LPN criterion', () => {
+    const result = scoreCaregiverMatch({ match_cert_lvn: R }, { certifications: 'LPN (TX)' });
+    expect(result.unmetRequirements).toEqual([]);
+  });
+
+  it('checks gender against the caregiver profile', () => {
+    const criteria = { match_gender: { flag: 'R', option: 'Female' } };
+    expect(scoreCaregiverMatch(criteria, { gender: 'female' }).unmetRequirements).toEqual([]);
+    expect(scoreCaregiverMatch(criteria, { gender: 'male' }).unmetRequirements)
+      .toEqual(['Female caregiver']);
+    // Not recorded → unmet, so the scheduler fills it in.
+    expect(scoreCaregiverMatch(criteria, {}).unmetRequirements).toEqual(['Female caregiver']);
+  });
+
+  it('scores a Preferred gender', () => {
+    const criteria = { match_gender: { flag: 'P', option: 'Male' } };
+    expect(scoreCaregiverMatch(criteria, { gender: 'male' }).score).toBe(1);
+    expect(scoreCaregiverMatch(criteria, { gender: 'female' }).score).toBe(0);
+  });
+
+  it('matches languages case-insensitively on whole words', () => {
+    const criteria = { match_languageRequired: ['Spanish'] };
+    expect(scoreCaregiverMatch(criteria, { languages: 'english, spanish' }).unmetRequirements)
+      .toEqual([]);
+    expect(scoreCaregiverMatch(criteria, { languages: 'English' }).unmetRequirements)
+      .toEqual(['Speaks Spanish']);
+  });
+
+  it('fails pet criteria only on a matching allergy', () => {
+    const criteria = { match_okWithCats: R, match_okWithDogs: P };
+    const allergic = scoreCaregiverMatch(criteria, { allergies: 'Cats, pollen' });
+    expect(allergic.unmetRequirements).toEqual(['OK with cats']);
+    expect(allergic.score).toBe(1);
+    expect(scoreCaregiverMatch(criteria, { allergies: '' }).unmetRequirements).toEqual([]);
+  });
+
+  it('checks vehicle, insurance, smoking and live-in requirements', () => {
+    const criteria = {
+      match_vehicleRequired: true,
+      match_insuredAutoRequired: true,
+      match_clientSmokes: true,
+      match_okWithClientSmoking: true,
+      match_liveInShiftsOK: true,
+    };
+    expect(scoreCaregiverMatch(criteria, {
+      hasVehicle: 'yes',
+      autoInsurance: 'Yes - State Farm',
+      allergies: '',
+      preferredShift: 'live-in',
+    }).unmetRequirements).toEqual([]);
+    expect(scoreCaregiverMatch(criteria, {
+      hasVehicle: 'no',
+      autoInsurance: '',
+      allergies: 'Cigarette smoke',
+      preferredShift: 'days',
+    }).unmetRequirements).toEqual([
+      'Has a vehicle',
+      'Insured auto',
+      'OK with client smoking',
+      'OK with live-in shifts',
+    ]);
+  });
+
+  it('counts a flexible shift preference as OK with live-in', () => {
+    const result = scoreCaregiverMatch({ match_liveInShiftsOK: true }, { preferredShift: 'flexible' });
+    expect(result.unmetRequirements).toEqual([]);
+  });
+});
+
+describe('formatUnmetRequirements', () => {
+  it('joins the labels', () => {
+    expect(formatUnmetRequirements(['CNA license', 'Speaks Spanish']))
+      .toBe('Missing required: CNA license, Speaks Spanish');
+  });
+
+  it('returns an empty string when nothing is missing', () => {
+    expect(formatUnmetRequirements([])).toBe('');
+    expect(formatUnmetRequirements(null)).toBe('');
+  });
+});
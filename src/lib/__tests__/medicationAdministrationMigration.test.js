@@ -0,0 +1,81 @@
+// Structural assertions on migration 20260621000000_medication_administration.
+//
+// Locks in: 'medication' joins the observation_type CHECK without
+// dropping an existing type, the record shape the eMAR writer relies
+// on (src/lib/carePlanShift.js → logMedicationAdministration), the MAR
+// lookup index, and a rollback that restores the prior CHECK.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { MAR_STATUS, MEDICATION_OBSERVATION_TYPE } from '../emar.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260621000000_medication_administration.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260621000000_medication_administration_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+const PRIOR_TYPES = [
+  'task_completion', 'mood', 'concern', 'positive', 'vital', 'general', 'shift_note', 'refusal',
+];
+
+function checkTypes(text) {
+  const m = /care_plan_observations_observation_type_check\s+CHECK \(observation_type IN \(([^)]+)\)\)/.exec(text);
+  expect(m).not.toBeNull();
+  return [...m[1].matchAll(/'([a-z_]+)'/g)].map((x) => x[1]);
+}
+
+describe('medication_administration migration', () => {
+  it('adds medication to the observation_type CHECK, keeping the prior types', () => {
+    expect(sql).toMatch(/DROP CONSTRAINT IF EXISTS care_plan_observations_observation_type_check/);
+    expect(checkTypes(sql)).toEqual([...PRIOR_TYPES, MEDICATION_OBSERVATION_TYPE]);
+  });
+
+  it('adds the medication columns idempotently', () => {
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS medication_key\s+text/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS medication_name\s+text/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS scheduled_for\s+timestamptz/);
+  });
+
+  it('guards the record-shape CHECK and allows exactly the MAR statuses', () => {
+    expect(sql).toMatch(/conname = 'care_plan_observations_medication_shape'/);
+    const m = /rating IN \(([^)]+)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect([...m[1].matchAll(/'([a-z]+)'/g)].map((x) => x[1]).sort())
+      .toEqual(Object.values(MAR_STATUS).sort());
+    expect(sql).toMatch(/task_id IS NULL\s+AND system_default_task_id IS NULL/);
+    expect(sql).toMatch(/ELSE\s+medication_key IS NULL\s+AND medication_name IS NULL\s+AND scheduled_for IS NULL/);
+  });
+
+  it('indexes medication rows by plan and slot', () => {
+    expect(sql).toMatch(
+      /CREATE INDEX IF NOT EXISTS idx_care_plan_observations_medication\s+ON public\.care_plan_observations \(care_plan_id, scheduled_for\)\s+WHERE observation_type = 'medication'/,
+    );
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX|UNIQUE INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+  });
+
+  it('rollback deletes medication rows and restores the prior CHECK', () => {
+    expect(rollbackSql).toMatch(/⚠️\s+Drops data/);
+    const del = rollbackSql.indexOf("DELETE FROM public.care_plan_observations WHERE observation_type = 'medication'");
+    const restore = rollbackSql.indexOf('ADD CONSTRAINT care_plan_observations_observation_type_check');
+    expect(del).toBeGreaterThan(-1);
+    expect(restore).toBeGreaterThan(del);
+    expect(checkTypes(rollbackSql)).toEqual(PRIOR_TYPES);
+    expect(rollbackSql).toMatch(/DROP INDEX IF EXISTS public\.idx_care_plan_observations_medication/);
+    expect(rollbackSql).toMatch(/DROP CONSTRAINT IF EXISTS care_plan_observations_medication_shape/);
+    for (const col of ['medication_key', 'medication_name', 'scheduled_for']) {
+      expect(rollbackSql).toContain(`DROP COLUMN IF EXISTS ${col}`);
+    }
+  });
+});
@@ -0,0 +1,262 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ATTENDANCE_INCIDENT_KIND,
+  DEFAULT_LATE_GRACE_MINUTES,
+  DEFAULT_NO_SHOW_ESCALATION_MINUTES,
+  resolveNoShowSettings,
+  minutesLate,
+  dueAttendanceAlerts,
+  coverageWindow,
+  coverageShiftRow,
+  latePush,
+  lateSms,
+  onCallEscalationSms,
+  noShowTaskRow,
+  coverageSms,
+  summarizeAttendance,
+  attendancePenalty,
+  formatAttendance,
+} from '../scheduling/noShowDetection';
+import { wallClockToUtcMs } from '../scheduling/timezone';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+const TZ = 'America/Los_Angeles';
+
+function isoAt(day, hour, minute = 0) {
+  return new Date(wallClockToUtcMs({ year: 2026, month: 5, day, hour, minute }, TZ)).toISOString();
+}
+
+function shift(extra = {}) {
+  return {
+    id: 'shift-1',
+    org_id: 'org-1',
+    client_id: 'client-1',
+    assigned_caregiver_id: 'cg-ana',
+    status: 'confirmed',
+    start_time: isoAt(4, 9),
+    end_time: isoAt(4, 13),
+    ...extra,
+  };
+}
+
+const minutesAfterStart = (m) => new Date(new Date(isoAt(4, 9)).getTime() + m * 60000);
+
+// ─── resolveNoShowSettings ────────────────────────────────────
+
+describe('resolveNoShowSettings', () => {
+  it('falls back to the defaults with no settings', () => {
+    expect(resolveNoShowSettings(null)).toEqual({
+      lateGraceMinutes: DEFAULT_LATE_GRACE_MINUTES,
+      escalationMinutes: DEFAULT_NO_SHOW_ESCALATION_MINUTES,
+      onCallEmails: [],
+    });
+  });
+
+  it('reads the scheduling section and drops blank emails', () => {
+    expect(resolveNoShowSettings({
+      scheduling: {
+        late_grace_minutes: 5,
+        no_show_escalation_minutes: 20,
+        on_call_emails: ['sam@agency.com', '  ', 42],
+      },
+    })).toEqual({ lateGraceMinutes: 5, escalationMinutes: 20, onCallEmails: ['sam@agency.com'] });
+  });
+
+  it('never escalates before the grace period and ignores bad values', () => {
+    expect(resolveNoShowSettings({
+      scheduling: { late_grace_minutes: 45, no_show_escalation_minutes: 15 },
+    }).escalationMinutes).toBe(45);
+    expect(resolveNoShowSettings({
+      scheduling: { late_grace_minutes: -1, no_show_escalation_minutes: '30' },
+    })).toMatchObject({
+      lateGraceMinutes: DEFAULT_LATE_GRACE_MINUTES,
+      escalationMinutes: DEFAULT_NO_SHOW_ESCALATION_MINUTES,
+    });
+  });
+});
+
+// ─── dueAttendanceAlerts ──────────────────────────────────────
+
+describe('dueAttendanceAlerts', () => {
+  it('is quiet before the grace period', () => {
+    expect(dueAttendanceAlerts(shift(), { now: minutesAfterStart(9) })).toEqual([]);
+    expect(minutesLate(shift(), minutesAfterStart(9))).toBe(9);
+  });
+
+  it('alerts late at the grace period, then no-show at the escalation delay', () => {
+    expect(dueAttendanceAlerts(shift(), { now: minutesAfterStart(10) })).toEqual(['late']);
+    expect(dueAttendanceAlerts(shift(), {
+      now: minutesAfterStart(30),
+      recordedKinds: ['late'],
+    })).toEqual(['no_show']);
+  });
+
+  it('sends both when first seen past the escalation delay', () => {
+    expect(dueAttendanceAlerts(shift(), { now: minutesAfterStart(40) })).toEqual(['late', 'no_show']);
+  });
+
+  it('never repeats a recorded alert', () => {
+    expect(dueAttendanceAlerts(shift(), { now: minutesAfterStart(15), recordedKinds: ['late'] })).toEqual([]);
+    expect(dueAttendanceAlerts(shift(), {
+      now: minutesAfterStart(60),
+      recordedKinds: [ATTENDANCE_INCIDENT_KIND.NO_SHOW],
+    })).toEqual([]);
+  });
+
+  it('skips clocked-in, unassigned and non-watched shifts', () => {
+    const now = minutesAfterStart(40);
+    expect(dueAttendanceAlerts(shift(), { now, clockedIn: true })).toEqual([]);
+    expect(dueAttendanceAlerts(shift({ assigned_caregiver_id: null }), { now })).toEqual([]);
+    expect(dueAttendanceAlerts(shift({ status: 'in_progress' }), { now })).toEqual([]);
+    expect(dueAttendanceAlerts(shift({ status: 'cancelled' }), { now })).toEqual([]);
+  });
+
+  it('ignores shifts that started outside the lookback window', () => {
+    expect(dueAttendanceAlerts(shift(), { now: minutesAfterStart(13 * 60) })).toEqual([]);
+  });
+
+  it('honours custom delays', () => {
+    expect(dueAttendanceAlerts(shift(), {
+      now: minutesAfterStart(5),
+      lateGraceMinutes: 5,
+      escalationMinutes: 5,
+    })).toEqual(['late', 'no_show']);
+  });
+});
+
+// ─── coverageWindow / coverageShiftRow ────────────────────────
+
+describe('coverageWindow', () => {
+  it('covers from now (rounded up to the minute) to the shift end', () => {
+    const now = new Date(minutesAfterStart(30).getTime() + 20 * 1000);
+    expect(coverageWindow(shift(), now)).toEqual({
+      start_time: isoAt(4, 9, 31),
+      end_time: isoAt(4, 13),
+    });
+  });
+
+  it('returns null when less than an hour is left', () => {
+    expect(coverageWindow(shift(), minutesAfterStart(3 * 60 + 1))).toBeNull();
+    expect(coverageWindow(shift(), minutesAfterStart(3 * 60))).not.toBeNull();
+  });
+});
+
+describe('coverageShiftRow', () => {
+  it('opens a first-yes-wins shift copying the visit details but not the pay rate', () => {
+    const row = coverageShiftRow(
+      shift({ service_type: 'companion', hourly_rate: 22, billable_rate: 38, required_skills: ['hoyer'] }),
+      { start_time: isoAt(4, 9, 30), end_time: isoAt(4, 13) },
+      { createdBy: 'system:no_show_detector' },
+    );
+    expect(row).toMatchObject({
+      org_id: 'org-1',
+      client_id: 'client-1',
+      status: 'open',
+      assigned_caregiver_id: null,
+      start_time: isoAt(4, 9, 30),
+      end_time: isoAt(4, 13),
+      service_type: 'companion',
+      hourly_rate: null,
+      billable_rate: 38,
+      required_skills: ['hoyer'],
+      auto_assign_on_first_yes: true,
+      created_by: 'system:no_show_detector',
+    });
+  });
+});
+
+// ─── Messages ─────────────────────────────────────────────────
+
+describe('messages', () => {
+  it('links the late push to the shift', () => {
+    const push = latePush(shift(), { clientName: 'Ruth', timezone: TZ });
+    expect(push.url).toBe('/care/shifts/shift-1');
+    expect(push.tag).toBe('shift-shift-1');
+    expect(push.body).toContain('Ruth started at 9:00 AM');
+  });
+
+  it('greets the caregiver by name in the late SMS', () => {
+    expect(lateSms(shift(), { caregiverFirstName: 'Ana', clientName: 'Ruth', timezone: TZ }))
+      .toMatch(/^Hi Ana, .*9:00 AM shift with Ruth/);
+  });
+
+  it('tells on-call whether the rest of the visit was broadcast', () => {
+    const coverage = { start_time: isoAt(4, 9, 30), end_time: isoAt(4, 13) };
+    expect(onCallEscalationSms(shift(), {
+      caregiverName: 'Ana Lopez', clientName: 'Ruth', minutes: 30, coverage, timezone: TZ,
+    })).toContain('Broadcasting 9:30 AM–1:00 PM as an open shift.');
+    expect(onCallEscalationSms(shift(), { minutes: 30, timezone: TZ }))
+      .toContain('please arrange cover');
+    expect(coverageSms({ ...coverage, id: 's2' }, { clientLabel: 'Ruth in Irvine', timezone: TZ }))
+      .toContain('Reply YES');
+  });
+});
+
+// ─── noShowTaskRow ────────────────────────────────────────────
+
+describe('noShowTaskRow', () => {
+  it('builds a critical system task linked only to the caregiver', () => {
+    const now = minutesAfterStart(30);
+    const row = noShowTaskRow(shift(), {
+      caregiverName: 'Ana Lopez',
+      clientName: 'Ruth',
+      minutes: 30,
+      assignee: 'sam@agency.com',
+      coverageShiftId: 'shift-2',
+      timezone: TZ,
+      now,
+    });
+    expect(row).toMatchObject({
+      source: 'system',
+      title: 'No-show — Ana Lopez for Ruth',
+      urgency: 'critical',
+      caregiver_id: 'cg-ana',
+      client_id: null,
+      assigned_to: 'sam@agency.com',
+      due_at: now.toISOString(),
+      created_by: 'system:no_show_detector',
+    });
+    expect(row).not.toHaveProperty('template_id');
+    expect(row.description).toContain('broadcast as an open shift');
+  });
+});
+
+// ─── Attendance record ────────────────────────────────────────
+
+describe('summarizeAttendance', () => {
+  const now = new Date('2026-05-04T12:00:00Z');
+  const incidents = [
+    { caregiver_id: 'a', kind: 'late', detected_at: '2026-05-01T16:10:00Z' },
+    { caregiver_id: 'a', kind: 'no_show', detected_at: '2026-05-01T16:30:00Z' },
+    { caregiver_id: 'a', kind: 'late', detected_at: '2026-04-20T16:10:00Z' },
+    { caregiver_id: 'b', kind: 'late', detected_at: '2026-01-01T16:10:00Z' }, // outside 90 days
+    { caregiver_id: null, kind: 'late', detected_at: '2026-05-01T16:10:00Z' },
+  ];
+
+  it('counts incidents per caregiver inside the window', () => {
+    expect(summarizeAttendance(incidents, { now })).toEqual({
+      a: { lateCount: 2, noShowCount: 1, lastIncidentAt: '2026-05-01T16:30:00.000Z' },
+    });
+  });
+
+  it('respects a custom lookback', () => {
+    expect(summarizeAttendance(incidents, { now, lookbackDays: 7 }).a)
+      .toMatchObject({ lateCount: 1, noShowCount: 1 });
+  });
+});
+
+describe('attendancePenalty / formatAttendance', () => {
+  it('weighs a no-show above a late arrival', () => {
+    expect(attendancePenalty(null)).toBe(0);
+    expect(attendancePenalty({ lateCount: 2, noShowCount: 0 })).toBe(2);
+    expect(attendancePenalty({ lateCount: 0, noShowCount: 1 })).toBe(3);
+  });
+
+  it('formats the record, empty when clean', () => {
+    expect(formatAttendance(undefined)).toBe('');
+    expect(formatAttendance({ lateCount: 0, noShowCount: 0 })).toBe('');
+    expect(formatAttendance({ lateCount: 2, noShowCount: 1 })).toBe('1 no-show, 2 late');
+    expect(formatAttendance({ lateCount: 0, noShowCount: 2 })).toBe('2 no-shows');
+  });
+});
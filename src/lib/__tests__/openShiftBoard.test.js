@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isBoardShift,
+  boardResponseFor,
+  boardShiftEligibility,
+  eligibleBoardShifts,
+  planBoardOffer,
+} from '../scheduling/openShiftBoard';
+import { wallClockToUtcMs } from '../scheduling/timezone';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+const TZ = 'America/Los_Angeles';
+
+// Sun 2026-05-03, 8am local.
+const NOW = new Date(wallClockToUtcMs({ year: 2026, month: 5, day: 3, hour: 8 }, TZ));
+
+function isoAt(day, hour) {
+  return new Date(wallClockToUtcMs({ year: 2026, month: 5, day, hour }, TZ)).toISOString();
+}
+
+function boardShift(id, day, startHour, endHour, extra = {}) {
+  return {
+    id,
+    client_id: 'client-1',
+    assigned_caregiver_id: null,
+    status: 'open',
+    start_time: isoAt(day, startHour),
+    end_time: isoAt(day, endHour),
+    auto_assign_on_first_yes: false,
+    ...extra,
+  };
+}
+
+// Monday 8a–6p.
+const MONDAY = [{ type: 'available', day_of_week: 1, start_time: '08:00', end_time: '18:00' }];
+
+function check(shift, overrides = {}) {
+  return boardShiftEligibility(shift, {
+    availabilityRows: MONDAY,
+    caregiverShifts: [],
+    timezone: TZ,
+    now: NOW,
+    ...overrides,
+  });
+}
+
+// ─── isBoardShift ─────────────────────────────────────────────
+
+describe('isBoardShift', () => {
+  it('accepts open and offered shifts that nobody holds yet', () => {
+    expect(isBoardShift(boardShift('s1', 4, 9, 13), NOW)).toBe(true);
+    expect(isBoardShift(boardShift('s1', 4, 9, 13, { status: 'offered' }), NOW)).toBe(true);
+  });
+
+  it('rejects assigned, closed and already-started shifts', () => {
+    expect(isBoardShift(boardShift('s1', 4, 9, 13, { assigned_caregiver_id: 'cg-2' }), NOW)).toBe(false);
+    expect(isBoardShift(boardShift('s1', 4, 9, 13, { status: 'cancelled' }), NOW)).toBe(false);
+    expect(isBoardShift(boardShift('s1', 3, 7, 11), NOW)).toBe(false);
+    expect(isBoardShift(null, NOW)).toBe(false);
+  });
+});
+
+// ─── boardResponseFor ─────────────────────────────────────────
+
+describe('boardResponseFor', () => {
+  it('claims first-yes-wins shifts and registers interest otherwise', () => {
+    expect(boardResponseFor(boardShift('s1', 4, 9, 13, { auto_assign_on_first_yes: true }))).toBe('claim');
+    expect(boardResponseFor(boardShift('s1', 4, 9, 13))).toBe('interest');
+  });
+});
+
+// ─── boardShiftEligibility ────────────────────────────────────
+
+describe('boardShiftEligibility', () => {
+  it('is eligible inside availability with nothing else scheduled', () => {
+    expect(check(boardShift('s1', 4, 9, 13))).toEqual({ eligible: true, reason: null });
+  });
+
+  it('requires availability to cover the whole shift', () => {
+    expect(check(boardShift('s1', 4, 16, 20)).reason).toBe('unavailable');
+    expect(check(boardShift('s1', 4, 9, 13), { availabilityRows: [] }).reason).toBe('unavailable');
+  });
+
+  it('rejects shifts that overlap or crowd existing work', () => {
+    const working = {
+      id: 'w1',
+      client_id: 'client-2',
+      assigned_caregiver_id: 'cg-1',
+      status: 'confirmed',
+      start_time: isoAt(4, 13),
+      end_time: isoAt(4, 15),
+    };
+    expect(check(boardShift('s1', 4, 12, 14), { caregiverShifts: [working] }).reason).toBe('conflict');
+    // Ends exactly when the other client's visit starts: no travel time.
+    expect(check(boardShift('s1', 4, 9, 13), { caregiverShifts: [working] }).reason).toBe('conflict');
+    // Same client back-to-back is fine.
+    expect(
+      check(boardShift('s1', 4, 9, 13), {
+        caregiverShifts: [{ ...working, client_id: 'client-1' }],
+      }).eligible,
+    ).toBe(true);
+  });
+
+  it('reports shifts that are no longer open', () => {
+    expect(check(boardShift('s1', 4, 9, 13, { status: 'assigned' })).reason).toBe('not_open');
+  });
+});
+
+// ─── eligibleBoardShifts ──────────────────────────────────────
+
+describe('eligibleBoardShifts', () => {
+  it('keeps eligible shifts, soonest first', () => {
+    const shifts = eligibleBoardShifts({
+      shifts: [
+        boardShift('late', 4, 14, 17),
+        boardShift('tuesday', 5, 9, 13),
+        boardShift('early', 4, 8, 11),
+      ],
+      availabilityRows: MONDAY,
+      caregiverShifts: [],
+      timezone: TZ,
+      now: NOW,
+    });
+    expect(shifts.map((sh) => sh.id)).toEqual(['early', 'late']);
+  });
+});
+
+// ─── planBoardOffer ───────────────────────────────────────────
+
+describe('planBoardOffer', () => {
+  it('accepts an offer the caregiver was already texted', () => {
+    const plan = planBoardOffer({
+      shift: boardShift('s1', 4, 9, 13),
+      caregiverId: 'cg-1',
+      existingOffer: { id: 'offer-1', status: 'sent' },
+      now: NOW,
+    });
+    expect(plan).toEqual({
+      action: 'update',
+      offerId: 'offer-1',
+      row: {
+        status: 'accepted',
+        responded_at: NOW.toISOString(),
+        response_text: 'YES (caregiver app)',
+        updated_at: NOW.toISOString(),
+      },
+    });
+  });
+
+  it('creates an accepted offer when the caregiver was never texted', () => {
+    const plan = planBoardOffer({
+      shift: boardShift('s1', 4, 9, 13, { auto_assign_on_first_yes: true }),
+      caregiverId: 'cg-1',
+      createdBy: 'Ana Test (caregiver app)',
+      now: NOW,
+    });
+    expect(plan.action).toBe('insert');
+    expect(plan.row).toMatchObject({
+      shift_id: 's1',
+      caregiver_id: 'cg-1',
+      status: 'accepted',
+      sent_at: NOW.toISOString(),
+      responded_at: NOW.toISOString(),
+      notes: 'Claimed from the open-shift board',
+      created_by: 'Ana Test (caregiver app)',
+    });
+  });
+
+  it('does nothing when the caregiver has already said yes', () => {
+    for (const status of ['accepted', 'assigned']) {
+      expect(
+        planBoardOffer({
+          shift: boardShift('s1', 4, 9, 13),
+          caregiverId: 'cg-1',
+          existingOffer: { id: 'offer-1', status },
+        }),
+      ).toEqual({ action: 'none', offerId: 'offer-1' });
+    }
+  });
+});
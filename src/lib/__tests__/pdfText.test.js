@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizePdfText } from '../pdfText';
+
+describe('sanitizePdfText', () => {
+  it('maps typographic punctuation to ASCII', () => {
+    expect(sanitizePdfText('“Helen’s” plan — v2… · daily dose')).toBe('"Helen\'s" plan - v2... - daily dose');
+  });
+
+  it('drops characters WinAnsi Helvetica cannot draw, keeping line breaks', () => {
+    expect(sanitizePdfText('Walk 🚶 daily\nRest')).toBe('Walk  daily\nRest');
+  });
+
+  it('returns an empty string for null and undefined', () => {
+    expect(sanitizePdfText(null)).toBe('');
+    expect(sanitizePdfText(undefined)).toBe('');
+    expect(sanitizePdfText(42)).toBe('42');
+  });
+});
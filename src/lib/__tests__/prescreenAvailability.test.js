@@ -213,6 +213,16 @@ describe('convertAvailabilityAnswerToRows', () => {
       expect(row.pinned).toBe(false);
     }
   });
+
+  it('tags rows with opts.source when given', () => {
+    const rows = convertAvailabilityAnswerToRows(
+      { slots: [{ day: 3, startTime: '08:00', endTime: '12:00' }] },
+      { caregiverId, source: 'caregiver' },
+    );
+    expect(rows).toHaveLength(1);
+    expect(rows[0].source).toBe('caregiver');
+    expect(rows[0].pinned).toBe(false);
+  });
 });
 
 describe('hasAvailabilitySlots', () => {
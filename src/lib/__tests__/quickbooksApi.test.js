@@ -0,0 +1,267 @@
+/**
+ * Tests for the QuickBooks Online Accounting API client in
+ * supabase/functions/_shared/helpers/quickbooksApi.ts, run against a
+ * mocked QuickBooks server (node:http on an ephemeral port).
+ *
+ * The mock implements just the slice of the API the invoice push uses:
+ *   GET  /v3/company/:realm/query?query=select ... where <Field> = '<v>'
+ *   POST /v3/company/:realm/customer
+ *   POST /v3/company/:realm/invoice
+ * and answers with QuickBooks' real envelope shapes (QueryResponse,
+ * { Customer }, { Invoice }, { Fault: { Error: [...] } }).
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import {
+  createQboClient,
+  escapeQboQueryValue,
+  findOrCreateCustomer,
+  pushInvoice,
+  QBO_API_BASE_URLS,
+  QBO_MINOR_VERSION,
+  QuickBooksApiError,
+  resolveItemIds,
+} from '../../../supabase/functions/_shared/helpers/quickbooksApi.ts';
+import {
+  buildQboCustomerPayload,
+  buildQboInvoicePayload,
+} from '../invoicing/qboExport.js';
+
+const REALM = '9130355';
+const TOKEN = 'access-token-ok';
+
+// ─── Mock QuickBooks ─────────────────────────────────────────────
+
+const qbo = {
+  customers: [],
+  items: [],
+  invoices: [],
+  requests: [],
+  failNextInvoiceWith: null,
+};
+
+function resetQbo() {
+  qbo.customers = [{ Id: '58', DisplayName: "Pat O'Brien" }];
+  qbo.items = [
+    { Id: '1', Name: 'Services' },
+    { Id: '7', Name: 'Caregiving OT' },
+  ];
+  qbo.invoices = [];
+  qbo.requests = [];
+  qbo.failNextInvoiceWith = null;
+}
+
+function fault(res, status, message, detail) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ Fault: { Error: [{ Message: message, Detail: detail }], type: 'ValidationFault' } }));
+}
+
+function ok(res, body) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Tiny interpreter for `select ... from <Entity> where <Field> = '<value>'`.
+function runQuery(statement) {
+  const m = /from (\w+) where (\w+) = '((?:[^'\\]|\\.)*)'/i.exec(statement);
+  if (!m) return null;
+  const [, entity, field, raw] = m;
+  const value = raw.replace(/\\(.)/g, '$1');
+  const table = { Customer: qbo.customers, Item: qbo.items, Invoice: qbo.invoices }[entity];
+  if (!table) return null;
+  const rows = table.filter((r) => r[field] === value);
+  return { QueryResponse: rows.length > 0 ? { [entity]: rows } : {} };
+}
+
+function handle(req, res, rawBody) {
+  const url = new URL(req.url, 'http://localhost');
+  qbo.requests.push({ method: req.method, path: url.pathname, search: url.search, body: rawBody });
+
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return fault(res, 401, 'AuthenticationFailed', 'Token expired');
+  }
+  if (url.searchParams.get('minorversion') !== QBO_MINOR_VERSION) {
+    return fault(res, 400, 'Missing minorversion');
+  }
+  const prefix = `/v3/company/${REALM}`;
+  if (!url.pathname.startsWith(prefix)) return fault(res, 404, 'Unknown realm');
+  const path = url.pathname.slice(prefix.length);
+
+  if (req.method === 'GET' && path === '/query') {
+    const result = runQuery(url.searchParams.get('query') || '');
+    return result ? ok(res, result) : fault(res, 400, 'QueryParserError');
+  }
+  if (req.method === 'POST' && path === '/customer') {
+    const body = JSON.parse(rawBody);
+    if (qbo.customers.some((c) => c.DisplayName === body.DisplayName)) {
+      return fault(res, 400, 'Duplicate Name Exists Error', body.DisplayName);
+    }
+    const created = { ...body, Id: String(100 + qbo.customers.length) };
+    qbo.customers.push(created);
+    return ok(res, { Customer: created });
+  }
+  if (req.method === 'POST' && path === '/invoice') {
+    if (qbo.failNextInvoiceWith) {
+      const status = qbo.failNextInvoiceWith;
+      qbo.failNextInvoiceWith = null;
+      return fault(res, status, status >= 500 ? 'Service unavailable' : 'Invalid Reference Id');
+    }
+    const body = JSON.parse(rawBody);
+    const created = { ...body, Id: String(500 + qbo.invoices.length) };
+    qbo.invoices.push(created);
+    return ok(res, { Invoice: created });
+  }
+  return fault(res, 404, 'Not found');
+}
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => handle(req, res, raw));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  resetQbo();
+});
+
+function client(token = TOKEN) {
+  return createQboClient({ realmId: REALM, accessToken: token, baseUrl });
+}
+
+function invoicePayload(overrides = {}, orgSettings = {}) {
+  return buildQboInvoicePayload({
+    invoice: {
+      id: 'inv_1',
+      invoice_number: 'TC-2026-0001',
+      billing_period_start: '2026-04-20',
+      billing_period_end: '2026-04-26',
+      ot_rate: 60,
+      ...overrides,
+    },
+    lines: [
+      { shift_id: 's1', hours_worked: 8, hour_classification: 'regular', billable_rate_applied: 40, service_date: '2026-04-21' },
+      { shift_id: 's2', hours_worked: 2, hour_classification: 'overtime', billable_rate_applied: 40, service_date: '2026-04-22' },
+    ],
+    invoiceDate: '2026-04-29',
+    orgSettings,
+  });
+}
+
+// ─── Tests ───────────────────────────────────────────────────────
+
+describe('quickbooksApi constants', () => {
+  it('targets the sandbox and production Accounting API hosts', () => {
+    expect(QBO_API_BASE_URLS.sandbox).toBe('https://sandbox-quickbooks.api.intuit.com');
+    expect(QBO_API_BASE_URLS.production).toBe('https://quickbooks.api.intuit.com');
+  });
+
+  it('escapes quotes and backslashes in query literals', () => {
+    expect(escapeQboQueryValue("O'Brien")).toBe("O\\'Brien");
+    expect(escapeQboQueryValue('a\\b')).toBe('a\\\\b');
+  });
+});
+
+describe('findOrCreateCustomer', () => {
+  it('reuses an existing customer matched by DisplayName (quotes escaped)', async () => {
+    const out = await findOrCreateCustomer(client(), { DisplayName: "Pat O'Brien" });
+    expect(out).toEqual({ id: '58', created: false });
+    expect(qbo.requests.filter((r) => r.method === 'POST')).toHaveLength(0);
+  });
+
+  it('creates the customer when no DisplayName matches', async () => {
+    const payload = buildQboCustomerPayload({ id: 'c1', first_name: 'Ada', last_name: 'Lovelace' });
+    const out = await findOrCreateCustomer(client(), payload);
+    expect(out.created).toBe(true);
+    expect(qbo.customers.at(-1)).toMatchObject({ DisplayName: 'Ada Lovelace', GivenName: 'Ada' });
+  });
+
+  it('trusts a cached customer id without calling QuickBooks', async () => {
+    const out = await findOrCreateCustomer(client(), { DisplayName: 'X' }, '77');
+    expect(out).toEqual({ id: '77', created: false });
+    expect(qbo.requests).toHaveLength(0);
+  });
+});
+
+describe('resolveItemIds', () => {
+  it('maps each distinct item name to its id', async () => {
+    const ids = await resolveItemIds(client(), ['Services', 'Caregiving OT', 'Services']);
+    expect(Array.from(ids.entries())).toEqual([['Services', '1'], ['Caregiving OT', '7']]);
+    expect(qbo.requests).toHaveLength(2);
+  });
+
+  it('fails with item_not_found instead of creating an item', async () => {
+    await expect(resolveItemIds(client(), ['Respite'])).rejects.toMatchObject({
+      name: 'QuickBooksApiError',
+      code: 'item_not_found',
+    });
+  });
+});
+
+describe('pushInvoice', () => {
+  it('creates the customer and invoice with resolved refs', async () => {
+    const out = await pushInvoice(client(), {
+      invoice: invoicePayload({}, { invoicing: { qbo_items: { overtime: 'Caregiving OT' } } }),
+      customer: buildQboCustomerPayload({ id: 'c1', first_name: 'Ada', last_name: 'Lovelace' }),
+    });
+    expect(out).toMatchObject({ customerCreated: true, invoiceCreated: true });
+    const created = qbo.invoices[0];
+    expect(created.Id).toBe(out.invoiceId);
+    expect(created.DocNumber).toBe('TC-2026-0001');
+    expect(created.CustomerRef).toEqual({ value: out.customerId });
+    expect(created.Line.map((l) => l.SalesItemLineDetail.ItemRef)).toEqual([
+      { value: '1', name: 'Services' },
+      { value: '7', name: 'Caregiving OT' },
+    ]);
+    expect(created.Line.map((l) => l.Amount)).toEqual([320, 120]);
+  });
+
+  it('is idempotent on DocNumber: a retried push does not duplicate the invoice', async () => {
+    const args = {
+      invoice: invoicePayload(),
+      customer: { DisplayName: "Pat O'Brien" },
+      knownCustomerId: '58',
+    };
+    const first = await pushInvoice(client(), args);
+    const second = await pushInvoice(client(), args);
+    expect(second).toEqual({ ...first, invoiceCreated: false });
+    expect(qbo.invoices).toHaveLength(1);
+  });
+
+  it('surfaces a 401 as auth_error with the QuickBooks fault message', async () => {
+    const err = await pushInvoice(client('stale-token'), {
+      invoice: invoicePayload(),
+      customer: { DisplayName: 'Ada Lovelace' },
+    }).catch((e) => e);
+    expect(err).toBeInstanceOf(QuickBooksApiError);
+    expect(err.code).toBe('auth_error');
+    expect(err.status).toBe(401);
+    expect(err.message).toContain('AuthenticationFailed');
+  });
+
+  it('classifies 4xx and 5xx invoice failures', async () => {
+    const args = { invoice: invoicePayload(), customer: { DisplayName: "Pat O'Brien" }, knownCustomerId: '58' };
+    qbo.failNextInvoiceWith = 400;
+    await expect(pushInvoice(client(), args)).rejects.toMatchObject({ code: 'validation_error', status: 400 });
+    qbo.failNextInvoiceWith = 503;
+    await expect(pushInvoice(client(), args)).rejects.toMatchObject({ code: 'server_error', status: 503 });
+    expect(qbo.invoices).toHaveLength(0);
+  });
+
+  it('reports network failures as network_error', async () => {
+    const dead = createQboClient({ realmId: REALM, accessToken: TOKEN, baseUrl: 'http://127.0.0.1:1' });
+    await expect(dead.query('select Id from Item where Name = \'x\''))
+      .rejects.toMatchObject({ code: 'network_error', status: null });
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RATE_CARD_SCOPE,
+  RATE_SOURCE,
+  SERVICE_TYPE,
+  findRateCard,
+  resolveBillRate,
+  resolvePayRate,
+  validateRateCard,
+} from '../rateCards.js';
+
+const clientCard = (overrides = {}) => ({
+  id: 'rc-client',
+  scope: RATE_CARD_SCOPE.CLIENT,
+  client_id: 'client_a',
+  service_type: SERVICE_TYPE.PERSONAL_CARE,
+  rate: 40,
+  ot_rate: 60,
+  effective_from: null,
+  effective_to: null,
+  ...overrides,
+});
+
+const payerCard = (overrides = {}) => ({
+  id: 'rc-payer',
+  scope: RATE_CARD_SCOPE.PAYER,
+  payer_type: 'medicaid',
+  service_type: SERVICE_TYPE.LIVE_IN,
+  rate: 30,
+  ot_rate: null,
+  effective_from: null,
+  effective_to: null,
+  ...overrides,
+});
+
+const caregiverCard = (overrides = {}) => ({
+  id: 'rc-cg',
+  scope: RATE_CARD_SCOPE.CAREGIVER,
+  caregiver_id: 'cg_1',
+  service_type: SERVICE_TYPE.COMPANION,
+  rate: 22,
+  effective_from: null,
+  effective_to: null,
+  ...overrides,
+});
+
+const CLIENT = {
+  id: 'client_a',
+  payer_type: 'medicaid',
+  default_billable_rate: 35,
+  default_billable_ot_rate: 52.5,
+};
+
+describe('findRateCard', () => {
+  it('prefers the exact service type over the catch-all', () => {
+    const catchAll = clientCard({ id: 'any', service_type: null, rate: 38 });
+    const exact = clientCard({ id: 'exact' });
+    const card = findRateCard({
+      rateCards: [catchAll, exact],
+      scope: RATE_CARD_SCOPE.CLIENT,
+      targetId: 'client_a',
+      serviceType: SERVICE_TYPE.PERSONAL_CARE,
+      date: '2026-06-01',
+    });
+    expect(card.id).toBe('exact');
+  });
+
+  it('falls back to the catch-all for an unlisted service type', () => {
+    const catchAll = clientCard({ id: 'any', service_type: null });
+    const card = findRateCard({
+      rateCards: [clientCard(), catchAll],
+      scope: RATE_CARD_SCOPE.CLIENT,
+      targetId: 'client_a',
+      serviceType: SERVICE_TYPE.COMPANION,
+      date: '2026-06-01',
+    });
+    expect(card.id).toBe('any');
+  });
+
+  it('honors inclusive effective dates and picks the latest start', () => {
+    const old = clientCard({ id: 'old', effective_to: '2026-05-31' });
+    const current = clientCard({ id: 'current', effective_from: '2026-06-01' });
+    const args = {
+      rateCards: [old, current],
+      scope: RATE_CARD_SCOPE.CLIENT,
+      targetId: 'client_a',
+      serviceType: SERVICE_TYPE.PERSONAL_CARE,
+    };
+    expect(findRateCard({ ...args, date: '2026-05-31' }).id).toBe('old');
+    expect(findRateCard({ ...args, date: '2026-06-01' }).id).toBe('current');
+
+    const overlapping = clientCard({ id: 'newer', effective_from: '2026-06-15' });
+    expect(findRateCard({
+      ...args,
+      rateCards: [current, overlapping],
+      date: '2026-06-20',
+    }).id).toBe('newer');
+  });
+
+  it('ignores other targets and scopes', () => {
+    expect(findRateCard({
+      rateCards: [clientCard({ client_id: 'client_b' }), caregiverCard()],
+      scope: RATE_CARD_SCOPE.CLIENT,
+      targetId: 'client_a',
+      serviceType: SERVICE_TYPE.PERSONAL_CARE,
+      date: '2026-06-01',
+    })).toBeNull();
+  });
+});
+
+describe('resolveBillRate', () => {
+  it('keeps a per-shift rate as the override but reports the card OT rate', () => {
+    const r = resolveBillRate({
+      rateCards: [clientCard()],
+      client: CLIENT,
+      serviceType: SERVICE_TYPE.PERSONAL_CARE,
+      date: '2026-06-01',
+      shiftRate: 45,
+    });
+    expect(r).toMatchObject({ rate: 45, otRate: 60, source: RATE_SOURCE.SHIFT, missingServiceRate: false });
+  });
+
+  it('walks client card → payer card → client default', () => {
+    const cards = [clientCard(), payerCard()];
+    expect(resolveBillRate({
+      rateCards: cards, client: CLIENT, serviceType: SERVICE_TYPE.PERSONAL_CARE, date: '2026-06-01',
+    })).toMatchObject({ rate: 40, source: RATE_SOURCE.CLIENT_CARD });
+    expect(resolveBillRate({
+      rateCards: cards, client: CLIENT, serviceType: SERVICE_TYPE.LIVE_IN, date: '2026-06-01',
+    })).toMatchObject({ rate: 30, otRate: null, source: RATE_SOURCE.PAYER_CARD });
+    expect(resolveBillRate({
+      rateCards: cards, client: CLIENT, serviceType: SERVICE_TYPE.COMPANION, date: '2026-06-01',
+    })).toMatchObject({
+      rate: 35, otRate: 52.5, source: RATE_SOURCE.CLIENT_DEFAULT, missingServiceRate: true,
+    });
+  });
+
+  it('does not flag a missing service rate for clients off rate cards', () => {
+    const r = resolveBillRate({
+      rateCards: [], client: CLIENT, serviceType: SERVICE_TYPE.LIVE_IN, date: '2026-06-01',
+    });
+    expect(r).toMatchObject({ rate: 35, source: RATE_SOURCE.CLIENT_DEFAULT, missingServiceRate: false });
+  });
+
+  it('returns source null when nothing matches', () => {
+    const r = resolveBillRate({
+      rateCards: [], client: { id: 'client_a' }, serviceType: null, date: '2026-06-01',
+    });
+    expect(r).toEqual({ rate: 0, otRate: null, source: null, card: null, missingServiceRate: false });
+  });
+});
+
+describe('resolvePayRate', () => {
+  const caregiver = { id: 'cg_1', default_pay_rate: 20 };
+
+  it('walks shift → caregiver card → caregiver default', () => {
+    const cards = [caregiverCard()];
+    expect(resolvePayRate({
+      rateCards: cards, caregiver, serviceType: SERVICE_TYPE.COMPANION, date: '2026-06-01', shiftRate: 25,
+    })).toMatchObject({ rate: 25, source: RATE_SOURCE.SHIFT });
+    expect(resolvePayRate({
+      rateCards: cards, caregiver, serviceType: SERVICE_TYPE.COMPANION, date: '2026-06-01',
+    })).toMatchObject({ rate: 22, source: RATE_SOURCE.CAREGIVER_CARD });
+    expect(resolvePayRate({
+      rateCards: cards, caregiver, serviceType: SERVICE_TYPE.LIVE_IN, date: '2026-06-01',
+    })).toMatchObject({ rate: 20, source: RATE_SOURCE.CAREGIVER_DEFAULT, missingServiceRate: true });
+  });
+
+  it('returns a null rate when the caregiver has neither card nor default', () => {
+    expect(resolvePayRate({
+      rateCards: [], caregiver: { id: 'cg_2' }, serviceType: null, date: '2026-06-01',
+    })).toEqual({ rate: null, source: null, card: null, missingServiceRate: false });
+  });
+});
+
+describe('validateRateCard', () => {
+  it('accepts well-formed cards for every scope', () => {
+    expect(validateRateCard(clientCard())).toBeNull();
+    expect(validateRateCard(payerCard({ effective_from: '2026-06-01' }))).toBeNull();
+    expect(validateRateCard(caregiverCard({ service_type: null }))).toBeNull();
+  });
+
+  it('requires exactly the target that matches the scope', () => {
+    expect(validateRateCard(clientCard({ client_id: null }))).toMatch(/Pick a client/);
+    expect(validateRateCard(payerCard({ payer_type: '' }))).toMatch(/payer type/);
+    expect(validateRateCard(clientCard({ caregiver_id: 'cg_1' }))).toMatch(/caregiver_id/);
+  });
+
+  it('rejects OT rates on pay cards and bad rates / dates', () => {
+    expect(validateRateCard(caregiverCard({ ot_rate: 33 }))).toMatch(/no OT rate/);
+    expect(validateRateCard(clientCard({ rate: 0 }))).toMatch(/greater than 0/);
+    expect(validateRateCard(clientCard({ service_type: 'respite' }))).toMatch(/Unknown service type/);
+    expect(validateRateCard(clientCard({
+      effective_from: '2026-06-10', effective_to: '2026-06-01',
+    }))).toMatch(/before/);
+  });
+});
@@ -0,0 +1,92 @@
+// Structural assertions on migration 20260609000000_rate_cards.
+//
+// Locks in: shifts.service_type and rate_cards.service_type accepting
+// exactly the service types src/lib/rateCards.js knows, the one-target-
+// per-scope CHECK, the tenant-isolation prime directives plus the
+// admin/owner gate, the shift trigger consulting the cards before the
+// flat defaults, and a rollback that restores the 20260526 trigger.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { RATE_CARD_SCOPE, SERVICE_TYPE } from '../rateCards.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260609000000_rate_cards.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260609000000_rate_cards_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+function listedValues(re) {
+  const m = re.exec(sql);
+  expect(m).not.toBeNull();
+  return m[1].match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort();
+}
+
+describe('rate_cards migration', () => {
+  it('adds a nullable shifts.service_type limited to the known service types', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.shifts\s+ADD COLUMN IF NOT EXISTS service_type text/);
+    const listed = listedValues(/ADD COLUMN IF NOT EXISTS service_type text\s+CHECK \(service_type IN \(([^)]*)\)\)/);
+    expect(listed).toEqual(Object.values(SERVICE_TYPE).sort());
+  });
+
+  describe('rate_cards', () => {
+    it('has a defaulted org_id and the scopes the resolver knows', () => {
+      expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.rate_cards/);
+      expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+      expect(sql).toMatch(/idx_rate_cards_org_id/);
+      const scopes = listedValues(/scope\s+text NOT NULL CHECK \(scope IN \(([^)]*)\)\)/);
+      expect(scopes).toEqual(Object.values(RATE_CARD_SCOPE).sort());
+      const services = listedValues(/service_type\s+text CHECK \(service_type IN \(([^)]*)\)\)/);
+      expect(services).toEqual(Object.values(SERVICE_TYPE).sort());
+    });
+
+    it('requires exactly one target per scope and no OT rate on pay cards', () => {
+      expect(sql).toMatch(/CONSTRAINT rate_cards_scope_target CHECK/);
+      expect(sql).toMatch(/scope = 'caregiver' AND caregiver_id IS NOT NULL\s+AND client_id IS NULL AND payer_type IS NULL AND ot_rate IS NULL/);
+      expect(sql).toMatch(/rate\s+numeric\(10,2\) NOT NULL CHECK \(rate > 0\)/);
+      expect(sql).toMatch(/effective_to >= effective_from/);
+    });
+
+    it('enables RLS with tenant, service-role, and admin-only policies', () => {
+      expect(sql).toMatch(/ALTER TABLE public\.rate_cards ENABLE ROW LEVEL SECURITY/);
+      for (const cmd of ['select', 'insert', 'update', 'delete']) {
+        expect(sql).toContain(`tenant_isolation_rate_cards_${cmd}`);
+      }
+      expect(sql).toContain('service_role_full_access_rate_cards');
+      expect(sql).toMatch(/CREATE POLICY restrict_rate_cards_to_admins[\s\S]*AS RESTRICTIVE[\s\S]*USING \(public\.is_admin\(\)\)/);
+      expect(sql).not.toMatch(/role = 'admin'/);
+    });
+  });
+
+  describe('shift auto-fill trigger', () => {
+    it('reads the cards before falling back to the flat defaults', () => {
+      const fn = sql.slice(sql.indexOf('CREATE OR REPLACE FUNCTION public.auto_fill_shift_rates_from_defaults'));
+      expect(fn).toMatch(/SECURITY DEFINER/);
+      expect(fn.indexOf("rc.scope = 'caregiver'")).toBeLessThan(fn.indexOf('c.default_pay_rate'));
+      expect(fn.indexOf("rc.scope = 'payer'")).toBeLessThan(fn.indexOf('COALESCE(v_client_rate, v_client.default_billable_rate)'));
+      // Exact service type beats the catch-all; client beats payer.
+      expect(fn).toMatch(/ORDER BY \(rc\.scope <> 'client'\),\s+\(rc\.service_type IS NULL\)/);
+    });
+
+    it('re-fires when service_type changes', () => {
+      expect(sql).toMatch(/UPDATE OF assigned_caregiver_id, client_id, hourly_rate, billable_rate, service_type/);
+    });
+  });
+
+  it('rollback restores the flat-default trigger before dropping the column', () => {
+    expect(rollbackSql).not.toMatch(/rate_cards rc/);
+    const triggerIdx = rollbackSql.indexOf('UPDATE OF assigned_caregiver_id, client_id, hourly_rate, billable_rate\n');
+    const dropColIdx = rollbackSql.indexOf('DROP COLUMN IF EXISTS service_type');
+    expect(triggerIdx).toBeGreaterThan(-1);
+    expect(dropColIdx).toBeGreaterThan(triggerIdx);
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.rate_cards/);
+  });
+});
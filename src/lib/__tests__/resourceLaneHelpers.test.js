@@ -12,6 +12,7 @@ import {
   assignLanes,
   buildResourceRows,
   buildHourTicks,
+  findTravelShortfalls,
 } from '../../features/scheduling/resourceLaneHelpers';
 import {
   DEFAULT_APP_TIMEZONE,
@@ -359,3 +360,46 @@ describe('computeDisplayBand', () => {
     expect(band.endHour).toBeGreaterThanOrEqual(DEFAULT_DAY_END_HOUR);
   });
 });
+
+// ─── findTravelShortfalls ──────────────────────────────────────
+
+describe('findTravelShortfalls', () => {
+  const clientLocations = {
+    cl1: { lat: 34.0, lng: -118.0 },
+    cl2: { lat: 34.1, lng: -118.0 }, // ~22 min drive from cl1
+  };
+
+  it('flags the later shift when the gap is shorter than the drive', () => {
+    const first = shift({ id: 'a', clientId: 'cl1', startTime: '2026-06-01T16:00:00Z', endTime: '2026-06-01T20:00:00Z' });
+    const second = shift({ id: 'b', clientId: 'cl2', startTime: '2026-06-01T20:10:00Z', endTime: '2026-06-01T22:00:00Z' });
+    const out = findTravelShortfalls([second, first], { clientLocations });
+    expect([...out.keys()]).toEqual(['b']);
+    expect(out.get('b').travelMinutes).toBe(22);
+    expect(out.get('b').gapMinutes).toBe(10);
+  });
+
+  it('leaves a long enough gap alone', () => {
+    const out = findTravelShortfalls([
+      shift({ id: 'a', clientId: 'cl1', startTime: '2026-06-01T16:00:00Z', endTime: '2026-06-01T20:00:00Z' }),
+      shift({ id: 'b', clientId: 'cl2', startTime: '2026-06-01T20:30:00Z', endTime: '2026-06-01T22:00:00Z' }),
+    ], { clientLocations });
+    expect(out.size).toBe(0);
+  });
+
+  it('only compares shifts of the same caregiver', () => {
+    const out = findTravelShortfalls([
+      shift({ id: 'a', clientId: 'cl1', assignedCaregiverId: 'cg1' }),
+      shift({ id: 'b', clientId: 'cl2', assignedCaregiverId: 'cg2', startTime: '2026-06-01T20:05:00Z', endTime: '2026-06-01T22:00:00Z' }),
+    ], { clientLocations });
+    expect(out.size).toBe(0);
+  });
+
+  it('ignores cancelled and unassigned shifts', () => {
+    const out = findTravelShortfalls([
+      shift({ id: 'a', clientId: 'cl1' }),
+      shift({ id: 'b', clientId: 'cl2', status: 'cancelled', startTime: '2026-06-01T20:05:00Z', endTime: '2026-06-01T22:00:00Z' }),
+      shift({ id: 'c', clientId: 'cl2', assignedCaregiverId: null, startTime: '2026-06-01T20:05:00Z', endTime: '2026-06-01T22:00:00Z' }),
+    ], { clientLocations });
+    expect(out.size).toBe(0);
+  });
+});
@@ -67,6 +67,8 @@ describe('findRuleConflicts', () => {
       caregiver_id: o.caregiver_id ?? 'cg-maria',
       effective_from: o.effective_from ?? '2026-01-01',
       effective_to: o.effective_to ?? null,
+      rotation_weeks: o.rotation_weeks ?? 1,
+      rotation_anchor: o.rotation_anchor ?? null,
       pattern_start_clock: o.pattern_start_clock ?? '18:00',
       pattern_end_clock: o.pattern_end_clock ?? '22:00',
     };
@@ -118,6 +120,20 @@ describe('findRuleConflicts', () => {
     ).toEqual([]);
   });
 
+  it('ignores a rotating rule on the opposite weeks of a rotating proposal', () => {
+    const weekA = { ...proposed, rotationWeeks: 2, rotationAnchor: '2026-05-10' };
+    const weekB = ruleWithPattern({ rotation_weeks: 2, rotation_anchor: '2026-05-17' });
+    expect(findRuleConflicts(weekA, [weekB])).toEqual([]);
+    const alsoWeekA = ruleWithPattern({ rotation_weeks: 2, rotation_anchor: '2026-04-26' });
+    expect(findRuleConflicts(weekA, [alsoWeekA])).toEqual([alsoWeekA]);
+  });
+
+  it('flags a weekly rule against a rotating proposal', () => {
+    const weekA = { ...proposed, rotationWeeks: 2, rotationAnchor: '2026-05-10' };
+    const existing = ruleWithPattern();
+    expect(findRuleConflicts(weekA, [existing])).toEqual([existing]);
+  });
+
   it('returns [] for malformed proposed times', () => {
     expect(
       findRuleConflicts(
@@ -175,6 +191,13 @@ describe('findShiftConflicts', () => {
     ).toEqual([]);
   });
 
+  it('ignores shifts in the off weeks of a rotating proposal', () => {
+    const weekA = { ...proposed, rotationWeeks: 2, rotationAnchor: '2026-05-10' };
+    const onWeek = shift();
+    const offWeek = shift({ id: 's2', start_time: '2026-05-21T18:00:00Z', end_time: '2026-05-21T22:00:00Z' });
+    expect(findShiftConflicts(weekA, [onWeek, offWeek])).toEqual([onWeek]);
+  });
+
   it('ignores shifts that do not overlap the clock window', () => {
     expect(
       findShiftConflicts(proposed, [
@@ -1,9 +1,16 @@
 import { describe, it, expect } from 'vitest';
 import {
   detectConflicts,
+  detectConflictDetails,
   hasConflict,
   rangesOverlap,
+  estimateTravel,
+  resolveTravelModel,
+  buildClientLocations,
+  formatConflictDetail,
+  isBlockingShiftStatus,
   DEFAULT_TRAVEL_BUFFER_MINUTES,
+  DEFAULT_TRAVEL_MODEL,
 } from '../scheduling/conflictDetection';
 
 // Helper: build an ISO time from a reference date + hour
@@ -432,3 +439,154 @@ describe('DEFAULT_TRAVEL_BUFFER_MINUTES', () => {
     expect(DEFAULT_TRAVEL_BUFFER_MINUTES).toBe(30);
   });
 });
+
+// ─── Distance-aware travel buffers ─────────────────────────────
+
+// 0.1° of latitude ≈ 6.9 mi straight line ≈ 9 road miles → 22 min at 25 mph.
+const HOME = { lat: 34.0, lng: -118.0 };
+const ACROSS_TOWN = { lat: 34.1, lng: -118.0 };
+const NEXT_DOOR = { lat: 34.001, lng: -118.0 };
+const OUT_OF_TOWN = { lat: 35.0, lng: -118.0 };
+
+describe('estimateTravel', () => {
+  it('converts distance to minutes at the model speed', () => {
+    const est = estimateTravel(HOME, ACROSS_TOWN);
+    expect(est.meters).toBeGreaterThan(11000);
+    expect(est.meters).toBeLessThan(11200);
+    expect(est.minutes).toBe(22);
+  });
+
+  it('clamps to the minimum for short hops', () => {
+    expect(estimateTravel(HOME, NEXT_DOOR).minutes).toBe(DEFAULT_TRAVEL_MODEL.minMinutes);
+  });
+
+  it('clamps to the maximum for long drives', () => {
+    expect(estimateTravel(HOME, OUT_OF_TOWN).minutes).toBe(DEFAULT_TRAVEL_MODEL.maxMinutes);
+  });
+
+  it('uses the supplied model', () => {
+    const est = estimateTravel(HOME, ACROSS_TOWN, { speedMph: 45, minMinutes: 0, maxMinutes: 120 });
+    expect(est.minutes).toBe(12);
+  });
+
+  it('returns null when either location is missing', () => {
+    expect(estimateTravel(HOME, null)).toBeNull();
+    expect(estimateTravel(undefined, HOME)).toBeNull();
+  });
+});
+
+describe('resolveTravelModel', () => {
+  it('falls back to the defaults', () => {
+    expect(resolveTravelModel(null)).toEqual(DEFAULT_TRAVEL_MODEL);
+    expect(resolveTravelModel({ scheduling: {} })).toEqual(DEFAULT_TRAVEL_MODEL);
+  });
+
+  it('reads the org scheduling section', () => {
+    expect(resolveTravelModel({
+      scheduling: { travel_speed_mph: 35, travel_min_minutes: 10, travel_max_minutes: 60 },
+    })).toEqual({ speedMph: 35, minMinutes: 10, maxMinutes: 60 });
+  });
+
+  it('ignores invalid values and keeps max at or above min', () => {
+    expect(resolveTravelModel({
+      scheduling: { travel_speed_mph: 0, travel_min_minutes: 45, travel_max_minutes: 20 },
+    })).toEqual({ speedMph: 25, minMinutes: 45, maxMinutes: 45 });
+  });
+});
+
+describe('buildClientLocations', () => {
+  it('keys geocoded clients by id and skips the rest', () => {
+    expect(buildClientLocations([
+      { id: 'a', latitude: 34, longitude: -118 },
+      { id: 'b', latitude: null, longitude: null },
+      { id: 'c', latitude: '34.5', longitude: '-118.5' },
+      null,
+    ])).toEqual({
+      a: { lat: 34, lng: -118 },
+      c: { lat: 34.5, lng: -118.5 },
+    });
+  });
+
+  it('handles missing input', () => {
+    expect(buildClientLocations(undefined)).toEqual({});
+  });
+});
+
+describe('detectConflictDetails — distance-aware travel', () => {
+  const clientLocations = { home: HOME, across: ACROSS_TOWN, near: NEXT_DOOR };
+  const existing = mkShift({ id: 'E', client_id: 'home', start_time: t(8), end_time: t(12) });
+
+  it('flags a gap shorter than the estimated drive, with the estimate', () => {
+    const proposed = mkShift({ client_id: 'across', start_time: t(12, 15), end_time: t(16) });
+    const [detail] = detectConflictDetails(proposed, [existing], { clientLocations });
+    expect(detail.type).toBe('travel');
+    expect(detail.gapMinutes).toBe(15);
+    expect(detail.travelMinutes).toBe(22);
+    expect(detail.distanceMeters).toBeGreaterThan(11000);
+  });
+
+  it('allows a gap that covers the estimated drive even if under the flat 30', () => {
+    const proposed = mkShift({ client_id: 'across', start_time: t(12, 25), end_time: t(16) });
+    expect(detectConflictDetails(proposed, [existing], { clientLocations })).toEqual([]);
+    // Without locations the flat 30-minute buffer still applies.
+    expect(detectConflicts(proposed, [existing])).toHaveLength(1);
+  });
+
+  it('uses the minimum for nearby clients', () => {
+    const proposed = mkShift({ client_id: 'near', start_time: t(12, 15), end_time: t(16) });
+    expect(detectConflictDetails(proposed, [existing], { clientLocations })).toEqual([]);
+  });
+
+  it('falls back to the flat buffer when a client is not geocoded', () => {
+    const proposed = mkShift({ client_id: 'unknown', start_time: t(12, 20), end_time: t(16) });
+    const [detail] = detectConflictDetails(proposed, [existing], { clientLocations });
+    expect(detail.type).toBe('travel');
+    expect(detail.travelMinutes).toBe(30);
+    expect(detail.distanceMeters).toBeNull();
+  });
+
+  it('measures the gap on the before side too', () => {
+    const proposed = mkShift({ client_id: 'across', start_time: t(4), end_time: t(7, 50) });
+    const [detail] = detectConflictDetails(proposed, [existing], { clientLocations });
+    expect(detail.gapMinutes).toBe(10);
+  });
+
+  it('reports real overlaps as overlap', () => {
+    const proposed = mkShift({ client_id: 'across', start_time: t(10), end_time: t(14) });
+    const [detail] = detectConflictDetails(proposed, [existing], { clientLocations });
+    expect(detail.type).toBe('overlap');
+  });
+
+  it('needs no travel time for the same client', () => {
+    const proposed = mkShift({ client_id: 'home', start_time: t(12), end_time: t(16) });
+    expect(detectConflictDetails(proposed, [existing], { clientLocations })).toEqual([]);
+  });
+});
+
+describe('formatConflictDetail', () => {
+  it('describes a distance-based shortfall', () => {
+    expect(formatConflictDetail({
+      type: 'travel', gapMinutes: 15, travelMinutes: 22, distanceMeters: 11120,
+    })).toBe('Insufficient travel time: ~22 min drive (6.9 mi), only 15 min between shifts');
+  });
+
+  it('describes a flat-buffer shortfall', () => {
+    expect(formatConflictDetail({
+      type: 'travel', gapMinutes: 20, travelMinutes: 30, distanceMeters: null,
+    })).toBe('Insufficient travel time: 30 min buffer needed, only 20 min between shifts');
+  });
+
+  it('describes an overlap', () => {
+    expect(formatConflictDetail({ type: 'overlap' })).toBe('Overlaps another shift');
+    expect(formatConflictDetail(null)).toBe('');
+  });
+});
+
+describe('isBlockingShiftStatus', () => {
+  it('matches the statuses that occupy the caregiver', () => {
+    expect(isBlockingShiftStatus('assigned')).toBe(true);
+    expect(isBlockingShiftStatus('in_progress')).toBe(true);
+    expect(isBlockingShiftStatus('cancelled')).toBe(false);
+    expect(isBlockingShiftStatus('open')).toBe(false);
+  });
+});
@@ -4,6 +4,7 @@ import {
   splitRankedList,
   filterRankedBySearch,
   formatEligibleReason,
+  formatMatchTitle,
   weekBoundsContaining,
   sumHoursInWindow,
   roleTierLabel,
@@ -431,6 +432,52 @@ describe('rankCaregiversForShift — sort order', () => {
     expect(result.map((r) => r.caregiver.id)).toEqual(['a', 'z']);
   });
 
+  it('within a tier, ranks a worse attendance record below fewer hours', () => {
+    const result = rankCaregiversForShift({
+      proposed,
+      caregivers: [caregiver('late', 'Lena'), caregiver('noshow', 'Nora'), caregiver('clean', 'Cleo')],
+      availabilityByCaregiverId: {
+        late: [recurringAvail(1, '00:00', '23:59')],
+        noshow: [recurringAvail(1, '00:00', '23:59')],
+        clean: [recurringAvail(1, '00:00', '23:59')],
+      },
+      shiftsByCaregiverId: {
+        clean: [
+          { startTime: isoAt(TUESDAY, 8), endTime: isoAt(TUESDAY, 18), status: 'confirmed' },
+        ], // 10 hrs, but a clean record
+      },
+      attendanceByCaregiverId: {
+        late: { lateCount: 2, noShowCount: 0, lastIncidentAt: null },
+        noshow: { lateCount: 0, noShowCount: 1, lastIncidentAt: null },
+      },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result.map((r) => r.caregiver.id)).toEqual(['clean', 'late', 'noshow']);
+    expect(result[2].attendancePenalty).toBe(3);
+    expect(result[0].attendance).toBeNull();
+  });
+
+  it('attendance never outranks role tier', () => {
+    const result = rankCaregiversForShift({
+      proposed,
+      caregivers: [caregiver('p', 'Pat'), caregiver('n', 'Ned')],
+      availabilityByCaregiverId: {
+        p: [recurringAvail(1, '00:00', '23:59')],
+        n: [recurringAvail(1, '00:00', '23:59')],
+      },
+      assignmentsByCaregiverId: {
+        p: [{ clientId: 'client-x', role: 'primary', status: 'active' }],
+      },
+      attendanceByCaregiverId: {
+        p: { lateCount: 3, noShowCount: 2, lastIncidentAt: null },
+      },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result.map((r) => r.caregiver.id)).toEqual(['p', 'n']);
+  });
+
   it('ignores assignments for other clients', () => {
     const result = rankCaregiversForShift({
       proposed,
@@ -460,6 +507,138 @@ describe('rankCaregiversForShift — sort order', () => {
   });
 });
 
+describe('rankCaregiversForShift — distance-aware travel', () => {
+  it('explains a travel shortfall with the estimate', () => {
+    const result = rankCaregiversForShift({
+      proposed: {
+        clientId: 'client-x',
+        startTime: isoAt(MONDAY, 12, 15),
+        endTime: isoAt(MONDAY, 16),
+      },
+      caregivers: [caregiver('a', 'Alpha')],
+      availabilityByCaregiverId: { a: [recurringAvail(1, '00:00', '23:59')] },
+      shiftsByCaregiverId: {
+        a: [{
+          id: 's1',
+          clientId: 'client-y',
+          startTime: isoAt(MONDAY, 8),
+          endTime: isoAt(MONDAY, 12),
+          status: 'confirmed',
+        }],
+      },
+      clientLocations: {
+        'client-x': { lat: 34.1, lng: -118.0 },
+        'client-y': { lat: 34.0, lng: -118.0 },
+      },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result[0].filterReason).toBe('conflict');
+    expect(result[0].filterDetail).toBe(
+      'Insufficient travel time: ~22 min drive (6.9 mi), only 15 min between shifts',
+    );
+    expect(result[0].conflictDetails[0].travelMinutes).toBe(22);
+  });
+});
+
+// ─── Match criteria ───────────────────────────────────────────
+
+describe('rankCaregiversForShift — care plan match criteria', () => {
+  const proposed = {
+    clientId: 'client-x',
+    startTime: isoAt(MONDAY, 8),
+    endTime: isoAt(MONDAY, 12),
+  };
+  const allDay = [recurringAvail(1, '00:00', '23:59')];
+
+  it('filters out caregivers missing a Required item, with the reason', () => {
+    const result = rankCaregiversForShift({
+      proposed,
+      caregivers: [
+        { ...caregiver('a', 'Alpha'), certifications: 'CPR' },
+        { ...caregiver('b', 'Beta'), certifications: 'CNA, CPR' },
+      ],
+      availabilityByCaregiverId: { a: allDay, b: allDay },
+      matchCriteria: { match_cert_cna: { flag: 'R' } },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result.map((r) => r.caregiver.id)).toEqual(['b', 'a']);
+    expect(result[1].eligible).toBe(false);
+    expect(result[1].filterReason).toBe('match_required');
+    expect(result[1].filterDetail).toBe('Missing required: CNA license');
+    expect(result[1].unmetRequirements).toEqual(['CNA license']);
+  });
+
+  it('reports the unmet requirement ahead of an availability problem', () => {
+    const result = rankCaregiversForShift({
+      proposed,
+      caregivers: [caregiver('a', 'Alpha')],
+      availabilityByCaregiverId: {},
+      matchCriteria: { match_vehicleRequired: true },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result[0].filterReason).toBe('match_required');
+  });
+
+  it('ranks more Preferred matches first within a role tier, ahead of hours', () => {
+    const result = rankCaregiversForShift({
+      proposed,
+      caregivers: [
+        caregiver('idle', 'Idle'),
+        { ...caregiver('skilled', 'Skilled'), specializations: 'Dementia, hospice' },
+      ],
+      availabilityByCaregiverId: { idle: allDay, skilled: allDay },
+      shiftsByCaregiverId: {
+        skilled: [{ startTime: isoAt(TUESDAY, 8), endTime: isoAt(TUESDAY, 16), status: 'confirmed' }],
+      },
+      matchCriteria: {
+        match_exp_dementia: { flag: 'P' },
+        match_exp_hospice: { flag: 'P' },
+      },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result.map((r) => r.caregiver.id)).toEqual(['skilled', 'idle']);
+    expect(result[0].matchScore).toBe(2);
+    expect(result[0].matchPossible).toBe(2);
+    expect(result[1].matchScore).toBe(0);
+  });
+
+  it('keeps role tier ahead of match score', () => {
+    const result = rankCaregiversForShift({
+      proposed,
+      caregivers: [
+        { ...caregiver('skilled', 'Skilled'), specializations: 'Dementia' },
+        caregiver('primary', 'Primary'),
+      ],
+      availabilityByCaregiverId: { skilled: allDay, primary: allDay },
+      assignmentsByCaregiverId: {
+        primary: [{ clientId: 'client-x', role: 'primary', status: 'active' }],
+      },
+      matchCriteria: { match_exp_dementia: { flag: 'P' } },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result.map((r) => r.caregiver.id)).toEqual(['primary', 'skilled']);
+  });
+
+  it('scores nothing when the client has no published criteria', () => {
+    const result = rankCaregiversForShift({
+      proposed,
+      caregivers: [caregiver('a', 'Alpha')],
+      availabilityByCaregiverId: { a: allDay },
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+    });
+    expect(result[0].eligible).toBe(true);
+    expect(result[0].matchScore).toBe(0);
+    expect(result[0].matchPossible).toBe(0);
+    expect(result[0].unmetRequirements).toEqual([]);
+  });
+});
+
 // ─── splitRankedList ──────────────────────────────────────────
 
 describe('splitRankedList', () => {
@@ -516,6 +695,59 @@ describe('formatEligibleReason', () => {
     });
     expect(text).toContain('3.8');
   });
+
+  it('shows the match score only when the client has Preferred criteria', () => {
+    expect(formatEligibleReason({
+      roleLabel: 'Primary',
+      hoursThisWeek: 12,
+      matchScore: 2,
+      matchPossible: 3,
+    })).toBe('Primary · 2/3 preferred · 12 hrs this week');
+    expect(formatEligibleReason({
+      roleLabel: 'Primary',
+      hoursThisWeek: 12,
+      matchScore: 0,
+      matchPossible: 0,
+    })).toBe('Primary · 12 hrs this week');
+  });
+
+  it('appends the attendance record only when there is one', () => {
+    expect(formatEligibleReason({
+      roleLabel: 'Primary',
+      hoursThisWeek: 12,
+      attendance: { lateCount: 0, noShowCount: 1 },
+    })).toBe('Primary · 12 hrs this week · 1 no-show');
+    expect(formatEligibleReason({
+      roleLabel: 'Primary',
+      hoursThisWeek: 12,
+      attendance: { lateCount: 0, noShowCount: 0 },
+    })).toBe('Primary · 12 hrs this week');
+  });
+});
+
+// ─── formatMatchTitle ─────────────────────────────────────────
+
+describe('formatMatchTitle', () => {
+  it('lists the Preferred criteria met', () => {
+    expect(formatMatchTitle({
+      matchPossible: 2,
+      matchedPreferences: ['Dementia experience'],
+      unmetRequirements: [],
+    })).toBe('Preferred met: Dementia experience');
+  });
+
+  it('lists missing requirements for filtered caregivers', () => {
+    expect(formatMatchTitle({
+      matchPossible: 0,
+      matchedPreferences: [],
+      unmetRequirements: ['CNA license', 'Speaks Spanish'],
+    })).toBe('Missing required: CNA license, Speaks Spanish');
+  });
+
+  it('returns undefined when there are no criteria', () => {
+    expect(formatMatchTitle({ matchPossible: 0, unmetRequirements: [] })).toBeUndefined();
+    expect(formatMatchTitle(null)).toBeUndefined();
+  });
 });
 
 // ─── filterRankedBySearch ───────────────────────────────────────
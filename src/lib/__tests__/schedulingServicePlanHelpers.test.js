@@ -4,6 +4,7 @@ import {
   statusColors,
   formatDateShort,
   summarizeServicePlan,
+  describeLiveInPlan,
   sortServicePlans,
   validateServicePlanDraft,
 } from '../../features/scheduling/servicePlanHelpers';
@@ -222,4 +223,48 @@ describe('validateServicePlanDraft', () => {
   it('treats empty-string hoursPerWeek as not set (valid)', () => {
     expect(validateServicePlanDraft({ title: 'X', hoursPerWeek: '' })).toBeNull();
   });
+
+  it('validates live-in settings only on live-in plans', () => {
+    const draft = { title: 'X', sleepHoursPerDay: 20, mealHoursPerDay: 6, dailyPayRate: 0 };
+    expect(validateServicePlanDraft(draft)).toBeNull();
+    expect(validateServicePlanDraft({ ...draft, liveIn: true })).toMatch(/paid hours/);
+    expect(
+      validateServicePlanDraft({ ...draft, liveIn: true, sleepHoursPerDay: 8, mealHoursPerDay: 3 }),
+    ).toMatch(/daily pay rate/i);
+    expect(
+      validateServicePlanDraft({
+        title: 'X',
+        liveIn: true,
+        sleepHoursPerDay: '8',
+        mealHoursPerDay: '',
+        dailyPayRate: '240',
+      }),
+    ).toBeNull();
+  });
+});
+
+// ─── describeLiveInPlan ──────────────────────────────────────────
+
+describe('describeLiveInPlan', () => {
+  it('summarizes the live-in settings', () => {
+    expect(
+      describeLiveInPlan({
+        liveIn: true,
+        sleepHoursPerDay: 8,
+        mealHoursPerDay: 3,
+        dailyPayRate: 240,
+        dailyBillRate: 380,
+      }),
+    ).toBe('Live-in · 8h sleep + 3h meals/day · $240/day pay · $380/day bill');
+  });
+
+  it('leaves out unset parts', () => {
+    expect(describeLiveInPlan({ liveIn: true, sleepHoursPerDay: 8 })).toBe('Live-in · 8h sleep/day');
+    expect(describeLiveInPlan({ liveIn: true })).toBe('Live-in');
+  });
+
+  it('is null for plans that are not live-in', () => {
+    expect(describeLiveInPlan({ liveIn: false, dailyPayRate: 240 })).toBeNull();
+    expect(describeLiveInPlan(null)).toBeNull();
+  });
 });
@@ -0,0 +1,43 @@
+// Structural assertions on the org-settings-update edge function's
+// `scheduling` section validator (travel buffers, no-show alerts).
+//
+// Locks in that the section is registered with the travel-model keys
+// that TravelBufferSettings saves and resolveTravelModel reads, and the
+// detection keys NoShowSettings saves and resolveNoShowSettings reads —
+// a dropped key would make the Settings card's save fail.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const EDGE_FN_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/functions/org-settings-update/index.ts',
+);
+
+describe('org-settings-update: scheduling section validator', () => {
+  const source = readFileSync(EDGE_FN_PATH, 'utf-8');
+
+  it('registers scheduling in SECTION_SCHEMAS', () => {
+    expect(source).toMatch(/scheduling:\s*SCHEDULING_KEYS/);
+  });
+
+  it('validates the travel model keys', () => {
+    expect(source).toMatch(/travel_speed_mph:\s*isPositiveNumber/);
+    expect(source).toMatch(/travel_min_minutes:\s*isMinutes/);
+    expect(source).toMatch(/travel_max_minutes:\s*\(v\)\s*=>\s*isMinutes\(v\)/);
+  });
+
+  it('validates the no-show alert keys', () => {
+    expect(source).toMatch(/late_grace_minutes:\s*isMinutes/);
+    expect(source).toMatch(/no_show_escalation_minutes:\s*isMinutes/);
+    expect(source).toMatch(/on_call_emails:\s*isEmailArray/);
+  });
+
+  it('bounds minutes to whole, non-negative values within a day', () => {
+    expect(source).toMatch(
+      /function isMinutes\(v: unknown\): boolean \{\s*return typeof v === "number" && Number\.isInteger\(v\) && v >= 0 && v <= 1440;/,
+    );
+  });
+});
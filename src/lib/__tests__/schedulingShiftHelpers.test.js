@@ -458,6 +458,18 @@ describe('shiftToCalendarEvent', () => {
     const event = shiftToCalendarEvent(baseShift);
     expect(event.title).toContain('Client');
   });
+
+  it('flags shifts that need coverage', () => {
+    const shift = { ...baseShift, assignedCaregiverId: 'cg1', status: 'assigned' };
+    const event = shiftToCalendarEvent(shift, { clientsById, caregiversById, needsCoverage: true });
+    expect(event.title).toContain('Needs coverage');
+    expect(event.classNames).toContain('shift-needs-coverage');
+    expect(event.extendedProps.needsCoverage).toBe(true);
+
+    const plain = shiftToCalendarEvent(shift, { clientsById, caregiversById });
+    expect(plain.title).not.toContain('Needs coverage');
+    expect(plain.extendedProps.needsCoverage).toBe(false);
+  });
 });
 
 // ─── validateShiftDraft ────────────────────────────────────────
@@ -69,6 +69,11 @@ describe('service plan mappers', () => {
       // predates the migration or the columns are nullable/false.
       isOngoing: false,
       lastGeneratedThrough: null,
+      liveIn: false,
+      sleepHoursPerDay: null,
+      mealHoursPerDay: null,
+      dailyPayRate: null,
+      dailyBillRate: null,
       createdBy: 'jessica',
       createdAt: '2026-04-13T22:00:00.000Z',
       updatedAt: '2026-04-13T22:00:00.000Z',
@@ -115,6 +120,31 @@ describe('service plan mappers', () => {
     expect(row.last_generated_through).toBe('2026-08-01T00:00:00.000Z');
   });
 
+  it('servicePlanToDb writes live-in settings only for live-in plans', () => {
+    expect(servicePlanToDb({ clientId: 'c' })).not.toHaveProperty('live_in');
+    const row = servicePlanToDb({
+      clientId: 'c',
+      liveIn: true,
+      sleepHoursPerDay: 8,
+      mealHoursPerDay: 1.5,
+      dailyPayRate: 240,
+      dailyBillRate: 380,
+    });
+    expect(row).toMatchObject({
+      live_in: true,
+      sleep_hours_per_day: 8,
+      meal_hours_per_day: 1.5,
+      daily_pay_rate: 240,
+      daily_bill_rate: 380,
+    });
+    expect(dbToServicePlan({ ...row, id: 'p' })).toMatchObject({
+      liveIn: true,
+      sleepHoursPerDay: 8,
+      dailyBillRate: 380,
+    });
+    expect(buildServicePlanPatchRow({ liveIn: false })).toMatchObject({ live_in: false });
+  });
+
   it('dbToServicePlan defaults status to draft when null', () => {
     const plan = dbToServicePlan({ id: 'x', client_id: 'c', status: null });
     expect(plan.status).toBe('draft');
@@ -328,6 +358,45 @@ describe('shift mappers', () => {
     expect(row.service_plan_id).toBeNull();
     expect(row.status).toBe('open');
     expect(row.required_skills).toEqual([]);
+    expect(row.service_type).toBeNull();
+  });
+
+  it('round-trips the shift service type', () => {
+    const row = shiftToDb({
+      clientId: 'client-A',
+      startTime: '2026-05-04T08:00:00.000Z',
+      endTime: '2026-05-04T12:00:00.000Z',
+      serviceType: 'live_in',
+    });
+    expect(row.service_type).toBe('live_in');
+    expect(dbToShift(row).serviceType).toBe('live_in');
+  });
+
+  it('round-trips live-in settings, coercing numerics', () => {
+    const shift = dbToShift({
+      id: 's1',
+      service_type: 'live_in',
+      sleep_hours_per_day: '8.00',
+      meal_hours_per_day: '1.50',
+      sleep_interrupted: true,
+      daily_pay_rate: '240.00',
+      daily_bill_rate: null,
+    });
+    expect(shift).toMatchObject({
+      sleepHoursPerDay: 8,
+      mealHoursPerDay: 1.5,
+      sleepInterrupted: true,
+      dailyPayRate: 240,
+      dailyBillRate: null,
+    });
+    expect(shiftToDb(shift)).toMatchObject({
+      sleep_hours_per_day: 8,
+      meal_hours_per_day: 1.5,
+      sleep_interrupted: true,
+      daily_pay_rate: 240,
+      daily_bill_rate: null,
+    });
+    expect(dbToShift({ id: 's2' }).sleepInterrupted).toBe(false);
   });
 });
 
@@ -493,6 +562,7 @@ describe('applyShiftWindowFilters', () => {
         shift_id: 'shift-A',
         caregiver_id: 'cg-9',
         event_type: 'in',
+        break_type: null,
         occurred_at: '2026-05-04T15:03:00.000Z',
         latitude: '37.7749000',
         longitude: '-122.4194000',
@@ -512,6 +582,7 @@ describe('applyShiftWindowFilters', () => {
         shiftId: 'shift-A',
         caregiverId: 'cg-9',
         eventType: 'in',
+        breakType: null,
         occurredAt: '2026-05-04T15:03:00.000Z',
         latitude: 37.7749,
         longitude: -122.4194,
@@ -582,6 +653,19 @@ describe('applyShiftWindowFilters', () => {
       };
       expect(dbToClockEvent(row).source).toBe('caregiver_app');
     });
+
+    it('maps break_type on break rows and defaults it to null', () => {
+      const row = {
+        id: 'evt-5',
+        shift_id: 'shift-A',
+        caregiver_id: 'cg-9',
+        event_type: 'break_start',
+        break_type: 'meal',
+        occurred_at: '2026-05-04T19:00:00.000Z',
+      };
+      expect(dbToClockEvent(row).breakType).toBe('meal');
+      expect(dbToClockEvent({ ...row, event_type: 'in', break_type: undefined }).breakType).toBe(null);
+    });
   });
 
   it('documented overlap rule: a shift overlaps [start, end] iff start_time <= end AND end_time >= start', () => {
@@ -0,0 +1,84 @@
+// Structural assertions on migration 20260617000000_shift_attendance_incidents.
+//
+// Locks in: the kind CHECK matching ATTENDANCE_INCIDENT_KIND in
+// src/lib/scheduling/noShowDetection.js, the once-per-(shift, kind)
+// guard the cron relies on, tenant isolation, the widened
+// follow_up_tasks source, the 5-minute cron, and a rollback that
+// restores the narrower task checks.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { ATTENDANCE_INCIDENT_KIND } from '../scheduling/noShowDetection.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260617000000_shift_attendance_incidents.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260617000000_shift_attendance_incidents_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+describe('shift_attendance_incidents migration', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.shift_attendance_incidents/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/shift_id\s+uuid NOT NULL REFERENCES shifts\(id\) ON DELETE CASCADE/);
+    expect(sql).toMatch(/caregiver_id\s+text NOT NULL REFERENCES caregivers\(id\) ON DELETE CASCADE/);
+    expect(sql).toMatch(/coverage_shift_id\s+uuid REFERENCES shifts\(id\) ON DELETE SET NULL/);
+    expect(sql).toMatch(/follow_up_task_id\s+uuid REFERENCES follow_up_tasks\(id\) ON DELETE SET NULL/);
+  });
+
+  it('limits kind to the values the helpers know', () => {
+    const m = /kind\s+text NOT NULL CHECK \(kind IN \(([^)]*)\)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(m[1].match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort()).toEqual(
+      Object.values(ATTENDANCE_INCIDENT_KIND).sort(),
+    );
+  });
+
+  it('records each alert at most once per shift', () => {
+    expect(sql).toMatch(/CONSTRAINT shift_attendance_incidents_once UNIQUE \(shift_id, kind\)/);
+  });
+
+  it('enables RLS with tenant and service-role policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.shift_attendance_incidents ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_shift_attendance_incidents_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_shift_attendance_incidents');
+    expect(sql).toMatch(/org_id = nullif\(\(SELECT auth\.jwt\(\)\) ->> 'org_id', ''\)::uuid/);
+  });
+
+  it('allows system-source follow-up tasks with the user/ai shape', () => {
+    expect(sql).toMatch(/CHECK \(source IN \('template', 'user', 'ai', 'system'\)\)/);
+    expect(sql).toMatch(/source IN \('user', 'ai', 'system'\)\s+AND title IS NOT NULL/);
+    expect(sql).toMatch(/DROP CONSTRAINT IF EXISTS follow_up_tasks_source_check/);
+    expect(sql).toMatch(/DROP CONSTRAINT IF EXISTS follow_up_tasks_shape_check/);
+  });
+
+  it('schedules the detector every 5 minutes from vault secrets', () => {
+    expect(sql).toMatch(/cron\.schedule\(\s*'no-show-detector',\s*'\*\/5 \* \* \* \*'/);
+    expect(sql).toContain("/functions/v1/no-show-detector");
+    expect(sql).toMatch(/WHERE jobname = 'no-show-detector'/);
+    expect(sql).toMatch(/vault secrets missing/);
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+  });
+
+  it('rollback unschedules, drops the table and restores the task checks', () => {
+    expect(rollbackSql).toMatch(/⚠️\s+Drops data/);
+    expect(rollbackSql).toMatch(/cron\.unschedule\('no-show-detector'\)/);
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.shift_attendance_incidents;/);
+    expect(rollbackSql).toMatch(/WHERE source = 'system'/);
+    expect(rollbackSql).toMatch(/CHECK \(source IN \('template', 'user', 'ai'\)\)/);
+    expect(rollbackSql).not.toMatch(/'system'\)/);
+  });
+});
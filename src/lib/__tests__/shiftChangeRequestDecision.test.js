@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// ═══════════════════════════════════════════════════════════════
+// Tests for decideShiftChangeRequest's pending_approval → decided claim.
+//
+// The requester can withdraw a request, or a second scheduler decide
+// it, while an approval is under way. The status change is a
+// conditional update made before the shift is touched, so the loser
+// leaves the shift alone and a withdrawn request stays cancelled. A
+// failed reassignment hands the request back to pending_approval.
+// ═══════════════════════════════════════════════════════════════
+
+function createSupabaseMock() {
+  const queue = [];
+  const calls = [];
+
+  function enqueue(table, action, terminal, result) {
+    queue.push({ table, action, terminal, result });
+  }
+
+  function dequeue(table, action, terminal) {
+    const idx = queue.findIndex(
+      (q) => q.table === table && q.action === action && q.terminal === terminal,
+    );
+    if (idx === -1) {
+      throw new Error(`Unexpected call: ${table}.${action}().${terminal || 'noTerminal'}`);
+    }
+    return queue.splice(idx, 1)[0].result;
+  }
+
+  function makeBuilder(table, action, payload) {
+    const filters = [];
+    const builder = {
+      select() { return builder; },
+      eq(col, val) { filters.push({ col, val, op: 'eq' }); return builder; },
+      in(col, vals) { filters.push({ col, val: vals, op: 'in' }); return builder; },
+      order() { return builder; },
+      single() {
+        calls.push({ table, action, terminal: 'single', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'single'));
+      },
+      maybeSingle() {
+        calls.push({ table, action, terminal: 'maybeSingle', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'maybeSingle'));
+      },
+      then(onFulfilled, onRejected) {
+        calls.push({ table, action, terminal: 'noTerminal', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'noTerminal'))
+          .then(onFulfilled, onRejected);
+      },
+    };
+    return builder;
+  }
+
+  const supabase = {
+    from: vi.fn((table) => ({
+      select: () => makeBuilder(table, 'select', null),
+      insert: (payload) => makeBuilder(table, 'insert', payload),
+      update: (payload) => makeBuilder(table, 'update', payload),
+      delete: () => makeBuilder(table, 'delete', null),
+    })),
+  };
+
+  return { supabase, enqueue, calls };
+}
+
+let mock;
+
+vi.mock('../supabase', () => ({
+  supabase: new Proxy({}, { get: (_, prop) => mock.supabase[prop] }),
+  isSupabaseConfigured: () => true,
+}));
+
+vi.mock('../shiftAutomations', () => ({ dispatchShiftAutomations: vi.fn() }));
+
+const { decideShiftChangeRequest } = await import('../../features/scheduling/storage.js');
+
+const SWAP_ROW = {
+  id: 'req-1',
+  shift_id: 'shift-B',
+  kind: 'swap',
+  requester_caregiver_id: 'cg-lou',
+  target_caregiver_id: 'cg-mae',
+  status: 'pending_approval',
+};
+
+const SHIFT_ROW = {
+  id: 'shift-B',
+  assigned_caregiver_id: 'cg-lou',
+  status: 'assigned',
+  start_time: '2099-03-02T17:00:00.000Z',
+  end_time: '2099-03-02T21:00:00.000Z',
+};
+
+function enqueueCurrentSwap() {
+  mock.enqueue('shift_change_requests', 'select', 'maybeSingle', { data: SWAP_ROW, error: null });
+  mock.enqueue('shifts', 'select', 'maybeSingle', { data: SHIFT_ROW, error: null });
+}
+
+const requestUpdates = () => mock.calls.filter(
+  (c) => c.table === 'shift_change_requests' && c.action === 'update',
+);
+
+beforeEach(() => {
+  mock = createSupabaseMock();
+});
+
+describe('decideShiftChangeRequest', () => {
+  it('claims the decision only while the request is still pending approval', async () => {
+    mock.enqueue('shift_change_requests', 'select', 'maybeSingle', { data: SWAP_ROW, error: null });
+    mock.enqueue('shift_change_requests', 'update', 'maybeSingle', {
+      data: { ...SWAP_ROW, status: 'denied', decided_by: 'Priya' },
+      error: null,
+    });
+
+    const out = await decideShiftChangeRequest('req-1', { approve: false, decidedBy: 'Priya' });
+
+    expect(out.status).toBe('denied');
+    expect(requestUpdates()[0].payload).toMatchObject({ status: 'denied', decided_by: 'Priya' });
+    expect(requestUpdates()[0].filters).toContainEqual({ col: 'status', val: 'pending_approval', op: 'eq' });
+  });
+
+  it('leaves the shift alone when the request was withdrawn or decided first', async () => {
+    enqueueCurrentSwap();
+    mock.enqueue('shift_change_requests', 'update', 'maybeSingle', { data: null, error: null });
+
+    await expect(decideShiftChangeRequest('req-1', { approve: true, decidedBy: 'Priya' }))
+      .rejects.toThrow('no longer waiting for approval');
+
+    expect(mock.calls.some((c) => c.table === 'shifts' && c.action === 'update')).toBe(false);
+  });
+
+  it('hands the shift to the swap partner after a successful claim', async () => {
+    enqueueCurrentSwap();
+    mock.enqueue('shift_change_requests', 'update', 'maybeSingle', {
+      data: { ...SWAP_ROW, status: 'approved' },
+      error: null,
+    });
+    mock.enqueue('shifts', 'select', 'maybeSingle', { data: SHIFT_ROW, error: null });
+    mock.enqueue('shifts', 'update', 'single', {
+      data: { ...SHIFT_ROW, assigned_caregiver_id: 'cg-mae' },
+      error: null,
+    });
+
+    const out = await decideShiftChangeRequest('req-1', { approve: true, decidedBy: 'Priya' });
+
+    expect(out.status).toBe('approved');
+    const shiftUpdate = mock.calls.find((c) => c.table === 'shifts' && c.action === 'update');
+    expect(shiftUpdate.payload).toMatchObject({ assigned_caregiver_id: 'cg-mae', status: 'assigned' });
+    expect(mock.calls.indexOf(shiftUpdate)).toBeGreaterThan(mock.calls.indexOf(requestUpdates()[0]));
+  });
+
+  it('hands the request back to pending approval when the reassignment fails', async () => {
+    enqueueCurrentSwap();
+    mock.enqueue('shift_change_requests', 'update', 'maybeSingle', {
+      data: { ...SWAP_ROW, status: 'approved' },
+      error: null,
+    });
+    mock.enqueue('shifts', 'select', 'maybeSingle', { data: SHIFT_ROW, error: null });
+    mock.enqueue('shifts', 'update', 'single', { data: null, error: new Error('update failed') });
+    mock.enqueue('shift_change_requests', 'update', 'noTerminal', { data: null, error: null });
+
+    await expect(decideShiftChangeRequest('req-1', { approve: true, decidedBy: 'Priya' }))
+      .rejects.toThrow('update failed');
+
+    const revert = requestUpdates().at(-1);
+    expect(revert.payload).toMatchObject({ status: 'pending_approval', decided_at: null, decided_by: null });
+    expect(revert.filters).toContainEqual({ col: 'status', val: 'approved', op: 'eq' });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SHIFT_CHANGE_KIND,
+  SHIFT_CHANGE_STATUS,
+  CHANGE_REASON_MAX_LENGTH,
+  isOpenChangeRequest,
+  canRequestShiftChange,
+  isChangeRequestCurrent,
+  validateShiftChangeRequest,
+  initialChangeStatus,
+  coworkerResponseStatus,
+  incomingCaregiverId,
+  approvalShiftPatch,
+  formatChangeShiftWhen,
+  changeRequestPush,
+} from '../scheduling/shiftChangeRequests';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+const NOW = new Date('2026-05-03T15:00:00Z');
+
+function shift(extra = {}) {
+  return {
+    id: 'shift-1',
+    assigned_caregiver_id: 'cg-ana',
+    status: 'assigned',
+    start_time: '2026-05-05T16:00:00Z',
+    end_time: '2026-05-05T20:00:00Z',
+    ...extra,
+  };
+}
+
+function request(extra = {}) {
+  return {
+    id: 'req-1',
+    shift_id: 'shift-1',
+    requester_caregiver_id: 'cg-ana',
+    kind: SHIFT_CHANGE_KIND.SWAP,
+    target_caregiver_id: 'cg-ben',
+    status: SHIFT_CHANGE_STATUS.PENDING_COWORKER,
+    ...extra,
+  };
+}
+
+// ─── canRequestShiftChange ────────────────────────────────────
+
+describe('canRequestShiftChange', () => {
+  it('allows the assigned caregiver on a future assigned or confirmed shift', () => {
+    expect(canRequestShiftChange(shift(), 'cg-ana', NOW)).toEqual({ ok: true, reason: null });
+    expect(canRequestShiftChange(shift({ status: 'confirmed' }), 'cg-ana', NOW).ok).toBe(true);
+  });
+
+  it('rejects someone else’s shift', () => {
+    expect(canRequestShiftChange(shift(), 'cg-ben', NOW).reason).toBe('not_assigned');
+    expect(canRequestShiftChange(null, 'cg-ana', NOW).reason).toBe('not_assigned');
+  });
+
+  it('rejects shifts already clocked into, completed or cancelled', () => {
+    for (const status of ['in_progress', 'completed', 'cancelled', 'open']) {
+      expect(canRequestShiftChange(shift({ status }), 'cg-ana', NOW).reason).toBe('bad_status');
+    }
+  });
+
+  it('rejects shifts that have started', () => {
+    const started = shift({ start_time: '2026-05-03T14:00:00Z' });
+    expect(canRequestShiftChange(started, 'cg-ana', NOW).reason).toBe('started');
+  });
+});
+
+describe('isChangeRequestCurrent', () => {
+  it('is true for an open request on an unchanged shift', () => {
+    expect(isChangeRequestCurrent(request(), shift(), NOW)).toBe(true);
+  });
+
+  it('is false once the shift was reassigned or the request closed', () => {
+    expect(isChangeRequestCurrent(request(), shift({ assigned_caregiver_id: 'cg-cy' }), NOW)).toBe(false);
+    expect(isChangeRequestCurrent(request({ status: 'approved' }), shift(), NOW)).toBe(false);
+  });
+});
+
+// ─── validateShiftChangeRequest ───────────────────────────────
+
+describe('validateShiftChangeRequest', () => {
+  it('accepts a drop without a target and a swap with one', () => {
+    expect(validateShiftChangeRequest({ kind: 'drop', requesterId: 'cg-ana' })).toBeNull();
+    expect(validateShiftChangeRequest({
+      kind: 'swap', requesterId: 'cg-ana', targetCaregiverId: 'cg-ben', reason: 'Sick kid',
+    })).toBeNull();
+  });
+
+  it('rejects unknown kinds', () => {
+    expect(validateShiftChangeRequest({ kind: 'trade', requesterId: 'cg-ana' })).toMatch(/kind/);
+  });
+
+  it('requires a different coworker for swaps and none for drops', () => {
+    expect(validateShiftChangeRequest({ kind: 'swap', requesterId: 'cg-ana' })).toMatch(/coworker/);
+    expect(validateShiftChangeRequest({
+      kind: 'swap', requesterId: 'cg-ana', targetCaregiverId: 'cg-ana',
+    })).toMatch(/yourself/);
+    expect(validateShiftChangeRequest({
+      kind: 'drop', requesterId: 'cg-ana', targetCaregiverId: 'cg-ben',
+    })).toMatch(/drop/);
+  });
+
+  it('caps the reason length', () => {
+    const reason = 'x'.repeat(CHANGE_REASON_MAX_LENGTH + 1);
+    expect(validateShiftChangeRequest({ kind: 'drop', requesterId: 'cg-ana', reason })).toMatch(/too long/);
+  });
+});
+
+// ─── Lifecycle ────────────────────────────────────────────────
+
+describe('lifecycle helpers', () => {
+  it('starts swaps with the coworker and drops with the office', () => {
+    expect(initialChangeStatus('swap')).toBe(SHIFT_CHANGE_STATUS.PENDING_COWORKER);
+    expect(initialChangeStatus('drop')).toBe(SHIFT_CHANGE_STATUS.PENDING_APPROVAL);
+  });
+
+  it('moves an accepted swap to the office and a declined one out', () => {
+    expect(coworkerResponseStatus(true)).toBe(SHIFT_CHANGE_STATUS.PENDING_APPROVAL);
+    expect(coworkerResponseStatus(false)).toBe(SHIFT_CHANGE_STATUS.DECLINED);
+  });
+
+  it('treats only pending statuses as open', () => {
+    expect(isOpenChangeRequest(request())).toBe(true);
+    expect(isOpenChangeRequest(request({ status: 'pending_approval' }))).toBe(true);
+    expect(isOpenChangeRequest(request({ status: 'denied' }))).toBe(false);
+    expect(isOpenChangeRequest(null)).toBe(false);
+  });
+
+  it('assigns the coworker on an approved swap and reopens an approved drop', () => {
+    expect(incomingCaregiverId(request())).toBe('cg-ben');
+    expect(approvalShiftPatch(request())).toEqual({ assigned_caregiver_id: 'cg-ben', status: 'assigned' });
+    const drop = request({ kind: 'drop', target_caregiver_id: null });
+    expect(incomingCaregiverId(drop)).toBeNull();
+    expect(approvalShiftPatch(drop)).toEqual({ assigned_caregiver_id: null, status: 'open' });
+  });
+});
+
+// ─── Push text ────────────────────────────────────────────────
+
+describe('changeRequestPush', () => {
+  const shiftWhen = formatChangeShiftWhen('2026-05-05T16:00:00Z', 'America/Los_Angeles');
+
+  it('formats the shift start in the agency zone', () => {
+    expect(shiftWhen).toBe('Tue, May 5, 9:00 AM');
+  });
+
+  it('asks the coworker to take an offered swap', () => {
+    const push = changeRequestPush('swap_offered', { request: request(), shiftWhen, requesterName: 'Ana' });
+    expect(push.title).toBe('Can you take a shift?');
+    expect(push.body).toContain('Ana');
+    expect(push.body).toContain(shiftWhen);
+    expect(push.tag).toBe('shift-change-req-1');
+  });
+
+  it('tells each side of an approved swap what changed', () => {
+    const ctx = { request: request(), shiftWhen, requesterName: 'Ana', targetName: 'Ben' };
+    expect(changeRequestPush('approved', ctx).body).toContain('Ben is now covering');
+    const target = changeRequestPush('approved', { ...ctx, audience: 'target' });
+    expect(target.title).toBe('New shift on your schedule');
+    expect(target.url).toBe('/care/shifts/shift-1');
+  });
+
+  it('titles drop decisions as drops', () => {
+    const drop = request({ kind: 'drop', target_caregiver_id: null });
+    expect(changeRequestPush('approved', { request: drop, shiftWhen }).title).toBe('Drop approved');
+    expect(changeRequestPush('denied', { request: drop, shiftWhen }).title).toBe('Drop not approved');
+  });
+
+  it('throws on unknown events', () => {
+    expect(() => changeRequestPush('nope', { request: request(), shiftWhen })).toThrow(/Unknown/);
+  });
+});
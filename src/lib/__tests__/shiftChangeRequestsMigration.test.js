@@ -0,0 +1,86 @@
+// Structural assertions on migration 20260615000000_shift_change_requests.
+//
+// Locks in: the kind / status CHECKs matching the values
+// src/lib/scheduling/shiftChangeRequests.js knows, the one-open-request-
+// per-shift index, the tenant-isolation prime directives, idempotency,
+// and a rollback that drops the table and its trigger function.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import {
+  SHIFT_CHANGE_KIND,
+  SHIFT_CHANGE_STATUS,
+  OPEN_CHANGE_STATUSES,
+} from '../scheduling/shiftChangeRequests.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260615000000_shift_change_requests.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260615000000_shift_change_requests_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+function listedValues(re) {
+  const m = re.exec(sql);
+  expect(m).not.toBeNull();
+  return m[1].match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort();
+}
+
+describe('shift_change_requests migration', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.shift_change_requests/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/shift_id\s+uuid NOT NULL REFERENCES shifts\(id\) ON DELETE CASCADE/);
+  });
+
+  it('limits kind and status to the values the helpers know', () => {
+    expect(listedValues(/kind\s+text NOT NULL CHECK \(kind IN \(([^)]*)\)\)/)).toEqual(
+      Object.values(SHIFT_CHANGE_KIND).sort(),
+    );
+    expect(listedValues(/status\s+text NOT NULL CHECK \(status IN \(([^)]*)\)\)/)).toEqual(
+      Object.values(SHIFT_CHANGE_STATUS).sort(),
+    );
+  });
+
+  it('requires a distinct target for swaps and none for drops', () => {
+    expect(sql).toMatch(/kind = 'swap' AND target_caregiver_id IS NOT NULL/);
+    expect(sql).toMatch(/target_caregiver_id <> requester_caregiver_id/);
+    expect(sql).toMatch(/kind = 'drop' AND target_caregiver_id IS NULL/);
+  });
+
+  it('allows one open request per shift, keyed on the open statuses', () => {
+    const m = /CREATE UNIQUE INDEX IF NOT EXISTS uq_shift_change_requests_open_shift\s+ON public\.shift_change_requests \(shift_id\)\s+WHERE status IN \(([^)]*)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(m[1].match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort()).toEqual(
+      [...OPEN_CHANGE_STATUSES].sort(),
+    );
+  });
+
+  it('enables RLS with tenant and service-role policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.shift_change_requests ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_shift_change_requests_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_shift_change_requests');
+    expect(sql).toMatch(/org_id = nullif\(\(SELECT auth\.jwt\(\)\) ->> 'org_id', ''\)::uuid/);
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX|UNIQUE INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+    expect(sql).toMatch(/DROP TRIGGER IF EXISTS trg_shift_change_requests_updated_at/);
+  });
+
+  it('rollback drops the table and its trigger function', () => {
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.shift_change_requests;/);
+    expect(rollbackSql).toMatch(
+      /DROP FUNCTION IF EXISTS public\.set_shift_change_requests_updated_at\(\);/,
+    );
+  });
+});
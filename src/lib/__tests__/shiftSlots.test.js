@@ -0,0 +1,264 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SHIFT_SLOT_ROLE,
+  LEAD_ROLE,
+  MAX_SHIFT_SLOTS,
+  slotRoleLabel,
+  shiftCaregiverIds,
+  caregiverSlot,
+  validateSlotAssignment,
+  slotShiftView,
+  shiftsByStaffingCaregiver,
+  billedCaregiverIds,
+  billedCaregiverCount,
+  slotClockStatus,
+  caregiverShiftStatus,
+  shiftStatusAfterSlotClock,
+  clockedInCaregiverIds,
+  caregiverShiftsFilter,
+} from '../scheduling/shiftSlots';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+function shift(extra = {}) {
+  return {
+    id: 'shift-1',
+    client_id: 'client-1',
+    assigned_caregiver_id: 'cg-ana',
+    status: 'confirmed',
+    start_time: '2026-06-22T16:00:00.000Z',
+    end_time: '2026-06-22T20:00:00.000Z',
+    hourly_rate: 24,
+    mileage: 12,
+    ...extra,
+  };
+}
+
+function slot(extra = {}) {
+  return {
+    id: 'slot-1',
+    shift_id: 'shift-1',
+    role: SHIFT_SLOT_ROLE.ASSIST,
+    caregiver_id: 'cg-ben',
+    billable: false,
+    hourly_rate: null,
+    ...extra,
+  };
+}
+
+const ev = (caregiverId, eventType) => ({ caregiver_id: caregiverId, event_type: eventType });
+
+// ─── Labels & membership ──────────────────────────────────────
+
+describe('slotRoleLabel', () => {
+  it('labels the lead and every slot role', () => {
+    expect(slotRoleLabel(LEAD_ROLE)).toBe('Lead caregiver');
+    for (const role of Object.values(SHIFT_SLOT_ROLE)) {
+      expect(slotRoleLabel(role)).not.toBe(role);
+    }
+  });
+
+  it('falls back to the raw value for unknown roles', () => {
+    expect(slotRoleLabel('observer')).toBe('observer');
+    expect(slotRoleLabel(null)).toBe('');
+  });
+});
+
+describe('shiftCaregiverIds', () => {
+  it('lists the lead first, then filled slots', () => {
+    const slots = [
+      slot(),
+      slot({ id: 'slot-2', caregiver_id: null }),
+      slot({ id: 'slot-3', caregiver_id: 'cg-cal', role: SHIFT_SLOT_ROLE.NURSE }),
+    ];
+    expect(shiftCaregiverIds(shift(), slots)).toEqual(['cg-ana', 'cg-ben', 'cg-cal']);
+  });
+
+  it('ignores slots on other shifts and works without a lead', () => {
+    const slots = [slot(), slot({ id: 'slot-x', shift_id: 'shift-2', caregiver_id: 'cg-dee' })];
+    expect(shiftCaregiverIds(shift({ assigned_caregiver_id: null }), slots)).toEqual(['cg-ben']);
+  });
+});
+
+describe('caregiverSlot', () => {
+  it('finds the lead, a slot caregiver, or nobody', () => {
+    const slots = [slot()];
+    expect(caregiverSlot(shift(), slots, 'cg-ana')).toEqual({ role: LEAD_ROLE, slot: null });
+    expect(caregiverSlot(shift(), slots, 'cg-ben')).toEqual({ role: SHIFT_SLOT_ROLE.ASSIST, slot: slots[0] });
+    expect(caregiverSlot(shift(), slots, 'cg-zed')).toBeNull();
+    expect(caregiverSlot(shift(), slots, null)).toBeNull();
+  });
+});
+
+// ─── validateSlotAssignment ───────────────────────────────────
+
+describe('validateSlotAssignment', () => {
+  const base = { shift: shift(), slots: [slot()] };
+
+  it('accepts a new slot, open or filled', () => {
+    expect(validateSlotAssignment({ ...base, role: SHIFT_SLOT_ROLE.NURSE, caregiverId: 'cg-cal' })).toBeNull();
+    expect(validateSlotAssignment({ ...base, role: SHIFT_SLOT_ROLE.ASSIST, caregiverId: null })).toBeNull();
+  });
+
+  it('requires a known role', () => {
+    expect(validateSlotAssignment({ ...base, role: 'lead', caregiverId: 'cg-cal' })).toMatch(/role/);
+  });
+
+  it('rejects the lead and a caregiver already on a slot', () => {
+    expect(validateSlotAssignment({ ...base, role: SHIFT_SLOT_ROLE.ASSIST, caregiverId: 'cg-ana' }))
+      .toMatch(/lead/);
+    expect(validateSlotAssignment({ ...base, role: SHIFT_SLOT_ROLE.ASSIST, caregiverId: 'cg-ben' }))
+      .toMatch(/already has a slot/);
+  });
+
+  it('lets a slot keep its own caregiver when edited', () => {
+    expect(validateSlotAssignment({
+      ...base, slotId: 'slot-1', role: SHIFT_SLOT_ROLE.TRAINEE, caregiverId: 'cg-ben',
+    })).toBeNull();
+  });
+
+  it(`caps a shift at ${MAX_SHIFT_SLOTS} extra slots`, () => {
+    const slots = Array.from({ length: MAX_SHIFT_SLOTS }, (_, i) => slot({ id: `slot-${i}`, caregiver_id: null }));
+    expect(validateSlotAssignment({ shift: shift(), slots, role: SHIFT_SLOT_ROLE.ASSIST, caregiverId: null }))
+      .toMatch(/at most/);
+    expect(validateSlotAssignment({
+      shift: shift(), slots, slotId: 'slot-0', role: SHIFT_SLOT_ROLE.ASSIST, caregiverId: 'cg-ben',
+    })).toBeNull();
+  });
+});
+
+// ─── Payroll views ────────────────────────────────────────────
+
+describe('slotShiftView', () => {
+  it('puts the slot caregiver and rate on the shift, without mileage', () => {
+    const view = slotShiftView(shift(), slot({ hourly_rate: '31.50', role: SHIFT_SLOT_ROLE.NURSE }));
+    expect(view).toMatchObject({
+      id: 'shift-1',
+      assigned_caregiver_id: 'cg-ben',
+      hourly_rate: 31.5,
+      mileage: null,
+      slot_id: 'slot-1',
+      slot_role: SHIFT_SLOT_ROLE.NURSE,
+      start_time: shift().start_time,
+    });
+  });
+
+  it('leaves the rate to the rate cards when the slot has none', () => {
+    expect(slotShiftView(shift(), slot()).hourly_rate).toBeNull();
+  });
+});
+
+describe('shiftsByStaffingCaregiver', () => {
+  it('groups leads and slot caregivers, skipping open slots', () => {
+    const shifts = [shift(), shift({ id: 'shift-2', assigned_caregiver_id: 'cg-ben' })];
+    const slots = [slot(), slot({ id: 'slot-2', caregiver_id: null })];
+    const out = shiftsByStaffingCaregiver(shifts, slots);
+    expect([...out.keys()].sort()).toEqual(['cg-ana', 'cg-ben']);
+    expect(out.get('cg-ana')).toEqual([shifts[0]]);
+    const ben = out.get('cg-ben');
+    expect(ben.map((r) => r.id)).toEqual(['shift-1', 'shift-2']);
+    expect(ben[0]).toMatchObject({ slot_id: 'slot-1', mileage: null });
+    expect(ben[1]).toBe(shifts[1]);
+  });
+
+  it('never double-counts a slot that duplicates the lead', () => {
+    const out = shiftsByStaffingCaregiver([shift()], [slot({ caregiver_id: 'cg-ana' })]);
+    expect(out.get('cg-ana')).toHaveLength(1);
+  });
+});
+
+// ─── Billing ──────────────────────────────────────────────────
+
+describe('billedCaregiverIds', () => {
+  it('bills the lead plus billable filled slots', () => {
+    const slots = [
+      slot({ billable: true }),
+      slot({ id: 'slot-2', caregiver_id: 'cg-cal', billable: false }),
+      slot({ id: 'slot-3', caregiver_id: null, billable: true }),
+    ];
+    expect(billedCaregiverIds(shift(), slots)).toEqual(['cg-ana', 'cg-ben']);
+    expect(billedCaregiverCount(shift(), slots)).toBe(2);
+  });
+
+  it('bills one unassigned lead on an ordinary shift', () => {
+    expect(billedCaregiverIds(shift({ assigned_caregiver_id: null }), [])).toEqual([null]);
+    expect(billedCaregiverCount(shift(), undefined)).toBe(1);
+  });
+});
+
+// ─── Clock status ─────────────────────────────────────────────
+
+describe('slotClockStatus', () => {
+  it('follows the caregiver\'s own punches', () => {
+    expect(slotClockStatus('in_progress', [])).toBe('confirmed');
+    expect(slotClockStatus('assigned', [])).toBe('confirmed');
+    expect(slotClockStatus('confirmed', [ev('cg-ben', 'in')])).toBe('in_progress');
+    expect(slotClockStatus('in_progress', [ev('cg-ben', 'in'), ev('cg-ben', 'out')])).toBe('completed');
+  });
+
+  it('passes through statuses that end the visit', () => {
+    expect(slotClockStatus('cancelled', [])).toBe('cancelled');
+    expect(slotClockStatus('cancelled', [ev('cg-ben', 'in')])).toBe('cancelled');
+    expect(slotClockStatus('no_show', [])).toBe('no_show');
+    expect(slotClockStatus('completed', [])).toBe('completed');
+  });
+});
+
+describe('caregiverShiftStatus', () => {
+  it('keeps the shift status for a lead still on the visit', () => {
+    expect(caregiverShiftStatus(shift({ status: 'assigned' }), 'cg-ana', [])).toBe('assigned');
+    expect(caregiverShiftStatus(shift({ status: 'in_progress' }), 'cg-ana', [ev('cg-ana', 'in')]))
+      .toBe('in_progress');
+  });
+
+  it('shows a lead who clocked out as done while a slot is still on', () => {
+    const events = [ev('cg-ana', 'in'), ev('cg-ana', 'out')];
+    expect(caregiverShiftStatus(shift({ status: 'in_progress' }), 'cg-ana', events)).toBe('completed');
+  });
+
+  it('uses a slot caregiver\'s own punches', () => {
+    expect(caregiverShiftStatus(shift({ status: 'in_progress' }), 'cg-ben', [])).toBe('confirmed');
+    expect(caregiverShiftStatus(null, 'cg-ben', [])).toBeNull();
+  });
+});
+
+describe('shiftStatusAfterSlotClock', () => {
+  it('starts the visit on the first clock-in only', () => {
+    expect(shiftStatusAfterSlotClock({ eventType: 'in', shiftStatus: 'confirmed', stillClockedIn: 1 }))
+      .toBe('in_progress');
+    expect(shiftStatusAfterSlotClock({ eventType: 'in', shiftStatus: 'assigned', stillClockedIn: 1 }))
+      .toBe('in_progress');
+    expect(shiftStatusAfterSlotClock({ eventType: 'in', shiftStatus: 'in_progress', stillClockedIn: 2 }))
+      .toBeNull();
+  });
+
+  it('completes the visit when the last person clocks out', () => {
+    expect(shiftStatusAfterSlotClock({ eventType: 'out', shiftStatus: 'in_progress', stillClockedIn: 1 }))
+      .toBeNull();
+    expect(shiftStatusAfterSlotClock({ eventType: 'out', shiftStatus: 'in_progress', stillClockedIn: 0 }))
+      .toBe('completed');
+    expect(shiftStatusAfterSlotClock({ eventType: 'break_start', shiftStatus: 'in_progress', stillClockedIn: 0 }))
+      .toBeNull();
+  });
+});
+
+describe('clockedInCaregiverIds', () => {
+  it('lists caregivers with a clock-in and no clock-out', () => {
+    const events = [
+      ev('cg-ana', 'in'),
+      ev('cg-ben', 'in'),
+      ev('cg-ben', 'break_start'),
+      ev('cg-ana', 'out'),
+    ];
+    expect(clockedInCaregiverIds(events)).toEqual(['cg-ben']);
+    expect(clockedInCaregiverIds(null)).toEqual([]);
+  });
+});
+
+describe('caregiverShiftsFilter', () => {
+  it('matches lead shifts, plus slot shifts when there are any', () => {
+    expect(caregiverShiftsFilter('cg-ben')).toBe('assigned_caregiver_id.eq.cg-ben');
+    expect(caregiverShiftsFilter('cg-ben', ['s1', 's2']))
+      .toBe('assigned_caregiver_id.eq.cg-ben,id.in.(s1,s2)');
+  });
+});
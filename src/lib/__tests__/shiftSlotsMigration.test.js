@@ -0,0 +1,120 @@
+// Structural assertions on migration 20260619000000_shift_slots.
+//
+// Locks in: the role CHECK matching SHIFT_SLOT_ROLE in
+// src/lib/scheduling/shiftSlots.js, one slot per caregiver per shift,
+// tenant isolation plus the caregiver read policy, the slot branch on
+// every caregiver policy the lead relies on, the per-caregiver clock
+// event index, invoice_shifts.billed_caregivers, and the rollback.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { SHIFT_SLOT_ROLE } from '../scheduling/shiftSlots.js';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260619000000_shift_slots.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260619000000_shift_slots_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+const quoted = (list) => list.match(/'([a-z_]+)'/g).map((s) => s.slice(1, -1)).sort();
+
+// The body of `CREATE POLICY <name> ...;` in a file.
+function policyBody(source, name) {
+  const m = new RegExp(`CREATE POLICY ${name} ON [\\s\\S]*?;`).exec(source);
+  return m ? m[0] : null;
+}
+
+const CAREGIVER_POLICIES = [
+  'shifts_read_own',
+  'clients_read_assigned',
+  'care_plans_read_assigned',
+  'care_plan_versions_read_assigned',
+  'care_plan_tasks_read_assigned',
+  'care_plan_observations_caregiver_insert',
+];
+
+describe('shift_slots migration', () => {
+  it('creates the table idempotently with a defaulted org_id', () => {
+    expect(sql).toMatch(/CREATE TABLE IF NOT EXISTS public\.shift_slots/);
+    expect(sql).toMatch(/org_id\s+uuid NOT NULL DEFAULT public\.default_org_id\(\)/);
+    expect(sql).toMatch(/shift_id\s+uuid NOT NULL REFERENCES shifts\(id\) ON DELETE CASCADE/);
+    expect(sql).toMatch(/caregiver_id\s+text REFERENCES caregivers\(id\) ON DELETE SET NULL/);
+    expect(sql).toMatch(/billable\s+boolean NOT NULL DEFAULT false/);
+    expect(sql).toMatch(/hourly_rate\s+numeric\(10,2\) CHECK \(hourly_rate IS NULL OR hourly_rate > 0\)/);
+  });
+
+  it('limits role to the values the helpers know', () => {
+    const m = /role\s+text NOT NULL DEFAULT 'assist' CHECK \(role IN \(([^)]*)\)\)/.exec(sql);
+    expect(m).not.toBeNull();
+    expect(quoted(m[1])).toEqual(Object.values(SHIFT_SLOT_ROLE).sort());
+  });
+
+  it('allows one slot per caregiver per shift', () => {
+    expect(sql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS uq_shift_slots_shift_caregiver\s+ON public\.shift_slots \(shift_id, caregiver_id\)\s+WHERE caregiver_id IS NOT NULL/,
+    );
+  });
+
+  it('enables RLS with tenant, service-role and caregiver policies', () => {
+    expect(sql).toMatch(/ALTER TABLE public\.shift_slots ENABLE ROW LEVEL SECURITY/);
+    for (const op of ['select', 'insert', 'update', 'delete']) {
+      expect(sql).toContain(`tenant_isolation_shift_slots_${op}`);
+    }
+    expect(sql).toContain('service_role_full_access_shift_slots');
+    expect(sql).toMatch(/"shift_slots_read_own"[\s\S]*?caregiver_id = public\.current_user_caregiver_id\(\)/);
+  });
+
+  it('gives slot caregivers the lead\'s reach', () => {
+    for (const name of CAREGIVER_POLICIES) {
+      expect(sql).toContain(`DROP POLICY IF EXISTS ${name} ON`);
+      const body = policyBody(sql, name);
+      expect(body, name).not.toBeNull();
+      expect(body).toContain('assigned_caregiver_id = public.current_user_caregiver_id()');
+      expect(body).toMatch(/FROM shift_slots sl/);
+      expect(body).toContain('sl.caregiver_id = public.current_user_caregiver_id()');
+    }
+  });
+
+  it('makes clock-in / clock-out unique per caregiver', () => {
+    expect(sql).toMatch(/DROP INDEX IF EXISTS idx_clock_events_shift_event_unique;/);
+    expect(sql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique\s+ON clock_events \(shift_id, caregiver_id, event_type\)\s+WHERE event_type IN \('in', 'out'\)/,
+    );
+  });
+
+  it('adds billed_caregivers to invoice_shifts', () => {
+    expect(sql).toMatch(
+      /ADD COLUMN IF NOT EXISTS billed_caregivers smallint NOT NULL DEFAULT 1\s+CHECK \(billed_caregivers >= 1\)/,
+    );
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX|UNIQUE INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+  });
+
+  it('rollback restores the original policies and index, then drops the table', () => {
+    expect(rollbackSql).toMatch(/⚠️\s+Drops data/);
+    for (const name of CAREGIVER_POLICIES) {
+      const body = policyBody(rollbackSql, name);
+      expect(body, name).not.toBeNull();
+      expect(body).not.toContain('shift_slots');
+    }
+    expect(rollbackSql).toMatch(
+      /CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique\s+ON clock_events \(shift_id, event_type\)/,
+    );
+    // Slot caregivers' punches go before the narrower index comes back.
+    expect(rollbackSql.indexOf('DELETE FROM clock_events'))
+      .toBeLessThan(rollbackSql.indexOf('CREATE UNIQUE INDEX'));
+    expect(rollbackSql).toMatch(/DROP COLUMN IF EXISTS billed_caregivers;/);
+    expect(rollbackSql).toMatch(/DROP TABLE IF EXISTS public\.shift_slots;/);
+    expect(rollbackSql).toMatch(/DROP FUNCTION IF EXISTS public\.set_shift_slots_updated_at\(\);/);
+  });
+});
@@ -0,0 +1,93 @@
+// Structural assertions on migration 20260622000000_structured_vitals.
+//
+// Locks in: the vital columns and their shape CHECK (the writer is
+// src/lib/carePlanShift.js → logVitalReading), the trend index, the
+// out-of-range trigger that raises care_signals without waiting for the
+// sweep, and a rollback that removes all of it.
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { VITAL_FLAG, VITAL_TYPES, VITAL_TYPE_IDS } from '../vitals.js';
+import { STOP_AND_WATCH_IDS } from '../../../supabase/functions/care-coordinator-sweep/stopAndWatch.ts';
+
+const MIGRATION_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/20260622000000_structured_vitals.sql',
+);
+const ROLLBACK_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '../../../supabase/migrations/_rollback/20260622000000_structured_vitals_down.sql',
+);
+
+const sql = readFileSync(MIGRATION_PATH, 'utf-8');
+const rollbackSql = readFileSync(ROLLBACK_PATH, 'utf-8');
+
+const COLUMNS = ['vital_type', 'vital_value', 'vital_value_secondary', 'vital_unit', 'vital_flag'];
+
+describe('structured_vitals migration', () => {
+  it('adds the vital columns idempotently', () => {
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS vital_type\s+text/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS vital_value\s+numeric/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS vital_value_secondary\s+numeric/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS vital_unit\s+text/);
+    expect(sql).toMatch(/ADD COLUMN IF NOT EXISTS vital_flag\s+text/);
+  });
+
+  it('guards the shape CHECK and allows exactly the known types and flags', () => {
+    expect(sql).toMatch(/conname = 'care_plan_observations_vital_shape'/);
+    const types = /vital_type IN \(([^)]+)\)/.exec(sql);
+    expect(types).not.toBeNull();
+    expect([...types[1].matchAll(/'([a-z_0-9]+)'/g)].map((x) => x[1])).toEqual([...VITAL_TYPE_IDS]);
+    const flags = /vital_flag IN \(([^)]+)\)/.exec(sql);
+    expect([...flags[1].matchAll(/'([a-z]+)'/g)].map((x) => x[1]).sort())
+      .toEqual(Object.values(VITAL_FLAG).sort());
+    expect(sql).toMatch(/observation_type = 'vital'/);
+    expect(sql).toMatch(/\(vital_type = 'blood_pressure'\) = \(vital_value_secondary IS NOT NULL\)/);
+  });
+
+  it('indexes structured readings by plan and time', () => {
+    expect(sql).toMatch(
+      /CREATE INDEX IF NOT EXISTS idx_care_plan_observations_vitals\s+ON public\.care_plan_observations \(care_plan_id, logged_at\)\s+WHERE vital_type IS NOT NULL/,
+    );
+  });
+
+  it('raises care signals from a definer trigger on flagged rows only', () => {
+    expect(sql).toMatch(/CREATE OR REPLACE FUNCTION public\.raise_vital_care_signal\(\)[\s\S]*?SECURITY DEFINER\s+SET search_path TO 'public'/);
+    expect(sql).toMatch(/DROP TRIGGER IF EXISTS care_plan_observations_vital_signal/);
+    expect(sql).toMatch(
+      /AFTER INSERT ON public\.care_plan_observations\s+FOR EACH ROW\s+WHEN \(NEW\.vital_flag IS NOT NULL\)\s+EXECUTE FUNCTION public\.raise_vital_care_signal\(\)/,
+    );
+  });
+
+  it('labels every vital type in the trigger with the app label', () => {
+    for (const id of VITAL_TYPE_IDS) {
+      expect(sql).toContain(`WHEN '${id}'`);
+      expect(sql).toContain(`THEN '${VITAL_TYPES[id].label}'`);
+    }
+  });
+
+  it('files signals under detector categories and folds repeats into the open alert', () => {
+    for (const category of ['weight_change', 'vital_sign_change']) {
+      expect(STOP_AND_WATCH_IDS).toContain(category);
+      expect(sql).toContain(`'${category}'`);
+    }
+    expect(sql).toMatch(/model = 'vitals_threshold'/);
+    expect(sql).toMatch(/status = 'open'/);
+    expect(sql).toMatch(/evidence\s+= evidence \|\| jsonb_build_array\(v_evidence\)/);
+  });
+
+  it('only uses idempotent creates', () => {
+    expect(sql.match(/CREATE (TABLE|INDEX|UNIQUE INDEX)(?! IF NOT EXISTS)/g) || []).toEqual([]);
+  });
+
+  it('rollback drops the trigger, index, CHECK and columns', () => {
+    expect(rollbackSql).toMatch(/⚠️\s+Drops data/);
+    expect(rollbackSql).toMatch(/DROP TRIGGER IF EXISTS care_plan_observations_vital_signal/);
+    expect(rollbackSql).toMatch(/DROP FUNCTION IF EXISTS public\.raise_vital_care_signal\(\)/);
+    expect(rollbackSql).toMatch(/DROP INDEX IF EXISTS public\.idx_care_plan_observations_vitals/);
+    expect(rollbackSql).toMatch(/DROP CONSTRAINT IF EXISTS care_plan_observations_vital_shape/);
+    for (const col of COLUMNS) expect(rollbackSql).toContain(`DROP COLUMN IF EXISTS ${col}`);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// ═══════════════════════════════════════════════════════════════
+// Tests for decideTimeOffRequest's pending → decided claim.
+//
+// A caregiver withdrawing the request, or a second approver, must not
+// end up with an "unavailable" block: the status change comes first as
+// a conditional update, and the availability row is only written once
+// it lands. A failed insert hands the request back to pending.
+// ═══════════════════════════════════════════════════════════════
+
+function createSupabaseMock() {
+  const queue = [];
+  const calls = [];
+
+  function enqueue(table, action, terminal, result) {
+    queue.push({ table, action, terminal, result });
+  }
+
+  function dequeue(table, action, terminal) {
+    const idx = queue.findIndex(
+      (q) => q.table === table && q.action === action && q.terminal === terminal,
+    );
+    if (idx === -1) {
+      throw new Error(`Unexpected call: ${table}.${action}().${terminal || 'noTerminal'}`);
+    }
+    return queue.splice(idx, 1)[0].result;
+  }
+
+  function makeBuilder(table, action, payload) {
+    const filters = [];
+    const builder = {
+      select() { return builder; },
+      eq(col, val) { filters.push({ col, val, op: 'eq' }); return builder; },
+      in(col, vals) { filters.push({ col, val: vals, op: 'in' }); return builder; },
+      order() { return builder; },
+      single() {
+        calls.push({ table, action, terminal: 'single', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'single'));
+      },
+      maybeSingle() {
+        calls.push({ table, action, terminal: 'maybeSingle', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'maybeSingle'));
+      },
+      then(onFulfilled, onRejected) {
+        calls.push({ table, action, terminal: 'noTerminal', payload, filters });
+        return Promise.resolve(dequeue(table, action, 'noTerminal'))
+          .then(onFulfilled, onRejected);
+      },
+    };
+    return builder;
+  }
+
+  const supabase = {
+    from: vi.fn((table) => ({
+      select: () => makeBuilder(table, 'select', null),
+      insert: (payload) => makeBuilder(table, 'insert', payload),
+      update: (payload) => makeBuilder(table, 'update', payload),
+      delete: () => makeBuilder(table, 'delete', null),
+    })),
+  };
+
+  return { supabase, enqueue, calls };
+}
+
+let mock;
+
+vi.mock('../supabase', () => ({
+  supabase: new Proxy({}, { get: (_, prop) => mock.supabase[prop] }),
+  isSupabaseConfigured: () => true,
+}));
+
+const { decideTimeOffRequest } = await import('../../features/scheduling/storage.js');
+
+const PENDING_ROW = {
+  id: 'pto-1',
+  caregiver_id: 'cg-nia',
+  start_date: '2026-07-06',
+  end_date: '2026-07-10',
+  reason: 'Family trip',
+  status: 'pending',
+  availability_id: null,
+};
+
+const requestUpdates = () => mock.calls.filter(
+  (c) => c.table === 'caregiver_time_off_requests' && c.action === 'update',
+);
+
+beforeEach(() => {
+  mock = createSupabaseMock();
+  mock.enqueue('caregiver_time_off_requests', 'select', 'maybeSingle', { data: PENDING_ROW, error: null });
+});
+
+describe('decideTimeOffRequest', () => {
+  it('claims the decision only while the request is still pending', async () => {
+    mock.enqueue('caregiver_time_off_requests', 'update', 'maybeSingle', {
+      data: { ...PENDING_ROW, status: 'denied', decided_by: 'Omar' },
+      error: null,
+    });
+
+    const out = await decideTimeOffRequest('pto-1', { approve: false, decidedBy: 'Omar' });
+
+    expect(out.status).toBe('denied');
+    expect(requestUpdates()[0].payload).toMatchObject({ status: 'denied', decided_by: 'Omar' });
+    expect(requestUpdates()[0].filters).toContainEqual({ col: 'status', val: 'pending', op: 'eq' });
+  });
+
+  it('writes no availability block when the request was withdrawn or decided first', async () => {
+    mock.enqueue('caregiver_time_off_requests', 'update', 'maybeSingle', { data: null, error: null });
+
+    await expect(decideTimeOffRequest('pto-1', { approve: true, decidedBy: 'Omar' }))
+      .rejects.toThrow('no longer waiting for approval');
+
+    expect(mock.calls.some((c) => c.table === 'caregiver_availability')).toBe(false);
+  });
+
+  it('writes the block after the claim and links it from the request', async () => {
+    mock.enqueue('caregiver_time_off_requests', 'update', 'maybeSingle', {
+      data: { ...PENDING_ROW, status: 'approved' },
+      error: null,
+    });
+    mock.enqueue('caregiver_availability', 'insert', 'single', { data: { id: 'avail-7' }, error: null });
+    mock.enqueue('caregiver_time_off_requests', 'update', 'single', {
+      data: { ...PENDING_ROW, status: 'approved', availability_id: 'avail-7' },
+      error: null,
+    });
+
+    const out = await decideTimeOffRequest('pto-1', { approve: true, decidedBy: 'Omar' });
+
+    expect(out).toMatchObject({ status: 'approved', availabilityId: 'avail-7' });
+    const insert = mock.calls.find((c) => c.table === 'caregiver_availability');
+    expect(insert.payload).toMatchObject({ caregiver_id: 'cg-nia', type: 'unavailable', pinned: true });
+    expect(mock.calls.indexOf(insert)).toBeGreaterThan(mock.calls.indexOf(requestUpdates()[0]));
+    expect(requestUpdates().at(-1).payload).toEqual({ availability_id: 'avail-7' });
+  });
+
+  it('hands the request back to pending when the block cannot be written', async () => {
+    mock.enqueue('caregiver_time_off_requests', 'update', 'maybeSingle', {
+      data: { ...PENDING_ROW, status: 'approved' },
+      error: null,
+    });
+    mock.enqueue('caregiver_availability', 'insert', 'single', { data: null, error: new Error('insert failed') });
+    mock.enqueue('caregiver_time_off_requests', 'update', 'noTerminal', { data: null, error: null });
+
+    await expect(decideTimeOffRequest('pto-1', { approve: true, decidedBy: 'Omar' }))
+      .rejects.toThrow('insert failed');
+
+    const revert = requestUpdates().at(-1);
+    expect(revert.payload).toMatchObject({ status: 'pending', decided_at: null, decided_by: null });
+    expect(revert.filters).toContainEqual({ col: 'status', val: 'approved', op: 'eq' });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TIME_OFF_STATUS,
+  TIME_OFF_MAX_DAYS,
+  TIME_OFF_REASON_MAX_LENGTH,
+  todayInZone,
+  validateTimeOffRequest,
+  timeOffWindowMs,
+  timeOffConflictingShifts,
+  shiftsNeedingCoverage,
+  timeOffAvailabilityRow,
+  formatTimeOffDates,
+  timeOffDecisionPush,
+} from '../scheduling/timeOffRequests';
+import { wallClockToUtcMs } from '../scheduling/timezone';
+
+// ─── Test helpers ─────────────────────────────────────────────
+
+const TZ = 'America/Los_Angeles';
+
+function isoAt(day, hour) {
+  return new Date(wallClockToUtcMs({ year: 2026, month: 5, day, hour }, TZ)).toISOString();
+}
+
+function shift(id, day, startHour, endHour, extra = {}) {
+  return {
+    id,
+    assigned_caregiver_id: 'cg-ana',
+    status: 'assigned',
+    start_time: isoAt(day, startHour),
+    end_time: isoAt(day, endHour),
+    ...extra,
+  };
+}
+
+function request(extra = {}) {
+  return {
+    id: 'to-1',
+    caregiver_id: 'cg-ana',
+    start_date: '2026-05-05',
+    end_date: '2026-05-06',
+    reason: null,
+    status: TIME_OFF_STATUS.APPROVED,
+    ...extra,
+  };
+}
+
+// ─── todayInZone ──────────────────────────────────────────────
+
+describe('todayInZone', () => {
+  it('uses the agency’s calendar day, not UTC', () => {
+    // 03:00 UTC on May 5 is still the evening of May 4 in LA.
+    expect(todayInZone(new Date('2026-05-05T03:00:00Z'), TZ)).toBe('2026-05-04');
+  });
+});
+
+// ─── validateTimeOffRequest ───────────────────────────────────
+
+describe('validateTimeOffRequest', () => {
+  const today = '2026-05-03';
+
+  it('accepts a future range', () => {
+    expect(validateTimeOffRequest({ startDate: '2026-05-05', endDate: '2026-05-06' }, { today })).toBeNull();
+    expect(validateTimeOffRequest({ startDate: '2026-05-03', endDate: '2026-05-03' }, { today })).toBeNull();
+  });
+
+  it('requires real dates in order', () => {
+    expect(validateTimeOffRequest({ startDate: '', endDate: '2026-05-06' })).toMatch(/start date/);
+    expect(validateTimeOffRequest({ startDate: '2026-02-31', endDate: '2026-03-01' })).toMatch(/start date/);
+    expect(validateTimeOffRequest({ startDate: '2026-05-06', endDate: 'soon' })).toMatch(/end date/);
+    expect(validateTimeOffRequest({ startDate: '2026-05-06', endDate: '2026-05-05' })).toMatch(/before/);
+  });
+
+  it('rejects requests starting in the past', () => {
+    expect(validateTimeOffRequest({ startDate: '2026-05-02', endDate: '2026-05-04' }, { today })).toMatch(/past/);
+  });
+
+  it('caps the length and the reason', () => {
+    expect(validateTimeOffRequest({ startDate: '2026-05-01', endDate: '2026-06-29' })).toBeNull();
+    expect(validateTimeOffRequest({ startDate: '2026-05-01', endDate: '2026-06-30' }))
+      .toMatch(new RegExp(`${TIME_OFF_MAX_DAYS} days`));
+    const reason = 'x'.repeat(TIME_OFF_REASON_MAX_LENGTH + 1);
+    expect(validateTimeOffRequest({ startDate: '2026-05-05', endDate: '2026-05-05', reason })).toMatch(/too long/);
+  });
+});
+
+// ─── Coverage ─────────────────────────────────────────────────
+
+describe('timeOffWindowMs', () => {
+  it('runs from local midnight on the first day to local midnight after the last', () => {
+    const w = timeOffWindowMs(request(), TZ);
+    expect(w.startMs).toBe(wallClockToUtcMs({ year: 2026, month: 5, day: 5 }, TZ));
+    expect(w.endMs).toBe(wallClockToUtcMs({ year: 2026, month: 5, day: 7 }, TZ));
+  });
+
+  it('returns null for malformed dates', () => {
+    expect(timeOffWindowMs(request({ start_date: null }), TZ)).toBeNull();
+  });
+});
+
+describe('timeOffConflictingShifts', () => {
+  it('returns the caregiver’s staffed shifts inside the dates', () => {
+    const shifts = [
+      shift('before', 4, 9, 13),
+      shift('inside', 5, 9, 13),
+      shift('overnight-in', 4, 22, 23), // May 4 22:00 → May 5 02:00, end fixed below
+      shift('last-day', 6, 18, 22),
+      shift('after', 7, 9, 13),
+    ];
+    shifts[2].end_time = isoAt(5, 2);
+    const ids = timeOffConflictingShifts(request(), shifts, TZ).map((sh) => sh.id);
+    expect(ids).toEqual(['inside', 'overnight-in', 'last-day']);
+  });
+
+  it('ignores other caregivers and shifts nobody needs to cover', () => {
+    const shifts = [
+      shift('theirs', 5, 9, 13, { assigned_caregiver_id: 'cg-ben' }),
+      shift('working', 5, 9, 13, { status: 'in_progress' }),
+      shift('cancelled', 5, 14, 18, { status: 'cancelled' }),
+      shift('confirmed', 6, 9, 13, { status: 'confirmed' }),
+    ];
+    expect(timeOffConflictingShifts(request(), shifts, TZ).map((sh) => sh.id)).toEqual(['confirmed']);
+  });
+});
+
+describe('shiftsNeedingCoverage', () => {
+  it('flags shifts only for approved time off', () => {
+    const shifts = [shift('a', 5, 9, 13), shift('b', 10, 9, 13)];
+    const requests = [
+      request(),
+      request({ id: 'to-2', start_date: '2026-05-10', end_date: '2026-05-10', status: 'pending' }),
+    ];
+    const flagged = shiftsNeedingCoverage(shifts, requests, TZ);
+    expect([...flagged.keys()]).toEqual(['a']);
+    expect(flagged.get('a').id).toBe('to-1');
+  });
+});
+
+// ─── Approval side effects ────────────────────────────────────
+
+describe('timeOffAvailabilityRow', () => {
+  it('builds a pinned one-off unavailable row for the dates', () => {
+    expect(timeOffAvailabilityRow(request({ reason: 'Surgery' }), { createdBy: 'Maria' })).toEqual({
+      caregiver_id: 'cg-ana',
+      type: 'unavailable',
+      day_of_week: null,
+      start_date: '2026-05-05',
+      end_date: '2026-05-06',
+      reason: 'Time off: Surgery',
+      source: 'time_off',
+      pinned: true,
+      created_by: 'Maria',
+    });
+    expect(timeOffAvailabilityRow(request()).reason).toBe('Time off');
+  });
+});
+
+describe('formatTimeOffDates', () => {
+  it('formats single days and ranges', () => {
+    expect(formatTimeOffDates(request({ end_date: '2026-05-05' }))).toBe('Tue, May 5');
+    expect(formatTimeOffDates(request())).toBe('May 5 – May 6');
+    expect(formatTimeOffDates(null)).toBe('');
+  });
+});
+
+describe('timeOffDecisionPush', () => {
+  it('tells the caregiver how the office decided', () => {
+    const approved = timeOffDecisionPush(true, request());
+    expect(approved.title).toBe('Time off approved');
+    expect(approved.body).toContain('May 5 – May 6');
+    expect(approved.tag).toBe('time-off-to-1');
+    expect(timeOffDecisionPush(false, request()).title).toBe('Time off not approved');
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import {
+  VITAL_TYPES,
+  VITAL_TYPE_IDS,
+  VITAL_MEASURES,
+  DEFAULT_VITAL_RANGES,
+  vitalRangesFromVersion,
+  parseVitalInput,
+  evaluateVital,
+  formatVitalReading,
+  describeVitalReading,
+  formatVitalRange,
+  isStructuredVital,
+  buildVitalSeries,
+} from '../vitals';
+import { getFieldById } from '../../features/care-plans/sections';
+
+const versionData = (vitalRanges) => ({ healthProfile: { vitalRanges } });
+
+const reading = (overrides = {}) => ({
+  id: overrides.id ?? 'obs-1',
+  observationType: 'vital',
+  shiftId: 'shift-1',
+  loggedAt: '2026-06-01T16:00:00Z',
+  vitalType: 'blood_pressure',
+  vitalValue: 128,
+  vitalValueSecondary: 82,
+  vitalUnit: 'mmHg',
+  vitalFlag: null,
+  note: null,
+  ...overrides,
+});
+
+describe('vital taxonomy', () => {
+  it('covers the six vitals with a unit and measures each', () => {
+    expect(VITAL_TYPE_IDS).toEqual([
+      'blood_pressure', 'pulse', 'temperature', 'spo2', 'weight', 'blood_glucose',
+    ]);
+    for (const id of VITAL_TYPE_IDS) {
+      expect(VITAL_TYPES[id].unit).toBeTruthy();
+      for (const m of VITAL_TYPES[id].measures) expect(VITAL_MEASURES[m]).toBeTruthy();
+    }
+  });
+
+  it('measure labels match the care plan vitalRanges select options', () => {
+    const field = getFieldById('healthProfile', 'vitalRanges');
+    const select = field.subfields.find((f) => f.id === 'vital');
+    expect(select.options).toEqual(Object.values(VITAL_MEASURES).map((m) => m.label));
+  });
+});
+
+describe('vitalRangesFromVersion', () => {
+  it('falls back to the defaults when the plan sets nothing', () => {
+    const ranges = vitalRangesFromVersion(null);
+    expect(ranges.systolic).toEqual({ ...DEFAULT_VITAL_RANGES.systolic, source: 'default' });
+    expect(ranges.weight).toEqual({ low: null, high: null, source: 'default' });
+  });
+
+  it('lets a plan row replace the default for its measure', () => {
+    const ranges = vitalRangesFromVersion(versionData([
+      { vital: 'Blood pressure — systolic', low: '100', high: '170' },
+      { vital: 'weight', low: '', high: 180 },
+    ]));
+    expect(ranges.systolic).toEqual({ low: 100, high: 170, source: 'plan' });
+    expect(ranges.weight).toEqual({ low: null, high: 180, source: 'plan' });
+    expect(ranges.diastolic.source).toBe('default');
+  });
+
+  it('ignores unknown vitals, inverted ranges and blank rows', () => {
+    const ranges = vitalRangesFromVersion(versionData([
+      { vital: 'Respiration', low: 12, high: 20 },
+      { vital: 'Pulse', low: 120, high: 60 },
+      { vital: 'SpO2', low: '', high: '' },
+    ]));
+    expect(ranges.pulse.source).toBe('default');
+    expect(ranges.spo2.source).toBe('default');
+    expect(ranges.respiration).toBeUndefined();
+  });
+});
+
+describe('parseVitalInput', () => {
+  it('parses and rounds to the measure precision', () => {
+    expect(parseVitalInput('blood_pressure', { systolic: '128', diastolic: ' 82 ' }))
+      .toEqual({ ok: true, value: 128, valueSecondary: 82 });
+    expect(parseVitalInput('temperature', { temperature: '98.64' }))
+      .toEqual({ ok: true, value: 98.6, valueSecondary: null });
+  });
+
+  it('rejects missing and implausible readings', () => {
+    expect(parseVitalInput('pulse', { pulse: '' })).toEqual({ ok: false, error: 'Enter the pulse reading.' });
+    expect(parseVitalInput('pulse', { pulse: '720' }).ok).toBe(false);
+    expect(parseVitalInput('respiration', {}).ok).toBe(false);
+  });
+
+  it('rejects a diastolic at or above the systolic', () => {
+    const r = parseVitalInput('blood_pressure', { systolic: '80', diastolic: '120' });
+    expect(r.ok).toBe(false);
+    expect(r.error).toMatch(/Diastolic should be lower/);
+  });
+});
+
+describe('evaluateVital', () => {
+  const ranges = vitalRangesFromVersion(null);
+
+  it('passes readings inside the range', () => {
+    expect(evaluateVital({ type: 'blood_pressure', value: 128, valueSecondary: 82 }, ranges))
+      .toEqual({ flag: null, outOfRange: [] });
+  });
+
+  it('flags high and low, per measure', () => {
+    const bp = evaluateVital({ type: 'blood_pressure', value: 150, valueSecondary: 105 }, ranges);
+    expect(bp.flag).toBe('high');
+    expect(bp.outOfRange).toEqual([{ measure: 'diastolic', value: 105, flag: 'high', low: 50, high: 100 }]);
+    expect(evaluateVital({ type: 'spo2', value: 89 }, ranges).flag).toBe('low');
+  });
+
+  it('leaves an open side unchecked', () => {
+    expect(evaluateVital({ type: 'spo2', value: 100 }, ranges).flag).toBeNull();
+    expect(evaluateVital({ type: 'weight', value: 400 }, ranges).flag).toBeNull();
+  });
+});
+
+describe('formatting', () => {
+  it('formats readings and ranges', () => {
+    expect(formatVitalReading({ type: 'blood_pressure', value: 128, valueSecondary: 82 })).toBe('128/82');
+    expect(formatVitalReading({ type: 'temperature', value: 98.6 })).toBe('98.6');
+    expect(describeVitalReading({ type: 'blood_pressure', value: 128, valueSecondary: 82 }))
+      .toBe('Blood pressure 128/82 mmHg');
+    expect(formatVitalRange({ low: 90, high: 160 })).toBe('90–160');
+    expect(formatVitalRange({ low: 92, high: null })).toBe('≥ 92');
+    expect(formatVitalRange({ low: null, high: 180 })).toBe('≤ 180');
+    expect(formatVitalRange({ low: null, high: null })).toBe('');
+  });
+});
+
+describe('buildVitalSeries', () => {
+  it('groups structured readings by type, oldest first', () => {
+    const series = buildVitalSeries([
+      reading({ id: 'b', loggedAt: '2026-06-02T16:00:00Z', vitalFlag: 'high', vitalValue: 182, vitalValueSecondary: 95 }),
+      reading({ id: 'a' }),
+      reading({ id: 'p', vitalType: 'pulse', vitalValue: '72', vitalValueSecondary: null }),
+      { id: 'legacy', observationType: 'vital', rating: '120/80', loggedAt: '2026-06-01T16:00:00Z' },
+      { id: 't', observationType: 'task_completion', loggedAt: '2026-06-01T16:00:00Z' },
+    ]);
+    expect(Object.keys(series).sort()).toEqual(['blood_pressure', 'pulse']);
+    expect(series.blood_pressure.map((p) => p.id)).toEqual(['a', 'b']);
+    expect(series.blood_pressure[1]).toMatchObject({ systolic: 182, diastolic: 95, flag: 'high', shiftId: 'shift-1' });
+    expect(series.pulse[0]).toMatchObject({ pulse: 72 });
+    expect(series.pulse[0]).not.toHaveProperty('diastolic');
+  });
+
+  it('recognises structured vitals only', () => {
+    expect(isStructuredVital(reading())).toBe(true);
+    expect(isStructuredVital(reading({ vitalType: null }))).toBe(false);
+    expect(buildVitalSeries(null)).toEqual({});
+  });
+});
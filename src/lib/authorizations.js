@@ -0,0 +1,422 @@
+// ─── Client authorizations ───
+// Pure unit tracking for payer authorizations (Medi-Cal waiver, VA,
+// LTC insurance…), shared by scheduling (shift create / generate
+// checks, the client's Authorizations panel) and invoicing
+// (buildInvoice). An authorization is one row of
+// `client_authorizations` (migration 20260611000000): the payer
+// approved up to `unit_cap` units of a service for a client, per week,
+// per month, or over the whole authorization, between `start_date`
+// and `end_date` (the expiration).
+//
+//   - A unit is `unit_minutes` of service (15 for most Medi-Cal waiver
+//     codes, 60 for hourly VA authorizations).
+//   - `service_type` NULL covers every service type; an authorization
+//     for the shift's exact service type beats the catch-all.
+//   - A shift counts against the authorization active on its start
+//     date (in the org's timezone), in the cap period that date falls
+//     in. Weeks run Monday → Sunday like payroll and invoicing.
+//   - Worked units come from the shift's clock events (first in → last
+//     out); a shift without both counts its scheduled duration.
+//     Cancelled and no-show shifts don't count.
+//
+// Units accumulate in start-time order, so the shift that crosses the
+// cap — and every shift after it in the period — is "over". Callers
+// turn that into a block (scheduling refuses the shift, invoicing
+// blocks the invoice). A shift for a client who has authorizations
+// for its service type, none of which is active on the shift's date
+// (expired or not yet started), is "not covered" — a warning.
+
+import { SERVICE_TYPE } from './rateCards.js';
+import { DEFAULT_APP_TIMEZONE, utcMsToWallClockParts } from './scheduling/timezone.js';
+
+export const AUTHORIZATION_PERIOD = Object.freeze({
+  WEEK: 'week',
+  MONTH: 'month',
+  TOTAL: 'total',
+});
+
+export const AUTHORIZATION_PERIOD_LABELS = Object.freeze({
+  week: 'per week',
+  month: 'per month',
+  total: 'for the authorization',
+});
+
+/** Payers offered in the UI. Stored as free text, like clients.payer_type. */
+export const AUTHORIZATION_PAYER_LABELS = Object.freeze({
+  medi_cal_waiver: 'Medi-Cal waiver',
+  va: 'VA',
+  ltc_insurance: 'LTC insurance',
+  other: 'Other',
+});
+
+export const AUTHORIZATION_ISSUE = Object.freeze({
+  EXCEEDED: 'authorization_exceeded',
+  NOT_COVERED: 'authorization_not_covered',
+});
+
+const NON_COUNTING_STATUSES = new Set(['cancelled', 'no_show']);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toMs(v) {
+  if (v == null) return null;
+  const ms = new Date(v).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function addDays(dateOnly, days) {
+  const [y, m, d] = dateOnly.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function mondayOf(dateOnly) {
+  const [y, m, d] = dateOnly.split('-').map(Number);
+  const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  return addDays(dateOnly, -((dow + 6) % 7));
+}
+
+function monthBounds(dateOnly) {
+  const [y, m] = dateOnly.split('-').map(Number);
+  const start = `${dateOnly.slice(0, 7)}-01`;
+  const end = new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+  return { start, end };
+}
+
+/** Normalize a `client_authorizations` row (numeric columns arrive as strings). */
+export function normalizeAuthorization(row) {
+  return {
+    ...row,
+    unit_cap: Number(row.unit_cap),
+    unit_minutes: Number(row.unit_minutes) || 60,
+  };
+}
+
+/** Hours of service → authorization units, to 2 decimals. */
+export function hoursToUnits(hours, unitMinutes = 60) {
+  const h = Number(hours);
+  const minutes = Number(unitMinutes) || 60;
+  if (!Number.isFinite(h) || h <= 0) return 0;
+  return round2((h * 60) / minutes);
+}
+
+/** True when the authorization is in effect on a YYYY-MM-DD date. */
+export function isAuthorizationActiveOn(auth, date) {
+  if (!auth || !date) return false;
+  if (auth.start_date && auth.start_date > date) return false;
+  if (auth.end_date && auth.end_date < date) return false;
+  return true;
+}
+
+/**
+ * The cap period containing `date`, clipped to the authorization's own
+ * dates. Null when the authorization isn't active that day.
+ *
+ * @returns {{ start: string, end: string } | null}
+ */
+export function authorizationPeriodFor(auth, date) {
+  if (!isAuthorizationActiveOn(auth, date)) return null;
+  let start;
+  let end;
+  if (auth.cap_period === AUTHORIZATION_PERIOD.WEEK) {
+    start = mondayOf(date);
+    end = addDays(start, 6);
+  } else if (auth.cap_period === AUTHORIZATION_PERIOD.MONTH) {
+    ({ start, end } = monthBounds(date));
+  } else {
+    start = auth.start_date;
+    end = auth.end_date;
+  }
+  if (auth.start_date && start < auth.start_date) start = auth.start_date;
+  if (auth.end_date && end > auth.end_date) end = auth.end_date;
+  return { start, end };
+}
+
+function servicesMatch(auth, shift) {
+  return auth.service_type == null || auth.service_type === (shift.service_type ?? null);
+}
+
+/**
+ * The authorization a shift counts against: same client, covering the
+ * shift's service type, active on `date`. An exact service-type match
+ * beats the catch-all; ties go to the authorization expiring first.
+ */
+export function matchAuthorization(authorizations, shift, date) {
+  let best = null;
+  for (const auth of authorizations || []) {
+    if (auth.client_id !== shift.client_id) continue;
+    if (!servicesMatch(auth, shift)) continue;
+    if (!isAuthorizationActiveOn(auth, date)) continue;
+    if (!best) {
+      best = auth;
+      continue;
+    }
+    const exact = auth.service_type != null;
+    const bestExact = best.service_type != null;
+    if (exact !== bestExact) {
+      if (exact) best = auth;
+      continue;
+    }
+    if ((auth.end_date ?? '9999-12-31') < (best.end_date ?? '9999-12-31')) best = auth;
+  }
+  return best;
+}
+
+function workedHoursByShift(clockEvents) {
+  const byShift = new Map();
+  for (const e of clockEvents || []) {
+    if (e.event_type !== 'in' && e.event_type !== 'out') continue;
+    const ms = toMs(e.occurred_at);
+    if (ms == null) continue;
+    const entry = byShift.get(e.shift_id) || { firstIn: null, lastOut: null };
+    if (e.event_type === 'in' && (entry.firstIn == null || ms < entry.firstIn)) entry.firstIn = ms;
+    if (e.event_type === 'out' && (entry.lastOut == null || ms > entry.lastOut)) entry.lastOut = ms;
+    byShift.set(e.shift_id, entry);
+  }
+  const hours = new Map();
+  for (const [shiftId, { firstIn, lastOut }] of byShift) {
+    if (firstIn != null && lastOut != null && lastOut > firstIn) {
+      hours.set(shiftId, (lastOut - firstIn) / 3_600_000);
+    }
+  }
+  return hours;
+}
+
+/**
+ * Count shifts against their authorizations.
+ *
+ * @param {object} args
+ * @param {Array<object>} args.authorizations  `client_authorizations` rows.
+ * @param {Array<object>} args.shifts  snake_case `shifts` rows: id,
+ *   client_id, service_type, start_time, end_time, status.
+ * @param {Array<object>} [args.clockEvents]  `clock_events` rows
+ *   (shift_id, event_type, occurred_at) for those shifts.
+ * @param {string} [args.timezone]
+ * @returns {{
+ *   periods: Array<{
+ *     authorizationId: string, authNumber: string,
+ *     periodStart: string, periodEnd: string, capUnits: number, scheduledUnits: number, workedUnits: number,
+ *     usedUnits: number, remainingUnits: number, overBy: number,
+ *     shiftIds: string[],
+ *   }>,
+ *   byShiftId: Object<string, {
+ *     authorizationId: string, authNumber: string, periodStart: string,
+ *     periodEnd: string, units: number, worked: boolean, overCap: boolean,
+ *   }>,
+ *   notCoveredShiftIds: string[],
+ * }}
+ */
+export function evaluateAuthorizations({
+  authorizations,
+  shifts,
+  clockEvents = [],
+  timezone = DEFAULT_APP_TIMEZONE,
+}) {
+  const auths = authorizations || [];
+  const workedHours = workedHoursByShift(clockEvents);
+  const periodsByKey = new Map();
+  const byShiftId = {};
+  const notCoveredShiftIds = [];
+
+  const ordered = (shifts || [])
+    .filter((s) => s && !NON_COUNTING_STATUSES.has(s.status) && toMs(s.start_time) != null)
+    .sort((a, b) => toMs(a.start_time) - toMs(b.start_time));
+
+  for (const shift of ordered) {
+    const date = utcMsToWallClockParts(toMs(shift.start_time), timezone).dateOnly;
+    const auth = matchAuthorization(auths, shift, date);
+    if (!auth) {
+      const hasAuthForService = auths.some(
+        (a) => a.client_id === shift.client_id && servicesMatch(a, shift),
+      );
+      if (hasAuthForService) notCoveredShiftIds.push(shift.id);
+      continue;
+    }
+
+    const period = authorizationPeriodFor(auth, date);
+    const key = `${auth.id}|${period.start}`;
+    if (!periodsByKey.has(key)) {
+      periodsByKey.set(key, {
+        authorizationId: auth.id,
+        authNumber: auth.auth_number ?? null,
+        periodStart: period.start,
+        periodEnd: period.end,
+        capUnits: Number(auth.unit_cap) || 0,
+        scheduledUnits: 0,
+        workedUnits: 0,
+        usedUnits: 0,
+        remainingUnits: 0,
+        overBy: 0,
+        shiftIds: [],
+      });
+    }
+    const entry = periodsByKey.get(key);
+
+    const scheduledMs = (toMs(shift.end_time) ?? 0) - toMs(shift.start_time);
+    const scheduledUnits = hoursToUnits(scheduledMs / 3_600_000, auth.unit_minutes);
+    const worked = workedHours.has(shift.id);
+    const units = worked
+      ? hoursToUnits(workedHours.get(shift.id), auth.unit_minutes)
+      : scheduledUnits;
+
+    entry.scheduledUnits = round2(entry.scheduledUnits + scheduledUnits);
+    if (worked) entry.workedUnits = round2(entry.workedUnits + units);
+    entry.usedUnits = round2(entry.usedUnits + units);
+    entry.shiftIds.push(shift.id);
+
+    byShiftId[shift.id] = {
+      authorizationId: auth.id,
+      authNumber: auth.auth_number ?? null,
+      periodStart: period.start,
+      periodEnd: period.end,
+      units,
+      worked,
+      overCap: entry.usedUnits > entry.capUnits,
+    };
+  }
+
+  const periods = Array.from(periodsByKey.values()).map((p) => ({
+    ...p,
+    remainingUnits: round2(Math.max(0, p.capUnits - p.usedUnits)),
+    overBy: round2(Math.max(0, p.usedUnits - p.capUnits)),
+  }));
+
+  return { periods, byShiftId, notCoveredShiftIds };
+}
+
+/**
+ * Check shifts about to be created against the client's
+ * authorizations, counting the shifts already on the books.
+ *
+ * @param {object} args
+ * @param {Array<object>} args.authorizations
+ * @param {Array<object>} args.existingShifts  snake_case rows already saved.
+ * @param {Array<object>} args.proposedShifts  snake_case rows to create;
+ *   each needs an `id` (a placeholder is fine) to report issues against.
+ * @param {Array<object>} [args.clockEvents]
+ * @param {string} [args.timezone]
+ * @returns {Array<{
+ *   code: string, severity: 'block' | 'warn', message: string,
+ *   shiftIds: string[], authorizationId?: string, periodStart?: string,
+ * }>}
+ */
+export function checkShiftsAgainstAuthorizations({
+  authorizations,
+  existingShifts = [],
+  proposedShifts,
+  clockEvents = [],
+  timezone = DEFAULT_APP_TIMEZONE,
+}) {
+  const proposedIds = new Set((proposedShifts || []).map((s) => s.id));
+  const { periods, byShiftId, notCoveredShiftIds } = evaluateAuthorizations({
+    authorizations,
+    shifts: [...existingShifts, ...(proposedShifts || [])],
+    clockEvents,
+    timezone,
+  });
+  const authById = new Map((authorizations || []).map((a) => [a.id, a]));
+  const issues = [];
+
+  for (const period of periods) {
+    const over = period.shiftIds.filter(
+      (id) => proposedIds.has(id) && byShiftId[id].overCap,
+    );
+    if (over.length === 0) continue;
+    const auth = authById.get(period.authorizationId);
+    issues.push({
+      code: AUTHORIZATION_ISSUE.EXCEEDED,
+      severity: 'block',
+      authorizationId: period.authorizationId,
+      periodStart: period.periodStart,
+      shiftIds: over,
+      message:
+        `Authorization ${period.authNumber || period.authorizationId} allows `
+        + `${period.capUnits} units ${describePeriod(auth, period)}; `
+        + `these shifts bring it to ${period.usedUnits} (${period.overBy} over).`,
+    });
+  }
+
+  const notCovered = notCoveredShiftIds.filter((id) => proposedIds.has(id));
+  if (notCovered.length > 0) {
+    issues.push({
+      code: AUTHORIZATION_ISSUE.NOT_COVERED,
+      severity: 'warn',
+      shiftIds: notCovered,
+      message:
+        `${notCovered.length} shift${notCovered.length === 1 ? ' falls' : 's fall'} `
+        + 'outside every authorization for this client (expired or not yet started).',
+    });
+  }
+
+  return issues;
+}
+
+function describePeriod(auth, period) {
+  if (auth?.cap_period === AUTHORIZATION_PERIOD.WEEK) return `for the week of ${period.periodStart}`;
+  if (auth?.cap_period === AUTHORIZATION_PERIOD.MONTH) return `in ${period.periodStart.slice(0, 7)}`;
+  return 'in total';
+}
+
+/**
+ * Date range whose shifts must be loaded to count usage for every cap
+ * period overlapping `from`..`to` (YYYY-MM-DD, inclusive). A weekly
+ * invoice against a monthly authorization needs the whole month.
+ * Null when no authorization overlaps the range.
+ *
+ * @returns {{ start: string, end: string } | null}
+ */
+export function authorizationUsageWindow(authorizations, { from, to }) {
+  let start = null;
+  let end = null;
+  for (const auth of authorizations || []) {
+    const lo = auth.start_date && auth.start_date > from ? auth.start_date : from;
+    const hi = auth.end_date && auth.end_date < to ? auth.end_date : to;
+    if (lo > hi) continue;
+    const first = authorizationPeriodFor(auth, lo);
+    const last = authorizationPeriodFor(auth, hi);
+    if (start == null || first.start < start) start = first.start;
+    if (end == null || last.end > end) end = last.end;
+  }
+  return start == null ? null : { start, end };
+}
+
+/**
+ * Validate an authorization before it's written. Mirrors the CHECK
+ * constraints of migration 20260611000000.
+ *
+ * @param {object} auth  snake_case: client_id, payer, auth_number,
+ *   service_type, unit_cap, unit_minutes, cap_period, start_date,
+ *   end_date.
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateAuthorization(auth) {
+  if (!auth || typeof auth !== 'object') return 'Authorization is required.';
+  if (!auth.client_id) return 'Pick a client.';
+  if (!auth.payer || !String(auth.payer).trim()) return 'Payer is required.';
+  if (!auth.auth_number || !String(auth.auth_number).trim()) return 'Authorization number is required.';
+  if (auth.service_type != null && !Object.values(SERVICE_TYPE).includes(auth.service_type)) {
+    return `Unknown service type "${auth.service_type}".`;
+  }
+  const cap = Number(auth.unit_cap);
+  if (auth.unit_cap === '' || auth.unit_cap == null || !Number.isFinite(cap) || cap <= 0) {
+    return 'Unit cap must be greater than 0.';
+  }
+  const minutes = Number(auth.unit_minutes);
+  if (!Number.isInteger(minutes) || minutes <= 0 || minutes > 1440) {
+    return 'Unit length must be a whole number of minutes.';
+  }
+  if (!Object.values(AUTHORIZATION_PERIOD).includes(auth.cap_period)) {
+    return `Unknown cap period "${auth.cap_period}".`;
+  }
+  for (const field of ['start_date', 'end_date']) {
+    if (!auth[field] || !DATE_RE.test(auth[field])) {
+      return field === 'start_date'
+        ? 'Start date is required (YYYY-MM-DD).'
+        : 'Expiration date is required (YYYY-MM-DD).';
+    }
+  }
+  if (auth.end_date < auth.start_date) return 'Expiration date is before the start date.';
+  return null;
+}
@@ -10,6 +10,10 @@
 // indefinitely after a fresh login, leaving the UI stuck on
 // "Submitting…" with no network request ever firing. This helper
 // forces both phases to be bounded and to surface a real error.
+//
+// Other caregiver-JWT functions (caregiver-open-shifts) reuse it via
+// `functionName`; `actionLabel` names the action in timeout/failure
+// messages.
 
 export const SESSION_READ_TIMEOUT_MS = 5_000;
 export const CLOCK_REQUEST_TIMEOUT_MS = 20_000;
@@ -27,6 +31,8 @@ export async function callCaregiverClock({
   supabaseUrl,
   anonKey,
   body,
+  functionName = 'caregiver-clock',
+  actionLabel = 'Clock-in',
   fetchImpl = typeof fetch === 'function' ? fetch : null,
   sessionTimeoutMs = SESSION_READ_TIMEOUT_MS,
   requestTimeoutMs = CLOCK_REQUEST_TIMEOUT_MS,
@@ -51,7 +57,7 @@ export async function callCaregiverClock({
     throw new Error('You’re signed out. Please sign back in and try again.');
   }
 
-  const url = `${supabaseUrl.replace(/\/$/, '')}/functions/v1/caregiver-clock`;
+  const url = `${supabaseUrl.replace(/\/$/, '')}/functions/v1/${functionName}`;
   const controller = new AbortController();
   const abortTimer = setTimeout(() => controller.abort(), requestTimeoutMs);
 
@@ -71,7 +77,7 @@ export async function callCaregiverClock({
     clearTimeout(abortTimer);
     if (err?.name === 'AbortError') {
       const e = new Error(
-        `Clock-in request timed out after ${Math.round(requestTimeoutMs / 1000)} seconds. Check your connection and try again.`,
+        `${actionLabel} request timed out after ${Math.round(requestTimeoutMs / 1000)} seconds. Check your connection and try again.`,
       );
       e.isNetworkError = true;
       throw e;
@@ -90,7 +96,7 @@ export async function callCaregiverClock({
   }
 
   if (!response.ok) {
-    const e = new Error(data?.error || `Clock-in failed with status ${response.status}.`);
+    const e = new Error(data?.error || `${actionLabel} failed with status ${response.status}.`);
     e.httpStatus = response.status;
     if (data?.code) e.code = data.code;
     throw e;
@@ -9,6 +9,8 @@
 // Drives colour coding without coupling these helpers to specific CSS
 // class names.
 
+import { VITAL_TYPES } from './vitals.js';
+
 const RATING_LABEL = {
   done: 'Done',
   partial: 'Partial',
@@ -27,6 +29,26 @@ const RATING_ICON = {
   not_done: '✗',
 };
 
+const VITAL_FLAG_LABEL = {
+  low: 'below normal range',
+  high: 'above normal range',
+};
+
+// Medication administration statuses (eMAR, src/lib/emar.js).
+const MEDICATION_LABEL = {
+  given: 'Given',
+  refused: 'Refused',
+  held: 'Held',
+  missed: 'Missed',
+};
+
+const MEDICATION_TONE = {
+  given: 'success',
+  refused: 'danger',
+  held: 'warning',
+  missed: 'danger',
+};
+
 /**
  * Render an observation as { icon, label, detail, tone }.
  *
@@ -94,13 +116,35 @@ export function formatObservation(obs, taskMap) {
         detail: obs.note || null,
         tone: 'success',
       };
-    case 'vital':
+    case 'medication': {
+      const status = MEDICATION_LABEL[obs.rating] || 'Logged';
+      return {
+        icon: '℞',
+        label: `${obs.medicationName || 'Medication'} — ${obs.scheduledFor ? status : `${status} (as needed)`}`,
+        detail: obs.note || null,
+        tone: MEDICATION_TONE[obs.rating] || 'neutral',
+      };
+    }
+    case 'vital': {
+      // Structured readings (src/lib/vitals.js) name the vital and
+      // unit; legacy free-text vitals keep the generic label.
+      const spec = VITAL_TYPES[obs.vitalType];
+      if (spec) {
+        const flag = obs.vitalFlag ? ` — ${VITAL_FLAG_LABEL[obs.vitalFlag]}` : '';
+        return {
+          icon: '♡',
+          label: `${spec.label}: ${obs.rating} ${spec.unit}${flag}`,
+          detail: obs.note || null,
+          tone: obs.vitalFlag ? 'danger' : 'neutral',
+        };
+      }
       return {
         icon: '♡',
         label: obs.rating ? `Vitals: ${obs.rating}` : 'Vitals logged',
         detail: obs.note || null,
         tone: 'neutral',
       };
+    }
     case 'general':
     default:
       return {
@@ -1,8 +1,8 @@
 // ─── Care plan ↔ shift bridge for the caregiver PWA ───
 //
 // Loads the active care plan + its tasks for a given shift, and writes
-// caregiver observations (task completions, shift notes, refusals) into
-// care_plan_observations.
+// caregiver observations (task completions, shift notes, refusals,
+// medication administrations, vitals) into care_plan_observations.
 //
 // Pure storage layer — no React, no UI state. The component layer
 // (CarePlanChecklist, ShiftNotesField) calls these functions and
@@ -17,6 +17,14 @@ import {
   getTasksForVersion,
 } from '../features/care-plans/storage';
 import { loadActiveSystemDefaults, isSystemDefaultTask } from './systemDefaultTasks';
+import { MAR_STATUS, MEDICATION_OBSERVATION_TYPE } from './emar';
+import {
+  VITAL_OBSERVATION_TYPE,
+  VITAL_TYPES,
+  evaluateVital,
+  formatVitalReading,
+  parseVitalInput,
+} from './vitals';
 import {
   submitObservation,
   carePlanCache,
@@ -48,6 +56,16 @@ export function dbToObservation(row) {
     observationType: row.observation_type,
     rating: row.rating ?? null,
     note: row.note ?? null,
+    // Medication administration records only (migration 20260621000000).
+    medicationKey: row.medication_key ?? null,
+    medicationName: row.medication_name ?? null,
+    scheduledFor: row.scheduled_for ?? null,
+    // Structured vital readings only (migration 20260622000000).
+    vitalType: row.vital_type ?? null,
+    vitalValue: row.vital_value ?? null,
+    vitalValueSecondary: row.vital_value_secondary ?? null,
+    vitalUnit: row.vital_unit ?? null,
+    vitalFlag: row.vital_flag ?? null,
     loggedAt: row.logged_at,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
@@ -296,6 +314,95 @@ export async function logRefusal({
   });
 }
 
+/**
+ * Chart a dose from the care plan's medications list (eMAR, see
+ * src/lib/emar.js). `scheduledFor` is the administration slot the
+ * record answers; leave it null for a PRN or ad-hoc dose. A note is
+ * required for anything other than a scheduled dose given — the reason
+ * it was refused / held / missed, or why the PRN dose was given.
+ */
+export async function logMedicationAdministration({
+  carePlanId,
+  versionId,
+  shiftId,
+  caregiverId,
+  medication,
+  scheduledFor = null,
+  status,
+  note = null,
+}) {
+  if (!carePlanId || !versionId) {
+    throw new Error('logMedicationAdministration: carePlanId and versionId are required.');
+  }
+  if (!medication?.key || !medication?.name) {
+    throw new Error('logMedicationAdministration: medication key and name are required.');
+  }
+  if (!Object.values(MAR_STATUS).includes(status)) {
+    throw new Error(`logMedicationAdministration: invalid status '${status}'.`);
+  }
+  const trimmed = (note || '').trim();
+  if (!trimmed && (status !== MAR_STATUS.GIVEN || !scheduledFor)) {
+    throw new Error('logMedicationAdministration: a note (reason) is required.');
+  }
+  return insertObservation({
+    care_plan_id: carePlanId,
+    version_id: versionId,
+    task_id: null,
+    system_default_task_id: null,
+    shift_id: shiftId ?? null,
+    caregiver_id: caregiverId ?? null,
+    observation_type: MEDICATION_OBSERVATION_TYPE,
+    medication_key: medication.key,
+    medication_name: medication.name,
+    scheduled_for: scheduledFor ? new Date(scheduledFor).toISOString() : null,
+    rating: status,
+    note: trimmed || null,
+  });
+}
+
+/**
+ * Record a vital sign (src/lib/vitals.js). `values` is what the
+ * caregiver typed, keyed by measure (`{ systolic, diastolic }`,
+ * `{ pulse }`, …). `ranges` are the client's normal ranges from the
+ * plan version being charted against (vitalRangesFromVersion); the
+ * low / high flag is stored on the row, and a flagged row raises a
+ * care signal server-side as soon as it is inserted.
+ */
+export async function logVitalReading({
+  carePlanId,
+  versionId,
+  shiftId,
+  caregiverId,
+  vitalType,
+  values,
+  ranges,
+  note = null,
+}) {
+  if (!carePlanId || !versionId) {
+    throw new Error('logVitalReading: carePlanId and versionId are required.');
+  }
+  const parsed = parseVitalInput(vitalType, values);
+  if (!parsed.ok) throw new Error(parsed.error);
+  const reading = { type: vitalType, value: parsed.value, valueSecondary: parsed.valueSecondary };
+  const { flag } = evaluateVital(reading, ranges);
+  return insertObservation({
+    care_plan_id: carePlanId,
+    version_id: versionId,
+    task_id: null,
+    system_default_task_id: null,
+    shift_id: shiftId ?? null,
+    caregiver_id: caregiverId ?? null,
+    observation_type: VITAL_OBSERVATION_TYPE,
+    vital_type: vitalType,
+    vital_value: parsed.value,
+    vital_value_secondary: parsed.valueSecondary,
+    vital_unit: VITAL_TYPES[vitalType].unit,
+    vital_flag: flag,
+    rating: formatVitalReading(reading),
+    note: (note || '').trim() || null,
+  });
+}
+
 // ─── Pure helpers for digesting an observation list ──────────
 //
 // The PWA loads every observation for the shift on first render and
@@ -0,0 +1,573 @@
+// ─── Electronic medication administration record (eMAR) ───
+// Pure helpers behind the medication part of the caregiver checklist
+// and the back-office monthly MAR. The medication list is the
+// `healthProfile.medications` LIST field on the published care-plan
+// version (src/features/care-plans/sections.js): name, dose, route,
+// free-text frequency, PRN flag, reason, prescriber.
+//
+//   frequency    parsed into wall-clock administration times in the org
+//                timezone ("BID" → 09:00 + 21:00, "q6h" → every six
+//                hours from 06:00, "at bedtime" → 21:00, "8am and 8pm").
+//                PRN meds get no times; a frequency we can't read is
+//                left unscheduled and loggable as an ad-hoc dose.
+//   slots        each scheduled time that falls inside a shift is one
+//                administration slot for that shift.
+//   records      caregivers chart a slot as given / refused / held /
+//                missed. Records are care_plan_observations rows with
+//                observation_type 'medication' (migration
+//                20260621000000), so they ride the same offline outbox
+//                as task ratings. Append-only, latest record per slot
+//                wins. PRN and ad-hoc doses carry no scheduled_for.
+//
+// List rows have no ids, so a medication is identified by its name,
+// dose and route (`medicationKey`). Re-publishing the plan keeps the
+// key as long as those three are unchanged; a dose change starts a new
+// MAR row, as it would on paper.
+
+import {
+  DEFAULT_APP_TIMEZONE,
+  utcMsToWallClockParts,
+  wallClockToUtcMs,
+} from './scheduling/timezone.js';
+
+export const MEDICATION_OBSERVATION_TYPE = 'medication';
+
+export const MAR_STATUS = Object.freeze({
+  GIVEN: 'given',
+  REFUSED: 'refused',
+  HELD: 'held',
+  MISSED: 'missed',
+});
+
+export const MAR_STATUS_LABELS = Object.freeze({
+  [MAR_STATUS.GIVEN]: 'Given',
+  [MAR_STATUS.REFUSED]: 'Refused',
+  [MAR_STATUS.HELD]: 'Held',
+  [MAR_STATUS.MISSED]: 'Missed',
+});
+
+// Grid-only states for a slot nobody charted: the shift has ended
+// ('undocumented') or hasn't yet ('due').
+export const MAR_CELL_STATE = Object.freeze({
+  UNDOCUMENTED: 'undocumented',
+  DUE: 'due',
+});
+
+// One-letter codes printed in the monthly grid.
+export const MAR_CELL_CODES = Object.freeze({
+  [MAR_STATUS.GIVEN]: 'G',
+  [MAR_STATUS.REFUSED]: 'R',
+  [MAR_STATUS.HELD]: 'H',
+  [MAR_STATUS.MISSED]: 'M',
+  [MAR_CELL_STATE.UNDOCUMENTED]: '?',
+  [MAR_CELL_STATE.DUE]: '',
+});
+
+// Default administration times by doses per day.
+export const STANDARD_ADMIN_TIMES = Object.freeze({
+  1: Object.freeze(['09:00']),
+  2: Object.freeze(['09:00', '21:00']),
+  3: Object.freeze(['09:00', '14:00', '21:00']),
+  4: Object.freeze(['09:00', '13:00', '17:00', '21:00']),
+});
+
+// "every N hours" schedules start here.
+const INTERVAL_ANCHOR_HOUR = 6;
+
+const KEYWORD_TIMES = [
+  [/\b(qam|every morning|in the morning|morning|with breakfast)\b/, '08:00'],
+  [/\b(noon|midday|with lunch)\b/, '12:00'],
+  [/\b(qpm|every evening|in the evening|evening|with dinner|with supper)\b/, '18:00'],
+  [/\b(qhs|hs|at bedtime|bedtime|nightly|at night)\b/, '21:00'],
+];
+
+const DOSE_COUNT_PATTERNS = [
+  [/\b(qid|four times|4 ?x|4 times)\b/, 4],
+  [/\b(tid|three times|3 ?x|3 times)\b/, 3],
+  [/\b(bid|twice|two times|2 ?x|2 times)\b/, 2],
+  [/\b(qd|once|daily|every day|1 ?x|one time)\b/, 1],
+];
+
+// Schedules that don't repeat every day can't be expanded per shift.
+const NON_DAILY = /\b(week|weekly|month|monthly|qod|every other day|alternate days)\b/;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+function normalizeText(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function toMs(value) {
+  if (value == null) return NaN;
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * Stable identity for a medication list row: name, dose and route,
+ * normalized. Null when the row has no name.
+ */
+export function medicationKey(med) {
+  const name = normalizeText(med?.name);
+  if (!name) return null;
+  return [name, normalizeText(med.dose), normalizeText(med.route)].join('|');
+}
+
+export function isPrnMedication(med) {
+  return med?.prn === true || /\b(prn|as needed)\b/.test(normalizeText(med?.frequency));
+}
+
+function explicitClockTimes(text) {
+  const times = [];
+  for (const m of text.matchAll(/\b(\d{1,2})(?::([0-5]\d))? ?(am|pm)\b/g)) {
+    const hour = Number(m[1]);
+    if (hour < 1 || hour > 12) continue;
+    const h24 = (hour % 12) + (m[3] === 'pm' ? 12 : 0);
+    times.push(`${pad2(h24)}:${m[2] ?? '00'}`);
+  }
+  for (const m of text.matchAll(/\b([01]?\d|2[0-3]):([0-5]\d)\b(?! ?(am|pm))/g)) {
+    times.push(`${pad2(Number(m[1]))}:${m[2]}`);
+  }
+  return times;
+}
+
+function uniqueSorted(times) {
+  return [...new Set(times)].sort();
+}
+
+const minutesOf = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+function doseCount(text) {
+  const match = DOSE_COUNT_PATTERNS.find(([re]) => re.test(text));
+  return match ? match[1] : null;
+}
+
+/**
+ * Named times ("with breakfast", "8am") that cover fewer doses than the
+ * frequency states ("BID") stand in for the nearest standard times;
+ * the rest of the standard schedule fills the remaining doses.
+ */
+function fillToDoseCount(times, count) {
+  const named = uniqueSorted(times);
+  if (!count || named.length >= count) return named;
+  const remaining = [...STANDARD_ADMIN_TIMES[count]];
+  for (const time of named) {
+    let nearest = 0;
+    remaining.forEach((std, i) => {
+      const d = Math.abs(minutesOf(std) - minutesOf(time));
+      if (d < Math.abs(minutesOf(remaining[nearest]) - minutesOf(time))) nearest = i;
+    });
+    remaining.splice(nearest, 1);
+  }
+  return uniqueSorted([...named, ...remaining]);
+}
+
+/**
+ * Read a medication's free-text frequency.
+ *
+ * @param {{ frequency?: string, prn?: boolean }} med
+ * @returns {{ prn: boolean, times: string[], recognized: boolean }}
+ *   `times` are 'HH:MM' wall-clock administration times, never fewer
+ *   than the stated dose count. PRN meds are recognized with no times.
+ *   An unreadable or non-daily frequency is `recognized: false` with
+ *   no times.
+ */
+export function parseMedicationFrequency(med) {
+  if (isPrnMedication(med)) return { prn: true, times: [], recognized: true };
+  const text = normalizeText(med?.frequency).replace(/\./g, '');
+  const unrecognized = { prn: false, times: [], recognized: false };
+  if (!text || NON_DAILY.test(text)) return unrecognized;
+
+  const count = doseCount(text);
+  const clock = explicitClockTimes(text);
+  if (clock.length > 0) return { prn: false, times: fillToDoseCount(clock, count), recognized: true };
+
+  const keyword = KEYWORD_TIMES.filter(([re]) => re.test(text)).map(([, time]) => time);
+  if (keyword.length > 0) return { prn: false, times: fillToDoseCount(keyword, count), recognized: true };
+
+  const interval = /\b(?:q ?(\d{1,2}) ?h(?:rs?|ours?)?|every (\d{1,2}) ?(?:h|hrs?|hours?))\b/.exec(text);
+  if (interval) {
+    const hours = Number(interval[1] ?? interval[2]);
+    if (hours < 1 || hours > 24) return unrecognized;
+    const times = [];
+    for (let offset = 0; offset < 24; offset += hours) {
+      times.push(`${pad2((INTERVAL_ANCHOR_HOUR + offset) % 24)}:00`);
+    }
+    return { prn: false, times: uniqueSorted(times), recognized: true };
+  }
+
+  if (count) return { prn: false, times: [...STANDARD_ADMIN_TIMES[count]], recognized: true };
+  return unrecognized;
+}
+
+/**
+ * The medication list of a care-plan version's data, with keys and
+ * parsed schedules. Rows without a name are skipped; duplicate keys
+ * keep the first row.
+ *
+ * @param {object} versionData  care_plan_versions.data
+ */
+export function medicationsFromVersion(versionData) {
+  const rows = versionData?.healthProfile?.medications;
+  if (!Array.isArray(rows)) return [];
+  const seen = new Set();
+  const meds = [];
+  for (const row of rows) {
+    const key = medicationKey(row);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    const schedule = parseMedicationFrequency(row);
+    meds.push({
+      key,
+      name: String(row.name).trim(),
+      dose: row.dose?.trim() || null,
+      route: row.route || null,
+      frequency: row.frequency?.trim() || null,
+      reason: row.reason?.trim() || null,
+      prn: schedule.prn,
+      times: schedule.times,
+      recognized: schedule.recognized,
+    });
+  }
+  return meds;
+}
+
+/** Key of one administration slot: medication + scheduled instant. */
+export function marSlotKey(key, scheduledFor) {
+  return `${key}@${new Date(scheduledFor).toISOString()}`;
+}
+
+/**
+ * Administration slots that fall inside a shift, oldest first.
+ *
+ * @param {object} args
+ * @param {Array} args.medications  from medicationsFromVersion
+ * @param {object} args.shift       start_time/end_time (or camelCase)
+ * @param {string} [args.timezone]
+ * @returns {Array<{ slotKey, medicationKey, medicationName, dose, route, time, scheduledFor }>}
+ */
+export function shiftMedicationSlots({ medications, shift, timezone = DEFAULT_APP_TIMEZONE }) {
+  const startMs = toMs(shift?.start_time ?? shift?.startTime);
+  const endMs = toMs(shift?.end_time ?? shift?.endTime);
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) return [];
+  const scheduled = (medications || []).filter((m) => m.times?.length > 0);
+  if (scheduled.length === 0) return [];
+
+  const first = utcMsToWallClockParts(startMs, timezone);
+  const last = utcMsToWallClockParts(endMs, timezone);
+  const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+  const slots = [];
+  for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= lastDay; day += 86_400_000) {
+    const d = new Date(day);
+    for (const med of scheduled) {
+      for (const time of med.times) {
+        const [hour, minute] = time.split(':').map(Number);
+        const ms = wallClockToUtcMs(
+          { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), hour, minute },
+          timezone,
+        );
+        if (ms < startMs || ms >= endMs) continue;
+        const scheduledFor = new Date(ms).toISOString();
+        slots.push({
+          slotKey: marSlotKey(med.key, scheduledFor),
+          medicationKey: med.key,
+          medicationName: med.name,
+          dose: med.dose,
+          route: med.route,
+          time,
+          scheduledFor,
+        });
+      }
+    }
+  }
+  return slots.sort((a, b) =>
+    a.scheduledFor.localeCompare(b.scheduledFor) || a.medicationName.localeCompare(b.medicationName));
+}
+
+function isMedicationRecord(obs) {
+  return obs?.observationType === MEDICATION_OBSERVATION_TYPE && Boolean(obs.medicationKey);
+}
+
+/**
+ * Map(slotKey → latest medication record) for scheduled doses.
+ * Append-only log: a later record for the same slot is a correction.
+ */
+export function indexLatestMedicationRecords(observations) {
+  const index = new Map();
+  if (!Array.isArray(observations)) return index;
+  for (const obs of observations) {
+    if (!isMedicationRecord(obs) || !obs.scheduledFor) continue;
+    const key = marSlotKey(obs.medicationKey, obs.scheduledFor);
+    const prior = index.get(key);
+    if (!prior || new Date(obs.loggedAt) >= new Date(prior.loggedAt)) index.set(key, obs);
+  }
+  return index;
+}
+
+/** PRN and ad-hoc dose records (no scheduled slot), oldest first. */
+export function listAsNeededRecords(observations) {
+  if (!Array.isArray(observations)) return [];
+  return observations
+    .filter((o) => isMedicationRecord(o) && !o.scheduledFor)
+    .sort((a, b) => new Date(a.loggedAt) - new Date(b.loggedAt));
+}
+
+/**
+ * UTC bounds of a calendar month in the org timezone, for querying
+ * the records and shifts a monthly MAR needs.
+ *
+ * @param {number} year
+ * @param {number} month  1-12
+ */
+export function marMonthRange(year, month, timezone = DEFAULT_APP_TIMEZONE) {
+  const next = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+  return {
+    startIso: new Date(wallClockToUtcMs({ year, month, day: 1 }, timezone)).toISOString(),
+    endIso: new Date(wallClockToUtcMs({ ...next, day: 1 }, timezone)).toISOString(),
+  };
+}
+
+const rowId = (key, time) => `${key}#${time ?? 'prn'}`;
+
+/**
+ * The monthly MAR for one client: a row per medication and
+ * administration time (plus one "as needed" row for PRN / ad-hoc
+ * doses), a column per day.
+ *
+ * A scheduled cell exists only where a shift covered the slot or a
+ * record was charted — days without an agency visit stay blank. Its
+ * `state` is the latest record's status, else 'undocumented' once the
+ * shift has ended, else 'due'. As-needed cells list every record that
+ * day. Medications no longer on the plan keep their rows from the
+ * name charted on the record.
+ *
+ * @param {object} args
+ * @param {Array} args.medications    from medicationsFromVersion (current plan)
+ * @param {Array} args.shifts         the client's shifts overlapping the month
+ * @param {Array} args.observations   camelCase medication records for the month
+ * @param {number} args.year
+ * @param {number} args.month         1-12
+ * @param {string} [args.timezone]
+ * @param {number} [args.nowMs]
+ */
+export function buildMarGrid({
+  medications = [],
+  shifts = [],
+  observations = [],
+  year,
+  month,
+  timezone = DEFAULT_APP_TIMEZONE,
+  nowMs = Date.now(),
+}) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const monthPrefix = `${year}-${pad2(month)}-`;
+  const medsByKey = new Map(medications.map((m) => [m.key, m]));
+  const rows = new Map();
+
+  const ensureRow = (key, time, fallbackName) => {
+    const id = rowId(key, time);
+    if (!rows.has(id)) {
+      const med = medsByKey.get(key);
+      rows.set(id, {
+        id,
+        medicationKey: key,
+        name: med?.name ?? fallbackName ?? key,
+        dose: med?.dose ?? null,
+        route: med?.route ?? null,
+        frequency: med?.frequency ?? null,
+        onPlan: Boolean(med),
+        time,
+        cells: {},
+      });
+    }
+    return rows.get(id);
+  };
+  const dayOf = (iso) => {
+    const p = utcMsToWallClockParts(toMs(iso), timezone);
+    return p.dateOnly.startsWith(monthPrefix)
+      ? { day: p.day, time: `${pad2(p.hour)}:${pad2(p.minute)}` }
+      : null;
+  };
+
+  // Every current med gets a row even before anything is charted.
+  for (const med of medications) {
+    if (med.times.length === 0) ensureRow(med.key, null);
+    for (const time of med.times) ensureRow(med.key, time);
+  }
+
+  for (const shift of shifts) {
+    if (shift.status === 'cancelled') continue;
+    const ended = toMs(shift.end_time ?? shift.endTime) <= nowMs;
+    for (const slot of shiftMedicationSlots({ medications, shift, timezone })) {
+      const at = dayOf(slot.scheduledFor);
+      if (!at) continue;
+      ensureRow(slot.medicationKey, slot.time).cells[at.day] = {
+        scheduledFor: slot.scheduledFor,
+        state: ended ? MAR_CELL_STATE.UNDOCUMENTED : MAR_CELL_STATE.DUE,
+        record: null,
+      };
+    }
+  }
+
+  const latest = indexLatestMedicationRecords(observations);
+  for (const record of latest.values()) {
+    const at = dayOf(record.scheduledFor);
+    if (!at) continue;
+    ensureRow(record.medicationKey, at.time, record.medicationName).cells[at.day] = {
+      scheduledFor: new Date(record.scheduledFor).toISOString(),
+      state: record.rating,
+      record,
+    };
+  }
+
+  for (const record of listAsNeededRecords(observations)) {
+    const at = dayOf(record.loggedAt);
+    if (!at) continue;
+    const row = ensureRow(record.medicationKey, null, record.medicationName);
+    if (!row.cells[at.day]) row.cells[at.day] = { records: [] };
+    row.cells[at.day].records.push(record);
+  }
+
+  const totals = {
+    [MAR_STATUS.GIVEN]: 0,
+    [MAR_STATUS.REFUSED]: 0,
+    [MAR_STATUS.HELD]: 0,
+    [MAR_STATUS.MISSED]: 0,
+    [MAR_CELL_STATE.UNDOCUMENTED]: 0,
+  };
+  const exceptions = [];
+  const sortedRows = [...rows.values()].sort((a, b) =>
+    a.name.localeCompare(b.name)
+    || a.medicationKey.localeCompare(b.medicationKey)
+    || (a.time === null) - (b.time === null)
+    || String(a.time).localeCompare(String(b.time)));
+
+  for (const row of sortedRows) {
+    for (const [day, cell] of Object.entries(row.cells)) {
+      const records = cell.records ?? (cell.record ? [cell.record] : []);
+      if (!cell.records && cell.state in totals) totals[cell.state] += 1;
+      if (cell.records) for (const r of records) if (r.rating in totals) totals[r.rating] += 1;
+      for (const r of records) {
+        if (r.rating === MAR_STATUS.GIVEN && row.time !== null) continue;
+        exceptions.push({
+          day: Number(day),
+          time: row.time ?? dayOf(r.loggedAt).time,
+          medicationName: row.name,
+          status: r.rating,
+          note: r.note ?? null,
+        });
+      }
+    }
+  }
+  exceptions.sort((a, b) => a.day - b.day || a.time.localeCompare(b.time));
+
+  return {
+    year,
+    month,
+    days: Array.from({ length: daysInMonth }, (_, i) => i + 1),
+    rows: sortedRows,
+    totals,
+    exceptions,
+  };
+}
+
+/**
+ * The text printed in a grid cell: the status code for a scheduled
+ * slot, or the as-needed doses given that day ("G", "G×2") followed by
+ * any other codes.
+ */
+export function marCellCode(cell) {
+  if (!cell) return '';
+  if (!cell.records) return MAR_CELL_CODES[cell.state] ?? '';
+  const given = cell.records.filter((r) => r.rating === MAR_STATUS.GIVEN).length;
+  const parts = given === 0 ? [] : [given === 1 ? 'G' : `G×${given}`];
+  for (const r of cell.records) {
+    if (r.rating !== MAR_STATUS.GIVEN) parts.push(MAR_CELL_CODES[r.rating] ?? '');
+  }
+  return parts.join(' ');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+export function marMonthLabel(year, month) {
+  return `${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+/**
+ * A standalone, print-ready HTML document for a monthly MAR (landscape,
+ * no app chrome). The back office opens it in a new window and prints.
+ *
+ * @param {object} args
+ * @param {ReturnType<typeof buildMarGrid>} args.grid
+ * @param {string} args.clientName
+ * @param {string} [args.agencyName]
+ * @param {string} [args.generatedAt]  ISO instant
+ */
+export function renderMarHtml({ grid, clientName, agencyName = 'Tremendous Care', generatedAt }) {
+  const title = `Medication administration record — ${clientName} — ${marMonthLabel(grid.year, grid.month)}`;
+  const headCells = grid.days.map((d) => `<th class="day">${d}</th>`).join('');
+  const body = grid.rows.map((row) => {
+    const detail = [row.dose, row.route, row.frequency].filter(Boolean).join(' · ');
+    const cells = grid.days.map((d) => {
+      const cell = row.cells[d];
+      const state = row.time === null ? (cell ? 'prn' : 'blank') : (cell?.state ?? 'none');
+      return `<td class="day ${escapeHtml(state)}">${escapeHtml(marCellCode(cell))}</td>`;
+    }).join('');
+    return `<tr><td class="med"><strong>${escapeHtml(row.name)}</strong>`
+      + `${row.onPlan ? '' : ' <em>(not on current plan)</em>'}`
+      + `${detail ? `<div class="detail">${escapeHtml(detail)}</div>` : ''}</td>`
+      + `<td class="time">${row.time === null ? 'As needed' : escapeHtml(row.time)}</td>${cells}</tr>`;
+  }).join('\n');
+  const exceptions = grid.exceptions.length === 0
+    ? '<p>None.</p>'
+    : `<table class="exceptions"><thead><tr><th>Date</th><th>Time</th><th>Medication</th><th>Status</th><th>Note</th></tr></thead><tbody>${
+      grid.exceptions.map((e) => `<tr><td>${grid.month}/${e.day}</td><td>${escapeHtml(e.time)}</td>`
+        + `<td>${escapeHtml(e.medicationName)}</td><td>${escapeHtml(MAR_STATUS_LABELS[e.status] ?? e.status)}</td>`
+        + `<td>${escapeHtml(e.note ?? '')}</td></tr>`).join('')
+    }</tbody></table>`;
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+@page { size: landscape; margin: 10mm; }
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 10px; color: #111; }
+h1 { font-size: 15px; margin: 0 0 2px; }
+.sub { color: #555; margin: 0 0 10px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #999; padding: 2px 3px; }
+th { background: #eee; }
+td.med { min-width: 150px; }
+td.med .detail { color: #555; }
+td.time { white-space: nowrap; text-align: center; }
+.day { width: 18px; text-align: center; }
+td.none { background: #f4f4f4; }
+td.refused, td.held, td.missed, td.undocumented { font-weight: 700; }
+td.undocumented { background: #fff3cd; }
+.legend { margin: 8px 0 14px; }
+h2 { font-size: 12px; margin: 14px 0 4px; }
+.exceptions td, .exceptions th { text-align: left; }
+</style></head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="sub">${escapeHtml(agencyName)}${generatedAt ? ` · printed ${escapeHtml(new Date(generatedAt).toLocaleString('en-US'))}` : ''}</p>
+<table><thead><tr><th>Medication</th><th>Time</th>${headCells}</tr></thead>
+<tbody>
+${body}
+</tbody></table>
+<p class="legend">G given · R refused · H held · M missed · ? not documented · shaded = no visit scheduled.
+Given ${grid.totals.given}, refused ${grid.totals.refused}, held ${grid.totals.held}, missed ${grid.totals.missed}, not documented ${grid.totals.undocumented}.</p>
+<h2>Exceptions and as-needed doses</h2>
+${exceptions}
+</body></html>
+`;
+}
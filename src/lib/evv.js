@@ -0,0 +1,575 @@
+// ─── Electronic Visit Verification (EVV) ───
+// Pure builders for the per-visit records the 21st Century Cures Act
+// (§12006) requires for Medicaid personal care, and the files an EVV
+// aggregator imports. Used by the Accounting → EVV tab.
+//
+// A visit is one shift that was actually worked: it has a clock-in or
+// clock-out event, or it's marked completed. The six Cures Act elements
+// map onto data the portal already records:
+//
+//   type of service       shifts.service_type, plus a procedure code
+//                         from the client's authorization (service_code)
+//                         or `settings.evv.service_codes`
+//   individual receiving  clients row (medicaid_id for Medicaid visits)
+//   individual providing  the caregiver on the clock-in event, else the
+//                         assigned caregiver
+//   date of service       clock-in date in the org timezone
+//   location              GPS on the clock events (caregiver-clock), else
+//                         the shift / client address
+//   time begins and ends  the clock-in / clock-out events
+//
+// Manual edits carry reason codes: a forgotten punch entered by the
+// office (source = 'manual_entry'), a corrected time (edited_at set) and
+// a caregiver's geofence override each add a reason whose memo is the
+// edit / override reason. Aggregators reject a changed visit without a
+// memo, so a missing memo is an exception like any missing element.
+//
+// Exceptions are computed per visit and never stored. Visits with any
+// exception are left out of the export file and listed for the office
+// to fix (usually in the shift's clock events or the client profile).
+//
+// Org settings read (all optional, under `organizations.settings.evv`):
+//   format         'sandata_csv' | 'generic_csv' | 'json'; default
+//                  'sandata_csv'
+//   provider_id    agency id the aggregator issued (required by the
+//                  Sandata-style layout)
+//   service_codes  { personal_care, companion, live_in } procedure codes
+//                  used when no authorization carries one
+//   reason_codes   { manual_entry, time_edited, geofence_override } —
+//                  the aggregator's codes for each kind of change;
+//                  defaults are descriptive placeholders
+//
+// The Sandata-style layout follows the field names of Sandata's
+// alternate-EVV visit import, flattened to one CSV row per visit. States
+// customize it; check the columns against the state's aggregator spec
+// before the first submission.
+
+import { matchAuthorization } from './authorizations.js';
+import { SERVICE_TYPE } from './rateCards.js';
+import { DEFAULT_APP_TIMEZONE, utcMsToWallClockParts } from './scheduling/timezone.js';
+
+export const EVV_FORMAT = Object.freeze({
+  SANDATA_CSV: 'sandata_csv',
+  GENERIC_CSV: 'generic_csv',
+  JSON: 'json',
+});
+
+export const EVV_FORMAT_LABELS = Object.freeze({
+  [EVV_FORMAT.SANDATA_CSV]: 'Sandata-style CSV',
+  [EVV_FORMAT.GENERIC_CSV]: 'Generic CSV',
+  [EVV_FORMAT.JSON]: 'JSON',
+});
+
+export const EVV_REASON = Object.freeze({
+  MANUAL_ENTRY: 'manual_entry',
+  TIME_EDITED: 'time_edited',
+  GEOFENCE_OVERRIDE: 'geofence_override',
+});
+
+export const DEFAULT_EVV_REASON_CODES = Object.freeze({
+  [EVV_REASON.MANUAL_ENTRY]: 'MANUAL_ENTRY',
+  [EVV_REASON.TIME_EDITED]: 'TIME_EDITED',
+  [EVV_REASON.GEOFENCE_OVERRIDE]: 'GEOFENCE_OVERRIDE',
+});
+
+export const EVV_EXCEPTION_CODE = Object.freeze({
+  MISSING_CLOCK_IN: 'evv_missing_clock_in',
+  MISSING_CLOCK_OUT: 'evv_missing_clock_out',
+  MISSING_SERVICE_TYPE: 'evv_missing_service_type',
+  MISSING_SERVICE_CODE: 'evv_missing_service_code',
+  MISSING_RECIPIENT_ID: 'evv_missing_recipient_id',
+  MISSING_CAREGIVER: 'evv_missing_caregiver',
+  MISSING_LOCATION: 'evv_missing_location',
+  MISSING_REASON_MEMO: 'evv_missing_reason_memo',
+  MISSING_PROVIDER_ID: 'evv_missing_provider_id',
+});
+
+export const EVV_EXCEPTION_LABELS = Object.freeze({
+  [EVV_EXCEPTION_CODE.MISSING_CLOCK_IN]: 'No clock-in',
+  [EVV_EXCEPTION_CODE.MISSING_CLOCK_OUT]: 'No clock-out',
+  [EVV_EXCEPTION_CODE.MISSING_SERVICE_TYPE]: 'No service type',
+  [EVV_EXCEPTION_CODE.MISSING_SERVICE_CODE]: 'No procedure code',
+  [EVV_EXCEPTION_CODE.MISSING_RECIPIENT_ID]: 'No Medicaid ID',
+  [EVV_EXCEPTION_CODE.MISSING_CAREGIVER]: 'No caregiver',
+  [EVV_EXCEPTION_CODE.MISSING_LOCATION]: 'No location',
+  [EVV_EXCEPTION_CODE.MISSING_REASON_MEMO]: 'Change without a reason',
+  [EVV_EXCEPTION_CODE.MISSING_PROVIDER_ID]: 'No provider ID',
+});
+
+export const EVV_SANDATA_CSV_HEADER = Object.freeze([
+  'ProviderID',
+  'VisitOtherID',
+  'ClientID',
+  'ClientMedicaidID',
+  'ClientFirstName',
+  'ClientLastName',
+  'EmployeeIdentifier',
+  'EmployeeFirstName',
+  'EmployeeLastName',
+  'PayerID',
+  'ProcedureCode',
+  'AuthorizationNumber',
+  'VisitTimeZone',
+  'ScheduleStartTime',
+  'ScheduleEndTime',
+  'CallDateTimeIn',
+  'CallTypeIn',
+  'CallLatitudeIn',
+  'CallLongitudeIn',
+  'CallDateTimeOut',
+  'CallTypeOut',
+  'CallLatitudeOut',
+  'CallLongitudeOut',
+  'ServiceAddress',
+  'ReasonCode',
+  'ReasonMemo',
+]);
+
+export const EVV_GENERIC_CSV_HEADER = Object.freeze([
+  'Visit ID',
+  'Service Date',
+  'Service Type',
+  'Procedure Code',
+  'Client ID',
+  'Client Name',
+  'Medicaid ID',
+  'Caregiver ID',
+  'Caregiver Name',
+  'Payer',
+  'Authorization',
+  'Clock In',
+  'Clock Out',
+  'In Latitude',
+  'In Longitude',
+  'Out Latitude',
+  'Out Longitude',
+  'Service Address',
+  'Verification',
+  'Reason Codes',
+  'Reason Notes',
+]);
+
+const COUNTED_STATUSES_WITHOUT_EVENTS = new Set(['completed']);
+const MEDICAID_PAYERS = new Set(['medicaid', 'medi_cal_waiver']);
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+function toNumberOrNull(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function fullName(row) {
+  return `${row?.first_name?.trim() || ''} ${row?.last_name?.trim() || ''}`.trim();
+}
+
+/**
+ * Resolve the EVV slice of `organizations.settings`. Never throws —
+ * every field has a default so the tab works before anyone has saved
+ * settings.
+ */
+export function resolveEvvConfig(orgSettings) {
+  const evv = orgSettings?.evv || {};
+  const format = Object.values(EVV_FORMAT).includes(evv.format)
+    ? evv.format
+    : EVV_FORMAT.SANDATA_CSV;
+  const serviceCodes = {};
+  for (const type of Object.values(SERVICE_TYPE)) {
+    serviceCodes[type] = nonEmptyString(evv.service_codes?.[type]);
+  }
+  const reasonCodes = {};
+  for (const reason of Object.values(EVV_REASON)) {
+    reasonCodes[reason] =
+      nonEmptyString(evv.reason_codes?.[reason]) || DEFAULT_EVV_REASON_CODES[reason];
+  }
+  return {
+    format,
+    providerId: nonEmptyString(evv.provider_id),
+    serviceCodes,
+    reasonCodes,
+  };
+}
+
+function callFromEvent(event) {
+  if (!event) return null;
+  const latitude = toNumberOrNull(event.latitude);
+  const longitude = toNumberOrNull(event.longitude);
+  const manual = event.source === 'manual_entry' || event.edited_at != null;
+  return {
+    occurredAt: new Date(event.occurred_at).toISOString(),
+    latitude,
+    longitude,
+    // Mobile = the caregiver's phone recorded it (GPS when it had a
+    // fix); manual = the office entered or changed it.
+    callType: manual ? 'manual' : 'mobile',
+    geofencePassed: event.geofence_passed ?? null,
+  };
+}
+
+function reasonsForEvent(event, reasonCodes) {
+  if (!event) return [];
+  const out = [];
+  const eventLabel = event.event_type === 'in' ? 'clock-in' : 'clock-out';
+  if (event.source === 'manual_entry') {
+    out.push({
+      reason: EVV_REASON.MANUAL_ENTRY,
+      code: reasonCodes[EVV_REASON.MANUAL_ENTRY],
+      eventType: event.event_type,
+      memo: nonEmptyString(event.edit_reason),
+      description: `${eventLabel} entered by the office`,
+    });
+  } else if (event.edited_at != null) {
+    out.push({
+      reason: EVV_REASON.TIME_EDITED,
+      code: reasonCodes[EVV_REASON.TIME_EDITED],
+      eventType: event.event_type,
+      memo: nonEmptyString(event.edit_reason),
+      description: `${eventLabel} time changed`,
+    });
+  }
+  if (event.geofence_passed === false || nonEmptyString(event.override_reason)) {
+    out.push({
+      reason: EVV_REASON.GEOFENCE_OVERRIDE,
+      code: reasonCodes[EVV_REASON.GEOFENCE_OVERRIDE],
+      eventType: event.event_type,
+      memo: nonEmptyString(event.override_reason),
+      description: `${eventLabel} outside the client's geofence`,
+    });
+  }
+  return out;
+}
+
+/**
+ * Build one EVV visit record per worked shift.
+ *
+ * @param {object} args
+ * @param {Array<object>} args.shifts  snake_case `shifts` rows: id,
+ *   client_id, assigned_caregiver_id, service_type, start_time,
+ *   end_time, status, location_address.
+ * @param {Array<object>} args.clockEvents  `clock_events` rows for
+ *   those shifts (in / out; break events are ignored).
+ * @param {Array<object>} args.clients  `clients` rows: id, first_name,
+ *   last_name, medicaid_id, payer_type, address, city, state, zip.
+ * @param {Array<object>} args.caregivers  `caregivers` rows: id,
+ *   first_name, last_name.
+ * @param {Array<object>} [args.authorizations]  `client_authorizations`
+ *   rows; the matching one supplies payer, auth number and procedure
+ *   code.
+ * @param {object} [args.config]  `resolveEvvConfig(...)`.
+ * @param {string} [args.timezone]
+ * @param {string} [args.from]  YYYY-MM-DD; drop visits whose date of
+ *   service is earlier (callers load shifts with a day of padding).
+ * @param {string} [args.to]  YYYY-MM-DD, inclusive.
+ * @returns {Array<object>} visits sorted by clock-in (scheduled start
+ *   when there's no clock-in), each with `exceptions: []` filled in by
+ *   `validateEvvVisit`.
+ */
+export function buildEvvVisits({
+  shifts,
+  clockEvents = [],
+  clients = [],
+  caregivers = [],
+  authorizations = [],
+  config = resolveEvvConfig(null),
+  timezone = DEFAULT_APP_TIMEZONE,
+  from = null,
+  to = null,
+}) {
+  const clientsById = new Map(clients.map((c) => [c.id, c]));
+  const caregiversById = new Map(caregivers.map((c) => [c.id, c]));
+
+  const eventsByShift = new Map();
+  for (const event of clockEvents || []) {
+    if (event.event_type !== 'in' && event.event_type !== 'out') continue;
+    if (!eventsByShift.has(event.shift_id)) eventsByShift.set(event.shift_id, {});
+    // One in + one out per shift (unique index since 20260425020000).
+    eventsByShift.get(event.shift_id)[event.event_type] = event;
+  }
+
+  const visits = [];
+  for (const shift of shifts || []) {
+    const events = eventsByShift.get(shift.id) || {};
+    if (!events.in && !events.out && !COUNTED_STATUSES_WITHOUT_EVENTS.has(shift.status)) {
+      continue;
+    }
+    const client = clientsById.get(shift.client_id) || null;
+    const caregiverId = events.in?.caregiver_id || events.out?.caregiver_id
+      || shift.assigned_caregiver_id || null;
+    const caregiver = caregiverId ? caregiversById.get(caregiverId) || null : null;
+
+    const serviceStart = events.in?.occurred_at || shift.start_time;
+    const serviceDate = utcMsToWallClockParts(new Date(serviceStart).getTime(), timezone).dateOnly;
+    if ((from && serviceDate < from) || (to && serviceDate > to)) continue;
+    const authorization = matchAuthorization(authorizations, shift, serviceDate);
+
+    const serviceType = shift.service_type || null;
+    const procedureCode = nonEmptyString(authorization?.service_code)
+      || (serviceType ? config.serviceCodes[serviceType] : null)
+      || null;
+    const clientAddress = client
+      ? [client.address, client.city, client.state, client.zip]
+        .map(nonEmptyString).filter(Boolean).join(', ')
+      : '';
+    const payer = authorization?.payer || client?.payer_type || null;
+
+    const visit = {
+      visitId: shift.id,
+      providerId: config.providerId,
+      serviceDate,
+      serviceType,
+      procedureCode,
+      payer,
+      medicaidFunded: MEDICAID_PAYERS.has(payer) || client?.payer_type === 'medicaid',
+      authorizationNumber: authorization?.auth_number ?? null,
+      client: {
+        id: shift.client_id,
+        name: fullName(client),
+        firstName: client?.first_name?.trim() || '',
+        lastName: client?.last_name?.trim() || '',
+        medicaidId: nonEmptyString(client?.medicaid_id),
+      },
+      caregiver: caregiverId
+        ? {
+            id: caregiverId,
+            name: fullName(caregiver),
+            firstName: caregiver?.first_name?.trim() || '',
+            lastName: caregiver?.last_name?.trim() || '',
+          }
+        : null,
+      scheduledStart: shift.start_time ? new Date(shift.start_time).toISOString() : null,
+      scheduledEnd: shift.end_time ? new Date(shift.end_time).toISOString() : null,
+      clockIn: callFromEvent(events.in),
+      clockOut: callFromEvent(events.out),
+      serviceAddress: nonEmptyString(shift.location_address) || nonEmptyString(clientAddress),
+      timezone,
+      reasons: [
+        ...reasonsForEvent(events.in, config.reasonCodes),
+        ...reasonsForEvent(events.out, config.reasonCodes),
+      ],
+      exceptions: [],
+    };
+    visit.exceptions = validateEvvVisit(visit, config);
+    visits.push(visit);
+  }
+
+  visits.sort((a, b) => {
+    const aAt = a.clockIn?.occurredAt || a.scheduledStart || '';
+    const bAt = b.clockIn?.occurredAt || b.scheduledStart || '';
+    return aAt < bAt ? -1 : aAt > bAt ? 1 : 0;
+  });
+  return visits;
+}
+
+/**
+ * Every required element a visit is missing, as
+ * `{ code, message }` exceptions. The procedure code and provider id
+ * are only required by the Sandata-style layout; the Medicaid ID only
+ * on Medicaid-funded visits.
+ */
+export function validateEvvVisit(visit, config = resolveEvvConfig(null)) {
+  const out = [];
+  const add = (code, message) => out.push({ code, message });
+
+  if (!visit.clockIn) add(EVV_EXCEPTION_CODE.MISSING_CLOCK_IN, 'Visit has no clock-in.');
+  if (!visit.clockOut) add(EVV_EXCEPTION_CODE.MISSING_CLOCK_OUT, 'Visit has no clock-out.');
+  if (!visit.serviceType) {
+    add(EVV_EXCEPTION_CODE.MISSING_SERVICE_TYPE, 'Shift has no service type.');
+  }
+  if (config.format === EVV_FORMAT.SANDATA_CSV) {
+    if (!visit.procedureCode) {
+      add(
+        EVV_EXCEPTION_CODE.MISSING_SERVICE_CODE,
+        'No procedure code: add one to the client\'s authorization or the EVV settings.',
+      );
+    }
+    if (!visit.providerId) {
+      add(EVV_EXCEPTION_CODE.MISSING_PROVIDER_ID, 'Set the agency provider ID in the EVV settings.');
+    }
+  }
+  if (visit.medicaidFunded && !visit.client.medicaidId) {
+    add(EVV_EXCEPTION_CODE.MISSING_RECIPIENT_ID, 'Medicaid client has no Medicaid ID on file.');
+  }
+  if (!visit.caregiver) {
+    add(EVV_EXCEPTION_CODE.MISSING_CAREGIVER, 'No caregiver clocked in or is assigned.');
+  }
+  const hasGps = visit.clockIn?.latitude != null && visit.clockIn?.longitude != null;
+  if (!hasGps && !visit.serviceAddress) {
+    add(EVV_EXCEPTION_CODE.MISSING_LOCATION, 'No GPS on the clock-in and no service address.');
+  }
+  for (const reason of visit.reasons) {
+    if (!reason.memo) {
+      add(EVV_EXCEPTION_CODE.MISSING_REASON_MEMO, `No reason recorded for: ${reason.description}.`);
+    }
+  }
+  return out;
+}
+
+// ─── Export files ────────────────────────────────────────────────
+
+function escapeCsvField(value) {
+  if (value == null) return '';
+  const s = String(value);
+  if (/[",\r\n]/.test(s)) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+function toCsv(rows) {
+  return `${rows.map((r) => r.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/** ISO instant → 'YYYY-MM-DD HH:MM' wall clock in `timezone`. */
+function localDateTime(iso, timezone) {
+  if (!iso) return '';
+  const p = utcMsToWallClockParts(new Date(iso).getTime(), timezone);
+  return `${p.dateOnly} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+function reasonCodes(visit) {
+  return visit.reasons.map((r) => r.code).join(';');
+}
+
+function reasonMemos(visit) {
+  return visit.reasons.map((r) => r.memo || '').join(';');
+}
+
+function sandataRow(visit) {
+  return [
+    visit.providerId,
+    visit.visitId,
+    visit.client.id,
+    visit.client.medicaidId,
+    visit.client.firstName,
+    visit.client.lastName,
+    visit.caregiver?.id,
+    visit.caregiver?.firstName,
+    visit.caregiver?.lastName,
+    visit.payer,
+    visit.procedureCode,
+    visit.authorizationNumber,
+    visit.timezone,
+    visit.scheduledStart,
+    visit.scheduledEnd,
+    visit.clockIn?.occurredAt,
+    visit.clockIn?.callType,
+    visit.clockIn?.latitude,
+    visit.clockIn?.longitude,
+    visit.clockOut?.occurredAt,
+    visit.clockOut?.callType,
+    visit.clockOut?.latitude,
+    visit.clockOut?.longitude,
+    visit.serviceAddress,
+    reasonCodes(visit),
+    reasonMemos(visit),
+  ];
+}
+
+function genericRow(visit) {
+  return [
+    visit.visitId,
+    visit.serviceDate,
+    visit.serviceType,
+    visit.procedureCode,
+    visit.client.id,
+    visit.client.name,
+    visit.client.medicaidId,
+    visit.caregiver?.id,
+    visit.caregiver?.name,
+    visit.payer,
+    visit.authorizationNumber,
+    localDateTime(visit.clockIn?.occurredAt, visit.timezone),
+    localDateTime(visit.clockOut?.occurredAt, visit.timezone),
+    visit.clockIn?.latitude,
+    visit.clockIn?.longitude,
+    visit.clockOut?.latitude,
+    visit.clockOut?.longitude,
+    visit.serviceAddress,
+    [visit.clockIn, visit.clockOut].some((c) => c?.callType === 'manual') ? 'manual' : 'mobile',
+    reasonCodes(visit),
+    reasonMemos(visit),
+  ];
+}
+
+function jsonVisit(visit) {
+  const call = (c) => c && {
+    occurred_at: c.occurredAt,
+    call_type: c.callType,
+    latitude: c.latitude,
+    longitude: c.longitude,
+  };
+  return {
+    visit_id: visit.visitId,
+    service_date: visit.serviceDate,
+    service_type: visit.serviceType,
+    procedure_code: visit.procedureCode,
+    payer: visit.payer,
+    authorization_number: visit.authorizationNumber,
+    client: {
+      id: visit.client.id,
+      first_name: visit.client.firstName,
+      last_name: visit.client.lastName,
+      medicaid_id: visit.client.medicaidId,
+    },
+    caregiver: visit.caregiver && {
+      id: visit.caregiver.id,
+      first_name: visit.caregiver.firstName,
+      last_name: visit.caregiver.lastName,
+    },
+    scheduled_start: visit.scheduledStart,
+    scheduled_end: visit.scheduledEnd,
+    clock_in: call(visit.clockIn),
+    clock_out: call(visit.clockOut),
+    service_address: visit.serviceAddress,
+    timezone: visit.timezone,
+    reasons: visit.reasons.map((r) => ({
+      code: r.code,
+      event_type: r.eventType,
+      memo: r.memo,
+    })),
+  };
+}
+
+/**
+ * Render the exportable visits (those without exceptions) in the
+ * configured format. CSVs use `\r\n` line endings with a trailing
+ * newline, like the other exports.
+ *
+ * @returns {{ content: string, mimeType: string, extension: string,
+ *   exportedCount: number, skippedCount: number }}
+ */
+export function generateEvvExport(visits, config = resolveEvvConfig(null), { generatedAt } = {}) {
+  const exportable = (visits || []).filter((v) => v.exceptions.length === 0);
+  const skippedCount = (visits || []).length - exportable.length;
+
+  if (config.format === EVV_FORMAT.JSON) {
+    const body = {
+      provider_id: config.providerId,
+      generated_at: generatedAt || new Date().toISOString(),
+      visits: exportable.map(jsonVisit),
+    };
+    return {
+      content: `${JSON.stringify(body, null, 2)}\n`,
+      mimeType: 'application/json',
+      extension: 'json',
+      exportedCount: exportable.length,
+      skippedCount,
+    };
+  }
+
+  const sandata = config.format === EVV_FORMAT.SANDATA_CSV;
+  const rows = [
+    sandata ? EVV_SANDATA_CSV_HEADER : EVV_GENERIC_CSV_HEADER,
+    ...exportable.map(sandata ? sandataRow : genericRow),
+  ];
+  return {
+    content: toCsv(rows),
+    mimeType: 'text/csv;charset=utf-8',
+    extension: 'csv',
+    exportedCount: exportable.length,
+    skippedCount,
+  };
+}
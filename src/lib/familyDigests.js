@@ -0,0 +1,221 @@
+// ═══════════════════════════════════════════════════════════════
+// Family digests & family portal
+//
+// A weekly, family-facing summary of a client's care, written from
+// care_plan_observations by the care-plan-digests edge function and
+// held for staff review (care_plan_digests.status, migration
+// 20260623000000). Staff edit, approve or discard it on the client
+// page; an approved digest is emailed to the client's responsible
+// parties and shown on their family portal (/family/:token, served by
+// the public family-portal edge function) next to upcoming visits.
+//
+// This file is the pure part, shared by the portal UI and both edge
+// functions: statuses and concern severities, the weekly period, who
+// may receive a digest, portal tokens and URLs, the email, and the
+// portal's visit list.
+//
+// Recipients are responsible parties (src/lib/clientContacts.js) with
+// an email address AND a HIPAA authorization on file — a digest is
+// health information. The same rule gates issuing a portal link.
+// ═══════════════════════════════════════════════════════════════
+
+import { DEFAULT_APP_TIMEZONE, utcMsToWallClockParts, wallClockToUtcMs } from './scheduling/timezone.js';
+
+export const DIGEST_STATUS = Object.freeze({
+  PENDING_REVIEW: 'pending_review',
+  APPROVED: 'approved',
+  DISCARDED: 'discarded',
+});
+
+// care_plan_digests.concerns[].severity, mildest first.
+export const CONCERN_SEVERITIES = Object.freeze(['info', 'watch', 'urgent']);
+
+export const CONCERN_SEVERITY_LABELS = Object.freeze({
+  info: 'Good to know',
+  watch: 'Keeping an eye on',
+  urgent: 'Important',
+});
+
+export function isConcernSeverity(value) {
+  return CONCERN_SEVERITIES.includes(value);
+}
+
+// Same origin as the /upload and /survey links sent to caregivers.
+export const FAMILY_PORTAL_BASE_URL = 'https://portal.tremendouscareca.com';
+
+// How far ahead the portal lists visits, and how many approved
+// digests it shows.
+export const PORTAL_VISIT_DAYS = 14;
+export const PORTAL_DIGEST_LIMIT = 8;
+
+const DAY_MS = 86_400_000;
+const PORTAL_TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+// ─── Tokens & URLs ────────────────────────────────────────────
+
+/** 32 random bytes as hex — the secret part of a portal URL. */
+export function generatePortalToken() {
+  const bytes = new Uint8Array(32);
+  globalThis.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function isPortalToken(value) {
+  return typeof value === 'string' && PORTAL_TOKEN_PATTERN.test(value);
+}
+
+export function familyPortalUrl(token, baseUrl = FAMILY_PORTAL_BASE_URL) {
+  return `${String(baseUrl).replace(/\/+$/, '')}/family/${token}`;
+}
+
+// ─── Period ───────────────────────────────────────────────────
+
+/**
+ * The week a digest generated at `nowMs` covers: the seven local days
+ * ending at the most recent midnight in `timezone`. Stable across
+ * re-runs on the same day, which is what the unique period index
+ * relies on.
+ *
+ * @returns {{ startMs: number, endMs: number }}  end is exclusive
+ */
+export function weeklyDigestPeriod(nowMs, timezone) {
+  const today = utcMsToWallClockParts(nowMs, timezone);
+  const weekAgo = new Date(Date.UTC(today.year, today.month - 1, today.day - 7));
+  return {
+    startMs: wallClockToUtcMs(
+      { year: weekAgo.getUTCFullYear(), month: weekAgo.getUTCMonth() + 1, day: weekAgo.getUTCDate() },
+      timezone,
+    ),
+    endMs: wallClockToUtcMs({ year: today.year, month: today.month, day: today.day }, timezone),
+  };
+}
+
+/**
+ * The org timezone digests are dated in: scheduling, else payroll,
+ * else the app default — the same order the edge functions use. Pass
+ * it everywhere a period is formatted so staff, email and portal agree.
+ */
+export function pickOrgTimezone(settings) {
+  const scheduling = settings?.scheduling?.timezone;
+  if (typeof scheduling === 'string' && scheduling.length > 0) return scheduling;
+  const payroll = settings?.payroll?.timezone;
+  if (typeof payroll === 'string' && payroll.length > 0) return payroll;
+  return DEFAULT_APP_TIMEZONE;
+}
+
+/** "Oct 11 – Oct 17" for a digest's period (end is exclusive). */
+export function formatDigestPeriod(periodStart, periodEnd, timezone) {
+  const fmt = (ms) =>
+    new Date(ms).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: timezone });
+  const startMs = new Date(periodStart).getTime();
+  const lastMs = new Date(periodEnd).getTime() - 1;
+  return `${fmt(startMs)} – ${fmt(lastMs)}`;
+}
+
+// ─── Recipients ───────────────────────────────────────────────
+
+/**
+ * Responsible parties who may receive digests and a portal link:
+ * an email address and a HIPAA authorization on file.
+ *
+ * @param {{ primary: object|null, secondary: object|null }} parties
+ *   loadResponsibleParties() rows (snake_case)
+ * @returns {Array<{ rank, name, email, relationship }>}
+ */
+export function digestRecipients(parties) {
+  return ['primary', 'secondary']
+    .map((rank) => parties?.[rank])
+    .filter((p) => p && p.hipaa_on_file && String(p.email || '').trim())
+    .map((p) => ({
+      rank: p.rank,
+      name: p.name,
+      email: String(p.email).trim(),
+      relationship: p.relationship || null,
+    }));
+}
+
+/**
+ * Why a responsible party can't get digests, or null when they can.
+ * Shown next to the party on the client page.
+ */
+export function recipientBlocker(party) {
+  if (!party) return 'No responsible party on file.';
+  if (!party.hipaa_on_file) return 'No HIPAA authorization on file.';
+  if (!String(party.email || '').trim()) return 'No email address on file.';
+  return null;
+}
+
+// ─── Email ────────────────────────────────────────────────────
+
+/**
+ * Plain-text email for an approved digest.
+ *
+ * @param {object} args
+ * @param {object} args.digest         { narrative, highlights, concerns, periodStart, periodEnd }
+ * @param {string} args.clientName     how the family refers to the client
+ * @param {string} [args.recipientName]
+ * @param {string} [args.portalUrl]    the recipient's live portal link
+ * @param {string} [args.timezone]
+ * @returns {{ subject: string, body: string }}
+ */
+export function buildDigestEmail({ digest, clientName, recipientName, portalUrl, timezone }) {
+  const period = formatDigestPeriod(digest.periodStart, digest.periodEnd, timezone);
+  const name = clientName || 'your loved one';
+  const lines = [];
+  const firstName = String(recipientName || '').trim().split(/\s+/)[0];
+  lines.push(firstName ? `Hi ${firstName},` : 'Hello,');
+  lines.push('');
+  lines.push(`Here is this week's update on ${name} (${period}).`);
+  lines.push('');
+  lines.push(String(digest.narrative || '').trim());
+
+  const highlights = (digest.highlights || []).filter((h) => h?.text);
+  if (highlights.length > 0) {
+    lines.push('');
+    lines.push('Highlights:');
+    for (const h of highlights) lines.push(`  - ${h.text}`);
+  }
+
+  const concerns = (digest.concerns || []).filter((c) => c?.text);
+  if (concerns.length > 0) {
+    lines.push('');
+    lines.push('Things we are keeping an eye on:');
+    for (const c of concerns) {
+      const label = CONCERN_SEVERITY_LABELS[c.severity];
+      lines.push(`  - ${label ? `${label}: ` : ''}${c.text}`);
+    }
+  }
+
+  if (portalUrl) {
+    lines.push('');
+    lines.push(`Upcoming visits and past updates: ${portalUrl}`);
+  }
+  lines.push('');
+  lines.push('Reply to this email or call the office with any questions.');
+  lines.push('');
+  lines.push('Warmly,');
+  lines.push('Tremendous Care');
+
+  return { subject: `Weekly update for ${name} — ${period}`, body: lines.join('\n') };
+}
+
+// ─── Portal visits ────────────────────────────────────────────
+
+/**
+ * The portal's "Upcoming visits" list from client calendar-feed events
+ * (clientFeedEvent / plannedVisitEvents in calendarFeed.js): visits that
+ * haven't ended, soonest first, within PORTAL_VISIT_DAYS.
+ */
+export function upcomingVisits(events, nowMs = Date.now()) {
+  const untilMs = nowMs + PORTAL_VISIT_DAYS * DAY_MS;
+  return (events || [])
+    .filter((e) => e.endMs > nowMs && e.startMs < untilMs)
+    .sort((a, b) => a.startMs - b.startMs)
+    .map((e) => ({
+      start: new Date(e.startMs).toISOString(),
+      end: new Date(e.endMs).toISOString(),
+      summary: e.summary,
+      tentative: e.status === 'TENTATIVE',
+      cancelled: e.status === 'CANCELLED',
+    }));
+}
@@ -0,0 +1,386 @@
+import { describe, it, expect } from 'vitest';
+import {
+  canTransition,
+  EDITABLE_INVOICE_STATUSES,
+  evaluateApprovalAction,
+  evaluateMarkAsSentAction,
+  evaluateRecordPaymentAction,
+  evaluateRunEligibility,
+  INVOICE_STATUS,
+  invoiceBalanceDue,
+  PAYMENT_KIND,
+  PAYMENT_METHOD,
+  selectApprovableIds,
+} from '../approvalStateMachine.js';
+
+// ─── canTransition ─────────────────────────────────────────────────
+
+describe('canTransition', () => {
+  it('allows draft → approved', () => {
+    expect(canTransition(INVOICE_STATUS.DRAFT, INVOICE_STATUS.APPROVED)).toBe(true);
+  });
+
+  it('allows approved → draft (unapprove)', () => {
+    expect(canTransition(INVOICE_STATUS.APPROVED, INVOICE_STATUS.DRAFT)).toBe(true);
+  });
+
+  it('allows blocked → draft (line edit cleared the block)', () => {
+    expect(canTransition(INVOICE_STATUS.BLOCKED, INVOICE_STATUS.DRAFT)).toBe(true);
+  });
+
+  it('allows the export → sent → paid ladder', () => {
+    expect(canTransition(INVOICE_STATUS.APPROVED, INVOICE_STATUS.EXPORTED)).toBe(true);
+    expect(canTransition(INVOICE_STATUS.EXPORTED, INVOICE_STATUS.SENT)).toBe(true);
+    expect(canTransition(INVOICE_STATUS.SENT, INVOICE_STATUS.PAID)).toBe(true);
+    expect(canTransition(INVOICE_STATUS.EXPORTED, INVOICE_STATUS.PAID)).toBe(true);
+  });
+
+  it('allows partial payment before paid, but no way back out of partially_paid', () => {
+    expect(canTransition(INVOICE_STATUS.SENT, INVOICE_STATUS.PARTIALLY_PAID)).toBe(true);
+    expect(canTransition(INVOICE_STATUS.EXPORTED, INVOICE_STATUS.PARTIALLY_PAID)).toBe(true);
+    expect(canTransition(INVOICE_STATUS.PARTIALLY_PAID, INVOICE_STATUS.PAID)).toBe(true);
+    expect(canTransition(INVOICE_STATUS.PARTIALLY_PAID, INVOICE_STATUS.REJECTED)).toBe(false);
+    expect(canTransition(INVOICE_STATUS.PARTIALLY_PAID, INVOICE_STATUS.SENT)).toBe(false);
+  });
+
+  it('allows rejected → draft (un-reject for editing)', () => {
+    expect(canTransition(INVOICE_STATUS.REJECTED, INVOICE_STATUS.DRAFT)).toBe(true);
+  });
+
+  it('rejects paid → anything (terminal status)', () => {
+    for (const to of Object.values(INVOICE_STATUS)) {
+      expect(canTransition(INVOICE_STATUS.PAID, to)).toBe(false);
+    }
+  });
+
+  it('rejects illegal forward jumps', () => {
+    expect(canTransition(INVOICE_STATUS.DRAFT, INVOICE_STATUS.EXPORTED)).toBe(false);
+    expect(canTransition(INVOICE_STATUS.BLOCKED, INVOICE_STATUS.APPROVED)).toBe(false);
+    expect(canTransition(INVOICE_STATUS.APPROVED, INVOICE_STATUS.SENT)).toBe(false);
+  });
+
+  it('rejects identity transitions (X → X)', () => {
+    for (const s of Object.values(INVOICE_STATUS)) {
+      expect(canTransition(s, s)).toBe(false);
+    }
+  });
+
+  it('rejects unknown statuses, including timesheet-only ones', () => {
+    expect(canTransition('submitted', INVOICE_STATUS.PAID)).toBe(false);
+    expect(canTransition(INVOICE_STATUS.DRAFT, 'frobnicated')).toBe(false);
+    expect(canTransition(null, null)).toBe(false);
+  });
+});
+
+describe('EDITABLE_INVOICE_STATUSES', () => {
+  it('covers only the pre-approval statuses', () => {
+    expect([...EDITABLE_INVOICE_STATUSES].sort()).toEqual(['blocked', 'draft', 'pending_approval']);
+  });
+});
+
+// ─── evaluateApprovalAction ────────────────────────────────────────
+
+describe('evaluateApprovalAction — approve', () => {
+  it('approves a clean draft', () => {
+    expect(
+      evaluateApprovalAction({ invoice: { status: 'draft' }, action: 'approve', exceptions: [] }),
+    ).toEqual({ ok: true, nextStatus: 'approved' });
+  });
+
+  it('approves a pending_approval invoice with only warnings', () => {
+    const r = evaluateApprovalAction({
+      invoice: { status: 'pending_approval' },
+      action: 'approve',
+      exceptions: [{ severity: 'warn', code: 'client_missing_address' }],
+    });
+    expect(r.ok).toBe(true);
+  });
+
+  it('refuses while block-severity exceptions remain', () => {
+    const r = evaluateApprovalAction({
+      invoice: { status: 'draft' },
+      action: 'approve',
+      exceptions: [
+        { severity: 'block', code: 'client_missing_rate' },
+        { severity: 'block', code: 'client_missing_rate' },
+        { severity: 'warn', code: 'client_missing_address' },
+      ],
+    });
+    expect(r.ok).toBe(false);
+    expect(r.code).toBe('blocked_by_exceptions');
+    expect(r.blocking_codes).toEqual(['client_missing_rate']);
+  });
+
+  it('refuses an already-approved invoice', () => {
+    const r = evaluateApprovalAction({ invoice: { status: 'approved' }, action: 'approve' });
+    expect(r.code).toBe('already_approved');
+  });
+
+  it('refuses blocked / exported / paid invoices', () => {
+    for (const status of ['blocked', 'exported', 'sent', 'paid', 'rejected']) {
+      const r = evaluateApprovalAction({ invoice: { status }, action: 'approve' });
+      expect(r.ok).toBe(false);
+      expect(r.code).toBe('invalid_from_status');
+    }
+  });
+});
+
+describe('evaluateApprovalAction — unapprove', () => {
+  it('returns an approved invoice to draft', () => {
+    expect(
+      evaluateApprovalAction({ invoice: { status: 'approved' }, action: 'unapprove' }),
+    ).toEqual({ ok: true, nextStatus: 'draft' });
+  });
+
+  it('refuses to unapprove an exported invoice', () => {
+    const r = evaluateApprovalAction({ invoice: { status: 'exported' }, action: 'unapprove' });
+    expect(r.ok).toBe(false);
+    expect(r.code).toBe('invalid_from_status');
+  });
+});
+
+describe('evaluateApprovalAction — argument validation', () => {
+  it('rejects a missing invoice', () => {
+    expect(evaluateApprovalAction({ invoice: null, action: 'approve' }).code).toBe('invalid_invoice');
+  });
+
+  it('rejects an unknown action', () => {
+    expect(
+      evaluateApprovalAction({ invoice: { status: 'draft' }, action: 'send' }).code,
+    ).toBe('unknown_action');
+  });
+});
+
+// ─── selectApprovableIds ───────────────────────────────────────────
+
+describe('selectApprovableIds', () => {
+  const invoices = [
+    { id: 'clean', status: 'draft', total: 500 },
+    { id: 'pending', status: 'pending_approval', total: 120 },
+    { id: 'warned', status: 'draft', total: 80 },
+    { id: 'blocked_ex', status: 'draft', total: 300 },
+    { id: 'blocked_status', status: 'blocked', total: 300 },
+    { id: 'approved', status: 'approved', total: 300 },
+    { id: 'zero', status: 'draft', total: 0 },
+  ];
+  const exceptionsByInvoiceId = {
+    warned: [{ severity: 'warn', code: 'client_missing_ot_rate' }],
+    blocked_ex: [{ severity: 'block', code: 'client_missing_rate' }],
+  };
+
+  it('selects draft / pending invoices with no blockers and a positive total', () => {
+    expect(selectApprovableIds({ invoices, exceptionsByInvoiceId })).toEqual([
+      'clean', 'pending', 'warned',
+    ]);
+  });
+
+  it('accepts a Map of exceptions', () => {
+    const map = new Map(Object.entries(exceptionsByInvoiceId));
+    expect(selectApprovableIds({ invoices, exceptionsByInvoiceId: map })).toEqual([
+      'clean', 'pending', 'warned',
+    ]);
+  });
+
+  it('returns [] for non-array input and skips rows without an id', () => {
+    expect(selectApprovableIds({ invoices: null })).toEqual([]);
+    expect(selectApprovableIds({ invoices: [{ status: 'draft', total: 10 }, null] })).toEqual([]);
+  });
+});
+
+// ─── evaluateRunEligibility ────────────────────────────────────────
+
+describe('evaluateRunEligibility', () => {
+  const inv = (overrides = {}) => ({
+    id: 'inv_1',
+    org_id: 'org_a',
+    status: INVOICE_STATUS.APPROVED,
+    billing_period_start: '2026-04-20',
+    billing_period_end: '2026-04-26',
+    ...overrides,
+  });
+
+  it('accepts approved invoices from one org and one week', () => {
+    const r = evaluateRunEligibility({ invoices: [inv(), inv({ id: 'inv_2' })] });
+    expect(r).toEqual({
+      ok: true,
+      orgId: 'org_a',
+      billingPeriodStart: '2026-04-20',
+      billingPeriodEnd: '2026-04-26',
+    });
+  });
+
+  it('refuses an empty list', () => {
+    expect(evaluateRunEligibility({ invoices: [] }).code).toBe('empty');
+    expect(evaluateRunEligibility({ invoices: null }).code).toBe('empty');
+  });
+
+  it('refuses an invoice that is not approved', () => {
+    const r = evaluateRunEligibility({
+      invoices: [inv(), inv({ id: 'inv_2', status: INVOICE_STATUS.EXPORTED })],
+    });
+    expect(r.ok).toBe(false);
+    expect(r.code).toBe('not_approved');
+    expect(r.message).toContain('inv_2');
+  });
+
+  it('refuses a list spanning two orgs', () => {
+    const r = evaluateRunEligibility({ invoices: [inv(), inv({ id: 'inv_2', org_id: 'org_b' })] });
+    expect(r.code).toBe('mixed_org');
+  });
+
+  it('refuses a list spanning two billing periods', () => {
+    const r = evaluateRunEligibility({
+      invoices: [inv(), inv({ id: 'inv_2', billing_period_start: '2026-04-27' })],
+    });
+    expect(r.code).toBe('mixed_billing_period');
+  });
+
+  it('refuses rows without an id or org_id', () => {
+    expect(evaluateRunEligibility({ invoices: [{ status: 'approved' }] }).code)
+      .toBe('invalid_invoice');
+    expect(evaluateRunEligibility({ invoices: [inv({ org_id: null })] }).code)
+      .toBe('missing_org_id');
+  });
+});
+
+// ─── A/R ───────────────────────────────────────────────────────────
+
+describe('invoiceBalanceDue', () => {
+  it('subtracts payments and write-offs from the total, to the cent', () => {
+    expect(invoiceBalanceDue({ total: 100, amount_paid: 33.33, amount_written_off: 0.01 }))
+      .toBe(66.66);
+    expect(invoiceBalanceDue({ total: '250.00' })).toBe(250);
+    expect(invoiceBalanceDue(null)).toBe(0);
+  });
+});
+
+describe('evaluateMarkAsSentAction', () => {
+  const today = '2026-05-10';
+
+  it('moves an exported invoice to sent', () => {
+    const r = evaluateMarkAsSentAction({
+      invoice: { status: INVOICE_STATUS.EXPORTED }, sentDate: '2026-05-04', today,
+    });
+    expect(r).toEqual({ ok: true, nextStatus: INVOICE_STATUS.SENT });
+  });
+
+  it('refuses other statuses, bad dates, and future dates', () => {
+    expect(evaluateMarkAsSentAction({
+      invoice: { status: INVOICE_STATUS.SENT }, sentDate: '2026-05-04', today,
+    }).code).toBe('invalid_from_status');
+    expect(evaluateMarkAsSentAction({
+      invoice: { status: INVOICE_STATUS.EXPORTED }, sentDate: '05/04/2026', today,
+    }).code).toBe('invalid_sent_date');
+    expect(evaluateMarkAsSentAction({
+      invoice: { status: INVOICE_STATUS.EXPORTED }, sentDate: '2026-05-11', today,
+    }).code).toBe('sent_date_in_future');
+    expect(evaluateMarkAsSentAction({ invoice: null, sentDate: '2026-05-04' }).code)
+      .toBe('invalid_invoice');
+  });
+});
+
+describe('evaluateRecordPaymentAction', () => {
+  const today = '2026-05-10';
+  const invoice = (overrides = {}) => ({
+    status: INVOICE_STATUS.SENT,
+    total: 500,
+    amount_paid: 0,
+    amount_written_off: 0,
+    ...overrides,
+  });
+  const payment = (overrides = {}) => ({
+    invoice: invoice(),
+    kind: PAYMENT_KIND.PAYMENT,
+    method: PAYMENT_METHOD.CHECK,
+    amount: 500,
+    receivedDate: '2026-05-08',
+    today,
+    ...overrides,
+  });
+
+  it('marks the invoice paid when the payment covers the balance', () => {
+    const r = evaluateRecordPaymentAction(payment());
+    expect(r).toEqual({
+      ok: true,
+      nextStatus: INVOICE_STATUS.PAID,
+      amount: 500,
+      amountPaid: 500,
+      amountWrittenOff: 0,
+      balanceDue: 0,
+    });
+  });
+
+  it('leaves a partial payment in partially_paid with the running totals', () => {
+    const r = evaluateRecordPaymentAction(payment({ amount: 200.004 }));
+    expect(r.nextStatus).toBe(INVOICE_STATUS.PARTIALLY_PAID);
+    expect(r.amount).toBe(200);
+    expect(r.amountPaid).toBe(200);
+    expect(r.balanceDue).toBe(300);
+
+    const second = evaluateRecordPaymentAction(payment({
+      invoice: invoice({ status: INVOICE_STATUS.PARTIALLY_PAID, amount_paid: 200 }),
+      method: PAYMENT_METHOD.ACH,
+      amount: 250,
+    }));
+    expect(second.nextStatus).toBe(INVOICE_STATUS.PARTIALLY_PAID);
+    expect(second.amountPaid).toBe(450);
+    expect(second.balanceDue).toBe(50);
+  });
+
+  it('settles the remainder with a write-off', () => {
+    const r = evaluateRecordPaymentAction(payment({
+      invoice: invoice({ status: INVOICE_STATUS.PARTIALLY_PAID, amount_paid: 450 }),
+      kind: PAYMENT_KIND.WRITE_OFF,
+      method: null,
+      amount: 50,
+      reason: 'Courtesy discount for a late visit',
+    }));
+    expect(r).toMatchObject({
+      ok: true,
+      nextStatus: INVOICE_STATUS.PAID,
+      amountPaid: 450,
+      amountWrittenOff: 50,
+      balanceDue: 0,
+    });
+  });
+
+  it('accepts payments on exported invoices that were never marked sent', () => {
+    const r = evaluateRecordPaymentAction(payment({
+      invoice: invoice({ status: INVOICE_STATUS.EXPORTED }),
+      method: PAYMENT_METHOD.CARD,
+    }));
+    expect(r.ok).toBe(true);
+  });
+
+  it('refuses overpayment', () => {
+    const r = evaluateRecordPaymentAction(payment({ amount: 500.01 }));
+    expect(r.ok).toBe(false);
+    expect(r.code).toBe('exceeds_balance');
+    expect(r.message).toContain('$500.00');
+  });
+
+  it('refuses invoices that are not open receivables', () => {
+    for (const status of ['draft', 'approved', 'paid', 'rejected', 'blocked']) {
+      expect(evaluateRecordPaymentAction(payment({ invoice: invoice({ status }) })).code)
+        .toBe('invalid_from_status');
+    }
+  });
+
+  it('validates kind, method, reason, amount and date', () => {
+    expect(evaluateRecordPaymentAction(payment({ kind: 'refund' })).code).toBe('invalid_kind');
+    expect(evaluateRecordPaymentAction(payment({ method: 'venmo' })).code).toBe('invalid_method');
+    expect(evaluateRecordPaymentAction(payment({
+      kind: PAYMENT_KIND.WRITE_OFF, method: PAYMENT_METHOD.CHECK, reason: 'x',
+    })).code).toBe('invalid_method');
+    expect(evaluateRecordPaymentAction(payment({
+      kind: PAYMENT_KIND.WRITE_OFF, method: null, reason: '  ',
+    })).code).toBe('reason_required');
+    expect(evaluateRecordPaymentAction(payment({ amount: 0 })).code).toBe('invalid_amount');
+    expect(evaluateRecordPaymentAction(payment({ amount: 'abc' })).code).toBe('invalid_amount');
+    expect(evaluateRecordPaymentAction(payment({ receivedDate: '' })).code)
+      .toBe('invalid_received_date');
+    expect(evaluateRecordPaymentAction(payment({ receivedDate: '2026-05-11' })).code)
+      .toBe('received_date_in_future');
+    expect(evaluateRecordPaymentAction(payment({ invoice: {} })).code).toBe('invalid_invoice');
+  });
+});
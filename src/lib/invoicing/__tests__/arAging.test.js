@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AGING_BUCKETS,
+  agingBucketFor,
+  AR_AGING_CSV_HEADER,
+  buildArAgingReport,
+  daysBetween,
+  generateArAgingCsv,
+  resolveDueDate,
+  UNSPECIFIED_PAYER_TYPE,
+} from '../arAging.js';
+
+const AS_OF = '2026-06-30';
+
+function inv(overrides = {}) {
+  return {
+    id: 'inv_1',
+    client_id: 'c1',
+    invoice_number: 'TC-2026-0001',
+    status: 'sent',
+    total: 1000,
+    amount_paid: 0,
+    amount_written_off: 0,
+    billing_period_end: '2026-05-03',
+    invoice_date: '2026-05-06',
+    due_date: '2026-06-05',
+    ...overrides,
+  };
+}
+
+const clients = [
+  { id: 'c1', first_name: 'Ada', last_name: 'Lovelace', payer_type: 'private_pay' },
+  { id: 'c2', first_name: 'Grace', last_name: 'Hopper', payer_type: 'ltc_insurance' },
+  { id: 'c3', first_name: 'Alan', last_name: 'Turing', payer_type: null },
+];
+
+describe('daysBetween / agingBucketFor', () => {
+  it('counts whole calendar days', () => {
+    expect(daysBetween('2026-06-01', '2026-06-30')).toBe(29);
+    expect(daysBetween('2026-06-30', '2026-06-01')).toBe(-29);
+    expect(daysBetween('2026-03-07', '2026-03-09')).toBe(2); // across DST
+  });
+
+  it('buckets on the standard 30-day boundaries', () => {
+    expect(agingBucketFor(-5)).toBe('current');
+    expect(agingBucketFor(0)).toBe('current');
+    expect(agingBucketFor(1)).toBe('days_1_30');
+    expect(agingBucketFor(30)).toBe('days_1_30');
+    expect(agingBucketFor(31)).toBe('days_31_60');
+    expect(agingBucketFor(60)).toBe('days_31_60');
+    expect(agingBucketFor(90)).toBe('days_61_90');
+    expect(agingBucketFor(91)).toBe('days_90_plus');
+    expect(AGING_BUCKETS.map((b) => b.label)).toEqual(['Current', '1–30', '31–60', '61–90', '90+']);
+  });
+});
+
+describe('resolveDueDate', () => {
+  it('prefers the stamped due_date, then invoice_date, then billing_period_end', () => {
+    expect(resolveDueDate(inv())).toBe('2026-06-05');
+    expect(resolveDueDate(inv({ due_date: null }), 15)).toBe('2026-05-21');
+    expect(resolveDueDate(inv({ due_date: null, invoice_date: null }))).toBe('2026-06-02');
+    expect(resolveDueDate({})).toBeNull();
+  });
+});
+
+describe('buildArAgingReport', () => {
+  const invoices = [
+    inv(), // due 06-05 → 25 days past due
+    inv({ id: 'inv_2', invoice_number: 'TC-2026-0002', status: 'partially_paid', amount_paid: 400, due_date: '2026-03-01' }), // 121 → 90+
+    inv({ id: 'inv_3', invoice_number: 'TC-2026-0003', client_id: 'c2', status: 'exported', total: 250.5, due_date: '2026-07-15' }), // current
+    inv({ id: 'inv_4', invoice_number: 'TC-2026-0004', client_id: 'c3', total: 80, due_date: '2026-04-20' }), // 71 → 61–90
+    inv({ id: 'inv_paid', status: 'paid', amount_paid: 1000 }),
+    inv({ id: 'inv_draft', status: 'draft', invoice_number: null }),
+    inv({ id: 'inv_zero', status: 'partially_paid', amount_paid: 900, amount_written_off: 100 }),
+  ];
+  const report = buildArAgingReport({ invoices, clients, asOfDate: AS_OF });
+
+  it('keeps only open receivables with a balance, oldest first', () => {
+    expect(report.invoices.map((r) => r.invoiceId)).toEqual(['inv_2', 'inv_4', 'inv_1', 'inv_3']);
+    expect(report.invoices[0]).toMatchObject({
+      daysPastDue: 121,
+      bucket: 'days_90_plus',
+      balanceDue: 600,
+    });
+  });
+
+  it('rolls up per client, largest balance first', () => {
+    expect(report.byClient.map((c) => [c.clientName, c.total, c.invoiceCount])).toEqual([
+      ['Ada Lovelace', 1600, 2],
+      ['Grace Hopper', 250.5, 1],
+      ['Alan Turing', 80, 1],
+    ]);
+    expect(report.byClient[0].buckets).toEqual({
+      current: 0, days_1_30: 1000, days_31_60: 0, days_61_90: 0, days_90_plus: 600,
+    });
+  });
+
+  it('rolls up per payer type, with a bucket for clients that have none', () => {
+    expect(report.byPayerType.map((p) => p.payerType)).toEqual([
+      'private_pay', 'ltc_insurance', UNSPECIFIED_PAYER_TYPE,
+    ]);
+    expect(report.totals).toEqual({
+      buckets: { current: 250.5, days_1_30: 1000, days_31_60: 0, days_61_90: 80, days_90_plus: 600 },
+      total: 1930.5,
+      invoiceCount: 4,
+    });
+  });
+
+  it('rejects a malformed as-of date', () => {
+    expect(() => buildArAgingReport({ invoices, clients, asOfDate: '6/30/2026' })).toThrow(/asOfDate/);
+  });
+});
+
+describe('generateArAgingCsv', () => {
+  it('emits client rows, payer-type rows, and a total', () => {
+    const report = buildArAgingReport({
+      invoices: [inv(), inv({ id: 'inv_2', client_id: 'c2', total: 99.99, due_date: '2026-07-01' })],
+      clients: [...clients, { id: 'c2', first_name: 'Hopper, Grace', payer_type: 'va' }],
+      asOfDate: AS_OF,
+    });
+    const lines = generateArAgingCsv(report).split('\r\n');
+    expect(lines[0]).toBe(AR_AGING_CSV_HEADER.join(','));
+    expect(lines[1]).toBe('Client,Ada Lovelace,private_pay,0.00,1000.00,0.00,0.00,0.00,1000.00,1');
+    expect(lines[2]).toBe('Client,"Hopper, Grace",va,99.99,0.00,0.00,0.00,0.00,99.99,1');
+    expect(lines[3]).toMatch(/^Payer type,private_pay,private_pay,/);
+    expect(lines[5]).toBe('Total,As of 2026-06-30,,99.99,1000.00,0.00,0.00,0.00,1099.99,2');
+    expect(lines[6]).toBe('');
+  });
+});
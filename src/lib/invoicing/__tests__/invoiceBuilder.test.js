@@ -27,6 +27,10 @@ function lineItem(overrides = {}) {
   return {
     shiftId: overrides.shiftId ?? 'shift_001',
     billable_rate: overrides.billable_rate ?? null,
+    serviceType: overrides.serviceType ?? null,
+    dailyBillRate: overrides.dailyBillRate ?? null,
+    billedDays: overrides.billedDays ?? null,
+    billedCaregivers: overrides.billedCaregivers ?? 1,
     hours: { regular: 0, overtime: 0, doubleTime: 0, ...(overrides.hours ?? {}) },
     hasPayrollClassification:
       overrides.hasPayrollClassification ?? true,
@@ -367,3 +371,254 @@ describe('buildInvoice — realistic week scenario', () => {
     expect(result.exceptions).toHaveLength(0);
   });
 });
+
+// ─── Rate cards ───────────────────────────────────────────────────
+
+describe('buildInvoice — rate cards', () => {
+  const card = (overrides = {}) => ({
+    id: 'rc_1',
+    scope: 'client',
+    client_id: 'client_smith_01',
+    service_type: 'live_in',
+    rate: 28,
+    ot_rate: null,
+    effective_from: null,
+    effective_to: null,
+    ...overrides,
+  });
+
+  it('bills each service type at its card rate', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      rateCards: [card(), card({ id: 'rc_2', service_type: 'personal_care', rate: 40 })],
+      shiftLineItems: [
+        lineItem({ shiftId: 's1', serviceType: 'live_in', hours: { regular: 10 } }),
+        lineItem({ shiftId: 's2', serviceType: 'personal_care', hours: { regular: 4 } }),
+      ],
+    });
+    expect(result.invoice.subtotal).toBe(10 * 28 + 4 * 40);
+    expect(result.invoice.regular_rate).toBeNull();
+    expect(result.invoice_shifts.map((r) => r.billable_rate_applied)).toEqual([28, 40]);
+    expect(result.meta.rateSourceByShiftId).toEqual({ s1: 'client_card', s2: 'client_card' });
+    expect(result.exceptions).toHaveLength(0);
+  });
+
+  it('uses the payer-type card when the client has none', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client({ payer_type: 'medicaid' }),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      rateCards: [card({ scope: 'payer', client_id: null, payer_type: 'medicaid', rate: 26 })],
+      shiftLineItems: [lineItem({ serviceType: 'live_in', hours: { regular: 5 } })],
+    });
+    expect(result.invoice.subtotal).toBe(130);
+  });
+
+  it('bills card OT at 1.5× the card rate and warns when the card has no OT rate', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      rateCards: [card()],
+      shiftLineItems: [lineItem({ serviceType: 'live_in', hours: { regular: 8, overtime: 2 } })],
+    });
+    expect(result.invoice.subtotal).toBe(8 * 28 + 2 * 42);
+    expect(result.invoice.ot_rate).toBe(42);
+    expect(result.exceptions.map((e) => e.code)).toEqual([INVOICE_EXCEPTION_CODE.CLIENT_MISSING_OT_RATE]);
+  });
+
+  it('warns when the client is on rate cards but the service type has none', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      rateCards: [card()],
+      shiftLineItems: [lineItem({ serviceType: 'companion', hours: { regular: 4 } })],
+    });
+    expect(result.invoice.subtotal).toBe(140);
+    expect(result.invoice.status).toBe('draft');
+    const ex = result.exceptions.find(
+      (e) => e.code === INVOICE_EXCEPTION_CODE.CLIENT_MISSING_SERVICE_RATE,
+    );
+    expect(ex.severity).toBe(INVOICE_EXCEPTION_SEVERITY.WARN);
+    expect(ex.shiftId).toBe('shift_001');
+  });
+
+  it('blocks when no card and no client default match', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client({ default_billable_rate: null, default_billable_ot_rate: null }),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      rateCards: [card()],
+      shiftLineItems: [lineItem({ serviceType: 'companion', hours: { regular: 4 } })],
+    });
+    expect(result.invoice.status).toBe('blocked');
+    expect(result.exceptions.map((e) => e.code)).toContain(INVOICE_EXCEPTION_CODE.CLIENT_MISSING_RATE);
+  });
+});
+
+describe('buildInvoice — live-in day rates', () => {
+  it('bills day lines as days × rate with no OT premium', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      shiftLineItems: [
+        lineItem({
+          shiftId: 'li',
+          serviceType: 'live_in',
+          dailyBillRate: 380,
+          billedDays: 2,
+          hours: { regular: 16, overtime: 8, doubleTime: 2 },
+        }),
+        lineItem({ shiftId: 'pc', hours: { regular: 4 } }),
+      ],
+    });
+    expect(result.invoice.subtotal).toBe(2 * 380 + 4 * 35);
+    expect(result.invoice_shifts[0]).toEqual({
+      shift_id: 'li',
+      hours_worked: 26,
+      hour_classification: 'regular',
+      billable_rate_applied: 380,
+      billed_days: 2,
+    });
+    expect(result.invoice_shifts[1]).not.toHaveProperty('billed_days');
+    expect(result.invoice.regular_rate).toBe(35);
+    expect(result.meta.dayRateShiftIds).toEqual(['li']);
+    expect(result.meta.rateSourceByShiftId.li).toBe('daily_rate');
+    expect(result.exceptions).toHaveLength(0);
+  });
+
+  it('bills a day line even when the client has no hourly rate', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client({ default_billable_rate: null, default_billable_ot_rate: null }),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      shiftLineItems: [
+        lineItem({ serviceType: 'live_in', dailyBillRate: 380, billedDays: 1, hours: { regular: 13 } }),
+      ],
+    });
+    expect(result.invoice.subtotal).toBe(380);
+    expect(result.invoice.status).toBe('draft');
+  });
+});
+
+// ─── Multi-caregiver shifts ───────────────────────────────────────
+
+describe('buildInvoice — multi-caregiver shifts', () => {
+  it('prices the summed hours and records the head count', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      shiftLineItems: [
+        lineItem({ shiftId: 'pair', billedCaregivers: 2, hours: { regular: 8 } }),
+        lineItem({ shiftId: 'solo', hours: { regular: 4 } }),
+      ],
+    });
+    expect(result.invoice.subtotal).toBe(12 * 35);
+    expect(result.invoice_shifts[0]).toMatchObject({ shift_id: 'pair', hours_worked: 8, billed_caregivers: 2 });
+    expect(result.invoice_shifts[1]).not.toHaveProperty('billed_caregivers');
+  });
+
+  it('keeps the head count on a day-rate line', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      shiftLineItems: [
+        lineItem({
+          serviceType: 'live_in',
+          dailyBillRate: 380,
+          billedDays: 4,
+          billedCaregivers: 2,
+          hours: { regular: 26 },
+        }),
+      ],
+    });
+    expect(result.invoice.subtotal).toBe(4 * 380);
+    expect(result.invoice_shifts[0]).toMatchObject({ billed_days: 4, billed_caregivers: 2 });
+  });
+});
+
+// ─── Authorizations ───────────────────────────────────────────────
+
+describe('buildInvoice — authorizations', () => {
+  const usageFor = (byShiftId, notCoveredShiftIds = []) => ({
+    periods: [],
+    byShiftId,
+    notCoveredShiftIds,
+  });
+  const within = {
+    authorizationId: 'auth_1',
+    authNumber: 'MCW-123',
+    periodStart: '2026-04-20',
+    periodEnd: '2026-04-26',
+    units: 8,
+    worked: true,
+    overCap: false,
+  };
+
+  it('blocks a shift that bills past the unit cap', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      shiftLineItems: [
+        lineItem({ shiftId: 's1', hours: { regular: 8 } }),
+        lineItem({ shiftId: 's2', hours: { regular: 8 } }),
+      ],
+      authorizationUsage: usageFor({ s1: within, s2: { ...within, overCap: true } }),
+    });
+    const blocks = result.exceptions.filter(
+      (e) => e.code === INVOICE_EXCEPTION_CODE.AUTHORIZATION_EXCEEDED,
+    );
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].shiftId).toBe('s2');
+    expect(blocks[0].severity).toBe(INVOICE_EXCEPTION_SEVERITY.BLOCK);
+    expect(blocks[0].message).toMatch(/MCW-123/);
+    expect(result.invoice.status).toBe('blocked');
+  });
+
+  it('warns for a shift no authorization covers', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      shiftLineItems: [lineItem({ shiftId: 's1', hours: { regular: 8 } })],
+      authorizationUsage: usageFor({}, ['s1']),
+    });
+    expect(result.exceptions).toEqual([
+      expect.objectContaining({
+        code: INVOICE_EXCEPTION_CODE.AUTHORIZATION_NOT_COVERED,
+        severity: INVOICE_EXCEPTION_SEVERITY.WARN,
+        shiftId: 's1',
+      }),
+    ]);
+    expect(result.invoice.status).toBe('draft');
+  });
+
+  it('skips the checks without authorization usage', () => {
+    const result = buildInvoice({
+      orgId: ORG_ID,
+      client: client(),
+      billingPeriodStart: PERIOD_START,
+      billingPeriodEnd: PERIOD_END,
+      shiftLineItems: [lineItem({ shiftId: 's1', hours: { regular: 8 } })],
+    });
+    expect(result.exceptions).toHaveLength(0);
+  });
+});
@@ -0,0 +1,289 @@
+import { describe, it, expect } from 'vitest';
+import { buildInvoice, INVOICE_EXCEPTION_CODE } from '../invoiceBuilder.js';
+import {
+  applyLineEdit,
+  computeLineAmount,
+  recomputeInvoiceTotals,
+} from '../invoiceEdits.js';
+
+const ORG_ID = 'org-tc-uuid';
+const PERIOD_START = '2026-04-20';
+const PERIOD_END = '2026-04-26';
+
+function client(overrides = {}) {
+  return {
+    id: 'client_smith_01',
+    default_billable_rate: 35,
+    default_billable_ot_rate: 50,
+    address: '123 Main St',
+    city: 'San Diego',
+    state: 'CA',
+    zip: '92101',
+    ...overrides,
+  };
+}
+
+function lineItem(shiftId, hours, billableRate = null) {
+  return {
+    shiftId,
+    billable_rate: billableRate,
+    hours: { regular: 0, overtime: 0, doubleTime: 0, ...hours },
+    hasPayrollClassification: true,
+  };
+}
+
+function build(clientOverrides, items) {
+  return buildInvoice({
+    orgId: ORG_ID,
+    client: client(clientOverrides),
+    billingPeriodStart: PERIOD_START,
+    billingPeriodEnd: PERIOD_END,
+    shiftLineItems: items,
+  });
+}
+
+// ─── computeLineAmount ─────────────────────────────────────────────
+
+describe('computeLineAmount', () => {
+  it('bills regular lines at the applied rate', () => {
+    expect(computeLineAmount(
+      { hours_worked: 8, hour_classification: 'regular', billable_rate_applied: 35 },
+      50,
+    )).toBe(280);
+  });
+
+  it('bills overtime / double-time lines at the invoice OT rate', () => {
+    expect(computeLineAmount(
+      { hours_worked: 4, hour_classification: 'overtime', billable_rate_applied: 35 },
+      50,
+    )).toBe(200);
+    expect(computeLineAmount(
+      { hours_worked: 2, hour_classification: 'double_time', billable_rate_applied: 35 },
+      50,
+    )).toBe(100);
+  });
+
+  it('falls back to 1.5 × the line rate without an invoice OT rate', () => {
+    expect(computeLineAmount(
+      { hours_worked: 4, hour_classification: 'overtime', billable_rate_applied: 30 },
+      null,
+    )).toBe(180);
+  });
+
+  it('bills day-rate lines as billed_days × the day rate', () => {
+    expect(computeLineAmount(
+      { hours_worked: 26, hour_classification: 'regular', billable_rate_applied: 380, billed_days: 2 },
+      50,
+    )).toBe(760);
+  });
+
+  it('bills $0 for an unpriced line', () => {
+    expect(computeLineAmount(
+      { hours_worked: 8, hour_classification: 'regular', billable_rate_applied: null },
+      50,
+    )).toBe(0);
+  });
+});
+
+// ─── recomputeInvoiceTotals ────────────────────────────────────────
+
+describe('recomputeInvoiceTotals', () => {
+  it('reproduces buildInvoice totals to the cent', () => {
+    const built = build({}, [
+      lineItem('s1', { regular: 8 }),
+      lineItem('s2', { regular: 6.5 }, 40),
+      lineItem('s3', { overtime: 4.25 }),
+      lineItem('s4', { doubleTime: 1.5 }),
+    ]);
+    const recomputed = recomputeInvoiceTotals({
+      invoice: built.invoice,
+      lines: built.invoice_shifts,
+    });
+    for (const key of Object.keys(recomputed)) {
+      expect(recomputed[key]).toBe(built.invoice[key]);
+    }
+  });
+
+  it('matches buildInvoice when the OT rate is derived from the client default', () => {
+    const built = build({ default_billable_ot_rate: null }, [
+      lineItem('s1', { regular: 8 }),
+      lineItem('s2', { overtime: 3 }),
+    ]);
+    const recomputed = recomputeInvoiceTotals({
+      invoice: built.invoice,
+      lines: built.invoice_shifts,
+    });
+    expect(recomputed.subtotal).toBe(built.invoice.subtotal);
+    expect(recomputed.total).toBe(built.invoice.total);
+  });
+
+  it('reproduces buildInvoice totals with a live-in day line', () => {
+    const built = build({}, [
+      lineItem('s1', { regular: 8 }),
+      {
+        ...lineItem('li', { regular: 13 }),
+        serviceType: 'live_in',
+        dailyBillRate: 380,
+        billedDays: 1,
+      },
+    ]);
+    const recomputed = recomputeInvoiceTotals({
+      invoice: built.invoice,
+      lines: built.invoice_shifts,
+    });
+    for (const key of Object.keys(recomputed)) {
+      expect(recomputed[key]).toBe(built.invoice[key]);
+    }
+    expect(recomputed.regular_rate).toBe(35);
+  });
+
+  it('snapshots regular_rate only when every priced line shares one rate', () => {
+    const lines = [
+      { shift_id: 'a', hours_worked: 1, hour_classification: 'regular', billable_rate_applied: 35 },
+      { shift_id: 'b', hours_worked: 1, hour_classification: 'regular', billable_rate_applied: 35 },
+    ];
+    expect(recomputeInvoiceTotals({ invoice: {}, lines }).regular_rate).toBe(35);
+    lines[1].billable_rate_applied = 40;
+    expect(recomputeInvoiceTotals({ invoice: {}, lines }).regular_rate).toBeNull();
+  });
+});
+
+// ─── applyLineEdit ─────────────────────────────────────────────────
+
+describe('applyLineEdit', () => {
+  function draft() {
+    const built = build({}, [
+      lineItem('s1', { regular: 8 }),
+      lineItem('s2', { regular: 4 }),
+    ]);
+    return {
+      invoice: { ...built.invoice, status: 'draft' },
+      lines: built.invoice_shifts,
+      exceptions: built.exceptions,
+    };
+  }
+
+  it('edits hours and recomputes the totals', () => {
+    const { invoice, lines } = draft();
+    const r = applyLineEdit({ invoice, lines, shiftId: 's2', edits: { hours_worked: 6 } });
+    expect(r.ok).toBe(true);
+    expect(r.line.hours_worked).toBe(6);
+    expect(r.previous).toEqual({ hours_worked: 4 });
+    expect(r.invoice.regular_hours).toBe(14);
+    expect(r.invoice.subtotal).toBe(490);
+    expect(r.invoice.total).toBe(490);
+    expect(r.invoice.status).toBe('draft');
+  });
+
+  it('edits the applied rate and drops the regular_rate snapshot when rates diverge', () => {
+    const { invoice, lines } = draft();
+    const r = applyLineEdit({
+      invoice, lines, shiftId: 's1', edits: { billable_rate_applied: 40 },
+    });
+    expect(r.ok).toBe(true);
+    expect(r.invoice.subtotal).toBe(460);
+    expect(r.invoice.regular_rate).toBeNull();
+  });
+
+  it('does not mutate the input lines', () => {
+    const { invoice, lines } = draft();
+    applyLineEdit({ invoice, lines, shiftId: 's1', edits: { hours_worked: 1 } });
+    expect(lines[0].hours_worked).toBe(8);
+  });
+
+  it('ignores non-editable fields and refuses an empty edit', () => {
+    const { invoice, lines } = draft();
+    const r = applyLineEdit({
+      invoice, lines, shiftId: 's1', edits: { hour_classification: 'overtime' },
+    });
+    expect(r.ok).toBe(false);
+    expect(r.code).toBe('no_edits');
+  });
+
+  it.each([-1, 'abc', null, 200])('refuses hours_worked = %s', (value) => {
+    const { invoice, lines } = draft();
+    const r = applyLineEdit({ invoice, lines, shiftId: 's1', edits: { hours_worked: value } });
+    expect(r.ok).toBe(false);
+    expect(r.code).toBe('invalid_value');
+  });
+
+  it('refuses a shift that is not on the invoice', () => {
+    const { invoice, lines } = draft();
+    const r = applyLineEdit({ invoice, lines, shiftId: 'nope', edits: { hours_worked: 1 } });
+    expect(r.code).toBe('line_not_found');
+  });
+
+  it('refuses edits once the invoice is approved', () => {
+    const { invoice, lines } = draft();
+    for (const status of ['approved', 'exported', 'sent', 'paid', 'rejected']) {
+      const r = applyLineEdit({
+        invoice: { ...invoice, status }, lines, shiftId: 's1', edits: { hours_worked: 1 },
+      });
+      expect(r.ok).toBe(false);
+      expect(r.code).toBe('invalid_from_status');
+    }
+  });
+
+  describe('clearing client_missing_rate blocks', () => {
+    function blocked() {
+      const built = build({ default_billable_rate: null, default_billable_ot_rate: null }, [
+        lineItem('s1', { regular: 8 }),
+        lineItem('s2', { regular: 4 }),
+      ]);
+      return {
+        invoice: built.invoice,
+        lines: built.invoice_shifts,
+        exceptions: built.exceptions,
+      };
+    }
+
+    it('starts blocked with one missing-rate exception per shift', () => {
+      const { invoice, exceptions } = blocked();
+      expect(invoice.status).toBe('blocked');
+      expect(
+        exceptions.filter((e) => e.code === INVOICE_EXCEPTION_CODE.CLIENT_MISSING_RATE),
+      ).toHaveLength(2);
+    });
+
+    it('keeps the invoice blocked while another line is unpriced', () => {
+      const { invoice, lines, exceptions } = blocked();
+      const r = applyLineEdit({
+        invoice, lines, exceptions, shiftId: 's1', edits: { billable_rate_applied: 30 },
+      });
+      expect(r.ok).toBe(true);
+      expect(r.invoice.status).toBe('blocked');
+      expect(r.invoice.block_reason).toMatch(/s2/);
+      expect(r.exceptions.filter((e) => e.severity === 'block')).toHaveLength(1);
+    });
+
+    it('returns the invoice to draft once the last block clears', () => {
+      const { invoice, lines, exceptions } = blocked();
+      const first = applyLineEdit({
+        invoice, lines, exceptions, shiftId: 's1', edits: { billable_rate_applied: 30 },
+      });
+      const nextLines = lines.map((l) => (l.shift_id === 's1' ? first.line : l));
+      const second = applyLineEdit({
+        invoice: { ...invoice, ...first.invoice },
+        lines: nextLines,
+        exceptions: first.exceptions,
+        shiftId: 's2',
+        edits: { billable_rate_applied: 30 },
+      });
+      expect(second.ok).toBe(true);
+      expect(second.invoice.status).toBe('draft');
+      expect(second.invoice.block_reason).toBeNull();
+      expect(second.invoice.subtotal).toBe(360);
+      expect(second.invoice.regular_rate).toBe(30);
+      // Warnings survive.
+      expect(second.exceptions.every((e) => e.severity === 'warn')).toBe(true);
+    });
+
+    it('a $0 rate does not clear the block', () => {
+      const { invoice, lines, exceptions } = blocked();
+      const r = applyLineEdit({
+        invoice, lines, exceptions, shiftId: 's1', edits: { billable_rate_applied: 0 },
+      });
+      expect(r.exceptions.filter((e) => e.severity === 'block')).toHaveLength(2);
+    });
+  });
+});
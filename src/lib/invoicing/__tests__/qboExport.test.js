@@ -0,0 +1,279 @@
+import { describe, it, expect } from 'vitest';
+import {
+  addDays,
+  assignInvoiceNumbers,
+  buildInvoiceExportLines,
+  buildQboCustomerPayload,
+  buildQboInvoicePayload,
+  DEFAULT_QBO_ITEM,
+  formatInvoiceNumber,
+  formatQboCsvDate,
+  generateQboInvoiceCsv,
+  QBO_CSV_HEADER,
+  resolveExportConfig,
+} from '../qboExport.js';
+
+function invoice(overrides = {}) {
+  return {
+    id: 'inv_1',
+    invoice_number: 'TC-2026-0001',
+    billing_period_start: '2026-04-20',
+    billing_period_end: '2026-04-26',
+    ot_rate: 60,
+    total: 0,
+    ...overrides,
+  };
+}
+
+function line(overrides = {}) {
+  return {
+    shift_id: 'shift_1',
+    hours_worked: 8,
+    hour_classification: 'regular',
+    billable_rate_applied: 40,
+    service_date: '2026-04-21',
+    ...overrides,
+  };
+}
+
+const CLIENT = { id: 'client_a', first_name: 'Ada', last_name: 'Lovelace' };
+
+function parseCsv(text) {
+  return text.trimEnd().split('\r\n').map((row) => row.split(','));
+}
+
+// ─── Config + numbering ────────────────────────────────────────────
+
+describe('resolveExportConfig', () => {
+  it('defaults every field when the org has no invoicing settings', () => {
+    expect(resolveExportConfig(null)).toEqual({
+      numberPrefix: 'INV',
+      paymentTermsDays: 30,
+      items: { regular: DEFAULT_QBO_ITEM, overtime: DEFAULT_QBO_ITEM, double_time: DEFAULT_QBO_ITEM },
+    });
+  });
+
+  it('reads prefix, terms, and item names; OT and DT fall back down the ladder', () => {
+    const cfg = resolveExportConfig({
+      invoicing: {
+        invoice_number_prefix: ' tc- ',
+        payment_terms_days: 15,
+        qbo_items: { regular: 'Caregiving', overtime: 'Caregiving OT' },
+      },
+    });
+    expect(cfg.numberPrefix).toBe('TC');
+    expect(cfg.paymentTermsDays).toBe(15);
+    expect(cfg.items).toEqual({
+      regular: 'Caregiving',
+      overtime: 'Caregiving OT',
+      double_time: 'Caregiving OT',
+    });
+  });
+
+  it('ignores out-of-range payment terms', () => {
+    expect(resolveExportConfig({ invoicing: { payment_terms_days: -1 } }).paymentTermsDays).toBe(30);
+    expect(resolveExportConfig({ invoicing: { payment_terms_days: 'net' } }).paymentTermsDays).toBe(30);
+    expect(resolveExportConfig({ invoicing: { payment_terms_days: 0 } }).paymentTermsDays).toBe(0);
+  });
+});
+
+describe('formatInvoiceNumber / assignInvoiceNumbers', () => {
+  it('zero-pads the sequence to four digits', () => {
+    expect(formatInvoiceNumber({ prefix: 'TC', year: 2026, sequence: 1 })).toBe('TC-2026-0001');
+    expect(formatInvoiceNumber({ prefix: 'TC', year: 2026, sequence: 12345 })).toBe('TC-2026-12345');
+  });
+
+  it('rejects non-positive sequences', () => {
+    expect(() => formatInvoiceNumber({ prefix: 'TC', year: 2026, sequence: 0 })).toThrow(/positive/);
+  });
+
+  it('numbers a batch consecutively from the reserved block', () => {
+    const out = assignInvoiceNumbers({
+      invoiceIds: ['a', 'b', 'c'],
+      prefix: 'TC',
+      year: 2026,
+      firstSequence: 41,
+    });
+    expect(Array.from(out.entries())).toEqual([
+      ['a', 'TC-2026-0041'],
+      ['b', 'TC-2026-0042'],
+      ['c', 'TC-2026-0043'],
+    ]);
+  });
+});
+
+describe('date helpers', () => {
+  it('adds days across a month boundary', () => {
+    expect(addDays('2026-04-29', 30)).toBe('2026-05-29');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+  });
+
+  it('formats dates the way the QuickBooks US import expects', () => {
+    expect(formatQboCsvDate('2026-04-29')).toBe('04/29/2026');
+    expect(formatQboCsvDate(null)).toBe('');
+  });
+});
+
+// ─── Lines ─────────────────────────────────────────────────────────
+
+describe('buildInvoiceExportLines', () => {
+  const items = { regular: 'Care', overtime: 'Care OT', double_time: 'Care DT' };
+
+  it('bills regular lines at the line rate and OT lines at the invoice OT rate', () => {
+    const out = buildInvoiceExportLines({
+      lines: [
+        line({ shift_id: 's2', service_date: '2026-04-22', hours_worked: 4, hour_classification: 'overtime' }),
+        line({ shift_id: 's1' }),
+      ],
+      otRate: 60,
+      items,
+    });
+    expect(out.map((l) => l.shiftId)).toEqual(['s1', 's2']);
+    expect(out[0]).toMatchObject({ item: 'Care', quantity: 8, rate: 40, amount: 320 });
+    expect(out[1]).toMatchObject({ item: 'Care OT', quantity: 4, rate: 60, amount: 240 });
+    expect(out[1].description).toBe('Home care services 04/22/2026 (Overtime)');
+  });
+
+  it('falls back to 1.5× the line rate when the invoice has no OT rate', () => {
+    const [out] = buildInvoiceExportLines({
+      lines: [line({ hours_worked: 2, hour_classification: 'double_time', billable_rate_applied: 30 })],
+      otRate: null,
+      items,
+    });
+    expect(out).toMatchObject({ item: 'Care DT', rate: 45, amount: 90 });
+  });
+
+  it('exports a day-rate line as days at the day rate on the regular item', () => {
+    const [out] = buildInvoiceExportLines({
+      lines: [line({ hours_worked: 26, billable_rate_applied: 380, billed_days: 2 })],
+      otRate: 60,
+      items,
+    });
+    expect(out).toMatchObject({ item: 'Care', quantity: 2, rate: 380, amount: 760 });
+    expect(out.description).toBe('Live-in care 04/21/2026 (2 days)');
+  });
+
+  it('drops zero-hour lines and tolerates a missing service date', () => {
+    const out = buildInvoiceExportLines({
+      lines: [line({ hours_worked: 0 }), line({ shift_id: 's9', service_date: undefined })],
+      otRate: 60,
+      items,
+    });
+    expect(out).toHaveLength(1);
+    expect(out[0].serviceDate).toBeNull();
+    expect(out[0].description).toBe('Home care services');
+  });
+});
+
+// ─── CSV ───────────────────────────────────────────────────────────
+
+describe('generateQboInvoiceCsv', () => {
+  it('emits the header and one row per line, with totals matching the invoice', () => {
+    const csv = generateQboInvoiceCsv([
+      {
+        invoice: invoice(),
+        client: CLIENT,
+        invoiceDate: '2026-04-29',
+        lines: [line(), line({ shift_id: 'shift_2', hours_worked: 3.5, hour_classification: 'overtime' })],
+      },
+    ], { invoicing: { payment_terms_days: 15 } });
+    expect(csv.endsWith('\r\n')).toBe(true);
+    const rows = parseCsv(csv);
+    expect(rows[0]).toEqual([...QBO_CSV_HEADER]);
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toEqual([
+      'TC-2026-0001', 'Ada Lovelace', '04/29/2026', '05/14/2026', 'Net 15',
+      'Billing period 2026-04-20 to 2026-04-26', 'Services', 'Home care services 04/21/2026',
+      '8.00', '40.00', '320.00', '04/21/2026',
+    ]);
+    expect(rows[2].slice(8, 11)).toEqual(['3.50', '60.00', '210.00']);
+  });
+
+  it('quotes customer names containing commas', () => {
+    const csv = generateQboInvoiceCsv([
+      {
+        invoice: invoice(),
+        client: { id: 'c', first_name: 'Jr, Sam', last_name: 'Lee' },
+        invoiceDate: '2026-04-29',
+        lines: [line()],
+      },
+    ], {});
+    expect(csv).toContain('"Jr, Sam Lee"');
+  });
+
+  it('refuses an invoice without a reserved number', () => {
+    expect(() => generateQboInvoiceCsv([
+      { invoice: invoice({ invoice_number: null }), client: CLIENT, invoiceDate: '2026-04-29', lines: [line()] },
+    ], {})).toThrow(/invoice_number/);
+  });
+
+  it('refuses an invoice with no billable lines', () => {
+    expect(() => generateQboInvoiceCsv([
+      { invoice: invoice(), client: CLIENT, invoiceDate: '2026-04-29', lines: [] },
+    ], {})).toThrow(/no billable lines/);
+  });
+});
+
+// ─── API payloads ──────────────────────────────────────────────────
+
+describe('buildQboCustomerPayload', () => {
+  it('maps name, contact, and billing address', () => {
+    expect(buildQboCustomerPayload({
+      ...CLIENT,
+      email: 'ada@example.com',
+      phone: '555-0100',
+      address: '1 Main St',
+      city: 'Pasadena',
+      state: 'CA',
+      zip: '91101',
+    })).toEqual({
+      DisplayName: 'Ada Lovelace',
+      GivenName: 'Ada',
+      FamilyName: 'Lovelace',
+      PrimaryEmailAddr: { Address: 'ada@example.com' },
+      PrimaryPhone: { FreeFormNumber: '555-0100' },
+      BillAddr: { Line1: '1 Main St', City: 'Pasadena', CountrySubDivisionCode: 'CA', PostalCode: '91101' },
+    });
+  });
+
+  it('omits blank fields', () => {
+    expect(buildQboCustomerPayload({ id: 'c', first_name: 'Ada', last_name: '', email: '' }))
+      .toEqual({ DisplayName: 'Ada', GivenName: 'Ada' });
+  });
+});
+
+describe('buildQboInvoicePayload', () => {
+  it('builds DocNumber, dates, and item lines referenced by name', () => {
+    const payload = buildQboInvoicePayload({
+      invoice: invoice(),
+      lines: [line()],
+      invoiceDate: '2026-04-29',
+      orgSettings: { invoicing: { qbo_items: { regular: 'Caregiving' } } },
+    });
+    expect(payload).toEqual({
+      DocNumber: 'TC-2026-0001',
+      TxnDate: '2026-04-29',
+      DueDate: '2026-05-29',
+      PrivateNote: 'Billing period 2026-04-20 to 2026-04-26',
+      Line: [{
+        DetailType: 'SalesItemLineDetail',
+        Amount: 320,
+        Description: 'Home care services 04/21/2026',
+        SalesItemLineDetail: {
+          ItemRef: { name: 'Caregiving' },
+          Qty: 8,
+          UnitPrice: 40,
+          ServiceDate: '2026-04-21',
+        },
+      }],
+    });
+  });
+
+  it('refuses an invoice without a reserved number', () => {
+    expect(() => buildQboInvoicePayload({
+      invoice: invoice({ invoice_number: '' }),
+      lines: [line()],
+      invoiceDate: '2026-04-29',
+    })).toThrow(/invoice_number/);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import { groupShiftLineItemsByClient } from '../shiftLineItems.js';
+
+const ORG_ID = 'org-tc-uuid';
+const PERIOD_START = '2026-04-20';
+
+function shift(overrides = {}) {
+  return {
+    id: 'shift_001',
+    client_id: 'client_a',
+    assigned_caregiver_id: 'cg_1',
+    start_time: '2026-04-21T16:00:00.000Z',
+    end_time: '2026-04-22T00:00:00.000Z',
+    billable_rate: null,
+    timesheet_shifts: [],
+    ...overrides,
+  };
+}
+
+function split(hours, classification, periodStart = PERIOD_START, orgId = ORG_ID) {
+  return {
+    hours_worked: hours,
+    hour_classification: classification,
+    timesheet: { org_id: orgId, pay_period_start: periodStart },
+  };
+}
+
+describe('groupShiftLineItemsByClient', () => {
+  it('groups shifts by client in input order', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [
+        shift({ id: 's1', client_id: 'b' }),
+        shift({ id: 's2', client_id: 'a' }),
+        shift({ id: 's3', client_id: 'b' }),
+      ],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    expect(Array.from(out.keys())).toEqual(['b', 'a']);
+    expect(out.get('b').map((l) => l.shiftId)).toEqual(['s1', 's3']);
+  });
+
+  it('reads the classification from the payroll split for this period', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [shift({
+        billable_rate: '42.5',
+        timesheet_shifts: [
+          split(3, 'regular', '2026-04-13'),
+          split(7.5, 'overtime'),
+        ],
+      })],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    const [line] = out.get('client_a');
+    expect(line.hours).toEqual({ regular: 0, overtime: 7.5, doubleTime: 0 });
+    expect(line.hasPayrollClassification).toBe(true);
+    expect(line.billable_rate).toBe(42.5);
+  });
+
+  it("ignores another org's timesheet split", () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [shift({ timesheet_shifts: [split(2, 'double_time', PERIOD_START, 'other-org')] })],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    const [line] = out.get('client_a');
+    expect(line.hasPayrollClassification).toBe(false);
+    expect(line.hours).toEqual({ regular: 8, overtime: 0, doubleTime: 0 });
+  });
+
+  it('falls back to scheduled duration as regular hours without a split', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [shift()],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    expect(out.get('client_a')[0].hours.regular).toBe(8);
+  });
+
+  it('skips shifts with no client and shifts with zero hours', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [
+        shift({ id: 'no-client', client_id: null }),
+        shift({ id: 'zero', timesheet_shifts: [split(0, 'regular')] }),
+        shift({ id: 'backwards', end_time: '2026-04-21T15:00:00.000Z' }),
+      ],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    expect(out.size).toBe(0);
+  });
+
+  it('bills a live-in shift with a day rate by its scheduled days', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [
+        shift({
+          id: 'li',
+          service_type: 'live_in',
+          start_time: '2026-04-21T07:00:00.000Z',
+          end_time: '2026-04-23T07:00:00.000Z',
+          daily_bill_rate: '380.00',
+          timesheet_shifts: [split(26, 'regular')],
+        }),
+        shift({ id: 'hourly-li', service_type: 'live_in' }),
+        shift({ id: 'pc', daily_bill_rate: 380 }),
+      ],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    const [dayLine, hourlyLiveIn, other] = out.get('client_a');
+    expect(dayLine).toMatchObject({ dailyBillRate: 380, billedDays: 2 });
+    expect(dayLine.hours.regular).toBe(26);
+    expect(hourlyLiveIn).toMatchObject({ dailyBillRate: null, billedDays: null });
+    expect(other).toMatchObject({ dailyBillRate: null, billedDays: null });
+  });
+
+  it('sums each billed caregiver\'s own split on a multi-caregiver shift', () => {
+    const mine = (cg, hours, cls) => ({
+      ...split(hours, cls),
+      timesheet: { org_id: ORG_ID, caregiver_id: cg, pay_period_start: PERIOD_START },
+    });
+    const out = groupShiftLineItemsByClient({
+      shifts: [shift({
+        shift_slots: [
+          { caregiver_id: 'cg_2', billable: true },
+          { caregiver_id: 'cg_3', billable: false },
+        ],
+        timesheet_shifts: [
+          mine('cg_1', 8, 'regular'),
+          mine('cg_2', 8, 'overtime'),
+          mine('cg_3', 8, 'regular'),
+        ],
+      })],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    const [line] = out.get('client_a');
+    expect(line.hours).toEqual({ regular: 8, overtime: 8, doubleTime: 0 });
+    expect(line.billedCaregivers).toBe(2);
+    expect(line.hasPayrollClassification).toBe(true);
+  });
+
+  it('falls back to scheduled hours for a billed caregiver without a split', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [shift({
+        shift_slots: [{ caregiver_id: 'cg_2', billable: true }],
+        timesheet_shifts: [{
+          ...split(8, 'regular'),
+          timesheet: { org_id: ORG_ID, caregiver_id: 'cg_1', pay_period_start: PERIOD_START },
+        }],
+      })],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    const [line] = out.get('client_a');
+    expect(line.hours.regular).toBe(16);
+    expect(line.hasPayrollClassification).toBe(false);
+  });
+
+  it('multiplies live-in days by the billed head count', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [shift({
+        service_type: 'live_in',
+        start_time: '2026-04-21T07:00:00.000Z',
+        end_time: '2026-04-23T07:00:00.000Z',
+        daily_bill_rate: 380,
+        shift_slots: [{ caregiver_id: 'cg_2', billable: true }],
+      })],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    const [line] = out.get('client_a');
+    expect(line).toMatchObject({ billedDays: 4, billedCaregivers: 2 });
+  });
+
+  it('bills one caregiver on an ordinary shift', () => {
+    const out = groupShiftLineItemsByClient({
+      shifts: [shift({ timesheet_shifts: [split(8, 'regular')] })],
+      orgId: ORG_ID,
+      periodStart: PERIOD_START,
+    });
+    expect(out.get('client_a')[0].billedCaregivers).toBe(1);
+  });
+
+  it('returns an empty map for non-array input', () => {
+    expect(groupShiftLineItemsByClient({ shifts: null, orgId: ORG_ID }).size).toBe(0);
+  });
+});
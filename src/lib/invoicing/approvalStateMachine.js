@@ -0,0 +1,458 @@
+// Invoice approval state machine — pure helpers.
+//
+// Encodes the legal status transitions for `invoices.status` so the
+// edge function (`invoicing-invoice-actions`) and the Invoicing tab ask
+// a single source of truth "may I move this invoice from X to Y?".
+// Modeled on src/lib/payroll/approvalStateMachine.js — invoices mirror
+// timesheets on purpose (docs/INVOICING.md → "invoices").
+//
+// The DB-level CHECK constraint on `invoices.status` (migration
+// 20260502010000_invoicing_foundation.sql) enumerates the legal VALUES
+// but not the legal TRANSITIONS. The ladder lives here:
+//
+//   draft           → pending_approval | approved | blocked | rejected
+//   pending_approval→ approved | rejected | blocked | draft
+//   approved        → exported | rejected | draft   (back to draft for
+//                     manual unapprove; rejected = void)
+//   exported        → sent | partially_paid | paid | rejected
+//                     (Phase 3 QuickBooks export; sent = delivered
+//                     to the client)
+//   sent            → partially_paid | paid | rejected
+//   partially_paid  → paid                          (A/R: a payment or
+//                     write-off settles the balance)
+//   paid            → (terminal)
+//   rejected        → draft                          (un-reject so the
+//                     invoice can be edited and re-approved)
+//   blocked         → draft                          (cleared once line
+//                     edits resolve the blocking exceptions)
+//
+// Phase 2 only exercises a subset:
+//   - draft     → approved              (Approve / Approve All Clean)
+//   - approved  → draft                 (Unapprove)
+//   - blocked   → draft                 (a line edit clears the last block)
+//
+// Phase 3 adds approved → exported (Generate Invoice Run), gated by
+// evaluateRunEligibility below.
+//
+// A/R (docs/INVOICING.md → "Payments and A/R aging") adds
+// exported → sent (Mark as Sent) and the payment ladder
+// exported / sent → partially_paid → paid, gated by
+// evaluateRecordPaymentAction. A partially paid invoice stays
+// partially_paid across further partial payments.
+//
+// Plan reference: docs/INVOICING.md ("Phased rollout" → Phase 2 / 3).
+
+export const INVOICE_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  PENDING_APPROVAL: 'pending_approval',
+  APPROVED: 'approved',
+  EXPORTED: 'exported',
+  SENT: 'sent',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  REJECTED: 'rejected',
+  BLOCKED: 'blocked',
+});
+
+const ALL_STATUSES = new Set(Object.values(INVOICE_STATUS));
+
+// Map of from-status → set of legal next statuses.
+const ALLOWED = new Map([
+  [INVOICE_STATUS.DRAFT, new Set([
+    INVOICE_STATUS.PENDING_APPROVAL,
+    INVOICE_STATUS.APPROVED,
+    INVOICE_STATUS.BLOCKED,
+    INVOICE_STATUS.REJECTED,
+  ])],
+  [INVOICE_STATUS.PENDING_APPROVAL, new Set([
+    INVOICE_STATUS.APPROVED,
+    INVOICE_STATUS.REJECTED,
+    INVOICE_STATUS.BLOCKED,
+    INVOICE_STATUS.DRAFT,
+  ])],
+  [INVOICE_STATUS.APPROVED, new Set([
+    INVOICE_STATUS.EXPORTED,
+    INVOICE_STATUS.REJECTED,
+    INVOICE_STATUS.DRAFT,
+  ])],
+  [INVOICE_STATUS.EXPORTED, new Set([
+    INVOICE_STATUS.SENT,
+    INVOICE_STATUS.PARTIALLY_PAID,
+    INVOICE_STATUS.PAID,
+    INVOICE_STATUS.REJECTED,
+  ])],
+  [INVOICE_STATUS.SENT, new Set([
+    INVOICE_STATUS.PARTIALLY_PAID,
+    INVOICE_STATUS.PAID,
+    INVOICE_STATUS.REJECTED,
+  ])],
+  [INVOICE_STATUS.PARTIALLY_PAID, new Set([
+    INVOICE_STATUS.PAID,
+  ])],
+  [INVOICE_STATUS.PAID, new Set()], // terminal
+  [INVOICE_STATUS.REJECTED, new Set([
+    INVOICE_STATUS.DRAFT,
+  ])],
+  [INVOICE_STATUS.BLOCKED, new Set([
+    INVOICE_STATUS.DRAFT,
+  ])],
+]);
+
+// Statuses whose line items may still be edited. Anything past
+// approval is visible to the client (or QuickBooks) and stays frozen.
+export const EDITABLE_INVOICE_STATUSES = Object.freeze([
+  INVOICE_STATUS.DRAFT,
+  INVOICE_STATUS.PENDING_APPROVAL,
+  INVOICE_STATUS.BLOCKED,
+]);
+
+/**
+ * Whether `from → to` is a legal invoice status transition. Pure: no
+ * side effects, no DB lookups. Always returns false for unknown
+ * statuses.
+ */
+export function canTransition(from, to) {
+  if (!ALL_STATUSES.has(from) || !ALL_STATUSES.has(to)) return false;
+  if (from === to) return false;
+  const allowed = ALLOWED.get(from);
+  return allowed ? allowed.has(to) : false;
+}
+
+/**
+ * Validate an approval action for a single invoice. Used by the
+ * `invoicing-invoice-actions` edge function and the UI gate on the
+ * Approve button. Returns a structured result so callers can pattern
+ * match on `.code` for user-facing messages.
+ *
+ * Args:
+ *   invoice: { status, ... }
+ *   action: 'approve' | 'unapprove'
+ *   exceptions: Array<{ severity }> — used by the approve-action gate.
+ */
+export function evaluateApprovalAction({ invoice, action, exceptions = [] }) {
+  if (!invoice || typeof invoice.status !== 'string') {
+    return { ok: false, code: 'invalid_invoice', message: 'Invoice has no status.' };
+  }
+
+  if (action === 'approve') {
+    if (invoice.status === INVOICE_STATUS.APPROVED) {
+      return { ok: false, code: 'already_approved', message: 'Invoice is already approved.' };
+    }
+    if (invoice.status !== INVOICE_STATUS.DRAFT
+        && invoice.status !== INVOICE_STATUS.PENDING_APPROVAL) {
+      return {
+        ok: false,
+        code: 'invalid_from_status',
+        message: `Cannot approve an invoice in status "${invoice.status}".`,
+      };
+    }
+    const blockers = (exceptions || []).filter((e) => e?.severity === 'block');
+    if (blockers.length > 0) {
+      const codes = Array.from(new Set(blockers.map((e) => e.code).filter(Boolean)));
+      return {
+        ok: false,
+        code: 'blocked_by_exceptions',
+        message:
+          `Cannot approve while blocking exceptions remain: ${codes.join(', ') || '(unknown)'}.`,
+        blocking_codes: codes,
+      };
+    }
+    return { ok: true, nextStatus: INVOICE_STATUS.APPROVED };
+  }
+
+  if (action === 'unapprove') {
+    if (invoice.status !== INVOICE_STATUS.APPROVED) {
+      return {
+        ok: false,
+        code: 'invalid_from_status',
+        message: `Cannot unapprove an invoice in status "${invoice.status}".`,
+      };
+    }
+    return { ok: true, nextStatus: INVOICE_STATUS.DRAFT };
+  }
+
+  return { ok: false, code: 'unknown_action', message: `Unknown action: ${action}` };
+}
+
+/**
+ * Return the subset of invoices eligible for "Approve All Clean."
+ *
+ * Rules (same as payroll's selectApprovableIds):
+ *   - Status is `draft` or `pending_approval`.
+ *   - The invoice's exceptions list (parsed from `notes` upstream)
+ *     contains zero block-severity entries.
+ *   - The total is positive. A $0 invoice is almost always a rate
+ *     problem the biller should look at before it goes out.
+ *
+ * Returns the approvable IDs so the caller can pass them straight to
+ * the bulk-approve action.
+ */
+export function selectApprovableIds({ invoices, exceptionsByInvoiceId }) {
+  if (!Array.isArray(invoices)) return [];
+  const map = exceptionsByInvoiceId instanceof Map
+    ? exceptionsByInvoiceId
+    : new Map(Object.entries(exceptionsByInvoiceId || {}));
+  const out = [];
+  for (const inv of invoices) {
+    if (!inv || typeof inv.id !== 'string') continue;
+    if (inv.status !== INVOICE_STATUS.DRAFT
+        && inv.status !== INVOICE_STATUS.PENDING_APPROVAL) {
+      continue;
+    }
+    if (!(Number(inv.total) > 0)) continue;
+    const exceptions = map.get(inv.id) || [];
+    const hasBlocker = exceptions.some((e) => e?.severity === 'block');
+    if (!hasBlocker) out.push(inv.id);
+  }
+  return out;
+}
+
+/**
+ * Evaluate whether a list of approved invoices may be batched into one
+ * invoice run + exported. Used by the "Generate Invoice Run" action and
+ * the invoicing-export-run edge function. Same contract as payroll's
+ * evaluateExportEligibility.
+ *
+ * Rules:
+ *   - At least one invoice.
+ *   - Every invoice is `approved`.
+ *   - All invoices share one `org_id` (cross-tenant guard).
+ *   - All invoices share one billing period — one run per workweek,
+ *     matching the invoice_runs unique key.
+ *
+ * Returns { ok, code, message } or { ok: true, orgId, billingPeriodStart,
+ * billingPeriodEnd }.
+ */
+export function evaluateRunEligibility({ invoices }) {
+  if (!Array.isArray(invoices) || invoices.length === 0) {
+    return { ok: false, code: 'empty', message: 'No invoices selected for export.' };
+  }
+  let orgId = null;
+  let periodStart = null;
+  let periodEnd = null;
+  for (const inv of invoices) {
+    if (!inv || typeof inv.id !== 'string') {
+      return { ok: false, code: 'invalid_invoice', message: 'Invoice has no id.' };
+    }
+    if (inv.status !== INVOICE_STATUS.APPROVED) {
+      return {
+        ok: false,
+        code: 'not_approved',
+        message:
+          `Invoice ${inv.id} is in status "${inv.status}"; only "approved" invoices can be `
+            + 'exported. Approve first.',
+      };
+    }
+    if (!inv.org_id) {
+      return {
+        ok: false,
+        code: 'missing_org_id',
+        message: `Invoice ${inv.id} has no org_id; cannot validate tenancy.`,
+      };
+    }
+    if (orgId == null) {
+      orgId = inv.org_id;
+      periodStart = inv.billing_period_start;
+      periodEnd = inv.billing_period_end;
+      continue;
+    }
+    if (orgId !== inv.org_id) {
+      return {
+        ok: false,
+        code: 'mixed_org',
+        message:
+          'Refusing to export invoices from multiple organizations in a single run. '
+            + 'Caller must group exports by org_id.',
+      };
+    }
+    if (periodStart !== inv.billing_period_start) {
+      return {
+        ok: false,
+        code: 'mixed_billing_period',
+        message:
+          'Refusing to export invoices spanning multiple billing periods in a single run. '
+            + 'Generate one run per workweek.',
+      };
+    }
+  }
+  return { ok: true, orgId, billingPeriodStart: periodStart, billingPeriodEnd: periodEnd };
+}
+
+// ─── A/R: sent, payments, write-offs ─────────────────────────────
+
+// Statuses that carry an open receivable: the invoice has gone out and
+// has not been settled. The A/R aging report reads exactly these.
+export const RECEIVABLE_INVOICE_STATUSES = Object.freeze([
+  INVOICE_STATUS.EXPORTED,
+  INVOICE_STATUS.SENT,
+  INVOICE_STATUS.PARTIALLY_PAID,
+]);
+
+export const PAYMENT_KIND = Object.freeze({
+  PAYMENT: 'payment',
+  WRITE_OFF: 'write_off',
+});
+
+export const PAYMENT_METHOD = Object.freeze({
+  CHECK: 'check',
+  ACH: 'ach',
+  CARD: 'card',
+  CASH: 'cash',
+  OTHER: 'other',
+});
+
+const ALL_PAYMENT_KINDS = new Set(Object.values(PAYMENT_KIND));
+const ALL_PAYMENT_METHODS = new Set(Object.values(PAYMENT_METHOD));
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function roundCents(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Outstanding balance on an invoice: total less payments and
+ * write-offs, rounded to cents. Accepts the DB row shape
+ * ({ total, amount_paid, amount_written_off }).
+ */
+export function invoiceBalanceDue(invoice) {
+  const total = Number(invoice?.total) || 0;
+  const paid = Number(invoice?.amount_paid) || 0;
+  const writtenOff = Number(invoice?.amount_written_off) || 0;
+  return roundCents(total - paid - writtenOff);
+}
+
+/**
+ * Validate a "Mark as Sent" action — the invoice was delivered to the
+ * client (emailed, mailed, or sent from QuickBooks).
+ *
+ * Args:
+ *   invoice: { status }
+ *   sentDate: 'YYYY-MM-DD'. Required; not in the future.
+ *   today: 'YYYY-MM-DD' override for tests. Defaults to the UTC date.
+ *
+ * Returns { ok, code, message, nextStatus? }.
+ */
+export function evaluateMarkAsSentAction({ invoice, sentDate, today }) {
+  if (!invoice || typeof invoice.status !== 'string') {
+    return { ok: false, code: 'invalid_invoice', message: 'Invoice has no status.' };
+  }
+  if (typeof sentDate !== 'string' || !DATE_ONLY_RE.test(sentDate)) {
+    return { ok: false, code: 'invalid_sent_date', message: 'sent_date must be a YYYY-MM-DD string.' };
+  }
+  if (invoice.status !== INVOICE_STATUS.EXPORTED) {
+    return {
+      ok: false,
+      code: 'invalid_from_status',
+      message: `Only exported invoices can be marked sent; got "${invoice.status}".`,
+    };
+  }
+  const todayIso = today || new Date().toISOString().slice(0, 10);
+  if (sentDate > todayIso) {
+    return {
+      ok: false,
+      code: 'sent_date_in_future',
+      message: `sent_date "${sentDate}" is in the future. Use today (${todayIso}) or earlier.`,
+    };
+  }
+  return { ok: true, nextStatus: INVOICE_STATUS.SENT };
+}
+
+/**
+ * Validate recording a payment or write-off against an invoice. Same
+ * contract as payroll's evaluateMarkAsPaidAction; "Mark as Paid" is a
+ * payment for the full balance.
+ *
+ * Args:
+ *   invoice: { status, total, amount_paid, amount_written_off }
+ *   kind: 'payment' | 'write_off'
+ *   method: PAYMENT_METHOD value. Required for payments; must be
+ *     omitted for write-offs.
+ *   amount: positive dollars, at most the balance due (no overpayment
+ *     — a client credit is out of scope).
+ *   receivedDate: 'YYYY-MM-DD'. Required; not in the future.
+ *   reason: required for write-offs (the audit trail has to say why).
+ *   today: 'YYYY-MM-DD' override for tests.
+ *
+ * Returns { ok, code, message } or { ok: true, nextStatus, amount,
+ * amountPaid, amountWrittenOff, balanceDue } — `amount` rounded to
+ * cents, the rest the invoice's new running totals.
+ */
+export function evaluateRecordPaymentAction({
+  invoice,
+  kind,
+  method,
+  amount,
+  receivedDate,
+  reason,
+  today,
+}) {
+  if (!invoice || typeof invoice.status !== 'string') {
+    return { ok: false, code: 'invalid_invoice', message: 'Invoice has no status.' };
+  }
+  if (!ALL_PAYMENT_KINDS.has(kind)) {
+    return { ok: false, code: 'invalid_kind', message: `Unknown payment kind: ${kind}` };
+  }
+  if (kind === PAYMENT_KIND.PAYMENT && !ALL_PAYMENT_METHODS.has(method)) {
+    return {
+      ok: false,
+      code: 'invalid_method',
+      message: `Payment method must be one of ${[...ALL_PAYMENT_METHODS].join(', ')}.`,
+    };
+  }
+  if (kind === PAYMENT_KIND.WRITE_OFF && method != null) {
+    return { ok: false, code: 'invalid_method', message: 'A write-off has no payment method.' };
+  }
+  if (kind === PAYMENT_KIND.WRITE_OFF && (typeof reason !== 'string' || reason.trim() === '')) {
+    return { ok: false, code: 'reason_required', message: 'A write-off requires a reason.' };
+  }
+  if (typeof receivedDate !== 'string' || !DATE_ONLY_RE.test(receivedDate)) {
+    return {
+      ok: false,
+      code: 'invalid_received_date',
+      message: 'received_date must be a YYYY-MM-DD string.',
+    };
+  }
+  if (!RECEIVABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    return {
+      ok: false,
+      code: 'invalid_from_status',
+      message:
+        `Only exported, sent, or partially paid invoices take payments; got "${invoice.status}".`,
+    };
+  }
+  const todayIso = today || new Date().toISOString().slice(0, 10);
+  if (receivedDate > todayIso) {
+    return {
+      ok: false,
+      code: 'received_date_in_future',
+      message: `received_date "${receivedDate}" is in the future. Use today (${todayIso}) or earlier.`,
+    };
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { ok: false, code: 'invalid_amount', message: 'Amount must be a positive number.' };
+  }
+  const cents = roundCents(value);
+  const balance = invoiceBalanceDue(invoice);
+  if (cents > balance) {
+    return {
+      ok: false,
+      code: 'exceeds_balance',
+      message: `Amount $${cents.toFixed(2)} exceeds the balance due of $${balance.toFixed(2)}.`,
+    };
+  }
+
+  const amountPaid = roundCents((Number(invoice.amount_paid) || 0)
+    + (kind === PAYMENT_KIND.PAYMENT ? cents : 0));
+  const amountWrittenOff = roundCents((Number(invoice.amount_written_off) || 0)
+    + (kind === PAYMENT_KIND.WRITE_OFF ? cents : 0));
+  const balanceDue = roundCents(balance - cents);
+  return {
+    ok: true,
+    nextStatus: balanceDue <= 0 ? INVOICE_STATUS.PAID : INVOICE_STATUS.PARTIALLY_PAID,
+    amount: cents,
+    amountPaid,
+    amountWrittenOff,
+    balanceDue,
+  };
+}
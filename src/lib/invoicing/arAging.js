@@ -0,0 +1,210 @@
+// Accounts-receivable aging — pure functions.
+//
+// Buckets every open receivable (an invoice in RECEIVABLE_INVOICE_STATUSES
+// with a positive balance) by days past its due date as of a given day,
+// then rolls the balances up per client and per payer type for the
+// Invoicing tab's A/R Aging view and its CSV export.
+//
+// Due date resolution, in priority order:
+//   1. `invoices.due_date` (stamped by invoicing-export-run from the
+//      org's payment terms).
+//   2. invoice_date + payment terms.
+//   3. billing_period_end + payment terms (invoices exported before
+//      invoice_date existed).
+//
+// Inputs are DB rows (snake_case), same as the rest of src/lib/invoicing.
+//
+// Plan reference: docs/INVOICING.md ("Payments and A/R aging").
+
+import {
+  invoiceBalanceDue,
+  RECEIVABLE_INVOICE_STATUSES,
+} from './approvalStateMachine.js';
+import {
+  addDays,
+  customerDisplayName,
+  DEFAULT_PAYMENT_TERMS_DAYS,
+} from './qboExport.js';
+
+export const AGING_BUCKETS = Object.freeze([
+  { id: 'current', label: 'Current', maxDays: 0 },
+  { id: 'days_1_30', label: '1–30', maxDays: 30 },
+  { id: 'days_31_60', label: '31–60', maxDays: 60 },
+  { id: 'days_61_90', label: '61–90', maxDays: 90 },
+  { id: 'days_90_plus', label: '90+', maxDays: Infinity },
+]);
+
+export const UNSPECIFIED_PAYER_TYPE = 'unspecified';
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function emptyBuckets() {
+  const out = {};
+  for (const b of AGING_BUCKETS) out[b.id] = 0;
+  return out;
+}
+
+/** Whole days from `fromYmd` to `toYmd` (negative when `to` is earlier). */
+export function daysBetween(fromYmd, toYmd) {
+  const from = Date.parse(`${fromYmd}T00:00:00Z`);
+  const to = Date.parse(`${toYmd}T00:00:00Z`);
+  return Math.round((to - from) / MS_PER_DAY);
+}
+
+/** The invoice's due date ('YYYY-MM-DD'), or null when nothing to anchor on. */
+export function resolveDueDate(invoice, paymentTermsDays = DEFAULT_PAYMENT_TERMS_DAYS) {
+  if (DATE_ONLY_RE.test(invoice?.due_date || '')) return invoice.due_date;
+  const anchor = [invoice?.invoice_date, invoice?.billing_period_end]
+    .find((d) => DATE_ONLY_RE.test(d || ''));
+  return anchor ? addDays(anchor, paymentTermsDays) : null;
+}
+
+/** Bucket id for a days-past-due count. Not yet due (≤ 0) is `current`. */
+export function agingBucketFor(daysPastDue) {
+  for (const b of AGING_BUCKETS) {
+    if (daysPastDue <= b.maxDays) return b.id;
+  }
+  return AGING_BUCKETS[AGING_BUCKETS.length - 1].id;
+}
+
+/**
+ * Build the A/R aging report.
+ *
+ * Args:
+ *   invoices         — invoices rows; anything not an open receivable
+ *                      (wrong status or zero balance) is ignored.
+ *   clients          — clients rows, for names and payer_type.
+ *   asOfDate         — 'YYYY-MM-DD'.
+ *   paymentTermsDays — fallback terms when an invoice has no due_date.
+ *
+ * Returns {
+ *   asOfDate,
+ *   invoices:    [{ invoiceId, invoiceNumber, clientId, status, dueDate,
+ *                   daysPastDue, bucket, balanceDue }]  (oldest first),
+ *   byClient:    [{ clientId, clientName, payerType, buckets, total,
+ *                   invoiceCount }]  (largest balance first),
+ *   byPayerType: [{ payerType, buckets, total, invoiceCount }],
+ *   totals:      { buckets, total, invoiceCount },
+ * }
+ */
+export function buildArAgingReport({
+  invoices,
+  clients,
+  asOfDate,
+  paymentTermsDays = DEFAULT_PAYMENT_TERMS_DAYS,
+}) {
+  if (!DATE_ONLY_RE.test(asOfDate || '')) {
+    throw new Error(`arAging: asOfDate must be YYYY-MM-DD, got "${asOfDate}"`);
+  }
+  const clientById = new Map((clients || []).map((c) => [c.id, c]));
+  const rows = [];
+  for (const inv of invoices || []) {
+    if (!inv || !RECEIVABLE_INVOICE_STATUSES.includes(inv.status)) continue;
+    const balanceDue = invoiceBalanceDue(inv);
+    if (!(balanceDue > 0)) continue;
+    const dueDate = resolveDueDate(inv, paymentTermsDays);
+    const daysPastDue = dueDate ? daysBetween(dueDate, asOfDate) : 0;
+    rows.push({
+      invoiceId: inv.id,
+      invoiceNumber: inv.invoice_number ?? null,
+      clientId: inv.client_id,
+      status: inv.status,
+      dueDate,
+      daysPastDue,
+      bucket: agingBucketFor(daysPastDue),
+      balanceDue,
+    });
+  }
+  rows.sort((a, b) => b.daysPastDue - a.daysPastDue
+    || String(a.invoiceNumber ?? '').localeCompare(String(b.invoiceNumber ?? '')));
+
+  const byClient = new Map();
+  const byPayerType = new Map();
+  const totals = { buckets: emptyBuckets(), total: 0, invoiceCount: 0 };
+  const add = (group, row) => {
+    group.buckets[row.bucket] = round2(group.buckets[row.bucket] + row.balanceDue);
+    group.total = round2(group.total + row.balanceDue);
+    group.invoiceCount += 1;
+  };
+  for (const row of rows) {
+    const client = clientById.get(row.clientId);
+    const payerType = client?.payer_type?.trim() || UNSPECIFIED_PAYER_TYPE;
+    if (!byClient.has(row.clientId)) {
+      byClient.set(row.clientId, {
+        clientId: row.clientId,
+        clientName: customerDisplayName(client || { id: row.clientId }),
+        payerType,
+        buckets: emptyBuckets(),
+        total: 0,
+        invoiceCount: 0,
+      });
+    }
+    if (!byPayerType.has(payerType)) {
+      byPayerType.set(payerType, { payerType, buckets: emptyBuckets(), total: 0, invoiceCount: 0 });
+    }
+    add(byClient.get(row.clientId), row);
+    add(byPayerType.get(payerType), row);
+    add(totals, row);
+  }
+
+  const byTotalDesc = (a, b) => b.total - a.total;
+  return {
+    asOfDate,
+    invoices: rows,
+    byClient: [...byClient.values()].sort((a, b) => byTotalDesc(a, b)
+      || a.clientName.localeCompare(b.clientName)),
+    byPayerType: [...byPayerType.values()].sort((a, b) => byTotalDesc(a, b)
+      || a.payerType.localeCompare(b.payerType)),
+    totals,
+  };
+}
+
+// ─── CSV ──────────────────────────────────────────────────────────
+
+export const AR_AGING_CSV_HEADER = Object.freeze([
+  'Group',
+  'Name',
+  'Payer Type',
+  ...AGING_BUCKETS.map((b) => b.label),
+  'Total',
+  'Invoices',
+]);
+
+function escapeCsvField(value) {
+  if (value == null) return '';
+  const s = String(value);
+  if (/[",\r\n]/.test(s)) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+function agingCells(group) {
+  return [
+    ...AGING_BUCKETS.map((b) => group.buckets[b.id].toFixed(2)),
+    group.total.toFixed(2),
+    group.invoiceCount,
+  ];
+}
+
+/**
+ * Render a `buildArAgingReport` result as CSV: one row per client, one
+ * per payer type, then a grand total. `\r\n` line endings, trailing
+ * newline — same shape as the QuickBooks and Paychex exports.
+ */
+export function generateArAgingCsv(report) {
+  const rows = [AR_AGING_CSV_HEADER];
+  for (const c of report.byClient) {
+    rows.push(['Client', c.clientName, c.payerType, ...agingCells(c)]);
+  }
+  for (const p of report.byPayerType) {
+    rows.push(['Payer type', p.payerType, p.payerType, ...agingCells(p)]);
+  }
+  rows.push(['Total', `As of ${report.asOfDate}`, '', ...agingCells(report.totals)]);
+  return `${rows.map((r) => r.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+}
@@ -17,21 +17,50 @@
 //    on three different clients). Reading the payroll-side classification
 //    keeps caregiver-OT and client-billing-OT aligned to the cent.
 //
-//  - Rate resolution per shift, in priority order:
+//  - Rate resolution per shift goes through the rate cards
+//    (src/lib/rateCards.js `resolveBillRate`), in priority order:
 //       1. shifts.billable_rate (per-shift override)
-//       2. clients.default_billable_rate (client-level fallback)
-//       3. → emit `client_missing_rate` block-severity exception, treat
+//       2. the client's rate card for the shift's service type
+//       3. the client's payer-type rate card for the service type
+//       4. clients.default_billable_rate (client-level fallback)
+//       5. → emit `client_missing_rate` block-severity exception, treat
 //          rate as 0 for the math (so we don't crash; the block prevents
 //          approval).
+//    Cards are matched on the billing period's Monday, so a rate change
+//    takes effect for whole weeks. A shift whose service type has no
+//    card while the client (or its payer type) is on rate cards raises
+//    a `client_missing_service_rate` warning.
 //
 //  - OT rate (applies to overtime + double_time hours):
-//       1. clients.default_billable_ot_rate (per-client OT rate)
-//       2. → 1.5 × the resolved regular rate (industry default)
-//       Note: per-client, not per-shift. Confirmed with the owner —
-//       different clients have different OT rates, but a single client
-//       has one OT rate. Same answer applies to double-time hours
-//       (DT bills at OT rate in v1; a separate DT rate can be added
-//       additively if needed).
+//       1. the matched rate card's ot_rate, when the shift matched a card
+//       2. clients.default_billable_ot_rate (per-client OT rate)
+//       3. → 1.5 × the resolved regular rate (industry default)
+//       Without rate cards this is per-client, not per-shift. Confirmed
+//       with the owner — different clients have different OT rates,
+//       but a single client has one OT rate per service type. Same
+//       answer applies to double-time hours (DT bills at OT rate in v1;
+//       a separate DT rate can be added additively if needed).
+//
+//  - Live-in shifts with a daily bill rate (src/lib/liveIn.js) bill per
+//    day, all-inclusive: `billed_days` × the day rate, no OT premium
+//    whatever the payroll split says. The line's hours (paid hours,
+//    sleep and meals already excluded by payroll) are informational
+//    and count as regular hours on the header. Day rates stay out of
+//    the regular_rate snapshot — it's a per-hour figure.
+//
+//  - Multi-caregiver shifts (src/lib/scheduling/shiftSlots.js) bill
+//    the lead plus every slot marked billable. groupShiftLineItemsByClient
+//    already sums their hours (and multiplies live-in days), so the
+//    line is priced like any other; the head count is kept on the line
+//    as `billed_caregivers` when it's more than one.
+//
+//  - Client authorizations (src/lib/authorizations.js): the caller
+//    counts the client's shifts against their authorizations over the
+//    cap periods the week touches and passes the result in. A shift
+//    that bills past an authorization's unit cap raises
+//    `authorization_exceeded` (block — the payer won't pay it); a
+//    shift outside every authorization for its service type raises
+//    `authorization_not_covered` (warn).
 //
 //  - Mileage / reimbursement billing is OUT of scope for v1. If a client
 //    contract reimburses caregiver mileage, that's a separate line
@@ -51,6 +80,8 @@
 //
 // Plan reference: docs/INVOICING.md ("Invoice builder").
 
+import { RATE_SOURCE, SERVICE_TYPE_LABELS, resolveBillRate } from '../rateCards.js';
+
 export const HOUR_CLASS = Object.freeze({
   REGULAR: 'regular',
   OVERTIME: 'overtime',
@@ -60,8 +91,11 @@ export const HOUR_CLASS = Object.freeze({
 export const INVOICE_EXCEPTION_CODE = Object.freeze({
   CLIENT_MISSING_RATE: 'client_missing_rate',
   CLIENT_MISSING_OT_RATE: 'client_missing_ot_rate',
+  CLIENT_MISSING_SERVICE_RATE: 'client_missing_service_rate',
   CLIENT_MISSING_ADDRESS: 'client_missing_address',
   SHIFT_MISSING_HOURS: 'shift_missing_hours',
+  AUTHORIZATION_EXCEEDED: 'authorization_exceeded',
+  AUTHORIZATION_NOT_COVERED: 'authorization_not_covered',
 });
 
 export const INVOICE_EXCEPTION_SEVERITY = Object.freeze({
@@ -77,21 +111,6 @@ function isPositiveNumber(n) {
   return typeof n === 'number' && Number.isFinite(n) && n > 0;
 }
 
-/**
- * Resolve the regular rate for a single shift. Returns:
- *   { rate: number, source: 'shift' | 'client' | null }
- * source = null when no rate is available (caller emits the exception).
- */
-function resolveShiftRegularRate(shift, client) {
-  if (isPositiveNumber(shift?.billable_rate)) {
-    return { rate: Number(shift.billable_rate), source: 'shift' };
-  }
-  if (isPositiveNumber(client?.default_billable_rate)) {
-    return { rate: Number(client.default_billable_rate), source: 'client' };
-  }
-  return { rate: 0, source: null };
-}
-
 /**
  * Resolve the OT rate for the client. OT rate is per-client, not
  * per-shift (locked decision with the owner). Returns:
@@ -119,8 +138,8 @@ function resolveClientOtRate(client) {
  * @param {object} args
  * @param {string} args.orgId
  * @param {object} args.client
- *   Client row. Reads id, default_billable_rate, default_billable_ot_rate,
- *   address (for the missing-address warning).
+ *   Client row. Reads id, payer_type, default_billable_rate,
+ *   default_billable_ot_rate, address (for the missing-address warning).
  * @param {string} args.billingPeriodStart  YYYY-MM-DD (Monday in tz).
  * @param {string} args.billingPeriodEnd    YYYY-MM-DD (Sunday in tz).
  * @param {Array<object>} args.shiftLineItems
@@ -128,12 +147,28 @@ function resolveClientOtRate(client) {
  *     {
  *       shiftId: string,
  *       billable_rate: number | null,   // shifts.billable_rate
+ *       serviceType: string | null,     // shifts.service_type
  *       hours: { regular: number, overtime: number, doubleTime: number },
  *       // Whether the upstream timesheet_shifts row exists. When false,
  *       // the builder treats all hours as regular (no caregiver-OT
  *       // attribution available). Logged in meta for transparency.
  *       hasPayrollClassification: boolean,
+ *       // Live-in day billing (see groupShiftLineItemsByClient). Both
+ *       // set → the shift bills billedDays × dailyBillRate.
+ *       dailyBillRate?: number | null,
+ *       billedDays?: number | null,
+ *       // People billed on the shift (lead + billable slots); hours
+ *       // and billedDays already total across them. Default 1.
+ *       billedCaregivers?: number,
  *     }
+ * @param {Array<object>} [args.rateCards]
+ *   `rate_cards` rows for the client and its payer type. Omitted or
+ *   empty means billing runs off the per-shift and client default
+ *   rates only (the pre-rate-card behavior).
+ * @param {object} [args.authorizationUsage]
+ *   `evaluateAuthorizations` result for the client's shifts over the
+ *   cap periods the week touches. Omitted means no authorization
+ *   checks (clients without authorizations).
  *
  * @returns {null | {
  *   invoice: object,
@@ -148,6 +183,8 @@ export function buildInvoice({
   billingPeriodStart,
   billingPeriodEnd,
   shiftLineItems,
+  rateCards = [],
+  authorizationUsage = null,
 }) {
   if (!orgId) throw new Error('invoiceBuilder: orgId is required');
   if (!client || typeof client.id !== 'string') {
@@ -169,7 +206,12 @@ export function buildInvoice({
   let subtotal = 0;
   const invoiceShifts = [];
   const distinctRegularRates = new Set();
+  const distinctOtRates = new Set();
   const missingClassificationShiftIds = [];
+  const rateSourceByShiftId = {};
+  const dayRateShiftIds = [];
+  let cardOtRateApplied = false;
+  let derivedOtHours = false;
 
   for (const item of shiftLineItems) {
     if (!item || typeof item.shiftId !== 'string') {
@@ -201,7 +243,37 @@ export function buildInvoice({
       missingClassificationShiftIds.push(item.shiftId);
     }
 
-    const regResolution = resolveShiftRegularRate(item, client);
+    const billedCaregivers = Math.max(1, Math.trunc(Number(item.billedCaregivers) || 1));
+    const staffing = billedCaregivers > 1 ? { billed_caregivers: billedCaregivers } : {};
+
+    const dailyBillRate = Number(item.dailyBillRate) || 0;
+    const billedDays = Number(item.billedDays) || 0;
+    if (dailyBillRate > 0 && billedDays > 0) {
+      const hours = reg + ot + dt;
+      rateSourceByShiftId[item.shiftId] = RATE_SOURCE.DAILY_RATE;
+      dayRateShiftIds.push(item.shiftId);
+      invoiceShifts.push({
+        shift_id: item.shiftId,
+        hours_worked: round2(hours),
+        hour_classification: HOUR_CLASS.REGULAR,
+        billable_rate_applied: round2(dailyBillRate),
+        billed_days: round2(billedDays),
+        ...staffing,
+      });
+      regularHoursTotal += hours;
+      subtotal += round2(billedDays * dailyBillRate);
+      continue;
+    }
+
+    const serviceType = item.serviceType ?? null;
+    const regResolution = resolveBillRate({
+      rateCards,
+      client,
+      serviceType,
+      date: billingPeriodStart,
+      shiftRate: item.billable_rate,
+    });
+    rateSourceByShiftId[item.shiftId] = regResolution.source;
     if (regResolution.source === null) {
       exceptions.push({
         code: INVOICE_EXCEPTION_CODE.CLIENT_MISSING_RATE,
@@ -209,11 +281,26 @@ export function buildInvoice({
         shiftId: item.shiftId,
         message:
           `No billable rate available for shift ${item.shiftId}: shift has no `
-          + `billable_rate and client ${client.id} has no default_billable_rate.`,
+          + `billable_rate, no rate card matches, and client ${client.id} has `
+          + 'no default_billable_rate.',
       });
     } else {
       distinctRegularRates.add(regResolution.rate);
     }
+    if (regResolution.missingServiceRate) {
+      const label = SERVICE_TYPE_LABELS[serviceType] ?? serviceType;
+      exceptions.push({
+        code: INVOICE_EXCEPTION_CODE.CLIENT_MISSING_SERVICE_RATE,
+        severity: INVOICE_EXCEPTION_SEVERITY.WARN,
+        shiftId: item.shiftId,
+        message:
+          `Shift ${item.shiftId} is ${label} but client ${client.id} has no `
+          + `${label} rate card; it bills at `
+          + (regResolution.source === RATE_SOURCE.SHIFT
+            ? 'the rate on the shift.'
+            : 'the client default rate.'),
+      });
+    }
 
     // Per-shift dominant classification for the junction row's
     // hour_classification (CHECK constraint requires a single value).
@@ -231,13 +318,28 @@ export function buildInvoice({
     // 1.5 × the client default; the warning below surfaces it.
     let shiftSubtotal = reg * regResolution.rate;
     if (ot + dt > 0) {
-      // Use the resolved OT rate. If we couldn't resolve an OT rate at
-      // all (no client default rate either), fall back to 1.5 × the
-      // shift's regular rate so we still emit a defensible number; the
-      // block exception above will gate approval.
-      const otRate = otResolution.source !== null
-        ? otResolution.rate
-        : round2(regResolution.rate * 1.5);
+      // A shift priced off a rate card uses that card's OT rate, else
+      // 1.5 × the card rate. Otherwise use the client-level OT rate.
+      // If we couldn't resolve an OT rate at all (no client default
+      // rate either), fall back to 1.5 × the shift's regular rate so
+      // we still emit a defensible number; the block exception above
+      // will gate approval.
+      let otRate;
+      if (regResolution.card) {
+        cardOtRateApplied = true;
+        if (regResolution.otRate != null) {
+          otRate = regResolution.otRate;
+        } else {
+          otRate = round2(regResolution.rate * 1.5);
+          derivedOtHours = true;
+        }
+      } else if (otResolution.source !== null) {
+        otRate = otResolution.rate;
+        if (otResolution.source === 'derived') derivedOtHours = true;
+      } else {
+        otRate = round2(regResolution.rate * 1.5);
+      }
+      distinctOtRates.add(otRate);
       shiftSubtotal += (ot + dt) * otRate;
     }
     shiftSubtotal = round2(shiftSubtotal);
@@ -248,6 +350,7 @@ export function buildInvoice({
       hour_classification: dominant,
       billable_rate_applied:
         regResolution.source === null ? null : round2(regResolution.rate),
+      ...staffing,
     });
 
     regularHoursTotal += reg;
@@ -259,17 +362,44 @@ export function buildInvoice({
   // Nothing to bill → caller skips this client/period entirely.
   if (invoiceShifts.length === 0) return null;
 
-  // Client-level OT rate warning (if there's any OT/DT and client has
-  // no explicit OT rate, we derived 1.5 × base — flag for review).
-  if ((overtimeHoursTotal + doubleTimeHoursTotal) > 0
-      && otResolution.source === 'derived') {
+  if (authorizationUsage) {
+    const notCovered = new Set(authorizationUsage.notCoveredShiftIds ?? []);
+    for (const line of invoiceShifts) {
+      const usage = authorizationUsage.byShiftId?.[line.shift_id];
+      if (usage?.overCap) {
+        exceptions.push({
+          code: INVOICE_EXCEPTION_CODE.AUTHORIZATION_EXCEEDED,
+          severity: INVOICE_EXCEPTION_SEVERITY.BLOCK,
+          shiftId: line.shift_id,
+          message:
+            `Shift ${line.shift_id} bills past the unit cap of authorization `
+            + `${usage.authNumber || usage.authorizationId} `
+            + `(${usage.periodStart} → ${usage.periodEnd}).`,
+        });
+      } else if (notCovered.has(line.shift_id)) {
+        exceptions.push({
+          code: INVOICE_EXCEPTION_CODE.AUTHORIZATION_NOT_COVERED,
+          severity: INVOICE_EXCEPTION_SEVERITY.WARN,
+          shiftId: line.shift_id,
+          message:
+            `Shift ${line.shift_id} falls outside every authorization for `
+            + `client ${client.id} (expired or not yet started).`,
+        });
+      }
+    }
+  }
+
+  // OT rate warning (if any OT/DT hours billed at a derived 1.5 × base
+  // because neither the rate card nor the client has an explicit OT
+  // rate — flag for review).
+  if (derivedOtHours) {
     exceptions.push({
       code: INVOICE_EXCEPTION_CODE.CLIENT_MISSING_OT_RATE,
       severity: INVOICE_EXCEPTION_SEVERITY.WARN,
       message:
         `Client ${client.id} has no default_billable_ot_rate; OT hours `
         + 'are billed at 1.5× the regular rate. Set an explicit OT rate '
-        + 'on the client to silence this warning.',
+        + 'on the client or its rate card to silence this warning.',
     });
   }
 
@@ -294,9 +424,16 @@ export function buildInvoice({
   const snapshotRegularRate = distinctRegularRates.size === 1
     ? round2(Array.from(distinctRegularRates)[0])
     : null;
-  const snapshotOtRate = otResolution.source !== null
+  // Once a rate card priced any OT, the client-level OT rate no longer
+  // describes the invoice; snapshot only a single shared OT rate.
+  let snapshotOtRate = otResolution.source !== null
     ? round2(otResolution.rate)
     : null;
+  if (cardOtRateApplied) {
+    snapshotOtRate = distinctOtRates.size === 1
+      ? round2(Array.from(distinctOtRates)[0])
+      : null;
+  }
 
   const subtotalRounded = round2(subtotal);
   const totalRounded = subtotalRounded; // No tax / discount yet.
@@ -328,7 +465,9 @@ export function buildInvoice({
   const meta = {
     distinctRegularRates: Array.from(distinctRegularRates).sort((a, b) => a - b),
     otRateSource: otResolution.source,
+    rateSourceByShiftId,
     missingClassificationShiftIds,
+    dayRateShiftIds,
     shiftCount: invoiceShifts.length,
   };
 
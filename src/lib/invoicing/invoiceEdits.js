@@ -0,0 +1,207 @@
+// Invoice inline edits — pure functions.
+//
+// The biller can correct a single `invoice_shifts` line (hours billed
+// or the rate applied) from the Invoicing tab before approving. The
+// edit only touches the invoice snapshot: `shifts.billable_rate` stays
+// as-is so the edit never leaks into a future week's invoice. Contrast
+// with payroll's edit_shift_rate, which writes through to shifts so a
+// regenerate picks it up — an invoice correction is a billing decision
+// for this one invoice, not a change to the shift.
+//
+// After an edit the invoice header (hour totals, subtotal, total,
+// regular_rate snapshot) is recomputed from ALL of its lines, using the
+// same rules as buildInvoice:
+//
+//   - day-rate lines (live-in, `billed_days` set) bill billed_days ×
+//     billable_rate_applied whatever their classification, and stay
+//     out of the regular_rate snapshot;
+//   - regular lines bill at billable_rate_applied;
+//   - overtime / double_time lines bill at invoice.ot_rate, falling
+//     back to 1.5 × the line's rate when the invoice has no OT rate;
+//   - regular_rate is snapshotted only when every priced line shares
+//     one rate (else null → "Mixed" in the UI).
+//
+// invoice_shifts stores one hour_classification per shift, which is
+// exactly what the cron feeds buildInvoice (one payroll split per
+// shift), so recomputing from the lines reproduces the builder's
+// totals to the cent.
+//
+// Plan reference: docs/INVOICING.md ("Phased rollout" → Phase 2).
+
+import {
+  HOUR_CLASS,
+  INVOICE_EXCEPTION_CODE,
+  INVOICE_EXCEPTION_SEVERITY,
+} from './invoiceBuilder.js';
+import { EDITABLE_INVOICE_STATUSES, INVOICE_STATUS } from './approvalStateMachine.js';
+
+// The only invoice_shifts columns an inline edit may change.
+export const EDITABLE_LINE_FIELDS = Object.freeze(['hours_worked', 'billable_rate_applied']);
+
+// numeric(5,2) on invoice_shifts.hours_worked; a week has 168 hours.
+const MAX_LINE_HOURS = 168;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/** True for a live-in line billed per day rather than per hour. */
+export function isDayRateLine(line) {
+  return line?.billed_days != null && Number(line.billed_days) > 0;
+}
+
+/**
+ * Dollar amount a single invoice_shifts line contributes to the
+ * invoice subtotal. Lines with no rate (client_missing_rate) bill $0.
+ */
+export function computeLineAmount(line, otRate) {
+  const hours = Number(line?.hours_worked) || 0;
+  const rate = line?.billable_rate_applied != null ? Number(line.billable_rate_applied) : 0;
+  if (isDayRateLine(line)) {
+    return round2(Number(line.billed_days) * rate);
+  }
+  if (line?.hour_classification === HOUR_CLASS.REGULAR || !line?.hour_classification) {
+    return round2(hours * rate);
+  }
+  const resolvedOt = otRate != null && Number(otRate) > 0
+    ? Number(otRate)
+    : round2(rate * 1.5);
+  return round2(hours * resolvedOt);
+}
+
+/**
+ * Recompute the invoice header columns from its lines. Returns only
+ * the recomputed columns, ready to spread into an UPDATE.
+ */
+export function recomputeInvoiceTotals({ invoice, lines }) {
+  let regular = 0;
+  let overtime = 0;
+  let doubleTime = 0;
+  let subtotal = 0;
+  const rates = new Set();
+
+  for (const line of lines || []) {
+    if (!line) continue;
+    const hours = Number(line.hours_worked) || 0;
+    if (line.hour_classification === HOUR_CLASS.OVERTIME) overtime += hours;
+    else if (line.hour_classification === HOUR_CLASS.DOUBLE_TIME) doubleTime += hours;
+    else regular += hours;
+    if (line.billable_rate_applied != null && !isDayRateLine(line)) {
+      rates.add(round2(Number(line.billable_rate_applied)));
+    }
+    subtotal += computeLineAmount(line, invoice?.ot_rate);
+  }
+
+  const subtotalRounded = round2(subtotal);
+  return {
+    regular_hours: round2(regular),
+    overtime_hours: round2(overtime),
+    double_time_hours: round2(doubleTime),
+    regular_rate: rates.size === 1 ? Array.from(rates)[0] : null,
+    subtotal: subtotalRounded,
+    total: subtotalRounded, // No tax / discount yet.
+  };
+}
+
+/**
+ * Apply an inline edit to one invoice line and recompute the invoice.
+ *
+ * Args:
+ *   invoice:    { status, ot_rate, block_reason, ... }
+ *   lines:      invoice_shifts rows for the invoice
+ *   exceptions: the invoice's persisted exceptions (from notes)
+ *   shiftId:    the line to edit
+ *   edits:      { hours_worked?, billable_rate_applied? }
+ *
+ * Returns { ok: false, code, message } on a refusal, else
+ *   {
+ *     ok: true,
+ *     line:        the updated invoice_shifts row,
+ *     previous:    { [field]: old value } for the audit event,
+ *     invoice:     columns to UPDATE on invoices (totals, status,
+ *                  block_reason),
+ *     exceptions:  the exception list with any block this edit
+ *                  resolved removed,
+ *   }
+ *
+ * Pricing a line that had no rate clears its client_missing_rate
+ * block; when the last block clears, a `blocked` invoice returns to
+ * `draft` so it can be approved.
+ */
+export function applyLineEdit({ invoice, lines, exceptions = [], shiftId, edits }) {
+  if (!invoice || typeof invoice.status !== 'string') {
+    return { ok: false, code: 'invalid_invoice', message: 'Invoice has no status.' };
+  }
+  if (!EDITABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    return {
+      ok: false,
+      code: 'invalid_from_status',
+      message: `Cannot edit an invoice in status "${invoice.status}". `
+        + "Unapprove first if it's already approved.",
+    };
+  }
+  const current = (lines || []).find((l) => l?.shift_id === shiftId);
+  if (!current) {
+    return { ok: false, code: 'line_not_found', message: 'Shift is not part of this invoice.' };
+  }
+
+  const patch = {};
+  const previous = {};
+  for (const [field, value] of Object.entries(edits || {})) {
+    if (!EDITABLE_LINE_FIELDS.includes(field)) continue;
+    const n = Number(value);
+    if (value === null || value === '' || !Number.isFinite(n) || n < 0) {
+      return {
+        ok: false,
+        code: 'invalid_value',
+        message: `Field "${field}" must be a non-negative number.`,
+      };
+    }
+    if (field === 'hours_worked' && n > MAX_LINE_HOURS) {
+      return {
+        ok: false,
+        code: 'invalid_value',
+        message: `Field "hours_worked" cannot exceed ${MAX_LINE_HOURS}.`,
+      };
+    }
+    patch[field] = round2(n);
+    previous[field] = current[field] ?? null;
+  }
+  if (Object.keys(patch).length === 0) {
+    return { ok: false, code: 'no_edits', message: 'No editable fields supplied.' };
+  }
+
+  const line = { ...current, ...patch };
+  const nextLines = lines.map((l) => (l?.shift_id === shiftId ? line : l));
+
+  // A priced line no longer lacks a rate.
+  const nextExceptions = (exceptions || []).filter((e) => !(
+    e?.code === INVOICE_EXCEPTION_CODE.CLIENT_MISSING_RATE
+    && (e.shiftId ?? e.shift_id) === shiftId
+    && Number(line.billable_rate_applied) > 0
+  ));
+
+  const firstBlock = nextExceptions.find(
+    (e) => e?.severity === INVOICE_EXCEPTION_SEVERITY.BLOCK,
+  );
+  let status = invoice.status;
+  let blockReason = invoice.block_reason ?? null;
+  if (!firstBlock) {
+    blockReason = null;
+    if (status === INVOICE_STATUS.BLOCKED) status = INVOICE_STATUS.DRAFT;
+  } else {
+    blockReason = firstBlock.message || 'Blocked by validation exceptions.';
+  }
+
+  return {
+    ok: true,
+    line,
+    previous,
+    invoice: {
+      ...recomputeInvoiceTotals({ invoice, lines: nextLines }),
+      status,
+      block_reason: blockReason,
+    },
+    exceptions: nextExceptions,
+  };
+}
@@ -0,0 +1,373 @@
+// QuickBooks Online invoice export — pure functions.
+//
+// Shared by the `invoicing-export-run` edge function for both export
+// modes on `invoice_runs.export_mode`:
+//
+//   csv_export — `generateQboInvoiceCsv` emits the file QuickBooks
+//                Online imports via Sales → Invoices → Import invoices.
+//                One row per invoice line; rows sharing an InvoiceNo
+//                become one invoice.
+//   qbo_api    — `buildQboInvoicePayload` / `buildQboCustomerPayload`
+//                shape the JSON bodies the QuickBooks API client
+//                (supabase/functions/_shared/helpers/quickbooksApi.ts)
+//                POSTs. Items and customers are referenced by NAME
+//                here; the API client resolves names to QuickBooks ids
+//                at push time.
+//
+// Both modes render the same lines (`buildInvoiceExportLines`), so an
+// org switching between the CSV and the API never sees two different
+// invoices for the same week.
+//
+// Invoice numbers are `<prefix>-<year>-<sequence>` (e.g. TC-2026-0001).
+// The sequence is reserved atomically per (org, year) by the
+// `next_invoice_numbers` RPC; this module only formats it.
+//
+// Org settings read (all optional, under `organizations.settings.invoicing`):
+//   invoice_number_prefix  text, default 'INV'
+//   payment_terms_days     int,  default 30 (DueDate = invoice date + N)
+//   qbo_items              { regular, overtime, double_time } — names
+//                          of the QuickBooks Products/Services each
+//                          hour class bills as. Overtime falls back to
+//                          regular; double time falls back to overtime.
+//                          Default 'Services' (the item every new
+//                          QuickBooks Online company ships with).
+//
+// Plan reference: docs/INVOICING.md ("Phased rollout" → Phase 3).
+
+import { HOUR_CLASS } from './invoiceBuilder.js';
+import { computeLineAmount, isDayRateLine } from './invoiceEdits.js';
+
+export const QBO_CSV_HEADER = Object.freeze([
+  'InvoiceNo',
+  'Customer',
+  'InvoiceDate',
+  'DueDate',
+  'Terms',
+  'Memo',
+  'Item(Product/Service)',
+  'ItemDescription',
+  'ItemQuantity',
+  'ItemRate',
+  'ItemAmount',
+  'Service Date',
+]);
+
+export const DEFAULT_INVOICE_NUMBER_PREFIX = 'INV';
+export const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+export const DEFAULT_QBO_ITEM = 'Services';
+
+const HOUR_CLASS_LABELS = {
+  [HOUR_CLASS.REGULAR]: null,
+  [HOUR_CLASS.OVERTIME]: 'Overtime',
+  [HOUR_CLASS.DOUBLE_TIME]: 'Double time',
+};
+
+const DATE_ONLY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+/**
+ * Resolve the export-relevant slice of `organizations.settings`.
+ * Never throws — every field has a default so an org can export before
+ * anyone has visited a settings screen.
+ */
+export function resolveExportConfig(orgSettings) {
+  const invoicing = orgSettings?.invoicing || {};
+  const items = invoicing.qbo_items || {};
+
+  const prefix = nonEmptyString(invoicing.invoice_number_prefix)
+    ?.replace(/[^A-Za-z0-9]/g, '')
+    .toUpperCase();
+  const termsRaw = Number(invoicing.payment_terms_days);
+  const paymentTermsDays = Number.isInteger(termsRaw) && termsRaw >= 0 && termsRaw <= 365
+    ? termsRaw
+    : DEFAULT_PAYMENT_TERMS_DAYS;
+
+  const regular = nonEmptyString(items.regular) || DEFAULT_QBO_ITEM;
+  const overtime = nonEmptyString(items.overtime) || regular;
+  const doubleTime = nonEmptyString(items.double_time) || overtime;
+
+  return {
+    numberPrefix: prefix || DEFAULT_INVOICE_NUMBER_PREFIX,
+    paymentTermsDays,
+    items: { regular, overtime, double_time: doubleTime },
+  };
+}
+
+/**
+ * Format one reserved sequence value as an invoice number. The
+ * sequence is zero-padded to four digits; past 9999 it simply grows.
+ */
+export function formatInvoiceNumber({ prefix, year, sequence }) {
+  const seq = Number(sequence);
+  if (!Number.isInteger(seq) || seq < 1) {
+    throw new Error(`qboExport: invoice sequence must be a positive integer (got ${sequence})`);
+  }
+  if (!Number.isInteger(Number(year))) {
+    throw new Error(`qboExport: invoice number year must be an integer (got ${year})`);
+  }
+  return `${prefix || DEFAULT_INVOICE_NUMBER_PREFIX}-${year}-${String(seq).padStart(4, '0')}`;
+}
+
+/**
+ * Number a batch of invoices from the first value of a reserved
+ * block. The caller passes invoices in the order they should be
+ * numbered (the edge function sorts by client name so numbers read
+ * alphabetically in QuickBooks). Returns Map<invoiceId, invoiceNumber>.
+ */
+export function assignInvoiceNumbers({ invoiceIds, prefix, year, firstSequence }) {
+  const out = new Map();
+  (invoiceIds || []).forEach((id, idx) => {
+    out.set(id, formatInvoiceNumber({ prefix, year, sequence: Number(firstSequence) + idx }));
+  });
+  return out;
+}
+
+/** Add whole days to a 'YYYY-MM-DD' date (UTC arithmetic, no tz drift). */
+export function addDays(dateOnly, days) {
+  const m = DATE_ONLY_RE.exec(dateOnly || '');
+  if (!m) throw new Error(`qboExport: expected YYYY-MM-DD, got "${dateOnly}"`);
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + days));
+  return d.toISOString().slice(0, 10);
+}
+
+/** 'YYYY-MM-DD' → 'MM/DD/YYYY', the date format QuickBooks' US import expects. */
+export function formatQboCsvDate(dateOnly) {
+  const m = DATE_ONLY_RE.exec(dateOnly || '');
+  if (!m) return '';
+  return `${m[2]}/${m[3]}/${m[1]}`;
+}
+
+export function formatTerms(paymentTermsDays) {
+  return paymentTermsDays === 0 ? 'Due on receipt' : `Net ${paymentTermsDays}`;
+}
+
+/**
+ * Customer display name as it appears in QuickBooks. Matches the
+ * client name the Invoicing tab shows; the CSV import and the API both
+ * match customers on this string.
+ */
+export function customerDisplayName(client) {
+  const first = client?.first_name?.trim() || '';
+  const last = client?.last_name?.trim() || '';
+  const full = `${first} ${last}`.trim();
+  return full || (client?.id ? `Client ${client.id}` : 'Unknown client');
+}
+
+/**
+ * Render an invoice's `invoice_shifts` rows as export lines.
+ *
+ * Args:
+ *   lines  — invoice_shifts rows (snake_case) plus an optional
+ *            `service_date` ('YYYY-MM-DD', the shift's start date in
+ *            the org timezone; resolved by the caller).
+ *   otRate — the invoice's snapshotted `ot_rate`.
+ *   items  — `resolveExportConfig(...).items`.
+ *
+ * Returns lines sorted by service date, zero-hour lines dropped. Rate
+ * and amount use the same `computeLineAmount` as the invoice header
+ * totals, so the exported lines sum to the approved invoice total.
+ * Live-in day-rate lines export as days × the day rate on the regular
+ * item.
+ */
+export function buildInvoiceExportLines({ lines, otRate, items }) {
+  const itemNames = items || resolveExportConfig(null).items;
+  const out = [];
+  for (const line of lines || []) {
+    const hours = round2(Number(line?.hours_worked) || 0);
+    if (hours <= 0) continue;
+    const dayRate = isDayRateLine(line);
+    const classification = dayRate
+      ? HOUR_CLASS.REGULAR
+      : line.hour_classification || HOUR_CLASS.REGULAR;
+    const amount = computeLineAmount(line, otRate);
+    const rate = effectiveRate(line, otRate);
+    const label = HOUR_CLASS_LABELS[classification] ?? null;
+    const serviceDate = DATE_ONLY_RE.test(line.service_date || '') ? line.service_date : null;
+    const descriptionParts = [dayRate ? 'Live-in care' : 'Home care services'];
+    if (serviceDate) descriptionParts.push(formatQboCsvDate(serviceDate));
+    if (dayRate) {
+      const days = round2(Number(line.billed_days));
+      descriptionParts.push(`(${days} ${days === 1 ? 'day' : 'days'})`);
+    } else if (label) {
+      descriptionParts.push(`(${label})`);
+    }
+    out.push({
+      shiftId: line.shift_id,
+      classification,
+      serviceDate,
+      item: itemNames[classification] || itemNames.regular,
+      description: descriptionParts.join(' '),
+      quantity: dayRate ? round2(Number(line.billed_days)) : hours,
+      rate,
+      amount,
+    });
+  }
+  out.sort((a, b) => {
+    const ad = a.serviceDate || '';
+    const bd = b.serviceDate || '';
+    if (ad !== bd) return ad < bd ? -1 : 1;
+    return String(a.shiftId).localeCompare(String(b.shiftId));
+  });
+  return out;
+}
+
+// Per-unit rate a line bills at: the snapshotted line rate for regular
+// hours and day-rate lines, the invoice OT rate (or 1.5× line rate) for
+// OT / DT hours. Mirrors the branches in computeLineAmount.
+function effectiveRate(line, otRate) {
+  const rate = line?.billable_rate_applied != null ? Number(line.billable_rate_applied) : 0;
+  if (isDayRateLine(line)
+    || line?.hour_classification === HOUR_CLASS.REGULAR
+    || !line?.hour_classification) {
+    return round2(rate);
+  }
+  return otRate != null && Number(otRate) > 0 ? round2(Number(otRate)) : round2(rate * 1.5);
+}
+
+function escapeCsvField(value) {
+  if (value == null) return '';
+  const s = String(value);
+  if (/[",\r\n]/.test(s)) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+function joinRow(cells) {
+  return cells.map(escapeCsvField).join(',');
+}
+
+/**
+ * Generate the QuickBooks Online "Import invoices" CSV for a run.
+ *
+ * @param {Array<object>} entries
+ *   One per invoice: `{ invoice, client, lines, invoiceDate }` where
+ *   `invoice` is the `invoices` row (must already carry its
+ *   `invoice_number`), `client` the clients row, and `lines` the
+ *   invoice_shifts rows (see buildInvoiceExportLines).
+ * @param {object} orgSettings `organizations.settings` jsonb.
+ * @returns {string} CSV with a header row, `\r\n` line endings, and a
+ *   trailing newline (RFC 4180 — same shape as the Paychex export).
+ */
+export function generateQboInvoiceCsv(entries, orgSettings) {
+  if (!Array.isArray(entries)) {
+    throw new Error('qboExport: entries must be an array');
+  }
+  const config = resolveExportConfig(orgSettings);
+  const rows = [QBO_CSV_HEADER];
+
+  for (const { invoice, client, lines, invoiceDate } of entries) {
+    const invoiceNo = nonEmptyString(invoice?.invoice_number);
+    if (!invoiceNo) {
+      throw new Error(
+        `qboExport: invoice ${invoice?.id ?? '<unknown>'} has no invoice_number; `
+          + 'reserve numbers before generating the CSV.',
+      );
+    }
+    const exportLines = buildInvoiceExportLines({
+      lines,
+      otRate: invoice.ot_rate,
+      items: config.items,
+    });
+    if (exportLines.length === 0) {
+      throw new Error(`qboExport: invoice ${invoiceNo} has no billable lines.`);
+    }
+    const dueDate = addDays(invoiceDate, config.paymentTermsDays);
+    const memo = `Billing period ${invoice.billing_period_start} to ${invoice.billing_period_end}`;
+    for (const line of exportLines) {
+      rows.push([
+        invoiceNo,
+        customerDisplayName(client),
+        formatQboCsvDate(invoiceDate),
+        formatQboCsvDate(dueDate),
+        formatTerms(config.paymentTermsDays),
+        memo,
+        line.item,
+        line.description,
+        line.quantity.toFixed(2),
+        line.rate.toFixed(2),
+        line.amount.toFixed(2),
+        formatQboCsvDate(line.serviceDate),
+      ]);
+    }
+  }
+
+  return rows.map(joinRow).join('\r\n') + '\r\n';
+}
+
+/**
+ * QuickBooks Customer create body for a client. Only DisplayName is
+ * required by QuickBooks; the rest is filled when the client row has it.
+ */
+export function buildQboCustomerPayload(client) {
+  const payload = { DisplayName: customerDisplayName(client) };
+  const first = nonEmptyString(client?.first_name);
+  const last = nonEmptyString(client?.last_name);
+  if (first) payload.GivenName = first;
+  if (last) payload.FamilyName = last;
+  const email = nonEmptyString(client?.email);
+  if (email) payload.PrimaryEmailAddr = { Address: email };
+  const phone = nonEmptyString(client?.phone);
+  if (phone) payload.PrimaryPhone = { FreeFormNumber: phone };
+  const line1 = nonEmptyString(client?.address);
+  if (line1) {
+    payload.BillAddr = { Line1: line1 };
+    const city = nonEmptyString(client?.city);
+    const state = nonEmptyString(client?.state);
+    const zip = nonEmptyString(client?.zip);
+    if (city) payload.BillAddr.City = city;
+    if (state) payload.BillAddr.CountrySubDivisionCode = state;
+    if (zip) payload.BillAddr.PostalCode = zip;
+  }
+  return payload;
+}
+
+/**
+ * QuickBooks Invoice create body. `CustomerRef` and each line's
+ * `ItemRef.value` are left for the API client to fill — lines carry
+ * `ItemRef: { name }` so the client can resolve every distinct item
+ * once per push.
+ */
+export function buildQboInvoicePayload({ invoice, lines, invoiceDate, orgSettings }) {
+  const invoiceNo = nonEmptyString(invoice?.invoice_number);
+  if (!invoiceNo) {
+    throw new Error(
+      `qboExport: invoice ${invoice?.id ?? '<unknown>'} has no invoice_number; `
+        + 'reserve numbers before pushing to QuickBooks.',
+    );
+  }
+  const config = resolveExportConfig(orgSettings);
+  const exportLines = buildInvoiceExportLines({
+    lines,
+    otRate: invoice.ot_rate,
+    items: config.items,
+  });
+  if (exportLines.length === 0) {
+    throw new Error(`qboExport: invoice ${invoiceNo} has no billable lines.`);
+  }
+  return {
+    DocNumber: invoiceNo,
+    TxnDate: invoiceDate,
+    DueDate: addDays(invoiceDate, config.paymentTermsDays),
+    PrivateNote:
+      `Billing period ${invoice.billing_period_start} to ${invoice.billing_period_end}`,
+    Line: exportLines.map((line) => ({
+      DetailType: 'SalesItemLineDetail',
+      Amount: line.amount,
+      Description: line.description,
+      SalesItemLineDetail: {
+        ItemRef: { name: line.item },
+        Qty: line.quantity,
+        UnitPrice: line.rate,
+        ...(line.serviceDate ? { ServiceDate: line.serviceDate } : {}),
+      },
+    })),
+  };
+}
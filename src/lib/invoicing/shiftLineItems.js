@@ -0,0 +1,153 @@
+// Shift → invoice line item grouping — pure function.
+//
+// Turns the rows of a `shifts` query (with `timesheet_shifts` and its
+// parent `timesheets` embedded) into the per-client `shiftLineItems`
+// arrays `buildInvoice` consumes. Shared by the Invoicing tab's live
+// preview (src/features/accounting/invoicing/storage.js) and the
+// weekly `invoicing-generate` cron so the two can never disagree on
+// what a shift bills as.
+//
+// Hour classification comes from the payroll split when one exists:
+// the `timesheet_shifts` row whose timesheet belongs to this org and
+// billing period, falling back to any row for this org (a boundary-
+// spanning shift can sit on two weeks' timesheets). Without a payroll
+// split the shift's scheduled duration is billed as regular hours and
+// the line is flagged `hasPayrollClassification: false`.
+//
+// A live-in shift with a `daily_bill_rate` carries `dailyBillRate` and
+// `billedDays` (its scheduled duration in days, src/lib/liveIn.js);
+// buildInvoice bills it per day instead of per hour.
+//
+// A multi-caregiver shift (embedded `shift_slots`,
+// src/lib/scheduling/shiftSlots.js) bills the lead plus every slot
+// marked billable. Each billed caregiver's hours come from their own
+// payroll split — their own timesheet, so their own OT — and are
+// summed into the one line; live-in days are multiplied by the head
+// count. `billedCaregivers` records how many people the line covers.
+//
+// Plan reference: docs/INVOICING.md ("Invoice math").
+
+import { isLiveInShift, liveInDays } from '../liveIn.js';
+import { billedCaregiverIds } from '../scheduling/shiftSlots.js';
+
+const MS_PER_HOUR = 3_600_000;
+
+// `caregiverId` null = any caregiver's split (one person billed). A
+// timesheet without caregiver_id (older embeds) matches anyone.
+function pickPayrollSplitForPeriod(tsShifts, orgId, periodStart, caregiverId = null) {
+  if (!Array.isArray(tsShifts) || tsShifts.length === 0) return null;
+  const candidates = caregiverId == null ? tsShifts : tsShifts.filter(
+    (ts) => ts?.timesheet?.caregiver_id == null || ts.timesheet.caregiver_id === caregiverId,
+  );
+  const match = candidates.find(
+    (ts) => ts?.timesheet?.org_id === orgId
+      && ts?.timesheet?.pay_period_start === periodStart,
+  );
+  if (match) return match;
+  return candidates.find((ts) => ts?.timesheet?.org_id === orgId) ?? null;
+}
+
+/**
+ * Group billable shifts by client into `buildInvoice` line items.
+ *
+ * @param {object} args
+ * @param {Array<object>} args.shifts
+ *   `shifts` rows: id, client_id, assigned_caregiver_id, start_time,
+ *   end_time, billable_rate, service_type, daily_bill_rate, the
+ *   embedded `timesheet_shifts`
+ *   (hours_worked, hour_classification, timesheet { org_id,
+ *   caregiver_id, pay_period_start }) and, optionally, the embedded
+ *   `shift_slots` (caregiver_id, billable). Shifts without a
+ *   client_id, and shifts that resolve to zero hours, are skipped.
+ * @param {string} args.orgId
+ * @param {string} args.periodStart  YYYY-MM-DD (Monday in tz).
+ *
+ * @returns {Map<string, Array<{
+ *   shiftId: string,
+ *   billable_rate: number | null,
+ *   serviceType: string | null,
+ *   dailyBillRate: number | null,   // live-in day rate; null = hourly
+ *   billedDays: number | null,     // × billedCaregivers
+ *   billedCaregivers: number,      // lead + billable slots
+ *   hours: { regular: number, overtime: number, doubleTime: number },
+ *   hasPayrollClassification: boolean,
+ *   shiftStart: string,
+ *   shiftEnd: string,
+ *   assignedCaregiverId: string | null,
+ * }>>}  Insertion order follows the input shift order.
+ */
+export function groupShiftLineItemsByClient({ shifts, orgId, periodStart }) {
+  const byClientId = new Map();
+  if (!Array.isArray(shifts)) return byClientId;
+
+  for (const shift of shifts) {
+    if (!shift || !shift.client_id) continue;
+    const slots = (shift.shift_slots || []).map((sl) => ({ ...sl, shift_id: shift.id }));
+    const billedIds = billedCaregiverIds(shift, slots);
+    const perCaregiver = billedIds.length > 1;
+
+    let regular = 0;
+    let overtime = 0;
+    let doubleTime = 0;
+    let hasPayrollClassification = true;
+
+    for (const caregiverId of billedIds) {
+      const split = pickPayrollSplitForPeriod(
+        shift.timesheet_shifts, orgId, periodStart, perCaregiver ? caregiverId : null,
+      );
+      if (split) {
+        const hrs = Number(split.hours_worked) || 0;
+        switch (split.hour_classification) {
+          case 'overtime':
+            overtime += hrs;
+            break;
+          case 'double_time':
+            doubleTime += hrs;
+            break;
+          case 'regular':
+          default:
+            regular += hrs;
+            break;
+        }
+      } else {
+        hasPayrollClassification = false;
+        const startMs = new Date(shift.start_time).getTime();
+        const endMs = new Date(shift.end_time).getTime();
+        if (Number.isFinite(startMs) && Number.isFinite(endMs) && endMs > startMs) {
+          regular += (endMs - startMs) / MS_PER_HOUR;
+        }
+      }
+    }
+
+    if (regular + overtime + doubleTime <= 0) continue;
+
+    let dailyBillRate = null;
+    let billedDays = null;
+    if (isLiveInShift(shift) && Number(shift.daily_bill_rate) > 0) {
+      const scheduledHours =
+        (new Date(shift.end_time).getTime() - new Date(shift.start_time).getTime()) / MS_PER_HOUR;
+      const days = liveInDays(scheduledHours);
+      if (days > 0) {
+        dailyBillRate = Number(shift.daily_bill_rate);
+        billedDays = days * billedIds.length;
+      }
+    }
+
+    if (!byClientId.has(shift.client_id)) byClientId.set(shift.client_id, []);
+    byClientId.get(shift.client_id).push({
+      shiftId: shift.id,
+      billable_rate: shift.billable_rate != null ? Number(shift.billable_rate) : null,
+      serviceType: shift.service_type ?? null,
+      dailyBillRate,
+      billedDays,
+      billedCaregivers: billedIds.length,
+      hours: { regular, overtime, doubleTime },
+      hasPayrollClassification,
+      shiftStart: shift.start_time,
+      shiftEnd: shift.end_time,
+      assignedCaregiverId: shift.assigned_caregiver_id ?? null,
+    });
+  }
+
+  return byClientId;
+}
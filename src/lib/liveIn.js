@@ -0,0 +1,198 @@
+// ─── Live-in shifts ───
+// Pure rules for live-in / 24-hour care, shared by payroll
+// (buildTimesheet), invoicing (shiftLineItems / buildInvoice) and
+// scheduling (shift form, service plan → shift generation). A shift is
+// live-in when `shifts.service_type = 'live_in'` (migration
+// 20260609000000); the live-in columns come from migration
+// 20260610000000.
+//
+// Pay (29 CFR 785.22, "duty of 24 hours or more"):
+//
+//   - Up to 8 hours of sleep per 24h day may be excluded from hours
+//     worked, provided the caregiver gets an uninterrupted night. When
+//     the sleep period is interrupted so badly the caregiver can't get
+//     5 hours (the office ticks `sleep_interrupted`), the whole sleep
+//     period is hours worked.
+//   - Bona fide meal periods (785.19) are excluded as configured.
+//   - Under 24 hours of duty, sleep time is hours worked (785.21), so
+//     the sleep deduction is dropped — only meals come off.
+//
+//   Deductions are configured per 24h day (`sleep_hours_per_day`,
+//   `meal_hours_per_day`) and scale with the shift's day count. The
+//   excluded hours are handed to the OT engine (`excludedHours`), which
+//   removes them proportionally from the shift's calendar days before
+//   classifying — so a live-in shift is classified on its paid hours,
+//   not its 24h on-site window.
+//
+// Daily rates:
+//
+//   - `daily_pay_rate` pays a flat amount per day. Payroll converts it
+//     to an hourly equivalent over the shift's paid hours (FLSA day-
+//     rate rule, 778.112), so OT still comes out of the weighted
+//     regular rate of pay like any other shift.
+//   - `daily_bill_rate` bills the client per day, all-inclusive: the
+//     invoice line carries `billed_days` × the day rate and no OT
+//     premium. Without a daily bill rate a live-in shift bills its paid
+//     hours at the usual hourly rates.
+
+import { SERVICE_TYPE } from './rateCards.js';
+
+/** Most sleep time excludable per 24h day (29 CFR 785.22(a)). */
+export const LIVE_IN_SLEEP_CAP_HOURS = 8;
+
+/** Minimum duty length before any sleep time can be excluded. */
+export const LIVE_IN_MIN_DUTY_HOURS = 24;
+
+/** Why a configured sleep deduction was not applied. */
+export const SLEEP_NOT_DEDUCTED = Object.freeze({
+  SHORT_DUTY: 'short_duty',
+  INTERRUPTED: 'interrupted',
+});
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toHours(v) {
+  if (v === null || v === undefined || v === '') return 0;
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function toRate(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** True when a snake_case `shifts` row is a live-in shift. */
+export function isLiveInShift(shift) {
+  return shift?.service_type === SERVICE_TYPE.LIVE_IN;
+}
+
+/**
+ * Number of days a live-in duration counts as: 24h blocks rounded to
+ * the nearest whole day, minimum 1. A 23.5h clocked shift is one day;
+ * a 48h shift is two. Zero / negative durations are 0 days.
+ */
+export function liveInDays(durationHours) {
+  const h = Number(durationHours);
+  if (!Number.isFinite(h) || h <= 0) return 0;
+  return Math.max(1, Math.round(h / 24));
+}
+
+/**
+ * Work out the non-work hours to exclude from one live-in shift.
+ *
+ * @param {object} args
+ * @param {number} args.durationHours  Worked window (clock-in → clock-out,
+ *   or scheduled when unclocked).
+ * @param {number|null} [args.sleepHoursPerDay]  shifts.sleep_hours_per_day.
+ * @param {number|null} [args.mealHoursPerDay]   shifts.meal_hours_per_day.
+ * @param {boolean} [args.sleepInterrupted]      shifts.sleep_interrupted.
+ * @returns {{
+ *   days: number,
+ *   sleepHours: number,        // sleep actually excluded
+ *   mealHours: number,         // meal time actually excluded
+ *   excludedHours: number,
+ *   paidHours: number,
+ *   sleepCapped: boolean,      // configured sleep > 8h/day, capped
+ *   sleepNotDeducted: string|null, // SLEEP_NOT_DEDUCTED value
+ * }}
+ */
+export function computeLiveInDeductions({
+  durationHours,
+  sleepHoursPerDay = null,
+  mealHoursPerDay = null,
+  sleepInterrupted = false,
+}) {
+  const duration = Math.max(0, Number(durationHours) || 0);
+  const days = liveInDays(duration);
+  const requestedSleep = toHours(sleepHoursPerDay);
+  const sleepCapped = requestedSleep > LIVE_IN_SLEEP_CAP_HOURS;
+
+  let sleepNotDeducted = null;
+  let sleepHours = Math.min(requestedSleep, LIVE_IN_SLEEP_CAP_HOURS) * days;
+  if (sleepHours > 0 && duration < LIVE_IN_MIN_DUTY_HOURS) {
+    sleepNotDeducted = SLEEP_NOT_DEDUCTED.SHORT_DUTY;
+    sleepHours = 0;
+  } else if (sleepHours > 0 && sleepInterrupted === true) {
+    sleepNotDeducted = SLEEP_NOT_DEDUCTED.INTERRUPTED;
+    sleepHours = 0;
+  }
+  sleepHours = Math.min(sleepHours, duration);
+  const mealHours = Math.min(toHours(mealHoursPerDay) * days, duration - sleepHours);
+  const excludedHours = sleepHours + mealHours;
+
+  return {
+    days,
+    sleepHours: round2(sleepHours),
+    mealHours: round2(mealHours),
+    excludedHours: round2(excludedHours),
+    paidHours: round2(duration - excludedHours),
+    sleepCapped: sleepCapped && sleepNotDeducted === null,
+    sleepNotDeducted,
+  };
+}
+
+/**
+ * Hourly equivalent of a day rate: the flat pay for the shift spread
+ * over its paid hours, to 4 decimals like the regular rate of pay.
+ * Null when there is no day rate or no paid hours.
+ */
+export function dailyRateHourlyEquivalent({ dailyRate, days, paidHours }) {
+  const rate = toRate(dailyRate);
+  const hours = Number(paidHours) || 0;
+  if (rate == null || !(days > 0) || hours <= 0) return null;
+  return Math.round(((rate * days) / hours) * 10000) / 10000;
+}
+
+/**
+ * The live-in columns a service plan copies onto the shifts it
+ * generates. `plan` is a snake_case `service_plans` row; returns {}
+ * for plans that aren't live-in so callers can spread it blindly.
+ */
+export function liveInShiftFieldsFromPlan(plan) {
+  if (plan?.live_in !== true) return {};
+  return {
+    service_type: SERVICE_TYPE.LIVE_IN,
+    sleep_hours_per_day: plan.sleep_hours_per_day ?? null,
+    meal_hours_per_day: plan.meal_hours_per_day ?? null,
+    daily_pay_rate: plan.daily_pay_rate ?? null,
+    daily_bill_rate: plan.daily_bill_rate ?? null,
+  };
+}
+
+/**
+ * Validate live-in settings before they're written to a shift or a
+ * service plan. Mirrors the CHECK constraints of migration
+ * 20260610000000.
+ *
+ * @param {object} fields  snake_case: sleep_hours_per_day,
+ *   meal_hours_per_day, daily_pay_rate, daily_bill_rate.
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateLiveInFields(fields) {
+  const f = fields || {};
+  for (const [field, label] of [
+    ['sleep_hours_per_day', 'Sleep hours per day'],
+    ['meal_hours_per_day', 'Meal hours per day'],
+  ]) {
+    const v = f[field];
+    if (v === null || v === undefined || v === '') continue;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > 24) return `${label} must be between 0 and 24.`;
+  }
+  const sleep = toHours(f.sleep_hours_per_day);
+  const meal = toHours(f.meal_hours_per_day);
+  if (sleep + meal >= 24) return 'Sleep and meal time must leave some paid hours in the day.';
+  for (const [field, label] of [
+    ['daily_pay_rate', 'Daily pay rate'],
+    ['daily_bill_rate', 'Daily bill rate'],
+  ]) {
+    const v = f[field];
+    if (v === null || v === undefined || v === '') continue;
+    if (toRate(v) == null) return `${label} must be greater than 0.`;
+  }
+  return null;
+}
@@ -66,6 +66,40 @@ describe('pendingRowToObservation', () => {
     });
   });
 
+  it('carries the medication columns of a queued eMAR record', () => {
+    const obs = pendingRowToObservation(row('med', {
+      observation_type: 'medication',
+      rating: 'refused',
+      medication_key: 'metformin|500 mg|po (oral)',
+      medication_name: 'Metformin',
+      scheduled_for: '2026-05-30T16:00:00.000Z',
+    }));
+    expect(obs).toMatchObject({
+      medicationKey: 'metformin|500 mg|po (oral)',
+      medicationName: 'Metformin',
+      scheduledFor: '2026-05-30T16:00:00.000Z',
+    });
+  });
+
+  it('carries the vital columns of a queued reading', () => {
+    const obs = pendingRowToObservation(row('bp', {
+      observation_type: 'vital',
+      rating: '182/95',
+      vital_type: 'blood_pressure',
+      vital_value: 182,
+      vital_value_secondary: 95,
+      vital_unit: 'mmHg',
+      vital_flag: 'high',
+    }));
+    expect(obs).toMatchObject({
+      vitalType: 'blood_pressure',
+      vitalValue: 182,
+      vitalValueSecondary: 95,
+      vitalUnit: 'mmHg',
+      vitalFlag: 'high',
+    });
+  });
+
   it('fills loggedAt when absent', () => {
     const obs = pendingRowToObservation(row('x'));
     expect(typeof obs.loggedAt).toBe('string');
@@ -1,5 +1,10 @@
 import { describe, it, expect } from 'vitest';
-import { effectiveShiftStatus, nextClockAction, hasPendingEvent } from '../pendingStatus';
+import {
+  effectiveShiftStatus,
+  nextClockAction,
+  hasPendingEvent,
+  openBreakType,
+} from '../pendingStatus';
 
 describe('effectiveShiftStatus', () => {
   it('returns the DB status when nothing is queued', () => {
@@ -47,3 +52,52 @@ describe('hasPendingEvent', () => {
     expect(hasPendingEvent(pending, 'in')).toBe(false);
   });
 });
+
+describe('openBreakType', () => {
+  const ev = (event_type, occurred_at, break_type = null) => ({ event_type, occurred_at, break_type });
+
+  it('is null with no break events', () => {
+    expect(openBreakType([ev('in', '2026-06-01T16:00:00Z')], [])).toBeNull();
+  });
+
+  it('reports a recorded break that has not ended', () => {
+    const events = [
+      ev('in', '2026-06-01T16:00:00Z'),
+      ev('break_start', '2026-06-01T19:00:00Z', 'meal'),
+    ];
+    expect(openBreakType(events, [])).toBe('meal');
+  });
+
+  it('closes a break on the matching break_end', () => {
+    const events = [
+      ev('break_start', '2026-06-01T19:00:00Z', 'rest'),
+      ev('break_end', '2026-06-01T19:10:00Z', 'rest'),
+    ];
+    expect(openBreakType(events, [])).toBeNull();
+  });
+
+  it('applies queued break taps on top of recorded events', () => {
+    const events = [ev('break_start', '2026-06-01T19:00:00Z', 'meal')];
+    const pending = [{
+      eventType: 'break_end',
+      body: { break_type: 'meal', occurred_at: '2026-06-01T19:31:00Z' },
+      createdAt: 2,
+    }];
+    expect(openBreakType(events, pending)).toBeNull();
+    expect(openBreakType([], [{
+      eventType: 'break_start',
+      body: { break_type: 'rest', occurred_at: '2026-06-01T19:00:00Z' },
+      createdAt: 1,
+    }])).toBe('rest');
+  });
+
+  it('ignores failed queued entries', () => {
+    const pending = [{
+      eventType: 'break_start',
+      status: 'failed',
+      body: { break_type: 'meal', occurred_at: '2026-06-01T19:00:00Z' },
+      createdAt: 1,
+    }];
+    expect(openBreakType([], pending)).toBeNull();
+  });
+});
@@ -1,5 +1,5 @@
 // ─── Clock outbox ───
-// A durable queue of clock-in / clock-out events captured while the
+// A durable queue of clock-in / clock-out (and break) events captured while the
 // caregiver had no connectivity (or the request failed mid-flight). Each
 // entry carries the caregiver's real tap time (`occurred_at` in the body)
 // and GPS, so when it finally syncs the server records the event at the
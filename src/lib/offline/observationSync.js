@@ -1,7 +1,8 @@
 // ─── Observation sync (offline care-plan logging) ───
 // Mirrors the clock outbox for care_plan_observations: task ratings,
-// notes, and refusals logged with no connectivity are queued and synced
-// when the caregiver reconnects. Each observation carries a
+// notes, refusals, medication doses and vitals logged with no
+// connectivity are queued and synced when the caregiver reconnects.
+// Each observation carries a
 // client-generated client_obs_id so a retried sync is idempotent (the
 // unique index turns the second insert into a no-op we drop from the queue).
 //
@@ -72,6 +73,14 @@ export function pendingRowToObservation(row) {
     observationType: row.observation_type,
     rating: row.rating ?? null,
     note: row.note ?? null,
+    medicationKey: row.medication_key ?? null,
+    medicationName: row.medication_name ?? null,
+    scheduledFor: row.scheduled_for ?? null,
+    vitalType: row.vital_type ?? null,
+    vitalValue: row.vital_value ?? null,
+    vitalValueSecondary: row.vital_value_secondary ?? null,
+    vitalUnit: row.vital_unit ?? null,
+    vitalFlag: row.vital_flag ?? null,
     loggedAt: row.logged_at || new Date().toISOString(),
     createdAt: row.created_at || row.logged_at || new Date().toISOString(),
     pending: true,
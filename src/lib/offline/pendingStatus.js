@@ -31,3 +31,33 @@ export function nextClockAction(effectiveStatus) {
 export function hasPendingEvent(pendingEntries = [], eventType) {
   return pendingEntries.some((e) => e.eventType === eventType && e.status !== 'failed');
 }
+
+// Which break (if any) is open right now: 'meal' | 'rest' | null.
+// Replays the shift's recorded clock events plus anything still queued,
+// oldest first, so a break started offline shows "End break" at once.
+// `clockEvents` are server rows ({ event_type, break_type, occurred_at });
+// `pendingEntries` are outbox entries ({ eventType, body, createdAt }).
+export function openBreakType(clockEvents = [], pendingEntries = []) {
+  const merged = [
+    ...clockEvents.map((e) => ({
+      eventType: e.event_type,
+      breakType: e.break_type ?? null,
+      at: new Date(e.occurred_at).getTime() || 0,
+    })),
+    ...pendingEntries
+      .filter((e) => e.status !== 'failed')
+      .map((e) => ({
+        eventType: e.eventType,
+        breakType: e.body?.break_type ?? null,
+        at: new Date(e.body?.occurred_at).getTime() || e.createdAt || 0,
+      })),
+  ].sort((a, b) => a.at - b.at);
+
+  let open = null;
+  for (const e of merged) {
+    if (e.eventType === 'break_start') open = e.breakType;
+    else if (e.eventType === 'break_end' && e.breakType === open) open = null;
+    else if (e.eventType === 'out') open = null;
+  }
+  return open;
+}
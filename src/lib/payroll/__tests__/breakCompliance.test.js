@@ -0,0 +1,218 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateBreakCompliance, requiredRestPeriods } from '../breakCompliance.js';
+
+// Clock-in at 08:00 UTC; offsets below are minutes after clock-in.
+const START_MS = Date.UTC(2026, 5, 1, 8, 0);
+const at = (minutes) => new Date(START_MS + minutes * 60_000).toISOString();
+const hours = (h) => START_MS + h * 3_600_000;
+
+function brk(type, startMin, endMin) {
+  return [
+    { event_type: 'break_start', break_type: type, occurred_at: at(startMin) },
+    { event_type: 'break_end', break_type: type, occurred_at: at(endMin) },
+  ];
+}
+
+function evaluate({ shiftHours, breakEvents = [], mealWaiver } = {}) {
+  return evaluateBreakCompliance({
+    startMs: START_MS,
+    endMs: hours(shiftHours),
+    breakEvents,
+    mealWaiver,
+  });
+}
+
+describe('evaluateBreakCompliance — argument validation', () => {
+  it('throws when the worked window is not resolvable', () => {
+    expect(() => evaluateBreakCompliance({ startMs: null, endMs: hours(8) })).toThrow(/finite/);
+  });
+});
+
+describe('requiredRestPeriods — 4 hours or major fraction thereof', () => {
+  it.each([
+    [3, 0],
+    [3.49, 0],
+    [3.5, 1],
+    [6, 1],
+    [6.01, 2],
+    [10, 2],
+    [10.5, 3],
+    [14, 3],
+    [14.5, 4],
+  ])('%sh worked → %i rest periods', (h, expected) => {
+    expect(requiredRestPeriods(h)).toBe(expected);
+  });
+});
+
+describe('evaluateBreakCompliance — meal periods', () => {
+  it('owes nothing on a 5h shift', () => {
+    const r = evaluate({ shiftHours: 5, breakEvents: brk('rest', 120, 130) });
+    expect(r.mealPeriodsRequired).toBe(0);
+    expect(r.mealViolation).toBeNull();
+    expect(r.mealPremiumHours).toBe(0);
+  });
+
+  it('accepts a 30-minute meal that starts before the end of hour 5', () => {
+    const r = evaluate({
+      shiftHours: 8,
+      breakEvents: [...brk('meal', 240, 270), ...brk('rest', 120, 130), ...brk('rest', 360, 370)],
+    });
+    expect(r.mealPeriodsRequired).toBe(1);
+    expect(r.mealPeriodsTaken).toBe(1);
+    expect(r.mealViolation).toBeNull();
+    expect(r.mealPremiumHours).toBe(0);
+    expect(r.restViolation).toBeNull();
+  });
+
+  it('flags a missing meal on an 8h shift', () => {
+    const r = evaluate({ shiftHours: 8 });
+    expect(r.mealViolation).toBe('missing');
+    expect(r.mealPremiumHours).toBe(1);
+  });
+
+  it('flags a meal that started after the end of hour 5 as late', () => {
+    const r = evaluate({ shiftHours: 8, breakEvents: brk('meal', 310, 340) });
+    expect(r.mealViolation).toBe('late');
+    expect(r.mealPremiumHours).toBe(1);
+  });
+
+  it('flags a meal under 30 minutes as short', () => {
+    const r = evaluate({ shiftHours: 8, breakEvents: brk('meal', 240, 260) });
+    expect(r.mealViolation).toBe('short');
+    expect(r.mealPremiumHours).toBe(1);
+  });
+
+  it('requires a second meal past 10h worked', () => {
+    const oneMeal = evaluate({ shiftHours: 11, breakEvents: brk('meal', 240, 270) });
+    expect(oneMeal.mealPeriodsRequired).toBe(2);
+    expect(oneMeal.mealPeriodsTaken).toBe(1);
+    expect(oneMeal.mealViolation).toBe('missing');
+
+    const twoMeals = evaluate({
+      shiftHours: 11,
+      breakEvents: [...brk('meal', 240, 270), ...brk('meal', 540, 570)],
+    });
+    expect(twoMeals.mealPeriodsTaken).toBe(2);
+    expect(twoMeals.mealViolation).toBeNull();
+  });
+
+  it('owes one premium hour however many meal rules are broken', () => {
+    const r = evaluate({ shiftHours: 12 });
+    expect(r.mealPeriodsRequired).toBe(2);
+    expect(r.mealPeriodsTaken).toBe(0);
+    expect(r.mealPremiumHours).toBe(1);
+  });
+});
+
+describe('evaluateBreakCompliance — meal waivers', () => {
+  it('waives the first meal on a shift of 6h or less', () => {
+    const r = evaluate({ shiftHours: 6, mealWaiver: true });
+    expect(r.mealPeriodsRequired).toBe(0);
+    expect(r.mealViolation).toBeNull();
+  });
+
+  it('does not waive the first meal past 6h', () => {
+    const r = evaluate({ shiftHours: 6.5, mealWaiver: true });
+    expect(r.mealPeriodsRequired).toBe(1);
+    expect(r.mealViolation).toBe('missing');
+  });
+
+  it('waives the second meal up to 12h when the first was taken', () => {
+    const r = evaluate({ shiftHours: 12, mealWaiver: true, breakEvents: brk('meal', 240, 270) });
+    expect(r.mealPeriodsRequired).toBe(1);
+    expect(r.mealViolation).toBeNull();
+  });
+
+  it('does not waive the second meal when the first was missed', () => {
+    const r = evaluate({ shiftHours: 11, mealWaiver: true });
+    expect(r.mealPeriodsRequired).toBe(2);
+    expect(r.mealViolation).toBe('missing');
+  });
+
+  it('ignores the waiver without a signed waiver on file', () => {
+    const r = evaluate({ shiftHours: 6 });
+    expect(r.mealViolation).toBe('missing');
+  });
+});
+
+describe('evaluateBreakCompliance — rest periods', () => {
+  it('owes no rest under 3.5h', () => {
+    const r = evaluate({ shiftHours: 3 });
+    expect(r.restPeriodsRequired).toBe(0);
+    expect(r.restViolation).toBeNull();
+  });
+
+  it('flags missing rests', () => {
+    const r = evaluate({ shiftHours: 8, breakEvents: brk('meal', 240, 270) });
+    expect(r.restPeriodsRequired).toBe(2);
+    expect(r.restPeriodsTaken).toBe(0);
+    expect(r.restViolation).toBe('missing');
+    expect(r.restPremiumHours).toBe(1);
+  });
+
+  it('does not count a rest under 10 minutes', () => {
+    const r = evaluate({
+      shiftHours: 4,
+      breakEvents: brk('rest', 120, 125),
+    });
+    expect(r.restPeriodsTaken).toBe(0);
+    expect(r.restViolation).toBe('short');
+    expect(r.restPremiumHours).toBe(1);
+  });
+
+  it('is compliant with one 10-minute rest per 4 hours', () => {
+    const r = evaluate({
+      shiftHours: 8,
+      breakEvents: [...brk('rest', 100, 110), ...brk('meal', 240, 270), ...brk('rest', 380, 390)],
+    });
+    expect(r.restPeriodsTaken).toBe(2);
+    expect(r.restViolation).toBeNull();
+    expect(r.mealPremiumHours + r.restPremiumHours).toBe(0);
+  });
+});
+
+describe('evaluateBreakCompliance — pairing', () => {
+  it('counts a break_start with no break_end as unpaired and not taken', () => {
+    const r = evaluate({
+      shiftHours: 8,
+      breakEvents: [{ event_type: 'break_start', break_type: 'meal', occurred_at: at(240) }],
+    });
+    expect(r.unpairedBreaks).toBe(1);
+    expect(r.mealViolation).toBe('missing');
+  });
+
+  it('counts an orphan break_end as unpaired', () => {
+    const r = evaluate({
+      shiftHours: 4,
+      breakEvents: [{ event_type: 'break_end', break_type: 'rest', occurred_at: at(130) }],
+    });
+    expect(r.unpairedBreaks).toBe(1);
+  });
+
+  it('pairs out-of-order input by occurred_at', () => {
+    const [start, end] = brk('meal', 240, 270);
+    const r = evaluate({ shiftHours: 6, breakEvents: [end, start] });
+    expect(r.unpairedBreaks).toBe(0);
+    expect(r.mealViolation).toBeNull();
+  });
+
+  it('ignores clock-in / clock-out rows in the event list', () => {
+    const r = evaluate({
+      shiftHours: 6,
+      breakEvents: [
+        { event_type: 'in', occurred_at: at(0) },
+        ...brk('meal', 240, 270),
+        ...brk('rest', 120, 130),
+        { event_type: 'out', occurred_at: at(360) },
+      ],
+    });
+    expect(r.unpairedBreaks).toBe(0);
+    expect(r.mealPremiumHours + r.restPremiumHours).toBe(0);
+  });
+
+  it('clips a meal that ran past clock-out to the worked window', () => {
+    // 50 minutes on paper, only 25 inside the shift.
+    const r = evaluate({ shiftHours: 5.25, breakEvents: brk('meal', 290, 340) });
+    expect(r.mealViolation).toBe('short');
+  });
+});
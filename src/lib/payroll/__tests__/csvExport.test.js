@@ -257,6 +257,63 @@ describe('generatePaychexCsv — mileage handling', () => {
 
 // ─── Multiple caregivers ───────────────────────────────────────────
 
+// ─── Meal / rest premiums ──────────────────────────────────────────
+
+describe('generatePaychexCsv — meal / rest premiums', () => {
+  const PREMIUM_SETTINGS = {
+    ...TC_ORG_SETTINGS,
+    payroll: {
+      ...TC_ORG_SETTINGS.payroll,
+      pay_components: {
+        ...TC_ORG_SETTINGS.payroll.pay_components,
+        meal_premium: 'Meal Premium',
+        rest_premium: 'Rest Premium',
+      },
+    },
+  };
+
+  it('emits premium rows after OT and before mileage at the base rate', () => {
+    const ts = {
+      ...CLEAN_TIMESHEET,
+      regular_hours: 40,
+      overtime_hours: 2,
+      meal_premium_hours: 1,
+      rest_premium_hours: 2,
+      mileage_total: 10,
+    };
+    const lines = generatePaychexCsv([ts], PREMIUM_SETTINGS).trim().split('\r\n');
+    expect(lines.slice(1)).toEqual([
+      '70125496,54,Hourly,40.00,20,',
+      '70125496,54,Overtime,2.00,20,',
+      '70125496,54,Meal Premium,1.00,20,',
+      '70125496,54,Rest Premium,2.00,20,',
+      '70125496,54,Mileage,10.00,0.725,',
+    ]);
+  });
+
+  it('uses the regular rate of pay and never pre-multiplies', () => {
+    const settings = {
+      ...PREMIUM_SETTINGS,
+      payroll: { ...PREMIUM_SETTINGS.payroll, paychex_applies_premium_factor: false },
+    };
+    const ts = {
+      ...CLEAN_TIMESHEET,
+      regular_rate_of_pay: 22.5,
+      meal_premium_hours: 1,
+    };
+    const csv = generatePaychexCsv([ts], settings);
+    expect(csv).toContain('Meal Premium,1.00,22.5,');
+  });
+
+  it('skips a premium row defensively when its pay component is missing', () => {
+    const ts = { ...CLEAN_TIMESHEET, meal_premium_hours: 1, rest_premium_hours: 1 };
+    const csv = generatePaychexCsv([ts], TC_ORG_SETTINGS);
+    const lines = csv.trim().split('\r\n');
+    expect(lines.length).toBe(2);
+    expect(csv).not.toContain('Premium');
+  });
+});
+
 describe('generatePaychexCsv — multiple caregivers', () => {
   it('emits all rows in input order, distinct Worker IDs preserved', () => {
     const tsA = { ...CLEAN_TIMESHEET, paychex_employee_id: '54', regular_hours: 40 };
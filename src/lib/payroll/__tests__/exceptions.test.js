@@ -488,8 +488,239 @@ describe('detectExceptions — caregiver_missing_rate (Phase 4 PR #2)', () => {
   });
 });
 
+describe('detectExceptions — caregiver_missing_service_rate', () => {
+  it('warns per shift whose service type has no pay rate card', () => {
+    const draft = {
+      ...CLEAN_DRAFT,
+      meta: {
+        ...CLEAN_DRAFT.meta,
+        perShift: [
+          {
+            shift_id: 's_live_in',
+            hourly_rate: 25,
+            totalHours: 8,
+            service_type: 'live_in',
+            missing_service_rate: true,
+          },
+          { shift_id: 's_ok', hourly_rate: 25, totalHours: 8, service_type: 'companion' },
+        ],
+      },
+    };
+    const result = detectExceptions({ draft, caregiver: SYNCED_CAREGIVER });
+    const flagged = result.filter((e) => e.code === 'caregiver_missing_service_rate');
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0].severity).toBe('warn');
+    expect(flagged[0].shift_id).toBe('s_live_in');
+    expect(flagged[0].message).toMatch(/Live-in/);
+  });
+});
+
 // ─── Helpers ────────────────────────────────────────────────────────
 
+describe('detectExceptions — mixed_ot_jurisdictions', () => {
+  it('warns when the builder fell back because work locations disagree', () => {
+    const draft = {
+      ...CLEAN_DRAFT,
+      meta: {
+        ...CLEAN_DRAFT.meta,
+        jurisdiction: 'CA',
+        jurisdictionSource: 'org_default',
+        workJurisdictions: ['CA', 'NV'],
+        mixedWorkJurisdictions: true,
+      },
+    };
+    const result = detectExceptions({ draft, caregiver: SYNCED_CAREGIVER });
+    const ex = result.find((e) => e.code === 'mixed_ot_jurisdictions');
+    expect(ex).toBeDefined();
+    expect(ex.severity).toBe('warn');
+    expect(ex.message).toMatch(/CA, NV/);
+    expect(ex.message).toMatch(/org default \(CA\)/);
+    expect(hasBlockingExceptions(result)).toBe(false);
+  });
+
+  it('does not warn for a single resolved jurisdiction', () => {
+    const draft = {
+      ...CLEAN_DRAFT,
+      meta: {
+        ...CLEAN_DRAFT.meta,
+        jurisdiction: 'NV',
+        jurisdictionSource: 'work_location',
+        workJurisdictions: ['NV'],
+        mixedWorkJurisdictions: false,
+      },
+    };
+    expect(detectExceptions({ draft, caregiver: SYNCED_CAREGIVER })).toEqual([]);
+  });
+});
+
+describe('detectExceptions — meal/rest premiums', () => {
+  const TC_SETTINGS_WITH_PREMIUMS = {
+    payroll: {
+      pay_components: {
+        ...TC_SETTINGS_WITH_DT.payroll.pay_components,
+        meal_premium: 'Meal Premium',
+        rest_premium: 'Rest Premium',
+      },
+    },
+  };
+
+  function draftWith({ breakCompliance, mealHours = 0, restHours = 0 }) {
+    return {
+      ...CLEAN_DRAFT,
+      timesheet: {
+        ...CLEAN_DRAFT.timesheet,
+        meal_premium_hours: mealHours,
+        rest_premium_hours: restHours,
+      },
+      meta: {
+        ...CLEAN_DRAFT.meta,
+        perShift: [{ ...CLEAN_DRAFT.meta.perShift[0], breakCompliance }],
+      },
+    };
+  }
+
+  const COMPLIANT = {
+    mealPeriodsRequired: 1,
+    mealPeriodsTaken: 1,
+    mealViolation: null,
+    restPeriodsRequired: 2,
+    restPeriodsTaken: 2,
+    restViolation: null,
+    unpairedBreaks: 0,
+    mealPremiumHours: 0,
+    restPremiumHours: 0,
+  };
+
+  it('emits nothing for a compliant shift', () => {
+    const draft = draftWith({ breakCompliance: COMPLIANT });
+    expect(
+      detectExceptions({ draft, caregiver: SYNCED_CAREGIVER, orgSettings: TC_SETTINGS_WITH_PREMIUMS }),
+    ).toEqual([]);
+  });
+
+  it('warns on meal and rest violations with the premium note', () => {
+    const draft = draftWith({
+      breakCompliance: {
+        ...COMPLIANT,
+        mealPeriodsTaken: 0,
+        mealViolation: 'late',
+        restPeriodsTaken: 1,
+        restViolation: 'missing',
+        mealPremiumHours: 1,
+        restPremiumHours: 1,
+      },
+      mealHours: 1,
+      restHours: 1,
+    });
+    const result = detectExceptions({
+      draft,
+      caregiver: SYNCED_CAREGIVER,
+      orgSettings: TC_SETTINGS_WITH_PREMIUMS,
+    });
+    const meal = result.find((e) => e.code === 'meal_period_violation');
+    const rest = result.find((e) => e.code === 'rest_period_violation');
+    expect(meal).toMatchObject({ severity: 'warn', shift_id: 's1' });
+    expect(meal.message).toMatch(/after the end of the 5th/);
+    expect(meal.message).toMatch(/1h meal premium was added/);
+    expect(rest).toMatchObject({ severity: 'warn', shift_id: 's1' });
+    expect(rest.message).toMatch(/1 of 2 required 10-minute rest/);
+    expect(hasBlockingExceptions(result)).toBe(false);
+  });
+
+  it('notes when the workday premium was already paid on another shift', () => {
+    const draft = draftWith({
+      breakCompliance: { ...COMPLIANT, mealPeriodsTaken: 0, mealViolation: 'missing' },
+    });
+    const result = detectExceptions({ draft, caregiver: SYNCED_CAREGIVER });
+    const meal = result.find((e) => e.code === 'meal_period_violation');
+    expect(meal.message).toMatch(/already on another shift/);
+  });
+
+  it('warns on unpaired break taps', () => {
+    const draft = draftWith({ breakCompliance: { ...COMPLIANT, unpairedBreaks: 1 } });
+    const result = detectExceptions({ draft, caregiver: SYNCED_CAREGIVER });
+    expect(result).toEqual([
+      expect.objectContaining({ code: 'unpaired_break_event', severity: 'warn', shift_id: 's1' }),
+    ]);
+  });
+
+  it('blocks premium hours with no Paychex Earning configured', () => {
+    const draft = draftWith({ breakCompliance: COMPLIANT, mealHours: 1, restHours: 1 });
+    const result = detectExceptions({
+      draft,
+      caregiver: SYNCED_CAREGIVER,
+      orgSettings: TC_SETTINGS_WITH_DT,
+    });
+    const ex = result.find((e) => e.code === 'break_premium_pay_component_missing');
+    expect(ex).toBeDefined();
+    expect(ex.severity).toBe('block');
+    expect(ex.message).toMatch(/pay_components\.meal_premium/);
+    expect(ex.message).toMatch(/pay_components\.rest_premium/);
+  });
+
+  it('does not block when the premium Earnings are configured', () => {
+    const draft = draftWith({ breakCompliance: COMPLIANT, restHours: 1 });
+    const result = detectExceptions({
+      draft,
+      caregiver: SYNCED_CAREGIVER,
+      orgSettings: TC_SETTINGS_WITH_PREMIUMS,
+    });
+    expect(result.find((e) => e.code === 'break_premium_pay_component_missing')).toBeUndefined();
+  });
+});
+
+describe('detectExceptions — live-in shifts', () => {
+  const LIVE_IN = {
+    days: 1,
+    sleepHours: 8,
+    mealHours: 3,
+    excludedHours: 11,
+    paidHours: 13,
+    sleepCapped: false,
+    sleepNotDeducted: null,
+    dailyPayRate: null,
+  };
+
+  function draftWith(liveIn, totalHours = 13) {
+    return {
+      ...CLEAN_DRAFT,
+      meta: {
+        ...CLEAN_DRAFT.meta,
+        perShift: [{ ...CLEAN_DRAFT.meta.perShift[0], totalHours, liveIn }],
+      },
+    };
+  }
+
+  it('does not flag a long live-in shift as shift_too_long', () => {
+    const result = detectExceptions({ draft: draftWith(LIVE_IN, 21), caregiver: SYNCED_CAREGIVER });
+    expect(result).toEqual([]);
+  });
+
+  it('warns when sleep was not deducted because the night was interrupted', () => {
+    const draft = draftWith({ ...LIVE_IN, sleepHours: 0, sleepNotDeducted: 'interrupted' });
+    const result = detectExceptions({ draft, caregiver: SYNCED_CAREGIVER });
+    expect(result).toEqual([
+      expect.objectContaining({ code: 'live_in_sleep_not_deducted', severity: 'warn', shift_id: 's1' }),
+    ]);
+    expect(result[0].message).toMatch(/interrupted/i);
+  });
+
+  it('warns when sleep was not deducted on a shift under 24h', () => {
+    const draft = draftWith({ ...LIVE_IN, sleepHours: 0, sleepNotDeducted: 'short_duty' });
+    const result = detectExceptions({ draft, caregiver: SYNCED_CAREGIVER });
+    const ex = result.find((e) => e.code === 'live_in_sleep_not_deducted');
+    expect(ex.message).toMatch(/24/);
+  });
+
+  it('warns when configured sleep was capped at 8h', () => {
+    const draft = draftWith({ ...LIVE_IN, sleepCapped: true });
+    const result = detectExceptions({ draft, caregiver: SYNCED_CAREGIVER });
+    expect(result).toEqual([
+      expect.objectContaining({ code: 'live_in_sleep_capped', severity: 'warn', shift_id: 's1' }),
+    ]);
+  });
+});
+
 describe('hasBlockingExceptions', () => {
   it('returns true when at least one block-severity entry exists', () => {
     expect(
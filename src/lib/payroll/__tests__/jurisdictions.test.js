@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getOtJurisdiction,
+  listOtJurisdictions,
+  resolveOtJurisdiction,
+  stateToOtJurisdiction,
+} from '../jurisdictions/index.js';
+import { SUPPORTED_OT_JURISDICTIONS } from '../constants.js';
+
+describe('OT jurisdiction registry', () => {
+  it('has a module for every SUPPORTED_OT_JURISDICTIONS code', () => {
+    for (const code of SUPPORTED_OT_JURISDICTIONS) {
+      const rules = getOtJurisdiction(code);
+      expect(rules).not.toBeNull();
+      expect(rules.code).toBe(code);
+      expect(typeof rules.classifyDay).toBe('function');
+      expect(rules.weeklyRegularHours).toBe(40);
+    }
+  });
+
+  it('returns null for unknown / non-string codes', () => {
+    expect(getOtJurisdiction('NY')).toBeNull();
+    expect(getOtJurisdiction('')).toBeNull();
+    expect(getOtJurisdiction(null)).toBeNull();
+    expect(getOtJurisdiction('toString')).toBeNull();
+  });
+
+  it('only CA carries the 7th-consecutive-day rule', () => {
+    const withRule = SUPPORTED_OT_JURISDICTIONS.filter(
+      (code) => getOtJurisdiction(code).hasSeventhDayRule,
+    );
+    expect(withRule).toEqual(['CA']);
+  });
+
+  it('lists code + label in SUPPORTED_OT_JURISDICTIONS order', () => {
+    const list = listOtJurisdictions();
+    expect(list.map((j) => j.code)).toEqual([...SUPPORTED_OT_JURISDICTIONS]);
+    expect(list.find((j) => j.code === 'FED').label).toBe('Federal (FLSA)');
+  });
+});
+
+describe('classifyDay per module', () => {
+  const day = (code, hours, ctx) => getOtJurisdiction(code).classifyDay(hours, ctx);
+
+  it('CA: 8 / 12 thresholds', () => {
+    expect(day('CA', 13)).toEqual({ regular: 8, overtime: 4, doubleTime: 1 });
+  });
+
+  it('CA: 7th consecutive day is 8 OT then DT', () => {
+    expect(day('CA', 10, { isSeventhConsecutiveDay: true })).toEqual({
+      regular: 0, overtime: 8, doubleTime: 2,
+    });
+  });
+
+  it('FED: no daily rule', () => {
+    expect(day('FED', 13)).toEqual({ regular: 13, overtime: 0, doubleTime: 0 });
+  });
+
+  it('AK / NV: daily 8, no DT', () => {
+    expect(day('AK', 13)).toEqual({ regular: 8, overtime: 5, doubleTime: 0 });
+    expect(day('NV', 13)).toEqual({ regular: 8, overtime: 5, doubleTime: 0 });
+  });
+
+  it('CO: daily 12, no DT', () => {
+    expect(day('CO', 13)).toEqual({ regular: 12, overtime: 1, doubleTime: 0 });
+  });
+
+  it('zero / negative hours classify to all zeros', () => {
+    for (const code of SUPPORTED_OT_JURISDICTIONS) {
+      expect(day(code, 0)).toEqual({ regular: 0, overtime: 0, doubleTime: 0 });
+      expect(day(code, -2)).toEqual({ regular: 0, overtime: 0, doubleTime: 0 });
+    }
+  });
+});
+
+describe('stateToOtJurisdiction', () => {
+  it('maps 2-letter codes case-insensitively', () => {
+    expect(stateToOtJurisdiction('CA')).toBe('CA');
+    expect(stateToOtJurisdiction(' nv ')).toBe('NV');
+  });
+
+  it('maps full state names for states with a module', () => {
+    expect(stateToOtJurisdiction('California')).toBe('CA');
+    expect(stateToOtJurisdiction('alaska')).toBe('AK');
+    expect(stateToOtJurisdiction('Colorado')).toBe('CO');
+  });
+
+  it('falls back to FED for states without a module', () => {
+    expect(stateToOtJurisdiction('AZ')).toBe('FED');
+    expect(stateToOtJurisdiction('Arizona')).toBe('FED');
+  });
+
+  it('does not treat the literal "FED" as a state', () => {
+    expect(stateToOtJurisdiction('FED')).toBe('FED');
+  });
+
+  it('returns null for blank / missing', () => {
+    expect(stateToOtJurisdiction('')).toBeNull();
+    expect(stateToOtJurisdiction('   ')).toBeNull();
+    expect(stateToOtJurisdiction(null)).toBeNull();
+    expect(stateToOtJurisdiction(undefined)).toBeNull();
+  });
+});
+
+describe('resolveOtJurisdiction', () => {
+  it('caregiver override wins over work location and org default', () => {
+    expect(
+      resolveOtJurisdiction({
+        caregiver: { ot_jurisdiction: 'FED' },
+        workStates: ['NV'],
+        orgDefault: 'CA',
+      }),
+    ).toEqual({
+      jurisdiction: 'FED', source: 'caregiver', workJurisdictions: ['NV'], mixed: false,
+    });
+  });
+
+  it('ignores an unsupported caregiver override', () => {
+    const r = resolveOtJurisdiction({
+      caregiver: { ot_jurisdiction: 'NY' },
+      workStates: ['NV'],
+      orgDefault: 'CA',
+    });
+    expect(r.jurisdiction).toBe('NV');
+    expect(r.source).toBe('work_location');
+  });
+
+  it('uses the work location when every client agrees', () => {
+    const r = resolveOtJurisdiction({
+      workStates: ['Nevada', 'NV', '', null],
+      orgDefault: 'CA',
+    });
+    expect(r).toEqual({
+      jurisdiction: 'NV', source: 'work_location', workJurisdictions: ['NV'], mixed: false,
+    });
+  });
+
+  it('falls back to the org default and flags mixed locations', () => {
+    const r = resolveOtJurisdiction({ workStates: ['NV', 'CA'], orgDefault: 'CA' });
+    expect(r).toEqual({
+      jurisdiction: 'CA', source: 'org_default', workJurisdictions: ['CA', 'NV'], mixed: true,
+    });
+  });
+
+  it('uses the org default when no work location is known', () => {
+    expect(resolveOtJurisdiction({ workStates: [], orgDefault: 'CO' })).toEqual({
+      jurisdiction: 'CO', source: 'org_default', workJurisdictions: [], mixed: false,
+    });
+  });
+
+  it('defaults to CA with no arguments', () => {
+    expect(resolveOtJurisdiction().jurisdiction).toBe('CA');
+  });
+
+  it('passes an unsupported org default through so classifyHours fails loudly', () => {
+    expect(resolveOtJurisdiction({ orgDefault: 'NY' }).jurisdiction).toBe('NY');
+  });
+});
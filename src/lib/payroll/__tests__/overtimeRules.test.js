@@ -561,6 +561,43 @@ describe('classifyHours — shifts crossing midnight', () => {
   });
 });
 
+describe('classifyHours — excluded non-work hours', () => {
+  it('classifies a live-in shift on its paid hours only', () => {
+    // Mon 00:00 → Tue 00:00 with 11h of sleep + meals excluded = 13h.
+    const result = classifyHours({
+      shifts: [{ ...shift('li', pt('2026-04-27', 0), pt('2026-04-28', 0)), excludedHours: 11 }],
+      weekStart: WEEK_START,
+      jurisdiction: 'CA',
+      timezone: TZ,
+    });
+    expect(result).toMatchObject({ regular: 8, overtime: 4, doubleTime: 1 });
+    expect(result.byShift[0].totalHours).toBe(13);
+  });
+
+  it('removes excluded hours proportionally across calendar days', () => {
+    // Mon 12:00 → Tue 12:00, 12h each side; 8h excluded → 8h per day.
+    const result = classifyHours({
+      shifts: [{ ...shift('li', pt('2026-04-27', 12), pt('2026-04-28', 12)), excludedHours: 8 }],
+      weekStart: WEEK_START,
+      jurisdiction: 'CA',
+      timezone: TZ,
+    });
+    expect(result.byDay[0].totalHours).toBe(8);
+    expect(result.byDay[1].totalHours).toBe(8);
+    expect(result).toMatchObject({ regular: 16, overtime: 0, doubleTime: 0 });
+  });
+
+  it('never goes below zero hours', () => {
+    const result = classifyHours({
+      shifts: [{ ...shift('li', pt('2026-04-27', 9), pt('2026-04-27', 13)), excludedHours: 6 }],
+      weekStart: WEEK_START,
+      jurisdiction: 'CA',
+      timezone: TZ,
+    });
+    expect(result).toMatchObject({ regular: 0, overtime: 0, doubleTime: 0 });
+  });
+});
+
 describe('classifyHours — DST transitions', () => {
   it('handles spring-forward correctly (lost hour shrinks shift by 1h)', () => {
     // 2026-03-08 is the spring-forward Sunday in PT (clocks jump 2am→3am).
@@ -751,6 +788,144 @@ describe('classifyHours — defaults', () => {
 // 0.5 × ROP; DT premium is 1.0 × ROP. Each test below cites the
 // arithmetic so a future maintainer can sanity-check by hand.
 
+// ─── Non-CA jurisdictions ──────────────────────────────────────────
+//
+// Golden weeks shared across the jurisdiction blocks below so the
+// same input visibly produces each state's answer:
+//   - LONG_DAY: one 14h Monday
+//   - FIVE_TENS: Mon–Fri 10h shifts (50h)
+//   - SEVEN_DAYS: Mon–Sun 8h shifts (56h)
+
+function longDay() {
+  return [shift('mon', pt('2026-04-27', 6), pt('2026-04-27', 20))];
+}
+
+function fiveTens() {
+  const shifts = [];
+  for (let i = 0; i < 5; i += 1) {
+    const day = String(27 + i).padStart(2, '0');
+    shifts.push(shift(`s${i}`, pt(`2026-04-${day}`, 8), pt(`2026-04-${day}`, 18)));
+  }
+  return shifts;
+}
+
+function sevenDays() {
+  const dates = [
+    '2026-04-27', '2026-04-28', '2026-04-29', '2026-04-30',
+    '2026-05-01', '2026-05-02', '2026-05-03',
+  ];
+  return dates.map((d, i) => shift(`d${i}`, pt(d, 9), pt(d, 17)));
+}
+
+function classify(jurisdiction, shifts) {
+  return classifyHours({ shifts, weekStart: WEEK_START, jurisdiction, timezone: TZ });
+}
+
+describe('classifyHours — CA golden weeks (reference for other jurisdictions)', () => {
+  it('LONG_DAY → 8 reg + 4 OT + 2 DT', () => {
+    expect(classify('CA', longDay())).toMatchObject({ regular: 8, overtime: 4, doubleTime: 2 });
+  });
+
+  it('FIVE_TENS → 40 reg + 10 OT', () => {
+    expect(classify('CA', fiveTens())).toMatchObject({ regular: 40, overtime: 10, doubleTime: 0 });
+  });
+
+  it('SEVEN_DAYS → 7th day all OT, weekly cap on Saturday', () => {
+    const result = classify('CA', sevenDays());
+    expect(result).toMatchObject({ regular: 40, overtime: 16, doubleTime: 0 });
+    expect(result.byDay[6].isSeventhConsecutiveDay).toBe(true);
+  });
+});
+
+describe('classifyHours — FED (FLSA weekly 40 only)', () => {
+  it('LONG_DAY → 14 reg (no daily rule)', () => {
+    expect(classify('FED', longDay())).toMatchObject({ regular: 14, overtime: 0, doubleTime: 0 });
+  });
+
+  it('FIVE_TENS → 40 reg + 10 OT, excess on Friday', () => {
+    const result = classify('FED', fiveTens());
+    expect(result).toMatchObject({ regular: 40, overtime: 10, doubleTime: 0 });
+    expect(result.byShift.find((s) => s.shiftId === 's4')).toEqual({
+      shiftId: 's4', regular: 0, overtime: 10, doubleTime: 0, totalHours: 10,
+    });
+  });
+
+  it('SEVEN_DAYS → 40 reg + 16 OT, no 7th-day rule', () => {
+    const result = classify('FED', sevenDays());
+    expect(result).toMatchObject({ regular: 40, overtime: 16, doubleTime: 0 });
+    expect(result.byDay.every((d) => d.isSeventhConsecutiveDay === false)).toBe(true);
+    // Sunday is plain OT via the weekly cap, never DT.
+    expect(result.byDay[6]).toMatchObject({ regular: 0, overtime: 8, doubleTime: 0 });
+  });
+
+  it('never produces double time', () => {
+    const result = classify('FED', [shift('s', pt('2026-04-27', 0), pt('2026-04-27', 23))]);
+    expect(result.doubleTime).toBe(0);
+  });
+});
+
+describe('classifyHours — AK (daily 8, weekly 40, no DT)', () => {
+  it('LONG_DAY → 8 reg + 6 OT, no DT', () => {
+    expect(classify('AK', longDay())).toMatchObject({ regular: 8, overtime: 6, doubleTime: 0 });
+  });
+
+  it('FIVE_TENS → 40 reg + 10 OT (daily OT only, no weekly excess)', () => {
+    expect(classify('AK', fiveTens())).toMatchObject({ regular: 40, overtime: 10, doubleTime: 0 });
+  });
+
+  it('SEVEN_DAYS → 40 reg + 16 OT, no 7th-day rule', () => {
+    const result = classify('AK', sevenDays());
+    expect(result).toMatchObject({ regular: 40, overtime: 16, doubleTime: 0 });
+    expect(result.byDay[6].isSeventhConsecutiveDay).toBe(false);
+  });
+});
+
+describe('classifyHours — NV (daily 8, weekly 40, no DT)', () => {
+  it('LONG_DAY → 8 reg + 6 OT, no DT', () => {
+    expect(classify('NV', longDay())).toMatchObject({ regular: 8, overtime: 6, doubleTime: 0 });
+  });
+
+  it('9h day → 8 reg + 1 OT', () => {
+    const result = classify('NV', [shift('s', pt('2026-04-27', 8), pt('2026-04-27', 17))]);
+    expect(result).toMatchObject({ regular: 8, overtime: 1, doubleTime: 0 });
+  });
+
+  it('6×7h = 42h → weekly cap moves 2h to OT', () => {
+    const dates = ['2026-04-27', '2026-04-28', '2026-04-29', '2026-04-30', '2026-05-01', '2026-05-02'];
+    const shifts = dates.map((d, i) => shift(`s${i}`, pt(d, 9), pt(d, 16)));
+    expect(classify('NV', shifts)).toMatchObject({ regular: 40, overtime: 2, doubleTime: 0 });
+  });
+});
+
+describe('classifyHours — CO (daily 12, weekly 40, no DT)', () => {
+  it('LONG_DAY → 12 reg + 2 OT', () => {
+    expect(classify('CO', longDay())).toMatchObject({ regular: 12, overtime: 2, doubleTime: 0 });
+  });
+
+  it('12h day is the boundary: all regular', () => {
+    const result = classify('CO', [shift('s', pt('2026-04-27', 6), pt('2026-04-27', 18))]);
+    expect(result).toMatchObject({ regular: 12, overtime: 0, doubleTime: 0 });
+  });
+
+  it('FIVE_TENS → 40 reg + 10 OT via the weekly cap (no daily OT)', () => {
+    const result = classify('CO', fiveTens());
+    expect(result).toMatchObject({ regular: 40, overtime: 10, doubleTime: 0 });
+    // Mon–Thu stay regular; Friday absorbs the excess.
+    expect(result.byDay.slice(0, 4).every((d) => d.overtime === 0)).toBe(true);
+    expect(result.byDay[4]).toMatchObject({ regular: 0, overtime: 10 });
+  });
+
+  it('4×13h = 52h → 1h daily OT per day, then 4h weekly', () => {
+    const shifts = [];
+    for (let i = 0; i < 4; i += 1) {
+      const day = String(27 + i).padStart(2, '0');
+      shifts.push(shift(`s${i}`, pt(`2026-04-${day}`, 6), pt(`2026-04-${day}`, 19)));
+    }
+    // 48 daily-regular hours → 40 reg + 8 moved by the weekly cap.
+    expect(classify('CO', shifts)).toMatchObject({ regular: 40, overtime: 12, doubleTime: 0 });
+  });
+});
+
 describe('computeRegularRateOfPay — argument validation', () => {
   it('throws when byShiftWithRates is not an array', () => {
     expect(() => computeRegularRateOfPay({ byShiftWithRates: null })).toThrow(/array/);
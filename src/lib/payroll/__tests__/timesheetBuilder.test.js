@@ -31,6 +31,7 @@ function shift({
   status = 'completed',
   startTime,
   endTime,
+  serviceType = null,
 }) {
   return {
     id,
@@ -40,6 +41,7 @@ function shift({
     hourly_rate: hourlyRate,
     mileage,
     status,
+    service_type: serviceType,
   };
 }
 
@@ -632,7 +634,463 @@ describe('buildTimesheet — week boundary shifts', () => {
   });
 });
 
+// ─── OT jurisdiction resolution ───────────────────────────────────
+
+describe('buildTimesheet — OT jurisdiction', () => {
+  // One 14h Monday: CA → 8/4/2, NV → 8/6/0, FED → 14/0/0.
+  const longShift = (id, clientId) => ({
+    ...shift({ id, startHour: 6, endHour: 20 }),
+    client_id: clientId,
+  });
+
+  function build({ shifts, caregiver, clients, orgSettings = TZ_SETTINGS }) {
+    return buildTimesheet({
+      orgId: ORG_ID,
+      caregiverId: CAREGIVER_ID,
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+      shifts,
+      clockEvents: [],
+      orgSettings,
+      caregiver,
+      clients,
+    });
+  }
+
+  it('uses the org default when neither caregiver nor clients are passed', () => {
+    const result = build({ shifts: [longShift('s1', 'c_ca')] });
+    expect(result.meta.jurisdiction).toBe('CA');
+    expect(result.meta.jurisdictionSource).toBe('org_default');
+    expect(result.timesheet).toMatchObject({
+      regular_hours: 8, overtime_hours: 4, double_time_hours: 2,
+    });
+  });
+
+  it('classifies under the client work-location state', () => {
+    const result = build({
+      shifts: [longShift('s1', 'c_nv')],
+      clients: [{ id: 'c_nv', state: 'NV' }],
+    });
+    expect(result.meta.jurisdiction).toBe('NV');
+    expect(result.meta.jurisdictionSource).toBe('work_location');
+    expect(result.timesheet).toMatchObject({
+      regular_hours: 8, overtime_hours: 6, double_time_hours: 0,
+    });
+  });
+
+  it('caregiver ot_jurisdiction override beats the work location', () => {
+    const result = build({
+      shifts: [longShift('s1', 'c_nv')],
+      clients: [{ id: 'c_nv', state: 'Nevada' }],
+      caregiver: { ot_jurisdiction: 'FED' },
+    });
+    expect(result.meta.jurisdiction).toBe('FED');
+    expect(result.meta.jurisdictionSource).toBe('caregiver');
+    expect(result.timesheet).toMatchObject({
+      regular_hours: 14, overtime_hours: 0, double_time_hours: 0,
+    });
+  });
+
+  it('falls back to the org default and flags mixed work locations', () => {
+    const result = build({
+      shifts: [
+        longShift('s1', 'c_ca'),
+        { ...shift({ id: 's2', date: '2026-04-28' }), client_id: 'c_nv' },
+      ],
+      clients: [
+        { id: 'c_ca', state: 'CA' },
+        { id: 'c_nv', state: 'NV' },
+      ],
+    });
+    expect(result.meta.jurisdiction).toBe('CA');
+    expect(result.meta.jurisdictionSource).toBe('org_default');
+    expect(result.meta.mixedWorkJurisdictions).toBe(true);
+    expect(result.meta.workJurisdictions).toEqual(['CA', 'NV']);
+  });
+
+  it('ignores clients with a blank state', () => {
+    const result = build({
+      shifts: [longShift('s1', 'c_blank')],
+      clients: [{ id: 'c_blank', state: '' }],
+      orgSettings: { payroll: { ...TZ_SETTINGS.payroll, ot_jurisdiction: 'CO' } },
+    });
+    expect(result.meta.jurisdiction).toBe('CO');
+    expect(result.meta.jurisdictionSource).toBe('org_default');
+    expect(result.meta.mixedWorkJurisdictions).toBe(false);
+  });
+});
+
+describe('buildTimesheet — meal/rest premiums', () => {
+  const MEAL_REST_SETTINGS = {
+    payroll: { ...TZ_SETTINGS.payroll, meal_rest_premiums: true },
+  };
+
+  function breakEvent(shiftId, eventType, breakType, isoTime) {
+    return {
+      shift_id: shiftId,
+      event_type: eventType,
+      break_type: breakType,
+      occurred_at: isoTime,
+      geofence_passed: null,
+    };
+  }
+
+  // 09:00–17:00 Monday, clocked on the dot.
+  function clockedDay(id, date = WEEK_START) {
+    return {
+      shift: shift({ id, date }),
+      events: [clockIn(id, pt(date, 9)), clockOut(id, pt(date, 17))],
+    };
+  }
+
+  // Compliant breaks for the 09:00–17:00 day: rest, meal, rest.
+  function compliantBreaks(id, date = WEEK_START) {
+    return [
+      breakEvent(id, 'break_start', 'rest', pt(date, 11)),
+      breakEvent(id, 'break_end', 'rest', pt(date, 11, 10)),
+      breakEvent(id, 'break_start', 'meal', pt(date, 13)),
+      breakEvent(id, 'break_end', 'meal', pt(date, 13, 30)),
+      breakEvent(id, 'break_start', 'rest', pt(date, 15)),
+      breakEvent(id, 'break_end', 'rest', pt(date, 15, 10)),
+    ];
+  }
+
+  function build({ shifts, clockEvents, orgSettings = MEAL_REST_SETTINGS, caregiver }) {
+    return buildTimesheet({
+      orgId: ORG_ID,
+      caregiverId: CAREGIVER_ID,
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+      shifts,
+      clockEvents,
+      orgSettings,
+      caregiver,
+    });
+  }
+
+  it('is off unless the org enables payroll.meal_rest_premiums', () => {
+    const day = clockedDay('s1');
+    const result = build({
+      shifts: [day.shift],
+      clockEvents: day.events,
+      orgSettings: TZ_SETTINGS,
+    });
+    expect(result.meta.mealRestRulesApply).toBe(false);
+    expect(result.meta.perShift[0].breakCompliance).toBeNull();
+    expect(result.timesheet).toMatchObject({
+      meal_premium_hours: 0,
+      rest_premium_hours: 0,
+      gross_pay: 200,
+    });
+  });
+
+  it('owes no premium for a compliant CA day', () => {
+    const day = clockedDay('s1');
+    const result = build({
+      shifts: [day.shift],
+      clockEvents: [...day.events, ...compliantBreaks('s1')],
+    });
+    expect(result.meta.mealRestRulesApply).toBe(true);
+    expect(result.meta.perShift[0].breakCompliance).toMatchObject({
+      mealViolation: null,
+      restViolation: null,
+      workday: WEEK_START,
+    });
+    expect(result.timesheet).toMatchObject({
+      regular_hours: 8,
+      meal_premium_hours: 0,
+      rest_premium_hours: 0,
+      gross_pay: 200,
+    });
+  });
+
+  it('pays one hour per broken rule at the regular rate without touching hours worked', () => {
+    const day = clockedDay('s1');
+    const result = build({ shifts: [day.shift], clockEvents: day.events });
+    expect(result.meta.perShift[0].breakCompliance).toMatchObject({
+      mealViolation: 'missing',
+      restViolation: 'missing',
+    });
+    expect(result.timesheet).toMatchObject({
+      regular_hours: 8,
+      overtime_hours: 0,
+      meal_premium_hours: 1,
+      rest_premium_hours: 1,
+      gross_pay: 250,
+    });
+  });
+
+  it('pays the premium at the weighted regular rate of pay', () => {
+    // Two days at different rates: ROP = (8×20 + 8×30) / 16 = 25.
+    const mon = clockedDay('s1');
+    const tue = clockedDay('s2', '2026-04-28');
+    const result = build({
+      shifts: [{ ...mon.shift, hourly_rate: 20 }, { ...tue.shift, hourly_rate: 30 }],
+      clockEvents: [...mon.events, ...compliantBreaks('s1'), ...tue.events,
+        breakEvent('s2', 'break_start', 'rest', pt('2026-04-28', 11)),
+        breakEvent('s2', 'break_end', 'rest', pt('2026-04-28', 11, 10)),
+        breakEvent('s2', 'break_start', 'rest', pt('2026-04-28', 15)),
+        breakEvent('s2', 'break_end', 'rest', pt('2026-04-28', 15, 10)),
+      ],
+    });
+    expect(result.timesheet.meal_premium_hours).toBe(1);
+    expect(result.timesheet.rest_premium_hours).toBe(0);
+    expect(result.timesheet.gross_pay).toBe(round2(8 * 20 + 8 * 30 + 25));
+  });
+
+  it('caps premiums at one meal and one rest hour per workday', () => {
+    const am = {
+      shift: shift({ id: 'am', startHour: 6, endHour: 12 }),
+      events: [clockIn('am', pt(WEEK_START, 6)), clockOut('am', pt(WEEK_START, 12))],
+    };
+    const pm = {
+      shift: shift({ id: 'pm', startHour: 13, endHour: 19 }),
+      events: [clockIn('pm', pt(WEEK_START, 13)), clockOut('pm', pt(WEEK_START, 19))],
+    };
+    const result = build({
+      shifts: [pm.shift, am.shift],
+      clockEvents: [...am.events, ...pm.events],
+    });
+    const byId = Object.fromEntries(result.meta.perShift.map((p) => [p.shift_id, p]));
+    expect(byId.am.breakCompliance).toMatchObject({ mealPremiumHours: 1, restPremiumHours: 1 });
+    expect(byId.pm.breakCompliance).toMatchObject({
+      mealViolation: 'missing',
+      mealPremiumHours: 0,
+      restPremiumHours: 0,
+    });
+    expect(result.timesheet).toMatchObject({ meal_premium_hours: 1, rest_premium_hours: 1 });
+  });
+
+  it('honors a signed meal waiver on a 6h shift', () => {
+    const s = shift({ id: 's1', startHour: 9, endHour: 15 });
+    const result = build({
+      shifts: [s],
+      clockEvents: [
+        clockIn('s1', pt(WEEK_START, 9)),
+        breakEvent('s1', 'break_start', 'rest', pt(WEEK_START, 11)),
+        breakEvent('s1', 'break_end', 'rest', pt(WEEK_START, 11, 10)),
+        clockOut('s1', pt(WEEK_START, 15)),
+      ],
+      caregiver: { meal_period_waiver: true },
+    });
+    expect(result.timesheet).toMatchObject({ meal_premium_hours: 0, rest_premium_hours: 0 });
+  });
+
+  it('skips shifts without a real clock-in and clock-out', () => {
+    const result = build({
+      shifts: [shift({ id: 's1' })],
+      clockEvents: [clockIn('s1', pt(WEEK_START, 9))],
+    });
+    expect(result.meta.perShift[0].breakCompliance).toBeNull();
+    expect(result.timesheet).toMatchObject({ meal_premium_hours: 0, rest_premium_hours: 0 });
+  });
+
+  it('does not apply outside jurisdictions with meal/rest rules', () => {
+    const day = clockedDay('s1');
+    const result = build({
+      shifts: [day.shift],
+      clockEvents: day.events,
+      orgSettings: {
+        payroll: { ...MEAL_REST_SETTINGS.payroll, ot_jurisdiction: 'NV' },
+      },
+    });
+    expect(result.meta.mealRestRulesApply).toBe(false);
+    expect(result.timesheet).toMatchObject({ meal_premium_hours: 0, rest_premium_hours: 0 });
+  });
+
+  it('break events do not move the clocked work window', () => {
+    const day = clockedDay('s1');
+    const result = build({
+      shifts: [day.shift],
+      clockEvents: [...compliantBreaks('s1'), ...day.events],
+    });
+    expect(result.meta.perShift[0]).toMatchObject({
+      missingClockIn: false,
+      missingClockOut: false,
+    });
+    expect(result.timesheet.regular_hours).toBe(8);
+  });
+});
+
 // helper used in the rate-test
 function round2(n) {
   return Math.round(n * 100) / 100;
 }
+
+// ─── Rate cards ───────────────────────────────────────────────────
+
+describe('buildTimesheet — rate cards', () => {
+  const payCard = (overrides = {}) => ({
+    id: 'rc_1',
+    scope: 'caregiver',
+    caregiver_id: CAREGIVER_ID,
+    service_type: 'live_in',
+    rate: 20,
+    effective_from: null,
+    effective_to: null,
+    ...overrides,
+  });
+
+  it('pays a shift with no rate from the caregiver card for its service type', () => {
+    const result = buildTimesheet({
+      orgId: ORG_ID,
+      caregiverId: CAREGIVER_ID,
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+      shifts: [
+        shift({ id: 'a', hourlyRate: null, serviceType: 'live_in' }),
+        shift({ id: 'b', date: '2026-04-28', hourlyRate: 30, serviceType: 'personal_care' }),
+      ],
+      clockEvents: [],
+      orgSettings: TZ_SETTINGS,
+      rateCards: [payCard()],
+    });
+    expect(result.timesheet.gross_pay).toBe(8 * 20 + 8 * 30);
+    expect(result.meta.regularByRate).toEqual([
+      { rate: 20, hours: 8 },
+      { rate: 30, hours: 8 },
+    ]);
+    const byId = Object.fromEntries(result.meta.perShift.map((p) => [p.shift_id, p]));
+    expect(byId.a).toMatchObject({ hourly_rate: 20, rate_source: 'caregiver_card' });
+    expect(byId.b).toMatchObject({
+      hourly_rate: 30,
+      rate_source: 'shift',
+      service_type: 'personal_care',
+      missing_service_rate: true,
+    });
+  });
+
+  it('falls back to the caregiver default pay rate', () => {
+    const result = buildTimesheet({
+      orgId: ORG_ID,
+      caregiverId: CAREGIVER_ID,
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+      shifts: [shift({ id: 'a', hourlyRate: null, serviceType: 'companion' })],
+      clockEvents: [],
+      orgSettings: TZ_SETTINGS,
+      caregiver: { default_pay_rate: 22 },
+    });
+    expect(result.timesheet.gross_pay).toBe(176);
+    expect(result.meta.perShift[0]).toMatchObject({
+      hourly_rate: 22,
+      rate_source: 'caregiver_default',
+      missing_service_rate: false,
+    });
+  });
+
+  it('ignores a card that is not yet in effect for the week', () => {
+    const result = buildTimesheet({
+      orgId: ORG_ID,
+      caregiverId: CAREGIVER_ID,
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+      shifts: [shift({ id: 'a', hourlyRate: null, serviceType: 'live_in' })],
+      clockEvents: [],
+      orgSettings: TZ_SETTINGS,
+      rateCards: [payCard({ effective_from: '2026-05-04' })],
+    });
+    expect(result.meta.perShift[0].hourly_rate).toBeNull();
+    expect(result.timesheet.gross_pay).toBe(0);
+  });
+});
+
+// ─── Live-in ──────────────────────────────────────────────────────
+
+describe('buildTimesheet — live-in shifts', () => {
+  function liveIn(overrides = {}) {
+    return {
+      ...shift({
+        id: 'li',
+        startTime: pt('2026-04-27', 0),
+        endTime: pt('2026-04-28', 0),
+        hourlyRate: 20,
+        serviceType: 'live_in',
+      }),
+      sleep_hours_per_day: 8,
+      meal_hours_per_day: 3,
+      sleep_interrupted: false,
+      daily_pay_rate: null,
+      ...overrides,
+    };
+  }
+
+  function build(shifts) {
+    return buildTimesheet({
+      orgId: ORG_ID,
+      caregiverId: CAREGIVER_ID,
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+      shifts,
+      clockEvents: [],
+      orgSettings: TZ_SETTINGS,
+    });
+  }
+
+  it('pays a 24h shift on its hours after sleep and meals', () => {
+    const result = build([liveIn()]);
+    const { timesheet } = result;
+    // 13 paid hours on one CA workday, not 24.
+    expect(timesheet.regular_hours).toBe(8);
+    expect(timesheet.overtime_hours).toBe(4);
+    expect(timesheet.double_time_hours).toBe(1);
+    expect(result.meta.perShift[0].liveIn).toMatchObject({
+      days: 1,
+      sleepHours: 8,
+      mealHours: 3,
+      paidHours: 13,
+      dailyPayRate: null,
+    });
+  });
+
+  it('pays every hour when the night was interrupted', () => {
+    const result = build([liveIn({ sleep_interrupted: true })]);
+    const { timesheet } = result;
+    expect(timesheet.regular_hours).toBe(8);
+    expect(timesheet.overtime_hours).toBe(4);
+    expect(timesheet.double_time_hours).toBe(9);
+    expect(result.meta.perShift[0].liveIn.sleepNotDeducted).toBe('interrupted');
+  });
+
+  it('converts a daily pay rate to its hourly equivalent', () => {
+    const result = build([liveIn({ hourly_rate: null, daily_pay_rate: 260 })]);
+    expect(result.meta.perShift[0]).toMatchObject({
+      hourly_rate: 20,
+      rate_source: 'daily_rate',
+    });
+    expect(result.meta.perShift[0].liveIn.dailyPayRate).toBe(260);
+    // 8 × 20 + 4 × 30 + 1 × 40.
+    expect(result.timesheet.gross_pay).toBe(320);
+  });
+
+  it('leaves non-live-in shifts alone even with live-in settings', () => {
+    const result = build([liveIn({ service_type: 'personal_care' })]);
+    expect(result.meta.perShift[0].liveIn).toBeNull();
+    const { timesheet } = result;
+    expect(timesheet.regular_hours + timesheet.overtime_hours + timesheet.double_time_hours).toBe(24);
+  });
+});
+
+// ─── Multi-caregiver shifts ───────────────────────────────────────
+
+describe('buildTimesheet — multi-caregiver shifts', () => {
+  it('counts only this caregiver\'s own clock events', () => {
+    const s = shift({ id: 's1', startHour: 9, endHour: 17 });
+    const clockEvents = [
+      { ...clockIn('s1', pt(WEEK_START, 9)), caregiver_id: 'cg_lead' },
+      { ...clockOut('s1', pt(WEEK_START, 17)), caregiver_id: 'cg_lead' },
+      { ...clockIn('s1', pt(WEEK_START, 10)), caregiver_id: CAREGIVER_ID },
+      { ...clockOut('s1', pt(WEEK_START, 14)), caregiver_id: CAREGIVER_ID },
+    ];
+    const result = buildTimesheet({
+      orgId: ORG_ID,
+      caregiverId: CAREGIVER_ID,
+      weekStart: WEEK_START,
+      weekEnd: WEEK_END,
+      shifts: [s],
+      clockEvents,
+      orgSettings: TZ_SETTINGS,
+    });
+    expect(result.timesheet_shifts[0].hours_worked).toBe(4);
+  });
+});
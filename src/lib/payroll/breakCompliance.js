@@ -0,0 +1,258 @@
+// CA meal and rest period compliance — pure function.
+//
+// Given one shift's worked window (from timesheetBuilder's
+// resolveShiftWindow) and the `break_start` / `break_end` clock_events
+// the caregiver recorded from the PWA, decide which meal and rest
+// periods were owed, which were taken, and how many premium hours the
+// shift owes.
+//
+// Rules (thresholds live in constants.js):
+//
+//   Meal — a work period over 5h needs a 30-minute meal period that
+//   starts before the end of hour 5; over 10h needs a second one that
+//   starts before the end of hour 10. A meal shorter than 30 minutes
+//   does not count. Waivers (caregiver has a signed waiver on file):
+//   the first meal when the shift is 6h or less, the second when the
+//   shift is 12h or less and the first meal was taken.
+//
+//   Rest — one 10-minute rest period per 4 hours worked or major
+//   fraction thereof: 0 under 3.5h, 1 up to 6h, 2 up to 10h, 3 up to
+//   14h, and so on. A rest shorter than 10 minutes does not count.
+//   Timing ("in the middle of each work period, insofar as
+//   practicable") is not checked — the count is.
+//
+//   Premium — one hour at the regular rate of pay when any meal rule
+//   is broken, and one more when any rest rule is broken. The per-
+//   workday cap (one of each kind per day) is applied by the caller,
+//   which knows which shifts share a workday.
+//
+// Design choices worth highlighting:
+//
+//  - Work period is measured from clock-in to clock-out. Breaks are
+//    NOT subtracted from hours worked (timesheetBuilder still treats
+//    breaks as paid in v1), so the meal deadline is simply clock-in +
+//    5h / + 10h.
+//
+//  - A break_start without a matching break_end (or an orphan
+//    break_end) is reported via `unpairedBreaks` and the break counts
+//    as not taken. Guessing an end time would hide the data problem.
+//
+//  - Breaks are clipped to the worked window, so a break that ran past
+//    clock-out only counts for the minutes inside the shift.
+//
+// Plan reference:
+//   docs/plans/2026-04-25-paychex-integration-plan.md
+//   ("Phase 3 — Timesheet generation and overtime engine").
+
+import {
+  BREAK_TYPE,
+  CA_BREAK_PREMIUM_HOURS,
+  CA_FIRST_MEAL_DEADLINE_HOURS,
+  CA_FIRST_MEAL_WAIVER_MAX_HOURS,
+  CA_MEAL_PERIOD_MINUTES,
+  CA_REST_PERIOD_MIN_WORK_HOURS,
+  CA_REST_PERIOD_MINUTES,
+  CA_SECOND_MEAL_DEADLINE_HOURS,
+  CA_SECOND_MEAL_WAIVER_MAX_HOURS,
+} from './constants.js';
+
+const MS_PER_MINUTE = 60_000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+function toMs(value) {
+  if (value == null) return null;
+  if (value instanceof Date) {
+    const t = value.getTime();
+    return Number.isNaN(t) ? null : t;
+  }
+  if (typeof value === 'string' && value.length > 0) {
+    const t = new Date(value).getTime();
+    return Number.isNaN(t) ? null : t;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  return null;
+}
+
+/**
+ * Pair `break_start` / `break_end` events per break_type, oldest first.
+ * Returns the closed breaks (clipped to the worked window) and a count
+ * of events that could not be paired.
+ */
+function pairBreaks(breakEvents, startMs, endMs) {
+  const sorted = (Array.isArray(breakEvents) ? breakEvents : [])
+    .filter((e) => e && (e.event_type === 'break_start' || e.event_type === 'break_end'))
+    .map((e) => ({ type: e.break_type, kind: e.event_type, ms: toMs(e.occurred_at) }))
+    .filter((e) => e.ms != null)
+    .sort((a, b) => a.ms - b.ms);
+
+  const open = new Map();
+  const breaks = [];
+  let unpaired = 0;
+
+  for (const e of sorted) {
+    if (e.type !== BREAK_TYPE.MEAL && e.type !== BREAK_TYPE.REST) {
+      unpaired += 1;
+      continue;
+    }
+    if (e.kind === 'break_start') {
+      // A second start before the first one ended: the earlier start
+      // lost its end tap. Count it as unpaired and keep the newer one.
+      if (open.has(e.type)) unpaired += 1;
+      open.set(e.type, e.ms);
+      continue;
+    }
+    const openedMs = open.get(e.type);
+    if (openedMs == null) {
+      unpaired += 1;
+      continue;
+    }
+    open.delete(e.type);
+    const clippedStart = Math.max(openedMs, startMs);
+    const clippedEnd = Math.min(e.ms, endMs);
+    if (clippedEnd <= clippedStart) continue;
+    breaks.push({
+      type: e.type,
+      startMs: clippedStart,
+      endMs: clippedEnd,
+      minutes: (clippedEnd - clippedStart) / MS_PER_MINUTE,
+    });
+  }
+  unpaired += open.size;
+
+  return { breaks, unpaired };
+}
+
+/**
+ * Number of 10-minute rest periods owed for a work period: one per 4
+ * hours or major fraction (more than 2 hours) thereof.
+ */
+export function requiredRestPeriods(workedHours) {
+  if (!Number.isFinite(workedHours) || workedHours < CA_REST_PERIOD_MIN_WORK_HOURS) return 0;
+  return Math.ceil((workedHours - 2) / 4);
+}
+
+/**
+ * Find a compliant meal (long enough, started by the deadline) among
+ * the not-yet-used meals. Returns `{ meal, reason }` where reason is
+ * null on success, else why no meal qualified:
+ *   'missing' — no meal started by the deadline
+ *   'short'   — a meal started in time but ran under 30 minutes
+ *   'late'    — a long-enough meal exists, but started after the deadline
+ */
+function findCompliantMeal(meals, used, deadlineMs) {
+  const candidates = meals.filter((m) => !used.has(m));
+  const inTime = candidates.filter((m) => m.startMs <= deadlineMs);
+  const meal = inTime.find((m) => m.minutes >= CA_MEAL_PERIOD_MINUTES);
+  if (meal) return { meal, reason: null };
+  if (inTime.length > 0) return { meal: null, reason: 'short' };
+  if (candidates.some((m) => m.minutes >= CA_MEAL_PERIOD_MINUTES)) {
+    return { meal: null, reason: 'late' };
+  }
+  return { meal: null, reason: 'missing' };
+}
+
+/**
+ * Evaluate one shift against the CA meal and rest period rules.
+ *
+ * @param {object} args
+ * @param {number} args.startMs     Clock-in (UTC ms).
+ * @param {number} args.endMs       Clock-out (UTC ms).
+ * @param {Array<object>} [args.breakEvents]
+ *   The shift's clock_events rows. Rows other than `break_start` /
+ *   `break_end` are ignored, so passing every event for the shift is
+ *   fine. Each break row carries `break_type` ('meal' | 'rest') and
+ *   `occurred_at`.
+ * @param {boolean} [args.mealWaiver]
+ *   Caregiver has a signed meal period waiver on file
+ *   (`caregivers.meal_period_waiver`).
+ *
+ * @returns {{
+ *   workedHours: number,
+ *   mealPeriodsRequired: number,   // after waivers
+ *   mealPeriodsTaken: number,      // compliant meals only
+ *   mealViolation: null | 'missing' | 'short' | 'late',
+ *   restPeriodsRequired: number,
+ *   restPeriodsTaken: number,      // 10+ minute rests only
+ *   restViolation: null | 'missing' | 'short',
+ *   unpairedBreaks: number,
+ *   mealPremiumHours: number,      // 0 or 1, before the per-day cap
+ *   restPremiumHours: number,      // 0 or 1, before the per-day cap
+ * }}
+ */
+export function evaluateBreakCompliance({ startMs, endMs, breakEvents, mealWaiver = false }) {
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) {
+    throw new Error('breakCompliance: startMs and endMs must be finite numbers');
+  }
+
+  const workedHours = endMs > startMs ? (endMs - startMs) / MS_PER_HOUR : 0;
+  const { breaks, unpaired } = pairBreaks(breakEvents, startMs, endMs);
+  const meals = breaks.filter((b) => b.type === BREAK_TYPE.MEAL);
+  const rests = breaks.filter((b) => b.type === BREAK_TYPE.REST);
+
+  // ── Meal periods ──
+  let mealPeriodsRequired = 0;
+  let mealPeriodsTaken = 0;
+  let mealViolation = null;
+  const used = new Set();
+
+  if (workedHours > CA_FIRST_MEAL_DEADLINE_HOURS) {
+    const firstWaived = mealWaiver && workedHours <= CA_FIRST_MEAL_WAIVER_MAX_HOURS;
+    let firstTaken = false;
+    if (!firstWaived) {
+      mealPeriodsRequired += 1;
+      const first = findCompliantMeal(
+        meals,
+        used,
+        startMs + CA_FIRST_MEAL_DEADLINE_HOURS * MS_PER_HOUR,
+      );
+      if (first.meal) {
+        used.add(first.meal);
+        mealPeriodsTaken += 1;
+        firstTaken = true;
+      } else {
+        mealViolation = first.reason;
+      }
+    }
+
+    if (workedHours > CA_SECOND_MEAL_DEADLINE_HOURS) {
+      const secondWaived = mealWaiver
+        && firstTaken
+        && workedHours <= CA_SECOND_MEAL_WAIVER_MAX_HOURS;
+      if (!secondWaived) {
+        mealPeriodsRequired += 1;
+        const second = findCompliantMeal(
+          meals,
+          used,
+          startMs + CA_SECOND_MEAL_DEADLINE_HOURS * MS_PER_HOUR,
+        );
+        if (second.meal) {
+          used.add(second.meal);
+          mealPeriodsTaken += 1;
+        } else if (!mealViolation) {
+          mealViolation = second.reason;
+        }
+      }
+    }
+  }
+
+  // ── Rest periods ──
+  const restPeriodsRequired = requiredRestPeriods(workedHours);
+  const restPeriodsTaken = rests.filter((r) => r.minutes >= CA_REST_PERIOD_MINUTES).length;
+  let restViolation = null;
+  if (restPeriodsTaken < restPeriodsRequired) {
+    restViolation = rests.length > restPeriodsTaken ? 'short' : 'missing';
+  }
+
+  return {
+    workedHours: Math.round(workedHours * 100) / 100,
+    mealPeriodsRequired,
+    mealPeriodsTaken,
+    mealViolation,
+    restPeriodsRequired,
+    restPeriodsTaken,
+    restViolation,
+    unpairedBreaks: unpaired,
+    mealPremiumHours: mealViolation ? CA_BREAK_PREMIUM_HOURS : 0,
+    restPremiumHours: restViolation ? CA_BREAK_PREMIUM_HOURS : 0,
+  };
+}
@@ -31,13 +31,27 @@ export const HOUR_CLASSIFICATION = Object.freeze({
 });
 
 /**
- * The set of jurisdictions the OT engine is wired to handle. The engine
- * takes a jurisdiction parameter from day one even though only `CA` is
- * implemented in v1, so the day a second state needs OT rules we add a
- * branch in `overtimeRules.js` and add the code here without touching
- * any caller. Other values throw a clear error in v1.
+ * The set of jurisdictions the OT engine is wired to handle. Each code
+ * has a rule module under `./jurisdictions/` (registered in
+ * `./jurisdictions/index.js`); adding a state is a new module plus a
+ * code here, without touching any caller. Other values throw a clear
+ * error.
+ *
+ *   - CA   California (daily 8/12, weekly 40, 7th-consecutive-day)
+ *   - FED  Federal FLSA floor (weekly 40 only). Also the fallback for
+ *          work locations in states with no daily-OT rule of their own.
+ *   - AK   Alaska (daily 8, weekly 40)
+ *   - NV   Nevada (daily 8, weekly 40)
+ *   - CO   Colorado (daily 12, weekly 40)
+ */
+export const SUPPORTED_OT_JURISDICTIONS = Object.freeze(['CA', 'FED', 'AK', 'NV', 'CO']);
+
+/**
+ * Jurisdiction applied to a work location whose state has no dedicated
+ * rule module. The FLSA weekly-40 rule is the floor everywhere in the
+ * US, so a client in e.g. Arizona is classified under it.
  */
-export const SUPPORTED_OT_JURISDICTIONS = Object.freeze(['CA']);
+export const FEDERAL_OT_JURISDICTION = 'FED';
 
 /**
  * Jurisdiction the OT engine assumes when a caller omits one. The
@@ -65,6 +79,58 @@ export const CA_DAILY_REGULAR_HOURS = 8;
 export const CA_DAILY_DOUBLE_TIME_THRESHOLD_HOURS = 12;
 export const CA_WEEKLY_REGULAR_HOURS = 40;
 
+/**
+ * Thresholds for the non-CA jurisdiction modules. Same rule as the CA
+ * block above: these are legal numbers, not tuning knobs.
+ *
+ *   - FLSA (29 U.S.C. §207): weekly 40, no daily rule.
+ *   - Alaska (AS 23.10.060): daily 8, weekly 40, no double time.
+ *   - Nevada (NRS 608.018): daily 8, weekly 40, no double time. The
+ *     daily rule only covers employees paid under 1.5x the NV minimum
+ *     wage; caregivers above that line get a per-caregiver `FED`
+ *     override (see jurisdictions/nevada.js).
+ *   - Colorado (COMPS Order #39 Rule 4.1.1): daily 12, weekly 40, no
+ *     double time.
+ */
+export const FLSA_WEEKLY_REGULAR_HOURS = 40;
+export const AK_DAILY_REGULAR_HOURS = 8;
+export const NV_DAILY_REGULAR_HOURS = 8;
+export const CO_DAILY_REGULAR_HOURS = 12;
+
+/**
+ * CA meal and rest period rules (Labor Code §§226.7, 512; IWC Wage
+ * Order 15 §§11-12). Same caveat as the OT thresholds: legal numbers.
+ *
+ *   - A work period over 5h needs a 30-minute meal period that starts
+ *     before the end of hour 5. Over 10h needs a second one before the
+ *     end of hour 10.
+ *   - The first meal can be waived by mutual consent when the work
+ *     period is 6h or less; the second when the work period is 12h or
+ *     less and the first was taken.
+ *   - One 10-minute rest period per 4 hours worked "or major fraction
+ *     thereof". None is owed under 3.5h.
+ *   - Each kind of violation owes one extra hour of pay at the regular
+ *     rate of pay, at most once per kind per workday.
+ */
+export const CA_MEAL_PERIOD_MINUTES = 30;
+export const CA_FIRST_MEAL_DEADLINE_HOURS = 5;
+export const CA_SECOND_MEAL_DEADLINE_HOURS = 10;
+export const CA_FIRST_MEAL_WAIVER_MAX_HOURS = 6;
+export const CA_SECOND_MEAL_WAIVER_MAX_HOURS = 12;
+export const CA_REST_PERIOD_MINUTES = 10;
+export const CA_REST_PERIOD_MIN_WORK_HOURS = 3.5;
+export const CA_BREAK_PREMIUM_HOURS = 1;
+
+/**
+ * `clock_events.break_type` values on `break_start` / `break_end`
+ * rows. MUST match the CHECK constraint in
+ * `supabase/migrations/20260605000000_clock_events_breaks_and_premiums.sql`.
+ */
+export const BREAK_TYPE = Object.freeze({
+  MEAL: 'meal',
+  REST: 'rest',
+});
+
 /**
  * Plan-defined exception codes. Kept as a separate enum so the
  * exceptions module and the UI label table evolve in lockstep.
@@ -93,6 +159,37 @@ export const EXCEPTION_CODE = Object.freeze({
   // clears the block. Per-shift instead of per-week so the back office
   // sees exactly which shift needs attention.
   CAREGIVER_MISSING_RATE: 'caregiver_missing_rate',
+  // Rate cards. The shift has a service type, the caregiver has pay
+  // rate cards, but none covers that service type — the shift was paid
+  // at the rate on the shift or the caregiver's flat default. Warn
+  // only; add the card (or confirm the rate) before approving.
+  CAREGIVER_MISSING_SERVICE_RATE: 'caregiver_missing_service_rate',
+  // Multi-state OT. The week's shifts sit at client work locations in
+  // more than one OT jurisdiction and the caregiver has no explicit
+  // `ot_jurisdiction` override, so the org default was applied. Warn
+  // only — the hours are classified, but back office should confirm
+  // the jurisdiction (or set the caregiver override) before approving.
+  MIXED_OT_JURISDICTIONS: 'mixed_ot_jurisdictions',
+  // CA meal / rest periods. `meal_period_violation` and
+  // `rest_period_violation` warn per shift: the premium hour is already
+  // on the timesheet, back office confirms the break record is right
+  // (a forgotten break tap looks the same as a missed break).
+  // `unpaired_break_event` warns when a break_start has no break_end
+  // (or vice versa); that break is treated as not taken.
+  // `break_premium_pay_component_missing` blocks like the DT check:
+  // premium hours exist but the org has not named the Paychex Earning
+  // to put them on.
+  MEAL_PERIOD_VIOLATION: 'meal_period_violation',
+  REST_PERIOD_VIOLATION: 'rest_period_violation',
+  UNPAIRED_BREAK_EVENT: 'unpaired_break_event',
+  BREAK_PREMIUM_PAY_COMPONENT_MISSING: 'break_premium_pay_component_missing',
+  // Live-in shifts (src/lib/liveIn.js). `live_in_sleep_not_deducted`
+  // warns when a configured sleep deduction was dropped — the duty ran
+  // under 24h or the night was marked interrupted — so the shift pays
+  // for its sleep hours. `live_in_sleep_capped` warns when the shift
+  // asked for more than 8h of sleep per day and was capped at 8.
+  LIVE_IN_SLEEP_NOT_DEDUCTED: 'live_in_sleep_not_deducted',
+  LIVE_IN_SLEEP_CAPPED: 'live_in_sleep_capped',
 });
 
 /**
@@ -113,6 +210,7 @@ export const EXCEPTION_SEVERITY = Object.freeze({
  * a `shift_too_long` warning. 16h is the plan's number; in practice TC
  * caregivers occasionally work up-to-12h shifts, so 16h captures
  * "almost certainly a missing clock-out or data entry error" without
- * false-flagging legitimate live-in or split shifts.
+ * false-flagging split shifts. Live-in shifts are exempt — a 24h stay
+ * is the point of them.
  */
 export const LONG_SHIFT_WARNING_HOURS = 16;
@@ -47,6 +47,11 @@
 //   Mileage row  : Rate = $0.725 (organizations.settings.payroll.mileage_rate)
 //                  Hours = miles_driven  (never premium-adjusted)
 //
+//   Meal / rest premium rows (CA): Hours = premium hours, Rate = regular
+//   rate of pay. Always the base ROP whatever the premium-factor flag
+//   says — a premium hour is one hour of pay, so its Earning must be
+//   set up in Paychex WITHOUT an OT factor.
+//
 // Per-shift rates (Phase 4 PR #2):
 //   When a workweek's shifts carry distinct hourly rates, the exporter
 //   emits one Hourly row per (worker, distinct rate) — e.g. 8h @ $20
@@ -88,6 +93,9 @@
 //   - Regular / OT / DT rows with 0 hours are omitted (Paychex doesn't
 //     need the row; the worker's check is just smaller).
 //   - Mileage row with 0 miles is omitted.
+//   - Meal / rest premium rows require pay_components.meal_premium /
+//     .rest_premium. Same defensive skip as DT: the
+//     `break_premium_pay_component_missing` exception blocks upstream.
 //
 // Plan reference:
 //   docs/plans/2026-04-25-paychex-integration-plan.md
@@ -180,6 +188,10 @@ function resolveOrgConfig(orgSettings) {
       double_time:
         typeof payComponents.double_time === 'string' ? payComponents.double_time : null,
       mileage: typeof payComponents.mileage === 'string' ? payComponents.mileage : null,
+      meal_premium:
+        typeof payComponents.meal_premium === 'string' ? payComponents.meal_premium : null,
+      rest_premium:
+        typeof payComponents.rest_premium === 'string' ? payComponents.rest_premium : null,
     },
     mileageRate,
     appliesPremiumFactor,
@@ -212,6 +224,10 @@ function resolveOrgConfig(orgSettings) {
  *     - For (b)/legacy callers without ROP: falls back to
  *       `hourly_rate × multiplier`, which is correct only for
  *       single-rate weeks.
+ *
+ *   Optional `meal_premium_hours` / `rest_premium_hours` (CA meal /
+ *   rest premiums) emit one row each at the same ROP (or hourly_rate)
+ *   with no multiplier.
  */
 function buildRowsForTimesheet(timesheet, orgConfig) {
   const employeeId = timesheet.paychex_employee_id;
@@ -225,6 +241,8 @@ function buildRowsForTimesheet(timesheet, orgConfig) {
   const ot = Number(timesheet.overtime_hours) || 0;
   const dt = Number(timesheet.double_time_hours) || 0;
   const mileage = Number(timesheet.mileage_total) || 0;
+  const mealPremium = Number(timesheet.meal_premium_hours) || 0;
+  const restPremium = Number(timesheet.rest_premium_hours) || 0;
 
   // ── Resolve the regular-hours bucket: per-rate or single-rate ──
   // Multi-rate path: caller passed { regular_by_rate: [{rate, hours}] }.
@@ -353,6 +371,33 @@ function buildRowsForTimesheet(timesheet, orgConfig) {
     }
   }
 
+  // ── Meal / rest premium rows (rate = ROP, no multiplier) ──
+  const premiumRows = [
+    { hours: mealPremium, component: orgConfig.payComponents.meal_premium, label: 'meal' },
+    { hours: restPremium, component: orgConfig.payComponents.rest_premium, label: 'rest' },
+  ];
+  for (const p of premiumRows) {
+    if (p.hours <= 0) continue;
+    // Defensive: break_premium_pay_component_missing should already
+    // have blocked this timesheet upstream.
+    if (!p.component) continue;
+    if (premiumBaseRate == null) {
+      throw new Error(
+        `csvExport: timesheet for caregiver ${timesheet.caregiver_id ?? '<unknown>'} has `
+          + `${p.label} premium hours but no regular_rate_of_pay (or hourly_rate fallback). `
+          + 'Set the rate before exporting.',
+      );
+    }
+    rows.push([
+      orgConfig.companyId,
+      employeeId,
+      p.component,
+      formatHours(p.hours),
+      formatRate(premiumBaseRate),
+      '',
+    ]);
+  }
+
   // ── Mileage row ──
   if (mileage > 0) {
     // Skip the mileage row when the org hasn't named its Paychex
@@ -24,7 +24,7 @@
 //   - blocked_caregiver                        block
 //       (caregivers.payroll_blocked = true / sync error)
 //   - shift_too_long                           warn
-//       (a single shift > LONG_SHIFT_WARNING_HOURS)
+//       (a single non-live-in shift > LONG_SHIFT_WARNING_HOURS)
 //   - caregiver_not_in_paychex                 warn
 //       (no paychex_worker_id yet — entitlement gap)
 //   - dt_pay_component_missing                 block (Phase 4 PR #1)
@@ -37,6 +37,30 @@
 //   - caregiver_missing_rate                   block (Phase 4 PR #2)
 //       (a shift has hours but no hourly_rate; gross_pay would be
 //        understated. Inline rate edit clears the block.)
+//   - caregiver_missing_service_rate           warn (rate cards)
+//       (the shift's service type has no pay rate card while the
+//        caregiver is on rate cards; paid at the shift / default rate)
+//   - mixed_ot_jurisdictions                   warn (multi-state OT)
+//       (the week's client work locations span more than one OT
+//        jurisdiction and no caregiver override is set, so the org
+//        default classified the hours)
+//   - meal_period_violation                    warn (CA meal/rest)
+//       (a CA meal period was missing, short, or late; a premium hour
+//        is already on the timesheet)
+//   - rest_period_violation                    warn (CA meal/rest)
+//       (fewer 10-minute rest periods than the hours worked require;
+//        a premium hour is already on the timesheet)
+//   - unpaired_break_event                     warn (CA meal/rest)
+//       (a break start with no end, or the reverse; the break counted
+//        as not taken)
+//   - break_premium_pay_component_missing      block (CA meal/rest)
+//       (meal or rest premium hours exist but the org has no Paychex
+//        Earning configured for them)
+//   - live_in_sleep_not_deducted               warn (live-in)
+//       (a configured sleep deduction was dropped: under 24h of duty,
+//        or the night was marked interrupted)
+//   - live_in_sleep_capped                     warn (live-in)
+//       (more than 8h of sleep per day configured; 8h was excluded)
 //
 // Removed Phase 4 PR #2:
 //   - `rate_mismatch` was a hard block when shifts within a workweek
@@ -67,6 +91,20 @@ import {
   EXCEPTION_SEVERITY,
   LONG_SHIFT_WARNING_HOURS,
 } from './constants.js';
+import { SERVICE_TYPE_LABELS } from '../rateCards.js';
+import { LIVE_IN_SLEEP_CAP_HOURS, SLEEP_NOT_DEDUCTED } from '../liveIn.js';
+
+const MEAL_VIOLATION_TEXT = {
+  missing: 'No meal period started before the deadline.',
+  short: 'Meal period ran under 30 minutes.',
+  late: 'Meal period started after the end of the 5th (or 10th) hour.',
+};
+
+function premiumNote(hours, kind) {
+  return hours > 0
+    ? `A ${hours}h ${kind} premium was added to the timesheet.`
+    : `This workday's ${kind} premium is already on another shift.`;
+}
 
 /**
  * Detect exceptions on a built timesheet draft.
@@ -85,8 +123,9 @@ import {
  *
  * @param {object} [args.orgSettings]
  *   Optional `organizations.settings` jsonb. When provided, drives the
- *   `dt_pay_component_missing` check using
- *   `payroll.pay_components.double_time`. Omitted = legacy callers that
+ *   `dt_pay_component_missing` and `break_premium_pay_component_missing`
+ *   checks using `payroll.pay_components.double_time` /
+ *   `.meal_premium` / `.rest_premium`. Omitted = legacy callers that
  *   pre-date Phase 4; those callers won't get the DT-config exception.
  *
  * @returns {Array<{
@@ -175,6 +214,8 @@ export function detectExceptions({ draft, caregiver, orgSettings }) {
     (Number(draft.timesheet?.regular_hours) || 0) > 0
     || (Number(draft.timesheet?.overtime_hours) || 0) > 0
     || (Number(draft.timesheet?.double_time_hours) || 0) > 0
+    || (Number(draft.timesheet?.meal_premium_hours) || 0) > 0
+    || (Number(draft.timesheet?.rest_premium_hours) || 0) > 0
     || (Number(draft.timesheet?.mileage_total) || 0) > 0;
   if (
     hasPayableAmount
@@ -222,6 +263,73 @@ export function detectExceptions({ draft, caregiver, orgSettings }) {
     }
   }
 
+  // ── 3c. Mixed OT jurisdictions (warn) ────────────────────────────
+  // The builder fell back to the org default because the caregiver
+  // worked at client locations governed by different OT rules this
+  // week. The classification is still legal under the default's rules
+  // in most cases, but back office should confirm — setting the
+  // caregiver's OT jurisdiction override makes the choice explicit and
+  // silences the warning on regenerate.
+  if (meta.mixedWorkJurisdictions === true) {
+    const codes = Array.isArray(meta.workJurisdictions) ? meta.workJurisdictions : [];
+    out.push({
+      severity: EXCEPTION_SEVERITY.WARN,
+      code: EXCEPTION_CODE.MIXED_OT_JURISDICTIONS,
+      message:
+        `Shifts this week were worked in more than one OT jurisdiction (${codes.join(', ')}). `
+          + `Hours were classified under the org default (${meta.jurisdiction}). Set the `
+          + "caregiver's OT jurisdiction to override, then regenerate.",
+    });
+  }
+
+  // ── 3d. Meal / rest premium pay component not configured (block) ─
+  // Same shape as the DT check above: premium hours with no Paychex
+  // Earning name have nowhere to go on the CSV. Block until the owner
+  // names the Earning(s) in Payroll Settings or zeroes the premium
+  // hours via inline edit.
+  if (orgSettings) {
+    const payComponents =
+      (orgSettings.payroll && orgSettings.payroll.pay_components) || {};
+    const isConfigured = (name) => typeof name === 'string' && name.trim() !== '';
+    const missing = [];
+    const mealHours = Number(draft.timesheet?.meal_premium_hours) || 0;
+    const restHours = Number(draft.timesheet?.rest_premium_hours) || 0;
+    if (mealHours > 0 && !isConfigured(payComponents.meal_premium)) {
+      missing.push(`${mealHours} meal premium hours (pay_components.meal_premium)`);
+    }
+    if (restHours > 0 && !isConfigured(payComponents.rest_premium)) {
+      missing.push(`${restHours} rest premium hours (pay_components.rest_premium)`);
+    }
+    if (missing.length > 0) {
+      out.push({
+        severity: EXCEPTION_SEVERITY.BLOCK,
+        code: EXCEPTION_CODE.BREAK_PREMIUM_PAY_COMPONENT_MISSING,
+        message:
+          `Timesheet has ${missing.join(' and ')} but no Paychex Earning is configured `
+            + 'for them. Add the Earning in Paychex Flex Settings → Earnings and name it in '
+            + 'Payroll Settings, OR zero out the premium hours via inline edit before exporting.',
+      });
+    }
+  }
+
+  // ── 3e. Service type without a pay rate card (warn) ─────────────
+  // The builder already priced the shift (shift rate or caregiver
+  // default); this flags the rate-card gap so a live-in shift doesn't
+  // quietly pay at the personal-care default.
+  for (const ps of perShift) {
+    const hours = Number(ps?.totalHours) || 0;
+    if (hours > 0 && ps?.missing_service_rate === true) {
+      out.push({
+        severity: EXCEPTION_SEVERITY.WARN,
+        code: EXCEPTION_CODE.CAREGIVER_MISSING_SERVICE_RATE,
+        message:
+          `Shift is ${SERVICE_TYPE_LABELS[ps.service_type] ?? ps.service_type} but the caregiver has no pay rate card for it; `
+            + 'paid at the shift or default rate. Add a rate card or confirm the rate.',
+        shift_id: ps.shift_id,
+      });
+    }
+  }
+
   // ── 4. Per-shift exceptions ──────────────────────────────────────
   for (const ps of perShift) {
     if (ps.missingClockOut) {
@@ -242,7 +350,7 @@ export function detectExceptions({ draft, caregiver, orgSettings }) {
         shift_id: ps.shift_id,
       });
     }
-    if (ps.totalHours > LONG_SHIFT_WARNING_HOURS) {
+    if (ps.totalHours > LONG_SHIFT_WARNING_HOURS && !ps.liveIn) {
       out.push({
         severity: EXCEPTION_SEVERITY.WARN,
         code: EXCEPTION_CODE.SHIFT_TOO_LONG,
@@ -252,6 +360,67 @@ export function detectExceptions({ draft, caregiver, orgSettings }) {
         shift_id: ps.shift_id,
       });
     }
+
+    const liveIn = ps.liveIn;
+    if (liveIn?.sleepNotDeducted) {
+      out.push({
+        severity: EXCEPTION_SEVERITY.WARN,
+        code: EXCEPTION_CODE.LIVE_IN_SLEEP_NOT_DEDUCTED,
+        message:
+          (liveIn.sleepNotDeducted === SLEEP_NOT_DEDUCTED.INTERRUPTED
+            ? 'Live-in night was marked interrupted, '
+            : 'Live-in shift ran under 24 hours, ')
+            + 'so sleep time counts as hours worked and no sleep was deducted. '
+            + 'Confirm the clock times before approving.',
+        shift_id: ps.shift_id,
+      });
+    }
+    if (liveIn?.sleepCapped) {
+      out.push({
+        severity: EXCEPTION_SEVERITY.WARN,
+        code: EXCEPTION_CODE.LIVE_IN_SLEEP_CAPPED,
+        message:
+          `Live-in sleep deduction is capped at ${LIVE_IN_SLEEP_CAP_HOURS}h per day; `
+            + `${liveIn.sleepHours}h was deducted. Fix the shift's sleep hours to silence this.`,
+        shift_id: ps.shift_id,
+      });
+    }
+
+    const breaks = ps.breakCompliance;
+    if (breaks) {
+      if (breaks.mealViolation) {
+        out.push({
+          severity: EXCEPTION_SEVERITY.WARN,
+          code: EXCEPTION_CODE.MEAL_PERIOD_VIOLATION,
+          message:
+            `${MEAL_VIOLATION_TEXT[breaks.mealViolation] || 'Meal period not compliant.'} `
+              + `${breaks.mealPeriodsTaken} of ${breaks.mealPeriodsRequired} required meal periods taken. `
+              + premiumNote(breaks.mealPremiumHours, 'meal'),
+          shift_id: ps.shift_id,
+        });
+      }
+      if (breaks.restViolation) {
+        out.push({
+          severity: EXCEPTION_SEVERITY.WARN,
+          code: EXCEPTION_CODE.REST_PERIOD_VIOLATION,
+          message:
+            `${breaks.restPeriodsTaken} of ${breaks.restPeriodsRequired} required 10-minute rest `
+              + `periods taken${breaks.restViolation === 'short' ? ' (at least one rest ran short)' : ''}. `
+              + premiumNote(breaks.restPremiumHours, 'rest'),
+          shift_id: ps.shift_id,
+        });
+      }
+      if (breaks.unpairedBreaks > 0) {
+        out.push({
+          severity: EXCEPTION_SEVERITY.WARN,
+          code: EXCEPTION_CODE.UNPAIRED_BREAK_EVENT,
+          message:
+            `${breaks.unpairedBreaks} break tap(s) on this shift have no matching start/end and `
+              + 'were treated as breaks not taken. Fix the clock events, then regenerate.',
+          shift_id: ps.shift_id,
+        });
+      }
+    }
   }
 
   return out;
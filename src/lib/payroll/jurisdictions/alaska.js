@@ -0,0 +1,19 @@
+// Alaska OT rules (AS 23.10.060).
+//
+//   - Daily hours 0..8        → regular
+//   - Daily hours 8+          → overtime (1.5x). No double time.
+//   - Weekly cap: regular hours past hour 40 become overtime.
+
+import { AK_DAILY_REGULAR_HOURS, FLSA_WEEKLY_REGULAR_HOURS } from '../constants.js';
+import { splitDailyHours } from './shared.js';
+
+export const ALASKA = Object.freeze({
+  code: 'AK',
+  label: 'Alaska',
+  weeklyRegularHours: FLSA_WEEKLY_REGULAR_HOURS,
+  hasSeventhDayRule: false,
+  hasMealRestPremiums: false,
+  classifyDay(totalHours) {
+    return splitDailyHours(totalHours, AK_DAILY_REGULAR_HOURS);
+  },
+});
@@ -0,0 +1,38 @@
+// California OT rules (CA Labor Code §510 + DLSE).
+//
+//   - Daily hours 0..8        → regular
+//   - Daily hours 8..12       → overtime (1.5x)
+//   - Daily hours 12+         → double time (2.0x)
+//   - 7th consecutive day worked in the workweek:
+//         hours 0..8          → overtime (1.5x)
+//         hours 8+            → double time (2.0x)
+//   - Weekly cap: regular hours past hour 40 of the workweek become
+//     overtime (applied by the engine via `weeklyRegularHours`).
+//   - Meal / rest period premiums apply (see ../breakCompliance.js).
+
+import {
+  CA_DAILY_DOUBLE_TIME_THRESHOLD_HOURS,
+  CA_DAILY_REGULAR_HOURS,
+  CA_WEEKLY_REGULAR_HOURS,
+} from '../constants.js';
+import { splitDailyHours } from './shared.js';
+
+export const CALIFORNIA = Object.freeze({
+  code: 'CA',
+  label: 'California',
+  weeklyRegularHours: CA_WEEKLY_REGULAR_HOURS,
+  hasSeventhDayRule: true,
+  hasMealRestPremiums: true,
+  classifyDay(totalHours, { isSeventhConsecutiveDay = false } = {}) {
+    if (isSeventhConsecutiveDay) {
+      // Every hour is premium on the 7th day: the first 8 at 1.5x,
+      // the rest at 2x. Reuse the split with a zero regular cap.
+      return splitDailyHours(totalHours, 0, CA_DAILY_REGULAR_HOURS);
+    }
+    return splitDailyHours(
+      totalHours,
+      CA_DAILY_REGULAR_HOURS,
+      CA_DAILY_DOUBLE_TIME_THRESHOLD_HOURS,
+    );
+  },
+});
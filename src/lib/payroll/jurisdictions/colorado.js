@@ -0,0 +1,25 @@
+// Colorado OT rules (COMPS Order #39, Rule 4.1.1).
+//
+//   - Daily hours 0..12       → regular
+//   - Daily hours 12+         → overtime (1.5x). No double time.
+//   - Weekly cap: regular hours past hour 40 become overtime.
+//
+// COMPS also counts "12 consecutive hours regardless of the start and
+// end time of the workday". The engine evaluates calendar days only, so
+// an overnight shift longer than 12h that straddles midnight is not
+// caught by the daily rule here — the weekly cap and the
+// `shift_too_long` warning still apply.
+
+import { CO_DAILY_REGULAR_HOURS, FLSA_WEEKLY_REGULAR_HOURS } from '../constants.js';
+import { splitDailyHours } from './shared.js';
+
+export const COLORADO = Object.freeze({
+  code: 'CO',
+  label: 'Colorado',
+  weeklyRegularHours: FLSA_WEEKLY_REGULAR_HOURS,
+  hasSeventhDayRule: false,
+  hasMealRestPremiums: false,
+  classifyDay(totalHours) {
+    return splitDailyHours(totalHours, CO_DAILY_REGULAR_HOURS);
+  },
+});
@@ -0,0 +1,22 @@
+// Federal FLSA OT rules (29 U.S.C. §207).
+//
+//   - No daily rule: every hour of the day is regular.
+//   - Weekly cap: regular hours past hour 40 of the workweek become
+//     overtime (1.5x). No double time.
+//
+// Also the fallback for client work locations in states that have no
+// module of their own — the FLSA is the floor everywhere in the US.
+
+import { FLSA_WEEKLY_REGULAR_HOURS } from '../constants.js';
+import { splitDailyHours } from './shared.js';
+
+export const FEDERAL = Object.freeze({
+  code: 'FED',
+  label: 'Federal (FLSA)',
+  weeklyRegularHours: FLSA_WEEKLY_REGULAR_HOURS,
+  hasSeventhDayRule: false,
+  hasMealRestPremiums: false,
+  classifyDay(totalHours) {
+    return splitDailyHours(totalHours, Infinity);
+  },
+});
@@ -0,0 +1,145 @@
+// OT jurisdiction registry + resolution.
+//
+// Each jurisdiction is a frozen rule object with the same shape:
+//
+//   {
+//     code: 'CA',                 // value stored in settings / caregivers
+//     label: 'California',        // UI label
+//     weeklyRegularHours: 40,     // weekly cap applied after the daily rule
+//     hasSeventhDayRule: boolean, // CA-style 7th-consecutive-day premium
+//     hasMealRestPremiums: boolean, // CA meal/rest premiums (breakCompliance.js)
+//     classifyDay(totalHours, { isSeventhConsecutiveDay })
+//       → { regular, overtime, doubleTime }
+//   }
+//
+// `classifyHours` in overtimeRules.js looks the module up by code and
+// drives the rest of the week (day splitting, weekly cap, per-shift
+// distribution) the same way for every jurisdiction.
+//
+// Which jurisdiction applies to a caregiver's week is decided by
+// `resolveOtJurisdiction`, in this order:
+//   1. `caregivers.ot_jurisdiction` — explicit per-caregiver override.
+//   2. Client work location — the OT jurisdiction of the state on the
+//      clients the caregiver worked for that week, when they all agree.
+//   3. `organizations.settings.payroll.ot_jurisdiction` (org default).
+// When the week's work locations disagree (a caregiver split between a
+// CA and an NV client) the org default applies and `mixed` is set so
+// the exception detector can warn.
+
+import {
+  DEFAULT_OT_JURISDICTION,
+  FEDERAL_OT_JURISDICTION,
+  SUPPORTED_OT_JURISDICTIONS,
+} from '../constants.js';
+import { ALASKA } from './alaska.js';
+import { CALIFORNIA } from './california.js';
+import { COLORADO } from './colorado.js';
+import { FEDERAL } from './federal.js';
+import { NEVADA } from './nevada.js';
+
+const JURISDICTIONS = Object.freeze({
+  [CALIFORNIA.code]: CALIFORNIA,
+  [FEDERAL.code]: FEDERAL,
+  [ALASKA.code]: ALASKA,
+  [NEVADA.code]: NEVADA,
+  [COLORADO.code]: COLORADO,
+});
+
+// Full state names we accept on `clients.state` (free text today) for
+// the states that have their own module. Two-letter codes are matched
+// directly.
+const STATE_NAME_TO_CODE = Object.freeze({
+  CALIFORNIA: 'CA',
+  ALASKA: 'AK',
+  NEVADA: 'NV',
+  COLORADO: 'CO',
+});
+
+/**
+ * Look up a jurisdiction rule module by code. Returns null for codes
+ * without a module (the caller decides whether that is an error).
+ */
+export function getOtJurisdiction(code) {
+  if (typeof code !== 'string') return null;
+  return Object.prototype.hasOwnProperty.call(JURISDICTIONS, code)
+    ? JURISDICTIONS[code]
+    : null;
+}
+
+/**
+ * `[{ code, label }]` for every supported jurisdiction, in
+ * SUPPORTED_OT_JURISDICTIONS order. Used by settings / profile pickers.
+ */
+export function listOtJurisdictions() {
+  return SUPPORTED_OT_JURISDICTIONS.map((code) => ({
+    code,
+    label: JURISDICTIONS[code].label,
+  }));
+}
+
+/**
+ * Map a work-location state (as stored on `clients.state` — a 2-letter
+ * code or a full name, any case) to the OT jurisdiction that governs
+ * work performed there. States without a module fall back to the
+ * federal FLSA rules. Blank / missing → null (location unknown).
+ */
+export function stateToOtJurisdiction(state) {
+  if (typeof state !== 'string') return null;
+  const normalized = state.trim().toUpperCase();
+  if (normalized === '') return null;
+  const code = STATE_NAME_TO_CODE[normalized] || normalized;
+  if (code !== FEDERAL_OT_JURISDICTION && getOtJurisdiction(code)) return code;
+  return FEDERAL_OT_JURISDICTION;
+}
+
+/**
+ * Decide which OT jurisdiction classifies one caregiver's workweek.
+ *
+ * @param {object} args
+ * @param {{ot_jurisdiction?: string|null}} [args.caregiver]
+ *   Caregiver row. A supported `ot_jurisdiction` wins outright.
+ * @param {Array<string|null|undefined>} [args.workStates]
+ *   `clients.state` for each client the caregiver worked for in the
+ *   week. Blanks are ignored.
+ * @param {string} [args.orgDefault]
+ *   `organizations.settings.payroll.ot_jurisdiction`. Passed through
+ *   unvalidated so an unsupported org value still fails loudly in
+ *   `classifyHours`.
+ *
+ * @returns {{
+ *   jurisdiction: string,
+ *   source: 'caregiver' | 'work_location' | 'org_default',
+ *   workJurisdictions: string[],
+ *   mixed: boolean,
+ * }}
+ */
+export function resolveOtJurisdiction({ caregiver, workStates, orgDefault } = {}) {
+  const fallback = typeof orgDefault === 'string' && orgDefault.length > 0
+    ? orgDefault
+    : DEFAULT_OT_JURISDICTION;
+
+  const workJurisdictions = Array.from(
+    new Set((Array.isArray(workStates) ? workStates : []).map(stateToOtJurisdiction).filter(Boolean)),
+  ).sort();
+
+  const override = caregiver?.ot_jurisdiction;
+  if (getOtJurisdiction(override)) {
+    return { jurisdiction: override, source: 'caregiver', workJurisdictions, mixed: false };
+  }
+
+  if (workJurisdictions.length === 1) {
+    return {
+      jurisdiction: workJurisdictions[0],
+      source: 'work_location',
+      workJurisdictions,
+      mixed: false,
+    };
+  }
+
+  return {
+    jurisdiction: fallback,
+    source: 'org_default',
+    workJurisdictions,
+    mixed: workJurisdictions.length > 1,
+  };
+}
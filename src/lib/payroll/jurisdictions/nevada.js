@@ -0,0 +1,29 @@
+// Nevada OT rules (NRS 608.018).
+//
+//   - Daily hours 0..8        → regular
+//   - Daily hours 8+          → overtime (1.5x). No double time.
+//   - Weekly cap: regular hours past hour 40 become overtime.
+//
+// Two simplifications, both deliberate:
+//   - NRS measures the daily rule over "any 24-hour period" starting at
+//     the beginning of a shift; the engine uses calendar days in the
+//     payroll timezone like every other jurisdiction. For caregivers on
+//     one shift a day the two agree.
+//   - The daily rule only applies to employees paid less than 1.5x the
+//     NV minimum wage. Caregivers above that line should carry an
+//     explicit `caregivers.ot_jurisdiction = 'FED'` override so only
+//     the weekly rule applies to them.
+
+import { FLSA_WEEKLY_REGULAR_HOURS, NV_DAILY_REGULAR_HOURS } from '../constants.js';
+import { splitDailyHours } from './shared.js';
+
+export const NEVADA = Object.freeze({
+  code: 'NV',
+  label: 'Nevada',
+  weeklyRegularHours: FLSA_WEEKLY_REGULAR_HOURS,
+  hasSeventhDayRule: false,
+  hasMealRestPremiums: false,
+  classifyDay(totalHours) {
+    return splitDailyHours(totalHours, NV_DAILY_REGULAR_HOURS);
+  },
+});
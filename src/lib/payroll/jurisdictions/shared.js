@@ -0,0 +1,27 @@
+// Helpers shared by the OT jurisdiction modules.
+//
+// Every module in this directory exports a frozen rule object with the
+// same shape (see index.js). The daily split below covers every
+// jurisdiction we support — "first N hours regular, then overtime,
+// then (optionally) double time past a second threshold" — so each
+// module only has to name its thresholds.
+
+/**
+ * Split a day's total hours into regular / overtime / double-time
+ * buckets using a daily regular cap and an optional double-time
+ * threshold. Pass `Infinity` as the regular cap for jurisdictions with
+ * no daily rule (every hour stays regular until the weekly cap).
+ *
+ * @param {number} totalHours
+ * @param {number} regularCap          Hours of the day paid straight time.
+ * @param {number} [doubleTimeThreshold=Infinity]
+ *   Hour of the day past which hours are double time.
+ * @returns {{ regular: number, overtime: number, doubleTime: number }}
+ */
+export function splitDailyHours(totalHours, regularCap, doubleTimeThreshold = Infinity) {
+  if (!(totalHours > 0)) return { regular: 0, overtime: 0, doubleTime: 0 };
+  const regular = Math.min(totalHours, regularCap);
+  const overtime = Math.max(Math.min(totalHours, doubleTimeThreshold) - regularCap, 0);
+  const doubleTime = Math.max(totalHours - doubleTimeThreshold, 0);
+  return { regular, overtime, doubleTime };
+}
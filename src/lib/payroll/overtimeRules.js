@@ -1,22 +1,26 @@
-// CA Overtime classification.
+// Overtime classification.
 //
 // Pure function: takes a list of shifts + a workweek anchor + a
 // jurisdiction + a timezone, returns the regular/overtime/double-time
 // breakdown for the week — totals plus a per-shift split that the
 // timesheet builder turns into `timesheet_shifts` rows.
 //
-// California rules implemented (per CA Labor Code §510 + DLSE):
-//   - Daily hours 0..8        → regular
-//   - Daily hours 8..12       → overtime (1.5x)
-//   - Daily hours 12+         → double time (2.0x)
-//   - 7th consecutive day worked in the workweek:
-//         hours 0..8          → overtime (1.5x)
-//         hours 8+            → double time (2.0x)
-//   - Weekly cap: hours classified as "regular" above hour 40 of the
-//     workweek are reclassified as overtime (1.5x). The first 40 reg
-//     hours of the week in chronological order stay regular; anything
-//     after that becomes OT. Hours already classified daily as OT/DT
-//     are NOT double-counted by the weekly rule.
+// The per-jurisdiction rules live in `./jurisdictions/` (CA, federal
+// FLSA, AK, NV, CO). Each module supplies the daily split, the weekly
+// regular-hours cap, and whether the CA-style 7th-consecutive-day rule
+// applies; this file owns everything jurisdiction-independent:
+//   - Splitting shifts into calendar-day segments in the timezone.
+//   - The 7th-consecutive-day flag (only consulted when the module
+//     has `hasSeventhDayRule`).
+//   - Weekly cap: hours classified as "regular" above the module's
+//     weekly threshold are reclassified as overtime (1.5x). The first
+//     40 reg hours of the week in chronological order stay regular;
+//     anything after that becomes OT. Hours already classified daily
+//     as OT/DT are NOT double-counted by the weekly rule.
+//   - Distributing each day's classification back to its shifts.
+//   - Non-work time inside a shift (live-in sleep and meal periods,
+//     see src/lib/liveIn.js): a shift's `excludedHours` come off its
+//     day segments proportionally before any day is classified.
 //
 // Weighted-average regular rate of pay (added Phase 4 PR #2):
 //   When a single workweek contains shifts at distinct hourly rates,
@@ -34,10 +38,11 @@
 //   only have a single rate may skip the helper and short-circuit on
 //   that rate directly.
 //
-// The engine takes a `jurisdiction` parameter from day one even though
-// only `CA` is implemented. Other values throw a clear error so a
-// future migration to multi-state is a code change, not a silent
-// mis-classification.
+// Unsupported `jurisdiction` values throw a clear error rather than
+// silently falling back to CA rules — a mis-classified week is a wage
+// claim, an exception is a fixable config problem. Which jurisdiction
+// applies to a given caregiver-week is the caller's decision (see
+// `resolveOtJurisdiction` in ./jurisdictions/index.js).
 //
 // Plan reference:
 //   docs/plans/2026-04-25-paychex-integration-plan.md
@@ -45,13 +50,11 @@
 //   docs/handoff-paychex-phase-4.md ("Per-shift rates — deferred to Phase 4").
 
 import {
-  CA_DAILY_DOUBLE_TIME_THRESHOLD_HOURS,
-  CA_DAILY_REGULAR_HOURS,
-  CA_WEEKLY_REGULAR_HOURS,
   DEFAULT_OT_JURISDICTION,
   DEFAULT_PAYROLL_TIMEZONE,
   SUPPORTED_OT_JURISDICTIONS,
 } from './constants.js';
+import { getOtJurisdiction } from './jurisdictions/index.js';
 import {
   utcMsToWallClockParts,
   wallClockToUtcMs,
@@ -165,51 +168,29 @@ function splitShiftIntoDaySegments(shift, timezone) {
   return segments;
 }
 
-/**
- * Apply CA daily classification for a single day's total hours.
- * Returns { regular, overtime, doubleTime } with the daily breakdown.
- */
-function classifyCaDay(totalHours, isSeventhConsecutiveDay) {
-  if (totalHours <= 0) return { regular: 0, overtime: 0, doubleTime: 0 };
-
-  if (isSeventhConsecutiveDay) {
-    const overtime = Math.min(totalHours, CA_DAILY_REGULAR_HOURS);
-    const doubleTime = Math.max(totalHours - CA_DAILY_REGULAR_HOURS, 0);
-    return { regular: 0, overtime, doubleTime };
-  }
-
-  const regular = Math.min(totalHours, CA_DAILY_REGULAR_HOURS);
-  const overtime = Math.min(
-    Math.max(totalHours - CA_DAILY_REGULAR_HOURS, 0),
-    CA_DAILY_DOUBLE_TIME_THRESHOLD_HOURS - CA_DAILY_REGULAR_HOURS,
-  );
-  const doubleTime = Math.max(totalHours - CA_DAILY_DOUBLE_TIME_THRESHOLD_HOURS, 0);
-  return { regular, overtime, doubleTime };
-}
-
 /**
  * Walk the day map in workweek order and bump regular hours past the
- * 40h weekly cap into overtime, in chronological order. Mutates the
- * passed daily breakdown. Hours already classified as OT/DT under the
- * daily rule are NOT touched — they don't double-count toward the
- * weekly cap.
+ * jurisdiction's weekly cap (40h everywhere we support today) into
+ * overtime, in chronological order. Mutates the passed daily
+ * breakdown. Hours already classified as OT/DT under the daily rule
+ * are NOT touched — they don't double-count toward the weekly cap.
  */
-function applyWeeklyCap(workweekDays, dailyBreakdown) {
+function applyWeeklyCap(workweekDays, dailyBreakdown, weeklyRegularHours) {
   let runningRegular = 0;
   for (const { dayIso } of workweekDays) {
     const day = dailyBreakdown.get(dayIso);
     if (!day || day.regular <= 0) continue;
     const after = runningRegular + day.regular;
-    if (after <= CA_WEEKLY_REGULAR_HOURS) {
+    if (after <= weeklyRegularHours) {
       runningRegular = after;
       continue;
     }
     // Move (after - 40) hours from regular → overtime, capped at the
     // day's regular total (a day with 8 reg can't lose 12).
-    const toMove = Math.min(after - CA_WEEKLY_REGULAR_HOURS, day.regular);
+    const toMove = Math.min(after - weeklyRegularHours, day.regular);
     day.regular -= toMove;
     day.overtime += toMove;
-    runningRegular = CA_WEEKLY_REGULAR_HOURS;
+    runningRegular = weeklyRegularHours;
   }
 }
 
@@ -244,20 +225,24 @@ function distributeDayToSegments(segments, daily) {
 
 /**
  * Classify a workweek of shifts into regular / overtime / double-time
- * hours under the CA jurisdiction's rules.
+ * hours under the given jurisdiction's rules.
  *
  * @param {object} args
- * @param {Array<{id: string, startTime: Date|string, endTime: Date|string}>} args.shifts
+ * @param {Array<{id: string, startTime: Date|string, endTime: Date|string, excludedHours?: number}>} args.shifts
  *   Shifts the caregiver worked. The OT engine doesn't read clock_events
  *   directly — the timesheet builder is responsible for choosing
  *   start/end (typically clock-in/out times). Shifts with end <= start
  *   are silently dropped (zero duration); the timesheet builder is
- *   responsible for the missing-clock-out exception.
+ *   responsible for the missing-clock-out exception. `excludedHours`
+ *   (live-in sleep / meal time) is spread across the shift's calendar
+ *   days in proportion to each day's share of the shift, so
+ *   `byShift[].totalHours` is the paid hours.
  * @param {Date|string} args.weekStart
  *   First day of the workweek (Monday in the configured timezone).
  *   Accepts a Date or a YYYY-MM-DD string.
  * @param {string} [args.jurisdiction]
- *   Jurisdiction key. v1 only implements 'CA'; other values throw.
+ *   Jurisdiction code — one of SUPPORTED_OT_JURISDICTIONS ('CA',
+ *   'FED', 'AK', 'NV', 'CO'). Other values throw. Defaults to 'CA'.
  * @param {string} [args.timezone]
  *   IANA timezone for day-boundary determination. Defaults to
  *   America/Los_Angeles when the caller omits one.
@@ -290,11 +275,12 @@ export function classifyHours({
   jurisdiction = DEFAULT_OT_JURISDICTION,
   timezone = DEFAULT_PAYROLL_TIMEZONE,
 }) {
-  if (!SUPPORTED_OT_JURISDICTIONS.includes(jurisdiction)) {
+  const rules = getOtJurisdiction(jurisdiction);
+  if (!rules) {
     throw new Error(
-      `overtimeRules: jurisdiction "${jurisdiction}" is not supported in v1. ` +
-        `Only ${SUPPORTED_OT_JURISDICTIONS.join(', ')} is implemented. ` +
-        `Add the new jurisdiction to SUPPORTED_OT_JURISDICTIONS and a branch in classifyHours.`,
+      `overtimeRules: jurisdiction "${jurisdiction}" is not supported. ` +
+        `Implemented: ${SUPPORTED_OT_JURISDICTIONS.join(', ')}. ` +
+        `Add a module under src/lib/payroll/jurisdictions/ and register it in index.js.`,
     );
   }
   if (!Array.isArray(shifts)) {
@@ -312,6 +298,15 @@ export function classifyHours({
       throw new Error('overtimeRules: every shift requires a non-empty id');
     }
     const segments = splitShiftIntoDaySegments(shift, tz);
+    const excluded = Number(shift.excludedHours) || 0;
+    if (excluded > 0 && segments.length > 0) {
+      // Scale every day segment by the paid share of the whole shift
+      // (before the workweek filter below, so a boundary-spanning
+      // shift loses the same share on both weeks' timesheets).
+      const total = segments.reduce((sum, seg) => sum + seg.hours, 0);
+      const paidShare = Math.max(0, total - excluded) / total;
+      for (const seg of segments) seg.hours *= paidShare;
+    }
     for (const seg of segments) {
       if (!validDayIsos.has(seg.dayIso)) {
         // Shift segment falls outside the workweek (the caller passed
@@ -353,28 +348,28 @@ export function classifyHours({
   // ── 4. Determine the 7th-consecutive-day flag ──
   // The rule fires only if every prior day in the workweek (positions
   // 0..5) has hours > 0 AND the 7th day (position 6) itself has hours.
+  // Jurisdictions without the rule (everything but CA) never set it.
   const sundayDayIso = workweekDays[6].dayIso;
   const sundayDay = dailyBreakdown.get(sundayDayIso);
   const priorSixWorked = workweekDays
     .slice(0, 6)
     .every(({ dayIso }) => (dailyBreakdown.get(dayIso)?.totalHours ?? 0) > 0);
-  if (priorSixWorked && sundayDay && sundayDay.totalHours > 0) {
+  if (rules.hasSeventhDayRule && priorSixWorked && sundayDay && sundayDay.totalHours > 0) {
     sundayDay.isSeventhConsecutiveDay = true;
   }
 
   // ── 5. Daily classification ──
   for (const day of dailyBreakdown.values()) {
-    const { regular, overtime, doubleTime } = classifyCaDay(
-      day.totalHours,
-      day.isSeventhConsecutiveDay,
-    );
+    const { regular, overtime, doubleTime } = rules.classifyDay(day.totalHours, {
+      isSeventhConsecutiveDay: day.isSeventhConsecutiveDay,
+    });
     day.regular = regular;
     day.overtime = overtime;
     day.doubleTime = doubleTime;
   }
 
   // ── 6. Weekly 40h cap ──
-  applyWeeklyCap(workweekDays, dailyBreakdown);
+  applyWeeklyCap(workweekDays, dailyBreakdown, rules.weeklyRegularHours);
 
   // ── 7. Distribute each day's classified hours to its segments ──
   const classifiedSegments = [];
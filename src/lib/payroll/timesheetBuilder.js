@@ -40,13 +40,59 @@
 //  - When the week has no shifts and no mileage, the builder returns
 //    null. The caller skips empty weeks entirely (no DB row created).
 //
+//  - The OT jurisdiction is resolved per caregiver-week: the
+//    caregiver's `ot_jurisdiction` override, else the state of the
+//    clients worked for (when they agree), else the org default. See
+//    `resolveOtJurisdiction` in ./jurisdictions/index.js. Callers that
+//    pass neither `caregiver` nor `clients` get the org default, which
+//    is the pre-multi-state behavior.
+//
+//  - Per-shift pay rates resolve through the rate cards
+//    (src/lib/rateCards.js `resolvePayRate`): shifts.hourly_rate, then
+//    the caregiver's card for the shift's service type, then
+//    caregivers.default_pay_rate. Cards are matched on the workweek's
+//    Monday, so a pay change takes effect for whole weeks. A shift
+//    with no rate at all still surfaces as `caregiver_missing_rate`;
+//    a service type with no card for a caregiver who is on cards
+//    surfaces as `caregiver_missing_service_rate`.
+//
+//  - CA meal / rest period premiums (breakCompliance.js) are computed
+//    when the org turns on `payroll.meal_rest_premiums` AND the week's
+//    jurisdiction has meal/rest rules. Only shifts with a real clock-in
+//    and clock-out are evaluated — a scheduled-time fallback has no
+//    break record to judge. Each workday (clock-in date in tz) owes at
+//    most one meal premium hour and one rest premium hour, however
+//    many shifts it holds. Premium hours are paid at the regular rate
+//    of pay and are NOT hours worked, so they stay out of the OT engine.
+//
+//  - Live-in shifts (service_type 'live_in', src/lib/liveIn.js) have
+//    their sleep and meal time excluded before OT classification, so
+//    `hours_worked` and the OT split reflect paid hours only. A shift
+//    with a `daily_pay_rate` is paid that rate per day, converted to an
+//    hourly equivalent over the shift's paid hours; the equivalent
+//    then feeds the weighted ROP like any other shift rate.
+//
+//  - Multi-caregiver shifts (src/lib/scheduling/shiftSlots.js): a slot
+//    caregiver's shifts arrive as `slotShiftView` rows — the shift with
+//    them in assigned_caregiver_id and the slot's pay rate — and only
+//    their own clock events count toward the worked window. Events
+//    without a caregiver_id (older fixtures) are taken as theirs.
+//
 // Plan reference:
 //   docs/plans/2026-04-25-paychex-integration-plan.md
 //   ("Phase 3 — Timesheet generation and overtime engine").
 //   docs/handoff-paychex-phase-4.md ("Per-shift rates — deferred to Phase 4").
 
 import { HOUR_CLASSIFICATION } from './constants.js';
+import { evaluateBreakCompliance } from './breakCompliance.js';
+import { getOtJurisdiction, resolveOtJurisdiction } from './jurisdictions/index.js';
 import { classifyHours, computeRegularRateOfPay } from './overtimeRules.js';
+import { RATE_SOURCE, resolvePayRate } from '../rateCards.js';
+import {
+  computeLiveInDeductions,
+  dailyRateHourlyEquivalent,
+  isLiveInShift,
+} from '../liveIn.js';
 import {
   utcMsToWallClockParts,
   wallClockToUtcMs,
@@ -113,6 +159,7 @@ function readPayrollSettings(orgSettings) {
       ? payroll.ot_jurisdiction
       : 'CA',
     mileageRate: Number.isFinite(payroll.mileage_rate) ? Number(payroll.mileage_rate) : 0.725,
+    mealRestPremiums: payroll.meal_rest_premiums === true,
   };
 }
 
@@ -203,10 +250,10 @@ function dominantClassification(reg, ot, dt) {
  * timesheet's gross_pay computation; the rate_mismatch exception
  * surfaces it for back-office review).
  */
-function pickPrimaryRate(shifts) {
+function pickPrimaryRate(shifts, rateByShiftId) {
   const counts = new Map();
   for (const s of shifts) {
-    const r = s.hourly_rate;
+    const r = rateByShiftId.get(s.id)?.rate;
     if (typeof r !== 'number' || !Number.isFinite(r)) continue;
     counts.set(r, (counts.get(r) || 0) + 1);
   }
@@ -235,10 +282,22 @@ function pickPrimaryRate(shifts) {
  *   to non-cancelled statuses.
  * @param {Array<object>} args.clockEvents
  *   Clock events for those shifts. The builder filters by shift_id
- *   internally; passing extras is harmless.
+ *   and caregiver_id internally; passing extras is harmless.
  * @param {object} args.orgSettings
  *   `organizations.settings` jsonb. Reads timezone, jurisdiction,
- *   mileage_rate from `payroll`.
+ *   mileage_rate, meal_rest_premiums from `payroll`.
+ * @param {{ot_jurisdiction?: string|null, meal_period_waiver?: boolean, default_pay_rate?: number|null}} [args.caregiver]
+ *   Caregiver row. A set `ot_jurisdiction` overrides work-location
+ *   and org-default jurisdiction resolution; `meal_period_waiver`
+ *   feeds the CA meal waiver rules; `default_pay_rate` prices shifts
+ *   with no rate and no matching rate card.
+ * @param {Array<{id: string, state?: string|null}>} [args.clients]
+ *   Clients referenced by the shifts' `client_id`. Their `state` is
+ *   the work location used to pick the OT jurisdiction.
+ * @param {Array<object>} [args.rateCards]
+ *   The caregiver's `rate_cards` rows (scope 'caregiver'). Omitted or
+ *   empty means pay runs off shifts.hourly_rate and the caregiver
+ *   default only.
  *
  * @returns {null | {
  *   timesheet: object,             // shape suitable for INSERT into timesheets
@@ -254,6 +313,9 @@ export function buildTimesheet({
   shifts,
   clockEvents,
   orgSettings,
+  caregiver,
+  clients,
+  rateCards = [],
 }) {
   if (!orgId) throw new Error('timesheetBuilder: orgId is required');
   if (!caregiverId) throw new Error('timesheetBuilder: caregiverId is required');
@@ -264,7 +326,12 @@ export function buildTimesheet({
     throw new Error('timesheetBuilder: clockEvents must be an array');
   }
 
-  const { timezone, jurisdiction, mileageRate } = readPayrollSettings(orgSettings);
+  const {
+    timezone,
+    jurisdiction: orgJurisdiction,
+    mileageRate,
+    mealRestPremiums,
+  } = readPayrollSettings(orgSettings);
 
   const weekStartMs = dateOnlyToTzMidnightMs(weekStart, timezone);
   // weekEnd is the last calendar day of the workweek (Sunday). The
@@ -292,10 +359,46 @@ export function buildTimesheet({
 
   if (inWeekShifts.length === 0) return null;
 
-  // Resolve actual worked window for each shift.
+  // Pick the OT jurisdiction from the clients this caregiver actually
+  // worked for this week.
+  const clientStateById = new Map(
+    (Array.isArray(clients) ? clients : [])
+      .filter((c) => c && c.id)
+      .map((c) => [c.id, c.state ?? null]),
+  );
+  const {
+    jurisdiction,
+    source: jurisdictionSource,
+    workJurisdictions,
+    mixed: mixedWorkJurisdictions,
+  } = resolveOtJurisdiction({
+    caregiver,
+    workStates: inWeekShifts.map((s) => clientStateById.get(s.client_id)),
+    orgDefault: orgJurisdiction,
+  });
+
+  // Resolve each shift's pay rate once; every rate read below goes
+  // through this map.
+  const payRateDate = toDateOnly(weekStart, timezone);
+  const rateByShiftId = new Map(
+    inWeekShifts.map((s) => [
+      s.id,
+      resolvePayRate({
+        rateCards,
+        caregiver: { ...(caregiver ?? {}), id: caregiverId },
+        serviceType: s.service_type ?? null,
+        date: payRateDate,
+        shiftRate: typeof s.hourly_rate === 'number' ? s.hourly_rate : null,
+      }),
+    ]),
+  );
+
+  // Resolve actual worked window for each shift. On a shift with
+  // slots every caregiver has their own clock-in / clock-out.
   const eventsByShiftId = new Map();
   for (const e of clockEvents) {
     if (!e.shift_id) continue;
+    if (e.caregiver_id != null && e.caregiver_id !== caregiverId) continue;
     if (!eventsByShiftId.has(e.shift_id)) eventsByShiftId.set(e.shift_id, []);
     eventsByShiftId.get(e.shift_id).push(e);
   }
@@ -304,6 +407,40 @@ export function buildTimesheet({
     resolveShiftWindow(s, eventsByShiftId.get(s.id) || []),
   );
 
+  // Live-in deductions are worked out on the whole worked window (not
+  // just the in-week part): the 24h duty test and the day count are
+  // properties of the shift. A day rate replaces the resolved hourly
+  // rate with its hourly equivalent over the shift's paid hours.
+  const liveInByShiftId = new Map();
+  for (const r of resolved) {
+    if (!isLiveInShift(r.shift)) continue;
+    if (r.startMs == null || r.endMs == null || r.endMs <= r.startMs) continue;
+    const deductions = computeLiveInDeductions({
+      durationHours: (r.endMs - r.startMs) / 3_600_000,
+      sleepHoursPerDay: r.shift.sleep_hours_per_day,
+      mealHoursPerDay: r.shift.meal_hours_per_day,
+      sleepInterrupted: r.shift.sleep_interrupted === true,
+    });
+    const dailyRate = r.shift.daily_pay_rate != null ? Number(r.shift.daily_pay_rate) : null;
+    const dailyEquivalent = dailyRateHourlyEquivalent({
+      dailyRate,
+      days: deductions.days,
+      paidHours: deductions.paidHours,
+    });
+    if (dailyEquivalent != null) {
+      rateByShiftId.set(r.shift.id, {
+        ...rateByShiftId.get(r.shift.id),
+        rate: dailyEquivalent,
+        source: RATE_SOURCE.DAILY_RATE,
+        missingServiceRate: false,
+      });
+    }
+    liveInByShiftId.set(r.shift.id, {
+      ...deductions,
+      dailyPayRate: dailyEquivalent != null ? dailyRate : null,
+    });
+  }
+
   // Run the OT engine on resolvable, non-zero shifts only.
   const otShifts = [];
   for (const r of resolved) {
@@ -313,6 +450,7 @@ export function buildTimesheet({
       id: r.shift.id,
       startTime: new Date(r.startMs).toISOString(),
       endTime: new Date(r.endMs).toISOString(),
+      excludedHours: liveInByShiftId.get(r.shift.id)?.excludedHours ?? 0,
     });
   }
 
@@ -323,6 +461,57 @@ export function buildTimesheet({
     timezone,
   });
 
+  // CA meal / rest premiums, per shift, capped per workday. Shifts are
+  // walked in clock-in order so the first violating shift of a day
+  // carries that day's premium hour. A shift that started in the prior
+  // week was already judged on that week's timesheet. Live-in shifts
+  // are left out: their meal time is a configured deduction, not a
+  // clocked break.
+  const breakByShiftId = new Map();
+  let mealPremiumHours = 0;
+  let restPremiumHours = 0;
+  const mealRestRulesApply =
+    mealRestPremiums && getOtJurisdiction(jurisdiction)?.hasMealRestPremiums === true;
+  if (mealRestRulesApply) {
+    const premiumsByDay = new Map();
+    const evaluable = resolved
+      .filter((r) =>
+        !r.missingClockIn
+        && !r.missingClockOut
+        && !liveInByShiftId.has(r.shift.id)
+        && r.startMs != null
+        && r.endMs != null
+        && r.endMs > r.startMs
+        && r.startMs >= weekStartMs
+        && r.startMs < weekEndExclusiveMs,
+      )
+      .sort((a, b) => a.startMs - b.startMs);
+    for (const r of evaluable) {
+      const result = evaluateBreakCompliance({
+        startMs: r.startMs,
+        endMs: r.endMs,
+        breakEvents: eventsByShiftId.get(r.shift.id) || [],
+        mealWaiver: caregiver?.meal_period_waiver === true,
+      });
+      const day = utcMsToWallClockParts(r.startMs, timezone).dateOnly;
+      const paid = premiumsByDay.get(day) || { meal: false, rest: false };
+      const mealPremium = paid.meal ? 0 : result.mealPremiumHours;
+      const restPremium = paid.rest ? 0 : result.restPremiumHours;
+      premiumsByDay.set(day, {
+        meal: paid.meal || mealPremium > 0,
+        rest: paid.rest || restPremium > 0,
+      });
+      mealPremiumHours += mealPremium;
+      restPremiumHours += restPremium;
+      breakByShiftId.set(r.shift.id, {
+        ...result,
+        workday: day,
+        mealPremiumHours: mealPremium,
+        restPremiumHours: restPremium,
+      });
+    }
+  }
+
   // Build per-shift timesheet_shifts rows.
   const byShiftMap = new Map(otResult.byShift.map((row) => [row.shiftId, row]));
   const timesheetShiftRows = resolved.map((r) => {
@@ -366,29 +555,21 @@ export function buildTimesheet({
       .map((r) => {
         const cls = byShiftMap.get(r.shift.id);
         const hours = cls ? cls.totalHours : 0;
-        const rate =
-          typeof r.shift.hourly_rate === 'number'
-            && Number.isFinite(r.shift.hourly_rate)
-            ? r.shift.hourly_rate
-            : null;
+        const rate = rateByShiftId.get(r.shift.id)?.rate ?? null;
         return { hours, rate };
       })
       .filter((s) => s.hours > 0 && s.rate != null),
   });
   const regularRateOfPay = ropResult.regularRateOfPay;
   const distinctRates = ropResult.distinctRates;
-  const primaryRate = pickPrimaryRate(inWeekShifts);
+  const primaryRate = pickPrimaryRate(inWeekShifts, rateByShiftId);
 
   const perShiftWithRate = resolved.map((r) => {
     const cls = byShiftMap.get(r.shift.id);
     const reg = cls ? cls.regular : 0;
     const ot = cls ? cls.overtime : 0;
     const dt = cls ? cls.doubleTime : 0;
-    const rate =
-      typeof r.shift.hourly_rate === 'number'
-        && Number.isFinite(r.shift.hourly_rate)
-        ? r.shift.hourly_rate
-        : null;
+    const rate = rateByShiftId.get(r.shift.id)?.rate ?? null;
     return { shiftId: r.shift.id, regular: reg, overtime: ot, doubleTime: dt, rate };
   });
 
@@ -406,14 +587,18 @@ export function buildTimesheet({
   // via `caregiver_missing_rate` style exceptions.
   let otGross = 0;
   let dtGross = 0;
+  let breakPremiumGross = 0;
   if (regularRateOfPay != null) {
     otGross = otResult.overtime * regularRateOfPay * 1.5;
     dtGross = otResult.doubleTime * regularRateOfPay * 2;
+    // Meal / rest premiums are one hour at the regular rate of pay
+    // (Ferra v. Loews, 2021), not at the base rate.
+    breakPremiumGross = (mealPremiumHours + restPremiumHours) * regularRateOfPay;
   }
 
   const grossPay = regularRateOfPay == null
     ? 0
-    : round2(regularGross + otGross + dtGross);
+    : round2(regularGross + otGross + dtGross + breakPremiumGross);
 
   const mileageReimbursement = round2(totalMileage * mileageRate);
 
@@ -426,6 +611,8 @@ export function buildTimesheet({
     regular_hours: otResult.regular,
     overtime_hours: otResult.overtime,
     double_time_hours: otResult.doubleTime,
+    meal_premium_hours: mealPremiumHours,
+    rest_premium_hours: restPremiumHours,
     mileage_total: round2(totalMileage),
     mileage_reimbursement: mileageReimbursement,
     gross_pay: grossPay,
@@ -454,6 +641,10 @@ export function buildTimesheet({
     mileageRate,
     timezone,
     jurisdiction,
+    jurisdictionSource,
+    workJurisdictions,
+    mixedWorkJurisdictions,
+    mealRestRulesApply,
     perShift: resolved.map((r) => {
       const cls = byShiftMap.get(r.shift.id);
       return {
@@ -466,10 +657,12 @@ export function buildTimesheet({
         scheduledStart: r.shift.start_time ?? null,
         scheduledEnd: r.shift.end_time ?? null,
         status: r.shift.status ?? null,
-        hourly_rate:
-          typeof r.shift.hourly_rate === 'number' && Number.isFinite(r.shift.hourly_rate)
-            ? r.shift.hourly_rate
-            : null,
+        // Resolved pay rate (shift, rate card, or caregiver default);
+        // null when none matched.
+        hourly_rate: rateByShiftId.get(r.shift.id)?.rate ?? null,
+        rate_source: rateByShiftId.get(r.shift.id)?.source ?? null,
+        service_type: r.shift.service_type ?? null,
+        missing_service_rate: rateByShiftId.get(r.shift.id)?.missingServiceRate === true,
         mileage: Number.isFinite(r.shift.mileage) ? Number(r.shift.mileage) : 0,
         regular: cls ? cls.regular : 0,
         overtime: cls ? cls.overtime : 0,
@@ -480,6 +673,13 @@ export function buildTimesheet({
         hadGeofenceFailure: (eventsByShiftId.get(r.shift.id) || []).some(
           (e) => e.geofence_passed === false,
         ),
+        // breakCompliance result with per-day-capped premium hours;
+        // null when meal/rest rules don't apply or the shift wasn't
+        // evaluable (no real clock-in / clock-out).
+        breakCompliance: breakByShiftId.get(r.shift.id) ?? null,
+        // computeLiveInDeductions result plus the day rate applied;
+        // null for shifts that aren't live-in.
+        liveIn: liveInByShiftId.get(r.shift.id) ?? null,
       };
     }),
   };
@@ -0,0 +1,21 @@
+// ─── PDF text ───
+// Shared by the pdf-lib generators (interview evaluation, CMS-485).
+// pdf-lib's standard Helvetica only supports WinAnsi: drawText throws
+// on em-dashes, smart quotes, emoji and the like.
+
+/**
+ * Text safe to draw with a standard font: typographic punctuation
+ * mapped to ASCII, anything else outside printable ASCII dropped.
+ * null / undefined become ''.
+ */
+export function sanitizePdfText(text) {
+  if (text === undefined || text === null) return '';
+  return String(text)
+    .replace(/[‘’‚‛]/g, "'")
+    .replace(/[“”„‟]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/·/g, '-')
+    .replace(/ /g, ' ')
+    .replace(/[^\x09\x0A\x0D\x20-\x7E]/g, '');
+}
@@ -0,0 +1,297 @@
+// ─── Rate cards ───
+// Pure rate resolution shared by scheduling (shift form prefill),
+// payroll (buildTimesheet) and invoicing (buildInvoice). A rate card
+// is one row of `rate_cards` (migration 20260609000000): a rate for a
+// service type, scoped to a client, a payer type, or a caregiver.
+//
+//   - Client and payer cards are BILL rates (what the client is
+//     charged). Caregiver cards are PAY rates (what the caregiver
+//     earns).
+//   - `service_type` NULL on a card means "any service type" — the
+//     catch-all for that client / payer / caregiver. A card for the
+//     shift's exact service type beats the catch-all.
+//   - `effective_from` / `effective_to` are inclusive dates; either
+//     may be NULL (open-ended). When two cards tie on service type,
+//     the one that took effect most recently wins.
+//
+// Resolution order, highest first:
+//
+//   bill:  shift.billable_rate → client card → payer card
+//            → clients.default_billable_rate → none
+//   pay:   shift.hourly_rate → caregiver card
+//            → caregivers.default_pay_rate → none
+//
+// A per-shift rate is always an explicit override. "none" is the
+// caller's cue to raise its missing-rate block exception. Separately,
+// `missingServiceRate` flags a shift whose service type has no card
+// while its client / payer / caregiver IS on rate cards — the shift
+// was priced from a flat default and the card table has a gap.
+//
+// The DB trigger auto_fill_shift_rates_from_defaults walks the same
+// order when a shift is written, so in steady state the per-shift
+// rate already holds the card rate; the builders only fall through to
+// the cards for shifts written before a card existed.
+
+export const SERVICE_TYPE = Object.freeze({
+  PERSONAL_CARE: 'personal_care',
+  COMPANION: 'companion',
+  LIVE_IN: 'live_in',
+});
+
+export const SERVICE_TYPE_LABELS = Object.freeze({
+  [SERVICE_TYPE.PERSONAL_CARE]: 'Personal care',
+  [SERVICE_TYPE.COMPANION]: 'Companion',
+  [SERVICE_TYPE.LIVE_IN]: 'Live-in',
+});
+
+export const RATE_CARD_SCOPE = Object.freeze({
+  CLIENT: 'client',
+  PAYER: 'payer',
+  CAREGIVER: 'caregiver',
+});
+
+export const RATE_SOURCE = Object.freeze({
+  SHIFT: 'shift',
+  CLIENT_CARD: 'client_card',
+  PAYER_CARD: 'payer_card',
+  CLIENT_DEFAULT: 'client_default',
+  CAREGIVER_CARD: 'caregiver_card',
+  CAREGIVER_DEFAULT: 'caregiver_default',
+  // Live-in day rate (shifts.daily_pay_rate / daily_bill_rate), applied
+  // by the builders ahead of everything above. See src/lib/liveIn.js.
+  DAILY_RATE: 'daily_rate',
+});
+
+function isPositiveNumber(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n > 0;
+}
+
+function toRate(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return isPositiveNumber(n) ? n : null;
+}
+
+/**
+ * Coerce a `rate_cards` row from PostgREST (numerics may arrive as
+ * strings) into the shape the resolvers read. Columns stay snake_case,
+ * like the shift / client rows the builders consume.
+ */
+export function normalizeRateCard(row) {
+  return {
+    ...row,
+    rate: Number(row.rate),
+    ot_rate: row.ot_rate != null ? Number(row.ot_rate) : null,
+  };
+}
+
+function cardTarget(card) {
+  switch (card?.scope) {
+    case RATE_CARD_SCOPE.CLIENT: return card.client_id ?? null;
+    case RATE_CARD_SCOPE.PAYER: return card.payer_type ?? null;
+    case RATE_CARD_SCOPE.CAREGIVER: return card.caregiver_id ?? null;
+    default: return null;
+  }
+}
+
+function isActiveOn(card, date) {
+  if (!date) return card.effective_to == null;
+  if (card.effective_from && card.effective_from > date) return false;
+  if (card.effective_to && card.effective_to < date) return false;
+  return true;
+}
+
+/**
+ * Find the best rate card for one scope/target/service type/date.
+ *
+ * @param {object} args
+ * @param {Array<object>} args.rateCards  `rate_cards` rows (any scope).
+ * @param {'client'|'payer'|'caregiver'} args.scope
+ * @param {string|null} args.targetId  client id, payer type, or caregiver id.
+ * @param {string|null} [args.serviceType]
+ * @param {string|null} [args.date]  YYYY-MM-DD. Null matches only
+ *   cards with no end date.
+ * @returns {object|null} The matching card, or null.
+ */
+export function findRateCard({ rateCards, scope, targetId, serviceType = null, date = null }) {
+  if (!Array.isArray(rateCards) || !targetId) return null;
+  let best = null;
+  for (const card of rateCards) {
+    if (!card || card.scope !== scope || cardTarget(card) !== targetId) continue;
+    if (toRate(card.rate) == null) continue;
+    const exact = serviceType != null && card.service_type === serviceType;
+    if (!exact && card.service_type != null) continue;
+    if (!isActiveOn(card, date)) continue;
+    if (!best) {
+      best = { card, exact };
+      continue;
+    }
+    if (exact !== best.exact) {
+      if (exact) best = { card, exact };
+      continue;
+    }
+    if ((card.effective_from ?? '') > (best.card.effective_from ?? '')) {
+      best = { card, exact };
+    }
+  }
+  return best ? best.card : null;
+}
+
+/** True when `targetId` has at least one card in `scope`. */
+function hasAnyCard(rateCards, scope, targetId) {
+  if (!Array.isArray(rateCards) || !targetId) return false;
+  return rateCards.some((c) => c?.scope === scope && cardTarget(c) === targetId);
+}
+
+/**
+ * Resolve the bill rate for one shift.
+ *
+ * @param {object} args
+ * @param {Array<object>} [args.rateCards]
+ * @param {object|null} args.client  Reads id, payer_type,
+ *   default_billable_rate, default_billable_ot_rate.
+ * @param {string|null} [args.serviceType]
+ * @param {string|null} [args.date]  YYYY-MM-DD the card must be in effect on.
+ * @param {number|null} [args.shiftRate]  shifts.billable_rate.
+ * @returns {{
+ *   rate: number,
+ *   otRate: number|null,   // from the card / client; null = caller derives
+ *   source: string|null,   // RATE_SOURCE value; null = no rate
+ *   card: object|null,     // the card matched for the service type
+ *   missingServiceRate: boolean,
+ * }}
+ */
+export function resolveBillRate({ rateCards = [], client, serviceType = null, date = null, shiftRate = null }) {
+  const clientCard = findRateCard({
+    rateCards, scope: RATE_CARD_SCOPE.CLIENT, targetId: client?.id, serviceType, date,
+  });
+  const payerCard = clientCard ? null : findRateCard({
+    rateCards, scope: RATE_CARD_SCOPE.PAYER, targetId: client?.payer_type, serviceType, date,
+  });
+  const card = clientCard ?? payerCard;
+  const onCards = hasAnyCard(rateCards, RATE_CARD_SCOPE.CLIENT, client?.id)
+    || hasAnyCard(rateCards, RATE_CARD_SCOPE.PAYER, client?.payer_type);
+  const missingServiceRate = serviceType != null && card == null && onCards;
+
+  const cardOt = card ? toRate(card.ot_rate) : null;
+  const clientOt = toRate(client?.default_billable_ot_rate);
+
+  const override = toRate(shiftRate);
+  if (override != null) {
+    return {
+      rate: override,
+      otRate: card ? cardOt : clientOt,
+      source: RATE_SOURCE.SHIFT,
+      card,
+      missingServiceRate,
+    };
+  }
+  if (card) {
+    return {
+      rate: toRate(card.rate),
+      otRate: cardOt,
+      source: clientCard ? RATE_SOURCE.CLIENT_CARD : RATE_SOURCE.PAYER_CARD,
+      card,
+      missingServiceRate,
+    };
+  }
+  const fallback = toRate(client?.default_billable_rate);
+  if (fallback != null) {
+    return {
+      rate: fallback,
+      otRate: clientOt,
+      source: RATE_SOURCE.CLIENT_DEFAULT,
+      card: null,
+      missingServiceRate,
+    };
+  }
+  return { rate: 0, otRate: null, source: null, card: null, missingServiceRate };
+}
+
+/**
+ * Resolve the pay rate for one shift.
+ *
+ * @param {object} args
+ * @param {Array<object>} [args.rateCards]
+ * @param {object|null} args.caregiver  Reads id, default_pay_rate.
+ * @param {string|null} [args.serviceType]
+ * @param {string|null} [args.date]  YYYY-MM-DD the card must be in effect on.
+ * @param {number|null} [args.shiftRate]  shifts.hourly_rate.
+ * @returns {{
+ *   rate: number|null,
+ *   source: string|null,
+ *   card: object|null,
+ *   missingServiceRate: boolean,
+ * }}
+ */
+export function resolvePayRate({ rateCards = [], caregiver, serviceType = null, date = null, shiftRate = null }) {
+  const card = findRateCard({
+    rateCards, scope: RATE_CARD_SCOPE.CAREGIVER, targetId: caregiver?.id, serviceType, date,
+  });
+  const missingServiceRate = serviceType != null
+    && card == null
+    && hasAnyCard(rateCards, RATE_CARD_SCOPE.CAREGIVER, caregiver?.id);
+
+  const override = toRate(shiftRate);
+  if (override != null) {
+    return { rate: override, source: RATE_SOURCE.SHIFT, card, missingServiceRate };
+  }
+  if (card) {
+    return { rate: toRate(card.rate), source: RATE_SOURCE.CAREGIVER_CARD, card, missingServiceRate };
+  }
+  const fallback = toRate(caregiver?.default_pay_rate);
+  if (fallback != null) {
+    return { rate: fallback, source: RATE_SOURCE.CAREGIVER_DEFAULT, card: null, missingServiceRate };
+  }
+  return { rate: null, source: null, card: null, missingServiceRate };
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a new rate card before it's written. Mirrors the table's
+ * CHECK constraints so the UI (and rate-cards-update) can reject a
+ * bad card with a readable message instead of a constraint name.
+ *
+ * @param {object} card  snake_case rate_cards columns.
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateRateCard(card) {
+  if (!card || typeof card !== 'object') return 'Rate card is required.';
+  if (!Object.values(RATE_CARD_SCOPE).includes(card.scope)) {
+    return `Unknown scope "${card.scope}".`;
+  }
+  if (!cardTarget(card)) {
+    return card.scope === RATE_CARD_SCOPE.PAYER
+      ? 'Pick a payer type.'
+      : `Pick a ${card.scope}.`;
+  }
+  for (const [scope, field] of [
+    [RATE_CARD_SCOPE.CLIENT, 'client_id'],
+    [RATE_CARD_SCOPE.PAYER, 'payer_type'],
+    [RATE_CARD_SCOPE.CAREGIVER, 'caregiver_id'],
+  ]) {
+    if (scope !== card.scope && card[field] != null) {
+      return `A ${card.scope} card can't also set ${field}.`;
+    }
+  }
+  if (card.service_type != null && !Object.values(SERVICE_TYPE).includes(card.service_type)) {
+    return `Unknown service type "${card.service_type}".`;
+  }
+  if (toRate(card.rate) == null) return 'Rate must be greater than 0.';
+  if (card.ot_rate != null && card.ot_rate !== '') {
+    if (card.scope === RATE_CARD_SCOPE.CAREGIVER) {
+      return 'Pay cards have no OT rate — payroll computes OT from the regular rate of pay.';
+    }
+    if (toRate(card.ot_rate) == null) return 'OT rate must be greater than 0.';
+  }
+  for (const field of ['effective_from', 'effective_to']) {
+    if (card[field] != null && !DATE_RE.test(card[field])) {
+      return `${field} must be YYYY-MM-DD.`;
+    }
+  }
+  if (card.effective_from && card.effective_to && card.effective_to < card.effective_from) {
+    return 'Effective-to date is before the effective-from date.';
+  }
+  return null;
+}
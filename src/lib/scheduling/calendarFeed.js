@@ -0,0 +1,387 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — iCalendar (ICS) Feeds
+//
+// Read-only schedule feeds a caregiver or a client's family subscribes
+// to from Google / Apple / Outlook calendar. Each feed is a
+// calendar_feeds row holding a random token; the public
+// `calendar-feed` edge function serves the ICS for a live token, and
+// staff issue and revoke feeds from the caregiver and client detail
+// pages. This file is the pure part: token and URL helpers, the
+// shift → event mapping and the RFC 5545 serializer.
+//
+// Every shift keeps one UID (`shift-<id>@…`) for life, so a subscribed
+// calendar updates the event in place when the shift moves, and a
+// cancelled shift is sent as STATUS:CANCELLED rather than dropped.
+// Times are local wall-clock in the org timezone (TZID) with a
+// VTIMEZONE built from timezone.js for the feed window — DST-correct
+// without shipping a tz database.
+//
+// A client feed also projects an ongoing service plan's visits past
+// the shifts generated so far (expandRecurrence), as tentative
+// "planned visit" events. Caregiver feeds only show real shifts: who
+// works a projected visit isn't decided yet.
+//
+// Feeds leave the portal, so events carry the minimum: first name and
+// last initial, the city for caregivers, no notes or care details.
+// ═══════════════════════════════════════════════════════════════
+
+import { expandRecurrence } from './recurrence.js';
+import { utcMsToWallClockParts } from './timezone.js';
+import { slotRoleLabel } from './shiftSlots.js';
+
+export const CALENDAR_FEED_KIND = Object.freeze({
+  CAREGIVER: 'caregiver',
+  CLIENT: 'client',
+});
+
+/** Days of past shifts a feed keeps, and how far ahead it looks. */
+export const FEED_PAST_DAYS = 30;
+export const FEED_FUTURE_DAYS = 120;
+
+/** Domain part of every event UID. Never change it: UIDs must be stable. */
+export const FEED_UID_DOMAIN = 'tremendouscareca.com';
+
+const PRODID = '-//Tremendous Care//Schedule Feed//EN';
+const DAY_MS = 86_400_000;
+const FEED_TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+// ─── Tokens & URLs ────────────────────────────────────────────
+
+/** 32 random bytes as hex — the secret part of a feed URL. */
+export function generateFeedToken() {
+  const bytes = new Uint8Array(32);
+  globalThis.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function isFeedToken(value) {
+  return typeof value === 'string' && FEED_TOKEN_PATTERN.test(value);
+}
+
+/**
+ * Subscription URLs for a token. `https` for Google ("From URL"),
+ * `webcal` to open straight in Apple / Outlook.
+ */
+export function calendarFeedUrls(supabaseUrl, token) {
+  const base = String(supabaseUrl || '').replace(/\/+$/, '');
+  const https = `${base}/functions/v1/calendar-feed?token=${token}`;
+  return { https, webcal: https.replace(/^https?:\/\//, 'webcal://') };
+}
+
+/** [start, end) of the shifts a feed served at `nowMs` includes. */
+export function feedWindow(nowMs = Date.now()) {
+  return {
+    startMs: nowMs - FEED_PAST_DAYS * DAY_MS,
+    endMs: nowMs + FEED_FUTURE_DAYS * DAY_MS,
+  };
+}
+
+// ─── Shift → event ────────────────────────────────────────────
+
+export function shiftUid(shiftId) {
+  return `shift-${shiftId}@${FEED_UID_DOMAIN}`;
+}
+
+export function plannedVisitUid(servicePlanId, date) {
+  return `plan-${servicePlanId}-${date}@${FEED_UID_DOMAIN}`;
+}
+
+/** "Maria G." — first name and last initial. */
+export function feedPersonName(person) {
+  const first = String(person?.first_name || '').trim();
+  const last = String(person?.last_name || '').trim();
+  if (!first && !last) return '';
+  return last ? `${first} ${last[0]}.`.trim() : first;
+}
+
+function eventStatus(shiftStatus) {
+  if (shiftStatus === 'cancelled') return 'CANCELLED';
+  if (shiftStatus === 'open' || shiftStatus === 'offered') return 'TENTATIVE';
+  return 'CONFIRMED';
+}
+
+function withCancelledPrefix(summary, shift) {
+  return shift.status === 'cancelled' ? `Cancelled: ${summary}` : summary;
+}
+
+/**
+ * A shift as an event on the caregiver's feed. `shift` is a snake_case
+ * row — a slotShiftView row for a shift they work as a slot caregiver.
+ *
+ * @param {object} shift
+ * @param {object|null} client  { first_name, last_name, city }
+ */
+export function caregiverFeedEvent(shift, client) {
+  const who = feedPersonName(client) || 'Client';
+  const role = shift.slot_role ? ` (${slotRoleLabel(shift.slot_role)})` : '';
+  return {
+    uid: shiftUid(shift.id),
+    startMs: new Date(shift.start_time).getTime(),
+    endMs: new Date(shift.end_time).getTime(),
+    summary: withCancelledPrefix(`Shift: ${who}${role}`, shift),
+    location: client?.city || null,
+    description: 'Address, care plan and clock-in are in the caregiver app.',
+    status: eventStatus(shift.status),
+    lastModified: shift.updated_at || null,
+  };
+}
+
+/**
+ * A shift as an event on the client's feed.
+ *
+ * @param {object} shift
+ * @param {object|null} caregiver  { first_name, last_name } of the lead
+ */
+export function clientFeedEvent(shift, caregiver) {
+  const name = caregiver ? feedPersonName(caregiver) : '';
+  const summary = name ? `Care visit with ${name}` : 'Care visit (caregiver to be confirmed)';
+  return {
+    uid: shiftUid(shift.id),
+    startMs: new Date(shift.start_time).getTime(),
+    endMs: new Date(shift.end_time).getTime(),
+    summary: withCancelledPrefix(summary, shift),
+    location: null,
+    description: null,
+    status: eventStatus(shift.status),
+    lastModified: shift.updated_at || null,
+  };
+}
+
+/**
+ * Tentative events for an ongoing service plan's visits after the
+ * shifts generated so far. Skips dates up to last_generated_through
+ * and any instance a shift of the plan already starts at.
+ *
+ * @param {object} args
+ * @param {Array<object>} args.plans   service_plans rows: id, is_ongoing,
+ *   status, recurrence_pattern, last_generated_through
+ * @param {Array<object>} args.shifts  the client's shifts in the window
+ * @param {number} args.startMs
+ * @param {number} args.endMs
+ * @param {string} args.timezone
+ */
+export function plannedVisitEvents({ plans, shifts, startMs, endMs, timezone }) {
+  const existing = new Set(
+    (shifts || [])
+      .filter((sh) => sh.service_plan_id)
+      .map((sh) => `${sh.service_plan_id}:${new Date(sh.start_time).getTime()}`),
+  );
+  const events = [];
+  for (const plan of plans || []) {
+    if (!plan?.is_ongoing || plan.status !== 'active' || !plan.recurrence_pattern) continue;
+    const generatedThroughMs = plan.last_generated_through
+      ? new Date(plan.last_generated_through).getTime()
+      : null;
+    const fromMs = Math.max(startMs, generatedThroughMs ?? startMs);
+    if (fromMs >= endMs) continue;
+    const instances = expandRecurrence(
+      plan.recurrence_pattern,
+      utcMsToWallClockParts(fromMs, timezone).dateOnly,
+      utcMsToWallClockParts(endMs, timezone).dateOnly,
+      { timezone },
+    );
+    for (const inst of instances) {
+      const instStartMs = new Date(inst.start_time).getTime();
+      if (instStartMs < fromMs || instStartMs >= endMs) continue;
+      if (generatedThroughMs != null && instStartMs <= generatedThroughMs) continue;
+      if (existing.has(`${plan.id}:${instStartMs}`)) continue;
+      events.push({
+        uid: plannedVisitUid(plan.id, inst.date),
+        startMs: instStartMs,
+        endMs: new Date(inst.end_time).getTime(),
+        summary: 'Planned care visit',
+        location: null,
+        description: 'Caregiver to be confirmed.',
+        status: 'TENTATIVE',
+        lastModified: null,
+      });
+    }
+  }
+  return events;
+}
+
+// ─── Serialization (RFC 5545) ─────────────────────────────────
+
+/** Escape a TEXT value: backslash, semicolon, comma, newlines. */
+export function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a
+ * space). Counts UTF-8 bytes and never splits a character.
+ */
+export function foldIcsLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation's leading space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/** 20260622T160000Z */
+export function formatIcsUtc(ms) {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())}` +
+    `T${pad2(d.getUTCHours())}${pad2(d.getUTCMinutes())}${pad2(d.getUTCSeconds())}Z`;
+}
+
+/** 20260622T090000 — wall clock in `timezone`. */
+export function formatIcsLocal(ms, timezone) {
+  const p = utcMsToWallClockParts(ms, timezone);
+  return `${String(p.year).padStart(4, '0')}${pad2(p.month)}${pad2(p.day)}` +
+    `T${pad2(p.hour)}${pad2(p.minute)}${pad2(p.second)}`;
+}
+
+// Offset of `timezone` from UTC at `ms`, in minutes (PDT = -420).
+function offsetMinutes(ms, timezone) {
+  const wholeMs = Math.floor(ms / 1000) * 1000;
+  const p = utcMsToWallClockParts(wholeMs, timezone);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeMs) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad2(Math.floor(abs / 60))}${pad2(abs % 60)}`;
+}
+
+/**
+ * UTC offset changes of `timezone` in [fromMs, toMs): the first
+ * minute on the new offset, plus the offsets either side.
+ */
+export function timezoneTransitions(timezone, fromMs, toMs) {
+  // Whole minutes, so the bisection below always lands on one.
+  const startMs = Math.floor(fromMs / 60_000) * 60_000;
+  const endMs = Math.ceil(toMs / 60_000) * 60_000;
+  const transitions = [];
+  let prevMs = startMs;
+  let prevOffset = offsetMinutes(startMs, timezone);
+  for (let t = startMs + DAY_MS; prevMs < endMs; t += DAY_MS) {
+    const probe = Math.min(t, endMs);
+    const offset = offsetMinutes(probe, timezone);
+    if (offset !== prevOffset) {
+      // Narrow the change down to the minute.
+      let lo = prevMs;
+      let hi = probe;
+      while (hi - lo > 60_000) {
+        const mid = lo + Math.floor((hi - lo) / 120_000) * 60_000;
+        if (offsetMinutes(mid, timezone) === prevOffset) lo = mid;
+        else hi = mid;
+      }
+      transitions.push({ atMs: hi, fromOffset: prevOffset, toOffset: offset });
+      prevOffset = offset;
+    }
+    prevMs = probe;
+  }
+  return transitions;
+}
+
+/**
+ * VTIMEZONE lines for `timezone` covering [startMs, endMs): the offset
+ * in force at the start, then one observance per change. An observance
+ * onto a larger offset is DAYLIGHT, otherwise STANDARD.
+ */
+export function buildVTimezone(timezone, startMs, endMs) {
+  const initial = offsetMinutes(startMs, timezone);
+  const transitions = timezoneTransitions(timezone, startMs, endMs);
+  const observance = (kind, dtstart, from, to) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${dtstart}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${kind}`,
+  ];
+  const firstIsDaylight = transitions.length > 0 && transitions[0].toOffset < initial;
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    ...observance(firstIsDaylight ? 'DAYLIGHT' : 'STANDARD', '19700101T000000', initial, initial),
+  ];
+  for (const tr of transitions) {
+    // DTSTART is the local time just before the change, on the old offset.
+    const local = formatIcsUtc(tr.atMs + tr.fromOffset * 60_000).slice(0, -1);
+    lines.push(...observance(tr.toOffset > tr.fromOffset ? 'DAYLIGHT' : 'STANDARD', local, tr.fromOffset, tr.toOffset));
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Serialize a feed. Events are { uid, startMs, endMs, summary,
+ * location, description, status, lastModified }, as built above.
+ * Returns the ICS text with CRLF line endings.
+ *
+ * @param {object} args
+ * @param {string} args.name       calendar name shown by the subscriber
+ * @param {string} args.timezone   IANA zone the event times are written in
+ * @param {Array<object>} args.events
+ * @param {number} [args.nowMs]    DTSTAMP
+ */
+export function buildIcsCalendar({ name, timezone, events, nowMs = Date.now() }) {
+  const sorted = [...(events || [])]
+    .filter((e) => Number.isFinite(e.startMs) && Number.isFinite(e.endMs) && e.endMs > e.startMs)
+    .sort((a, b) => a.startMs - b.startMs || a.uid.localeCompare(b.uid));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+  if (sorted.length > 0) {
+    const first = Math.min(...sorted.map((e) => e.startMs));
+    const last = Math.max(...sorted.map((e) => e.endMs));
+    lines.push(...buildVTimezone(timezone, first - DAY_MS, last + DAY_MS));
+  }
+
+  const dtstamp = formatIcsUtc(nowMs);
+  for (const e of sorted) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;TZID=${timezone}:${formatIcsLocal(e.startMs, timezone)}`,
+      `DTEND;TZID=${timezone}:${formatIcsLocal(e.endMs, timezone)}`,
+      `SUMMARY:${escapeIcsText(e.summary)}`,
+    );
+    if (e.location) lines.push(`LOCATION:${escapeIcsText(e.location)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeIcsText(e.description)}`);
+    if (e.lastModified) {
+      const ms = new Date(e.lastModified).getTime();
+      if (Number.isFinite(ms)) lines.push(`LAST-MODIFIED:${formatIcsUtc(ms)}`);
+    }
+    lines.push(
+      `STATUS:${e.status || 'CONFIRMED'}`,
+      `TRANSP:${e.status === 'CANCELLED' ? 'TRANSPARENT' : 'OPAQUE'}`,
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
@@ -13,12 +13,20 @@
 //     caregiver_id: string,
 //     effective_from: 'YYYY-MM-DD',
 //     effective_to:   'YYYY-MM-DD' | null,
+//     rotation_weeks: 1..4,        // optional; 1 / missing = every week
+//     rotation_anchor: 'YYYY-MM-DD' | null,
 //   }
 //
+// Rotating rules (week-on / week-off, A/B weeks) repeat every
+// `rotation_weeks` weeks, counted in 7-day blocks from
+// `rotation_anchor` — the first day of a week the rule is on. An A/B
+// rotation is two rules on the same day with anchors a week apart.
+//
 // Wins-the-day logic:
 //   1. day_of_week must match the target.
 //   2. effective_from ≤ target_date ≤ effective_to (or effective_to is null).
-//   3. Among candidates, the rule with the latest effective_from wins.
+//   3. A rotating rule must be on for the target date's week.
+//   4. Among candidates, the rule with the latest effective_from wins.
 //      This is the "successor rule" pattern — open a new rule for
 //      Maria with effective_from=2026-07-02, the prior rule for Ciara
 //      is closed with effective_to=2026-07-01, and any one-off
@@ -27,6 +35,148 @@
 // See docs/SCHEDULING_CAREGIVER_RULES.md for the full design.
 // ═══════════════════════════════════════════════════════════════
 
+export const MAX_ROTATION_WEEKS = 4;
+
+const DAY_MS = 86400000;
+// 1970-01-04 — the first Sunday of the epoch, as a day number.
+const FIRST_EPOCH_SUNDAY = 3;
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDayNumber(dateOnly) {
+  const [y, m, d] = dateOnly.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function fromDayNumber(dayNumber) {
+  const dt = new Date(dayNumber * DAY_MS);
+  const yy = dt.getUTCFullYear();
+  const mm = String(dt.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(dt.getUTCDate()).padStart(2, '0');
+  return `${yy}-${mm}-${dd}`;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Cycle length of a rule in weeks. Anything that isn't an integer
+ * above 1 (missing column, pre-migration rows) is a weekly rule.
+ */
+export function ruleRotationWeeks(rule) {
+  const n = Number(rule?.rotation_weeks);
+  return Number.isInteger(n) && n > 1 ? n : 1;
+}
+
+/**
+ * Which week of a `rotationWeeks` cycle `dateOnly` falls in, 0-based,
+ * counting 7-day blocks from `rotationAnchor`. Week 0 is the anchor's
+ * week. Dates before the anchor count backwards, so the cycle extends
+ * in both directions. Returns 0 for a weekly cycle or bad input.
+ *
+ * @param {number} rotationWeeks
+ * @param {string} rotationAnchor 'YYYY-MM-DD'
+ * @param {string} dateOnly       'YYYY-MM-DD'
+ * @returns {number}
+ */
+export function rotationPhaseForDate(rotationWeeks, rotationAnchor, dateOnly) {
+  if (!Number.isInteger(rotationWeeks) || rotationWeeks <= 1) return 0;
+  if (typeof rotationAnchor !== 'string' || !DATE_ONLY_RE.test(rotationAnchor)) return 0;
+  if (typeof dateOnly !== 'string' || !DATE_ONLY_RE.test(dateOnly)) return 0;
+  const weeks = Math.floor((toDayNumber(dateOnly) - toDayNumber(rotationAnchor)) / 7);
+  return ((weeks % rotationWeeks) + rotationWeeks) % rotationWeeks;
+}
+
+/**
+ * Is the rule on for `dateOnly`'s week? Always true for weekly rules.
+ * A rotating rule without an anchor (shouldn't happen — the migration
+ * CHECKs it) anchors on its effective_from.
+ */
+export function ruleIsOnDate(rule, dateOnly) {
+  const n = ruleRotationWeeks(rule);
+  if (n === 1) return true;
+  const anchor = rule.rotation_anchor || rule.effective_from;
+  return rotationPhaseForDate(n, anchor, dateOnly) === 0;
+}
+
+/**
+ * Could two rules on the same day of the week ever be on for the same
+ * date? A weekly rule coincides with everything; two rotating rules
+ * coincide unless their cycles keep them apart (A/B weeks). Effective
+ * dates are not considered — callers check those separately.
+ *
+ * @param {object} a           rule (rotation_weeks, rotation_anchor)
+ * @param {object} b
+ * @param {number} dayOfWeek   0..6, the day both rules are on
+ * @returns {boolean}
+ */
+export function rulesCoincide(a, b, dayOfWeek) {
+  const na = ruleRotationWeeks(a);
+  const nb = ruleRotationWeeks(b);
+  if (na === 1 || nb === 1) return true;
+  // Both cycles repeat within lcm(na, nb) weeks; check each of them.
+  const cycle = (na * nb) / gcd(na, nb);
+  const first = FIRST_EPOCH_SUNDAY + dayOfWeek;
+  for (let k = 0; k < cycle; k++) {
+    const date = fromDayNumber(first + 7 * k);
+    if (ruleIsOnDate(a, date) && ruleIsOnDate(b, date)) return true;
+  }
+  return false;
+}
+
+/**
+ * First date on or after `onOrAfter` that is a `dayOfWeek` in week
+ * `phase` of the cycle. Used by the grid to find the date each
+ * Week A / Week B cell stands for.
+ *
+ * @returns {string|null} 'YYYY-MM-DD', or null on bad input.
+ */
+export function rotationSlotDate({ rotationWeeks, rotationAnchor, phase = 0, dayOfWeek, onOrAfter }) {
+  if (typeof onOrAfter !== 'string' || !DATE_ONLY_RE.test(onOrAfter)) return null;
+  if (typeof dayOfWeek !== 'number' || dayOfWeek < 0 || dayOfWeek > 6) return null;
+  const n = Number.isInteger(rotationWeeks) && rotationWeeks > 1 ? rotationWeeks : 1;
+  const start = toDayNumber(onOrAfter);
+  for (let i = 0; i < 7 * n; i++) {
+    const date = fromDayNumber(start + i);
+    if (dayOfWeekFromDateString(date) !== dayOfWeek) continue;
+    if (rotationPhaseForDate(n, rotationAnchor, date) === phase % n) return date;
+  }
+  return null;
+}
+
+/**
+ * 'YYYY-MM-DD' + `days` (may be negative). Same UTC-midnight math as
+ * previousDayString.
+ */
+export function addDaysToDateString(dateOnly, days) {
+  if (typeof dateOnly !== 'string' || !DATE_ONLY_RE.test(dateOnly)) {
+    throw new Error('addDaysToDateString: expected YYYY-MM-DD');
+  }
+  return fromDayNumber(toDayNumber(dateOnly) + days);
+}
+
+/**
+ * The rotation a plan's rules are on as of `asOfDate`, for the grid to
+ * show: `{ rotationWeeks, rotationAnchor }` from the live or upcoming
+ * rotating rules, or null when every live rule is weekly. Week A is
+ * the earliest anchor, so the rows don't reshuffle as weeks pass.
+ *
+ * @param {Array<object>} rules  snake_case rules for one plan
+ * @param {string}        asOfDate 'YYYY-MM-DD'
+ * @returns {{ rotationWeeks: number, rotationAnchor: string }|null}
+ */
+export function rotationForRules(rules, asOfDate) {
+  let found = null;
+  for (const rule of rules || []) {
+    if (!rule || ruleRotationWeeks(rule) === 1 || !rule.rotation_anchor) continue;
+    if (rule.effective_to && rule.effective_to < asOfDate) continue;
+    if (!found || rule.rotation_anchor < found.rotationAnchor) {
+      found = { rotationWeeks: ruleRotationWeeks(rule), rotationAnchor: rule.rotation_anchor };
+    }
+  }
+  return found;
+}
+
 /**
  * Pick the active rule for a (day_of_week, date) tuple. Returns the
  * rule object or null if no rule covers it.
@@ -47,6 +197,7 @@ export function pickActiveRule(rules, dayOfWeek, dateOnly) {
     if (!rule.effective_from) continue;
     if (rule.effective_from > dateOnly) continue;
     if (rule.effective_to && rule.effective_to < dateOnly) continue;
+    if (!ruleIsOnDate(rule, dateOnly)) continue;
     // Most recent effective_from wins. Ties broken by rule.id to keep
     // the resolution deterministic across runtimes.
     if (
@@ -153,18 +304,55 @@ export function resolveCaregiverForInstance(instance, rules, dayOfWeekFn) {
  * plan grid to render "who's the regular caregiver for each day
  * right now."
  *
+ * With `rotation` ({ rotationWeeks, rotationAnchor, phase }), each
+ * day resolves on its next date in week `phase` of the cycle instead
+ * — one call per Week A / Week B row of the grid.
+ *
  * @param {Array<object>} rules
  * @param {string}        asOfDate 'YYYY-MM-DD'
+ * @param {object}        [rotation]
  * @returns {Object<number, object|null>}
  */
-export function activeRulesByDayOfWeek(rules, asOfDate) {
+export function activeRulesByDayOfWeek(rules, asOfDate, rotation = null) {
   const out = { 0: null, 1: null, 2: null, 3: null, 4: null, 5: null, 6: null };
+  const rotating = rotation && rotation.rotationWeeks > 1;
   for (let dow = 0; dow <= 6; dow++) {
-    out[dow] = pickActiveRule(rules, dow, asOfDate);
+    const date = rotating
+      ? rotationSlotDate({ ...rotation, dayOfWeek: dow, onOrAfter: asOfDate })
+      : asOfDate;
+    out[dow] = date ? pickActiveRule(rules, dow, date) : null;
   }
   return out;
 }
 
+// Rules for (plan, dow) that are live on `effectiveFrom` and could be
+// on for the same dates as `target` — the ones a new rule for that
+// slot replaces. Strictly future-dated rules are left alone.
+function liveCoincidingRules(rules, dayOfWeek, effectiveFrom, target) {
+  return (rules || []).filter((rule) => {
+    if (!rule || rule.day_of_week !== dayOfWeek) return false;
+    if (!rule.effective_from || rule.effective_from > effectiveFrom) return false;
+    if (rule.effective_to && rule.effective_to < effectiveFrom) return false;
+    return rulesCoincide(rule, target, dayOfWeek);
+  });
+}
+
+function validateRotation(fn, rotationWeeks, rotationAnchor) {
+  if (
+    !Number.isInteger(rotationWeeks) ||
+    rotationWeeks < 1 ||
+    rotationWeeks > MAX_ROTATION_WEEKS
+  ) {
+    throw new Error(`${fn}: rotationWeeks must be 1..${MAX_ROTATION_WEEKS}`);
+  }
+  if (
+    rotationWeeks > 1 &&
+    (typeof rotationAnchor !== 'string' || !DATE_ONLY_RE.test(rotationAnchor))
+  ) {
+    throw new Error(`${fn}: rotationAnchor must be YYYY-MM-DD for a rotating rule`);
+  }
+}
+
 /**
  * Given the current set of rules for (plan, day_of_week), compute the
  * write plan to install a NEW caregiver as the regular caregiver
@@ -176,12 +364,18 @@ export function activeRulesByDayOfWeek(rules, asOfDate) {
  *
  * Logic:
  *   - If the active rule on `effectiveFrom` already points to this
- *     caregiver, return { toExpire: [], toInsert: null } (no-op).
+ *     caregiver on the same cycle, return { toExpire: [], toInsert:
+ *     null } (no-op).
  *   - Otherwise, expire (set effective_to = effectiveFrom - 1) every
  *     rule whose current effective range covers `effectiveFrom` for
  *     this (plan, dow). Then insert a new open-ended rule for the
  *     new caregiver starting `effectiveFrom`.
  *
+ * `rotationWeeks` / `rotationAnchor` make the new rule rotating. Only
+ * rules that could share a date with it are expired: setting Week B of
+ * an A/B rotation keeps Week A's rule, while a weekly rule replaces
+ * every rotation on that day (and vice versa).
+ *
  * Future-dated rules (effective_from > effectiveFrom) are left alone
  * — those represent a deliberate hand-off and shouldn't be clobbered
  * by an "as of today" change. Callers that want to override the
@@ -199,6 +393,8 @@ export function planRuleUpsert({
   effectiveFrom,
   createdBy,
   notes,
+  rotationWeeks = 1,
+  rotationAnchor = null,
 }) {
   if (!servicePlanId || !orgId || !caregiverId) {
     throw new Error('planRuleUpsert: servicePlanId, orgId, and caregiverId are required');
@@ -206,27 +402,39 @@ export function planRuleUpsert({
   if (typeof dayOfWeek !== 'number' || dayOfWeek < 0 || dayOfWeek > 6) {
     throw new Error('planRuleUpsert: dayOfWeek must be 0..6');
   }
-  if (typeof effectiveFrom !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) {
+  if (typeof effectiveFrom !== 'string' || !DATE_ONLY_RE.test(effectiveFrom)) {
     throw new Error('planRuleUpsert: effectiveFrom must be YYYY-MM-DD');
   }
+  validateRotation('planRuleUpsert', rotationWeeks, rotationAnchor);
 
-  const active = pickActiveRule(rules, dayOfWeek, effectiveFrom);
-  if (active && active.caregiver_id === caregiverId) {
+  const target = {
+    rotation_weeks: rotationWeeks,
+    rotation_anchor: rotationWeeks > 1 ? rotationAnchor : null,
+  };
+  const live = liveCoincidingRules(rules, dayOfWeek, effectiveFrom, target);
+
+  // The rule currently winning this slot: latest effective_from, ties
+  // by id — the same order pickActiveRule uses.
+  const active = live.reduce(
+    (best, rule) =>
+      !best ||
+      rule.effective_from > best.effective_from ||
+      (rule.effective_from === best.effective_from &&
+        String(rule.id || '') > String(best.id || ''))
+        ? rule
+        : best,
+    null,
+  );
+  if (
+    active &&
+    active.caregiver_id === caregiverId &&
+    ruleRotationWeeks(active) === rotationWeeks
+  ) {
     return { toExpire: [], toInsert: null, noop: true };
   }
 
   const dayBefore = previousDayString(effectiveFrom);
-
-  // Expire any rule whose live window covers `effectiveFrom` for this
-  // (plan, dow). Strictly future-dated rules (effective_from >
-  // effectiveFrom) are preserved.
-  const toExpire = [];
-  for (const rule of rules || []) {
-    if (!rule || rule.day_of_week !== dayOfWeek) continue;
-    if (!rule.effective_from || rule.effective_from > effectiveFrom) continue;
-    if (rule.effective_to && rule.effective_to < effectiveFrom) continue;
-    toExpire.push({ id: rule.id, effective_to: dayBefore });
-  }
+  const toExpire = live.map((rule) => ({ id: rule.id, effective_to: dayBefore }));
 
   const toInsert = {
     service_plan_id: servicePlanId,
@@ -235,6 +443,8 @@ export function planRuleUpsert({
     caregiver_id: caregiverId,
     effective_from: effectiveFrom,
     effective_to: null,
+    rotation_weeks: target.rotation_weeks,
+    rotation_anchor: target.rotation_anchor,
     notes: notes ?? null,
     created_by: createdBy ?? null,
   };
@@ -247,22 +457,29 @@ export function planRuleUpsert({
  * `effectiveFrom`. Expires every active rule for that pair; future-
  * dated rules are left alone. Returns the same shape as
  * `planRuleUpsert` minus `toInsert`.
+ *
+ * With `rotationWeeks` / `rotationAnchor`, clears one week of a
+ * rotation: only rules that could share a date with that week are
+ * expired (a weekly rule always can).
  */
-export function planRuleClear({ rules, dayOfWeek, effectiveFrom }) {
+export function planRuleClear({
+  rules,
+  dayOfWeek,
+  effectiveFrom,
+  rotationWeeks = 1,
+  rotationAnchor = null,
+}) {
   if (typeof dayOfWeek !== 'number' || dayOfWeek < 0 || dayOfWeek > 6) {
     throw new Error('planRuleClear: dayOfWeek must be 0..6');
   }
-  if (typeof effectiveFrom !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) {
+  if (typeof effectiveFrom !== 'string' || !DATE_ONLY_RE.test(effectiveFrom)) {
     throw new Error('planRuleClear: effectiveFrom must be YYYY-MM-DD');
   }
+  validateRotation('planRuleClear', rotationWeeks, rotationAnchor);
   const dayBefore = previousDayString(effectiveFrom);
-  const toExpire = [];
-  for (const rule of rules || []) {
-    if (!rule || rule.day_of_week !== dayOfWeek) continue;
-    if (!rule.effective_from || rule.effective_from > effectiveFrom) continue;
-    if (rule.effective_to && rule.effective_to < effectiveFrom) continue;
-    toExpire.push({ id: rule.id, effective_to: dayBefore });
-  }
+  const target = { rotation_weeks: rotationWeeks, rotation_anchor: rotationAnchor };
+  const toExpire = liveCoincidingRules(rules, dayOfWeek, effectiveFrom, target)
+    .map((rule) => ({ id: rule.id, effective_to: dayBefore }));
   return { toExpire, toInsert: null, noop: toExpire.length === 0 };
 }
 
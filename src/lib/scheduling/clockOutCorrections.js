@@ -0,0 +1,210 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Missed Clock-Out Corrections
+//
+// Pure rules for closing out a visit the caregiver forgot to clock out
+// of. Shared by the missed-clock-out-detector cron, the
+// caregiver-clock-corrections edge function, the caregiver PWA and the
+// office review queue on the schedule page.
+//
+// A shift still in_progress well after its scheduled end has no
+// clock-out, which payroll's detectExceptions blocks on
+// (missing_clock_out). Lifecycle (clock_out_corrections.status):
+//
+//   prompted ──caregiver──▶ pending ──office──▶ approved | denied
+//
+//   The cron opens a 'prompted' row and pushes the caregiver. The
+//   caregiver can also start straight at 'pending' from the PWA once
+//   the normal clock-out window has passed. Either open status is
+//   cancelled if the shift gets a clock-out some other way.
+//
+// Approving writes the caregiver's end time as a manual_entry 'out'
+// clock event (edited_by = the approver, edit_reason = the caregiver's
+// reason), so EVV and the clock-events panel treat it like any other
+// office-entered punch, and marks the shift completed. The next
+// timesheet generation then has a real clock-out.
+//
+// Rows are in the snake_case DB shape throughout.
+// ═══════════════════════════════════════════════════════════════
+
+import { DEFAULT_APP_TIMEZONE } from './timezone.js';
+import { CLOCK_OUT_GRACE_AFTER_MIN } from '../shiftWindow.js';
+
+export const CLOCK_OUT_CORRECTION_STATUS = Object.freeze({
+  PROMPTED: 'prompted',
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  CANCELLED: 'cancelled',
+});
+
+/** Statuses still waiting on someone (one per shift at a time). */
+export const OPEN_CORRECTION_STATUSES = Object.freeze([
+  CLOCK_OUT_CORRECTION_STATUS.PROMPTED,
+  CLOCK_OUT_CORRECTION_STATUS.PENDING,
+]);
+
+/** The cron prompts this long after the scheduled end. */
+export const MISSED_CLOCK_OUT_AFTER_MINUTES = 120;
+
+/** Visits that ended longer ago than this are left to the office. */
+export const MISSED_CLOCK_OUT_LOOKBACK_DAYS = 14;
+
+// Same bounds as a clock override reason (caregiver-clock).
+export const CORRECTION_REASON_MIN_LENGTH = 5;
+export const CORRECTION_REASON_MAX_LENGTH = 250;
+
+/** Longest visit a corrected clock-out can describe. */
+export const MAX_CORRECTED_SHIFT_HOURS = 24;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function toMs(value) {
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+export function isOpenCorrection(correction) {
+  return !!correction && OPEN_CORRECTION_STATUSES.includes(correction.status);
+}
+
+/**
+ * Should the cron prompt the caregiver about this shift? True for an
+ * in_progress shift with no clock-out that ended at least
+ * `afterMinutes` ago (and not so long ago that it's past the lookback).
+ *
+ * @param {object} shift  snake_case shift row
+ * @param {object} [opts]
+ * @param {boolean} [opts.clockedOut]
+ * @param {number} [opts.afterMinutes]
+ * @param {Date|string|number} [opts.now]
+ */
+export function isMissedClockOut(shift, {
+  clockedOut = false,
+  afterMinutes = MISSED_CLOCK_OUT_AFTER_MINUTES,
+  now = new Date(),
+} = {}) {
+  if (!shift || shift.status !== 'in_progress' || !shift.assigned_caregiver_id) return false;
+  if (clockedOut) return false;
+  const overMs = toMs(now) - toMs(shift.end_time);
+  if (Number.isNaN(overMs)) return false;
+  return overMs >= afterMinutes * MINUTE_MS && overMs <= MISSED_CLOCK_OUT_LOOKBACK_DAYS * DAY_MS;
+}
+
+/**
+ * Can this caregiver send a correction for this shift? Only once the
+ * ordinary clock-out window (scheduled end + CLOCK_OUT_GRACE_AFTER_MIN)
+ * has passed — before that they should just clock out.
+ *
+ * @returns {{ ok: boolean, reason: null|'not_assigned'|'bad_status'|'too_soon' }}
+ */
+export function canCorrectClockOut(shift, caregiverId, now = new Date()) {
+  if (!shift || !caregiverId || shift.assigned_caregiver_id !== caregiverId) {
+    return { ok: false, reason: 'not_assigned' };
+  }
+  if (shift.status !== 'in_progress') return { ok: false, reason: 'bad_status' };
+  if (toMs(now) < toMs(shift.end_time) + CLOCK_OUT_GRACE_AFTER_MIN * MINUTE_MS) {
+    return { ok: false, reason: 'too_soon' };
+  }
+  return { ok: true, reason: null };
+}
+
+/**
+ * Validate the end time and reason a caregiver reports. Returns an
+ * error message, or null when valid.
+ *
+ * @param {object} input
+ * @param {string} input.clockInAt  occurred_at of the shift's clock-in
+ * @param {string} input.endTime    reported end time (ISO)
+ * @param {string} input.reason
+ * @param {Date|string|number} [input.now]
+ * @returns {string|null}
+ */
+export function validateClockOutCorrection({ clockInAt, endTime, reason, now = new Date() }) {
+  const endMs = toMs(endTime);
+  if (!endTime || Number.isNaN(endMs)) return 'Enter the time you actually left.';
+  if (endMs > toMs(now)) return 'The end time can’t be in the future.';
+  if (clockInAt) {
+    const inMs = toMs(clockInAt);
+    if (endMs <= inMs) return 'The end time must be after you clocked in.';
+    if (endMs - inMs > MAX_CORRECTED_SHIFT_HOURS * HOUR_MS) {
+      return `That would make the visit longer than ${MAX_CORRECTED_SHIFT_HOURS} hours — call the office.`;
+    }
+  }
+  const trimmed = typeof reason === 'string' ? reason.trim() : '';
+  if (trimmed.length < CORRECTION_REASON_MIN_LENGTH) {
+    return 'Tell the office briefly why you couldn’t clock out.';
+  }
+  if (trimmed.length > CORRECTION_REASON_MAX_LENGTH) {
+    return `Reason is too long (max ${CORRECTION_REASON_MAX_LENGTH} characters).`;
+  }
+  return null;
+}
+
+/**
+ * The clock_events row an approval writes. Reuses the office's
+ * manual-entry shape (see insertManualClockEvent) so EVV reports it
+ * with the caregiver's reason as the memo.
+ */
+export function correctedClockOutEvent(correction, { decidedBy = null } = {}) {
+  return {
+    shift_id: correction.shift_id,
+    caregiver_id: correction.caregiver_id,
+    event_type: 'out',
+    occurred_at: new Date(toMs(correction.requested_end_time)).toISOString(),
+    source: 'manual_entry',
+    edited_by: decidedBy,
+    edit_reason: `Missed clock-out, reported by caregiver: ${(correction.reason || '').trim()}`,
+  };
+}
+
+/** "Mon, May 4, 1:15 PM" in the agency's zone. */
+export function formatCorrectionTime(iso, timezone = DEFAULT_APP_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timezone,
+  }).format(new Date(iso));
+}
+
+/** Reported end vs. scheduled end, e.g. "45 min after scheduled end". */
+export function describeEndVariance(shift, endTime) {
+  const diffMin = Math.round((toMs(endTime) - toMs(shift.end_time)) / MINUTE_MS);
+  if (diffMin === 0) return 'at the scheduled end';
+  const abs = Math.abs(diffMin);
+  const amount = abs >= 60
+    ? `${Math.floor(abs / 60)} h${abs % 60 ? ` ${abs % 60} min` : ''}`
+    : `${abs} min`;
+  return `${amount} ${diffMin > 0 ? 'after' : 'before'} scheduled end`;
+}
+
+/**
+ * Push the cron sends when it finds a missed clock-out.
+ *
+ * @returns {{ title: string, body: string, url: string, tag: string }}
+ */
+export function missedClockOutPush(shift, { clientName = 'your client', timezone = DEFAULT_APP_TIMEZONE } = {}) {
+  return {
+    title: 'Did you forget to clock out?',
+    body: `Your shift with ${clientName} was scheduled to end ${formatCorrectionTime(shift.end_time, timezone)}. `
+      + 'Tap to tell us when you actually left.',
+    url: `/care/shifts/${shift.id}`,
+    tag: `clock-out-${shift.id}`,
+  };
+}
+
+/** Push to the caregiver once the office decides. */
+export function correctionDecisionPush(approve, correction) {
+  return {
+    title: approve ? 'Clock-out confirmed' : 'Clock-out correction not approved',
+    body: approve
+      ? 'The office confirmed the end time you sent. Your visit is closed out.'
+      : 'The office couldn’t confirm the end time you sent. They’ll be in touch to sort out your hours.',
+    url: `/care/shifts/${correction.shift_id}`,
+    tag: `clock-out-${correction.shift_id}`,
+  };
+}
@@ -7,11 +7,18 @@
 //   - Availability matching (Phase 2+): eligibility ranking
 //   - AI tools (Phase 8): closed-loop auto-assignment
 //
+// Travel time between two different clients is estimated from the
+// straight-line distance between their geocoded addresses (see
+// estimateTravel). When either client hasn't been geocoded, the flat
+// DEFAULT_TRAVEL_BUFFER_MINUTES applies.
+//
 // All functions are pure — they take data as arguments and return
 // plain values. No I/O, no side effects, no Supabase calls. This
 // keeps them trivial to test and safe to call from anywhere.
 // ═══════════════════════════════════════════════════════════════
 
+import { haversineMeters } from '../geofence.js';
+
 /**
  * Default travel time buffer between shifts at different locations.
  * When a caregiver has back-to-back shifts with different clients,
@@ -23,6 +30,25 @@
  */
 export const DEFAULT_TRAVEL_BUFFER_MINUTES = 30;
 
+/**
+ * Estimated-speed model for distance-aware travel buffers. Average
+ * door-to-door speed including parking and traffic, clamped to a
+ * minimum (even next door needs time to pack up and park) and a
+ * maximum (past that the straight-line estimate isn't worth trusting).
+ * Orgs override these via `organizations.settings.scheduling`
+ * (see resolveTravelModel).
+ */
+export const DEFAULT_TRAVEL_MODEL = Object.freeze({
+  speedMph: 25,
+  minMinutes: 15,
+  maxMinutes: 90,
+});
+
+// Roads are longer than the crow flies; 1.3× is the usual urban
+// circuity factor.
+const ROAD_DISTANCE_FACTOR = 1.3;
+const METERS_PER_MILE = 1609.344;
+
 /**
  * Shift statuses that should block new shifts (i.e. occupy the
  * caregiver's time). Cancelled / no_show / completed shifts are
@@ -34,6 +60,74 @@ const BLOCKING_STATUSES = new Set([
   'in_progress',
 ]);
 
+/**
+ * Does a shift with this status occupy the caregiver's time?
+ */
+export function isBlockingShiftStatus(status) {
+  return BLOCKING_STATUSES.has(status);
+}
+
+/**
+ * Build the travel model from org settings, falling back to
+ * DEFAULT_TRAVEL_MODEL for anything unset or invalid. A max below the
+ * min is raised to the min.
+ *
+ * @param {object} [orgSettings]  organizations.settings
+ * @returns {{ speedMph: number, minMinutes: number, maxMinutes: number }}
+ */
+export function resolveTravelModel(orgSettings) {
+  const cfg = orgSettings?.scheduling || {};
+  const positive = (v, fallback) => (Number.isFinite(v) && v > 0 ? v : fallback);
+  const speedMph = positive(cfg.travel_speed_mph, DEFAULT_TRAVEL_MODEL.speedMph);
+  const minMinutes = Number.isFinite(cfg.travel_min_minutes) && cfg.travel_min_minutes >= 0
+    ? cfg.travel_min_minutes
+    : DEFAULT_TRAVEL_MODEL.minMinutes;
+  const maxMinutes = Math.max(
+    minMinutes,
+    positive(cfg.travel_max_minutes, DEFAULT_TRAVEL_MODEL.maxMinutes),
+  );
+  return { speedMph, minMinutes, maxMinutes };
+}
+
+/**
+ * Map app-shape clients to the { lat, lng } locations the travel
+ * estimate takes, keyed by client id. Clients without coordinates are
+ * left out.
+ *
+ * @param {object[]} clients  camelCase clients (latitude / longitude)
+ * @returns {Object<string, { lat: number, lng: number }>}
+ */
+export function buildClientLocations(clients) {
+  const out = {};
+  for (const client of clients || []) {
+    if (!client?.id) continue;
+    const lat = client.latitude;
+    const lng = client.longitude;
+    if (lat == null || lng == null) continue;
+    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) continue;
+    out[client.id] = { lat: Number(lat), lng: Number(lng) };
+  }
+  return out;
+}
+
+/**
+ * Estimate the drive between two locations.
+ *
+ * @param {{lat, lng}} from
+ * @param {{lat, lng}} to
+ * @param {object} [model=DEFAULT_TRAVEL_MODEL]
+ * @returns {{ meters: number, minutes: number } | null}  null when
+ *   either location is missing coordinates
+ */
+export function estimateTravel(from, to, model = DEFAULT_TRAVEL_MODEL) {
+  const meters = haversineMeters(from, to);
+  if (meters == null) return null;
+  const roadMiles = (meters * ROAD_DISTANCE_FACTOR) / METERS_PER_MILE;
+  const raw = Math.ceil((roadMiles / model.speedMph) * 60);
+  const minutes = Math.min(model.maxMinutes, Math.max(model.minMinutes, raw));
+  return { meters, minutes };
+}
+
 /**
  * Normalize a time value to a millisecond timestamp.
  * Accepts Date, ISO string, or number.
@@ -104,31 +198,64 @@ function expandWithBuffer(existing, proposed, bufferMs) {
 }
 
 /**
- * Check whether a proposed shift conflicts with any of the existing
- * shifts assigned to the same caregiver.
+ * Travel buffer needed between an existing shift and the proposed one.
+ * Same-client pairs need none. Otherwise the distance-based estimate
+ * when both clients are in `clientLocations`, else the flat buffer.
  *
- * Returns an array of conflicting shifts. Empty array means no conflicts.
+ * @returns {{ minutes: number, meters: number|null }}
+ */
+function travelBufferFor(existing, proposed, { travelBufferMinutes, clientLocations, travelModel }) {
+  if (existing.client_id && proposed.client_id && existing.client_id === proposed.client_id) {
+    return { minutes: 0, meters: null };
+  }
+  if (clientLocations) {
+    const estimate = estimateTravel(
+      clientLocations[existing.client_id],
+      clientLocations[proposed.client_id],
+      travelModel,
+    );
+    if (estimate) return estimate;
+  }
+  return { minutes: travelBufferMinutes, meters: null };
+}
+
+/**
+ * Check whether a proposed shift conflicts with any of the existing
+ * shifts assigned to the same caregiver, with the reason for each.
  *
  * Business rules:
  *   - Only shifts with BLOCKING_STATUSES are considered.
  *   - Shifts whose ID matches `excludeShiftId` are ignored (used when
  *     updating an existing shift — we don't want it to conflict with itself).
  *   - Same-client back-to-back shifts are allowed (no travel time needed).
- *   - Different-client shifts need `travelBufferMinutes` of gap on the
- *     side facing the proposed shift.
+ *   - Different-client shifts need a travel gap on the side facing the
+ *     proposed shift: the distance-based estimate when `clientLocations`
+ *     has both clients, else `travelBufferMinutes`.
  *   - Cancelled, completed, no_show, open, offered shifts never conflict.
  *
  * @param {object}   proposed              { start_time, end_time, client_id }
  * @param {object[]} existingShifts        All shifts assigned to the caregiver
  * @param {object}   options
- * @param {number}   [options.travelBufferMinutes=30]
+ * @param {number}   [options.travelBufferMinutes=30]  flat fallback buffer
  * @param {string}   [options.excludeShiftId]  ID to skip (for updates)
- * @returns {object[]}  Conflicting existing shifts (possibly empty)
+ * @param {Object<string, {lat, lng}>} [options.clientLocations]  from
+ *   buildClientLocations; omit to always use the flat buffer
+ * @param {object}   [options.travelModel=DEFAULT_TRAVEL_MODEL]
+ * @returns {object[]}  one entry per conflicting shift:
+ *   {
+ *     shift,            // the existing shift
+ *     type,             // 'overlap' | 'travel'
+ *     gapMinutes,       // minutes between the two shifts (0 for overlap)
+ *     travelMinutes,    // travel time required between them
+ *     distanceMeters,   // straight-line distance, or null when not geocoded
+ *   }
  */
-export function detectConflicts(proposed, existingShifts, options = {}) {
+export function detectConflictDetails(proposed, existingShifts, options = {}) {
   const {
     travelBufferMinutes = DEFAULT_TRAVEL_BUFFER_MINUTES,
     excludeShiftId = null,
+    clientLocations = null,
+    travelModel = DEFAULT_TRAVEL_MODEL,
   } = options;
 
   if (!proposed || !Array.isArray(existingShifts)) return [];
@@ -136,7 +263,6 @@ export function detectConflicts(proposed, existingShifts, options = {}) {
 
   const proposedStart = toMs(proposed.start_time);
   const proposedEnd = toMs(proposed.end_time);
-  const bufferMs = travelBufferMinutes * 60 * 1000;
 
   const conflicts = [];
 
@@ -146,15 +272,74 @@ export function detectConflicts(proposed, existingShifts, options = {}) {
     if (!BLOCKING_STATUSES.has(existing.status)) continue;
     if (!existing.start_time || !existing.end_time) continue;
 
-    const { start, end } = expandWithBuffer(existing, proposed, bufferMs);
+    const existingStart = toMs(existing.start_time);
+    const existingEnd = toMs(existing.end_time);
+    if (rangesOverlap(proposedStart, proposedEnd, existingStart, existingEnd)) {
+      conflicts.push({
+        shift: existing,
+        type: 'overlap',
+        gapMinutes: 0,
+        travelMinutes: 0,
+        distanceMeters: null,
+      });
+      continue;
+    }
+
+    const travel = travelBufferFor(existing, proposed, {
+      travelBufferMinutes,
+      clientLocations,
+      travelModel,
+    });
+    const { start, end } = expandWithBuffer(existing, proposed, travel.minutes * 60 * 1000);
     if (rangesOverlap(proposedStart, proposedEnd, start, end)) {
-      conflicts.push(existing);
+      const gapMs = proposedStart >= existingEnd
+        ? proposedStart - existingEnd
+        : existingStart - proposedEnd;
+      conflicts.push({
+        shift: existing,
+        type: 'travel',
+        gapMinutes: Math.round(gapMs / 60000),
+        travelMinutes: travel.minutes,
+        distanceMeters: travel.meters,
+      });
     }
   }
 
   return conflicts;
 }
 
+/**
+ * Check whether a proposed shift conflicts with any of the existing
+ * shifts assigned to the same caregiver. Same rules and options as
+ * detectConflictDetails.
+ *
+ * Returns an array of conflicting shifts. Empty array means no conflicts.
+ *
+ * @param {object}   proposed              { start_time, end_time, client_id }
+ * @param {object[]} existingShifts        All shifts assigned to the caregiver
+ * @param {object}   [options]             see detectConflictDetails
+ * @returns {object[]}  Conflicting existing shifts (possibly empty)
+ */
+export function detectConflicts(proposed, existingShifts, options = {}) {
+  return detectConflictDetails(proposed, existingShifts, options).map((c) => c.shift);
+}
+
+/**
+ * One-line description of a conflict from detectConflictDetails, e.g.
+ * "Insufficient travel time: ~35 min drive (12 mi), only 15 min between shifts".
+ */
+export function formatConflictDetail(detail) {
+  if (!detail) return '';
+  if (detail.type === 'overlap') return 'Overlaps another shift';
+  const gap = `only ${detail.gapMinutes} min between shifts`;
+  if (detail.distanceMeters == null) {
+    return `Insufficient travel time: ${detail.travelMinutes} min buffer needed, ${gap}`;
+  }
+  const miles = detail.distanceMeters / METERS_PER_MILE;
+  const distance = `${miles.toFixed(miles < 10 ? 1 : 0)} mi`;
+  return `Insufficient travel time: ~${detail.travelMinutes} min drive (${distance}), ${gap}`;
+}
+
 /**
  * Convenience wrapper: boolean version of detectConflicts.
  *
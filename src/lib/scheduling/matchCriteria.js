@@ -0,0 +1,221 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Care plan match criteria
+//
+// Pure helpers that compare a client's published "Caregiver Match
+// Criteria" care plan section (src/features/care-plans/sections.js,
+// id `matchCriteria`) against a caregiver's profile.
+//
+// Each criterion the team flagged resolves to one of:
+//   - Required (R) and not met → the caregiver is filtered out of the
+//     ranked picker with a reason listing what's missing.
+//   - Preferred (P) and met    → +1 to the caregiver's match score.
+//   - Not needed (N) / unset   → ignored.
+// Logistics fields (YESNO) are requirements when set to Yes.
+//
+// Where each criterion is read from on the caregiver:
+//   Gender               caregivers.gender
+//   Languages            caregivers.languages (free text, word match)
+//   Experience / certs   caregivers.specializations + certifications
+//                        (free text, keyword match — see SKILL_CRITERIA)
+//   Pets / smoking       caregivers.allergies (an allergy fails it)
+//   Vehicle / insurance  caregivers.has_vehicle / auto_insurance
+//   Live-in              caregivers.preferred_shift (live-in/flexible)
+//
+// "Can handle client's weight" and the free-text notes have no
+// profile counterpart and are left to the scheduler's judgement.
+//
+// A profile that doesn't mention a Required skill counts as unmet:
+// the reason tells the scheduler what to fill in, and filtered
+// caregivers stay pickable as an override.
+//
+// All inputs are plain JS objects (camelCase caregiver from
+// dbToCaregiver). No I/O.
+// ═══════════════════════════════════════════════════════════════
+
+export const MATCH_FLAG = Object.freeze({
+  PREFERRED: 'P',
+  REQUIRED: 'R',
+  NOT_NEEDED: 'N',
+});
+
+// Experience and certification PRN fields, matched by keyword against
+// the caregiver's specializations + certifications text.
+export const SKILL_CRITERIA = Object.freeze([
+  { fieldId: 'match_exp_dementia', label: 'Dementia experience', pattern: /dementia|alzheimer|memory care/i },
+  { fieldId: 'match_exp_hospice', label: 'Hospice experience', pattern: /hospice|palliative|end[- ]of[- ]life/i },
+  { fieldId: 'match_exp_incontinence', label: 'Incontinence care', pattern: /incontinen/i },
+  { fieldId: 'match_exp_transfers', label: 'Transfer experience', pattern: /transfer/i },
+  { fieldId: 'match_exp_gaitBelt', label: 'Gait belt experience', pattern: /gait[- ]?belt/i },
+  { fieldId: 'match_exp_hoyer', label: 'Hoyer lift experience', pattern: /hoyer|mechanical lift|patient lift/i },
+  { fieldId: 'match_cert_cna', label: 'CNA license', pattern: /\bcna\b|certified nursing assistant/i },
+  { fieldId: 'match_cert_hha', label: 'HHA certification', pattern: /\bhha\b|home health aide/i },
+  { fieldId: 'match_cert_lvn', label: 'LVN / LPN', pattern: /\b(lvn|lpn)\b|licensed (vocational|practical) nurse/i },
+  { fieldId: 'match_cert_rn', label: 'Registered nurse', pattern: /\brn\b|registered nurse/i },
+]);
+
+// Pet PRN fields — a matching allergy on the caregiver's profile fails them.
+const PET_CRITERIA = [
+  { fieldId: 'match_okWithCats', label: 'OK with cats', allergy: /\bcats?\b/i },
+  { fieldId: 'match_okWithDogs', label: 'OK with dogs', allergy: /\bdogs?\b/i },
+];
+
+const SMOKE_ALLERGY = /smok|cigarette|tobacco/i;
+const LIVE_IN_SHIFTS = new Set(['live-in', 'flexible']);
+
+function flagOf(value) {
+  const flag = value && typeof value === 'object' ? value.flag : null;
+  return flag === MATCH_FLAG.PREFERRED || flag === MATCH_FLAG.REQUIRED ? flag : null;
+}
+
+function isYes(value) {
+  return typeof value === 'string' && /^\s*(y|yes|true)\b/i.test(value);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function speaks(caregiver, language) {
+  const text = caregiver?.languages || '';
+  return new RegExp(`\\b${escapeRegExp(language)}\\b`, 'i').test(text);
+}
+
+/**
+ * Expand a matchCriteria section into the list of checks that apply.
+ * Each check: { fieldId, label, flag: 'P'|'R', test(caregiver) → boolean }.
+ * Unset / Not needed items are dropped.
+ */
+export function criteriaChecks(criteria) {
+  if (!criteria || typeof criteria !== 'object') return [];
+  const checks = [];
+
+  const genderFlag = flagOf(criteria.match_gender);
+  const genderOption = criteria.match_gender?.option;
+  if (genderFlag && (genderOption === 'Female' || genderOption === 'Male')) {
+    const wanted = genderOption.toLowerCase();
+    checks.push({
+      fieldId: 'match_gender',
+      label: `${genderOption} caregiver`,
+      flag: genderFlag,
+      test: (cg) => cg?.gender === wanted,
+    });
+  }
+
+  // The editor labels this "Language required", so each pick is a
+  // requirement rather than a preference.
+  const languages = Array.isArray(criteria.match_languageRequired)
+    ? criteria.match_languageRequired
+    : [];
+  for (const language of languages) {
+    if (!language || language === 'Other') continue;
+    checks.push({
+      fieldId: 'match_languageRequired',
+      label: `Speaks ${language}`,
+      flag: MATCH_FLAG.REQUIRED,
+      test: (cg) => speaks(cg, language),
+    });
+  }
+
+  for (const { fieldId, label, pattern } of SKILL_CRITERIA) {
+    const flag = flagOf(criteria[fieldId]);
+    if (!flag) continue;
+    checks.push({
+      fieldId,
+      label,
+      flag,
+      test: (cg) => pattern.test(`${cg?.specializations || ''}\n${cg?.certifications || ''}`),
+    });
+  }
+
+  for (const { fieldId, label, allergy } of PET_CRITERIA) {
+    const flag = flagOf(criteria[fieldId]);
+    if (!flag) continue;
+    checks.push({ fieldId, label, flag, test: (cg) => !allergy.test(cg?.allergies || '') });
+  }
+
+  if (criteria.match_vehicleRequired === true) {
+    checks.push({
+      fieldId: 'match_vehicleRequired',
+      label: 'Has a vehicle',
+      flag: MATCH_FLAG.REQUIRED,
+      test: (cg) => cg?.hasVehicle === 'yes',
+    });
+  }
+  if (criteria.match_insuredAutoRequired === true) {
+    checks.push({
+      fieldId: 'match_insuredAutoRequired',
+      label: 'Insured auto',
+      flag: MATCH_FLAG.REQUIRED,
+      test: (cg) => isYes(cg?.autoInsurance),
+    });
+  }
+  if (criteria.match_clientSmokes === true && criteria.match_okWithClientSmoking === true) {
+    checks.push({
+      fieldId: 'match_okWithClientSmoking',
+      label: 'OK with client smoking',
+      flag: MATCH_FLAG.REQUIRED,
+      test: (cg) => !SMOKE_ALLERGY.test(cg?.allergies || ''),
+    });
+  }
+  if (criteria.match_liveInShiftsOK === true) {
+    checks.push({
+      fieldId: 'match_liveInShiftsOK',
+      label: 'OK with live-in shifts',
+      flag: MATCH_FLAG.REQUIRED,
+      test: (cg) => LIVE_IN_SHIFTS.has(cg?.preferredShift),
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Score one caregiver against a client's match criteria.
+ *
+ * @param {object|null} criteria   `version.data.matchCriteria` from the
+ *   client's latest published care plan (null when there isn't one)
+ * @param {object} caregiver       app-shape caregiver
+ * @returns {{
+ *   unmetRequirements: string[],   labels of Required items not met
+ *   matchedPreferences: string[],  labels of Preferred items met
+ *   score: number,                 matchedPreferences.length
+ *   possible: number,              number of Preferred items
+ * }}
+ */
+export function scoreCaregiverMatch(criteria, caregiver) {
+  return scoreAgainstChecks(criteriaChecks(criteria), caregiver);
+}
+
+/**
+ * Same as scoreCaregiverMatch, for callers ranking a whole roster
+ * against one set of checks (build them once with criteriaChecks).
+ */
+export function scoreAgainstChecks(checks, caregiver) {
+  const unmetRequirements = [];
+  const matchedPreferences = [];
+  let possible = 0;
+  for (const check of checks || []) {
+    const met = check.test(caregiver);
+    if (check.flag === MATCH_FLAG.REQUIRED) {
+      if (!met) unmetRequirements.push(check.label);
+    } else {
+      possible += 1;
+      if (met) matchedPreferences.push(check.label);
+    }
+  }
+  return {
+    unmetRequirements,
+    matchedPreferences,
+    score: matchedPreferences.length,
+    possible,
+  };
+}
+
+/**
+ * Human-readable filter reason for unmet requirements, e.g.
+ * "Missing required: CNA license, Speaks Spanish".
+ */
+export function formatUnmetRequirements(unmet) {
+  if (!Array.isArray(unmet) || unmet.length === 0) return '';
+  return `Missing required: ${unmet.join(', ')}`;
+}
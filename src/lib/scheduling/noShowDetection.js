@@ -0,0 +1,345 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Late Clock-In & No-Show Detection
+//
+// Pure rules behind the no-show-detector cron and the attendance column
+// in caregiver ranking.
+//
+// For an assigned / confirmed shift with no clock-in, the detector
+// escalates in two steps, each recorded once as a
+// shift_attendance_incidents row:
+//
+//   start + late grace        'late'     push + SMS the caregiver
+//   start + escalation delay  'no_show'  mark the shift no-show, text
+//                                        the on-call scheduler, open a
+//                                        follow-up task and broadcast
+//                                        the rest of the visit as a
+//                                        new open shift
+//
+// Both delays and the on-call list come from
+// organizations.settings.scheduling (see resolveNoShowSettings).
+//
+// The same incident rows feed the caregiver's attendance record:
+// summarizeAttendance() counts them over a trailing window and
+// rankCaregiversForShift() sorts caregivers with a worse record lower.
+//
+// Rows are in the snake_case DB shape throughout.
+// ═══════════════════════════════════════════════════════════════
+
+import { DEFAULT_APP_TIMEZONE } from './timezone.js';
+
+export const ATTENDANCE_INCIDENT_KIND = Object.freeze({
+  LATE: 'late',
+  NO_SHOW: 'no_show',
+});
+
+export const DEFAULT_LATE_GRACE_MINUTES = 10;
+export const DEFAULT_NO_SHOW_ESCALATION_MINUTES = 30;
+
+/**
+ * Shifts that started longer ago than this are never alerted on. Keeps
+ * the first run after deploy (or after an outage) from paging the
+ * on-call scheduler about last week.
+ */
+export const DETECTION_LOOKBACK_HOURS = 12;
+
+/** Less of the visit left than this isn't worth broadcasting. */
+export const MIN_COVERAGE_MINUTES = 60;
+
+/** Trailing window for a caregiver's attendance record. */
+export const ATTENDANCE_LOOKBACK_DAYS = 90;
+
+// Shift statuses where a caregiver is expected but hasn't clocked in.
+// Clocking in flips the shift to in_progress.
+const WATCHED_SHIFT_STATUSES = new Set(['assigned', 'confirmed']);
+
+// A no-show weighs as much as this many late arrivals in ranking.
+const NO_SHOW_PENALTY_WEIGHT = 3;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function toMs(value) {
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+function isMinutes(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 1440;
+}
+
+/**
+ * Detection settings from organizations.settings. The escalation delay
+ * is never shorter than the grace period.
+ *
+ * @returns {{ lateGraceMinutes: number, escalationMinutes: number, onCallEmails: string[] }}
+ */
+export function resolveNoShowSettings(orgSettings) {
+  const scheduling = orgSettings?.scheduling || {};
+  const lateGraceMinutes = isMinutes(scheduling.late_grace_minutes)
+    ? scheduling.late_grace_minutes
+    : DEFAULT_LATE_GRACE_MINUTES;
+  const escalationMinutes = isMinutes(scheduling.no_show_escalation_minutes)
+    ? scheduling.no_show_escalation_minutes
+    : DEFAULT_NO_SHOW_ESCALATION_MINUTES;
+  const onCallEmails = Array.isArray(scheduling.on_call_emails)
+    ? scheduling.on_call_emails.filter((e) => typeof e === 'string' && e.trim().length > 0)
+    : [];
+  return {
+    lateGraceMinutes,
+    escalationMinutes: Math.max(escalationMinutes, lateGraceMinutes),
+    onCallEmails,
+  };
+}
+
+/** Whole minutes since the shift was due to start (negative before). */
+export function minutesLate(shift, now = new Date()) {
+  return Math.floor((toMs(now) - toMs(shift.start_time)) / MINUTE_MS);
+}
+
+/**
+ * Which alerts are due for a shift right now, in the order to send
+ * them. A shift first seen past the escalation delay gets both.
+ *
+ * @param {object} shift  snake_case shift row
+ * @param {object} params
+ * @param {boolean} params.clockedIn        the shift has a clock_events 'in'
+ * @param {string[]} [params.recordedKinds] incident kinds already on file for the shift
+ * @param {number} [params.lateGraceMinutes]
+ * @param {number} [params.escalationMinutes]
+ * @param {Date|string|number} [params.now]
+ * @returns {Array<'late'|'no_show'>}
+ */
+export function dueAttendanceAlerts(shift, params = {}) {
+  const {
+    clockedIn = false,
+    recordedKinds = [],
+    lateGraceMinutes = DEFAULT_LATE_GRACE_MINUTES,
+    escalationMinutes = DEFAULT_NO_SHOW_ESCALATION_MINUTES,
+    now = new Date(),
+  } = params;
+
+  if (!shift || !shift.start_time || !shift.assigned_caregiver_id) return [];
+  if (!WATCHED_SHIFT_STATUSES.has(shift.status)) return [];
+  if (clockedIn) return [];
+
+  const late = minutesLate(shift, now);
+  if (Number.isNaN(late) || late * MINUTE_MS > DETECTION_LOOKBACK_HOURS * HOUR_MS) return [];
+
+  const recorded = new Set(recordedKinds);
+  if (recorded.has(ATTENDANCE_INCIDENT_KIND.NO_SHOW)) return [];
+
+  const due = [];
+  if (late >= lateGraceMinutes && !recorded.has(ATTENDANCE_INCIDENT_KIND.LATE)) {
+    due.push(ATTENDANCE_INCIDENT_KIND.LATE);
+  }
+  if (late >= escalationMinutes) due.push(ATTENDANCE_INCIDENT_KIND.NO_SHOW);
+  return due;
+}
+
+/**
+ * The part of the visit still left to cover, starting now. Null when
+ * less than MIN_COVERAGE_MINUTES remain.
+ *
+ * @returns {{ start_time: string, end_time: string }|null}
+ */
+export function coverageWindow(shift, now = new Date()) {
+  const startMs = Math.max(toMs(now), toMs(shift.start_time));
+  const endMs = toMs(shift.end_time);
+  if (Number.isNaN(startMs) || Number.isNaN(endMs)) return null;
+  // Whole minutes, so the new shift reads cleanly on the calendar.
+  const roundedStart = Math.ceil(startMs / MINUTE_MS) * MINUTE_MS;
+  if (endMs - roundedStart < MIN_COVERAGE_MINUTES * MINUTE_MS) return null;
+  return {
+    start_time: new Date(roundedStart).toISOString(),
+    end_time: new Date(endMs).toISOString(),
+  };
+}
+
+/**
+ * The open shift broadcast for the rest of a no-show's visit. Copies
+ * the visit's client, service and bill rate; first yes wins so it
+ * fills without waiting on the office. The pay rate is left NULL: the
+ * no-show's was filled from their own rate card, and
+ * auto_fill_shift_rates_from_defaults resolves the claimant's when the
+ * shift is assigned.
+ */
+export function coverageShiftRow(shift, window, { createdBy = null } = {}) {
+  return {
+    org_id: shift.org_id,
+    client_id: shift.client_id,
+    service_plan_id: shift.service_plan_id ?? null,
+    start_time: window.start_time,
+    end_time: window.end_time,
+    status: 'open',
+    assigned_caregiver_id: null,
+    location_address: shift.location_address ?? null,
+    service_type: shift.service_type ?? null,
+    hourly_rate: null,
+    billable_rate: shift.billable_rate ?? null,
+    required_skills: shift.required_skills ?? [],
+    instructions: shift.instructions ?? null,
+    notes: 'Coverage for a no-show — the rest of the visit.',
+    auto_assign_on_first_yes: true,
+    created_by: createdBy,
+  };
+}
+
+/** "9:00 AM" in the agency's zone. */
+export function formatShiftClock(iso, timezone = DEFAULT_APP_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timezone,
+  }).format(new Date(iso));
+}
+
+/**
+ * Push to the caregiver once they're past the grace period.
+ *
+ * @returns {{ title: string, body: string, url: string, tag: string }}
+ */
+export function latePush(shift, { clientName = 'your client', timezone = DEFAULT_APP_TIMEZONE } = {}) {
+  return {
+    title: 'Are you on your way?',
+    body: `Your shift with ${clientName} started at ${formatShiftClock(shift.start_time, timezone)}. `
+      + 'Clock in when you arrive, or call the office if you can’t make it.',
+    url: `/care/shifts/${shift.id}`,
+    tag: `shift-${shift.id}`,
+  };
+}
+
+/** SMS twin of latePush, for caregivers without the app open. */
+export function lateSms(shift, { caregiverFirstName, clientName = 'your client', timezone = DEFAULT_APP_TIMEZONE } = {}) {
+  const hi = caregiverFirstName ? `Hi ${caregiverFirstName}, ` : '';
+  return `${hi}we haven't seen you clock in for your ${formatShiftClock(shift.start_time, timezone)} `
+    + `shift with ${clientName}. Please clock in in the app when you arrive, or call the office `
+    + "right away if you can't make it.";
+}
+
+/** SMS to the on-call scheduler when a shift is escalated. */
+export function onCallEscalationSms(shift, {
+  caregiverName = 'The caregiver',
+  clientName = 'a client',
+  minutes,
+  coverage = null,
+  timezone = DEFAULT_APP_TIMEZONE,
+} = {}) {
+  const start = formatShiftClock(shift.start_time, timezone);
+  const end = formatShiftClock(shift.end_time, timezone);
+  const coverageLine = coverage
+    ? `Broadcasting ${formatShiftClock(coverage.start_time, timezone)}–${end} as an open shift.`
+    : 'Not enough of the visit left to broadcast — please arrange cover.';
+  return `No-show: ${caregiverName} hasn't clocked in for ${clientName} `
+    + `(${start}–${end}, ${minutes} min late). Marked no-show. ${coverageLine}`;
+}
+
+/**
+ * The follow-up task opened for the on-call scheduler. Linked to the
+ * caregiver so it shows on their record; the client is named in the
+ * title (follow_up_tasks links at most one entity).
+ */
+export function noShowTaskRow(shift, {
+  caregiverName = 'Caregiver',
+  clientName = 'client',
+  minutes,
+  assignee = null,
+  coverageShiftId = null,
+  timezone = DEFAULT_APP_TIMEZONE,
+  now = new Date(),
+} = {}) {
+  const when = new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timezone,
+  }).format(new Date(shift.start_time));
+  const parts = [
+    `${caregiverName} didn't clock in for the ${when} shift with ${clientName} (${minutes} min late when escalated).`,
+    coverageShiftId
+      ? 'The rest of the visit was broadcast as an open shift.'
+      : 'Too little of the visit was left to broadcast.',
+    'Check on the client, reach the caregiver, and note what happened.',
+  ];
+  return {
+    source: 'system',
+    title: `No-show — ${caregiverName} for ${clientName}`,
+    description: parts.join(' '),
+    urgency: 'critical',
+    due_at: new Date(toMs(now)).toISOString(),
+    caregiver_id: shift.assigned_caregiver_id,
+    client_id: null,
+    assigned_to: assignee,
+    created_by: 'system:no_show_detector',
+  };
+}
+
+/** Push to caregivers eligible for the coverage shift. */
+export function coveragePush(coverageShift, { clientLabel = 'a client', timezone = DEFAULT_APP_TIMEZONE } = {}) {
+  const start = formatShiftClock(coverageShift.start_time, timezone);
+  const end = formatShiftClock(coverageShift.end_time, timezone);
+  return {
+    title: 'Open shift — starting now',
+    body: `${clientLabel}, ${start}–${end} today. First to claim it gets it.`,
+    url: '/care/open-shifts',
+    tag: `open-shift-${coverageShift.id}`,
+  };
+}
+
+/** SMS twin of coveragePush; a "YES" reply claims the shift. */
+export function coverageSms(coverageShift, { clientLabel = 'a client', timezone = DEFAULT_APP_TIMEZONE } = {}) {
+  const start = formatShiftClock(coverageShift.start_time, timezone);
+  const end = formatShiftClock(coverageShift.end_time, timezone);
+  return `Urgent open shift: ${clientLabel}, ${start}–${end} today. Reply YES to take it — first yes gets the shift.`;
+}
+
+/**
+ * Count each caregiver's incidents inside the trailing window.
+ *
+ * @param {Array} incidents  snake_case shift_attendance_incidents rows
+ * @param {object} [opts]
+ * @param {Date|string|number} [opts.now]
+ * @param {number} [opts.lookbackDays]
+ * @returns {Object<string, { lateCount: number, noShowCount: number, lastIncidentAt: string|null }>}
+ */
+export function summarizeAttendance(incidents, { now = new Date(), lookbackDays = ATTENDANCE_LOOKBACK_DAYS } = {}) {
+  const since = toMs(now) - lookbackDays * DAY_MS;
+  const out = {};
+  for (const incident of incidents || []) {
+    if (!incident?.caregiver_id) continue;
+    const at = toMs(incident.detected_at);
+    if (Number.isNaN(at) || at < since) continue;
+    if (!out[incident.caregiver_id]) {
+      out[incident.caregiver_id] = { lateCount: 0, noShowCount: 0, lastIncidentAt: null };
+    }
+    const stats = out[incident.caregiver_id];
+    if (incident.kind === ATTENDANCE_INCIDENT_KIND.NO_SHOW) stats.noShowCount += 1;
+    else if (incident.kind === ATTENDANCE_INCIDENT_KIND.LATE) stats.lateCount += 1;
+    else continue;
+    if (!stats.lastIncidentAt || at > toMs(stats.lastIncidentAt)) {
+      stats.lastIncidentAt = new Date(at).toISOString();
+    }
+  }
+  return out;
+}
+
+/**
+ * Single number for sorting: higher is a worse record. A late alert
+ * that escalated is counted once as a late arrival and once as a
+ * no-show, which is the intent — it was both.
+ */
+export function attendancePenalty(stats) {
+  if (!stats) return 0;
+  return (stats.noShowCount || 0) * NO_SHOW_PENALTY_WEIGHT + (stats.lateCount || 0);
+}
+
+/** "1 no-show, 2 late" — empty for a clean record. */
+export function formatAttendance(stats) {
+  if (!stats) return '';
+  const parts = [];
+  if (stats.noShowCount > 0) parts.push(`${stats.noShowCount} no-show${stats.noShowCount === 1 ? '' : 's'}`);
+  if (stats.lateCount > 0) parts.push(`${stats.lateCount} late`);
+  return parts.join(', ');
+}
@@ -0,0 +1,158 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Open Shift Board
+//
+// Pure helpers behind the caregiver PWA's "Open shifts" page. The
+// caregiver-open-shifts edge function runs these server-side, so the
+// list a caregiver sees and the claim they make are checked by the
+// same rules.
+//
+// A shift is on the board when it is open or offered, has nobody
+// assigned, and starts in the future. It is shown to a caregiver only
+// when their availability covers it and it doesn't collide with a
+// shift they already work (overlap or not enough travel time).
+//
+// Responding records the same shift_offers row an SMS "YES" would:
+// an existing offer from a broadcast is flipped to 'accepted', and a
+// caregiver who was never texted gets a new 'accepted' row. Shifts
+// flagged `auto_assign_on_first_yes` are then claimed outright by the
+// edge function; everything else waits for a scheduler to pick.
+//
+// Rows are in the snake_case DB shape throughout.
+// ═══════════════════════════════════════════════════════════════
+
+import { isAvailable } from './availabilityMatching.js';
+import { detectConflictDetails } from './conflictDetection.js';
+
+/** How far ahead the board looks, matching the "Your shifts" window. */
+export const OPEN_SHIFT_BOARD_DAYS = 14;
+
+/** Shift statuses a caregiver can still pick up. */
+export const BOARD_SHIFT_STATUSES = Object.freeze(['open', 'offered']);
+
+// Offer statuses that already count as a yes from this caregiver.
+const RESPONDED_OFFER_STATUSES = new Set(['accepted', 'assigned']);
+
+const APP_RESPONSE_TEXT = 'YES (caregiver app)';
+
+function toMs(value) {
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+/**
+ * Can this shift still be picked up from the board?
+ *
+ * @param {object} shift  snake_case shift row
+ * @param {Date|string|number} [now=new Date()]
+ * @returns {boolean}
+ */
+export function isBoardShift(shift, now = new Date()) {
+  if (!shift || !shift.start_time || !shift.end_time) return false;
+  if (!BOARD_SHIFT_STATUSES.includes(shift.status)) return false;
+  if (shift.assigned_caregiver_id) return false;
+  return toMs(shift.start_time) > toMs(now);
+}
+
+/**
+ * What a tap on the board does for this shift: 'claim' when the
+ * scheduler opted it in to first-yes-wins, else 'interest'.
+ */
+export function boardResponseFor(shift) {
+  return shift?.auto_assign_on_first_yes === true ? 'claim' : 'interest';
+}
+
+/**
+ * Check one board shift against a caregiver's availability and
+ * current schedule.
+ *
+ * @param {object} shift  snake_case shift row
+ * @param {object} params
+ * @param {object[]} params.availabilityRows  the caregiver's caregiver_availability rows
+ * @param {object[]} params.caregiverShifts   shifts already assigned to the caregiver
+ * @param {Object<string, {lat, lng}>} [params.clientLocations]
+ * @param {object}   [params.travelModel]
+ * @param {string}   [params.timezone]
+ * @param {Date|string|number} [params.now]
+ * @returns {{ eligible: boolean, reason: null|'not_open'|'unavailable'|'conflict' }}
+ */
+export function boardShiftEligibility(shift, params = {}) {
+  const {
+    availabilityRows = [],
+    caregiverShifts = [],
+    clientLocations = null,
+    travelModel,
+    timezone,
+    now = new Date(),
+  } = params;
+
+  if (!isBoardShift(shift, now)) return { eligible: false, reason: 'not_open' };
+
+  const availability = isAvailable(shift, availabilityRows, { timezone });
+  if (!availability.available) return { eligible: false, reason: 'unavailable' };
+
+  const conflicts = detectConflictDetails(shift, caregiverShifts, {
+    excludeShiftId: shift.id,
+    clientLocations,
+    travelModel,
+  });
+  if (conflicts.length > 0) return { eligible: false, reason: 'conflict' };
+
+  return { eligible: true, reason: null };
+}
+
+/**
+ * Filter candidate shifts down to the ones this caregiver may pick up,
+ * soonest first. Takes the same params as boardShiftEligibility plus
+ * `shifts`.
+ *
+ * @returns {object[]}
+ */
+export function eligibleBoardShifts({ shifts = [], ...params } = {}) {
+  return shifts
+    .filter((shift) => boardShiftEligibility(shift, params).eligible)
+    .sort((a, b) => toMs(a.start_time) - toMs(b.start_time));
+}
+
+/**
+ * Work out the shift_offers write for a board response.
+ *
+ * @param {object} params
+ * @param {object} params.shift          snake_case shift row
+ * @param {string} params.caregiverId
+ * @param {object|null} [params.existingOffer]  this caregiver's latest offer row for the shift
+ * @param {string} [params.createdBy]    recorded on new rows
+ * @param {Date|string|number} [params.now]
+ * @returns {{ action: 'none'|'update'|'insert', offerId?: string, row?: object }}
+ *   'none' when the caregiver has already said yes.
+ */
+export function planBoardOffer({ shift, caregiverId, existingOffer = null, createdBy = null, now = new Date() }) {
+  if (existingOffer && RESPONDED_OFFER_STATUSES.has(existingOffer.status)) {
+    return { action: 'none', offerId: existingOffer.id };
+  }
+
+  const nowIso = new Date(toMs(now)).toISOString();
+  const response = {
+    status: 'accepted',
+    responded_at: nowIso,
+    response_text: APP_RESPONSE_TEXT,
+    updated_at: nowIso,
+  };
+
+  if (existingOffer) {
+    return { action: 'update', offerId: existingOffer.id, row: response };
+  }
+
+  return {
+    action: 'insert',
+    row: {
+      shift_id: shift.id,
+      caregiver_id: caregiverId,
+      sent_at: nowIso,
+      notes: boardResponseFor(shift) === 'claim'
+        ? 'Claimed from the open-shift board'
+        : 'Interest from the open-shift board',
+      created_by: createdBy,
+      ...response,
+    },
+  };
+}
@@ -18,7 +18,9 @@
 // Output rows are in the camelCase shape expected by
 // `availabilityToDb` in src/features/scheduling/storage.js — every
 // row is type='available', recurring (dayOfWeek set), and carries
-// source='survey' plus the optional sourceResponseId.
+// source='survey' (or opts.source — the caregiver PWA writes its
+// weekly availability as 'caregiver') plus the optional
+// sourceResponseId.
 // ═══════════════════════════════════════════════════════════════
 
 const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
@@ -70,6 +72,7 @@ function mergeIntervals(intervals) {
  * @param {string} opts.caregiverId
  * @param {string} [opts.sourceResponseId]  survey_responses.id
  * @param {string} [opts.createdBy]
+ * @param {string} [opts.source='survey']
  * @returns {Array} rows in camelCase (for availabilityToDb)
  * @throws on invalid times, day out of range, or start >= end
  */
@@ -78,7 +81,7 @@ export function convertAvailabilityAnswerToRows(answer, opts = {}) {
   const slots = Array.isArray(answer.slots) ? answer.slots : [];
   if (slots.length === 0) return [];
 
-  const { caregiverId, sourceResponseId = null, createdBy = null } = opts;
+  const { caregiverId, sourceResponseId = null, createdBy = null, source = 'survey' } = opts;
   if (!caregiverId) throw new Error('caregiverId is required');
 
   // Group slots by day, validating each
@@ -114,7 +117,7 @@ export function convertAvailabilityAnswerToRows(answer, opts = {}) {
         dayOfWeek: day,
         startTime: fromMinutes(start),
         endTime: fromMinutes(end),
-        source: 'survey',
+        source,
         sourceResponseId,
         pinned: false,
         createdBy,
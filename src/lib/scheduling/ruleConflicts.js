@@ -15,6 +15,10 @@
 //    on a specific date within the proposed rule's effective range
 //    whose time window overlaps the rule's pattern.
 //
+// Rotating rules (A/B weeks) only conflict on the weeks they're both
+// on: a caregiver can be Week A on one plan and Week B on another at
+// the same time of day.
+//
 // What this does NOT check
 // ------------------------
 // - Caregiver stated availability (the form layer surfaces that
@@ -26,6 +30,18 @@
 // All inputs are plain JS objects. No I/O. Easy to test.
 // ═══════════════════════════════════════════════════════════════
 
+import { ruleIsOnDate, rulesCoincide } from './caregiverRules.js';
+
+// The proposed rule's cycle in the snake_case shape the rotation
+// helpers take.
+function proposedRotation(proposed) {
+  return {
+    rotation_weeks: proposed.rotationWeeks ?? 1,
+    rotation_anchor: proposed.rotationAnchor ?? null,
+    effective_from: proposed.effectiveFrom,
+  };
+}
+
 /**
  * Do two wall-clock minute ranges overlap on a single day?
  * Handles overnight ranges where end < start by treating the range
@@ -94,6 +110,8 @@ export function dateRangesOverlap(aFrom, aTo, bFrom, bTo) {
  * @param {string} proposed.endClock         'HH:MM' from the plan's pattern
  * @param {string} proposed.effectiveFrom    'YYYY-MM-DD'
  * @param {string|null} [proposed.effectiveTo]
+ * @param {number} [proposed.rotationWeeks]   1 (default) = every week
+ * @param {string|null} [proposed.rotationAnchor]
  * @param {Array<object>} existingRulesWithPattern
  *   Array of rules belonging to the same caregiver across all plans,
  *   each enriched with `{ pattern_start_clock, pattern_end_clock }`
@@ -101,6 +119,7 @@ export function dateRangesOverlap(aFrom, aTo, bFrom, bTo) {
  *   {
  *     id, service_plan_id, day_of_week, caregiver_id,
  *     effective_from, effective_to,
+ *     rotation_weeks?, rotation_anchor?,
  *     pattern_start_clock, pattern_end_clock,
  *   }
  * @returns {Array<object>} conflicting rules (same shape as input)
@@ -131,6 +150,7 @@ export function findRuleConflicts(proposed, existingRulesWithPattern) {
     ) {
       continue;
     }
+    if (!rulesCoincide(rule, proposedRotation(proposed), proposed.dayOfWeek)) continue;
     const ruleStart = clockToMinutes(rule.pattern_start_clock);
     const ruleEnd = clockToMinutes(rule.pattern_end_clock);
     if (ruleStart == null || ruleEnd == null) continue;
@@ -144,7 +164,8 @@ export function findRuleConflicts(proposed, existingRulesWithPattern) {
  * Find one-off shifts assigned to this caregiver that would conflict
  * with the proposed rule. We don't need to check rule-driven shifts
  * because those are covered by `findRuleConflicts`; this is for
- * shifts that the team manually assigned outside of any rule.
+ * shifts that the team manually assigned outside of any rule. A
+ * rotating proposal skips shifts in its off weeks.
  *
  * @param {object} proposed                 same shape as findRuleConflicts
  * @param {Array<object>} existingShifts    shifts assigned to this caregiver,
@@ -173,6 +194,7 @@ export function findShiftConflicts(proposed, existingShifts) {
     const startDate = String(shift.start_time).slice(0, 10);
     if (startDate < proposed.effectiveFrom) continue;
     if (proposed.effectiveTo && startDate > proposed.effectiveTo) continue;
+    if (!ruleIsOnDate(proposedRotation(proposed), startDate)) continue;
 
     const dt = new Date(shift.start_time);
     if (Number.isNaN(dt.getTime())) continue;
@@ -0,0 +1,234 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Shift Change Requests (drops and swaps)
+//
+// Pure rules for caregiver-initiated shift changes. Shared by the
+// caregiver-shift-requests edge function and the office approval queue
+// on the schedule page.
+//
+// Lifecycle (shift_change_requests.status):
+//
+//   drop:  pending_approval ──office──▶ approved | denied
+//   swap:  pending_coworker ──coworker──▶ pending_approval | declined
+//          pending_approval ──office────▶ approved | denied
+//
+//   Either kind can be cancelled while open — by the requester, or
+//   automatically when the shift no longer matches the request (it was
+//   reassigned, cancelled, or has started).
+//
+// Approving a drop unassigns the shift and reopens it, so it shows up
+// for broadcasts and on the open-shift board. Approving a swap assigns
+// the coworker.
+//
+// Rows are in the snake_case DB shape throughout.
+// ═══════════════════════════════════════════════════════════════
+
+import { DEFAULT_APP_TIMEZONE } from './timezone.js';
+
+export const SHIFT_CHANGE_KIND = Object.freeze({
+  DROP: 'drop',
+  SWAP: 'swap',
+});
+
+export const SHIFT_CHANGE_STATUS = Object.freeze({
+  PENDING_COWORKER: 'pending_coworker',
+  PENDING_APPROVAL: 'pending_approval',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  DENIED: 'denied',
+  CANCELLED: 'cancelled',
+});
+
+/** Statuses that still hold the shift (one per shift at a time). */
+export const OPEN_CHANGE_STATUSES = Object.freeze([
+  SHIFT_CHANGE_STATUS.PENDING_COWORKER,
+  SHIFT_CHANGE_STATUS.PENDING_APPROVAL,
+]);
+
+export const CHANGE_REASON_MAX_LENGTH = 500;
+
+// Shift statuses a caregiver can still hand off. Once clocked in the
+// visit has to be finished (or handled by the office).
+const CHANGEABLE_SHIFT_STATUSES = new Set(['assigned', 'confirmed']);
+
+function toMs(value) {
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+export function isOpenChangeRequest(request) {
+  return !!request && OPEN_CHANGE_STATUSES.includes(request.status);
+}
+
+/**
+ * Can this caregiver ask to drop or swap this shift?
+ *
+ * @param {object} shift         snake_case shift row
+ * @param {string} caregiverId
+ * @param {Date|string|number} [now=new Date()]
+ * @returns {{ ok: boolean, reason: null|'not_assigned'|'bad_status'|'started' }}
+ */
+export function canRequestShiftChange(shift, caregiverId, now = new Date()) {
+  if (!shift || !caregiverId || shift.assigned_caregiver_id !== caregiverId) {
+    return { ok: false, reason: 'not_assigned' };
+  }
+  if (!CHANGEABLE_SHIFT_STATUSES.has(shift.status)) {
+    return { ok: false, reason: 'bad_status' };
+  }
+  if (toMs(shift.start_time) <= toMs(now)) {
+    return { ok: false, reason: 'started' };
+  }
+  return { ok: true, reason: null };
+}
+
+/**
+ * Is an open request still applicable to its shift? False once the
+ * shift has been reassigned, cancelled or started — the request should
+ * then be cancelled rather than approved.
+ */
+export function isChangeRequestCurrent(request, shift, now = new Date()) {
+  if (!isOpenChangeRequest(request)) return false;
+  return canRequestShiftChange(shift, request.requester_caregiver_id, now).ok;
+}
+
+/**
+ * Validate a new request. Returns an error message, or null when valid.
+ *
+ * @param {object} input
+ * @param {string} input.kind                'drop' | 'swap'
+ * @param {string} input.requesterId
+ * @param {string} [input.targetCaregiverId] required for swaps
+ * @param {string} [input.reason]
+ * @returns {string|null}
+ */
+export function validateShiftChangeRequest({ kind, requesterId, targetCaregiverId, reason }) {
+  if (kind !== SHIFT_CHANGE_KIND.DROP && kind !== SHIFT_CHANGE_KIND.SWAP) {
+    return "kind must be 'drop' or 'swap'.";
+  }
+  if (kind === SHIFT_CHANGE_KIND.SWAP) {
+    if (!targetCaregiverId) return 'Pick a coworker to offer the shift to.';
+    if (targetCaregiverId === requesterId) return 'You can’t swap a shift with yourself.';
+  } else if (targetCaregiverId) {
+    return 'A drop request can’t name a coworker.';
+  }
+  if (typeof reason === 'string' && reason.length > CHANGE_REASON_MAX_LENGTH) {
+    return `Reason is too long (max ${CHANGE_REASON_MAX_LENGTH} characters).`;
+  }
+  return null;
+}
+
+/** Status a new request starts in. */
+export function initialChangeStatus(kind) {
+  return kind === SHIFT_CHANGE_KIND.SWAP
+    ? SHIFT_CHANGE_STATUS.PENDING_COWORKER
+    : SHIFT_CHANGE_STATUS.PENDING_APPROVAL;
+}
+
+/** Status after the named coworker answers a swap. */
+export function coworkerResponseStatus(accepted) {
+  return accepted ? SHIFT_CHANGE_STATUS.PENDING_APPROVAL : SHIFT_CHANGE_STATUS.DECLINED;
+}
+
+/**
+ * The caregiver who would hold the shift if the request is approved —
+ * the coworker for a swap, nobody for a drop.
+ */
+export function incomingCaregiverId(request) {
+  return request?.kind === SHIFT_CHANGE_KIND.SWAP ? request.target_caregiver_id : null;
+}
+
+/**
+ * Shift fields to write when the office approves.
+ *
+ * @returns {{ assigned_caregiver_id: string|null, status: 'open'|'assigned' }}
+ */
+export function approvalShiftPatch(request) {
+  const caregiverId = incomingCaregiverId(request);
+  return caregiverId
+    ? { assigned_caregiver_id: caregiverId, status: 'assigned' }
+    : { assigned_caregiver_id: null, status: 'open' };
+}
+
+/**
+ * "Mon, May 4, 9:00 AM" in the agency's zone, for push text.
+ */
+export function formatChangeShiftWhen(startIso, timezone = DEFAULT_APP_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timezone,
+  }).format(new Date(startIso));
+}
+
+/**
+ * Push notification for a step in the request's life.
+ *
+ * @param {'swap_offered'|'swap_accepted'|'swap_declined'|'approved'|'denied'} event
+ * @param {object} ctx
+ * @param {object} ctx.request        snake_case request row
+ * @param {string} ctx.shiftWhen      from formatChangeShiftWhen
+ * @param {string} [ctx.requesterName]
+ * @param {string} [ctx.targetName]
+ * @param {'requester'|'target'} [ctx.audience='requester']
+ * @returns {{ title: string, body: string, url: string, tag: string }}
+ */
+export function changeRequestPush(event, ctx) {
+  const { request, shiftWhen, requesterName = 'A coworker', targetName = 'Your coworker' } = ctx;
+  const audience = ctx.audience || 'requester';
+  const tag = `shift-change-${request.id}`;
+  const isSwap = request.kind === SHIFT_CHANGE_KIND.SWAP;
+
+  switch (event) {
+    case 'swap_offered':
+      return {
+        title: 'Can you take a shift?',
+        body: `${requesterName} asked you to take their ${shiftWhen} shift.`,
+        url: '/care',
+        tag,
+      };
+    case 'swap_accepted':
+      return {
+        title: 'Swap accepted',
+        body: `${targetName} will take your ${shiftWhen} shift once the office approves.`,
+        url: `/care/shifts/${request.shift_id}`,
+        tag,
+      };
+    case 'swap_declined':
+      return {
+        title: 'Swap declined',
+        body: `${targetName} can’t take your ${shiftWhen} shift. It’s still yours.`,
+        url: `/care/shifts/${request.shift_id}`,
+        tag,
+      };
+    case 'approved':
+      if (audience === 'target') {
+        return {
+          title: 'New shift on your schedule',
+          body: `The office approved your swap — the ${shiftWhen} shift is now yours.`,
+          url: `/care/shifts/${request.shift_id}`,
+          tag,
+        };
+      }
+      return {
+        title: isSwap ? 'Swap approved' : 'Drop approved',
+        body: isSwap
+          ? `${targetName} is now covering your ${shiftWhen} shift.`
+          : `You’re off the ${shiftWhen} shift.`,
+        url: '/care',
+        tag,
+      };
+    case 'denied':
+      return {
+        title: isSwap ? 'Swap not approved' : 'Drop not approved',
+        body: audience === 'target'
+          ? `The office kept the ${shiftWhen} shift with ${requesterName}.`
+          : `The office couldn’t approve your request — you’re still on the ${shiftWhen} shift.`,
+        url: audience === 'target' ? '/care' : `/care/shifts/${request.shift_id}`,
+        tag,
+      };
+    default:
+      throw new Error(`Unknown shift change event: ${event}`);
+  }
+}
@@ -0,0 +1,242 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Multi-Caregiver Shift Slots
+//
+// Pure rules for visits that need more than one person (Hoyer lifts,
+// bariatric transfers, a nurse alongside the caregiver). Shared by the
+// schedule page, the caregiver PWA, caregiver-clock, the payroll
+// timesheet functions and invoicing.
+//
+// The lead caregiver stays on shifts.assigned_caregiver_id, so every
+// single-caregiver code path is unchanged. Each extra person is a
+// shift_slots row: a role, a caregiver (NULL while the slot is still
+// open), whether the client is billed for them, and an optional pay
+// rate. A caregiver appears at most once per shift, lead included.
+//
+// Slot caregivers clock in and out on their own (clock_events is
+// unique per shift, caregiver and event). The shift goes in_progress
+// on the first clock-in and completed when nobody is still clocked in.
+//
+// For payroll a slot is seen as the shift "as worked by" its
+// caregiver — slotShiftView — so buildTimesheet and conflict
+// detection take it like any other shift of theirs.
+//
+// Rows are in the snake_case DB shape throughout.
+// ═══════════════════════════════════════════════════════════════
+
+export const SHIFT_SLOT_ROLE = Object.freeze({
+  ASSIST: 'assist',
+  NURSE: 'nurse',
+  TRAINEE: 'trainee',
+});
+
+/** The lead (shifts.assigned_caregiver_id) has no slot row. */
+export const LEAD_ROLE = 'lead';
+
+export const SHIFT_SLOT_ROLE_LABELS = Object.freeze({
+  [LEAD_ROLE]: 'Lead caregiver',
+  [SHIFT_SLOT_ROLE.ASSIST]: 'Second caregiver',
+  [SHIFT_SLOT_ROLE.NURSE]: 'Nurse',
+  [SHIFT_SLOT_ROLE.TRAINEE]: 'Trainee (shadowing)',
+});
+
+/** Extra slots a shift can hold on top of the lead. */
+export const MAX_SHIFT_SLOTS = 3;
+
+// Shift statuses a slot caregiver can still clock into.
+const CLOCKABLE_SHIFT_STATUSES = new Set(['assigned', 'confirmed', 'in_progress']);
+
+export function slotRoleLabel(role) {
+  return SHIFT_SLOT_ROLE_LABELS[role] || role || '';
+}
+
+/** Slots for one shift that have a caregiver. */
+function filledSlots(shift, slots) {
+  return (slots || []).filter((sl) => sl && sl.shift_id === shift?.id && sl.caregiver_id);
+}
+
+/** Lead plus every slot caregiver, lead first, no duplicates. */
+export function shiftCaregiverIds(shift, slots) {
+  const ids = [];
+  if (shift?.assigned_caregiver_id) ids.push(shift.assigned_caregiver_id);
+  for (const sl of filledSlots(shift, slots)) {
+    if (!ids.includes(sl.caregiver_id)) ids.push(sl.caregiver_id);
+  }
+  return ids;
+}
+
+/**
+ * The caregiver's place on the shift: { role: 'lead', slot: null },
+ * { role, slot } for a slot, or null when they're not on it.
+ */
+export function caregiverSlot(shift, slots, caregiverId) {
+  if (!shift || !caregiverId) return null;
+  if (shift.assigned_caregiver_id === caregiverId) return { role: LEAD_ROLE, slot: null };
+  const slot = filledSlots(shift, slots).find((sl) => sl.caregiver_id === caregiverId);
+  return slot ? { role: slot.role, slot } : null;
+}
+
+/**
+ * Check a slot change before saving it. Returns an error message, or
+ * null when valid.
+ *
+ * @param {object} args
+ * @param {object} args.shift        snake_case shift row
+ * @param {object[]} args.slots      the shift's current slot rows
+ * @param {string|null} args.slotId  the slot being edited; null = adding one
+ * @param {string} args.role
+ * @param {string|null} args.caregiverId
+ * @returns {string|null}
+ */
+export function validateSlotAssignment({ shift, slots, slotId = null, role, caregiverId }) {
+  if (!Object.values(SHIFT_SLOT_ROLE).includes(role)) return 'Pick a role for this slot.';
+  const others = (slots || []).filter((sl) => sl.shift_id === shift?.id && sl.id !== slotId);
+  if (!slotId && others.length >= MAX_SHIFT_SLOTS) {
+    return `A shift can have at most ${MAX_SHIFT_SLOTS} extra caregivers.`;
+  }
+  if (!caregiverId) return null;
+  if (shift?.assigned_caregiver_id === caregiverId) {
+    return 'This caregiver is already the lead on this shift.';
+  }
+  if (others.some((sl) => sl.caregiver_id === caregiverId)) {
+    return 'This caregiver already has a slot on this shift.';
+  }
+  return null;
+}
+
+/**
+ * The shift as worked by a slot's caregiver: the caregiver in
+ * assigned_caregiver_id, the slot's pay rate in hourly_rate (NULL
+ * falls through to their rate cards) and no mileage — mileage stays
+ * with the lead. Feeds buildTimesheet and conflict detection.
+ */
+export function slotShiftView(shift, slot) {
+  return {
+    ...shift,
+    assigned_caregiver_id: slot.caregiver_id,
+    hourly_rate: slot.hourly_rate != null ? Number(slot.hourly_rate) : null,
+    mileage: null,
+    slot_id: slot.id,
+    slot_role: slot.role,
+  };
+}
+
+/**
+ * Group shifts by every caregiver who works them: the lead gets the
+ * shift row as-is, each filled slot a slotShiftView. Replaces grouping
+ * on assigned_caregiver_id wherever a caregiver's whole workload is
+ * needed (timesheets).
+ *
+ * @returns {Map<string, object[]>}
+ */
+export function shiftsByStaffingCaregiver(shifts, slots) {
+  const slotsByShiftId = new Map();
+  for (const sl of slots || []) {
+    if (!sl?.caregiver_id) continue;
+    if (!slotsByShiftId.has(sl.shift_id)) slotsByShiftId.set(sl.shift_id, []);
+    slotsByShiftId.get(sl.shift_id).push(sl);
+  }
+  const out = new Map();
+  const add = (caregiverId, row) => {
+    if (!out.has(caregiverId)) out.set(caregiverId, []);
+    out.get(caregiverId).push(row);
+  };
+  for (const shift of shifts || []) {
+    if (shift.assigned_caregiver_id) add(shift.assigned_caregiver_id, shift);
+    for (const sl of slotsByShiftId.get(shift.id) || []) {
+      if (sl.caregiver_id === shift.assigned_caregiver_id) continue;
+      add(sl.caregiver_id, slotShiftView(shift, sl));
+    }
+  }
+  return out;
+}
+
+/**
+ * The people the client is billed for on a shift: the lead, plus each
+ * filled slot marked billable. Lead first.
+ */
+export function billedCaregiverIds(shift, slots) {
+  const ids = [shift?.assigned_caregiver_id ?? null];
+  for (const sl of filledSlots(shift, slots)) {
+    if (sl.billable === true && !ids.includes(sl.caregiver_id)) ids.push(sl.caregiver_id);
+  }
+  return ids;
+}
+
+export function billedCaregiverCount(shift, slots) {
+  return billedCaregiverIds(shift, slots).length;
+}
+
+/**
+ * A slot caregiver's own clock status, from their clock events rather
+ * than the shift's (which tracks the whole visit). Shift statuses that
+ * end the visit for everyone pass through.
+ *
+ * @param {string} shiftStatus
+ * @param {Array<{ event_type: string }>} caregiverEvents  this caregiver's events only
+ * @returns {string}  'confirmed' | 'in_progress' | 'completed' | the shift status
+ */
+export function slotClockStatus(shiftStatus, caregiverEvents = []) {
+  const types = new Set((caregiverEvents || []).map((e) => e.event_type));
+  if (types.has('out')) return 'completed';
+  if (types.has('in')) return shiftStatus === 'cancelled' ? shiftStatus : 'in_progress';
+  if (CLOCKABLE_SHIFT_STATUSES.has(shiftStatus)) return 'confirmed';
+  return shiftStatus;
+}
+
+/**
+ * The status a caregiver's own clock buttons follow on the PWA. The
+ * lead follows the shift until they've clocked out (the shift may
+ * stay in_progress for a slot caregiver still on the visit); a slot
+ * caregiver always follows their own clock events.
+ *
+ * @param {object} shift          snake_case shift row
+ * @param {string} caregiverId
+ * @param {Array<{ event_type: string }>} ownEvents  the caregiver's clock events
+ */
+export function caregiverShiftStatus(shift, caregiverId, ownEvents = []) {
+  if (!shift) return null;
+  const clockedOut = (ownEvents || []).some((e) => e.event_type === 'out');
+  if (shift.assigned_caregiver_id === caregiverId && !clockedOut) return shift.status;
+  return slotClockStatus(shift.status, ownEvents);
+}
+
+/**
+ * Shift status after a clock event on a shift with slots, or null to
+ * leave it. The first clock-in starts the visit; it completes when the
+ * clock-out leaves nobody clocked in.
+ *
+ * @param {object} args
+ * @param {'in'|'out'} args.eventType
+ * @param {string} args.shiftStatus
+ * @param {number} args.stillClockedIn  caregivers still clocked in after this event
+ */
+export function shiftStatusAfterSlotClock({ eventType, shiftStatus, stillClockedIn }) {
+  if (eventType === 'in') {
+    return shiftStatus === 'assigned' || shiftStatus === 'confirmed' ? 'in_progress' : null;
+  }
+  if (eventType === 'out') {
+    return shiftStatus === 'in_progress' && stillClockedIn === 0 ? 'completed' : null;
+  }
+  return null;
+}
+
+/** Caregivers with a clock-in and no clock-out on the shift. */
+export function clockedInCaregiverIds(events) {
+  const ins = new Set();
+  const outs = new Set();
+  for (const e of events || []) {
+    if (e.event_type === 'in') ins.add(e.caregiver_id);
+    else if (e.event_type === 'out') outs.add(e.caregiver_id);
+  }
+  return [...ins].filter((id) => !outs.has(id));
+}
+
+/**
+ * PostgREST `or` filter for "shifts this caregiver works": lead on, or
+ * one of `slotShiftIds`. Used by the PWA's shift lists.
+ */
+export function caregiverShiftsFilter(caregiverId, slotShiftIds = []) {
+  const lead = `assigned_caregiver_id.eq.${caregiverId}`;
+  if (!slotShiftIds.length) return lead;
+  return `${lead},id.in.(${slotShiftIds.join(',')})`;
+}
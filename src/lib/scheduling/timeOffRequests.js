@@ -0,0 +1,194 @@
+// ═══════════════════════════════════════════════════════════════
+// Scheduling — Caregiver Time-Off Requests
+//
+// Pure rules for time off a caregiver asks for from the PWA. Shared by
+// the caregiver-availability edge function and the office's approval
+// queue on the schedule page.
+//
+// Lifecycle (caregiver_time_off_requests.status):
+//
+//   pending ──office──▶ approved | denied
+//   pending ──caregiver withdraws──▶ cancelled
+//
+// Approving writes a one-off "unavailable" caregiver_availability row
+// covering the dates, so the matcher stops offering the caregiver
+// shifts in that window. Shifts already assigned inside it are left
+// alone and reported by shiftsNeedingCoverage() instead — the office
+// decides whether to reassign, broadcast or cancel each one.
+//
+// Dates are whole days (YYYY-MM-DD, inclusive) in the agency's zone.
+// Rows are in the snake_case DB shape throughout.
+// ═══════════════════════════════════════════════════════════════
+
+import { DEFAULT_APP_TIMEZONE, wallClockToUtcMs, utcMsToWallClockParts } from './timezone.js';
+
+export const TIME_OFF_STATUS = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied',
+  CANCELLED: 'cancelled',
+});
+
+export const TIME_OFF_REASON_MAX_LENGTH = 500;
+
+/** Longest single request, in days. Longer leave goes through the office. */
+export const TIME_OFF_MAX_DAYS = 60;
+
+// Shift statuses that still need a caregiver to show up. An in-progress
+// shift is already being worked; open / offered ones have nobody to lose.
+const COVERAGE_SHIFT_STATUSES = new Set(['assigned', 'confirmed']);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const utc = Date.UTC(year, month - 1, day);
+  // Reject roll-overs like 2026-02-31.
+  if (new Date(utc).getUTCDate() !== day) return null;
+  return { year, month, day, utc };
+}
+
+/** "Today" as YYYY-MM-DD in the agency's zone. */
+export function todayInZone(now = new Date(), timezone = DEFAULT_APP_TIMEZONE) {
+  return utcMsToWallClockParts(now, timezone).dateOnly;
+}
+
+/**
+ * Validate a new request. Returns an error message, or null when valid.
+ *
+ * @param {object} input
+ * @param {string} input.startDate  YYYY-MM-DD
+ * @param {string} input.endDate    YYYY-MM-DD, inclusive
+ * @param {string} [input.reason]
+ * @param {object} [opts]
+ * @param {string} [opts.today]     YYYY-MM-DD in the agency's zone
+ * @returns {string|null}
+ */
+export function validateTimeOffRequest({ startDate, endDate, reason }, { today } = {}) {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (!start) return 'Pick a start date.';
+  if (!end) return 'Pick an end date.';
+  if (end.utc < start.utc) return 'The end date can’t be before the start date.';
+  if (today && startDate < today) return 'Time off can’t start in the past.';
+  const days = (end.utc - start.utc) / DAY_MS + 1;
+  if (days > TIME_OFF_MAX_DAYS) {
+    return `Requests are limited to ${TIME_OFF_MAX_DAYS} days. Call the office about longer leave.`;
+  }
+  if (typeof reason === 'string' && reason.length > TIME_OFF_REASON_MAX_LENGTH) {
+    return `Reason is too long (max ${TIME_OFF_REASON_MAX_LENGTH} characters).`;
+  }
+  return null;
+}
+
+/**
+ * The UTC window a request covers: local midnight on start_date to
+ * local midnight after end_date.
+ *
+ * @returns {{ startMs: number, endMs: number }|null}
+ */
+export function timeOffWindowMs(request, timezone = DEFAULT_APP_TIMEZONE) {
+  const start = parseDate(request?.start_date);
+  const end = parseDate(request?.end_date);
+  if (!start || !end) return null;
+  const after = new Date(end.utc + DAY_MS);
+  return {
+    startMs: wallClockToUtcMs({ year: start.year, month: start.month, day: start.day }, timezone),
+    endMs: wallClockToUtcMs(
+      { year: after.getUTCFullYear(), month: after.getUTCMonth() + 1, day: after.getUTCDate() },
+      timezone,
+    ),
+  };
+}
+
+/**
+ * The caregiver's still-staffed shifts that overlap a request's dates.
+ * Used to show the office what approving would leave uncovered.
+ *
+ * @param {object} request   snake_case time-off row
+ * @param {Array} shifts     snake_case shift rows (any caregiver)
+ * @returns {Array} matching shifts, in input order
+ */
+export function timeOffConflictingShifts(request, shifts, timezone = DEFAULT_APP_TIMEZONE) {
+  const window = timeOffWindowMs(request, timezone);
+  if (!window) return [];
+  return (shifts || []).filter((shift) => {
+    if (shift.assigned_caregiver_id !== request.caregiver_id) return false;
+    if (!COVERAGE_SHIFT_STATUSES.has(shift.status)) return false;
+    const startMs = new Date(shift.start_time).getTime();
+    const endMs = new Date(shift.end_time).getTime();
+    return startMs < window.endMs && endMs > window.startMs;
+  });
+}
+
+/**
+ * Shifts flagged "needs coverage": still assigned to a caregiver whose
+ * approved time off they fall inside.
+ *
+ * @param {Array} shifts        snake_case shift rows
+ * @param {Array} requests      snake_case time-off rows (any status)
+ * @returns {Map<string, object>} shift id → the approved request
+ */
+export function shiftsNeedingCoverage(shifts, requests, timezone = DEFAULT_APP_TIMEZONE) {
+  const flagged = new Map();
+  for (const request of requests || []) {
+    if (request.status !== TIME_OFF_STATUS.APPROVED) continue;
+    for (const shift of timeOffConflictingShifts(request, shifts, timezone)) {
+      if (!flagged.has(shift.id)) flagged.set(shift.id, request);
+    }
+  }
+  return flagged;
+}
+
+/**
+ * The caregiver_availability row written on approval. Pinned so a
+ * later availability survey (which replaces every unpinned row) can't
+ * wipe out approved time off.
+ */
+export function timeOffAvailabilityRow(request, { createdBy = null } = {}) {
+  return {
+    caregiver_id: request.caregiver_id,
+    type: 'unavailable',
+    day_of_week: null,
+    start_date: request.start_date,
+    end_date: request.end_date,
+    reason: request.reason ? `Time off: ${request.reason}` : 'Time off',
+    source: 'time_off',
+    pinned: true,
+    created_by: createdBy,
+  };
+}
+
+/** "Mon, May 4" or "May 4 – May 8" for a request's dates. */
+export function formatTimeOffDates(request) {
+  const start = parseDate(request?.start_date);
+  const end = parseDate(request?.end_date);
+  if (!start || !end) return '';
+  const fmt = (d, opts) => new Intl.DateTimeFormat('en-US', { ...opts, timeZone: 'UTC' }).format(new Date(d.utc));
+  if (start.utc === end.utc) return fmt(start, { weekday: 'short', month: 'short', day: 'numeric' });
+  return `${fmt(start, { month: 'short', day: 'numeric' })} – ${fmt(end, { month: 'short', day: 'numeric' })}`;
+}
+
+/**
+ * Push notification telling the caregiver how the office decided.
+ *
+ * @returns {{ title: string, body: string, url: string, tag: string }}
+ */
+export function timeOffDecisionPush(approved, request) {
+  const dates = formatTimeOffDates(request);
+  return approved
+    ? {
+      title: 'Time off approved',
+      body: `You’re off ${dates}.`,
+      url: '/care/availability',
+      tag: `time-off-${request.id}`,
+    }
+    : {
+      title: 'Time off not approved',
+      body: `The office couldn’t approve ${dates}. Call them if you have questions.`,
+      url: '/care/availability',
+      tag: `time-off-${request.id}`,
+    };
+}
@@ -696,6 +696,8 @@ export const dbToCaregiver = (row) => ({
   preferredShift: row.preferred_shift,
   allergies: row.allergies,
   clientGenderPreference: row.client_gender_preference,
+  // 'female' | 'male' | null — read by care plan match criteria.
+  gender: row.gender || null,
   tbTest: row.tb_test,
   autoInsurance: row.auto_insurance,
   proposedPayRate: row.proposed_pay_rate,
@@ -737,6 +739,11 @@ export const dbToCaregiver = (row) => ({
   // payroll export; paychex_worker_id / paychex_sync_status are managed
   // by the sync worker and intentionally not round-tripped here.
   paychexEmployeeId: row.paychex_employee_id || null,
+  // Per-caregiver OT jurisdiction override ('CA' | 'FED' | 'AK' | 'NV'
+  // | 'CO'). Null = resolve from client work location / org default.
+  otJurisdiction: row.ot_jurisdiction || null,
+  // Signed CA meal period waiver on file (payroll meal premium rules).
+  mealPeriodWaiver: row.meal_period_waiver === true,
   createdAt: row.created_at,
 });
 
@@ -766,6 +773,7 @@ export const caregiverToDb = (cg) => ({
   preferred_shift: cg.preferredShift || '',
   allergies: cg.allergies || null,
   client_gender_preference: cg.clientGenderPreference || null,
+  gender: cg.gender || null,
   tb_test: cg.tbTest || null,
   auto_insurance: cg.autoInsurance || null,
   proposed_pay_rate: cg.proposedPayRate ?? null,
@@ -810,6 +818,9 @@ export const caregiverToDb = (cg) => ({
   // a blank input never persists as ''. paychex_worker_id /
   // paychex_sync_status are NOT written here — the sync worker owns them.
   paychex_employee_id: normalizePaychexEmployeeId(cg.paychexEmployeeId),
+  // '' from the "— From work location —" select option → null.
+  ot_jurisdiction: cg.otJurisdiction || null,
+  meal_period_waiver: cg.mealPeriodWaiver === true,
   // user_id, sms_opted_out*, availability_check_paused*, tasks,
   // phase_override, and avatar_path are set via targeted .update() /
   // RPC calls (setCaregiverSmsOptOut, setCaregiverAvailabilityCheckPaused,
@@ -0,0 +1,241 @@
+// ─── Structured vitals ───
+// Pure helpers behind vitals capture in the caregiver checklist, the
+// admin trend charts and the out-of-range alert. A reading is a
+// care_plan_observations row with observation_type 'vital' and the
+// structured columns from migration 20260622000000:
+//
+//   vital_type             blood_pressure | pulse | temperature | spo2 |
+//                          weight | blood_glucose
+//   vital_value            the reading (systolic for blood pressure)
+//   vital_value_secondary  diastolic; blood pressure only
+//   vital_unit             fixed per type (VITAL_TYPES[type].unit)
+//   vital_flag             'low' | 'high' when the reading is outside
+//                          the client's normal range, else NULL
+//   rating                 the reading as text ('128/82', '98.6') so
+//                          timelines, the sweep and signal evidence
+//                          read it without knowing the columns
+//
+// Normal ranges come from the `healthProfile.vitalRanges` LIST on the
+// published care plan (src/features/care-plans/sections.js), one row
+// per measure. A measure the plan doesn't set falls back to
+// DEFAULT_VITAL_RANGES; weight has no default — it's only flagged
+// against a range someone set for this client.
+//
+// The flag is computed when the caregiver saves, against the plan they
+// are looking at, and stored on the row. An AFTER INSERT trigger turns
+// a flagged row into a care_signals row, so the alert fires as soon as
+// the reading reaches the server — including readings queued offline.
+
+export const VITAL_OBSERVATION_TYPE = 'vital';
+
+export const VITAL_FLAG = Object.freeze({
+  LOW: 'low',
+  HIGH: 'high',
+});
+
+/**
+ * The vitals caregivers can record. `measures` are the numeric parts
+ * of a reading, in entry order; `plausible` bounds reject typos
+ * (a pulse of 720) without judging whether the value is normal.
+ */
+export const VITAL_TYPES = Object.freeze({
+  blood_pressure: Object.freeze({
+    id: 'blood_pressure',
+    label: 'Blood pressure',
+    unit: 'mmHg',
+    measures: Object.freeze(['systolic', 'diastolic']),
+  }),
+  pulse: Object.freeze({ id: 'pulse', label: 'Pulse', unit: 'bpm', measures: Object.freeze(['pulse']) }),
+  temperature: Object.freeze({
+    id: 'temperature', label: 'Temperature', unit: '°F', measures: Object.freeze(['temperature']),
+  }),
+  spo2: Object.freeze({ id: 'spo2', label: 'SpO2', unit: '%', measures: Object.freeze(['spo2']) }),
+  weight: Object.freeze({ id: 'weight', label: 'Weight', unit: 'lb', measures: Object.freeze(['weight']) }),
+  blood_glucose: Object.freeze({
+    id: 'blood_glucose', label: 'Blood glucose', unit: 'mg/dL', measures: Object.freeze(['blood_glucose']),
+  }),
+});
+
+export const VITAL_TYPE_IDS = Object.freeze(Object.keys(VITAL_TYPES));
+
+/**
+ * One numeric dimension of a reading. `label` is the option text of
+ * the care plan's vitalRanges "Vital" select — keep the two in sync.
+ */
+export const VITAL_MEASURES = Object.freeze({
+  systolic: Object.freeze({ label: 'Blood pressure — systolic', short: 'Systolic', plausible: [40, 300], decimals: 0 }),
+  diastolic: Object.freeze({ label: 'Blood pressure — diastolic', short: 'Diastolic', plausible: [20, 200], decimals: 0 }),
+  pulse: Object.freeze({ label: 'Pulse', short: 'Pulse', plausible: [20, 250], decimals: 0 }),
+  temperature: Object.freeze({ label: 'Temperature', short: 'Temperature', plausible: [85, 110], decimals: 1 }),
+  spo2: Object.freeze({ label: 'SpO2', short: 'SpO2', plausible: [50, 100], decimals: 0 }),
+  weight: Object.freeze({ label: 'Weight', short: 'Weight', plausible: [50, 800], decimals: 1 }),
+  blood_glucose: Object.freeze({ label: 'Blood glucose', short: 'Glucose', plausible: [20, 700], decimals: 0 }),
+});
+
+// General adult home-care ranges, used until the plan sets its own.
+export const DEFAULT_VITAL_RANGES = Object.freeze({
+  systolic: Object.freeze({ low: 90, high: 160 }),
+  diastolic: Object.freeze({ low: 50, high: 100 }),
+  pulse: Object.freeze({ low: 50, high: 110 }),
+  temperature: Object.freeze({ low: 96, high: 100.4 }),
+  spo2: Object.freeze({ low: 92, high: null }),
+  weight: Object.freeze({ low: null, high: null }),
+  blood_glucose: Object.freeze({ low: 70, high: 250 }),
+});
+
+const MEASURE_BY_LABEL = new Map(
+  Object.entries(VITAL_MEASURES).map(([id, m]) => [m.label.toLowerCase(), id]),
+);
+
+function toNumberOrNull(value) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+export function isVitalType(type) {
+  return Object.prototype.hasOwnProperty.call(VITAL_TYPES, type);
+}
+
+/**
+ * The client's normal range per measure: the plan's vitalRanges rows
+ * over DEFAULT_VITAL_RANGES. A plan row replaces the whole default for
+ * its measure (a blank bound means "no limit on that side"); rows
+ * naming an unknown vital, or with low above high, are ignored.
+ *
+ * @param {object} versionData  care_plan_versions.data
+ * @returns {Record<string, { low: number|null, high: number|null, source: 'plan'|'default' }>}
+ */
+export function vitalRangesFromVersion(versionData) {
+  const ranges = {};
+  for (const [measure, range] of Object.entries(DEFAULT_VITAL_RANGES)) {
+    ranges[measure] = { low: range.low, high: range.high, source: 'default' };
+  }
+  const rows = versionData?.healthProfile?.vitalRanges;
+  if (!Array.isArray(rows)) return ranges;
+  for (const row of rows) {
+    const measure = MEASURE_BY_LABEL.get(String(row?.vital ?? '').trim().toLowerCase());
+    if (!measure) continue;
+    const low = toNumberOrNull(row.low);
+    const high = toNumberOrNull(row.high);
+    if (low === null && high === null) continue;
+    if (low !== null && high !== null && low > high) continue;
+    ranges[measure] = { low, high, source: 'plan' };
+  }
+  return ranges;
+}
+
+/**
+ * Validate what the caregiver typed. `values` is keyed by measure
+ * (`{ systolic: '128', diastolic: '82' }`).
+ *
+ * @returns {{ ok: true, value: number, valueSecondary: number|null } | { ok: false, error: string }}
+ */
+export function parseVitalInput(type, values) {
+  const spec = VITAL_TYPES[type];
+  if (!spec) return { ok: false, error: 'Pick a vital.' };
+  const parsed = [];
+  for (const measure of spec.measures) {
+    const m = VITAL_MEASURES[measure];
+    const n = toNumberOrNull(values?.[measure]);
+    if (n === null) return { ok: false, error: `Enter the ${m.short.toLowerCase()} reading.` };
+    const [min, max] = m.plausible;
+    if (n < min || n > max) {
+      return { ok: false, error: `${m.short} of ${n} doesn't look right — check the reading (${min}–${max}).` };
+    }
+    const factor = 10 ** m.decimals;
+    parsed.push(Math.round(n * factor) / factor);
+  }
+  if (type === 'blood_pressure' && parsed[1] >= parsed[0]) {
+    return { ok: false, error: 'Diastolic should be lower than systolic — check the order.' };
+  }
+  return { ok: true, value: parsed[0], valueSecondary: parsed[1] ?? null };
+}
+
+function measureFlag(value, range) {
+  if (value == null || !range) return null;
+  if (range.low != null && value < range.low) return VITAL_FLAG.LOW;
+  if (range.high != null && value > range.high) return VITAL_FLAG.HIGH;
+  return null;
+}
+
+/**
+ * Where a reading sits against the client's ranges.
+ *
+ * @param {{ type: string, value: number, valueSecondary?: number|null }} reading
+ * @param {ReturnType<typeof vitalRangesFromVersion>} ranges
+ * @returns {{ flag: 'low'|'high'|null, outOfRange: Array<{ measure, value, flag, low, high }> }}
+ *   `flag` is the first out-of-range measure's direction.
+ */
+export function evaluateVital(reading, ranges) {
+  const spec = VITAL_TYPES[reading?.type];
+  if (!spec) return { flag: null, outOfRange: [] };
+  const values = [reading.value, reading.valueSecondary];
+  const outOfRange = [];
+  spec.measures.forEach((measure, i) => {
+    const range = ranges?.[measure];
+    const flag = measureFlag(toNumberOrNull(values[i]), range);
+    if (flag) outOfRange.push({ measure, value: values[i], flag, low: range.low, high: range.high });
+  });
+  return { flag: outOfRange[0]?.flag ?? null, outOfRange };
+}
+
+/** The reading as stored in `rating`: '128/82', '98.6', '142'. */
+export function formatVitalReading({ type, value, valueSecondary }) {
+  if (value == null) return '';
+  return type === 'blood_pressure' && valueSecondary != null
+    ? `${value}/${valueSecondary}`
+    : String(value);
+}
+
+/** 'Blood pressure 128/82 mmHg'. */
+export function describeVitalReading(reading) {
+  const spec = VITAL_TYPES[reading?.type];
+  if (!spec) return '';
+  return `${spec.label} ${formatVitalReading(reading)} ${spec.unit}`;
+}
+
+/** '90–160', '≥ 92', '≤ 250', or '' when the range is open. */
+export function formatVitalRange(range) {
+  if (!range) return '';
+  const { low, high } = range;
+  if (low != null && high != null) return `${low}–${high}`;
+  if (low != null) return `≥ ${low}`;
+  if (high != null) return `≤ ${high}`;
+  return '';
+}
+
+/** Observations that are structured vital readings (legacy free-text vitals excluded). */
+export function isStructuredVital(obs) {
+  return obs?.observationType === VITAL_OBSERVATION_TYPE && isVitalType(obs.vitalType);
+}
+
+/**
+ * Chart series per vital type, oldest first: one point per reading
+ * with its measures as keys (`{ at, systolic, diastolic, flag, ... }`).
+ *
+ * @param {Array} observations  camelCase observations (any types)
+ * @returns {Record<string, Array<object>>}  only types with readings
+ */
+export function buildVitalSeries(observations) {
+  const series = {};
+  if (!Array.isArray(observations)) return series;
+  const readings = observations
+    .filter(isStructuredVital)
+    .sort((a, b) => new Date(a.loggedAt) - new Date(b.loggedAt));
+  for (const obs of readings) {
+    const spec = VITAL_TYPES[obs.vitalType];
+    const point = {
+      id: obs.id,
+      at: new Date(obs.loggedAt).getTime(),
+      shiftId: obs.shiftId ?? null,
+      flag: obs.vitalFlag ?? null,
+      note: obs.note ?? null,
+    };
+    point[spec.measures[0]] = toNumberOrNull(obs.vitalValue);
+    if (spec.measures[1]) point[spec.measures[1]] = toNumberOrNull(obs.vitalValueSecondary);
+    if (!series[obs.vitalType]) series[obs.vitalType] = [];
+    series[obs.vitalType].push(point);
+  }
+  return series;
+}
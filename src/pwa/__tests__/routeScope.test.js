@@ -17,6 +17,7 @@ describe('isReservedRoute', () => {
     expect(isReservedRoute('/upload/abc123')).toBe(true);
     expect(isReservedRoute('/sign/tok')).toBe(true);
     expect(isReservedRoute('/survey/tok')).toBe(true);
+    expect(isReservedRoute('/family/tok')).toBe(true);
   });
 
   it('does NOT match admin routes that merely start with a reserved word', () => {
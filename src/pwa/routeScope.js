@@ -14,7 +14,7 @@
 // Prefixes owned by surfaces OTHER than the office app. The office service
 // worker must pass these through untouched; the office manifest must not be
 // injected on them.
-const RESERVED_PREFIXES = ['care', 'bd', 'apply', 'upload', 'sign', 'survey'];
+const RESERVED_PREFIXES = ['care', 'bd', 'apply', 'upload', 'sign', 'survey', 'family'];
 
 // True when `pathname` belongs to a non-office surface.
 export function isReservedRoute(pathname = '') {
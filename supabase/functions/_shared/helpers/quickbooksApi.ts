@@ -0,0 +1,302 @@
+// ─── QuickBooks Online Accounting API client ──────────────────────────
+// Used by the invoicing-export-run edge function to push an invoice
+// run straight into QuickBooks (invoice_runs.export_mode = 'qbo_api').
+// Tokens come from get_qb_connection (see quickbooks.ts for the OAuth
+// side); this module only speaks the Accounting API.
+//
+// Kept free of Deno globals and supabase-js so vitest can drive it
+// against a mocked QuickBooks server — see
+// src/lib/__tests__/quickbooksApi.test.js. `baseUrl` and `fetchImpl`
+// exist for that test; production callers pass `environment` only.
+//
+// Invoice / customer bodies are shaped by the pure builders in
+// src/lib/invoicing/qboExport.js. Those reference items and customers
+// by NAME; pushInvoice resolves names to QuickBooks ids here.
+//
+// Idempotency: QuickBooks has no idempotency key on create, so
+// pushInvoice looks the invoice up by DocNumber (our invoice_number)
+// before creating it. A retried push of a half-finished run finds the
+// invoices that already landed and only creates the rest.
+
+export const QBO_API_BASE_URLS = Object.freeze({
+  sandbox: "https://sandbox-quickbooks.api.intuit.com",
+  production: "https://quickbooks.api.intuit.com",
+});
+
+// Pinned so a QuickBooks-side default bump can't change response
+// shapes under us. Bump deliberately and re-run the mocked-server tests.
+export const QBO_MINOR_VERSION = "75";
+
+export type QboEnvironment = keyof typeof QBO_API_BASE_URLS;
+
+export interface QuickBooksApiErrorShape {
+  code:
+    | "auth_error"        // 401 / 403 — token expired or revoked
+    | "validation_error"  // other 4xx — QuickBooks rejected the body
+    | "server_error"      // 5xx
+    | "network_error"     // fetch threw
+    | "item_not_found";   // a mapped Product/Service name doesn't exist
+  status: number | null;
+  message: string;
+  responseBody?: unknown;
+}
+
+/**
+ * Custom error class so callers can pattern-match on `.code` without
+ * parsing free-form messages. Same shape as PaychexError.
+ */
+export class QuickBooksApiError extends Error {
+  readonly code: QuickBooksApiErrorShape["code"];
+  readonly status: number | null;
+  readonly responseBody: unknown;
+
+  constructor(shape: QuickBooksApiErrorShape) {
+    super(shape.message);
+    this.name = "QuickBooksApiError";
+    this.code = shape.code;
+    this.status = shape.status;
+    this.responseBody = shape.responseBody;
+  }
+}
+
+// deno-lint-ignore no-explicit-any
+type QboEntity = Record<string, any>;
+
+export interface QboClient {
+  realmId: string;
+  request(method: "GET" | "POST", path: string, body?: unknown): Promise<QboEntity>;
+  query(statement: string): Promise<QboEntity>;
+}
+
+export interface QboClientOpts {
+  realmId: string;
+  accessToken: string;
+  environment?: QboEnvironment;
+  baseUrl?: string;
+  fetchImpl?: typeof fetch;
+}
+
+/**
+ * Escape a literal for QuickBooks' SQL-ish query language: backslash
+ * and single quote are backslash-escaped.
+ */
+export function escapeQboQueryValue(value: string): string {
+  return String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+}
+
+async function safeReadJson(resp: Response): Promise<unknown> {
+  const text = await resp.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { raw: text };
+  }
+}
+
+// QuickBooks wraps errors as { Fault: { Error: [{ Message, Detail }] } }.
+function faultMessage(body: unknown): string {
+  const errors = (body as QboEntity | null)?.Fault?.Error;
+  if (Array.isArray(errors) && errors.length > 0) {
+    return errors
+      .map((e: QboEntity) => [e.Message, e.Detail].filter(Boolean).join(": "))
+      .join("; ");
+  }
+  const raw = (body as QboEntity | null)?.raw;
+  return typeof raw === "string" ? raw.slice(0, 300) : "no error detail";
+}
+
+export function createQboClient(opts: QboClientOpts): QboClient {
+  const environment = opts.environment ?? "sandbox";
+  const baseUrl = (opts.baseUrl ?? QBO_API_BASE_URLS[environment]).replace(/\/+$/, "");
+  const doFetch = opts.fetchImpl ?? fetch;
+  const companyPath = `/v3/company/${encodeURIComponent(opts.realmId)}`;
+
+  async function request(method: "GET" | "POST", path: string, body?: unknown) {
+    const sep = path.includes("?") ? "&" : "?";
+    const url = `${baseUrl}${companyPath}${path}${sep}minorversion=${QBO_MINOR_VERSION}`;
+    let resp: Response;
+    try {
+      resp = await doFetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${opts.accessToken}`,
+          Accept: "application/json",
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      throw new QuickBooksApiError({
+        code: "network_error",
+        status: null,
+        message: `QuickBooks ${method} ${path} failed: ${(err as Error).message ?? err}`,
+      });
+    }
+    const parsed = await safeReadJson(resp);
+    if (!resp.ok) {
+      const code = resp.status === 401 || resp.status === 403
+        ? "auth_error"
+        : resp.status >= 500 ? "server_error" : "validation_error";
+      throw new QuickBooksApiError({
+        code,
+        status: resp.status,
+        message: `QuickBooks ${method} ${path} returned ${resp.status}: ${faultMessage(parsed)}`,
+        responseBody: parsed,
+      });
+    }
+    return (parsed ?? {}) as QboEntity;
+  }
+
+  return {
+    realmId: opts.realmId,
+    request,
+    query: (statement: string) =>
+      request("GET", `/query?query=${encodeURIComponent(statement)}`),
+  };
+}
+
+// ─── Lookups ─────────────────────────────────────────────────────
+
+async function queryOne(client: QboClient, entity: string, statement: string) {
+  const body = await client.query(statement);
+  const rows = body?.QueryResponse?.[entity];
+  return Array.isArray(rows) && rows.length > 0 ? (rows[0] as QboEntity) : null;
+}
+
+export function findCustomerByDisplayName(client: QboClient, displayName: string) {
+  return queryOne(
+    client,
+    "Customer",
+    `select Id, DisplayName from Customer where DisplayName = '${escapeQboQueryValue(displayName)}'`,
+  );
+}
+
+export function findInvoiceByDocNumber(client: QboClient, docNumber: string) {
+  return queryOne(
+    client,
+    "Invoice",
+    `select Id, DocNumber from Invoice where DocNumber = '${escapeQboQueryValue(docNumber)}'`,
+  );
+}
+
+/**
+ * Resolve QuickBooks Product/Service names to ids. Items are never
+ * auto-created: an item needs an income account, which is the
+ * bookkeeper's call, so a missing name fails the push with
+ * `item_not_found` and the run records which name to set up.
+ */
+export async function resolveItemIds(
+  client: QboClient,
+  names: string[],
+): Promise<Map<string, string>> {
+  const out = new Map<string, string>();
+  for (const name of Array.from(new Set(names))) {
+    const item = await queryOne(
+      client,
+      "Item",
+      `select Id, Name from Item where Name = '${escapeQboQueryValue(name)}'`,
+    );
+    if (!item?.Id) {
+      throw new QuickBooksApiError({
+        code: "item_not_found",
+        status: null,
+        message:
+          `QuickBooks has no Product/Service named "${name}". Create it in QuickBooks or `
+            + "change organizations.settings.invoicing.qbo_items.",
+      });
+    }
+    out.set(name, String(item.Id));
+  }
+  return out;
+}
+
+/**
+ * Return the QuickBooks customer id for a client: the cached id when
+ * we have one, else a DisplayName match, else a newly created customer.
+ */
+export async function findOrCreateCustomer(
+  client: QboClient,
+  customer: QboEntity,
+  knownCustomerId?: string | null,
+): Promise<{ id: string; created: boolean }> {
+  if (knownCustomerId) return { id: knownCustomerId, created: false };
+  const existing = await findCustomerByDisplayName(client, customer.DisplayName);
+  if (existing?.Id) return { id: String(existing.Id), created: false };
+  const body = await client.request("POST", "/customer", customer);
+  const id = body?.Customer?.Id;
+  if (!id) {
+    throw new QuickBooksApiError({
+      code: "validation_error",
+      status: null,
+      message: "QuickBooks customer create returned no Id.",
+      responseBody: body,
+    });
+  }
+  return { id: String(id), created: true };
+}
+
+export interface PushInvoiceResult {
+  invoiceId: string;
+  customerId: string;
+  customerCreated: boolean;
+  // false when an invoice with this DocNumber was already in QuickBooks.
+  invoiceCreated: boolean;
+}
+
+/**
+ * Push one invoice. `invoice` is buildQboInvoicePayload's output (lines
+ * carry ItemRef.name); `customer` is buildQboCustomerPayload's.
+ */
+export async function pushInvoice(
+  client: QboClient,
+  args: { invoice: QboEntity; customer: QboEntity; knownCustomerId?: string | null },
+): Promise<PushInvoiceResult> {
+  const customer = await findOrCreateCustomer(client, args.customer, args.knownCustomerId);
+
+  const existing = await findInvoiceByDocNumber(client, args.invoice.DocNumber);
+  if (existing?.Id) {
+    return {
+      invoiceId: String(existing.Id),
+      customerId: customer.id,
+      customerCreated: customer.created,
+      invoiceCreated: false,
+    };
+  }
+
+  const lines = Array.isArray(args.invoice.Line) ? args.invoice.Line : [];
+  const itemIds = await resolveItemIds(
+    client,
+    lines.map((l: QboEntity) => l.SalesItemLineDetail?.ItemRef?.name).filter(Boolean),
+  );
+  const payload = {
+    ...args.invoice,
+    CustomerRef: { value: customer.id },
+    Line: lines.map((l: QboEntity) => {
+      const name = l.SalesItemLineDetail?.ItemRef?.name;
+      return {
+        ...l,
+        SalesItemLineDetail: {
+          ...l.SalesItemLineDetail,
+          ItemRef: { value: itemIds.get(name), name },
+        },
+      };
+    }),
+  };
+  const body = await client.request("POST", "/invoice", payload);
+  const id = body?.Invoice?.Id;
+  if (!id) {
+    throw new QuickBooksApiError({
+      code: "validation_error",
+      status: null,
+      message: "QuickBooks invoice create returned no Id.",
+      responseBody: body,
+    });
+  }
+  return {
+    invoiceId: String(id),
+    customerId: customer.id,
+    customerCreated: customer.created,
+    invoiceCreated: true,
+  };
+}
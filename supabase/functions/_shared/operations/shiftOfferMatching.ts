@@ -265,11 +265,13 @@ export async function matchInboundShiftOfferResponse(
 /**
  * Perform the auto-assignment side effects when a shift is opted in
  * to first-yes-wins and the matcher just saw an accepted offer.
+ * Also called by caregiver-open-shifts when a caregiver claims a
+ * shift from the PWA board.
  *
  * Returns true if the assignment was performed, false if it was
  * skipped (race lost, missing data, etc.).
  */
-async function runAutoAssign(
+export async function runAutoAssign(
   supabase: any,
   acceptedOffer: {
     id: string;
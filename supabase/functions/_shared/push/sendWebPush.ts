@@ -1,7 +1,7 @@
 // ─── Shared Web Push sender ───
 // Wraps the web-push library (npm, available in the Supabase edge runtime)
 // with VAPID configuration from env. Used by shift-reminders (cron) and
-// send-push (self-test).
+// send-push (self-test and targeted sends).
 //
 // Required secrets (Supabase → Edge Functions):
 //   VAPID_PUBLIC_KEY   base64url, app-wide (also baked into the PWA as
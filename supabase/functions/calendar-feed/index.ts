@@ -0,0 +1,230 @@
+// ─── calendar-feed (public) ───
+// Serves a caregiver's or a client's schedule as an iCalendar feed
+// for Google / Apple / Outlook subscriptions. The only credential is
+// the secret token in the URL (`?token=`), looked up in calendar_feeds
+// with the service role; an unknown or revoked token is a plain 404.
+// Staff issue and revoke feeds from the caregiver and client detail
+// pages (src/features/scheduling/CalendarFeedPanel.jsx).
+//
+//   caregiver feed  shifts they lead plus shifts they hold a slot on
+//                   (src/lib/scheduling/shiftSlots.js)
+//   client feed     the client's shifts plus tentative visits projected
+//                   from ongoing service plans past the generated shifts
+//
+// Window, event mapping and serialization live in
+// src/lib/scheduling/calendarFeed.js. Events carry first name + last
+// initial and no care details — feeds end up in third-party calendars.
+//
+// Calendar apps fetch without auth headers, so this function is
+// deployed with --no-verify-jwt like every other function here and
+// does no further auth.
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CALENDAR_FEED_KIND,
+  buildIcsCalendar,
+  caregiverFeedEvent,
+  clientFeedEvent,
+  feedWindow,
+  isFeedToken,
+  plannedVisitEvents,
+} from "../../../src/lib/scheduling/calendarFeed.js";
+import { slotShiftView } from "../../../src/lib/scheduling/shiftSlots.js";
+import { DEFAULT_APP_TIMEZONE } from "../../../src/lib/scheduling/timezone.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const SHIFT_COLUMNS =
+  "id, client_id, assigned_caregiver_id, service_plan_id, status, start_time, end_time, updated_at";
+// Only touch last_accessed_at when it's this stale.
+const ACCESS_STAMP_INTERVAL_MS = 60 * 60_000;
+
+type Admin = ReturnType<typeof createClient>;
+type FeedRow = {
+  id: string;
+  org_id: string;
+  caregiver_id: string | null;
+  client_id: string | null;
+  revoked_at: string | null;
+  last_accessed_at: string | null;
+};
+type ShiftRow = {
+  id: string;
+  client_id: string;
+  assigned_caregiver_id: string | null;
+  service_plan_id: string | null;
+  status: string;
+  start_time: string;
+  end_time: string;
+  updated_at: string | null;
+};
+type PersonRow = { id: string; first_name: string | null; last_name: string | null; city?: string | null };
+
+function text(body: string, status: number) {
+  return new Response(body, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" },
+  });
+}
+
+function pickOrgTimezone(settings: Record<string, unknown> | null): string {
+  const scheduling = (settings?.scheduling ?? {}) as Record<string, unknown>;
+  if (typeof scheduling.timezone === "string" && scheduling.timezone.length > 0) {
+    return scheduling.timezone;
+  }
+  const payroll = (settings?.payroll ?? {}) as Record<string, unknown>;
+  if (typeof payroll.timezone === "string" && payroll.timezone.length > 0) {
+    return payroll.timezone;
+  }
+  return DEFAULT_APP_TIMEZONE;
+}
+
+async function loadPeople(admin: Admin, table: string, columns: string, ids: string[]) {
+  const byId = new Map<string, PersonRow>();
+  if (ids.length === 0) return byId;
+  const { data, error } = await admin.from(table).select(columns).in("id", ids);
+  if (error) throw error;
+  for (const row of (data ?? []) as PersonRow[]) byId.set(row.id, row);
+  return byId;
+}
+
+async function caregiverEvents(admin: Admin, feed: FeedRow, startIso: string, endIso: string) {
+  const caregiverId = feed.caregiver_id!;
+  const [leadRes, slotRes] = await Promise.all([
+    admin
+      .from("shifts")
+      .select(SHIFT_COLUMNS)
+      .eq("assigned_caregiver_id", caregiverId)
+      .gte("end_time", startIso)
+      .lt("start_time", endIso),
+    admin
+      .from("shift_slots")
+      .select(`id, caregiver_id, role, hourly_rate, shift:shifts!inner(${SHIFT_COLUMNS})`)
+      .eq("caregiver_id", caregiverId)
+      .gte("shift.end_time", startIso)
+      .lt("shift.start_time", endIso),
+  ]);
+  if (leadRes.error) throw leadRes.error;
+  if (slotRes.error) throw slotRes.error;
+
+  const shifts = [
+    ...((leadRes.data ?? []) as ShiftRow[]),
+    ...((slotRes.data ?? []) as Array<Record<string, unknown> & { shift: ShiftRow }>)
+      .map((sl) => slotShiftView(sl.shift, sl) as ShiftRow & { slot_role: string }),
+  ];
+  const clients = await loadPeople(
+    admin,
+    "clients",
+    "id, first_name, last_name, city",
+    [...new Set(shifts.map((s) => s.client_id).filter(Boolean))],
+  );
+  return shifts.map((s) => caregiverFeedEvent(s, clients.get(s.client_id) ?? null));
+}
+
+async function clientEvents(
+  admin: Admin,
+  feed: FeedRow,
+  window: { startMs: number; endMs: number },
+  timezone: string,
+) {
+  const clientId = feed.client_id!;
+  const [shiftRes, planRes] = await Promise.all([
+    admin
+      .from("shifts")
+      .select(SHIFT_COLUMNS)
+      .eq("client_id", clientId)
+      .gte("end_time", new Date(window.startMs).toISOString())
+      .lt("start_time", new Date(window.endMs).toISOString()),
+    admin
+      .from("service_plans")
+      .select("id, status, is_ongoing, recurrence_pattern, last_generated_through")
+      .eq("client_id", clientId)
+      .eq("is_ongoing", true)
+      .eq("status", "active"),
+  ]);
+  if (shiftRes.error) throw shiftRes.error;
+  if (planRes.error) throw planRes.error;
+
+  const shifts = (shiftRes.data ?? []) as ShiftRow[];
+  const caregivers = await loadPeople(
+    admin,
+    "caregivers",
+    "id, first_name, last_name",
+    [...new Set(shifts.map((s) => s.assigned_caregiver_id).filter((id): id is string => !!id))],
+  );
+  return [
+    ...shifts.map((s) =>
+      clientFeedEvent(s, s.assigned_caregiver_id ? caregivers.get(s.assigned_caregiver_id) ?? null : null)
+    ),
+    ...plannedVisitEvents({
+      plans: planRes.data ?? [],
+      shifts,
+      startMs: window.startMs,
+      endMs: window.endMs,
+      timezone,
+    }),
+  ];
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return text("Method not allowed.", 405);
+
+  const token = new URL(req.url).searchParams.get("token");
+  if (!isFeedToken(token)) return text("Calendar feed not found.", 404);
+
+  try {
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+    const { data: feedData, error: feedErr } = await admin
+      .from("calendar_feeds")
+      .select("id, org_id, caregiver_id, client_id, revoked_at, last_accessed_at")
+      .eq("token", token)
+      .maybeSingle();
+    if (feedErr) throw feedErr;
+    const feed = feedData as FeedRow | null;
+    if (!feed || feed.revoked_at) return text("Calendar feed not found.", 404);
+
+    const { data: org } = await admin.from("organizations").select("settings").eq("id", feed.org_id).maybeSingle();
+    const timezone = pickOrgTimezone((org?.settings ?? null) as Record<string, unknown> | null);
+
+    const now = Date.now();
+    const window = feedWindow(now);
+    const kind = feed.caregiver_id ? CALENDAR_FEED_KIND.CAREGIVER : CALENDAR_FEED_KIND.CLIENT;
+    const events = kind === CALENDAR_FEED_KIND.CAREGIVER
+      ? await caregiverEvents(
+        admin,
+        feed,
+        new Date(window.startMs).toISOString(),
+        new Date(window.endMs).toISOString(),
+      )
+      : await clientEvents(admin, feed, window, timezone);
+
+    const ics = buildIcsCalendar({
+      name: kind === CALENDAR_FEED_KIND.CAREGIVER ? "Tremendous Care — My shifts" : "Tremendous Care — Care visits",
+      timezone,
+      events,
+      nowMs: now,
+    });
+
+    const lastAccessMs = feed.last_accessed_at ? new Date(feed.last_accessed_at).getTime() : 0;
+    if (now - lastAccessMs > ACCESS_STAMP_INTERVAL_MS) {
+      const { error: stampErr } = await admin
+        .from("calendar_feeds")
+        .update({ last_accessed_at: new Date(now).toISOString() })
+        .eq("id", feed.id);
+      if (stampErr) console.error("[calendar-feed] last_accessed_at update failed:", stampErr.message);
+    }
+
+    return new Response(req.method === "HEAD" ? null : ics, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="schedule.ics"',
+        "Cache-Control": "private, max-age=900",
+      },
+    });
+  } catch (err) {
+    console.error("[calendar-feed] failed:", (err as Error).message);
+    return text("Calendar feed unavailable.", 500);
+  }
+});
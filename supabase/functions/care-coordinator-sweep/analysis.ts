@@ -2,21 +2,58 @@
 //
 // Pure functions that (1) turn raw observations into a prompt-ready,
 // baseline-relative summary and (2) validate + gate the model's JSON
-// response. No I/O — unit-testable under vitest.
+// response. No I/O — unit-testable under vitest. Shared with the
+// family digest job (care-plan-digests), per §12 of the design doc.
 
 import { gradeSeverity, SeverityThresholds, Severity } from './severity.ts';
 import { isValidCategory } from './stopAndWatch.ts';
+import { VITAL_TYPES } from '../../../src/lib/vitals.js';
 
 // Shape the orchestrator maps DB rows into (camelCase, matching
 // src/lib/carePlanObservationFormatting.js).
 export interface Observation {
   id: string;
-  observationType: string; // task_completion | refusal | shift_note | mood | concern | positive | vital | general
-  rating: string | null; // done|partial|not_done (task_completion); great..poor (mood); numeric (vital)
+  observationType: string; // task_completion | refusal | shift_note | mood | concern | positive | vital | general | medication
+  rating: string | null; // done|partial|not_done (task_completion); great..poor (mood); numeric (vital); given|refused|held|missed (medication)
   note: string | null;
   taskId: string | null;
   shiftId: string | null;
   loggedAt: string; // ISO timestamp
+  // eMAR records only (src/lib/emar.js).
+  medicationName?: string | null;
+  scheduledFor?: string | null;
+  // Structured vitals only (src/lib/vitals.js): 'Blood pressure (mmHg)'
+  // and low / high against the client's care-plan range.
+  vitalLabel?: string | null;
+  vitalFlag?: string | null;
+}
+
+// care_plan_observations columns observationFromRow reads.
+export const OBSERVATION_COLUMNS =
+  'id, observation_type, rating, note, task_id, shift_id, logged_at, ' +
+  'medication_name, scheduled_for, vital_type, vital_flag';
+
+/** 'Blood pressure (mmHg)' for a structured vital reading, else null. */
+function vitalLabel(type: string | null): string | null {
+  const spec = type ? (VITAL_TYPES as Record<string, { label: string; unit: string }>)[type] : null;
+  return spec ? `${spec.label} (${spec.unit})` : null;
+}
+
+/** A care_plan_observations row (OBSERVATION_COLUMNS) as an Observation. */
+export function observationFromRow(row: Record<string, unknown>): Observation {
+  return {
+    id: row.id as string,
+    observationType: row.observation_type as string,
+    rating: (row.rating as string) ?? null,
+    note: (row.note as string) ?? null,
+    taskId: (row.task_id as string) ?? null,
+    shiftId: (row.shift_id as string) ?? null,
+    loggedAt: row.logged_at as string,
+    medicationName: (row.medication_name as string) ?? null,
+    scheduledFor: (row.scheduled_for as string) ?? null,
+    vitalLabel: vitalLabel(row.vital_type as string | null),
+    vitalFlag: (row.vital_flag as string) ?? null,
+  };
 }
 
 export interface Task {
@@ -28,8 +65,19 @@ export interface Task {
 export interface ObservationSummary {
   acuteCount: number;
   baselineCount: number;
-  // Acute-window entries, oldest-first, with resolved task names.
-  acute: Array<{ id: string; loggedAt: string; type: string; rating: string | null; note: string | null; taskName: string | null }>;
+  // Acute-window entries, oldest-first, with resolved task names (or
+  // the medication / vital named on an eMAR record or vital reading).
+  acute: Array<{
+    id: string;
+    loggedAt: string;
+    type: string;
+    rating: string | null;
+    note: string | null;
+    taskName: string | null;
+    medicationName: string | null;
+    vitalLabel: string | null;
+    vitalFlag: string | null;
+  }>;
   // Per-task completion baseline vs acute (only tasks with task_completion data).
   taskTrends: Array<{
     taskName: string;
@@ -39,12 +87,36 @@ export interface ObservationSummary {
   }>;
   baselineMood: Record<string, number>;
   acuteRefusals: number;
+  // Per-medication eMAR tallies, baseline vs acute (only medications
+  // with records). `exceptions` = refused or missed doses in the acute
+  // window — the adherence input for the medication_concern category.
+  medicationTrends: Array<{
+    medicationName: string;
+    baseline: MedicationCounts;
+    acute: MedicationCounts;
+    exceptions: number;
+  }>;
+  acuteMissedDoses: number;
+  acuteRefusedDoses: number;
+  // Vital readings flagged out of range in the acute window.
+  acuteOutOfRangeVitals: number;
+}
+
+export interface MedicationCounts {
+  given: number;
+  refused: number;
+  held: number;
+  missed: number;
 }
 
 function emptyCounts() {
   return { done: 0, partial: 0, not_done: 0 };
 }
 
+function emptyMedicationCounts(): MedicationCounts {
+  return { given: 0, refused: 0, held: 0, missed: 0 };
+}
+
 /**
  * Build a baseline-relative summary. `acuteWindowStart` splits the
  * observations: anything logged on/after it is "acute"; everything else
@@ -92,6 +164,28 @@ export function summarizeObservations(
     });
   }
 
+  const perMedication = new Map<string, { baseline: MedicationCounts; acute: MedicationCounts }>();
+  const tallyMedication = (o: Observation, bucket: 'baseline' | 'acute') => {
+    if (o.observationType !== 'medication' || !o.medicationName || !o.rating) return;
+    if (!perMedication.has(o.medicationName)) {
+      perMedication.set(o.medicationName, { baseline: emptyMedicationCounts(), acute: emptyMedicationCounts() });
+    }
+    const counts = perMedication.get(o.medicationName)![bucket] as unknown as Record<string, number>;
+    if (o.rating in counts) counts[o.rating] += 1;
+  };
+  baselineObs.forEach((o) => tallyMedication(o, 'baseline'));
+  acuteObs.forEach((o) => tallyMedication(o, 'acute'));
+  const medicationTrends: ObservationSummary['medicationTrends'] = [...perMedication]
+    .map(([medicationName, c]) => ({
+      medicationName,
+      baseline: c.baseline,
+      acute: c.acute,
+      exceptions: c.acute.refused + c.acute.missed,
+    }))
+    .sort((a, b) => a.medicationName.localeCompare(b.medicationName));
+  const acuteMedication = (rating: string) =>
+    acuteObs.filter((o) => o.observationType === 'medication' && o.rating === rating).length;
+
   const baselineMood: Record<string, number> = {};
   for (const o of baselineObs) {
     if (o.observationType === 'mood' && o.rating) baselineMood[o.rating] = (baselineMood[o.rating] ?? 0) + 1;
@@ -107,10 +201,17 @@ export function summarizeObservations(
       rating: o.rating,
       note: o.note,
       taskName: taskName(o.taskId),
+      medicationName: o.medicationName ?? null,
+      vitalLabel: o.vitalLabel ?? null,
+      vitalFlag: o.vitalFlag ?? null,
     })),
     taskTrends,
     baselineMood,
     acuteRefusals: acuteObs.filter((o) => o.observationType === 'refusal').length,
+    medicationTrends,
+    acuteMissedDoses: acuteMedication('missed'),
+    acuteRefusedDoses: acuteMedication('refused'),
+    acuteOutOfRangeVitals: acuteObs.filter((o) => o.observationType === 'vital' && o.vitalFlag).length,
   };
 }
 
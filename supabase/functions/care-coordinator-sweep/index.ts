@@ -2,11 +2,12 @@
 // Care Coordinator — Change-of-Condition Detector (sweep)
 //
 // Triggered by pg_cron every few hours. For each client with recent
-// caregiver observations, it compares the acute window against the
-// client's care-plan baseline + recent normal, asks Claude for a single
-// structured verdict, and writes any resulting care_signal to the
-// triage worklist. Read-only with respect to client care: it never
-// sends anything or changes a care plan.
+// caregiver observations (eMAR medication records included), it
+// compares the acute window against the client's care-plan baseline +
+// recent normal, asks Claude for a single structured verdict, and
+// writes any resulting care_signal to the triage worklist. Read-only
+// with respect to client care: it never sends anything or changes a
+// care plan.
 //
 // FEATURE FLAG: no-ops unless the care_coordinator agent row has
 // kill_switch = false. Seeded with kill_switch = true, so safe to
@@ -19,7 +20,13 @@ import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 
 import { DEFAULT_THRESHOLDS, SeverityThresholds } from './severity.ts';
-import { Observation, Task, summarizeObservations, normalizeDetectorOutput } from './analysis.ts';
+import {
+  OBSERVATION_COLUMNS,
+  Task,
+  normalizeDetectorOutput,
+  observationFromRow,
+  summarizeObservations,
+} from './analysis.ts';
 import { decideDisposition, ExistingSignal } from './dedup.ts';
 import { buildSystemPrompt, buildUserPrompt } from './prompt.ts';
 
@@ -46,18 +53,6 @@ function parseModelJson(text: string): unknown {
   }
 }
 
-function mapObservation(row: Record<string, unknown>): Observation {
-  return {
-    id: row.id as string,
-    observationType: row.observation_type as string,
-    rating: (row.rating as string) ?? null,
-    note: (row.note as string) ?? null,
-    taskId: (row.task_id as string) ?? null,
-    shiftId: (row.shift_id as string) ?? null,
-    loggedAt: row.logged_at as string,
-  };
-}
-
 function buildBaselineNarrative(data: unknown, generatedSummary: string | null): string {
   let narrative = '';
   if (generatedSummary) narrative += `Summary: ${generatedSummary}\n\n`;
@@ -176,11 +171,11 @@ serve(async (req) => {
 
       const { data: obsRows } = await supabase
         .from('care_plan_observations')
-        .select('id, observation_type, rating, note, task_id, shift_id, logged_at')
+        .select(OBSERVATION_COLUMNS)
         .eq('care_plan_id', carePlanId)
         .gte('logged_at', baselineStart)
         .order('logged_at', { ascending: true });
-      const observations = (obsRows ?? []).map(mapObservation);
+      const observations = (obsRows ?? []).map(observationFromRow);
       if (observations.length === 0) continue;
 
       evaluated += 1;
@@ -235,6 +230,8 @@ serve(async (req) => {
           rating: o!.rating,
           note: o!.note,
           task_name: tasks.find((t) => t.id === o!.taskId)?.taskName ?? null,
+          medication_name: o!.medicationName ?? null,
+          vital_label: o!.vitalLabel ?? null,
         }));
 
       const row = {
@@ -28,6 +28,8 @@ export function buildSystemPrompt(): string {
     'HARD RULES:',
     '- Baseline-relative: judge against THIS client. Behaviors their care plan documents as normal (e.g. frequently refuses meals, needs 2-person transfer) are NOT signals.',
     '- Clusters, not points: a single isolated observation is almost never a signal. Look for multiple categories co-occurring, or a clear worsening trend across recent shifts.',
+    '- Medication records (eMAR): repeated missed or refused doses map to medication_concern; weigh them with the other categories, and treat a documented hold (held) as following instructions, not a concern.',
+    '- Vitals marked HIGH or LOW are outside the client\'s care-plan range and map to vital_sign_change (weight to weight_change). Each one has already alerted the office on its own, so cite it when it is part of a wider cluster.',
     '- Default to silence. If in doubt, do not signal. Precision matters more than recall.',
     '- Decision support only: never diagnose or instruct care. Recommendations are always "recommend a nurse/office review," never orders.',
     '- Ground every signal in the actual observations: cite the observation ids you relied on.',
@@ -73,6 +75,22 @@ export function buildUserPrompt(client: ClientContext, summary: ObservationSumma
   }
   lines.push('');
 
+  if (summary.medicationTrends.length > 0) {
+    lines.push(
+      `MEDICATION ADMINISTRATION (eMAR; acute window: ${summary.acuteMissedDoses} missed, ` +
+        `${summary.acuteRefusedDoses} refused):`,
+    );
+    for (const m of summary.medicationTrends) {
+      const b = m.baseline;
+      const a = m.acute;
+      lines.push(
+        `- ${m.medicationName}: baseline given/refused/held/missed = ${b.given}/${b.refused}/${b.held}/${b.missed}; ` +
+          `acute = ${a.given}/${a.refused}/${a.held}/${a.missed}${m.exceptions > 0 ? '  <-- MISSED/REFUSED' : ''}`,
+      );
+    }
+    lines.push('');
+  }
+
   if (Object.keys(summary.baselineMood).length > 0) {
     lines.push(`BASELINE MOOD MIX: ${JSON.stringify(summary.baselineMood)}`);
     lines.push('');
@@ -83,8 +101,10 @@ export function buildUserPrompt(client: ClientContext, summary: ObservationSumma
     lines.push('(none)');
   } else {
     for (const o of summary.acute) {
-      const label = o.taskName ? `${o.taskName} — ${o.type}` : o.type;
-      const rating = o.rating ? ` [${o.rating}]` : '';
+      const subject = o.taskName ?? o.medicationName ?? o.vitalLabel;
+      const label = subject ? `${subject} — ${o.type}` : o.type;
+      const flag = o.vitalFlag ? `, ${o.vitalFlag.toUpperCase()} vs. care-plan range` : '';
+      const rating = o.rating ? ` [${o.rating}${flag}]` : '';
       const note = o.note ? ` — "${o.note}"` : '';
       lines.push(`- id=${o.id} (${o.loggedAt}) ${label}${rating}${note}`);
     }
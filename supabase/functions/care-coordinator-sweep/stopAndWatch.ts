@@ -2,8 +2,8 @@
 //
 // The validated early-warning categories the detector reasons against.
 // Based on the INTERACT "Stop and Watch" tool (designed for non-clinical
-// front-line staff), plus one home-care-relevant addition
-// (medication_concern). Keeping a fixed, named taxonomy — rather than
+// front-line staff), plus two home-care-relevant additions
+// (medication_concern, vital_sign_change). Keeping a fixed, named taxonomy — rather than
 // letting the model free-form categories — is what makes severity
 // grading deterministic and the output auditable.
 //
@@ -31,6 +31,7 @@ export const STOP_AND_WATCH_CATEGORIES: StopAndWatchCategory[] = [
   { id: 'skin_change', label: 'Change in skin', description: 'Skin breakdown, redness, new wound, bruising, or color change.' },
   { id: 'help_walking', label: 'Help walking / transfers', description: 'New or increased difficulty walking, transferring, or unsteadiness/falls risk.' },
   { id: 'medication_concern', label: 'Medication concern', description: 'Missed/refused meds, confusion about medications, or new side effects.' },
+  { id: 'vital_sign_change', label: 'Abnormal vital sign', description: 'Blood pressure, pulse, temperature, SpO2 or blood glucose outside the client\'s normal range.' },
 ];
 
 export const STOP_AND_WATCH_IDS: string[] = STOP_AND_WATCH_CATEGORIES.map((c) => c.id);
@@ -0,0 +1,252 @@
+// ═══════════════════════════════════════════════════════════════
+// Family digests — weekly generator
+//
+// Triggered by pg_cron on Monday mornings. For each active care plan
+// with caregiver observations last week, it summarizes the week
+// against the client's recent normal (the Care Coordinator's analysis
+// core), asks Claude for a warm family summary + concerns list, and
+// writes a care_plan_digests row as pending_review. It never sends
+// anything: staff review, edit and approve digests on the client page,
+// which emails them and puts them on the family portal.
+//
+// Only clients someone can receive a digest for are considered — a
+// responsible party with an email and a HIPAA authorization on file.
+// One digest per plan per week (unique period index), so a re-run
+// skips weeks already written.
+//
+// Design: docs/FAMILY_DIGESTS.md
+// ═══════════════════════════════════════════════════════════════
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+import {
+  OBSERVATION_COLUMNS,
+  Task,
+  observationFromRow,
+  summarizeObservations,
+} from '../care-coordinator-sweep/analysis.ts';
+import { buildDigestSystemPrompt, buildDigestUserPrompt, normalizeDigestOutput } from './prompt.ts';
+import {
+  DIGEST_STATUS,
+  digestRecipients,
+  formatDigestPeriod,
+  pickOrgTimezone,
+  weeklyDigestPeriod,
+} from '../../../src/lib/familyDigests.js';
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+const ANTHROPIC_API_KEY = Deno.env.get('ANTHROPIC_API_KEY') ?? '';
+const MODEL = Deno.env.get('CARE_PLAN_DIGEST_MODEL') || 'claude-sonnet-4-5-20250929';
+
+const DAY_MS = 86_400_000;
+// Observations before the week, so task trends have a normal to
+// compare against.
+const BASELINE_DAYS = 21;
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/** Defensively extract the first JSON object from a model response. */
+function parseModelJson(text: string): unknown {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end === -1 || end < start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+async function callClaude(system: string, user: string): Promise<unknown> {
+  const resp = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'x-api-key': ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify({
+      model: MODEL,
+      max_tokens: 1500,
+      system,
+      messages: [{ role: 'user', content: user }],
+    }),
+  });
+  if (!resp.ok) {
+    console.error('Anthropic error', resp.status, await resp.text());
+    return null;
+  }
+  const data = await resp.json();
+  const text = data?.content?.[0]?.text ?? '';
+  return parseModelJson(text);
+}
+
+function buildAboutNarrative(data: Record<string, unknown> | null, generatedSummary: string | null): string {
+  if (generatedSummary) return generatedSummary.slice(0, 2000);
+  try {
+    return JSON.stringify(data?.whoTheyAre ?? {}).slice(0, 2000);
+  } catch {
+    return '';
+  }
+}
+
+serve(async (req) => {
+  // Auth: same as care-coordinator-sweep — the gateway verifies the
+  // JWT the cron passes; CRON_SECRET, when configured, is required too.
+  const cronSecret = Deno.env.get('CRON_SECRET');
+  if (cronSecret && req.headers.get('Authorization') !== `Bearer ${cronSecret}`) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+  const now = Date.now();
+  const systemPrompt = buildDigestSystemPrompt();
+  const timezones = new Map<string, string>();
+
+  // Care plans with observations in the last eight days — a week in
+  // any org timezone.
+  const { data: recent } = await supabase
+    .from('care_plan_observations')
+    .select('care_plan_id')
+    .gte('logged_at', new Date(now - 8 * DAY_MS).toISOString());
+  const carePlanIds = Array.from(new Set((recent ?? []).map((r) => r.care_plan_id as string).filter(Boolean)));
+
+  let created = 0;
+  let skippedNoRecipient = 0;
+  let failed = 0;
+
+  for (const carePlanId of carePlanIds) {
+    try {
+      const { data: plan } = await supabase
+        .from('care_plans')
+        .select('id, client_id, current_version_id, status, org_id')
+        .eq('id', carePlanId)
+        .maybeSingle();
+      if (!plan || plan.status !== 'active' || !plan.current_version_id) continue;
+
+      const orgId = (plan.org_id as string) ?? '';
+      if (!timezones.has(orgId)) {
+        const { data: org } = orgId
+          ? await supabase.from('organizations').select('settings').eq('id', orgId).maybeSingle()
+          : { data: null };
+        timezones.set(orgId, pickOrgTimezone((org?.settings ?? null) as Record<string, unknown> | null));
+      }
+      const timezone = timezones.get(orgId)!;
+      const period = weeklyDigestPeriod(now, timezone);
+      const periodStart = new Date(period.startMs).toISOString();
+      const periodEnd = new Date(period.endMs).toISOString();
+
+      const { data: existing } = await supabase
+        .from('care_plan_digests')
+        .select('id')
+        .eq('care_plan_id', carePlanId)
+        .eq('period_type', 'weekly')
+        .eq('period_start', periodStart)
+        .maybeSingle();
+      if (existing) continue;
+
+      // Someone has to be able to receive it. A live portal link doesn't
+      // count on its own: the portal refuses a party who no longer has
+      // an email and a HIPAA authorization on file.
+      const { data: partyRows } = await supabase
+        .from('client_responsible_parties')
+        .select('rank, name, relationship, email, hipaa_on_file')
+        .eq('client_id', plan.client_id);
+      const parties = Object.fromEntries((partyRows ?? []).map((p) => [p.rank, p]));
+      if (digestRecipients(parties).length === 0) {
+        skippedNoRecipient += 1;
+        continue;
+      }
+
+      const { data: version } = await supabase
+        .from('care_plan_versions')
+        .select('data, generated_summary')
+        .eq('id', plan.current_version_id)
+        .maybeSingle();
+      if (!version) continue;
+
+      const { data: taskRows } = await supabase
+        .from('care_plan_tasks')
+        .select('id, task_name, category')
+        .eq('version_id', plan.current_version_id);
+      const tasks: Task[] = (taskRows ?? []).map((t) => ({
+        id: t.id as string,
+        taskName: t.task_name as string,
+        category: (t.category as string) ?? null,
+      }));
+
+      const { data: obsRows } = await supabase
+        .from('care_plan_observations')
+        .select(OBSERVATION_COLUMNS)
+        .eq('care_plan_id', carePlanId)
+        .gte('logged_at', new Date(period.startMs - BASELINE_DAYS * DAY_MS).toISOString())
+        .lt('logged_at', periodEnd)
+        .order('logged_at', { ascending: true });
+      const observations = (obsRows ?? []).map(observationFromRow);
+      const summary = summarizeObservations(observations, tasks, { acuteWindowStart: periodStart });
+      if (summary.acuteCount === 0) continue;
+
+      const data = (version.data ?? {}) as Record<string, unknown>;
+      const who = (data.whoTheyAre ?? {}) as Record<string, unknown>;
+      const userPrompt = buildDigestUserPrompt(
+        {
+          preferredName: (who.preferredName as string) || (who.fullName as string) || null,
+          periodLabel: formatDigestPeriod(periodStart, periodEnd, timezone),
+          aboutNarrative: buildAboutNarrative(data, version.generated_summary as string | null),
+        },
+        summary,
+      );
+
+      const raw = await callClaude(systemPrompt, userPrompt);
+      const digest = normalizeDigestOutput(raw, {
+        validObservationIds: new Set(summary.acute.map((o) => o.id)),
+      });
+      if (!digest) {
+        console.error('care-plan-digests: unusable model output for care_plan', carePlanId);
+        failed += 1;
+        continue;
+      }
+
+      const { error: insertError } = await supabase.from('care_plan_digests').insert({
+        org_id: plan.org_id ?? undefined,
+        care_plan_id: carePlanId,
+        client_id: plan.client_id,
+        period_type: 'weekly',
+        period_start: periodStart,
+        period_end: periodEnd,
+        narrative: digest.narrative,
+        highlights: digest.highlights,
+        concerns: digest.concerns,
+        model: MODEL,
+        status: DIGEST_STATUS.PENDING_REVIEW,
+        observation_count: summary.acuteCount,
+      });
+      if (insertError) {
+        // 23505: a concurrent run wrote this week first.
+        if (insertError.code !== '23505') {
+          console.error('care-plan-digests: insert failed', plan.client_id, insertError.message);
+          failed += 1;
+        }
+        continue;
+      }
+      created += 1;
+
+      await supabase.from('events').insert({
+        event_type: 'care_plan_digest_generated',
+        entity_type: 'client',
+        entity_id: plan.client_id,
+        actor: 'system:care_plan_digests',
+        payload: { period_start: periodStart, concerns: digest.concerns.length, observations: summary.acuteCount },
+      });
+    } catch (err) {
+      console.error('care-plan-digests error for care_plan', carePlanId, err);
+      failed += 1;
+    }
+  }
+
+  return jsonResponse({ ok: true, candidates: carePlanIds.length, created, skippedNoRecipient, failed });
+});
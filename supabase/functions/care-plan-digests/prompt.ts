@@ -0,0 +1,159 @@
+// ─── Family digest prompt + output normalization ───────────────
+//
+// Builds the prompt for one client's weekly family digest and gates
+// the model's JSON. Input is the same baseline-relative summary the
+// Care Coordinator detector reads (care-coordinator-sweep/analysis.ts,
+// per docs/CARE_COORDINATOR_AGENT.md §12): the detector turns it into
+// staff care_signals, this turns it into a warm summary and a concerns
+// list for the family. The week is the "acute" window.
+//
+// Pure string building + validation — unit-testable.
+
+import { ObservationSummary } from '../care-coordinator-sweep/analysis.ts';
+import { CONCERN_SEVERITIES, isConcernSeverity } from '../../../src/lib/familyDigests.js';
+
+export interface DigestClientContext {
+  // How the family refers to the client (preferred name, else full name).
+  preferredName: string | null;
+  // "Oct 11 – Oct 17"
+  periodLabel: string;
+  // Compact "who they are" from the published care-plan version.
+  aboutNarrative: string;
+}
+
+export interface DigestItem {
+  text: string;
+  observation_ids: string[];
+}
+
+export interface DigestConcern extends DigestItem {
+  severity: string;
+}
+
+export interface NormalizedDigest {
+  narrative: string;
+  highlights: DigestItem[];
+  concerns: DigestConcern[];
+}
+
+// Caps so a runaway response can't flood the review card.
+const MAX_HIGHLIGHTS = 5;
+const MAX_CONCERNS = 5;
+
+export function buildDigestSystemPrompt(): string {
+  return [
+    'You write the weekly care update a home-care agency sends to a client\'s family.',
+    'You read the caregivers\' shift observations for the week and turn them into a short, warm, honest summary.',
+    '',
+    'VOICE:',
+    '- Warm and plain-spoken, like a trusted care manager writing to the family. No clinical jargon, no abbreviations.',
+    '- Refer to the client by the name given. Do not name caregivers.',
+    '- 120 to 200 words for the narrative. Lead with how the week went overall.',
+    '',
+    'HARD RULES:',
+    '- Only say what the observations support. Never invent activities, moods or events.',
+    '- Never diagnose, never give medical advice, never speculate about causes.',
+    '- Concerns are for anything a family member would want to know: a fall, refusals, a change in eating, sleep or mood, missed or refused medication doses, vitals outside the client\'s normal range. State them calmly and factually.',
+    '- Concern severity: "info" = worth knowing, nothing to do; "watch" = a change the care team is keeping an eye on; "urgent" = something the office will be calling about. Use "urgent" sparingly.',
+    '- Do not repeat a concern in the narrative at length; mention it briefly and list it under concerns.',
+    '- Highlights are specific good moments from the week (a walk, a good appetite, a visit they enjoyed). Skip them if there were none.',
+    '- Cite the observation ids each highlight and concern is based on.',
+    '',
+    'Respond with ONLY a JSON object, no prose, in this exact schema:',
+    '{',
+    '  "narrative": string,',
+    '  "highlights": [{ "text": string, "observation_ids": string[] }],',
+    `  "concerns": [{ "text": string, "severity": ${CONCERN_SEVERITIES.map((s) => `"${s}"`).join(' | ')}, "observation_ids": string[] }]`,
+    '}',
+  ].join('\n');
+}
+
+export function buildDigestUserPrompt(client: DigestClientContext, summary: ObservationSummary): string {
+  const lines: string[] = [];
+  lines.push(`CLIENT: ${client.preferredName ?? 'the client'}`);
+  lines.push(`WEEK: ${client.periodLabel}`);
+  lines.push('');
+  lines.push('ABOUT THEM (from their care plan):');
+  lines.push(client.aboutNarrative || '(no published care plan available)');
+  lines.push('');
+
+  const declining = summary.taskTrends.filter((t) => t.declined);
+  if (declining.length > 0) {
+    lines.push('TASKS DONE LESS OFTEN THAN USUAL THIS WEEK:');
+    for (const t of declining) {
+      const a = t.acute;
+      lines.push(`- ${t.taskName}: done/partial/not-done this week = ${a.done}/${a.partial}/${a.not_done}`);
+    }
+    lines.push('');
+  }
+
+  if (summary.acuteMissedDoses > 0 || summary.acuteRefusedDoses > 0) {
+    lines.push(
+      `MEDICATIONS THIS WEEK: ${summary.acuteMissedDoses} missed and ${summary.acuteRefusedDoses} refused doses.`,
+    );
+    lines.push('');
+  }
+
+  lines.push(`THIS WEEK'S OBSERVATIONS (${summary.acuteCount} entries, oldest first):`);
+  for (const o of summary.acute) {
+    const subject = o.taskName ?? o.medicationName ?? o.vitalLabel;
+    const label = subject ? `${subject} — ${o.type}` : o.type;
+    const flag = o.vitalFlag ? `, ${o.vitalFlag.toUpperCase()} vs. their normal range` : '';
+    const rating = o.rating ? ` [${o.rating}${flag}]` : '';
+    const note = o.note ? ` — "${o.note}"` : '';
+    lines.push(`- id=${o.id} (${o.loggedAt}) ${label}${rating}${note}`);
+  }
+  lines.push('');
+  lines.push('Write the weekly update. Return only the JSON object.');
+  return lines.join('\n');
+}
+
+function normalizeIds(value: unknown, valid?: Set<string>): string[] {
+  const ids = Array.isArray(value)
+    ? Array.from(new Set(value.filter((x) => typeof x === 'string') as string[]))
+    : [];
+  return valid ? ids.filter((id) => valid.has(id)) : ids;
+}
+
+function normalizeText(value: unknown): string {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Validate the model's raw JSON. Returns null when there's no usable
+ * narrative — the job then writes nothing for the week. Items without
+ * text are dropped; unknown observation ids are dropped; a concern
+ * with an unknown severity is kept as "watch" so it still reaches the
+ * reviewer rather than silently disappearing.
+ */
+export function normalizeDigestOutput(
+  raw: unknown,
+  opts: { validObservationIds?: Set<string> } = {},
+): NormalizedDigest | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const r = raw as Record<string, unknown>;
+  const narrative = normalizeText(r.narrative);
+  if (!narrative) return null;
+
+  const items = (value: unknown) =>
+    (Array.isArray(value) ? value : [])
+      .filter((x) => x && typeof x === 'object')
+      .map((x) => x as Record<string, unknown>)
+      .filter((x) => normalizeText(x.text));
+
+  const highlights = items(r.highlights)
+    .slice(0, MAX_HIGHLIGHTS)
+    .map((h) => ({
+      text: normalizeText(h.text),
+      observation_ids: normalizeIds(h.observation_ids, opts.validObservationIds),
+    }));
+  const concerns = items(r.concerns)
+    .slice(0, MAX_CONCERNS)
+    .map((c) => ({
+      text: normalizeText(c.text),
+      severity: isConcernSeverity(c.severity) ? (c.severity as string) : 'watch',
+      observation_ids: normalizeIds(c.observation_ids, opts.validObservationIds),
+    }));
+
+  return { narrative, highlights, concerns };
+}
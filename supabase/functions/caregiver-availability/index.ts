@@ -0,0 +1,294 @@
+// ─── Caregiver Availability (self-service) ───
+// Called from the caregiver PWA's Availability screen. A caregiver can
+// edit their own weekly availability and ask for time off; time off
+// waits for the office, who approve it from the schedule page.
+// Time-off rules live in src/lib/scheduling/timeOffRequests.js.
+//
+// caregiver_availability and caregiver_time_off_requests are staff-only
+// under RLS, so every caregiver-side step goes through here with the
+// service role after checking who's calling.
+//
+// Weekly availability: the caregiver's save replaces all of their
+// recurring "available" rows (tagged source='caregiver', unpinned —
+// a later availability survey answer replaces them the same way).
+// One-off rows — office-entered time off, approved requests — are
+// left alone.
+//
+// Request:
+//   POST
+//   Authorization: Bearer <caregiver JWT>
+//   body: { action: "get" }
+//      or { action: "save_weekly",     slots: [{ day, startTime, endTime }] }
+//      or { action: "request_time_off", start_date, end_date, reason? }
+//      or { action: "cancel_time_off",  request_id }
+//
+// Response:
+//   get              → { slots, time_off: [request] }
+//   save_weekly      → { slots }
+//   request_time_off → { request }
+//   cancel_time_off  → { request }
+//   4xx/5xx          { error, code? }
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  TIME_OFF_STATUS,
+  todayInZone,
+  validateTimeOffRequest,
+} from "../../../src/lib/scheduling/timeOffRequests.js";
+import { convertAvailabilityAnswerToRows } from "../../../src/lib/scheduling/prescreenAvailability.js";
+import { DEFAULT_APP_TIMEZONE } from "../../../src/lib/scheduling/timezone.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const TIME_OFF_COLUMNS =
+  "id, start_date, end_date, reason, status, decided_at, decision_note, created_at";
+
+// How many past requests the PWA lists under the upcoming ones.
+const RECENT_TIME_OFF_LIMIT = 10;
+
+type Admin = ReturnType<typeof createClient>;
+type CaregiverRow = { id: string; org_id: string; first_name: string | null; last_name: string | null };
+
+async function loadOrgTimezone(admin: Admin, orgId: string): Promise<string> {
+  const { data } = await admin.from("organizations").select("settings").eq("id", orgId).maybeSingle();
+  const settings = (data?.settings ?? null) as Record<string, unknown> | null;
+  const scheduling = (settings?.scheduling ?? {}) as Record<string, unknown>;
+  if (typeof scheduling.timezone === "string" && scheduling.timezone.length > 0) {
+    return scheduling.timezone;
+  }
+  const payroll = (settings?.payroll ?? {}) as Record<string, unknown>;
+  if (typeof payroll.timezone === "string" && payroll.timezone.length > 0) {
+    return payroll.timezone;
+  }
+  return DEFAULT_APP_TIMEZONE;
+}
+
+// Postgres `time` comes back as "HH:MM:SS"; the PWA edits "HH:MM".
+function toSlot(row: { day_of_week: number; start_time: string; end_time: string }) {
+  return {
+    day: row.day_of_week,
+    startTime: String(row.start_time).slice(0, 5),
+    endTime: String(row.end_time).slice(0, 5),
+  };
+}
+
+async function loadWeeklySlots(admin: Admin, caregiverId: string) {
+  const { data, error } = await admin
+    .from("caregiver_availability")
+    .select("day_of_week, start_time, end_time")
+    .eq("caregiver_id", caregiverId)
+    .eq("type", "available")
+    .not("day_of_week", "is", null)
+    .order("day_of_week", { ascending: true })
+    .order("start_time", { ascending: true });
+  if (error) throw error;
+  return (data ?? []).map(toSlot);
+}
+
+// ── get: weekly slots + upcoming and recent time off ──
+async function handleGet(admin: Admin, caregiver: CaregiverRow) {
+  const today = todayInZone(new Date(), await loadOrgTimezone(admin, caregiver.org_id));
+  const [slots, upcomingRes, pastRes] = await Promise.all([
+    loadWeeklySlots(admin, caregiver.id),
+    admin
+      .from("caregiver_time_off_requests")
+      .select(TIME_OFF_COLUMNS)
+      .eq("caregiver_id", caregiver.id)
+      .gte("end_date", today)
+      .order("start_date", { ascending: true }),
+    admin
+      .from("caregiver_time_off_requests")
+      .select(TIME_OFF_COLUMNS)
+      .eq("caregiver_id", caregiver.id)
+      .lt("end_date", today)
+      .order("start_date", { ascending: false })
+      .limit(RECENT_TIME_OFF_LIMIT),
+  ]);
+  if (upcomingRes.error) throw upcomingRes.error;
+  if (pastRes.error) throw pastRes.error;
+
+  return jsonResponse({
+    slots,
+    time_off: [...(upcomingRes.data ?? []), ...(pastRes.data ?? [])],
+  });
+}
+
+// ── save_weekly: replace recurring availability ──
+async function handleSaveWeekly(admin: Admin, caregiver: CaregiverRow, slots: unknown[]) {
+  let rows;
+  try {
+    rows = convertAvailabilityAnswerToRows({ slots }, {
+      caregiverId: caregiver.id,
+      source: "caregiver",
+      createdBy: `${caregiver.first_name || ""} ${caregiver.last_name || ""}`.trim() || "Caregiver",
+    });
+  } catch (err) {
+    return jsonResponse({ error: (err as Error).message }, 400);
+  }
+
+  const { error: delErr } = await admin
+    .from("caregiver_availability")
+    .delete()
+    .eq("caregiver_id", caregiver.id)
+    .eq("type", "available")
+    .not("day_of_week", "is", null);
+  if (delErr) throw delErr;
+
+  if (rows.length > 0) {
+    const { error: insErr } = await admin.from("caregiver_availability").insert(
+      rows.map((r) => ({
+        org_id: caregiver.org_id,
+        caregiver_id: r.caregiverId,
+        type: r.type,
+        day_of_week: r.dayOfWeek,
+        start_time: r.startTime,
+        end_time: r.endTime,
+        source: r.source,
+        pinned: r.pinned,
+        created_by: r.createdBy,
+      })),
+    );
+    if (insErr) throw insErr;
+  }
+
+  return jsonResponse({ slots: await loadWeeklySlots(admin, caregiver.id) });
+}
+
+// ── request_time_off ──
+async function handleRequestTimeOff(admin: Admin, caregiver: CaregiverRow, body: Record<string, unknown>) {
+  const startDate = body.start_date as string;
+  const endDate = body.end_date as string;
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+
+  const today = todayInZone(new Date(), await loadOrgTimezone(admin, caregiver.org_id));
+  const invalid = validateTimeOffRequest({ startDate, endDate, reason }, { today });
+  if (invalid) return jsonResponse({ error: invalid }, 400);
+
+  // One request per day: an overlapping pending or approved request
+  // has to be withdrawn (or handled by the office) first.
+  const { data: overlapping, error: overlapErr } = await admin
+    .from("caregiver_time_off_requests")
+    .select("id")
+    .eq("caregiver_id", caregiver.id)
+    .in("status", [TIME_OFF_STATUS.PENDING, TIME_OFF_STATUS.APPROVED])
+    .lte("start_date", endDate)
+    .gte("end_date", startDate)
+    .limit(1);
+  if (overlapErr) throw overlapErr;
+  if (overlapping && overlapping.length > 0) {
+    return jsonResponse({
+      error: "You already have time off requested for some of these days.",
+      code: "overlap",
+    }, 409);
+  }
+
+  const { data, error } = await admin
+    .from("caregiver_time_off_requests")
+    .insert({
+      org_id: caregiver.org_id,
+      caregiver_id: caregiver.id,
+      start_date: startDate,
+      end_date: endDate,
+      reason: reason || null,
+      status: TIME_OFF_STATUS.PENDING,
+    })
+    .select(TIME_OFF_COLUMNS)
+    .single();
+  if (error) throw error;
+  return jsonResponse({ request: data });
+}
+
+// ── cancel_time_off: the caregiver withdraws a pending request ──
+async function handleCancelTimeOff(admin: Admin, caregiver: CaregiverRow, requestId: string) {
+  const { data, error } = await admin
+    .from("caregiver_time_off_requests")
+    .update({ status: TIME_OFF_STATUS.CANCELLED })
+    .eq("id", requestId)
+    .eq("caregiver_id", caregiver.id)
+    .eq("status", TIME_OFF_STATUS.PENDING)
+    .select(TIME_OFF_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) {
+    return jsonResponse({
+      error: "Only pending requests can be withdrawn. Call the office to change approved time off.",
+      code: "not_pending",
+    }, 409);
+  }
+  return jsonResponse({ request: data });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (req.method !== "POST") return jsonResponse({ error: "POST required." }, 405);
+
+  try {
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) return jsonResponse({ error: "Missing Authorization." }, 401);
+
+    // Resolve the calling user from the JWT.
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    if (userErr || !userData?.user) {
+      return jsonResponse({ error: "Not authenticated." }, 401);
+    }
+    const uid = userData.user.id;
+
+    const body = (await req.json().catch(() => ({}))) as Record<string, unknown>;
+    const action = body?.action;
+    if (!["get", "save_weekly", "request_time_off", "cancel_time_off"].includes(action as string)) {
+      return jsonResponse({
+        error: "action must be 'get', 'save_weekly', 'request_time_off' or 'cancel_time_off'.",
+      }, 400);
+    }
+    if (action === "save_weekly" && !Array.isArray(body.slots)) {
+      return jsonResponse({ error: "slots must be an array." }, 400);
+    }
+    if (action === "cancel_time_off" && (!body.request_id || typeof body.request_id !== "string")) {
+      return jsonResponse({ error: "Missing request_id." }, 400);
+    }
+
+    // Service role from here on — auth is verified above.
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data: cgRow, error: cgErr } = await admin
+      .from("caregivers")
+      .select("id, org_id, first_name, last_name")
+      .eq("user_id", uid)
+      .maybeSingle();
+    if (cgErr || !cgRow) {
+      return jsonResponse({ error: "No caregiver record linked to this login." }, 403);
+    }
+    const caregiver = cgRow as CaregiverRow;
+
+    switch (action) {
+      case "get":
+        return await handleGet(admin, caregiver);
+      case "save_weekly":
+        return await handleSaveWeekly(admin, caregiver, body.slots as unknown[]);
+      case "request_time_off":
+        return await handleRequestTimeOff(admin, caregiver, body);
+      default:
+        return await handleCancelTimeOff(admin, caregiver, body.request_id as string);
+    }
+  } catch (err) {
+    console.error("[caregiver-availability] unhandled error:", err);
+    return jsonResponse({ error: (err as Error).message || "Internal server error." }, 500);
+  }
+});
@@ -0,0 +1,224 @@
+// ─── Caregiver Clock-Out Corrections ───
+// Called from the caregiver PWA when a caregiver forgot to clock out.
+// They report when they actually left and why; the office approves or
+// denies from the schedule page's review queue, which writes the
+// clock-out. Rules live in src/lib/scheduling/clockOutCorrections.js.
+//
+// Caregivers can't read or write clock_out_corrections under RLS, so
+// both steps go through here with the service role after checking the
+// caller is the shift's assigned caregiver.
+//
+// Request:
+//   POST
+//   Authorization: Bearer <caregiver JWT>
+//   body: { action: "context", shift_id }
+//      or { action: "submit",  shift_id, end_time, reason }
+//
+// Response:
+//   context → { correction | null, clock_in_at | null, can_submit, reason }
+//   submit  → { correction }
+//   4xx/5xx { error, code? }
+//
+// A 'prompted' row the missed-clock-out-detector cron opened is filled
+// in; otherwise a new 'pending' row is created.
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CLOCK_OUT_CORRECTION_STATUS,
+  canCorrectClockOut,
+  validateClockOutCorrection,
+} from "../../../src/lib/scheduling/clockOutCorrections.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const CORRECTION_COLUMNS =
+  "id, shift_id, caregiver_id, status, requested_end_time, reason, prompted_at, submitted_at, decided_at, decision_note, created_at";
+
+type Admin = ReturnType<typeof createClient>;
+type ShiftRow = {
+  id: string;
+  org_id: string;
+  client_id: string;
+  assigned_caregiver_id: string | null;
+  status: string;
+  start_time: string;
+  end_time: string;
+};
+
+async function loadShift(admin: Admin, shiftId: string): Promise<ShiftRow | null> {
+  const { data, error } = await admin
+    .from("shifts")
+    .select("id, org_id, client_id, assigned_caregiver_id, status, start_time, end_time")
+    .eq("id", shiftId)
+    .maybeSingle();
+  if (error) throw error;
+  return data as ShiftRow | null;
+}
+
+async function loadClockInAt(admin: Admin, shiftId: string, caregiverId: string): Promise<string | null> {
+  const { data, error } = await admin
+    .from("clock_events")
+    .select("occurred_at")
+    .eq("shift_id", shiftId)
+    .eq("caregiver_id", caregiverId)
+    .eq("event_type", "in")
+    .order("occurred_at", { ascending: true })
+    .limit(1);
+  if (error) throw error;
+  return (data?.[0]?.occurred_at as string | undefined) ?? null;
+}
+
+async function latestCorrection(admin: Admin, shiftId: string, caregiverId: string) {
+  const { data, error } = await admin
+    .from("clock_out_corrections")
+    .select(CORRECTION_COLUMNS)
+    .eq("shift_id", shiftId)
+    .eq("caregiver_id", caregiverId)
+    .order("created_at", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] ?? null;
+}
+
+// ── context: the caregiver's latest correction for a shift ──
+async function handleContext(admin: Admin, caregiverId: string, shiftId: string) {
+  const shift = await loadShift(admin, shiftId);
+  if (!shift || shift.assigned_caregiver_id !== caregiverId) {
+    return jsonResponse({ error: "Shift not found." }, 404);
+  }
+  const [correction, clockInAt] = await Promise.all([
+    latestCorrection(admin, shiftId, caregiverId),
+    loadClockInAt(admin, shiftId, caregiverId),
+  ]);
+  const check = canCorrectClockOut(shift, caregiverId);
+  return jsonResponse({
+    correction,
+    clock_in_at: clockInAt,
+    can_submit: check.ok,
+    reason: check.reason,
+  });
+}
+
+// ── submit: report the actual end time ──
+async function handleSubmit(admin: Admin, caregiverId: string, body: Record<string, unknown>) {
+  const shiftId = body.shift_id as string;
+  const shift = await loadShift(admin, shiftId);
+  if (!shift || shift.assigned_caregiver_id !== caregiverId) {
+    return jsonResponse({ error: "Shift not found." }, 404);
+  }
+  const check = canCorrectClockOut(shift, caregiverId);
+  if (!check.ok) {
+    return jsonResponse({
+      error: check.reason === "too_soon"
+        ? "You can still clock out normally for this shift."
+        : "This shift doesn't need a clock-out correction.",
+      code: check.reason,
+    }, 409);
+  }
+
+  const clockInAt = await loadClockInAt(admin, shiftId, caregiverId);
+  const endTime = typeof body.end_time === "string" ? body.end_time : "";
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+  const invalid = validateClockOutCorrection({ clockInAt, endTime, reason });
+  if (invalid) return jsonResponse({ error: invalid }, 400);
+
+  const patch = {
+    status: CLOCK_OUT_CORRECTION_STATUS.PENDING,
+    requested_end_time: new Date(Date.parse(endTime)).toISOString(),
+    reason,
+    submitted_at: new Date().toISOString(),
+  };
+
+  // Fill in the cron's prompt if there is one…
+  const { data: updated, error: updErr } = await admin
+    .from("clock_out_corrections")
+    .update(patch)
+    .eq("shift_id", shiftId)
+    .eq("caregiver_id", caregiverId)
+    .eq("status", CLOCK_OUT_CORRECTION_STATUS.PROMPTED)
+    .select(CORRECTION_COLUMNS)
+    .maybeSingle();
+  if (updErr) throw updErr;
+  if (updated) return jsonResponse({ correction: updated });
+
+  // …otherwise open a new one.
+  const { data: created, error: insErr } = await admin
+    .from("clock_out_corrections")
+    .insert({ org_id: shift.org_id, shift_id: shiftId, caregiver_id: caregiverId, ...patch })
+    .select(CORRECTION_COLUMNS)
+    .single();
+  if (insErr) {
+    // uq_clock_out_corrections_open_shift — already sent, waiting on the office.
+    if ((insErr as { code?: string }).code === "23505") {
+      return jsonResponse({
+        error: "You've already sent an end time for this shift. The office is reviewing it.",
+        code: "duplicate",
+      }, 409);
+    }
+    throw insErr;
+  }
+  return jsonResponse({ correction: created });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (req.method !== "POST") return jsonResponse({ error: "POST required." }, 405);
+
+  try {
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) return jsonResponse({ error: "Missing Authorization." }, 401);
+
+    // Resolve the calling user from the JWT.
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    if (userErr || !userData?.user) {
+      return jsonResponse({ error: "Not authenticated." }, 401);
+    }
+    const uid = userData.user.id;
+
+    const body = (await req.json().catch(() => ({}))) as Record<string, unknown>;
+    const action = body?.action;
+    if (action !== "context" && action !== "submit") {
+      return jsonResponse({ error: "action must be 'context' or 'submit'." }, 400);
+    }
+    if (!body.shift_id || typeof body.shift_id !== "string") {
+      return jsonResponse({ error: "Missing shift_id." }, 400);
+    }
+
+    // Service role from here on — auth is verified above.
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data: cgRow, error: cgErr } = await admin
+      .from("caregivers")
+      .select("id")
+      .eq("user_id", uid)
+      .maybeSingle();
+    if (cgErr || !cgRow) {
+      return jsonResponse({ error: "No caregiver record linked to this login." }, 403);
+    }
+
+    if (action === "context") {
+      return await handleContext(admin, cgRow.id as string, body.shift_id as string);
+    }
+    return await handleSubmit(admin, cgRow.id as string, body);
+  } catch (err) {
+    console.error("[caregiver-clock-corrections] unhandled error:", err);
+    return jsonResponse({ error: (err as Error).message || "Internal server error." }, 500);
+  }
+});
@@ -10,9 +10,10 @@
 //   Authorization: Bearer <caregiver JWT>
 //   body: {
 //     shift_id:        uuid,
-//     event_type:      "in" | "out",
-//     latitude:        number,
-//     longitude:       number,
+//     event_type:      "in" | "out" | "break_start" | "break_end",
+//     break_type:      "meal" | "rest"      (break events only)
+//     latitude:        number               (optional on break events)
+//     longitude:       number               (optional on break events)
 //     accuracy_m:      number,
 //     override_reason: string | undefined  (only meaningful on failed geofence)
 //   }
@@ -24,13 +25,34 @@
 //
 // On success we insert a clock_events row AND update the shift status:
 //   - "in"  → shifts.status becomes 'in_progress'
-//   - "out" → shifts.status becomes 'completed'
+//   - "out" → shifts.status becomes 'completed', and any open
+//             missed-clock-out correction for the shift is cancelled
+//
+// Multi-caregiver shifts (shift_slots, src/lib/scheduling/shiftSlots.js):
+// every caregiver on the shift — the lead and each slot — clocks in and
+// out on their own, and the status checks run against their own clock
+// events. The shift goes in_progress on the first clock-in and
+// completed only when the last caregiver clocks out.
+//
+// Break events (meal / rest start and end) feed the CA meal and rest
+// period premium engine (src/lib/payroll/breakCompliance.js). They are
+// only accepted on an in_progress shift, never change its status, and
+// skip the shift-window and geofence checks — a caregiver may leave the
+// client's home for an off-duty meal. Start/end must alternate: one
+// open break at a time, and an end must match the open break's type.
 //
 // This is the first Phase 1 function written specifically to be
 // caregiver-JWT-callable. The caller MUST be a caregiver linked to
-// `shift.assigned_caregiver_id` — we verify that server-side.
+// `shift.assigned_caregiver_id`, or holding one of its slots — we
+// verify that server-side.
 
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  caregiverSlot,
+  clockedInCaregiverIds,
+  shiftStatusAfterSlotClock,
+  slotClockStatus,
+} from "../../../src/lib/scheduling/shiftSlots.js";
 
 const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
 const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
@@ -98,6 +120,127 @@ function evaluateShiftWindow(
   return { passed: true };
 }
 
+// ─── Break events ───
+// Records a break_start / break_end row. The shift must be in_progress
+// and breaks must alternate (see header). An offline replay of a break
+// that already landed — same type, kind, and occurred_at — returns
+// duplicate_event so the PWA outbox drops it instead of flagging it.
+type ShiftForClock = { id: string; client_id: string; status: string };
+
+async function recordBreakEvent(
+  admin: ReturnType<typeof createClient>,
+  args: {
+    shift: ShiftForClock;
+    caregiverId: string;
+    eventType: "break_start" | "break_end";
+    breakType: "meal" | "rest";
+    lat: number | null;
+    lng: number | null;
+    accuracy: number | null;
+    occurredAtIso: string | null;
+    fromOutbox: boolean;
+  },
+) {
+  const { shift, caregiverId, eventType, breakType } = args;
+  const label = breakType === "meal" ? "meal break" : "rest break";
+
+  if (shift.status !== "in_progress") {
+    return jsonResponse({
+      error: `Can't record a ${label} — shift is ${shift.status}, not in_progress.`,
+      code: "bad_status",
+    }, 409);
+  }
+
+  const { data: priorBreaks, error: priorErr } = await admin
+    .from("clock_events")
+    .select("event_type, break_type, occurred_at")
+    .eq("shift_id", shift.id)
+    .eq("caregiver_id", caregiverId)
+    .in("event_type", ["break_start", "break_end"])
+    .order("occurred_at", { ascending: true });
+  if (priorErr) {
+    console.error("[caregiver-clock] break lookup error:", priorErr);
+    return jsonResponse({ error: "Failed to load this shift's breaks." }, 500);
+  }
+  const prior = (priorBreaks ?? []) as Array<{
+    event_type: string; break_type: string | null; occurred_at: string;
+  }>;
+
+  if (args.occurredAtIso) {
+    const replayMs = Date.parse(args.occurredAtIso);
+    const isReplay = prior.some((e) =>
+      e.event_type === eventType
+      && e.break_type === breakType
+      && Date.parse(e.occurred_at) === replayMs
+    );
+    if (isReplay) {
+      return jsonResponse({ error: `This ${label} is already recorded.`, code: "duplicate_event" }, 409);
+    }
+  }
+
+  // The open break, if any, is the last event when it is a start.
+  const last = prior.length > 0 ? prior[prior.length - 1] : null;
+  const openBreakType = last?.event_type === "break_start" ? last.break_type : null;
+  if (eventType === "break_start" && openBreakType) {
+    return jsonResponse({
+      error: `End your ${openBreakType === "meal" ? "meal" : "rest"} break before starting another.`,
+      code: "bad_break_sequence",
+    }, 409);
+  }
+  if (eventType === "break_end" && openBreakType !== breakType) {
+    return jsonResponse({
+      error: `There is no ${label} in progress to end.`,
+      code: "bad_break_sequence",
+    }, 409);
+  }
+
+  const insertRow: Record<string, unknown> = {
+    shift_id: shift.id,
+    caregiver_id: caregiverId,
+    event_type: eventType,
+    break_type: breakType,
+    latitude: args.lat,
+    longitude: args.lng,
+    accuracy_m: args.accuracy,
+    source: args.fromOutbox ? "offline_sync" : "caregiver_app",
+  };
+  if (args.occurredAtIso) insertRow.occurred_at = args.occurredAtIso;
+
+  const { data: clockRow, error: insErr } = await admin
+    .from("clock_events")
+    .insert(insertRow)
+    .select("id, occurred_at")
+    .single();
+  if (insErr || !clockRow) {
+    console.error("[caregiver-clock] break insert error:", insErr);
+    return jsonResponse({ error: "Failed to record break." }, 500);
+  }
+
+  try {
+    await admin.from("events").insert({
+      event_type: eventType === "break_start" ? "shift_break_start" : "shift_break_end",
+      entity_type: "caregiver",
+      entity_id: caregiverId,
+      actor: `caregiver:${caregiverId}`,
+      payload: {
+        shift_id: shift.id,
+        client_id: shift.client_id,
+        break_type: breakType,
+      },
+    });
+  } catch (_) {
+    // Non-fatal
+  }
+
+  return jsonResponse({
+    success: true,
+    clock_event_id: clockRow.id,
+    occurred_at: clockRow.occurred_at,
+    break_type: breakType,
+    shift_status: shift.status,
+  });
+}
+
 Deno.serve(async (req: Request) => {
   if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
   if (req.method !== "POST") return jsonResponse({ error: "POST required." }, 405);
@@ -118,16 +261,26 @@ Deno.serve(async (req: Request) => {
 
     // Parse + validate body.
     const body = await req.json();
-    const { shift_id, event_type, latitude, longitude, accuracy_m, override_reason } = body ?? {};
+    const {
+      shift_id, event_type, break_type, latitude, longitude, accuracy_m, override_reason,
+    } = body ?? {};
     if (!shift_id || typeof shift_id !== "string") {
       return jsonResponse({ error: "Missing shift_id." }, 400);
     }
-    if (event_type !== "in" && event_type !== "out") {
-      return jsonResponse({ error: "event_type must be 'in' or 'out'." }, 400);
+    const isBreakEvent = event_type === "break_start" || event_type === "break_end";
+    if (event_type !== "in" && event_type !== "out" && !isBreakEvent) {
+      return jsonResponse({
+        error: "event_type must be 'in', 'out', 'break_start' or 'break_end'.",
+      }, 400);
+    }
+    if (isBreakEvent && break_type !== "meal" && break_type !== "rest") {
+      return jsonResponse({ error: "break_type must be 'meal' or 'rest'." }, 400);
     }
     const lat = Number(latitude);
     const lng = Number(longitude);
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    const hasGps = latitude != null && longitude != null
+      && Number.isFinite(lat) && Number.isFinite(lng);
+    if (!hasGps && !isBreakEvent) {
       return jsonResponse({ error: "Missing or invalid caregiver GPS coordinates." }, 400);
     }
     const accuracy = Number.isFinite(Number(accuracy_m)) ? Number(accuracy_m) : null;
@@ -191,10 +344,53 @@ Deno.serve(async (req: Request) => {
       .eq("id", shift_id)
       .maybeSingle();
     if (shiftErr || !shift) return jsonResponse({ error: "Shift not found." }, 404);
-    if (shift.assigned_caregiver_id !== caregiverId) {
+
+    const { data: slotRows, error: slotErr } = await admin
+      .from("shift_slots")
+      .select("id, shift_id, caregiver_id, role")
+      .eq("shift_id", shift.id)
+      .not("caregiver_id", "is", null);
+    if (slotErr) {
+      console.error("[caregiver-clock] slot lookup error:", slotErr);
+      return jsonResponse({ error: "Failed to load this shift's caregivers." }, 500);
+    }
+    const slots = slotRows ?? [];
+    if (!caregiverSlot(shift, slots, caregiverId)) {
       return jsonResponse({ error: "This shift is not assigned to you." }, 403);
     }
 
+    // With slots, each caregiver's clock state is their own: the lead
+    // can clock out while the assist is still on the visit.
+    const multiStaffed = slots.length > 0;
+    let clockStatus: string = shift.status;
+    if (multiStaffed) {
+      const { data: ownEvents, error: ownErr } = await admin
+        .from("clock_events")
+        .select("event_type")
+        .eq("shift_id", shift.id)
+        .eq("caregiver_id", caregiverId)
+        .in("event_type", ["in", "out"]);
+      if (ownErr) {
+        console.error("[caregiver-clock] clock event lookup error:", ownErr);
+        return jsonResponse({ error: "Failed to load your clock events." }, 500);
+      }
+      clockStatus = slotClockStatus(shift.status, ownEvents ?? []);
+    }
+
+    if (isBreakEvent) {
+      return await recordBreakEvent(admin, {
+        shift: { ...shift, status: clockStatus },
+        caregiverId,
+        eventType: event_type,
+        breakType: break_type,
+        lat: hasGps ? lat : null,
+        lng: hasGps ? lng : null,
+        accuracy,
+        occurredAtIso,
+        fromOutbox,
+      });
+    }
+
     const { data: client, error: clientErr } = await admin
       .from("clients")
       .select("id, first_name, last_name, latitude, longitude, geofence_radius_m")
@@ -204,15 +400,15 @@ Deno.serve(async (req: Request) => {
 
     // Enforce simple status transitions so a caregiver can't clock
     // in twice in a row or clock out before clocking in.
-    if (event_type === "in" && !["assigned", "confirmed"].includes(shift.status)) {
+    if (event_type === "in" && !["assigned", "confirmed"].includes(clockStatus)) {
       return jsonResponse({
-        error: `Can't clock in — shift is already ${shift.status}.`,
+        error: `Can't clock in — shift is already ${clockStatus}.`,
         code: "bad_status",
       }, 409);
     }
-    if (event_type === "out" && shift.status !== "in_progress") {
+    if (event_type === "out" && clockStatus !== "in_progress") {
       return jsonResponse({
-        error: `Can't clock out — shift is ${shift.status}, not in_progress.`,
+        error: `Can't clock out — shift is ${clockStatus}, not in_progress.`,
         code: "bad_status",
       }, 409);
     }
@@ -309,7 +505,7 @@ Deno.serve(async (req: Request) => {
       .single();
     if (insErr || !clockRow) {
       console.error("[caregiver-clock] insert error:", insErr);
-      // Unique-constraint violation on (shift_id, event_type) means
+      // Unique-constraint violation on (shift_id, caregiver_id, event_type) means
       // a duplicate clock event slipped past the status check (race
       // between two near-simultaneous taps). Surface a clear message.
       if ((insErr as { code?: string } | null)?.code === "23505") {
@@ -325,16 +521,46 @@ Deno.serve(async (req: Request) => {
       return jsonResponse({ error: "Failed to record clock event." }, 500);
     }
 
-    // Flip shift status.
+    // Flip shift status. `newStatus` is the caller's own; on a shift
+    // with slots the shift itself only completes once nobody is still
+    // clocked in.
     const newStatus = event_type === "in" ? "in_progress" : "completed";
-    const { error: updErr } = await admin
-      .from("shifts")
-      .update({ status: newStatus, updated_at: new Date().toISOString() })
-      .eq("id", shift.id);
-    if (updErr) {
-      console.error("[caregiver-clock] shift update error:", updErr);
-      // Don't fail the request — the clock event is the source of
-      // truth. Admin can reconcile shift status from clock_events.
+    let shiftStatus: string | null = newStatus;
+    if (multiStaffed) {
+      const { data: allEvents, error: allErr } = await admin
+        .from("clock_events")
+        .select("caregiver_id, event_type")
+        .eq("shift_id", shift.id)
+        .in("event_type", ["in", "out"]);
+      if (allErr) console.error("[caregiver-clock] clock event lookup error:", allErr);
+      shiftStatus = allErr ? null : shiftStatusAfterSlotClock({
+        eventType: event_type,
+        shiftStatus: shift.status,
+        stillClockedIn: clockedInCaregiverIds(allEvents ?? []).length,
+      });
+    }
+    if (shiftStatus) {
+      const { error: updErr } = await admin
+        .from("shifts")
+        .update({ status: shiftStatus, updated_at: new Date().toISOString() })
+        .eq("id", shift.id);
+      if (updErr) {
+        console.error("[caregiver-clock] shift update error:", updErr);
+        // Don't fail the request — the clock event is the source of
+        // truth. Admin can reconcile shift status from clock_events.
+      }
+    }
+
+    // A real clock-out settles any missed-clock-out correction still
+    // open for the caregiver (clockOutCorrections.js). Best-effort.
+    if (event_type === "out") {
+      const { error: corrErr } = await admin
+        .from("clock_out_corrections")
+        .update({ status: "cancelled" })
+        .eq("shift_id", shift.id)
+        .eq("caregiver_id", caregiverId)
+        .in("status", ["prompted", "pending"]);
+      if (corrErr) console.warn("[caregiver-clock] correction cancel error:", corrErr);
     }
 
     // Fire-and-forget event log for the unified bus.
@@ -0,0 +1,361 @@
+// ─── Caregiver Open Shifts ───
+// Backs the "Open shifts" page in the caregiver PWA: a browsable
+// alternative to texting YES to a broadcast. Caregivers can't read
+// open shifts, offers or their own availability rows under RLS, so
+// both the list and the response go through this function.
+//
+// Request:
+//   POST
+//   Authorization: Bearer <caregiver JWT>
+//   body: { action: "list" }
+//      or { action: "respond", shift_id: uuid }
+//
+// Response:
+//   list    → 200 { shifts: [{ id, start_time, end_time, client, response, offer_status }] }
+//   respond → 200 { outcome: "assigned" | "interested", offer_id }
+//             409 { error, code: "taken" | "not_eligible" }
+//   4xx/5xx { error }
+//
+// Eligibility (open/offered, unassigned, in the future, covered by the
+// caregiver's availability, no overlap or travel clash) lives in
+// src/lib/scheduling/openShiftBoard.js and is re-checked on respond —
+// the list may be minutes old. Responding writes the same shift_offers
+// row an SMS "YES" does; when the shift is flagged
+// auto_assign_on_first_yes we then run the matcher's runAutoAssign, so
+// the race-safe claim, peer-offer expiry and confirmation SMS are
+// identical whichever channel the yes came in on.
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { runAutoAssign } from "../_shared/operations/shiftOfferMatching.ts";
+import {
+  OPEN_SHIFT_BOARD_DAYS,
+  BOARD_SHIFT_STATUSES,
+  boardResponseFor,
+  boardShiftEligibility,
+  eligibleBoardShifts,
+  planBoardOffer,
+} from "../../../src/lib/scheduling/openShiftBoard.js";
+import {
+  buildClientLocations,
+  resolveTravelModel,
+} from "../../../src/lib/scheduling/conflictDetection.js";
+import { DEFAULT_APP_TIMEZONE } from "../../../src/lib/scheduling/timezone.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const SHIFT_COLUMNS =
+  "id, org_id, client_id, assigned_caregiver_id, status, start_time, end_time, auto_assign_on_first_yes";
+
+type Admin = ReturnType<typeof createClient>;
+type CaregiverRow = { id: string; org_id: string; first_name: string | null; last_name: string | null };
+type ShiftRow = {
+  id: string;
+  org_id: string;
+  client_id: string;
+  assigned_caregiver_id: string | null;
+  status: string;
+  start_time: string;
+  end_time: string;
+  auto_assign_on_first_yes: boolean | null;
+};
+type ClientRow = {
+  id: string;
+  first_name: string | null;
+  last_name: string | null;
+  city: string | null;
+  latitude: number | null;
+  longitude: number | null;
+};
+
+function pickOrgTimezone(settings: Record<string, unknown> | null): string {
+  const scheduling = (settings?.scheduling ?? {}) as Record<string, unknown>;
+  if (typeof scheduling.timezone === "string" && scheduling.timezone.length > 0) {
+    return scheduling.timezone;
+  }
+  const payroll = (settings?.payroll ?? {}) as Record<string, unknown>;
+  if (typeof payroll.timezone === "string" && payroll.timezone.length > 0) {
+    return payroll.timezone;
+  }
+  return DEFAULT_APP_TIMEZONE;
+}
+
+// Caregivers see a client's first name, last initial and city before
+// they pick a shift up — the full address arrives with the assignment.
+function publicClient(client: ClientRow | undefined) {
+  if (!client) return null;
+  const initial = client.last_name ? `${client.last_name.charAt(0)}.` : "";
+  return {
+    name: `${client.first_name || ""} ${initial}`.trim() || "Client",
+    city: client.city || null,
+  };
+}
+
+/**
+ * Load everything the eligibility check needs for one caregiver:
+ * availability, the shifts they already work around the window, org
+ * travel settings, and the clients involved (for travel estimates).
+ */
+async function loadEligibilityContext(
+  admin: Admin,
+  caregiver: CaregiverRow,
+  candidates: ShiftRow[],
+  windowStart: Date,
+  windowEnd: Date,
+) {
+  // A day either side so travel buffers at the edges still see the
+  // neighbouring visit.
+  const from = new Date(windowStart.getTime() - 24 * 60 * 60_000).toISOString();
+  const to = new Date(windowEnd.getTime() + 24 * 60 * 60_000).toISOString();
+
+  const [availabilityRes, workingRes, slotRes, orgRes] = await Promise.all([
+    admin
+      .from("caregiver_availability")
+      .select("*")
+      .eq("caregiver_id", caregiver.id),
+    admin
+      .from("shifts")
+      .select("id, client_id, assigned_caregiver_id, status, start_time, end_time")
+      .eq("assigned_caregiver_id", caregiver.id)
+      .lt("start_time", to)
+      .gt("end_time", from),
+    // Shifts they work in a slot (multi-caregiver visits) count too.
+    admin
+      .from("shift_slots")
+      .select("shift:shifts!inner(id, client_id, assigned_caregiver_id, status, start_time, end_time)")
+      .eq("caregiver_id", caregiver.id)
+      .lt("shift.start_time", to)
+      .gt("shift.end_time", from),
+    admin
+      .from("organizations")
+      .select("settings")
+      .eq("id", caregiver.org_id)
+      .maybeSingle(),
+  ]);
+  if (availabilityRes.error) throw availabilityRes.error;
+  if (workingRes.error) throw workingRes.error;
+  if (slotRes.error) throw slotRes.error;
+  if (orgRes.error) throw orgRes.error;
+
+  const caregiverShifts = [
+    ...(workingRes.data ?? []),
+    ...(slotRes.data ?? []).map((sl: { shift: ShiftRow }) => sl.shift),
+  ] as ShiftRow[];
+  const clientIds = Array.from(
+    new Set([...candidates, ...caregiverShifts].map((sh) => sh.client_id).filter(Boolean)),
+  );
+  let clients: ClientRow[] = [];
+  if (clientIds.length > 0) {
+    const { data, error } = await admin
+      .from("clients")
+      .select("id, first_name, last_name, city, latitude, longitude")
+      .in("id", clientIds);
+    if (error) throw error;
+    clients = (data ?? []) as ClientRow[];
+  }
+
+  const settings = (orgRes.data?.settings ?? null) as Record<string, unknown> | null;
+  return {
+    clientsById: Object.fromEntries(clients.map((c) => [c.id, c])) as Record<string, ClientRow>,
+    eligibility: {
+      availabilityRows: availabilityRes.data ?? [],
+      caregiverShifts,
+      clientLocations: buildClientLocations(clients),
+      travelModel: resolveTravelModel(settings),
+      timezone: pickOrgTimezone(settings),
+    },
+  };
+}
+
+async function listOpenShifts(admin: Admin, caregiver: CaregiverRow) {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + OPEN_SHIFT_BOARD_DAYS * 24 * 60 * 60_000);
+
+  const { data: openRows, error: openErr } = await admin
+    .from("shifts")
+    .select(SHIFT_COLUMNS)
+    .eq("org_id", caregiver.org_id)
+    .in("status", BOARD_SHIFT_STATUSES as unknown as string[])
+    .is("assigned_caregiver_id", null)
+    .gt("start_time", now.toISOString())
+    .lt("start_time", windowEnd.toISOString())
+    .order("start_time", { ascending: true });
+  if (openErr) throw openErr;
+  const candidates = (openRows ?? []) as ShiftRow[];
+  if (candidates.length === 0) return jsonResponse({ shifts: [] });
+
+  const { clientsById, eligibility } = await loadEligibilityContext(
+    admin, caregiver, candidates, now, windowEnd,
+  );
+  const eligible = eligibleBoardShifts({ shifts: candidates, ...eligibility, now }) as ShiftRow[];
+
+  const offerStatusByShift: Record<string, string> = {};
+  if (eligible.length > 0) {
+    const { data: offers, error: offerErr } = await admin
+      .from("shift_offers")
+      .select("shift_id, status, sent_at")
+      .eq("caregiver_id", caregiver.id)
+      .in("shift_id", eligible.map((sh) => sh.id))
+      .order("sent_at", { ascending: true });
+    if (offerErr) throw offerErr;
+    // Ascending order: the latest offer per shift wins.
+    for (const offer of offers ?? []) offerStatusByShift[offer.shift_id] = offer.status;
+  }
+
+  return jsonResponse({
+    shifts: eligible.map((sh) => ({
+      id: sh.id,
+      start_time: sh.start_time,
+      end_time: sh.end_time,
+      client: publicClient(clientsById[sh.client_id]),
+      response: boardResponseFor(sh),
+      offer_status: offerStatusByShift[sh.id] ?? null,
+    })),
+  });
+}
+
+async function respondToShift(admin: Admin, caregiver: CaregiverRow, shiftId: string) {
+  const { data: shiftRow, error: shiftErr } = await admin
+    .from("shifts")
+    .select(SHIFT_COLUMNS)
+    .eq("id", shiftId)
+    .maybeSingle();
+  if (shiftErr) throw shiftErr;
+  const shift = shiftRow as ShiftRow | null;
+  if (!shift || shift.org_id !== caregiver.org_id) {
+    return jsonResponse({ error: "Shift not found." }, 404);
+  }
+
+  const now = new Date();
+  const { eligibility } = await loadEligibilityContext(
+    admin, caregiver, [shift], new Date(shift.start_time), new Date(shift.end_time),
+  );
+  const check = boardShiftEligibility(shift, { ...eligibility, now });
+  if (check.reason === "not_open") {
+    return jsonResponse({ error: "Someone else already picked up this shift.", code: "taken" }, 409);
+  }
+  if (!check.eligible) {
+    return jsonResponse({
+      error: check.reason === "conflict"
+        ? "This shift clashes with one you're already scheduled for."
+        : "This shift is outside your availability.",
+      code: "not_eligible",
+    }, 409);
+  }
+
+  const { data: existingRows, error: existingErr } = await admin
+    .from("shift_offers")
+    .select("id, status, sent_at")
+    .eq("shift_id", shift.id)
+    .eq("caregiver_id", caregiver.id)
+    .order("sent_at", { ascending: false })
+    .limit(1);
+  if (existingErr) throw existingErr;
+
+  const name = `${caregiver.first_name || ""} ${caregiver.last_name || ""}`.trim();
+  const plan = planBoardOffer({
+    shift,
+    caregiverId: caregiver.id,
+    existingOffer: existingRows?.[0] ?? null,
+    createdBy: `${name || caregiver.id} (caregiver app)`,
+    now,
+  });
+
+  let offerId = plan.offerId ?? null;
+  if (plan.action === "update") {
+    const { error } = await admin.from("shift_offers").update(plan.row).eq("id", plan.offerId);
+    if (error) throw error;
+  } else if (plan.action === "insert") {
+    const { data, error } = await admin
+      .from("shift_offers")
+      .insert(plan.row)
+      .select("id")
+      .single();
+    if (error) throw error;
+    offerId = data.id;
+    // Same as a broadcast: an open shift with an offer on it is 'offered'.
+    if (shift.status === "open") {
+      await admin
+        .from("shifts")
+        .update({ status: "offered", updated_at: now.toISOString() })
+        .eq("id", shift.id)
+        .eq("status", "open");
+    }
+  }
+
+  if (boardResponseFor(shift) !== "claim") {
+    return jsonResponse({ outcome: "interested", offer_id: offerId });
+  }
+
+  const assigned = await runAutoAssign(
+    admin,
+    { id: offerId!, shift_id: shift.id, caregiver_id: caregiver.id },
+    `caregiver:${caregiver.id}`,
+  );
+  if (!assigned) {
+    return jsonResponse({ error: "Someone else already picked up this shift.", code: "taken" }, 409);
+  }
+  return jsonResponse({ outcome: "assigned", offer_id: offerId });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (req.method !== "POST") return jsonResponse({ error: "POST required." }, 405);
+
+  try {
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) return jsonResponse({ error: "Missing Authorization." }, 401);
+
+    // Resolve the calling user from the JWT.
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    if (userErr || !userData?.user) {
+      return jsonResponse({ error: "Not authenticated." }, 401);
+    }
+    const uid = userData.user.id;
+
+    const body = await req.json().catch(() => ({}));
+    const { action, shift_id } = body ?? {};
+    if (action !== "list" && action !== "respond") {
+      return jsonResponse({ error: "action must be 'list' or 'respond'." }, 400);
+    }
+    if (action === "respond" && (!shift_id || typeof shift_id !== "string")) {
+      return jsonResponse({ error: "Missing shift_id." }, 400);
+    }
+
+    // Service role from here on — auth is verified and the caregiver
+    // can't read open shifts or offers directly.
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data: cgRow, error: cgErr } = await admin
+      .from("caregivers")
+      .select("id, org_id, first_name, last_name")
+      .eq("user_id", uid)
+      .maybeSingle();
+    if (cgErr || !cgRow) {
+      return jsonResponse({ error: "No caregiver record linked to this login." }, 403);
+    }
+    const caregiver = cgRow as CaregiverRow;
+
+    if (action === "list") return await listOpenShifts(admin, caregiver);
+    return await respondToShift(admin, caregiver, shift_id);
+  } catch (err) {
+    console.error("[caregiver-open-shifts] unhandled error:", err);
+    return jsonResponse({ error: (err as Error).message || "Internal server error." }, 500);
+  }
+});
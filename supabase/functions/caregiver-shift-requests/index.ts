@@ -0,0 +1,492 @@
+// ─── Caregiver Shift Requests (drop / swap) ───
+// Called from the caregiver PWA when a caregiver can't make a shift.
+// They can release it to the pool (drop) or offer it to a named
+// coworker (swap); the coworker accepts or declines in their own PWA,
+// and the office approves from the schedule page's request queue.
+// Lifecycle rules live in src/lib/scheduling/shiftChangeRequests.js.
+//
+// Caregivers can't read coworkers, other caregivers' shifts or the
+// request table under RLS, so every caregiver-side step goes through
+// here with the service role after checking who's calling.
+//
+// Request:
+//   POST
+//   Authorization: Bearer <caregiver JWT>
+//   body: { action: "context",  shift_id }
+//      or { action: "create",   shift_id, kind: "drop" | "swap", target_caregiver_id?, reason? }
+//      or { action: "cancel",   request_id }
+//      or { action: "incoming" }
+//      or { action: "respond",  request_id, accept: boolean }
+//
+// Response:
+//   context  → { request | null, coworkers: [{ id, name }] }
+//   create   → { request }
+//   cancel   → { request }
+//   incoming → { requests: [{ id, shift_id, start_time, end_time, client, requester_name, reason }] }
+//   respond  → { request }
+//   4xx/5xx  { error, code? }
+//
+// Push notifications go out through send-push (targeted mode) and are
+// best-effort: a failed push never rolls back the request change.
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  SHIFT_CHANGE_STATUS,
+  OPEN_CHANGE_STATUSES,
+  canRequestShiftChange,
+  isChangeRequestCurrent,
+  validateShiftChangeRequest,
+  initialChangeStatus,
+  coworkerResponseStatus,
+  formatChangeShiftWhen,
+  changeRequestPush,
+} from "../../../src/lib/scheduling/shiftChangeRequests.js";
+import {
+  detectConflicts,
+  buildClientLocations,
+  resolveTravelModel,
+} from "../../../src/lib/scheduling/conflictDetection.js";
+import { DEFAULT_APP_TIMEZONE } from "../../../src/lib/scheduling/timezone.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const REQUEST_COLUMNS =
+  "id, shift_id, requester_caregiver_id, kind, target_caregiver_id, status, reason, coworker_responded_at, decided_at, decision_note, created_at";
+const SHIFT_COLUMNS = "id, org_id, client_id, assigned_caregiver_id, status, start_time, end_time";
+
+type Admin = ReturnType<typeof createClient>;
+type CaregiverRow = { id: string; org_id: string; first_name: string | null; last_name: string | null };
+type ShiftRow = {
+  id: string;
+  org_id: string;
+  client_id: string;
+  assigned_caregiver_id: string | null;
+  status: string;
+  start_time: string;
+  end_time: string;
+};
+type RequestRow = {
+  id: string;
+  shift_id: string;
+  requester_caregiver_id: string;
+  kind: string;
+  target_caregiver_id: string | null;
+  status: string;
+  reason: string | null;
+};
+
+// Coworkers and clients are shown as first name + last initial.
+function shortName(row: { first_name: string | null; last_name: string | null } | null | undefined) {
+  if (!row) return null;
+  const initial = row.last_name ? `${row.last_name.charAt(0)}.` : "";
+  return `${row.first_name || ""} ${initial}`.trim() || null;
+}
+
+async function loadOrgSettings(admin: Admin, orgId: string) {
+  const { data } = await admin.from("organizations").select("settings").eq("id", orgId).maybeSingle();
+  return (data?.settings ?? null) as Record<string, unknown> | null;
+}
+
+function pickOrgTimezone(settings: Record<string, unknown> | null): string {
+  const scheduling = (settings?.scheduling ?? {}) as Record<string, unknown>;
+  if (typeof scheduling.timezone === "string" && scheduling.timezone.length > 0) {
+    return scheduling.timezone;
+  }
+  const payroll = (settings?.payroll ?? {}) as Record<string, unknown>;
+  if (typeof payroll.timezone === "string" && payroll.timezone.length > 0) {
+    return payroll.timezone;
+  }
+  return DEFAULT_APP_TIMEZONE;
+}
+
+async function notify(admin: Admin, caregiverIds: string[], payload: Record<string, unknown>) {
+  try {
+    const { error } = await admin.functions.invoke("send-push", {
+      body: { ...payload, caregiver_ids: caregiverIds },
+    });
+    if (error) console.warn("[caregiver-shift-requests] push failed:", error);
+  } catch (err) {
+    console.warn("[caregiver-shift-requests] push failed:", err);
+  }
+}
+
+async function loadShift(admin: Admin, shiftId: string): Promise<ShiftRow | null> {
+  const { data, error } = await admin.from("shifts").select(SHIFT_COLUMNS).eq("id", shiftId).maybeSingle();
+  if (error) throw error;
+  return data as ShiftRow | null;
+}
+
+async function loadCaregiver(admin: Admin, id: string): Promise<CaregiverRow | null> {
+  const { data } = await admin
+    .from("caregivers")
+    .select("id, org_id, first_name, last_name")
+    .eq("id", id)
+    .maybeSingle();
+  return data as CaregiverRow | null;
+}
+
+async function pushFor(
+  admin: Admin,
+  event: string,
+  request: RequestRow,
+  shift: ShiftRow,
+  recipientId: string,
+  names: { requesterName?: string | null; targetName?: string | null },
+) {
+  const settings = await loadOrgSettings(admin, shift.org_id);
+  const payload = changeRequestPush(event, {
+    request,
+    shiftWhen: formatChangeShiftWhen(shift.start_time, pickOrgTimezone(settings)),
+    requesterName: names.requesterName || undefined,
+    targetName: names.targetName || undefined,
+  });
+  await notify(admin, [recipientId], payload);
+}
+
+// ── context: this caregiver's latest request for a shift + coworkers ──
+async function handleContext(admin: Admin, caregiver: CaregiverRow, shiftId: string) {
+  const shift = await loadShift(admin, shiftId);
+  if (!shift || shift.assigned_caregiver_id !== caregiver.id) {
+    return jsonResponse({ error: "Shift not found." }, 404);
+  }
+
+  const [requestRes, coworkerRes] = await Promise.all([
+    admin
+      .from("shift_change_requests")
+      .select(REQUEST_COLUMNS)
+      .eq("shift_id", shiftId)
+      .eq("requester_caregiver_id", caregiver.id)
+      .order("created_at", { ascending: false })
+      .limit(1),
+    admin
+      .from("caregivers")
+      .select("id, first_name, last_name")
+      .eq("org_id", caregiver.org_id)
+      .eq("archived", false)
+      .not("user_id", "is", null)
+      .neq("id", caregiver.id)
+      .order("first_name", { ascending: true }),
+  ]);
+  if (requestRes.error) throw requestRes.error;
+  if (coworkerRes.error) throw coworkerRes.error;
+
+  const request = (requestRes.data?.[0] ?? null) as RequestRow | null;
+  let targetName: string | null = null;
+  if (request?.target_caregiver_id) {
+    targetName = shortName(await loadCaregiver(admin, request.target_caregiver_id));
+  }
+
+  return jsonResponse({
+    request: request ? { ...request, target_name: targetName } : null,
+    coworkers: (coworkerRes.data ?? []).map((c) => ({ id: c.id, name: shortName(c) || "Coworker" })),
+  });
+}
+
+// ── create ──
+async function handleCreate(admin: Admin, caregiver: CaregiverRow, body: Record<string, unknown>) {
+  const shiftId = body.shift_id as string;
+  const kind = body.kind as string;
+  const targetId = (body.target_caregiver_id as string) || null;
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+
+  const invalid = validateShiftChangeRequest({
+    kind,
+    requesterId: caregiver.id,
+    targetCaregiverId: targetId,
+    reason,
+  });
+  if (invalid) return jsonResponse({ error: invalid }, 400);
+
+  const shift = await loadShift(admin, shiftId);
+  if (!shift || shift.assigned_caregiver_id !== caregiver.id) {
+    return jsonResponse({ error: "Shift not found." }, 404);
+  }
+  const check = canRequestShiftChange(shift, caregiver.id);
+  if (!check.ok) {
+    return jsonResponse({
+      error: check.reason === "started"
+        ? "This shift has already started — call the office."
+        : "This shift can't be changed from the app.",
+      code: check.reason,
+    }, 409);
+  }
+
+  let target: CaregiverRow | null = null;
+  if (targetId) {
+    target = await loadCaregiver(admin, targetId);
+    if (!target || target.org_id !== caregiver.org_id) {
+      return jsonResponse({ error: "Coworker not found." }, 404);
+    }
+  }
+
+  const { data: created, error: insErr } = await admin
+    .from("shift_change_requests")
+    .insert({
+      org_id: shift.org_id,
+      shift_id: shift.id,
+      requester_caregiver_id: caregiver.id,
+      kind,
+      target_caregiver_id: targetId,
+      status: initialChangeStatus(kind),
+      reason: reason || null,
+    })
+    .select(REQUEST_COLUMNS)
+    .single();
+  if (insErr) {
+    // uq_shift_change_requests_open_shift
+    if ((insErr as { code?: string }).code === "23505") {
+      return jsonResponse({ error: "There's already an open request for this shift.", code: "duplicate" }, 409);
+    }
+    throw insErr;
+  }
+  const request = created as RequestRow;
+
+  if (target) {
+    await pushFor(admin, "swap_offered", request, shift, target.id, {
+      requesterName: shortName(caregiver),
+    });
+  }
+
+  return jsonResponse({ request: { ...request, target_name: shortName(target) } });
+}
+
+// ── cancel (requester withdraws) ──
+async function handleCancel(admin: Admin, caregiver: CaregiverRow, requestId: string) {
+  const { data, error } = await admin
+    .from("shift_change_requests")
+    .update({ status: SHIFT_CHANGE_STATUS.CANCELLED })
+    .eq("id", requestId)
+    .eq("requester_caregiver_id", caregiver.id)
+    .in("status", OPEN_CHANGE_STATUSES as unknown as string[])
+    .select(REQUEST_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return jsonResponse({ error: "This request is no longer open.", code: "not_open" }, 409);
+  return jsonResponse({ request: data });
+}
+
+// ── incoming: swaps waiting on this caregiver ──
+async function handleIncoming(admin: Admin, caregiver: CaregiverRow) {
+  const { data: rows, error } = await admin
+    .from("shift_change_requests")
+    .select(REQUEST_COLUMNS)
+    .eq("target_caregiver_id", caregiver.id)
+    .eq("status", SHIFT_CHANGE_STATUS.PENDING_COWORKER)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  const requests = (rows ?? []) as RequestRow[];
+  if (requests.length === 0) return jsonResponse({ requests: [] });
+
+  const { data: shiftRows, error: shiftErr } = await admin
+    .from("shifts")
+    .select(SHIFT_COLUMNS)
+    .in("id", requests.map((r) => r.shift_id));
+  if (shiftErr) throw shiftErr;
+  const shiftsById = Object.fromEntries((shiftRows ?? []).map((sh) => [sh.id, sh as ShiftRow]));
+
+  const requesterIds = Array.from(new Set(requests.map((r) => r.requester_caregiver_id)));
+  const clientIds = Array.from(new Set((shiftRows ?? []).map((sh) => sh.client_id)));
+  const [{ data: requesters }, { data: clients }] = await Promise.all([
+    admin.from("caregivers").select("id, first_name, last_name").in("id", requesterIds),
+    admin.from("clients").select("id, first_name, last_name, city").in("id", clientIds),
+  ]);
+  const requesterById = Object.fromEntries((requesters ?? []).map((c) => [c.id, c]));
+  const clientById = Object.fromEntries((clients ?? []).map((c) => [c.id, c]));
+
+  // Skip requests whose shift moved on; the office queue cancels them.
+  const current = requests.filter((r) => isChangeRequestCurrent(r, shiftsById[r.shift_id]));
+
+  return jsonResponse({
+    requests: current.map((r) => {
+      const shift = shiftsById[r.shift_id];
+      const client = clientById[shift.client_id];
+      return {
+        id: r.id,
+        shift_id: r.shift_id,
+        start_time: shift.start_time,
+        end_time: shift.end_time,
+        client: client ? { name: shortName(client) || "Client", city: client.city || null } : null,
+        requester_name: shortName(requesterById[r.requester_caregiver_id]) || "A coworker",
+        reason: r.reason,
+      };
+    }),
+  });
+}
+
+// The coworker must be free: no overlap or travel clash with what
+// they already work.
+async function coworkerConflicts(admin: Admin, caregiver: CaregiverRow, shift: ShiftRow) {
+  const dayMs = 24 * 60 * 60_000;
+  const to = new Date(Date.parse(shift.end_time) + dayMs).toISOString();
+  const from = new Date(Date.parse(shift.start_time) - dayMs).toISOString();
+  const [{ data: working, error }, { data: slotted, error: slotErr }] = await Promise.all([
+    admin
+      .from("shifts")
+      .select("id, client_id, status, start_time, end_time")
+      .eq("assigned_caregiver_id", caregiver.id)
+      .lt("start_time", to)
+      .gt("end_time", from),
+    // Shifts they work in a slot (multi-caregiver visits) count too.
+    admin
+      .from("shift_slots")
+      .select("shift:shifts!inner(id, client_id, status, start_time, end_time)")
+      .eq("caregiver_id", caregiver.id)
+      .lt("shift.start_time", to)
+      .gt("shift.end_time", from),
+  ]);
+  if (error) throw error;
+  if (slotErr) throw slotErr;
+  const existing = [
+    ...(working ?? []),
+    ...(slotted ?? []).map((sl: { shift: Record<string, unknown> }) => sl.shift),
+  ] as Array<{ id: string; client_id: string; status: string; start_time: string; end_time: string }>;
+  if (existing.length === 0) return [];
+
+  const clientIds = Array.from(new Set([shift.client_id, ...existing.map((sh) => sh.client_id)]));
+  const [{ data: clients }, settings] = await Promise.all([
+    admin.from("clients").select("id, latitude, longitude").in("id", clientIds),
+    loadOrgSettings(admin, shift.org_id),
+  ]);
+  return detectConflicts(shift, existing, {
+    excludeShiftId: shift.id,
+    clientLocations: buildClientLocations(clients ?? []),
+    travelModel: resolveTravelModel(settings),
+  });
+}
+
+// ── respond: the named coworker accepts or declines a swap ──
+async function handleRespond(admin: Admin, caregiver: CaregiverRow, requestId: string, accept: boolean) {
+  const { data: row, error } = await admin
+    .from("shift_change_requests")
+    .select(REQUEST_COLUMNS)
+    .eq("id", requestId)
+    .eq("target_caregiver_id", caregiver.id)
+    .maybeSingle();
+  if (error) throw error;
+  const request = row as RequestRow | null;
+  if (!request || request.status !== SHIFT_CHANGE_STATUS.PENDING_COWORKER) {
+    return jsonResponse({ error: "This request is no longer open.", code: "not_open" }, 409);
+  }
+
+  const shift = await loadShift(admin, request.shift_id);
+  if (!shift || !isChangeRequestCurrent(request, shift)) {
+    await admin
+      .from("shift_change_requests")
+      .update({ status: SHIFT_CHANGE_STATUS.CANCELLED })
+      .eq("id", request.id);
+    return jsonResponse({ error: "This shift has changed — the request was withdrawn.", code: "not_open" }, 409);
+  }
+
+  if (accept && (await coworkerConflicts(admin, caregiver, shift)).length > 0) {
+    return jsonResponse({
+      error: "This shift clashes with one you're already scheduled for.",
+      code: "conflict",
+    }, 409);
+  }
+
+  const { data: updated, error: updErr } = await admin
+    .from("shift_change_requests")
+    .update({
+      status: coworkerResponseStatus(accept),
+      coworker_responded_at: new Date().toISOString(),
+    })
+    .eq("id", request.id)
+    .eq("status", SHIFT_CHANGE_STATUS.PENDING_COWORKER)
+    .select(REQUEST_COLUMNS)
+    .maybeSingle();
+  if (updErr) throw updErr;
+  if (!updated) return jsonResponse({ error: "This request is no longer open.", code: "not_open" }, 409);
+
+  await pushFor(
+    admin,
+    accept ? "swap_accepted" : "swap_declined",
+    updated as RequestRow,
+    shift,
+    request.requester_caregiver_id,
+    { targetName: shortName(caregiver) },
+  );
+
+  return jsonResponse({ request: updated });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (req.method !== "POST") return jsonResponse({ error: "POST required." }, 405);
+
+  try {
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader) return jsonResponse({ error: "Missing Authorization." }, 401);
+
+    // Resolve the calling user from the JWT.
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    if (userErr || !userData?.user) {
+      return jsonResponse({ error: "Not authenticated." }, 401);
+    }
+    const uid = userData.user.id;
+
+    const body = (await req.json().catch(() => ({}))) as Record<string, unknown>;
+    const action = body?.action;
+    const needsShift = action === "context" || action === "create";
+    const needsRequest = action === "cancel" || action === "respond";
+    if (!needsShift && !needsRequest && action !== "incoming") {
+      return jsonResponse({
+        error: "action must be 'context', 'create', 'cancel', 'incoming' or 'respond'.",
+      }, 400);
+    }
+    if (needsShift && (!body.shift_id || typeof body.shift_id !== "string")) {
+      return jsonResponse({ error: "Missing shift_id." }, 400);
+    }
+    if (needsRequest && (!body.request_id || typeof body.request_id !== "string")) {
+      return jsonResponse({ error: "Missing request_id." }, 400);
+    }
+    if (action === "respond" && typeof body.accept !== "boolean") {
+      return jsonResponse({ error: "accept must be true or false." }, 400);
+    }
+
+    // Service role from here on — auth is verified above.
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data: cgRow, error: cgErr } = await admin
+      .from("caregivers")
+      .select("id, org_id, first_name, last_name")
+      .eq("user_id", uid)
+      .maybeSingle();
+    if (cgErr || !cgRow) {
+      return jsonResponse({ error: "No caregiver record linked to this login." }, 403);
+    }
+    const caregiver = cgRow as CaregiverRow;
+
+    switch (action) {
+      case "context":
+        return await handleContext(admin, caregiver, body.shift_id as string);
+      case "create":
+        return await handleCreate(admin, caregiver, body);
+      case "cancel":
+        return await handleCancel(admin, caregiver, body.request_id as string);
+      case "incoming":
+        return await handleIncoming(admin, caregiver);
+      default:
+        return await handleRespond(admin, caregiver, body.request_id as string, body.accept as boolean);
+    }
+  } catch (err) {
+    console.error("[caregiver-shift-requests] unhandled error:", err);
+    return jsonResponse({ error: (err as Error).message || "Internal server error." }, 500);
+  }
+});
@@ -55,7 +55,7 @@ const supabase: SupabaseClient = createClient(
 interface TaskRow {
   id: string;
   org_id: string;
-  source: "template" | "user" | "ai";
+  source: "template" | "user" | "ai" | "system";
   title: string | null;
   description: string | null;
   caregiver_id: string | null;
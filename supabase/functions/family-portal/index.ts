@@ -0,0 +1,184 @@
+// ─── family-portal (public) ───
+// Backs the /family/:token page a client's responsible party opens
+// from their digest email. The only credential is the secret token,
+// looked up in family_portal_links with the service role; an unknown
+// or revoked token, or one whose responsible party no longer has an
+// email and a HIPAA authorization on file, gets the same "not found"
+// answer. Staff issue and revoke links on the client page
+// (FamilyUpdatesPanel).
+//
+// POST { token } → {
+//   client_first_name, recipient_name, timezone,
+//   visits:  upcoming visits, next PORTAL_VISIT_DAYS days — the client
+//            calendar feed's events (shifts + tentative planned visits)
+//   digests: the latest approved care_plan_digests, without the
+//            observation ids staff use for review
+// }
+//
+// Shared rules live in src/lib/familyDigests.js and
+// src/lib/scheduling/calendarFeed.js. Visits carry caregiver first
+// name and last initial, like the calendar feed.
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import { clientFeedEvent, plannedVisitEvents } from "../../../src/lib/scheduling/calendarFeed.js";
+import {
+  DIGEST_STATUS,
+  PORTAL_DIGEST_LIMIT,
+  PORTAL_VISIT_DAYS,
+  isPortalToken,
+  pickOrgTimezone,
+  recipientBlocker,
+  upcomingVisits,
+} from "../../../src/lib/familyDigests.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const NOT_FOUND = "This link is no longer active. Please contact Tremendous Care for a new one.";
+const DAY_MS = 86_400_000;
+// Only touch last_accessed_at when it's this stale.
+const ACCESS_STAMP_INTERVAL_MS = 60 * 60_000;
+
+type Admin = ReturnType<typeof createClient>;
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json", "Cache-Control": "no-store" },
+  });
+}
+
+async function loadVisits(admin: Admin, clientId: string, nowMs: number, timezone: string) {
+  const endMs = nowMs + PORTAL_VISIT_DAYS * DAY_MS;
+  const [shiftRes, planRes] = await Promise.all([
+    admin
+      .from("shifts")
+      .select("id, client_id, assigned_caregiver_id, service_plan_id, status, start_time, end_time, updated_at")
+      .eq("client_id", clientId)
+      .gte("end_time", new Date(nowMs).toISOString())
+      .lt("start_time", new Date(endMs).toISOString()),
+    admin
+      .from("service_plans")
+      .select("id, status, is_ongoing, recurrence_pattern, last_generated_through")
+      .eq("client_id", clientId)
+      .eq("is_ongoing", true)
+      .eq("status", "active"),
+  ]);
+  if (shiftRes.error) throw shiftRes.error;
+  if (planRes.error) throw planRes.error;
+
+  const shifts = shiftRes.data ?? [];
+  const caregiverIds = [...new Set(shifts.map((s) => s.assigned_caregiver_id).filter(Boolean))];
+  const caregivers = new Map<string, Record<string, unknown>>();
+  if (caregiverIds.length > 0) {
+    const { data, error } = await admin.from("caregivers").select("id, first_name, last_name").in("id", caregiverIds);
+    if (error) throw error;
+    for (const c of data ?? []) caregivers.set(c.id as string, c);
+  }
+
+  const events = [
+    ...shifts.map((s) =>
+      clientFeedEvent(s, s.assigned_caregiver_id ? caregivers.get(s.assigned_caregiver_id) ?? null : null)
+    ),
+    ...plannedVisitEvents({ plans: planRes.data ?? [], shifts, startMs: nowMs, endMs, timezone }),
+  ];
+  return upcomingVisits(events, nowMs);
+}
+
+async function loadDigests(admin: Admin, clientId: string) {
+  const { data, error } = await admin
+    .from("care_plan_digests")
+    .select("id, period_start, period_end, narrative, highlights, concerns")
+    .eq("client_id", clientId)
+    .eq("status", DIGEST_STATUS.APPROVED)
+    .order("period_end", { ascending: false })
+    .limit(PORTAL_DIGEST_LIMIT);
+  if (error) throw error;
+  const textOnly = (items: unknown) =>
+    (Array.isArray(items) ? items : []).map((i: Record<string, unknown>) => ({
+      text: i.text,
+      ...(i.severity ? { severity: i.severity } : {}),
+    }));
+  return (data ?? []).map((d) => ({
+    id: d.id,
+    period_start: d.period_start,
+    period_end: d.period_end,
+    narrative: d.narrative,
+    highlights: textOnly(d.highlights),
+    concerns: textOnly(d.concerns),
+  }));
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") return jsonResponse({ error: "Method not allowed." }, 405);
+
+  let token: unknown = null;
+  try {
+    ({ token } = await req.json());
+  } catch {
+    // fall through to the token check
+  }
+  if (!isPortalToken(token)) return jsonResponse({ error: NOT_FOUND }, 404);
+
+  try {
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+    const { data: link, error: linkErr } = await admin
+      .from("family_portal_links")
+      .select("id, org_id, client_id, responsible_party_rank, recipient_name, revoked_at, last_accessed_at")
+      .eq("token", token)
+      .maybeSingle();
+    if (linkErr) throw linkErr;
+    if (!link || link.revoked_at) return jsonResponse({ error: NOT_FOUND }, 404);
+
+    // The party must still qualify: a link outlives a removed contact,
+    // email or HIPAA authorization until staff revoke it.
+    const { data: party, error: partyErr } = await admin
+      .from("client_responsible_parties")
+      .select("rank, name, email, hipaa_on_file")
+      .eq("client_id", link.client_id)
+      .eq("rank", link.responsible_party_rank)
+      .maybeSingle();
+    if (partyErr) throw partyErr;
+    if (recipientBlocker(party)) return jsonResponse({ error: NOT_FOUND }, 404);
+
+    const [{ data: client }, { data: org }] = await Promise.all([
+      admin.from("clients").select("first_name").eq("id", link.client_id).maybeSingle(),
+      admin.from("organizations").select("settings").eq("id", link.org_id).maybeSingle(),
+    ]);
+    const timezone = pickOrgTimezone((org?.settings ?? null) as Record<string, unknown> | null);
+
+    const now = Date.now();
+    const [visits, digests] = await Promise.all([
+      loadVisits(admin, link.client_id as string, now, timezone),
+      loadDigests(admin, link.client_id as string),
+    ]);
+
+    const lastAccessMs = link.last_accessed_at ? new Date(link.last_accessed_at).getTime() : 0;
+    if (now - lastAccessMs > ACCESS_STAMP_INTERVAL_MS) {
+      const { error: stampErr } = await admin
+        .from("family_portal_links")
+        .update({ last_accessed_at: new Date(now).toISOString() })
+        .eq("id", link.id);
+      if (stampErr) console.error("[family-portal] last_accessed_at update failed:", stampErr.message);
+    }
+
+    return jsonResponse({
+      client_first_name: client?.first_name || "",
+      recipient_name: link.recipient_name,
+      timezone,
+      visits,
+      digests,
+    });
+  } catch (err) {
+    console.error("[family-portal] failed:", (err as Error).message);
+    return jsonResponse({ error: "Something went wrong. Please try again later." }, 500);
+  }
+});
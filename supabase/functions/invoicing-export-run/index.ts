@@ -0,0 +1,944 @@
+// ─── Invoicing: export an invoice run to QuickBooks ───
+//
+// Triggered from the Phase 3 "Generate Invoice Run" modal in the
+// Invoicing tab's ThisWeekView after the back office types the run
+// total. Modeled on payroll-export-run.
+//
+//   { invoice_ids: string[], invoice_date?, export_mode?, dry_run? }
+//   { retry_run_id }    — re-push a qbo_api run's unpushed invoices
+//
+// Export:
+//   1. Validates auth (JWT-derived org_id + admin/owner role).
+//   2. Loads every invoice by id with its invoice_shifts lines,
+//      refusing the call if any is not `approved`, belongs to another
+//      org, or the list spans billing periods (evaluateRunEligibility).
+//   3. qbo_api mode only: loads the org's QuickBooks connection (and
+//      refreshes an about-to-expire access token) BEFORE anything is
+//      persisted, so a dead connection fails the run cleanly.
+//   4. Reserves one invoice number per invoice from the per-org,
+//      per-year sequence (`next_invoice_numbers` RPC). Invoices are
+//      numbered in client-name order.
+//   5. Generates the QuickBooks "Import invoices" CSV via the pure
+//      `generateQboInvoiceCsv` and uploads it to the private
+//      `invoice-exports` bucket under `<org_id>/<invoice_run_id>.csv`.
+//   6. Inserts the `invoice_runs` row and flips each invoice to
+//      `exported` with its invoice_number + invoice_run_id.
+//      Optimistic concurrency + rollback exactly as payroll-export-run.
+//   7. qbo_api mode only: pushes each invoice through the QuickBooks
+//      API (find-or-create customer, resolve mapped items, create the
+//      invoice — idempotent on DocNumber). Per-invoice failures do not
+//      undo the export: the run lands in `failed` with the reasons in
+//      error_details, and `{ retry_run_id }` pushes the rest later.
+//      The CSV is always produced, so the back office can fall back to
+//      a manual import.
+//   8. Returns a 5-minute signed URL for the CSV.
+//
+// dry_run: true generates and uploads a preview CSV with placeholder
+// numbers; no sequence is consumed, no rows change, nothing is pushed.
+//
+// Multi-tenancy:
+//   - org_id derives from the caller's JWT.
+//   - Every invoice's org_id is verified against the caller's org.
+//     Mismatch → 403 (cross-tenant guard).
+//   - Client rows, the run row, and storage paths are org-scoped.
+//
+// Plan reference: docs/INVOICING.md ("Phased rollout" → Phase 3).
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+
+import {
+  evaluateRunEligibility,
+  INVOICE_STATUS,
+} from "../../../src/lib/invoicing/approvalStateMachine.js";
+import {
+  addDays,
+  assignInvoiceNumbers,
+  buildQboCustomerPayload,
+  buildQboInvoicePayload,
+  customerDisplayName,
+  generateQboInvoiceCsv,
+  resolveExportConfig,
+} from "../../../src/lib/invoicing/qboExport.js";
+import { utcMsToWallClockParts } from "../../../src/lib/scheduling/timezone.js";
+import {
+  decideRefreshAction,
+  expiriesFromTokenResponse,
+  refreshAccessToken,
+} from "../_shared/helpers/quickbooks.ts";
+import {
+  createQboClient,
+  pushInvoice,
+  type QboClient,
+  type QboEnvironment,
+  QuickBooksApiError,
+} from "../_shared/helpers/quickbooksApi.ts";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+
+const ALLOWED_ORIGINS = [
+  "https://caregiver-portal.vercel.app",
+  "http://localhost:5173",
+  "http://localhost:3000",
+];
+
+const SIGNED_URL_TTL_SECONDS = 300; // 5 minutes — enough for one click-and-download.
+const STORAGE_BUCKET = "invoice-exports";
+const EXPORT_MODES = new Set(["csv_export", "qbo_api"]);
+
+function getCorsHeaders(request: Request): Record<string, string> {
+  const origin = request.headers.get("origin") || "";
+  const allowedOrigin = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+  return {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+  };
+}
+
+function jsonResponse(status: number, body: unknown, cors: Record<string, string>) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...cors, "Content-Type": "application/json" },
+  });
+}
+
+// ─── Auth ────────────────────────────────────────────────────────
+
+interface AuthContext { orgId: string; userEmail: string | null; }
+
+async function authenticateRequest(
+  authHeader: string | null,
+): Promise<{ ok: true; ctx: AuthContext } | { ok: false; status: number; error: string }> {
+  if (!authHeader) return { ok: false, status: 401, error: "Missing Authorization header." };
+  const token = authHeader.replace(/^Bearer\s+/i, "").trim();
+  const parts = token.split(".");
+  if (parts.length !== 3) return { ok: false, status: 401, error: "Malformed JWT." };
+  let payload: Record<string, unknown>;
+  try {
+    const b64 = parts[1].replace(/-/g, "+").replace(/_/g, "/");
+    const padded = b64 + "===".slice((b64.length + 3) % 4);
+    payload = JSON.parse(atob(padded));
+  } catch {
+    return { ok: false, status: 401, error: "Invalid JWT payload." };
+  }
+  const orgId = typeof payload.org_id === "string" ? payload.org_id : null;
+  if (!orgId) {
+    return {
+      ok: false,
+      status: 403,
+      error:
+        "JWT is missing org_id claim. Confirm the SaaS-retrofit access token hook is enabled.",
+    };
+  }
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: authHeader } },
+  });
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  if (userErr || !userData.user) return { ok: false, status: 401, error: "Not authenticated." };
+  return { ok: true, ctx: { orgId, userEmail: userData.user.email ?? null } };
+}
+
+async function assertStaff(
+  supabase: ReturnType<typeof createClient>,
+  email: string | null,
+) {
+  if (!email) return { ok: false, status: 403, error: "Admin access required." } as const;
+  const { data: roleRow } = await supabase
+    .from("user_roles")
+    .select("role")
+    .eq("email", email.toLowerCase())
+    .maybeSingle();
+  // Invoicing tables are admin-only at the RLS layer (same as payroll).
+  // Owners are admins hierarchically (public.is_admin()).
+  if (!roleRow || !["admin", "owner"].includes((roleRow as { role: string }).role)) {
+    return { ok: false, status: 403, error: "Admin access required." } as const;
+  }
+  return { ok: true } as const;
+}
+
+// ─── Types ───────────────────────────────────────────────────────
+
+interface InvoiceShiftRow {
+  shift_id: string;
+  hours_worked: number | null;
+  hour_classification: string;
+  billable_rate_applied: number | null;
+  billed_days: number | null;
+  shift: { start_time: string | null } | null;
+}
+
+interface InvoiceRow {
+  id: string;
+  org_id: string;
+  client_id: string;
+  status: string;
+  billing_period_start: string;
+  billing_period_end: string;
+  regular_hours: number | null;
+  overtime_hours: number | null;
+  double_time_hours: number | null;
+  ot_rate: number | null;
+  total: number | null;
+  invoice_number: string | null;
+  qbo_invoice_id: string | null;
+  invoice_shifts: InvoiceShiftRow[] | null;
+}
+
+interface ClientRow {
+  id: string;
+  first_name: string | null;
+  last_name: string | null;
+  email: string | null;
+  phone: string | null;
+  address: string | null;
+  city: string | null;
+  state: string | null;
+  zip: string | null;
+  qbo_customer_id: string | null;
+}
+
+interface ExportEntry {
+  invoice: InvoiceRow;
+  client: ClientRow | null;
+  lines: Array<Record<string, unknown>>;
+}
+
+interface PushSummary {
+  pushed: Array<{ invoice_id: string; invoice_number: string; qbo_invoice_id: string }>;
+  failed: Array<{ invoice_id: string; invoice_number: string | null; code: string; error: string }>;
+}
+
+const INVOICE_SELECT = `
+  id, org_id, client_id, status,
+  billing_period_start, billing_period_end,
+  regular_hours, overtime_hours, double_time_hours,
+  ot_rate, total, invoice_number, qbo_invoice_id,
+  invoice_shifts(shift_id, hours_worked, hour_classification, billable_rate_applied,
+    billed_days, shift:shifts(start_time))
+`;
+
+// ─── Helpers ─────────────────────────────────────────────────────
+
+function orgTimezone(settings: Record<string, unknown>): string {
+  // Same workweek timezone the invoicing-generate cron uses.
+  const payroll = (settings.payroll ?? {}) as Record<string, unknown>;
+  return typeof payroll.timezone === "string" && payroll.timezone.length > 0
+    ? (payroll.timezone as string)
+    : "America/Los_Angeles";
+}
+
+// invoice_shifts rows + the shift's start date in the org timezone,
+// which the export renders as each line's service date.
+function toExportLines(invoice: InvoiceRow, timezone: string) {
+  return (invoice.invoice_shifts ?? []).map((l) => ({
+    shift_id: l.shift_id,
+    hours_worked: l.hours_worked,
+    hour_classification: l.hour_classification,
+    billable_rate_applied: l.billable_rate_applied,
+    billed_days: l.billed_days,
+    service_date: l.shift?.start_time
+      ? utcMsToWallClockParts(l.shift.start_time, timezone).dateOnly
+      : null,
+  }));
+}
+
+async function loadClients(
+  admin: ReturnType<typeof createClient>,
+  orgId: string,
+  clientIds: string[],
+): Promise<Map<string, ClientRow>> {
+  const out = new Map<string, ClientRow>();
+  for (let i = 0; i < clientIds.length; i += 500) {
+    const { data, error } = await admin
+      .from("clients")
+      .select("id, first_name, last_name, email, phone, address, city, state, zip, qbo_customer_id")
+      .eq("org_id", orgId)
+      .in("id", clientIds.slice(i, i + 500));
+    if (error) throw new Error(`Clients lookup failed: ${error.message}`);
+    for (const row of (data ?? []) as ClientRow[]) out.set(row.id, row);
+  }
+  return out;
+}
+
+function qboEnvironment(): QboEnvironment {
+  // Same switch the OAuth init function stores the connection under.
+  const env = (Deno.env.get("QB_ENVIRONMENT") || "sandbox").toLowerCase();
+  return env === "production" ? "production" : "sandbox";
+}
+
+/**
+ * Load the org's QuickBooks connection and return an API client,
+ * refreshing the access token first when the refresh cron hasn't yet.
+ */
+async function loadQboClient(
+  admin: ReturnType<typeof createClient>,
+  orgId: string,
+): Promise<{ ok: true; client: QboClient } | { ok: false; code: string; error: string }> {
+  const environment = qboEnvironment();
+  const { data: rows, error } = await admin.rpc("get_qb_connection", {
+    p_org_id: orgId,
+    p_environment: environment,
+  });
+  if (error) return { ok: false, code: "qbo_lookup_failed", error: error.message };
+  const conn = Array.isArray(rows) ? rows[0] : rows;
+  if (!conn?.realm_id) {
+    return {
+      ok: false,
+      code: "qbo_not_connected",
+      error: "QuickBooks is not connected for this organization. Connect it under Integrations.",
+    };
+  }
+  if (conn.status === "reauth_required") {
+    return {
+      ok: false,
+      code: "qbo_reauth_required",
+      error: "The QuickBooks connection needs to be re-authorized. Reconnect it under Integrations.",
+    };
+  }
+
+  let accessToken = conn.access_token as string | null;
+  const decision = decideRefreshAction(conn);
+  if (decision.action === "mark_reauth_required") {
+    return { ok: false, code: "qbo_reauth_required", error: decision.reason };
+  }
+  if (decision.action === "refresh" || !accessToken) {
+    const clientId = Deno.env.get("QB_CLIENT_ID");
+    const clientSecret = Deno.env.get("QB_CLIENT_SECRET");
+    if (!clientId || !clientSecret || !conn.refresh_token) {
+      return { ok: false, code: "qbo_token_expired", error: "QuickBooks access token is expired." };
+    }
+    try {
+      const tokens = await refreshAccessToken({
+        refreshToken: conn.refresh_token,
+        clientId,
+        clientSecret,
+      });
+      const { accessExpiresAt, refreshExpiresAt } = expiriesFromTokenResponse(tokens);
+      // Intuit rotates the refresh token on every call — persist it or
+      // the connection is bricked.
+      const { error: setErr } = await admin.rpc("refresh_qb_connection_tokens", {
+        p_org_id: orgId,
+        p_environment: environment,
+        p_refresh_token: tokens.refresh_token,
+        p_access_token: tokens.access_token,
+        p_access_token_expires_at: accessExpiresAt.toISOString(),
+        p_refresh_token_expires_at: refreshExpiresAt.toISOString(),
+      });
+      if (setErr) throw new Error(`refresh_qb_connection_tokens: ${setErr.message}`);
+      accessToken = tokens.access_token;
+    } catch (e) {
+      return {
+        ok: false,
+        code: "qbo_token_refresh_failed",
+        error: String((e as Error).message ?? e),
+      };
+    }
+  }
+
+  return {
+    ok: true,
+    client: createQboClient({
+      realmId: conn.realm_id,
+      accessToken: accessToken!,
+      environment,
+    }),
+  };
+}
+
+/**
+ * Push each exported invoice to QuickBooks, persisting qbo_invoice_id
+ * and the client's qbo_customer_id as they land. An auth failure
+ * stops the loop — every later call would fail the same way.
+ */
+async function pushEntries(
+  admin: ReturnType<typeof createClient>,
+  orgId: string,
+  qbo: QboClient,
+  entries: ExportEntry[],
+  invoiceDate: string,
+  settings: Record<string, unknown>,
+): Promise<PushSummary> {
+  const summary: PushSummary = { pushed: [], failed: [] };
+  const customerIds = new Map<string, string>();
+  let authFailure: string | null = null;
+
+  for (const { invoice, client, lines } of entries) {
+    if (authFailure) {
+      summary.failed.push({
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        code: "auth_error",
+        error: authFailure,
+      });
+      continue;
+    }
+    try {
+      const result = await pushInvoice(qbo, {
+        invoice: buildQboInvoicePayload({ invoice, lines, invoiceDate, orgSettings: settings }),
+        customer: buildQboCustomerPayload(client ?? { id: invoice.client_id }),
+        knownCustomerId: customerIds.get(invoice.client_id) ?? client?.qbo_customer_id ?? null,
+      });
+      customerIds.set(invoice.client_id, result.customerId);
+      if (client && client.qbo_customer_id !== result.customerId) {
+        const { error } = await admin
+          .from("clients")
+          .update({ qbo_customer_id: result.customerId })
+          .eq("id", client.id)
+          .eq("org_id", orgId);
+        if (error) console.warn(`[invoicing-export-run] qbo_customer_id update failed: ${error.message}`);
+        client.qbo_customer_id = result.customerId;
+      }
+      const { error: invErr } = await admin
+        .from("invoices")
+        .update({ qbo_invoice_id: result.invoiceId, updated_at: new Date().toISOString() })
+        .eq("id", invoice.id)
+        .eq("org_id", orgId);
+      if (invErr) console.warn(`[invoicing-export-run] qbo_invoice_id update failed: ${invErr.message}`);
+      summary.pushed.push({
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number!,
+        qbo_invoice_id: result.invoiceId,
+      });
+    } catch (e) {
+      const code = e instanceof QuickBooksApiError ? e.code : "push_failed";
+      const message = String((e as Error).message ?? e).slice(0, 500);
+      if (code === "auth_error") authFailure = message;
+      summary.failed.push({
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        code,
+        error: message,
+      });
+    }
+  }
+  return summary;
+}
+
+async function recordPushResult(
+  admin: ReturnType<typeof createClient>,
+  orgId: string,
+  runId: string,
+  summary: PushSummary,
+) {
+  const { error } = await admin
+    .from("invoice_runs")
+    .update({
+      status: summary.failed.length > 0 ? "failed" : "exported",
+      error_details: summary.failed.length > 0
+        ? { qbo_push: { failed: summary.failed, attempted_at: new Date().toISOString() } }
+        : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", runId)
+    .eq("org_id", orgId);
+  if (error) console.warn(`[invoicing-export-run] invoice_runs push status update failed: ${error.message}`);
+}
+
+function logRunEvent(
+  admin: ReturnType<typeof createClient>,
+  args: {
+    eventType: string;
+    orgId: string;
+    clientId: string;
+    actor: string;
+    payload: Record<string, unknown>;
+  },
+) {
+  // Fire-and-forget. events.entity_type only allows caregiver/client;
+  // the run is org-level so we attach it to a representative client
+  // (same compromise as payroll_run_submitted).
+  admin
+    .from("events")
+    .insert({
+      event_type: args.eventType,
+      entity_type: "client",
+      entity_id: args.clientId,
+      actor: args.actor,
+      org_id: args.orgId,
+      payload: { ...args.payload, org_id: args.orgId },
+    })
+    .then(({ error }: { error: { message: string } | null }) => {
+      if (error) console.warn(`[invoicing-export-run] event log failed: ${error.message}`);
+    });
+}
+
+// ─── Retry a qbo_api run's push ──────────────────────────────────
+
+async function handleRetry(
+  admin: ReturnType<typeof createClient>,
+  orgId: string,
+  userEmail: string | null,
+  runId: string,
+  cors: Record<string, string>,
+) {
+  const { data: run, error: runErr } = await admin
+    .from("invoice_runs")
+    .select("id, org_id, export_mode, invoice_date")
+    .eq("id", runId)
+    .eq("org_id", orgId)
+    .maybeSingle();
+  if (runErr) return jsonResponse(500, { error: `Run lookup failed: ${runErr.message}` }, cors);
+  if (!run) return jsonResponse(404, { error: "Invoice run not found." }, cors);
+  if ((run as { export_mode: string }).export_mode !== "qbo_api") {
+    return jsonResponse(422, {
+      error: "This run was exported as CSV only; there is nothing to push.",
+      code: "not_qbo_api_run",
+    }, cors);
+  }
+
+  const { data: invData, error: invErr } = await admin
+    .from("invoices")
+    .select(INVOICE_SELECT)
+    .eq("org_id", orgId)
+    .eq("invoice_run_id", runId)
+    .is("qbo_invoice_id", null);
+  if (invErr) return jsonResponse(500, { error: `Invoices lookup failed: ${invErr.message}` }, cors);
+  const invoices = (invData ?? []) as InvoiceRow[];
+
+  const { data: orgRow } = await admin
+    .from("organizations")
+    .select("settings")
+    .eq("id", orgId)
+    .maybeSingle();
+  const settings = ((orgRow as { settings: Record<string, unknown> } | null)?.settings ?? {});
+
+  const summary: PushSummary = { pushed: [], failed: [] };
+  if (invoices.length > 0) {
+    const qbo = await loadQboClient(admin, orgId);
+    if (!qbo.ok) return jsonResponse(422, { error: qbo.error, code: qbo.code }, cors);
+    let clients: Map<string, ClientRow>;
+    try {
+      clients = await loadClients(admin, orgId, Array.from(new Set(invoices.map((i) => i.client_id))));
+    } catch (e) {
+      return jsonResponse(500, { error: (e as Error).message }, cors);
+    }
+    const timezone = orgTimezone(settings);
+    const entries = invoices.map((invoice) => ({
+      invoice,
+      client: clients.get(invoice.client_id) ?? null,
+      lines: toExportLines(invoice, timezone),
+    }));
+    const result = await pushEntries(
+      admin, orgId, qbo.client, entries, (run as { invoice_date: string }).invoice_date, settings,
+    );
+    summary.pushed.push(...result.pushed);
+    summary.failed.push(...result.failed);
+  }
+  await recordPushResult(admin, orgId, runId, summary);
+
+  if (invoices.length > 0) {
+    logRunEvent(admin, {
+      eventType: "invoice_run_qbo_pushed",
+      orgId,
+      clientId: invoices[0].client_id,
+      actor: `user:${userEmail || "unknown"}`,
+      payload: {
+        invoice_run_id: runId,
+        retry: true,
+        pushed_count: summary.pushed.length,
+        failed_count: summary.failed.length,
+      },
+    });
+  }
+
+  // ok stays true when individual pushes fail: the retry itself ran,
+  // and qbo_push.failed tells the UI what is still outstanding.
+  return jsonResponse(200, {
+    ok: true,
+    invoice_run_id: runId,
+    qbo_push: summary,
+  }, cors);
+}
+
+// ─── Main handler ───────────────────────────────────────────────
+
+Deno.serve(async (req: Request) => {
+  const cors = getCorsHeaders(req);
+  if (req.method === "OPTIONS") return new Response("ok", { headers: cors });
+  if (req.method !== "POST") return jsonResponse(405, { error: "POST required." }, cors);
+
+  // ── Auth ──
+  const authResult = await authenticateRequest(req.headers.get("Authorization"));
+  if (!authResult.ok) return jsonResponse(authResult.status, { error: authResult.error }, cors);
+  const { orgId, userEmail } = authResult.ctx;
+
+  const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+  const staffCheck = await assertStaff(admin, userEmail);
+  if (!staffCheck.ok) return jsonResponse(staffCheck.status, { error: staffCheck.error }, cors);
+
+  // ── Body ──
+  let body: {
+    invoice_ids?: string[];
+    invoice_date?: string;
+    export_mode?: string;
+    dry_run?: boolean;
+    retry_run_id?: string;
+  } = {};
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse(400, { error: "Body must be valid JSON." }, cors);
+  }
+
+  if (typeof body.retry_run_id === "string" && body.retry_run_id.length > 0) {
+    return handleRetry(admin, orgId, userEmail, body.retry_run_id, cors);
+  }
+
+  const ids = Array.isArray(body.invoice_ids)
+    ? Array.from(new Set(body.invoice_ids.map((x) => String(x)).filter((x) => x.length > 0)))
+    : [];
+  if (ids.length === 0) {
+    return jsonResponse(400, { error: "invoice_ids must be a non-empty array." }, cors);
+  }
+  const exportMode = body.export_mode ?? "csv_export";
+  if (!EXPORT_MODES.has(exportMode)) {
+    return jsonResponse(400, { error: `Unknown export_mode: ${exportMode}` }, cors);
+  }
+  const dryRun = body.dry_run === true;
+  const invoiceDate = typeof body.invoice_date === "string"
+      && /^\d{4}-\d{2}-\d{2}$/.test(body.invoice_date)
+    ? body.invoice_date
+    : new Date().toISOString().slice(0, 10);
+
+  // ── Load invoices ──
+  // Fetch by id, then verify org_id so a forged id surfaces as a
+  // cross-tenant error rather than silently dropping (payroll parity).
+  const { data: invData, error: invErr } = await admin
+    .from("invoices")
+    .select(INVOICE_SELECT)
+    .in("id", ids);
+  if (invErr) {
+    return jsonResponse(500, { error: `Invoices lookup failed: ${invErr.message}` }, cors);
+  }
+  const fetched = (invData ?? []) as InvoiceRow[];
+  if (fetched.length !== ids.length) {
+    const found = new Set(fetched.map((i) => i.id));
+    const missing = ids.filter((x) => !found.has(x));
+    return jsonResponse(404, {
+      error: `Invoice(s) not found or not visible: ${missing.join(", ")}`,
+    }, cors);
+  }
+  for (const inv of fetched) {
+    if (inv.org_id !== orgId) {
+      return jsonResponse(403, {
+        error:
+          "Refusing to export invoices from another organization. "
+            + "Confirm the invoice IDs belong to your org.",
+        code: "cross_tenant",
+      }, cors);
+    }
+  }
+
+  const eligibility = evaluateRunEligibility({ invoices: fetched });
+  if (!eligibility.ok) {
+    return jsonResponse(422, { error: eligibility.message, code: eligibility.code }, cors);
+  }
+  const periodStart = eligibility.billingPeriodStart as string;
+  const periodEnd = eligibility.billingPeriodEnd as string;
+
+  // ── Clients + org settings ──
+  let clients: Map<string, ClientRow>;
+  try {
+    clients = await loadClients(admin, orgId, Array.from(new Set(fetched.map((i) => i.client_id))));
+  } catch (e) {
+    return jsonResponse(500, { error: (e as Error).message }, cors);
+  }
+  const { data: orgRow, error: orgErr } = await admin
+    .from("organizations")
+    .select("settings")
+    .eq("id", orgId)
+    .maybeSingle();
+  if (orgErr) return jsonResponse(500, { error: `Org lookup failed: ${orgErr.message}` }, cors);
+  if (!orgRow) return jsonResponse(403, { error: "Organization not found for caller." }, cors);
+  const settings = ((orgRow as { settings: Record<string, unknown> }).settings ?? {});
+  const config = resolveExportConfig(settings);
+  const timezone = orgTimezone(settings);
+
+  // Number (and list) invoices in client-name order.
+  const entries: ExportEntry[] = fetched
+    .map((invoice) => ({
+      invoice,
+      client: clients.get(invoice.client_id) ?? null,
+      lines: toExportLines(invoice, timezone),
+    }))
+    .sort((a, b) =>
+      customerDisplayName(a.client ?? { id: a.invoice.client_id })
+        .localeCompare(customerDisplayName(b.client ?? { id: b.invoice.client_id })));
+
+  let totalHours = 0;
+  let totalAmount = 0;
+  for (const { invoice } of entries) {
+    totalHours += (Number(invoice.regular_hours) || 0)
+      + (Number(invoice.overtime_hours) || 0)
+      + (Number(invoice.double_time_hours) || 0);
+    totalAmount += Number(invoice.total) || 0;
+  }
+  totalHours = Math.round(totalHours * 100) / 100;
+  totalAmount = Math.round(totalAmount * 100) / 100;
+
+  // ── QuickBooks connection (qbo_api, real runs) — fail before persisting ──
+  let qboClient: QboClient | null = null;
+  if (exportMode === "qbo_api" && !dryRun) {
+    const qbo = await loadQboClient(admin, orgId);
+    if (!qbo.ok) return jsonResponse(422, { error: qbo.error, code: qbo.code }, cors);
+    qboClient = qbo.client;
+  }
+
+  // ── Invoice numbers ──
+  const year = Number(invoiceDate.slice(0, 4));
+  let firstSequence = 1;
+  if (!dryRun) {
+    const { data: seq, error: seqErr } = await admin.rpc("next_invoice_numbers", {
+      p_org_id: orgId,
+      p_year: year,
+      p_count: entries.length,
+    });
+    if (seqErr || !Number.isInteger(Number(seq))) {
+      return jsonResponse(500, {
+        error: `Invoice number reservation failed: ${seqErr?.message ?? "no value returned"}`,
+      }, cors);
+    }
+    firstSequence = Number(seq);
+  }
+  const numbers = assignInvoiceNumbers({
+    invoiceIds: entries.map((e) => e.invoice.id),
+    prefix: dryRun ? `${config.numberPrefix}-DRYRUN` : config.numberPrefix,
+    year,
+    firstSequence,
+  });
+  for (const entry of entries) {
+    entry.invoice = { ...entry.invoice, invoice_number: numbers.get(entry.invoice.id)! };
+  }
+
+  // ── CSV ──
+  let csvText: string;
+  try {
+    csvText = generateQboInvoiceCsv(
+      entries.map(({ invoice, client, lines }) => ({ invoice, client, lines, invoiceDate })),
+      settings,
+    );
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    return jsonResponse(422, {
+      error: `CSV generation failed: ${message}`,
+      code: "csv_generation_failed",
+    }, cors);
+  }
+
+  // ── invoice_runs row (real runs only) ──
+  let runId: string;
+  let exportFilename: string;
+  if (!dryRun) {
+    exportFilename = `invoices_${periodStart}_${periodEnd}.csv`;
+    const { data: runData, error: runErr } = await admin
+      .from("invoice_runs")
+      .insert({
+        org_id: orgId,
+        billing_period_start: periodStart,
+        billing_period_end: periodEnd,
+        invoice_date: invoiceDate,
+        status: "exported",
+        export_mode: exportMode,
+        invoice_count: entries.length,
+        total_hours: totalHours,
+        total_amount: totalAmount,
+        export_filename: exportFilename,
+        exported_by: userEmail || "unknown",
+        exported_at: new Date().toISOString(),
+      })
+      .select("id")
+      .single();
+    if (runErr) {
+      if ((runErr as { code?: string }).code === "23505") {
+        return jsonResponse(409, {
+          error:
+            `An invoice run for the week of ${periodStart} dated ${invoiceDate} already exists. `
+              + "Pick a different invoice date for an additional run.",
+          code: "run_exists",
+        }, cors);
+      }
+      return jsonResponse(500, { error: `invoice_runs insert failed: ${runErr.message}` }, cors);
+    }
+    runId = (runData as { id: string }).id;
+  } else {
+    runId = `dryrun-${Date.now()}`;
+    exportFilename = `invoices_${periodStart}_${periodEnd}_dryrun.csv`;
+  }
+
+  // ── Upload + sign ──
+  const objectPath = `${orgId}/${runId}.csv`;
+  const { error: uploadErr } = await admin.storage
+    .from(STORAGE_BUCKET)
+    .upload(objectPath, new TextEncoder().encode(csvText), {
+      contentType: "text/csv",
+      upsert: true,
+    });
+  if (uploadErr) {
+    if (!dryRun) await admin.from("invoice_runs").delete().eq("id", runId).eq("org_id", orgId);
+    return jsonResponse(500, { error: `CSV upload failed: ${uploadErr.message}` }, cors);
+  }
+  const { data: signedData, error: signedErr } = await admin.storage
+    .from(STORAGE_BUCKET)
+    .createSignedUrl(objectPath, SIGNED_URL_TTL_SECONDS, { download: exportFilename });
+  if (signedErr || !signedData?.signedUrl) {
+    return jsonResponse(500, {
+      error: `Signed URL generation failed: ${signedErr?.message ?? "no signed URL returned"}`,
+    }, cors);
+  }
+
+  if (dryRun) {
+    return jsonResponse(200, {
+      ok: true,
+      dry_run: true,
+      invoice_run_id: null,
+      export_mode: exportMode,
+      invoice_count: entries.length,
+      total_hours: totalHours,
+      total_amount: totalAmount,
+      billing_period_start: periodStart,
+      billing_period_end: periodEnd,
+      invoice_date: invoiceDate,
+      csv_filename: exportFilename,
+      csv_signed_url: signedData.signedUrl,
+      csv_signed_url_expires_in_seconds: SIGNED_URL_TTL_SECONDS,
+      qbo_push: null,
+    }, cors);
+  }
+
+  await admin
+    .from("invoice_runs")
+    .update({ csv_export_url: objectPath })
+    .eq("id", runId)
+    .eq("org_id", orgId);
+
+  // ── Flip invoices to exported ──
+  // Optimistic concurrency: `.eq("status", approved)` + `.select("id")`
+  // detects a row that moved since we read it; any miss rolls the
+  // whole run back (see payroll-export-run for the full rationale).
+  // Reserved numbers are not returned to the sequence — a rolled-back
+  // run leaves a gap.
+  const exportedAt = new Date().toISOString();
+  // invoice_date / due_date drive A/R aging once the invoice is out.
+  const dueDate = addDays(invoiceDate, config.paymentTermsDays);
+  const flipped: string[] = [];
+  const skipped: Array<{ id: string; reason: string }> = [];
+  for (const { invoice } of entries) {
+    const { data: updatedRows, error: updErr } = await admin
+      .from("invoices")
+      .update({
+        status: INVOICE_STATUS.EXPORTED,
+        exported_at: exportedAt,
+        invoice_number: invoice.invoice_number,
+        invoice_run_id: runId,
+        invoice_date: invoiceDate,
+        due_date: dueDate,
+        updated_at: exportedAt,
+      })
+      .eq("id", invoice.id)
+      .eq("org_id", orgId)
+      .eq("status", INVOICE_STATUS.APPROVED)
+      .select("id");
+    if (updErr) {
+      skipped.push({ id: invoice.id, reason: updErr.message });
+      continue;
+    }
+    if (!Array.isArray(updatedRows) || updatedRows.length === 0) {
+      skipped.push({
+        id: invoice.id,
+        reason: "Status was no longer 'approved' at update time (concurrent modification?).",
+      });
+      continue;
+    }
+    flipped.push(invoice.id);
+  }
+
+  if (skipped.length > 0) {
+    for (const flippedId of flipped) {
+      await admin
+        .from("invoices")
+        .update({
+          status: INVOICE_STATUS.APPROVED,
+          exported_at: null,
+          invoice_number: null,
+          invoice_run_id: null,
+          invoice_date: null,
+          due_date: null,
+        })
+        .eq("id", flippedId)
+        .eq("org_id", orgId)
+        .eq("status", INVOICE_STATUS.EXPORTED);
+    }
+    await admin.from("invoice_runs").delete().eq("id", runId).eq("org_id", orgId);
+    await admin.storage.from(STORAGE_BUCKET).remove([objectPath]);
+    return jsonResponse(409, {
+      ok: false,
+      error:
+        "One or more invoices were not in 'approved' status when the export tried to "
+          + "flip them. The run was rolled back; refresh the page and try again.",
+      code: "concurrent_modification",
+      skipped,
+    }, cors);
+  }
+
+  const actor = `user:${userEmail || "unknown"}`;
+  logRunEvent(admin, {
+    eventType: "invoice_run_exported",
+    orgId,
+    clientId: entries[0].invoice.client_id,
+    actor,
+    payload: {
+      invoice_run_id: runId,
+      billing_period_start: periodStart,
+      billing_period_end: periodEnd,
+      invoice_date: invoiceDate,
+      export_mode: exportMode,
+      invoice_count: entries.length,
+      invoice_ids: entries.map((e) => e.invoice.id),
+      invoice_numbers: entries.map((e) => e.invoice.invoice_number),
+      total_hours: totalHours,
+      total_amount: totalAmount,
+      export_filename: exportFilename,
+    },
+  });
+
+  // ── Push to QuickBooks (qbo_api) ──
+  let qboPush: PushSummary | null = null;
+  if (qboClient) {
+    qboPush = await pushEntries(admin, orgId, qboClient, entries, invoiceDate, settings);
+    await recordPushResult(admin, orgId, runId, qboPush);
+    logRunEvent(admin, {
+      eventType: "invoice_run_qbo_pushed",
+      orgId,
+      clientId: entries[0].invoice.client_id,
+      actor,
+      payload: {
+        invoice_run_id: runId,
+        retry: false,
+        pushed_count: qboPush.pushed.length,
+        failed_count: qboPush.failed.length,
+      },
+    });
+  }
+
+  return jsonResponse(200, {
+    ok: true,
+    dry_run: false,
+    invoice_run_id: runId,
+    export_mode: exportMode,
+    invoice_count: entries.length,
+    total_hours: totalHours,
+    total_amount: totalAmount,
+    billing_period_start: periodStart,
+    billing_period_end: periodEnd,
+    invoice_date: invoiceDate,
+    invoice_numbers: entries.map((e) => e.invoice.invoice_number),
+    csv_filename: exportFilename,
+    csv_signed_url: signedData.signedUrl,
+    csv_signed_url_expires_in_seconds: SIGNED_URL_TTL_SECONDS,
+    qbo_push: qboPush,
+  }, cors);
+});
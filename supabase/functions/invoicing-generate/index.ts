@@ -0,0 +1,628 @@
+// ─── Invoicing: weekly draft invoice generation cron ───
+//
+// Runs Wednesday 13:00 UTC every week (registered in
+// supabase/migrations/20260606000000_invoicing_generate_cron.sql).
+// For every organization that has `settings.features_enabled.invoicing`
+// turned on, generates draft `invoices` rows + `invoice_shifts`
+// junction rows for the most recently completed Mon→Sun workweek —
+// one invoice per client billed that week.
+//
+// Wednesday, not Monday: the invoice reads each shift's hour
+// classification off the payroll `timesheet_shifts` split, so it runs
+// after the Monday payroll cron and the back office's Monday/Tuesday
+// timesheet fixes. Shifts without a payroll split fall back to
+// scheduled duration billed as regular (same rule as the preview).
+//
+// What this function does NOT do:
+//   - Approve, export, number, or send anything. Drafts wait for the
+//     Invoicing tab's approval workflow (`invoicing-invoice-actions`).
+//   - Touch QuickBooks. Phase 3 owns the export.
+//   - Overwrite an existing invoice. Edited or approved invoices are
+//     left exactly as the biller left them.
+//
+// Idempotency: a UNIQUE (org_id, client_id, billing_period_start)
+// constraint on `invoices` plus a lookup-before-insert per client
+// makes re-running safe. If an invoice already exists for the target
+// week, the function skips that client.
+//
+// Multi-tenancy: iterates `organizations` rows where the invoicing
+// flag is on; every shifts / clients / invoices read filters by
+// `org_id`.
+//
+// Clients with authorizations (`client_authorizations`) get their
+// shifts counted against the unit caps over every cap period the week
+// touches; a shift billed past a cap blocks the invoice.
+//
+// Manual triggering: a service-role caller can POST a body with
+// `{ org_id?: string, billing_period_start?: 'YYYY-MM-DD', dry_run?: boolean }`
+// to limit the run to a specific org/week or to preview without
+// persisting. The cron itself POSTs `{ triggered_at }`.
+//
+// Plan reference: docs/INVOICING.md ("Phased rollout" → Phase 2).
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+
+// Cross-tree imports: the canonical implementations live under src/
+// so vitest can exercise them without Deno globals.
+import { buildInvoice } from "../../../src/lib/invoicing/invoiceBuilder.js";
+import { groupShiftLineItemsByClient } from "../../../src/lib/invoicing/shiftLineItems.js";
+import { normalizeRateCard } from "../../../src/lib/rateCards.js";
+import {
+  authorizationUsageWindow,
+  evaluateAuthorizations,
+  normalizeAuthorization,
+} from "../../../src/lib/authorizations.js";
+import {
+  utcMsToWallClockParts,
+  wallClockToUtcMs,
+} from "../../../src/lib/scheduling/timezone.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+function jsonResponse(status: number, body: unknown) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+// ─── Domain types ──────────────────────────────────────────────────
+
+interface OrgRow {
+  id: string;
+  slug: string;
+  settings: Record<string, unknown> | null;
+}
+
+interface ClientRow {
+  id: string;
+  address: string | null;
+  city: string | null;
+  state: string | null;
+  zip: string | null;
+  default_billable_rate: number | null;
+  default_billable_ot_rate: number | null;
+  payer_type: string | null;
+}
+
+interface RateCardRow {
+  id: string;
+  scope: string;
+  client_id: string | null;
+  payer_type: string | null;
+  service_type: string | null;
+  rate: number;
+  ot_rate: number | null;
+  effective_from: string | null;
+  effective_to: string | null;
+}
+
+interface AuthorizationRow {
+  id: string;
+  client_id: string;
+  auth_number: string;
+  service_type: string | null;
+  unit_cap: number;
+  unit_minutes: number;
+  cap_period: string;
+  start_date: string;
+  end_date: string;
+}
+
+interface OrgResult {
+  org_id: string;
+  org_slug: string;
+  billing_period_start: string;
+  billing_period_end: string;
+  clients_considered: number;
+  invoices_inserted: number;
+  invoices_skipped_existing: number;
+  invoices_skipped_empty: number;
+  invoices_blocked: number;
+  errors: Array<{ client_id: string; message: string }>;
+}
+
+// ─── Workweek calculation ──────────────────────────────────────────
+
+/**
+ * Most recently COMPLETED Mon→Sun workweek in the given timezone,
+ * relative to `now`. Same rule as payroll-generate-timesheets so an
+ * invoice and its caregivers' timesheets always cover the same week.
+ * An explicit `billing_period_start` overrides the computed start.
+ */
+function priorWorkweek(
+  now: Date,
+  timezone: string,
+  explicitStart?: string,
+): { weekStart: string; weekEnd: string } {
+  if (explicitStart && /^\d{4}-\d{2}-\d{2}$/.test(explicitStart)) {
+    const [y, m, d] = explicitStart.split("-").map(Number);
+    const endMs = wallClockToUtcMs({ year: y, month: m, day: d + 6 }, timezone);
+    return {
+      weekStart: explicitStart,
+      weekEnd: utcMsToWallClockParts(endMs, timezone).dateOnly,
+    };
+  }
+
+  const parts = utcMsToWallClockParts(now.getTime(), timezone);
+  const daysBackToSunday = parts.dayOfWeek === 0 ? 7 : parts.dayOfWeek;
+  const sundayMs = wallClockToUtcMs(
+    { year: parts.year, month: parts.month, day: parts.day - daysBackToSunday },
+    timezone,
+  );
+  const sundayParts = utcMsToWallClockParts(sundayMs, timezone);
+  const mondayMs = wallClockToUtcMs(
+    { year: sundayParts.year, month: sundayParts.month, day: sundayParts.day - 6 },
+    timezone,
+  );
+  return {
+    weekStart: utcMsToWallClockParts(mondayMs, timezone).dateOnly,
+    weekEnd: sundayParts.dateOnly,
+  };
+}
+
+function dateOnlyToTzInstant(
+  dateIso: string,
+  timezone: string,
+  dayOffset = 0,
+): string {
+  const [y, m, d] = dateIso.split("-").map(Number);
+  const ms = wallClockToUtcMs({ year: y, month: m, day: d + dayOffset }, timezone);
+  return new Date(ms).toISOString();
+}
+
+// ─── Authorization usage ───────────────────────────────────────────
+
+/**
+ * Count one client's shifts against its authorizations over every cap
+ * period the billing week touches (a monthly cap needs the whole
+ * month, not just this week). Returns null when no authorization
+ * overlaps the week.
+ */
+async function loadAuthorizationUsage(
+  supabase: ReturnType<typeof createClient>,
+  orgId: string,
+  clientId: string,
+  authorizations: AuthorizationRow[],
+  weekStart: string,
+  weekEnd: string,
+  timezone: string,
+) {
+  const window = authorizationUsageWindow(authorizations, { from: weekStart, to: weekEnd });
+  if (!window) return null;
+
+  const { data: shifts, error: shiftsErr } = await supabase
+    .from("shifts")
+    .select("id, client_id, service_type, start_time, end_time, status")
+    .eq("org_id", orgId)
+    .eq("client_id", clientId)
+    .not("status", "in", "(cancelled,no_show)")
+    .gte("start_time", dateOnlyToTzInstant(window.start, timezone, 0))
+    .lt("start_time", dateOnlyToTzInstant(window.end, timezone, 1));
+  if (shiftsErr) throw new Error(`authorization shifts query failed: ${shiftsErr.message}`);
+
+  const shiftIds = (shifts ?? []).map((r: { id: string }) => r.id);
+  let clockEvents: unknown[] = [];
+  if (shiftIds.length > 0) {
+    const { data: ceData, error: ceErr } = await supabase
+      .from("clock_events")
+      .select("shift_id, event_type, occurred_at")
+      .in("shift_id", shiftIds)
+      .in("event_type", ["in", "out"]);
+    if (ceErr) throw new Error(`authorization clock_events query failed: ${ceErr.message}`);
+    clockEvents = ceData ?? [];
+  }
+
+  return evaluateAuthorizations({
+    authorizations,
+    shifts: shifts ?? [],
+    clockEvents,
+    timezone,
+  });
+}
+
+// ─── Per-org generation ────────────────────────────────────────────
+
+async function generateForOrg(
+  supabase: ReturnType<typeof createClient>,
+  org: OrgRow,
+  now: Date,
+  options: { explicitStart?: string; dryRun: boolean },
+): Promise<OrgResult> {
+  const settings = (org.settings ?? {}) as Record<string, unknown>;
+  // Invoicing shares payroll's workweek timezone so both crons agree
+  // on where Sunday ends.
+  const payroll = (settings.payroll ?? {}) as Record<string, unknown>;
+  const timezone = typeof payroll.timezone === "string" && payroll.timezone.length > 0
+    ? (payroll.timezone as string)
+    : "America/Los_Angeles";
+
+  const { weekStart, weekEnd } = priorWorkweek(now, timezone, options.explicitStart);
+
+  const result: OrgResult = {
+    org_id: org.id,
+    org_slug: org.slug,
+    billing_period_start: weekStart,
+    billing_period_end: weekEnd,
+    clients_considered: 0,
+    invoices_inserted: 0,
+    invoices_skipped_existing: 0,
+    invoices_skipped_empty: 0,
+    invoices_blocked: 0,
+    errors: [],
+  };
+
+  // A shift bills in the week it STARTS in (org tz). Only completed
+  // shifts are billable.
+  const startInstant = dateOnlyToTzInstant(weekStart, timezone, 0);
+  const endInstant = dateOnlyToTzInstant(weekEnd, timezone, 1);
+
+  const { data: shiftsData, error: shiftsErr } = await supabase
+    .from("shifts")
+    .select(`
+      id,
+      client_id,
+      assigned_caregiver_id,
+      start_time,
+      end_time,
+      billable_rate,
+      service_type,
+      daily_bill_rate,
+      timesheet_shifts (
+        hours_worked,
+        hour_classification,
+        timesheet:timesheets (
+          org_id,
+          caregiver_id,
+          pay_period_start
+        )
+      ),
+      shift_slots (
+        caregiver_id,
+        billable
+      )
+    `)
+    .eq("org_id", org.id)
+    .eq("status", "completed")
+    .gte("start_time", startInstant)
+    .lt("start_time", endInstant)
+    .order("start_time", { ascending: true });
+
+  if (shiftsErr) {
+    result.errors.push({ client_id: "*", message: `shifts query failed: ${shiftsErr.message}` });
+    return result;
+  }
+
+  const lineItemsByClient = groupShiftLineItemsByClient({
+    shifts: shiftsData ?? [],
+    orgId: org.id,
+    periodStart: weekStart,
+  }) as Map<string, Array<Record<string, unknown>>>;
+
+  if (lineItemsByClient.size === 0) {
+    return result;
+  }
+
+  const clientIds = Array.from(lineItemsByClient.keys());
+  const clientsById = new Map<string, ClientRow>();
+  for (let i = 0; i < clientIds.length; i += 500) {
+    const batch = clientIds.slice(i, i + 500);
+    const { data: clData, error: clErr } = await supabase
+      .from("clients")
+      .select("id, address, city, state, zip, default_billable_rate, default_billable_ot_rate, payer_type")
+      .eq("org_id", org.id)
+      .in("id", batch);
+    if (clErr) {
+      result.errors.push({ client_id: "*", message: `clients query failed: ${clErr.message}` });
+      return result;
+    }
+    for (const c of (clData ?? []) as ClientRow[]) {
+      clientsById.set(c.id, {
+        ...c,
+        default_billable_rate: c.default_billable_rate != null
+          ? Number(c.default_billable_rate)
+          : null,
+        default_billable_ot_rate: c.default_billable_ot_rate != null
+          ? Number(c.default_billable_ot_rate)
+          : null,
+      });
+    }
+  }
+
+  // Bill rate cards. Client and payer cards for the whole org in one
+  // read — a payer card applies to every client with that payer_type,
+  // so filtering by client id up front would miss them.
+  const { data: rcData, error: rcErr } = await supabase
+    .from("rate_cards")
+    .select("id, scope, client_id, payer_type, service_type, rate, ot_rate, effective_from, effective_to")
+    .eq("org_id", org.id)
+    .in("scope", ["client", "payer"]);
+  if (rcErr) {
+    result.errors.push({ client_id: "*", message: `rate_cards query failed: ${rcErr.message}` });
+    return result;
+  }
+  const rateCards = ((rcData ?? []) as RateCardRow[]).map(normalizeRateCard);
+
+  // Client authorizations (unit caps). Only the clients billed this
+  // week; usage is counted per client inside the loop.
+  const authorizationsByClient = new Map<string, AuthorizationRow[]>();
+  for (let i = 0; i < clientIds.length; i += 500) {
+    const batch = clientIds.slice(i, i + 500);
+    const { data: authData, error: authErr } = await supabase
+      .from("client_authorizations")
+      .select("id, client_id, auth_number, service_type, unit_cap, unit_minutes, cap_period, start_date, end_date")
+      .eq("org_id", org.id)
+      .in("client_id", batch);
+    if (authErr) {
+      result.errors.push({
+        client_id: "*",
+        message: `client_authorizations query failed: ${authErr.message}`,
+      });
+      return result;
+    }
+    for (const row of (authData ?? []) as AuthorizationRow[]) {
+      const list = authorizationsByClient.get(row.client_id) ?? [];
+      list.push(normalizeAuthorization(row) as AuthorizationRow);
+      authorizationsByClient.set(row.client_id, list);
+    }
+  }
+
+  // Idempotency: load existing invoices for this (org, weekStart) up
+  // front so we can skip clients whose invoice already exists.
+  const { data: existingData, error: existingErr } = await supabase
+    .from("invoices")
+    .select("client_id")
+    .eq("org_id", org.id)
+    .eq("billing_period_start", weekStart);
+  if (existingErr) {
+    result.errors.push({
+      client_id: "*",
+      message: `invoices pre-check failed: ${existingErr.message}`,
+    });
+    return result;
+  }
+  const existingClients = new Set(
+    ((existingData ?? []) as Array<{ client_id: string }>).map((r) => r.client_id),
+  );
+
+  // ── Per-client loop ──
+  for (const [clientId, shiftLineItems] of lineItemsByClient) {
+    result.clients_considered += 1;
+
+    if (existingClients.has(clientId)) {
+      result.invoices_skipped_existing += 1;
+      continue;
+    }
+
+    const client = clientsById.get(clientId);
+    if (!client) {
+      // Shift points at a client outside this org (or a deleted row).
+      result.errors.push({ client_id: clientId, message: "client not found in org" });
+      continue;
+    }
+
+    let authorizationUsage;
+    try {
+      authorizationUsage = await loadAuthorizationUsage(
+        supabase,
+        org.id,
+        client.id,
+        authorizationsByClient.get(client.id) ?? [],
+        weekStart,
+        weekEnd,
+        timezone,
+      );
+    } catch (err) {
+      result.errors.push({
+        client_id: clientId,
+        message: err instanceof Error ? err.message : String(err),
+      });
+      continue;
+    }
+
+    let draft;
+    try {
+      draft = buildInvoice({
+        orgId: org.id,
+        client,
+        billingPeriodStart: weekStart,
+        billingPeriodEnd: weekEnd,
+        shiftLineItems,
+        rateCards: rateCards.filter(
+          (rc) => rc.client_id === client.id
+            || (rc.payer_type != null && rc.payer_type === client.payer_type),
+        ),
+        authorizationUsage,
+      });
+    } catch (err) {
+      result.errors.push({
+        client_id: clientId,
+        message: `buildInvoice failed: ${err instanceof Error ? err.message : String(err)}`,
+      });
+      continue;
+    }
+
+    if (!draft) {
+      result.invoices_skipped_empty += 1;
+      continue;
+    }
+
+    const blocked = draft.invoice.status === "blocked";
+    const invoiceRow = {
+      ...draft.invoice,
+      // Same convention as timesheets: the exception payload lives in
+      // `notes` as JSON so the Invoicing tab can badge it and the
+      // approve action can gate on block-severity entries.
+      notes: draft.exceptions.length > 0
+        ? JSON.stringify({ exceptions: draft.exceptions })
+        : null,
+    };
+
+    if (options.dryRun) {
+      if (blocked) result.invoices_blocked += 1;
+      else result.invoices_inserted += 1;
+      continue;
+    }
+
+    const { data: insertedInv, error: invErr } = await supabase
+      .from("invoices")
+      .insert(invoiceRow)
+      .select("id")
+      .single();
+
+    if (invErr) {
+      // Unique-violation: someone else inserted in the gap.
+      if (invErr.code === "23505") {
+        result.invoices_skipped_existing += 1;
+        continue;
+      }
+      result.errors.push({
+        client_id: clientId,
+        message: `invoices insert failed: ${invErr.message}`,
+      });
+      continue;
+    }
+
+    const invoiceId = (insertedInv as { id: string }).id;
+
+    if (draft.invoice_shifts.length > 0) {
+      const linkRows = draft.invoice_shifts.map((row: Record<string, unknown>) => ({
+        ...row,
+        invoice_id: invoiceId,
+      }));
+      const { error: linkErr } = await supabase
+        .from("invoice_shifts")
+        .insert(linkRows);
+      if (linkErr) {
+        // Leave the invoice in place (shows as a draft with no lines,
+        // which is debuggable); the unique constraint protects re-runs.
+        result.errors.push({
+          client_id: clientId,
+          message: `invoice_shifts insert failed: ${linkErr.message}`,
+        });
+      }
+    }
+
+    // Fire-and-forget event log so the client's activity feed shows
+    // the draft. `invoice_id` is a top-level payload key per the
+    // events-table contract.
+    supabase
+      .from("events")
+      .insert({
+        event_type: "invoice_generated",
+        entity_type: "client",
+        entity_id: clientId,
+        actor: "system:invoicing-generate",
+        org_id: org.id,
+        payload: {
+          invoice_id: invoiceId,
+          org_id: org.id,
+          client_id: clientId,
+          billing_period_start: weekStart,
+          billing_period_end: weekEnd,
+          regular_hours: draft.invoice.regular_hours,
+          overtime_hours: draft.invoice.overtime_hours,
+          double_time_hours: draft.invoice.double_time_hours,
+          total: draft.invoice.total,
+          status: draft.invoice.status,
+          block_reason: draft.invoice.block_reason,
+          exception_codes: Array.from(new Set(draft.exceptions.map((e) => e.code))),
+        },
+      })
+      .then(({ error }: { error: { message: string } | null }) => {
+        if (error) {
+          console.warn("[invoicing-generate] event log failed:", error.message);
+        }
+      });
+
+    if (blocked) result.invoices_blocked += 1;
+    else result.invoices_inserted += 1;
+  }
+
+  return result;
+}
+
+// ─── Main handler ──────────────────────────────────────────────────
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (req.method !== "POST") return jsonResponse(405, { error: "POST required." });
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+  let body: { org_id?: string; billing_period_start?: string; dry_run?: boolean } = {};
+  if (req.headers.get("content-type")?.includes("application/json")) {
+    try {
+      body = await req.json();
+    } catch {
+      body = {};
+    }
+  }
+
+  let orgQuery = supabase
+    .from("organizations")
+    .select("id, slug, settings")
+    .filter("settings->features_enabled->>invoicing", "eq", "true");
+  if (body.org_id) {
+    orgQuery = orgQuery.eq("id", body.org_id);
+  }
+  const { data: orgsData, error: orgsErr } = await orgQuery;
+  if (orgsErr) {
+    return jsonResponse(500, {
+      error: `organizations query failed: ${orgsErr.message}`,
+    });
+  }
+
+  const orgs = (orgsData ?? []) as OrgRow[];
+  if (orgs.length === 0) {
+    return jsonResponse(200, {
+      ok: true,
+      message: "No organizations have invoicing enabled.",
+      orgs: [],
+    });
+  }
+
+  const now = new Date();
+  const orgResults: OrgResult[] = [];
+  for (const org of orgs) {
+    try {
+      const r = await generateForOrg(supabase, org, now, {
+        explicitStart: body.billing_period_start,
+        dryRun: body.dry_run === true,
+      });
+      orgResults.push(r);
+    } catch (err) {
+      orgResults.push({
+        org_id: org.id,
+        org_slug: org.slug,
+        billing_period_start: "",
+        billing_period_end: "",
+        clients_considered: 0,
+        invoices_inserted: 0,
+        invoices_skipped_existing: 0,
+        invoices_skipped_empty: 0,
+        invoices_blocked: 0,
+        errors: [{
+          client_id: "*",
+          message: `org generation failed: ${err instanceof Error ? err.message : String(err)}`,
+        }],
+      });
+    }
+  }
+
+  const totalErrors = orgResults.reduce((s, r) => s + r.errors.length, 0);
+  return jsonResponse(totalErrors > 0 ? 207 : 200, {
+    ok: totalErrors === 0,
+    dry_run: body.dry_run === true,
+    triggered_at: now.toISOString(),
+    orgs: orgResults,
+  });
+});
@@ -0,0 +1,794 @@
+// ─── Invoicing: invoice actions (approve / unapprove / edit line / A/R) ───
+//
+// Single edge function fronting all per-row mutations the Invoicing
+// tab's ThisWeekView and A/R Aging view trigger:
+//
+//   { action: 'approve',        invoice_id }
+//   { action: 'approve_bulk',   invoice_ids: string[] }
+//   { action: 'unapprove',      invoice_id }
+//   { action: 'edit_line',      invoice_id, shift_id, edits: {...}, reason }
+//   { action: 'mark_sent',      invoice_id, sent_date }
+//   { action: 'record_payment', invoice_id, kind, method?, amount,
+//                               received_date, reference?, notes? }
+//
+// Mirrors payroll-timesheet-actions: same auth gate (JWT-derived
+// org_id + admin/owner role), same action discriminator, same
+// optimistic-concurrency updates, and every action writes an `events`
+// row for the audit log.
+//
+// edit_line changes one `invoice_shifts` snapshot (hours_worked and/or
+// billable_rate_applied) and recomputes the invoice header via the
+// pure applyLineEdit. Unlike payroll's edit_shift_rate it does NOT
+// write through to `shifts.billable_rate`: an invoice correction is a
+// decision about this invoice, and the snapshot is the source of truth
+// once drafted (docs/INVOICING.md → "Snapshot, don't recompute").
+//
+// record_payment writes one `invoice_payments` ledger row (a payment
+// or a write-off) and advances the invoice's running totals and
+// status (→ partially_paid | paid), validated by the pure
+// evaluateRecordPaymentAction — the invoicing twin of payroll's
+// evaluateMarkAsPaidAction. "Mark as Paid" is a payment for the full
+// balance.
+//
+// Multi-tenancy:
+//   - org_id derives from the caller's JWT, never from the request body.
+//   - Every UPDATE / SELECT on invoices filters by org_id so a forged
+//     invoice_id belonging to another org cannot be touched.
+//     invoice_shifts is only ever reached through an invoice we have
+//     already loaded for this org.
+//
+// Plan reference: docs/INVOICING.md ("Phased rollout" → Phase 2,
+// "Payments and A/R aging").
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+
+// Cross-tree imports (canonical at src/ so vitest can exercise them).
+import {
+  EDITABLE_INVOICE_STATUSES,
+  evaluateApprovalAction,
+  evaluateMarkAsSentAction,
+  evaluateRecordPaymentAction,
+  INVOICE_STATUS,
+  PAYMENT_KIND,
+} from "../../../src/lib/invoicing/approvalStateMachine.js";
+import { applyLineEdit } from "../../../src/lib/invoicing/invoiceEdits.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+
+const ALLOWED_ORIGINS = [
+  "https://caregiver-portal.vercel.app",
+  "http://localhost:5173",
+  "http://localhost:3000",
+];
+
+function getCorsHeaders(request: Request): Record<string, string> {
+  const origin = request.headers.get("origin") || "";
+  const allowedOrigin = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+  return {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+  };
+}
+
+function jsonResponse(status: number, body: unknown, cors: Record<string, string>) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...cors, "Content-Type": "application/json" },
+  });
+}
+
+// ─── Auth (mirrors payroll-timesheet-actions) ─────────────────────
+
+interface AuthContext {
+  orgId: string;
+  userEmail: string | null;
+  userId: string | null;
+}
+
+async function authenticateRequest(
+  authHeader: string | null,
+): Promise<{ ok: true; ctx: AuthContext } | { ok: false; status: number; error: string }> {
+  if (!authHeader) {
+    return { ok: false, status: 401, error: "Missing Authorization header." };
+  }
+  const token = authHeader.replace(/^Bearer\s+/i, "").trim();
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    return { ok: false, status: 401, error: "Malformed JWT." };
+  }
+  let payload: Record<string, unknown>;
+  try {
+    const b64 = parts[1].replace(/-/g, "+").replace(/_/g, "/");
+    const padded = b64 + "===".slice((b64.length + 3) % 4);
+    payload = JSON.parse(atob(padded));
+  } catch {
+    return { ok: false, status: 401, error: "Invalid JWT payload." };
+  }
+
+  const orgId = typeof payload.org_id === "string" ? payload.org_id : null;
+  if (!orgId) {
+    return {
+      ok: false,
+      status: 403,
+      error:
+        "JWT is missing org_id claim. Confirm the SaaS-retrofit access token hook is enabled.",
+    };
+  }
+
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: authHeader } },
+  });
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  if (userErr || !userData.user) {
+    return { ok: false, status: 401, error: "Not authenticated." };
+  }
+
+  return {
+    ok: true,
+    ctx: {
+      orgId,
+      userEmail: userData.user.email ?? null,
+      userId: userData.user.id ?? null,
+    },
+  };
+}
+
+async function assertStaff(
+  supabase: ReturnType<typeof createClient>,
+  email: string | null,
+): Promise<{ ok: true } | { ok: false; status: number; error: string }> {
+  if (!email) {
+    return { ok: false, status: 403, error: "Admin access required." };
+  }
+  const { data: roleRow } = await supabase
+    .from("user_roles")
+    .select("role")
+    .eq("email", email.toLowerCase())
+    .maybeSingle();
+  // Invoicing tables are admin-only under RESTRICTIVE RLS; the service
+  // role bypasses RLS so enforce the same admin/owner check here.
+  if (!roleRow || !["admin", "owner"].includes((roleRow as { role: string }).role)) {
+    return { ok: false, status: 403, error: "Admin access required." };
+  }
+  return { ok: true };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+interface InvoiceRow {
+  id: string;
+  org_id: string;
+  client_id: string;
+  status: string;
+  billing_period_start: string;
+  billing_period_end: string;
+  ot_rate: number | null;
+  total: number | null;
+  amount_paid: number | null;
+  amount_written_off: number | null;
+  invoice_number: string | null;
+  block_reason: string | null;
+  notes: string | null;
+}
+
+interface InvoiceShiftRow {
+  shift_id: string;
+  hours_worked: number;
+  hour_classification: string;
+  billable_rate_applied: number | null;
+  billed_days: number | null;
+}
+
+function parseExceptionsFromNotes(
+  notes: string | null,
+): Array<{ severity: string; code: string; message?: string; shiftId?: string }> {
+  if (!notes) return [];
+  try {
+    const parsed = JSON.parse(notes);
+    return Array.isArray(parsed?.exceptions) ? parsed.exceptions : [];
+  } catch {
+    return [];
+  }
+}
+
+async function loadInvoice(
+  admin: ReturnType<typeof createClient>,
+  orgId: string,
+  invoiceId: string,
+): Promise<{ ok: true; row: InvoiceRow } | { ok: false; status: number; error: string }> {
+  const { data, error } = await admin
+    .from("invoices")
+    .select(
+      "id, org_id, client_id, status, billing_period_start, billing_period_end, ot_rate, total, amount_paid, amount_written_off, invoice_number, block_reason, notes",
+    )
+    .eq("id", invoiceId)
+    .eq("org_id", orgId)
+    .maybeSingle();
+  if (error) {
+    return { ok: false, status: 500, error: `Invoice lookup failed: ${error.message}` };
+  }
+  if (!data) {
+    // Either missing or belongs to another org. Don't leak which.
+    return { ok: false, status: 404, error: "Invoice not found." };
+  }
+  return { ok: true, row: data as InvoiceRow };
+}
+
+function logEvent(
+  admin: ReturnType<typeof createClient>,
+  args: {
+    eventType: string;
+    orgId: string;
+    clientId: string;
+    actor: string;
+    payload: Record<string, unknown>;
+  },
+) {
+  // Fire-and-forget: log failures never block the main response path.
+  admin
+    .from("events")
+    .insert({
+      event_type: args.eventType,
+      entity_type: "client",
+      entity_id: args.clientId,
+      actor: args.actor,
+      org_id: args.orgId,
+      payload: { ...args.payload, org_id: args.orgId, client_id: args.clientId },
+    })
+    .then(({ error }: { error: { message: string } | null }) => {
+      if (error) {
+        console.warn(`[invoicing-invoice-actions] event log failed: ${error.message}`);
+      }
+    });
+}
+
+function trimReason(reason: unknown): string {
+  if (typeof reason !== "string") return "";
+  return reason.trim();
+}
+
+// ─── Action handlers ──────────────────────────────────────────────
+
+async function handleApprove(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: { invoice_id: string },
+) {
+  const inv = await loadInvoice(admin, ctx.orgId, args.invoice_id);
+  if (!inv.ok) return inv;
+
+  const exceptions = parseExceptionsFromNotes(inv.row.notes);
+  const decision = evaluateApprovalAction({
+    invoice: { status: inv.row.status },
+    action: "approve",
+    exceptions,
+  });
+  if (!decision.ok) {
+    return {
+      ok: false as const,
+      status: 422,
+      error: decision.message,
+      code: decision.code,
+      blocking_codes: (decision as { blocking_codes?: string[] }).blocking_codes,
+    };
+  }
+
+  const approver = ctx.userEmail || "unknown";
+  const { error: updateErr } = await admin
+    .from("invoices")
+    .update({
+      status: INVOICE_STATUS.APPROVED,
+      approved_by: approver,
+      approved_at: new Date().toISOString(),
+    })
+    .eq("id", inv.row.id)
+    .eq("org_id", ctx.orgId)
+    .eq("status", inv.row.status); // optimistic concurrency
+  if (updateErr) {
+    return { ok: false as const, status: 500, error: `Approve failed: ${updateErr.message}` };
+  }
+
+  logEvent(admin, {
+    eventType: "invoice_approved",
+    orgId: ctx.orgId,
+    clientId: inv.row.client_id,
+    actor: `user:${approver}`,
+    payload: {
+      invoice_id: inv.row.id,
+      billing_period_start: inv.row.billing_period_start,
+      billing_period_end: inv.row.billing_period_end,
+      total: inv.row.total,
+      previous_status: inv.row.status,
+    },
+  });
+
+  return { ok: true as const, invoice_id: inv.row.id, status: INVOICE_STATUS.APPROVED };
+}
+
+async function handleApproveBulk(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: { invoice_ids: string[] },
+) {
+  if (!Array.isArray(args.invoice_ids) || args.invoice_ids.length === 0) {
+    return { ok: false as const, status: 400, error: "invoice_ids must be a non-empty array." };
+  }
+  const results: Array<{ invoice_id: string; ok: boolean; status?: string; error?: string }> = [];
+  for (const id of args.invoice_ids) {
+    if (typeof id !== "string" || id === "") {
+      results.push({ invoice_id: String(id), ok: false, error: "invalid id" });
+      continue;
+    }
+    const r = await handleApprove(admin, ctx, { invoice_id: id });
+    if (r.ok) {
+      results.push({ invoice_id: id, ok: true, status: r.status });
+    } else {
+      results.push({ invoice_id: id, ok: false, error: (r as { error: string }).error });
+    }
+  }
+  const okCount = results.filter((r) => r.ok).length;
+  return {
+    ok: true as const,
+    approved_count: okCount,
+    failed_count: results.length - okCount,
+    results,
+  };
+}
+
+async function handleUnapprove(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: { invoice_id: string },
+) {
+  const inv = await loadInvoice(admin, ctx.orgId, args.invoice_id);
+  if (!inv.ok) return inv;
+
+  const decision = evaluateApprovalAction({
+    invoice: { status: inv.row.status },
+    action: "unapprove",
+  });
+  if (!decision.ok) {
+    return {
+      ok: false as const,
+      status: 422,
+      error: decision.message,
+      code: decision.code,
+    };
+  }
+
+  const { error: updateErr } = await admin
+    .from("invoices")
+    .update({
+      status: INVOICE_STATUS.DRAFT,
+      approved_by: null,
+      approved_at: null,
+    })
+    .eq("id", inv.row.id)
+    .eq("org_id", ctx.orgId)
+    .eq("status", INVOICE_STATUS.APPROVED);
+  if (updateErr) {
+    return { ok: false as const, status: 500, error: `Unapprove failed: ${updateErr.message}` };
+  }
+
+  logEvent(admin, {
+    eventType: "invoice_unapproved",
+    orgId: ctx.orgId,
+    clientId: inv.row.client_id,
+    actor: `user:${ctx.userEmail || "unknown"}`,
+    payload: {
+      invoice_id: inv.row.id,
+      billing_period_start: inv.row.billing_period_start,
+      billing_period_end: inv.row.billing_period_end,
+    },
+  });
+
+  return { ok: true as const, invoice_id: inv.row.id, status: INVOICE_STATUS.DRAFT };
+}
+
+// Edit one line's hours_worked and/or billable_rate_applied, then
+// recompute the invoice header. Pricing a line that had no rate clears
+// its client_missing_rate block; a blocked invoice whose last block
+// clears returns to draft.
+async function handleEditLine(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: {
+    invoice_id: string;
+    shift_id: string;
+    edits: { hours_worked?: number; billable_rate_applied?: number };
+    reason: string;
+  },
+) {
+  const reason = trimReason(args.reason);
+  if (reason.length === 0) {
+    return { ok: false as const, status: 400, error: "Reason is required for inline edits." };
+  }
+  if (!args.edits || typeof args.edits !== "object") {
+    return { ok: false as const, status: 400, error: "edits payload is required." };
+  }
+
+  const inv = await loadInvoice(admin, ctx.orgId, args.invoice_id);
+  if (!inv.ok) return inv;
+
+  const { data: linesData, error: linesErr } = await admin
+    .from("invoice_shifts")
+    .select("shift_id, hours_worked, hour_classification, billable_rate_applied, billed_days")
+    .eq("invoice_id", inv.row.id);
+  if (linesErr) {
+    return { ok: false as const, status: 500, error: `Line lookup failed: ${linesErr.message}` };
+  }
+  const lines = ((linesData ?? []) as InvoiceShiftRow[]).map((l) => ({
+    ...l,
+    hours_worked: Number(l.hours_worked),
+    billable_rate_applied: l.billable_rate_applied != null ? Number(l.billable_rate_applied) : null,
+    billed_days: l.billed_days != null ? Number(l.billed_days) : null,
+  }));
+
+  const exceptions = parseExceptionsFromNotes(inv.row.notes);
+  const edit = applyLineEdit({
+    invoice: {
+      status: inv.row.status,
+      ot_rate: inv.row.ot_rate != null ? Number(inv.row.ot_rate) : null,
+      block_reason: inv.row.block_reason,
+    },
+    lines,
+    exceptions,
+    shiftId: args.shift_id,
+    edits: args.edits,
+  });
+  if (!edit.ok) {
+    const status = edit.code === "line_not_found"
+      ? 404
+      : edit.code === "invalid_from_status" ? 422 : 400;
+    return { ok: false as const, status, error: edit.message, code: edit.code };
+  }
+
+  const { error: lineUpdateErr } = await admin
+    .from("invoice_shifts")
+    .update({
+      hours_worked: edit.line.hours_worked,
+      billable_rate_applied: edit.line.billable_rate_applied,
+    })
+    .eq("invoice_id", inv.row.id)
+    .eq("shift_id", args.shift_id);
+  if (lineUpdateErr) {
+    return { ok: false as const, status: 500, error: `Line update failed: ${lineUpdateErr.message}` };
+  }
+
+  const now = new Date().toISOString();
+  const invoiceUpdate = {
+    ...edit.invoice,
+    notes: edit.exceptions.length > 0 ? JSON.stringify({ exceptions: edit.exceptions }) : null,
+    last_edited_by: ctx.userEmail || "unknown",
+    last_edited_at: now,
+    last_edit_reason: reason,
+    updated_at: now,
+  };
+  const { error: invUpdateErr } = await admin
+    .from("invoices")
+    .update(invoiceUpdate)
+    .eq("id", inv.row.id)
+    .eq("org_id", ctx.orgId)
+    .in("status", [...EDITABLE_INVOICE_STATUSES]);
+  if (invUpdateErr) {
+    return { ok: false as const, status: 500, error: `Invoice update failed: ${invUpdateErr.message}` };
+  }
+
+  logEvent(admin, {
+    eventType: "invoice_adjusted",
+    orgId: ctx.orgId,
+    clientId: inv.row.client_id,
+    actor: `user:${ctx.userEmail || "unknown"}`,
+    payload: {
+      invoice_id: inv.row.id,
+      shift_id: args.shift_id,
+      billing_period_start: inv.row.billing_period_start,
+      previous_values: edit.previous,
+      new_values: {
+        hours_worked: edit.line.hours_worked,
+        billable_rate_applied: edit.line.billable_rate_applied,
+      },
+      previous_total: inv.row.total,
+      new_total: edit.invoice.total,
+      previous_status: inv.row.status,
+      status: edit.invoice.status,
+      reason,
+    },
+  });
+
+  return {
+    ok: true as const,
+    invoice_id: inv.row.id,
+    shift_id: args.shift_id,
+    line: edit.line,
+    invoice: edit.invoice,
+  };
+}
+
+// ─── A/R actions ──────────────────────────────────────────────────
+
+async function handleMarkSent(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: { invoice_id: string; sent_date: string },
+) {
+  const inv = await loadInvoice(admin, ctx.orgId, args.invoice_id);
+  if (!inv.ok) return inv;
+
+  const decision = evaluateMarkAsSentAction({
+    invoice: { status: inv.row.status },
+    sentDate: args.sent_date,
+  });
+  if (!decision.ok) {
+    return { ok: false as const, status: 422, error: decision.message, code: decision.code };
+  }
+
+  // sent_at records the day the client received it, not the click.
+  const sentAt = `${args.sent_date}T12:00:00Z`;
+  const { data: updated, error: updateErr } = await admin
+    .from("invoices")
+    .update({ status: INVOICE_STATUS.SENT, sent_at: sentAt, updated_at: new Date().toISOString() })
+    .eq("id", inv.row.id)
+    .eq("org_id", ctx.orgId)
+    .eq("status", inv.row.status) // optimistic concurrency
+    .select("id");
+  if (updateErr) {
+    return { ok: false as const, status: 500, error: `Mark sent failed: ${updateErr.message}` };
+  }
+  if (!Array.isArray(updated) || updated.length === 0) {
+    return {
+      ok: false as const,
+      status: 409,
+      error: "Invoice status changed between read and write. Refresh the page and try again.",
+      code: "concurrent_modification",
+    };
+  }
+
+  logEvent(admin, {
+    eventType: "invoice_sent",
+    orgId: ctx.orgId,
+    clientId: inv.row.client_id,
+    actor: `user:${ctx.userEmail || "unknown"}`,
+    payload: {
+      invoice_id: inv.row.id,
+      invoice_number: inv.row.invoice_number,
+      sent_date: args.sent_date,
+      total: inv.row.total,
+    },
+  });
+
+  return { ok: true as const, invoice_id: inv.row.id, status: INVOICE_STATUS.SENT };
+}
+
+// Record a payment or write-off. The invoice's running totals are
+// advanced first under optimistic concurrency on (status, amount_paid,
+// amount_written_off), so two clerks keying the same check cannot both
+// land; the ledger row follows, and the invoice is restored if that
+// insert fails.
+async function handleRecordPayment(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: {
+    invoice_id: string;
+    kind: string;
+    method: string | null;
+    amount: number;
+    received_date: string;
+    reference: string | null;
+    notes: string | null;
+  },
+) {
+  const inv = await loadInvoice(admin, ctx.orgId, args.invoice_id);
+  if (!inv.ok) return inv;
+
+  const decision = evaluateRecordPaymentAction({
+    invoice: {
+      status: inv.row.status,
+      total: inv.row.total,
+      amount_paid: inv.row.amount_paid,
+      amount_written_off: inv.row.amount_written_off,
+    },
+    kind: args.kind,
+    method: args.method,
+    amount: args.amount,
+    receivedDate: args.received_date,
+    reason: args.notes ?? undefined,
+  });
+  if (!decision.ok) {
+    return { ok: false as const, status: 422, error: decision.message, code: decision.code };
+  }
+
+  const now = new Date().toISOString();
+  const recorder = ctx.userEmail || "unknown";
+  const { data: updated, error: updateErr } = await admin
+    .from("invoices")
+    .update({
+      status: decision.nextStatus,
+      amount_paid: decision.amountPaid,
+      amount_written_off: decision.amountWrittenOff,
+      paid_at: decision.nextStatus === INVOICE_STATUS.PAID ? now : null,
+      updated_at: now,
+    })
+    .eq("id", inv.row.id)
+    .eq("org_id", ctx.orgId)
+    .eq("status", inv.row.status)
+    .eq("amount_paid", inv.row.amount_paid ?? 0)
+    .eq("amount_written_off", inv.row.amount_written_off ?? 0)
+    .select("id");
+  if (updateErr) {
+    return { ok: false as const, status: 500, error: `Payment update failed: ${updateErr.message}` };
+  }
+  if (!Array.isArray(updated) || updated.length === 0) {
+    return {
+      ok: false as const,
+      status: 409,
+      error: "Invoice changed between read and write (another payment?). Refresh and try again.",
+      code: "concurrent_modification",
+    };
+  }
+
+  const { data: paymentRow, error: insertErr } = await admin
+    .from("invoice_payments")
+    .insert({
+      org_id: ctx.orgId,
+      invoice_id: inv.row.id,
+      kind: args.kind,
+      method: args.kind === PAYMENT_KIND.PAYMENT ? args.method : null,
+      amount: decision.amount,
+      received_date: args.received_date,
+      reference: args.reference,
+      notes: args.notes,
+      recorded_by: recorder,
+    })
+    .select("id")
+    .single();
+  if (insertErr || !paymentRow) {
+    // Roll the totals back so the invoice never claims money the
+    // ledger has no row for.
+    await admin
+      .from("invoices")
+      .update({
+        status: inv.row.status,
+        amount_paid: inv.row.amount_paid ?? 0,
+        amount_written_off: inv.row.amount_written_off ?? 0,
+        paid_at: null,
+      })
+      .eq("id", inv.row.id)
+      .eq("org_id", ctx.orgId)
+      .eq("status", decision.nextStatus);
+    return {
+      ok: false as const,
+      status: 500,
+      error: `Payment insert failed: ${insertErr?.message ?? "no row returned"}`,
+    };
+  }
+
+  logEvent(admin, {
+    eventType: args.kind === PAYMENT_KIND.WRITE_OFF ? "invoice_written_off" : "invoice_payment_recorded",
+    orgId: ctx.orgId,
+    clientId: inv.row.client_id,
+    actor: `user:${recorder}`,
+    payload: {
+      invoice_id: inv.row.id,
+      invoice_number: inv.row.invoice_number,
+      invoice_payment_id: (paymentRow as { id: string }).id,
+      kind: args.kind,
+      method: args.method,
+      amount: decision.amount,
+      received_date: args.received_date,
+      previous_status: inv.row.status,
+      status: decision.nextStatus,
+      balance_due: decision.balanceDue,
+    },
+  });
+
+  return {
+    ok: true as const,
+    invoice_id: inv.row.id,
+    invoice_payment_id: (paymentRow as { id: string }).id,
+    status: decision.nextStatus,
+    amount_paid: decision.amountPaid,
+    amount_written_off: decision.amountWrittenOff,
+    balance_due: decision.balanceDue,
+  };
+}
+
+function optionalTrimmed(value: unknown): string | null {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  return trimmed === "" ? null : trimmed;
+}
+
+// ─── Main handler ────────────────────────────────────────────────
+
+Deno.serve(async (req: Request) => {
+  const cors = getCorsHeaders(req);
+  if (req.method === "OPTIONS") return new Response("ok", { headers: cors });
+  if (req.method !== "POST") return jsonResponse(405, { error: "POST required." }, cors);
+
+  // ── Auth ──
+  const authResult = await authenticateRequest(req.headers.get("Authorization"));
+  if (!authResult.ok) return jsonResponse(authResult.status, { error: authResult.error }, cors);
+  const ctx = authResult.ctx;
+
+  const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+  const staffCheck = await assertStaff(admin, ctx.userEmail);
+  if (!staffCheck.ok) {
+    return jsonResponse(staffCheck.status, { error: staffCheck.error }, cors);
+  }
+
+  // ── Body ──
+  let body: Record<string, unknown> = {};
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse(400, { error: "Body must be valid JSON." }, cors);
+  }
+  const action = typeof body.action === "string" ? body.action : null;
+  if (!action) {
+    return jsonResponse(400, { error: "Missing `action`." }, cors);
+  }
+
+  try {
+    switch (action) {
+      case "approve": {
+        const r = await handleApprove(admin, ctx, {
+          invoice_id: String(body.invoice_id || ""),
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      case "approve_bulk": {
+        const r = await handleApproveBulk(admin, ctx, {
+          invoice_ids: Array.isArray(body.invoice_ids)
+            ? body.invoice_ids.map((x) => String(x))
+            : [],
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      case "unapprove": {
+        const r = await handleUnapprove(admin, ctx, {
+          invoice_id: String(body.invoice_id || ""),
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      case "edit_line": {
+        const r = await handleEditLine(admin, ctx, {
+          invoice_id: String(body.invoice_id || ""),
+          shift_id: String(body.shift_id || ""),
+          edits: (body.edits as Record<string, number>) || {},
+          reason: String(body.reason || ""),
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      case "mark_sent": {
+        const r = await handleMarkSent(admin, ctx, {
+          invoice_id: String(body.invoice_id || ""),
+          sent_date: String(body.sent_date || ""),
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      case "record_payment": {
+        const r = await handleRecordPayment(admin, ctx, {
+          invoice_id: String(body.invoice_id || ""),
+          kind: String(body.kind || ""),
+          method: optionalTrimmed(body.method),
+          amount: Number(body.amount),
+          received_date: String(body.received_date || ""),
+          reference: optionalTrimmed(body.reference),
+          notes: optionalTrimmed(body.notes),
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      default:
+        return jsonResponse(400, { error: `Unknown action "${action}".` }, cors);
+    }
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    console.error(`[invoicing-invoice-actions] handler threw: ${message}`);
+    return jsonResponse(500, { error: `Internal error: ${message}` }, cors);
+  }
+});
@@ -0,0 +1,177 @@
+// ─── missed-clock-out-detector (cron) ───
+// Runs every 15 min (pg_cron). Finds shifts still in_progress
+// MISSED_CLOCK_OUT_AFTER_MINUTES after their scheduled end with no
+// clock-out, opens a 'prompted' clock_out_corrections row and pushes
+// the caregiver to report when they actually left (rules in
+// src/lib/scheduling/clockOutCorrections.js). The caregiver answers
+// from the PWA via caregiver-clock-corrections; the office reviews on
+// the schedule page.
+//
+// Dedupe: the partial unique index on open corrections means an
+// overlapping run loses the insert and skips the shift. A shift with
+// any earlier correction (e.g. one the office denied) is never
+// prompted again — it's the office's to finish.
+//
+// Only the lead (shifts.assigned_caregiver_id) is prompted: a
+// multi-caregiver shift stays in_progress while any slot caregiver is
+// clocked in, so "the shift is open" says nothing about them.
+//
+// Invoked by pg_cron via net.http_post with the project's publishable
+// key (gateway-auth model, same as shift-reminders). A present
+// Authorization header is required so an unauthenticated direct hit is
+// rejected; the gateway enforces the actual JWT verification.
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  CLOCK_OUT_CORRECTION_STATUS,
+  MISSED_CLOCK_OUT_AFTER_MINUTES,
+  MISSED_CLOCK_OUT_LOOKBACK_DAYS,
+  isMissedClockOut,
+  missedClockOutPush,
+} from "../../../src/lib/scheduling/clockOutCorrections.js";
+import { DEFAULT_APP_TIMEZONE } from "../../../src/lib/scheduling/timezone.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function json(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+type Admin = ReturnType<typeof createClient>;
+type ShiftRow = {
+  id: string;
+  org_id: string;
+  client_id: string;
+  assigned_caregiver_id: string;
+  status: string;
+  start_time: string;
+  end_time: string;
+};
+
+function pickOrgTimezone(settings: Record<string, unknown> | null): string {
+  const scheduling = (settings?.scheduling ?? {}) as Record<string, unknown>;
+  if (typeof scheduling.timezone === "string" && scheduling.timezone.length > 0) {
+    return scheduling.timezone;
+  }
+  const payroll = (settings?.payroll ?? {}) as Record<string, unknown>;
+  if (typeof payroll.timezone === "string" && payroll.timezone.length > 0) {
+    return payroll.timezone;
+  }
+  return DEFAULT_APP_TIMEZONE;
+}
+
+async function loadTimezone(admin: Admin, cache: Map<string, string>, orgId: string) {
+  const cached = cache.get(orgId);
+  if (cached) return cached;
+  const { data } = await admin.from("organizations").select("settings").eq("id", orgId).maybeSingle();
+  const timezone = pickOrgTimezone((data?.settings ?? null) as Record<string, unknown> | null);
+  cache.set(orgId, timezone);
+  return timezone;
+}
+
+// Claim the shift by opening its correction. Null when another run (or
+// the caregiver, from the PWA) got there first.
+async function openCorrection(admin: Admin, shift: ShiftRow, now: Date): Promise<string | null> {
+  const { data, error } = await admin
+    .from("clock_out_corrections")
+    .insert({
+      org_id: shift.org_id,
+      shift_id: shift.id,
+      caregiver_id: shift.assigned_caregiver_id,
+      status: CLOCK_OUT_CORRECTION_STATUS.PROMPTED,
+      prompted_at: now.toISOString(),
+    })
+    .select("id")
+    .single();
+  if (error) {
+    // uq_clock_out_corrections_open_shift
+    if ((error as { code?: string }).code === "23505") return null;
+    throw error;
+  }
+  return data.id as string;
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (!req.headers.get("Authorization")) return json({ error: "Missing Authorization." }, 401);
+
+  try {
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+    const now = new Date();
+    const endedBeforeIso = new Date(now.getTime() - MISSED_CLOCK_OUT_AFTER_MINUTES * 60_000).toISOString();
+    const endedAfterIso = new Date(now.getTime() - MISSED_CLOCK_OUT_LOOKBACK_DAYS * 24 * 60 * 60_000).toISOString();
+
+    const { data: shiftRows, error: shiftErr } = await admin
+      .from("shifts")
+      .select("id, org_id, client_id, assigned_caregiver_id, status, start_time, end_time")
+      .eq("status", "in_progress")
+      .not("assigned_caregiver_id", "is", null)
+      .gte("end_time", endedAfterIso)
+      .lte("end_time", endedBeforeIso)
+      .order("end_time", { ascending: true });
+    if (shiftErr) return json({ error: shiftErr.message }, 500);
+    const shifts = (shiftRows ?? []) as ShiftRow[];
+    if (shifts.length === 0) return json({ ok: true, shifts: 0, prompted: 0 });
+
+    const shiftIds = shifts.map((s) => s.id);
+    const [clockRes, correctionRes] = await Promise.all([
+      admin.from("clock_events").select("shift_id, caregiver_id").in("shift_id", shiftIds).eq("event_type", "out"),
+      admin.from("clock_out_corrections").select("shift_id").in("shift_id", shiftIds),
+    ]);
+    if (clockRes.error) return json({ error: clockRes.error.message }, 500);
+    if (correctionRes.error) return json({ error: correctionRes.error.message }, 500);
+
+    // Keyed by shift and caregiver: a slot caregiver's clock-out
+    // doesn't clock out the lead.
+    const clockedOut = new Set(
+      (clockRes.data ?? []).map((r: { shift_id: string; caregiver_id: string }) => `${r.shift_id}:${r.caregiver_id}`),
+    );
+    const alreadyCorrected = new Set((correctionRes.data ?? []).map((r: { shift_id: string }) => r.shift_id));
+
+    const tzCache = new Map<string, string>();
+    let prompted = 0;
+
+    for (const shift of shifts) {
+      if (alreadyCorrected.has(shift.id)) continue;
+      if (!isMissedClockOut(shift, { clockedOut: clockedOut.has(`${shift.id}:${shift.assigned_caregiver_id}`), now })) continue;
+
+      try {
+        const correctionId = await openCorrection(admin, shift, now);
+        if (!correctionId) continue;
+        prompted += 1;
+
+        const [timezone, { data: client }] = await Promise.all([
+          loadTimezone(admin, tzCache, shift.org_id),
+          admin.from("clients").select("first_name, last_name").eq("id", shift.client_id).maybeSingle(),
+        ]);
+        const clientName = `${client?.first_name ?? ""} ${client?.last_name ?? ""}`.trim() || "your client";
+
+        // Best-effort: the PWA shows the prompt on the shift either way.
+        const { error: pushErr } = await admin.functions.invoke("send-push", {
+          body: {
+            ...missedClockOutPush(shift, { clientName, timezone }),
+            caregiver_ids: [shift.assigned_caregiver_id],
+          },
+        });
+        if (pushErr) console.warn(`[missed-clock-out-detector] push failed for shift ${shift.id}:`, pushErr);
+      } catch (err) {
+        // One bad shift shouldn't stop the rest of the sweep.
+        console.error(`[missed-clock-out-detector] shift ${shift.id} failed:`, err);
+      }
+    }
+
+    return json({ ok: true, shifts: shifts.length, prompted });
+  } catch (err) {
+    console.error("[missed-clock-out-detector] unhandled error:", err);
+    return json({ error: (err as Error).message || "Internal server error." }, 500);
+  }
+});
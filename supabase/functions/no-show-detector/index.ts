@@ -0,0 +1,500 @@
+// ─── no-show-detector (cron) ───
+// Runs every 5 min (pg_cron). Finds assigned / confirmed shifts that
+// started without a clock-in and escalates them in two steps (rules in
+// src/lib/scheduling/noShowDetection.js):
+//
+//   late     (start + late grace)        push + SMS the caregiver
+//   no_show  (start + escalation delay)  mark the shift no-show, SMS the
+//            on-call scheduler(s), open a follow-up task for the first
+//            of them, and broadcast the rest of the visit as a new
+//            first-yes-wins open shift to eligible caregivers
+//
+// Dedupe: each step is claimed by inserting a shift_attendance_incidents
+// row, UNIQUE per (shift, kind), before anything is sent — an
+// overlapping run loses the insert and skips the shift. The rows are
+// also the caregiver's attendance record used in ranking.
+//
+// Grace, escalation delay and on-call emails come from
+// organizations.settings.scheduling. On-call phones are resolved via
+// team_members at send time, like lead notifications. Caregiver SMS
+// and the coverage broadcast go through bulk-sms (notes on the
+// caregiver record, scheduling route); the broadcast records
+// shift_offers rows exactly as the office's BroadcastModal does, so a
+// "YES" reply claims the shift through the usual matcher.
+//
+// Invoked by pg_cron via net.http_post with the project's publishable
+// key (gateway-auth model, same as shift-reminders). A present
+// Authorization header is required so an unauthenticated direct hit is
+// rejected; the gateway enforces the actual JWT verification.
+
+import { createClient } from "jsr:@supabase/supabase-js@2";
+import {
+  getRingCentralAccessTokenWithJwt,
+  getSendingCredentials,
+  sendSmsToRingCentralWithRetry,
+} from "../_shared/helpers/ringcentral.ts";
+import { normalizePhoneNumber } from "../_shared/helpers/phone.ts";
+import {
+  ATTENDANCE_INCIDENT_KIND,
+  ATTENDANCE_LOOKBACK_DAYS,
+  DETECTION_LOOKBACK_HOURS,
+  attendancePenalty,
+  coveragePush,
+  coverageShiftRow,
+  coverageSms,
+  coverageWindow,
+  dueAttendanceAlerts,
+  latePush,
+  lateSms,
+  minutesLate,
+  noShowTaskRow,
+  onCallEscalationSms,
+  resolveNoShowSettings,
+  summarizeAttendance,
+} from "../../../src/lib/scheduling/noShowDetection.js";
+import { boardShiftEligibility } from "../../../src/lib/scheduling/openShiftBoard.js";
+import {
+  buildClientLocations,
+  resolveTravelModel,
+} from "../../../src/lib/scheduling/conflictDetection.js";
+import { DEFAULT_APP_TIMEZONE } from "../../../src/lib/scheduling/timezone.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+function json(body: Record<string, unknown>, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const ACTOR = "system:no_show_detector";
+const DETECTOR_LABEL = "No-show detector";
+
+// bulk-sms spaces sends 3s apart; cap the broadcast so one escalation
+// can't run the function past its time limit.
+const COVERAGE_BROADCAST_LIMIT = 10;
+
+const SHIFT_COLUMNS =
+  "id, org_id, client_id, service_plan_id, assigned_caregiver_id, status, start_time, end_time, " +
+  "location_address, service_type, hourly_rate, billable_rate, required_skills, instructions";
+
+type Admin = ReturnType<typeof createClient>;
+type ShiftRow = {
+  id: string;
+  org_id: string;
+  client_id: string;
+  assigned_caregiver_id: string;
+  status: string;
+  start_time: string;
+  end_time: string;
+  [key: string]: unknown;
+};
+type OrgContext = {
+  settings: Record<string, unknown> | null;
+  timezone: string;
+  lateGraceMinutes: number;
+  escalationMinutes: number;
+  onCallEmails: string[];
+};
+
+function pickOrgTimezone(settings: Record<string, unknown> | null): string {
+  const scheduling = (settings?.scheduling ?? {}) as Record<string, unknown>;
+  if (typeof scheduling.timezone === "string" && scheduling.timezone.length > 0) {
+    return scheduling.timezone;
+  }
+  const payroll = (settings?.payroll ?? {}) as Record<string, unknown>;
+  if (typeof payroll.timezone === "string" && payroll.timezone.length > 0) {
+    return payroll.timezone;
+  }
+  return DEFAULT_APP_TIMEZONE;
+}
+
+function personName(row: { first_name?: string | null; last_name?: string | null } | null, fallback: string) {
+  if (!row) return fallback;
+  return `${row.first_name ?? ""} ${row.last_name ?? ""}`.trim() || fallback;
+}
+
+// Caregivers see a client's first name and last initial before they
+// pick a shift up, same as the open-shift board.
+function publicClientLabel(client: { first_name?: string | null; last_name?: string | null; city?: string | null } | null) {
+  if (!client) return "a client";
+  const initial = client.last_name ? `${client.last_name.charAt(0)}.` : "";
+  const name = `${client.first_name ?? ""} ${initial}`.trim() || "A client";
+  return client.city ? `${name} in ${client.city}` : name;
+}
+
+async function loadOrgContext(admin: Admin, cache: Map<string, OrgContext>, orgId: string) {
+  const cached = cache.get(orgId);
+  if (cached) return cached;
+  const { data } = await admin.from("organizations").select("settings").eq("id", orgId).maybeSingle();
+  const settings = (data?.settings ?? null) as Record<string, unknown> | null;
+  const ctx = { settings, timezone: pickOrgTimezone(settings), ...resolveNoShowSettings(settings) };
+  cache.set(orgId, ctx);
+  return ctx;
+}
+
+// Claim a step by recording it. False when another run got there first.
+async function recordIncident(admin: Admin, shift: ShiftRow, kind: string, now: Date) {
+  const { data, error } = await admin
+    .from("shift_attendance_incidents")
+    .insert({
+      org_id: shift.org_id,
+      shift_id: shift.id,
+      caregiver_id: shift.assigned_caregiver_id,
+      kind,
+      minutes_late: minutesLate(shift, now),
+      detected_at: now.toISOString(),
+    })
+    .select("id")
+    .single();
+  if (error) {
+    if ((error as { code?: string }).code === "23505") return null;
+    throw error;
+  }
+  return data.id as string;
+}
+
+async function sendCaregiverSms(admin: Admin, caregiverIds: string[], message: string) {
+  const { data, error } = await admin.functions.invoke("bulk-sms", {
+    body: { caregiver_ids: caregiverIds, message, current_user: ACTOR, category: "scheduling" },
+  });
+  if (error) throw error;
+  return ((data as { results?: { id: string; status: string }[] })?.results ?? []);
+}
+
+async function sendPush(admin: Admin, caregiverIds: string[], payload: Record<string, unknown>) {
+  const { error } = await admin.functions.invoke("send-push", {
+    body: { ...payload, caregiver_ids: caregiverIds },
+  });
+  if (error) throw error;
+}
+
+// ── late: nudge the caregiver ──
+async function alertLate(admin: Admin, shift: ShiftRow, org: OrgContext, caregiver: any, client: any) {
+  const clientName = personName(client, "your client");
+  try {
+    await sendPush(admin, [shift.assigned_caregiver_id], latePush(shift, { clientName, timezone: org.timezone }));
+  } catch (err) {
+    console.warn(`[no-show-detector] late push failed for shift ${shift.id}:`, err);
+  }
+  try {
+    await sendCaregiverSms(admin, [shift.assigned_caregiver_id], lateSms(shift, {
+      caregiverFirstName: caregiver?.first_name ?? null,
+      clientName,
+      timezone: org.timezone,
+    }));
+  } catch (err) {
+    console.warn(`[no-show-detector] late SMS failed for shift ${shift.id}:`, err);
+  }
+}
+
+// ── SMS the on-call scheduler(s) directly via RingCentral ──
+async function textOnCall(admin: Admin, orgId: string, emails: string[], message: string) {
+  if (emails.length === 0) return { sent: 0, errors: ["no on-call recipients configured"] };
+  const { data: members } = await admin
+    .from("team_members")
+    .select("email, personal_phone")
+    .eq("is_active", true)
+    .eq("org_id", orgId);
+  const phoneByEmail = new Map<string, string>();
+  for (const m of (members ?? []) as { email: string; personal_phone: string | null }[]) {
+    if (m.email && m.personal_phone) phoneByEmail.set(m.email.toLowerCase(), m.personal_phone);
+  }
+
+  const creds = await getSendingCredentials(admin, null);
+  const accessToken = await getRingCentralAccessTokenWithJwt(creds.jwt);
+  let sent = 0;
+  const errors: string[] = [];
+  for (const email of emails) {
+    const phone = normalizePhoneNumber(phoneByEmail.get(email.toLowerCase()) ?? "");
+    if (!phone) {
+      errors.push(`${email}: no phone on file`);
+      continue;
+    }
+    const resp = await sendSmsToRingCentralWithRetry(accessToken, creds.fromNumber, phone, message);
+    if (resp.ok) sent += 1;
+    else errors.push(`${email}: RC ${resp.status}`);
+  }
+  return { sent, errors };
+}
+
+// ── Broadcast the coverage shift to eligible roster caregivers ──
+// Eligibility is the open-shift board's (availability + no clash);
+// among those, the best attendance record goes first.
+async function broadcastCoverage(admin: Admin, coverage: ShiftRow, noShowCaregiverId: string, org: OrgContext) {
+  const now = new Date();
+  const { data: roster, error: rosterErr } = await admin
+    .from("caregivers")
+    .select("id, first_name, last_name")
+    .eq("org_id", coverage.org_id)
+    .eq("archived", false)
+    .not("employment_status", "is", null)
+    .neq("employment_status", "onboarding")
+    .neq("id", noShowCaregiverId);
+  if (rosterErr) throw rosterErr;
+  const ids = (roster ?? []).map((c: { id: string }) => c.id);
+  if (ids.length === 0) return { offered: 0 };
+
+  const from = new Date(Date.parse(coverage.start_time) - 24 * 60 * 60_000).toISOString();
+  const to = new Date(Date.parse(coverage.end_time) + 24 * 60 * 60_000).toISOString();
+  const since = new Date(now.getTime() - ATTENDANCE_LOOKBACK_DAYS * 24 * 60 * 60_000).toISOString();
+  const [availabilityRes, workingRes, incidentsRes] = await Promise.all([
+    admin.from("caregiver_availability").select("*").in("caregiver_id", ids),
+    admin
+      .from("shifts")
+      .select("id, client_id, assigned_caregiver_id, status, start_time, end_time")
+      .in("assigned_caregiver_id", ids)
+      .lt("start_time", to)
+      .gt("end_time", from),
+    admin
+      .from("shift_attendance_incidents")
+      .select("caregiver_id, kind, detected_at")
+      .in("caregiver_id", ids)
+      .gte("detected_at", since),
+  ]);
+  if (availabilityRes.error) throw availabilityRes.error;
+  if (workingRes.error) throw workingRes.error;
+  if (incidentsRes.error) throw incidentsRes.error;
+
+  const working = (workingRes.data ?? []) as ShiftRow[];
+  const clientIds = Array.from(new Set([coverage.client_id, ...working.map((s) => s.client_id)].filter(Boolean)));
+  const { data: clients } = await admin
+    .from("clients")
+    .select("id, latitude, longitude")
+    .in("id", clientIds);
+  const clientLocations = buildClientLocations(clients ?? []);
+  const travelModel = resolveTravelModel(org.settings);
+  const attendance = summarizeAttendance(incidentsRes.data ?? [], { now });
+
+  const eligible = ids
+    .filter((id: string) => boardShiftEligibility(coverage, {
+      availabilityRows: (availabilityRes.data ?? []).filter((r: { caregiver_id: string }) => r.caregiver_id === id),
+      caregiverShifts: working.filter((s) => s.assigned_caregiver_id === id),
+      clientLocations,
+      travelModel,
+      timezone: org.timezone,
+      now,
+    }).eligible)
+    .sort((a: string, b: string) => attendancePenalty(attendance[a]) - attendancePenalty(attendance[b]))
+    .slice(0, COVERAGE_BROADCAST_LIMIT);
+  if (eligible.length === 0) return { offered: 0 };
+
+  const { data: client } = await admin
+    .from("clients")
+    .select("first_name, last_name, city")
+    .eq("id", coverage.client_id)
+    .maybeSingle();
+  const clientLabel = publicClientLabel(client);
+
+  try {
+    await sendPush(admin, eligible, coveragePush(coverage, { clientLabel, timezone: org.timezone }));
+  } catch (err) {
+    console.warn(`[no-show-detector] coverage push failed for shift ${coverage.id}:`, err);
+  }
+
+  const message = coverageSms(coverage, { clientLabel, timezone: org.timezone });
+  const results = await sendCaregiverSms(admin, eligible, message);
+  const sentAt = new Date().toISOString();
+  const offers = results
+    .filter((r) => r.status === "sent")
+    .map((r) => ({
+      org_id: coverage.org_id,
+      shift_id: coverage.id,
+      caregiver_id: r.id,
+      status: "sent",
+      sent_at: sentAt,
+      notes: message,
+      created_by: DETECTOR_LABEL,
+    }));
+  if (offers.length > 0) {
+    const { error: offerErr } = await admin.from("shift_offers").insert(offers);
+    if (offerErr) throw offerErr;
+    await admin.from("shifts").update({ status: "offered" }).eq("id", coverage.id).eq("status", "open");
+  }
+  return { offered: offers.length };
+}
+
+// ── no_show: mark, cover, escalate ──
+async function escalateNoShow(
+  admin: Admin,
+  shift: ShiftRow,
+  incidentId: string,
+  org: OrgContext,
+  caregiver: any,
+  client: any,
+  now: Date,
+) {
+  const minutes = minutesLate(shift, now);
+  const caregiverName = personName(caregiver, "The caregiver");
+  const clientName = personName(client, "the client");
+
+  // Guarded on status so a clock-in that lands mid-run wins.
+  const { data: marked, error: markErr } = await admin
+    .from("shifts")
+    .update({
+      status: "no_show",
+      no_show_note: `No clock-in ${minutes} min after start.`,
+      marked_no_show_at: now.toISOString(),
+      marked_no_show_by: DETECTOR_LABEL,
+      updated_at: now.toISOString(),
+    })
+    .eq("id", shift.id)
+    .in("status", ["assigned", "confirmed"])
+    .select("id")
+    .maybeSingle();
+  if (markErr) throw markErr;
+  if (!marked) {
+    await admin.from("shift_attendance_incidents").delete().eq("id", incidentId);
+    return { escalated: false };
+  }
+
+  let coverage: ShiftRow | null = null;
+  let offered = 0;
+  const window = coverageWindow(shift, now);
+  if (window) {
+    const { data: created, error: createErr } = await admin
+      .from("shifts")
+      .insert(coverageShiftRow(shift, window, { createdBy: DETECTOR_LABEL }))
+      .select(SHIFT_COLUMNS)
+      .single();
+    if (createErr) {
+      console.warn(`[no-show-detector] coverage shift insert failed for shift ${shift.id}:`, createErr);
+    } else {
+      coverage = created as ShiftRow;
+      try {
+        ({ offered } = await broadcastCoverage(admin, coverage, shift.assigned_caregiver_id, org));
+      } catch (err) {
+        console.warn(`[no-show-detector] coverage broadcast failed for shift ${shift.id}:`, err);
+      }
+    }
+  }
+
+  const { data: task, error: taskErr } = await admin
+    .from("follow_up_tasks")
+    .insert({
+      org_id: shift.org_id,
+      ...noShowTaskRow(shift, {
+        caregiverName,
+        clientName,
+        minutes,
+        assignee: org.onCallEmails[0] ?? null,
+        coverageShiftId: coverage?.id ?? null,
+        timezone: org.timezone,
+        now,
+      }),
+    })
+    .select("id")
+    .single();
+  if (taskErr) console.warn(`[no-show-detector] task insert failed for shift ${shift.id}:`, taskErr);
+
+  await admin
+    .from("shift_attendance_incidents")
+    .update({ coverage_shift_id: coverage?.id ?? null, follow_up_task_id: task?.id ?? null })
+    .eq("id", incidentId);
+
+  try {
+    const { errors } = await textOnCall(admin, shift.org_id, org.onCallEmails, onCallEscalationSms(shift, {
+      caregiverName,
+      clientName,
+      minutes,
+      coverage: coverage ? { start_time: coverage.start_time, end_time: coverage.end_time } : null,
+      timezone: org.timezone,
+    }));
+    if (errors.length > 0) console.warn(`[no-show-detector] on-call SMS for shift ${shift.id}:`, errors);
+  } catch (err) {
+    console.warn(`[no-show-detector] on-call SMS failed for shift ${shift.id}:`, err);
+  }
+
+  return { escalated: true, offered };
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+  if (!req.headers.get("Authorization")) return json({ error: "Missing Authorization." }, 401);
+
+  try {
+    const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+    const now = new Date();
+    const sinceIso = new Date(now.getTime() - DETECTION_LOOKBACK_HOURS * 60 * 60_000).toISOString();
+
+    const { data: shiftRows, error: shiftErr } = await admin
+      .from("shifts")
+      .select(SHIFT_COLUMNS)
+      .in("status", ["assigned", "confirmed"])
+      .not("assigned_caregiver_id", "is", null)
+      .gte("start_time", sinceIso)
+      .lte("start_time", now.toISOString())
+      .order("start_time", { ascending: true });
+    if (shiftErr) return json({ error: shiftErr.message }, 500);
+    const shifts = (shiftRows ?? []) as ShiftRow[];
+    if (shifts.length === 0) return json({ ok: true, shifts: 0 });
+
+    const shiftIds = shifts.map((s) => s.id);
+    const [clockRes, incidentRes] = await Promise.all([
+      admin.from("clock_events").select("shift_id").in("shift_id", shiftIds).eq("event_type", "in"),
+      admin.from("shift_attendance_incidents").select("shift_id, kind").in("shift_id", shiftIds),
+    ]);
+    if (clockRes.error) return json({ error: clockRes.error.message }, 500);
+    if (incidentRes.error) return json({ error: incidentRes.error.message }, 500);
+
+    const clockedIn = new Set((clockRes.data ?? []).map((r: { shift_id: string }) => r.shift_id));
+    const kindsByShift = new Map<string, string[]>();
+    for (const r of (incidentRes.data ?? []) as { shift_id: string; kind: string }[]) {
+      kindsByShift.set(r.shift_id, [...(kindsByShift.get(r.shift_id) ?? []), r.kind]);
+    }
+
+    const orgCache = new Map<string, OrgContext>();
+    let late = 0;
+    let noShows = 0;
+    let offered = 0;
+
+    for (const shift of shifts) {
+      const org = await loadOrgContext(admin, orgCache, shift.org_id);
+      const due = dueAttendanceAlerts(shift, {
+        clockedIn: clockedIn.has(shift.id),
+        recordedKinds: kindsByShift.get(shift.id) ?? [],
+        lateGraceMinutes: org.lateGraceMinutes,
+        escalationMinutes: org.escalationMinutes,
+        now,
+      });
+      if (due.length === 0) continue;
+
+      const [{ data: caregiver }, { data: client }] = await Promise.all([
+        admin.from("caregivers").select("first_name, last_name").eq("id", shift.assigned_caregiver_id).maybeSingle(),
+        admin.from("clients").select("first_name, last_name").eq("id", shift.client_id).maybeSingle(),
+      ]);
+
+      try {
+        for (const kind of due) {
+          const incidentId = await recordIncident(admin, shift, kind, now);
+          if (!incidentId) continue;
+          if (kind === ATTENDANCE_INCIDENT_KIND.LATE) {
+            await alertLate(admin, shift, org, caregiver, client);
+            late += 1;
+          } else {
+            const result = await escalateNoShow(admin, shift, incidentId, org, caregiver, client, now);
+            if (result.escalated) {
+              noShows += 1;
+              offered += result.offered ?? 0;
+            }
+          }
+        }
+      } catch (err) {
+        // One bad shift shouldn't stop the rest of the sweep.
+        console.error(`[no-show-detector] shift ${shift.id} failed:`, err);
+      }
+    }
+
+    return json({ ok: true, shifts: shifts.length, late, no_shows: noShows, offered });
+  } catch (err) {
+    console.error("[no-show-detector] unhandled error:", err);
+    return json({ error: (err as Error).message || "Internal server error." }, 500);
+  }
+});
@@ -6,7 +6,7 @@
 //
 // Designed as a generic patch helper, but intentionally narrow:
 //   - Restricted to known sections (`payroll`, `paychex`,
-//     `features_enabled`). Adding a section requires this file
+//     `features_enabled`, `lead_notifications`, `evv`, `scheduling`). Adding a section requires this file
 //     change, which keeps the surface auditable.
 //   - Each section has a whitelisted set of keys + value validators.
 //     Unknown keys are rejected loudly rather than silently merged.
@@ -129,10 +129,13 @@ const PAYROLL_KEYS: Record<string, (v: unknown) => boolean> = {
   // pay_components is a nested object; validate its inner shape too.
   pay_components: (v) =>
     isPlainObject(v)
-    && Object.keys(v).every((k) => ["regular", "overtime", "double_time", "mileage"].includes(k))
+    && Object.keys(v).every((k) => [
+      "regular", "overtime", "double_time", "mileage", "meal_premium", "rest_premium",
+    ].includes(k))
     && Object.values(v).every(isStringOrNull),
   mileage_rate: isPositiveNumber,
   dry_run: isBoolean,
+  meal_rest_premiums: isBoolean,
 };
 
 const PAYCHEX_KEYS: Record<string, (v: unknown) => boolean> = {
@@ -196,11 +199,46 @@ const LEAD_NOTIFICATIONS_KEYS: Record<string, (v: unknown) => boolean> = {
   quiet_hours_timezone: isIanaTimezone,
 };
 
+// EVV export (Accounting → EVV tab, src/lib/evv.js). Codes are whatever
+// the state's aggregator issues, so only the shape is checked here.
+function isCodeMap(keys: string[]) {
+  return (v: unknown) =>
+    isPlainObject(v)
+    && Object.keys(v).every((k) => keys.includes(k))
+    && Object.values(v).every(isStringOrNull);
+}
+
+const EVV_KEYS: Record<string, (v: unknown) => boolean> = {
+  format: (v) => typeof v === "string" && ["sandata_csv", "generic_csv", "json"].includes(v),
+  provider_id: isStringOrNull,
+  service_codes: isCodeMap(["personal_care", "companion", "live_in"]),
+  reason_codes: isCodeMap(["manual_entry", "time_edited", "geofence_override"]),
+};
+
+// Distance-aware travel buffers (src/lib/scheduling/conflictDetection.js
+// resolveTravelModel) and no-show alerts (resolveNoShowSettings in
+// src/lib/scheduling/noShowDetection.js). Minutes are capped at a day
+// so a typo can't make every caregiver conflict with everything.
+function isMinutes(v: unknown): boolean {
+  return typeof v === "number" && Number.isInteger(v) && v >= 0 && v <= 1440;
+}
+
+const SCHEDULING_KEYS: Record<string, (v: unknown) => boolean> = {
+  travel_speed_mph: isPositiveNumber,
+  travel_min_minutes: isMinutes,
+  travel_max_minutes: (v) => isMinutes(v) && (v as number) > 0,
+  late_grace_minutes: isMinutes,
+  no_show_escalation_minutes: isMinutes,
+  on_call_emails: isEmailArray,
+};
+
 const SECTION_SCHEMAS: Record<string, Record<string, (v: unknown) => boolean>> = {
   payroll: PAYROLL_KEYS,
   paychex: PAYCHEX_KEYS,
   features_enabled: FEATURES_ENABLED_KEYS,
   lead_notifications: LEAD_NOTIFICATIONS_KEYS,
+  evv: EVV_KEYS,
+  scheduling: SCHEDULING_KEYS,
 };
 
 function validatePatch(
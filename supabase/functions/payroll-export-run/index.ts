@@ -158,6 +158,8 @@ interface TimesheetRow {
   regular_hours: number | null;
   overtime_hours: number | null;
   double_time_hours: number | null;
+  meal_premium_hours: number | null;
+  rest_premium_hours: number | null;
   mileage_total: number | null;
   mileage_reimbursement: number | null;
   gross_pay: number | null;
@@ -213,6 +215,7 @@ Deno.serve(async (req: Request) => {
       id, org_id, caregiver_id, status,
       pay_period_start, pay_period_end,
       regular_hours, overtime_hours, double_time_hours,
+      meal_premium_hours, rest_premium_hours,
       mileage_total, mileage_reimbursement, gross_pay,
       regular_by_rate, regular_rate_of_pay
     `)
@@ -404,8 +407,8 @@ Deno.serve(async (req: Request) => {
   // ── Build the CSV-shaped timesheet inputs ──
   // Each entry needs: paychex_employee_id, regular_by_rate (or
   // hourly_rate fallback), regular_rate_of_pay, overtime_hours,
-  // double_time_hours, mileage_total. Aggregate totals for the
-  // payroll_runs row at the same time.
+  // double_time_hours, meal/rest premium hours, mileage_total.
+  // Aggregate totals for the payroll_runs row at the same time.
   const csvInputs: Array<{
     caregiver_id: string;
     paychex_employee_id: string | null;
@@ -415,6 +418,8 @@ Deno.serve(async (req: Request) => {
     regular_hours: number;
     overtime_hours: number;
     double_time_hours: number;
+    meal_premium_hours: number;
+    rest_premium_hours: number;
     mileage_total: number;
   }> = [];
 
@@ -460,6 +465,8 @@ Deno.serve(async (req: Request) => {
       regular_hours: reg,
       overtime_hours: ot,
       double_time_hours: dt,
+      meal_premium_hours: Number(t.meal_premium_hours) || 0,
+      rest_premium_hours: Number(t.rest_premium_hours) || 0,
       mileage_total: mileage,
     });
 
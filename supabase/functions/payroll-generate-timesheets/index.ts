@@ -46,6 +46,8 @@ import { createClient } from "jsr:@supabase/supabase-js@2";
 // so vitest can exercise them without Deno globals. Supabase's deploy
 // bundler resolves relative paths outside the function dir.
 import { buildTimesheet } from "../../../src/lib/payroll/timesheetBuilder.js";
+import { shiftsByStaffingCaregiver } from "../../../src/lib/scheduling/shiftSlots.js";
+import { normalizeRateCard } from "../../../src/lib/rateCards.js";
 import {
   detectExceptions,
   hasBlockingExceptions,
@@ -80,20 +82,35 @@ interface OrgRow {
   settings: Record<string, unknown> | null;
 }
 
+interface SlotRow {
+  id: string;
+  shift_id: string;
+  caregiver_id: string;
+  role: string;
+  hourly_rate: number | null;
+}
+
 interface ShiftRow {
   id: string;
   assigned_caregiver_id: string | null;
+  client_id: string | null;
   start_time: string;
   end_time: string;
   status: string;
   hourly_rate: number | null;
   mileage: number | null;
+  service_type: string | null;
+  sleep_hours_per_day: number | null;
+  meal_hours_per_day: number | null;
+  sleep_interrupted: boolean;
+  daily_pay_rate: number | null;
 }
 
 interface ClockEventRow {
   shift_id: string;
   caregiver_id: string;
-  event_type: "in" | "out";
+  event_type: "in" | "out" | "break_start" | "break_end";
+  break_type: "meal" | "rest" | null;
   occurred_at: string;
   geofence_passed: boolean | null;
 }
@@ -103,6 +120,24 @@ interface CaregiverRow {
   paychex_worker_id: string | null;
   paychex_employee_id: string | null;
   paychex_sync_status: string | null;
+  ot_jurisdiction: string | null;
+  meal_period_waiver: boolean | null;
+  default_pay_rate: number | null;
+}
+
+interface ClientRow {
+  id: string;
+  state: string | null;
+}
+
+interface RateCardRow {
+  id: string;
+  scope: string;
+  caregiver_id: string | null;
+  service_type: string | null;
+  rate: number;
+  effective_from: string | null;
+  effective_to: string | null;
 }
 
 interface OrgResult {
@@ -223,7 +258,7 @@ async function generateForOrg(
 
   const { data: shiftsData, error: shiftsErr } = await supabase
     .from("shifts")
-    .select("id, assigned_caregiver_id, start_time, end_time, status, hourly_rate, mileage")
+    .select("id, assigned_caregiver_id, client_id, start_time, end_time, status, hourly_rate, mileage, service_type, sleep_hours_per_day, meal_hours_per_day, sleep_interrupted, daily_pay_rate")
     .lt("start_time", endInstant)
     .gt("end_time", startInstant)
     .not("assigned_caregiver_id", "is", null)
@@ -237,17 +272,31 @@ async function generateForOrg(
 
   const allShifts = (shiftsData ?? []) as ShiftRow[];
 
-  // Filter out cancelled shifts and group by caregiver.
-  const shiftsByCaregiver = new Map<string, ShiftRow[]>();
-  for (const s of allShifts) {
-    if (!s.assigned_caregiver_id) continue;
-    if (s.status === "cancelled") continue;
-    if (!shiftsByCaregiver.has(s.assigned_caregiver_id)) {
-      shiftsByCaregiver.set(s.assigned_caregiver_id, []);
+  // Extra caregivers on multi-caregiver shifts (shift_slots). Each gets
+  // the shift on their own timesheet, at the slot's rate.
+  const slots: SlotRow[] = [];
+  const allShiftIds = allShifts.map((s) => s.id);
+  for (let i = 0; i < allShiftIds.length; i += 500) {
+    const batch = allShiftIds.slice(i, i + 500);
+    const { data: slotData, error: slotErr } = await supabase
+      .from("shift_slots")
+      .select("id, shift_id, caregiver_id, role, hourly_rate")
+      .in("shift_id", batch)
+      .not("caregiver_id", "is", null);
+    if (slotErr) {
+      result.errors.push({ caregiver_id: "*", message: `shift_slots query failed: ${slotErr.message}` });
+      return result;
     }
-    shiftsByCaregiver.get(s.assigned_caregiver_id)!.push(s);
+    slots.push(...((slotData ?? []) as SlotRow[]));
   }
 
+  // Filter out cancelled shifts and group by caregiver — the lead and
+  // every slot caregiver.
+  const shiftsByCaregiver = shiftsByStaffingCaregiver(
+    allShifts.filter((s) => s.status !== "cancelled"),
+    slots,
+  ) as Map<string, ShiftRow[]>;
+
   if (shiftsByCaregiver.size === 0) {
     return result;
   }
@@ -261,7 +310,7 @@ async function generateForOrg(
     const batch = shiftIds.slice(i, i + 500);
     const { data: eventsData, error: eventsErr } = await supabase
       .from("clock_events")
-      .select("shift_id, caregiver_id, event_type, occurred_at, geofence_passed")
+      .select("shift_id, caregiver_id, event_type, break_type, occurred_at, geofence_passed")
       .in("shift_id", batch);
     if (eventsErr) {
       result.errors.push({
@@ -283,7 +332,7 @@ async function generateForOrg(
     const batch = caregiverIds.slice(i, i + 500);
     const { data: cgData, error: cgErr } = await supabase
       .from("caregivers")
-      .select("id, paychex_worker_id, paychex_employee_id, paychex_sync_status")
+      .select("id, paychex_worker_id, paychex_employee_id, paychex_sync_status, ot_jurisdiction, meal_period_waiver, default_pay_rate")
       .in("id", batch);
     if (cgErr) {
       result.errors.push({
@@ -293,7 +342,60 @@ async function generateForOrg(
       return result;
     }
     for (const c of (cgData ?? []) as CaregiverRow[]) {
-      caregiversById.set(c.id, c);
+      caregiversById.set(c.id, {
+        ...c,
+        default_pay_rate: c.default_pay_rate != null ? Number(c.default_pay_rate) : null,
+      });
+    }
+  }
+
+  // Pay rate cards for those caregivers. The builder resolves each
+  // shift's rate: shift → card for its service type → caregiver default.
+  const rateCardsByCaregiver = new Map<string, RateCardRow[]>();
+  for (let i = 0; i < caregiverIds.length; i += 500) {
+    const batch = caregiverIds.slice(i, i + 500);
+    const { data: rcData, error: rcErr } = await supabase
+      .from("rate_cards")
+      .select("id, scope, caregiver_id, service_type, rate, effective_from, effective_to")
+      .eq("org_id", org.id)
+      .eq("scope", "caregiver")
+      .in("caregiver_id", batch);
+    if (rcErr) {
+      result.errors.push({
+        caregiver_id: "*",
+        message: `rate_cards query failed: ${rcErr.message}`,
+      });
+      return result;
+    }
+    for (const rc of (rcData ?? []) as RateCardRow[]) {
+      if (!rc.caregiver_id) continue;
+      if (!rateCardsByCaregiver.has(rc.caregiver_id)) rateCardsByCaregiver.set(rc.caregiver_id, []);
+      rateCardsByCaregiver.get(rc.caregiver_id)!.push(normalizeRateCard(rc));
+    }
+  }
+
+  // Fetch the work-location state of every client on those shifts. The
+  // builder resolves each caregiver-week's OT jurisdiction from it
+  // (after the caregiver's own ot_jurisdiction override).
+  const clientIds = Array.from(
+    new Set(allShifts.map((s) => s.client_id).filter((id): id is string => !!id)),
+  );
+  const clientsById = new Map<string, ClientRow>();
+  for (let i = 0; i < clientIds.length; i += 500) {
+    const batch = clientIds.slice(i, i + 500);
+    const { data: clData, error: clErr } = await supabase
+      .from("clients")
+      .select("id, state")
+      .in("id", batch);
+    if (clErr) {
+      result.errors.push({
+        caregiver_id: "*",
+        message: `clients query failed: ${clErr.message}`,
+      });
+      return result;
+    }
+    for (const c of (clData ?? []) as ClientRow[]) {
+      clientsById.set(c.id, c);
     }
   }
 
@@ -330,6 +432,19 @@ async function generateForOrg(
       if (evs) events.push(...evs);
     }
 
+    const caregiver = caregiversById.get(caregiverId) ?? {
+      id: caregiverId,
+      paychex_worker_id: null,
+      paychex_employee_id: null,
+      paychex_sync_status: null,
+      ot_jurisdiction: null,
+      meal_period_waiver: null,
+      default_pay_rate: null,
+    };
+    const clients = shiftsForCaregiver
+      .map((s) => (s.client_id ? clientsById.get(s.client_id) : undefined))
+      .filter((c): c is ClientRow => !!c);
+
     let draft;
     try {
       draft = buildTimesheet({
@@ -340,6 +455,9 @@ async function generateForOrg(
         shifts: shiftsForCaregiver,
         clockEvents: events,
         orgSettings: settings,
+        caregiver,
+        clients,
+        rateCards: rateCardsByCaregiver.get(caregiverId) ?? [],
       });
     } catch (err) {
       result.errors.push({
@@ -354,13 +472,6 @@ async function generateForOrg(
       continue;
     }
 
-    const caregiver = caregiversById.get(caregiverId) ?? {
-      id: caregiverId,
-      paychex_worker_id: null,
-      paychex_employee_id: null,
-      paychex_sync_status: null,
-    };
-
     let exceptions: Array<{ severity: string; code: string; message: string; shift_id?: string }>;
     try {
       exceptions = detectExceptions({ draft, caregiver, orgSettings: settings });
@@ -464,8 +575,12 @@ async function generateForOrg(
           regular_hours: draft.timesheet.regular_hours,
           overtime_hours: draft.timesheet.overtime_hours,
           double_time_hours: draft.timesheet.double_time_hours,
+          meal_premium_hours: draft.timesheet.meal_premium_hours,
+          rest_premium_hours: draft.timesheet.rest_premium_hours,
           mileage_total: draft.timesheet.mileage_total,
           gross_pay: draft.timesheet.gross_pay,
+          ot_jurisdiction: draft.meta?.jurisdiction ?? null,
+          ot_jurisdiction_source: draft.meta?.jurisdictionSource ?? null,
           status: blocked ? "blocked" : "draft",
           block_reason: blockReason,
           exception_codes: Array.from(new Set(exceptions.map((e) => e.code))),
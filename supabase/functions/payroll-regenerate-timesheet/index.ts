@@ -36,6 +36,8 @@ import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
 
 import { buildTimesheet } from "../../../src/lib/payroll/timesheetBuilder.js";
+import { slotShiftView } from "../../../src/lib/scheduling/shiftSlots.js";
+import { normalizeRateCard } from "../../../src/lib/rateCards.js";
 import {
   detectExceptions,
   hasBlockingExceptions,
@@ -237,22 +239,71 @@ Deno.serve(async (req: Request) => {
   // Phase B added shifts.org_id; the explicit filter is redundant with
   // the assigned_caregiver_id lookup but keeps the multi-tenancy
   // posture explicit.
+  const SHIFT_COLUMNS = "id, assigned_caregiver_id, client_id, start_time, end_time, status, hourly_rate, mileage, service_type, sleep_hours_per_day, meal_hours_per_day, sleep_interrupted, daily_pay_rate";
+  const PAYABLE_STATUSES = ["completed", "in_progress", "confirmed", "assigned", "no_show"];
   const { data: shiftsData, error: shiftsErr } = await admin
     .from("shifts")
-    .select("id, assigned_caregiver_id, start_time, end_time, status, hourly_rate, mileage")
+    .select(SHIFT_COLUMNS)
     .eq("org_id", orgId)
     .eq("assigned_caregiver_id", ts.caregiver_id)
     .lt("start_time", endInstant)
     .gt("end_time", startInstant)
-    .in("status", ["completed", "in_progress", "confirmed", "assigned", "no_show"]);
+    .in("status", PAYABLE_STATUSES);
   if (shiftsErr) {
     return jsonResponse(500, { error: `Shifts query failed: ${shiftsErr.message}` }, cors);
   }
-  const shifts = ((shiftsData ?? []) as Array<{
-    id: string; assigned_caregiver_id: string; start_time: string; end_time: string;
+
+  // Shifts the caregiver works in a slot (multi-caregiver shifts),
+  // projected as their own (slotShiftView, shiftSlots.js).
+  const { data: slotData, error: slotErr } = await admin
+    .from("shift_slots")
+    .select(`id, shift_id, caregiver_id, role, hourly_rate, shift:shifts(${SHIFT_COLUMNS})`)
+    .eq("org_id", orgId)
+    .eq("caregiver_id", ts.caregiver_id);
+  if (slotErr) {
+    return jsonResponse(500, { error: `Shift slots query failed: ${slotErr.message}` }, cors);
+  }
+  const startMs = Date.parse(startInstant);
+  const endMs = Date.parse(endInstant);
+  const slotShifts = ((slotData ?? []) as Array<Record<string, unknown> & {
+    shift: { start_time: string; end_time: string; status: string } | null;
+  }>)
+    .filter((sl) =>
+      sl.shift
+      && PAYABLE_STATUSES.includes(sl.shift.status)
+      && Date.parse(sl.shift.start_time) < endMs
+      && Date.parse(sl.shift.end_time) > startMs
+    )
+    .map((sl) => slotShiftView(sl.shift, sl));
+
+  const shifts = ([...(shiftsData ?? []), ...slotShifts] as Array<{
+    id: string; assigned_caregiver_id: string; client_id: string | null;
+    start_time: string; end_time: string;
     status: string; hourly_rate: number | null; mileage: number | null;
+    service_type: string | null;
+    sleep_hours_per_day: number | null; meal_hours_per_day: number | null;
+    sleep_interrupted: boolean; daily_pay_rate: number | null;
   }>).filter((s) => s.status !== "cancelled");
 
+  // ── Fetch client work-location states (org-scoped) ──
+  // Drives the per-week OT jurisdiction when the caregiver has no
+  // explicit ot_jurisdiction override.
+  let clients: Array<{ id: string; state: string | null }> = [];
+  const clientIds = Array.from(
+    new Set(shifts.map((s) => s.client_id).filter((id): id is string => !!id)),
+  );
+  if (clientIds.length > 0) {
+    const { data: clData, error: clErr } = await admin
+      .from("clients")
+      .select("id, state")
+      .eq("org_id", orgId)
+      .in("id", clientIds);
+    if (clErr) {
+      return jsonResponse(500, { error: `Clients query failed: ${clErr.message}` }, cors);
+    }
+    clients = (clData ?? []) as typeof clients;
+  }
+
   // ── Fetch clock_events for those shifts (org-scoped) ──
   let clockEvents: Array<{
     shift_id: string; caregiver_id: string; event_type: "in" | "out";
@@ -262,7 +313,7 @@ Deno.serve(async (req: Request) => {
     const shiftIds = shifts.map((s) => s.id);
     const { data: eventsData, error: eventsErr } = await admin
       .from("clock_events")
-      .select("shift_id, caregiver_id, event_type, occurred_at, geofence_passed")
+      .select("shift_id, caregiver_id, event_type, break_type, occurred_at, geofence_passed")
       .eq("org_id", orgId)
       .in("shift_id", shiftIds);
     if (eventsErr) {
@@ -274,7 +325,7 @@ Deno.serve(async (req: Request) => {
   // ── Fetch caregiver state ──
   const { data: cgData, error: cgErr } = await admin
     .from("caregivers")
-    .select("id, paychex_worker_id, paychex_employee_id, paychex_sync_status")
+    .select("id, paychex_worker_id, paychex_employee_id, paychex_sync_status, ot_jurisdiction, meal_period_waiver, default_pay_rate")
     .eq("org_id", orgId)
     .eq("id", ts.caregiver_id)
     .maybeSingle();
@@ -284,10 +335,28 @@ Deno.serve(async (req: Request) => {
   const caregiver = (cgData as {
     id: string; paychex_worker_id: string | null;
     paychex_employee_id: string | null; paychex_sync_status: string | null;
+    ot_jurisdiction: string | null; meal_period_waiver: boolean | null;
+    default_pay_rate: number | null;
   } | null) ?? {
     id: ts.caregiver_id, paychex_worker_id: null,
     paychex_employee_id: null, paychex_sync_status: null,
+    ot_jurisdiction: null, meal_period_waiver: null, default_pay_rate: null,
   };
+  if (caregiver.default_pay_rate != null) {
+    caregiver.default_pay_rate = Number(caregiver.default_pay_rate);
+  }
+
+  // ── Fetch the caregiver's pay rate cards (org-scoped) ──
+  const { data: rcData, error: rcErr } = await admin
+    .from("rate_cards")
+    .select("id, scope, caregiver_id, service_type, rate, effective_from, effective_to")
+    .eq("org_id", orgId)
+    .eq("scope", "caregiver")
+    .eq("caregiver_id", ts.caregiver_id);
+  if (rcErr) {
+    return jsonResponse(500, { error: `Rate cards query failed: ${rcErr.message}` }, cors);
+  }
+  const rateCards = (rcData ?? []).map(normalizeRateCard);
 
   // ── Build the new draft (pure functions) ──
   let draft;
@@ -300,6 +369,9 @@ Deno.serve(async (req: Request) => {
       shifts,
       clockEvents,
       orgSettings: settings,
+      caregiver,
+      clients,
+      rateCards,
     });
   } catch (err) {
     const message = err instanceof Error ? err.message : String(err);
@@ -418,6 +490,8 @@ Deno.serve(async (req: Request) => {
       regular_hours: draft.timesheet.regular_hours,
       overtime_hours: draft.timesheet.overtime_hours,
       double_time_hours: draft.timesheet.double_time_hours,
+      meal_premium_hours: draft.timesheet.meal_premium_hours,
+      rest_premium_hours: draft.timesheet.rest_premium_hours,
       mileage_total: draft.timesheet.mileage_total,
       gross_pay: draft.timesheet.gross_pay,
       status: blocked ? "blocked" : "draft",
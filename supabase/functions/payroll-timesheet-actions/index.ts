@@ -365,7 +365,7 @@ async function handleUnapprove(
 }
 
 // Edit hour totals (regular_hours, overtime_hours, double_time_hours,
-// mileage_total, gross_pay) directly on the timesheets row. The back
+// meal/rest premium hours, mileage_total, gross_pay) directly on the timesheets row. The back
 // office uses this when an exception requires a manual override (e.g.
 // "shift had no clock-out; use scheduled hours" or "DT zeroed out
 // because Paychex DT earning isn't configured yet").
@@ -383,6 +383,8 @@ async function handleEditTimesheet(
       regular_hours?: number;
       overtime_hours?: number;
       double_time_hours?: number;
+      meal_premium_hours?: number;
+      rest_premium_hours?: number;
       mileage_total?: number;
       mileage_reimbursement?: number;
       gross_pay?: number;
@@ -420,6 +422,7 @@ async function handleEditTimesheet(
   // Whitelist + numeric sanity. Reject negative numbers and NaN.
   const ALLOWED = new Set([
     "regular_hours", "overtime_hours", "double_time_hours",
+    "meal_premium_hours", "rest_premium_hours",
     "mileage_total", "mileage_reimbursement", "gross_pay",
   ]);
   const update: Record<string, unknown> = {};
@@ -0,0 +1,366 @@
+// ─── Rate cards: admin-only create / end / delete ───
+//
+// Fronts every write to `rate_cards` (migration 20260609000000) from
+// the Rate Cards views on the Invoicing (client / payer cards) and
+// Payroll (caregiver cards) tabs:
+//
+//   { action: 'create', card: { scope, client_id | payer_type |
+//                               caregiver_id, service_type, rate,
+//                               ot_rate?, effective_from?,
+//                               effective_to?, notes? } }
+//   { action: 'end',    rate_card_id, effective_to }
+//   { action: 'delete', rate_card_id }
+//
+// "End" is the normal way to change a rate: close the old card on the
+// day before the new one takes effect so invoices and timesheets for
+// past weeks keep resolving to the rate they were drafted with.
+// "Delete" is for cards entered by mistake.
+//
+// Validation is the pure validateRateCard from src/lib/rateCards.js —
+// the same check the view runs before submitting.
+//
+// Multi-tenancy:
+//   - org_id derives from the caller's JWT, never from the request body.
+//   - A client / caregiver target must belong to the caller's org.
+//   - end / delete filter by org_id so a forged rate_card_id belonging
+//     to another org cannot be touched.
+//
+// Plan reference: docs/INVOICING.md ("Rate cards").
+
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from "jsr:@supabase/supabase-js@2";
+
+// Cross-tree import (canonical at src/ so vitest can exercise it).
+import { RATE_CARD_SCOPE, validateRateCard } from "../../../src/lib/rateCards.js";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+const SUPABASE_ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+
+const ALLOWED_ORIGINS = [
+  "https://caregiver-portal.vercel.app",
+  "http://localhost:5173",
+  "http://localhost:3000",
+];
+
+function getCorsHeaders(request: Request): Record<string, string> {
+  const origin = request.headers.get("origin") || "";
+  const allowedOrigin = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
+  return {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+  };
+}
+
+function jsonResponse(status: number, body: unknown, cors: Record<string, string>) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...cors, "Content-Type": "application/json" },
+  });
+}
+
+// ─── Auth (mirrors org-settings-update) ───────────────────────────
+
+interface AuthContext { orgId: string; userEmail: string | null; }
+
+async function authenticateRequest(
+  authHeader: string | null,
+): Promise<{ ok: true; ctx: AuthContext } | { ok: false; status: number; error: string }> {
+  if (!authHeader) return { ok: false, status: 401, error: "Missing Authorization header." };
+  const token = authHeader.replace(/^Bearer\s+/i, "").trim();
+  const parts = token.split(".");
+  if (parts.length !== 3) return { ok: false, status: 401, error: "Malformed JWT." };
+  let payload: Record<string, unknown>;
+  try {
+    const b64 = parts[1].replace(/-/g, "+").replace(/_/g, "/");
+    const padded = b64 + "===".slice((b64.length + 3) % 4);
+    payload = JSON.parse(atob(padded));
+  } catch {
+    return { ok: false, status: 401, error: "Invalid JWT payload." };
+  }
+  const orgId = typeof payload.org_id === "string" ? payload.org_id : null;
+  if (!orgId) {
+    return { ok: false, status: 403, error: "JWT is missing org_id claim." };
+  }
+  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    global: { headers: { Authorization: authHeader } },
+  });
+  const { data: userData, error: userErr } = await userClient.auth.getUser();
+  if (userErr || !userData.user) return { ok: false, status: 401, error: "Not authenticated." };
+  return { ok: true, ctx: { orgId, userEmail: userData.user.email ?? null } };
+}
+
+async function assertAdmin(
+  supabase: ReturnType<typeof createClient>,
+  email: string | null,
+) {
+  if (!email) return { ok: false, status: 403, error: "Admin access required." } as const;
+  const { data: roleRow } = await supabase
+    .from("user_roles")
+    .select("role")
+    .eq("email", email.toLowerCase())
+    .maybeSingle();
+  // rate_cards is admin-only under RESTRICTIVE RLS; the service role
+  // bypasses RLS so enforce the same admin/owner check here.
+  if (!roleRow || !["admin", "owner"].includes((roleRow as { role: string }).role)) {
+    return { ok: false, status: 403, error: "Admin access required." } as const;
+  }
+  return { ok: true } as const;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+interface RateCardRow {
+  id: string;
+  scope: string;
+  client_id: string | null;
+  payer_type: string | null;
+  caregiver_id: string | null;
+  service_type: string | null;
+  rate: number;
+  effective_from: string | null;
+  effective_to: string | null;
+}
+
+const RATE_CARD_COLUMNS =
+  "id, scope, client_id, payer_type, caregiver_id, service_type, rate, effective_from, effective_to";
+
+function optionalTrimmed(v: unknown): string | null {
+  if (typeof v !== "string") return null;
+  const t = v.trim();
+  return t === "" ? null : t;
+}
+
+function logEvent(
+  admin: ReturnType<typeof createClient>,
+  args: { eventType: string; orgId: string; card: RateCardRow; actor: string; payload?: Record<string, unknown> },
+) {
+  // events constrains entity_type to caregiver / client; payer cards
+  // are org-level and log with a null entity_id.
+  const entityType = args.card.scope === RATE_CARD_SCOPE.CAREGIVER ? "caregiver" : "client";
+  const entityId = args.card.client_id ?? args.card.caregiver_id ?? null;
+  admin
+    .from("events")
+    .insert({
+      event_type: args.eventType,
+      entity_type: entityType,
+      entity_id: entityId,
+      actor: args.actor,
+      org_id: args.orgId,
+      payload: {
+        ...(args.payload ?? {}),
+        org_id: args.orgId,
+        rate_card_id: args.card.id,
+        scope: args.card.scope,
+        payer_type: args.card.payer_type,
+        service_type: args.card.service_type,
+        rate: args.card.rate,
+      },
+    })
+    .then(({ error }: { error: { message: string } | null }) => {
+      if (error) console.warn(`[rate-cards-update] event log failed: ${error.message}`);
+    });
+}
+
+async function loadCard(
+  admin: ReturnType<typeof createClient>,
+  orgId: string,
+  id: string,
+): Promise<{ ok: true; row: RateCardRow } | { ok: false; status: number; error: string }> {
+  if (!id) return { ok: false, status: 400, error: "rate_card_id is required." };
+  const { data, error } = await admin
+    .from("rate_cards")
+    .select(RATE_CARD_COLUMNS)
+    .eq("id", id)
+    .eq("org_id", orgId)
+    .maybeSingle();
+  if (error) return { ok: false, status: 500, error: `Rate card lookup failed: ${error.message}` };
+  // Either missing or belongs to another org. Don't leak which.
+  if (!data) return { ok: false, status: 404, error: "Rate card not found." };
+  return { ok: true, row: data as RateCardRow };
+}
+
+// ─── Action handlers ──────────────────────────────────────────────
+
+async function handleCreate(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  raw: Record<string, unknown>,
+) {
+  const card = {
+    scope: raw.scope,
+    client_id: optionalTrimmed(raw.client_id),
+    payer_type: optionalTrimmed(raw.payer_type),
+    caregiver_id: optionalTrimmed(raw.caregiver_id),
+    service_type: optionalTrimmed(raw.service_type),
+    rate: Number(raw.rate),
+    ot_rate: raw.ot_rate == null || raw.ot_rate === "" ? null : Number(raw.ot_rate),
+    effective_from: optionalTrimmed(raw.effective_from),
+    effective_to: optionalTrimmed(raw.effective_to),
+    notes: optionalTrimmed(raw.notes),
+  };
+  const invalid = validateRateCard(card);
+  if (invalid) return { ok: false as const, status: 400, error: invalid, code: "invalid_card" };
+
+  // The target must live in the caller's org.
+  const target = card.client_id
+    ? { table: "clients", id: card.client_id }
+    : card.caregiver_id
+      ? { table: "caregivers", id: card.caregiver_id }
+      : null;
+  if (target) {
+    const { data, error } = await admin
+      .from(target.table)
+      .select("id")
+      .eq("id", target.id)
+      .eq("org_id", ctx.orgId)
+      .maybeSingle();
+    if (error) {
+      return { ok: false as const, status: 500, error: `Target lookup failed: ${error.message}` };
+    }
+    if (!data) return { ok: false as const, status: 404, error: "Client or caregiver not found." };
+  }
+
+  const actor = ctx.userEmail || "unknown";
+  const { data: inserted, error: insertErr } = await admin
+    .from("rate_cards")
+    .insert({ ...card, org_id: ctx.orgId, created_by: actor })
+    .select(RATE_CARD_COLUMNS)
+    .single();
+  if (insertErr) {
+    return { ok: false as const, status: 500, error: `Create failed: ${insertErr.message}` };
+  }
+
+  logEvent(admin, {
+    eventType: "rate_card_created",
+    orgId: ctx.orgId,
+    card: inserted as RateCardRow,
+    actor: `user:${actor}`,
+    payload: { effective_from: card.effective_from, effective_to: card.effective_to },
+  });
+
+  return { ok: true as const, rate_card: inserted };
+}
+
+async function handleEnd(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: { rate_card_id: string; effective_to: string },
+) {
+  const loaded = await loadCard(admin, ctx.orgId, args.rate_card_id);
+  if (!loaded.ok) return loaded;
+  const invalid = validateRateCard({ ...loaded.row, effective_to: args.effective_to || null });
+  if (!args.effective_to || invalid) {
+    return {
+      ok: false as const,
+      status: 400,
+      error: invalid || "effective_to is required.",
+      code: "invalid_card",
+    };
+  }
+
+  const { error: updateErr } = await admin
+    .from("rate_cards")
+    .update({ effective_to: args.effective_to, updated_at: new Date().toISOString() })
+    .eq("id", loaded.row.id)
+    .eq("org_id", ctx.orgId);
+  if (updateErr) {
+    return { ok: false as const, status: 500, error: `End failed: ${updateErr.message}` };
+  }
+
+  logEvent(admin, {
+    eventType: "rate_card_ended",
+    orgId: ctx.orgId,
+    card: loaded.row,
+    actor: `user:${ctx.userEmail || "unknown"}`,
+    payload: { previous_effective_to: loaded.row.effective_to, effective_to: args.effective_to },
+  });
+
+  return { ok: true as const, rate_card_id: loaded.row.id, effective_to: args.effective_to };
+}
+
+async function handleDelete(
+  admin: ReturnType<typeof createClient>,
+  ctx: AuthContext,
+  args: { rate_card_id: string },
+) {
+  const loaded = await loadCard(admin, ctx.orgId, args.rate_card_id);
+  if (!loaded.ok) return loaded;
+
+  const { error: deleteErr } = await admin
+    .from("rate_cards")
+    .delete()
+    .eq("id", loaded.row.id)
+    .eq("org_id", ctx.orgId);
+  if (deleteErr) {
+    return { ok: false as const, status: 500, error: `Delete failed: ${deleteErr.message}` };
+  }
+
+  logEvent(admin, {
+    eventType: "rate_card_deleted",
+    orgId: ctx.orgId,
+    card: loaded.row,
+    actor: `user:${ctx.userEmail || "unknown"}`,
+  });
+
+  return { ok: true as const, rate_card_id: loaded.row.id };
+}
+
+// ─── Main handler ────────────────────────────────────────────────
+
+Deno.serve(async (req: Request) => {
+  const cors = getCorsHeaders(req);
+  if (req.method === "OPTIONS") return new Response("ok", { headers: cors });
+  if (req.method !== "POST") return jsonResponse(405, { error: "POST required." }, cors);
+
+  // ── Auth ──
+  const authResult = await authenticateRequest(req.headers.get("Authorization"));
+  if (!authResult.ok) return jsonResponse(authResult.status, { error: authResult.error }, cors);
+  const ctx = authResult.ctx;
+
+  const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+  const adminCheck = await assertAdmin(admin, ctx.userEmail);
+  if (!adminCheck.ok) return jsonResponse(adminCheck.status, { error: adminCheck.error }, cors);
+
+  // ── Body ──
+  let body: Record<string, unknown> = {};
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse(400, { error: "Body must be valid JSON." }, cors);
+  }
+  const action = typeof body.action === "string" ? body.action : null;
+  if (!action) return jsonResponse(400, { error: "Missing `action`." }, cors);
+
+  try {
+    switch (action) {
+      case "create": {
+        const card = body.card && typeof body.card === "object" && !Array.isArray(body.card)
+          ? (body.card as Record<string, unknown>)
+          : {};
+        const r = await handleCreate(admin, ctx, card);
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      case "end": {
+        const r = await handleEnd(admin, ctx, {
+          rate_card_id: String(body.rate_card_id || ""),
+          effective_to: String(body.effective_to || ""),
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      case "delete": {
+        const r = await handleDelete(admin, ctx, {
+          rate_card_id: String(body.rate_card_id || ""),
+        });
+        return jsonResponse(r.ok ? 200 : (r as { status: number }).status, r, cors);
+      }
+      default:
+        return jsonResponse(400, { error: `Unknown action "${action}".` }, cors);
+    }
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    console.error(`[rate-cards-update] handler threw: ${message}`);
+    return jsonResponse(500, { error: `Internal error: ${message}` }, cors);
+  }
+});
@@ -1,11 +1,21 @@
-// ─── send-push (self-test) ───
-// Sends a Web Push notification to the CALLING caregiver's own subscribed
-// devices. Used by the PWA to confirm the pipeline works right after a
-// caregiver opts in ("Reminders are on"). Self-scoped: a caregiver can
-// only ever push to their own subscriptions, so it's safe to expose.
+// ─── send-push ───
+// Sends a Web Push notification to caregivers' subscribed devices.
 //
-// Request: POST  Authorization: Bearer <caregiver JWT>
-//   body (optional): { title, body, url }
+// Two modes:
+//
+//   Self-test — caregiver JWT, no `caregiver_ids`. Pushes to the CALLING
+//   caregiver's own devices. Used by the PWA to confirm the pipeline
+//   works right after a caregiver opts in ("Reminders are on").
+//   Self-scoped: a caregiver can only ever push to their own
+//   subscriptions, so it's safe to expose.
+//
+//   Targeted — `caregiver_ids` in the body. Pushes to those caregivers.
+//   Only staff (admin / member / owner, mirroring public.is_staff()) and
+//   other edge functions (service-role key) may target; a caregiver JWT
+//   gets a 403. Used by shift drop / swap requests.
+//
+// Request: POST  Authorization: Bearer <caregiver | staff JWT, or service role>
+//   body (optional): { title, body, url, tag, caregiver_ids }
 // Response: { ok, sent, expired }
 
 import { createClient } from "jsr:@supabase/supabase-js@2";
@@ -38,35 +48,65 @@ Deno.serve(async (req: Request) => {
     return json({ error: "Push isn't configured yet." }, 500);
   }
 
-  // Resolve the calling caregiver from their JWT.
-  const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
-    global: { headers: { Authorization: authHeader } },
-  });
-  const { data: userData, error: userErr } = await userClient.auth.getUser();
-  if (userErr || !userData?.user) return json({ error: "Not authenticated." }, 401);
+  let body: Record<string, unknown> = {};
+  try { body = await req.json(); } catch (_) { body = {}; }
 
   const admin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-  const { data: cg } = await admin
-    .from("caregivers")
-    .select("id")
-    .eq("user_id", userData.user.id)
-    .maybeSingle();
-  if (!cg) return json({ error: "No caregiver linked to this login." }, 403);
+  const targeted = Array.isArray(body.caregiver_ids);
+  let caregiverIds: string[];
 
-  let body: Record<string, unknown> = {};
-  try { body = await req.json(); } catch (_) { body = {}; }
+  if (authHeader === `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`) {
+    if (!targeted) return json({ error: "caregiver_ids required." }, 400);
+    caregiverIds = body.caregiver_ids as string[];
+  } else {
+    // Resolve the calling user from their JWT.
+    const userClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: userData, error: userErr } = await userClient.auth.getUser();
+    if (userErr || !userData?.user) return json({ error: "Not authenticated." }, 401);
+
+    if (targeted) {
+      const email = (userData.user.email || "").toLowerCase();
+      const { data: roleRow } = email
+        ? await admin.from("user_roles").select("role").eq("email", email).maybeSingle()
+        : { data: null };
+      if (!roleRow || !["admin", "member", "owner"].includes(roleRow.role)) {
+        return json({ error: "Staff access required." }, 403);
+      }
+      caregiverIds = body.caregiver_ids as string[];
+    } else {
+      const { data: cg } = await admin
+        .from("caregivers")
+        .select("id")
+        .eq("user_id", userData.user.id)
+        .maybeSingle();
+      if (!cg) return json({ error: "No caregiver linked to this login." }, 403);
+      caregiverIds = [cg.id];
+    }
+  }
+
+  caregiverIds = caregiverIds.filter((id) => typeof id === "string" && id.length > 0);
+  if (caregiverIds.length === 0) return json({ ok: true, sent: 0, expired: 0 });
 
-  const payload = {
-    title: (body.title as string) || "Reminders are on",
-    body: (body.body as string) || "You'll get a notification before each shift.",
-    url: (body.url as string) || "/care",
-    tag: "push-test",
-  };
+  const payload = targeted
+    ? {
+      title: (body.title as string) || "Shift update",
+      body: (body.body as string) || "",
+      url: (body.url as string) || "/care",
+      tag: (body.tag as string) || undefined,
+    }
+    : {
+      title: (body.title as string) || "Reminders are on",
+      body: (body.body as string) || "You'll get a notification before each shift.",
+      url: (body.url as string) || "/care",
+      tag: "push-test",
+    };
 
   const { data: subs } = await admin
     .from("push_subscriptions")
     .select("id, endpoint, p256dh, auth")
-    .eq("caregiver_id", cg.id)
+    .in("caregiver_id", caregiverIds)
     .is("disabled_at", null);
 
   if (!subs || subs.length === 0) return json({ ok: true, sent: 0, expired: 0 });
@@ -60,6 +60,7 @@ import {
   ONGOING_BUFFER_DAYS,
 } from "../../../src/features/scheduling/recurrenceHelpers.js";
 import { resolveAssignmentForInstance } from "../../../src/lib/scheduling/caregiverRules.js";
+import { liveInShiftFieldsFromPlan } from "../../../src/lib/liveIn.js";
 
 const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
 const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
@@ -84,6 +85,11 @@ interface ServicePlanRow {
   recurrence_pattern: Record<string, unknown> | null;
   last_generated_through: string | null;
   status: string;
+  live_in: boolean;
+  sleep_hours_per_day: number | null;
+  meal_hours_per_day: number | null;
+  daily_pay_rate: number | null;
+  daily_bill_rate: number | null;
 }
 
 interface ExistingShiftRow {
@@ -97,6 +103,8 @@ interface CaregiverRuleRow {
   caregiver_id: string;
   effective_from: string;
   effective_to: string | null;
+  rotation_weeks: number;
+  rotation_anchor: string | null;
 }
 
 interface OrgRow {
@@ -118,7 +126,9 @@ interface PlanResult {
 /**
  * Load every caregiver rule for a service plan. Returns [] if the
  * table doesn't exist yet (migration not applied) so the cron stays
- * correct during the migration→deploy window.
+ * correct during the migration→deploy window. Rotating rules (A/B
+ * weeks) carry their cycle; resolveAssignmentForInstance skips them
+ * on their off weeks.
  */
 async function loadRulesForPlan(
   supabase: ReturnType<typeof createClient>,
@@ -126,7 +136,7 @@ async function loadRulesForPlan(
 ): Promise<CaregiverRuleRow[]> {
   const { data, error } = await supabase
     .from("service_plan_caregiver_rules")
-    .select("id, day_of_week, caregiver_id, effective_from, effective_to")
+    .select("id, day_of_week, caregiver_id, effective_from, effective_to, rotation_weeks, rotation_anchor")
     .eq("service_plan_id", servicePlanId);
   if (error) {
     const code = (error as { code?: string }).code;
@@ -285,7 +295,9 @@ async function extendPlan(
 
   // Build shift rows. The recurrence_group_id mirrors the dialog's
   // convention (plan.id) so future series-level edits can find every
-  // shift this plan has produced.
+  // shift this plan has produced. Live-in plans stamp their settings
+  // on every shift, same as GenerateShiftsDialog.
+  const liveInFields = liveInShiftFieldsFromPlan(plan);
   const rows = newInstances.map((inst) => {
     const { caregiverId, status } = resolveAssignmentForInstance(inst, rules);
     return {
@@ -299,6 +311,7 @@ async function extendPlan(
       recurrence_group_id: plan.id,
       recurrence_rule: plan.recurrence_pattern,
       created_by: "system:service-plan-extend-ongoing",
+      ...liveInFields,
     };
   });
 
@@ -357,7 +370,10 @@ Deno.serve(async (req: Request) => {
   // Fetch every active ongoing plan, optionally narrowed.
   let planQuery = supabase
     .from("service_plans")
-    .select("id, org_id, client_id, recurrence_pattern, last_generated_through, status")
+    .select(
+      "id, org_id, client_id, recurrence_pattern, last_generated_through, status, " +
+        "live_in, sleep_hours_per_day, meal_hours_per_day, daily_pay_rate, daily_bill_rate",
+    )
     .eq("is_ongoing", true)
     .eq("status", "active");
   if (body.org_id) planQuery = planQuery.eq("org_id", body.org_id);
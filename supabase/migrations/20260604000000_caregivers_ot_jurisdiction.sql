@@ -0,0 +1,40 @@
+-- Multi-state overtime: per-caregiver OT jurisdiction override.
+--
+-- The OT engine (src/lib/payroll/overtimeRules.js) now ships rule
+-- modules for CA, federal FLSA, AK, NV and CO
+-- (src/lib/payroll/jurisdictions/). The timesheet builder resolves a
+-- caregiver-week's jurisdiction in this order:
+--
+--   1. caregivers.ot_jurisdiction          (this column)
+--   2. clients.state of the week's shifts  (work location, when they agree)
+--   3. organizations.settings.payroll.ot_jurisdiction (org default)
+--
+-- The override exists for the cases work location can't express: a
+-- caregiver who splits a week across a state line, or a Nevada
+-- caregiver paid above 1.5x the NV minimum wage (exempt from the NV
+-- daily rule → 'FED').
+--
+-- Nullable, no backfill: NULL means "resolve from work location", which
+-- for every existing TC caregiver (all CA clients) yields CA — the
+-- pre-migration behavior.
+--
+-- The CHECK list MUST match SUPPORTED_OT_JURISDICTIONS in
+-- src/lib/payroll/constants.js. Drop-then-add for re-runnability,
+-- matching 20260425170000_payroll_caregiver_columns.sql.
+--
+-- Idempotent: ADD COLUMN IF NOT EXISTS + drop-then-add constraint.
+
+ALTER TABLE public.caregivers
+  ADD COLUMN IF NOT EXISTS ot_jurisdiction text;
+
+ALTER TABLE public.caregivers
+  DROP CONSTRAINT IF EXISTS caregivers_ot_jurisdiction_check;
+ALTER TABLE public.caregivers
+  ADD CONSTRAINT caregivers_ot_jurisdiction_check
+  CHECK (ot_jurisdiction IS NULL OR ot_jurisdiction IN (
+    'CA', 'FED', 'AK', 'NV', 'CO'
+  ));
+
+COMMENT ON COLUMN public.caregivers.ot_jurisdiction IS
+  'Overtime jurisdiction override for payroll. NULL = resolve from the '
+  'client work location, then organizations.settings.payroll.ot_jurisdiction.';
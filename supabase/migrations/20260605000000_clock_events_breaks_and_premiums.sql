@@ -0,0 +1,75 @@
+-- CA meal / rest period premiums.
+--
+-- The caregiver PWA can now record break start / break end taps on an
+-- in-progress shift, and the timesheet builder turns those into meal
+-- and rest period premium hours (src/lib/payroll/breakCompliance.js).
+-- Four additive changes:
+--
+-- 1) clock_events.event_type widens to accept 'break_start' and
+--    'break_end'. The original inline CHECK from
+--    20260418200000_caregiver_portal_schema.sql carries the default
+--    name clock_events_event_type_check.
+--
+-- 2) clock_events.break_type ('meal' | 'rest') — required on break
+--    rows, NULL on clock-in / clock-out rows. Values MUST match
+--    BREAK_TYPE in src/lib/payroll/constants.js.
+--
+-- 3) idx_clock_events_shift_event_unique becomes a partial index over
+--    'in' / 'out' only. A shift still gets at most one clock-in and one
+--    clock-out (the 20260425020000 double-tap guard), but a caregiver
+--    can take several breaks per shift.
+--
+-- 4) timesheets.meal_premium_hours / rest_premium_hours (default 0)
+--    carry the premium hours the builder computed; the Paychex CSV
+--    export emits each as its own pay component. And
+--    caregivers.meal_period_waiver records a signed meal period waiver
+--    (first meal on shifts of 6h or less, second on shifts of 12h or
+--    less).
+--
+-- Premiums are only computed when the org sets
+-- organizations.settings.payroll.meal_rest_premiums = true, so existing
+-- timesheets regenerate unchanged until the back office opts in.
+--
+-- Idempotent: drop-then-add constraints, DROP INDEX IF EXISTS before
+-- the partial index, ADD COLUMN IF NOT EXISTS.
+
+ALTER TABLE clock_events
+  DROP CONSTRAINT IF EXISTS clock_events_event_type_check;
+ALTER TABLE clock_events
+  ADD CONSTRAINT clock_events_event_type_check
+  CHECK (event_type IN ('in', 'out', 'break_start', 'break_end'));
+
+ALTER TABLE clock_events
+  ADD COLUMN IF NOT EXISTS break_type text;
+
+ALTER TABLE clock_events
+  DROP CONSTRAINT IF EXISTS clock_events_break_type_check;
+ALTER TABLE clock_events
+  ADD CONSTRAINT clock_events_break_type_check
+  CHECK (
+    (event_type IN ('in', 'out') AND break_type IS NULL)
+    OR (event_type IN ('break_start', 'break_end') AND break_type IN ('meal', 'rest'))
+  );
+
+DROP INDEX IF EXISTS idx_clock_events_shift_event_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique
+  ON clock_events (shift_id, event_type)
+  WHERE event_type IN ('in', 'out');
+
+ALTER TABLE timesheets
+  ADD COLUMN IF NOT EXISTS meal_premium_hours numeric(6,2) NOT NULL DEFAULT 0;
+ALTER TABLE timesheets
+  ADD COLUMN IF NOT EXISTS rest_premium_hours numeric(6,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.caregivers
+  ADD COLUMN IF NOT EXISTS meal_period_waiver boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN clock_events.break_type IS
+  'meal | rest on break_start / break_end rows; NULL on clock-in / clock-out.';
+COMMENT ON COLUMN timesheets.meal_premium_hours IS
+  'CA meal period premium hours (max 1 per workday), paid at the regular rate of pay.';
+COMMENT ON COLUMN timesheets.rest_premium_hours IS
+  'CA rest period premium hours (max 1 per workday), paid at the regular rate of pay.';
+COMMENT ON COLUMN public.caregivers.meal_period_waiver IS
+  'Signed CA meal period waiver on file. Waives the first meal on shifts of '
+  '6h or less and the second meal on shifts of 12h or less.';
@@ -0,0 +1,63 @@
+-- ═══════════════════════════════════════════════════════════════
+-- Invoicing Phase 2 — weekly draft invoice generation cron
+--
+-- Registers the `invoicing-generate` edge function on a weekly
+-- schedule. The function iterates organizations with
+-- `settings.features_enabled.invoicing = true` and, for each, builds
+-- draft `invoices` + `invoice_shifts` rows for the most recently
+-- completed Mon→Sun workweek via the pure `buildInvoice` engine.
+--
+-- Schedule: every Wednesday at 13:00 UTC (06:00 PDT / 05:00 PST).
+-- Wednesday rather than Monday so the payroll cron (Mondays 13:00
+-- UTC) and Monday/Tuesday timesheet edits have landed first — the
+-- invoice reads each shift's hour classification off the payroll
+-- `timesheet_shifts` split, keeping caregiver OT and client-billed
+-- OT aligned.
+--
+-- Idempotency: the edge function skips any (org_id, client_id,
+-- billing_period_start) that already has an invoice; the UNIQUE
+-- constraint on the same tuple is the second line of defense.
+-- Re-running the cron (or invoking it manually for a backfill) is
+-- safe and never overwrites an edited or approved invoice.
+--
+-- pg_cron job inventory after this migration ships (weekly jobs):
+--   payroll-generate-timesheets  (Mondays 13:00 UTC)
+--   service-plan-extend-ongoing  (Mondays 14:00 UTC)
+--   invoicing-generate           (Wednesdays 13:00 UTC)  ← this one
+-- (Job *number* is assigned by pg_cron; the Supabase Dashboard's
+-- Cron tab keys off the job *name*.)
+--
+-- Manual trigger: invoke the edge function with `{ "dry_run": true }`
+-- to preview without persisting; with `{ "org_id": "..." }` to scope
+-- to a single tenant; with `{ "billing_period_start": "YYYY-MM-DD" }`
+-- to backfill a specific week.
+-- ═══════════════════════════════════════════════════════════════
+
+SELECT cron.schedule(
+  'invoicing-generate',
+  '0 13 * * 3',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url' LIMIT 1)
+           || '/functions/v1/invoicing-generate',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'publishable_key' LIMIT 1)
+    ),
+    body := jsonb_build_object('triggered_at', now()::text),
+    timeout_milliseconds := 300000
+  ) AS request_id;
+  $$
+);
+
+-- Sanity check: confirm the job is registered.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM cron.job WHERE jobname = 'invoicing-generate'
+  ) THEN
+    RAISE EXCEPTION 'invoicing_generate_cron: job not registered after schedule()';
+  END IF;
+END
+$$;
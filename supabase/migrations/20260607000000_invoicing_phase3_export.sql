@@ -0,0 +1,195 @@
+-- Invoicing Phase 3: Generate Invoice Run → QuickBooks.
+--
+-- Five additive changes:
+--
+-- 1) Private Supabase Storage bucket `invoice-exports` for the
+--    QuickBooks "Import invoices" CSVs the `invoicing-export-run` edge
+--    function generates. Same layout and policies as `payroll-exports`:
+--    objects are `<org_id>/<invoice_run_id>.csv`, read via short-lived
+--    signed URLs only.
+--
+-- 2) `org_invoice_sequences` + `next_invoice_numbers(org, year, count)`.
+--    Per-org, per-calendar-year invoice numbering (TC-2026-0001, …).
+--    The RPC reserves a contiguous block atomically with a single
+--    INSERT … ON CONFLICT DO UPDATE, so two concurrent runs can never
+--    hand out the same number. Numbers are never given back: a run
+--    that rolls back after reserving leaves a gap, which auditors
+--    accept far more readily than a reused number.
+--
+-- 3) `invoices.invoice_run_id` — links each exported invoice to its
+--    run (mirrors `timesheets.payroll_run_id`), plus a partial unique
+--    index on (org_id, invoice_number) as the last line of defense
+--    against a duplicated number.
+--
+-- 4) `invoices.qbo_invoice_id` — the QuickBooks Invoice Id once an
+--    `export_mode = 'qbo_api'` run has pushed it. NULL for CSV-only
+--    runs and for pushes that failed (the run's error_details says why).
+--
+-- 5) `clients.qbo_customer_id` — cached QuickBooks Customer Id, written
+--    the first time a push finds or creates the client's customer, so
+--    later pushes skip the DisplayName lookup and survive a rename.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/INVOICING.md ("Phased rollout" → Phase 3, "Invoice runs").
+
+-- ── 1. Storage bucket ──────────────────────────────────────────────
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('invoice-exports', 'invoice-exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies
+    WHERE schemaname = 'storage' AND tablename = 'objects'
+      AND policyname = 'tenant_isolation_invoice_exports_read'
+  ) THEN
+    EXECUTE $POL$
+      CREATE POLICY "tenant_isolation_invoice_exports_read"
+        ON storage.objects FOR SELECT
+        TO authenticated
+        USING (
+          bucket_id = 'invoice-exports'
+          AND (((SELECT auth.jwt()) ->> 'org_id')::text || '/') = split_part(name, '/', 1) || '/'
+        );
+    $POL$;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies
+    WHERE schemaname = 'storage' AND tablename = 'objects'
+      AND policyname = 'service_role_full_access_invoice_exports'
+  ) THEN
+    EXECUTE $POL$
+      CREATE POLICY "service_role_full_access_invoice_exports"
+        ON storage.objects FOR ALL
+        TO service_role
+        USING (bucket_id = 'invoice-exports')
+        WITH CHECK (bucket_id = 'invoice-exports');
+    $POL$;
+  END IF;
+END $$;
+
+-- ── 2. Per-org invoice numbering ───────────────────────────────────
+CREATE TABLE IF NOT EXISTS org_invoice_sequences (
+  org_id          uuid NOT NULL DEFAULT public.default_org_id()
+                    REFERENCES organizations(id) ON DELETE RESTRICT,
+  -- Calendar year of the invoice_date; numbering restarts at 1 each year.
+  sequence_year   int  NOT NULL CHECK (sequence_year BETWEEN 2000 AND 9999),
+  -- Highest number handed out so far for (org, year).
+  last_value      int  NOT NULL DEFAULT 0 CHECK (last_value >= 0),
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (org_id, sequence_year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_invoice_sequences_org_id
+  ON org_invoice_sequences (org_id);
+
+ALTER TABLE org_invoice_sequences ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'org_invoice_sequences'
+                 AND policyname = 'tenant_isolation_org_invoice_sequences_select') THEN
+    CREATE POLICY "tenant_isolation_org_invoice_sequences_select"
+      ON org_invoice_sequences FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'org_invoice_sequences'
+                 AND policyname = 'tenant_isolation_org_invoice_sequences_insert') THEN
+    CREATE POLICY "tenant_isolation_org_invoice_sequences_insert"
+      ON org_invoice_sequences FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'org_invoice_sequences'
+                 AND policyname = 'tenant_isolation_org_invoice_sequences_update') THEN
+    CREATE POLICY "tenant_isolation_org_invoice_sequences_update"
+      ON org_invoice_sequences FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'org_invoice_sequences'
+                 AND policyname = 'tenant_isolation_org_invoice_sequences_delete') THEN
+    CREATE POLICY "tenant_isolation_org_invoice_sequences_delete"
+      ON org_invoice_sequences FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'org_invoice_sequences'
+                 AND policyname = 'service_role_full_access_org_invoice_sequences') THEN
+    CREATE POLICY "service_role_full_access_org_invoice_sequences"
+      ON org_invoice_sequences FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Reserve `p_count` consecutive numbers for (org, year) and return the
+-- first one. The row lock taken by ON CONFLICT DO UPDATE serializes
+-- concurrent callers.
+CREATE OR REPLACE FUNCTION public.next_invoice_numbers(
+  p_org_id uuid,
+  p_year   int,
+  p_count  int
+)
+RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_last int;
+BEGIN
+  IF p_org_id IS NULL THEN
+    RAISE EXCEPTION 'next_invoice_numbers: p_org_id is required';
+  END IF;
+  IF p_count IS NULL OR p_count < 1 OR p_count > 10000 THEN
+    RAISE EXCEPTION 'next_invoice_numbers: p_count must be between 1 and 10000 (got %)', p_count;
+  END IF;
+
+  INSERT INTO public.org_invoice_sequences AS s (org_id, sequence_year, last_value, updated_at)
+  VALUES (p_org_id, p_year, p_count, now())
+  ON CONFLICT (org_id, sequence_year)
+  DO UPDATE SET last_value = s.last_value + EXCLUDED.last_value,
+                updated_at = now()
+  RETURNING s.last_value INTO v_last;
+
+  RETURN v_last - p_count + 1;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.next_invoice_numbers(uuid, int, int) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.next_invoice_numbers(uuid, int, int) FROM authenticated;
+REVOKE EXECUTE ON FUNCTION public.next_invoice_numbers(uuid, int, int) FROM anon;
+GRANT  EXECUTE ON FUNCTION public.next_invoice_numbers(uuid, int, int) TO service_role;
+
+-- ── 3. Run link + unique invoice number ───────────────────────────
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS invoice_run_id uuid
+    REFERENCES invoice_runs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_invoice_run_id
+  ON invoices (invoice_run_id)
+  WHERE invoice_run_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_org_invoice_number_unique
+  ON invoices (org_id, invoice_number)
+  WHERE invoice_number IS NOT NULL;
+
+-- ── 4. QuickBooks invoice id ──────────────────────────────────────
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS qbo_invoice_id text;
+
+-- ── 5. Cached QuickBooks customer id ──────────────────────────────
+ALTER TABLE clients
+  ADD COLUMN IF NOT EXISTS qbo_customer_id text;
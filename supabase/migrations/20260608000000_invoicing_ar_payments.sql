@@ -0,0 +1,163 @@
+-- Invoicing A/R: payments, partial payments, write-offs, aging.
+--
+-- Four changes, all additive except the widened status CHECK:
+--
+-- 1) `invoices.status` gains 'partially_paid'. The ladder lives in
+--    src/lib/invoicing/approvalStateMachine.js:
+--      exported / sent → partially_paid → paid
+--    The constraint is dropped and re-added with the wider list — a
+--    strict widening, every existing row still satisfies it. Same
+--    pattern as caregivers_paychex_sync_status_check.
+--
+-- 2) `invoices.invoice_date` / `due_date` — stamped by
+--    invoicing-export-run from the run's invoice date and the org's
+--    payment terms, so A/R aging reads a per-invoice due date instead
+--    of joining invoice_runs. Backfilled below for invoices exported
+--    before this migration.
+--
+-- 3) `invoices.amount_paid` / `amount_written_off` — running totals
+--    maintained by invoicing-invoice-actions `record_payment`, so the
+--    balance due (total − paid − written off) and the aging report
+--    never have to sum the ledger.
+--
+-- 4) `invoice_payments` — the ledger. One row per payment received
+--    (check / ACH / card / cash / other) or write-off. Rows are never
+--    updated; a correction is a new row in a later phase. Same RLS
+--    shape as every invoicing table: four tenant_isolation policies,
+--    a service-role policy, and the admin/owner RESTRICTIVE gate the
+--    other invoicing tables got in 20260509000001 / 20260528203410.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/INVOICING.md ("Payments and A/R aging").
+
+-- ── 1. partially_paid status ──────────────────────────────────────
+ALTER TABLE invoices
+  DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices
+  ADD CONSTRAINT invoices_status_check
+  CHECK (status IN (
+    'draft', 'pending_approval', 'approved',
+    'exported', 'sent', 'partially_paid', 'paid',
+    'rejected', 'blocked'
+  ));
+
+-- ── 2. Invoice / due dates ────────────────────────────────────────
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS invoice_date date;
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS due_date date;
+
+-- Backfill from the invoice's run. Terms come from the org setting the
+-- export reads (`settings.invoicing.payment_terms_days`, default 30).
+UPDATE invoices i
+   SET invoice_date = r.invoice_date,
+       due_date = r.invoice_date + COALESCE(
+         (o.settings -> 'invoicing' ->> 'payment_terms_days')::int, 30)
+  FROM invoice_runs r
+  JOIN organizations o ON o.id = r.org_id
+ WHERE i.invoice_run_id = r.id
+   AND i.invoice_date IS NULL;
+
+-- ── 3. Running totals ─────────────────────────────────────────────
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS amount_paid numeric(12,2) NOT NULL DEFAULT 0
+    CHECK (amount_paid >= 0);
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS amount_written_off numeric(12,2) NOT NULL DEFAULT 0
+    CHECK (amount_written_off >= 0);
+
+-- "What is still owed?" — the aging report's only query.
+CREATE INDEX IF NOT EXISTS idx_invoices_open_receivables
+  ON invoices (org_id, due_date)
+  WHERE status IN ('exported', 'sent', 'partially_paid');
+
+-- ── 4. invoice_payments ledger ────────────────────────────────────
+CREATE TABLE IF NOT EXISTS invoice_payments (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id          uuid NOT NULL DEFAULT public.default_org_id()
+                    REFERENCES organizations(id) ON DELETE RESTRICT,
+  invoice_id      uuid NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+  kind            text NOT NULL CHECK (kind IN ('payment', 'write_off')),
+  -- Required for payments, absent for write-offs.
+  method          text CHECK (method IN ('check', 'ach', 'card', 'cash', 'other')),
+  amount          numeric(12,2) NOT NULL CHECK (amount > 0),
+  -- Date the money arrived (or the write-off was decided) — not the
+  -- date it was keyed in; that is created_at.
+  received_date   date NOT NULL,
+  -- Check number, ACH trace, card last-4 … freeform.
+  reference       text,
+  -- Required for write-offs (why the balance was forgiven).
+  notes           text,
+  recorded_by     text,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT invoice_payments_method_matches_kind CHECK (
+    (kind = 'payment' AND method IS NOT NULL)
+    OR (kind = 'write_off' AND method IS NULL AND notes IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_org_id
+  ON invoice_payments (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice
+  ON invoice_payments (invoice_id, received_date);
+
+ALTER TABLE invoice_payments ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'invoice_payments'
+                 AND policyname = 'tenant_isolation_invoice_payments_select') THEN
+    CREATE POLICY "tenant_isolation_invoice_payments_select"
+      ON invoice_payments FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'invoice_payments'
+                 AND policyname = 'tenant_isolation_invoice_payments_insert') THEN
+    CREATE POLICY "tenant_isolation_invoice_payments_insert"
+      ON invoice_payments FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'invoice_payments'
+                 AND policyname = 'tenant_isolation_invoice_payments_update') THEN
+    CREATE POLICY "tenant_isolation_invoice_payments_update"
+      ON invoice_payments FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'invoice_payments'
+                 AND policyname = 'tenant_isolation_invoice_payments_delete') THEN
+    CREATE POLICY "tenant_isolation_invoice_payments_delete"
+      ON invoice_payments FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'invoice_payments'
+                 AND policyname = 'service_role_full_access_invoice_payments') THEN
+    CREATE POLICY "service_role_full_access_invoice_payments"
+      ON invoice_payments FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Admin/owner only, like every other invoicing table. public.is_admin()
+-- covers both tiers (see 20260528203410_payroll_rls_use_is_admin_helper).
+DROP POLICY IF EXISTS restrict_invoice_payments_to_admins ON public.invoice_payments;
+
+CREATE POLICY restrict_invoice_payments_to_admins ON public.invoice_payments
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
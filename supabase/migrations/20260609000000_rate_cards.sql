@@ -0,0 +1,258 @@
+-- Rate cards: per-service-type bill and pay rates.
+--
+-- Until now a shift had one bill rate (shifts.billable_rate, falling
+-- back to clients.default_billable_rate) and one pay rate
+-- (shifts.hourly_rate, auto-filled from caregivers.default_pay_rate).
+-- The office charges personal care, companion and live-in at different
+-- rates — sometimes for the same client — so a single default per
+-- client / caregiver isn't enough.
+--
+-- Three changes:
+--
+-- 1) `shifts.service_type` — personal_care / companion / live_in.
+--    Nullable: shifts written before this migration (and shifts the
+--    office doesn't classify) keep pricing off the flat defaults.
+--
+-- 2) `rate_cards` — one row per (scope, target, service type, date
+--    range):
+--      scope 'client'    → bill rate for one client
+--      scope 'payer'     → bill rate for every client with that
+--                          clients.payer_type (e.g. all Medicaid)
+--      scope 'caregiver' → pay rate for one caregiver
+--    service_type NULL is the catch-all for the target. Resolution
+--    order lives in src/lib/rateCards.js and is shared by
+--    buildInvoice, buildTimesheet and the shift form; the trigger
+--    below mirrors it. Admin/owner only, like every payroll and
+--    invoicing table — pay rates are as sensitive as timesheets.
+--
+-- 3) auto_fill_shift_rates_from_defaults (migration 20260526000000)
+--    now consults the cards before the flat defaults, and also re-runs
+--    when service_type changes. It still never overwrites a rate that
+--    is already set.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/INVOICING.md ("Rate cards").
+
+-- ── 1. shifts.service_type ────────────────────────────────────────
+ALTER TABLE public.shifts
+  ADD COLUMN IF NOT EXISTS service_type text
+    CHECK (service_type IN ('personal_care', 'companion', 'live_in'));
+
+-- ── 2. rate_cards ─────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.rate_cards (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id          uuid NOT NULL DEFAULT public.default_org_id()
+                    REFERENCES organizations(id) ON DELETE RESTRICT,
+  scope           text NOT NULL CHECK (scope IN ('client', 'payer', 'caregiver')),
+  -- Exactly one target, matching the scope (see CHECK below).
+  client_id       text REFERENCES clients(id) ON DELETE CASCADE,
+  payer_type      text,
+  caregiver_id    text REFERENCES caregivers(id) ON DELETE CASCADE,
+  -- NULL = any service type (the target's catch-all card).
+  service_type    text CHECK (service_type IN ('personal_care', 'companion', 'live_in')),
+  rate            numeric(10,2) NOT NULL CHECK (rate > 0),
+  -- Bill cards only. NULL = bill OT at 1.5 × rate (warned). Pay OT is
+  -- computed by payroll from the regular rate of pay.
+  ot_rate         numeric(10,2) CHECK (ot_rate > 0),
+  -- Inclusive; NULL = open-ended.
+  effective_from  date,
+  effective_to    date,
+  notes           text,
+  created_by      text,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT rate_cards_scope_target CHECK (
+    (scope = 'client' AND client_id IS NOT NULL
+      AND payer_type IS NULL AND caregiver_id IS NULL)
+    OR (scope = 'payer' AND payer_type IS NOT NULL
+      AND client_id IS NULL AND caregiver_id IS NULL)
+    OR (scope = 'caregiver' AND caregiver_id IS NOT NULL
+      AND client_id IS NULL AND payer_type IS NULL AND ot_rate IS NULL)
+  ),
+  CONSTRAINT rate_cards_effective_range CHECK (
+    effective_from IS NULL OR effective_to IS NULL OR effective_to >= effective_from
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_org_id
+  ON public.rate_cards (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_client
+  ON public.rate_cards (client_id) WHERE client_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_caregiver
+  ON public.rate_cards (caregiver_id) WHERE caregiver_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_payer
+  ON public.rate_cards (org_id, payer_type) WHERE payer_type IS NOT NULL;
+
+ALTER TABLE public.rate_cards ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'rate_cards'
+                 AND policyname = 'tenant_isolation_rate_cards_select') THEN
+    CREATE POLICY "tenant_isolation_rate_cards_select"
+      ON public.rate_cards FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'rate_cards'
+                 AND policyname = 'tenant_isolation_rate_cards_insert') THEN
+    CREATE POLICY "tenant_isolation_rate_cards_insert"
+      ON public.rate_cards FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'rate_cards'
+                 AND policyname = 'tenant_isolation_rate_cards_update') THEN
+    CREATE POLICY "tenant_isolation_rate_cards_update"
+      ON public.rate_cards FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'rate_cards'
+                 AND policyname = 'tenant_isolation_rate_cards_delete') THEN
+    CREATE POLICY "tenant_isolation_rate_cards_delete"
+      ON public.rate_cards FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'rate_cards'
+                 AND policyname = 'service_role_full_access_rate_cards') THEN
+    CREATE POLICY "service_role_full_access_rate_cards"
+      ON public.rate_cards FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Admin/owner only. public.is_admin() covers both tiers (see
+-- 20260528203410_payroll_rls_use_is_admin_helper). The shift trigger
+-- below is SECURITY DEFINER, so schedulers who can't read the cards
+-- still get card rates filled onto their shifts.
+DROP POLICY IF EXISTS restrict_rate_cards_to_admins ON public.rate_cards;
+
+CREATE POLICY restrict_rate_cards_to_admins ON public.rate_cards
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (public.is_admin())
+  WITH CHECK (public.is_admin());
+
+-- ── 3. Shift rate auto-fill consults the cards ────────────────────
+-- Same order as src/lib/rateCards.js:
+--   pay:  caregiver card → caregivers.default_pay_rate
+--   bill: client card → payer card → clients.default_billable_rate
+-- A card for the shift's exact service type beats the catch-all
+-- (service_type NULL); ties go to the most recent effective_from. The
+-- card must be in effect on the shift's start date in the org's
+-- payroll timezone.
+
+CREATE OR REPLACE FUNCTION public.auto_fill_shift_rates_from_defaults()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path TO 'public'
+AS $$
+DECLARE
+  v_caregiver_rate numeric(10,2);
+  v_client_rate    numeric(10,2);
+  v_client         record;
+  v_org_id         uuid;
+  v_tz             text;
+  v_shift_date     date;
+BEGIN
+  IF (NEW.hourly_rate IS NULL AND NEW.assigned_caregiver_id IS NOT NULL)
+     OR (NEW.billable_rate IS NULL AND NEW.client_id IS NOT NULL) THEN
+    SELECT COALESCE(o.settings -> 'payroll' ->> 'timezone', 'America/Los_Angeles')
+      INTO v_tz
+      FROM public.organizations o
+     WHERE o.id = NEW.org_id;
+    v_shift_date := (NEW.start_time AT TIME ZONE COALESCE(v_tz, 'America/Los_Angeles'))::date;
+  END IF;
+
+  -- Auto-fill hourly_rate (caregiver pay) if missing.
+  IF NEW.hourly_rate IS NULL AND NEW.assigned_caregiver_id IS NOT NULL THEN
+    SELECT rc.rate
+      INTO v_caregiver_rate
+      FROM public.rate_cards rc
+     WHERE rc.scope = 'caregiver'
+       AND rc.caregiver_id = NEW.assigned_caregiver_id
+       AND (NEW.org_id IS NULL OR rc.org_id = NEW.org_id)
+       AND (rc.service_type = NEW.service_type OR rc.service_type IS NULL)
+       AND (rc.effective_from IS NULL OR rc.effective_from <= v_shift_date)
+       AND (rc.effective_to IS NULL OR rc.effective_to >= v_shift_date)
+     ORDER BY (rc.service_type IS NULL), rc.effective_from DESC NULLS LAST
+     LIMIT 1;
+
+    IF v_caregiver_rate IS NULL THEN
+      SELECT c.default_pay_rate
+        INTO v_caregiver_rate
+        FROM public.caregivers c
+       WHERE c.id = NEW.assigned_caregiver_id
+         AND (NEW.org_id IS NULL OR c.org_id = NEW.org_id);
+    END IF;
+
+    IF v_caregiver_rate IS NOT NULL THEN
+      NEW.hourly_rate := v_caregiver_rate;
+    END IF;
+  END IF;
+
+  -- Auto-fill billable_rate (client charge) if missing.
+  IF NEW.billable_rate IS NULL AND NEW.client_id IS NOT NULL THEN
+    SELECT cl.org_id, cl.payer_type, cl.default_billable_rate
+      INTO v_client
+      FROM public.clients cl
+     WHERE cl.id = NEW.client_id
+       AND (NEW.org_id IS NULL OR cl.org_id = NEW.org_id);
+
+    IF FOUND THEN
+      v_org_id := COALESCE(NEW.org_id, v_client.org_id);
+
+      SELECT rc.rate
+        INTO v_client_rate
+        FROM public.rate_cards rc
+       WHERE rc.org_id = v_org_id
+         AND (
+           (rc.scope = 'client' AND rc.client_id = NEW.client_id)
+           OR (rc.scope = 'payer' AND rc.payer_type = v_client.payer_type)
+         )
+         AND (rc.service_type = NEW.service_type OR rc.service_type IS NULL)
+         AND (rc.effective_from IS NULL OR rc.effective_from <= v_shift_date)
+         AND (rc.effective_to IS NULL OR rc.effective_to >= v_shift_date)
+       ORDER BY (rc.scope <> 'client'),
+                (rc.service_type IS NULL),
+                rc.effective_from DESC NULLS LAST
+       LIMIT 1;
+
+      v_client_rate := COALESCE(v_client_rate, v_client.default_billable_rate);
+    END IF;
+
+    IF v_client_rate IS NOT NULL THEN
+      NEW.billable_rate := v_client_rate;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END
+$$;
+
+REVOKE ALL ON FUNCTION public.auto_fill_shift_rates_from_defaults() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.auto_fill_shift_rates_from_defaults()
+  TO authenticated, service_role;
+
+DROP TRIGGER IF EXISTS shifts_auto_fill_rates ON public.shifts;
+CREATE TRIGGER shifts_auto_fill_rates
+  BEFORE INSERT OR UPDATE OF assigned_caregiver_id, client_id, hourly_rate, billable_rate, service_type
+  ON public.shifts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.auto_fill_shift_rates_from_defaults();
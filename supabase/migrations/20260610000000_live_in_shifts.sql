@@ -0,0 +1,76 @@
+-- Live-in shifts: sleep / meal deductions and daily rates.
+--
+-- A live-in shift used to be one long shift: payroll paid every hour
+-- of a 24h stay (mostly as double-time under the CA daily rules) and
+-- the invoice billed 24 hours. Live-in care is paid and billed per
+-- day, with sleep and meal time excluded from hours worked
+-- (29 CFR 785.22). The rules live in src/lib/liveIn.js; a shift is
+-- live-in when shifts.service_type = 'live_in' (migration
+-- 20260609000000).
+--
+-- Three changes:
+--
+-- 1) shifts — per-shift live-in settings:
+--      sleep_hours_per_day   sleep excluded per 24h day (payroll caps
+--                            it at 8 and drops it for < 24h of duty)
+--      meal_hours_per_day    bona fide meal time excluded per day
+--      sleep_interrupted     the night was interrupted (< 5h sleep);
+--                            no sleep is excluded
+--      daily_pay_rate        flat pay per day; replaces hourly_rate
+--      daily_bill_rate       flat bill per day; replaces billable_rate
+--    All nullable / defaulted, so existing shifts are unchanged.
+--
+-- 2) service_plans — `live_in` plus the same four settings, copied onto
+--    every shift the plan generates (GenerateShiftsDialog and the
+--    service-plan-extend-ongoing cron).
+--
+-- 3) invoice_shifts.billed_days — set on a line billed at a daily
+--    rate: the line bills billed_days × billable_rate_applied, with no
+--    OT premium. NULL (every existing line) = hourly billing as before.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/INVOICING.md ("Live-in shifts").
+
+-- ── 1. shifts ─────────────────────────────────────────────────────
+ALTER TABLE public.shifts
+  ADD COLUMN IF NOT EXISTS sleep_hours_per_day numeric(4,2)
+    CHECK (sleep_hours_per_day >= 0 AND sleep_hours_per_day <= 24),
+  ADD COLUMN IF NOT EXISTS meal_hours_per_day numeric(4,2)
+    CHECK (meal_hours_per_day >= 0 AND meal_hours_per_day <= 24),
+  ADD COLUMN IF NOT EXISTS sleep_interrupted boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS daily_pay_rate numeric(10,2)
+    CHECK (daily_pay_rate > 0),
+  ADD COLUMN IF NOT EXISTS daily_bill_rate numeric(10,2)
+    CHECK (daily_bill_rate > 0);
+
+COMMENT ON COLUMN public.shifts.sleep_hours_per_day IS
+  'Live-in: sleep hours excluded from hours worked per 24h day. Capped at 8; not applied under 24h of duty or when sleep_interrupted.';
+COMMENT ON COLUMN public.shifts.daily_pay_rate IS
+  'Live-in: flat caregiver pay per day. Payroll converts it to an hourly equivalent over the paid hours.';
+COMMENT ON COLUMN public.shifts.daily_bill_rate IS
+  'Live-in: flat client bill per day, no OT premium. NULL bills paid hours at the hourly rate.';
+
+-- ── 2. service_plans ──────────────────────────────────────────────
+ALTER TABLE public.service_plans
+  ADD COLUMN IF NOT EXISTS live_in boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS sleep_hours_per_day numeric(4,2)
+    CHECK (sleep_hours_per_day >= 0 AND sleep_hours_per_day <= 24),
+  ADD COLUMN IF NOT EXISTS meal_hours_per_day numeric(4,2)
+    CHECK (meal_hours_per_day >= 0 AND meal_hours_per_day <= 24),
+  ADD COLUMN IF NOT EXISTS daily_pay_rate numeric(10,2)
+    CHECK (daily_pay_rate > 0),
+  ADD COLUMN IF NOT EXISTS daily_bill_rate numeric(10,2)
+    CHECK (daily_bill_rate > 0);
+
+COMMENT ON COLUMN public.service_plans.live_in IS
+  'Generated shifts are live-in (service_type live_in) and carry the plan''s sleep / meal / daily-rate settings.';
+
+-- ── 3. invoice_shifts.billed_days ─────────────────────────────────
+ALTER TABLE public.invoice_shifts
+  ADD COLUMN IF NOT EXISTS billed_days numeric(5,2)
+    CHECK (billed_days > 0);
+
+COMMENT ON COLUMN public.invoice_shifts.billed_days IS
+  'Days billed at a live-in daily rate (billable_rate_applied is then per day). NULL = hourly line.';
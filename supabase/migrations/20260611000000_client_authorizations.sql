@@ -0,0 +1,136 @@
+-- Client authorizations: payer-approved unit caps (Medi-Cal waiver,
+-- VA, LTC insurance…).
+--
+-- Some clients are funded by an authorization that caps how many
+-- units of a service the payer will pay for per week, per month, or
+-- over the authorization's life. Until now nothing in the portal knew
+-- about those caps, so the office found out a client was over-
+-- scheduled when the payer denied the claim.
+--
+-- One table, `client_authorizations` — one row per authorization:
+--   payer          free text like clients.payer_type (the UI offers
+--                  medi_cal_waiver / va / ltc_insurance / other)
+--   auth_number    the payer's authorization number
+--   service_code   the payer's billing code (e.g. S5130), informational
+--   service_type   which shifts count against it; NULL = every service
+--                  type. Same values as shifts.service_type.
+--   unit_cap       units allowed per cap_period
+--   unit_minutes   length of a unit (15 for most waiver codes, 60 for
+--                  hourly authorizations)
+--   cap_period     week (Mon → Sun) / month / total
+--   start_date, end_date   inclusive; end_date is the expiration
+--
+-- Usage is never stored: src/lib/authorizations.js counts scheduled
+-- and worked units from `shifts` and `clock_events` on demand. The
+-- shift create modal and the Generate Shifts dialog refuse shifts
+-- that would push a period past its cap, and buildInvoice blocks an
+-- invoice that bills past one.
+--
+-- Access: same tenant-isolation policies as rate_cards, without the
+-- admin gate — schedulers manage authorizations alongside service
+-- plans and need to read them to schedule.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/INVOICING.md ("Authorizations").
+
+CREATE TABLE IF NOT EXISTS public.client_authorizations (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id          uuid NOT NULL DEFAULT public.default_org_id()
+                    REFERENCES organizations(id) ON DELETE RESTRICT,
+  client_id       text NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  payer           text NOT NULL,
+  auth_number     text NOT NULL,
+  service_code    text,
+  -- NULL = counts every service type.
+  service_type    text CHECK (service_type IN ('personal_care', 'companion', 'live_in')),
+  unit_cap        numeric(10,2) NOT NULL CHECK (unit_cap > 0),
+  unit_minutes    integer NOT NULL DEFAULT 60
+                    CHECK (unit_minutes > 0 AND unit_minutes <= 1440),
+  cap_period      text NOT NULL CHECK (cap_period IN ('week', 'month', 'total')),
+  start_date      date NOT NULL,
+  end_date        date NOT NULL,
+  notes           text,
+  created_by      text,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT client_authorizations_dates CHECK (end_date >= start_date)
+);
+
+COMMENT ON TABLE public.client_authorizations IS
+  'Payer authorizations capping units of service per week / month / total. Usage is computed from shifts + clock_events by src/lib/authorizations.js.';
+COMMENT ON COLUMN public.client_authorizations.unit_minutes IS
+  'Minutes per unit: 15 for most Medi-Cal waiver codes, 60 for hourly authorizations.';
+COMMENT ON COLUMN public.client_authorizations.end_date IS
+  'Inclusive expiration date. Shifts after it are not covered (warning).';
+
+CREATE INDEX IF NOT EXISTS idx_client_authorizations_org_id
+  ON public.client_authorizations (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_client_authorizations_client
+  ON public.client_authorizations (client_id, end_date);
+
+ALTER TABLE public.client_authorizations ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'client_authorizations'
+                 AND policyname = 'tenant_isolation_client_authorizations_select') THEN
+    CREATE POLICY "tenant_isolation_client_authorizations_select"
+      ON public.client_authorizations FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'client_authorizations'
+                 AND policyname = 'tenant_isolation_client_authorizations_insert') THEN
+    CREATE POLICY "tenant_isolation_client_authorizations_insert"
+      ON public.client_authorizations FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'client_authorizations'
+                 AND policyname = 'tenant_isolation_client_authorizations_update') THEN
+    CREATE POLICY "tenant_isolation_client_authorizations_update"
+      ON public.client_authorizations FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'client_authorizations'
+                 AND policyname = 'tenant_isolation_client_authorizations_delete') THEN
+    CREATE POLICY "tenant_isolation_client_authorizations_delete"
+      ON public.client_authorizations FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'client_authorizations'
+                 AND policyname = 'service_role_full_access_client_authorizations') THEN
+    CREATE POLICY "service_role_full_access_client_authorizations"
+      ON public.client_authorizations FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Keep updated_at fresh on every UPDATE.
+CREATE OR REPLACE FUNCTION public.set_client_authorizations_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_client_authorizations_updated_at ON public.client_authorizations;
+CREATE TRIGGER trg_client_authorizations_updated_at
+  BEFORE UPDATE ON public.client_authorizations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_client_authorizations_updated_at();
@@ -0,0 +1,30 @@
+-- EVV: the Medicaid ID of the person receiving care.
+--
+-- The 21st Century Cures Act EVV record identifies the recipient by
+-- their Medicaid / Medi-Cal ID (CIN in California), and every EVV
+-- aggregator matches visits on it. Clock events, shifts and
+-- authorizations already carry the rest of the record (see
+-- src/lib/evv.js); the recipient's ID was the one element the portal
+-- didn't store.
+--
+--   clients.medicaid_id   nullable text, edited in the client profile's
+--                         Billing section. The EVV export raises an
+--                         `evv_missing_recipient_id` exception for a
+--                         Medicaid-funded visit whose client has none.
+--
+-- No CHECK on the format: states issue IDs in different shapes (Medi-
+-- Cal CINs are 9 characters, other states use 10–12 digits).
+--
+-- Aggregator settings (format, provider id, procedure and reason codes)
+-- live in organizations.settings.evv, not in a table.
+--
+-- Idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/INVOICING.md ("EVV export").
+
+ALTER TABLE public.clients
+  ADD COLUMN IF NOT EXISTS medicaid_id text;
+
+COMMENT ON COLUMN public.clients.medicaid_id IS
+  'Medicaid / Medi-Cal recipient ID (CIN). Identifies the client on EVV visit records.';
@@ -0,0 +1,50 @@
+-- Scheduling: rotating regular-caregiver rules.
+--
+-- A regular-caregiver rule used to mean "every <day of week>". Many
+-- 24/7 clients alternate caregivers instead: week-on / week-off
+-- live-ins, or an A/B split where Maria has Thursdays one week and
+-- Ciara the next. A rule now carries a cycle:
+--
+--   rotation_weeks   cycle length in weeks. 1 (the default, every
+--                    existing rule) = every week; 2 = every other
+--                    week; up to 4.
+--   rotation_anchor  first day of a week the rule is on. The rule
+--                    covers a date when the whole weeks between the
+--                    anchor and the date are a multiple of
+--                    rotation_weeks. NULL on weekly rules.
+--
+-- An A/B rotation is two rules on the same day with rotation_weeks = 2
+-- and anchors a week apart. Resolution, rule conflicts and the
+-- service-plan-extend-ongoing cron all go through
+-- src/lib/scheduling/caregiverRules.js, which skips a rotating rule on
+-- its off weeks before picking the latest effective_from.
+--
+-- Idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/SCHEDULING_CAREGIVER_RULES.md ("Rotating patterns").
+
+ALTER TABLE public.service_plan_caregiver_rules
+  ADD COLUMN IF NOT EXISTS rotation_weeks smallint NOT NULL DEFAULT 1
+    CHECK (rotation_weeks BETWEEN 1 AND 4),
+  ADD COLUMN IF NOT EXISTS rotation_anchor date;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'scpr_rotation_anchor_required'
+      AND conrelid = 'public.service_plan_caregiver_rules'::regclass
+  ) THEN
+    ALTER TABLE public.service_plan_caregiver_rules
+      ADD CONSTRAINT scpr_rotation_anchor_required CHECK (
+        rotation_weeks = 1 OR rotation_anchor IS NOT NULL
+      );
+  END IF;
+END$$;
+
+COMMENT ON COLUMN public.service_plan_caregiver_rules.rotation_weeks IS
+  'Cycle length in weeks. 1 = every week; 2 = alternating weeks (week-on/week-off, A/B); up to 4.';
+
+COMMENT ON COLUMN public.service_plan_caregiver_rules.rotation_anchor IS
+  'First day of a week the rule is on. Weeks are counted in 7-day blocks from this date. NULL when rotation_weeks = 1.';
@@ -0,0 +1,35 @@
+-- ═══════════════════════════════════════════════════════════════
+-- Caregiver gender — for care plan match criteria
+--
+-- Purpose:
+--   The care plan's "Caregiver Match Criteria" section lets the team
+--   mark a gender as Preferred or Required for a client. Caregiver
+--   ranking (src/lib/scheduling/matchCriteria.js) can only honour
+--   that if the caregiver's own gender is on file; until now the
+--   profile only recorded which clients a caregiver is willing to
+--   work with (`client_gender_preference`).
+--
+-- Values: 'female' | 'male'. Null = not recorded — a Required gender
+-- then filters the caregiver out with "Gender not on profile" so the
+-- scheduler knows to fill it in rather than silently skipping.
+--
+-- Safety notes:
+--   - Purely additive. Nullable with no default; no backfill.
+-- ═══════════════════════════════════════════════════════════════
+
+ALTER TABLE public.caregivers
+  ADD COLUMN IF NOT EXISTS gender text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'caregivers_gender_check'
+  ) THEN
+    ALTER TABLE public.caregivers
+      ADD CONSTRAINT caregivers_gender_check
+      CHECK (gender IS NULL OR gender IN ('female', 'male'));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.caregivers.gender IS
+  'Caregiver gender for match-criteria ranking. Values: ''female'', ''male''. Null = not recorded.';
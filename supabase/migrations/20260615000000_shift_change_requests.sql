@@ -0,0 +1,140 @@
+-- Shift change requests: caregiver-initiated drops and swaps.
+--
+-- Until now a caregiver who couldn't make a shift called the office
+-- and someone reassigned it by hand. From the PWA's shift detail a
+-- caregiver can now either
+--   * drop   — release the shift back to the pool, or
+--   * swap   — offer it to a named coworker, who accepts or declines
+--              in their own PWA.
+-- Either way the office approves before anything changes: approving a
+-- drop unassigns the shift and reopens it; approving a swap assigns the
+-- coworker (after a conflict check against their schedule).
+--
+-- One table, `shift_change_requests` — one row per request:
+--   kind                 'drop' | 'swap'
+--   target_caregiver_id  the coworker (swap only)
+--   status               pending_coworker → pending_approval → approved
+--                        with exits to declined (coworker said no),
+--                        denied (office said no) and cancelled
+--                        (requester withdrew, or the shift changed
+--                        underneath the request)
+--
+-- At most one open request per shift (partial unique index). Status
+-- values mirror SHIFT_CHANGE_STATUS in
+-- src/lib/scheduling/shiftChangeRequests.js.
+--
+-- Access: same tenant-isolation policies as client_authorizations.
+-- Caregivers never write the table directly — the caregiver-shift-
+-- requests edge function does, with the service role, after checking
+-- the caller owns (or is the target of) the request.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+
+CREATE TABLE IF NOT EXISTS public.shift_change_requests (
+  id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id                  uuid NOT NULL DEFAULT public.default_org_id()
+                            REFERENCES organizations(id) ON DELETE RESTRICT,
+  shift_id                uuid NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  requester_caregiver_id  text NOT NULL REFERENCES caregivers(id) ON DELETE CASCADE,
+  kind                    text NOT NULL CHECK (kind IN ('drop', 'swap')),
+  target_caregiver_id     text REFERENCES caregivers(id) ON DELETE CASCADE,
+  status                  text NOT NULL CHECK (status IN (
+                            'pending_coworker', 'pending_approval', 'approved',
+                            'declined', 'denied', 'cancelled'
+                          )),
+  reason                  text,
+  coworker_responded_at   timestamptz,
+  decided_at              timestamptz,
+  decided_by              text,
+  decision_note           text,
+  created_at              timestamptz NOT NULL DEFAULT now(),
+  updated_at              timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT shift_change_requests_target CHECK (
+    (kind = 'swap' AND target_caregiver_id IS NOT NULL
+       AND target_caregiver_id <> requester_caregiver_id)
+    OR (kind = 'drop' AND target_caregiver_id IS NULL)
+  )
+);
+
+COMMENT ON TABLE public.shift_change_requests IS
+  'Caregiver-initiated shift drops and swaps awaiting coworker acceptance and office approval.';
+COMMENT ON COLUMN public.shift_change_requests.target_caregiver_id IS
+  'Coworker the shift is offered to. Swap requests only.';
+
+CREATE INDEX IF NOT EXISTS idx_shift_change_requests_org_id
+  ON public.shift_change_requests (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_shift_change_requests_status
+  ON public.shift_change_requests (status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_shift_change_requests_target
+  ON public.shift_change_requests (target_caregiver_id, status);
+
+-- One open request per shift.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_shift_change_requests_open_shift
+  ON public.shift_change_requests (shift_id)
+  WHERE status IN ('pending_coworker', 'pending_approval');
+
+ALTER TABLE public.shift_change_requests ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_change_requests'
+                 AND policyname = 'tenant_isolation_shift_change_requests_select') THEN
+    CREATE POLICY "tenant_isolation_shift_change_requests_select"
+      ON public.shift_change_requests FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_change_requests'
+                 AND policyname = 'tenant_isolation_shift_change_requests_insert') THEN
+    CREATE POLICY "tenant_isolation_shift_change_requests_insert"
+      ON public.shift_change_requests FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_change_requests'
+                 AND policyname = 'tenant_isolation_shift_change_requests_update') THEN
+    CREATE POLICY "tenant_isolation_shift_change_requests_update"
+      ON public.shift_change_requests FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_change_requests'
+                 AND policyname = 'tenant_isolation_shift_change_requests_delete') THEN
+    CREATE POLICY "tenant_isolation_shift_change_requests_delete"
+      ON public.shift_change_requests FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_change_requests'
+                 AND policyname = 'service_role_full_access_shift_change_requests') THEN
+    CREATE POLICY "service_role_full_access_shift_change_requests"
+      ON public.shift_change_requests FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Keep updated_at fresh on every UPDATE.
+CREATE OR REPLACE FUNCTION public.set_shift_change_requests_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_shift_change_requests_updated_at ON public.shift_change_requests;
+CREATE TRIGGER trg_shift_change_requests_updated_at
+  BEFORE UPDATE ON public.shift_change_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_shift_change_requests_updated_at();
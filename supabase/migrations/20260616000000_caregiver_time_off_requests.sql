@@ -0,0 +1,122 @@
+-- Caregiver time-off requests, submitted from the caregiver PWA.
+--
+-- Until now time off reached the schedule only when office staff typed
+-- it into AvailabilityEditor as a one-off "unavailable" row. Caregivers
+-- can now ask for it themselves; nothing changes on the schedule until
+-- the office approves.
+--
+-- One table, `caregiver_time_off_requests` — one row per request:
+--   start_date / end_date  whole days, inclusive, in the agency's zone
+--   status                 pending → approved | denied, or cancelled
+--                          (the caregiver withdrew it while pending)
+--   availability_id        the caregiver_availability "unavailable" row
+--                          written on approval, so the matcher and the
+--                          availability editor see the time off
+--
+-- Approving does not touch shifts. Assigned shifts that fall inside
+-- approved time off are flagged "needs coverage" on the schedule page
+-- (computed, see src/lib/scheduling/timeOffRequests.js) until the
+-- office reassigns or cancels them.
+--
+-- Access: same tenant-isolation policies as shift_change_requests.
+-- Caregivers never write the table directly — the caregiver-
+-- availability edge function does, with the service role.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+
+CREATE TABLE IF NOT EXISTS public.caregiver_time_off_requests (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id           uuid NOT NULL DEFAULT public.default_org_id()
+                     REFERENCES organizations(id) ON DELETE RESTRICT,
+  caregiver_id     text NOT NULL REFERENCES caregivers(id) ON DELETE CASCADE,
+  start_date       date NOT NULL,
+  end_date         date NOT NULL,
+  reason           text,
+  status           text NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'approved', 'denied', 'cancelled')),
+  availability_id  uuid REFERENCES caregiver_availability(id) ON DELETE SET NULL,
+  decided_at       timestamptz,
+  decided_by       text,
+  decision_note    text,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT caregiver_time_off_requests_dates CHECK (end_date >= start_date)
+);
+
+COMMENT ON TABLE public.caregiver_time_off_requests IS
+  'Caregiver-submitted time off awaiting or past office approval.';
+COMMENT ON COLUMN public.caregiver_time_off_requests.availability_id IS
+  'Unavailable caregiver_availability row written when the request was approved.';
+
+CREATE INDEX IF NOT EXISTS idx_caregiver_time_off_requests_org_id
+  ON public.caregiver_time_off_requests (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_caregiver_time_off_requests_caregiver
+  ON public.caregiver_time_off_requests (caregiver_id, start_date);
+
+CREATE INDEX IF NOT EXISTS idx_caregiver_time_off_requests_status
+  ON public.caregiver_time_off_requests (status, end_date);
+
+ALTER TABLE public.caregiver_time_off_requests ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'caregiver_time_off_requests'
+                 AND policyname = 'tenant_isolation_caregiver_time_off_requests_select') THEN
+    CREATE POLICY "tenant_isolation_caregiver_time_off_requests_select"
+      ON public.caregiver_time_off_requests FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'caregiver_time_off_requests'
+                 AND policyname = 'tenant_isolation_caregiver_time_off_requests_insert') THEN
+    CREATE POLICY "tenant_isolation_caregiver_time_off_requests_insert"
+      ON public.caregiver_time_off_requests FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'caregiver_time_off_requests'
+                 AND policyname = 'tenant_isolation_caregiver_time_off_requests_update') THEN
+    CREATE POLICY "tenant_isolation_caregiver_time_off_requests_update"
+      ON public.caregiver_time_off_requests FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'caregiver_time_off_requests'
+                 AND policyname = 'tenant_isolation_caregiver_time_off_requests_delete') THEN
+    CREATE POLICY "tenant_isolation_caregiver_time_off_requests_delete"
+      ON public.caregiver_time_off_requests FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'caregiver_time_off_requests'
+                 AND policyname = 'service_role_full_access_caregiver_time_off_requests') THEN
+    CREATE POLICY "service_role_full_access_caregiver_time_off_requests"
+      ON public.caregiver_time_off_requests FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Keep updated_at fresh on every UPDATE.
+CREATE OR REPLACE FUNCTION public.set_caregiver_time_off_requests_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_caregiver_time_off_requests_updated_at ON public.caregiver_time_off_requests;
+CREATE TRIGGER trg_caregiver_time_off_requests_updated_at
+  BEFORE UPDATE ON public.caregiver_time_off_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_caregiver_time_off_requests_updated_at();
@@ -0,0 +1,191 @@
+-- Late clock-in and no-show detection.
+--
+-- shift-reminders nudges a caregiver before their shift, but nothing
+-- noticed when they never clocked in. The no-show-detector edge
+-- function now runs every 5 minutes and, for assigned / confirmed
+-- shifts with no clock-in (rules in
+-- src/lib/scheduling/noShowDetection.js):
+--
+--   start + late grace        push + SMS the caregiver
+--   start + escalation delay  mark the shift no-show, SMS the on-call
+--                             scheduler, open a follow-up task and
+--                             broadcast the rest of the visit as a new
+--                             open shift
+--
+-- This migration ships:
+--
+--   1. `shift_attendance_incidents` — one row per alert, UNIQUE per
+--      (shift, kind) so the cron can never alert twice. The rows are
+--      also the caregiver's attendance record: ranking counts them
+--      over a trailing window.
+--
+--   2. follow_up_tasks source 'system' — tasks the platform opens on
+--      its own (no template, no staff author). Same shape rules as
+--      'user' / 'ai', so they show on the Tasks dashboard and go
+--      through dispatch-task-notifications like any other task.
+--
+--   3. The `no-show-detector` pg_cron job, every 5 minutes.
+--
+-- The grace period, escalation delay and on-call recipients live in
+-- organizations.settings.scheduling (late_grace_minutes,
+-- no_show_escalation_minutes, on_call_emails), edited from Admin
+-- Settings through org-settings-update.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+
+-- ────────────────────────────────────────────────────────────────────
+-- 1. shift_attendance_incidents
+-- ────────────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS public.shift_attendance_incidents (
+  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id             uuid NOT NULL DEFAULT public.default_org_id()
+                       REFERENCES organizations(id) ON DELETE RESTRICT,
+  shift_id           uuid NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  caregiver_id       text NOT NULL REFERENCES caregivers(id) ON DELETE CASCADE,
+  kind               text NOT NULL CHECK (kind IN ('late', 'no_show')),
+  minutes_late       integer,
+  detected_at        timestamptz NOT NULL DEFAULT now(),
+  coverage_shift_id  uuid REFERENCES shifts(id) ON DELETE SET NULL,
+  follow_up_task_id  uuid REFERENCES follow_up_tasks(id) ON DELETE SET NULL,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT shift_attendance_incidents_once UNIQUE (shift_id, kind)
+);
+
+COMMENT ON TABLE public.shift_attendance_incidents IS
+  'Late clock-ins and no-shows detected by the no-show-detector cron.';
+COMMENT ON COLUMN public.shift_attendance_incidents.coverage_shift_id IS
+  'Open shift created to cover the rest of a no-show''s visit, if any.';
+
+CREATE INDEX IF NOT EXISTS idx_shift_attendance_incidents_org_id
+  ON public.shift_attendance_incidents (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_shift_attendance_incidents_caregiver
+  ON public.shift_attendance_incidents (caregiver_id, detected_at);
+
+ALTER TABLE public.shift_attendance_incidents ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_attendance_incidents'
+                 AND policyname = 'tenant_isolation_shift_attendance_incidents_select') THEN
+    CREATE POLICY "tenant_isolation_shift_attendance_incidents_select"
+      ON public.shift_attendance_incidents FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_attendance_incidents'
+                 AND policyname = 'tenant_isolation_shift_attendance_incidents_insert') THEN
+    CREATE POLICY "tenant_isolation_shift_attendance_incidents_insert"
+      ON public.shift_attendance_incidents FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_attendance_incidents'
+                 AND policyname = 'tenant_isolation_shift_attendance_incidents_update') THEN
+    CREATE POLICY "tenant_isolation_shift_attendance_incidents_update"
+      ON public.shift_attendance_incidents FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_attendance_incidents'
+                 AND policyname = 'tenant_isolation_shift_attendance_incidents_delete') THEN
+    CREATE POLICY "tenant_isolation_shift_attendance_incidents_delete"
+      ON public.shift_attendance_incidents FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_attendance_incidents'
+                 AND policyname = 'service_role_full_access_shift_attendance_incidents') THEN
+    CREATE POLICY "service_role_full_access_shift_attendance_incidents"
+      ON public.shift_attendance_incidents FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- ────────────────────────────────────────────────────────────────────
+-- 2. follow_up_tasks source 'system'
+-- ────────────────────────────────────────────────────────────────────
+-- DROP-then-ADD so a re-run replaces both constraints with the same
+-- definitions. 'system' rows follow the user/ai shape: a title, no
+-- template, at most one linked entity.
+
+ALTER TABLE public.follow_up_tasks
+  DROP CONSTRAINT IF EXISTS follow_up_tasks_source_check;
+ALTER TABLE public.follow_up_tasks
+  ADD CONSTRAINT follow_up_tasks_source_check
+  CHECK (source IN ('template', 'user', 'ai', 'system'));
+
+ALTER TABLE public.follow_up_tasks
+  DROP CONSTRAINT IF EXISTS follow_up_tasks_shape_check;
+ALTER TABLE public.follow_up_tasks
+  ADD CONSTRAINT follow_up_tasks_shape_check CHECK (
+    (
+      source = 'template'
+      AND template_id  IS NOT NULL
+      AND caregiver_id IS NOT NULL
+      AND client_id    IS NOT NULL
+      AND title        IS NULL
+    )
+    OR
+    (
+      source IN ('user', 'ai', 'system')
+      AND title IS NOT NULL
+      AND length(btrim(title)) > 0
+      AND template_id IS NULL
+      AND NOT (caregiver_id IS NOT NULL AND client_id IS NOT NULL)
+    )
+  );
+
+-- ────────────────────────────────────────────────────────────────────
+-- 3. Cron job — no-show-detector (every 5 min)
+-- ────────────────────────────────────────────────────────────────────
+-- Same vault-secret pattern as shift-reminders.
+
+DO $$
+DECLARE
+  v_project_url text;
+  v_publishable_key text;
+BEGIN
+  SELECT decrypted_secret INTO v_project_url
+  FROM vault.decrypted_secrets WHERE name = 'project_url';
+
+  SELECT decrypted_secret INTO v_publishable_key
+  FROM vault.decrypted_secrets WHERE name = 'publishable_key';
+
+  IF v_project_url IS NULL OR v_publishable_key IS NULL THEN
+    RAISE NOTICE 'Skipping no-show-detector cron scheduling: vault secrets missing.';
+    RETURN;
+  END IF;
+
+  PERFORM cron.unschedule(jobid)
+  FROM cron.job
+  WHERE jobname = 'no-show-detector';
+
+  PERFORM cron.schedule(
+    'no-show-detector',
+    '*/5 * * * *',
+    format(
+      $job$
+      SELECT net.http_post(
+        url := %L,
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || %L
+        ),
+        body := '{}'::jsonb,
+        timeout_milliseconds := 120000
+      );
+      $job$,
+      v_project_url || '/functions/v1/no-show-detector',
+      v_publishable_key
+    )
+  );
+END $$;
@@ -0,0 +1,181 @@
+-- Missed clock-out corrections.
+--
+-- A caregiver who forgets to clock out leaves the shift in_progress
+-- with no 'out' clock event, and payroll blocks the timesheet on
+-- missing_clock_out until someone phones them and enters the punch by
+-- hand. Now:
+--
+--   * the missed-clock-out-detector edge function runs every 15
+--     minutes and, for an in_progress shift that ended 2+ hours ago,
+--     opens a 'prompted' correction and pushes the caregiver;
+--   * the caregiver reports their actual end time and a reason from
+--     the PWA (caregiver-clock-corrections edge function) → 'pending';
+--   * the office approves or denies from the schedule page. Approving
+--     writes a manual_entry 'out' clock event (edited_by = approver,
+--     edit_reason carries the caregiver's reason), marks the shift
+--     completed and links the event here.
+--
+-- One table, `clock_out_corrections` — one row per correction:
+--   status   prompted → pending → approved | denied, with cancelled
+--            when the shift gets a clock-out some other way
+--
+-- At most one open correction per shift (partial unique index), which
+-- is also how the cron avoids prompting twice. Status values mirror
+-- CLOCK_OUT_CORRECTION_STATUS in src/lib/scheduling/clockOutCorrections.js.
+--
+-- Access: same tenant-isolation policies as shift_change_requests.
+-- Caregivers never write the table directly — the edge functions do,
+-- with the service role.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+
+CREATE TABLE IF NOT EXISTS public.clock_out_corrections (
+  id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id              uuid NOT NULL DEFAULT public.default_org_id()
+                        REFERENCES organizations(id) ON DELETE RESTRICT,
+  shift_id            uuid NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  caregiver_id        text NOT NULL REFERENCES caregivers(id) ON DELETE CASCADE,
+  status              text NOT NULL DEFAULT 'prompted' CHECK (status IN (
+                        'prompted', 'pending', 'approved', 'denied', 'cancelled'
+                      )),
+  requested_end_time  timestamptz,
+  reason              text CHECK (reason IS NULL OR char_length(reason) <= 250),
+  prompted_at         timestamptz,
+  submitted_at        timestamptz,
+  decided_at          timestamptz,
+  decided_by          text,
+  decision_note       text,
+  clock_event_id      uuid REFERENCES clock_events(id) ON DELETE SET NULL,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  updated_at          timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT clock_out_corrections_submitted CHECK (
+    status IN ('prompted', 'cancelled')
+    OR (requested_end_time IS NOT NULL AND reason IS NOT NULL)
+  )
+);
+
+COMMENT ON TABLE public.clock_out_corrections IS
+  'Caregiver-reported end times for shifts left without a clock-out, awaiting office review.';
+COMMENT ON COLUMN public.clock_out_corrections.clock_event_id IS
+  'The manual_entry clock-out written when the correction was approved.';
+
+CREATE INDEX IF NOT EXISTS idx_clock_out_corrections_org_id
+  ON public.clock_out_corrections (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_clock_out_corrections_status
+  ON public.clock_out_corrections (status, created_at);
+
+-- One open correction per shift.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_clock_out_corrections_open_shift
+  ON public.clock_out_corrections (shift_id)
+  WHERE status IN ('prompted', 'pending');
+
+ALTER TABLE public.clock_out_corrections ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'clock_out_corrections'
+                 AND policyname = 'tenant_isolation_clock_out_corrections_select') THEN
+    CREATE POLICY "tenant_isolation_clock_out_corrections_select"
+      ON public.clock_out_corrections FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'clock_out_corrections'
+                 AND policyname = 'tenant_isolation_clock_out_corrections_insert') THEN
+    CREATE POLICY "tenant_isolation_clock_out_corrections_insert"
+      ON public.clock_out_corrections FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'clock_out_corrections'
+                 AND policyname = 'tenant_isolation_clock_out_corrections_update') THEN
+    CREATE POLICY "tenant_isolation_clock_out_corrections_update"
+      ON public.clock_out_corrections FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'clock_out_corrections'
+                 AND policyname = 'tenant_isolation_clock_out_corrections_delete') THEN
+    CREATE POLICY "tenant_isolation_clock_out_corrections_delete"
+      ON public.clock_out_corrections FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'clock_out_corrections'
+                 AND policyname = 'service_role_full_access_clock_out_corrections') THEN
+    CREATE POLICY "service_role_full_access_clock_out_corrections"
+      ON public.clock_out_corrections FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Keep updated_at fresh on every UPDATE.
+CREATE OR REPLACE FUNCTION public.set_clock_out_corrections_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_clock_out_corrections_updated_at ON public.clock_out_corrections;
+CREATE TRIGGER trg_clock_out_corrections_updated_at
+  BEFORE UPDATE ON public.clock_out_corrections
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_clock_out_corrections_updated_at();
+
+-- ────────────────────────────────────────────────────────────────────
+-- Cron job — missed-clock-out-detector (every 15 min)
+-- ────────────────────────────────────────────────────────────────────
+-- Same vault-secret pattern as shift-reminders.
+
+DO $$
+DECLARE
+  v_project_url text;
+  v_publishable_key text;
+BEGIN
+  SELECT decrypted_secret INTO v_project_url
+  FROM vault.decrypted_secrets WHERE name = 'project_url';
+
+  SELECT decrypted_secret INTO v_publishable_key
+  FROM vault.decrypted_secrets WHERE name = 'publishable_key';
+
+  IF v_project_url IS NULL OR v_publishable_key IS NULL THEN
+    RAISE NOTICE 'Skipping missed-clock-out-detector cron scheduling: vault secrets missing.';
+    RETURN;
+  END IF;
+
+  PERFORM cron.unschedule(jobid)
+  FROM cron.job
+  WHERE jobname = 'missed-clock-out-detector';
+
+  PERFORM cron.schedule(
+    'missed-clock-out-detector',
+    '*/15 * * * *',
+    format(
+      $job$
+      SELECT net.http_post(
+        url := %L,
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || %L
+        ),
+        body := '{}'::jsonb,
+        timeout_milliseconds := 60000
+      );
+      $job$,
+      v_project_url || '/functions/v1/missed-clock-out-detector',
+      v_publishable_key
+    )
+  );
+END $$;
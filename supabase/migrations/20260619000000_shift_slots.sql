@@ -0,0 +1,307 @@
+-- Multi-caregiver shifts (two-person assists).
+--
+-- Some visits need more than one person: Hoyer-lift transfers,
+-- bariatric care, a nurse alongside the caregiver, a trainee
+-- shadowing. Until now the office booked a second, overlapping shift
+-- for the same client, which double-counted the visit and hid the
+-- pairing from everyone.
+--
+-- 1) `shift_slots` — the extra people on a shift. The lead stays on
+--    shifts.assigned_caregiver_id, so a shift without slots behaves
+--    exactly as before. One row per extra slot:
+--      role          assist | nurse | trainee (SHIFT_SLOT_ROLE in
+--                    src/lib/scheduling/shiftSlots.js)
+--      caregiver_id  NULL while the slot is still open
+--      billable      whether the client is billed for this person too;
+--                    the lead is always billed
+--      hourly_rate   optional pay-rate override for this person; NULL
+--                    falls through to their rate cards
+--    A caregiver holds at most one slot per shift (partial unique
+--    index); the app also keeps the lead out of their own slots.
+--
+-- 2) Caregiver RLS: a slot caregiver can see the shift, its client
+--    and care plan, and log care plan observations for it — the same
+--    reach the lead has. shifts_read_own, clients_read_assigned, the
+--    care_plan* read policies and care_plan_observations_caregiver_insert
+--    are recreated with an extra "or I hold a slot on it" branch.
+--
+-- 3) idx_clock_events_shift_event_unique becomes per caregiver: every
+--    person on the shift gets one clock-in and one clock-out.
+--
+-- 4) invoice_shifts.billed_caregivers — how many people a line bills
+--    for. hours_worked (or billed_days) on the line is already the
+--    total across them; this records the split for the invoice view.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/SCHEDULING_CAREGIVER_RULES.md ("Multi-caregiver shifts").
+
+-- ── 1. shift_slots ─────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.shift_slots (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id        uuid NOT NULL DEFAULT public.default_org_id()
+                  REFERENCES organizations(id) ON DELETE RESTRICT,
+  shift_id      uuid NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  role          text NOT NULL DEFAULT 'assist' CHECK (role IN ('assist', 'nurse', 'trainee')),
+  caregiver_id  text REFERENCES caregivers(id) ON DELETE SET NULL,
+  billable      boolean NOT NULL DEFAULT false,
+  hourly_rate   numeric(10,2) CHECK (hourly_rate IS NULL OR hourly_rate > 0),
+  created_by    text,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  updated_at    timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.shift_slots IS
+  'Extra caregivers on a shift beyond the lead (shifts.assigned_caregiver_id).';
+COMMENT ON COLUMN public.shift_slots.billable IS
+  'Bill the client for this person as well as the lead.';
+COMMENT ON COLUMN public.shift_slots.hourly_rate IS
+  'Pay-rate override for this slot. NULL = the caregiver''s rate cards.';
+
+CREATE INDEX IF NOT EXISTS idx_shift_slots_org_id
+  ON public.shift_slots (org_id);
+
+CREATE INDEX IF NOT EXISTS idx_shift_slots_shift_id
+  ON public.shift_slots (shift_id);
+
+-- One slot per caregiver per shift.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_shift_slots_shift_caregiver
+  ON public.shift_slots (shift_id, caregiver_id)
+  WHERE caregiver_id IS NOT NULL;
+
+-- "My slot shifts" — the PWA and the RLS branches below.
+CREATE INDEX IF NOT EXISTS idx_shift_slots_caregiver_id
+  ON public.shift_slots (caregiver_id)
+  WHERE caregiver_id IS NOT NULL;
+
+ALTER TABLE public.shift_slots ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_slots'
+                 AND policyname = 'tenant_isolation_shift_slots_select') THEN
+    CREATE POLICY "tenant_isolation_shift_slots_select"
+      ON public.shift_slots FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_slots'
+                 AND policyname = 'tenant_isolation_shift_slots_insert') THEN
+    CREATE POLICY "tenant_isolation_shift_slots_insert"
+      ON public.shift_slots FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_slots'
+                 AND policyname = 'tenant_isolation_shift_slots_update') THEN
+    CREATE POLICY "tenant_isolation_shift_slots_update"
+      ON public.shift_slots FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_slots'
+                 AND policyname = 'tenant_isolation_shift_slots_delete') THEN
+    CREATE POLICY "tenant_isolation_shift_slots_delete"
+      ON public.shift_slots FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_slots'
+                 AND policyname = 'service_role_full_access_shift_slots') THEN
+    CREATE POLICY "service_role_full_access_shift_slots"
+      ON public.shift_slots FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+
+  -- Caregivers read their own slots (the PWA finds slot shifts here).
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'shift_slots'
+                 AND policyname = 'shift_slots_read_own') THEN
+    CREATE POLICY "shift_slots_read_own"
+      ON public.shift_slots FOR SELECT
+      TO authenticated
+      USING (caregiver_id = public.current_user_caregiver_id());
+  END IF;
+END $$;
+
+-- Keep updated_at fresh on every UPDATE.
+CREATE OR REPLACE FUNCTION public.set_shift_slots_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_shift_slots_updated_at ON public.shift_slots;
+CREATE TRIGGER trg_shift_slots_updated_at
+  BEFORE UPDATE ON public.shift_slots
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_shift_slots_updated_at();
+
+-- ── 2. Caregiver RLS: slot caregivers reach the shift ──────────────
+-- Each policy keeps its original lead / assignment branches verbatim
+-- and gains a shift_slots branch.
+
+DROP POLICY IF EXISTS shifts_read_own ON shifts;
+CREATE POLICY shifts_read_own ON shifts
+  FOR SELECT TO authenticated
+  USING (
+    assigned_caregiver_id = public.current_user_caregiver_id()
+    OR EXISTS (
+      SELECT 1 FROM shift_slots sl
+       WHERE sl.shift_id = shifts.id
+         AND sl.caregiver_id = public.current_user_caregiver_id()
+    )
+  );
+
+DROP POLICY IF EXISTS clients_read_assigned ON clients;
+CREATE POLICY clients_read_assigned ON clients
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM shifts
+      WHERE shifts.client_id = clients.id
+        AND shifts.assigned_caregiver_id = public.current_user_caregiver_id()
+    )
+    OR EXISTS (
+      SELECT 1 FROM caregiver_assignments ca
+      WHERE ca.client_id = clients.id
+        AND ca.caregiver_id = public.current_user_caregiver_id()
+        AND ca.status = 'active'
+    )
+    OR EXISTS (
+      SELECT 1 FROM shift_slots sl
+        JOIN shifts s ON s.id = sl.shift_id
+      WHERE s.client_id = clients.id
+        AND sl.caregiver_id = public.current_user_caregiver_id()
+    )
+  );
+
+DROP POLICY IF EXISTS care_plans_read_assigned ON care_plans;
+CREATE POLICY care_plans_read_assigned ON care_plans
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM shifts
+       WHERE shifts.client_id = care_plans.client_id
+         AND shifts.assigned_caregiver_id = public.current_user_caregiver_id()
+    )
+    OR EXISTS (
+      SELECT 1 FROM caregiver_assignments ca
+       WHERE ca.client_id = care_plans.client_id
+         AND ca.caregiver_id = public.current_user_caregiver_id()
+         AND ca.status = 'active'
+    )
+    OR EXISTS (
+      SELECT 1 FROM shift_slots sl
+        JOIN shifts s ON s.id = sl.shift_id
+       WHERE s.client_id = care_plans.client_id
+         AND sl.caregiver_id = public.current_user_caregiver_id()
+    )
+  );
+
+DROP POLICY IF EXISTS care_plan_versions_read_assigned ON care_plan_versions;
+CREATE POLICY care_plan_versions_read_assigned ON care_plan_versions
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+        FROM care_plans cp
+       WHERE cp.id = care_plan_versions.care_plan_id
+         AND (
+           EXISTS (
+             SELECT 1 FROM shifts s
+              WHERE s.client_id = cp.client_id
+                AND s.assigned_caregiver_id = public.current_user_caregiver_id()
+           )
+           OR EXISTS (
+             SELECT 1 FROM caregiver_assignments ca
+              WHERE ca.client_id = cp.client_id
+                AND ca.caregiver_id = public.current_user_caregiver_id()
+                AND ca.status = 'active'
+           )
+           OR EXISTS (
+             SELECT 1 FROM shift_slots sl
+               JOIN shifts s ON s.id = sl.shift_id
+              WHERE s.client_id = cp.client_id
+                AND sl.caregiver_id = public.current_user_caregiver_id()
+           )
+         )
+    )
+  );
+
+DROP POLICY IF EXISTS care_plan_tasks_read_assigned ON care_plan_tasks;
+CREATE POLICY care_plan_tasks_read_assigned ON care_plan_tasks
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+        FROM care_plan_versions v
+        JOIN care_plans cp ON cp.id = v.care_plan_id
+       WHERE v.id = care_plan_tasks.version_id
+         AND (
+           EXISTS (
+             SELECT 1 FROM shifts s
+              WHERE s.client_id = cp.client_id
+                AND s.assigned_caregiver_id = public.current_user_caregiver_id()
+           )
+           OR EXISTS (
+             SELECT 1 FROM caregiver_assignments ca
+              WHERE ca.client_id = cp.client_id
+                AND ca.caregiver_id = public.current_user_caregiver_id()
+                AND ca.status = 'active'
+           )
+           OR EXISTS (
+             SELECT 1 FROM shift_slots sl
+               JOIN shifts s ON s.id = sl.shift_id
+              WHERE s.client_id = cp.client_id
+                AND sl.caregiver_id = public.current_user_caregiver_id()
+           )
+         )
+    )
+  );
+
+DROP POLICY IF EXISTS care_plan_observations_caregiver_insert ON care_plan_observations;
+CREATE POLICY care_plan_observations_caregiver_insert ON care_plan_observations
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    caregiver_id = public.current_user_caregiver_id()
+    AND (
+      shift_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM shifts s
+         WHERE s.id = care_plan_observations.shift_id
+           AND s.assigned_caregiver_id = public.current_user_caregiver_id()
+      )
+      OR EXISTS (
+        SELECT 1 FROM shift_slots sl
+         WHERE sl.shift_id = care_plan_observations.shift_id
+           AND sl.caregiver_id = public.current_user_caregiver_id()
+      )
+    )
+  );
+
+-- ── 3. One clock-in / clock-out per caregiver per shift ────────────
+-- Existing rows already satisfy this: they were unique per shift.
+DROP INDEX IF EXISTS idx_clock_events_shift_event_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique
+  ON clock_events (shift_id, caregiver_id, event_type)
+  WHERE event_type IN ('in', 'out');
+
+-- ── 4. invoice_shifts.billed_caregivers ────────────────────────────
+ALTER TABLE public.invoice_shifts
+  ADD COLUMN IF NOT EXISTS billed_caregivers smallint NOT NULL DEFAULT 1
+    CHECK (billed_caregivers >= 1);
+
+COMMENT ON COLUMN public.invoice_shifts.billed_caregivers IS
+  'People billed on this line (lead + billable slots). hours_worked / billed_days already total across them.';
@@ -0,0 +1,116 @@
+-- iCalendar feeds for caregivers and clients.
+--
+-- Caregivers want their shifts in Google / Apple Calendar and families
+-- want to see upcoming visits. A feed is a secret URL served by the
+-- public `calendar-feed` edge function, which looks the token up here
+-- with the service role and returns an ICS of the caregiver's or the
+-- client's shifts (rules in src/lib/scheduling/calendarFeed.js).
+--
+-- `calendar_feeds` — one row per issued URL, for exactly one caregiver
+-- or one client:
+--   token             64 hex chars (32 random bytes), generated by the
+--                     portal when staff issue the feed
+--   revoked_at / _by  set when staff revoke it; the URL then 404s
+--   last_accessed_at  last time a calendar app fetched the feed
+--                     (updated at most hourly)
+-- At most one live feed per caregiver and per client; re-issuing
+-- revokes the old one first.
+--
+-- Tokens are readable by staff only: the tenant policies match the
+-- rest of the schema, and a restrictive is_staff() policy keeps
+-- caregivers (whose JWT carries the same org_id) from listing other
+-- people's feed URLs.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/SCHEDULING_CAREGIVER_RULES.md ("Calendar feeds").
+
+CREATE TABLE IF NOT EXISTS public.calendar_feeds (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id            uuid NOT NULL DEFAULT public.default_org_id()
+                      REFERENCES organizations(id) ON DELETE RESTRICT,
+  caregiver_id      text REFERENCES caregivers(id) ON DELETE CASCADE,
+  client_id         text REFERENCES clients(id) ON DELETE CASCADE,
+  token             text NOT NULL UNIQUE CHECK (token ~ '^[0-9a-f]{64}$'),
+  created_by        text,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  revoked_at        timestamptz,
+  revoked_by        text,
+  last_accessed_at  timestamptz,
+  CONSTRAINT calendar_feeds_one_owner CHECK (num_nonnulls(caregiver_id, client_id) = 1)
+);
+
+COMMENT ON TABLE public.calendar_feeds IS
+  'Secret ICS feed URLs for a caregiver''s or a client''s schedule, served by the calendar-feed edge function.';
+COMMENT ON COLUMN public.calendar_feeds.token IS
+  'Secret part of the feed URL. Revoke the row to turn the URL off.';
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_org_id
+  ON public.calendar_feeds (org_id);
+
+-- One live feed per caregiver and per client.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_calendar_feeds_live_caregiver
+  ON public.calendar_feeds (caregiver_id)
+  WHERE revoked_at IS NULL AND caregiver_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_calendar_feeds_live_client
+  ON public.calendar_feeds (client_id)
+  WHERE revoked_at IS NULL AND client_id IS NOT NULL;
+
+ALTER TABLE public.calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'calendar_feeds'
+                 AND policyname = 'tenant_isolation_calendar_feeds_select') THEN
+    CREATE POLICY "tenant_isolation_calendar_feeds_select"
+      ON public.calendar_feeds FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'calendar_feeds'
+                 AND policyname = 'tenant_isolation_calendar_feeds_insert') THEN
+    CREATE POLICY "tenant_isolation_calendar_feeds_insert"
+      ON public.calendar_feeds FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'calendar_feeds'
+                 AND policyname = 'tenant_isolation_calendar_feeds_update') THEN
+    CREATE POLICY "tenant_isolation_calendar_feeds_update"
+      ON public.calendar_feeds FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'calendar_feeds'
+                 AND policyname = 'tenant_isolation_calendar_feeds_delete') THEN
+    CREATE POLICY "tenant_isolation_calendar_feeds_delete"
+      ON public.calendar_feeds FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'calendar_feeds'
+                 AND policyname = 'service_role_full_access_calendar_feeds') THEN
+    CREATE POLICY "service_role_full_access_calendar_feeds"
+      ON public.calendar_feeds FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Staff only, on top of tenant isolation.
+DROP POLICY IF EXISTS restrict_calendar_feeds_to_staff ON public.calendar_feeds;
+
+CREATE POLICY restrict_calendar_feeds_to_staff ON public.calendar_feeds
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (public.is_staff())
+  WITH CHECK (public.is_staff());
@@ -0,0 +1,87 @@
+-- ═══════════════════════════════════════════════════════════════
+-- Medication administration records (eMAR)
+--
+-- Caregivers chart each dose on the care plan's medications list
+-- (care_plan_versions.data → healthProfile.medications) as given,
+-- refused, held or missed. A record is a care_plan_observations row
+-- with observation_type 'medication', so it uses the caregiver insert
+-- policy, the offline outbox and the client_obs_id idempotency key the
+-- checklist already relies on. Pure logic: src/lib/emar.js.
+--
+--   medication_key   name|dose|route, normalized — list rows have no
+--                    ids (src/lib/emar.js → medicationKey)
+--   medication_name  the name as charted, so the MAR keeps a row for a
+--                    medication later removed from the plan
+--   scheduled_for    the administration slot the record answers; NULL
+--                    for PRN and ad-hoc doses
+--   rating           given | refused | held | missed
+--   note             reason for a refusal / hold / miss, or why a PRN
+--                    dose was given
+--
+-- Additive and idempotent. Existing rows pass both new CHECKs (they
+-- are not medication rows and the new columns are NULL).
+-- ═══════════════════════════════════════════════════════════════
+
+
+-- ── 1. observation_type gains 'medication' ─────────────────────
+
+ALTER TABLE public.care_plan_observations
+  DROP CONSTRAINT IF EXISTS care_plan_observations_observation_type_check;
+
+ALTER TABLE public.care_plan_observations
+  ADD CONSTRAINT care_plan_observations_observation_type_check
+  CHECK (observation_type IN (
+    'task_completion',
+    'mood',
+    'concern',
+    'positive',
+    'vital',
+    'general',
+    'shift_note',
+    'refusal',
+    'medication'
+  ));
+
+
+-- ── 2. Medication columns ──────────────────────────────────────
+
+ALTER TABLE public.care_plan_observations
+  ADD COLUMN IF NOT EXISTS medication_key  text,
+  ADD COLUMN IF NOT EXISTS medication_name text,
+  ADD COLUMN IF NOT EXISTS scheduled_for   timestamptz;
+
+-- A medication row names its medication, carries one of the four
+-- statuses and no task; the medication columns stay NULL elsewhere.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'care_plan_observations_medication_shape'
+      AND conrelid = 'public.care_plan_observations'::regclass
+  ) THEN
+    ALTER TABLE public.care_plan_observations
+      ADD CONSTRAINT care_plan_observations_medication_shape
+      CHECK (
+        CASE WHEN observation_type = 'medication' THEN
+          medication_key IS NOT NULL
+          AND medication_name IS NOT NULL
+          AND rating IN ('given', 'refused', 'held', 'missed')
+          AND task_id IS NULL
+          AND system_default_task_id IS NULL
+        ELSE
+          medication_key IS NULL
+          AND medication_name IS NULL
+          AND scheduled_for IS NULL
+        END
+      );
+  END IF;
+END $$;
+
+
+-- ── 3. Monthly MAR lookup ──────────────────────────────────────
+-- The back-office MAR reads one plan's medication rows for a month by
+-- scheduled_for (PRN rows by logged_at, which the plan index covers).
+
+CREATE INDEX IF NOT EXISTS idx_care_plan_observations_medication
+  ON public.care_plan_observations (care_plan_id, scheduled_for)
+  WHERE observation_type = 'medication';
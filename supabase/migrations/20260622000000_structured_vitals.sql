@@ -0,0 +1,191 @@
+-- ═══════════════════════════════════════════════════════════════
+-- Structured vitals + immediate out-of-range care signals
+--
+-- Caregivers record blood pressure, pulse, temperature, SpO2, weight
+-- and blood glucose from the shift checklist. A reading is a
+-- care_plan_observations row with observation_type 'vital' (already in
+-- the CHECK); this adds the structured columns. Pure logic, units and
+-- the range evaluation: src/lib/vitals.js.
+--
+--   vital_type             blood_pressure | pulse | temperature |
+--                          spo2 | weight | blood_glucose
+--   vital_value            the reading (systolic for blood pressure)
+--   vital_value_secondary  diastolic — blood pressure only
+--   vital_unit             mmHg | bpm | °F | % | lb | mg/dL
+--   vital_flag             low | high when outside the client's normal
+--                          range (care plan healthProfile.vitalRanges)
+--   rating                 keeps the reading as text ('128/82'), as the
+--                          original column comment describes
+--
+-- Legacy free-text vital rows (vital_type NULL) stay valid.
+--
+-- A flagged row raises a care_signals row from an AFTER INSERT
+-- trigger, so the office sees it as soon as the reading lands rather
+-- than at the next care-coordinator sweep. Offline readings alert when
+-- the outbox syncs. Repeat readings append to the open alert instead of
+-- stacking new ones.
+--
+-- Additive and idempotent.
+-- ═══════════════════════════════════════════════════════════════
+
+
+-- ── 1. Vital columns ───────────────────────────────────────────
+
+ALTER TABLE public.care_plan_observations
+  ADD COLUMN IF NOT EXISTS vital_type            text,
+  ADD COLUMN IF NOT EXISTS vital_value           numeric,
+  ADD COLUMN IF NOT EXISTS vital_value_secondary numeric,
+  ADD COLUMN IF NOT EXISTS vital_unit            text,
+  ADD COLUMN IF NOT EXISTS vital_flag            text;
+
+-- A structured reading has a known type, a value, a unit, and a
+-- diastolic exactly when it is a blood pressure. Vital columns stay
+-- NULL on every other observation type.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'care_plan_observations_vital_shape'
+      AND conrelid = 'public.care_plan_observations'::regclass
+  ) THEN
+    ALTER TABLE public.care_plan_observations
+      ADD CONSTRAINT care_plan_observations_vital_shape
+      CHECK (
+        CASE WHEN vital_type IS NULL THEN
+          vital_value IS NULL
+          AND vital_value_secondary IS NULL
+          AND vital_unit IS NULL
+          AND vital_flag IS NULL
+        ELSE
+          observation_type = 'vital'
+          AND vital_type IN ('blood_pressure', 'pulse', 'temperature', 'spo2', 'weight', 'blood_glucose')
+          AND vital_value IS NOT NULL
+          AND vital_unit IS NOT NULL
+          AND (vital_type = 'blood_pressure') = (vital_value_secondary IS NOT NULL)
+          AND (vital_flag IS NULL OR vital_flag IN ('low', 'high'))
+        END
+      );
+  END IF;
+END $$;
+
+
+-- ── 2. Trend lookup ────────────────────────────────────────────
+-- The client-page and shift-drawer charts read one plan's readings
+-- over a date range.
+
+CREATE INDEX IF NOT EXISTS idx_care_plan_observations_vitals
+  ON public.care_plan_observations (care_plan_id, logged_at)
+  WHERE vital_type IS NOT NULL;
+
+
+-- ── 3. Out-of-range reading → care signal ──────────────────────
+-- SECURITY DEFINER: the inserting caregiver has no rights on
+-- care_signals (staff-only RLS). search_path pinned, as for the other
+-- definer triggers.
+--
+-- Threshold alerts are marked model = 'vitals_threshold' (agent_id
+-- NULL). An open one for the same client and category absorbs the new
+-- reading into its evidence; otherwise a 'watch' signal is opened.
+-- Weight maps to the weight_change category, everything else to
+-- vital_sign_change.
+
+CREATE OR REPLACE FUNCTION public.raise_vital_care_signal()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path TO 'public'
+AS $$
+DECLARE
+  v_client_id  text;
+  v_org_id     uuid;
+  v_label      text;
+  v_category   text;
+  v_summary    text;
+  v_evidence   jsonb;
+  v_existing   uuid;
+  v_count      int;
+BEGIN
+  SELECT cp.client_id, cp.org_id INTO v_client_id, v_org_id
+    FROM care_plans cp
+   WHERE cp.id = NEW.care_plan_id;
+  IF v_client_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  v_label := CASE NEW.vital_type
+    WHEN 'blood_pressure' THEN 'Blood pressure'
+    WHEN 'pulse'          THEN 'Pulse'
+    WHEN 'temperature'    THEN 'Temperature'
+    WHEN 'spo2'           THEN 'SpO2'
+    WHEN 'weight'         THEN 'Weight'
+    WHEN 'blood_glucose'  THEN 'Blood glucose'
+    ELSE NEW.vital_type
+  END;
+  v_category := CASE WHEN NEW.vital_type = 'weight' THEN 'weight_change' ELSE 'vital_sign_change' END;
+  v_summary := format(
+    '%s %s %s — %s the client''s normal range',
+    v_label, NEW.rating, NEW.vital_unit,
+    CASE WHEN NEW.vital_flag = 'high' THEN 'above' ELSE 'below' END
+  );
+  -- Same shape as the sweep's evidence rows, plus the vital fields.
+  v_evidence := jsonb_build_object(
+    'observation_id', NEW.id,
+    'logged_at',      NEW.logged_at,
+    'type',           NEW.observation_type,
+    'rating',         NEW.rating,
+    'note',           NEW.note,
+    'task_name',      NULL,
+    'vital_label',    format('%s (%s)', v_label, NEW.vital_unit),
+    'vital_unit',     NEW.vital_unit,
+    'vital_flag',     NEW.vital_flag
+  );
+
+  SELECT id, jsonb_array_length(evidence) INTO v_existing, v_count
+    FROM care_signals
+   WHERE client_id = v_client_id
+     AND status = 'open'
+     AND model = 'vitals_threshold'
+     AND v_category = ANY (categories)
+   ORDER BY created_at DESC
+   LIMIT 1;
+
+  IF v_existing IS NOT NULL THEN
+    UPDATE care_signals
+       SET evidence   = evidence || jsonb_build_array(v_evidence),
+           summary    = format('%s (%s out-of-range readings)', v_summary, v_count + 1),
+           sbar       = jsonb_set(COALESCE(sbar, '{}'::jsonb), '{situation}', to_jsonb(v_summary)),
+           window_end = NEW.logged_at
+     WHERE id = v_existing;
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO care_signals (
+    org_id, client_id, care_plan_id, severity, categories, summary, sbar,
+    evidence, window_start, window_end, model
+  ) VALUES (
+    COALESCE(v_org_id, public.default_org_id()),
+    v_client_id,
+    NEW.care_plan_id,
+    'watch',
+    ARRAY[v_category],
+    v_summary,
+    jsonb_build_object(
+      'situation', v_summary,
+      'background', 'Recorded by the caregiver on shift and checked against the normal range on the care plan.',
+      'recommendation', 'Confirm the reading with the caregiver and follow the care plan or contact the client''s clinician.'
+    ),
+    jsonb_build_array(v_evidence),
+    NEW.logged_at,
+    NEW.logged_at,
+    'vitals_threshold'
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS care_plan_observations_vital_signal ON public.care_plan_observations;
+CREATE TRIGGER care_plan_observations_vital_signal
+  AFTER INSERT ON public.care_plan_observations
+  FOR EACH ROW
+  WHEN (NEW.vital_flag IS NOT NULL)
+  EXECUTE FUNCTION public.raise_vital_care_signal();
@@ -0,0 +1,156 @@
+-- Family digests: staff review on care_plan_digests + family portal links.
+--
+-- care_plan_digests was scaffolded in 20260420010000 with no generator.
+-- The weekly care-plan-digests edge function now writes one row per
+-- care plan per week from care_plan_observations (warm narrative +
+-- highlights + concerns). Nothing reaches a family until staff review
+-- it on the client page:
+--
+--   status        pending_review → approved | discarded
+--                 Only approved digests are emailed or shown on the
+--                 family portal. Existing rows (none in production)
+--                 start as pending_review.
+--   reviewed_by / reviewed_at
+--                 who approved or discarded it, and when
+--   emailed_to    addresses the approved digest was emailed to
+--                 (responsible parties with a HIPAA authorization on
+--                 file — src/lib/familyDigests.js)
+--   observation_count
+--                 observations the digest was written from
+--
+-- delivered_to_family_at (from the scaffold) is set on approval.
+-- A unique (care_plan_id, period_type, period_start) index keeps a
+-- re-run of the weekly job from writing a second digest for a week.
+--
+-- `family_portal_links` — secret /family/:token URLs, one per
+-- responsible party (rank primary / secondary, the stable key that
+-- survives saveResponsibleParties' replace-then-insert). The public
+-- family-portal edge function looks the token up with the service
+-- role and returns upcoming visits plus approved digests. Name and
+-- email are snapshotted at issue time for the staff list. Same shape
+-- as calendar_feeds: revoke to turn the URL off, one live link per
+-- party, staff-only on top of tenant isolation.
+--
+-- All changes are idempotent. Re-running the migration is safe.
+--
+-- Plan reference:
+--   docs/FAMILY_DIGESTS.md
+
+-- ── 1. care_plan_digests review columns ────────────────────────
+
+ALTER TABLE public.care_plan_digests
+  ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'pending_review',
+  ADD COLUMN IF NOT EXISTS reviewed_by text,
+  ADD COLUMN IF NOT EXISTS reviewed_at timestamptz,
+  ADD COLUMN IF NOT EXISTS emailed_to text[] NOT NULL DEFAULT '{}'::text[],
+  ADD COLUMN IF NOT EXISTS observation_count integer NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'care_plan_digests_status_check') THEN
+    ALTER TABLE public.care_plan_digests
+      ADD CONSTRAINT care_plan_digests_status_check
+      CHECK (status IN ('pending_review', 'approved', 'discarded'));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.care_plan_digests.status IS
+  'pending_review until staff approve (emailed + shown on the family portal) or discard it.';
+
+-- One digest per plan per period, so the weekly job can re-run safely.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_care_plan_digests_period
+  ON public.care_plan_digests (care_plan_id, period_type, period_start);
+
+-- Staff review queue: "digests waiting for review for this client".
+CREATE INDEX IF NOT EXISTS idx_care_plan_digests_pending
+  ON public.care_plan_digests (client_id, period_end DESC)
+  WHERE status = 'pending_review';
+
+
+-- ── 2. family_portal_links ─────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS public.family_portal_links (
+  id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id                  uuid NOT NULL DEFAULT public.default_org_id()
+                            REFERENCES organizations(id) ON DELETE RESTRICT,
+  client_id               text NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  responsible_party_rank  text NOT NULL CHECK (responsible_party_rank IN ('primary', 'secondary')),
+  recipient_name          text NOT NULL,
+  recipient_email         text,
+  token                   text NOT NULL UNIQUE CHECK (token ~ '^[0-9a-f]{64}$'),
+  created_by              text,
+  created_at              timestamptz NOT NULL DEFAULT now(),
+  revoked_at              timestamptz,
+  revoked_by              text,
+  last_accessed_at        timestamptz
+);
+
+COMMENT ON TABLE public.family_portal_links IS
+  'Secret /family/:token URLs for a client''s responsible parties, served by the family-portal edge function.';
+COMMENT ON COLUMN public.family_portal_links.token IS
+  'Secret part of the portal URL. Revoke the row to turn the URL off.';
+
+CREATE INDEX IF NOT EXISTS idx_family_portal_links_org_id
+  ON public.family_portal_links (org_id);
+
+-- One live link per responsible party.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_family_portal_links_live_party
+  ON public.family_portal_links (client_id, responsible_party_rank)
+  WHERE revoked_at IS NULL;
+
+ALTER TABLE public.family_portal_links ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'family_portal_links'
+                 AND policyname = 'tenant_isolation_family_portal_links_select') THEN
+    CREATE POLICY "tenant_isolation_family_portal_links_select"
+      ON public.family_portal_links FOR SELECT
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'family_portal_links'
+                 AND policyname = 'tenant_isolation_family_portal_links_insert') THEN
+    CREATE POLICY "tenant_isolation_family_portal_links_insert"
+      ON public.family_portal_links FOR INSERT
+      TO authenticated
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'family_portal_links'
+                 AND policyname = 'tenant_isolation_family_portal_links_update') THEN
+    CREATE POLICY "tenant_isolation_family_portal_links_update"
+      ON public.family_portal_links FOR UPDATE
+      TO authenticated
+      USING      (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid)
+      WITH CHECK (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'family_portal_links'
+                 AND policyname = 'tenant_isolation_family_portal_links_delete') THEN
+    CREATE POLICY "tenant_isolation_family_portal_links_delete"
+      ON public.family_portal_links FOR DELETE
+      TO authenticated
+      USING (org_id = nullif((SELECT auth.jwt()) ->> 'org_id', '')::uuid);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'family_portal_links'
+                 AND policyname = 'service_role_full_access_family_portal_links') THEN
+    CREATE POLICY "service_role_full_access_family_portal_links"
+      ON public.family_portal_links FOR ALL
+      TO service_role
+      USING (true)
+      WITH CHECK (true);
+  END IF;
+END $$;
+
+-- Staff only, on top of tenant isolation.
+DROP POLICY IF EXISTS restrict_family_portal_links_to_staff ON public.family_portal_links;
+
+CREATE POLICY restrict_family_portal_links_to_staff ON public.family_portal_links
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (public.is_staff())
+  WITH CHECK (public.is_staff());
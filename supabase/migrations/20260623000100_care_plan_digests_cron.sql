@@ -0,0 +1,57 @@
+-- ════════════════════════════════════════════════════════════════════════════
+-- Family digests — weekly generator (pg_cron schedule)
+-- ════════════════════════════════════════════════════════════════════════════
+-- Invokes the care-plan-digests edge function every Monday at 15:00 UTC
+-- (early morning Pacific), after the week it summarizes has closed in
+-- the org timezone. Digests land as pending_review; nothing reaches a
+-- family until staff approve it, so scheduling this is safe.
+--
+-- Mirrors the care-coordinator-sweep pattern: pg_cron calls the edge
+-- function via net.http_post using the stored project URL + publishable
+-- key from the vault. Idempotent: unschedule any prior job of the same
+-- name before (re)scheduling.
+-- ════════════════════════════════════════════════════════════════════════════
+
+create extension if not exists pg_cron;
+create extension if not exists pg_net;
+
+do $$
+declare
+  v_project_url text;
+  v_publishable_key text;
+begin
+  select decrypted_secret into v_project_url
+    from vault.decrypted_secrets where name = 'project_url';
+
+  select decrypted_secret into v_publishable_key
+    from vault.decrypted_secrets where name = 'publishable_key';
+
+  if v_project_url is null or v_publishable_key is null then
+    raise notice 'Skipping care-plan-digests cron scheduling: vault secrets missing.';
+    return;
+  end if;
+
+  perform cron.unschedule(jobid)
+  from cron.job
+  where jobname = 'care-plan-digests';
+
+  -- Mondays, 15:00 UTC.
+  perform cron.schedule(
+    'care-plan-digests',
+    '0 15 * * 1',
+    format(
+      $job$
+      select net.http_post(
+        url := %L,
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || %L
+        ),
+        body := '{}'::jsonb
+      );
+      $job$,
+      v_project_url || '/functions/v1/care-plan-digests',
+      v_publishable_key
+    )
+  );
+end $$;
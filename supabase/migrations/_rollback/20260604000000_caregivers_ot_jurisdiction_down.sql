@@ -0,0 +1,12 @@
+-- Rollback for 20260604000000_caregivers_ot_jurisdiction.sql
+--
+-- ⚠️  Drops data: every caregiver's OT jurisdiction override is lost.
+--     Timesheets regenerated afterwards fall back to work-location /
+--     org-default resolution. Roll back alongside the timesheetBuilder
+--     change, or the builder keeps reading an absent column as NULL
+--     (harmless, but the override UI stops persisting).
+
+ALTER TABLE public.caregivers
+  DROP CONSTRAINT IF EXISTS caregivers_ot_jurisdiction_check;
+ALTER TABLE public.caregivers
+  DROP COLUMN IF EXISTS ot_jurisdiction;
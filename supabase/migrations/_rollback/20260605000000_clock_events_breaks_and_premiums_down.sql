@@ -0,0 +1,38 @@
+-- Rollback for 20260605000000_clock_events_breaks_and_premiums.sql
+--
+-- ⚠️  Drops data:
+--     - every break_start / break_end clock event (the narrowed
+--       event_type CHECK cannot be re-added while they exist),
+--     - timesheets.meal_premium_hours / rest_premium_hours (premium
+--       hours already exported to Paychex stay on the payroll run's
+--       CSV, but the timesheet rows lose them),
+--     - caregivers.meal_period_waiver.
+--     Roll back alongside the caregiver-clock + timesheetBuilder
+--     changes, or the PWA keeps offering break buttons the edge
+--     function can no longer record.
+
+DROP INDEX IF EXISTS idx_clock_events_shift_event_unique;
+
+DELETE FROM clock_events WHERE event_type IN ('break_start', 'break_end');
+
+ALTER TABLE clock_events
+  DROP CONSTRAINT IF EXISTS clock_events_break_type_check;
+ALTER TABLE clock_events
+  DROP COLUMN IF EXISTS break_type;
+
+ALTER TABLE clock_events
+  DROP CONSTRAINT IF EXISTS clock_events_event_type_check;
+ALTER TABLE clock_events
+  ADD CONSTRAINT clock_events_event_type_check
+  CHECK (event_type IN ('in', 'out'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique
+  ON clock_events (shift_id, event_type);
+
+ALTER TABLE timesheets
+  DROP COLUMN IF EXISTS meal_premium_hours;
+ALTER TABLE timesheets
+  DROP COLUMN IF EXISTS rest_premium_hours;
+
+ALTER TABLE public.caregivers
+  DROP COLUMN IF EXISTS meal_period_waiver;
@@ -0,0 +1,7 @@
+-- Rollback for invoicing_generate cron.
+--
+-- Unschedules the weekly job. Draft invoices it already wrote are
+-- left in place. The edge function itself is not removed — re-running
+-- the up migration will re-register the schedule without redeploying.
+
+SELECT cron.unschedule('invoicing-generate');
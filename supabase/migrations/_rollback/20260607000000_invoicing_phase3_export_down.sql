@@ -0,0 +1,26 @@
+-- Rollback for 20260607000000_invoicing_phase3_export.sql
+--
+-- ⚠️  Drops data:
+--     - the per-org invoice sequences (re-running the up migration
+--       restarts numbering at 1 — collides with numbers already on
+--       exported invoices, which keep their invoice_number),
+--     - invoices.invoice_run_id / qbo_invoice_id and
+--       clients.qbo_customer_id (QuickBooks keeps its copies; a later
+--       push re-matches customers by DisplayName and invoices by
+--       DocNumber).
+--     The invoice-exports bucket and its objects are left in place —
+--     storage objects are not removed by SQL; empty the bucket from
+--     the dashboard first if it must go.
+
+DROP INDEX IF EXISTS idx_invoices_org_invoice_number_unique;
+DROP INDEX IF EXISTS idx_invoices_invoice_run_id;
+
+ALTER TABLE invoices DROP COLUMN IF EXISTS invoice_run_id;
+ALTER TABLE invoices DROP COLUMN IF EXISTS qbo_invoice_id;
+ALTER TABLE clients  DROP COLUMN IF EXISTS qbo_customer_id;
+
+DROP FUNCTION IF EXISTS public.next_invoice_numbers(uuid, int, int);
+DROP TABLE IF EXISTS org_invoice_sequences;
+
+DROP POLICY IF EXISTS "tenant_isolation_invoice_exports_read" ON storage.objects;
+DROP POLICY IF EXISTS "service_role_full_access_invoice_exports" ON storage.objects;
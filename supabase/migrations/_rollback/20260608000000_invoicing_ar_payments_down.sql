@@ -0,0 +1,30 @@
+-- Rollback for 20260608000000_invoicing_ar_payments.sql
+--
+-- ⚠️  Drops data:
+--     - the invoice_payments ledger (every recorded payment and
+--       write-off),
+--     - invoices.amount_paid / amount_written_off / invoice_date /
+--       due_date.
+--     Invoices in 'partially_paid' are moved back to 'sent' first so
+--     the narrower status CHECK can be restored; export the ledger
+--     before running this if the payment history matters.
+
+UPDATE invoices SET status = 'sent' WHERE status = 'partially_paid';
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices
+  ADD CONSTRAINT invoices_status_check
+  CHECK (status IN (
+    'draft', 'pending_approval', 'approved',
+    'exported', 'sent', 'paid',
+    'rejected', 'blocked'
+  ));
+
+DROP TABLE IF EXISTS invoice_payments;
+
+DROP INDEX IF EXISTS idx_invoices_open_receivables;
+
+ALTER TABLE invoices DROP COLUMN IF EXISTS amount_written_off;
+ALTER TABLE invoices DROP COLUMN IF EXISTS amount_paid;
+ALTER TABLE invoices DROP COLUMN IF EXISTS due_date;
+ALTER TABLE invoices DROP COLUMN IF EXISTS invoice_date;
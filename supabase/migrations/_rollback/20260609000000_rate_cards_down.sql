@@ -0,0 +1,62 @@
+-- Rollback for 20260609000000_rate_cards.sql
+--
+-- ⚠️  Drops data:
+--     - every rate card (export rate_cards first if the history
+--       matters),
+--     - shifts.service_type.
+--     Rates already filled onto shifts stay as they are. The shift
+--     auto-fill trigger goes back to the flat caregiver / client
+--     defaults of 20260526000000.
+
+CREATE OR REPLACE FUNCTION public.auto_fill_shift_rates_from_defaults()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path TO 'public'
+AS $$
+DECLARE
+  v_caregiver_rate numeric(10,2);
+  v_client_rate    numeric(10,2);
+BEGIN
+  -- Auto-fill hourly_rate (caregiver pay) if missing.
+  IF NEW.hourly_rate IS NULL AND NEW.assigned_caregiver_id IS NOT NULL THEN
+    SELECT c.default_pay_rate
+      INTO v_caregiver_rate
+      FROM public.caregivers c
+     WHERE c.id = NEW.assigned_caregiver_id
+       AND (NEW.org_id IS NULL OR c.org_id = NEW.org_id);
+    IF v_caregiver_rate IS NOT NULL THEN
+      NEW.hourly_rate := v_caregiver_rate;
+    END IF;
+  END IF;
+
+  -- Auto-fill billable_rate (client charge) if missing.
+  IF NEW.billable_rate IS NULL AND NEW.client_id IS NOT NULL THEN
+    SELECT cl.default_billable_rate
+      INTO v_client_rate
+      FROM public.clients cl
+     WHERE cl.id = NEW.client_id
+       AND (NEW.org_id IS NULL OR cl.org_id = NEW.org_id);
+    IF v_client_rate IS NOT NULL THEN
+      NEW.billable_rate := v_client_rate;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END
+$$;
+
+REVOKE ALL ON FUNCTION public.auto_fill_shift_rates_from_defaults() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.auto_fill_shift_rates_from_defaults()
+  TO authenticated, service_role;
+
+DROP TRIGGER IF EXISTS shifts_auto_fill_rates ON public.shifts;
+CREATE TRIGGER shifts_auto_fill_rates
+  BEFORE INSERT OR UPDATE OF assigned_caregiver_id, client_id, hourly_rate, billable_rate
+  ON public.shifts
+  FOR EACH ROW
+  EXECUTE FUNCTION public.auto_fill_shift_rates_from_defaults();
+
+DROP TABLE IF EXISTS public.rate_cards;
+
+ALTER TABLE public.shifts DROP COLUMN IF EXISTS service_type;
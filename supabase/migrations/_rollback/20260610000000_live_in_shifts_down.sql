@@ -0,0 +1,27 @@
+-- Rollback for 20260610000000_live_in_shifts.sql
+--
+-- ⚠️  Drops data:
+--     - every shift's and service plan's live-in settings (sleep / meal
+--       deductions, daily rates),
+--     - invoice_shifts.billed_days. Invoices with day-rate lines keep
+--       their stored subtotal, but recomputing them after the rollback
+--       would price those lines per hour. Void or re-export them first.
+--     Timesheets already generated keep their hours; a regenerate
+--     after the rollback pays live-in shifts for every hour on site.
+
+ALTER TABLE public.invoice_shifts
+  DROP COLUMN IF EXISTS billed_days;
+
+ALTER TABLE public.service_plans
+  DROP COLUMN IF EXISTS daily_bill_rate,
+  DROP COLUMN IF EXISTS daily_pay_rate,
+  DROP COLUMN IF EXISTS meal_hours_per_day,
+  DROP COLUMN IF EXISTS sleep_hours_per_day,
+  DROP COLUMN IF EXISTS live_in;
+
+ALTER TABLE public.shifts
+  DROP COLUMN IF EXISTS daily_bill_rate,
+  DROP COLUMN IF EXISTS daily_pay_rate,
+  DROP COLUMN IF EXISTS sleep_interrupted,
+  DROP COLUMN IF EXISTS meal_hours_per_day,
+  DROP COLUMN IF EXISTS sleep_hours_per_day;
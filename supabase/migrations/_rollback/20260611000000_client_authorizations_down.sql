@@ -0,0 +1,9 @@
+-- Rollback for 20260611000000_client_authorizations.sql
+--
+-- ⚠️  Drops data: every client authorization (auth numbers, unit caps,
+--     expirations). Shifts and invoices are untouched — nothing stores
+--     usage — but scheduling and invoicing stop checking caps.
+
+DROP TABLE IF EXISTS public.client_authorizations;
+
+DROP FUNCTION IF EXISTS public.set_client_authorizations_updated_at();
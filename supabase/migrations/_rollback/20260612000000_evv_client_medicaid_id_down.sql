@@ -0,0 +1,7 @@
+-- Rollback for 20260612000000_evv_client_medicaid_id.sql
+--
+-- ⚠️  Drops data: every client's Medicaid ID. The EVV export then
+--     flags every Medicaid visit with `evv_missing_recipient_id`.
+
+ALTER TABLE public.clients
+  DROP COLUMN IF EXISTS medicaid_id;
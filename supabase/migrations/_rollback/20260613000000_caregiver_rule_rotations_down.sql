@@ -0,0 +1,13 @@
+-- Rollback for 20260613000000_caregiver_rule_rotations.sql
+--
+-- ⚠️  Drops data: the cycle on every rotating rule. Those rules then
+--     resolve every week, so two alternating caregivers collide on
+--     the same day (the later effective_from wins). Expire the
+--     rotating rules first if that matters.
+
+ALTER TABLE public.service_plan_caregiver_rules
+  DROP CONSTRAINT IF EXISTS scpr_rotation_anchor_required;
+
+ALTER TABLE public.service_plan_caregiver_rules
+  DROP COLUMN IF EXISTS rotation_anchor,
+  DROP COLUMN IF EXISTS rotation_weeks;
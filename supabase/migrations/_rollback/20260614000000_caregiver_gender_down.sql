@@ -0,0 +1,10 @@
+-- Rollback for 20260614000000_caregiver_gender.sql
+--
+-- ⚠️  Drops data: every caregiver's recorded gender. Clients with a
+--     Required gender then filter out every caregiver in the picker.
+
+ALTER TABLE public.caregivers
+  DROP CONSTRAINT IF EXISTS caregivers_gender_check;
+
+ALTER TABLE public.caregivers
+  DROP COLUMN IF EXISTS gender;
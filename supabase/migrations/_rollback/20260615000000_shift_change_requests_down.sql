@@ -0,0 +1,9 @@
+-- Rollback for 20260615000000_shift_change_requests.sql
+--
+-- ⚠️  Drops data: every caregiver drop / swap request, including ones
+--     still waiting on a coworker or the office. Shifts themselves are
+--     untouched — approved requests already wrote their assignment.
+
+DROP TABLE IF EXISTS public.shift_change_requests;
+
+DROP FUNCTION IF EXISTS public.set_shift_change_requests_updated_at();
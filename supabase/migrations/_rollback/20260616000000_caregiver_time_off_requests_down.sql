@@ -0,0 +1,9 @@
+-- Rollback for 20260616000000_caregiver_time_off_requests.sql
+--
+-- ⚠️  Drops data: every caregiver time-off request, including pending
+--     ones the office hasn't seen yet. Approved time off survives as
+--     its "unavailable" caregiver_availability row.
+
+DROP TABLE IF EXISTS public.caregiver_time_off_requests;
+
+DROP FUNCTION IF EXISTS public.set_caregiver_time_off_requests_updated_at();
@@ -0,0 +1,58 @@
+-- Rollback for 20260617000000_shift_attendance_incidents.sql
+--
+-- ⚠️  Drops data: every recorded late clock-in and no-show, which is
+--     the caregivers' attendance record used by ranking. Coverage
+--     shifts the detector created stay on the schedule.
+--
+-- Bails if any source='system' follow-up tasks exist — restoring the
+-- narrower source CHECK would reject them. Close or delete them first.
+
+DO $$
+BEGIN
+  PERFORM cron.unschedule('no-show-detector')
+  WHERE EXISTS (SELECT 1 FROM cron.job WHERE jobname = 'no-show-detector');
+EXCEPTION WHEN OTHERS THEN
+  NULL;
+END $$;
+
+DROP TABLE IF EXISTS public.shift_attendance_incidents;
+
+DO $$
+DECLARE
+  v_count integer;
+BEGIN
+  SELECT count(*) INTO v_count
+    FROM public.follow_up_tasks
+   WHERE source = 'system';
+  IF v_count > 0 THEN
+    RAISE EXCEPTION
+      'Cannot roll back: % system-source tasks exist. Delete or migrate them first.', v_count;
+  END IF;
+END $$;
+
+ALTER TABLE public.follow_up_tasks
+  DROP CONSTRAINT IF EXISTS follow_up_tasks_source_check;
+ALTER TABLE public.follow_up_tasks
+  ADD CONSTRAINT follow_up_tasks_source_check
+  CHECK (source IN ('template', 'user', 'ai'));
+
+ALTER TABLE public.follow_up_tasks
+  DROP CONSTRAINT IF EXISTS follow_up_tasks_shape_check;
+ALTER TABLE public.follow_up_tasks
+  ADD CONSTRAINT follow_up_tasks_shape_check CHECK (
+    (
+      source = 'template'
+      AND template_id  IS NOT NULL
+      AND caregiver_id IS NOT NULL
+      AND client_id    IS NOT NULL
+      AND title        IS NULL
+    )
+    OR
+    (
+      source IN ('user', 'ai')
+      AND title IS NOT NULL
+      AND length(btrim(title)) > 0
+      AND template_id IS NULL
+      AND NOT (caregiver_id IS NOT NULL AND client_id IS NOT NULL)
+    )
+  );
@@ -0,0 +1,17 @@
+-- Rollback for 20260618000000_clock_out_corrections.sql
+--
+-- ⚠️  Drops data: every missed clock-out correction, including ones
+--     still waiting on the caregiver or the office. Clock-outs written
+--     by approved corrections stay on clock_events as manual entries.
+
+DO $$
+BEGIN
+  PERFORM cron.unschedule('missed-clock-out-detector')
+  WHERE EXISTS (SELECT 1 FROM cron.job WHERE jobname = 'missed-clock-out-detector');
+EXCEPTION WHEN OTHERS THEN
+  NULL;
+END $$;
+
+DROP TABLE IF EXISTS public.clock_out_corrections;
+
+DROP FUNCTION IF EXISTS public.set_clock_out_corrections_updated_at();
@@ -0,0 +1,133 @@
+-- Rollback for 20260619000000_shift_slots.sql
+--
+-- ⚠️  Drops data:
+--     - every shift slot: who was the second caregiver / nurse /
+--       trainee on a visit, whether they were billed, their rate;
+--     - clock-ins and clock-outs of slot caregivers (the restored
+--       index allows one per shift; the lead's are kept);
+--     - invoice_shifts.billed_caregivers. Invoices keep their stored
+--       hours and subtotal, which already include the extra people.
+--     Timesheets already generated keep the slot hours; a regenerate
+--     after the rollback drops them.
+
+DELETE FROM clock_events ce
+ USING shifts s
+ WHERE s.id = ce.shift_id
+   AND ce.event_type IN ('in', 'out')
+   AND ce.caregiver_id IS DISTINCT FROM s.assigned_caregiver_id
+   AND EXISTS (SELECT 1 FROM shift_slots sl WHERE sl.shift_id = s.id);
+
+DROP INDEX IF EXISTS idx_clock_events_shift_event_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clock_events_shift_event_unique
+  ON clock_events (shift_id, event_type)
+  WHERE event_type IN ('in', 'out');
+
+DROP POLICY IF EXISTS shifts_read_own ON shifts;
+CREATE POLICY shifts_read_own ON shifts
+  FOR SELECT TO authenticated
+  USING (assigned_caregiver_id = public.current_user_caregiver_id());
+
+DROP POLICY IF EXISTS clients_read_assigned ON clients;
+CREATE POLICY clients_read_assigned ON clients
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM shifts
+      WHERE shifts.client_id = clients.id
+        AND shifts.assigned_caregiver_id = public.current_user_caregiver_id()
+    )
+    OR EXISTS (
+      SELECT 1 FROM caregiver_assignments ca
+      WHERE ca.client_id = clients.id
+        AND ca.caregiver_id = public.current_user_caregiver_id()
+        AND ca.status = 'active'
+    )
+  );
+
+DROP POLICY IF EXISTS care_plans_read_assigned ON care_plans;
+CREATE POLICY care_plans_read_assigned ON care_plans
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM shifts
+       WHERE shifts.client_id = care_plans.client_id
+         AND shifts.assigned_caregiver_id = public.current_user_caregiver_id()
+    )
+    OR EXISTS (
+      SELECT 1 FROM caregiver_assignments ca
+       WHERE ca.client_id = care_plans.client_id
+         AND ca.caregiver_id = public.current_user_caregiver_id()
+         AND ca.status = 'active'
+    )
+  );
+
+DROP POLICY IF EXISTS care_plan_versions_read_assigned ON care_plan_versions;
+CREATE POLICY care_plan_versions_read_assigned ON care_plan_versions
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+        FROM care_plans cp
+       WHERE cp.id = care_plan_versions.care_plan_id
+         AND (
+           EXISTS (
+             SELECT 1 FROM shifts s
+              WHERE s.client_id = cp.client_id
+                AND s.assigned_caregiver_id = public.current_user_caregiver_id()
+           )
+           OR EXISTS (
+             SELECT 1 FROM caregiver_assignments ca
+              WHERE ca.client_id = cp.client_id
+                AND ca.caregiver_id = public.current_user_caregiver_id()
+                AND ca.status = 'active'
+           )
+         )
+    )
+  );
+
+DROP POLICY IF EXISTS care_plan_tasks_read_assigned ON care_plan_tasks;
+CREATE POLICY care_plan_tasks_read_assigned ON care_plan_tasks
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1
+        FROM care_plan_versions v
+        JOIN care_plans cp ON cp.id = v.care_plan_id
+       WHERE v.id = care_plan_tasks.version_id
+         AND (
+           EXISTS (
+             SELECT 1 FROM shifts s
+              WHERE s.client_id = cp.client_id
+                AND s.assigned_caregiver_id = public.current_user_caregiver_id()
+           )
+           OR EXISTS (
+             SELECT 1 FROM caregiver_assignments ca
+              WHERE ca.client_id = cp.client_id
+                AND ca.caregiver_id = public.current_user_caregiver_id()
+                AND ca.status = 'active'
+           )
+         )
+    )
+  );
+
+DROP POLICY IF EXISTS care_plan_observations_caregiver_insert ON care_plan_observations;
+CREATE POLICY care_plan_observations_caregiver_insert ON care_plan_observations
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    caregiver_id = public.current_user_caregiver_id()
+    AND (
+      shift_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM shifts s
+         WHERE s.id = care_plan_observations.shift_id
+           AND s.assigned_caregiver_id = public.current_user_caregiver_id()
+      )
+    )
+  );
+
+ALTER TABLE public.invoice_shifts
+  DROP COLUMN IF EXISTS billed_caregivers;
+
+DROP TABLE IF EXISTS public.shift_slots;
+
+DROP FUNCTION IF EXISTS public.set_shift_slots_updated_at();
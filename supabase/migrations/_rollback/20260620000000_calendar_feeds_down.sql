@@ -0,0 +1,8 @@
+-- Rollback for 20260620000000_calendar_feeds.sql
+--
+-- ⚠️  Drops data: every issued calendar feed. Subscribed calendars stop
+--     updating (the calendar-feed function answers 404) and keep
+--     whatever events they last fetched. Re-issuing after re-applying
+--     the migration gives new URLs.
+
+DROP TABLE IF EXISTS public.calendar_feeds;
@@ -0,0 +1,32 @@
+-- Rollback for 20260621000000_medication_administration.sql
+--
+-- ⚠️  Drops data: every medication administration record (the eMAR
+--     history behind the monthly MAR). Export the MARs you need first.
+
+DELETE FROM public.care_plan_observations WHERE observation_type = 'medication';
+
+DROP INDEX IF EXISTS public.idx_care_plan_observations_medication;
+
+ALTER TABLE public.care_plan_observations
+  DROP CONSTRAINT IF EXISTS care_plan_observations_medication_shape;
+
+ALTER TABLE public.care_plan_observations
+  DROP COLUMN IF EXISTS scheduled_for,
+  DROP COLUMN IF EXISTS medication_name,
+  DROP COLUMN IF EXISTS medication_key;
+
+ALTER TABLE public.care_plan_observations
+  DROP CONSTRAINT IF EXISTS care_plan_observations_observation_type_check;
+
+ALTER TABLE public.care_plan_observations
+  ADD CONSTRAINT care_plan_observations_observation_type_check
+  CHECK (observation_type IN (
+    'task_completion',
+    'mood',
+    'concern',
+    'positive',
+    'vital',
+    'general',
+    'shift_note',
+    'refusal'
+  ));
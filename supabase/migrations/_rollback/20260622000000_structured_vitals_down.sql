@@ -0,0 +1,21 @@
+-- Rollback for 20260622000000_structured_vitals.sql
+--
+-- ⚠️  Drops data: the structured columns of every vital reading. The
+--     rows survive as legacy vitals (the reading stays in `rating`,
+--     without its type and unit). Threshold care signals already raised
+--     are left in place.
+
+DROP TRIGGER IF EXISTS care_plan_observations_vital_signal ON public.care_plan_observations;
+DROP FUNCTION IF EXISTS public.raise_vital_care_signal();
+
+DROP INDEX IF EXISTS public.idx_care_plan_observations_vitals;
+
+ALTER TABLE public.care_plan_observations
+  DROP CONSTRAINT IF EXISTS care_plan_observations_vital_shape;
+
+ALTER TABLE public.care_plan_observations
+  DROP COLUMN IF EXISTS vital_flag,
+  DROP COLUMN IF EXISTS vital_unit,
+  DROP COLUMN IF EXISTS vital_value_secondary,
+  DROP COLUMN IF EXISTS vital_value,
+  DROP COLUMN IF EXISTS vital_type;
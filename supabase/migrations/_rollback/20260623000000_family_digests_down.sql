@@ -0,0 +1,23 @@
+-- Rollback for 20260623000000_family_digests.sql
+--
+-- ⚠️  Drops data: every issued family portal link (the family-portal
+--     function then answers "not found" for all of them) and the
+--     review state of every digest — who approved or discarded it and
+--     where it was emailed. The digests themselves stay in
+--     care_plan_digests; ones never approved keep
+--     delivered_to_family_at NULL, the scaffold's "held for review".
+--     Roll back the care-plan-digests cron first — the weekly job
+--     writes the status column.
+
+DROP TABLE IF EXISTS public.family_portal_links;
+
+DROP INDEX IF EXISTS public.idx_care_plan_digests_pending;
+DROP INDEX IF EXISTS public.uq_care_plan_digests_period;
+
+ALTER TABLE public.care_plan_digests
+  DROP CONSTRAINT IF EXISTS care_plan_digests_status_check,
+  DROP COLUMN IF EXISTS observation_count,
+  DROP COLUMN IF EXISTS emailed_to,
+  DROP COLUMN IF EXISTS reviewed_at,
+  DROP COLUMN IF EXISTS reviewed_by,
+  DROP COLUMN IF EXISTS status;
@@ -0,0 +1,8 @@
+-- Rollback for care-plan-digests cron.
+--
+-- Unschedules the weekly job. Digests it already wrote are left in
+-- place, including any still waiting for review. The edge function
+-- itself is not removed — re-running the up migration will re-register
+-- the schedule without redeploying.
+
+SELECT cron.unschedule('care-plan-digests');